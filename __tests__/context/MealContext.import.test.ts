@@ -99,6 +99,12 @@ function createInsertBuilder(table: string, rows: any[]) {
       foodLogsStore.push(...insertedRows);
       return Promise.resolve({ data: cloneRows(insertedRows), error: null });
     },
+    then(resolve: (value: { data: null; error: null }) => unknown) {
+      if (table === 'workouts') {
+        workoutsStore.push(...cloneRows(rows));
+      }
+      return Promise.resolve(resolve({ data: null, error: null }));
+    },
   };
 }
 
@@ -141,6 +147,7 @@ jest.mock('../../context/OfflineContext', () => ({
     queueOperation: (...args: any[]) => mockQueueOperation(...args),
     checkOnline: (...args: any[]) => mockCheckOnline(...args),
     showOfflineAlert: (...args: any[]) => mockShowOfflineAlert(...args),
+    resolveId: (id: string | number) => id,
   }),
 }));
 
@@ -289,6 +296,31 @@ Date,Meal,Food Name,Calories,Protein (g),Carbs (g),Fat (g),Serving
     hook.unmount();
   });
 
+  it('imports exercise rows into workouts and skips ones already logged', async () => {
+    workoutsStore = [
+      { user_id: 'user-1', date: '2026-03-10', name: 'Running', duration: 30, calories_burned: 300 },
+    ];
+
+    const hook = await renderAndInit();
+
+    const importResult = await hook.result.current.importExerciseLog([
+      { dateKey: '2026-03-10', name: 'running', durationMinutes: 30, caloriesBurned: 300 },
+      { dateKey: '2026-03-11', name: 'Cycling', durationMinutes: 45, caloriesBurned: 410 },
+    ]);
+
+    expect(importResult).toEqual({ importedCount: 1, skippedCount: 1 });
+    expect(workoutsStore).toHaveLength(2);
+    expect(workoutsStore[1]).toEqual({
+      user_id: 'user-1',
+      date: '2026-03-11',
+      name: 'Cycling',
+      duration: 45,
+      calories_burned: 410,
+    });
+
+    hook.unmount();
+  });
+
   it('copies a repeat meal from fallback snapshot items when the source day is not hydrated', async () => {
     const hook = await renderAndInit();
 
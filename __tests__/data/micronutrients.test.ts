@@ -11,6 +11,7 @@ import {
   getMicronutrientRDA,
   analyzeMicronutrientGaps,
 } from '../../lib/nutritionIntelligence';
+import { summarizeMicronutrients } from '../../lib/micronutrients';
 
 // =============================================================================
 // getRDA returns correct values for male/female
@@ -200,6 +201,42 @@ describe('upper limit validation', () => {
   });
 });
 
+// =============================================================================
+// Data coverage
+// =============================================================================
+
+describe('gap analysis with data coverage', () => {
+  it('reports shortfalls with little data behind them as uncertain', () => {
+    const { intake, coverage } = summarizeMicronutrients([
+      { name: 'Fortified cereal', calories: 400, micronutrients: { iron: 4 } },
+      { name: 'Mystery bar', calories: 600 },
+    ]);
+    const result = analyzeMicronutrientGaps(intake, 'male', coverage);
+
+    expect(result.dataCompleteness).toBe(40);
+    expect(result.gaps).toEqual([]);
+    expect(result.uncertain.find((g) => g.key === 'iron')?.status).toBe('unknown');
+    expect(result.overallScore).toBe(0);
+  });
+
+  it('keeps gaps backed by enough data', () => {
+    const { intake, coverage } = summarizeMicronutrients([
+      { name: 'Fortified cereal', calories: 400, micronutrients: { iron: 4, calcium: 1000 } },
+    ]);
+    const result = analyzeMicronutrientGaps(intake, 'male', coverage);
+
+    expect(result.gaps.map((g) => g.key)).toEqual(['iron']);
+    expect(result.adequate.map((g) => g.key)).toEqual(['calcium']);
+    expect(result.overallScore).toBe(50);
+  });
+
+  it('leaves results unchanged without coverage', () => {
+    const result = analyzeMicronutrientGaps({}, 'male');
+    expect(result.uncertain).toEqual([]);
+    expect(result.dataCompleteness).toBeNull();
+  });
+});
+
 // =============================================================================
 // Overall score calculation
 // =============================================================================
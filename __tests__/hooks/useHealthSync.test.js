@@ -11,6 +11,7 @@
  * Dependencies mocked:
  * - lib/supabase (global mock in jest.setup.ts)
  * - services/healthService
+ * - services/wearableIntegrations
  * - lib/encryptedStorage
  * - react-native AppState
  */
@@ -77,6 +78,13 @@ jest.mock('../../services/healthService', () => ({
   ),
 }));
 
+// ─── Mock wearable integrations ────────────────────────────────────────────
+
+jest.mock('../../services/wearableIntegrations', () => ({
+  getLatestProviderData: jest.fn(() => Promise.resolve([])),
+  getSourcePriority: jest.fn(() => Promise.resolve({})),
+}));
+
 // ─── Mock encrypted storage ────────────────────────────────────────────────
 
 jest.mock('../../lib/encryptedStorage', () => ({
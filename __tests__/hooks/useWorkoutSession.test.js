@@ -4,7 +4,7 @@
  * Dependencies mocked:
  * - AsyncStorage (global mock in jest.setup.ts)
  * - lib/supabase (global mock in jest.setup.ts)
- * - lib/workoutEngine (calculate1RM, scoreWorkout)
+ * - lib/workoutEngine (calculate1RM, scoreWorkout; progression helpers are real)
  */
 
 import { renderHook, act, waitFor } from '@testing-library/react-native';
@@ -17,6 +17,8 @@ jest.mock('../../lib/workoutEngine', () => ({
     if (!weight || !reps) return null;
     return { estimated1RM: Math.round(weight * (1 + reps / 30)) };
   }),
+  prescribeSessionTarget: jest.requireActual('../../lib/workoutEngine').prescribeSessionTarget,
+  autoRegulateNextWeight: jest.requireActual('../../lib/workoutEngine').autoRegulateNextWeight,
   scoreWorkout: jest.fn(() => ({
     score: 72,
     grade: 'B',
@@ -278,6 +280,52 @@ describe('useWorkoutSession - computed values', () => {
 // Set actions
 // =============================================================================
 
+describe('useWorkoutSession - progression targets', () => {
+  const progression = {
+    history: { 'Bench Press': [[{ weight: 100, reps: 8, rpe: 8 }]] },
+  };
+
+  it('should pre-fill target weight, reps and RPE from history', () => {
+    const { result } = renderHook(() =>
+      useWorkoutSession({ workout: mockWorkout, previousHistory: mockPreviousHistory, progression })
+    );
+
+    const [first] = result.current.session.exercises[0].sets;
+    expect(first).toEqual(expect.objectContaining({ weight: '100', reps: '8', rpe: 8, targetWeight: 100, targetRpe: 8 }));
+    // No history for this exercise: reps and RPE are still targeted
+    const press = result.current.session.exercises[1].sets[0];
+    expect(press).toEqual(expect.objectContaining({ weight: '', reps: '10', targetRpe: 8 }));
+  });
+
+  it('should cut sets on a deload', () => {
+    const { result } = renderHook(() =>
+      useWorkoutSession({ workout: mockWorkout, progression: { ...progression, deload: true } })
+    );
+
+    expect(result.current.session.exercises[0].sets).toHaveLength(2);
+    expect(result.current.session.exercises[0].sets[0].rpe).toBe(6);
+  });
+
+  it('should re-target untouched sets from the logged RPE', () => {
+    const { result } = renderHook(() =>
+      useWorkoutSession({ workout: mockWorkout, progression })
+    );
+
+    act(() => {
+      result.current.updateSet(0, 2, 'weight', '90');
+      result.current.updateSet(0, 0, 'rpe', 6);
+    });
+    act(() => {
+      result.current.completeSet(0, 0);
+    });
+
+    const sets = result.current.session.exercises[0].sets;
+    expect(sets[1].weight).toBe('107.5');
+    expect(sets[2].weight).toBe('90'); // loaded by hand, left alone
+    expect(sets[3].weight).toBe('107.5');
+  });
+});
+
 describe('useWorkoutSession - set actions', () => {
   it('should update set field', () => {
     const { result } = renderHook(() =>
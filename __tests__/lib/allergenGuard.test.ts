@@ -0,0 +1,133 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+jest.mock('../../lib/sentry', () => ({
+  Sentry: { captureException: jest.fn() },
+}));
+
+import {
+  ALLERGENS_STORAGE_KEY,
+  checkFoodAllergens,
+  containsAllergenKeyword,
+  describeAllergenMatches,
+  loadUserAllergens,
+  normalizeAllergenTags,
+  setCachedUserAllergens,
+  type UserAllergen,
+} from '../../lib/allergenGuard';
+
+function allergen(name: string, severity: UserAllergen['severity'] = 'moderate'): UserAllergen {
+  return { id: name.toLowerCase(), name, severity };
+}
+
+describe('normalizeAllergenTags', () => {
+  it('strips language prefixes from tag arrays and comma separated strings', () => {
+    expect(normalizeAllergenTags(['en:milk', 'fr:Soybeans'])).toEqual(['milk', 'soybeans']);
+    expect(normalizeAllergenTags('en:milk, en:sesame seeds')).toEqual(['milk', 'sesame-seeds']);
+  });
+
+  it('handles empty input', () => {
+    expect(normalizeAllergenTags(null)).toEqual([]);
+    expect(normalizeAllergenTags('')).toEqual([]);
+  });
+});
+
+describe('containsAllergenKeyword', () => {
+  it('matches whole words and plurals', () => {
+    expect(containsAllergenKeyword('Scrambled eggs on toast', 'egg')).toBe(true);
+    expect(containsAllergenKeyword('Eggplant parmesan', 'egg')).toBe(false);
+  });
+
+  it('ignores free-from claims', () => {
+    expect(containsAllergenKeyword('Gluten-free bread', 'gluten')).toBe(false);
+    expect(containsAllergenKeyword('Dairy free yogurt', 'dairy')).toBe(false);
+  });
+});
+
+describe('checkFoodAllergens', () => {
+  it('returns no match without allergens or food', () => {
+    expect(checkFoodAllergens({ name: 'Peanut butter' }, []).level).toBe('none');
+    expect(checkFoodAllergens(null, [allergen('Peanuts')]).level).toBe('none');
+  });
+
+  it('prefers declared allergen tags', () => {
+    const result = checkFoodAllergens(
+      { name: 'Protein bar', allergens: ['en:milk'], ingredients: 'whey protein, milk' },
+      [allergen('Dairy')]
+    );
+    expect(result.matches[0]).toEqual(expect.objectContaining({ evidence: 'declared', term: 'milk' }));
+  });
+
+  it('falls back to ingredients and then the food name', () => {
+    expect(checkFoodAllergens({ name: 'Cookie', ingredients: 'flour, sugar, butter' }, [allergen('Dairy')]).matches[0].evidence)
+      .toBe('ingredients');
+    expect(checkFoodAllergens({ name: 'Shrimp tacos' }, [allergen('Shellfish')]).matches[0].evidence)
+      .toBe('name');
+  });
+
+  it('does not treat plant milks or nut butters as dairy', () => {
+    expect(checkFoodAllergens({ name: 'Almond milk' }, [allergen('Dairy')]).level).toBe('none');
+    expect(checkFoodAllergens({ name: 'Peanut butter' }, [allergen('Dairy')]).level).toBe('none');
+    expect(checkFoodAllergens({ name: 'Peanut butter' }, [allergen('Peanuts')]).level).toBe('warning');
+  });
+
+  it('maps severity to the warning level and blocks severe allergens', () => {
+    const food = { name: 'Peanut snack' };
+    expect(checkFoodAllergens(food, [allergen('Peanuts', 'mild')]).level).toBe('caution');
+    expect(checkFoodAllergens(food, [allergen('Peanuts')]).requiresOverride).toBe(false);
+
+    const severe = checkFoodAllergens(food, [allergen('Peanuts', 'severe')]);
+    expect(severe.level).toBe('danger');
+    expect(severe.requiresOverride).toBe(true);
+  });
+
+  it('reports traces one level softer', () => {
+    const result = checkFoodAllergens(
+      { name: 'Dark chocolate', traces: 'en:nuts' },
+      [allergen('Tree Nuts', 'severe')]
+    );
+    expect(result.matches[0].evidence).toBe('traces');
+    expect(result.level).toBe('warning');
+    expect(result.requiresOverride).toBe(false);
+  });
+
+  it('matches custom allergens by name', () => {
+    const result = checkFoodAllergens({ name: 'Kiwi smoothie' }, [allergen('Kiwi', 'severe')]);
+    expect(result.level).toBe('danger');
+  });
+
+  it('orders matches by level', () => {
+    const result = checkFoodAllergens(
+      { name: 'Egg and cheese wrap' },
+      [allergen('Eggs', 'mild'), allergen('Dairy', 'severe')]
+    );
+    expect(result.matches.map((m) => m.allergen.name)).toEqual(['Dairy', 'Eggs']);
+  });
+});
+
+describe('describeAllergenMatches', () => {
+  it('separates contained allergens from traces', () => {
+    const result = checkFoodAllergens(
+      { name: 'Granola', allergens: 'en:gluten', traces: 'en:peanuts' },
+      [allergen('Gluten'), allergen('Peanuts')]
+    );
+    expect(describeAllergenMatches(result)).toBe('Contains Gluten; may contain Peanuts');
+  });
+
+  it('includes the matched keyword for inferred allergens', () => {
+    const result = checkFoodAllergens({ name: 'Tuna sandwich' }, [allergen('Fish')]);
+    expect(describeAllergenMatches(result)).toBe('Contains Fish (tuna)');
+  });
+});
+
+describe('loadUserAllergens', () => {
+  it('reads the stored allergen list and then serves the cache', async () => {
+    const stored = [allergen('Soy', 'severe')];
+    (AsyncStorage.getItem as jest.Mock).mockResolvedValueOnce(JSON.stringify({ allergens: stored, reactions: [] }));
+
+    expect(await loadUserAllergens()).toEqual(stored);
+    expect(AsyncStorage.getItem).toHaveBeenCalledWith(ALLERGENS_STORAGE_KEY);
+
+    setCachedUserAllergens([]);
+    expect(await loadUserAllergens()).toEqual([]);
+  });
+});
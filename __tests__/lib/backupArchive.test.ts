@@ -0,0 +1,228 @@
+jest.mock('../../lib/supabase', () => ({
+  supabase: { from: jest.fn() },
+}));
+
+jest.mock('../../lib/encryptedStorage', () => ({
+  getEncryptedItem: jest.fn(),
+  setEncryptedItem: jest.fn(),
+}));
+
+jest.mock('../../lib/sentry', () => ({
+  Sentry: { captureException: jest.fn() },
+}));
+
+import fs from 'fs';
+import path from 'path';
+import {
+  BACKUP_SCHEMA_VERSION,
+  BACKUP_STORES,
+  createBackupArchiveDocument,
+  parseBackupArchive,
+  planBackupRestore,
+  planStoreRestore,
+  planTableRestore,
+} from '../../lib/backupArchive';
+import type { BackupStoreDescriptor } from '../../lib/backupArchive';
+
+const ROOT = path.resolve(__dirname, '../..');
+const SOURCE_DIRS = ['app', 'components', 'context', 'hooks', 'lib', 'services'];
+const SOURCE_EXTENSIONS = new Set(['.js', '.jsx', '.ts', '.tsx']);
+const STORAGE_KEY_LITERAL = /['"`](@fueliq_[a-z0-9_]+)['"`]/g;
+
+// Keys deliberately left out of the archive. A new key must either be added
+// to BACKUP_STORES or listed here.
+const NOT_BACKED_UP = new Set([
+  // Caches and data re-derived from other stores, the server or the health platform
+  '@fueliq_activity_scores', '@fueliq_adaptive_tdee', '@fueliq_barcode_cache', '@fueliq_biometric_hr_history',
+  '@fueliq_biometric_hrv_history', '@fueliq_cache_', '@fueliq_community_foods_', '@fueliq_fitness_score',
+  '@fueliq_frequent_foods', '@fueliq_health_baselines', '@fueliq_health_snapshot_cache', '@fueliq_img_',
+  '@fueliq_img_index', '@fueliq_meals_', '@fueliq_morning_briefing_cache', '@fueliq_profile_cache',
+  '@fueliq_recent_comparisons', '@fueliq_recent_foods', '@fueliq_recent_meal_snapshots_v1', '@fueliq_recent_searches',
+  '@fueliq_trending_terms', '@fueliq_wearable_latest_data', '@fueliq_widget_data',
+  // Sync, queue and session state tied to this install
+  '@fueliq_active_workout', '@fueliq_audit_queue', '@fueliq_health_connected', '@fueliq_health_data_source',
+  '@fueliq_health_last_sync', '@fueliq_health_mock_steps', '@fueliq_health_mock_weight', '@fueliq_health_sync_anchor',
+  '@fueliq_offline_id_map', '@fueliq_offline_queue', '@fueliq_offline_review', '@fueliq_push_token',
+  '@fueliq_tracker_sync_meta', '@fueliq_wearable_connections', '@fueliq_app_lock',
+  // Rolling or time-boxed state that is stale by the time a backup is restored
+  '@fueliq_chat_history', '@fueliq_daily_challenges', '@fueliq_dynamic_challenges', '@fueliq_weekly_challenges',
+  '@fueliq_friend_streaks', '@fueliq_health_alerts', '@fueliq_last_briefing_date', '@fueliq_log_times',
+  '@fueliq_morning_briefing_dismissed', '@fueliq_notification_frequency', '@fueliq_notification_inbox',
+  '@fueliq_proactive_dismissed', '@fueliq_quick_repeat', '@fueliq_streak_milestones_shown', '@fueliq_weekly_digest',
+  // Onboarding, experiments and growth bookkeeping
+  '@fueliq_ab_tests', '@fueliq_activation_tracker_v1', '@fueliq_annual_nudge', '@fueliq_feature_disclosure',
+  '@fueliq_food_quality_reports', '@fueliq_referral', '@fueliq_retention', '@fueliq_search_prefs',
+  '@fueliq_tours_seen', '@fueliq_winback',
+]);
+
+function listSourceFiles(dir: string): string[] {
+  const full = path.join(ROOT, dir);
+  if (!fs.existsSync(full)) return [];
+  return fs.readdirSync(full, { withFileTypes: true }).flatMap((entry) => {
+    const relative = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listSourceFiles(relative);
+    return SOURCE_EXTENSIONS.has(path.extname(entry.name)) ? [relative] : [];
+  });
+}
+
+function storeById(id: string): BackupStoreDescriptor {
+  const store = BACKUP_STORES.find((candidate) => candidate.id === id);
+  if (!store) throw new Error(`Unknown store ${id}`);
+  return store;
+}
+
+const CREATED_AT = '2026-03-10T08:00:00.000Z';
+
+describe('BACKUP_STORES', () => {
+  it('covers every tracker store and uses unique ids and keys', () => {
+    const ids = BACKUP_STORES.map((store) => store.id);
+    const keys = BACKUP_STORES.map((store) => store.storageKey);
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(new Set(keys).size).toBe(keys.length);
+    expect(ids).toEqual(expect.arrayContaining(['weight', 'habits', 'fasting_state', 'recipes', 'workout_templates', 'gamification', 'body_measurements', 'progress_photos']));
+    expect(storeById('weight').trackerId).toBe('weight');
+    expect(storeById('recipes').trackerId).toBeUndefined();
+  });
+
+  it('includes every storage key the app writes unless it is deliberately excluded', () => {
+    const backedUp = new Set(BACKUP_STORES.map((store) => store.storageKey));
+    const missing = new Set<string>();
+    SOURCE_DIRS.flatMap(listSourceFiles).forEach((file) => {
+      const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+      for (const match of source.matchAll(STORAGE_KEY_LITERAL)) {
+        if (!backedUp.has(match[1]) && !NOT_BACKED_UP.has(match[1])) missing.add(match[1]);
+      }
+    });
+    expect([...missing].sort()).toEqual([]);
+  });
+});
+
+describe('parseBackupArchive', () => {
+  const archive = createBackupArchiveDocument({
+    userId: 'user-1',
+    stores: { recipes: [{ id: 'r1', name: 'Chili' }], theme_preference: 'dark', meal_plan: null },
+    tables: { food_logs: [{ id: 'f1', name: 'Oats' }] },
+    createdAt: CREATED_AT,
+  });
+
+  it('round-trips an archive and drops empty stores', () => {
+    const parsed = parseBackupArchive(JSON.stringify(archive));
+    expect(parsed.schemaVersion).toBe(BACKUP_SCHEMA_VERSION);
+    expect(parsed.createdAt).toBe(CREATED_AT);
+    expect(Object.keys(parsed.stores)).toEqual(['recipes', 'theme_preference']);
+    expect(parsed.tables.food_logs).toHaveLength(1);
+  });
+
+  it('rejects files that are not backups', () => {
+    expect(() => parseBackupArchive('Date,Meal,Food Name')).toThrow('This file is not a FuelIQ backup.');
+    expect(() => parseBackupArchive(JSON.stringify({ entries: [] }))).toThrow('This file is not a FuelIQ backup.');
+  });
+
+  it('rejects backups from a newer schema version', () => {
+    expect(() => parseBackupArchive(JSON.stringify({ ...archive, schemaVersion: BACKUP_SCHEMA_VERSION + 1 }))).toThrow(
+      'This backup was made by a newer version of FuelIQ. Update the app and try again.'
+    );
+  });
+
+  it('rejects stores and tables with the wrong shape', () => {
+    const damaged = 'This backup is damaged or incomplete.';
+    expect(() => parseBackupArchive(JSON.stringify({ ...archive, schemaVersion: '1' }))).toThrow(damaged);
+    expect(() => parseBackupArchive(JSON.stringify({ ...archive, stores: { recipes: { id: 'r1' } } }))).toThrow(damaged);
+    expect(() => parseBackupArchive(JSON.stringify({ ...archive, tables: { food_logs: 'oats' } }))).toThrow(damaged);
+    expect(() => parseBackupArchive(JSON.stringify({ ...archive, tables: undefined }))).toThrow(damaged);
+  });
+});
+
+describe('planStoreRestore', () => {
+  it('adds list records missing locally and keeps local edits', () => {
+    const local = [{ id: 'r1', name: 'Chili (spicy)' }, { id: 'r2', name: 'Soup' }];
+    const backup = [{ id: 'r1', name: 'Chili' }, { id: 'r3', name: 'Curry' }];
+
+    const plan = planStoreRestore(storeById('recipes'), local, backup);
+    expect(plan).toEqual(expect.objectContaining({ added: 1, updated: 0, kept: 1, changed: true }));
+    expect(plan.value).toEqual([{ id: 'r1', name: 'Chili (spicy)' }, { id: 'r2', name: 'Soup' }, { id: 'r3', name: 'Curry' }]);
+  });
+
+  it('prefers the newer record when the store is timestamped', () => {
+    const local = [{ id: 'h1', name: 'Walk', createdAt: '2026-03-01T00:00:00Z' }];
+    const backup = [{ id: 'h1', name: 'Walk 10k', createdAt: '2026-03-05T00:00:00Z' }];
+
+    const plan = planStoreRestore(storeById('habits'), local, backup);
+    expect(plan).toEqual(expect.objectContaining({ added: 0, updated: 1, kept: 0 }));
+    expect(plan.value).toEqual(backup);
+  });
+
+  it('does not change anything when the backup is already applied', () => {
+    const records = { bench: { weight: 100 }, squat: { weight: 140 } };
+    expect(planStoreRestore(storeById('personal_records'), records, { ...records })).toEqual(
+      expect.objectContaining({ added: 0, updated: 0, kept: 0, changed: false })
+    );
+  });
+
+  it('fills in missing settings without overwriting existing ones', () => {
+    const plan = planStoreRestore(
+      storeById('notification_settings'),
+      { mealReminders: false },
+      { mealReminders: true, waterReminders: true }
+    );
+    expect(plan.value).toEqual({ mealReminders: false, waterReminders: true });
+    expect(plan.updated).toBe(1);
+  });
+
+  it('replaces an object store when the backup is newer', () => {
+    const local = { totalXP: 0, lastActiveDate: null };
+    const backup = { totalXP: 1200, lastActiveDate: '2026-03-09' };
+    expect(planStoreRestore(storeById('gamification'), local, backup).value).toEqual(backup);
+  });
+
+  it('only restores single values when none is saved', () => {
+    expect(planStoreRestore(storeById('theme_preference'), null, 'light')).toEqual(
+      expect.objectContaining({ value: 'light', added: 1, changed: true })
+    );
+    expect(planStoreRestore(storeById('theme_preference'), 'dark', 'light')).toEqual(
+      expect.objectContaining({ value: 'dark', kept: 1, changed: false })
+    );
+  });
+});
+
+describe('planTableRestore', () => {
+  it('skips rows that already exist and rewrites ownership for the rest', () => {
+    const existing = [
+      { id: 'server-1', user_id: 'user-2', date: '2026-03-10', name: 'Egg', calories: 70, created_at: '2026-03-10T08:00:00Z' },
+    ];
+    const backup = [
+      { id: 'old-1', user_id: 'user-1', date: '2026-03-10', name: 'Egg', calories: 70, created_at: '2026-03-01T00:00:00Z' },
+      { id: 'old-2', user_id: 'user-1', date: '2026-03-10', name: 'Egg', calories: 70, created_at: '2026-03-01T00:00:00Z' },
+      { id: 'old-3', user_id: 'user-1', date: '2026-03-10', name: 'Toast', calories: 80, created_at: '2026-03-01T00:00:00Z' },
+    ];
+
+    const plan = planTableRestore('food_logs', existing, backup, 'user-2');
+    expect(plan.skipped).toBe(1);
+    expect(plan.rows).toEqual([
+      { user_id: 'user-2', date: '2026-03-10', name: 'Egg', calories: 70 },
+      { user_id: 'user-2', date: '2026-03-10', name: 'Toast', calories: 80 },
+    ]);
+  });
+});
+
+describe('planBackupRestore', () => {
+  it('plans only the stores and tables present in the archive', () => {
+    const archive = createBackupArchiveDocument({
+      userId: 'user-1',
+      stores: { water: [{ date: '2026-03-09', glasses: 6 }], recipes: [{ id: 'r1' }] },
+      tables: { food_logs: [{ id: 'f1', name: 'Oats' }], workouts: [], profiles: [{ user_id: 'user-1' }] },
+      createdAt: CREATED_AT,
+    });
+
+    const plan = planBackupRestore({
+      archive,
+      localStores: { water: [{ date: '2026-03-10', glasses: 8 }] },
+      remoteTables: { food_logs: [] },
+      userId: 'user-1',
+    });
+
+    expect(plan.stores.map((store) => store.id)).toEqual(['water', 'recipes']);
+    expect(plan.tables.map((table) => table.table)).toEqual(['food_logs']);
+    expect(plan.totals).toEqual({ recordsAdded: 2, recordsUpdated: 0, recordsKept: 0, rowsAdded: 1, rowsSkipped: 0 });
+  });
+});
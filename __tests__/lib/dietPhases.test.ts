@@ -0,0 +1,141 @@
+import {
+  MAX_PHASE_WEEKS,
+  comparePhaseProgress,
+  createPhase,
+  getActivePhase,
+  getPhaseCalorieTarget,
+  getPlanEndDate,
+  projectPlanWeights,
+  sanitizePhase,
+  schedulePhases,
+} from '../../lib/dietPhases';
+import type { DietPlan } from '../../lib/dietPhases';
+
+const MAINTENANCE = 2500;
+
+// 12-week cut, 2-week diet break, 4-week reverse diet
+function plan(): DietPlan {
+  return {
+    startDate: '2026-01-05',
+    phases: [
+      createPhase('cut', 'cut'),
+      createPhase('dietBreak', 'break'),
+      createPhase('reverse', 'reverse'),
+    ],
+  };
+}
+
+function day(key: string): Date {
+  return new Date(`${key}T12:00:00`);
+}
+
+describe('schedulePhases', () => {
+  it('lays phases out back to back', () => {
+    const schedule = schedulePhases(plan());
+
+    expect(schedule.map((p) => [p.startDate, p.endDate])).toEqual([
+      ['2026-01-05', '2026-03-29'],
+      ['2026-03-30', '2026-04-12'],
+      ['2026-04-13', '2026-05-10'],
+    ]);
+    expect(getPlanEndDate(plan())).toBe('2026-05-10');
+    expect(getPlanEndDate({ startDate: '2026-01-05', phases: [] })).toBeNull();
+  });
+
+  it('finds the active phase, inclusive of both ends', () => {
+    expect(getActivePhase(plan(), day('2026-03-29'))?.id).toBe('cut');
+    expect(getActivePhase(plan(), day('2026-03-30'))?.id).toBe('break');
+    expect(getActivePhase(plan(), day('2026-01-04'))).toBeNull();
+    expect(getActivePhase(plan(), day('2026-05-11'))).toBeNull();
+  });
+});
+
+describe('sanitizePhase', () => {
+  it('clamps weeks and rates to the phase type', () => {
+    expect(sanitizePhase({ id: 'a', type: 'cut', weeks: 0, rateLbsPerWeek: -3 }))
+      .toEqual({ id: 'a', type: 'cut', weeks: 1, rateLbsPerWeek: -2 });
+    expect(sanitizePhase({ id: 'b', type: 'bulk', weeks: 80, rateLbsPerWeek: -1 }))
+      .toEqual({ id: 'b', type: 'bulk', weeks: MAX_PHASE_WEEKS, rateLbsPerWeek: 0.25 });
+    expect(sanitizePhase({ id: 'c', type: 'dietBreak', weeks: 2, rateLbsPerWeek: 1 }).rateLbsPerWeek).toBe(0);
+  });
+
+  it('keeps the weekly step only on reverse diets', () => {
+    expect(sanitizePhase({ id: 'r', type: 'reverse', weeks: 4, rateLbsPerWeek: 0, weeklyStepKcal: 400 }).weeklyStepKcal).toBe(250);
+    expect(sanitizePhase({ id: 'c', type: 'cut', weeks: 4, rateLbsPerWeek: -1, weeklyStepKcal: 100 })).not.toHaveProperty('weeklyStepKcal');
+  });
+});
+
+describe('getPhaseCalorieTarget', () => {
+  it('applies the rate during a cut and maintenance during a diet break', () => {
+    const cut = getPhaseCalorieTarget(plan(), MAINTENANCE, day('2026-02-10'));
+    expect(cut).toEqual(expect.objectContaining({ calories: 2000, weekIndex: 5, stepKey: 'cut' }));
+
+    const dietBreak = getPhaseCalorieTarget(plan(), MAINTENANCE, day('2026-04-01'));
+    expect(dietBreak).toEqual(expect.objectContaining({ calories: 2500, stepKey: 'break' }));
+  });
+
+  it('steps a reverse diet up weekly from the cut target, capped at maintenance', () => {
+    const weeks = ['2026-04-13', '2026-04-20', '2026-04-27', '2026-05-04'].map((key) =>
+      getPhaseCalorieTarget(plan(), 2300, day(key)));
+
+    expect(weeks.map((w) => w?.calories)).toEqual([1900, 2000, 2100, 2200]);
+    expect(weeks.map((w) => w?.stepKey)).toEqual(['reverse:0', 'reverse:1', 'reverse:2', 'reverse:3']);
+
+    const steep = plan();
+    steep.phases[2] = { ...steep.phases[2], weeklyStepKcal: 250 };
+    expect(getPhaseCalorieTarget(steep, 2300, day('2026-05-04'))?.calories).toBe(2300);
+  });
+
+  it('returns null outside the plan and never drops below the floor', () => {
+    expect(getPhaseCalorieTarget(plan(), MAINTENANCE, day('2026-06-01'))).toBeNull();
+    expect(getPhaseCalorieTarget(plan(), 1400, day('2026-01-05'))?.calories).toBe(1200);
+  });
+});
+
+describe('projectPlanWeights', () => {
+  it('projects one point per week across all phases', () => {
+    const points = projectPlanWeights(plan(), 200);
+
+    expect(points).toHaveLength(19);
+    expect(points[0]).toEqual({ date: '2026-01-05', weight: 200 });
+    expect(points[12]).toEqual({ date: '2026-03-30', weight: 188 });
+    expect(points[18]).toEqual({ date: '2026-05-11', weight: 188 });
+  });
+});
+
+describe('comparePhaseProgress', () => {
+  it('compares projected and actual change per phase', () => {
+    const entries = [
+      { date: '2026-01-05T08:00:00', weight: 200 },
+      { date: '2026-01-19T08:00:00', weight: 198.4 },
+      { date: '2026-02-02T08:00:00', weight: 196.2 },
+    ];
+    const [cut, dietBreak] = comparePhaseProgress(plan(), 200, entries, day('2026-02-03'));
+
+    expect(cut).toEqual(expect.objectContaining({
+      projectedStart: 200,
+      projectedEnd: 188,
+      actualStart: 200,
+      actualEnd: 196.2,
+      actualRate: -1,
+      status: 'active',
+    }));
+    expect(dietBreak).toEqual(expect.objectContaining({
+      projectedStart: 188,
+      projectedEnd: 188,
+      actualStart: null,
+      actualRate: null,
+      status: 'upcoming',
+    }));
+  });
+
+  it('needs a week between weigh-ins before reporting a rate', () => {
+    const entries = [
+      { date: '2026-01-05T08:00:00', weight: 200 },
+      { date: '2026-01-08T08:00:00', weight: 199 },
+    ];
+    const [cut] = comparePhaseProgress(plan(), 200, entries, day('2026-01-09'));
+    expect(cut.actualEnd).toBe(199);
+    expect(cut.actualRate).toBeNull();
+  });
+});
@@ -0,0 +1,96 @@
+import fs from 'fs';
+import path from 'path';
+import { decodeFit, parseFIT } from '../../lib/fitParser';
+import { toImportedWorkout } from '../../lib/workoutFiles';
+
+const FIXTURES = path.join(__dirname, '../fixtures/workoutFiles');
+
+function fixture(name: string): Uint8Array {
+  return new Uint8Array(fs.readFileSync(path.join(FIXTURES, name)));
+}
+
+describe('decodeFit', () => {
+  it('reads compressed timestamps, developer fields and big-endian messages', () => {
+    const messages = decodeFit(fixture('run.fit'));
+    const records = messages.filter((m) => m.mesgNum === 20);
+    expect(records).toHaveLength(120);
+    // Records 2-60 use compressed timestamp headers and still count up by a second
+    expect(records.slice(0, 60).map((r) => r.fields[253])).toEqual(
+      Array.from({ length: 60 }, (_, i) => (records[0].fields[253] as number) + i)
+    );
+    const session = messages.find((m) => m.mesgNum === 18);
+    expect(session?.fields[5]).toBe(1);
+    expect(session?.fields[9]).toBe(35400);
+  });
+
+  it('rejects files that are not FIT', () => {
+    expect(() => decodeFit(new TextEncoder().encode('<gpx version="1.1"></gpx>'))).toThrow('not a FIT file');
+  });
+
+  it('rejects files that fail the CRC', () => {
+    const bytes = fixture('run.fit');
+    bytes[40] ^= 0xff;
+    expect(() => decodeFit(bytes)).toThrow('damaged');
+  });
+
+  it('rejects truncated files', () => {
+    expect(() => decodeFit(fixture('run.fit').slice(0, 200))).toThrow('damaged');
+  });
+});
+
+describe('parseFIT', () => {
+  it('maps a GPS run with a pause onto laps and segments', () => {
+    const [run] = parseFIT(fixture('run.fit'));
+    expect(run).toEqual(expect.objectContaining({
+      sport: 'running',
+      startTime: Date.UTC(2024, 8, 30, 8, 40),
+      durationSeconds: 120,
+      distanceM: 354,
+      calories: 31,
+      averageHeartRate: 145,
+      maxHeartRate: 149,
+    }));
+    expect(run.laps.map((lap) => [lap.durationSeconds, lap.distanceM, lap.calories])).toEqual([
+      [60, 177, 15],
+      [60, 177, 16],
+    ]);
+    expect(run.samples).toHaveLength(120);
+    expect(run.samples[0]).toEqual(expect.objectContaining({ elevation: 100, heartRate: 140, segment: 0 }));
+    expect(run.samples[0].lat).toBeCloseTo(51.5, 6);
+    expect(run.samples[0].lon).toBeCloseTo(-0.12, 6);
+    // The timer stop at 60 s starts a new segment
+    expect(run.samples[59].segment).toBe(0);
+    expect(run.samples[60].segment).toBe(1);
+  });
+
+  it('maps strength sets onto exercises in lbs, skipping rest sets', () => {
+    const [workout] = parseFIT(fixture('strength.fit'));
+    expect(workout.name).toBe('Push Day');
+    expect(workout.calories).toBe(210);
+    expect(workout.exercises).toEqual([
+      {
+        name: 'Bench Press',
+        sets: [{ weight: 132.3, reps: 8 }, { weight: 132.3, reps: 8 }, { weight: 137.8, reps: 6 }],
+      },
+      { name: 'Shoulder Press', sets: [{ weight: 66.1, reps: 10 }, { weight: 66.1, reps: 10 }] },
+    ]);
+  });
+
+  it('produces workout history entries', () => {
+    const [run] = parseFIT(fixture('run.fit'));
+    const entry = toImportedWorkout(run);
+    expect(entry).toEqual(expect.objectContaining({
+      name: 'Run',
+      type: 'cardio',
+      duration: 2,
+      calories: 31,
+      date: '2024-09-30T08:42:00.000Z',
+    }));
+    expect(entry.route?.distanceM).toBeGreaterThan(340);
+    expect(entry.route?.points.length).toBeLessThan(run.samples.length);
+    expect(entry.hrSamples).toHaveLength(120);
+
+    const [strength] = parseFIT(fixture('strength.fit'));
+    expect(toImportedWorkout(strength)).toEqual(expect.objectContaining({ type: 'strength', duration: 29 }));
+  });
+});
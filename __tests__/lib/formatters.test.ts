@@ -0,0 +1,148 @@
+import i18next from 'i18next';
+import en from '../../locales/en.json';
+import {
+  formatNumber,
+  formatDecimal,
+  formatCalories,
+  formatDistance,
+  formatVolume,
+  formatDuration,
+  formatRelativeTime,
+  formatCompactNumber,
+  formatCurrency,
+  formatPercentage,
+  getLocale,
+  getDeviceUnitSystem,
+  getWeekdayLabels,
+} from '../../lib/formatters';
+
+const mockDeviceLocale = {
+  languageCode: 'en',
+  languageTag: 'en-US',
+  measurementSystem: 'us' as string | null,
+};
+
+jest.mock('expo-localization', () => ({
+  getLocales: () => [mockDeviceLocale],
+}));
+
+beforeAll(async () => {
+  await i18next.init({
+    lng: 'en',
+    fallbackLng: 'en',
+    compatibilityJSON: 'v4',
+    resources: { en: { translation: en } },
+    interpolation: { escapeValue: false },
+    showSupportNotice: false,
+  });
+});
+
+afterEach(async () => {
+  mockDeviceLocale.languageCode = 'en';
+  mockDeviceLocale.languageTag = 'en-US';
+  mockDeviceLocale.measurementSystem = 'us';
+  await i18next.changeLanguage('en');
+});
+
+describe('getLocale', () => {
+  it('keeps the device region when it matches the active language', () => {
+    mockDeviceLocale.languageTag = 'en-GB';
+    expect(getLocale()).toBe('en-GB');
+  });
+
+  it('falls back to the default region for other languages', async () => {
+    await i18next.changeLanguage('de');
+    expect(getLocale()).toBe('de-DE');
+  });
+});
+
+describe('getDeviceUnitSystem', () => {
+  it('treats US and UK measurement systems as imperial', () => {
+    expect(getDeviceUnitSystem()).toBe('imperial');
+    mockDeviceLocale.measurementSystem = 'uk';
+    expect(getDeviceUnitSystem()).toBe('imperial');
+  });
+
+  it('defaults to metric', () => {
+    mockDeviceLocale.measurementSystem = 'metric';
+    expect(getDeviceUnitSystem()).toBe('metric');
+    mockDeviceLocale.measurementSystem = null;
+    expect(getDeviceUnitSystem()).toBe('metric');
+  });
+});
+
+describe('number formatting', () => {
+  it('groups thousands for the active locale', async () => {
+    expect(formatNumber(12345)).toBe('12,345');
+    await i18next.changeLanguage('de');
+    expect(formatNumber(12345)).toBe('12.345');
+  });
+
+  it('drops trailing zeros in formatDecimal', async () => {
+    expect(formatDecimal(2.5)).toBe('2.5');
+    expect(formatDecimal(2)).toBe('2');
+    await i18next.changeLanguage('fr');
+    expect(formatDecimal(2.5)).toBe('2,5');
+  });
+
+  it('rounds calories and appends the translated unit', () => {
+    expect(formatCalories(1849.6)).toBe('1,850 kcal');
+  });
+
+  it('formats percentages from whole numbers', () => {
+    expect(formatPercentage(42)).toBe('42%');
+  });
+
+  it('abbreviates large counts', () => {
+    expect(formatCompactNumber(1234)).toBe('1.2K');
+    expect(formatCompactNumber(987)).toBe('987');
+  });
+
+  it('formats currency for the active locale', async () => {
+    expect(formatCurrency(9.99)).toBe('$9.99');
+    await i18next.changeLanguage('de');
+    expect(formatCurrency(9.99, 'EUR')).toMatch(/^9,99\s€$/);
+  });
+});
+
+describe('unit formatting', () => {
+  it('formats distance in miles for imperial', () => {
+    expect(formatDistance(5, 'imperial')).toBe('3.11 mi');
+  });
+
+  it('formats distance in km or metres for metric', () => {
+    expect(formatDistance(5, 'metric')).toBe('5 km');
+    expect(formatDistance(0.4, 'metric')).toBe('400 m');
+  });
+
+  it('uses the device unit system by default', () => {
+    expect(formatVolume(500)).toBe('16.9 fl oz');
+    mockDeviceLocale.measurementSystem = 'metric';
+    expect(formatVolume(500)).toBe('500 ml');
+  });
+});
+
+describe('time formatting', () => {
+  it('formats durations in hours and minutes', () => {
+    expect(formatDuration(45)).toBe('45m');
+    expect(formatDuration(120)).toBe('2h');
+    expect(formatDuration(95)).toBe('1h 35m');
+  });
+
+  it('formats relative times from the translation catalogue', () => {
+    const now = new Date('2024-06-15T12:00:00Z');
+    const ago = (minutes: number) => new Date(now.getTime() - minutes * 60000);
+    expect(formatRelativeTime(ago(0), now)).toBe('Just now');
+    expect(formatRelativeTime(ago(5), now)).toBe('5m ago');
+    expect(formatRelativeTime(ago(180), now)).toBe('3h ago');
+    expect(formatRelativeTime(ago(60 * 24 * 2), now)).toBe('2d ago');
+    expect(formatRelativeTime(ago(60 * 24 * 14), now)).toBe('2w ago');
+  });
+
+  it('returns localised weekday labels starting on the requested day', async () => {
+    expect(getWeekdayLabels()).toEqual(['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']);
+    expect(getWeekdayLabels('narrow', 0)[0]).toBe('S');
+    await i18next.changeLanguage('es');
+    expect(getWeekdayLabels('long')[0]).toBe('lunes');
+  });
+});
@@ -0,0 +1,274 @@
+import {
+  DEFAULT_SOURCE_PRIORITY,
+  applySourcePriority,
+  dedupeWorkouts,
+  mergeHealthSources,
+  nativeRecord,
+  orderSources,
+  promoteSource,
+  sanitizeSourcePriority,
+  workoutsOverlap,
+} from '../../lib/healthSources';
+import type { HealthSourceRecord, SourcedWorkout } from '../../lib/healthSources';
+import type { HealthSnapshot } from '../../services/healthService';
+import type { NormalizedHealthData } from '../../services/wearableIntegrations';
+
+function workout(source: SourcedWorkout['source'], startTime: string, durationMinutes: number): SourcedWorkout {
+  return {
+    source,
+    id: `${source}-${startTime}`,
+    sport: 'running',
+    name: null,
+    startTime,
+    durationMinutes,
+    distanceKm: null,
+    calories: null,
+    averageHeartRate: null,
+    maxHeartRate: null,
+  };
+}
+
+function record(source: HealthSourceRecord['source'], values: HealthSourceRecord['values'], workouts: SourcedWorkout[] = []): HealthSourceRecord {
+  return { source, values, workouts };
+}
+
+const SNAPSHOT: HealthSnapshot = {
+  date: '2026-03-12',
+  steps: 9000,
+  activeCalories: 450,
+  restingCalories: 1700,
+  restingHR: 58,
+  hrv: 40,
+  sleepMinutes: 420,
+  deepSleepMinutes: 0,
+  remSleepMinutes: 0,
+  lightSleepMinutes: 0,
+  vo2Max: 48,
+  spo2: null,
+  respiratoryRate: null,
+  bodyWeight: 74.2,
+  distance: 7000,
+  flightsClimbed: 8,
+  bodyTemperature: null,
+  recoveryScore: null,
+  strainScore: null,
+  hourlySteps: [],
+  hrSamples: [],
+  workouts: [{
+    type: 'Running',
+    startDate: '2026-03-12T12:05:00.000Z',
+    endDate: '2026-03-12T12:49:00.000Z',
+    durationMinutes: 44,
+    activeCalories: 480,
+    totalCalories: 560,
+    averageHeartRate: 150,
+    maxHeartRate: 171,
+    distance: 8010,
+    source: 'apple_health',
+  }],
+  source: 'apple_health',
+  isSimulated: false,
+  syncedAt: '2026-03-12T15:00:00.000Z',
+};
+
+function wearable(provider: NormalizedHealthData['provider'], overrides: Partial<NormalizedHealthData>): NormalizedHealthData {
+  return {
+    provider,
+    timestamp: '2026-03-12T14:00:00.000Z',
+    steps: null,
+    restingHeartRate: null,
+    averageHeartRate: null,
+    hrv: null,
+    sleepMinutes: null,
+    deepSleepMinutes: null,
+    remSleepMinutes: null,
+    lightSleepMinutes: null,
+    weightKg: null,
+    bodyFatPercent: null,
+    muscleMassKg: null,
+    boneMassKg: null,
+    bmi: null,
+    systolicBP: null,
+    diastolicBP: null,
+    activeCalories: null,
+    recoveryScore: null,
+    strainScore: null,
+    readinessScore: null,
+    spo2: null,
+    respiratoryRate: null,
+    workouts: [],
+    ...overrides,
+  };
+}
+
+describe('workoutsOverlap', () => {
+  it('matches sessions starting a few minutes apart', () => {
+    expect(workoutsOverlap(
+      workout('garmin', '2026-03-12T12:00:00Z', 40),
+      workout('strava', '2026-03-12T12:04:00Z', 10),
+    )).toBe(true);
+  });
+
+  it('matches when most of the shorter session overlaps', () => {
+    expect(workoutsOverlap(
+      workout('native', '2026-03-12T12:00:00Z', 60),
+      workout('oura', '2026-03-12T12:30:00Z', 20),
+    )).toBe(true);
+  });
+
+  it('keeps back-to-back sessions apart', () => {
+    expect(workoutsOverlap(
+      workout('garmin', '2026-03-12T12:00:00Z', 30),
+      workout('garmin', '2026-03-12T12:25:00Z', 30),
+    )).toBe(false);
+  });
+});
+
+describe('dedupeWorkouts', () => {
+  it('keeps the copy from the preferred source and notes the others', () => {
+    const merged = dedupeWorkouts([
+      workout('strava', '2026-03-12T12:04:00Z', 44),
+      workout('polar', '2026-03-12T12:04:11Z', 44),
+      workout('oura', '2026-03-12T12:03:00Z', 45),
+      workout('strava', '2026-03-10T17:31:00Z', 73),
+    ], ['polar', 'strava', 'oura']);
+
+    expect(merged.map((w) => [w.source, w.alsoRecordedBy])).toEqual([
+      ['polar', ['strava', 'oura']],
+      ['strava', []],
+    ]);
+  });
+});
+
+describe('mergeHealthSources', () => {
+  it('takes each field from the first source in the metric order that has it', () => {
+    const { values, provenance } = mergeHealthSources([
+      record('native', { steps: 9000, restingHeartRate: 58, hrv: 40 }),
+      record('oura', { steps: 11482, restingHeartRate: 47, hrv: null }),
+    ], {
+      ...DEFAULT_SOURCE_PRIORITY,
+      steps: ['native', 'oura'],
+      heartRate: ['oura', 'native'],
+      hrv: ['oura', 'native'],
+    });
+
+    expect(values.steps).toBe(9000);
+    expect(values.restingHeartRate).toBe(47);
+    // Oura had no HRV, so the next source fills it
+    expect(values.hrv).toBe(40);
+    expect(provenance).toEqual({ steps: 'native', restingHeartRate: 'oura', hrv: 'native' });
+  });
+
+  it('takes all of sleep from one source', () => {
+    const { values, provenance } = mergeHealthSources([
+      record('native', { sleepMinutes: 420, deepSleepMinutes: null }),
+      record('polar', { sleepMinutes: 427, deepSleepMinutes: 84, remSleepMinutes: 105, lightSleepMinutes: 231 }),
+    ], { ...DEFAULT_SOURCE_PRIORITY, sleep: ['native', 'polar'] });
+
+    expect(values.sleepMinutes).toBe(420);
+    expect(values.deepSleepMinutes).toBeNull();
+    expect(provenance.sleepMinutes).toBe('native');
+    expect(provenance.deepSleepMinutes).toBeUndefined();
+  });
+
+  it('ranks sources missing from the configured order last', () => {
+    expect(orderSources({ ...DEFAULT_SOURCE_PRIORITY, steps: ['fitbit', 'native'] }, 'steps', ['strava', 'native']))
+      .toEqual(['native', 'strava']);
+  });
+});
+
+describe('source priority settings', () => {
+  it('moves a promoted source to the front', () => {
+    const priority = promoteSource(DEFAULT_SOURCE_PRIORITY, 'sleep', 'native');
+    expect(priority.sleep[0]).toBe('native');
+    expect(priority.sleep.filter((s) => s === 'native')).toHaveLength(1);
+    expect(priority.steps).toBe(DEFAULT_SOURCE_PRIORITY.steps);
+  });
+
+  it('fills missing metrics with defaults and ignores junk', () => {
+    const priority = sanitizeSourcePriority({ sleep: ['polar', 'polar', 'oura'], steps: 'native', bogus: ['x'] });
+    expect(priority.sleep).toEqual(['polar', 'oura']);
+    expect(priority.steps).toEqual(DEFAULT_SOURCE_PRIORITY.steps);
+    expect(priority).not.toHaveProperty('bogus');
+    expect(sanitizeSourcePriority(null)).toEqual(DEFAULT_SOURCE_PRIORITY);
+  });
+});
+
+describe('nativeRecord', () => {
+  it('treats zero counters and missing sleep stages as no data', () => {
+    const { values } = nativeRecord({ ...SNAPSHOT, steps: 0 });
+    expect(values.steps).toBeNull();
+    expect(values.sleepMinutes).toBe(420);
+    expect(values.deepSleepMinutes).toBeNull();
+  });
+});
+
+describe('applySourcePriority', () => {
+  const oura = wearable('oura', {
+    steps: 11482,
+    restingHeartRate: 47,
+    sleepMinutes: 441,
+    deepSleepMinutes: 89,
+    remSleepMinutes: 104,
+    lightSleepMinutes: 249,
+    workouts: [
+      {
+        provider: 'oura',
+        id: 'run',
+        sport: 'running',
+        name: 'Trail loop',
+        startTime: '2026-03-12T12:04:00.000Z',
+        durationMinutes: 44,
+        distanceKm: 7.95,
+        calories: 498,
+        averageHeartRate: null,
+        maxHeartRate: null,
+      },
+      {
+        provider: 'oura',
+        id: 'old-ride',
+        sport: 'cycling',
+        name: null,
+        startTime: '2026-03-10T17:31:00.000Z',
+        durationMinutes: 73,
+        distanceKm: 32.1,
+        calories: 540,
+        averageHeartRate: null,
+        maxHeartRate: null,
+      },
+    ],
+  });
+
+  it('applies the priority and records provenance on the snapshot', () => {
+    const snap = applySourcePriority(SNAPSHOT, [oura]);
+
+    expect(snap.steps).toBe(9000);
+    expect(snap.sleepMinutes).toBe(441);
+    expect(snap.deepSleepMinutes).toBe(89);
+    expect(snap.restingHR).toBe(47);
+    expect(snap.provenance).toEqual(expect.objectContaining({
+      steps: 'native',
+      sleepMinutes: 'oura',
+      restingHeartRate: 'oura',
+      hrv: 'native',
+      weightKg: 'native',
+    }));
+  });
+
+  it('collapses the shared run and leaves out older wearable workouts', () => {
+    const snap = applySourcePriority(SNAPSHOT, [oura]);
+
+    expect(snap.workouts).toHaveLength(1);
+    expect(snap.workouts[0]).toEqual(expect.objectContaining({ source: 'native', distance: 8010 }));
+  });
+
+  it('never lets simulated data outrank a wearable', () => {
+    const snap = applySourcePriority({ ...SNAPSHOT, isSimulated: true }, [oura]);
+
+    expect(snap.steps).toBe(11482);
+    expect(snap.provenance?.steps).toBe('oura');
+    // Nothing real reported HRV, so the simulated value stays unattributed
+    expect(snap.hrv).toBe(40);
+    expect(snap.provenance?.hrv).toBeUndefined();
+  });
+});
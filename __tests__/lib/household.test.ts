@@ -0,0 +1,118 @@
+import {
+  formatInviteCode,
+  householdWeekStart,
+  isValidInviteCode,
+  normalizeInviteCode,
+  splitMealPortions,
+  toHouseholdRecipe,
+  toHouseholdRecipeRow,
+} from '../../lib/household';
+import type { FoodItem } from '../../types';
+
+describe('invite codes', () => {
+  it('normalizes typed codes and rejects ambiguous characters', () => {
+    expect(normalizeInviteCode(' abcd-efgh ')).toBe('ABCDEFGH');
+    expect(isValidInviteCode('abcd-efgh')).toBe(true);
+    expect(isValidInviteCode('ABCD0FGH')).toBe(false);
+    expect(isValidInviteCode('ABCDEFG')).toBe(false);
+  });
+
+  it('formats codes in two groups of four', () => {
+    expect(formatInviteCode('abcdefgh')).toBe('ABCD-EFGH');
+    expect(formatInviteCode('ABC')).toBe('ABC');
+  });
+});
+
+describe('householdWeekStart', () => {
+  it('keys a week by its Monday', () => {
+    expect(householdWeekStart(new Date(2026, 2, 12))).toBe('2026-03-09');
+    expect(householdWeekStart(new Date(2026, 2, 15))).toBe('2026-03-09');
+    expect(householdWeekStart(new Date(2026, 2, 16))).toBe('2026-03-16');
+  });
+});
+
+describe('splitMealPortions', () => {
+  const recipe = { servings: 4, totalMacros: { calories: 2000, protein: 150, carbs: 200, fat: 70 } };
+
+  it('gives each member their share of the batch', () => {
+    const portions = splitMealPortions(recipe, [
+      { memberId: 'a', servings: 1.5 },
+      { memberId: 'b', servings: 1 },
+      { memberId: 'c', servings: 0 },
+    ]);
+
+    expect(portions).toEqual([
+      { memberId: 'a', servings: 1.5, serving: '1.5 servings (1.5/4 recipe)', calories: 750, protein: 56.3, carbs: 75, fat: 26.3 },
+      { memberId: 'b', servings: 1, serving: '1 serving (1/4 recipe)', calories: 500, protein: 37.5, carbs: 50, fat: 17.5 },
+    ]);
+  });
+
+  it('keeps calories adding up to what was served despite rounding', () => {
+    const portions = splitMealPortions({ servings: 3, totalMacros: { calories: 1000, protein: 0, carbs: 0, fat: 0 } }, [
+      { memberId: 'a', servings: 1 },
+      { memberId: 'b', servings: 1 },
+      { memberId: 'c', servings: 1 },
+    ]);
+
+    expect(portions.map((portion) => portion.calories)).toEqual([333, 333, 334]);
+  });
+});
+
+describe('recipe box rows', () => {
+  const ingredient = {
+    id: 'i1',
+    name: 'Rice',
+    serving: '200 g',
+    calories: 260,
+    protein: 5,
+    carbs: 57,
+    fat: 1,
+    clientRequestId: 'private',
+    allergenOverride: true,
+  } as FoodItem;
+
+  it('shares only the fields the recipe box needs', () => {
+    const row = toHouseholdRecipeRow('h1', 'u1', {
+      name: ' Rice bowl ',
+      emoji: '🍚',
+      servings: 2,
+      ingredients: [ingredient],
+      cookedWeightGrams: 600,
+    });
+
+    expect(row).toEqual(expect.objectContaining({
+      household_id: 'h1',
+      shared_by: 'u1',
+      name: 'Rice bowl',
+      servings: 2,
+      total_macros: { calories: 260, protein: 5, carbs: 57, fat: 1 },
+      cooked_weight_grams: 600,
+    }));
+    expect(row.ingredients[0]).not.toHaveProperty('clientRequestId');
+    expect(row.ingredients[0]).not.toHaveProperty('allergenOverride');
+  });
+
+  it('reads rows back as loggable recipes with per-serving nutrition', () => {
+    const recipe = toHouseholdRecipe({
+      id: 'r1',
+      shared_by: 'u1',
+      name: 'Rice bowl',
+      emoji: null,
+      servings: 2,
+      ingredients: [ingredient],
+      total_macros: { calories: 801, protein: 40, carbs: 90, fat: 21 },
+      cooked_weight_grams: null,
+      created_at: '2026-03-10T08:00:00Z',
+    });
+
+    expect(recipe).toEqual(expect.objectContaining({
+      emoji: '🍲',
+      calories: 401,
+      protein: 20,
+      carbs: 45,
+      fat: 10.5,
+      cookedWeightGrams: null,
+      isRecipe: true,
+    }));
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Guards the translation catalogue:
+ * - every literal key passed to t() in app code exists in locales/en.json
+ * - other locales only contain keys that en.json defines, and translate all
+ *   of them
+ * - translations don't introduce interpolation placeholders the English
+ *   source doesn't pass
+ */
+import fs from 'fs';
+import path from 'path';
+
+const ROOT = path.resolve(__dirname, '../..');
+const SOURCE_DIRS = ['app', 'components', 'context', 'hooks', 'lib', 'services'];
+const SOURCE_EXTENSIONS = new Set(['.js', '.jsx', '.ts', '.tsx']);
+const LOCALES_DIR = path.join(ROOT, 'locales');
+// Locale metadata rather than UI strings
+const META_KEYS = new Set(['direction']);
+
+// t('key'), t("key"), i18next.t('key') and <Trans i18nKey="key" />
+const KEY_PATTERNS = [
+  /\bt\(\s*['"`]([A-Za-z0-9_.-]+)['"`]/g,
+  /i18nKey=["']([A-Za-z0-9_.-]+)["']/g,
+];
+// Keys kept in lookup tables (labelKey: 'settings.title') are resolved later
+// with t(item.labelKey), so any literal under a catalogue namespace counts
+const NAMESPACED_LITERAL = /['"]([a-z][A-Za-z0-9]*\.[A-Za-z0-9_.]+)['"]/g;
+
+type Catalogue = Record<string, unknown>;
+
+function listSourceFiles(dir: string): string[] {
+  const full = path.join(ROOT, dir);
+  if (!fs.existsSync(full)) return [];
+  return fs.readdirSync(full, { withFileTypes: true }).flatMap((entry) => {
+    const relative = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listSourceFiles(relative);
+    return SOURCE_EXTENSIONS.has(path.extname(entry.name)) ? [relative] : [];
+  });
+}
+
+function flatten(catalogue: Catalogue, prefix = ''): Record<string, string> {
+  return Object.entries(catalogue).reduce<Record<string, string>>((acc, [key, value]) => {
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object') {
+      Object.assign(acc, flatten(value as Catalogue, fullKey));
+    } else {
+      acc[fullKey] = String(value);
+    }
+    return acc;
+  }, {});
+}
+
+function loadLocale(file: string): Record<string, string> {
+  return flatten(JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8')));
+}
+
+/** Plural forms (count_one, count_other) resolve from their base key */
+function hasKey(catalogue: Record<string, string>, key: string): boolean {
+  if (key in catalogue) return true;
+  return ['zero', 'one', 'two', 'few', 'many', 'other'].some((form) => `${key}_${form}` in catalogue);
+}
+
+/** Strips the plural suffix so count_one and count_few compare as count */
+function baseKey(key: string): string {
+  return key.replace(/_(zero|one|two|few|many|other)$/, '');
+}
+
+function placeholders(value: string): string[] {
+  return [...value.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map((m) => m[1]);
+}
+
+const en = loadLocale('en.json');
+const namespaces = new Set(Object.keys(en).map((key) => key.split('.')[0]));
+
+function collectUsedKeys(): Map<string, string[]> {
+  const used = new Map<string, string[]>();
+  SOURCE_DIRS.flatMap(listSourceFiles).forEach((file) => {
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    const add = (key: string) => used.set(key, [...(used.get(key) || []), file]);
+    KEY_PATTERNS.forEach((pattern) => {
+      for (const match of source.matchAll(pattern)) {
+        const key = match[1];
+        // Only namespaced keys are catalogue lookups
+        if (!key.includes('.') || key.endsWith('.')) continue;
+        add(key);
+      }
+    });
+    for (const match of source.matchAll(NAMESPACED_LITERAL)) {
+      if (namespaces.has(match[1].split('.')[0])) add(match[1]);
+    }
+  });
+  return used;
+}
+
+describe('translation keys', () => {
+  const used = collectUsedKeys();
+
+  it('finds translated strings in the app', () => {
+    expect(used.size).toBeGreaterThan(0);
+  });
+
+  it('defines every key used in code in en.json', () => {
+    const missing = [...used.entries()]
+      .filter(([key]) => !hasKey(en, key))
+      .map(([key, files]) => `${key} (${[...new Set(files)].join(', ')})`);
+    expect(missing).toEqual([]);
+  });
+});
+
+describe('locale files', () => {
+  const localeFiles = fs.readdirSync(LOCALES_DIR).filter((file) => file.endsWith('.json') && file !== 'en.json');
+
+  it.each(localeFiles)('%s only uses keys from en.json', (file) => {
+    const locale = loadLocale(file);
+    const unknown = Object.keys(locale).filter((key) => !META_KEYS.has(key) && !(key in en) && !hasKey(en, baseKey(key)));
+    expect(unknown).toEqual([]);
+  });
+
+  // Plural forms differ per language, so any form of a plural key counts
+  it.each(localeFiles)('%s translates every key in en.json', (file) => {
+    const locale = loadLocale(file);
+    const missing = [...new Set(Object.keys(en).filter((key) => !META_KEYS.has(key)).map(baseKey))].filter(
+      (key) => !hasKey(locale, key),
+    );
+    expect(missing).toEqual([]);
+  });
+
+  it.each(localeFiles)('%s only interpolates values en.json provides', (file) => {
+    const locale = loadLocale(file);
+    const mismatched = Object.entries(locale)
+      .filter(([key, value]) => key in en && placeholders(value).some((name) => !placeholders(en[key]).includes(name)))
+      .map(([key]) => key);
+    expect(mismatched).toEqual([]);
+  });
+});
@@ -0,0 +1,119 @@
+import {
+  averageDailyMicronutrients,
+  combineIngredientMicronutrients,
+  estimateMicronutrients,
+  gramsToMicronutrientUnit,
+  normalizeMicronutrients,
+  scaleMicronutrients,
+  summarizeMicronutrients,
+  toDashboardIds,
+} from '../../lib/micronutrients';
+import { scaleIngredient, recipeServingFood } from '../../lib/recipeScaling';
+import type { FoodItem } from '../../types';
+
+describe('gramsToMicronutrientUnit', () => {
+  it('converts OpenFoodFacts grams to the schema unit', () => {
+    expect(gramsToMicronutrientUnit('sodium', 0.4)).toBe(400);
+    expect(gramsToMicronutrientUnit('vitaminD', 0.0000025)).toBe(2.5);
+    expect(gramsToMicronutrientUnit('fiber', 3.2)).toBe(3.2);
+  });
+});
+
+describe('normalizeMicronutrients', () => {
+  it('keeps known, valid values and drops everything else', () => {
+    expect(normalizeMicronutrients({ iron: '2.345', calcium: -1, vitC: 10, zinc: NaN })).toEqual({ iron: 2.35 });
+    expect(normalizeMicronutrients({ vitC: 10 })).toBeUndefined();
+    expect(normalizeMicronutrients(null)).toBeUndefined();
+  });
+});
+
+describe('estimateMicronutrients', () => {
+  it('scales the best matching reference profile by calories', () => {
+    const banana = estimateMicronutrients('Banana', 210);
+    expect(banana?.potassium).toBe(844);
+
+    // "sweet potato" is more specific than "potato"
+    expect(estimateMicronutrients('Baked sweet potato', 103)?.vitaminA).toBe(1096);
+    expect(estimateMicronutrients('Mystery bar', 200)).toBeUndefined();
+  });
+});
+
+describe('summarizeMicronutrients', () => {
+  it('prefers reported data, falls back to estimates and counts the rest as missing', () => {
+    const { intake, coverage } = summarizeMicronutrients([
+      { name: 'Cereal', calories: 300, micronutrients: { iron: 8, calcium: 100 } },
+      { name: 'Banana', calories: 105 },
+      { name: 'Mystery bar', calories: 95 },
+    ]);
+
+    expect(intake.iron).toBe(8);
+    expect(intake.potassium).toBe(422);
+    expect(coverage).toEqual(expect.objectContaining({
+      totalFoods: 3,
+      reportedFoods: 1,
+      estimatedFoods: 1,
+      missingFoods: 1,
+      calorieShare: 0.81,
+      reportedCalorieShare: 0.6,
+      level: 'partial',
+    }));
+    expect(coverage.byNutrient.iron).toBe(0.6);
+    expect(coverage.byNutrient.potassium).toBe(0.21);
+    expect(coverage.byNutrient.vitaminD).toBeUndefined();
+  });
+
+  it('reports no coverage for an empty day', () => {
+    const { intake, coverage } = summarizeMicronutrients([]);
+    expect(intake).toEqual({});
+    expect(coverage.level).toBe('none');
+    expect(coverage.calorieShare).toBe(0);
+  });
+});
+
+describe('averageDailyMicronutrients', () => {
+  it('averages over logged days only', () => {
+    const week = [
+      [{ name: 'Cereal', calories: 300, micronutrients: { iron: 8 } }],
+      [],
+      [{ name: 'Cereal', calories: 300, micronutrients: { iron: 4 } }],
+    ];
+    const result = averageDailyMicronutrients(week);
+    expect(result.daysLogged).toBe(2);
+    expect(result.intake.iron).toBe(6);
+    expect(result.coverage.level).toBe('complete');
+  });
+});
+
+describe('recipes', () => {
+  const oats = { name: 'Oats', calories: 300, micronutrients: { iron: 4, fiber: 8 }, micronutrientSource: 'reported' as const };
+  const milk = { name: 'Milk', calories: 150, micronutrients: { calcium: 300 } };
+
+  it('combines ingredient micronutrients per serving', () => {
+    expect(combineIngredientMicronutrients([oats, milk], 2)).toEqual({
+      micronutrients: { iron: 2, fiber: 4, calcium: 150 },
+      micronutrientSource: 'reported',
+    });
+  });
+
+  it('marks recipes with estimated or missing ingredients as estimated', () => {
+    expect(combineIngredientMicronutrients([oats, { name: 'Banana', calories: 105 }]).micronutrientSource).toBe('estimated');
+    expect(combineIngredientMicronutrients([oats, { name: 'Mystery', calories: 50 }]).micronutrientSource).toBe('estimated');
+    expect(combineIngredientMicronutrients([{ name: 'Mystery', calories: 50 }])).toEqual({});
+  });
+
+  it('scales micronutrients with the ingredient and derives them for older recipes', () => {
+    const ingredient = { id: 1, serving: '100 g', protein: 10, carbs: 50, fat: 5, ...oats } as FoodItem;
+    expect(scaleIngredient(ingredient, 1.5).micronutrients).toEqual({ iron: 6, fiber: 12 });
+
+    const food = recipeServingFood({ servings: 2, ingredients: [ingredient] });
+    expect(food.micronutrients).toEqual({ iron: 2, fiber: 4 });
+  });
+});
+
+describe('scaleMicronutrients / toDashboardIds', () => {
+  it('scales values and maps vitamin keys to dashboard ids', () => {
+    expect(scaleMicronutrients({ vitaminB12: 1.2, iron: 3 }, 0.5)).toEqual({ vitaminB12: 0.6, iron: 1.5 });
+    expect(scaleMicronutrients(undefined, 2)).toBeUndefined();
+    expect(toDashboardIds({ vitaminB12: 1, iron: 2 })).toEqual({ vitB12: 1, iron: 2 });
+  });
+});
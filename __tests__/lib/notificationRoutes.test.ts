@@ -33,4 +33,29 @@ describe('notificationRoutes', () => {
       params: { meal: 'breakfast', source: 'meal_reminder' },
     });
   });
+
+  it('routes server social pushes to the screen for the event', () => {
+    expect(
+      getRouteForNotificationData({ type: 'social-notification', event: 'post_comment', postId: 'post-1' })
+    ).toEqual({ pathname: '/social-feed', params: { postId: 'post-1', source: 'push' } });
+    expect(
+      getRouteForNotificationData({ type: 'friend-challenge', challengeId: 'fc-1' })
+    ).toEqual({ pathname: '/friends', params: { challengeId: 'fc-1', source: 'push' } });
+    expect(
+      getRouteForNotificationData({ type: 'challenge-complete', challengeId: 'ch-1' })
+    ).toEqual({ pathname: '/community-challenges', params: { challengeId: 'ch-1', source: 'push' } });
+    expect(
+      getRouteForNotificationData({ type: 'group-reply', groupId: 'g-1', threadId: 't-1' })
+    ).toEqual({ pathname: '/groups', params: { groupId: 'g-1', threadId: 't-1', source: 'push' } });
+  });
+
+  it('opens the weekly report from the digest reminder', () => {
+    expect(getRouteForNotificationData({ type: 'weekly-digest' })).toBe('/weekly-report');
+  });
+
+  it('keeps local social notifications on the feed', () => {
+    expect(getRouteForNotificationData({ type: 'social-notification' })).toBe('/social-feed');
+    expect(getRouteForNotificationData({ type: 'social-post_reaction', postId: null })).toBe('/social-feed');
+    expect(getRouteForNotificationData({ type: 'unknown-type' })).toBeNull();
+  });
 });
@@ -0,0 +1,96 @@
+import {
+  addMinutesToTime,
+  deferOutOfQuietHours,
+  getNotificationCategory,
+  getWaterReminderTimes,
+  isQuietTime,
+  shiftOutOfQuietHours,
+  type QuietHours,
+} from '../../lib/notificationSchedule';
+
+const overnight: QuietHours = {
+  enabled: true,
+  start: { hour: 22, minute: 0 },
+  end: { hour: 7, minute: 0 },
+};
+
+describe('notification categories', () => {
+  it('maps notification types to the setting that controls them', () => {
+    expect(getNotificationCategory('meal-reminder')).toBe('meals');
+    expect(getNotificationCategory('water-reminder')).toBe('water');
+    expect(getNotificationCategory('fasting-alert')).toBe('fasting');
+    expect(getNotificationCategory('activation-reminder')).toBe('streak');
+    expect(getNotificationCategory('morning-briefing')).toBe('coaching');
+    expect(getNotificationCategory('weekly-digest')).toBe('digest');
+    expect(getNotificationCategory('group-reply')).toBe('social');
+    expect(getNotificationCategory('social-post_reaction')).toBe('social');
+  });
+
+  it('returns null for unknown or missing types', () => {
+    expect(getNotificationCategory('something-else')).toBeNull();
+    expect(getNotificationCategory(undefined)).toBeNull();
+  });
+});
+
+describe('quiet hours', () => {
+  it('handles windows that wrap past midnight', () => {
+    expect(isQuietTime({ hour: 23, minute: 30 }, overnight)).toBe(true);
+    expect(isQuietTime({ hour: 6, minute: 59 }, overnight)).toBe(true);
+    expect(isQuietTime({ hour: 7, minute: 0 }, overnight)).toBe(false);
+    expect(isQuietTime({ hour: 21, minute: 59 }, overnight)).toBe(false);
+  });
+
+  it('handles windows inside a day and ignores disabled or empty windows', () => {
+    const afternoon: QuietHours = { enabled: true, start: { hour: 13, minute: 0 }, end: { hour: 15, minute: 0 } };
+
+    expect(isQuietTime({ hour: 14, minute: 0 }, afternoon)).toBe(true);
+    expect(isQuietTime({ hour: 15, minute: 0 }, afternoon)).toBe(false);
+    expect(isQuietTime({ hour: 23, minute: 0 }, { ...overnight, enabled: false })).toBe(false);
+    expect(isQuietTime({ hour: 9, minute: 0 }, { enabled: true, start: { hour: 9, minute: 0 }, end: { hour: 9, minute: 0 } }))
+      .toBe(false);
+  });
+
+  it('moves daily reminder times to the end of quiet hours', () => {
+    expect(shiftOutOfQuietHours({ hour: 6, minute: 30 }, overnight)).toEqual({ hour: 7, minute: 0 });
+    expect(shiftOutOfQuietHours({ hour: 8, minute: 0 }, overnight)).toEqual({ hour: 8, minute: 0 });
+  });
+
+  it('defers one-off dates to the next end of quiet hours', () => {
+    const lateNight = new Date(2026, 2, 10, 23, 15);
+    const earlyMorning = new Date(2026, 2, 11, 5, 0);
+    const afternoon = new Date(2026, 2, 10, 15, 0);
+
+    expect(deferOutOfQuietHours(lateNight, overnight)).toEqual(new Date(2026, 2, 11, 7, 0));
+    expect(deferOutOfQuietHours(earlyMorning, overnight)).toEqual(new Date(2026, 2, 11, 7, 0));
+    expect(deferOutOfQuietHours(afternoon, overnight)).toBe(afternoon);
+  });
+});
+
+describe('getWaterReminderTimes', () => {
+  it('spaces reminders across the window and drops quiet ones', () => {
+    const times = getWaterReminderTimes({ hour: 6, minute: 0 }, { hour: 22, minute: 0 }, 4, overnight);
+
+    expect(times).toEqual([
+      { hour: 10, minute: 0 },
+      { hour: 14, minute: 0 },
+      { hour: 18, minute: 0 },
+    ]);
+  });
+
+  it('supports fractional intervals', () => {
+    const times = getWaterReminderTimes({ hour: 8, minute: 0 }, { hour: 11, minute: 0 }, 1.5, overnight);
+
+    expect(times).toEqual([
+      { hour: 8, minute: 0 },
+      { hour: 9, minute: 30 },
+      { hour: 11, minute: 0 },
+    ]);
+  });
+});
+
+describe('addMinutesToTime', () => {
+  it('wraps around midnight in both directions', () => {
+    expect(addMinutesToTime({ hour: 23, minute: 30 }, 45)).toEqual({ hour: 0, minute: 15 });
+    expect(addMinutesToTime({ hour: 0, minute: 0 }, -30)).toEqual({ hour: 23, minute: 30 });
+  });
+});
@@ -0,0 +1,78 @@
+import { convertLabelAmount, parseNutritionLabelScan } from '../../lib/nutritionLabel';
+
+describe('convertLabelAmount', () => {
+  it('converts printed units to the schema unit', () => {
+    expect(convertLabelAmount('sodium', 0.45, 'g')).toBe(450);
+    expect(convertLabelAmount('vitaminD', 2, 'µg')).toBe(2);
+    expect(convertLabelAmount('fiber', 3000, 'mg')).toBe(3);
+  });
+
+  it('converts % daily value and IU where a reference exists', () => {
+    expect(convertLabelAmount('calcium', 10, '%')).toBe(130);
+    expect(convertLabelAmount('vitaminD', 400, 'IU')).toBe(10);
+    expect(convertLabelAmount('sugar', 10, '%')).toBeNull();
+    expect(convertLabelAmount('iron', 10, 'iu')).toBeNull();
+    expect(convertLabelAmount('iron', 10, 'oz')).toBeNull();
+  });
+});
+
+describe('parseNutritionLabelScan', () => {
+  const raw = {
+    productName: ' Oat Crunch ',
+    servingSize: '2/3 cup (55g)',
+    servingGrams: 55,
+    servingConfidence: 'high',
+    calories: { value: 220, confidence: 'high' },
+    protein: { value: 5, confidence: 'high' },
+    carbs: { value: 40.5, confidence: 'medium' },
+    fat: { value: 4.5, confidence: 'high' },
+    nutrients: [
+      { key: 'sodium', amount: 160, unit: 'mg', confidence: 'high' },
+      { key: 'iron', amount: 20, unit: '%', confidence: 'low' },
+      { key: 'caffeine', amount: 5, unit: 'mg', confidence: 'high' },
+      { key: 'sugar', amount: null, unit: 'g' },
+    ],
+  };
+
+  it('maps values, micronutrients and confidence', () => {
+    const scan = parseNutritionLabelScan(raw);
+
+    expect(scan).toEqual(expect.objectContaining({
+      name: 'Oat Crunch',
+      serving: '2/3 cup (55g)',
+      servingGrams: 55,
+      calories: 220,
+      carbs: 40.5,
+      micronutrients: { sodium: 160, iron: 3.6 },
+    }));
+    expect(scan.confidence).toEqual({
+      serving: 'high',
+      calories: 'high',
+      protein: 'high',
+      carbs: 'medium',
+      fat: 'high',
+      sodium: 'high',
+      iron: 'low',
+    });
+    expect(scan.needsReview).toEqual(['iron']);
+  });
+
+  it('flags calories that disagree with the macros', () => {
+    const scan = parseNutritionLabelScan({ ...raw, calories: { value: 120, confidence: 'high' } });
+
+    expect(scan.confidence.calories).toBe('low');
+    expect(scan.confidence.protein).toBe('medium');
+    expect(scan.confidence.carbs).toBe('medium');
+    expect(scan.needsReview).toEqual(['calories', 'iron']);
+  });
+
+  it('leaves unread fields empty and defaults unknown confidence to medium', () => {
+    const scan = parseNutritionLabelScan({ calories: { value: 90, confidence: 'sure' } });
+
+    expect(scan.calories).toBe(90);
+    expect(scan.confidence).toEqual({ calories: 'medium' });
+    expect(scan.protein).toBeUndefined();
+    expect(scan.micronutrients).toBeUndefined();
+    expect(scan.needsReview).toEqual([]);
+  });
+});
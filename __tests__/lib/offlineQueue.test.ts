@@ -0,0 +1,156 @@
+import {
+  coalesceOperation,
+  createQueuedOperation,
+  isBlockedByPendingInsert,
+  MAX_AGE_MS,
+  MAX_RETRIES,
+  normalizeQueuedOperation,
+  partitionForReview,
+  pendingTempIds,
+  requeueReviewItem,
+  rewriteTempIds,
+} from '../../lib/offlineQueue';
+import type { NewQueuedOperation, QueuedOperation } from '../../lib/offlineQueue';
+
+const NOW = new Date('2024-06-15T12:00:00Z');
+
+function op(partial: Partial<NewQueuedOperation> & Pick<NewQueuedOperation, 'type'>, queuedAt: Date = NOW): QueuedOperation {
+  return createQueuedOperation({ table: 'food_logs', payload: {}, ...partial }, queuedAt);
+}
+
+function queueOf(...ops: QueuedOperation[]): QueuedOperation[] {
+  return ops.reduce(coalesceOperation, [] as QueuedOperation[]);
+}
+
+describe('coalesceOperation', () => {
+  it('cancels an insert followed by a delete of the same tempId', () => {
+    const insert = op({ type: 'INSERT', payload: { name: 'Apple' }, tempId: 'temp-1' });
+    const other = op({ type: 'INSERT', payload: { name: 'Pear' }, tempId: 'temp-2' });
+    const remove = op({ type: 'DELETE', where: { id: 'temp-1', user_id: 'u1' } });
+
+    expect(queueOf(insert, other, remove)).toEqual([other]);
+  });
+
+  it('drops updates to a cancelled insert along with it', () => {
+    const insert = op({ type: 'INSERT', payload: { name: 'Apple' }, tempId: 'temp-1' });
+    const update = op({ type: 'UPDATE', payload: { calories: 80 }, where: { id: 'temp-1' } });
+    const remove = op({ type: 'DELETE', where: { id: 'temp-1' } });
+
+    // The update folds into the insert, then the delete cancels both
+    expect(queueOf(insert, update, remove)).toEqual([]);
+  });
+
+  it('folds an update of a pending insert into the insert payload', () => {
+    const insert = op({ type: 'INSERT', payload: { name: 'Apple', calories: 52 }, tempId: 'temp-1' });
+    const update = op({ type: 'UPDATE', payload: { calories: 95 }, where: { id: 'temp-1' } });
+
+    const queue = queueOf(insert, update);
+    expect(queue).toHaveLength(1);
+    expect(queue[0]).toMatchObject({ id: insert.id, type: 'INSERT', payload: { name: 'Apple', calories: 95 } });
+  });
+
+  it('merges consecutive updates to the same row', () => {
+    const first = op({ type: 'UPDATE', payload: { calories: 100 }, where: { id: 42 } });
+    const second = op({ type: 'UPDATE', payload: { protein: 10 }, where: { id: 42 } });
+
+    const queue = queueOf(first, second);
+    expect(queue).toHaveLength(1);
+    expect(queue[0].payload).toEqual({ calories: 100, protein: 10 });
+  });
+
+  it('drops pending updates when the row is deleted', () => {
+    const update = op({ type: 'UPDATE', payload: { calories: 100 }, where: { id: 42 } });
+    const remove = op({ type: 'DELETE', where: { id: 42 } });
+
+    expect(queueOf(update, remove)).toEqual([remove]);
+  });
+
+  it('keeps deletes of rows that already exist on the server', () => {
+    const insert = op({ type: 'INSERT', payload: { name: 'Apple' }, tempId: 'temp-1' });
+    const remove = op({ type: 'DELETE', where: { id: 99 } });
+
+    expect(queueOf(insert, remove)).toEqual([insert, remove]);
+  });
+
+  it('does not coalesce across tables', () => {
+    const insert = op({ type: 'INSERT', payload: { name: 'Run' }, tempId: 'temp-1', table: 'workouts' });
+    const remove = op({ type: 'DELETE', where: { id: 'temp-1' } });
+
+    expect(queueOf(insert, remove)).toEqual([insert, remove]);
+  });
+
+  it('keeps only the latest upsert for the same conflict key', () => {
+    const base = { table: 'tracker_records', onConflict: 'user_id,store,record_id' };
+    const first = op({ ...base, type: 'UPSERT', payload: { user_id: 'u1', store: 'weight', record_id: '2024-06-14', payload: { w: 80 } } });
+    const other = op({ ...base, type: 'UPSERT', payload: { user_id: 'u1', store: 'sleep', record_id: '2024-06-14', payload: { h: 7 } } });
+    const second = op({ ...base, type: 'UPSERT', payload: { user_id: 'u1', store: 'weight', record_id: '2024-06-14', payload: { w: 79 } } });
+
+    expect(queueOf(first, other, second)).toEqual([other, second]);
+  });
+});
+
+describe('tempId dependencies', () => {
+  it('rewrites tempIds in filters and payloads once the insert has landed', () => {
+    const update = op({ type: 'UPDATE', payload: { parent_id: 'temp-1' }, where: { id: 'temp-2' } });
+
+    const rewritten = rewriteTempIds(update, { 'temp-1': 101, 'temp-2': 102 });
+    expect(rewritten.where).toEqual({ id: 102 });
+    expect(rewritten.payload).toEqual({ parent_id: 101 });
+    expect(update.where).toEqual({ id: 'temp-2' });
+  });
+
+  it('returns the same operation when nothing needs rewriting', () => {
+    const remove = op({ type: 'DELETE', where: { id: 7 } });
+    expect(rewriteTempIds(remove, { 'temp-1': 101 })).toBe(remove);
+  });
+
+  it('blocks operations whose parent insert is still pending', () => {
+    const insert = op({ type: 'INSERT', payload: { name: 'Apple' }, tempId: 'temp-1' });
+    const remove = op({ type: 'DELETE', where: { id: 'temp-1' } });
+    const unrelated = op({ type: 'DELETE', where: { id: 5 } });
+
+    const pending = pendingTempIds([insert]);
+    expect(isBlockedByPendingInsert(remove, pending)).toBe(true);
+    expect(isBlockedByPendingInsert(unrelated, pending)).toBe(false);
+    expect(isBlockedByPendingInsert(insert, pending)).toBe(false);
+  });
+});
+
+describe('partitionForReview', () => {
+  it('moves stale and repeatedly failing operations to review instead of dropping them', () => {
+    const fresh = op({ type: 'INSERT', payload: { name: 'Fresh' } });
+    const stale = op({ type: 'INSERT', payload: { name: 'Flight' } }, new Date(NOW.getTime() - MAX_AGE_MS - 1000));
+    const failing = { ...op({ type: 'INSERT', payload: { name: 'Broken' } }), retryCount: MAX_RETRIES };
+
+    const { active, review } = partitionForReview([fresh, stale, failing], NOW.getTime());
+    expect(active).toEqual([fresh]);
+    expect(review.map((item) => [item.operation.payload.name, item.reason])).toEqual([
+      ['Flight', 'stale'],
+      ['Broken', 'max_retries'],
+    ]);
+  });
+});
+
+describe('requeueReviewItem', () => {
+  it('resets age and retries and puts an insert ahead of its dependents', () => {
+    const insert = { ...op({ type: 'INSERT', payload: { name: 'Apple' }, tempId: 'temp-1' }), retryCount: MAX_RETRIES, lastError: 'timeout' };
+    const other = op({ type: 'INSERT', payload: { name: 'Pear' } });
+    const dependent = op({ type: 'DELETE', where: { id: 'temp-1' } });
+    const later = new Date(NOW.getTime() + 60000);
+
+    const queue = requeueReviewItem([other, dependent], { operation: insert, reason: 'max_retries', movedAt: NOW.toISOString() }, later);
+    expect(queue.map((entry) => entry.id)).toEqual([other.id, insert.id, dependent.id]);
+    expect(queue[1]).toMatchObject({ retryCount: 0, queuedAt: later.toISOString(), lastError: undefined });
+  });
+});
+
+describe('normalizeQueuedOperation', () => {
+  it('assigns ids and moves legacy delete filters out of the payload', () => {
+    const legacy = { table: 'food_logs', type: 'DELETE', payload: { id: 5, user_id: 'u1' }, queuedAt: NOW.toISOString() } as unknown as QueuedOperation;
+
+    const normalized = normalizeQueuedOperation(legacy);
+    expect(normalized.id).toEqual(expect.any(String));
+    expect(normalized.where).toEqual({ id: 5, user_id: 'u1' });
+    expect(normalized.payload).toEqual({});
+  });
+});
@@ -0,0 +1,175 @@
+import {
+  acceptRoutePoint,
+  currentPaceSeconds,
+  detectMovement,
+  estimateOutdoorCalories,
+  formatRoutePace,
+  simplifyRoute,
+  summarizeRoute,
+} from '../../lib/outdoorSession';
+import type { RoutePoint } from '../../lib/outdoorSession';
+
+const METRES_PER_DEG_LAT = (6371000 * Math.PI) / 180;
+
+/** Points heading due north, `stepM` metres and `stepS` seconds apart */
+function track(
+  count: number,
+  stepM: number,
+  stepS: number,
+  { from = 0, startAt = 0, segment = 0, climbPerStep = 0 } = {}
+): RoutePoint[] {
+  return Array.from({ length: count }, (_, i) => ({
+    lat: (from + i * stepM) / METRES_PER_DEG_LAT,
+    lon: 0,
+    elevation: 100 + i * climbPerStep,
+    timestamp: startAt + i * stepS * 1000,
+    segment,
+  }));
+}
+
+describe('acceptRoutePoint', () => {
+  const [a, b] = track(2, 5, 1);
+
+  it('keeps a normal fix', () => {
+    expect(acceptRoutePoint(a, b)).toBe(true);
+    expect(acceptRoutePoint(null, b)).toBe(true);
+  });
+
+  it('drops inaccurate fixes, repeated timestamps and jumps', () => {
+    expect(acceptRoutePoint(a, { ...b, accuracy: 50 })).toBe(false);
+    expect(acceptRoutePoint(a, { ...b, timestamp: a.timestamp })).toBe(false);
+    expect(acceptRoutePoint(a, { ...b, lat: 100 / METRES_PER_DEG_LAT })).toBe(false);
+  });
+
+  it('does not compare speed across a pause', () => {
+    expect(acceptRoutePoint(a, { ...b, lat: 1000 / METRES_PER_DEG_LAT, segment: 1 })).toBe(true);
+  });
+});
+
+describe('detectMovement', () => {
+  it('reads running pace as moving', () => {
+    const points = track(11, 3, 1);
+    expect(detectMovement(points, 'run', points[10].timestamp)).toBe('moving');
+  });
+
+  it('reads GPS jitter while standing as stopped', () => {
+    const points = track(11, 0, 1).map((p, i) => ({ ...p, lat: p.lat + ((i % 2) * 2) / METRES_PER_DEG_LAT }));
+    expect(detectMovement(points, 'run', points[10].timestamp)).toBe('stopped');
+  });
+
+  it('waits for enough fixes before deciding', () => {
+    const points = track(3, 0, 1);
+    expect(detectMovement(points, 'walk', points[2].timestamp)).toBe('unknown');
+  });
+
+  it('uses a lower threshold for walking than riding', () => {
+    const points = track(11, 1, 1);
+    expect(detectMovement(points, 'walk', points[10].timestamp)).toBe('moving');
+    expect(detectMovement(points, 'ride', points[10].timestamp)).toBe('stopped');
+  });
+});
+
+describe('summarizeRoute', () => {
+  it('splits a steady run into whole kilometres plus a partial', () => {
+    // 2.5 km at 5 m/s
+    const summary = summarizeRoute(track(501, 5, 1));
+    expect(summary.distanceM).toBe(2500);
+    expect(summary.movingSeconds).toBe(500);
+    expect(summary.avgPaceSeconds).toBe(200);
+    expect(summary.splits.map((s) => [s.distanceM, s.durationSeconds, s.partial])).toEqual([
+      [1000, 200, false],
+      [1000, 200, false],
+      [500, 100, true],
+    ]);
+    expect(summary.splits[0].paceSecondsPerUnit).toBe(200);
+  });
+
+  it('splits by mile for imperial users', () => {
+    const summary = summarizeRoute(track(501, 5, 1), 'imperial');
+    expect(summary.splits).toHaveLength(2);
+    expect(summary.splits[0]).toEqual(expect.objectContaining({ distanceM: 1609, partial: false }));
+    expect(summary.splits[1].partial).toBe(true);
+  });
+
+  it('leaves time and distance across a pause out', () => {
+    const before = track(11, 5, 1);
+    const after = track(11, 5, 1, { from: 2000, startAt: 600_000, segment: 1 });
+    const summary = summarizeRoute([...before, ...after]);
+    expect(summary.distanceM).toBe(100);
+    expect(summary.movingSeconds).toBe(20);
+  });
+
+  it('counts climbs past the noise threshold only', () => {
+    const climbing = summarizeRoute(track(21, 5, 1, { climbPerStep: 1 }));
+    expect(climbing.elevationGainM).toBe(18);
+
+    const wobbling = track(21, 5, 1).map((p, i) => ({ ...p, elevation: 100 + (i % 2) * 2 }));
+    expect(summarizeRoute(wobbling).elevationGainM).toBe(0);
+  });
+
+  it('returns zeros for an empty route', () => {
+    expect(summarizeRoute([])).toEqual({
+      distanceM: 0,
+      movingSeconds: 0,
+      elevationGainM: 0,
+      elevationLossM: 0,
+      avgPaceSeconds: 0,
+      splits: [],
+    });
+  });
+});
+
+describe('currentPaceSeconds', () => {
+  it('uses only the recent part of the current segment', () => {
+    const slow = track(61, 2, 1);
+    const fast = track(31, 5, 1, { from: 120, startAt: 61_000, segment: 1 });
+    expect(currentPaceSeconds([...slow, ...fast])).toBe(200);
+  });
+});
+
+describe('formatRoutePace', () => {
+  it('formats per km or per mile', () => {
+    expect(formatRoutePace(300)).toBe('5:00');
+    expect(formatRoutePace(299.7)).toBe('5:00');
+    expect(formatRoutePace(300, 'imperial')).toBe('8:03');
+  });
+});
+
+describe('estimateOutdoorCalories', () => {
+  const run = { distanceM: 10000, movingSeconds: 3600, elevationGainM: 0 };
+
+  it('uses the ACSM running equation', () => {
+    // 166.7 m/min -> VO2 36.8 ml/kg/min -> 10.5 MET for 60 min at 70 kg
+    expect(estimateOutdoorCalories('run', run, 70)).toBe(774);
+  });
+
+  it('adds effort for climbing', () => {
+    expect(estimateOutdoorCalories('run', { ...run, elevationGainM: 200 }, 70))
+      .toBeGreaterThan(estimateOutdoorCalories('run', run, 70));
+  });
+
+  it('uses speed bands for riding', () => {
+    // 20 km/h -> 8 MET
+    expect(estimateOutdoorCalories('ride', { distanceM: 20000, movingSeconds: 3600, elevationGainM: 0 }, 70)).toBe(588);
+  });
+
+  it('returns 0 without moving time', () => {
+    expect(estimateOutdoorCalories('walk', { distanceM: 0, movingSeconds: 0, elevationGainM: 0 }, 70)).toBe(0);
+  });
+});
+
+describe('simplifyRoute', () => {
+  it('drops points along a straight line but keeps corners and segment ends', () => {
+    const north = track(11, 10, 1);
+    const corner = north[10];
+    const east = Array.from({ length: 10 }, (_, i) => ({
+      ...corner,
+      lon: ((i + 1) * 10) / METRES_PER_DEG_LAT,
+      timestamp: corner.timestamp + (i + 1) * 1000,
+    }));
+    const resumed = track(5, 10, 1, { startAt: 100_000, segment: 1 });
+
+    const simplified = simplifyRoute([...north, ...east, ...resumed]);
+    expect(simplified).toEqual([north[0], corner, east[9], resumed[0], resumed[4]]);
+  });
+});
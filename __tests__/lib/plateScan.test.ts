@@ -0,0 +1,99 @@
+import {
+  clampPortionGrams,
+  createPlateItem,
+  pickPlateMatch,
+  plateItemNutrition,
+  plateItemPer100g,
+  plateItemToFood,
+  summarizePlate,
+} from '../../lib/plateScan';
+import type { ProductResult } from '../../services/openFoodFacts';
+import type { DetectedFoodItem } from '../../types';
+
+function product(name: string, calories: number, gramsPerServing: number, extra: Partial<ProductResult> = {}): ProductResult {
+  return {
+    barcode: name.toLowerCase().replace(/\s/g, '-'),
+    name,
+    brand: null,
+    image: null,
+    calories,
+    protein: 31,
+    carbs: 0,
+    fat: 3.6,
+    serving: `${gramsPerServing} g`,
+    servingSize: gramsPerServing,
+    servingUnit: 'g',
+    normalizedServing: {
+      original: `${gramsPerServing} g`,
+      gramsPerServing,
+      caloriesPer100g: (calories / gramsPerServing) * 100,
+      proteinPer100g: 0,
+      carbsPer100g: 0,
+      fatPer100g: 0,
+    },
+    ...extra,
+  };
+}
+
+const chicken: DetectedFoodItem = { name: 'grilled chicken breast', grams: 150, calories: 250, protein: 46, carbs: 0, fat: 5, confidence: 'high' };
+const rice: DetectedFoodItem = { name: 'white rice', grams: 180, calories: 230, protein: 4, carbs: 50, fat: 0, confidence: 'medium' };
+
+describe('pickPlateMatch', () => {
+  it('takes the first result with a plausible calorie density', () => {
+    const fried = product('Fried chicken', 300, 50); // 600 kcal/100g vs ~167 estimated
+    const breast = product('Chicken breast, grilled', 165, 100);
+
+    expect(pickPlateMatch(chicken, [fried, breast])?.name).toBe('Chicken breast, grilled');
+    expect(pickPlateMatch(chicken, [fried])).toBeNull();
+  });
+
+  it('skips results without a gram weight or calories', () => {
+    const noGrams = { ...product('Chicken', 165, 100), normalizedServing: undefined };
+    expect(pickPlateMatch(chicken, [noGrams, product('Chicken', 0, 100)])).toBeNull();
+  });
+});
+
+describe('plate items', () => {
+  const matched = createPlateItem(chicken, [product('Chicken breast, grilled', 165, 100, {
+    source: 'usda',
+    sourceLabel: 'USDA',
+    micronutrients: { iron: 1, potassium: 256 },
+  })], 0);
+  const estimated = createPlateItem(rice, [], 1);
+
+  it('scales matched database nutrition to the estimated grams', () => {
+    expect(matched.grams).toBe(150);
+    expect(plateItemNutrition(matched)).toEqual({ calories: 248, protein: 46.5, carbs: 0, fat: 5.4 });
+  });
+
+  it('falls back to the AI estimate and rescales it when the portion changes', () => {
+    expect(plateItemNutrition(estimated)).toEqual({ calories: 230, protein: 4, carbs: 50, fat: 0 });
+    expect(plateItemNutrition({ ...estimated, grams: 90 })).toEqual({ calories: 115, protein: 2, carbs: 25, fat: 0 });
+    expect(plateItemPer100g(estimated)).toEqual(expect.objectContaining({ servingSize: 100, calories: 128 }));
+  });
+
+  it('builds a gram-based food entry with scaled micronutrients', () => {
+    expect(plateItemToFood(matched)).toEqual(expect.objectContaining({
+      name: 'Chicken breast, grilled',
+      serving: '150 g',
+      servingSize: 150,
+      servingUnit: 'g',
+      source: 'usda',
+      sourceLabel: 'USDA',
+      micronutrients: { iron: 1.5, potassium: 384 },
+      micronutrientSource: 'reported',
+    }));
+    expect(plateItemToFood(estimated).source).toBe('ai_scan');
+  });
+
+  it('totals only the included items', () => {
+    expect(summarizePlate([matched, estimated])).toEqual({ count: 2, calories: 478, protein: 50.5, carbs: 50, fat: 5.4 });
+    expect(summarizePlate([matched, { ...estimated, included: false }]).count).toBe(1);
+  });
+
+  it('clamps portions to a sane range', () => {
+    expect(clampPortionGrams(0)).toBe(1);
+    expect(clampPortionGrams(5000)).toBe(2000);
+    expect(clampPortionGrams(NaN)).toBe(1);
+  });
+});
@@ -0,0 +1,159 @@
+import {
+  convertMeasure,
+  formatQuantity,
+  macrosForPortion,
+  parseQuantity,
+  recipeServingFood,
+  scaleIngredientLine,
+  scaleRecipe,
+  sumIngredientMacros,
+} from '../../lib/recipeScaling';
+import type { FoodItem } from '../../types';
+
+function food(overrides: Partial<FoodItem>): FoodItem {
+  return {
+    id: 'f1',
+    name: 'Food',
+    serving: '100 g',
+    calories: 100,
+    protein: 10,
+    carbs: 10,
+    fat: 2,
+    ...overrides,
+  } as FoodItem;
+}
+
+describe('parseQuantity', () => {
+  it('reads whole, mixed, decimal and unicode amounts with their unit', () => {
+    expect(parseQuantity('2 cups rolled oats')).toEqual({ amount: 2, unit: 'cup', rest: 'rolled oats' });
+    expect(parseQuantity('1 1/2 tbsp honey')).toEqual({ amount: 1.5, unit: 'tbsp', rest: 'honey' });
+    expect(parseQuantity('0,5 kg chicken breast')).toEqual({ amount: 0.5, unit: 'kg', rest: 'chicken breast' });
+    expect(parseQuantity('½ tsp salt')).toEqual({ amount: 0.5, unit: 'tsp', rest: 'salt' });
+    expect(parseQuantity('8 fl oz milk')).toEqual({ amount: 8, unit: 'floz', rest: 'milk' });
+  });
+
+  it('keeps counts and unknown words as part of the ingredient', () => {
+    expect(parseQuantity('2 large eggs')).toEqual({ amount: 2, unit: null, rest: 'large eggs' });
+    expect(parseQuantity('2-3 cloves garlic')).toEqual({ amount: 2, amountMax: 3, unit: null, rest: 'cloves garlic' });
+  });
+
+  it('returns null without a leading amount', () => {
+    expect(parseQuantity('Salt to taste')).toBeNull();
+    expect(parseQuantity('')).toBeNull();
+  });
+});
+
+describe('convertMeasure', () => {
+  it('picks a sensible unit in the target system', () => {
+    expect(convertMeasure(1, 'cup', 'metric')).toEqual({ amount: expect.closeTo(236.588, 2), unit: 'ml' });
+    expect(convertMeasure(2, 'lb', 'metric')).toEqual({ amount: expect.closeTo(907.184, 2), unit: 'g' });
+    expect(convertMeasure(500, 'g', 'imperial')).toEqual({ amount: expect.closeTo(1.102, 2), unit: 'lb' });
+    expect(convertMeasure(15, 'ml', 'imperial').unit).toBe('tbsp');
+    expect(convertMeasure(5, 'ml', 'imperial').unit).toBe('tsp');
+  });
+
+  it('leaves counts and same-system units alone', () => {
+    expect(convertMeasure(3, null, 'metric')).toEqual({ amount: 3, unit: null });
+    expect(convertMeasure(2, 'tbsp', 'imperial')).toEqual({ amount: 2, unit: 'tbsp' });
+  });
+});
+
+describe('formatQuantity', () => {
+  it('uses kitchen fractions for imperial and counts, decimals for metric', () => {
+    expect(formatQuantity(1.5, 'cup')).toBe('1 1/2 cups');
+    expect(formatQuantity(0.33, 'cup')).toBe('1/3 cup');
+    expect(formatQuantity(2.99, null)).toBe('3');
+    expect(formatQuantity(236.588, 'ml')).toBe('237 ml');
+    expect(formatQuantity(1.25, 'kg')).toBe('1.3 kg');
+  });
+});
+
+describe('scaleIngredientLine', () => {
+  it('scales and converts the leading amount', () => {
+    expect(scaleIngredientLine('1/2 cup rolled oats', 2)).toBe('1 cup rolled oats');
+    expect(scaleIngredientLine('1 cup milk', 1, 'metric')).toBe('237 ml milk');
+    expect(scaleIngredientLine('200 g chicken breast', 0.5, 'imperial')).toBe('3 1/2 oz chicken breast');
+    expect(scaleIngredientLine('2-3 cloves garlic', 2)).toBe('4-6 cloves garlic');
+  });
+
+  it('leaves lines without an amount unchanged', () => {
+    expect(scaleIngredientLine('Salt to taste', 3)).toBe('Salt to taste');
+  });
+});
+
+describe('scaleRecipe', () => {
+  const recipe = {
+    servings: 4,
+    ingredients: [
+      food({ id: 'a', name: 'Rice', serving: '200 g', servingSize: 200, calories: 260, protein: 5.4, carbs: 57, fat: 0.6 }),
+      food({ id: 'b', name: 'Chicken', serving: '1 lb', calories: 540, protein: 100, carbs: 0, fat: 12 }),
+    ],
+    cookedWeightGrams: 1200,
+  };
+
+  it('scales ingredients, totals and cooked weight but not per-serving nutrition', () => {
+    const scaled = scaleRecipe(recipe, 6);
+    expect(scaled.factor).toBe(1.5);
+    expect(scaled.ingredients[0]).toEqual(expect.objectContaining({ serving: '300 g', servingSize: 300, calories: 390 }));
+    expect(scaled.ingredients[1].serving).toBe('1 1/2 lb');
+    expect(scaled.totalMacros).toEqual({ calories: 1200, protein: 158.1, carbs: 85.5, fat: 18.9 });
+    expect(scaled.perServing).toEqual({ calories: 200, protein: 26.4, carbs: 14.3, fat: 3.2 });
+    expect(scaled.cookedWeightGrams).toBe(1800);
+    expect(scaled.gramsPerServing).toBe(300);
+  });
+
+  it('converts ingredient amounts without changing the original recipe', () => {
+    const scaled = scaleRecipe(recipe, 4, 'metric');
+    expect(scaled.ingredients[1].serving).toBe('454 g');
+    expect(recipe.ingredients[1].serving).toBe('1 lb');
+  });
+
+  it('uses stored totals for text recipes and falls back to the base servings', () => {
+    const curated = {
+      servings: 2,
+      ingredients: ['1 cup oats', 'Pinch of salt'],
+      totalMacros: { calories: 600, protein: 20, carbs: 100, fat: 10 },
+    };
+    const scaled = scaleRecipe(curated, 0);
+    expect(scaled.servings).toBe(2);
+    expect(scaled.ingredients).toEqual(['1 cup oats', 'Pinch of salt']);
+    expect(scaled.gramsPerServing).toBeNull();
+  });
+});
+
+describe('sumIngredientMacros', () => {
+  it('ignores text ingredients', () => {
+    expect(sumIngredientMacros([food({ calories: 120 }), 'Salt'])).toEqual({ calories: 120, protein: 10, carbs: 10, fat: 2 });
+  });
+});
+
+describe('macrosForPortion', () => {
+  it('gives a weighed portion its share of the cooked dish', () => {
+    expect(macrosForPortion({ calories: 1600, protein: 120, carbs: 140, fat: 50 }, 1000, 250)).toEqual({
+      calories: 400,
+      protein: 30,
+      carbs: 35,
+      fat: 12.5,
+    });
+  });
+
+  it('returns zeros without a usable weight', () => {
+    expect(macrosForPortion({ calories: 1600, protein: 120, carbs: 140, fat: 50 }, 0, 250).calories).toBe(0);
+  });
+});
+
+describe('recipeServingFood', () => {
+  it('makes one serving weigh its share of the cooked dish', () => {
+    const logged = recipeServingFood({ servings: 4, ingredients: [], cookedWeightGrams: 1000 });
+    expect(logged).toEqual(expect.objectContaining({
+      serving: '1 serving (1/4 recipe)',
+      servingSize: 250,
+      servingUnit: 'serving',
+      gramsPerServing: 250,
+    }));
+  });
+
+  it('falls back to a unit serving without a cooked weight', () => {
+    expect(recipeServingFood({ servings: 2, ingredients: [] })).toEqual(expect.objectContaining({ servingSize: 1, gramsPerServing: null }));
+  });
+});
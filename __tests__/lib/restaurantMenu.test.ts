@@ -0,0 +1,185 @@
+import {
+  BUNDLED_RESTAURANT_MENU_VERSION,
+  builderToFood,
+  builderTotals,
+  defaultBuilderSelection,
+  describeBuilderSelection,
+  getBundledRestaurantMenu,
+  getChainMenu,
+  listRestaurantChains,
+  missingBuilderSteps,
+  parseRestaurantMenuBundle,
+  restaurantItemToFood,
+  toggleBuilderOption,
+  type RestaurantBuilder,
+  type RestaurantMenuBundle,
+} from '../../lib/restaurantMenu';
+
+const bowl: RestaurantBuilder = {
+  id: 'test_bowl',
+  chain: 'Bowl Co',
+  name: 'Bowl',
+  category: 'bowl',
+  serving: '1 bowl',
+  steps: [
+    {
+      id: 'protein',
+      name: 'Protein',
+      min: 1,
+      max: 2,
+      allowDouble: true,
+      options: [
+        { id: 'chicken', name: 'Chicken', calories: 180, protein: 32, carbs: 0, fat: 7, sodium: 310, grams: 113, default: true },
+        { id: 'steak', name: 'Steak', calories: 150, protein: 21, carbs: 1, fat: 6, sodium: 330, grams: 113 },
+        { id: 'tofu', name: 'Tofu', calories: 150, protein: 8, carbs: 9, fat: 10, grams: 113 },
+      ],
+    },
+    {
+      id: 'rice',
+      name: 'Rice',
+      min: 0,
+      max: 1,
+      options: [
+        { id: 'white', name: 'White Rice', calories: 210, protein: 4, carbs: 40, fat: 4, fiber: 0, grams: 113, default: true },
+        { id: 'brown', name: 'Brown Rice', calories: 210, protein: 4, carbs: 36, fat: 6, fiber: 2, grams: 113 },
+      ],
+    },
+  ],
+};
+
+const menu: RestaurantMenuBundle = {
+  version: 3,
+  builders: [bowl],
+  items: [
+    { id: 'a', name: 'Side Salad', chain: 'Bowl Co', category: 'side', calories: 40, protein: 2, carbs: 6, fat: 1, serving: '1 side', servingSize: 90, servingUnit: 'g' },
+    { id: 'b', name: 'Classic Bowl', chain: 'Bowl Co', category: 'bowl', calories: 700, protein: 45, carbs: 70, fat: 25, fiber: 9, sodium: 1800, serving: '1 bowl', servingSize: 480, servingUnit: 'g' },
+    { id: 'c', name: 'Cookie', chain: 'Bowl Co', category: 'dessert', calories: 250, protein: 3, carbs: 35, fat: 12, serving: '1 cookie', servingSize: 60, servingUnit: 'g' },
+    { id: 'd', name: 'Fries', chain: 'Bowl Co', category: 'side', calories: 320, protein: 4, carbs: 42, fat: 15, serving: '1 order', servingSize: 117, servingUnit: 'g', popular: true },
+    { id: 'e', name: 'Burger', chain: 'Another Place', category: 'burger', calories: 550, protein: 25, carbs: 45, fat: 30, serving: '1 sandwich', servingSize: 200, servingUnit: 'g' },
+  ],
+};
+
+describe('parseRestaurantMenuBundle', () => {
+  it('keeps valid entries and drops malformed or duplicate ones', () => {
+    const parsed = parseRestaurantMenuBundle({
+      version: 2,
+      items: [
+        menu.items[0],
+        { ...menu.items[0], name: 'Duplicate id' },
+        { id: 'x', name: 'No macros', chain: 'Bowl Co' },
+        { id: 'y', name: ' Wrap ', chain: 'Bowl Co', category: 'Wrap', calories: 500, protein: 30, carbs: 40, fat: 20 },
+      ],
+      builders: [bowl, { id: 'empty', chain: 'Bowl Co', name: 'Empty', steps: [] }],
+    });
+
+    expect(parsed?.version).toBe(2);
+    expect(parsed?.items.map((item) => item.id)).toEqual(['a', 'y']);
+    expect(parsed?.items[1]).toEqual(expect.objectContaining({
+      name: 'Wrap',
+      category: 'wrap',
+      serving: '1 serving',
+      servingSize: 1,
+      servingUnit: 'serving',
+    }));
+    expect(parsed?.builders).toEqual([bowl]);
+  });
+
+  it('rejects bundles without a version or usable items', () => {
+    expect(parseRestaurantMenuBundle({ items: menu.items })).toBeNull();
+    expect(parseRestaurantMenuBundle({ version: 1.5, items: menu.items })).toBeNull();
+    expect(parseRestaurantMenuBundle({ version: 2, items: [{ id: 'x' }] })).toBeNull();
+    expect(parseRestaurantMenuBundle(null)).toBeNull();
+  });
+
+  it('accepts the bundled dataset', () => {
+    const bundled = getBundledRestaurantMenu();
+    const parsed = parseRestaurantMenuBundle(bundled);
+
+    expect(bundled.version).toBe(BUNDLED_RESTAURANT_MENU_VERSION);
+    expect(parsed?.items).toHaveLength(bundled.items.length);
+    expect(parsed?.builders).toHaveLength(bundled.builders.length);
+  });
+});
+
+describe('browsing', () => {
+  it('lists chains with item and builder counts', () => {
+    expect(listRestaurantChains(menu)).toEqual([
+      { chain: 'Another Place', itemCount: 1, builderCount: 0 },
+      { chain: 'Bowl Co', itemCount: 4, builderCount: 1 },
+    ]);
+    expect(listRestaurantChains(menu, 'bowl').map((summary) => summary.chain)).toEqual(['Bowl Co']);
+  });
+
+  it('groups a chain menu by category with builders and popular items first', () => {
+    const sections = getChainMenu(menu, 'Bowl Co');
+
+    expect(sections.map((section) => section.category)).toEqual(['bowl', 'side', 'dessert']);
+    expect(sections[0].builders).toEqual([bowl]);
+    expect(sections[1].items.map((item) => item.name)).toEqual(['Fries', 'Side Salad']);
+  });
+
+  it('builds a restaurant food entry like search results', () => {
+    expect(restaurantItemToFood(menu.items[1])).toEqual(expect.objectContaining({
+      name: 'Classic Bowl (Bowl Co)',
+      brand: 'Bowl Co',
+      barcode: 'b',
+      source: 'restaurant',
+      micronutrients: { fiber: 9, sodium: 1800 },
+      micronutrientSource: 'reported',
+    }));
+    expect(restaurantItemToFood(menu.items[0]).micronutrients).toBeUndefined();
+  });
+});
+
+describe('build-your-own', () => {
+  it('starts from the default picks with live totals', () => {
+    const selection = defaultBuilderSelection(bowl);
+
+    expect(selection).toEqual({ protein: { chicken: 1 }, rice: { white: 1 } });
+    expect(builderTotals(bowl, selection)).toEqual({
+      calories: 390, protein: 36, carbs: 40, fat: 11, fiber: 0, sodium: 310, sugar: 0, grams: 226,
+    });
+  });
+
+  it('doubles, removes and swaps options within step limits', () => {
+    let selection = defaultBuilderSelection(bowl);
+
+    selection = toggleBuilderOption(bowl, selection, 'protein', 'chicken');
+    expect(selection.protein).toEqual({ chicken: 2 });
+    expect(builderTotals(bowl, selection).protein).toBe(68);
+
+    selection = toggleBuilderOption(bowl, selection, 'protein', 'steak');
+    expect(toggleBuilderOption(bowl, selection, 'protein', 'tofu')).toBe(selection);
+
+    selection = toggleBuilderOption(bowl, selection, 'rice', 'brown');
+    expect(selection.rice).toEqual({ brown: 1 });
+    expect(toggleBuilderOption(bowl, selection, 'rice', 'brown').rice).toEqual({});
+
+    selection = toggleBuilderOption(bowl, selection, 'protein', 'chicken');
+    expect(selection.protein).toEqual({ steak: 1 });
+  });
+
+  it('reports required steps that have no pick', () => {
+    const selection = { protein: {}, rice: {} };
+
+    expect(missingBuilderSteps(bowl, selection).map((step) => step.id)).toEqual(['protein']);
+    expect(missingBuilderSteps(bowl, defaultBuilderSelection(bowl))).toEqual([]);
+  });
+
+  it('logs the composed item with its components', () => {
+    const selection = { protein: { chicken: 2, steak: 1 }, rice: { brown: 1 } };
+
+    expect(describeBuilderSelection(bowl, selection)).toBe('Chicken ×2, Steak, Brown Rice');
+    expect(builderToFood(bowl, selection)).toEqual(expect.objectContaining({
+      name: 'Bowl (Bowl Co)',
+      calories: 720,
+      protein: 89,
+      serving: '1 bowl',
+      servingSize: 452,
+      servingUnit: 'g',
+      ingredients: 'Chicken ×2, Steak, Brown Rice',
+      source: 'restaurant',
+      micronutrients: { fiber: 2, sodium: 950, sugar: 0 },
+    }));
+  });
+});
@@ -0,0 +1,149 @@
+import {
+  aisleForIngredient,
+  buildShoppingList,
+  groupByAisle,
+  ingredientKey,
+  isItemChecked,
+  mealPlanSources,
+  recipeSources,
+  toggleShoppingCheck,
+} from '../../lib/shoppingList';
+import type { FoodItem } from '../../types';
+
+describe('ingredientKey', () => {
+  it('merges plurals and drops preparation notes', () => {
+    expect(ingredientKey('Tomatoes, diced')).toBe('tomato');
+    expect(ingredientKey('fresh tomato')).toBe('tomato');
+    expect(ingredientKey('Chicken breasts (boneless, skinless)')).toBe('chicken breast');
+    expect(ingredientKey('Salt to taste')).toBe('salt');
+    expect(ingredientKey('blueberries')).toBe('blueberry');
+  });
+});
+
+describe('aisleForIngredient', () => {
+  it('prefers the most specific keyword', () => {
+    expect(aisleForIngredient('peanut butter')).toBe('condiments');
+    expect(aisleForIngredient('butter')).toBe('dairy');
+    expect(aisleForIngredient('coconut milk')).toBe('canned');
+    expect(aisleForIngredient('chicken broth')).toBe('canned');
+    expect(aisleForIngredient('chicken thighs')).toBe('meat');
+    expect(aisleForIngredient('eggplant')).toBe('produce');
+    expect(aisleForIngredient('saffron')).toBe('other');
+  });
+});
+
+describe('buildShoppingList', () => {
+  it('sums amounts across sources with unit normalization', () => {
+    const items = buildShoppingList([
+      { name: 'Stir fry', ingredients: ['200g chicken breast', '1 cup rice', '2 cloves garlic'], factor: 1 },
+      { name: 'Burrito bowl', ingredients: ['8 oz chicken breasts', '250 ml rice', '1 clove garlic, minced'], factor: 1 },
+    ]);
+
+    const byKey = Object.fromEntries(items.map((item) => [item.key, item]));
+    expect(byKey['chicken breast'].quantity).toBe('427 g');
+    expect(byKey['chicken breast'].sources).toEqual(['Stir fry', 'Burrito bowl']);
+    expect(byKey.rice.quantity).toBe('487 ml');
+    expect(byKey.garlic.quantity).toBe('3 cloves');
+  });
+
+  it('applies each source factor and rounds counts up', () => {
+    const [eggs] = buildShoppingList([{ name: 'Omelette', ingredients: ['3 large eggs'], factor: 1.5 }]);
+    expect(eggs.quantity).toBe('5');
+  });
+
+  it('formats amounts in the requested unit system', () => {
+    const [oats] = buildShoppingList([{ name: 'Oats', ingredients: ['480 ml rolled oats'], factor: 1 }], { system: 'imperial' });
+    expect(oats.quantity).toBe('2 cups');
+  });
+
+  it('reads amounts of logged-food ingredients from their serving', () => {
+    const rice = { id: 'f1', name: 'Basmati rice', serving: '150 g', calories: 200, protein: 4, carbs: 44, fat: 0 } as FoodItem;
+    const [item] = buildShoppingList([{ name: 'Curry', ingredients: [rice], factor: 2 }]);
+    expect(item).toEqual(expect.objectContaining({ key: 'basmati rice', quantity: '300 g', aisle: 'grains' }));
+  });
+
+  it('keeps mixed measures side by side when they cannot be converted', () => {
+    const [beans] = buildShoppingList([
+      { name: 'Chili', ingredients: ['1 can black beans', '100 g black beans'], factor: 1 },
+    ]);
+    expect(beans.quantity).toBe('100 g + 1 can');
+  });
+
+  it('subtracts pantry stock and drops fully stocked items', () => {
+    const items = buildShoppingList(
+      [{ name: 'Week', ingredients: ['500 g rice', '2 tbsp olive oil', 'salt to taste', '2 onions'], factor: 1 }],
+      {
+        pantry: [
+          { id: 'p1', name: 'rice', quantity: '200 g', updatedAt: 0 },
+          { id: 'p2', name: 'Olive oil', updatedAt: 0 },
+          { id: 'p3', name: 'salt', updatedAt: 0 },
+          { id: 'p4', name: 'onion', quantity: '3', updatedAt: 0 },
+        ],
+      }
+    );
+
+    expect(items.map((item) => [item.key, item.quantity])).toEqual([['rice', '300 g']]);
+  });
+
+  it('orders items by aisle', () => {
+    const groups = groupByAisle(buildShoppingList([
+      { name: 'Mix', ingredients: ['1 l milk', '2 apples', 'frozen peas', 'sourdough bread'], factor: 1 },
+    ]));
+    expect(groups.map((group) => group.aisle)).toEqual(['produce', 'bakery', 'dairy', 'frozen']);
+  });
+});
+
+describe('mealPlanSources', () => {
+  const plan = {
+    generatedAt: new Date(2026, 2, 9, 18).getTime(),
+    days: [
+      { dayNumber: 1, meals: [{ name: 'Oats', ingredients: ['50 g oats'] }] },
+      { dayNumber: 2, meals: [{ name: 'Salad', ingredients: ['1 cucumber'] }, { name: 'Water', ingredients: [] }] },
+      { dayNumber: 3, meals: [{ name: 'Curry', ingredients: ['200 g chickpeas'] }] },
+    ],
+  };
+
+  it('skips days that have already passed and scales by people', () => {
+    const sources = mealPlanSources(plan, { from: new Date(2026, 2, 10, 9), people: 2 });
+    expect(sources).toEqual([
+      { name: 'Salad', ingredients: ['1 cucumber'], factor: 2 },
+      { name: 'Curry', ingredients: ['200 g chickpeas'], factor: 2 },
+    ]);
+  });
+
+  it('returns nothing without a plan', () => {
+    expect(mealPlanSources(null)).toEqual([]);
+  });
+});
+
+describe('recipeSources', () => {
+  it('scales picked recipes to the servings being cooked', () => {
+    const recipes = [{ id: 'r1', name: 'Chili', servings: 4, ingredients: ['400 g beef'] }];
+    expect(recipeSources(recipes, [
+      { id: 'r1', servings: 6, updatedAt: 0 },
+      { id: 'missing', servings: 2, updatedAt: 0 },
+    ])).toEqual([{ name: 'Chili', ingredients: ['400 g beef'], factor: 1.5 }]);
+  });
+});
+
+describe('check-off state', () => {
+  const item = { key: 'rice', quantity: '300 g' };
+
+  it('toggles an item on and off', () => {
+    const checked = toggleShoppingCheck({}, item, 1000);
+    expect(isItemChecked(item, checked)).toBe(true);
+    expect(isItemChecked(item, toggleShoppingCheck(checked, item, 2000))).toBe(false);
+  });
+
+  it('un-checks an item when the list asks for a different amount', () => {
+    const checked = toggleShoppingCheck({}, item, 1000);
+    expect(isItemChecked({ key: 'rice', quantity: '500 g' }, checked)).toBe(false);
+  });
+
+  it('forgets checks nobody touched for a month', () => {
+    const now = Date.UTC(2026, 3, 1);
+    const stale = { checked: true, quantity: '1', updatedAt: now - 31 * 24 * 60 * 60 * 1000 };
+    const next = toggleShoppingCheck({ egg: stale }, item, now);
+    expect(Object.keys(next)).toEqual(['rice']);
+  });
+});
@@ -0,0 +1,366 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const mockRange = jest.fn();
+const mockGt = jest.fn();
+const mockEncryptedStore: Record<string, unknown> = {};
+
+jest.mock('../../lib/supabase', () => {
+  const query: Record<string, jest.Mock> = {};
+  query.select = jest.fn(() => query);
+  query.eq = jest.fn(() => query);
+  query.order = jest.fn(() => query);
+  query.range = jest.fn((...args: unknown[]) => {
+    mockRange(...args);
+    return query;
+  });
+  query.gt = jest.fn((...args: unknown[]) => {
+    mockGt(...args);
+    return query;
+  });
+  (query as any).then = (resolve: (value: unknown) => unknown) => resolve(mockRange.mock.results.at(-1)?.value);
+  return {
+    supabase: {
+      from: jest.fn(() => query),
+    },
+  };
+});
+
+jest.mock('../../lib/encryptedStorage', () => ({
+  getEncryptedItem: jest.fn(async (key: string, fallback: unknown) => (key in mockEncryptedStore ? mockEncryptedStore[key] : fallback)),
+  setEncryptedItem: jest.fn(async (key: string, value: unknown) => {
+    mockEncryptedStore[key] = value;
+    return true;
+  }),
+}));
+
+jest.mock('../../lib/sentry', () => ({
+  Sentry: { captureException: jest.fn() },
+}));
+
+import {
+  fingerprintRecord,
+  fromRecordMap,
+  getTrackerStore,
+  notifyTrackerChanged,
+  reconcileTrackerStore,
+  subscribeTrackerPulls,
+  syncTrackerStores,
+  toRecordMap,
+  type RemoteTrackerRecord,
+  type TrackerStoreDescriptor,
+} from '../../lib/trackerSync';
+
+const weightStore = getTrackerStore('weight') as TrackerStoreDescriptor;
+const habitsStore = getTrackerStore('habits') as TrackerStoreDescriptor;
+
+function remoteRow(overrides: Partial<RemoteTrackerRecord>): RemoteTrackerRecord {
+  return {
+    store: 'weight',
+    record_id: '2026-03-01T08:00:00.000Z',
+    payload: null,
+    deleted: false,
+    updated_at: '2026-03-01T09:00:00.000Z',
+    synced_at: '2026-03-01T09:00:01.000Z',
+    ...overrides,
+  };
+}
+
+describe('fingerprintRecord', () => {
+  it('ignores key order and undefined values', () => {
+    expect(fingerprintRecord({ a: 1, b: { c: 2, d: [1, 2] } }))
+      .toBe(fingerprintRecord({ b: { d: [1, 2], c: 2 }, a: 1, e: undefined }));
+  });
+
+  it('distinguishes different values', () => {
+    expect(fingerprintRecord({ weight: 80 })).not.toBe(fingerprintRecord({ weight: 81 }));
+  });
+});
+
+describe('toRecordMap / fromRecordMap', () => {
+  it('round-trips date-keyed lists newest-first', () => {
+    const list = [
+      { date: '2026-03-01T08:00:00.000Z', weight: 80 },
+      { date: '2026-03-03T08:00:00.000Z', weight: 79 },
+    ];
+    const records = toRecordMap(weightStore, list);
+    expect(Object.keys(records)).toHaveLength(2);
+    expect(fromRecordMap(weightStore, records)).toEqual([list[1], list[0]]);
+  });
+
+  it('keeps the previous order of id-keyed lists and appends new records', () => {
+    const previous = [{ id: 'b' }, { id: 'a' }];
+    const records = { a: { id: 'a' }, c: { id: 'c' }, b: { id: 'b' } };
+    expect(fromRecordMap(habitsStore, records, previous)).toEqual([{ id: 'b' }, { id: 'a' }, { id: 'c' }]);
+  });
+
+  it('treats map and object stores as records', () => {
+    const logStore = getTrackerStore('habit_log') as TrackerStoreDescriptor;
+    const stateStore = getTrackerStore('fasting_state') as TrackerStoreDescriptor;
+    expect(toRecordMap(logStore, { h1: { '2026-03-01': 1 } })).toEqual({ h1: { '2026-03-01': 1 } });
+    expect(fromRecordMap(stateStore, toRecordMap(stateStore, { isFasting: true }))).toEqual({ isFasting: true });
+  });
+
+  it('skips malformed list entries', () => {
+    expect(toRecordMap(weightStore, [null, { weight: 80 }, { date: '', weight: 1 }])).toEqual({});
+  });
+});
+
+describe('reconcileTrackerStore', () => {
+  const entry = { date: '2026-03-01T08:00:00.000Z', weight: 80, note: '' };
+  const edited = { ...entry, note: 'after run' };
+
+  it('pushes every local record on first sync', () => {
+    const result = reconcileTrackerStore({
+      local: toRecordMap(weightStore, [entry]),
+      base: {},
+      remote: [],
+    });
+    expect(result.pushes).toHaveLength(1);
+    expect(result.pushes[0].payload).toEqual(entry);
+    expect(result.localChanged).toBe(false);
+    expect(result.base[entry.date]).toBe(fingerprintRecord(entry));
+  });
+
+  it('pulls remote-only records onto a fresh device', () => {
+    const result = reconcileTrackerStore({
+      local: {},
+      base: {},
+      remote: [remoteRow({ payload: entry })],
+    });
+    expect(result.pushes).toHaveLength(0);
+    expect(result.localChanged).toBe(true);
+    expect(result.records[entry.date]).toEqual(entry);
+  });
+
+  it('applies remote edits when the local record is unchanged', () => {
+    const result = reconcileTrackerStore({
+      local: { [entry.date]: entry },
+      base: { [entry.date]: fingerprintRecord(entry) },
+      remote: [remoteRow({ payload: edited })],
+    });
+    expect(result.records[entry.date]).toEqual(edited);
+    expect(result.pushes).toHaveLength(0);
+  });
+
+  it('pushes local edits when the remote record is unchanged', () => {
+    const result = reconcileTrackerStore({
+      local: { [entry.date]: edited },
+      base: { [entry.date]: fingerprintRecord(entry) },
+      remote: [],
+    });
+    expect(result.pushes).toEqual([expect.objectContaining({ recordId: entry.date, payload: edited })]);
+    expect(result.localChanged).toBe(false);
+  });
+
+  it('pushes a tombstone for records deleted locally', () => {
+    const result = reconcileTrackerStore({
+      local: {},
+      base: { [entry.date]: fingerprintRecord(entry) },
+      remote: [],
+    });
+    expect(result.pushes).toEqual([expect.objectContaining({ recordId: entry.date, payload: null })]);
+    expect(result.base).toEqual({});
+  });
+
+  it('applies remote tombstones', () => {
+    const result = reconcileTrackerStore({
+      local: { [entry.date]: entry },
+      base: { [entry.date]: fingerprintRecord(entry) },
+      remote: [remoteRow({ deleted: true })],
+    });
+    expect(result.records).toEqual({});
+    expect(result.localChanged).toBe(true);
+  });
+
+  it('resolves concurrent edits by the newer edit time', () => {
+    const habit = { id: 'h1', name: 'Walk', createdAt: '2026-03-01T00:00:00.000Z' };
+    const localEdit = { ...habit, name: 'Walk 10k' };
+    const remoteEdit = { ...habit, name: 'Walk 5k' };
+    const base = { h1: fingerprintRecord(habit) };
+    const editedAt = Date.parse('2026-03-05T00:00:00.000Z');
+
+    const olderRemote = reconcileTrackerStore({
+      local: { h1: localEdit },
+      base,
+      remote: [remoteRow({ store: 'habits', record_id: 'h1', payload: remoteEdit, updated_at: '2026-03-04T00:00:00.000Z' })],
+      editedAt,
+    });
+    expect(olderRemote.records.h1).toEqual(localEdit);
+    expect(olderRemote.pushes).toEqual([
+      expect.objectContaining({ recordId: 'h1', updatedAt: '2026-03-05T00:00:00.000Z' }),
+    ]);
+    expect(olderRemote.edits).toEqual({ h1: editedAt });
+
+    const newerRemote = reconcileTrackerStore({
+      local: { h1: localEdit },
+      base,
+      remote: [remoteRow({ store: 'habits', record_id: 'h1', payload: remoteEdit, updated_at: '2026-03-06T00:00:00.000Z' })],
+      editedAt,
+    });
+    expect(newerRemote.records.h1).toEqual(remoteEdit);
+    expect(newerRemote.pushes).toHaveLength(0);
+    expect(newerRemote.edits).toEqual({});
+  });
+
+  it('keeps a pushed local edit the server has not echoed when the remote copy is older', () => {
+    const today = { date: '2026-03-05', glasses: 3 };
+    const mine = { ...today, glasses: 4 };
+    const theirs = { ...today, glasses: 5 };
+    const editedAt = Date.parse('2026-03-05T12:00:00.000Z');
+
+    // The push-only sync already advanced the base to the local copy
+    const pushed = reconcileTrackerStore({
+      local: { [today.date]: mine },
+      base: { [today.date]: fingerprintRecord(today) },
+      remote: [],
+      editedAt,
+    });
+    expect(pushed.edits).toEqual({ [today.date]: editedAt });
+
+    const pulled = reconcileTrackerStore({
+      local: { [today.date]: mine },
+      base: pushed.base,
+      edits: pushed.edits,
+      remote: [remoteRow({ store: 'water', record_id: today.date, payload: theirs, updated_at: '2026-03-05T11:00:00.000Z' })],
+    });
+    expect(pulled.records[today.date]).toEqual(mine);
+    expect(pulled.pushes).toEqual([expect.objectContaining({ recordId: today.date, payload: mine })]);
+
+    const newer = reconcileTrackerStore({
+      local: { [today.date]: mine },
+      base: pushed.base,
+      edits: pushed.edits,
+      remote: [remoteRow({ store: 'water', record_id: today.date, payload: theirs, updated_at: '2026-03-05T13:00:00.000Z' })],
+    });
+    expect(newer.records[today.date]).toEqual(theirs);
+    expect(newer.edits).toEqual({});
+  });
+
+  it('forgets the local edit time once the server echoes the edit', () => {
+    const result = reconcileTrackerStore({
+      local: { [entry.date]: edited },
+      base: { [entry.date]: fingerprintRecord(edited) },
+      edits: { [entry.date]: Date.parse('2026-03-01T09:00:00.000Z') },
+      remote: [remoteRow({ payload: edited })],
+    });
+    expect(result.edits).toEqual({});
+    expect(result.pushes).toHaveLength(0);
+  });
+
+  it('does nothing when both sides already agree', () => {
+    const result = reconcileTrackerStore({
+      local: { [entry.date]: edited },
+      base: { [entry.date]: fingerprintRecord(entry) },
+      remote: [remoteRow({ payload: edited })],
+    });
+    expect(result.pushes).toHaveLength(0);
+    expect(result.localChanged).toBe(false);
+    expect(result.base[entry.date]).toBe(fingerprintRecord(edited));
+  });
+});
+
+describe('syncTrackerStores', () => {
+  const storage = new Map<string, string>();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storage.clear();
+    Object.keys(mockEncryptedStore).forEach((key) => delete mockEncryptedStore[key]);
+    (AsyncStorage.getItem as jest.Mock).mockImplementation(async (key: string) => storage.get(key) ?? null);
+    (AsyncStorage.setItem as jest.Mock).mockImplementation(async (key: string, value: string) => {
+      storage.set(key, value);
+    });
+    mockRange.mockReturnValue({ data: [], error: null });
+  });
+
+  it('queues upserts for local records without touching the network when not pulling', async () => {
+    storage.set('@fueliq_water_history', JSON.stringify([{ date: '2026-03-01', glasses: 6, target: 8 }]));
+    const queueOperation = jest.fn().mockResolvedValue(undefined);
+
+    const result = await syncTrackerStores({ userId: 'user-1', queueOperation, pull: false });
+
+    expect(mockRange).not.toHaveBeenCalled();
+    expect(result.pushed).toBe(1);
+    expect(queueOperation).toHaveBeenCalledWith(expect.objectContaining({
+      table: 'tracker_records',
+      type: 'UPSERT',
+      onConflict: 'user_id,store,record_id',
+      payload: expect.objectContaining({
+        user_id: 'user-1',
+        store: 'water',
+        record_id: '2026-03-01',
+        deleted: false,
+      }),
+    }));
+
+    // A second pass has nothing new to push
+    queueOperation.mockClear();
+    await syncTrackerStores({ userId: 'user-1', queueOperation, pull: false });
+    expect(queueOperation).not.toHaveBeenCalled();
+  });
+
+  it('writes pulled records to storage, notifies listeners and advances the cursor', async () => {
+    const listener = jest.fn();
+    const unsubscribe = subscribeTrackerPulls(listener);
+    mockRange.mockReturnValue({
+      data: [remoteRow({ payload: { date: '2026-03-01T08:00:00.000Z', weight: 80, note: '' } })],
+      error: null,
+    });
+
+    const result = await syncTrackerStores({ userId: 'user-1', queueOperation: jest.fn(), pull: true });
+
+    expect(result.updatedStores).toEqual(['weight']);
+    expect(mockEncryptedStore['@fueliq_weight_history']).toEqual([
+      { date: '2026-03-01T08:00:00.000Z', weight: 80, note: '' },
+    ]);
+    expect(listener).toHaveBeenCalledWith('weight');
+
+    mockRange.mockReturnValue({ data: [], error: null });
+    await syncTrackerStores({ userId: 'user-1', queueOperation: jest.fn(), pull: true });
+    expect(mockGt).toHaveBeenLastCalledWith('synced_at', '2026-03-01T09:00:01.000Z');
+    unsubscribe();
+  });
+
+  it('keeps a water edit made after the remote one across a push-only sync', async () => {
+    const queueOperation = jest.fn().mockResolvedValue(undefined);
+    storage.set('@fueliq_water_history', JSON.stringify([{ date: '2026-03-05', glasses: 3, target: 8 }]));
+    await syncTrackerStores({ userId: 'user-1', queueOperation, pull: false });
+
+    const now = jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2026-03-05T12:00:00.000Z'));
+    storage.set('@fueliq_water_history', JSON.stringify([{ date: '2026-03-05', glasses: 4, target: 8 }]));
+    notifyTrackerChanged('water');
+    now.mockReturnValue(Date.parse('2026-03-05T12:00:02.000Z'));
+    queueOperation.mockClear();
+    await syncTrackerStores({ userId: 'user-1', queueOperation, pull: false });
+    expect(queueOperation).toHaveBeenCalledWith(expect.objectContaining({
+      payload: expect.objectContaining({ updated_at: '2026-03-05T12:00:00.000Z' }),
+    }));
+    now.mockRestore();
+
+    // Another device's older edit arrives before ours reached the server
+    mockRange.mockReturnValue({
+      data: [remoteRow({
+        store: 'water',
+        record_id: '2026-03-05',
+        payload: { date: '2026-03-05', glasses: 5, target: 8 },
+        updated_at: '2026-03-05T11:30:00.000Z',
+      })],
+      error: null,
+    });
+    queueOperation.mockClear();
+    await syncTrackerStores({ userId: 'user-1', queueOperation, pull: true });
+
+    expect(JSON.parse(storage.get('@fueliq_water_history')!)).toEqual([{ date: '2026-03-05', glasses: 4, target: 8 }]);
+    expect(queueOperation).toHaveBeenCalledTimes(1);
+  });
+
+  it('starts from an empty merge base when a different user signs in', async () => {
+    storage.set('@fueliq_water_history', JSON.stringify([{ date: '2026-03-01', glasses: 6, target: 8 }]));
+    const queueOperation = jest.fn().mockResolvedValue(undefined);
+    await syncTrackerStores({ userId: 'user-1', queueOperation, pull: false });
+
+    queueOperation.mockClear();
+    await syncTrackerStores({ userId: 'user-2', queueOperation, pull: false });
+    expect(queueOperation).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,220 @@
+import i18next from 'i18next';
+import en from '../../locales/en.json';
+import {
+  MAX_TARGET_HISTORY,
+  checkInWeekOf,
+  describeCheckInReason,
+  distributeMacros,
+  goalRateKgPerWeek,
+  proposeWeeklyTargets,
+  recordTargetDecision,
+} from '../../lib/weeklyCheckIn';
+import type { CheckInInput, CheckInReason, TargetChange } from '../../lib/weeklyCheckIn';
+import type { TDEEEstimate } from '../../lib/adaptiveTDEE';
+
+jest.mock('expo-localization', () => ({
+  getLocales: () => [{ languageCode: 'en', languageTag: 'en-US', measurementSystem: 'us' }],
+}));
+
+beforeAll(async () => {
+  await i18next.init({
+    lng: 'en',
+    fallbackLng: 'en',
+    compatibilityJSON: 'v4',
+    resources: { en: { translation: en } },
+    interpolation: { escapeValue: false },
+    showSupportNotice: false,
+  });
+});
+
+function codes(reasons: (CheckInReason | string)[]): string[] {
+  return reasons.map((reason) => (typeof reason === 'string' ? reason : reason.code));
+}
+
+const NOW = new Date(2026, 2, 12, 9, 0, 0);
+
+function estimate(overrides: Partial<TDEEEstimate> = {}): TDEEEstimate {
+  return {
+    tdee: 2400,
+    bmr: 1750,
+    activityMultiplier: 1.37,
+    confidence: 0.7,
+    dataPoints: 28,
+    trend: 'decreasing',
+    metabolicAdaptation: false,
+    plateauDetected: false,
+    weeklyWeightChange: -0.2,
+    recommendedIntake: 1900,
+    estimateSource: 'hybrid',
+    ...overrides,
+  };
+}
+
+function input(overrides: Partial<CheckInInput> = {}): CheckInInput {
+  return {
+    estimate: estimate(),
+    current: { calories: 2100, protein: 160, carbs: 200, fat: 70 },
+    weightKg: 80,
+    gender: 'male',
+    goalType: 'cut',
+    weeklyGoal: 'lose1',
+    ...overrides,
+  };
+}
+
+describe('goalRateKgPerWeek', () => {
+  it('maps ProfileContext weekly goals to kg per week', () => {
+    expect(goalRateKgPerWeek('lose1')).toBeCloseTo(-0.4536, 3);
+    expect(goalRateKgPerWeek('gain05')).toBeCloseTo(0.2268, 3);
+    expect(goalRateKgPerWeek('maintain')).toBe(0);
+    expect(goalRateKgPerWeek('unknown')).toBe(0);
+  });
+});
+
+describe('checkInWeekOf', () => {
+  it('returns the Monday of the week', () => {
+    expect(checkInWeekOf(new Date(2026, 2, 12))).toBe('2026-03-09');
+    expect(checkInWeekOf(new Date(2026, 2, 15, 23))).toBe('2026-03-09');
+    expect(checkInWeekOf(new Date(2026, 2, 16))).toBe('2026-03-16');
+  });
+});
+
+describe('distributeMacros', () => {
+  it('keeps protein and fat and lets carbs absorb the change', () => {
+    expect(distributeMacros(1900, { calories: 2100, protein: 160, carbs: 200, fat: 70 }, 80, 'cut'))
+      .toEqual({ calories: 1900, protein: 160, carbs: 158, fat: 70 });
+  });
+
+  it('raises protein to the per-kg minimum', () => {
+    expect(distributeMacros(2400, { calories: 2400, protein: 100, carbs: 300, fat: 70 }, 80, 'cut').protein).toBe(160);
+  });
+
+  it('trims fat toward its minimum before carbs drop too low', () => {
+    const macros = distributeMacros(1200, { calories: 1400, protein: 150, carbs: 80, fat: 60 }, 75, 'cut');
+    expect(macros.fat).toBe(45);
+    expect(macros.carbs).toBe(49);
+  });
+});
+
+describe('proposeWeeklyTargets', () => {
+  it('proposes TDEE plus the goal deficit', () => {
+    const proposal = proposeWeeklyTargets(input(), NOW);
+
+    expect(proposal.shouldAdjust).toBe(true);
+    expect(proposal.weekOf).toBe('2026-03-09');
+    expect(proposal.proposed).toEqual({ calories: 1901, protein: 160, carbs: 158, fat: 70 });
+    expect(proposal.previous.calories).toBe(2100);
+    expect(proposal.reasons[0]).toEqual({ code: 'tdeeEstimate', params: { tdee: 2400, confidence: 70, days: 28 } });
+    expect(proposal.reasons).toContainEqual({ code: 'deficitNeeded', params: { kgPerWeek: 0.454, kcal: 499 } });
+  });
+
+  it('holds targets when the estimate is formula-only or uncertain', () => {
+    for (const overrides of [{ estimateSource: 'formula' as const }, { confidence: 0.2 }]) {
+      const proposal = proposeWeeklyTargets(input({ estimate: estimate(overrides) }), NOW);
+      expect(proposal.shouldAdjust).toBe(false);
+      expect(proposal.proposed).toEqual(proposal.previous);
+    }
+  });
+
+  it('skips changes too small to matter', () => {
+    const proposal = proposeWeeklyTargets(input({ estimate: estimate({ tdee: 2620 }) }), NOW);
+    expect(proposal.shouldAdjust).toBe(false);
+    expect(proposal.reasons[proposal.reasons.length - 1]).toEqual({ code: 'noChange' });
+  });
+
+  it('caps the surplus and limits the weekly step', () => {
+    const proposal = proposeWeeklyTargets(input({
+      estimate: estimate({ tdee: 3000, weeklyWeightChange: 0.1 }),
+      current: { calories: 2500, protein: 160, carbs: 300, fat: 70 },
+      goalType: 'bulk',
+      weeklyGoal: 'gain1',
+    }), NOW);
+
+    expect(proposal.proposed.calories).toBe(2700);
+    expect(proposal.reasons).toContainEqual({ code: 'surplusCapped', params: { percent: 15 } });
+    expect(proposal.reasons).toContainEqual({ code: 'stepLimited', params: { kcal: 200 } });
+  });
+
+  it('never goes below the calorie floor', () => {
+    const proposal = proposeWeeklyTargets(input({
+      estimate: estimate({ tdee: 1500 }),
+      current: { calories: 1300, protein: 110, carbs: 120, fat: 45 },
+      weightKg: 55,
+      gender: 'female',
+      weeklyGoal: 'lose2',
+    }), NOW);
+
+    expect(proposal.proposed.calories).toBe(1200);
+    expect(proposal.reasons).toContainEqual({ code: 'deficitCapped', params: { percent: 25 } });
+    expect(proposal.reasons).toContainEqual({ code: 'calorieFloor', params: { kcal: 1200 } });
+  });
+
+  it('explains adaptation and plateaus', () => {
+    const proposal = proposeWeeklyTargets(input({
+      estimate: estimate({ tdee: 2300, metabolicAdaptation: true, plateauDetected: true, weeklyWeightChange: 0 }),
+    }), NOW);
+
+    expect(codes(proposal.reasons)).toEqual(expect.arrayContaining(['metabolicAdaptation', 'plateau']));
+    expect(codes(proposal.reasons)).not.toContain('trendLosing');
+  });
+
+  it('uses the active diet phase rate instead of the weekly goal', () => {
+    const proposal = proposeWeeklyTargets(input({
+      weeklyGoal: 'maintain',
+      phase: { type: 'cut', rateLbsPerWeek: -1 },
+    }), NOW);
+
+    expect(proposal.proposed.calories).toBe(1901);
+    expect(codes(proposal.reasons)).toContain('phaseRate');
+  });
+
+  it('leaves reverse diets to their own schedule', () => {
+    const proposal = proposeWeeklyTargets(input({ phase: { type: 'reverse', rateLbsPerWeek: 0 } }), NOW);
+    expect(proposal.shouldAdjust).toBe(false);
+    expect(proposal.proposed).toEqual(proposal.previous);
+  });
+});
+
+describe('describeCheckInReason', () => {
+  const deficit: CheckInReason = { code: 'deficitNeeded', params: { kgPerWeek: 0.454, kcal: 499 } };
+
+  it('shows rates in the user\'s weight unit', () => {
+    expect(describeCheckInReason(deficit, 'lbs')).toBe('Losing 1 lbs/week needs a deficit of about 499 kcal/day.');
+    expect(describeCheckInReason(deficit, 'kg')).toBe('Losing 0.45 kg/week needs a deficit of about 499 kcal/day.');
+  });
+
+  it('formats numbers and pluralises days of data', () => {
+    expect(describeCheckInReason({ code: 'tdeeEstimate', params: { tdee: 2400, confidence: 70, days: 1 } }))
+      .toBe('Your estimated TDEE is 2,400 kcal/day (70% confidence, 1 day of data).');
+  });
+
+  it('shows reasons saved as text by earlier versions unchanged', () => {
+    expect(describeCheckInReason('Maintaining your weight means eating at your TDEE.'))
+      .toBe('Maintaining your weight means eating at your TDEE.');
+  });
+});
+
+describe('recordTargetDecision', () => {
+  it('adds the decision newest first and replaces the same week', () => {
+    const proposal = proposeWeeklyTargets(input(), NOW);
+    const once = recordTargetDecision([], proposal, 'rejected', NOW);
+    const twice = recordTargetDecision(once, proposal, 'accepted', NOW);
+
+    expect(twice).toHaveLength(1);
+    expect(twice[0]).toEqual(expect.objectContaining({ status: 'accepted', decidedAt: NOW.toISOString() }));
+  });
+
+  it('keeps a bounded history', () => {
+    const proposal = proposeWeeklyTargets(input(), NOW);
+    const history: TargetChange[] = Array.from({ length: MAX_TARGET_HISTORY }, (_, i) => ({
+      ...proposal,
+      weekOf: `2025-${String(i + 1).padStart(3, '0')}`,
+      status: 'accepted',
+      decidedAt: NOW.toISOString(),
+    }));
+
+    const updated = recordTargetDecision(history, proposal, 'accepted', NOW);
+    expect(updated).toHaveLength(MAX_TARGET_HISTORY);
+    expect(updated[0].weekOf).toBe('2026-03-09');
+  });
+});
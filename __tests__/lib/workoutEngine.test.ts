@@ -3,6 +3,12 @@ import {
   calculateWorkingWeight,
   generateTrainingLoads,
   detectOverloadOpportunity,
+  parseRepTarget,
+  prescribeSessionTarget,
+  autoRegulateNextWeight,
+  getPerformanceTrend,
+  weeksSinceDeload,
+  evaluateProgramDeload,
   calculateWeeklyVolume,
   generateMuscleHeatmap,
   PERIODIZATION_TEMPLATES,
@@ -260,6 +266,115 @@ describe('detectOverloadOpportunity', () => {
   });
 });
 
+// =============================================================================
+// Session targets & RPE auto-regulation
+// =============================================================================
+
+describe('parseRepTarget', () => {
+  it('reads fixed, ranged and per-side prescriptions', () => {
+    expect(parseRepTarget('8')).toEqual({ min: 8, max: 8 });
+    expect(parseRepTarget('8-10')).toEqual({ min: 8, max: 10 });
+    expect(parseRepTarget('10 each')).toEqual({ min: 10, max: 10 });
+    expect(parseRepTarget(12)).toEqual({ min: 12, max: 12 });
+  });
+
+  it('returns null for timed or open-ended prescriptions', () => {
+    expect(parseRepTarget('45s hold')).toBeNull();
+    expect(parseRepTarget('max')).toBeNull();
+    expect(parseRepTarget('5 min')).toBeNull();
+  });
+});
+
+describe('prescribeSessionTarget', () => {
+  const history = [[{ weight: 100, reps: 8, rpe: 8 }, { weight: 100, reps: 7, rpe: 9 }]];
+
+  it('repeats a load that landed on the target RPE', () => {
+    expect(prescribeSessionTarget({ sets: '4', reps: '8' }, history)).toEqual({ sets: 4, reps: 8, weight: 100, rpe: 8 });
+  });
+
+  it('ramps the target RPE and load through the program weeks', () => {
+    expect(prescribeSessionTarget({ sets: 4, reps: 8 }, history, { week: 1, totalWeeks: 4 })).toEqual(
+      expect.objectContaining({ rpe: 7, weight: 95 })
+    );
+    expect(prescribeSessionTarget({ sets: 4, reps: 8 }, history, { week: 4, totalWeeks: 4 })).toEqual(
+      expect.objectContaining({ rpe: 9, weight: 102.5 })
+    );
+  });
+
+  it('cuts sets and load on a deload', () => {
+    expect(prescribeSessionTarget({ sets: 4, reps: 8 }, history, { week: 3, totalWeeks: 4, deload: true })).toEqual(
+      { sets: 2, reps: 8, weight: 92.5, rpe: 6 }
+    );
+  });
+
+  it('aims for the top of a rep range', () => {
+    expect(prescribeSessionTarget({ sets: 3, reps: '6-8' }, history).reps).toBe(8);
+  });
+
+  it('leaves the weight open without history or a countable rep target', () => {
+    expect(prescribeSessionTarget({ sets: 3, reps: '8' }, []).weight).toBeNull();
+    expect(prescribeSessionTarget({ sets: 3, reps: '45s hold' }, history)).toEqual({ sets: 3, reps: null, weight: null, rpe: 8 });
+  });
+});
+
+describe('autoRegulateNextWeight', () => {
+  const target = { reps: 8, rpe: 8 };
+
+  it('keeps the load when the set felt as planned', () => {
+    expect(autoRegulateNextWeight({ weight: 100, reps: 8, rpe: 8 }, target)).toBe(100);
+  });
+
+  it('adds load after an easy set and drops it after a hard one', () => {
+    expect(autoRegulateNextWeight({ weight: 100, reps: 8, rpe: 6 }, target)).toBe(107.5);
+    expect(autoRegulateNextWeight({ weight: 100, reps: 8, rpe: 9 }, target)).toBe(97.5);
+  });
+
+  it('limits a single adjustment to 10%', () => {
+    expect(autoRegulateNextWeight({ weight: 100, reps: 3, rpe: 10 }, target)).toBe(90);
+  });
+
+  it('returns null without a usable set', () => {
+    expect(autoRegulateNextWeight({ weight: 0, reps: 8, rpe: 8 }, target)).toBeNull();
+  });
+});
+
+describe('getPerformanceTrend', () => {
+  const session = (weight: number) => [{ weight, reps: 8, rpe: 8 }];
+
+  it('compares the latest session with earlier ones', () => {
+    expect(getPerformanceTrend({ Bench: [session(100), session(95)] })).toBe('improving');
+    expect(getPerformanceTrend({ Bench: [session(95), session(100)] })).toBe('declining');
+    expect(getPerformanceTrend({ Bench: [session(100), session(100), session(100)] })).toBe('stagnant');
+    expect(getPerformanceTrend({ Bench: [session(100), session(100)] })).toBe('stable');
+  });
+
+  it('is stable without enough history', () => {
+    expect(getPerformanceTrend({ Bench: [session(100)] })).toBe('stable');
+  });
+});
+
+describe('program deloads', () => {
+  const weeks = [{ theme: 'Base' }, { theme: 'Build' }, { theme: 'Deload (40%)' }, { theme: 'Build' }, { theme: 'Peak' }];
+
+  it('counts weeks since the last deload week', () => {
+    expect(weeksSinceDeload(weeks, 2)).toBe(1);
+    expect(weeksSinceDeload(weeks, 4)).toBe(0);
+    expect(weeksSinceDeload(weeks, 5)).toBe(1);
+  });
+
+  it('deloads after long blocks with declining performance', () => {
+    const declining = { Bench: [[{ weight: 95, reps: 8, rpe: 8 }], [{ weight: 100, reps: 8, rpe: 8 }]] };
+    const result = evaluateProgramDeload({ weeksSinceDeload: 6, history: declining });
+    expect(result.shouldDeload).toBe(true);
+    expect(result.performanceTrend).toBe('declining');
+    expect(evaluateProgramDeload({ weeksSinceDeload: 2, history: declining }).shouldDeload).toBe(false);
+  });
+
+  it('always deloads on a planned deload week', () => {
+    expect(evaluateProgramDeload({ weeksSinceDeload: 0, history: {}, plannedDeload: true }).shouldDeload).toBe(true);
+  });
+});
+
 // =============================================================================
 // calculateWeeklyVolume
 // =============================================================================
@@ -0,0 +1,187 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  buildGPX,
+  buildTCX,
+  detectWorkoutFileFormat,
+  parseGPX,
+  parseTCX,
+  sportFromText,
+  toImportedWorkout,
+  trackFromHealthSession,
+  trackFromHistory,
+} from '../../lib/workoutFiles';
+import type { WorkoutSession } from '../../services/healthService';
+
+const FIXTURES = path.join(__dirname, '../fixtures/workoutFiles');
+
+function fixtureText(name: string): string {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+describe('parseGPX', () => {
+  it('reads a Strava export with heart rate and two segments', () => {
+    const [track] = parseGPX(fixtureText('morning-run.gpx'));
+    expect(track).toEqual(expect.objectContaining({
+      name: 'Morning Run & Coffee',
+      sport: 'running',
+      startTime: Date.UTC(2024, 9, 5, 7, 30),
+      durationSeconds: 200,
+      distanceM: 800,
+      averageHeartRate: 155,
+      maxHeartRate: 160,
+    }));
+    expect(track.samples).toHaveLength(22);
+    expect(track.samples[0]).toEqual(expect.objectContaining({ elevation: 20, heartRate: 150, segment: 0 }));
+    expect(track.samples[21].segment).toBe(1);
+  });
+
+  it('rejects files without a timed track', () => {
+    expect(() => parseGPX('<gpx version="1.1"><wpt lat="1" lon="2"/></gpx>')).toThrow('no recorded track');
+    expect(() => parseGPX('<html></html>')).toThrow('not a GPX file');
+  });
+});
+
+describe('parseTCX', () => {
+  it('reads a Garmin ride with laps', () => {
+    const [track] = parseTCX(fixtureText('evening-ride.tcx'));
+    expect(track).toEqual(expect.objectContaining({
+      name: 'Ride',
+      sport: 'cycling',
+      durationSeconds: 180,
+      distanceM: 1440,
+      calories: 44,
+      averageHeartRate: 137,
+      maxHeartRate: 145,
+    }));
+    expect(track.laps).toHaveLength(2);
+    expect(track.samples).toHaveLength(12);
+    // A new lap is not a pause
+    expect(new Set(track.samples.map((s) => s.segment))).toEqual(new Set([0]));
+  });
+
+  it('starts a new segment for a second Track inside a lap', () => {
+    const xml = `<TrainingCenterDatabase><Activities><Activity Sport="Running"><Id>2024-01-01T00:00:00Z</Id>
+      <Lap StartTime="2024-01-01T00:00:00Z"><TotalTimeSeconds>20</TotalTimeSeconds>
+        <Track><Trackpoint><Time>2024-01-01T00:00:00Z</Time></Trackpoint></Track>
+        <Track><Trackpoint><Time>2024-01-01T00:05:00Z</Time></Trackpoint></Track>
+      </Lap></Activity></Activities></TrainingCenterDatabase>`;
+    const [track] = parseTCX(xml);
+    expect(track.samples.map((s) => s.segment)).toEqual([0, 1]);
+    expect(track.distanceM).toBeNull();
+  });
+});
+
+describe('exports', () => {
+  const history = {
+    date: '2024-10-05T08:00:00.000Z',
+    name: 'Lunch <Run>',
+    type: 'cardio',
+    duration: 2,
+    calories: 30,
+    route: {
+      distanceM: 240,
+      movingSeconds: 60,
+      elevationGainM: 0,
+      elevationLossM: 0,
+      avgPaceSeconds: 250,
+      splits: [],
+      activity: 'run' as const,
+      splitUnit: 'metric' as const,
+      points: [0, 30, 60].map((s, i) => ({
+        lat: 47.6 + i * 0.001,
+        lon: -122.34,
+        elevation: 20,
+        timestamp: Date.UTC(2024, 9, 5, 7, 58) + s * 1000,
+        segment: 0,
+      })),
+    },
+    hrSamples: [{ value: 150, timestamp: '2024-10-05T07:58:15.000Z' }],
+  };
+
+  it('round-trips a history entry through GPX', () => {
+    const gpx = buildGPX([trackFromHistory(history)]);
+    expect(gpx).toContain('<name>Lunch &lt;Run&gt;</name>');
+    const [track] = parseGPX(gpx);
+    expect(track.name).toBe('Lunch <Run>');
+    expect(track.sport).toBe('running');
+    expect(track.samples.map((s) => s.timestamp)).toEqual(history.route.points.map((p) => p.timestamp));
+  });
+
+  it('round-trips a history entry through TCX, keeping heart rate between fixes', () => {
+    const [track] = parseTCX(buildTCX([trackFromHistory(history)]));
+    expect(track).toEqual(expect.objectContaining({ name: 'Lunch <Run>', calories: 30, distanceM: 240 }));
+    expect(track.samples).toHaveLength(4);
+    expect(track.samples[1]).toEqual(expect.objectContaining({ heartRate: 150, segment: 0 }));
+    expect(track.samples[1].lat).toBeUndefined();
+  });
+
+  it('leaves tracks without GPS out of GPX', () => {
+    const strength = trackFromHistory({ date: history.date, name: 'Legs', type: 'strength', duration: 45, calories: 300 });
+    expect(buildGPX([strength])).not.toContain('<trk>');
+  });
+
+  it('exports Health app sessions as TCX laps', () => {
+    const session: WorkoutSession = {
+      type: 'Cycling',
+      startDate: '2024-10-06T17:00:00.000Z',
+      endDate: '2024-10-06T17:45:00.000Z',
+      durationMinutes: 45,
+      activeCalories: 410,
+      totalCalories: 480,
+      averageHeartRate: 138,
+      maxHeartRate: 171,
+      distance: 18200,
+      source: 'apple_health',
+    };
+    const hr = [
+      { value: 120, timestamp: '2024-10-06T16:59:00.000Z' },
+      { value: 140, timestamp: '2024-10-06T17:10:00.000Z' },
+    ];
+    const tcx = buildTCX([trackFromHealthSession(session, hr)]);
+    expect(tcx).toContain('<Activity Sport="Biking">');
+    const [track] = parseTCX(tcx);
+    expect(track).toEqual(expect.objectContaining({
+      sport: 'cycling',
+      durationSeconds: 2700,
+      distanceM: 18200,
+      calories: 410,
+      averageHeartRate: 138,
+      maxHeartRate: 171,
+    }));
+    expect(track.samples.map((s) => s.heartRate)).toEqual([140]);
+  });
+});
+
+describe('toImportedWorkout', () => {
+  it('dates the entry when the workout finished and builds a route', () => {
+    const [track] = parseGPX(fixtureText('morning-run.gpx'));
+    const entry = toImportedWorkout(track, 'imperial');
+    expect(entry).toEqual(expect.objectContaining({
+      date: '2024-10-05T07:33:20.000Z',
+      name: 'Morning Run & Coffee',
+      emoji: '🏃',
+      type: 'cardio',
+      duration: 3,
+    }));
+    expect(entry.route).toEqual(expect.objectContaining({ activity: 'run', splitUnit: 'imperial', distanceM: 800 }));
+    expect(entry.hrSamples?.[0]).toEqual({ value: 150, timestamp: '2024-10-05T07:30:00.000Z' });
+  });
+});
+
+describe('helpers', () => {
+  it('guesses sports from free text', () => {
+    expect(sportFromText('Running')).toBe('running');
+    expect(sportFromText('road_biking')).toBe('cycling');
+    expect(sportFromText('Hike')).toBe('walking');
+    expect(sportFromText('Yoga')).toBe('other');
+  });
+
+  it('detects formats by extension or content', () => {
+    const bytes = (text: string) => new TextEncoder().encode(text);
+    expect(detectWorkoutFileFormat('ride.TCX', bytes(''))).toBe('tcx');
+    expect(detectWorkoutFileFormat('export', bytes('<?xml version="1.0"?><gpx version="1.1">'))).toBe('gpx');
+    expect(detectWorkoutFileFormat('export', new Uint8Array(fs.readFileSync(path.join(FIXTURES, 'run.fit'))))).toBe('fit');
+    expect(detectWorkoutFileFormat('notes.txt', bytes('hello'))).toBeNull();
+  });
+});
@@ -21,6 +21,8 @@ import {
   generateMealPlan,
   suggestFoodSwaps,
   setAIPremiumStatus,
+  parseAIBrainLimitError,
+  AIQuotaError,
 } from '../../services/ai';
 import { supabase } from '../../lib/supabase';
 import { checkAIRateLimit } from '../../lib/rateLimiter';
@@ -153,6 +155,20 @@ describe('AI Service', () => {
       const result = await chatWithNutritionist('How much protein should I eat?');
       expect(result.reply).toBe('Eat more protein!');
       expect(result.suggestions).toEqual(['Chicken', 'Fish']);
+      expect(result.actions).toEqual([]);
+    });
+
+    it('passes through actions this app version can run', async () => {
+      mockInvoke.mockResolvedValue({
+        data: {
+          reply: 'Ready when you are',
+          actions: [{ type: 'add_water', amountMl: 500 }, { type: 'book_trainer' }],
+        },
+        error: null,
+      });
+
+      const result = await chatWithNutritionist('Log half a litre of water');
+      expect(result.actions).toEqual([{ type: 'add_water', amountMl: 500 }]);
     });
 
     it('sanitizes conversation history', async () => {
@@ -273,5 +289,69 @@ describe('AI Service', () => {
 
       await expect(analyzeFoodImage('base64data')).rejects.toThrow('Empty response');
     });
+
+    it('turns a quota 429 into an AIQuotaError with the quota details', async () => {
+      const body = {
+        error: 'Daily limit reached for this AI feature',
+        code: 'ai_quota_exceeded',
+        request_type: 'scan-food',
+        tier: 'premium_annual',
+        scope: 'type',
+        limit: 50,
+        used: 50,
+        resets_at: '2026-03-02T00:00:00.000Z',
+        upgrade_needed: false,
+      };
+      mockInvoke.mockResolvedValue({
+        data: null,
+        error: { message: 'Edge Function returned a non-2xx status code', context: { status: 429, json: async () => body } },
+      });
+
+      const error = await analyzeFoodImage('base64data').catch((e: unknown) => e);
+
+      expect(error).toBeInstanceOf(AIQuotaError);
+      expect((error as AIQuotaError).message).toBe('Daily limit reached for this AI feature');
+      expect((error as AIQuotaError).quota).toEqual({
+        requestType: 'scan-food',
+        tier: 'premium_annual',
+        scope: 'type',
+        limit: 50,
+        used: 50,
+        resetsAt: '2026-03-02T00:00:00.000Z',
+        upgradeNeeded: false,
+      });
+    });
+
+    it('reports server rate limits with the wait time', async () => {
+      mockInvoke.mockResolvedValue({
+        data: null,
+        error: {
+          message: 'Edge Function returned a non-2xx status code',
+          context: { status: 429, json: async () => ({ code: 'rate_limited', retry_after_seconds: 42 }) },
+        },
+      });
+
+      await expect(analyzeFoodImage('base64data')).rejects.toThrow('Too many requests. Please wait 42 seconds.');
+    });
+  });
+
+  describe('parseAIBrainLimitError', () => {
+    it('ignores bodies that are not structured limit responses', () => {
+      expect(parseAIBrainLimitError(null)).toBeNull();
+      expect(parseAIBrainLimitError({ error: 'Daily AI limit reached', upgrade_needed: true })).toBeNull();
+    });
+
+    it('fills safe defaults for missing quota fields', () => {
+      const error = parseAIBrainLimitError({ code: 'ai_quota_exceeded', upgrade_needed: true, limit: -1 });
+
+      expect(error).toBeInstanceOf(AIQuotaError);
+      expect((error as AIQuotaError).quota).toEqual(expect.objectContaining({
+        tier: 'free',
+        scope: 'daily',
+        limit: 0,
+        upgradeNeeded: true,
+      }));
+      expect(Date.parse((error as AIQuotaError).quota.resetsAt)).toBeGreaterThan(Date.now());
+    });
   });
 });
@@ -0,0 +1,163 @@
+import {
+  detectDiaryImporter,
+  getDiaryImporters,
+  parseDiaryImport,
+  registerDiaryImporter,
+} from '../../services/diaryImport';
+import { convertWeight, mealTypeFromTime, parseImportTable } from '../../services/importParsing';
+
+describe('detectDiaryImporter', () => {
+  it.each([
+    ['myfitnesspal', 'Date,Meal,Food Name,Calories,Protein (g),Carbs (g),Fat (g),Serving'],
+    ['cronometer', 'Day,Time,Group,Food Name,Amount,Energy (kcal),Carbs (g),Fat (g),Protein (g)'],
+    ['cronometer', 'Day,Time,Group,Exercise,Minutes,Calories Burned'],
+    ['cronometer', 'Day,Time,Group,Metric,Unit,Amount'],
+    ['loseit', 'Date,Name,Type,Quantity,Units,Calories,Deleted,Fat (g),Protein (g),Carbohydrates (g)'],
+    ['loseit', 'Date,Weight'],
+    ['macrofactor', 'Date,Time,Food Name,Serving Size,Serving Qty,Calories (kcal),Protein (g),Fat (g),Carbs (g)'],
+    ['macrofactor', 'Date,Scale Weight (kg),Trend Weight (kg)'],
+  ])('detects %s from "%s"', (expected, header) => {
+    const detected = detectDiaryImporter(parseImportTable(`${header}\n2026-03-10`));
+    expect(detected?.importer.id).toBe(expected);
+  });
+
+  it('finds a header row below export preamble lines', () => {
+    const rows = parseImportTable(`
+Exported from Lose It!
+Week of 3/9/2026
+Date,Name,Type,Quantity,Units,Calories
+    `);
+    expect(detectDiaryImporter(rows)).toEqual(expect.objectContaining({ headerIndex: 2 }));
+  });
+
+  it('returns null for unrelated spreadsheets', () => {
+    expect(detectDiaryImporter(parseImportTable('Account,Balance\nChecking,100'))).toBeNull();
+  });
+});
+
+describe('parseDiaryImport', () => {
+  it('maps Cronometer servings, amounts and uncategorized groups', () => {
+    const parsed = parseDiaryImport(`
+Day,Time,Group,Food Name,Amount,Energy (kcal),Carbs (g),Fat (g),Protein (g)
+2026-03-10,07:45,Breakfast,"Oats, rolled",0.50 cup,150.3,27.0,2.6,5.3
+2026-03-10,19:10,Uncategorized,Salmon,150.00 g,312,0,19.5,33.2
+    `);
+
+    expect(parsed.source).toBe('cronometer');
+    expect(parsed.entries).toEqual([
+      expect.objectContaining({ mealType: 'breakfast', name: 'Oats, rolled', serving: '0.5 cup', calories: 150.3, source: 'cronometer_import' }),
+      expect.objectContaining({ mealType: 'dinner', name: 'Salmon', serving: '150 g', protein: 33.2 }),
+    ]);
+  });
+
+  it('reads Cronometer weight biometrics and skips other metrics', () => {
+    const parsed = parseDiaryImport(`
+Day,Time,Group,Metric,Unit,Amount
+2026-03-10,07:00,,Weight,kg,81.4
+2026-03-10,07:00,,Body Fat,%,18
+    `);
+
+    expect(parsed.weights).toEqual([{ dateKey: '2026-03-10', weight: 81.4, unit: 'kg' }]);
+    expect(parsed.summary).toEqual(expect.objectContaining({ entryCount: 0, weightCount: 1, skippedCount: 1 }));
+  });
+
+  it('splits Lose It! exercise rows from food and drops deleted entries', () => {
+    const parsed = parseDiaryImport(`
+Date,Name,Type,Quantity,Units,Calories,Deleted,Fat (g),Protein (g),Carbohydrates (g)
+03/10/2026,Bagel,Breakfast,1.00,Each,289,false,1.7,11,56
+03/10/2026,Pizza,Dinner,2,Slices,570,true,22,24,66
+03/10/2026,"Running, 6 mph",Exercise,0.5,Hours,-350,false,,,
+    `);
+
+    expect(parsed.source).toBe('loseit');
+    expect(parsed.entries).toEqual([
+      expect.objectContaining({ name: 'Bagel', mealType: 'breakfast', serving: '1 Each', carbs: 56, sourceLabel: 'Lose It! Import' }),
+    ]);
+    expect(parsed.exercises).toEqual([
+      { dateKey: '2026-03-10', name: 'Running, 6 mph', durationMinutes: 30, caloriesBurned: 350 },
+    ]);
+    expect(parsed.summary).toEqual(expect.objectContaining({ entryCount: 1, exerciseCount: 1, skippedCount: 1 }));
+  });
+
+  it('assigns MacroFactor meals from the log time and formats serving quantities', () => {
+    const parsed = parseDiaryImport(`
+Date,Time,Food Name,Serving Size,Serving Qty,Calories (kcal),Protein (g),Fat (g),Carbs (g)
+2026-03-11,12:30 PM,Chicken Breast,100 g,2,330,62,7,0
+2026-03-11,22:45,Casein Shake,1 scoop,1,120,24,1,3
+    `);
+
+    expect(parsed.source).toBe('macrofactor');
+    expect(parsed.entries).toEqual([
+      expect.objectContaining({ name: 'Chicken Breast', mealType: 'lunch', serving: '2 × 100 g' }),
+      expect.objectContaining({ name: 'Casein Shake', mealType: 'snacks', serving: '1 scoop' }),
+    ]);
+  });
+
+  it('keeps the weight unit from the MacroFactor header', () => {
+    const parsed = parseDiaryImport(`
+Date,Scale Weight (lbs),Trend Weight (lbs)
+2026-03-10,180.2,181.0
+2026-03-11,,180.8
+    `);
+
+    expect(parsed.weights).toEqual([{ dateKey: '2026-03-10', weight: 180.2, unit: 'lbs' }]);
+    expect(parsed.summary.skippedCount).toBe(1);
+  });
+
+  it('accepts JSON exports with the same columns', () => {
+    const parsed = parseDiaryImport(JSON.stringify({
+      entries: [
+        { Date: '2026-03-10', Meal: 'Lunch', 'Food Name': 'Burrito', Calories: 640, Protein: 32, Carbs: 70, Fat: 22 },
+      ],
+    }));
+
+    expect(parsed.source).toBe('myfitnesspal');
+    expect(parsed.entries[0]).toEqual(expect.objectContaining({ name: 'Burrito', mealType: 'lunch', serving: '1 serving' }));
+  });
+
+  it('summarises the date range across food, exercise and weight rows', () => {
+    const parsed = parseDiaryImport(`
+Date,Name,Type,Quantity,Units,Calories
+2026-03-12,Toast,Breakfast,2,Slices,160
+2026-03-09,Walking,Exercise,40,Minutes,-150
+    `);
+
+    expect(parsed.summary).toEqual(expect.objectContaining({ startDate: '2026-03-09', endDate: '2026-03-12', dayCount: 2 }));
+  });
+
+  it('throws a helpful error for unrecognised files', () => {
+    expect(() => parseDiaryImport('Account,Balance\nChecking,100')).toThrow(
+      'Could not recognise this export. Supported apps: MyFitnessPal, Cronometer, Lose It!, MacroFactor.'
+    );
+    expect(() => parseDiaryImport('   ')).toThrow('Paste or choose a diary export first.');
+  });
+});
+
+describe('registerDiaryImporter', () => {
+  it('replaces an existing importer with the same id', () => {
+    const original = getDiaryImporters()[0];
+    const count = getDiaryImporters().length;
+
+    registerDiaryImporter({ ...original, label: 'MyFitnessPal (custom)' });
+    expect(getDiaryImporters()).toHaveLength(count);
+    expect(parseDiaryImport('Date,Meal,Food Name,Calories\n2026-03-10,Lunch,Soup,200').sourceLabel).toBe('MyFitnessPal (custom)');
+
+    registerDiaryImporter(original);
+  });
+});
+
+describe('import helpers', () => {
+  it('maps log times to meal slots', () => {
+    expect(mealTypeFromTime('07:15')).toBe('breakfast');
+    expect(mealTypeFromTime('1:05 pm')).toBe('lunch');
+    expect(mealTypeFromTime('18:40')).toBe('dinner');
+    expect(mealTypeFromTime('16:00')).toBe('snacks');
+    expect(mealTypeFromTime('later')).toBeNull();
+  });
+
+  it('converts weights between units', () => {
+    expect(convertWeight(80, 'kg', 'lbs')).toBe(176.4);
+    expect(convertWeight(176.4, 'lbs', 'kg')).toBe(80);
+    expect(convertWeight(80, 'kg', 'kg')).toBe(80);
+  });
+});
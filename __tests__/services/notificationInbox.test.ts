@@ -0,0 +1,157 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import type * as Notifications from 'expo-notifications';
+import {
+  getNotificationInbox,
+  markAllInboxItemsRead,
+  markInboxItemRead,
+  MAX_INBOX_ITEMS,
+  mergeInboxItems,
+  recordNotifications,
+  syncPushDeliveries,
+  toInboxItem,
+  type NotificationInboxItem,
+} from '../../services/notificationInbox';
+import { getRouteForNotificationData } from '../../lib/notificationRoutes';
+
+jest.mock('expo-notifications', () => ({
+  getPresentedNotificationsAsync: jest.fn(() => Promise.resolve([])),
+  addNotificationReceivedListener: jest.fn(() => ({ remove: jest.fn() })),
+}));
+
+const mockDeliveries = jest.fn();
+
+jest.mock('../../lib/supabase', () => ({
+  supabase: {
+    from: jest.fn(() => ({
+      select: () => ({
+        eq: () => ({
+          eq: () => ({
+            order: () => ({ limit: mockDeliveries }),
+          }),
+        }),
+      }),
+    })),
+  },
+}));
+
+function notification(
+  identifier: string,
+  date: number,
+  data: Record<string, unknown>,
+  title = 'Lunch Reminder'
+): Notifications.Notification {
+  return {
+    date,
+    request: {
+      identifier,
+      content: { title, body: 'Midday fuel check!', data },
+      trigger: null,
+    },
+  } as unknown as Notifications.Notification;
+}
+
+function item(id: string, receivedAt: string, read = false): NotificationInboxItem {
+  return { id, title: id, body: '', data: {}, category: null, receivedAt, read };
+}
+
+// Back AsyncStorage with a real map so reads see earlier writes
+let store: Record<string, string>;
+
+describe('notification inbox', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    store = {};
+    (AsyncStorage.getItem as jest.Mock).mockImplementation((key: string) => Promise.resolve(store[key] ?? null));
+    (AsyncStorage.setItem as jest.Mock).mockImplementation((key: string, value: string) => {
+      store[key] = value;
+      return Promise.resolve();
+    });
+  });
+
+  it('turns a delivered notification into an item the inbox can route', () => {
+    const delivered = toInboxItem(notification('meal-lunch', Date.UTC(2026, 2, 10, 12, 30), {
+      type: 'meal-reminder',
+      meal: 'lunch',
+    }));
+
+    expect(delivered).toEqual(expect.objectContaining({
+      id: `meal-lunch@${Date.UTC(2026, 2, 10, 12, 30)}`,
+      title: 'Lunch Reminder',
+      category: 'meals',
+      receivedAt: '2026-03-10T12:30:00.000Z',
+      read: false,
+    }));
+    expect(getRouteForNotificationData(delivered!.data)).toEqual({
+      pathname: '/(tabs)/add',
+      params: { meal: 'lunch', source: 'meal_reminder' },
+    });
+  });
+
+  it('keys server pushes by delivery id', () => {
+    const push = toInboxItem(notification('expo-1', Date.now(), { type: 'group-reply', deliveryId: '42' }));
+
+    expect(push?.id).toBe('push-42');
+    expect(push?.category).toBe('social');
+  });
+
+  it('records repeat daily reminders separately and the same delivery once', async () => {
+    await recordNotifications([
+      notification('meal-lunch', Date.UTC(2026, 2, 10, 12, 30), { type: 'meal-reminder' }),
+      notification('meal-lunch', Date.UTC(2026, 2, 11, 12, 30), { type: 'meal-reminder' }),
+    ]);
+    const inbox = await recordNotifications(
+      [notification('meal-lunch', Date.UTC(2026, 2, 11, 12, 30), { type: 'meal-reminder' })],
+      { read: true }
+    );
+
+    expect(inbox.map((entry) => [entry.receivedAt, entry.read])).toEqual([
+      ['2026-03-11T12:30:00.000Z', true],
+      ['2026-03-10T12:30:00.000Z', false],
+    ]);
+  });
+
+  it('merges server deliveries without duplicating pushes already seen', async () => {
+    await recordNotifications(
+      [notification('expo-1', Date.UTC(2026, 2, 10, 9, 0), { type: 'group-reply', deliveryId: '7' }, 'Re: Meal prep')],
+      { read: true }
+    );
+    mockDeliveries.mockResolvedValueOnce({
+      data: [
+        { id: 8, title: 'New Comment', body: 'Sam: Nice', data: { type: 'social-notification', postId: 'p1' }, created_at: '2026-03-10T10:00:00+00:00' },
+        { id: 7, title: 'Re: Meal prep', body: 'Kai: Same', data: { type: 'group-reply' }, created_at: '2026-03-10T09:00:00+00:00' },
+      ],
+      error: null,
+    });
+
+    await syncPushDeliveries('user-1');
+    const inbox = await getNotificationInbox();
+
+    expect(inbox.map((entry) => [entry.id, entry.read])).toEqual([
+      ['push-8', false],
+      ['push-7', true],
+    ]);
+  });
+
+  it('marks items read one at a time or all at once', async () => {
+    await recordNotifications([
+      notification('water-0', Date.UTC(2026, 2, 10, 8, 0), { type: 'water-reminder' }),
+      notification('water-1', Date.UTC(2026, 2, 10, 10, 0), { type: 'water-reminder' }),
+    ]);
+
+    const afterOne = await markInboxItemRead(`water-0@${Date.UTC(2026, 2, 10, 8, 0)}`);
+    expect(afterOne.filter((entry) => !entry.read)).toHaveLength(1);
+
+    const afterAll = await markAllInboxItemsRead();
+    expect(afterAll.every((entry) => entry.read)).toBe(true);
+  });
+
+  it('keeps only the newest items', () => {
+    const existing = Array.from({ length: MAX_INBOX_ITEMS }, (_, i) =>
+      item(`old-${i}`, new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString()));
+    const merged = mergeInboxItems(existing, [item('new', '2026-03-01T00:00:00.000Z')]);
+
+    expect(merged).toHaveLength(MAX_INBOX_ITEMS);
+    expect(merged[0].id).toBe('new');
+    expect(merged.some((entry) => entry.id === 'old-0')).toBe(false);
+  });
+});
@@ -1,10 +1,14 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import {
   DEFAULT_SETTINGS,
+  rescheduleAll,
   scheduleActivationReminder,
+  scheduleFastingAlert,
   scheduleMealReminders,
   scheduleSocialNotification,
   scheduleAccountabilityCheck,
+  scheduleStreakWarning,
+  scheduleWaterReminders,
 } from '../../services/notifications';
 import { formatLocalDateKey } from '../../lib/date';
 
@@ -26,6 +30,9 @@ jest.mock('expo-notifications', () => ({
 describe('notification scheduling', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    // Midday, outside the default 22:00-07:00 quiet hours
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date(2026, 2, 10, 12, 0));
     mockScheduleNotificationAsync.mockResolvedValue(undefined);
     const today = formatLocalDateKey(new Date());
     (AsyncStorage.getItem as jest.Mock).mockImplementation((key: string) => {
@@ -36,6 +43,10 @@ describe('notification scheduling', () => {
     });
   });
 
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
   it('schedules recurring meal reminders even when the immediate notification cap is full', async () => {
     await scheduleMealReminders(DEFAULT_SETTINGS);
 
@@ -104,8 +115,8 @@ describe('notification scheduling', () => {
   it('applies the immediate cap against the local calendar day', async () => {
     const previousTZ = process.env.TZ;
     process.env.TZ = 'America/Los_Angeles';
-    jest.useFakeTimers();
-    jest.setSystemTime(new Date('2026-03-08T07:30:00Z'));
+    // 19:30 on March 7 in Los Angeles, already March 8 in UTC
+    jest.setSystemTime(new Date('2026-03-08T03:30:00Z'));
 
     try {
       const today = formatLocalDateKey(new Date());
@@ -120,7 +131,6 @@ describe('notification scheduling', () => {
 
       expect(mockScheduleNotificationAsync).not.toHaveBeenCalled();
     } finally {
-      jest.useRealTimers();
       process.env.TZ = previousTZ;
     }
   });
@@ -132,4 +142,83 @@ describe('notification scheduling', () => {
     expect(mockCancelScheduledNotificationAsync).toHaveBeenCalledWith('activation-reminder');
     expect(AsyncStorage.setItem).not.toHaveBeenCalled();
   });
+
+  it('skips water reminders that fall in quiet hours', async () => {
+    await scheduleWaterReminders({
+      ...DEFAULT_SETTINGS,
+      quietHoursStart: { hour: 20, minute: 0 },
+      quietHoursEnd: { hour: 9, minute: 0 },
+    });
+
+    const hours = mockScheduleNotificationAsync.mock.calls.map(([request]) => request.trigger.hour);
+    expect(hours).toEqual([10, 12, 14, 16, 18]);
+  });
+
+  it('moves meal reminders out of quiet hours', async () => {
+    await scheduleMealReminders({ ...DEFAULT_SETTINGS, breakfastTime: { hour: 6, minute: 30 } });
+
+    expect(mockScheduleNotificationAsync.mock.calls[0][0].trigger).toEqual(
+      expect.objectContaining({ hour: 7, minute: 0 })
+    );
+  });
+
+  it('holds immediate social notifications during quiet hours', async () => {
+    jest.setSystemTime(new Date(2026, 2, 10, 23, 0));
+    (AsyncStorage.getItem as jest.Mock).mockResolvedValue(null);
+
+    await scheduleSocialNotification('post_comment', { userName: 'Alex' });
+    await scheduleAccountabilityCheck('Alex', 12);
+
+    expect(mockScheduleNotificationAsync).not.toHaveBeenCalled();
+    expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+  });
+
+  it('respects the social toggle', async () => {
+    (AsyncStorage.getItem as jest.Mock).mockImplementation((key: string) => Promise.resolve(
+      key === '@fueliq_notification_settings' ? JSON.stringify({ socialPush: false }) : null
+    ));
+
+    await scheduleSocialNotification('post_comment', { userName: 'Alex' });
+
+    expect(mockScheduleNotificationAsync).not.toHaveBeenCalled();
+  });
+
+  it('announces a fast that ends overnight when quiet hours end', async () => {
+    await scheduleFastingAlert(new Date(2026, 2, 11, 2, 0), DEFAULT_SETTINGS);
+
+    expect(mockScheduleNotificationAsync.mock.calls[0][0].trigger.date).toEqual(new Date(2026, 2, 11, 7, 0));
+  });
+
+  it('schedules the streak warning at its time unless that is in quiet hours', async () => {
+    await scheduleStreakWarning(5, 'Alex', { ...DEFAULT_SETTINGS, streakTime: { hour: 20, minute: 30 } });
+    expect(mockScheduleNotificationAsync.mock.calls[0][0].trigger.date).toEqual(new Date(2026, 2, 10, 20, 30));
+
+    mockScheduleNotificationAsync.mockClear();
+    await scheduleStreakWarning(5, 'Alex', { ...DEFAULT_SETTINGS, streakTime: { hour: 22, minute: 30 } });
+    expect(mockScheduleNotificationAsync).not.toHaveBeenCalled();
+  });
+
+  it('schedules coaching and the weekly digest only when enabled', async () => {
+    await rescheduleAll({ ...DEFAULT_SETTINGS, mealReminders: false, waterReminders: false, streakWarnings: false });
+
+    expect(mockScheduleNotificationAsync.mock.calls.map(([request]) => request.identifier)).toEqual([
+      'morning-briefing',
+      'weekly-digest',
+    ]);
+    expect(mockScheduleNotificationAsync.mock.calls[1][0].trigger).toEqual(
+      expect.objectContaining({ type: 'weekly', weekday: 1, hour: 18, minute: 0 })
+    );
+
+    mockScheduleNotificationAsync.mockClear();
+    await rescheduleAll({
+      ...DEFAULT_SETTINGS,
+      mealReminders: false,
+      waterReminders: false,
+      streakWarnings: false,
+      coachingReminders: false,
+      weeklyDigest: false,
+    });
+
+    expect(mockScheduleNotificationAsync).not.toHaveBeenCalled();
+  });
 });
@@ -0,0 +1,91 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_SETTINGS } from '../../services/notifications';
+import {
+  registerPushToken,
+  toPushPreferencesRow,
+  unregisterPushToken,
+} from '../../services/pushNotifications';
+import { supabase } from '../../lib/supabase';
+
+const mockGetExpoPushTokenAsync = jest.fn();
+
+jest.mock('expo-notifications', () => ({
+  getExpoPushTokenAsync: (...args: unknown[]) => mockGetExpoPushTokenAsync(...args),
+}));
+
+jest.mock('expo-device', () => ({ isDevice: true }));
+
+jest.mock('expo-constants', () => ({
+  __esModule: true,
+  default: { expoConfig: { extra: { eas: { projectId: 'project-123' } } } },
+}));
+
+jest.mock('expo-localization', () => ({
+  getCalendars: () => [{ timeZone: 'Europe/Berlin' }],
+}));
+
+const mockDeleteEq = jest.fn(() => Promise.resolve({ error: null }));
+
+jest.mock('../../lib/supabase', () => ({
+  supabase: {
+    rpc: jest.fn(() => Promise.resolve({ error: null })),
+    from: jest.fn(() => ({ delete: () => ({ eq: mockDeleteEq }) })),
+  },
+}));
+
+describe('push token registration', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGetExpoPushTokenAsync.mockResolvedValue({ data: 'ExponentPushToken[abc]' });
+  });
+
+  it('registers the Expo push token for this project and remembers it', async () => {
+    await expect(registerPushToken()).resolves.toBe('ExponentPushToken[abc]');
+
+    expect(mockGetExpoPushTokenAsync).toHaveBeenCalledWith({ projectId: 'project-123' });
+    expect(supabase.rpc).toHaveBeenCalledWith('register_push_token', {
+      p_token: 'ExponentPushToken[abc]',
+      p_platform: 'ios',
+    });
+    expect(AsyncStorage.setItem).toHaveBeenCalledWith('@fueliq_push_token', 'ExponentPushToken[abc]');
+  });
+
+  it('returns null when the server rejects the token', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    (supabase.rpc as jest.Mock).mockResolvedValueOnce({ error: { message: 'Not authenticated' } });
+
+    await expect(registerPushToken()).resolves.toBeNull();
+    expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+
+    warn.mockRestore();
+  });
+
+  it('deletes the remembered token on unregister', async () => {
+    (AsyncStorage.getItem as jest.Mock).mockResolvedValueOnce('ExponentPushToken[abc]');
+
+    await unregisterPushToken();
+
+    expect(supabase.from).toHaveBeenCalledWith('push_tokens');
+    expect(mockDeleteEq).toHaveBeenCalledWith('token', 'ExponentPushToken[abc]');
+    expect(AsyncStorage.removeItem).toHaveBeenCalledWith('@fueliq_push_token');
+  });
+});
+
+describe('toPushPreferencesRow', () => {
+  it('sends quiet hours as local times with the device timezone', () => {
+    const row = toPushPreferencesRow('user-1', {
+      ...DEFAULT_SETTINGS,
+      quietHoursStart: { hour: 21, minute: 30 },
+      quietHoursEnd: { hour: 6, minute: 5 },
+    }, 'Europe/Berlin');
+
+    expect(row).toEqual(expect.objectContaining({
+      user_id: 'user-1',
+      timezone: 'Europe/Berlin',
+      social_push: true,
+      quiet_hours_enabled: true,
+      quiet_hours_start: '21:30',
+      quiet_hours_end: '06:05',
+    }));
+  });
+});
@@ -0,0 +1,371 @@
+/**
+ * Tests for the Strava, Oura and Polar wearable providers.
+ *
+ * Provider APIs are replaced by a fetch mock that serves recorded responses
+ * from __tests__/fixtures/wearables. We test:
+ * - Normalization of each provider's sync into NormalizedHealthData
+ * - OAuth connect / token exchange (Strava athlete id, Polar registration)
+ * - Token refresh before sync
+ * - mergeHealthData source priority, workout dedup and provenance
+ */
+
+import fs from 'fs';
+import path from 'path';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const mockOpenAuthSession = jest.fn();
+
+jest.mock('expo-web-browser', () => ({
+  openAuthSessionAsync: (...args: any[]) => mockOpenAuthSession(...args),
+}));
+
+jest.mock('expo-linking', () => ({
+  createURL: (route: string) => `fueliq://${route}`,
+}));
+
+import {
+  clearConnectionCache,
+  connectProvider,
+  exchangePolarToken,
+  mergeHealthData,
+  syncProvider,
+} from '../../services/wearableIntegrations';
+import { DEFAULT_SOURCE_PRIORITY } from '../../lib/healthSources';
+import type { SyncResult, WearableProvider } from '../../services/wearableIntegrations';
+
+const FIXTURES = path.join(__dirname, '../fixtures/wearables');
+
+function fixture(name: string): unknown {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'));
+}
+
+interface MockRoute {
+  match: string;
+  body?: unknown;
+  status?: number;
+}
+
+/** Serve the first route whose `match` is contained in the request URL. */
+function mockFetch(routes: MockRoute[]): jest.Mock {
+  const fetchMock = jest.fn(async (url: string) => {
+    const route = routes.find((r) => url.includes(r.match));
+    const status = route ? route.status ?? 200 : 404;
+    const body = route?.body ?? {};
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      json: async () => body,
+      text: async () => JSON.stringify(body),
+    };
+  });
+  global.fetch = fetchMock as unknown as typeof fetch;
+  return fetchMock;
+}
+
+function seedConnection(provider: WearableProvider, overrides: Record<string, unknown> = {}): void {
+  (AsyncStorage.getItem as jest.Mock).mockResolvedValue(JSON.stringify({
+    [provider]: {
+      provider,
+      isConnected: true,
+      lastSynced: null,
+      accessToken: `${provider}-access`,
+      refreshToken: `${provider}-refresh`,
+      expiresAt: Date.now() + 60 * 60 * 1000,
+      tokenSecret: null,
+      userId: null,
+      ...overrides,
+    },
+  }));
+}
+
+async function syncData(provider: WearableProvider) {
+  const result = await syncProvider(provider);
+  expect(result.error).toBeUndefined();
+  expect(result.success).toBe(true);
+  return result.data!;
+}
+
+const originalFetch = global.fetch;
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  // 3pm local time on the day the fixtures were recorded
+  jest.useFakeTimers({
+    now: new Date(2026, 2, 12, 15, 0, 0),
+    doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'],
+  });
+  clearConnectionCache();
+  (AsyncStorage.getItem as jest.Mock).mockReset().mockResolvedValue(null);
+  mockOpenAuthSession.mockReset();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+afterAll(() => {
+  global.fetch = originalFetch;
+  jest.restoreAllMocks();
+});
+
+describe('Strava', () => {
+  const routes: MockRoute[] = [
+    { match: 'strava.com/api/v3/athlete/activities', body: fixture('strava-activities') },
+  ];
+
+  it('normalizes activities into workouts', async () => {
+    seedConnection('strava');
+    mockFetch(routes);
+
+    const data = await syncData('strava');
+
+    expect(data.provider).toBe('strava');
+    expect(data.workouts).toEqual([
+      {
+        provider: 'strava',
+        id: '13829401157',
+        sport: 'running',
+        name: 'Lunch Run',
+        startTime: '2026-03-12T12:04:11.000Z',
+        durationMinutes: 44,
+        distanceKm: 8.04,
+        calories: null,
+        averageHeartRate: 151,
+        maxHeartRate: 174,
+      },
+      expect.objectContaining({ id: '13811873320', sport: 'cycling', distanceKm: 32.52, calories: 703 }),
+      expect.objectContaining({
+        id: '13790011874',
+        sport: 'strength',
+        distanceKm: null,
+        averageHeartRate: null,
+      }),
+    ]);
+    // Only today's run counts towards the daily heart rate
+    expect(data.averageHeartRate).toBe(151);
+    expect(data.sleepMinutes).toBeNull();
+  });
+
+  it('refreshes an expired token before syncing', async () => {
+    seedConnection('strava', { expiresAt: Date.now() - 1000 });
+    const fetchMock = mockFetch([
+      { match: 'strava.com/oauth/token', body: fixture('strava-token') },
+      ...routes,
+    ]);
+
+    await syncData('strava');
+
+    const activityCall = fetchMock.mock.calls.find(([url]) => url.includes('/athlete/activities'));
+    expect(activityCall[1].headers.Authorization).toBe('Bearer a4b945687gstravaaccess');
+  });
+
+  it('connects through OAuth and keeps the athlete id', async () => {
+    mockFetch([{ match: 'strava.com/oauth/token', body: fixture('strava-token') }]);
+    mockOpenAuthSession.mockImplementation(async (authUrl: string, redirect: string) => {
+      const state = new URL(authUrl).searchParams.get('state');
+      return { type: 'success', url: `${redirect}?state=${state}&code=abc123&scope=read,activity:read_all` };
+    });
+
+    const connection = await connectProvider('strava');
+
+    expect(mockOpenAuthSession.mock.calls[0][0]).toContain('https://www.strava.com/oauth/mobile/authorize?');
+    expect(connection).toEqual(expect.objectContaining({
+      isConnected: true,
+      accessToken: 'a4b945687gstravaaccess',
+      refreshToken: 'e5n567567stravarefresh',
+      expiresAt: Date.now() + 21600 * 1000,
+      userId: '88213004',
+    }));
+  });
+});
+
+describe('Oura', () => {
+  const routes: MockRoute[] = [
+    { match: 'usercollection/sleep', body: fixture('oura-sleep') },
+    { match: 'usercollection/daily_readiness', body: fixture('oura-readiness') },
+    { match: 'usercollection/daily_activity', body: fixture('oura-activity') },
+    { match: 'usercollection/daily_spo2', body: fixture('oura-spo2') },
+    { match: 'usercollection/heartrate', body: fixture('oura-heartrate') },
+    { match: 'usercollection/workout', body: fixture('oura-workouts') },
+  ];
+
+  it('normalizes sleep, readiness, activity, heart rate and workouts', async () => {
+    seedConnection('oura');
+    mockFetch(routes);
+
+    const data = await syncData('oura');
+
+    expect(data).toEqual(expect.objectContaining({
+      provider: 'oura',
+      // The overnight period, not the afternoon nap
+      sleepMinutes: 441,
+      deepSleepMinutes: 89,
+      remSleepMinutes: 104,
+      lightSleepMinutes: 249,
+      restingHeartRate: 47,
+      hrv: 58,
+      respiratoryRate: 14.1,
+      readinessScore: 82,
+      steps: 11482,
+      activeCalories: 612,
+      spo2: 96.4,
+      // Daytime samples only
+      averageHeartRate: 86,
+    }));
+    expect(data.workouts.map((w) => [w.id, w.sport, w.name, w.durationMinutes])).toEqual([
+      ['1a2b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d', 'running', 'Trail loop', 44],
+      ['9f1c2d3e-4b5a-4c6d-8e7f-0a1b2c3d4e5f', 'cycling', null, 73],
+    ]);
+  });
+
+  it('keeps what it could read when one endpoint fails', async () => {
+    seedConnection('oura');
+    mockFetch([{ match: 'usercollection/heartrate', status: 500 }, ...routes]);
+
+    const data = await syncData('oura');
+
+    expect(data.averageHeartRate).toBeNull();
+    expect(data.readinessScore).toBe(82);
+  });
+});
+
+describe('Polar', () => {
+  const routes: MockRoute[] = [
+    { match: 'v3/users/sleep', body: fixture('polar-sleep') },
+    { match: 'v3/users/nightly-recharge', body: fixture('polar-nightly-recharge') },
+    { match: 'v3/users/activities', body: fixture('polar-activities') },
+    { match: 'v3/users/continuous-heart-rate/2026-03-12', body: fixture('polar-heartrate') },
+    { match: 'v3/exercises', body: fixture('polar-exercises') },
+  ];
+
+  it('normalizes sleep, Nightly Recharge, activity, heart rate and exercises', async () => {
+    seedConnection('polar', { refreshToken: null, expiresAt: null, userId: '48712503' });
+    mockFetch(routes);
+
+    const data = await syncData('polar');
+
+    expect(data).toEqual(expect.objectContaining({
+      provider: 'polar',
+      sleepMinutes: 427,
+      deepSleepMinutes: 84,
+      remSleepMinutes: 105,
+      lightSleepMinutes: 231,
+      readinessScore: 80,
+      restingHeartRate: 53,
+      hrv: 61,
+      respiratoryRate: 13.8,
+      steps: 12904,
+      activeCalories: 701,
+      averageHeartRate: 85,
+    }));
+    expect(data.workouts[0]).toEqual({
+      provider: 'polar',
+      id: '2AC312F',
+      sport: 'running',
+      name: null,
+      // 13:04:11 local at UTC+1
+      startTime: '2026-03-12T12:04:11.000Z',
+      durationMinutes: 44,
+      distanceKm: 8.06,
+      calories: 512,
+      averageHeartRate: 149,
+      maxHeartRate: 172,
+    });
+    expect(data.workouts[1]).toEqual(expect.objectContaining({ sport: 'strength', distanceKm: null }));
+  });
+
+  it('registers the user after token exchange and tolerates an existing registration', async () => {
+    const fetchMock = mockFetch([
+      { match: 'polarremote.com/v2/oauth2/token', body: fixture('polar-token') },
+      { match: 'polaraccesslink.com/v3/users', status: 409 },
+    ]);
+
+    const token = await exchangePolarToken('code-1');
+
+    expect(token).toEqual({
+      accessToken: '2YotnFZFEjr1zCsicMWpAA',
+      refreshToken: null,
+      expiresIn: 315359999,
+      userId: '48712503',
+    });
+    const [, tokenInit] = fetchMock.mock.calls[0];
+    expect(tokenInit.headers.Authorization).toMatch(/^Basic /);
+    const [registerUrl, registerInit] = fetchMock.mock.calls[1];
+    expect(registerUrl).toBe('https://www.polaraccesslink.com/v3/users');
+    expect(JSON.parse(registerInit.body)).toEqual({ 'member-id': '48712503' });
+  });
+
+  it('fails the exchange when registration is rejected', async () => {
+    mockFetch([
+      { match: 'polarremote.com/v2/oauth2/token', body: fixture('polar-token') },
+      { match: 'polaraccesslink.com/v3/users', status: 403 },
+    ]);
+
+    await expect(exchangePolarToken('code-1')).rejects.toThrow('HTTP 403');
+  });
+});
+
+describe('mergeHealthData', () => {
+  async function syncAll(): Promise<SyncResult[]> {
+    const results: SyncResult[] = [];
+    const cases: Array<[WearableProvider, MockRoute[]]> = [
+      ['strava', [{ match: 'athlete/activities', body: fixture('strava-activities') }]],
+      ['oura', [
+        { match: 'usercollection/daily_readiness', body: fixture('oura-readiness') },
+        { match: 'usercollection/workout', body: fixture('oura-workouts') },
+      ]],
+      ['polar', [
+        { match: 'v3/users/nightly-recharge', body: fixture('polar-nightly-recharge') },
+        { match: 'v3/exercises', body: fixture('polar-exercises') },
+      ]],
+    ];
+    for (const [provider, routes] of cases) {
+      clearConnectionCache();
+      seedConnection(provider);
+      mockFetch(routes);
+      results.push(await syncProvider(provider));
+    }
+    return results;
+  }
+
+  it('collapses the same session recorded by several providers', async () => {
+    const merged = mergeHealthData(await syncAll());
+
+    // Run (Strava, Oura, Polar) and ride (Strava, Oura) each appear once
+    expect(merged.workouts).toHaveLength(4);
+    const run = merged.workouts[0];
+    expect(run).toEqual(expect.objectContaining({ source: 'polar', sport: 'running' }));
+    expect(run.alsoRecordedBy).toEqual(['strava', 'oura']);
+    const starts = merged.workouts.map((w) => w.startTime);
+    expect([...starts].sort().reverse()).toEqual(starts);
+  });
+
+  it('picks each metric from the highest-priority source and records it', async () => {
+    const results = await syncAll();
+
+    const merged = mergeHealthData(results);
+    expect(merged.readinessScore).toBe(82);
+    expect(merged.provenance.readinessScore).toBe('oura');
+    expect(merged.provenance.hrv).toBe('polar');
+
+    const polarFirst = mergeHealthData(results, {
+      ...DEFAULT_SOURCE_PRIORITY,
+      recovery: ['polar', 'oura'],
+    });
+    expect(polarFirst.readinessScore).toBe(80);
+    expect(polarFirst.provenance.readinessScore).toBe('polar');
+  });
+
+  it('drops repeats of the same provider workout', async () => {
+    const [strava] = await syncAll();
+    const merged = mergeHealthData([strava, strava]);
+
+    expect(merged.workouts).toHaveLength(3);
+    expect(merged.workouts.every((w) => w.alsoRecordedBy.length === 0)).toBe(true);
+  });
+});
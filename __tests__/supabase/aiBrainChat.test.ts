@@ -0,0 +1,146 @@
+import { handleChat, validateChatActions } from '../../supabase/functions/ai-brain/chat';
+import { createLLM } from '../../supabase/functions/ai-brain/llm';
+import { createMockProvider } from '../../supabase/functions/ai-brain/providers/mock';
+
+/** A model that answers every chat with `text`, recording what it was asked */
+function stubModel(text: string) {
+  const provider = createMockProvider({ chat: text });
+  return { llm: createLLM({ mock: provider }, {}, 'mock'), calls: provider.calls };
+}
+
+const eggs = { name: 'Scrambled Eggs', emoji: '🍳', calories: 180, protein: 12, carbs: 2, fat: 14, serving: '2 eggs' };
+
+describe('validateChatActions', () => {
+  it('accepts each action type in its documented shape', () => {
+    expect(validateChatActions([
+      { type: 'log_food', mealType: 'Lunch', foods: [eggs] },
+      { type: 'start_fast', protocol: '16:8' },
+      { type: 'add_water', amountMl: 500 },
+    ])).toEqual([
+      { type: 'log_food', mealType: 'lunch', foods: [eggs] },
+      { type: 'start_fast', hours: 16 },
+      { type: 'add_water', amountMl: 500 },
+    ]);
+
+    expect(validateChatActions([
+      { type: 'create_recipe', name: 'Egg Bowl', servings: '2', ingredients: [eggs, { name: 'Rice', calories: 200 }] },
+    ])).toEqual([{
+      type: 'create_recipe',
+      name: 'Egg Bowl',
+      emoji: '🍳',
+      servings: 2,
+      ingredients: [eggs, { name: 'Rice', emoji: '🍽️', calories: 200, protein: 0, carbs: 0, fat: 0, serving: '1 serving' }],
+    }]);
+  });
+
+  it('drops unknown, malformed and out-of-range actions instead of repairing them', () => {
+    expect(validateChatActions([
+      { type: 'delete_account' },
+      { type: 'log_food', foods: [{ calories: 300 }] },
+      { type: 'start_fast', hours: 200 },
+      { type: 'start_fast', protocol: '16:10' },
+      { type: 'add_water', amountMl: -250 },
+      { type: 'add_water' },
+      { type: 'create_recipe', name: '', ingredients: [eggs] },
+      'log_food',
+      null,
+    ])).toEqual([]);
+    expect(validateChatActions({ type: 'add_water', amountMl: 250 })).toEqual([]);
+  });
+
+  it('normalizes meal names and leaves an unknown meal for the app to pick', () => {
+    const [snack, brunch] = validateChatActions([
+      { type: 'log_food', mealType: 'snack', foods: [eggs] },
+      { type: 'log_food', mealType: 'brunch', foods: [eggs] },
+    ]);
+
+    expect(snack).toEqual(expect.objectContaining({ mealType: 'snacks' }));
+    expect(brunch).toEqual(expect.objectContaining({ mealType: null }));
+  });
+
+  it('caps the number of actions and the foods per action', () => {
+    const foods = Array.from({ length: 15 }, (_, i) => ({ ...eggs, name: `Food ${i}` }));
+    const actions = validateChatActions([
+      { type: 'log_food', foods },
+      { type: 'add_water', amountMl: 250 },
+      { type: 'add_water', amountMl: 300 },
+      { type: 'add_water', amountMl: 400 },
+    ]);
+
+    expect(actions).toHaveLength(3);
+    expect(actions[0].type === 'log_food' && actions[0].foods).toHaveLength(10);
+  });
+});
+
+describe('handleChat', () => {
+  it('returns validated actions from the model reply', async () => {
+    const { llm, calls } = stubModel(JSON.stringify({
+      reply: 'Want me to log your eggs to breakfast?',
+      suggestions: ['How much protein is left?'],
+      actions: [
+        { type: 'log_food', mealType: 'breakfast', foods: [eggs] },
+        { type: 'launch_rocket' },
+      ],
+    }));
+
+    const result = await handleChat(llm, { message: 'I had scrambled eggs' });
+
+    expect(result).toEqual({
+      reply: 'Want me to log your eggs to breakfast?',
+      suggestions: ['How much protein is left?'],
+      foodItems: [],
+      actions: [{ type: 'log_food', mealType: 'breakfast', foods: [eggs] }],
+    });
+    expect(calls).toHaveLength(1);
+    expect(calls[0].request).toEqual(expect.objectContaining({
+      task: 'chat',
+      input: [{ role: 'user', text: 'I had scrambled eggs' }],
+    }));
+  });
+
+  it('describes the actions and user data in the system prompt', async () => {
+    const { llm, calls } = stubModel('{"reply": "Hi"}');
+
+    await handleChat(llm, { message: 'Hello', userContext: { isFasting: true, calorieGoal: 2200 } });
+
+    const { systemInstruction } = calls[0].request as { systemInstruction: string };
+    expect(systemInstruction).toContain('"type": "start_fast"');
+    expect(systemInstruction).toContain('"type": "create_recipe"');
+    expect(systemInstruction).toContain('Daily calorie goal: 2200 kcal');
+    expect(systemInstruction).toContain('Fasting: Currently fasting');
+  });
+
+  it('keeps history alternating and starting with the user', async () => {
+    const { llm, calls } = stubModel('{"reply": "Sure"}');
+
+    await handleChat(llm, {
+      message: 'Add water',
+      conversationHistory: [
+        { role: 'assistant', content: 'Welcome!' },
+        { role: 'user', content: 'Hi' },
+        { role: 'user', content: 'Still there?' },
+      ],
+    });
+
+    expect(calls[0].request).toEqual(expect.objectContaining({
+      input: [{ role: 'user', text: 'Hi\nStill there?\nAdd water' }],
+    }));
+  });
+
+  it('falls back to the raw text with no actions when the reply is not JSON', async () => {
+    const { llm } = stubModel('Drink more water today!');
+
+    const result = await handleChat(llm, { message: 'Tips?' });
+
+    expect(result.reply).toBe('Drink more water today!');
+    expect(result.actions).toEqual([]);
+    expect(result.foodItems).toEqual([]);
+  });
+
+  it('rejects an empty message without calling the model', async () => {
+    const { llm, calls } = stubModel('{}');
+
+    await expect(handleChat(llm, { message: '  ' })).rejects.toThrow('Please enter a message.');
+    expect(calls).toHaveLength(0);
+  });
+});
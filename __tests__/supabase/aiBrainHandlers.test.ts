@@ -0,0 +1,128 @@
+import { runAIRequest } from '../../supabase/functions/ai-brain/handlers';
+import { AI_TASKS, createLLM, type AITask } from '../../supabase/functions/ai-brain/llm';
+import { createMockProvider, type MockFixture } from '../../supabase/functions/ai-brain/providers/mock';
+
+const IMAGE = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+const AUDIO = 'AAAAGGZ0eXBtcDQyAAAAAG1wNDJpc29t';
+
+/** A valid request for every type, with the kind of model call it should make */
+const REQUESTS: Record<AITask, { kind: 'text' | 'image' | 'audio'; payload: Record<string, unknown> }> = {
+  'scan-food': { kind: 'image', payload: { base64Image: IMAGE } },
+  'scan-label': { kind: 'image', payload: { base64Image: IMAGE } },
+  'generate-workout': {
+    kind: 'text',
+    payload: { goal: 'strength', level: 2, duration: 45, equipment: ['dumbbells'], targetMuscles: 'full body' },
+  },
+  chef: { kind: 'image', payload: { base64Image: IMAGE, preferences: { dietary: ['vegetarian'] } } },
+  genesis: { kind: 'text', payload: { userDescription: "I'm a 32 year old man, 80kg, 178cm, and want to lose fat" } },
+  chat: { kind: 'text', payload: { message: 'What should I eat for dinner?' } },
+  'parse-voice-food': { kind: 'audio', payload: { audioBase64: AUDIO, mimeType: 'audio/mp4' } },
+  'weekly-digest': { kind: 'text', payload: { weekData: { avgCalories: 2100, calorieGoal: 2200, daysLogged: 6 } } },
+  'adaptive-macros': { kind: 'text', payload: { weekData: { currentCalories: 2250, adherencePercent: 95, goal: 'lose' } } },
+  'meal-plan': { kind: 'text', payload: { calorieTarget: 2000, proteinTarget: 150, daysCount: 1 } },
+  'morning-briefing': { kind: 'text', payload: { userName: 'Alex', currentStreak: 12 } },
+  'food-swap': { kind: 'text', payload: { foodName: 'Potato Chips', calories: 160, protein: 2, carbs: 15, fat: 10 } },
+  'recipe-import': { kind: 'text', payload: { url: 'https://recipes.example.com/classic-chili' } },
+  'meal-recommend': {
+    kind: 'text',
+    payload: { remainingCalories: 600, remainingProtein: 40, remainingCarbs: 50, remainingFat: 20, mealType: 'dinner' },
+  },
+};
+
+function setup(overrides: Partial<Record<AITask, MockFixture>> = {}) {
+  const provider = createMockProvider(overrides);
+  return { llm: createLLM({ mock: provider }, {}, 'mock'), calls: provider.calls };
+}
+
+const originalFetch = global.fetch;
+
+beforeEach(() => {
+  // recipe-import reads the page before asking the model; keep it off the network
+  global.fetch = jest.fn(async () => ({
+    ok: true,
+    status: 200,
+    text: async () => '<html><body><h1>Classic Chili</h1><script>track()</script><p>1 lb beef</p></body></html>',
+  })) as unknown as typeof fetch;
+});
+
+afterEach(() => {
+  global.fetch = originalFetch;
+});
+
+describe('runAIRequest with the mock provider', () => {
+  it.each(AI_TASKS.map((task) => [task]))('serves %s end to end', async (task) => {
+    const { llm, calls } = setup();
+    const { kind, payload } = REQUESTS[task];
+
+    const result = await runAIRequest(llm, task, payload);
+
+    expect(result).toEqual(expect.any(Object));
+    expect(calls).toHaveLength(1);
+    expect(calls[0].kind).toBe(kind);
+    expect(calls[0].request).toEqual(expect.objectContaining({ task, model: 'gemini-2.5-flash' }));
+  });
+
+  it('sanitizes fixture output like real model output', async () => {
+    const { llm } = setup();
+
+    const scan = await runAIRequest(llm, 'scan-food', REQUESTS['scan-food'].payload);
+    expect(scan).toEqual(expect.objectContaining({ name: 'Grilled Chicken with Rice', calories: 520, confidence: 'high' }));
+    expect(scan.items).toHaveLength(2);
+
+    const label = await runAIRequest(llm, 'scan-label', REQUESTS['scan-label'].payload);
+    expect(label.fat).toEqual({ value: 0.5, confidence: 'medium' });
+    expect(label.nutrients).toEqual(expect.arrayContaining([
+      { key: 'sodium', amount: 60, unit: 'mg', confidence: 'high' },
+    ]));
+
+    const workout = await runAIRequest(llm, 'generate-workout', REQUESTS['generate-workout'].payload);
+    expect(workout.main_set).toHaveLength(4);
+    expect(workout).toEqual(expect.objectContaining({ duration: 45, level: 2 }));
+
+    const plan = await runAIRequest(llm, 'meal-plan', REQUESTS['meal-plan'].payload);
+    expect((plan.days as Array<{ meals: unknown[] }>)[0].meals).toHaveLength(4);
+
+    const recipe = await runAIRequest(llm, 'recipe-import', REQUESTS['recipe-import'].payload);
+    expect(recipe).toEqual(expect.objectContaining({ name: 'Classic Chili', servings: 6 }));
+    expect(recipe.totals).toEqual({ calories: 1520, protein: 138, carbs: 134, fat: 50 });
+  });
+
+  it('passes media and prompts through to the provider', async () => {
+    const { llm, calls } = setup();
+
+    await runAIRequest(llm, 'parse-voice-food', REQUESTS['parse-voice-food'].payload);
+    await runAIRequest(llm, 'recipe-import', REQUESTS['recipe-import'].payload);
+
+    expect(calls[0].request).toEqual(expect.objectContaining({
+      media: { data: AUDIO, mimeType: 'audio/mp4' },
+      generationConfig: expect.objectContaining({ temperature: 0.3 }),
+    }));
+    const recipePrompt = (calls[1].request as { input: string }).input;
+    expect(recipePrompt).toContain('Classic Chili');
+    expect(recipePrompt).not.toContain('track()');
+  });
+
+  it('surfaces handler errors for unusable model output', async () => {
+    const { llm } = setup({
+      'scan-food': { error: 'Could not identify food in image', name: null },
+      'meal-plan': { days: [] },
+      'food-swap': 'not json at all',
+    });
+
+    await expect(runAIRequest(llm, 'scan-food', REQUESTS['scan-food'].payload))
+      .rejects.toThrow('Could not identify food in image');
+    await expect(runAIRequest(llm, 'meal-plan', REQUESTS['meal-plan'].payload))
+      .rejects.toThrow('Invalid meal plan structure generated');
+    await expect(runAIRequest(llm, 'food-swap', REQUESTS['food-swap'].payload))
+      .rejects.toThrow('Could not generate food swap suggestions');
+  });
+
+  it('validates input before calling the model', async () => {
+    const { llm, calls } = setup();
+
+    await expect(runAIRequest(llm, 'scan-food', { base64Image: 'not base64!' })).rejects.toThrow('Invalid image data');
+    await expect(runAIRequest(llm, 'genesis', { userDescription: 'short' })).rejects.toThrow('more details');
+    await expect(runAIRequest(llm, 'recipe-import', { url: 'ftp://example.com' })).rejects.toThrow('valid URL');
+    expect(calls).toHaveLength(0);
+  });
+});
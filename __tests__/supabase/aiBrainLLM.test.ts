@@ -0,0 +1,110 @@
+import {
+  createLLM,
+  isAITask,
+  type LLMProvider,
+  parseModelRoutes,
+  resolveRoute,
+} from '../../supabase/functions/ai-brain/llm';
+import { createMockProvider } from '../../supabase/functions/ai-brain/providers/mock';
+import { MOCK_FIXTURES } from '../../supabase/functions/ai-brain/providers/mockFixtures';
+
+describe('parseModelRoutes', () => {
+  it('keeps routes for known request types and the default', () => {
+    expect(parseModelRoutes(JSON.stringify({
+      default: 'gemini-2.5-flash',
+      'meal-plan': ' gemini:gemini-2.5-pro ',
+      'make-coffee': 'mock:fixtures',
+      chat: 42,
+    }))).toEqual({ default: 'gemini-2.5-flash', 'meal-plan': 'gemini:gemini-2.5-pro' });
+  });
+
+  it('falls back to no overrides for missing or malformed config', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(parseModelRoutes(undefined)).toEqual({});
+    expect(parseModelRoutes('{not json')).toEqual({});
+    expect(parseModelRoutes('["chat"]')).toEqual({});
+    expect(warn).toHaveBeenCalledTimes(1);
+
+    warn.mockRestore();
+  });
+});
+
+describe('resolveRoute', () => {
+  it('uses the task route, then the default route, then the built-in model', () => {
+    const routes = { default: 'gemini-2.0-flash', 'meal-plan': 'mock:fixtures' };
+
+    expect(resolveRoute(routes, 'meal-plan')).toEqual({ provider: 'mock', model: 'fixtures' });
+    expect(resolveRoute(routes, 'chat')).toEqual({ provider: 'gemini', model: 'gemini-2.0-flash' });
+    expect(resolveRoute({}, 'chat')).toEqual({ provider: 'gemini', model: 'gemini-2.5-flash' });
+  });
+
+  it('applies the default provider to routes that name only a model', () => {
+    expect(resolveRoute({ chat: 'gpt-test' }, 'chat', 'mock')).toEqual({ provider: 'mock', model: 'gpt-test' });
+    expect(resolveRoute({ chat: 'gemini:gemini-2.5-pro' }, 'chat', 'mock'))
+      .toEqual({ provider: 'gemini', model: 'gemini-2.5-pro' });
+  });
+});
+
+describe('createLLM', () => {
+  it('sends each task to its routed provider and model', async () => {
+    const fast = createMockProvider({ chat: '{"reply": "fast"}' });
+    const smart = createMockProvider({ 'meal-plan': '{"days": []}' });
+    const llm = createLLM({ fast, smart }, { default: 'fast:small', 'meal-plan': 'smart:large' });
+
+    await expect(llm.text('chat', { input: 'Hi' })).resolves.toBe('{"reply": "fast"}');
+    await expect(llm.text('meal-plan', { input: 'Plan' })).resolves.toBe('{"days": []}');
+
+    expect(fast.calls.map((call) => call.request.model)).toEqual(['small']);
+    expect(smart.calls.map((call) => call.request.model)).toEqual(['large']);
+  });
+
+  it('reports and rejects tasks routed to a provider that is not configured', async () => {
+    const llm = createLLM({ gemini: undefined, mock: createMockProvider() }, { chat: 'mock:fixtures' });
+
+    expect(llm.supports('chat')).toBe(true);
+    expect(llm.supports('meal-plan')).toBe(false);
+    await expect(llm.text('meal-plan', { input: 'Plan' }))
+      .rejects.toThrow('AI provider "gemini" is not configured for meal-plan');
+  });
+
+  it('answers deterministically from fixtures', async () => {
+    const llm = createLLM({ mock: createMockProvider() }, {}, 'mock');
+
+    const first = await llm.image('scan-food', { prompt: 'Scan', media: { data: 'AAAA', mimeType: 'image/jpeg' } });
+    const second = await llm.image('scan-food', { prompt: 'Scan again', media: { data: 'BBBB', mimeType: 'image/jpeg' } });
+
+    expect(first).toBe(second);
+    expect(JSON.parse(first).name).toBe('Grilled Chicken with Rice');
+  });
+
+  it('totals token usage across calls', async () => {
+    const tokens = createMockProvider();
+    const untracked: LLMProvider = {
+      name: 'untracked',
+      generateText: async () => ({ text: '{}' }),
+      generateFromImage: async () => ({ text: '{}' }),
+      generateFromAudio: async () => ({ text: '{}' }),
+    };
+    const llm = createLLM({ mock: tokens, untracked }, { 'food-swap': 'untracked:plain' }, 'mock');
+
+    expect(llm.usage()).toEqual({ calls: 0, inputTokens: 0, outputTokens: 0 });
+
+    await llm.text('chat', { input: 'x'.repeat(38) });
+    await llm.text('food-swap', { input: 'Swap' });
+    const usage = llm.usage();
+
+    expect(usage.calls).toBe(2);
+    expect(usage.inputTokens).toBe(10);
+    expect(usage.outputTokens).toBe(Math.ceil(JSON.stringify(MOCK_FIXTURES.chat).length / 4));
+  });
+});
+
+describe('isAITask', () => {
+  it('recognizes the request types the function serves', () => {
+    expect(isAITask('scan-food')).toBe(true);
+    expect(isAITask('meal-recommend')).toBe(true);
+    expect(isAITask('__proto__')).toBe(false);
+    expect(isAITask(undefined)).toBe(false);
+  });
+});
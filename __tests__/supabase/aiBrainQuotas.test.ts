@@ -0,0 +1,116 @@
+import {
+  parseQuotaCheck,
+  quotaExceededBody,
+  rateLimitedBody,
+  secondsUntil,
+  usageLedgerRow,
+  type UsageEntry,
+} from '../../supabase/functions/ai-brain/quotas';
+
+const RESETS_AT = '2026-03-02T00:00:00.000Z';
+
+describe('parseQuotaCheck', () => {
+  it('reads the check_ai_quota result', () => {
+    expect(parseQuotaCheck({
+      allowed: false,
+      tier: 'premium_monthly',
+      scope: 'type',
+      limit: 10,
+      used: 10,
+      remaining: 0,
+      resets_at: '2026-03-02T00:00:00+00:00',
+      upgrade_needed: false,
+    })).toEqual({
+      allowed: false,
+      tier: 'premium_monthly',
+      scope: 'type',
+      limit: 10,
+      used: 10,
+      remaining: 0,
+      resetsAt: RESETS_AT,
+      upgradeNeeded: false,
+    });
+  });
+
+  it('keeps unlimited requests unlimited', () => {
+    expect(parseQuotaCheck({ allowed: true, tier: 'free', scope: null, limit: null, used: 2, resets_at: RESETS_AT }))
+      .toEqual(expect.objectContaining({ allowed: true, scope: null, limit: null, remaining: null, used: 2 }));
+  });
+
+  it('rejects results it cannot trust, so the request is let through', () => {
+    expect(parseQuotaCheck(null)).toBeNull();
+    expect(parseQuotaCheck({ allowed: 'no', resets_at: RESETS_AT })).toBeNull();
+    expect(parseQuotaCheck({ allowed: false, resets_at: 'tomorrow-ish' })).toBeNull();
+  });
+});
+
+describe('429 bodies', () => {
+  it('describes the exceeded quota for the upgrade prompt', () => {
+    const check = parseQuotaCheck({
+      allowed: false, tier: 'free', scope: 'daily', limit: 0, used: 0, resets_at: RESETS_AT, upgrade_needed: true,
+    })!;
+
+    expect(quotaExceededBody('chat', check)).toEqual({
+      error: 'Daily AI limit reached',
+      code: 'ai_quota_exceeded',
+      request_type: 'chat',
+      tier: 'free',
+      scope: 'daily',
+      limit: 0,
+      used: 0,
+      resets_at: RESETS_AT,
+      upgrade_needed: true,
+    });
+    expect(quotaExceededBody('meal-plan', { ...check, scope: 'type' }).error)
+      .toBe('Daily limit reached for this AI feature');
+  });
+
+  it('tells rate-limited clients how long to wait', () => {
+    expect(rateLimitedBody(12.2)).toEqual(expect.objectContaining({ code: 'rate_limited', retry_after_seconds: 13 }));
+    expect(rateLimitedBody(0).retry_after_seconds).toBe(1);
+  });
+
+  it('rounds the time to reset up to whole seconds', () => {
+    const now = Date.parse(RESETS_AT) - 90_500;
+    expect(secondsUntil(RESETS_AT, now)).toBe(91);
+    expect(secondsUntil(RESETS_AT, Date.parse(RESETS_AT) + 5000)).toBe(1);
+  });
+});
+
+describe('usageLedgerRow', () => {
+  const entry: UsageEntry = {
+    userId: 'user-1',
+    requestType: 'meal-plan',
+    tier: 'premium',
+    provider: 'gemini',
+    model: 'gemini-2.5-flash',
+    cacheStatus: 'miss',
+    status: 'ok',
+    usage: { calls: 1, inputTokens: 812, outputTokens: 1430 },
+    latencyMs: 2310.6,
+  };
+
+  it('records tokens and latency for model calls', () => {
+    expect(usageLedgerRow(entry)).toEqual({
+      user_id: 'user-1',
+      request_type: 'meal-plan',
+      tier: 'premium',
+      provider: 'gemini',
+      model: 'gemini-2.5-flash',
+      cache_status: 'miss',
+      status: 'ok',
+      input_tokens: 812,
+      output_tokens: 1430,
+      latency_ms: 2311,
+    });
+  });
+
+  it('records cache hits and rejected requests without a model or tokens', () => {
+    expect(usageLedgerRow({ ...entry, cacheStatus: 'hit' })).toEqual(expect.objectContaining({
+      cache_status: 'hit', provider: null, model: null, input_tokens: 0, output_tokens: 0,
+    }));
+    expect(usageLedgerRow({ ...entry, status: 'quota_exceeded', usage: undefined })).toEqual(expect.objectContaining({
+      status: 'quota_exceeded', provider: null, input_tokens: 0,
+    }));
+  });
+});
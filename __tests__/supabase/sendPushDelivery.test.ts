@@ -0,0 +1,139 @@
+import {
+  decideDelivery,
+  DEFAULT_PUSH_PREFERENCES,
+  isWithinQuietHours,
+  localTimeOfDay,
+  MAX_PUSHES_PER_DAY,
+  parsePushPreferences,
+  startOfLocalDay,
+} from '../../supabase/functions/send-push/delivery';
+import {
+  buildExpoMessages,
+  EXPO_BATCH_SIZE,
+  EXPO_PUSH_URL,
+  sendExpoMessages,
+  unregisteredTokens,
+} from '../../supabase/functions/send-push/expo';
+import type { PushEvent } from '../../supabase/functions/send-push/events';
+
+describe('parsePushPreferences', () => {
+  it('reads a notification_preferences row', () => {
+    expect(parsePushPreferences({
+      timezone: 'America/New_York',
+      social_push: true,
+      quiet_hours_enabled: true,
+      quiet_hours_start: '23:30:00',
+      quiet_hours_end: '06:15:00',
+    })).toEqual({
+      timezone: 'America/New_York',
+      socialPush: true,
+      quietHoursEnabled: true,
+      quietHoursStart: 23 * 60 + 30,
+      quietHoursEnd: 6 * 60 + 15,
+    });
+  });
+
+  it('uses defaults for missing rows and unusable values', () => {
+    expect(parsePushPreferences(null)).toEqual(DEFAULT_PUSH_PREFERENCES);
+    expect(parsePushPreferences({ timezone: 'Mars/Olympus', quiet_hours_start: '25:00', social_push: false }))
+      .toEqual({ ...DEFAULT_PUSH_PREFERENCES, socialPush: false });
+  });
+});
+
+describe('quiet hours', () => {
+  it('handles windows inside a day and windows that wrap past midnight', () => {
+    expect(isWithinQuietHours(13 * 60, 12 * 60, 14 * 60)).toBe(true);
+    expect(isWithinQuietHours(14 * 60, 12 * 60, 14 * 60)).toBe(false);
+    expect(isWithinQuietHours(23 * 60, 22 * 60, 7 * 60)).toBe(true);
+    expect(isWithinQuietHours(3 * 60, 22 * 60, 7 * 60)).toBe(true);
+    expect(isWithinQuietHours(7 * 60, 22 * 60, 7 * 60)).toBe(false);
+    expect(isWithinQuietHours(9 * 60, 9 * 60, 9 * 60)).toBe(false);
+  });
+
+  it('reads the clock in the recipient timezone', () => {
+    const now = new Date('2026-03-01T04:30:15Z');
+
+    expect(localTimeOfDay(now, 'UTC')).toEqual({ minutes: 4 * 60 + 30, seconds: 15 });
+    expect(localTimeOfDay(now, 'America/Los_Angeles')).toEqual({ minutes: 20 * 60 + 30, seconds: 15 });
+    expect(startOfLocalDay(now, 'America/Los_Angeles').toISOString()).toBe('2026-02-28T08:00:00.000Z');
+  });
+});
+
+describe('decideDelivery', () => {
+  const prefs = { ...DEFAULT_PUSH_PREFERENCES, timezone: 'Europe/London' };
+  const afternoon = new Date('2026-03-01T15:00:00Z');
+
+  it('sends during the day until the daily cap is reached', () => {
+    expect(decideDelivery(prefs, 0, afternoon)).toBe('send');
+    expect(decideDelivery(prefs, MAX_PUSHES_PER_DAY - 1, afternoon)).toBe('send');
+    expect(decideDelivery(prefs, MAX_PUSHES_PER_DAY, afternoon)).toBe('capped');
+  });
+
+  it('holds pushes during quiet hours unless they are turned off', () => {
+    const night = new Date('2026-03-01T23:15:00Z');
+
+    expect(decideDelivery(prefs, 0, night)).toBe('quiet_hours');
+    expect(decideDelivery({ ...prefs, quietHoursEnabled: false }, 0, night)).toBe('send');
+  });
+
+  it('respects the social push toggle', () => {
+    expect(decideDelivery({ ...prefs, socialPush: false }, 0, afternoon)).toBe('disabled');
+  });
+});
+
+describe('Expo push client', () => {
+  const event: PushEvent = {
+    recipientId: 'sam',
+    type: 'group_reply',
+    title: 'Re: Meal prep',
+    body: 'Kai: Same here',
+    data: { type: 'group-reply', groupId: 'g', threadId: 't' },
+  };
+
+  function jsonResponse(body: unknown, status = 200) {
+    return { ok: status >= 200 && status < 300, status, json: async () => body } as Response;
+  }
+
+  it('builds one message per device', () => {
+    expect(buildExpoMessages(['ExponentPushToken[a]', 'ExponentPushToken[b]'], event)).toEqual([
+      expect.objectContaining({ to: 'ExponentPushToken[a]', title: 'Re: Meal prep', data: event.data }),
+      expect.objectContaining({ to: 'ExponentPushToken[b]', categoryId: 'social-notification' }),
+    ]);
+  });
+
+  it('sends in batches and lines tickets up with messages', async () => {
+    const tokens = Array.from({ length: EXPO_BATCH_SIZE + 2 }, (_, i) => `ExponentPushToken[${i}]`);
+    const messages = buildExpoMessages(tokens, event);
+    const fetchImpl = jest.fn(async (_url: string, init: RequestInit) => {
+      const batch = JSON.parse(init.body as string) as unknown[];
+      return jsonResponse({ data: batch.map((_, i) => ({ status: 'ok', id: `ticket-${i}` })) });
+    });
+
+    const tickets = await sendExpoMessages(messages, 'secret', fetchImpl as unknown as typeof fetch);
+
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+    expect(fetchImpl.mock.calls[0][0]).toBe(EXPO_PUSH_URL);
+    expect(fetchImpl.mock.calls[0][1].headers).toEqual(expect.objectContaining({ Authorization: 'Bearer secret' }));
+    expect(tickets).toHaveLength(tokens.length);
+    expect(tickets.every((ticket) => ticket.status === 'ok')).toBe(true);
+  });
+
+  it('reports failed batches and unregistered devices', async () => {
+    const messages = buildExpoMessages(['ExponentPushToken[gone]', 'ExponentPushToken[ok]'], event);
+    const ok = jest.fn(async () => jsonResponse({
+      data: [
+        { status: 'error', message: 'not registered', details: { error: 'DeviceNotRegistered' } },
+        { status: 'ok', id: 'ticket' },
+      ],
+    }));
+
+    const tickets = await sendExpoMessages(messages, undefined, ok as unknown as typeof fetch);
+    expect(unregisteredTokens(messages, tickets)).toEqual(['ExponentPushToken[gone]']);
+
+    const down = jest.fn(async () => jsonResponse({}, 503));
+    await expect(sendExpoMessages(messages, undefined, down as unknown as typeof fetch)).resolves.toEqual([
+      { status: 'error', message: 'HTTP 503' },
+      { status: 'error', message: 'HTTP 503' },
+    ]);
+  });
+});
@@ -0,0 +1,171 @@
+import {
+  buildPushEvents,
+  MAX_CHALLENGE_RECIPIENTS,
+  type PushEventStore,
+  type WebhookPayload,
+} from '../../supabase/functions/send-push/events';
+import { getRouteForNotificationData } from '../../lib/notificationRoutes';
+
+const NAMES: Record<string, string> = { alex: 'Alex', sam: 'Sam', kai: 'Kai' };
+
+function createStore(overrides: Partial<PushEventStore> = {}): PushEventStore {
+  return {
+    displayName: async (userId) => NAMES[userId] ?? null,
+    postOwner: async (postId) => (postId === 'post-1' ? 'sam' : null),
+    thread: async (threadId) => (threadId === 'thread-1'
+      ? { authorId: 'sam', groupId: 'group-1', title: 'Meal prep Sundays' }
+      : null),
+    challenge: async () => ({ title: '10k Steps', participantIds: ['alex', 'sam', 'kai'] }),
+    ...overrides,
+  };
+}
+
+function insert(table: string, record: Record<string, unknown>): WebhookPayload {
+  return { type: 'INSERT', table, record, old_record: null };
+}
+
+function update(table: string, record: Record<string, unknown>, old: Record<string, unknown>): WebhookPayload {
+  return { type: 'UPDATE', table, record, old_record: old };
+}
+
+const challenge = {
+  id: 'fc-1',
+  challenger_user_id: 'alex',
+  challenged_user_id: 'sam',
+  challenger_name: 'Alex',
+  challenged_name: 'Sam',
+  challenge_type: 'protein',
+  status: 'pending',
+  winner_id: null,
+};
+
+describe('buildPushEvents', () => {
+  it('notifies the post owner about a comment', async () => {
+    const events = await buildPushEvents(
+      insert('social_comments', { post_id: 'post-1', user_id: 'alex', content: 'Great   form on that lift!' }),
+      createStore()
+    );
+
+    expect(events).toEqual([{
+      recipientId: 'sam',
+      type: 'post_comment',
+      title: 'New Comment \u{1F4AC}',
+      body: 'Alex: Great form on that lift!',
+      data: { type: 'social-notification', event: 'post_comment', postId: 'post-1' },
+    }]);
+  });
+
+  it('does not notify people about their own activity', async () => {
+    const store = createStore();
+
+    await expect(buildPushEvents(insert('social_comments', { post_id: 'post-1', user_id: 'sam', content: 'Thanks!' }), store))
+      .resolves.toEqual([]);
+    await expect(buildPushEvents(insert('group_replies', { thread_id: 'thread-1', author_id: 'sam', body: 'Bump' }), store))
+      .resolves.toEqual([]);
+  });
+
+  it('follows a friend challenge from invite to result', async () => {
+    const store = createStore();
+
+    const [invite] = await buildPushEvents(insert('friend_challenges', challenge), store);
+    expect(invite).toEqual(expect.objectContaining({
+      recipientId: 'sam',
+      type: 'friend_challenge_received',
+      body: 'Alex challenged you to a protein challenge. Do you accept?',
+      data: { type: 'friend-challenge', challengeId: 'fc-1' },
+    }));
+
+    const [accepted] = await buildPushEvents(
+      update('friend_challenges', { ...challenge, status: 'active' }, challenge),
+      store
+    );
+    expect(accepted).toEqual(expect.objectContaining({ recipientId: 'alex', type: 'friend_challenge_accepted' }));
+
+    const results = await buildPushEvents(
+      update('friend_challenges', { ...challenge, status: 'completed', winner_id: 'sam' }, { ...challenge, status: 'active' }),
+      store
+    );
+    expect(results.map((event) => [event.recipientId, event.body])).toEqual([
+      ['alex', 'Sam won your protein challenge. Rematch?'],
+      ['sam', 'You beat Alex in your protein challenge! \u{1F3C6}'],
+    ]);
+  });
+
+  it('ignores friend challenge updates that leave the status unchanged', async () => {
+    const active = { ...challenge, status: 'active' };
+    await expect(buildPushEvents(update('friend_challenges', { ...active, challenger_progress: 90 }, active), createStore()))
+      .resolves.toEqual([]);
+  });
+
+  it('tells the other participants when someone completes a challenge', async () => {
+    const events = await buildPushEvents(
+      update('challenge_participants', { challenge_id: 'ch-1', user_id: 'alex', completed: true }, { completed: false }),
+      createStore()
+    );
+
+    expect(events.map((event) => event.recipientId)).toEqual(['sam', 'kai']);
+    expect(events[0]).toEqual(expect.objectContaining({
+      body: 'Alex just completed "10k Steps". Keep pushing!',
+      data: { type: 'challenge-complete', challengeId: 'ch-1' },
+    }));
+  });
+
+  it('caps how many participants one completion notifies', async () => {
+    const participantIds = Array.from({ length: MAX_CHALLENGE_RECIPIENTS + 10 }, (_, i) => `user-${i}`);
+    const events = await buildPushEvents(
+      update('challenge_participants', { challenge_id: 'ch-1', user_id: 'user-0', completed: true }, { completed: false }),
+      createStore({ challenge: async () => ({ title: 'Big one', participantIds }) })
+    );
+
+    expect(events).toHaveLength(MAX_CHALLENGE_RECIPIENTS);
+    expect(events.some((event) => event.recipientId === 'user-0')).toBe(false);
+  });
+
+  it('notifies the thread author about a group reply', async () => {
+    const [event] = await buildPushEvents(
+      insert('group_replies', { thread_id: 'thread-1', author_id: 'kai', body: 'I batch cook rice and chicken.' }),
+      createStore()
+    );
+
+    expect(event).toEqual({
+      recipientId: 'sam',
+      type: 'group_reply',
+      title: 'Re: Meal prep Sundays',
+      body: 'Kai: I batch cook rice and chicken.',
+      data: { type: 'group-reply', groupId: 'group-1', threadId: 'thread-1' },
+    });
+  });
+
+  it('falls back to "Someone" when a profile has no display name', async () => {
+    const [event] = await buildPushEvents(
+      insert('social_comments', { post_id: 'post-1', user_id: 'stranger', content: '', body: null }),
+      createStore()
+    );
+
+    expect(event.body).toBe('Someone commented on your post.');
+  });
+
+  it('ignores deletes and tables it does not handle', async () => {
+    const store = createStore();
+
+    await expect(buildPushEvents({ type: 'DELETE', table: 'social_comments', record: null, old_record: {} }, store))
+      .resolves.toEqual([]);
+    await expect(buildPushEvents(insert('social_likes', { post_id: 'post-1', user_id: 'alex' }), store))
+      .resolves.toEqual([]);
+  });
+
+  it('sends data the app can route', async () => {
+    const store = createStore();
+    const payloads: WebhookPayload[] = [
+      insert('social_comments', { post_id: 'post-1', user_id: 'alex', content: 'Nice' }),
+      insert('friend_challenges', challenge),
+      update('challenge_participants', { challenge_id: 'ch-1', user_id: 'alex', completed: true }, { completed: false }),
+      insert('group_replies', { thread_id: 'thread-1', author_id: 'kai', body: 'Same here' }),
+    ];
+
+    for (const payload of payloads) {
+      const [event] = await buildPushEvents(payload, store);
+      expect(getRouteForNotificationData(event.data)).not.toBeNull();
+    }
+  });
+});
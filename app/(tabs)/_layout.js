@@ -6,6 +6,7 @@ import { LinearGradient } from 'expo-linear-gradient';
 import { BlurView } from 'expo-blur';
 import { hapticImpact, hapticLight } from '../../lib/haptics';
 import ReAnimated, { FadeInUp } from 'react-native-reanimated';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, BorderRadius, Gradients, Glass } from '../../constants/theme';
 import { trackEvent } from '../../lib/analytics';
 
@@ -14,6 +15,7 @@ const VISIBLE_ROUTE_ORDER = ['index', 'add', 'stats', 'profile'];
 
 // Kinetic FAB - The centerpiece button with living animations
 function KineticFAB({ onPress }) {
+  const { t } = useTranslation();
   const scaleAnim = useRef(new Animated.Value(1)).current;
   const pulseAnim = useRef(new Animated.Value(0)).current;
   const rotateAnim = useRef(new Animated.Value(0)).current;
@@ -92,8 +94,8 @@ function KineticFAB({ onPress }) {
       onPressOut={handlePressOut}
       style={styles.fabContainer}
       accessibilityRole="button"
-      accessibilityLabel="Quick add food or exercise"
-      accessibilityHint="Opens the add screen"
+      accessibilityLabel={t('tabs.quickAddLabel')}
+      accessibilityHint={t('tabs.quickAddHint')}
     >
       {/* Outer glow ring */}
       <Animated.View
@@ -193,6 +195,7 @@ const TAB_ICONS = {
   profile: User,
 };
 
+// English names are kept for analytics; the dock shows the translated label
 const TAB_LABELS = {
   index: 'Today',
   add: 'Log',
@@ -200,8 +203,17 @@ const TAB_LABELS = {
   profile: 'Profile',
 };
 
+const TAB_LABEL_KEYS = {
+  index: 'tabs.today',
+  diary: 'tabs.diary',
+  add: 'tabs.log',
+  stats: 'tabs.progress',
+  profile: 'tabs.profile',
+};
+
 // Floating Glass Dock with frosted blur effect
 function FloatingDock({ state, navigation }) {
+  const { t } = useTranslation();
   const visibleRoutes = state.routes
     .filter((route) => VISIBLE_ROUTE_ORDER.includes(route.name))
     .sort(
@@ -276,7 +288,7 @@ function FloatingDock({ state, navigation }) {
               style={styles.dockTab}
               accessibilityRole="tab"
               accessibilityState={{ selected: focused }}
-              accessibilityLabel={TAB_LABELS[route.name] || route.name}
+              accessibilityLabel={TAB_LABEL_KEYS[route.name] ? t(TAB_LABEL_KEYS[route.name]) : route.name}
             >
               <TabBarIcon icon={IconComponent} focused={focused} />
             </Pressable>
@@ -288,6 +300,7 @@ function FloatingDock({ state, navigation }) {
 }
 
 export default function TabLayout() {
+  const { t } = useTranslation();
   return (
     <Tabs
       tabBar={(props) => <FloatingDock {...props} />}
@@ -297,11 +310,11 @@ export default function TabLayout() {
         freezeOnBlur: true,
       }}
     >
-      <Tabs.Screen name="index" options={{ title: 'Today', lazy: false }} />
-      <Tabs.Screen name="diary" options={{ title: 'Diary', href: null }} />
-      <Tabs.Screen name="add" options={{ title: 'Log' }} />
-      <Tabs.Screen name="stats" options={{ title: 'Progress' }} />
-      <Tabs.Screen name="profile" options={{ title: 'Profile' }} />
+      <Tabs.Screen name="index" options={{ title: t('tabs.today'), lazy: false }} />
+      <Tabs.Screen name="diary" options={{ title: t('tabs.diary'), href: null }} />
+      <Tabs.Screen name="add" options={{ title: t('tabs.log') }} />
+      <Tabs.Screen name="stats" options={{ title: t('tabs.progress') }} />
+      <Tabs.Screen name="profile" options={{ title: t('tabs.profile') }} />
       <Tabs.Screen name="progress" options={{ href: null }} />
     </Tabs>
   );
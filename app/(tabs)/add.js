@@ -41,6 +41,7 @@ import {
   RotateCcw,
   AlertTriangle,
   TrendingUp,
+  Store,
 } from 'lucide-react-native';
 import { Audio } from 'expo-av';
 import * as FileSystem from 'expo-file-system';
@@ -78,18 +79,26 @@ import {
   recordSearchStarted,
 } from '../../lib/activationTracker';
 import ReAnimated, { FadeInDown } from 'react-native-reanimated';
+import { useTranslation } from 'react-i18next';
 import UndoToast from '../../components/UndoToast';
 import { useRecentMealSnapshots } from '../../lib/recentMeals';
 import MyFitnessPalImportCard from '../../components/MyFitnessPalImportCard';
 import { searchLocalFoodDatabase } from '../../lib/localFoodSearch';
+import { recipeServingFood } from '../../lib/recipeScaling';
+import { formatDate } from '../../lib/formatters';
 
 const mealTypes = [
-  { id: 'breakfast', label: 'Breakfast', icon: Coffee },
-  { id: 'lunch', label: 'Lunch', icon: Sun },
-  { id: 'dinner', label: 'Dinner', icon: Sunset },
-  { id: 'snacks', label: 'Snack', icon: Moon },
+  { id: 'breakfast', labelKey: 'diary.breakfast', icon: Coffee },
+  { id: 'lunch', labelKey: 'diary.lunch', icon: Sun },
+  { id: 'dinner', labelKey: 'diary.dinner', icon: Sunset },
+  { id: 'snacks', labelKey: 'add.snack', icon: Moon },
 ];
 
+function getMealLabel(t, mealId) {
+  const meal = mealTypes.find((entry) => entry.id === mealId);
+  return meal ? t(meal.labelKey) : t('add.meal');
+}
+
 const VALID_MEAL_TYPES = new Set(mealTypes.map((meal) => meal.id));
 
 const STARTER_FOOD_IDS_BY_MEAL = {
@@ -216,12 +225,13 @@ function setCachedSearch(query, products, sources) {
 }
 
 const addModes = [
-  { id: 'food', label: 'Food', icon: Utensils },
-  { id: 'exercise', label: 'Exercise', icon: Dumbbell },
+  { id: 'food', labelKey: 'add.modeFood', icon: Utensils },
+  { id: 'exercise', labelKey: 'add.modeExercise', icon: Dumbbell },
 ];
 
 // Mode Selector Component
 const ModeSelector = memo(function ModeSelector({ mode, onModeChange }) {
+  const { t } = useTranslation();
   return (
     <View style={styles.modeSelectorContainer}>
       {addModes.map((m) => {
@@ -243,7 +253,7 @@ const ModeSelector = memo(function ModeSelector({ mode, onModeChange }) {
                 isSelected && styles.modeSelectorLabelActive,
               ]}
             >
-              {m.label}
+              {t(m.labelKey)}
             </Text>
           </Pressable>
         );
@@ -253,6 +263,7 @@ const ModeSelector = memo(function ModeSelector({ mode, onModeChange }) {
 });
 
 const MealTypeSelector = memo(function MealTypeSelector({ selected, onSelect }) {
+  const { t } = useTranslation();
   return (
     <View style={styles.mealTypeContainer}>
       {mealTypes.map((meal) => {
@@ -274,7 +285,7 @@ const MealTypeSelector = memo(function MealTypeSelector({ selected, onSelect })
                 isSelected && styles.mealTypeLabelActive,
               ]}
             >
-              {meal.label}
+              {t(meal.labelKey)}
             </Text>
           </Pressable>
         );
@@ -285,6 +296,7 @@ const MealTypeSelector = memo(function MealTypeSelector({ selected, onSelect })
 
 // Recent/Library Toggle Component
 const SearchRecentToggle = memo(function SearchRecentToggle({ activeTab, onTabChange, recentCount }) {
+  const { t } = useTranslation();
   return (
     <View style={styles.searchRecentToggle}>
       <Pressable
@@ -293,7 +305,7 @@ const SearchRecentToggle = memo(function SearchRecentToggle({ activeTab, onTabCh
       >
         <Clock size={14} color={activeTab === 'recent' ? Colors.primary : Colors.textSecondary} />
         <Text style={[styles.toggleButtonText, activeTab === 'recent' && styles.toggleButtonTextActive]}>
-          Recent {recentCount > 0 && `(${recentCount})`}
+          {recentCount > 0 ? t('add.recentWithCount', { count: recentCount }) : t('add.recent')}
         </Text>
       </Pressable>
       <Pressable
@@ -302,7 +314,7 @@ const SearchRecentToggle = memo(function SearchRecentToggle({ activeTab, onTabCh
       >
         <BookOpen size={14} color={activeTab === 'browse' ? Colors.primary : Colors.textSecondary} />
         <Text style={[styles.toggleButtonText, activeTab === 'browse' && styles.toggleButtonTextActive]}>
-          Library
+          {t('add.library')}
         </Text>
       </Pressable>
     </View>
@@ -314,6 +326,7 @@ const SearchSuggestionChips = memo(function SearchSuggestionChips({
   trendingTerms,
   onSelect,
 }) {
+  const { t } = useTranslation();
   if (recentSearches.length === 0 && trendingTerms.length === 0) {
     return null;
   }
@@ -324,7 +337,7 @@ const SearchSuggestionChips = memo(function SearchSuggestionChips({
         <View style={styles.searchSuggestionBlock}>
           <View style={styles.searchSuggestionHeader}>
             <Clock size={14} color={Colors.textSecondary} />
-            <Text style={styles.searchSuggestionLabel}>Recent Searches</Text>
+            <Text style={styles.searchSuggestionLabel}>{t('add.recentSearches')}</Text>
           </View>
           <ScrollView
             horizontal
@@ -348,7 +361,7 @@ const SearchSuggestionChips = memo(function SearchSuggestionChips({
         <View style={styles.searchSuggestionBlock}>
           <View style={styles.searchSuggestionHeader}>
             <TrendingUp size={14} color={Colors.primary} />
-            <Text style={styles.searchSuggestionLabel}>Your Top Searches</Text>
+            <Text style={styles.searchSuggestionLabel}>{t('add.yourTopSearches')}</Text>
           </View>
           <ScrollView
             horizontal
@@ -432,19 +445,21 @@ const FastCapturePanel = memo(function FastCapturePanel({
   onOpenQuickCal,
   onOpenCustomFood,
   onOpenFoodLens,
+  onOpenRestaurants,
   onOpenVoice,
   isRecording,
   isProcessingVoice,
 }) {
+  const { t } = useTranslation();
   const activeMeal = mealTypes.find((meal) => meal.id === selectedMeal);
-  const mealLabel = activeMeal?.label || 'Meal';
+  const mealLabel = activeMeal ? t(activeMeal.labelKey) : t('add.meal');
 
   return (
     <View style={styles.fastCapturePanel}>
       <View style={styles.fastCaptureHeader}>
         <View>
-          <Text style={styles.fastCaptureEyebrow}>Fast Capture</Text>
-          <Text style={styles.fastCaptureTitle}>2 taps to log {mealLabel.toLowerCase()}</Text>
+          <Text style={styles.fastCaptureEyebrow}>{t('add.fastCapture')}</Text>
+          <Text style={styles.fastCaptureTitle}>{t('add.n2TapsToLog', { mealLabel: mealLabel.toLowerCase() })}</Text>
         </View>
         <View style={styles.fastCaptureMealBadge}>
           <Text style={styles.fastCaptureMealBadgeText}>{mealLabel}</Text>
@@ -454,22 +469,22 @@ const FastCapturePanel = memo(function FastCapturePanel({
       <View style={styles.fastCaptureGrid}>
         <FastCaptureAction
           icon={ScanBarcode}
-          label="Barcode"
-          hint="Best for packaged food"
+          label={t('add.barcode')}
+          hint={t('add.bestForPackagedFood')}
           tone="primary"
           onPress={onOpenBarcodeLookup}
         />
         <FastCaptureAction
           icon={Zap}
-          label="Quick Cals"
-          hint="Log calories fast"
+          label={t('add.quickCals')}
+          hint={t('add.logCaloriesFast')}
           tone="success"
           onPress={onOpenQuickCal}
         />
         <FastCaptureAction
           icon={Plus}
-          label="Custom Food"
-          hint="Add your own item"
+          label={t('add.customFood')}
+          hint={t('add.addYourOwnItem')}
           onPress={onOpenCustomFood}
         />
       </View>
@@ -477,7 +492,11 @@ const FastCapturePanel = memo(function FastCapturePanel({
       <View style={styles.fastCaptureSecondaryRow}>
         <Pressable style={styles.fastCaptureSecondaryButton} onPress={onOpenFoodLens}>
           <Camera size={16} color={Colors.textSecondary} />
-          <Text style={styles.fastCaptureSecondaryText}>Photo</Text>
+          <Text style={styles.fastCaptureSecondaryText}>{t('add.photo')}</Text>
+        </Pressable>
+        <Pressable style={styles.fastCaptureSecondaryButton} onPress={onOpenRestaurants}>
+          <Store size={16} color={Colors.textSecondary} />
+          <Text style={styles.fastCaptureSecondaryText}>{t('add.restaurants')}</Text>
         </Pressable>
         <Pressable
           style={[
@@ -498,7 +517,7 @@ const FastCapturePanel = memo(function FastCapturePanel({
               isRecording && styles.fastCaptureSecondaryTextActive,
             ]}
           >
-            {isRecording ? 'Recording' : 'Voice'}
+            {isRecording ? t('add.recording') : t('add.voice')}
           </Text>
         </Pressable>
       </View>
@@ -508,6 +527,7 @@ const FastCapturePanel = memo(function FastCapturePanel({
 
 // Recent Food Item Component (for 1-tap adding)
 const RecentFoodItem = memo(function RecentFoodItem({ item, onPress, onQuickAdd, index = 0 }) {
+  const { t } = useTranslation();
   return (
     <ReAnimated.View entering={FadeInDown.delay(index * 30).duration(300)}>
       <Pressable style={styles.recentFoodItem} onPress={() => onPress(item)}>
@@ -521,12 +541,12 @@ const RecentFoodItem = memo(function RecentFoodItem({ item, onPress, onQuickAdd,
             {item.name}
           </Text>
           <Text style={styles.recentFoodServing} numberOfLines={1}>
-            {item.serving || '1 serving'}
+            {item.serving || t('add.n1Serving')}
           </Text>
         </View>
         <View style={styles.recentFoodCalories}>
           <Text style={styles.recentFoodCaloriesValue}>{item.calories}</Text>
-          <Text style={styles.recentFoodCaloriesLabel}>kcal</Text>
+          <Text style={styles.recentFoodCaloriesLabel}>{t('units.kcal')}</Text>
         </View>
         <Pressable
           style={styles.recentFoodAddButton}
@@ -544,6 +564,7 @@ const RecentFoodItem = memo(function RecentFoodItem({ item, onPress, onQuickAdd,
 });
 
 const SearchResultItem = memo(function SearchResultItem({ item, onPress, onQuickAdd, onReport, index = 0 }) {
+  const { t } = useTranslation();
   const hasCalories = item.calories !== null && item.calories !== undefined;
   const canQuickAdd = hasCalories && item.calories > 0;
   const badgeTheme = getQualityBadgeTheme(item.qualityTag);
@@ -625,7 +646,7 @@ const SearchResultItem = memo(function SearchResultItem({ item, onPress, onQuick
           <Text style={[styles.resultCaloriesValue, !hasCalories && styles.resultCaloriesNA]}>
             {hasCalories ? item.calories : 'N/A'}
           </Text>
-          {hasCalories && <Text style={styles.resultCaloriesLabel}>kcal</Text>}
+          {hasCalories && <Text style={styles.resultCaloriesLabel}>{t('units.kcal')}</Text>}
         </View>
         <View style={styles.resultActionRow}>
           {item.reportable && (
@@ -667,12 +688,13 @@ const SearchSectionHeader = memo(function SearchSectionHeader({ title, subtitle
 });
 
 const LocalFoodItem = memo(function LocalFoodItem({ item, onPress, onQuickAdd, index = 0 }) {
+  const { t } = useTranslation();
   return (
     <ReAnimated.View entering={FadeInDown.delay(index * 30).duration(300)}>
       <Pressable style={styles.localFoodItem} onPress={() => onPress(item)}>
         <View style={styles.localFoodInfo}>
           <Text style={styles.localFoodName}>{item.name}</Text>
-          <Text style={styles.localFoodCalories}>{item.calories} kcal</Text>
+          <Text style={styles.localFoodCalories}>{t('add.kcal', { calories: item.calories })}</Text>
         </View>
         <Pressable
           style={styles.localFoodQuickAdd}
@@ -691,6 +713,7 @@ const LocalFoodItem = memo(function LocalFoodItem({ item, onPress, onQuickAdd, i
 
 // Exercise item component
 const ExerciseItem = memo(function ExerciseItem({ exercise, onPress }) {
+  const { t } = useTranslation();
   return (
     <Pressable style={styles.exerciseItem} onPress={() => onPress(exercise)}>
       <View style={styles.exerciseIconContainer}>
@@ -702,7 +725,7 @@ const ExerciseItem = memo(function ExerciseItem({ exercise, onPress }) {
       </View>
       <View style={styles.exerciseMet}>
         <Text style={styles.exerciseMetValue}>{exercise.met}</Text>
-        <Text style={styles.exerciseMetLabel}>MET</Text>
+        <Text style={styles.exerciseMetLabel}>{t('add.met')}</Text>
       </View>
       <View style={styles.exerciseAddButton}>
         <Plus size={16} color={Colors.background} />
@@ -713,6 +736,7 @@ const ExerciseItem = memo(function ExerciseItem({ exercise, onPress }) {
 
 // Recipe item component
 const RecipeItem = memo(function RecipeItem({ recipe, onPress, onQuickAdd }) {
+  const { t } = useTranslation();
   return (
     <Pressable style={styles.recipeItem} onPress={() => onPress(recipe)}>
       <View style={styles.recipeEmoji}>
@@ -723,7 +747,7 @@ const RecipeItem = memo(function RecipeItem({ recipe, onPress, onQuickAdd }) {
           {recipe.name}
         </Text>
         <Text style={styles.recipeServings}>
-          {recipe.servings} serving{recipe.servings !== 1 ? 's' : ''} · Per serving
+          {t('add.recipeServings', { count: recipe.servings })}
         </Text>
         <View style={styles.recipeMacroRow}>
           <Text style={[styles.recipeMacro, { color: Colors.protein }]}>
@@ -741,7 +765,7 @@ const RecipeItem = memo(function RecipeItem({ recipe, onPress, onQuickAdd }) {
       </View>
       <View style={styles.recipeCalories}>
         <Text style={styles.recipeCaloriesValue}>{recipe.calories}</Text>
-        <Text style={styles.recipeCaloriesLabel}>cal</Text>
+        <Text style={styles.recipeCaloriesLabel}>{t('units.cal')}</Text>
       </View>
       <Pressable
         style={styles.recipeAddButton}
@@ -759,6 +783,7 @@ const RecipeItem = memo(function RecipeItem({ recipe, onPress, onQuickAdd }) {
 
 // Favorite Food Item Component
 const FavoriteFoodItem = memo(function FavoriteFoodItem({ item, onAdd, index }) {
+  const { t } = useTranslation();
   return (
     <ReAnimated.View entering={FadeInDown.delay(index * 60).springify().mass(0.5).damping(10)}>
       <View style={styles.favoriteFoodItem}>
@@ -773,7 +798,7 @@ const FavoriteFoodItem = memo(function FavoriteFoodItem({ item, onAdd, index })
         </View>
         <View style={styles.favoriteFoodCalories}>
           <Text style={styles.favoriteFoodCaloriesValue}>{item.calories}</Text>
-          <Text style={styles.favoriteFoodCaloriesLabel}>kcal</Text>
+          <Text style={styles.favoriteFoodCaloriesLabel}>{t('units.kcal')}</Text>
         </View>
         <Pressable style={styles.favoriteFoodAddButton} onPress={() => onAdd(item)}>
           <Plus size={16} color={Colors.background} />
@@ -783,16 +808,17 @@ const FavoriteFoodItem = memo(function FavoriteFoodItem({ item, onAdd, index })
   );
 });
 
-function formatRecentMealDate(dateKey) {
+function formatRecentMealDate(t, dateKey) {
   const date = parseISO(dateKey);
-  if (isToday(date)) return 'Today';
-  if (isYesterday(date)) return 'Yesterday';
-  return format(date, 'EEE, MMM d');
+  if (isToday(date)) return t('common.today');
+  if (isYesterday(date)) return t('common.yesterday');
+  return formatDate(date, { weekday: 'short', month: 'short', day: 'numeric' });
 }
 
 const RecentMealCard = memo(function RecentMealCard({ snapshot, selectedMeal, onPress, index = 0 }) {
-  const mealLabel = mealTypes.find((meal) => meal.id === snapshot.mealType)?.label || 'Meal';
-  const targetMealLabel = mealTypes.find((meal) => meal.id === selectedMeal)?.label || 'Meal';
+  const { t } = useTranslation();
+  const mealLabel = getMealLabel(t, snapshot.mealType);
+  const targetMealLabel = getMealLabel(t, selectedMeal);
   const preview = snapshot.items.slice(0, 2).map((item) => item.name).join(' • ');
   const remainingCount = Math.max(snapshot.itemCount - 2, 0);
 
@@ -801,22 +827,22 @@ const RecentMealCard = memo(function RecentMealCard({ snapshot, selectedMeal, on
       <Pressable style={styles.recentMealCard} onPress={() => onPress(snapshot)}>
         <View style={styles.recentMealHeader}>
           <View>
-            <Text style={styles.recentMealDate}>{formatRecentMealDate(snapshot.dateKey)}</Text>
+            <Text style={styles.recentMealDate}>{formatRecentMealDate(t, snapshot.dateKey)}</Text>
             <Text style={styles.recentMealTitle}>{mealLabel}</Text>
           </View>
           <View style={styles.recentMealBadge}>
-            <Text style={styles.recentMealBadgeText}>Log to {targetMealLabel}</Text>
+            <Text style={styles.recentMealBadgeText}>{t('add.logTo', { targetMealLabel })}</Text>
           </View>
         </View>
         <Text style={styles.recentMealPreview} numberOfLines={2}>
           {preview}
-          {remainingCount > 0 ? ` +${remainingCount} more` : ''}
+          {remainingCount > 0 ? t('add.more', { remainingCount }) : ''}
         </Text>
         <View style={styles.recentMealFooter}>
           <Text style={styles.recentMealMeta}>
-            {snapshot.itemCount} item{snapshot.itemCount !== 1 ? 's' : ''}
+            {t('add.itemCount', { count: snapshot.itemCount })}
           </Text>
-          <Text style={styles.recentMealCalories}>{snapshot.totals.calories} kcal</Text>
+          <Text style={styles.recentMealCalories}>{t('add.kcal', { calories: snapshot.totals.calories })}</Text>
         </View>
       </Pressable>
     </ReAnimated.View>
@@ -829,6 +855,7 @@ const RepeatYesterdayChip = memo(function RepeatYesterdayChip({
   disabled,
   onPress,
 }) {
+  const { t } = useTranslation();
   const meal = mealTypes.find((entry) => entry.id === mealType);
   const Icon = meal?.icon || Coffee;
 
@@ -840,7 +867,7 @@ const RepeatYesterdayChip = memo(function RepeatYesterdayChip({
     >
       <Icon size={15} color={disabled ? Colors.textTertiary : Colors.primary} />
       <Text style={[styles.repeatChipLabel, disabled && styles.repeatChipLabelDisabled]}>
-        {meal?.label || mealType}
+        {meal ? t(meal.labelKey) : mealType}
       </Text>
       <Text style={[styles.repeatChipCount, disabled && styles.repeatChipCountDisabled]}>
         {itemCount}
@@ -851,6 +878,7 @@ const RepeatYesterdayChip = memo(function RepeatYesterdayChip({
 
 
 function AddScreenInner() {
+  const { t } = useTranslation();
   const router = useRouter();
   const params = useLocalSearchParams();
   const mealParam = normalizeMealParam(params.meal);
@@ -896,7 +924,7 @@ function AddScreenInner() {
   // Use meal from navigation params, or default based on time of day
   const initialMeal = mealParam || getDefaultMealType();
   const [selectedMeal, setSelectedMeal] = useState(initialMeal);
-  const selectedMealLabel = mealTypes.find((meal) => meal.id === selectedMeal)?.label || 'Meal';
+  const selectedMealLabel = getMealLabel(t, selectedMeal);
   const yesterdayKey = useMemo(
     () => format(subDays(parseISO(selectedDateKey), 1), 'yyyy-MM-dd'),
     [selectedDateKey]
@@ -983,12 +1011,12 @@ function AddScreenInner() {
     if (isProcessingVoice) return;
     if (!isPremium) {
       Alert.alert(
-        'Pro Feature',
-        'Voice food logging requires FuelIQ Pro. Upgrade to unlock AI-powered voice logging and more.',
+        t('add.proFeature'),
+        t('add.voiceFoodLoggingRequires'),
         [
-          { text: 'Not Now', style: 'cancel' },
+          { text: t('add.notNow'), style: 'cancel' },
           {
-            text: 'Upgrade',
+            text: t('common.upgrade'),
             onPress: () => router.push({
               pathname: '/paywall',
               params: { source: 'voice_logging', trigger: 'feature_gate' },
@@ -1005,15 +1033,15 @@ function AddScreenInner() {
       if (!permission.granted) {
         if (!permission.canAskAgain) {
           Alert.alert(
-            'Microphone Access Denied',
-            'Voice food logging needs microphone access. Please enable it in your device settings.',
+            t('add.microphoneAccessDenied'),
+            t('add.voiceFoodLoggingNeeds'),
             [
-              { text: 'Cancel', style: 'cancel' },
-              { text: 'Open Settings', onPress: () => Linking.openSettings() },
+              { text: t('common.cancel'), style: 'cancel' },
+              { text: t('add.openSettings'), onPress: () => Linking.openSettings() },
             ]
           );
         } else {
-          Alert.alert('Permission Required', 'Microphone access is needed for voice food logging.');
+          Alert.alert(t('add.permissionRequired'), t('add.microphoneAccessIsNeeded'));
         }
         return;
       }
@@ -1035,9 +1063,9 @@ function AddScreenInner() {
       }, 15000);
     } catch {
       Audio.setAudioModeAsync({ allowsRecordingIOS: false }).catch((e) => { if (__DEV__) console.warn('[add] Failed to reset audio mode:', e); });
-      Alert.alert('Error', 'Could not start recording. Please try again.');
+      Alert.alert(t('common.errorTitle'), t('add.couldNotStartRecording'));
     }
-  }, [isPremium, isProcessingVoice, router]);
+  }, [isPremium, isProcessingVoice, router, t]);
 
   const handleStopRecording = useCallback(async () => {
     hapticLight();
@@ -1081,13 +1109,13 @@ function AddScreenInner() {
       setAddedVoiceIndices(new Set());
       setVoiceResultsVisible(true);
     } catch (error) {
-      Alert.alert('Error', error.message || 'Could not process voice recording. Please try again.');
+      Alert.alert(t('common.errorTitle'), error.message || t('add.couldNotProcessVoice'));
     } finally {
       // Always reset audio mode, even on error
       Audio.setAudioModeAsync({ allowsRecordingIOS: false }).catch((e) => { if (__DEV__) console.warn('[add] Failed to reset audio mode after processing:', e); });
       setIsProcessingVoice(false);
     }
-  }, []);
+  }, [t]);
 
   // Keep ref in sync so auto-stop timeout calls the latest version
   handleStopRecordingRef.current = handleStopRecording;
@@ -1112,14 +1140,14 @@ function AddScreenInner() {
     protein: food.protein || 0,
     carbs: food.carbs || 0,
     fat: food.fat || 0,
-    serving: food.serving || '1 serving',
+    serving: food.serving || t('add.n1Serving'),
     servingSize: food.servingSize || 1,
     servingUnit: food.servingUnit || 'serving',
     image: food.image || null,
     brand: food.brand || '',
     barcode: food.barcode || '',
     skipHaptic: options.skipHaptic || false,
-  }), []);
+  }), [t]);
 
   const logFoodsInstant = useCallback(async (foods, mealType = selectedMeal, message) => {
     const normalizedFoods = Array.isArray(foods) ? foods : [foods];
@@ -1132,19 +1160,19 @@ function AddScreenInner() {
       await hapticSuccess();
     }
     recordMealLogged(mealType);
-    const mealLabel = mealTypes.find((meal) => meal.id === mealType)?.label || 'meal';
+    const mealLabel = getMealLabel(t, mealType);
     setUndoToast({
       visible: true,
       message: message || (
         entries.length === 1
-          ? `${entries[0].name} logged`
-          : `${entries.length} items logged to ${mealLabel.toLowerCase()}`
+          ? t('add.logged', { name: entries[0].name })
+          : t('add.itemsLoggedTo', { entriesCount: entries.length, mealLabel: mealLabel.toLowerCase() })
       ),
       mealType,
       entryIds: entries.map((entry) => entry.clientRequestId || entry.id),
     });
     return entries;
-  }, [addFood, recordMealLogged, selectedMeal, toLoggedFoodEntry]);
+  }, [addFood, recordMealLogged, selectedMeal, toLoggedFoodEntry, t]);
 
   const logFoodInstant = useCallback(
     async (food, mealType = selectedMeal, message) => {
@@ -1167,12 +1195,12 @@ function AddScreenInner() {
     const foodsToLog = voiceFoods.filter((_, idx) => !addedVoiceIndices.has(idx));
     if (foodsToLog.length === 0) return;
 
-    logFoodsInstant(foodsToLog, selectedMeal, `${foodsToLog.length} voice foods logged`);
+    logFoodsInstant(foodsToLog, selectedMeal, t('add.voiceFoodsLogged', { count: foodsToLog.length }));
 
     setVoiceFoods([]);
     setAddedVoiceIndices(new Set());
     setVoiceResultsVisible(false);
-  }, [voiceFoods, addedVoiceIndices, logFoodsInstant, selectedMeal]);
+  }, [voiceFoods, addedVoiceIndices, logFoodsInstant, selectedMeal, t]);
 
   // Quick-add a favorite food
   const handleAddFavorite = useCallback((food) => {
@@ -1227,12 +1255,7 @@ function AddScreenInner() {
       source: 'recipe',
       mealType: selectedMeal,
     });
-    logFoodInstant({
-      ...recipe,
-      serving: `1 serving (1/${recipe.servings} recipe)`,
-      servingSize: 1,
-      servingUnit: 'serving',
-    }, selectedMeal);
+    logFoodInstant(recipeServingFood(recipe), selectedMeal);
   }, [logFoodInstant, selectedMeal]);
 
   // Frequent foods for horizontal quick-add strip
@@ -1439,7 +1462,7 @@ function AddScreenInner() {
       } catch {
         if (cancelled) return;
         if (localMatches.length === 0) {
-          setSearchError('Could not reach food databases. Showing local foods only.');
+          setSearchError(t('add.couldNotReachFood'));
         }
         recordSearchCompleted({
           query: debouncedQuery,
@@ -1460,7 +1483,7 @@ function AddScreenInner() {
     }
 
     return () => { cancelled = true; };
-  }, [debouncedQuery, isPremium, loadSearchMetadata, mode, selectedMeal]);
+  }, [debouncedQuery, isPremium, loadSearchMetadata, mode, selectedMeal, t]);
 
   // Filter local foods based on search (for quick-add section when not searching API)
   const filteredLocalFoods = useMemo(() => {
@@ -1502,7 +1525,7 @@ function AddScreenInner() {
   const searchMatchSourcesLabel = useMemo(() => {
     const labels = [
       searchSources.local > 0 ? 'FuelIQ' : null,
-      searchSources.restaurant > 0 ? 'Restaurant' : null,
+      searchSources.restaurant > 0 ? t('add.restaurant') : null,
       searchSources.usda > 0 ? 'USDA' : null,
       searchSources.fatSecret > 0 ? 'FatSecret' : null,
       searchSources.openFoodFacts > 0 ? 'Open Food Facts' : null,
@@ -1510,7 +1533,7 @@ function AddScreenInner() {
     ].filter(Boolean);
 
     return labels.join(' + ');
-  }, [searchSources]);
+  }, [searchSources, t]);
 
   // Handle selecting a search result - open FoodDetailModal
   const handleSelectResult = useCallback((product) => {
@@ -1558,17 +1581,17 @@ function AddScreenInner() {
     Keyboard.dismiss();
     setSelectedFood({
       ...food,
-      serving: food.serving || '1 serving',
+      serving: food.serving || t('add.n1Serving'),
       servingSize: food.servingSize || 1,
       servingUnit: food.servingUnit || 'serving',
       qualityTag: food.qualityTag || (food.isLocal ? 'curated' : undefined),
-      qualityLabel: food.qualityLabel || (food.isLocal ? 'Curated' : undefined),
-      confidenceReason: food.confidenceReason || (food.isLocal ? 'Curated nutrition data' : undefined),
+      qualityLabel: food.qualityLabel || (food.isLocal ? t('add.curated') : undefined),
+      confidenceReason: food.confidenceReason || (food.isLocal ? t('add.curatedNutritionData') : undefined),
       sourceLabel: food.sourceLabel || (food.isLocal ? 'FuelIQ' : undefined),
       reportable: food.reportable ?? Boolean(food.isLocal),
     });
     setFoodDetailModalVisible(true);
-  }, []);
+  }, [t]);
 
   // Handle confirming food from FoodDetailModal
   const handleConfirmFoodDetail = useCallback((food, mealType) => {
@@ -1595,13 +1618,7 @@ function AddScreenInner() {
   const handleSelectRecipe = useCallback((recipe) => {
     hapticLight();
     Keyboard.dismiss();
-    setSelectedFood({
-      ...recipe,
-      name: recipe.name,
-      serving: `1 serving (1/${recipe.servings} recipe)`,
-      servingSize: 1,
-      servingUnit: 'serving',
-    });
+    setSelectedFood(recipeServingFood(recipe));
     setFoodDetailModalVisible(true);
   }, []);
 
@@ -1642,6 +1659,12 @@ function AddScreenInner() {
     setExerciseQuery('');
   }, [addExercise]);
 
+  const handleTrackRoute = useCallback((activity) => {
+    setExerciseModalVisible(false);
+    setSelectedExercise(null);
+    router.push({ pathname: '/workout-session', params: { mode: 'outdoor', activity } });
+  }, [router]);
+
   const handleRecentMealRepeat = useCallback((snapshot) => {
     recordQuickAddUsed({
       source: 'recent_meal',
@@ -1656,9 +1679,9 @@ function AddScreenInner() {
     logFoodsInstant(
       snapshot.items,
       selectedMeal,
-      `${snapshot.itemCount} items repeated to ${mealTypes.find((meal) => meal.id === selectedMeal)?.label?.toLowerCase() || 'meal'}`
+      t('add.itemsRepeatedTo', { count: snapshot.itemCount, meal: getMealLabel(t, selectedMeal).toLowerCase() })
     );
-  }, [logFoodsInstant, selectedMeal]);
+  }, [logFoodsInstant, selectedMeal, t]);
 
   const handleRepeatYesterday = useCallback((mealType) => {
     const foods = (yesterdayMeals?.[mealType] || []).map((food) => ({
@@ -1680,9 +1703,9 @@ function AddScreenInner() {
     logFoodsInstant(
       foods,
       selectedMeal,
-      `Repeated yesterday's ${mealTypes.find((meal) => meal.id === mealType)?.label?.toLowerCase() || 'meal'}`
+      t('add.repeatedYesterdays', { meal: getMealLabel(t, mealType).toLowerCase() })
     );
-  }, [logFoodsInstant, selectedMeal, yesterdayMeals]);
+  }, [logFoodsInstant, selectedMeal, yesterdayMeals, t]);
 
   const handleReportFood = useCallback((food) => {
     Keyboard.dismiss();
@@ -1696,7 +1719,7 @@ function AddScreenInner() {
       params: {
         report: 'true',
         source: food.source || '',
-        sourceLabel: food.sourceLabel || 'Search',
+        sourceLabel: food.sourceLabel || t('add.search'),
         qualityLabel: food.qualityLabel || '',
         name: normalizedName || '',
         brand: food.brand || '',
@@ -1709,7 +1732,7 @@ function AddScreenInner() {
         servingUnit: food.servingUnit || 'serving',
       },
     });
-  }, [router]);
+  }, [router, t]);
 
   // Barcode lookup screen (Open Food Facts + manual fallback)
   const handleOpenBarcodeLookup = () => {
@@ -1731,6 +1754,16 @@ function AddScreenInner() {
     });
   };
 
+  // Restaurant menu mode
+  const handleOpenRestaurants = () => {
+    hapticLight();
+    Keyboard.dismiss();
+    router.push({
+      pathname: '/restaurants',
+      params: { meal: selectedMeal },
+    });
+  };
+
   // AI Workout Generator handler
   const handleOpenWorkoutGenerator = () => {
     hapticLight();
@@ -1742,7 +1775,7 @@ function AddScreenInner() {
     await hapticLight();
     Keyboard.dismiss();
     router.push({
-      pathname: '/import-myfitnesspal',
+      pathname: '/import-diary',
       params: {
         source: isOnboardingHandoff ? 'onboarding_add_empty_state' : 'add_empty_state',
       },
@@ -1843,19 +1876,19 @@ function AddScreenInner() {
   const showStarterPicks = showFirstLogPrompt && starterFoods.length > 0;
   const searchPlaceholder = mode === 'food'
     ? isOnboardingHandoff
-      ? `Search your first ${selectedMealLabel.toLowerCase()}...`
-      : 'Search foods...'
-    : 'Search exercises...';
+      ? t('add.searchYourFirst', { selectedMealLabel: selectedMealLabel.toLowerCase() })
+      : t('add.searchFoods')
+    : t('add.searchExercises');
 
   return (
     <SafeAreaView style={styles.container} edges={['top']} testID="add-screen">
       {/* Header */}
       <View style={styles.header}>
-        <Text style={styles.title}>{mode === 'food' ? 'Log Fast' : 'Add Exercise'}</Text>
+        <Text style={styles.title}>{mode === 'food' ? t('add.logFast') : t('add.addExercise')}</Text>
         <Text style={styles.subtitle}>
           {mode === 'food'
-            ? 'Search, scan, or quick-add without leaving the logging flow.'
-            : 'Search and log movement with minimal friction.'}
+            ? t('add.searchScanOrQuick')
+            : t('add.searchAndLogMovement')}
         </Text>
       </View>
 
@@ -1897,12 +1930,12 @@ function AddScreenInner() {
                 <Utensils size={18} color={Colors.primary} strokeWidth={2.3} />
               </View>
               <View style={styles.firstLogPromptCopy}>
-                <Text style={styles.firstLogPromptEyebrow}>First win</Text>
+                <Text style={styles.firstLogPromptEyebrow}>{t('add.firstWin')}</Text>
                 <Text style={styles.firstLogPromptTitle}>
-                  Log your first {selectedMealLabel.toLowerCase()} now
+                  {t('add.logYourFirstNow', { selectedMealLabel: selectedMealLabel.toLowerCase() })}
                 </Text>
                 <Text style={styles.firstLogPromptBody}>
-                  Search something you actually ate. If search feels slow, use Scan or Quick Cal just below.
+                  {t('add.searchSomethingYouActually')}
                 </Text>
               </View>
             </View>
@@ -1910,10 +1943,10 @@ function AddScreenInner() {
 
           {showImportSwitcherCard && (
             <MyFitnessPalImportCard
-              eyebrow={isOnboardingHandoff ? 'Switch Instead' : 'Have History Elsewhere?'}
-              title="Already logged meals in MyFitnessPal?"
-              body="Import your diary first, then use repeat meals and quick add from day one."
-              buttonLabel="Import MyFitnessPal diary"
+              eyebrow={isOnboardingHandoff ? t('add.switchInstead') : t('add.haveHistoryElsewhere')}
+              title={t('add.alreadyLoggedMealsIn')}
+              body={t('add.importYourDiaryFirst')}
+              buttonLabel={t('dashboard.importButton')}
               onPress={handleOpenImportSwitcher}
               style={styles.importSwitcherCard}
             />
@@ -1925,6 +1958,7 @@ function AddScreenInner() {
             onOpenQuickCal={() => setQuickCalVisible(true)}
             onOpenCustomFood={() => router.push({ pathname: '/create-food', params: { meal: selectedMeal } })}
             onOpenFoodLens={handleOpenFoodLens}
+            onOpenRestaurants={handleOpenRestaurants}
             onOpenVoice={isRecording ? handleStopRecording : handleStartRecording}
             isRecording={isRecording}
             isProcessingVoice={isProcessingVoice}
@@ -1934,7 +1968,7 @@ function AddScreenInner() {
             <View style={styles.favoritesSection}>
               <View style={styles.favoritesSectionHeader}>
                 <Wand2 size={16} color={Colors.primary} />
-                <Text style={styles.sectionLabel}>Starter Picks</Text>
+                <Text style={styles.sectionLabel}>{t('add.starterPicks')}</Text>
               </View>
               {starterFoods.map((food, index) => (
                 <FavoriteFoodItem
@@ -1954,10 +1988,10 @@ function AddScreenInner() {
                 <View style={styles.quickAddHeader}>
                   <View style={styles.quickAddTitleRow}>
                     <Zap size={14} color={Colors.primary} />
-                    <Text style={styles.quickAddTitle}>Quick Add</Text>
+                    <Text style={styles.quickAddTitle}>{t('add.quickAdd')}</Text>
                   </View>
                   <Pressable onPress={() => setQuickLogVisible(true)} hitSlop={8}>
-                    <Text style={styles.quickAddSeeAll}>See All</Text>
+                    <Text style={styles.quickAddSeeAll}>{t('common.seeAll')}</Text>
                   </Pressable>
                 </View>
                 <ScrollView
@@ -1975,7 +2009,7 @@ function AddScreenInner() {
                       <Text style={styles.quickAddCardName} numberOfLines={1}>
                         {food.name}
                       </Text>
-                      <Text style={styles.quickAddCardCal}>{food.calories} kcal</Text>
+                      <Text style={styles.quickAddCardCal}>{t('add.kcal', { calories: food.calories })}</Text>
                     </Pressable>
                   ))}
                 </ScrollView>
@@ -1998,7 +2032,7 @@ function AddScreenInner() {
                 <View style={styles.loadingContainer}>
                   <ActivityIndicator size="large" color={Colors.primary} />
                   <Text style={styles.loadingText}>
-                    {isTyping ? 'Typing...' : 'Searching...'}
+                    {isTyping ? t('add.typing') : t('add.searching')}
                   </Text>
                 </View>
               ) : searchError ? (
@@ -2007,21 +2041,21 @@ function AddScreenInner() {
                 </View>
               ) : searchResults.length === 0 ? (
                 <View style={styles.emptyContainer}>
-                  <Text style={styles.emptyText}>No strong matches yet</Text>
+                  <Text style={styles.emptyText}>{t('add.noStrongMatchesYet')}</Text>
                   <Text style={styles.emptySubtext}>
-                    Try steak, eggs, toast, or use Scan / Quick Cal below.
+                    {t('add.trySteakEggsToast')}
                   </Text>
                   <View style={styles.searchFallbackActions}>
                     <FastCaptureAction
                       icon={ScanBarcode}
-                      label="Scan Barcode"
-                      hint="Best for packaged foods"
+                      label={t('add.scanBarcode')}
+                      hint={t('add.bestForPackagedFoods')}
                       onPress={handleOpenBarcodeLookup}
                     />
                     <FastCaptureAction
                       icon={Plus}
-                      label="Quick Add"
-                      hint="Log calories and macros manually"
+                      label={t('add.quickAdd')}
+                      hint={t('add.logCaloriesAndMacros')}
                       onPress={() => setQuickCalVisible(true)}
                     />
                   </View>
@@ -2033,8 +2067,8 @@ function AddScreenInner() {
                   keyboardShouldPersistTaps="handled"
                 >
                   <SearchSectionHeader
-                    title={`Best Matches (${bestSearchMatches.length})`}
-                    subtitle={searchMatchSourcesLabel ? `Trusted from ${searchMatchSourcesLabel}` : 'Trusted picks for this search'}
+                    title={t('add.bestMatches', { bestSearchMatchesCount: bestSearchMatches.length })}
+                    subtitle={searchMatchSourcesLabel ? t('add.trustedFrom', { searchMatchSourcesLabel }) : t('add.trustedPicksForThis')}
                   />
                   {bestSearchMatches.map((item, index) => (
                     <SearchResultItem
@@ -2050,8 +2084,8 @@ function AddScreenInner() {
                   {queryMatchedRecentFoods.length > 0 && (
                     <>
                       <SearchSectionHeader
-                        title="Recent for this search"
-                        subtitle={`Foods you've already used for ${selectedMealLabel.toLowerCase()}`}
+                        title={t('add.recentForThisSearch')}
+                        subtitle={t('add.foodsYouveAlreadyUsed', { selectedMealLabel: selectedMealLabel.toLowerCase() })}
                       />
                       {queryMatchedRecentFoods.map((item, index) => (
                         <RecentFoodItem
@@ -2068,8 +2102,8 @@ function AddScreenInner() {
                   {additionalSearchMatches.length > 0 && (
                     <>
                       <SearchSectionHeader
-                        title="More Results"
-                        subtitle="Branded and secondary matches"
+                        title={t('add.moreResults')}
+                        subtitle={t('add.brandedAndSecondaryMatches')}
                       />
                       {additionalSearchMatches.map((item, index) => (
                         <SearchResultItem
@@ -2085,27 +2119,27 @@ function AddScreenInner() {
                   )}
 
                   <SearchSectionHeader
-                    title="Fast fallback"
-                    subtitle="Stay in the logging flow if search is not the fastest option"
+                    title={t('add.fastFallback')}
+                    subtitle={t('add.stayInTheLogging')}
                   />
                   <View style={styles.searchFallbackActions}>
                     <FastCaptureAction
                       icon={Plus}
-                      label="Quick Add"
-                      hint="Calories and macros in seconds"
+                      label={t('add.quickAdd')}
+                      hint={t('add.caloriesAndMacrosIn')}
                       tone="primary"
                       onPress={() => setQuickCalVisible(true)}
                     />
                     <FastCaptureAction
                       icon={ScanBarcode}
-                      label="Scan"
-                      hint="Packaged foods"
+                      label={t('add.scan')}
+                      hint={t('add.packagedFoods')}
                       onPress={handleOpenBarcodeLookup}
                     />
                     <FastCaptureAction
                       icon={Wand2}
-                      label="Create Food"
-                      hint="Save a custom item"
+                      label={t('add.createFood')}
+                      hint={t('add.saveACustomItem')}
                       onPress={() => router.push({ pathname: '/create-food', params: { meal: selectedMeal } })}
                     />
                   </View>
@@ -2119,7 +2153,7 @@ function AddScreenInner() {
               {recentFoodsLoading && lastTwentyFoods.length === 0 && recentMealSnapshots.length === 0 ? (
                 <View style={styles.loadingContainer}>
                   <ActivityIndicator size="large" color={Colors.primary} />
-                  <Text style={styles.loadingText}>Loading recent foods...</Text>
+                  <Text style={styles.loadingText}>{t('add.loadingRecentFoods')}</Text>
                 </View>
               ) : (
                 <OptimizedFlatList
@@ -2138,7 +2172,7 @@ function AddScreenInner() {
                       <View style={styles.focusSection}>
                         <View style={styles.focusSectionHeader}>
                           <RotateCcw size={16} color={Colors.primary} />
-                          <Text style={styles.focusSectionLabel}>Repeat Yesterday</Text>
+                          <Text style={styles.focusSectionLabel}>{t('add.repeatYesterday')}</Text>
                         </View>
                         <View style={styles.repeatChipRow}>
                           {repeatYesterdayOptions.map((meal) => (
@@ -2162,13 +2196,13 @@ function AddScreenInner() {
                       <View style={styles.focusSection}>
                         <View style={styles.focusSectionHeader}>
                           <Clock size={16} color={Colors.primary} />
-                          <Text style={styles.focusSectionLabel}>Last 7 Meals</Text>
+                          <Text style={styles.focusSectionLabel}>{t('add.last7Meals')}</Text>
                         </View>
                         {recentMealSnapshots.length === 0 ? (
                           <View style={styles.focusEmptyCard}>
-                            <Text style={styles.focusEmptyTitle}>No recent meals yet</Text>
+                            <Text style={styles.focusEmptyTitle}>{t('add.noRecentMealsYet')}</Text>
                             <Text style={styles.focusEmptyHint}>
-                              Full meals you log will appear here for 1-tap repeats
+                              {t('add.fullMealsYouLog')}
                             </Text>
                           </View>
                         ) : (
@@ -2188,14 +2222,14 @@ function AddScreenInner() {
                       <View style={styles.favoritesSection}>
                         <View style={styles.favoritesSectionHeader}>
                           <Heart size={16} color={Colors.secondary} fill={Colors.secondary} />
-                          <Text style={styles.sectionLabel}>Favorites</Text>
+                          <Text style={styles.sectionLabel}>{t('add.favorites')}</Text>
                         </View>
                         {favorites.length === 0 ? (
                           <View style={styles.favoritesEmptyCard}>
                             <Heart size={32} color={Colors.textTertiary} />
-                            <Text style={styles.favoritesEmptyTitle}>No favorites yet</Text>
+                            <Text style={styles.favoritesEmptyTitle}>{t('add.noFavoritesYet')}</Text>
                             <Text style={styles.favoritesEmptyHint}>
-                              Heart foods in your diary to see them here
+                              {t('add.heartFoodsInYour')}
                             </Text>
                           </View>
                         ) : (
@@ -2213,15 +2247,15 @@ function AddScreenInner() {
                       {/* Last 20 foods header */}
                       {lastTwentyFoods.length > 0 && (
                         <Text style={styles.resultsHeader}>
-                          {lastTwentyFoods.length} recently logged foods
+                          {t('add.recentlyLoggedFoods', { lastTwentyFoodsCount: lastTwentyFoods.length })}
                         </Text>
                       )}
                       {lastTwentyFoods.length === 0 && (
                         <View style={styles.favoritesEmptyCard}>
                           <Clock size={32} color={Colors.textTertiary} />
-                          <Text style={styles.favoritesEmptyTitle}>No recent foods yet</Text>
+                          <Text style={styles.favoritesEmptyTitle}>{t('add.noRecentFoodsYet')}</Text>
                           <Text style={styles.favoritesEmptyHint}>
-                            Foods you log will appear here for quick access
+                            {t('add.foodsYouLogWill')}
                           </Text>
                         </View>
                       )}
@@ -2253,9 +2287,9 @@ function AddScreenInner() {
                         <ChefHat size={20} color={Colors.primary} />
                       </View>
                       <View style={styles.createRecipeContent}>
-                        <Text style={styles.createRecipeTitle}>Create Recipe</Text>
+                        <Text style={styles.createRecipeTitle}>{t('add.createRecipe')}</Text>
                         <Text style={styles.createRecipeSubtitle}>
-                          Build custom meals with multiple ingredients
+                          {t('add.buildCustomMealsWith')}
                         </Text>
                       </View>
                       <Plus size={20} color={Colors.primary} />
@@ -2267,7 +2301,7 @@ function AddScreenInner() {
                     <View style={styles.recipesSection}>
                       <View style={styles.recipesSectionHeader}>
                         <BookOpen size={16} color={Colors.primary} />
-                        <Text style={styles.sectionLabel}>My Recipes</Text>
+                        <Text style={styles.sectionLabel}>{t('add.myRecipes')}</Text>
                       </View>
                       {filteredRecipes.slice(0, 5).map((recipe) => (
                         <RecipeItem
@@ -2279,7 +2313,7 @@ function AddScreenInner() {
                       ))}
                       {recipes.length > 5 && searchQuery.length === 0 && (
                         <Text style={styles.moreRecipesHint}>
-                          Search to find more recipes...
+                          {t('add.searchToFindMore')}
                         </Text>
                       )}
                     </View>
@@ -2288,7 +2322,7 @@ function AddScreenInner() {
                   {/* Recent Foods */}
                   {recentLogs.length > 0 && (
                     <View style={styles.recentSection}>
-                      <Text style={styles.sectionLabel}>Recent</Text>
+                      <Text style={styles.sectionLabel}>{t('add.recent')}</Text>
                       <View style={styles.recentItems}>
                         {recentLogs.slice(0, 4).map((item, index) => (
                           <Pressable
@@ -2305,7 +2339,7 @@ function AddScreenInner() {
                       </View>
                     </View>
                   )}
-                  <Text style={styles.sectionLabel}>Quick Add</Text>
+                  <Text style={styles.sectionLabel}>{t('add.quickAdd')}</Text>
                 </>
               }
               ListFooterComponent={<View style={styles.bottomSpacer} />}
@@ -2335,25 +2369,25 @@ function AddScreenInner() {
                   <Wand2 size={24} color="#fff" />
                 </View>
                 <View style={styles.aiWorkoutContent}>
-                  <Text style={styles.aiWorkoutTitle}>Smart Trainer</Text>
+                  <Text style={styles.aiWorkoutTitle}>{t('add.smartTrainer')}</Text>
                   <Text style={styles.aiWorkoutSubtitle}>
-                    Generate a custom AI workout plan
+                    {t('add.generateACustomAi')}
                   </Text>
                 </View>
                 <View style={styles.aiWorkoutBadge}>
-                  <Text style={styles.aiWorkoutBadgeText}>AI</Text>
+                  <Text style={styles.aiWorkoutBadgeText}>{t('add.ai')}</Text>
                 </View>
               </Pressable>
 
               <Text style={styles.exerciseListHeader}>
-                {filteredExercises.length} exercises available
+                {t('add.exercisesAvailable', { filteredExercisesCount: filteredExercises.length })}
               </Text>
             </>
           }
           ListEmptyComponent={
             <View style={styles.emptyContainer}>
-              <Text style={styles.emptyText}>No exercises found</Text>
-              <Text style={styles.emptySubtext}>Try a different search term</Text>
+              <Text style={styles.emptyText}>{t('add.noExercisesFound')}</Text>
+              <Text style={styles.emptySubtext}>{t('add.tryADifferentSearch')}</Text>
             </View>
           }
           ListFooterComponent={<View style={styles.bottomSpacer} />}
@@ -2389,6 +2423,7 @@ function AddScreenInner() {
           userWeight={profile?.weight}
           onClose={() => setExerciseModalVisible(false)}
           onConfirm={handleConfirmExercise}
+          onTrackRoute={handleTrackRoute}
         />
       )}
 
@@ -5,6 +5,7 @@ import { View, Text, ScrollView, StyleSheet, Pressable, ActivityIndicator, Alert
 import { useRouter } from 'expo-router';
 import { ChevronLeft, ChevronRight, Plus, Coffee, Sun, Sunset, Moon, Trash2, Copy, Sparkles, Heart, Droplets, Zap, BoltIcon, Trophy, Share2, Mic, Loader } from 'lucide-react-native';
 import ReAnimated, { FadeInDown } from 'react-native-reanimated';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../../components/ScreenWrapper';
 import GlassCard from '../../components/ui/GlassCard';
 import AnimatedCounter from '../../components/ui/AnimatedCounter';
@@ -31,16 +32,19 @@ import { useVoiceLogging } from '../../hooks/useVoiceLogging';
 import VoiceRecordingModal from '../../components/VoiceRecordingModal';
 import VoiceResultsSheet from '../../components/VoiceResultsSheet';
 import CopyMealModal from '../../components/CopyMealModal';
+import { formatDate as formatLocaleDate } from '../../lib/formatters';
 
 const mealConfig = {
-  breakfast: { icon: Coffee, name: 'Breakfast' },
-  lunch: { icon: Sun, name: 'Lunch' },
-  dinner: { icon: Sunset, name: 'Dinner' },
-  snacks: { icon: Moon, name: 'Snacks' },
+  breakfast: { icon: Coffee, nameKey: 'diary.breakfast' },
+  lunch: { icon: Sun, nameKey: 'diary.lunch' },
+  dinner: { icon: Sunset, nameKey: 'diary.dinner' },
+  snacks: { icon: Moon, nameKey: 'diary.snacks' },
 };
 
 const MealSection = memo(function MealSection({ mealType, items, onAddFood, onRemoveFood, onSwipeRemove, onFindSwap, onCopyYesterday, isCopying, onToggleFavorite, isFavoriteCheck, onQuickAdd, onQuickCal, onCopyMeal }) {
+  const { t } = useTranslation();
   const config = mealConfig[mealType];
+  const mealName = t(config.nameKey);
   const Icon = config.icon;
   const totalCalories = useMemo(() => items.reduce((sum, item) => sum + item.calories, 0), [items]);
   const isEmpty = items.length === 0;
@@ -52,7 +56,7 @@ const MealSection = memo(function MealSection({ mealType, items, onAddFood, onRe
           <View style={styles.mealIconContainer}>
             <Icon size={18} color={Colors.primary} />
           </View>
-          <Text style={styles.mealTitle}>{config.name}</Text>
+          <Text style={styles.mealTitle}>{mealName}</Text>
         </View>
         <View style={styles.mealHeaderRight}>
           {items.length > 0 && (
@@ -60,7 +64,7 @@ const MealSection = memo(function MealSection({ mealType, items, onAddFood, onRe
               style={styles.copyMealButton}
               onPress={() => onCopyMeal(mealType)}
               hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
-              accessibilityLabel={`Copy ${config.name} to another day`}
+              accessibilityLabel={t('diary.copyMealToDay', { meal: mealName })}
               accessibilityRole="button"
             >
               <Copy size={14} color={Colors.textSecondary} />
@@ -70,7 +74,7 @@ const MealSection = memo(function MealSection({ mealType, items, onAddFood, onRe
             style={styles.quickCalButton}
             onPress={() => onQuickCal(mealType)}
             hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
-            accessibilityLabel={`Quick calorie entry for ${config.name}`}
+            accessibilityLabel={t('diary.quickCalorieEntry', { meal: mealName })}
             accessibilityRole="button"
           >
             <Zap size={14} color={Colors.warning} fill={Colors.warning} />
@@ -79,14 +83,14 @@ const MealSection = memo(function MealSection({ mealType, items, onAddFood, onRe
             style={styles.quickAddButton}
             onPress={() => onQuickAdd(mealType)}
             hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
-            accessibilityLabel={`Quick add to ${config.name}`}
+            accessibilityLabel={t('diary.quickAddTo', { meal: mealName })}
             accessibilityRole="button"
           >
             <Zap size={14} color={Colors.primary} />
           </Pressable>
           <View style={styles.mealCaloriesRow}>
             <Text style={styles.mealCalories}>{totalCalories}</Text>
-            <Text style={styles.mealCaloriesUnit}> kcal</Text>
+            <Text style={styles.mealCaloriesUnit}> {t('units.kcal')}</Text>
           </View>
         </View>
       </View>
@@ -113,7 +117,7 @@ const MealSection = memo(function MealSection({ mealType, items, onAddFood, onRe
                     style={styles.favoriteButton}
                     onPress={() => onToggleFavorite(item)}
                     hitSlop={{ top: 12, bottom: 12, left: 12, right: 12 }}
-                    accessibilityLabel={isFavoriteCheck(item.name) ? 'Remove from favorites' : 'Add to favorites'}
+                    accessibilityLabel={isFavoriteCheck(item.name) ? t('food.removeFromFavorites') : t('food.addToFavorites')}
                     accessibilityRole="button"
                   >
                     <Heart
@@ -126,7 +130,7 @@ const MealSection = memo(function MealSection({ mealType, items, onAddFood, onRe
                     style={styles.swapIconButton}
                     onPress={() => onFindSwap(item, mealType)}
                     hitSlop={{ top: 12, bottom: 12, left: 12, right: 12 }}
-                    accessibilityLabel="Find smarter swap"
+                    accessibilityLabel={t('diary.findSwap')}
                     accessibilityRole="button"
                   >
                     <Sparkles size={15} color={Colors.primary} />
@@ -141,7 +145,7 @@ const MealSection = memo(function MealSection({ mealType, items, onAddFood, onRe
       <View style={styles.mealActions}>
         <Pressable style={styles.addItemButton} onPress={() => onAddFood(mealType)}>
           <Plus size={18} color={Colors.primary} />
-          <Text style={styles.addItemText}>Add Food</Text>
+          <Text style={styles.addItemText}>{t('diary.addFood')}</Text>
         </Pressable>
 
         {isEmpty && (
@@ -156,7 +160,7 @@ const MealSection = memo(function MealSection({ mealType, items, onAddFood, onRe
               <Copy size={14} color={Colors.textSecondary} />
             )}
             <Text style={styles.copyYesterdayText}>
-              {isCopying ? 'Copying...' : 'Copy Yesterday'}
+              {isCopying ? t('diary.copying') : t('diary.copyYesterdayShort')}
             </Text>
           </Pressable>
         )}
@@ -166,7 +170,7 @@ const MealSection = memo(function MealSection({ mealType, items, onAddFood, onRe
 });
 
 function formatDate(date) {
-  return date.toLocaleDateString('en-US', {
+  return formatLocaleDate(date, {
     month: 'long',
     day: 'numeric',
     year: 'numeric',
@@ -174,6 +178,7 @@ function formatDate(date) {
 }
 
 function DiaryScreenInner() {
+  const { t } = useTranslation();
   usePreload('diary');
   const router = useRouter();
   const {
@@ -284,11 +289,11 @@ function DiaryScreenInner() {
         await copyMeal(selectedDateKey, copyModalMealType, targetDateKey);
       }
     } catch (error) {
-      Alert.alert('Copy Failed', 'Could not copy meals. Please try again.');
+      Alert.alert(t('diary.copyFailed'), t('diary.copyMealsFailed'));
     } finally {
       setIsCopyingModal(false);
     }
-  }, [copyModalMode, copyModalMealType, selectedDateKey, copyDay, copyMeal]);
+  }, [copyModalMode, copyModalMealType, selectedDateKey, copyDay, copyMeal, t]);
 
   const handleAddFood = useCallback((mealType) => {
     hapticLight();
@@ -297,18 +302,18 @@ function DiaryScreenInner() {
 
   const handleRemoveFood = useCallback((logId, mealType) => {
     Alert.alert(
-      'Remove Item',
-      'Are you sure you want to remove this item?',
+      t('dashboard.removeItem'),
+      t('dashboard.removeItemConfirm'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Remove',
+          text: t('common.remove'),
           style: 'destructive',
           onPress: () => removeFood(logId, mealType),
         },
       ]
     );
-  }, [removeFood]);
+  }, [removeFood, t]);
 
   // Swipe-to-delete — skip confirmation (the swipe IS the confirmation)
   const handleSwipeRemove = useCallback((logId, mealType) => {
@@ -339,9 +344,9 @@ function DiaryScreenInner() {
         serving: swapItem.serving,
       }, mealType);
     } catch (err) {
-      Alert.alert('Swap Failed', 'Could not complete the food swap. Please try again.');
+      Alert.alert(t('diary.swapFailed'), t('diary.swapFailedMessage'));
     }
-  }, [swapTarget, removeFood, addFood]);
+  }, [swapTarget, removeFood, addFood, t]);
 
   const handleToggleFavorite = useCallback((food) => {
     hapticLight();
@@ -355,11 +360,11 @@ function DiaryScreenInner() {
       await copyMealFromYesterday(mealType);
       hapticSuccess();
     } catch (error) {
-      Alert.alert('Copy Failed', 'Could not copy yesterday\'s meal. Please try again.');
+      Alert.alert(t('diary.copyFailed'), t('diary.copyYesterdayMealFailed'));
     } finally {
       setCopyingMeal(null);
     }
-  }, [copyMealFromYesterday]);
+  }, [copyMealFromYesterday, t]);
 
   const handleCopyAllYesterday = useCallback(async () => {
     hapticLight();
@@ -371,11 +376,11 @@ function DiaryScreenInner() {
       await copyMealFromYesterday('snacks');
       hapticSuccess();
     } catch (error) {
-      Alert.alert('Copy Failed', 'Could not copy yesterday\'s meals. Please try again.');
+      Alert.alert(t('diary.copyFailed'), t('diary.copyYesterdayMealsFailed'));
     } finally {
       setCopyingMeal(null);
     }
-  }, [copyMealFromYesterday]);
+  }, [copyMealFromYesterday, t]);
 
   const handleQuickAdd = useCallback((mealType) => {
     hapticLight();
@@ -424,12 +429,16 @@ function DiaryScreenInner() {
     hapticLight();
     try {
       await Share.share({
-        message: `Today's FuelIQ stats: ${totals.calories} cal eaten, ${totals.protein}g protein. ${remaining.calories} remaining! #FuelIQ`,
+        message: t('diary.shareDayStats', {
+          calories: totals.calories,
+          protein: totals.protein,
+          remaining: remaining.calories,
+        }),
       });
     } catch (e) {
       // user dismissed the share sheet — nothing to do
     }
-  }, [totals.calories, totals.protein, remaining.calories]);
+  }, [totals.calories, totals.protein, remaining.calories, t]);
 
   const handleWaterPress = useCallback(() => {
     hapticLight();
@@ -454,13 +463,13 @@ function DiaryScreenInner() {
         {/* Header with streak badge */}
         <ReAnimated.View entering={FadeInDown.delay(0).springify().mass(0.5).damping(10)} style={styles.header}>
           <View style={{ flexDirection: 'row', alignItems: 'center', gap: Spacing.sm }}>
-            <Text style={styles.title}>Food Diary</Text>
+            <Text style={styles.title}>{t('diary.title')}</Text>
             <Pressable
               style={[styles.voiceButton, isRecording && styles.voiceButtonActive, isProcessing && styles.voiceButtonProcessing]}
               onPress={isRecording ? stopRecording : startRecording}
               disabled={isProcessing}
               hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
-              accessibilityLabel={isRecording ? 'Stop voice recording' : 'Log food by voice'}
+              accessibilityLabel={isRecording ? t('diary.stopVoice') : t('diary.logByVoice')}
               accessibilityRole="button"
             >
               {isProcessing ? (
@@ -473,7 +482,7 @@ function DiaryScreenInner() {
               style={styles.copyDayButton}
               onPress={handleOpenCopyDay}
               hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
-              accessibilityLabel="Copy entire day to another date"
+              accessibilityLabel={t('diary.copyDay')}
               accessibilityRole="button"
             >
               <Copy size={18} color={Colors.textSecondary} />
@@ -482,7 +491,7 @@ function DiaryScreenInner() {
               style={styles.shareButton}
               onPress={handleShareDay}
               hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
-              accessibilityLabel="Share today's stats"
+              accessibilityLabel={t('diary.shareToday')}
               accessibilityRole="button"
             >
               <Share2 size={18} color={Colors.textSecondary} />
@@ -537,7 +546,7 @@ function DiaryScreenInner() {
                     formatNumber
                   />
                   <Text style={styles.ringLabel}>
-                    {remaining.calories >= 0 ? 'remaining' : 'over'}
+                    {remaining.calories >= 0 ? t('diary.remainingShort') : t('diary.overShort')}
                   </Text>
                 </View>
               </AnimatedProgressRing>
@@ -545,7 +554,7 @@ function DiaryScreenInner() {
               {hasNutritionData && (
                 <View style={[styles.nutritionBadge, { backgroundColor: gradeColor + '22', borderColor: gradeColor + '44' }]}>
                   <Text style={[styles.nutritionGrade, { color: gradeColor }]}>{grade}</Text>
-                  <Text style={styles.nutritionLabel}>score</Text>
+                  <Text style={styles.nutritionLabel}>{t('diary.scoreLabel')}</Text>
                 </View>
               )}
             </View>
@@ -556,7 +565,7 @@ function DiaryScreenInner() {
                   style={styles.summaryValue}
                   formatNumber
                 />
-                <Text style={styles.summaryLabel}>Goal</Text>
+                <Text style={styles.summaryLabel}>{t('diary.goal')}</Text>
               </View>
               <View style={styles.summaryDivider}>
                 <Text style={styles.summaryOperator}>-</Text>
@@ -567,7 +576,7 @@ function DiaryScreenInner() {
                   style={styles.summaryValue}
                   formatNumber
                 />
-                <Text style={styles.summaryLabel}>Food</Text>
+                <Text style={styles.summaryLabel}>{t('diary.food')}</Text>
               </View>
               <View style={styles.summaryDivider}>
                 <Text style={styles.summaryOperator}>=</Text>
@@ -579,7 +588,7 @@ function DiaryScreenInner() {
                   formatNumber
                 />
                 <Text style={styles.summaryLabel}>
-                  {remaining.calories >= 0 ? 'Left' : 'Over'}
+                  {remaining.calories >= 0 ? t('diary.left') : t('diary.over')}
                 </Text>
               </View>
             </View>
@@ -587,21 +596,21 @@ function DiaryScreenInner() {
             {/* Macro Progress Bars */}
             <View style={styles.macroBarSection}>
               <View style={styles.macroBarRow}>
-                <Text style={styles.macroBarLabel}>P</Text>
+                <Text style={styles.macroBarLabel}>{t('diary.macroProtein')}</Text>
                 <View style={styles.macroBarTrack}>
                   <View style={[styles.macroBarFill, { width: `${Math.min((totals.protein / Math.max(goals.protein, 1)) * 100, 100)}%`, backgroundColor: Colors.primary }]} />
                 </View>
                 <AnimatedCounter value={totals.protein} style={styles.macroBarValue} suffix="g" />
               </View>
               <View style={styles.macroBarRow}>
-                <Text style={styles.macroBarLabel}>C</Text>
+                <Text style={styles.macroBarLabel}>{t('diary.macroCarbs')}</Text>
                 <View style={styles.macroBarTrack}>
                   <View style={[styles.macroBarFill, { width: `${Math.min((totals.carbs / Math.max(goals.carbs, 1)) * 100, 100)}%`, backgroundColor: Colors.warning }]} />
                 </View>
                 <AnimatedCounter value={totals.carbs} style={styles.macroBarValue} suffix="g" />
               </View>
               <View style={styles.macroBarRow}>
-                <Text style={styles.macroBarLabel}>F</Text>
+                <Text style={styles.macroBarLabel}>{t('diary.macroFat')}</Text>
                 <View style={styles.macroBarTrack}>
                   <View style={[styles.macroBarFill, { width: `${Math.min((totals.fat / Math.max(goals.fat, 1)) * 100, 100)}%`, backgroundColor: Colors.secondary }]} />
                 </View>
@@ -619,9 +628,9 @@ function DiaryScreenInner() {
                 <Droplets size={18} color={Colors.primary} strokeWidth={2.5} />
               </View>
               <View>
-                <Text style={styles.waterCardTitle}>Hydration</Text>
+                <Text style={styles.waterCardTitle}>{t('diary.hydration')}</Text>
                 <Text style={styles.waterCardSubtitle}>
-                  {waterProgress.glasses} of {waterProgress.glassesGoal} glasses
+                  {t('diary.glassesProgress', { count: waterProgress.glasses, goal: waterProgress.glassesGoal })}
                 </Text>
               </View>
             </View>
@@ -664,10 +673,10 @@ function DiaryScreenInner() {
           <ReAnimated.View entering={FadeInDown.delay(200).springify().mass(0.5).damping(10)}>
             <View style={{ alignItems: 'center', paddingVertical: Spacing.xxl, paddingHorizontal: Spacing.lg }}>
               <Text style={{ fontSize: FontSize.lg, color: Colors.textSecondary, fontWeight: FontWeight.semibold, marginBottom: Spacing.sm }}>
-                Nothing logged yet
+                {t('diary.nothingLogged')}
               </Text>
               <Text style={{ fontSize: FontSize.sm, color: Colors.textTertiary, textAlign: 'center', marginBottom: Spacing.lg }}>
-                Start logging to see your meals here, or copy from yesterday.
+                {t('diary.emptySubtitle')}
               </Text>
               <Pressable
                 style={styles.copyAllButton}
@@ -680,7 +689,7 @@ function DiaryScreenInner() {
                   <Copy size={16} color={Colors.primary} />
                 )}
                 <Text style={styles.copyAllText}>
-                  {copyingMeal === 'all' ? 'Copying...' : 'Copy All From Yesterday'}
+                  {copyingMeal === 'all' ? t('diary.copying') : t('diary.copyAllYesterday')}
                 </Text>
               </Pressable>
             </View>
@@ -70,7 +70,10 @@ import { getSmartNudge } from '../../lib/smartNudges';
 import DigestCard from '../../components/DigestCard';
 import { useWeeklyDigest } from '../../hooks/useWeeklyDigest';
 import MacroAdaptCard from '../../components/MacroAdaptCard';
+import WeeklyCheckInCard from '../../components/WeeklyCheckInCard';
 import { useAdaptiveMacros } from '../../hooks/useAdaptiveMacros';
+import { useWeeklyCheckIn } from '../../hooks/useWeeklyCheckIn';
+import { useDietPhaseTargets } from '../../hooks/useDietPhases';
 import HealthCard from '../../components/HealthCard';
 import DailyChallengeCard from '../../components/DailyChallengeCard';
 import { useDailyChallenges } from '../../hooks/useDailyChallenges';
@@ -105,6 +108,7 @@ import { usePreload } from '../../hooks/usePreload';
 import { useIsPremium } from '../../context/SubscriptionContext';
 import { useNotifications } from '../../context/NotificationContext';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useTranslation } from 'react-i18next';
 import {
   recordQuickAddUsed,
   recordRepeatLogUsed,
@@ -121,6 +125,7 @@ import {
 } from '../../lib/recentMeals';
 import { trackEvent } from '../../lib/analytics';
 import { recordAppInteractive } from '../../lib/startupTrace';
+import { formatDate, formatNumber } from '../../lib/formatters';
 
 // Premium accent colors
 const ACCENT = Colors.primary; // Electric Blue
@@ -174,31 +179,31 @@ const AmbientOrbs = memo(function AmbientOrbs() {
   );
 });
 
-function getGreeting() {
+function getGreetingKey() {
   const hour = new Date().getHours();
-  if (hour < 12) return 'Good morning';
-  if (hour < 17) return 'Good afternoon';
-  return 'Good evening';
+  if (hour < 12) return 'dashboard.goodMorning';
+  if (hour < 17) return 'dashboard.goodAfternoon';
+  return 'dashboard.goodEvening';
 }
 
 function getFormattedDate(date) {
-  return format(date, 'EEEE, MMM d');
+  return formatDate(date, { weekday: 'long', month: 'short', day: 'numeric' });
 }
 
-const MEAL_LABELS = {
-  breakfast: 'Breakfast',
-  lunch: 'Lunch',
-  dinner: 'Dinner',
-  snacks: 'Snack',
+const MEAL_LABEL_KEYS = {
+  breakfast: 'diary.breakfast',
+  lunch: 'diary.lunch',
+  dinner: 'diary.dinner',
+  snacks: 'dashboard.snack',
 };
 
-function formatRepeatSourceLabel(daysSinceSource, dateKey) {
+function formatRepeatSourceLabel(t, daysSinceSource, dateKey) {
   if (daysSinceSource === 1) {
-    return 'Yesterday';
+    return t('common.yesterday');
   }
 
   if (daysSinceSource > 1 && daysSinceSource < 7) {
-    return `${daysSinceSource}d ago`;
+    return t('time.daysAgo', { count: daysSinceSource });
   }
 
   const parsed = new Date(`${dateKey}T12:00:00`);
@@ -206,10 +211,10 @@ function formatRepeatSourceLabel(daysSinceSource, dateKey) {
     return dateKey;
   }
 
-  return format(parsed, 'MMM d');
+  return formatDate(parsed, { month: 'short', day: 'numeric' });
 }
 
-function getRepeatMealPreview(snapshot) {
+function getRepeatMealPreview(t, snapshot) {
   const preview = snapshot.items
     .slice(0, 2)
     .map((item) => item.name)
@@ -217,7 +222,7 @@ function getRepeatMealPreview(snapshot) {
   const remainingCount = Math.max(snapshot.itemCount - 2, 0);
 
   if (remainingCount > 0) {
-    return `${preview} +${remainingCount} more`;
+    return t('dashboard.repeatPreviewMore', { preview, count: remainingCount });
   }
 
   return preview;
@@ -228,13 +233,19 @@ const RepeatMealCard = memo(function RepeatMealCard({
   isLoading,
   onPress,
 }) {
-  const mealLabel = MEAL_LABELS[suggestion.targetMealType] || suggestion.targetMealType;
+  const { t } = useTranslation();
+  const mealLabel = MEAL_LABEL_KEYS[suggestion.targetMealType]
+    ? t(MEAL_LABEL_KEYS[suggestion.targetMealType])
+    : suggestion.targetMealType;
   const sourceLabel = formatRepeatSourceLabel(
+    t,
     suggestion.daysSinceSource,
     suggestion.snapshot.dateKey
   );
-  const preview = getRepeatMealPreview(suggestion.snapshot);
-  const actionLabel = suggestion.alreadyLoggedToday ? `Add to ${mealLabel}` : `Log ${mealLabel}`;
+  const preview = getRepeatMealPreview(t, suggestion.snapshot);
+  const actionLabel = suggestion.alreadyLoggedToday
+    ? t('dashboard.addToMeal', { meal: mealLabel })
+    : t('dashboard.logMeal', { meal: mealLabel });
 
   return (
     <GlassCard
@@ -246,11 +257,13 @@ const RepeatMealCard = memo(function RepeatMealCard({
         <View style={styles.repeatMealBadge}>
           <Text style={styles.repeatMealBadgeText}>{mealLabel}</Text>
         </View>
-        <Text style={styles.repeatMealSource}>From {sourceLabel}</Text>
+        <Text style={styles.repeatMealSource}>{t('dashboard.repeatFrom', { source: sourceLabel })}</Text>
       </View>
 
       <Text style={styles.repeatMealTitle}>
-        {suggestion.alreadyLoggedToday ? `Add ${mealLabel} again` : `Log ${mealLabel} again`}
+        {suggestion.alreadyLoggedToday
+          ? t('dashboard.addMealAgain', { meal: mealLabel })
+          : t('dashboard.logMealAgain', { meal: mealLabel })}
       </Text>
       <Text style={styles.repeatMealPreview} numberOfLines={2}>
         {preview}
@@ -258,7 +271,10 @@ const RepeatMealCard = memo(function RepeatMealCard({
 
       <View style={styles.repeatMealFooter}>
         <Text style={styles.repeatMealMeta}>
-          {suggestion.snapshot.itemCount} items · {Math.round(suggestion.snapshot.totals.protein || 0)}g protein
+          {t('dashboard.repeatMeta', {
+            count: suggestion.snapshot.itemCount,
+            protein: Math.round(suggestion.snapshot.totals.protein || 0),
+          })}
         </Text>
         <View style={styles.repeatMealAction}>
           {isLoading ? (
@@ -277,6 +293,7 @@ const RepeatMealCard = memo(function RepeatMealCard({
 
 // Premium Stat Card — GlassCard with blur + border
 const StatCard = memo(function StatCard({ icon: Icon, value, label, color, onPress }) {
+  const { t } = useTranslation();
   return (
     <GlassCard
       onPress={onPress}
@@ -284,7 +301,7 @@ const StatCard = memo(function StatCard({ icon: Icon, value, label, color, onPre
       glow
       accessibilityRole="button"
       accessibilityLabel={`${label}: ${value}`}
-      accessibilityHint={`View ${label.toLowerCase()} details`}
+      accessibilityHint={t('dashboard.viewDetailsHint', { label })}
     >
       <View style={styles.statCardInner}>
         <View style={[styles.statIconContainer, { backgroundColor: color + '20' }]}>
@@ -305,6 +322,7 @@ const MovementSnapshotCard = memo(function MovementSnapshotCard({
   activeCalories,
   onPress,
 }) {
+  const { t } = useTranslation();
   const progress = Math.min(steps / ACTIVITY_STEP_GOAL, 1);
   const platformName = Platform.OS === 'ios' ? 'Apple Health' : 'Google Fit';
 
@@ -316,16 +334,16 @@ const MovementSnapshotCard = memo(function MovementSnapshotCard({
             <Dumbbell size={18} color={Colors.success} strokeWidth={2.4} />
           </View>
           <View style={styles.movementCopy}>
-            <Text style={styles.movementTitle}>Activity</Text>
+            <Text style={styles.movementTitle}>{t('dashboard.activity')}</Text>
             <Text style={styles.movementSubtitle}>
               {isConnected
-                ? `${Math.round(activeCalories || 0).toLocaleString()} active cal`
-                : `Sync ${platformName} for movement`}
+                ? t('dashboard.activeCalories', { calories: formatNumber(Math.round(activeCalories || 0)) })
+                : t('dashboard.syncForMovement', { platform: platformName })}
             </Text>
           </View>
         </View>
         <Text style={styles.movementValue}>
-          {isConnected ? steps.toLocaleString() : 'Connect'}
+          {isConnected ? formatNumber(steps) : t('dashboard.connect')}
         </Text>
       </View>
 
@@ -347,7 +365,9 @@ const MovementSnapshotCard = memo(function MovementSnapshotCard({
 
       <View style={styles.movementFooter}>
         <Text style={styles.movementGoalText}>
-          {isConnected ? `${Math.round(progress * 100)}% of 10k goal` : 'Connect to keep today accurate'}
+          {isConnected
+            ? t('dashboard.stepGoalProgress', { percent: Math.round(progress * 100) })
+            : t('dashboard.connectToKeepAccurate')}
         </Text>
         <ChevronRight size={16} color={Colors.textTertiary} />
       </View>
@@ -449,6 +469,7 @@ const StreakBadge = memo(function StreakBadge({ streak, tier }) {
 
 // Supplement Reminder Card for Dashboard
 const SupplementReminder = memo(function SupplementReminder({ untakenCount, onPress }) {
+  const { t } = useTranslation();
   if (untakenCount <= 0) return null;
 
   return (
@@ -459,10 +480,10 @@ const SupplementReminder = memo(function SupplementReminder({ untakenCount, onPr
         </View>
         <View style={styles.supplementReminderText}>
           <Text style={styles.supplementReminderTitle}>
-            {untakenCount} supplement{untakenCount !== 1 ? 's' : ''} remaining
+            {t('dashboard.supplementsRemaining', { count: untakenCount })}
           </Text>
           <Text style={styles.supplementReminderSubtitle}>
-            Tap to mark as taken
+            {t('dashboard.tapToMarkTaken')}
           </Text>
         </View>
         <ChevronRight size={18} color={Colors.textTertiary} />
@@ -496,6 +517,7 @@ const NutritionScoreBadge = memo(function NutritionScoreBadge({ score, grade, gr
 
 // Premium Macros Card — GlassCard with blur + border
 const MacrosCard = memo(function MacrosCard({ totals, goals, onPress }) {
+  const { t } = useTranslation();
   const proteinPercent = useMemo(() => Math.min((totals.protein / goals.protein) * 100, 100), [totals.protein, goals.protein]);
   const carbsPercent = useMemo(() => Math.min((totals.carbs / goals.carbs) * 100, 100), [totals.carbs, goals.carbs]);
   const fatPercent = useMemo(() => Math.min((totals.fat / goals.fat) * 100, 100), [totals.fat, goals.fat]);
@@ -505,7 +527,7 @@ const MacrosCard = memo(function MacrosCard({ totals, goals, onPress }) {
       <View style={styles.macrosHeader}>
         <View style={styles.macrosTitleRow}>
           <Zap size={16} color={ACCENT} />
-          <Text style={styles.macrosTitle}>Macros</Text>
+          <Text style={styles.macrosTitle}>{t('dashboard.macros')}</Text>
         </View>
         <ChevronRight size={18} color={Colors.textTertiary} />
       </View>
@@ -515,7 +537,7 @@ const MacrosCard = memo(function MacrosCard({ totals, goals, onPress }) {
         <View style={styles.macroColumn}>
           <View style={[styles.macroDot, { backgroundColor: Colors.protein }]} />
           <Text style={styles.macroValue}>{totals.protein}g</Text>
-          <Text style={styles.macroLabel}>Protein</Text>
+          <Text style={styles.macroLabel}>{t('diary.protein')}</Text>
           <View style={styles.macroProgressTrack}>
             <LinearGradient
               colors={['#FF6B9D', '#FF8A80']}
@@ -530,7 +552,7 @@ const MacrosCard = memo(function MacrosCard({ totals, goals, onPress }) {
         <View style={styles.macroColumn}>
           <View style={[styles.macroDot, { backgroundColor: Colors.carbs }]} />
           <Text style={styles.macroValue}>{totals.carbs}g</Text>
-          <Text style={styles.macroLabel}>Carbs</Text>
+          <Text style={styles.macroLabel}>{t('diary.carbs')}</Text>
           <View style={styles.macroProgressTrack}>
             <LinearGradient
               colors={['#64D2FF', '#5AC8FA']}
@@ -545,7 +567,7 @@ const MacrosCard = memo(function MacrosCard({ totals, goals, onPress }) {
         <View style={styles.macroColumn}>
           <View style={[styles.macroDot, { backgroundColor: Colors.fat }]} />
           <Text style={styles.macroValue}>{totals.fat}g</Text>
-          <Text style={styles.macroLabel}>Fat</Text>
+          <Text style={styles.macroLabel}>{t('diary.fat')}</Text>
           <View style={styles.macroProgressTrack}>
             <LinearGradient
               colors={['#FFD93D', '#FFC107']}
@@ -561,6 +583,7 @@ const MacrosCard = memo(function MacrosCard({ totals, goals, onPress }) {
 });
 
 function DashboardScreenInner() {
+  const { t } = useTranslation();
   usePreload('index');
   const { isPremium } = useIsPremium();
   const router = useRouter();
@@ -810,12 +833,12 @@ function DashboardScreenInner() {
 
   const handleRemoveFood = useCallback((logId, mealType) => {
     Alert.alert(
-      'Remove Item',
-      'Are you sure you want to remove this item?',
+      t('dashboard.removeItem'),
+      t('dashboard.removeItemConfirm'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Remove',
+          text: t('common.remove'),
           style: 'destructive',
           onPress: async () => {
             await hapticWarning();
@@ -824,7 +847,7 @@ function DashboardScreenInner() {
         },
       ]
     );
-  }, [removeFood]);
+  }, [removeFood, t]);
 
   const handleSmartCoachPress = useCallback(async () => {
     await hapticLight();
@@ -911,7 +934,7 @@ function DashboardScreenInner() {
   const handleOpenImportSwitcher = useCallback(async () => {
     await hapticLight();
     router.push({
-      pathname: '/import-myfitnesspal',
+      pathname: '/import-diary',
       params: {
         source: 'dashboard_empty_state',
       },
@@ -971,11 +994,11 @@ function DashboardScreenInner() {
       }
     } catch (error) {
       Sentry.captureException(error);
-      Alert.alert('Could Not Log Meal', 'Please try again.');
+      Alert.alert(t('dashboard.couldNotLogMeal'), t('common.tryAgain'));
     } finally {
       setActiveRepeatSuggestionId(null);
     }
-  }, [activeRepeatSuggestionId, copyMeal, isPlanningMode, recordMealLogged, selectedDateKey]);
+  }, [activeRepeatSuggestionId, copyMeal, isPlanningMode, recordMealLogged, selectedDateKey, t]);
 
   // Share card data for the ShareCardModal
   const shareCardData = useMemo(() => ({
@@ -1039,6 +1062,8 @@ function DashboardScreenInner() {
   const { digest: weeklyDigest } = useWeeklyDigest();
   const { recentMeals: recentMealSnapshots } = useRecentMealSnapshots(20);
   const { recommendation: macroRec, applyRecommendation, dismissRecommendation } = useAdaptiveMacros();
+  const { proposal: checkInProposal, accept: acceptCheckIn, reject: rejectCheckIn } = useWeeklyCheckIn();
+  useDietPhaseTargets();
   const {
     challenges: dailyChallenges,
     isLoading: challengesLoading,
@@ -1128,7 +1153,9 @@ function DashboardScreenInner() {
       { key: 'wellnessScore' },
     );
     if (weeklyDigest) sections.push({ key: 'digest' });
-    if (macroRec && macroRec.shouldAdjust) sections.push({ key: 'macroAdapt' });
+    // The deterministic check-in takes precedence over the AI suggestion for the same week
+    if (checkInProposal) sections.push({ key: 'weeklyCheckIn' });
+    else if (macroRec && macroRec.shouldAdjust) sections.push({ key: 'macroAdapt' });
     sections.push({ key: 'challenges' });
     if (nutritionScore > 0) sections.push({ key: 'nutritionScore' });
     if (!supplementsLoading && userSupplements.length > 0 && untakenSupplementCount > 0) {
@@ -1147,6 +1174,7 @@ function DashboardScreenInner() {
     showAdvancedInsights,
     smartNudge,
     weeklyDigest,
+    checkInProposal,
     macroRec,
     nutritionScore,
     supplementsLoading,
@@ -1183,7 +1211,9 @@ function DashboardScreenInner() {
     switch (item.key) {
       case 'header': {
         const firstName = profile?.name?.split(' ')[0] || '';
-        const greeting = firstName ? `${getGreeting()}, ${firstName}` : getGreeting();
+        const greeting = firstName
+          ? t('dashboard.greetingWithName', { greeting: t(getGreetingKey()), name: firstName })
+          : t(getGreetingKey());
         const caloriePercent = Math.min(caloriesConsumed / caloriesGoal, 1);
         return (
           <ReAnimated.View entering={entering} style={[styles.header, headerAnimatedStyle]}>
@@ -1212,10 +1242,10 @@ function DashboardScreenInner() {
                 color={caloriePercent >= 1 ? Colors.warning : ACCENT}
               />
               <View style={styles.heroRingInner}>
-                <Text style={styles.heroCalorieValue}>{caloriesConsumed.toLocaleString()}</Text>
-                <Text style={styles.heroCalorieLabel}>of {caloriesGoal.toLocaleString()} kcal</Text>
+                <Text style={styles.heroCalorieValue}>{formatNumber(caloriesConsumed)}</Text>
+                <Text style={styles.heroCalorieLabel}>{t('dashboard.ofCalorieGoal', { goal: formatNumber(caloriesGoal) })}</Text>
               </View>
-              <Text style={styles.heroRemainingText}>{caloriesRemaining.toLocaleString()} remaining</Text>
+              <Text style={styles.heroRemainingText}>{t('dashboard.remainingAmount', { amount: formatNumber(caloriesRemaining) })}</Text>
             </Pressable>
           </ReAnimated.View>
         );
@@ -1250,10 +1280,10 @@ function DashboardScreenInner() {
         return (
           <ReAnimated.View entering={entering}>
             <MyFitnessPalImportCard
-              eyebrow="Switch Faster"
-              title="Already logging in MyFitnessPal?"
-              body="Import your diary before you build today from scratch."
-              buttonLabel="Import MyFitnessPal diary"
+              eyebrow={t('dashboard.importEyebrow')}
+              title={t('dashboard.importTitle')}
+              body={t('dashboard.importBody')}
+              buttonLabel={t('dashboard.importButton')}
               onPress={handleOpenImportSwitcher}
               style={styles.importSwitcherCard}
             />
@@ -1268,11 +1298,11 @@ function DashboardScreenInner() {
                   <RotateCcw size={16} color={Colors.primary} strokeWidth={2.5} />
                 </View>
                 <Text style={styles.sectionTitle}>
-                  {isSelectedDateToday ? 'Log Again Today' : 'Log Again'}
+                  {isSelectedDateToday ? t('dashboard.logAgainToday') : t('dashboard.logAgain')}
                 </Text>
               </View>
               <Text style={styles.repeatShelfSubtitle}>
-                Reuse the meals you actually eat most, without searching again.
+                {t('dashboard.logAgainHint')}
               </Text>
             </View>
 
@@ -1309,7 +1339,7 @@ function DashboardScreenInner() {
                   </View>
                 </View>
                 <View style={styles.wellnessScoreInfo}>
-                  <Text style={styles.wellnessScoreLabel}>Wellness Score</Text>
+                  <Text style={styles.wellnessScoreLabel}>{t('dashboard.wellnessScore')}</Text>
                   <Text style={[styles.wellnessScoreLevel, { color: wsColor }]}>{wellnessResult.level}</Text>
                 </View>
               </View>
@@ -1328,6 +1358,15 @@ function DashboardScreenInner() {
         );
       case 'digest':
         return <DigestCard digest={weeklyDigest} />;
+      case 'weeklyCheckIn':
+        return (
+          <WeeklyCheckInCard
+            proposal={checkInProposal}
+            onAccept={acceptCheckIn}
+            onReject={rejectCheckIn}
+            onViewHistory={() => router.push('/target-history')}
+          />
+        );
       case 'macroAdapt':
         return (
           <MacroAdaptCard
@@ -1351,8 +1390,8 @@ function DashboardScreenInner() {
       case 'stats':
         return (
           <ReAnimated.View entering={entering} style={[styles.statsRow, statCardsParallaxStyle]}>
-            <StatCard icon={Flame} value={caloriesConsumed.toLocaleString()} label="Calories" color="#FF6B35" onPress={handleOpenCaloriesModal} />
-            <StatCard icon={Target} value={`${Math.round(totals.protein || 0)}g`} label="Protein" color={Colors.protein} onPress={handleOpenMacrosModal} />
+            <StatCard icon={Flame} value={formatNumber(caloriesConsumed)} label={t('food.calories')} color="#FF6B35" onPress={handleOpenCaloriesModal} />
+            <StatCard icon={Target} value={`${Math.round(totals.protein || 0)}g`} label={t('diary.protein')} color={Colors.protein} onPress={handleOpenMacrosModal} />
           </ReAnimated.View>
         );
       case 'nutritionScore':
@@ -1370,9 +1409,9 @@ function DashboardScreenInner() {
       case 'actionCards':
         return (
           <ReAnimated.View entering={entering} style={styles.actionCardsContainer}>
-            <ActionCard icon={Dumbbell} title="AI Personal Trainer" subtitle="Generate custom workouts" gradientColors={[ACCENT, ACCENT_DIM]} onPress={handleTrainerPress} badge="PRO" />
-            <ActionCard icon={ChefHat} title="Macro Chef" subtitle="Scan fridge for recipes" gradientColors={['#FF8C32', '#FF5A1E']} onPress={handleChefPress} badge="PRO" />
-            <ActionCard icon={ChefHat} title="AI Meal Plan" subtitle="3-day plan built for your goals" gradientColors={['#10B981', '#059669']} onPress={handleMealPlanPress} badge="NEW" />
+            <ActionCard icon={Dumbbell} title={t('dashboard.trainerTitle')} subtitle={t('dashboard.trainerSubtitle')} gradientColors={[ACCENT, ACCENT_DIM]} onPress={handleTrainerPress} badge="PRO" />
+            <ActionCard icon={ChefHat} title={t('dashboard.chefTitle')} subtitle={t('dashboard.chefSubtitle')} gradientColors={['#FF8C32', '#FF5A1E']} onPress={handleChefPress} badge="PRO" />
+            <ActionCard icon={ChefHat} title={t('dashboard.mealPlanTitle')} subtitle={t('dashboard.mealPlanSubtitle')} gradientColors={['#10B981', '#059669']} onPress={handleMealPlanPress} badge="NEW" />
           </ReAnimated.View>
         );
       case 'quickLog':
@@ -1416,10 +1455,10 @@ function DashboardScreenInner() {
         return (
           <ReAnimated.View entering={entering}>
             <View style={styles.sectionHeader}>
-              <Text style={styles.sectionTitle}>Hydration & Movement</Text>
+              <Text style={styles.sectionTitle}>{t('dashboard.hydrationMovement')}</Text>
             </View>
             <View style={styles.activityGrid}>
-              <Pressable onPress={handleWaterCardPress} accessibilityLabel="Open water tracker">
+              <Pressable onPress={handleWaterCardPress} accessibilityLabel={t('dashboard.openWaterTracker')}>
                 <WaterCard />
               </Pressable>
               <MovementSnapshotCard
@@ -1443,14 +1482,14 @@ function DashboardScreenInner() {
             <GlassCard onPress={handleToggleAdvancedInsights} style={styles.insightsToggleCard}>
               <View style={styles.insightsToggleRow}>
                 <View style={styles.insightsToggleCopy}>
-                  <Text style={styles.insightsToggleEyebrow}>More Depth</Text>
+                  <Text style={styles.insightsToggleEyebrow}>{t('dashboard.moreDepth')}</Text>
                   <Text style={styles.insightsToggleTitle}>
-                    {showAdvancedInsights ? 'Hide advanced insights' : 'Open coaching, trends and recovery'}
+                    {showAdvancedInsights ? t('dashboard.hideAdvanced') : t('dashboard.showAdvanced')}
                   </Text>
                   <Text style={styles.insightsToggleBody}>
                     {showAdvancedInsights
-                      ? 'Collapse the secondary stack and keep Today focused on logging and progress.'
-                      : 'Everything beyond the core daily loop lives here once you want more depth.'}
+                      ? t('dashboard.hideAdvancedHint')
+                      : t('dashboard.showAdvancedHint')}
                   </Text>
                 </View>
                 <View style={styles.insightsToggleIcon}>
@@ -1484,9 +1523,9 @@ function DashboardScreenInner() {
                   />
                 </View>
                 <View style={styles.fitnessScoreRight}>
-                  <Text style={styles.fitnessScoreTitle}>Fitness Score</Text>
+                  <Text style={styles.fitnessScoreTitle}>{t('dashboard.fitnessScore')}</Text>
                   <Text style={styles.fitnessScoreValue}>{fitnessScore.score}<Text style={styles.fitnessScoreMax}>/100</Text></Text>
-                  <Text style={styles.fitnessScoreLevel}>{fitnessScore.level || 'Getting Started'}</Text>
+                  <Text style={styles.fitnessScoreLevel}>{fitnessScore.level || t('dashboard.gettingStarted')}</Text>
                 </View>
               </View>
             </GlassCard>
@@ -1505,6 +1544,7 @@ function DashboardScreenInner() {
     }
   }, [
     reduceMotion, headerAnimatedStyle, statCardsParallaxStyle, formattedDate, currentStreak, wellnessResult, smartNudge, weeklyDigest,
+    checkInProposal, acceptCheckIn, rejectCheckIn,
     macroRec, applyRecommendation, dismissRecommendation, dailyChallenges,
     challengesLoading, challengesCompletedCount, challengesTotalCount,
     allChallengesComplete, checkChallengeProgress, completeDailyChallenge,
@@ -1520,6 +1560,7 @@ function DashboardScreenInner() {
     activationStage, activationProgress, handleActivationPress, handleOpenImportSwitcher, handleValuePaywallPress,
     handleLogAgainSuggestion, activeRepeatSuggestionId,
     isSelectedDateToday, repeatSuggestions, waterProgress,
+    t,
   ]);
 
   return (
@@ -1535,7 +1576,7 @@ function DashboardScreenInner() {
           <View style={styles.fetchingIndicator}>
             <ActivityIndicator size="small" color={ACCENT} />
             <Text style={styles.fetchingText}>
-              {isLoading ? 'Getting today ready' : 'Refreshing today'}
+              {isLoading ? t('dashboard.gettingReady') : t('dashboard.refreshing')}
             </Text>
           </View>
         )}
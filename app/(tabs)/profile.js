@@ -67,6 +67,7 @@ import {
   ChefHat,
 } from 'lucide-react-native';
 import ReAnimated, { FadeInDown } from 'react-native-reanimated';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../../components/ScreenWrapper';
 import { Colors, Gradients, Spacing, FontSize, FontWeight, BorderRadius, Shadows, Glass } from '../../constants/theme';
 import { useProfile, ACTIVITY_LEVELS, MACRO_PRESETS } from '../../context/ProfileContext';
@@ -76,6 +77,7 @@ import { useAuth } from '../../context/AuthContext';
 import { supabase } from '../../lib/supabase';
 import useAchievements from '../../hooks/useAchievements';
 import { ProfileSkeleton } from '../../components/SkeletonLoader';
+import { formatNumber } from '../../lib/formatters';
 
 const LOCAL_ACCOUNT_STORAGE_KEYS = [
   '@fueliq_gamification',
@@ -119,12 +121,12 @@ const ROTATE_180 = { transform: [{ rotate: '180deg' }] };
 const ROTATE_0 = { transform: [{ rotate: '0deg' }] };
 
 const WEEKLY_GOALS = {
-  lose2: { label: 'Lose 2 lbs/week', adjustment: -1000, icon: TrendingDown },
-  lose1: { label: 'Lose 1 lb/week', adjustment: -500, icon: TrendingDown },
-  lose05: { label: 'Lose 0.5 lbs/week', adjustment: -250, icon: TrendingDown },
-  maintain: { label: 'Maintain weight', adjustment: 0, icon: Minus },
-  gain05: { label: 'Gain 0.5 lbs/week', adjustment: 250, icon: TrendingUp },
-  gain1: { label: 'Gain 1 lb/week', adjustment: 500, icon: TrendingUp },
+  lose2: { labelKey: 'profile.weeklyGoals.lose2', adjustment: -1000, icon: TrendingDown },
+  lose1: { labelKey: 'profile.weeklyGoals.lose1', adjustment: -500, icon: TrendingDown },
+  lose05: { labelKey: 'profile.weeklyGoals.lose05', adjustment: -250, icon: TrendingDown },
+  maintain: { labelKey: 'profile.weeklyGoals.maintain', adjustment: 0, icon: Minus },
+  gain05: { labelKey: 'profile.weeklyGoals.gain05', adjustment: 250, icon: TrendingUp },
+  gain1: { labelKey: 'profile.weeklyGoals.gain1', adjustment: 500, icon: TrendingUp },
 };
 
 const FormInput = memo(function FormInput({ icon: Icon, iconColor, label, value, onChangeText, placeholder, keyboardType = 'default', suffix }) {
@@ -152,20 +154,21 @@ const FormInput = memo(function FormInput({ icon: Icon, iconColor, label, value,
 });
 
 const GenderSelector = memo(function GenderSelector({ value, onChange }) {
+  const { t } = useTranslation();
   return (
     <View style={styles.inputContainer}>
       <View style={[styles.inputIcon, { backgroundColor: Colors.accent + '20' }]}>
         <Users size={18} color={Colors.accent} />
       </View>
       <View style={styles.inputContent}>
-        <Text style={styles.inputLabel}>Gender</Text>
+        <Text style={styles.inputLabel}>{t('profile.gender')}</Text>
         <View style={styles.genderButtons}>
           <Pressable
             style={[styles.genderButton, value === 'male' && styles.genderButtonActive]}
             onPress={() => onChange('male')}
           >
             <Text style={[styles.genderButtonText, value === 'male' && styles.genderButtonTextActive]}>
-              Male
+              {t('profile.male')}
             </Text>
           </Pressable>
           <Pressable
@@ -173,7 +176,7 @@ const GenderSelector = memo(function GenderSelector({ value, onChange }) {
             onPress={() => onChange('female')}
           >
             <Text style={[styles.genderButtonText, value === 'female' && styles.genderButtonTextActive]}>
-              Female
+              {t('profile.female')}
             </Text>
           </Pressable>
         </View>
@@ -183,6 +186,7 @@ const GenderSelector = memo(function GenderSelector({ value, onChange }) {
 });
 
 const ActivitySelector = memo(function ActivitySelector({ value, onChange }) {
+  const { t } = useTranslation();
   const [expanded, setExpanded] = useState(false);
   const currentLevel = ACTIVITY_LEVELS[value];
 
@@ -193,7 +197,7 @@ const ActivitySelector = memo(function ActivitySelector({ value, onChange }) {
           <Activity size={18} color={Colors.warning} />
         </View>
         <View style={styles.selectorContent}>
-          <Text style={styles.inputLabel}>Activity Level</Text>
+          <Text style={styles.inputLabel}>{t('profile.activityLevel')}</Text>
           <Text style={styles.selectorValue}>{currentLevel?.label}</Text>
           <Text style={styles.selectorDescription}>{currentLevel?.description}</Text>
         </View>
@@ -230,6 +234,7 @@ const ActivitySelector = memo(function ActivitySelector({ value, onChange }) {
 });
 
 const WeeklyGoalSelector = memo(function WeeklyGoalSelector({ value, onChange }) {
+  const { t } = useTranslation();
   const [expanded, setExpanded] = useState(false);
   const currentGoal = WEEKLY_GOALS[value];
   const GoalIcon = currentGoal?.icon || Minus;
@@ -241,10 +246,10 @@ const WeeklyGoalSelector = memo(function WeeklyGoalSelector({ value, onChange })
           <Target size={18} color={Colors.primary} />
         </View>
         <View style={styles.selectorContent}>
-          <Text style={styles.inputLabel}>Weekly Goal</Text>
+          <Text style={styles.inputLabel}>{t('profile.weeklyGoal')}</Text>
           <View style={styles.goalValueRow}>
             <GoalIcon size={16} color={Colors.text} />
-            <Text style={styles.selectorValue}>{currentGoal?.label}</Text>
+            <Text style={styles.selectorValue}>{currentGoal ? t(currentGoal.labelKey) : null}</Text>
           </View>
         </View>
         <ChevronDown
@@ -270,7 +275,7 @@ const WeeklyGoalSelector = memo(function WeeklyGoalSelector({ value, onChange })
                   <View style={styles.goalOptionRow}>
                     <Icon size={16} color={value === key ? Colors.primary : Colors.textSecondary} />
                     <Text style={[styles.selectorOptionLabel, value === key && styles.selectorOptionLabelActive]}>
-                      {goal.label}
+                      {t(goal.labelKey)}
                     </Text>
                   </View>
                 </View>
@@ -285,6 +290,7 @@ const WeeklyGoalSelector = memo(function WeeklyGoalSelector({ value, onChange })
 });
 
 const MacroSplitSelector = memo(function MacroSplitSelector({ value, onChange }) {
+  const { t } = useTranslation();
   const [expanded, setExpanded] = useState(false);
   const currentPreset = MACRO_PRESETS[value] || MACRO_PRESETS.balanced;
 
@@ -295,12 +301,12 @@ const MacroSplitSelector = memo(function MacroSplitSelector({ value, onChange })
           <PieChart size={18} color={Colors.protein} />
         </View>
         <View style={styles.selectorContent}>
-          <Text style={styles.inputLabel}>Macro Split</Text>
+          <Text style={styles.inputLabel}>{t('profile.macroSplit')}</Text>
           <Text style={styles.selectorValue}>{currentPreset.label}</Text>
           <Text style={styles.selectorDescription}>
             {currentPreset.isBodyweightBased
-              ? '2g protein/kg, 0.8g fat/kg'
-              : `${currentPreset.protein}% P / ${currentPreset.carbs}% C / ${currentPreset.fat}% F`}
+              ? t('profile.bodyweightSplit')
+              : t('profile.macroSplitValue', { protein: currentPreset.protein, carbs: currentPreset.carbs, fat: currentPreset.fat })}
           </Text>
         </View>
         <ChevronDown
@@ -328,7 +334,7 @@ const MacroSplitSelector = memo(function MacroSplitSelector({ value, onChange })
                   {preset.isBodyweightBased && (
                     <View style={styles.recommendedBadge}>
                       <Sparkles size={10} color={Colors.primary} />
-                      <Text style={styles.recommendedText}>Recommended</Text>
+                      <Text style={styles.recommendedText}>{t('profile.recommended')}</Text>
                     </View>
                   )}
                 </View>
@@ -357,37 +363,39 @@ const MacroSplitSelector = memo(function MacroSplitSelector({ value, onChange })
 });
 
 const BMRCard = memo(function BMRCard({ bmr, tdee, calorieGoal }) {
+  const { t } = useTranslation();
   if (!bmr || !tdee) return null;
 
   return (
     <View style={styles.bmrCard}>
       <View style={styles.bmrHeader}>
         <Flame size={20} color={Colors.warning} />
-        <Text style={styles.bmrTitle}>Your Metabolism</Text>
+        <Text style={styles.bmrTitle}>{t('profile.metabolism')}</Text>
       </View>
       <View style={styles.bmrStats}>
         <View style={styles.bmrStat}>
-          <Text style={styles.bmrValue}>{bmr.toLocaleString()}</Text>
-          <Text style={styles.bmrLabel}>BMR</Text>
-          <Text style={styles.bmrDesc}>Basal Metabolic Rate</Text>
+          <Text style={styles.bmrValue}>{formatNumber(bmr)}</Text>
+          <Text style={styles.bmrLabel}>{t('profile.bmr')}</Text>
+          <Text style={styles.bmrDesc}>{t('profile.bmrDescription')}</Text>
         </View>
         <View style={styles.bmrDivider} />
         <View style={styles.bmrStat}>
-          <Text style={styles.bmrValue}>{tdee.toLocaleString()}</Text>
-          <Text style={styles.bmrLabel}>TDEE</Text>
-          <Text style={styles.bmrDesc}>Daily Energy Expenditure</Text>
+          <Text style={styles.bmrValue}>{formatNumber(tdee)}</Text>
+          <Text style={styles.bmrLabel}>{t('profile.tdee')}</Text>
+          <Text style={styles.bmrDesc}>{t('profile.tdeeDescription')}</Text>
         </View>
       </View>
       <View style={styles.calorieGoalContainer}>
         <Zap size={18} color={Colors.primary} />
-        <Text style={styles.calorieGoalLabel}>Your Daily Calorie Goal</Text>
-        <Text style={styles.calorieGoalValue}>{calorieGoal.toLocaleString()} kcal</Text>
+        <Text style={styles.calorieGoalLabel}>{t('profile.dailyCalorieGoal')}</Text>
+        <Text style={styles.calorieGoalValue}>{formatNumber(calorieGoal)} {t('units.kcal')}</Text>
       </View>
     </View>
   );
 });
 
 const LevelCard = memo(function LevelCard({ levelInfo, totalXP, currentStreak }) {
+  const { t } = useTranslation();
   const progressPercent = Math.round(levelInfo.progress * 100);
 
   return (
@@ -397,7 +405,7 @@ const LevelCard = memo(function LevelCard({ levelInfo, totalXP, currentStreak })
           <Award size={24} color={Colors.gold} />
         </View>
         <View style={styles.levelInfo}>
-          <Text style={styles.levelTitle}>Level {levelInfo.level}</Text>
+          <Text style={styles.levelTitle}>{t('profile.levelNumber', { level: levelInfo.level })}</Text>
           <Text style={styles.levelName}>{levelInfo.name}</Text>
         </View>
         <View style={styles.streakContainer}>
@@ -410,9 +418,9 @@ const LevelCard = memo(function LevelCard({ levelInfo, totalXP, currentStreak })
         <View style={styles.xpHeader}>
           <View style={styles.xpLabelRow}>
             <Sparkles size={14} color={Colors.gold} />
-            <Text style={styles.xpLabel}>Vibe Points</Text>
+            <Text style={styles.xpLabel}>{t('profile.vibePoints')}</Text>
           </View>
-          <Text style={styles.xpValue}>{totalXP.toLocaleString()} XP</Text>
+          <Text style={styles.xpValue}>{formatNumber(totalXP)} {t('gamification.xp')}</Text>
         </View>
         <View style={styles.progressBar}>
           <View style={[styles.progressFill, { width: `${progressPercent}%` }]} />
@@ -420,29 +428,29 @@ const LevelCard = memo(function LevelCard({ levelInfo, totalXP, currentStreak })
         <View style={styles.progressLabels}>
           <Text style={styles.progressLabel}>{progressPercent}%</Text>
           {levelInfo.xpToNext > 0 && (
-            <Text style={styles.progressLabel}>{levelInfo.xpToNext.toLocaleString()} XP to next level</Text>
+            <Text style={styles.progressLabel}>{t('gamification.xpToNextLevel', { count: levelInfo.xpToNext })}</Text>
           )}
         </View>
       </View>
 
       <View style={styles.xpRewardsContainer}>
-        <Text style={styles.xpRewardsTitle}>Earn XP</Text>
+        <Text style={styles.xpRewardsTitle}>{t('profile.earnXP')}</Text>
         <View style={styles.xpRewardsRow}>
           <View style={styles.xpRewardItem}>
             <Text style={styles.xpRewardAmount}>+10</Text>
-            <Text style={styles.xpRewardLabel}>Food</Text>
+            <Text style={styles.xpRewardLabel}>{t('profile.xpFood')}</Text>
           </View>
           <View style={styles.xpRewardItem}>
             <Text style={styles.xpRewardAmount}>+5</Text>
-            <Text style={styles.xpRewardLabel}>Water</Text>
+            <Text style={styles.xpRewardLabel}>{t('health.water')}</Text>
           </View>
           <View style={styles.xpRewardItem}>
             <Text style={styles.xpRewardAmount}>+50</Text>
-            <Text style={styles.xpRewardLabel}>Exercise</Text>
+            <Text style={styles.xpRewardLabel}>{t('profile.xpExercise')}</Text>
           </View>
           <View style={styles.xpRewardItem}>
             <Text style={styles.xpRewardAmount}>+30</Text>
-            <Text style={styles.xpRewardLabel}>Fast</Text>
+            <Text style={styles.xpRewardLabel}>{t('profile.xpFast')}</Text>
           </View>
         </View>
       </View>
@@ -452,39 +460,39 @@ const LevelCard = memo(function LevelCard({ levelInfo, totalXP, currentStreak })
 
 // Data-driven nav items — replaces 30+ inline Pressable blocks
 const NAV_ITEMS = [
-  { key: 'workout-history', title: 'Workout History', subtitle: 'View past workouts and personal records', icon: 'Dumbbell', colors: ['rgba(255, 107, 53, 0.1)', 'rgba(255, 107, 53, 0.05)'], iconColor: null, borderColor: null, route: '/workout-history' },
-  { key: 'progress-photos', title: 'Progress Photos', subtitle: 'Track your transformation over time', icon: 'Camera', colors: ['rgba(0, 212, 255, 0.1)', 'rgba(0, 212, 255, 0.05)'], iconColor: null, borderColor: null, route: '/progress-photos' },
-  { key: 'weight-log', title: 'Weight Tracker', subtitle: 'Log and visualize your weight journey', icon: 'Scale', colors: ['rgba(0, 230, 118, 0.1)', 'rgba(0, 230, 118, 0.05)'], iconColor: 'success', borderColor: null, route: '/weight-log' },
-  { key: 'goal-timeline', title: 'Goal Timeline', subtitle: 'Projections, milestones & completion date', icon: 'Target', colors: ['rgba(0, 230, 118, 0.1)', 'rgba(0, 230, 118, 0.05)'], iconColor: 'success', borderColor: 'rgba(0, 230, 118, 0.3)', route: '/goal-timeline' },
-  { key: 'body-measurements', title: 'Body Measurements', subtitle: 'Track chest, waist, hips and more', icon: 'Ruler', colors: ['rgba(0, 212, 255, 0.1)', 'rgba(0, 212, 255, 0.05)'], iconColor: null, borderColor: null, route: '/body-measurements' },
-  { key: 'sleep-tracker', title: 'Sleep Tracker', subtitle: 'Log and analyze your sleep patterns', icon: 'Moon', colors: ['rgba(138, 43, 226, 0.1)', 'rgba(138, 43, 226, 0.05)'], iconColor: '#A78BFA', borderColor: 'rgba(167, 139, 250, 0.3)', route: '/sleep-tracker' },
-  { key: 'supplements', title: 'Supplements', subtitle: 'Track vitamins and supplement intake', icon: 'Pill', colors: ['rgba(20, 184, 166, 0.1)', 'rgba(20, 184, 166, 0.05)'], iconColor: '#14B8A6', borderColor: 'rgba(20, 184, 166, 0.3)', route: '/supplements' },
-  { key: 'glp1-support', title: 'GLP-1 Support', subtitle: 'Ozempic, Wegovy, Mounjaro tracking & nutrition', icon: 'Syringe', colors: ['rgba(0, 212, 255, 0.1)', 'rgba(0, 212, 255, 0.05)'], iconColor: '#00D4FF', borderColor: 'rgba(0, 212, 255, 0.3)', route: '/glp1-support' },
-  { key: 'workout-templates', title: 'Workout Templates', subtitle: 'Save and reuse your favorite workouts', icon: 'Bookmark', colors: ['rgba(255, 107, 53, 0.1)', 'rgba(255, 107, 53, 0.05)'], iconColor: 'secondary', borderColor: 'rgba(255, 107, 53, 0.3)', route: '/workout-templates' },
-  { key: 'exercise-library', title: 'Exercise Library', subtitle: 'Browse 140+ exercises with form tips', icon: 'BookOpen', colors: ['rgba(0, 212, 255, 0.1)', 'rgba(0, 212, 255, 0.05)'], iconColor: null, borderColor: 'rgba(0, 212, 255, 0.3)', route: '/exercise-library' },
-  { key: 'breathing', title: 'Breathing & Meditation', subtitle: 'Guided breathing exercises for wellness', icon: 'Wind', colors: ['rgba(100, 149, 237, 0.1)', 'rgba(100, 149, 237, 0.05)'], iconColor: '#6495ED', borderColor: 'rgba(100, 149, 237, 0.3)', route: '/breathing' },
-  { key: 'fasting-analytics', title: 'Fasting Insights', subtitle: 'Analytics and zones for your fasts', icon: 'Timer', colors: ['rgba(0, 230, 118, 0.1)', 'rgba(0, 230, 118, 0.05)'], iconColor: 'success', borderColor: 'rgba(0, 230, 118, 0.3)', route: '/fasting-analytics' },
-  { key: 'nutrition-insights', title: 'Nutrition Insights', subtitle: 'Daily score, meal timing and tips', icon: 'Award', colors: ['rgba(255, 215, 0, 0.1)', 'rgba(255, 215, 0, 0.05)'], iconColor: 'gold', borderColor: 'rgba(255, 215, 0, 0.3)', route: '/nutrition-insights' },
-  { key: 'habits', title: 'Habit Tracker', subtitle: 'Build and track daily habits', icon: 'ListChecks', colors: ['rgba(0, 212, 255, 0.1)', 'rgba(0, 212, 255, 0.05)'], iconColor: null, borderColor: 'rgba(0, 212, 255, 0.3)', route: '/habits' },
-  { key: 'recovery', title: 'Recovery Tracker', subtitle: 'Track readiness, soreness and recovery', icon: 'HeartPulse', colors: ['rgba(255, 82, 82, 0.1)', 'rgba(255, 107, 53, 0.05)'], iconColor: 'error', borderColor: 'rgba(255, 82, 82, 0.3)', route: '/recovery' },
-  { key: 'activity-calendar', title: 'Activity Calendar', subtitle: 'GitHub-style heatmap of your daily activity', icon: 'Calendar', colors: ['rgba(0, 212, 255, 0.12)', 'rgba(0, 212, 255, 0.04)'], iconColor: null, borderColor: 'rgba(0, 212, 255, 0.3)', route: '/activity-calendar' },
-  { key: 'allergens', title: 'Allergens & Sensitivities', subtitle: 'Track food allergens and reactions', icon: 'ShieldAlert', colors: ['rgba(255, 82, 82, 0.1)', 'rgba(255, 107, 157, 0.05)'], iconColor: '#FF6B9D', borderColor: 'rgba(255, 107, 157, 0.3)', route: '/allergens' },
-  { key: 'workout-programs', title: 'Workout Programs', subtitle: 'Structured training plans and programs', icon: 'Dumbbell', colors: ['rgba(0, 212, 255, 0.1)', 'rgba(0, 212, 255, 0.05)'], iconColor: null, borderColor: 'rgba(0, 212, 255, 0.3)', route: '/workout-programs' },
-  { key: 'mood-insights', title: 'Mood Insights', subtitle: 'Track and analyze your mood patterns', icon: 'Brain', colors: ['rgba(191, 90, 242, 0.1)', 'rgba(191, 90, 242, 0.05)'], iconColor: '#BF5AF2', borderColor: 'rgba(191, 90, 242, 0.3)', route: '/mood-insights' },
-  { key: 'food-journal', title: 'Food Journal', subtitle: 'Log meals and track your daily nutrition', icon: 'BookOpen', colors: ['rgba(255, 179, 0, 0.1)', 'rgba(255, 179, 0, 0.05)'], iconColor: 'warning', borderColor: 'rgba(255, 179, 0, 0.3)', route: '/food-journal' },
-  { key: 'meal-timing', title: 'Meal Timing', subtitle: 'Optimize when you eat for better results', icon: 'Timer', colors: ['rgba(0, 212, 255, 0.1)', 'rgba(0, 212, 255, 0.05)'], iconColor: null, borderColor: 'rgba(0, 212, 255, 0.3)', route: '/meal-timing' },
-  { key: 'food-compare', title: 'Food Compare', subtitle: 'Compare nutritional values side by side', icon: 'Scale', colors: ['rgba(0, 230, 118, 0.1)', 'rgba(0, 230, 118, 0.05)'], iconColor: 'success', borderColor: 'rgba(0, 230, 118, 0.3)', route: '/food-compare' },
-  { key: 'fitness-score', title: 'Fitness Score', subtitle: 'Your overall fitness health score', icon: 'HeartPulse', colors: ['rgba(255, 82, 82, 0.1)', 'rgba(255, 82, 82, 0.05)'], iconColor: '#FF5252', borderColor: 'rgba(255, 82, 82, 0.3)', route: '/fitness-score' },
-  { key: 'social-feed', title: 'Community Feed', subtitle: 'Share achievements and celebrate wins', icon: 'Trophy', colors: ['rgba(0, 212, 255, 0.1)', 'rgba(0, 212, 255, 0.05)'], iconColor: null, borderColor: 'rgba(0, 212, 255, 0.3)', route: '/social-feed' },
-  { key: 'community-challenges', title: 'Community Challenges', subtitle: 'Join challenges and compete with friends', icon: 'Award', colors: ['rgba(255, 179, 0, 0.1)', 'rgba(255, 179, 0, 0.05)'], iconColor: 'warning', borderColor: 'rgba(255, 179, 0, 0.3)', route: '/community-challenges' },
-  { key: 'friends', title: 'Friends', subtitle: 'Connect and compete with friends', icon: 'Users', colors: ['rgba(0, 230, 118, 0.1)', 'rgba(0, 230, 118, 0.05)'], iconColor: 'success', borderColor: 'rgba(0, 230, 118, 0.3)', route: '/friends' },
-  { key: 'journal', title: 'Wellness Journal', subtitle: 'Daily reflection and mood tracking', icon: 'BookOpen', colors: ['rgba(167, 139, 250, 0.1)', 'rgba(167, 139, 250, 0.05)'], iconColor: '#A78BFA', borderColor: 'rgba(167, 139, 250, 0.3)', route: '/journal' },
-  { key: 'biometric-dashboard', title: 'Biometric Dashboard', subtitle: 'Heart rate, VO2 max & health metrics', icon: 'HeartPulse', colors: ['rgba(255, 82, 82, 0.1)', 'rgba(255, 82, 82, 0.05)'], iconColor: '#FF5252', borderColor: 'rgba(255, 82, 82, 0.3)', route: '/biometric-dashboard' },
-  { key: 'ai-coaching', title: 'AI Coach', subtitle: 'Training plans, deload & injury prevention', icon: 'Brain', colors: ['rgba(0, 212, 255, 0.1)', 'rgba(0, 212, 255, 0.05)'], iconColor: null, borderColor: 'rgba(0, 212, 255, 0.3)', route: '/ai-coaching' },
-  { key: 'calorie-cycling', title: 'Calorie Cycling', subtitle: 'Strategic calorie variation for results', icon: 'Flame', colors: ['rgba(255, 179, 0, 0.1)', 'rgba(255, 179, 0, 0.05)'], iconColor: 'warning', borderColor: 'rgba(255, 179, 0, 0.3)', route: '/calorie-cycling' },
-  { key: 'wearable-connections', title: 'Connected Devices', subtitle: 'Fitbit, Garmin, WHOOP & Withings sync', icon: 'Watch', colors: ['rgba(0, 212, 255, 0.1)', 'rgba(0, 212, 255, 0.05)'], iconColor: null, borderColor: 'rgba(0, 212, 255, 0.3)', route: '/wearable-connections' },
-  { key: 'groups', title: 'Groups & Forums', subtitle: 'Join communities and discussion groups', icon: 'MessageSquare', colors: ['rgba(0, 230, 118, 0.1)', 'rgba(0, 230, 118, 0.05)'], iconColor: 'success', borderColor: 'rgba(0, 230, 118, 0.3)', route: '/groups' },
-  { key: 'recipe-discovery', title: 'Recipe Discovery', subtitle: 'Browse 60+ curated healthy recipes', icon: 'ChefHat', colors: ['rgba(255, 179, 0, 0.1)', 'rgba(255, 179, 0, 0.05)'], iconColor: 'warning', borderColor: 'rgba(255, 179, 0, 0.3)', route: '/recipe-discovery' },
+  { key: 'workout-history', titleKey: 'profile.nav.workoutHistory.title', subtitleKey: 'profile.nav.workoutHistory.subtitle', icon: 'Dumbbell', colors: ['rgba(255, 107, 53, 0.1)', 'rgba(255, 107, 53, 0.05)'], iconColor: null, borderColor: null, route: '/workout-history' },
+  { key: 'progress-photos', titleKey: 'profile.nav.progressPhotos.title', subtitleKey: 'profile.nav.progressPhotos.subtitle', icon: 'Camera', colors: ['rgba(0, 212, 255, 0.1)', 'rgba(0, 212, 255, 0.05)'], iconColor: null, borderColor: null, route: '/progress-photos' },
+  { key: 'weight-log', titleKey: 'profile.nav.weightLog.title', subtitleKey: 'profile.nav.weightLog.subtitle', icon: 'Scale', colors: ['rgba(0, 230, 118, 0.1)', 'rgba(0, 230, 118, 0.05)'], iconColor: 'success', borderColor: null, route: '/weight-log' },
+  { key: 'goal-timeline', titleKey: 'profile.nav.goalTimeline.title', subtitleKey: 'profile.nav.goalTimeline.subtitle', icon: 'Target', colors: ['rgba(0, 230, 118, 0.1)', 'rgba(0, 230, 118, 0.05)'], iconColor: 'success', borderColor: 'rgba(0, 230, 118, 0.3)', route: '/goal-timeline' },
+  { key: 'body-measurements', titleKey: 'profile.nav.bodyMeasurements.title', subtitleKey: 'profile.nav.bodyMeasurements.subtitle', icon: 'Ruler', colors: ['rgba(0, 212, 255, 0.1)', 'rgba(0, 212, 255, 0.05)'], iconColor: null, borderColor: null, route: '/body-measurements' },
+  { key: 'sleep-tracker', titleKey: 'profile.nav.sleepTracker.title', subtitleKey: 'profile.nav.sleepTracker.subtitle', icon: 'Moon', colors: ['rgba(138, 43, 226, 0.1)', 'rgba(138, 43, 226, 0.05)'], iconColor: '#A78BFA', borderColor: 'rgba(167, 139, 250, 0.3)', route: '/sleep-tracker' },
+  { key: 'supplements', titleKey: 'profile.nav.supplements.title', subtitleKey: 'profile.nav.supplements.subtitle', icon: 'Pill', colors: ['rgba(20, 184, 166, 0.1)', 'rgba(20, 184, 166, 0.05)'], iconColor: '#14B8A6', borderColor: 'rgba(20, 184, 166, 0.3)', route: '/supplements' },
+  { key: 'glp1-support', titleKey: 'profile.nav.glp1Support.title', subtitleKey: 'profile.nav.glp1Support.subtitle', icon: 'Syringe', colors: ['rgba(0, 212, 255, 0.1)', 'rgba(0, 212, 255, 0.05)'], iconColor: '#00D4FF', borderColor: 'rgba(0, 212, 255, 0.3)', route: '/glp1-support' },
+  { key: 'workout-templates', titleKey: 'profile.nav.workoutTemplates.title', subtitleKey: 'profile.nav.workoutTemplates.subtitle', icon: 'Bookmark', colors: ['rgba(255, 107, 53, 0.1)', 'rgba(255, 107, 53, 0.05)'], iconColor: 'secondary', borderColor: 'rgba(255, 107, 53, 0.3)', route: '/workout-templates' },
+  { key: 'exercise-library', titleKey: 'profile.nav.exerciseLibrary.title', subtitleKey: 'profile.nav.exerciseLibrary.subtitle', icon: 'BookOpen', colors: ['rgba(0, 212, 255, 0.1)', 'rgba(0, 212, 255, 0.05)'], iconColor: null, borderColor: 'rgba(0, 212, 255, 0.3)', route: '/exercise-library' },
+  { key: 'breathing', titleKey: 'profile.nav.breathing.title', subtitleKey: 'profile.nav.breathing.subtitle', icon: 'Wind', colors: ['rgba(100, 149, 237, 0.1)', 'rgba(100, 149, 237, 0.05)'], iconColor: '#6495ED', borderColor: 'rgba(100, 149, 237, 0.3)', route: '/breathing' },
+  { key: 'fasting-analytics', titleKey: 'profile.nav.fastingAnalytics.title', subtitleKey: 'profile.nav.fastingAnalytics.subtitle', icon: 'Timer', colors: ['rgba(0, 230, 118, 0.1)', 'rgba(0, 230, 118, 0.05)'], iconColor: 'success', borderColor: 'rgba(0, 230, 118, 0.3)', route: '/fasting-analytics' },
+  { key: 'nutrition-insights', titleKey: 'profile.nav.nutritionInsights.title', subtitleKey: 'profile.nav.nutritionInsights.subtitle', icon: 'Award', colors: ['rgba(255, 215, 0, 0.1)', 'rgba(255, 215, 0, 0.05)'], iconColor: 'gold', borderColor: 'rgba(255, 215, 0, 0.3)', route: '/nutrition-insights' },
+  { key: 'habits', titleKey: 'profile.nav.habits.title', subtitleKey: 'profile.nav.habits.subtitle', icon: 'ListChecks', colors: ['rgba(0, 212, 255, 0.1)', 'rgba(0, 212, 255, 0.05)'], iconColor: null, borderColor: 'rgba(0, 212, 255, 0.3)', route: '/habits' },
+  { key: 'recovery', titleKey: 'profile.nav.recovery.title', subtitleKey: 'profile.nav.recovery.subtitle', icon: 'HeartPulse', colors: ['rgba(255, 82, 82, 0.1)', 'rgba(255, 107, 53, 0.05)'], iconColor: 'error', borderColor: 'rgba(255, 82, 82, 0.3)', route: '/recovery' },
+  { key: 'activity-calendar', titleKey: 'profile.nav.activityCalendar.title', subtitleKey: 'profile.nav.activityCalendar.subtitle', icon: 'Calendar', colors: ['rgba(0, 212, 255, 0.12)', 'rgba(0, 212, 255, 0.04)'], iconColor: null, borderColor: 'rgba(0, 212, 255, 0.3)', route: '/activity-calendar' },
+  { key: 'allergens', titleKey: 'profile.nav.allergens.title', subtitleKey: 'profile.nav.allergens.subtitle', icon: 'ShieldAlert', colors: ['rgba(255, 82, 82, 0.1)', 'rgba(255, 107, 157, 0.05)'], iconColor: '#FF6B9D', borderColor: 'rgba(255, 107, 157, 0.3)', route: '/allergens' },
+  { key: 'workout-programs', titleKey: 'profile.nav.workoutPrograms.title', subtitleKey: 'profile.nav.workoutPrograms.subtitle', icon: 'Dumbbell', colors: ['rgba(0, 212, 255, 0.1)', 'rgba(0, 212, 255, 0.05)'], iconColor: null, borderColor: 'rgba(0, 212, 255, 0.3)', route: '/workout-programs' },
+  { key: 'mood-insights', titleKey: 'profile.nav.moodInsights.title', subtitleKey: 'profile.nav.moodInsights.subtitle', icon: 'Brain', colors: ['rgba(191, 90, 242, 0.1)', 'rgba(191, 90, 242, 0.05)'], iconColor: '#BF5AF2', borderColor: 'rgba(191, 90, 242, 0.3)', route: '/mood-insights' },
+  { key: 'food-journal', titleKey: 'profile.nav.foodJournal.title', subtitleKey: 'profile.nav.foodJournal.subtitle', icon: 'BookOpen', colors: ['rgba(255, 179, 0, 0.1)', 'rgba(255, 179, 0, 0.05)'], iconColor: 'warning', borderColor: 'rgba(255, 179, 0, 0.3)', route: '/food-journal' },
+  { key: 'meal-timing', titleKey: 'profile.nav.mealTiming.title', subtitleKey: 'profile.nav.mealTiming.subtitle', icon: 'Timer', colors: ['rgba(0, 212, 255, 0.1)', 'rgba(0, 212, 255, 0.05)'], iconColor: null, borderColor: 'rgba(0, 212, 255, 0.3)', route: '/meal-timing' },
+  { key: 'food-compare', titleKey: 'profile.nav.foodCompare.title', subtitleKey: 'profile.nav.foodCompare.subtitle', icon: 'Scale', colors: ['rgba(0, 230, 118, 0.1)', 'rgba(0, 230, 118, 0.05)'], iconColor: 'success', borderColor: 'rgba(0, 230, 118, 0.3)', route: '/food-compare' },
+  { key: 'fitness-score', titleKey: 'profile.nav.fitnessScore.title', subtitleKey: 'profile.nav.fitnessScore.subtitle', icon: 'HeartPulse', colors: ['rgba(255, 82, 82, 0.1)', 'rgba(255, 82, 82, 0.05)'], iconColor: '#FF5252', borderColor: 'rgba(255, 82, 82, 0.3)', route: '/fitness-score' },
+  { key: 'social-feed', titleKey: 'profile.nav.socialFeed.title', subtitleKey: 'profile.nav.socialFeed.subtitle', icon: 'Trophy', colors: ['rgba(0, 212, 255, 0.1)', 'rgba(0, 212, 255, 0.05)'], iconColor: null, borderColor: 'rgba(0, 212, 255, 0.3)', route: '/social-feed' },
+  { key: 'community-challenges', titleKey: 'profile.nav.communityChallenges.title', subtitleKey: 'profile.nav.communityChallenges.subtitle', icon: 'Award', colors: ['rgba(255, 179, 0, 0.1)', 'rgba(255, 179, 0, 0.05)'], iconColor: 'warning', borderColor: 'rgba(255, 179, 0, 0.3)', route: '/community-challenges' },
+  { key: 'friends', titleKey: 'profile.nav.friends.title', subtitleKey: 'profile.nav.friends.subtitle', icon: 'Users', colors: ['rgba(0, 230, 118, 0.1)', 'rgba(0, 230, 118, 0.05)'], iconColor: 'success', borderColor: 'rgba(0, 230, 118, 0.3)', route: '/friends' },
+  { key: 'journal', titleKey: 'profile.nav.journal.title', subtitleKey: 'profile.nav.journal.subtitle', icon: 'BookOpen', colors: ['rgba(167, 139, 250, 0.1)', 'rgba(167, 139, 250, 0.05)'], iconColor: '#A78BFA', borderColor: 'rgba(167, 139, 250, 0.3)', route: '/journal' },
+  { key: 'biometric-dashboard', titleKey: 'profile.nav.biometricDashboard.title', subtitleKey: 'profile.nav.biometricDashboard.subtitle', icon: 'HeartPulse', colors: ['rgba(255, 82, 82, 0.1)', 'rgba(255, 82, 82, 0.05)'], iconColor: '#FF5252', borderColor: 'rgba(255, 82, 82, 0.3)', route: '/biometric-dashboard' },
+  { key: 'ai-coaching', titleKey: 'profile.nav.aiCoaching.title', subtitleKey: 'profile.nav.aiCoaching.subtitle', icon: 'Brain', colors: ['rgba(0, 212, 255, 0.1)', 'rgba(0, 212, 255, 0.05)'], iconColor: null, borderColor: 'rgba(0, 212, 255, 0.3)', route: '/ai-coaching' },
+  { key: 'calorie-cycling', titleKey: 'profile.nav.calorieCycling.title', subtitleKey: 'profile.nav.calorieCycling.subtitle', icon: 'Flame', colors: ['rgba(255, 179, 0, 0.1)', 'rgba(255, 179, 0, 0.05)'], iconColor: 'warning', borderColor: 'rgba(255, 179, 0, 0.3)', route: '/calorie-cycling' },
+  { key: 'wearable-connections', titleKey: 'profile.nav.wearableConnections.title', subtitleKey: 'profile.nav.wearableConnections.subtitle', icon: 'Watch', colors: ['rgba(0, 212, 255, 0.1)', 'rgba(0, 212, 255, 0.05)'], iconColor: null, borderColor: 'rgba(0, 212, 255, 0.3)', route: '/wearable-connections' },
+  { key: 'groups', titleKey: 'profile.nav.groups.title', subtitleKey: 'profile.nav.groups.subtitle', icon: 'MessageSquare', colors: ['rgba(0, 230, 118, 0.1)', 'rgba(0, 230, 118, 0.05)'], iconColor: 'success', borderColor: 'rgba(0, 230, 118, 0.3)', route: '/groups' },
+  { key: 'recipe-discovery', titleKey: 'profile.nav.recipeDiscovery.title', subtitleKey: 'profile.nav.recipeDiscovery.subtitle', icon: 'ChefHat', colors: ['rgba(255, 179, 0, 0.1)', 'rgba(255, 179, 0, 0.05)'], iconColor: 'warning', borderColor: 'rgba(255, 179, 0, 0.3)', route: '/recipe-discovery' },
 ];
 
 const ICON_MAP = {
@@ -494,6 +502,7 @@ const ICON_MAP = {
 };
 
 const NavButton = memo(function NavButton({ item, onNavigate }) {
+  const { t } = useTranslation();
   const IconComponent = ICON_MAP[item.icon] || Activity;
   const resolvedColor = item.iconColor
     ? (Colors[item.iconColor] || item.iconColor)
@@ -507,8 +516,8 @@ const NavButton = memo(function NavButton({ item, onNavigate }) {
       <LinearGradient colors={item.colors} style={styles.editLayoutGradient}>
         <IconComponent size={20} color={resolvedColor} />
         <View style={styles.editLayoutContent}>
-          <Text style={styles.editLayoutTitle}>{item.title}</Text>
-          <Text style={styles.editLayoutSubtitle}>{item.subtitle}</Text>
+          <Text style={styles.editLayoutTitle}>{t(item.titleKey)}</Text>
+          <Text style={styles.editLayoutSubtitle}>{t(item.subtitleKey)}</Text>
         </View>
         <ChevronDown size={18} color={Colors.textSecondary} style={ROTATE_MINUS_90} />
       </LinearGradient>
@@ -518,6 +527,7 @@ const NavButton = memo(function NavButton({ item, onNavigate }) {
 
 // Edit Layout Modal Component
 const EditLayoutModal = memo(function EditLayoutModal({ visible, onClose }) {
+  const { t } = useTranslation();
   const insets = useSafeAreaInsets();
   const { getAllCards, toggleCardVisibility, resetLayout } = useDashboardLayout();
   const slideAnim = useRef(new Animated.Value(0)).current;
@@ -583,7 +593,7 @@ const EditLayoutModal = memo(function EditLayoutModal({ visible, onClose }) {
             <View style={styles.layoutModalHeader}>
               <View style={styles.layoutModalTitleRow}>
                 <LayoutGrid size={22} color={Colors.primary} />
-                <Text style={styles.layoutModalTitle}>Dashboard Layout</Text>
+                <Text style={styles.layoutModalTitle}>{t('profile.dashboardLayout')}</Text>
               </View>
               <Pressable onPress={handleClose} style={styles.modalCloseButton}>
                 <X size={22} color={Colors.textSecondary} />
@@ -591,7 +601,7 @@ const EditLayoutModal = memo(function EditLayoutModal({ visible, onClose }) {
             </View>
 
             <Text style={styles.layoutModalSubtitle}>
-              Toggle which cards appear on your dashboard
+              {t('profile.dashboardLayoutHint')}
             </Text>
 
             {/* Card List */}
@@ -627,7 +637,7 @@ const EditLayoutModal = memo(function EditLayoutModal({ visible, onClose }) {
             {/* Reset Button */}
             <Pressable style={styles.resetLayoutButton} onPress={handleReset}>
               <RotateCcw size={18} color={Colors.textSecondary} />
-              <Text style={styles.resetLayoutText}>Reset to Default</Text>
+              <Text style={styles.resetLayoutText}>{t('profile.resetLayout')}</Text>
             </Pressable>
           </LinearGradient>
         </Animated.View>
@@ -637,6 +647,7 @@ const EditLayoutModal = memo(function EditLayoutModal({ visible, onClose }) {
 });
 
 function ProfileScreenInner() {
+  const { t } = useTranslation();
   const {
     profile,
     isLoading,
@@ -712,12 +723,12 @@ function ProfileScreenInner() {
       setHasChanges(false);
       if (result.targetAction === 'pending') {
         Alert.alert(
-          'Targets Ready to Review',
-          'Your current daily targets are still live. Review the suggested targets below and apply them only if you want to switch.'
+          t('profile.targetsReadyTitle'),
+          t('profile.targetsReadyMessage')
         );
       }
     } catch (error) {
-      Alert.alert('Save Failed', 'Could not save your profile. Please try again.');
+      Alert.alert(t('profile.saveFailedTitle'), t('profile.saveFailedMessage'));
     } finally {
       setIsSaving(false);
     }
@@ -738,20 +749,15 @@ function ProfileScreenInner() {
     await hapticHeavy();
 
     Alert.alert(
-      'Delete Account',
-      'This will permanently delete your account and all associated data including:\n\n' +
-      '- Profile information\n' +
-      '- Food logs\n' +
-      '- Workout history\n' +
-      '- Progress data\n\n' +
-      'This action cannot be undone.',
+      t('settings.deleteAccount'),
+      t('profile.deleteAccountMessage'),
       [
         {
-          text: 'Cancel',
+          text: t('common.cancel'),
           style: 'cancel',
         },
         {
-          text: 'Delete Forever',
+          text: t('profile.deleteForever'),
           style: 'destructive',
           onPress: confirmDeleteAccount,
         },
@@ -769,9 +775,9 @@ function ProfileScreenInner() {
       if (error) {
         if (__DEV__) console.error('Error deleting account:', error.message);
         Alert.alert(
-          'Error',
-          'Failed to delete account. Please try again or contact support.',
-          [{ text: 'OK' }]
+          t('common.errorTitle'),
+          t('profile.deleteFailed'),
+          [{ text: t('common.ok') }]
         );
         return;
       }
@@ -782,17 +788,17 @@ function ProfileScreenInner() {
       await signOut();
 
       Alert.alert(
-        'Account Deleted',
-        'Your account and all data have been permanently deleted.',
-        [{ text: 'OK' }]
+        t('profile.accountDeletedTitle'),
+        t('profile.accountDeletedMessage'),
+        [{ text: t('common.ok') }]
       );
 
     } catch (error) {
       if (__DEV__) console.error('Account deletion error:', error.message);
       Alert.alert(
-        'Error',
-        'Failed to delete account. Please try again or contact support.',
-        [{ text: 'OK' }]
+        t('common.errorTitle'),
+        t('profile.deleteFailed'),
+        [{ text: t('common.ok') }]
       );
     } finally {
       setIsDeleting(false);
@@ -822,11 +828,11 @@ function ProfileScreenInner() {
           {/* Header */}
           <ReAnimated.View entering={FadeInDown.delay(0).springify().mass(0.5).damping(10)} style={styles.header}>
             <View style={styles.headerLeft}>
-              <Text style={styles.title}>Profile</Text>
+              <Text style={styles.title}>{t('profile.title')}</Text>
               {isProfileComplete && (
                 <View style={styles.completeBadge}>
                   <Check size={14} color={Colors.primary} />
-                  <Text style={styles.completeBadgeText}>Complete</Text>
+                  <Text style={styles.completeBadgeText}>{t('profile.complete')}</Text>
                 </View>
               )}
             </View>
@@ -845,9 +851,9 @@ function ProfileScreenInner() {
                 {name ? name.split(' ').map((n) => n[0]).join('').toUpperCase().slice(0, 2) : 'VF'}
               </Text>
             </View>
-            <Text style={styles.avatarName}>{name || 'FuelIQ User'}</Text>
+            <Text style={styles.avatarName}>{name || t('profile.defaultName')}</Text>
             <Text style={styles.avatarSubtitle}>
-              {isProfileComplete ? 'Profile configured' : 'Complete your profile below'}
+              {isProfileComplete ? t('profile.configured') : t('profile.completeBelow')}
             </Text>
           </ReAnimated.View>
 
@@ -871,15 +877,15 @@ function ProfileScreenInner() {
                 </View>
                 <View style={styles.achievementsContent}>
                   <View style={styles.achievementsTitleRow}>
-                    <Text style={styles.achievementsTitle}>Achievements</Text>
+                    <Text style={styles.achievementsTitle}>{t('gamification.achievements')}</Text>
                     {newUnlocked > 0 && (
                       <View style={styles.achievementsNewBadge}>
-                        <Text style={styles.achievementsNewBadgeText}>{newUnlocked} NEW</Text>
+                        <Text style={styles.achievementsNewBadgeText}>{t('profile.newBadge', { count: newUnlocked })}</Text>
                       </View>
                     )}
                   </View>
                   <Text style={styles.achievementsSubtitle}>
-                    {unlockedCount} of {totalCount} unlocked
+                    {t('profile.unlockedOf', { unlocked: unlockedCount, total: totalCount })}
                   </Text>
                 </View>
                 <View style={styles.achievementsCountBadge}>
@@ -904,9 +910,9 @@ function ProfileScreenInner() {
                   <Trophy size={22} color="#FFD700" />
                 </View>
                 <View style={styles.achievementsContent}>
-                  <Text style={styles.achievementsTitle}>Leaderboard</Text>
+                  <Text style={styles.achievementsTitle}>{t('gamification.leaderboard')}</Text>
                   <Text style={styles.achievementsSubtitle}>
-                    Compete and climb the ranks
+                    {t('profile.leaderboardHint')}
                   </Text>
                 </View>
                 <ChevronDown size={18} color={Colors.textSecondary} style={ROTATE_MINUS_90} />
@@ -933,8 +939,8 @@ function ProfileScreenInner() {
               >
                 <PieChart size={20} color={Colors.primary} />
                 <View style={styles.editLayoutContent}>
-                  <Text style={styles.editLayoutTitle}>Body Composition</Text>
-                  <Text style={styles.editLayoutSubtitle}>BMI, body fat, lean mass & more</Text>
+                  <Text style={styles.editLayoutTitle}>{t('health.bodyComposition')}</Text>
+                  <Text style={styles.editLayoutSubtitle}>{t('profile.bodyCompositionHint')}</Text>
                 </View>
                 <ChevronDown size={18} color={Colors.textSecondary} style={ROTATE_MINUS_90} />
               </LinearGradient>
@@ -943,26 +949,26 @@ function ProfileScreenInner() {
 
           {/* Personal Info Section */}
           <ReAnimated.View entering={FadeInDown.delay(320).springify().mass(0.5).damping(10)}>
-          <Text style={styles.sectionTitle}>Personal Info</Text>
+          <Text style={styles.sectionTitle}>{t('profile.personalInfo')}</Text>
           <View style={styles.formCard}>
             <FormInput
               icon={User}
               iconColor={Colors.primary}
-              label="Name"
+              label={t('profile.name')}
               value={name}
               onChangeText={setName}
-              placeholder="Enter your name"
+              placeholder={t('profile.namePlaceholder')}
             />
             <View style={styles.inputDivider} />
             <FormInput
               icon={Calendar}
               iconColor={Colors.accentPurple}
-              label="Age"
+              label={t('profile.age')}
               value={age}
               onChangeText={setAge}
-              placeholder="Enter your age"
+              placeholder={t('profile.agePlaceholder')}
               keyboardType="numeric"
-              suffix="years"
+              suffix={t('profile.ageSuffix')}
             />
             <View style={styles.inputDivider} />
             <GenderSelector value={gender} onChange={setGender} />
@@ -971,35 +977,35 @@ function ProfileScreenInner() {
 
           {/* Body Metrics Section */}
           <ReAnimated.View entering={FadeInDown.delay(400).springify().mass(0.5).damping(10)}>
-          <Text style={styles.sectionTitle}>Body Metrics</Text>
+          <Text style={styles.sectionTitle}>{t('profile.bodyMetrics')}</Text>
           <View style={styles.formCard}>
             <FormInput
               icon={Scale}
               iconColor={Colors.accent}
-              label="Current Weight"
+              label={t('profile.currentWeight')}
               value={weight}
               onChangeText={setWeight}
-              placeholder="Enter weight"
+              placeholder={t('profile.weightPlaceholder')}
               keyboardType="decimal-pad"
-              suffix="lbs"
+              suffix={t('units.lbs')}
             />
             <View style={styles.inputDivider} />
             <FormInput
               icon={Ruler}
               iconColor={Colors.carbs}
-              label="Height"
+              label={t('profile.height')}
               value={height}
               onChangeText={setHeight}
-              placeholder="Enter height"
+              placeholder={t('profile.heightPlaceholder')}
               keyboardType="decimal-pad"
-              suffix="inches"
+              suffix={t('profile.heightSuffix')}
             />
           </View>
           </ReAnimated.View>
 
           {/* Activity & Goals Section */}
           <ReAnimated.View entering={FadeInDown.delay(480).springify().mass(0.5).damping(10)}>
-          <Text style={styles.sectionTitle}>Activity & Goals</Text>
+          <Text style={styles.sectionTitle}>{t('profile.activityAndGoals')}</Text>
           <View style={styles.formCard}>
             <ActivitySelector value={activityLevel} onChange={setActivityLevel} />
             <View style={styles.inputDivider} />
@@ -1007,7 +1013,7 @@ function ProfileScreenInner() {
           </View>
 
           {/* Macro Goals Section */}
-          <Text style={styles.sectionTitle}>Macro Goals</Text>
+          <Text style={styles.sectionTitle}>{t('profile.macroGoals')}</Text>
           <View style={styles.formCard}>
             <MacroSplitSelector value={macroPreset} onChange={setMacroPreset} />
           </View>
@@ -1016,27 +1022,27 @@ function ProfileScreenInner() {
           {pendingTargets && (
             <ReAnimated.View entering={FadeInDown.delay(520).springify().mass(0.5).damping(10)}>
               <View style={styles.pendingTargetsCard}>
-                <Text style={styles.pendingTargetsEyebrow}>Review Before Applying</Text>
-                <Text style={styles.pendingTargetsTitle}>New targets are ready</Text>
+                <Text style={styles.pendingTargetsEyebrow}>{t('profile.reviewBeforeApplying')}</Text>
+                <Text style={styles.pendingTargetsTitle}>{t('profile.newTargetsReady')}</Text>
                 <Text style={styles.pendingTargetsBody}>
-                  Profile changes saved. Your live targets stay unchanged until you confirm this update.
+                  {t('profile.newTargetsHint')}
                 </Text>
                 <View style={styles.pendingTargetsRow}>
                   <View style={styles.pendingTargetsMetric}>
                     <Text style={styles.pendingTargetsMetricValue}>{pendingTargets.calories}</Text>
-                    <Text style={styles.pendingTargetsMetricLabel}>kcal</Text>
+                    <Text style={styles.pendingTargetsMetricLabel}>{t('units.kcal')}</Text>
                   </View>
                   <View style={styles.pendingTargetsMetric}>
                     <Text style={[styles.pendingTargetsMetricValue, { color: Colors.protein }]}>{pendingTargets.protein}g</Text>
-                    <Text style={styles.pendingTargetsMetricLabel}>Protein</Text>
+                    <Text style={styles.pendingTargetsMetricLabel}>{t('food.protein')}</Text>
                   </View>
                   <View style={styles.pendingTargetsMetric}>
                     <Text style={[styles.pendingTargetsMetricValue, { color: Colors.carbs }]}>{pendingTargets.carbs}g</Text>
-                    <Text style={styles.pendingTargetsMetricLabel}>Carbs</Text>
+                    <Text style={styles.pendingTargetsMetricLabel}>{t('food.carbs')}</Text>
                   </View>
                   <View style={styles.pendingTargetsMetric}>
                     <Text style={[styles.pendingTargetsMetricValue, { color: Colors.fat }]}>{pendingTargets.fat}g</Text>
-                    <Text style={styles.pendingTargetsMetricLabel}>Fat</Text>
+                    <Text style={styles.pendingTargetsMetricLabel}>{t('food.fat')}</Text>
                   </View>
                 </View>
                 <View style={styles.pendingTargetsActions}>
@@ -1044,13 +1050,13 @@ function ProfileScreenInner() {
                     style={[styles.pendingTargetsButton, styles.pendingTargetsButtonSecondary]}
                     onPress={discardPendingTargets}
                   >
-                    <Text style={styles.pendingTargetsButtonSecondaryText}>Keep Current</Text>
+                    <Text style={styles.pendingTargetsButtonSecondaryText}>{t('profile.keepCurrent')}</Text>
                   </Pressable>
                   <Pressable
                     style={[styles.pendingTargetsButton, styles.pendingTargetsButtonPrimary]}
                     onPress={applyPendingTargets}
                   >
-                    <Text style={styles.pendingTargetsButtonPrimaryText}>Apply Targets</Text>
+                    <Text style={styles.pendingTargetsButtonPrimaryText}>{t('profile.applyTargets')}</Text>
                   </Pressable>
                 </View>
               </View>
@@ -1071,7 +1077,7 @@ function ProfileScreenInner() {
             ) : (
               <>
                 <Check size={20} color={Colors.background} />
-                <Text style={styles.saveButtonText}>Save Profile</Text>
+                <Text style={styles.saveButtonText}>{t('profile.saveProfile')}</Text>
               </>
             )}
           </Pressable>
@@ -1079,25 +1085,25 @@ function ProfileScreenInner() {
           {/* Macro Goals Preview */}
           {isProfileComplete && (
             <View style={styles.macroPreview}>
-              <Text style={styles.macroPreviewTitle}>Your Daily Macro Goals</Text>
+              <Text style={styles.macroPreviewTitle}>{t('profile.dailyMacroGoals')}</Text>
               <View style={styles.macroPreviewRow}>
                 <View style={styles.macroPreviewItem}>
                   <Text style={[styles.macroPreviewValue, { color: Colors.protein }]}>
                     {calculatedGoals.protein}g
                   </Text>
-                  <Text style={styles.macroPreviewLabel}>Protein</Text>
+                  <Text style={styles.macroPreviewLabel}>{t('food.protein')}</Text>
                 </View>
                 <View style={styles.macroPreviewItem}>
                   <Text style={[styles.macroPreviewValue, { color: Colors.carbs }]}>
                     {calculatedGoals.carbs}g
                   </Text>
-                  <Text style={styles.macroPreviewLabel}>Carbs</Text>
+                  <Text style={styles.macroPreviewLabel}>{t('food.carbs')}</Text>
                 </View>
                 <View style={styles.macroPreviewItem}>
                   <Text style={[styles.macroPreviewValue, { color: Colors.fat }]}>
                     {calculatedGoals.fat}g
                   </Text>
-                  <Text style={styles.macroPreviewLabel}>Fat</Text>
+                  <Text style={styles.macroPreviewLabel}>{t('food.fat')}</Text>
                 </View>
               </View>
             </View>
@@ -1125,8 +1131,8 @@ function ProfileScreenInner() {
                     >
                       <LayoutGrid size={20} color={Colors.primary} />
                       <View style={styles.editLayoutContent}>
-                        <Text style={styles.editLayoutTitle}>Edit Dashboard Layout</Text>
-                        <Text style={styles.editLayoutSubtitle}>Customize which cards appear</Text>
+                        <Text style={styles.editLayoutTitle}>{t('profile.editDashboardLayout')}</Text>
+                        <Text style={styles.editLayoutSubtitle}>{t('profile.editDashboardLayoutHint')}</Text>
                       </View>
                       <ChevronDown size={18} color={Colors.textSecondary} style={ROTATE_MINUS_90} />
                     </LinearGradient>
@@ -1136,7 +1142,7 @@ function ProfileScreenInner() {
                   <View style={styles.dangerZone}>
                     <View style={styles.dangerZoneHeader}>
                       <AlertTriangle size={18} color={Colors.error} />
-                      <Text style={styles.dangerZoneTitle}>Danger Zone</Text>
+                      <Text style={styles.dangerZoneTitle}>{t('profile.dangerZone')}</Text>
                     </View>
                     <Pressable
                       style={[styles.deleteButton, isDeleting && styles.deleteButtonDisabled]}
@@ -1148,17 +1154,17 @@ function ProfileScreenInner() {
                       ) : (
                         <>
                           <Trash2 size={18} color={Colors.text} />
-                          <Text style={styles.deleteButtonText}>Delete Account</Text>
+                          <Text style={styles.deleteButtonText}>{t('settings.deleteAccount')}</Text>
                         </>
                       )}
                     </Pressable>
                     <Text style={styles.dangerZoneWarning}>
-                      This will permanently delete your account and all data.
+                      {t('profile.dangerZoneWarning')}
                     </Text>
                   </View>
 
                   {/* Version */}
-                  <Text style={styles.version}>FuelIQ v1.0.0</Text>
+                  <Text style={styles.version}>{t('profile.version', { version: '1.0.0' })}</Text>
                   <View style={styles.bottomSpacer} />
                 </>
               }
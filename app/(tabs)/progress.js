@@ -4,21 +4,24 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { LinearGradient } from 'expo-linear-gradient';
 import { LineChart, BarChart } from 'react-native-chart-kit';
 import { Flame, TrendingDown } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
+import { getWeekdayLabels } from '../../lib/formatters';
 
 const SCREEN_WIDTH = Dimensions.get('window').width;
 
 // Mock Data for Visualization
 const weightData = {
-  labels: ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"],
+  labels: getWeekdayLabels('short'),
   datasets: [{ data: [180, 179.5, 179.2, 178.8, 179.0, 178.5, 178.2] }]
 };
 
 const calorieData = {
-  labels: ["M", "T", "W", "T", "F", "S", "S"],
+  labels: getWeekdayLabels('narrow'),
   datasets: [{ data: [2100, 2400, 1950, 2050, 2200, 2600, 1900] }]
 };
 
 export default function ProgressScreen() {
+  const { t } = useTranslation();
   return (
     <View style={styles.container}>
       <LinearGradient colors={['#000000', '#0a0a12']} style={styles.gradient} />
@@ -26,8 +29,8 @@ export default function ProgressScreen() {
         <ScrollView contentContainerStyle={styles.scroll}>
           
           <View style={styles.header}>
-            <Text style={styles.title}>Analytics</Text>
-            <Text style={styles.subtitle}>Your 7-Day Performance</Text>
+            <Text style={styles.title}>{t('stats.analytics')}</Text>
+            <Text style={styles.subtitle}>{t('stats.sevenDayPerformance')}</Text>
           </View>
 
           {/* Weight Chart */}
@@ -35,7 +38,7 @@ export default function ProgressScreen() {
             <LinearGradient colors={['rgba(255,255,255,0.05)', 'rgba(255,255,255,0.01)']} style={styles.cardGradient}>
               <View style={styles.cardHeader}>
                 <TrendingDown size={20} color="#00D4FF" />
-                <Text style={styles.cardTitle}>Weight Trend</Text>
+                <Text style={styles.cardTitle}>{t('stats.weightTrend')}</Text>
               </View>
               <LineChart
                 data={weightData}
@@ -61,7 +64,7 @@ export default function ProgressScreen() {
             <LinearGradient colors={['rgba(255,255,255,0.05)', 'rgba(255,255,255,0.01)']} style={styles.cardGradient}>
               <View style={styles.cardHeader}>
                 <Flame size={20} color="#FF9F43" />
-                <Text style={styles.cardTitle}>Calorie Consistency</Text>
+                <Text style={styles.cardTitle}>{t('stats.calorieConsistency')}</Text>
               </View>
               <BarChart
                 data={calorieData}
@@ -85,15 +88,15 @@ export default function ProgressScreen() {
           <View style={styles.statsRow}>
             <View style={styles.statBox}>
               <Text style={styles.statVal}>85%</Text>
-              <Text style={styles.statLabel}>Consistency</Text>
+              <Text style={styles.statLabel}>{t('stats.consistency')}</Text>
             </View>
             <View style={styles.statBox}>
               <Text style={styles.statVal}>-1.8</Text>
-              <Text style={styles.statLabel}>Lbs Lost</Text>
+              <Text style={styles.statLabel}>{t('stats.lbsLost')}</Text>
             </View>
             <View style={styles.statBox}>
               <Text style={styles.statVal}>12</Text>
-              <Text style={styles.statLabel}>Workouts</Text>
+              <Text style={styles.statLabel}>{t('stats.workouts')}</Text>
             </View>
           </View>
 
@@ -40,6 +40,7 @@ import { useGamification } from '../../context/GamificationContext';
 import { exportFoodDiaryCSV, exportWeeklySummaryPDF } from '../../services/exportData';
 import { hapticLight } from '../../lib/haptics';
 import { LinearGradient } from 'expo-linear-gradient';
+import { useTranslation } from 'react-i18next';
 import usePredictiveAnalyticsHook from '../../hooks/usePredictiveAnalytics';
 import InsightCard from '../../components/InsightCard';
 import AnimatedProgressRing from '../../components/AnimatedProgressRing';
@@ -54,26 +55,15 @@ import {
 import { generateInsights } from '../../lib/insightGenerator';
 import useWorkoutHistory from '../../hooks/useWorkoutHistory';
 import { useWeightHistory as useWeightHistoryHook } from '../../hooks/useWeightHistory';
+import { formatDate, getWeekdayLabels, formatNumber } from '../../lib/formatters';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 const CHART_WIDTH = SCREEN_WIDTH - Spacing.md * 4;
 
-const RANGE_OPTIONS = [
-  { label: '7 Days', value: 7 },
-  { label: '30 Days', value: 30 },
-  { label: '90 Days', value: 90 },
-];
-
-// Mock weight data for demo when no history exists
-const MOCK_WEIGHT_DATA = [
-  { value: 75.5, label: 'Mon' },
-  { value: 75.2, label: 'Tue' },
-  { value: 74.8, label: 'Wed' },
-  { value: 74.5, label: 'Thu' },
-  { value: 74.9, label: 'Fri' },
-  { value: 74.3, label: 'Sat' },
-  { value: 74.0, label: 'Sun' },
-];
+const RANGE_OPTIONS = [7, 30, 90];
+
+// Mock weight data (Mon-Sun) for demo when no history exists
+const MOCK_WEIGHT_VALUES = [75.5, 75.2, 74.8, 74.5, 74.9, 74.3, 74.0];
 
 const BigStatCard = memo(function BigStatCard({ icon: Icon, label, value, unit, trend, trendValue, color }) {
   const isPositiveTrend = trend === 'up';
@@ -108,24 +98,25 @@ const BigStatCard = memo(function BigStatCard({ icon: Icon, label, value, unit,
 });
 
 const RangeSelector = memo(function RangeSelector({ selectedRange, onSelect }) {
+  const { t } = useTranslation();
   return (
     <View style={styles.rangeSelector}>
-      {RANGE_OPTIONS.map((option) => (
+      {RANGE_OPTIONS.map((days) => (
         <Pressable
-          key={option.value}
+          key={days}
           style={[
             styles.rangeOption,
-            selectedRange === option.value && styles.rangeOptionActive,
+            selectedRange === days && styles.rangeOptionActive,
           ]}
-          onPress={() => onSelect(option.value)}
+          onPress={() => onSelect(days)}
         >
           <Text
             style={[
               styles.rangeOptionText,
-              selectedRange === option.value && styles.rangeOptionTextActive,
+              selectedRange === days && styles.rangeOptionTextActive,
             ]}
           >
-            {option.label}
+            {t('stats.rangeDays', { count: days })}
           </Text>
         </Pressable>
       ))}
@@ -135,23 +126,24 @@ const RangeSelector = memo(function RangeSelector({ selectedRange, onSelect }) {
 
 // ─── Weekly Comparison Card ───
 const WeeklyComparisonCard = memo(function WeeklyComparisonCard({ currentWeek, previousWeek, workoutsThisWeek, workoutsLastWeek }) {
+  const { t } = useTranslation();
   const items = [
     {
-      label: 'Avg Calories',
+      label: t('stats.avgCalories'),
       current: currentWeek.avgCalories,
       previous: previousWeek.avgCalories,
       unit: 'kcal',
       lowerIsBetter: true,
     },
     {
-      label: 'Avg Protein',
+      label: t('stats.avgProtein'),
       current: currentWeek.avgProtein,
       previous: previousWeek.avgProtein,
       unit: 'g',
       lowerIsBetter: false,
     },
     {
-      label: 'Workouts',
+      label: t('stats.workouts'),
       current: workoutsThisWeek,
       previous: workoutsLastWeek,
       unit: '',
@@ -167,7 +159,7 @@ const WeeklyComparisonCard = memo(function WeeklyComparisonCard({ currentWeek, p
         end={{ x: 1, y: 1 }}
         style={styles.weeklyCompGradient}
       />
-      <Text style={styles.weeklyCompTitle}>This Week vs Last Week</Text>
+      <Text style={styles.weeklyCompTitle}>{t('stats.thisWeekVsLast')}</Text>
       <View style={styles.weeklyCompRow}>
         {items.map((item) => {
           const diff = item.current - item.previous;
@@ -179,7 +171,7 @@ const WeeklyComparisonCard = memo(function WeeklyComparisonCard({ currentWeek, p
             <View key={item.label} style={styles.weeklyCompItem}>
               <Text style={styles.weeklyCompLabel}>{item.label}</Text>
               <Text style={styles.weeklyCompValue}>
-                {item.current.toLocaleString()}{item.unit ? ` ${item.unit}` : ''}
+                {formatNumber(item.current)}{item.unit ? ` ${item.unit}` : ''}
               </Text>
               {item.previous > 0 && (
                 <View style={[
@@ -209,15 +201,16 @@ const WeeklyComparisonCard = memo(function WeeklyComparisonCard({ currentWeek, p
 
 // ─── Consistency Score Card ───
 const ConsistencyScoreCard = memo(function ConsistencyScoreCard({ loggedDays, totalDays, last14 }) {
+  const { t } = useTranslation();
   const percentage = totalDays > 0 ? Math.round((loggedDays / totalDays) * 100) : 0;
 
   return (
     <View style={styles.consistencyCard}>
       <View style={styles.consistencyHeader}>
         <View>
-          <Text style={styles.consistencyTitle}>Consistency Score</Text>
+          <Text style={styles.consistencyTitle}>{t('stats.consistencyScore')}</Text>
           <Text style={styles.consistencySubtitle}>
-            {loggedDays} of {totalDays} days logged this month
+            {t('stats.ofDaysLoggedThis', { loggedDays, totalDays })}
           </Text>
         </View>
         <View style={[
@@ -249,18 +242,19 @@ const ConsistencyScoreCard = memo(function ConsistencyScoreCard({ loggedDays, to
 
 // ─── Personal Bests Card ───
 const PersonalBestsCard = memo(function PersonalBestsCard({ bests }) {
+  const { t } = useTranslation();
   const bestItems = [
-    { label: 'Longest Streak', value: `${bests.longestStreak} days`, icon: Zap, color: Colors.warning },
-    { label: 'Best Workout Cal', value: `${bests.maxWorkoutCalories} kcal`, icon: Flame, color: Colors.secondary },
-    { label: 'Highest Protein Day', value: `${bests.highestProtein}g`, icon: Target, color: Colors.protein },
-    { label: 'Most Consistent Wk', value: `${bests.mostConsistentWeek}/7`, icon: Trophy, color: Colors.gold },
+    { label: t('stats.longestStreak'), value: t('stats.daysValue', { count: bests.longestStreak }), icon: Zap, color: Colors.warning },
+    { label: t('stats.bestWorkoutCal'), value: `${bests.maxWorkoutCalories} ${t('units.kcal')}`, icon: Flame, color: Colors.secondary },
+    { label: t('stats.highestProteinDay'), value: `${bests.highestProtein}g`, icon: Target, color: Colors.protein },
+    { label: t('stats.mostConsistentWk'), value: `${bests.mostConsistentWeek}/7`, icon: Trophy, color: Colors.gold },
   ];
 
   return (
     <View style={styles.personalBestsCard}>
       <View style={styles.personalBestsHeader}>
         <Trophy size={20} color={Colors.gold} />
-        <Text style={styles.personalBestsTitle}>Personal Bests</Text>
+        <Text style={styles.personalBestsTitle}>{t('stats.personalBests')}</Text>
       </View>
       <View style={styles.personalBestsGrid}>
         {bestItems.map((item) => (
@@ -279,10 +273,11 @@ const PersonalBestsCard = memo(function PersonalBestsCard({ bests }) {
 
 // ─── Macro Sparkline Row ───
 const MacroSparklines = memo(function MacroSparklines({ weeklyData }) {
+  const { t } = useTranslation();
   const macros = [
-    { key: 'protein', label: 'Protein', color: Colors.protein, unit: 'g' },
-    { key: 'carbs', label: 'Carbs', color: Colors.carbs, unit: 'g' },
-    { key: 'fat', label: 'Fat', color: Colors.fat, unit: 'g' },
+    { key: 'protein', label: t('food.protein'), color: Colors.protein, unit: 'g' },
+    { key: 'carbs', label: t('food.carbs'), color: Colors.carbs, unit: 'g' },
+    { key: 'fat', label: t('food.fat'), color: Colors.fat, unit: 'g' },
   ];
 
   return (
@@ -344,13 +339,14 @@ const MacroSparklines = memo(function MacroSparklines({ weeklyData }) {
 
 // ─── Quick Navigation Cards ───
 const QuickNavGrid = memo(function QuickNavGrid({ router }) {
+  const { t } = useTranslation();
   const navItems = [
-    { emoji: '\uD83D\uDCCA', title: 'Weekly Report', route: '/weekly-report' },
-    { emoji: '\u2696\uFE0F', title: 'Weight Tracker', route: '/weight-log' },
+    { emoji: '\uD83D\uDCCA', title: t('stats.weeklyReport'), route: '/weekly-report' },
+    { emoji: '\u2696\uFE0F', title: t('stats.weightTracker'), route: '/weight-log' },
     { emoji: '\u23F3', title: 'Fasting Insights', route: '/fasting-analytics' },
-    { emoji: '\uD83E\uDD57', title: 'Nutrition Score', route: '/nutrition-insights' },
-    { emoji: '\uD83D\uDCC5', title: 'Activity Calendar', route: '/activity-calendar' },
-    { emoji: '\uD83D\uDE34', title: 'Mood Insights', route: '/mood-insights' },
+    { emoji: '\uD83E\uDD57', title: t('stats.nutritionScore'), route: '/nutrition-insights' },
+    { emoji: '\uD83D\uDCC5', title: t('stats.activityCalendar'), route: '/activity-calendar' },
+    { emoji: '\uD83D\uDE34', title: t('stats.moodInsights'), route: '/mood-insights' },
   ];
 
   return (
@@ -377,16 +373,17 @@ const QuickNavGrid = memo(function QuickNavGrid({ router }) {
 
 // ─── Daily Average Card ───
 const DailyAverageCard = memo(function DailyAverageCard({ avgCalories, avgProtein, avgCarbs, avgFat, goals }) {
+  const { t } = useTranslation();
   const items = [
-    { label: 'Calories', value: avgCalories, goal: goals.calories, unit: 'kcal', color: Colors.primary },
-    { label: 'Protein', value: avgProtein, goal: goals.protein, unit: 'g', color: Colors.protein },
-    { label: 'Carbs', value: avgCarbs, goal: goals.carbs, unit: 'g', color: Colors.carbs },
-    { label: 'Fat', value: avgFat, goal: goals.fat, unit: 'g', color: Colors.fat },
+    { label: t('food.calories'), value: avgCalories, goal: goals.calories, unit: 'kcal', color: Colors.primary },
+    { label: t('food.protein'), value: avgProtein, goal: goals.protein, unit: 'g', color: Colors.protein },
+    { label: t('food.carbs'), value: avgCarbs, goal: goals.carbs, unit: 'g', color: Colors.carbs },
+    { label: t('food.fat'), value: avgFat, goal: goals.fat, unit: 'g', color: Colors.fat },
   ];
 
   return (
     <View style={styles.dailyAvgCard}>
-      <Text style={styles.dailyAvgTitle}>Daily Averages This Week</Text>
+      <Text style={styles.dailyAvgTitle}>{t('stats.dailyAveragesThisWeek')}</Text>
       {items.map((item) => {
         const pct = item.goal > 0 ? Math.min(item.value / item.goal, 1) : 0;
         return (
@@ -408,6 +405,7 @@ const DailyAverageCard = memo(function DailyAverageCard({ avgCalories, avgProtei
 });
 
 function StatsScreenInner() {
+  const { t } = useTranslation();
   const router = useRouter();
   const {
     weeklyData,
@@ -427,11 +425,11 @@ function StatsScreenInner() {
 
   const handleExportPress = useCallback(() => {
     Alert.alert(
-      'Export Data',
-      'Choose an export format',
+      t('stats.exportData'),
+      t('stats.chooseAnExportFormat'),
       [
         {
-          text: 'Export CSV',
+          text: t('stats.exportCsv'),
           onPress: async () => {
             try {
               setIsExporting(true);
@@ -440,14 +438,14 @@ function StatsScreenInner() {
               start.setDate(start.getDate() - 30);
               await exportFoodDiaryCSV(dayData, { start, end });
             } catch (_error) {
-              Alert.alert('Export Failed', 'Could not export your food diary. Please try again.');
+              Alert.alert(t('stats.exportFailed'), t('settings.exportDiaryFailed'));
             } finally {
               setIsExporting(false);
             }
           },
         },
         {
-          text: 'Export PDF Report',
+          text: t('stats.exportPdfReport'),
           onPress: async () => {
             try {
               setIsExporting(true);
@@ -461,16 +459,16 @@ function StatsScreenInner() {
                 profile
               );
             } catch (_error) {
-              Alert.alert('Export Failed', 'Could not generate your report. Please try again.');
+              Alert.alert(t('stats.exportFailed'), t('stats.couldNotGenerateYour'));
             } finally {
               setIsExporting(false);
             }
           },
         },
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
       ]
     );
-  }, [dayData, weeklyData, weeklyStats, currentStreak, goals, profile]);
+  }, [dayData, weeklyData, weeklyStats, currentStreak, goals, profile, t]);
 
   // Get calorie data for the selected range
   const rangeData = useMemo(() => {
@@ -513,7 +511,7 @@ function StatsScreenInner() {
     }
 
     return {
-      data: MOCK_WEIGHT_DATA,
+      data: MOCK_WEIGHT_VALUES.map((value, i) => ({ value, label: getWeekdayLabels()[i] })),
       isReal: false,
     };
   }, [weeklyWeightData, profile?.weight]);
@@ -522,7 +520,7 @@ function StatsScreenInner() {
   const calorieChartData = useMemo(() => {
     if (!rangeData || rangeData.length === 0) {
       return {
-        data: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map(day => ({
+        data: getWeekdayLabels().map(day => ({
           value: 0, label: day, frontColor: Colors.surfaceElevated,
         })),
         maxValue: 2500,
@@ -895,7 +893,7 @@ function StatsScreenInner() {
         {/* Header */}
         <ReAnimated.View entering={FadeInDown.delay(0).springify().mass(0.5).damping(10)} style={styles.header}>
           <View style={styles.headerRow}>
-            <Text style={styles.title}>Stats</Text>
+            <Text style={styles.title}>{t('stats.stats')}</Text>
             <Pressable
               onPress={handleExportPress}
               disabled={isExporting}
@@ -908,14 +906,14 @@ function StatsScreenInner() {
               )}
             </Pressable>
           </View>
-          <Text style={styles.subtitle}>Know if you're winning or losing</Text>
+          <Text style={styles.subtitle}>{t('stats.knowIfYoureWinning')}</Text>
         </ReAnimated.View>
 
         {(isLoading || isFetchingDay) && (
           <View style={styles.refreshBanner}>
             <ActivityIndicator size="small" color={Colors.primary} />
             <Text style={styles.refreshBannerText}>
-              {isLoading ? 'Building your baseline' : 'Refreshing your stats'}
+              {isLoading ? t('stats.buildingYourBaseline') : t('stats.refreshingYourStats')}
             </Text>
           </View>
         )}
@@ -930,10 +928,10 @@ function StatsScreenInner() {
           <ReAnimated.View entering={FadeInDown.delay(120).springify().mass(0.5).damping(10)}>
             <View style={{ alignItems: 'center', paddingVertical: Spacing.xl, paddingHorizontal: Spacing.lg }}>
               <Text style={{ fontSize: FontSize.lg, color: Colors.textSecondary, fontWeight: FontWeight.semibold, marginBottom: Spacing.sm }}>
-                Building your insights...
+                {t('stats.buildingYourInsights')}
               </Text>
               <Text style={{ fontSize: FontSize.sm, color: Colors.textTertiary, textAlign: 'center' }}>
-                Log food for a few more days to unlock trend analysis and personalized insights.
+                {t('stats.logFoodForA')}
               </Text>
             </View>
           </ReAnimated.View>
@@ -948,7 +946,7 @@ function StatsScreenInner() {
               strokeWidth={8}
               color={fitnessScore?.score >= 70 ? Colors.success : fitnessScore?.score >= 40 ? Colors.warning : Colors.error}
             />
-            <Text style={styles.scoreRingLabel}>Fitness Score</Text>
+            <Text style={styles.scoreRingLabel}>{t('stats.fitnessScore')}</Text>
             <Text style={styles.scoreRingValue}>{fitnessScore?.score || 0}/100</Text>
           </View>
           <View style={styles.scoreRingCard}>
@@ -958,7 +956,7 @@ function StatsScreenInner() {
               strokeWidth={8}
               color={todayNutritionScore?.score >= 70 ? Colors.success : todayNutritionScore?.score >= 40 ? Colors.warning : Colors.error}
             />
-            <Text style={styles.scoreRingLabel}>Nutrition Score</Text>
+            <Text style={styles.scoreRingLabel}>{t('stats.nutritionScore')}</Text>
             <Text style={styles.scoreRingValue}>{todayNutritionScore?.score || 0}/100</Text>
           </View>
         </ReAnimated.View>
@@ -967,23 +965,23 @@ function StatsScreenInner() {
         <ReAnimated.View entering={FadeInDown.delay(160).springify().mass(0.5).damping(10)} style={styles.summaryRow}>
           <BigStatCard
             icon={Flame}
-            label="Avg Calories"
-            value={summaryStats.avgCalories.toLocaleString()}
+            label={t('stats.avgCalories')}
+            value={formatNumber(summaryStats.avgCalories)}
             unit="kcal"
             color={Colors.primary}
           />
           <BigStatCard
             icon={Scale}
-            label="Weight Change"
+            label={t('stats.weightChange')}
             value={`${summaryStats.weightChangeSign}${summaryStats.weightChange}`}
             unit="kg"
             trend={summaryStats.weightTrend}
-            trendValue={summaryStats.weightTrend === 'down' ? 'Losing' : 'Gaining'}
+            trendValue={summaryStats.weightTrend === 'down' ? t('stats.losing') : t('stats.gaining')}
             color={summaryStats.weightTrend === 'down' ? Colors.success : Colors.warning}
           />
           <BigStatCard
             icon={Award}
-            label="Best Streak"
+            label={t('stats.bestStreak')}
             value={summaryStats.bestStreak}
             unit="days"
             color={Colors.warning}
@@ -999,8 +997,8 @@ function StatsScreenInner() {
                   <TrendingDown size={18} color={Colors.primary} />
                 </View>
                 <View>
-                  <Text style={styles.chartTitle}>Weight vs Calories</Text>
-                  <Text style={styles.chartSubtitle}>See the correlation</Text>
+                  <Text style={styles.chartTitle}>{t('stats.weightVsCalories')}</Text>
+                  <Text style={styles.chartSubtitle}>{t('stats.seeTheCorrelation')}</Text>
                 </View>
               </View>
             </View>
@@ -1044,11 +1042,11 @@ function StatsScreenInner() {
             <View style={styles.legendRow}>
               <View style={styles.legendItem}>
                 <View style={[styles.legendDot, { backgroundColor: Colors.success }]} />
-                <Text style={styles.legendText}>Weight (kg)</Text>
+                <Text style={styles.legendText}>{t('stats.weightKg')}</Text>
               </View>
               <View style={styles.legendItem}>
                 <View style={[styles.legendDot, { backgroundColor: Colors.primary }]} />
-                <Text style={styles.legendText}>Calories</Text>
+                <Text style={styles.legendText}>{t('food.calories')}</Text>
               </View>
             </View>
           </View>
@@ -1062,13 +1060,13 @@ function StatsScreenInner() {
                 <Scale size={18} color={Colors.success} />
               </View>
               <View>
-                <Text style={styles.chartTitle}>Weight Trend</Text>
-                <Text style={styles.chartSubtitle}>Last 7 entries</Text>
+                <Text style={styles.chartTitle}>{t('stats.weightTrend')}</Text>
+                <Text style={styles.chartSubtitle}>{t('stats.last7Entries')}</Text>
               </View>
             </View>
             {!weightChartData.isReal && (
               <View style={styles.demoBadge}>
-                <Text style={styles.demoBadgeText}>Demo</Text>
+                <Text style={styles.demoBadgeText}>{t('stats.demo')}</Text>
               </View>
             )}
           </View>
@@ -1122,7 +1120,7 @@ function StatsScreenInner() {
           {weightChartData.isReal && profile?.weight && (
             <View style={styles.chartFooter}>
               <Text style={styles.currentWeightText}>
-                Current: <Text style={styles.currentWeightValue}>{profile.weight} kg</Text>
+                {t('stats.current')} <Text style={styles.currentWeightValue}>{profile.weight} kg</Text>
               </Text>
             </View>
           )}
@@ -1132,9 +1130,9 @@ function StatsScreenInner() {
           <ReAnimated.View entering={FadeInDown.delay(350).springify().mass(0.5).damping(10)}>
             <InsightCard
               type="warning"
-              title="Weight Plateau Detected"
-              body={plateauStatus.suggestion || "Your weight has been stable. Consider adjusting your calorie intake or exercise routine."}
-              actionLabel="Get Tips"
+              title={t('stats.weightPlateauDetected')}
+              body={plateauStatus.suggestion || t('stats.yourWeightHasBeen')}
+              actionLabel={t('stats.getTips')}
               onAction={() => router.push('/chat')}
             />
           </ReAnimated.View>
@@ -1148,9 +1146,9 @@ function StatsScreenInner() {
                 <Target size={18} color={Colors.primary} />
               </View>
               <View>
-                <Text style={styles.chartTitle}>Calorie Intake</Text>
+                <Text style={styles.chartTitle}>{t('stats.calorieIntake')}</Text>
                 <Text style={styles.chartSubtitle}>
-                  Last {selectedRange} days vs goal
+                  {t('stats.lastDaysVsGoal', { selectedRange })}
                 </Text>
               </View>
             </View>
@@ -1180,7 +1178,7 @@ function StatsScreenInner() {
                 dashWidth: 5,
                 dashGap: 3,
                 thickness: 1.5,
-                labelText: `Goal: ${calorieChartData.goal}`,
+                labelText: t('stats.goal', { goal: calorieChartData.goal }),
                 labelTextStyle: styles.referenceLineLabel,
               }}
               isAnimated
@@ -1192,15 +1190,15 @@ function StatsScreenInner() {
           <View style={styles.legendRow}>
             <View style={styles.legendItem}>
               <View style={[styles.legendDot, { backgroundColor: Colors.success }]} />
-              <Text style={styles.legendText}>Under goal</Text>
+              <Text style={styles.legendText}>{t('stats.underGoal')}</Text>
             </View>
             <View style={styles.legendItem}>
               <View style={[styles.legendDot, { backgroundColor: Colors.error }]} />
-              <Text style={styles.legendText}>Over goal</Text>
+              <Text style={styles.legendText}>{t('stats.overGoal')}</Text>
             </View>
             <View style={styles.legendItem}>
               <View style={[styles.legendDash]} />
-              <Text style={styles.legendText}>Daily goal</Text>
+              <Text style={styles.legendText}>{t('stats.dailyGoal')}</Text>
             </View>
           </View>
         </View>
@@ -1208,21 +1206,21 @@ function StatsScreenInner() {
         {/* Scorecard */}
         <View style={styles.weeklySummaryCard}>
           <Text style={styles.weeklySummaryTitle}>
-            {selectedRange === 7 ? "This Week's" : `Last ${selectedRange} Days`} Scorecard
+            {selectedRange === 7 ? t('stats.weekScorecard') : t('stats.rangeScorecard', { count: selectedRange })}
           </Text>
           <View style={styles.scoreRow}>
             <View style={styles.scoreItem}>
               <Text style={[styles.scoreValue, { color: Colors.success }]}>
                 {rangeStats.daysUnderGoal || 0}
               </Text>
-              <Text style={styles.scoreLabel}>Days On Track</Text>
+              <Text style={styles.scoreLabel}>{t('stats.daysOnTrack')}</Text>
             </View>
             <View style={styles.scoreDivider} />
             <View style={styles.scoreItem}>
               <Text style={[styles.scoreValue, { color: Colors.error }]}>
                 {rangeStats.daysOverGoal || 0}
               </Text>
-              <Text style={styles.scoreLabel}>Days Over</Text>
+              <Text style={styles.scoreLabel}>{t('stats.daysOver')}</Text>
             </View>
             <View style={styles.scoreDivider} />
             <View style={styles.scoreItem}>
@@ -1231,9 +1229,9 @@ function StatsScreenInner() {
                 { color: (rangeStats.caloriesVsBudget || 0) >= 0 ? Colors.success : Colors.error }
               ]}>
                 {(rangeStats.caloriesVsBudget || 0) >= 0 ? '+' : ''}
-                {Math.abs(rangeStats.caloriesVsBudget || 0).toLocaleString()}
+                {formatNumber(Math.abs(rangeStats.caloriesVsBudget || 0))}
               </Text>
-              <Text style={styles.scoreLabel}>Cal vs Budget</Text>
+              <Text style={styles.scoreLabel}>{t('stats.calVsBudget')}</Text>
             </View>
           </View>
 
@@ -1255,12 +1253,12 @@ function StatsScreenInner() {
               }
             ]}>
               {(rangeStats.daysUnderGoal || 0) >= Math.ceil(selectedRange * 0.7)
-                ? "You're crushing it!"
+                ? t('stats.youreCrushingIt')
                 : (rangeStats.daysUnderGoal || 0) >= Math.ceil(selectedRange * 0.5)
-                  ? "Solid progress!"
+                  ? t('stats.solidProgress')
                   : (rangeStats.daysUnderGoal || 0) >= Math.ceil(selectedRange * 0.3)
-                    ? "Room for improvement"
-                    : "Let's get back on track"}
+                    ? t('stats.roomForImprovement')
+                    : t('stats.letsGetBackOn')}
             </Text>
           </View>
         </View>
@@ -1276,8 +1274,8 @@ function StatsScreenInner() {
                 <Pill size={18} color={Colors.accentPurple} />
               </View>
               <View>
-                <Text style={styles.micronutrientTitle}>Micronutrient Dashboard</Text>
-                <Text style={styles.micronutrientSubtitle}>Vitamins, minerals & more</Text>
+                <Text style={styles.micronutrientTitle}>{t('stats.micronutrientDashboard')}</Text>
+                <Text style={styles.micronutrientSubtitle}>{t('stats.vitaminsMineralsMore')}</Text>
               </View>
             </View>
             <ChevronRight size={18} color={Colors.textTertiary} />
@@ -1297,7 +1295,7 @@ function StatsScreenInner() {
         {/* AI-Powered Insights */}
         {weeklyInsights && weeklyInsights.length > 0 && (
           <ReAnimated.View entering={FadeInDown.delay(490).springify().mass(0.5).damping(10)}>
-            <Text style={styles.sectionHeading}>AI Insights</Text>
+            <Text style={styles.sectionHeading}>{t('stats.aiInsights')}</Text>
             {weeklyInsights.slice(0, 3).map((insight, i) => (
               <InsightCard
                 key={i}
@@ -1327,7 +1325,7 @@ function StatsScreenInner() {
         {/* ─── Macro Sparklines ─── */}
         {weeklyData.filter(d => !d.noData && d.calories > 0).length >= 2 && (
           <ReAnimated.View entering={FadeInDown.delay(560).springify().mass(0.5).damping(10)}>
-            <Text style={styles.sectionHeading}>Macro Trends (7 Days)</Text>
+            <Text style={styles.sectionHeading}>{t('stats.macroTrends7Days')}</Text>
             <MacroSparklines weeklyData={weeklyData} />
           </ReAnimated.View>
         )}
@@ -1356,15 +1354,15 @@ function StatsScreenInner() {
                   <FileText size={18} color={Colors.primary} />
                 </View>
                 <View>
-                  <Text style={styles.chartTitle}>Weekly Report Card</Text>
-                  <Text style={styles.chartSubtitle}>Compliance & highlights</Text>
+                  <Text style={styles.chartTitle}>{t('stats.weeklyReportCard')}</Text>
+                  <Text style={styles.chartSubtitle}>{t('stats.complianceHighlights')}</Text>
                 </View>
               </View>
               <Pressable
                 style={styles.reportViewButton}
                 onPress={() => { hapticLight(); router.push('/weekly-report'); }}
               >
-                <Text style={styles.reportViewText}>Full Report</Text>
+                <Text style={styles.reportViewText}>{t('stats.fullReport')}</Text>
                 <ChevronRight size={14} color={Colors.primary} />
               </Pressable>
             </View>
@@ -1382,19 +1380,19 @@ function StatsScreenInner() {
               />
               <View style={styles.reportScoreDetails}>
                 <Text style={styles.reportGrade}>{adherenceData.grade}</Text>
-                <Text style={styles.reportScoreLabel}>Adherence Score</Text>
+                <Text style={styles.reportScoreLabel}>{t('stats.adherenceScore')}</Text>
                 <View style={styles.reportMiniStats}>
                   <View style={styles.reportMiniStat}>
                     <Text style={styles.reportMiniValue}>{adherenceData.calorieAdherence}%</Text>
-                    <Text style={styles.reportMiniLabel}>Cal Target</Text>
+                    <Text style={styles.reportMiniLabel}>{t('stats.calTarget')}</Text>
                   </View>
                   <View style={styles.reportMiniStat}>
                     <Text style={styles.reportMiniValue}>{adherenceData.proteinAdherence}%</Text>
-                    <Text style={styles.reportMiniLabel}>Protein</Text>
+                    <Text style={styles.reportMiniLabel}>{t('food.protein')}</Text>
                   </View>
                   <View style={styles.reportMiniStat}>
                     <Text style={styles.reportMiniValue}>{adherenceData.loggingConsistency}%</Text>
-                    <Text style={styles.reportMiniLabel}>Logging</Text>
+                    <Text style={styles.reportMiniLabel}>{t('stats.logging')}</Text>
                   </View>
                 </View>
               </View>
@@ -1411,11 +1409,11 @@ function StatsScreenInner() {
                   <Crosshair size={18} color={Colors.success} />
                 </View>
                 <View style={{ flex: 1 }}>
-                  <Text style={styles.chartTitle}>Goal Progress</Text>
+                  <Text style={styles.chartTitle}>{t('stats.goalProgress')}</Text>
                   <Text style={styles.chartSubtitle}>
                     {goalProgress.status === 'on_track' || goalProgress.status === 'ahead'
-                      ? 'On track!'
-                      : goalProgress.status === 'behind' ? 'Behind schedule' : 'Stalled'}
+                      ? t('stats.onTrack')
+                      : goalProgress.status === 'behind' ? t('stats.behindSchedule') : t('stats.stalled')}
                   </Text>
                 </View>
                 <View style={[
@@ -1458,13 +1456,13 @@ function StatsScreenInner() {
                 </View>
                 <Text style={styles.goalProjectedDate}>
                   Projected: {goalProgress.projectedDate
-                    ? new Date(goalProgress.projectedDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+                    ? formatDate(new Date(goalProgress.projectedDate), { month: 'short', day: 'numeric', year: 'numeric' })
                     : '--'}
                 </Text>
               </View>
 
               <Text style={styles.goalRateText}>
-                Rate: {goalProgress.actualRatePerWeek} kg/week (target: {goalProgress.expectedRatePerWeek} kg/week)
+                {t('stats.rateKgWeekTarget', { actualRatePerWeek: goalProgress.actualRatePerWeek, expectedRatePerWeek: goalProgress.expectedRatePerWeek })}
               </Text>
             </View>
           </ReAnimated.View>
@@ -1480,8 +1478,8 @@ function StatsScreenInner() {
                     <Activity size={18} color={Colors.success} />
                   </View>
                   <View>
-                    <Text style={styles.chartTitle}>Smoothed Weight Trend</Text>
-                    <Text style={styles.chartSubtitle}>EWMA with confidence band</Text>
+                    <Text style={styles.chartTitle}>{t('stats.smoothedWeightTrend')}</Text>
+                    <Text style={styles.chartSubtitle}>{t('stats.ewmaWithConfidenceBand')}</Text>
                   </View>
                 </View>
               </View>
@@ -1527,11 +1525,11 @@ function StatsScreenInner() {
               <View style={styles.legendRow}>
                 <View style={styles.legendItem}>
                   <View style={[styles.legendDot, { backgroundColor: Colors.success }]} />
-                  <Text style={styles.legendText}>Smoothed trend</Text>
+                  <Text style={styles.legendText}>{t('stats.smoothedTrend')}</Text>
                 </View>
                 <View style={styles.legendItem}>
                   <View style={[styles.legendDot, { backgroundColor: Colors.success + '40' }]} />
-                  <Text style={styles.legendText}>Confidence band</Text>
+                  <Text style={styles.legendText}>{t('stats.confidenceBand')}</Text>
                 </View>
               </View>
             </View>
@@ -1548,8 +1546,8 @@ function StatsScreenInner() {
                     <BarChart3 size={18} color={Colors.carbs} />
                   </View>
                   <View>
-                    <Text style={styles.chartTitle}>Macro Consistency</Text>
-                    <Text style={styles.chartSubtitle}>How stable is your daily intake</Text>
+                    <Text style={styles.chartTitle}>{t('stats.macroConsistency')}</Text>
+                    <Text style={styles.chartSubtitle}>{t('stats.howStableIsYour')}</Text>
                   </View>
                 </View>
                 <View style={[
@@ -1568,10 +1566,10 @@ function StatsScreenInner() {
               {/* Variance bars */}
               <View style={styles.varianceGrid}>
                 {[
-                  { label: 'Calories', cv: macroConsistency.calorieCV, color: Colors.primary },
-                  { label: 'Protein', cv: macroConsistency.proteinCV, color: Colors.protein },
-                  { label: 'Carbs', cv: macroConsistency.carbsCV, color: Colors.carbs },
-                  { label: 'Fat', cv: macroConsistency.fatCV, color: Colors.fat },
+                  { label: t('food.calories'), cv: macroConsistency.calorieCV, color: Colors.primary },
+                  { label: t('food.protein'), cv: macroConsistency.proteinCV, color: Colors.protein },
+                  { label: t('food.carbs'), cv: macroConsistency.carbsCV, color: Colors.carbs },
+                  { label: t('food.fat'), cv: macroConsistency.fatCV, color: Colors.fat },
                 ].map(item => {
                   const consistency = Math.max(0, Math.round((1 - item.cv) * 100));
                   return (
@@ -1597,12 +1595,12 @@ function StatsScreenInner() {
         {/* ─── Correlation Insights ─── */}
         {correlationInsights.length > 0 && (
           <ReAnimated.View entering={FadeInDown.delay(810).springify().mass(0.5).damping(10)}>
-            <Text style={styles.sectionHeading}>Correlations</Text>
+            <Text style={styles.sectionHeading}>{t('stats.correlations')}</Text>
             {correlationInsights.map((corr, i) => (
               <InsightCard
                 key={`corr-${i}`}
                 type={corr.direction === 'positive' ? 'success' : corr.direction === 'negative' ? 'warning' : 'tip'}
-                title={`${corr.strength.charAt(0).toUpperCase() + corr.strength.slice(1)} correlation (r=${corr.coefficient})`}
+                title={t(`stats.correlation.${corr.strength}`, { coefficient: corr.coefficient })}
                 body={corr.description}
               />
             ))}
@@ -1612,14 +1610,14 @@ function StatsScreenInner() {
         {/* ─── Deep Insights from insightGenerator ─── */}
         {deepInsights && deepInsights.length > 0 && (
           <ReAnimated.View entering={FadeInDown.delay(850).springify().mass(0.5).damping(10)}>
-            <Text style={styles.sectionHeading}>Deep Insights</Text>
+            <Text style={styles.sectionHeading}>{t('stats.deepInsights')}</Text>
             {deepInsights.slice(0, 4).map((insight, i) => (
               <InsightCard
                 key={insight.id}
                 type={insight.type === 'positive' ? 'success' : insight.type === 'warning' ? 'warning' : insight.type === 'achievement' ? 'success' : 'tip'}
                 title={insight.title}
                 body={insight.description}
-                actionLabel={insight.actionable ? 'Learn more' : undefined}
+                actionLabel={insight.actionable ? t('stats.learnMore') : undefined}
                 onAction={insight.actionable ? () => router.push('/chat') : undefined}
               />
             ))}
@@ -1628,7 +1626,7 @@ function StatsScreenInner() {
 
         {/* ─── Habit Heatmap ─── */}
         <ReAnimated.View entering={FadeInDown.delay(890).springify().mass(0.5).damping(10)}>
-          <Text style={styles.sectionHeading}>Activity Heatmap</Text>
+          <Text style={styles.sectionHeading}>{t('stats.activityHeatmap')}</Text>
           <HabitHeatmap dayData={dayData} currentStreak={currentStreak} />
         </ReAnimated.View>
 
@@ -1637,16 +1635,16 @@ function StatsScreenInner() {
           <View style={styles.personalRecordsCard}>
             <View style={styles.personalBestsHeader}>
               <Trophy size={20} color={Colors.gold} />
-              <Text style={styles.personalBestsTitle}>All-Time Personal Records</Text>
+              <Text style={styles.personalBestsTitle}>{t('stats.allTimePersonalRecords')}</Text>
             </View>
             <View style={styles.prGrid}>
               {[
-                { label: 'Longest Streak', value: `${personalBests.longestStreak} days`, icon: Zap, color: Colors.warning },
-                { label: 'Best Workout Cal', value: `${personalBests.maxWorkoutCalories} kcal`, icon: Flame, color: Colors.secondary },
-                { label: 'Highest Protein', value: `${personalBests.highestProtein}g`, icon: Target, color: Colors.protein },
-                { label: 'Best Week', value: `${personalBests.mostConsistentWeek}/7`, icon: Trophy, color: Colors.gold },
-                { label: 'Adherence Best', value: `${adherenceData.overallScore}%`, icon: Award, color: Colors.primary },
-                { label: 'Current Streak', value: `${currentStreak} days`, icon: Flame, color: Colors.success },
+                { label: t('stats.longestStreak'), value: t('stats.daysValue', { count: personalBests.longestStreak }), icon: Zap, color: Colors.warning },
+                { label: t('stats.bestWorkoutCal'), value: `${personalBests.maxWorkoutCalories} ${t('units.kcal')}`, icon: Flame, color: Colors.secondary },
+                { label: t('stats.highestProtein'), value: `${personalBests.highestProtein}g`, icon: Target, color: Colors.protein },
+                { label: t('stats.bestWeek'), value: `${personalBests.mostConsistentWeek}/7`, icon: Trophy, color: Colors.gold },
+                { label: t('stats.adherenceBest'), value: `${adherenceData.overallScore}%`, icon: Award, color: Colors.primary },
+                { label: t('stats.currentStreak'), value: t('stats.daysValue', { count: currentStreak }), icon: Flame, color: Colors.success },
               ].map((item) => (
                 <View key={item.label} style={styles.prItem}>
                   <View style={[styles.prIcon, { backgroundColor: item.color + '15' }]}>
@@ -1662,7 +1660,7 @@ function StatsScreenInner() {
 
         {/* ─── Quick Navigation ─── */}
         <ReAnimated.View entering={FadeInDown.delay(970).springify().mass(0.5).damping(10)}>
-          <Text style={styles.sectionHeading}>Explore Details</Text>
+          <Text style={styles.sectionHeading}>{t('stats.exploreDetails')}</Text>
           <QuickNavGrid router={router} />
         </ReAnimated.View>
 
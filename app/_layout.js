@@ -28,10 +28,13 @@ import {
 } from '../lib/analytics';
 import { recordSessionStart, recordSessionEnd } from '../lib/crashFreeRate';
 import { getRouteForNotificationData } from '../lib/notificationRoutes';
+import { recordNotifications } from '../services/notificationInbox';
 import { AuthProvider, useAuth } from '../context/AuthContext';
 import { ThemeProvider } from '../context/ThemeContext';
 import { ProfileProvider, useProfile } from '../context/ProfileContext';
 import { OfflineProvider } from '../context/OfflineContext';
+import { TrackerSyncProvider } from '../context/TrackerSyncContext';
+import { HouseholdProvider } from '../context/HouseholdContext';
 import { FoodProvider } from '../context/FoodContext';
 import { FastingProvider } from '../context/FastingContext';
 import { GamificationProvider } from '../context/GamificationContext';
@@ -270,6 +273,10 @@ function RootLayoutNav() {
         return;
       }
 
+      if (response?.notification) {
+        recordNotifications([response.notification], { read: true });
+      }
+
       const data = response?.notification?.request?.content?.data;
       const route = getRouteForNotificationData(
         data && typeof data === 'object' ? data : null
@@ -311,6 +318,8 @@ function RootLayoutNav() {
     SubscriptionProvider,
     GamificationProvider,
     OfflineProvider,
+    TrackerSyncProvider,
+    HouseholdProvider,
     NotificationProvider,
     DashboardLayoutProvider,
     FoodProvider,
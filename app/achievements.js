@@ -11,11 +11,13 @@ import { useRouter } from 'expo-router';
 import ReAnimated, { FadeInDown, FadeInUp } from 'react-native-reanimated';
 import { LinearGradient } from 'expo-linear-gradient';
 import { ArrowLeft, Trophy, Lock, Sparkles, Star } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius, Shadows, Gradients } from '../constants/theme';
 import { hapticSuccess, hapticLight } from '../lib/haptics';
 import useAchievements, { CATEGORIES } from '../hooks/useAchievements';
 import { useGamification } from '../context/GamificationContext';
+import { formatDate as formatLocaleDate } from '../lib/formatters';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 const CARD_GAP = Spacing.sm;
@@ -24,7 +26,7 @@ const CARD_WIDTH = (SCREEN_WIDTH - Spacing.md * 2 - CARD_GAP) / 2;
 function formatDate(isoString) {
   if (!isoString) return '';
   const d = new Date(isoString);
-  return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  return formatLocaleDate(d, { month: 'short', day: 'numeric', year: 'numeric' });
 }
 
 // Category filter pill component
@@ -43,6 +45,7 @@ const CategoryPill = React.memo(function CategoryPill({ category, isActive, onPr
 
 // Single achievement card
 const AchievementCard = React.memo(function AchievementCard({ achievement, progress, index, onPress }) {
+  const { t } = useTranslation();
   const isUnlocked = achievement.isUnlocked;
   const isNew = achievement.isNew;
 
@@ -72,7 +75,7 @@ const AchievementCard = React.memo(function AchievementCard({ achievement, progr
         {isNew && (
           <View style={styles.newBadge}>
             <Sparkles size={10} color={Colors.gold} />
-            <Text style={styles.newBadgeText}>NEW</Text>
+            <Text style={styles.newBadgeText}>{t('achievements.new')}</Text>
           </View>
         )}
 
@@ -128,6 +131,7 @@ const AchievementCard = React.memo(function AchievementCard({ achievement, progr
 });
 
 export default function AchievementsScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const { totalXP, currentStreak } = useGamification();
   const {
@@ -215,7 +219,7 @@ export default function AchievementsScreen() {
           </Pressable>
           <View style={styles.headerCenter}>
             <Trophy size={22} color={Colors.gold} />
-            <Text style={styles.headerTitle}>Achievements</Text>
+            <Text style={styles.headerTitle}>{t('achievements.achievements')}</Text>
           </View>
           <View style={styles.countBadge}>
             <Text style={styles.countBadgeText}>{unlockedCount}/{totalCount}</Text>
@@ -263,7 +267,7 @@ export default function AchievementsScreen() {
         {sortedAchievements.length === 0 && (
           <ReAnimated.View entering={FadeInDown.delay(120).springify()} style={styles.emptyState}>
             <Trophy size={48} color={Colors.textTertiary} />
-            <Text style={styles.emptyText}>No achievements in this category yet</Text>
+            <Text style={styles.emptyText}>{t('achievements.noAchievementsInThis')}</Text>
           </ReAnimated.View>
         )}
 
@@ -273,7 +277,7 @@ export default function AchievementsScreen() {
             <View style={styles.statsHeader}>
               <Star size={18} color={Colors.gold} />
               <Text style={styles.statsTitle}>
-                {unlockedCount} of {totalCount} Achievements Unlocked
+                {t('achievements.ofAchievementsUnlocked', { unlockedCount, totalCount })}
               </Text>
             </View>
             <View style={styles.completionBarBg}>
@@ -284,7 +288,7 @@ export default function AchievementsScreen() {
                 style={[styles.completionBarFill, { width: `${Math.max(completionPercent, 2)}%` }]}
               />
             </View>
-            <Text style={styles.completionText}>{completionPercent}% Complete</Text>
+            <Text style={styles.completionText}>{t('achievements.complete', { completionPercent })}</Text>
           </View>
         </ReAnimated.View>
 
@@ -45,6 +45,7 @@ import {
 import { hapticLight, hapticSuccess } from '../lib/haptics';
 import useActivityCalendar from '../hooks/useActivityCalendar';
 import { format, addMonths, subMonths, startOfYear, endOfYear, eachMonthOfInterval, startOfMonth, endOfMonth, eachDayOfInterval, getDay } from 'date-fns';
+import { useTranslation } from 'react-i18next';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 const CALENDAR_PADDING = Spacing.md;
@@ -82,6 +83,7 @@ const TODAY_STR = format(new Date(), 'yyyy-MM-dd');
 // Header
 // ---------------------------------------------------------------
 const Header = memo(function Header({ onBack }) {
+  const { t } = useTranslation();
   return (
     <ReAnimated.View
       entering={FadeInDown.delay(0).springify().mass(0.5).damping(10)}
@@ -92,7 +94,7 @@ const Header = memo(function Header({ onBack }) {
       </Pressable>
 
       <View style={styles.headerCenter}>
-        <Text style={styles.headerTitle}>Activity</Text>
+        <Text style={styles.headerTitle}>{t('activityCalendar.activity')}</Text>
       </View>
 
       <View style={styles.headerRight}>
@@ -106,6 +108,7 @@ const Header = memo(function Header({ onBack }) {
 // Month Navigator with Today button
 // ---------------------------------------------------------------
 const MonthNavigator = memo(function MonthNavigator({ currentMonth, onPrev, onNext, onToday }) {
+  const { t } = useTranslation();
   const label = format(currentMonth, 'MMMM yyyy');
   const isCurrentMonth = format(currentMonth, 'yyyy-MM') === format(new Date(), 'yyyy-MM');
 
@@ -126,7 +129,7 @@ const MonthNavigator = memo(function MonthNavigator({ currentMonth, onPrev, onNe
           <Text style={styles.monthNavLabel}>{label}</Text>
           {!isCurrentMonth && (
             <Pressable style={styles.todayButton} onPress={onToday}>
-              <Text style={styles.todayButtonText}>Today</Text>
+              <Text style={styles.todayButtonText}>{t('common.today')}</Text>
             </Pressable>
           )}
         </View>
@@ -246,6 +249,7 @@ const DetailItem = memo(function DetailItem({ icon: Icon, iconColor, label, valu
 // Selected Day Detail Card (slides in)
 // ---------------------------------------------------------------
 const SelectedDayCard = memo(function SelectedDayCard({ selectedDate, details, level }) {
+  const { t } = useTranslation();
   if (!selectedDate) return null;
 
   const dateObj = new Date(selectedDate + 'T12:00:00');
@@ -272,45 +276,45 @@ const SelectedDayCard = memo(function SelectedDayCard({ selectedDate, details, l
         {/* Activity breakdown */}
         {!details ? (
           <View style={styles.detailEmpty}>
-            <Text style={styles.detailEmptyText}>No activity recorded for this day.</Text>
+            <Text style={styles.detailEmptyText}>{t('activityCalendar.noActivityRecordedFor')}</Text>
           </View>
         ) : (
           <View style={styles.detailList}>
             <DetailItem
               icon={Utensils}
               iconColor={Colors.secondary}
-              label="Food Logged"
+              label={t('activityCalendar.foodLogged')}
               completed={!!details.foodLogged}
             />
             <DetailItem
               icon={Dumbbell}
               iconColor={Colors.primary}
-              label="Exercise"
-              value={details.exerciseMinutes ? `${details.exerciseMinutes} min` : null}
+              label={t('activityCalendar.exercise')}
+              value={details.exerciseMinutes ? t('activityCalendar.min', { exerciseMinutes: details.exerciseMinutes }) : null}
               completed={!!(details.exerciseMinutes > 0 || details.exerciseLogged)}
             />
             <DetailItem
               icon={Droplets}
               iconColor="#64D2FF"
-              label="Water Goal"
+              label={t('activityCalendar.waterGoal')}
               completed={!!details.waterMet}
             />
             <DetailItem
               icon={Timer}
               iconColor={Colors.success}
-              label="Fasting Completed"
+              label={t('activityCalendar.fastingCompleted')}
               completed={!!details.fastCompleted}
             />
             <DetailItem
               icon={Moon}
               iconColor="#A78BFA"
-              label="Sleep Logged"
+              label={t('activityCalendar.sleepLogged')}
               completed={!!details.sleepLogged}
             />
             <DetailItem
               icon={ListChecks}
               iconColor={Colors.primary}
-              label="Habits"
+              label={t('activityCalendar.habits')}
               value={
                 details.habitsTotal > 0
                   ? `${details.habitsCompleted || 0}/${details.habitsTotal}`
@@ -370,13 +374,14 @@ const StatCard = memo(function StatCard({ icon: Icon, iconColor, label, value, s
 // Stats Row (4 glass cards)
 // ---------------------------------------------------------------
 const StatsRow = memo(function StatsRow({ currentStreak, bestStreak, monthActiveDays, monthScore }) {
+  const { t } = useTranslation();
   return (
     <View style={styles.statsSection}>
       <View style={styles.statsRow}>
         <StatCard
           icon={Flame}
           iconColor={Colors.warning}
-          label="Current Streak"
+          label={t('activityCalendar.currentStreak')}
           value={currentStreak}
           suffix="days"
           delay={180}
@@ -384,7 +389,7 @@ const StatsRow = memo(function StatsRow({ currentStreak, bestStreak, monthActive
         <StatCard
           icon={Trophy}
           iconColor={Colors.gold}
-          label="Best Streak"
+          label={t('activityCalendar.bestStreak')}
           value={bestStreak}
           suffix="days"
           delay={220}
@@ -394,15 +399,15 @@ const StatsRow = memo(function StatsRow({ currentStreak, bestStreak, monthActive
         <StatCard
           icon={TrendingUp}
           iconColor={Colors.primary}
-          label="Active Days"
+          label={t('activityCalendar.activeDays')}
           value={monthActiveDays}
-          suffix="this mo."
+          suffix={t('activityCalendar.thisMo')}
           delay={260}
         />
         <StatCard
           icon={Target}
           iconColor={Colors.success}
-          label="Month Score"
+          label={t('activityCalendar.monthScore')}
           value={`${monthScore}%`}
           delay={300}
         />
@@ -415,17 +420,18 @@ const StatsRow = memo(function StatsRow({ currentStreak, bestStreak, monthActive
 // Legend (Less [...] More)
 // ---------------------------------------------------------------
 const Legend = memo(function Legend() {
+  const { t } = useTranslation();
   return (
     <ReAnimated.View
       entering={FadeInDown.delay(340).springify().mass(0.5).damping(10)}
       style={styles.legendContainer}
     >
       <View style={styles.legendRow}>
-        <Text style={styles.legendEdgeLabel}>Less</Text>
+        <Text style={styles.legendEdgeLabel}>{t('activityCalendar.less')}</Text>
         {LEVEL_COLORS.map((color, idx) => (
           <View key={idx} style={[styles.legendSquare, { backgroundColor: color }]} />
         ))}
-        <Text style={styles.legendEdgeLabel}>More</Text>
+        <Text style={styles.legendEdgeLabel}>{t('activityCalendar.more')}</Text>
       </View>
     </ReAnimated.View>
   );
@@ -435,6 +441,7 @@ const Legend = memo(function Legend() {
 // Mini Heatmap (last 90 days)
 // ---------------------------------------------------------------
 const MiniHeatmap = memo(function MiniHeatmap({ getActivityLevel }) {
+  const { t } = useTranslation();
   const days = useMemo(() => {
     const result = [];
     for (let i = 89; i >= 0; i--) {
@@ -480,7 +487,7 @@ const MiniHeatmap = memo(function MiniHeatmap({ getActivityLevel }) {
       <LinearGradient colors={Gradients.card} style={styles.miniHeatmapGradient}>
         <View style={styles.miniHeatmapHeader}>
           <Zap size={16} color={Colors.primary} />
-          <Text style={styles.miniHeatmapTitle}>Last 90 Days</Text>
+          <Text style={styles.miniHeatmapTitle}>{t('activityCalendar.last90Days')}</Text>
         </View>
 
         <ScrollView
@@ -524,6 +531,7 @@ const MiniHeatmap = memo(function MiniHeatmap({ getActivityLevel }) {
 // Yearly Overview (compact 12-month mini view)
 // ---------------------------------------------------------------
 const YearlyOverview = memo(function YearlyOverview({ getActivityLevel, year }) {
+  const { t } = useTranslation();
   const yearData = useMemo(() => {
     const start = startOfYear(new Date(year, 0, 1));
     const end = endOfYear(new Date(year, 0, 1));
@@ -557,7 +565,7 @@ const YearlyOverview = memo(function YearlyOverview({ getActivityLevel, year })
       <LinearGradient colors={Gradients.card} style={styles.yearlyGradient}>
         <View style={styles.yearlyHeader}>
           <CalendarDays size={16} color={Colors.primary} />
-          <Text style={styles.yearlyTitle}>{year} Overview</Text>
+          <Text style={styles.yearlyTitle}>{t('activityCalendar.overview', { year })}</Text>
         </View>
 
         <ScrollView
@@ -616,6 +624,7 @@ const YearlyOverview = memo(function YearlyOverview({ getActivityLevel, year })
 // Total Stats Banner
 // ---------------------------------------------------------------
 const TotalStatsBanner = memo(function TotalStatsBanner({ totalActiveDays }) {
+  const { t } = useTranslation();
   return (
     <ReAnimated.View
       entering={FadeInDown.delay(460).springify().mass(0.5).damping(10)}
@@ -631,7 +640,7 @@ const TotalStatsBanner = memo(function TotalStatsBanner({ totalActiveDays }) {
           </View>
           <View style={styles.totalBannerText}>
             <Text style={styles.totalBannerValue}>{totalActiveDays}</Text>
-            <Text style={styles.totalBannerLabel}>Total Active Days</Text>
+            <Text style={styles.totalBannerLabel}>{t('activityCalendar.totalActiveDays')}</Text>
           </View>
         </View>
       </LinearGradient>
@@ -643,6 +652,7 @@ const TotalStatsBanner = memo(function TotalStatsBanner({ totalActiveDays }) {
 // Main Screen
 // ---------------------------------------------------------------
 export default function ActivityCalendarScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const {
     scores,
@@ -717,7 +727,7 @@ export default function ActivityCalendarScreen() {
       <ScreenWrapper>
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color={Colors.primary} />
-          <Text style={styles.loadingText}>Loading calendar...</Text>
+          <Text style={styles.loadingText}>{t('activityCalendar.loadingCalendar')}</Text>
         </View>
       </ScreenWrapper>
     );
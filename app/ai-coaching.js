@@ -50,6 +50,7 @@ import {
   Target,
   Zap,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import GlassCard from '../components/ui/GlassCard';
 import InsightCard from '../components/InsightCard';
@@ -88,11 +89,11 @@ const GOAL_MAP = {
   'General Fitness': 'hypertrophy',
 };
 const BODY_AREAS = [
-  { key: 'shoulders', label: 'Shoulder' },
-  { key: 'knees', label: 'Knee' },
-  { key: 'lower_back', label: 'Back' },
-  { key: 'hips', label: 'Hip' },
-  { key: 'wrists', label: 'Ankle' },
+  { key: 'shoulders', labelKey: 'aiCoaching.shoulder' },
+  { key: 'knees', labelKey: 'aiCoaching.knee' },
+  { key: 'lower_back', labelKey: 'aiCoaching.back' },
+  { key: 'hips', labelKey: 'aiCoaching.hip' },
+  { key: 'wrists', labelKey: 'aiCoaching.wrist' },
 ];
 const PLATEAU_CATEGORIES = ['Strength', 'Hypertrophy', 'Weight Loss'];
 const PLATEAU_MAP = {
@@ -232,10 +233,11 @@ function PillSelector({ options, selected, onSelect, style }) {
 // Days Per Week Slider
 // ============================================================
 function DaysSlider({ value, onChange }) {
+  const { t } = useTranslation();
   const days = [3, 4, 5, 6];
   return (
     <View style={styles.sliderRow}>
-      <Text style={styles.sliderLabel}>Days / Week</Text>
+      <Text style={styles.sliderLabel}>{t('aiCoaching.daysWeek')}</Text>
       <View style={styles.sliderButtons}>
         {days.map((d) => {
           const isActive = value === d;
@@ -268,12 +270,13 @@ function DaysSlider({ value, onChange }) {
 // Training Plan Display
 // ============================================================
 function TrainingPlanDisplay({ plan }) {
+  const { t } = useTranslation();
   if (!plan) return null;
 
   return (
     <ReAnimated.View entering={FadeInDown.springify().mass(0.5).damping(10)}>
       {/* Weekly Split */}
-      <Text style={styles.planSubheading}>Weekly Split</Text>
+      <Text style={styles.planSubheading}>{t('aiCoaching.weeklySplit')}</Text>
       {plan.weeklySplit.map((dayInfo, idx) => (
         <ReAnimated.View
           key={dayInfo.day}
@@ -299,7 +302,7 @@ function TrainingPlanDisplay({ plan }) {
 
       {/* Phases */}
       <Text style={[styles.planSubheading, { marginTop: Spacing.lg }]}>
-        Periodization Phases
+        {t('aiCoaching.periodizationPhases')}
       </Text>
       {plan.phases.map((phase, idx) => (
         <ReAnimated.View
@@ -317,25 +320,25 @@ function TrainingPlanDisplay({ plan }) {
             <View style={styles.phaseHeader}>
               <Text style={styles.phaseName}>{phase.name}</Text>
               <Text style={styles.phaseWeeks}>
-                Weeks {phase.weeks[0]}-{phase.weeks[1]}
+                {t('aiCoaching.weeks', { weeks: phase.weeks[0], weeks1: phase.weeks[1] })}
               </Text>
             </View>
             <Text style={styles.phaseFocus}>{phase.focus}</Text>
             <View style={styles.phaseDetails}>
               <View style={styles.phaseDetailItem}>
-                <Text style={styles.phaseDetailLabel}>Intensity</Text>
+                <Text style={styles.phaseDetailLabel}>{t('aiCoaching.intensity')}</Text>
                 <Text style={styles.phaseDetailValue}>{phase.intensity}</Text>
               </View>
               <View style={styles.phaseDetailItem}>
-                <Text style={styles.phaseDetailLabel}>Volume</Text>
+                <Text style={styles.phaseDetailLabel}>{t('aiCoaching.volume')}</Text>
                 <Text style={styles.phaseDetailValue}>{phase.volume}</Text>
               </View>
               <View style={styles.phaseDetailItem}>
-                <Text style={styles.phaseDetailLabel}>Rest</Text>
+                <Text style={styles.phaseDetailLabel}>{t('aiCoaching.rest')}</Text>
                 <Text style={styles.phaseDetailValue}>{phase.restPeriods}</Text>
               </View>
               <View style={styles.phaseDetailItem}>
-                <Text style={styles.phaseDetailLabel}>RPE</Text>
+                <Text style={styles.phaseDetailLabel}>{t('aiCoaching.rpe')}</Text>
                 <Text style={styles.phaseDetailValue}>{phase.rpe}</Text>
               </View>
             </View>
@@ -357,7 +360,7 @@ function TrainingPlanDisplay({ plan }) {
       <View style={styles.calorieEstimate}>
         <Zap size={16} color={Colors.secondary} />
         <Text style={styles.calorieEstimateText}>
-          Est. {plan.estimatedCaloriesBurnedPerWeek} cal/week burned
+          {t('aiCoaching.estCaloriesPerWeek', { calories: plan.estimatedCaloriesBurnedPerWeek })}
         </Text>
       </View>
     </ReAnimated.View>
@@ -402,6 +405,7 @@ function SupplementCard({ supplement }) {
 // Main Screen
 // ============================================================
 function AICoachingScreenInner() {
+  const { t } = useTranslation();
   const router = useRouter();
   const { profile } = useProfile();
   const { levelInfo, totalXP } = useGamification();
@@ -482,11 +486,11 @@ function AICoachingScreenInner() {
   }, [deloadResult]);
 
   const deloadInsightTitle = useMemo(() => {
-    if (!deloadResult) return 'Evaluating...';
-    if (deloadResult.score >= 70) return 'Deload Recommended';
-    if (deloadResult.score >= 50) return 'Consider a Deload';
-    return 'Keep Training';
-  }, [deloadResult]);
+    if (!deloadResult) return t('aiCoaching.evaluating');
+    if (deloadResult.score >= 70) return t('aiCoaching.deloadRecommended');
+    if (deloadResult.score >= 50) return t('aiCoaching.considerADeload');
+    return t('aiCoaching.keepTraining');
+  }, [deloadResult, t]);
 
   // Current injury area data
   const currentAreaData = useMemo(() => {
@@ -512,7 +516,7 @@ function AICoachingScreenInner() {
           <Pressable style={styles.backButton} onPress={handleBack}>
             <ArrowLeft size={22} color={Colors.text} />
           </Pressable>
-          <Text style={styles.headerTitle}>AI Coach</Text>
+          <Text style={styles.headerTitle}>{t('aiCoaching.aiCoach')}</Text>
           <View style={styles.headerIcon}>
             <Brain size={22} color={Colors.primary} />
           </View>
@@ -526,12 +530,12 @@ function AICoachingScreenInner() {
         >
           <View style={styles.sectionHeader}>
             <Dumbbell size={18} color={Colors.primary} />
-            <Text style={styles.sectionTitle}>Training Plan Generator</Text>
+            <Text style={styles.sectionTitle}>{t('aiCoaching.trainingPlanGenerator')}</Text>
           </View>
 
           <GlassCard style={styles.sectionCard}>
             {/* Experience Level */}
-            <Text style={styles.fieldLabel}>Experience Level</Text>
+            <Text style={styles.fieldLabel}>{t('aiCoaching.experienceLevel')}</Text>
             <PillSelector
               options={EXPERIENCE_LEVELS}
               selected={experienceLevel}
@@ -539,7 +543,7 @@ function AICoachingScreenInner() {
             />
 
             {/* Goal */}
-            <Text style={[styles.fieldLabel, { marginTop: Spacing.md }]}>Goal</Text>
+            <Text style={[styles.fieldLabel, { marginTop: Spacing.md }]}>{t('aiCoaching.goal')}</Text>
             <PillSelector
               options={GOAL_OPTIONS}
               selected={goal}
@@ -569,7 +573,7 @@ function AICoachingScreenInner() {
                 ) : (
                   <>
                     <Target size={18} color="#000" />
-                    <Text style={styles.generateButtonText}>Generate Plan</Text>
+                    <Text style={styles.generateButtonText}>{t('aiCoaching.generatePlan')}</Text>
                   </>
                 )}
               </LinearGradient>
@@ -588,7 +592,7 @@ function AICoachingScreenInner() {
         >
           <View style={[styles.sectionHeader, { marginTop: Spacing.xl }]}>
             <Shield size={18} color={Colors.warning} />
-            <Text style={styles.sectionTitle}>Deload Assessment</Text>
+            <Text style={styles.sectionTitle}>{t('aiCoaching.deloadAssessment')}</Text>
           </View>
 
           <GlassCard style={styles.sectionCard}>
@@ -597,7 +601,7 @@ function AICoachingScreenInner() {
                 <View style={styles.deloadRingRow}>
                   <AnimatedProgressRing score={deloadResult.score} />
                   <View style={styles.deloadInfo}>
-                    <Text style={styles.deloadScoreLabel}>Fatigue Score</Text>
+                    <Text style={styles.deloadScoreLabel}>{t('aiCoaching.fatigueScore')}</Text>
                     <Text
                       style={[
                         styles.deloadUrgency,
@@ -633,7 +637,7 @@ function AICoachingScreenInner() {
             ) : (
               <View style={styles.loadingSection}>
                 <ActivityIndicator size="small" color={Colors.primary} />
-                <Text style={styles.loadingText}>Evaluating...</Text>
+                <Text style={styles.loadingText}>{t('aiCoaching.evaluating')}</Text>
               </View>
             )}
           </GlassCard>
@@ -647,17 +651,17 @@ function AICoachingScreenInner() {
         >
           <View style={[styles.sectionHeader, { marginTop: Spacing.xl }]}>
             <Shield size={18} color={Colors.success} />
-            <Text style={styles.sectionTitle}>Injury Prevention</Text>
+            <Text style={styles.sectionTitle}>{t('aiCoaching.injuryPrevention')}</Text>
           </View>
 
           {/* Body Area Selector */}
           <PillSelector
-            options={BODY_AREAS.map((a) => a.label)}
-            selected={
-              BODY_AREAS.find((a) => a.key === selectedBodyArea)?.label || 'Shoulder'
-            }
+            options={BODY_AREAS.map((a) => t(a.labelKey))}
+            selected={t(
+              BODY_AREAS.find((a) => a.key === selectedBodyArea)?.labelKey || 'aiCoaching.shoulder'
+            )}
             onSelect={(label) => {
-              const area = BODY_AREAS.find((a) => a.label === label);
+              const area = BODY_AREAS.find((a) => t(a.labelKey) === label);
               if (area) setSelectedBodyArea(area.key);
             }}
             style={{ marginBottom: Spacing.md }}
@@ -667,7 +671,7 @@ function AICoachingScreenInner() {
             {currentAreaData ? (
               <>
                 {/* Risk Factors */}
-                <Text style={styles.injurySubheading}>Risk Factors</Text>
+                <Text style={styles.injurySubheading}>{t('aiCoaching.riskFactors')}</Text>
                 {currentAreaData.riskFactors.map((factor, idx) => (
                   <View key={idx} style={styles.injuryFactorRow}>
                     <View
@@ -684,13 +688,13 @@ function AICoachingScreenInner() {
                 <View style={styles.warmUpBanner}>
                   <Zap size={14} color={Colors.primary} />
                   <Text style={styles.warmUpText}>
-                    Warm-Up Focus: {currentAreaData.warmUpFocus}
+                    {t('aiCoaching.warmUpFocus', { warmUpFocus: currentAreaData.warmUpFocus })}
                   </Text>
                 </View>
 
                 {/* Preventive Exercises */}
                 <Text style={[styles.injurySubheading, { marginTop: Spacing.md }]}>
-                  Mobility & Stretches
+                  {t('aiCoaching.mobilityStretches')}
                 </Text>
                 {currentAreaData.preventiveExercises.map((exercise, idx) => (
                   <ReAnimated.View
@@ -710,11 +714,10 @@ function AICoachingScreenInner() {
                       <View style={styles.exerciseContent}>
                         <Text style={styles.exerciseName}>{exercise}</Text>
                         <Text style={styles.exerciseDuration}>
-                          30-60 seconds hold / 10-15 reps
+                          {t('aiCoaching.n3060SecondsHold')}
                         </Text>
                         <Text style={styles.exerciseDesc}>
-                          Perform with controlled movement. Focus on breathing and
-                          maintaining proper form throughout.
+                          {t('aiCoaching.performWithControlledMovement')}
                         </Text>
                       </View>
                     </LinearGradient>
@@ -726,7 +729,7 @@ function AICoachingScreenInner() {
                   currentAreaData.exercises_to_modify.length > 0 && (
                     <InsightCard
                       type="warning"
-                      title="Modify With Caution"
+                      title={t('aiCoaching.modifyWithCaution')}
                       body={`Consider modifying: ${currentAreaData.exercises_to_modify.join(
                         ', '
                       )}. Use lighter weight and full range of motion.`}
@@ -735,7 +738,7 @@ function AICoachingScreenInner() {
               </>
             ) : (
               <Text style={styles.emptyText}>
-                Select a body area to see prevention exercises.
+                {t('aiCoaching.selectABodyArea')}
               </Text>
             )}
           </GlassCard>
@@ -747,7 +750,7 @@ function AICoachingScreenInner() {
             >
               <InsightCard
                 type="tip"
-                title="General Injury Prevention"
+                title={t('aiCoaching.generalInjuryPrevention')}
                 body={injuryPlan.generalTips.slice(0, 4).join(' | ')}
               />
             </ReAnimated.View>
@@ -762,7 +765,7 @@ function AICoachingScreenInner() {
         >
           <View style={[styles.sectionHeader, { marginTop: Spacing.xl }]}>
             <TrendingUp size={18} color={Colors.secondary} />
-            <Text style={styles.sectionTitle}>Plateau Breakers</Text>
+            <Text style={styles.sectionTitle}>{t('aiCoaching.plateauBreakers')}</Text>
           </View>
 
           {/* Category Tabs */}
@@ -784,8 +787,8 @@ function AICoachingScreenInner() {
               <InsightCard
                 type="tip"
                 title={strategy.name}
-                body={`${strategy.description}\n\nHow to implement: ${strategy.implementation}`}
-                actionLabel="Try This"
+                body={`${strategy.description}\n\n${t('aiCoaching.howToImplement', { implementation: strategy.implementation })}`}
+                actionLabel={t('aiCoaching.tryThis')}
                 onAction={async () => {
                   await hapticSuccess();
                 }}
@@ -802,7 +805,7 @@ function AICoachingScreenInner() {
         >
           <View style={[styles.sectionHeader, { marginTop: Spacing.xl }]}>
             <Pill size={18} color={Colors.accentPurple} />
-            <Text style={styles.sectionTitle}>Supplement Guide</Text>
+            <Text style={styles.sectionTitle}>{t('aiCoaching.supplementGuide')}</Text>
           </View>
 
           <View style={styles.supplementGrid}>
@@ -822,18 +825,18 @@ function AICoachingScreenInner() {
 
           {/* Evidence Grade Legend */}
           <LinearGradient colors={Gradients.card} style={styles.legendCard}>
-            <Text style={styles.legendTitle}>Evidence Grades</Text>
+            <Text style={styles.legendTitle}>{t('aiCoaching.evidenceGrades')}</Text>
             <View style={styles.legendRow}>
               <View style={[styles.legendDot, { backgroundColor: Colors.success }]} />
-              <Text style={styles.legendText}>A / A+ - Strong clinical evidence</Text>
+              <Text style={styles.legendText}>{t('aiCoaching.aAStrongClinical')}</Text>
             </View>
             <View style={styles.legendRow}>
               <View style={[styles.legendDot, { backgroundColor: Colors.warning }]} />
-              <Text style={styles.legendText}>B / B+ - Moderate evidence</Text>
+              <Text style={styles.legendText}>{t('aiCoaching.bBModerateEvidence')}</Text>
             </View>
             <View style={styles.legendRow}>
               <View style={[styles.legendDot, { backgroundColor: '#FF8C42' }]} />
-              <Text style={styles.legendText}>C - Limited or emerging evidence</Text>
+              <Text style={styles.legendText}>{t('aiCoaching.cLimitedOrEmerging')}</Text>
             </View>
           </LinearGradient>
         </ReAnimated.View>
@@ -31,6 +31,7 @@ import {
   Activity,
   Zap,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import {
   Colors,
@@ -43,11 +44,12 @@ import {
 } from '../constants/theme';
 import { hapticLight, hapticSuccess, hapticWarning } from '../lib/haptics';
 import useAllergens, { COMMON_ALLERGENS } from '../hooks/useAllergens';
+import { formatDate as formatLocaleDate } from '../lib/formatters';
 
 const SEVERITY_OPTIONS = [
-  { value: 'mild', label: 'Mild', color: Colors.warning, bg: 'rgba(255, 179, 0, 0.15)' },
-  { value: 'moderate', label: 'Moderate', color: Colors.secondary, bg: 'rgba(255, 107, 53, 0.15)' },
-  { value: 'severe', label: 'Severe', color: Colors.error, bg: 'rgba(255, 82, 82, 0.15)' },
+  { value: 'mild', labelKey: 'allergens.mild', color: Colors.warning, bg: 'rgba(255, 179, 0, 0.15)' },
+  { value: 'moderate', labelKey: 'allergens.moderate', color: Colors.secondary, bg: 'rgba(255, 107, 53, 0.15)' },
+  { value: 'severe', labelKey: 'allergens.severe', color: Colors.error, bg: 'rgba(255, 82, 82, 0.15)' },
 ];
 
 const SYMPTOM_OPTIONS = [
@@ -73,16 +75,16 @@ function getReactionSeverityColor(level) {
   return Colors.textSecondary;
 }
 
-function formatDate(dateStr) {
+function formatDate(t, dateStr) {
   const d = new Date(dateStr);
   const now = new Date();
   const diffMs = now - d;
   const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
 
-  if (diffDays === 0) return 'Today';
-  if (diffDays === 1) return 'Yesterday';
-  if (diffDays < 7) return `${diffDays} days ago`;
-  return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  if (diffDays === 0) return t('common.today');
+  if (diffDays === 1) return t('common.yesterday');
+  if (diffDays < 7) return t('time.daysAgo', { count: diffDays });
+  return formatLocaleDate(d, { month: 'short', day: 'numeric', year: 'numeric' });
 }
 
 function getHourFromDate(dateStr) {
@@ -92,16 +94,17 @@ function getHourFromDate(dateStr) {
 
 // Allergen Card Component
 function AllergenCard({ allergen, onRemove, index }) {
+  const { t } = useTranslation();
   const config = getSeverityConfig(allergen.severity);
 
   const handleRemove = async () => {
     await hapticWarning();
     Alert.alert(
-      'Remove Allergen',
-      `Remove "${allergen.name}" from your allergens?`,
+      t('allergens.removeAllergen'),
+      t('allergens.removeFromYourAllergens', { name: allergen.name }),
       [
-        { text: 'Cancel', style: 'cancel' },
-        { text: 'Remove', style: 'destructive', onPress: () => onRemove(allergen.id) },
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: t('common.remove'), style: 'destructive', onPress: () => onRemove(allergen.id) },
       ]
     );
   };
@@ -117,7 +120,7 @@ function AllergenCard({ allergen, onRemove, index }) {
           <Text style={styles.allergenName}>{allergen.name}</Text>
           <View style={[styles.severityBadge, { backgroundColor: config.color + '20' }]}>
             <Text style={[styles.severityBadgeText, { color: config.color }]}>
-              {config.label}
+              {t(config.labelKey)}
             </Text>
           </View>
           {allergen.notes ? (
@@ -134,6 +137,7 @@ function AllergenCard({ allergen, onRemove, index }) {
 
 // Reaction History Card
 function ReactionCard({ reaction, index }) {
+  const { t } = useTranslation();
   const [expanded, setExpanded] = useState(false);
   const severityColor = getReactionSeverityColor(reaction.severity);
 
@@ -149,7 +153,7 @@ function ReactionCard({ reaction, index }) {
               <View style={[styles.reactionSeverityDot, { backgroundColor: severityColor }]} />
               <View>
                 <Text style={styles.reactionAllergen}>{reaction.allergen}</Text>
-                <Text style={styles.reactionDate}>{formatDate(reaction.date)}</Text>
+                <Text style={styles.reactionDate}>{formatDate(t, reaction.date)}</Text>
               </View>
             </View>
             <View style={styles.reactionHeaderRight}>
@@ -167,14 +171,14 @@ function ReactionCard({ reaction, index }) {
           </View>
 
           {reaction.food ? (
-            <Text style={styles.reactionFood}>Triggered by: {reaction.food}</Text>
+            <Text style={styles.reactionFood}>{t('allergens.triggeredBy', { food: reaction.food })}</Text>
           ) : null}
 
           {expanded && (
             <View style={styles.reactionDetails}>
               {reaction.symptoms && reaction.symptoms.length > 0 && (
                 <View style={styles.symptomsContainer}>
-                  <Text style={styles.reactionDetailLabel}>Symptoms</Text>
+                  <Text style={styles.reactionDetailLabel}>{t('allergens.symptoms')}</Text>
                   <View style={styles.symptomTags}>
                     {reaction.symptoms.map((s, i) => (
                       <View key={i} style={styles.symptomTag}>
@@ -186,7 +190,7 @@ function ReactionCard({ reaction, index }) {
               )}
               {reaction.notes ? (
                 <View style={styles.reactionNotesContainer}>
-                  <Text style={styles.reactionDetailLabel}>Notes</Text>
+                  <Text style={styles.reactionDetailLabel}>{t('allergens.notes')}</Text>
                   <Text style={styles.reactionNotesText}>{reaction.notes}</Text>
                 </View>
               ) : null}
@@ -200,6 +204,7 @@ function ReactionCard({ reaction, index }) {
 
 // Insights Card Component
 function InsightsCard({ reactions, allergens }) {
+  const { t } = useTranslation();
   const insights = useMemo(() => {
     if (reactions.length === 0) return null;
 
@@ -246,7 +251,7 @@ function InsightsCard({ reactions, allergens }) {
   if (!insights) return null;
 
   const trendColor = insights.trend === 'improving' ? Colors.success : insights.trend === 'worsening' ? Colors.error : Colors.warning;
-  const trendLabel = insights.trend === 'improving' ? 'Improving' : insights.trend === 'worsening' ? 'Worsening' : 'Stable';
+  const trendLabel = insights.trend === 'improving' ? t('allergens.improving') : insights.trend === 'worsening' ? t('allergens.worsening') : t('allergens.stable');
 
   return (
     <ReAnimated.View entering={FadeInDown.delay(200).springify().mass(0.5).damping(10)}>
@@ -256,40 +261,40 @@ function InsightsCard({ reactions, allergens }) {
       >
         <View style={styles.insightsHeader}>
           <Zap size={18} color={Colors.primary} />
-          <Text style={styles.insightsTitle}>Insights</Text>
+          <Text style={styles.insightsTitle}>{t('allergens.insights')}</Text>
           <View style={styles.insightsCountBadge}>
-            <Text style={styles.insightsCountText}>{insights.totalReactions} reactions</Text>
+            <Text style={styles.insightsCountText}>{t('allergens.reactions', { totalReactions: insights.totalReactions })}</Text>
           </View>
         </View>
 
         <View style={styles.insightsGrid}>
           {insights.topTrigger && (
             <View style={styles.insightItem}>
-              <Text style={styles.insightLabel}>Top Trigger</Text>
+              <Text style={styles.insightLabel}>{t('allergens.topTrigger')}</Text>
               <Text style={styles.insightValue}>{insights.topTrigger.name}</Text>
-              <Text style={styles.insightSub}>{insights.topTrigger.count} reactions</Text>
+              <Text style={styles.insightSub}>{t('allergens.reactions2', { count: insights.topTrigger.count })}</Text>
             </View>
           )}
 
           {insights.topTime && (
             <View style={styles.insightItem}>
-              <Text style={styles.insightLabel}>Most Reactive</Text>
+              <Text style={styles.insightLabel}>{t('allergens.mostReactive')}</Text>
               <Text style={styles.insightValue}>
                 {insights.topTime.period.charAt(0).toUpperCase() + insights.topTime.period.slice(1)}
               </Text>
-              <Text style={styles.insightSub}>{insights.topTime.count} incidents</Text>
+              <Text style={styles.insightSub}>{t('allergens.incidents', { count: insights.topTime.count })}</Text>
             </View>
           )}
 
           <View style={styles.insightItem}>
-            <Text style={styles.insightLabel}>Avg. Severity</Text>
+            <Text style={styles.insightLabel}>{t('allergens.avgSeverity')}</Text>
             <Text style={[styles.insightValue, { color: getReactionSeverityColor(Math.round(parseFloat(insights.avgSeverity))) }]}>
               {insights.avgSeverity}/5
             </Text>
           </View>
 
           <View style={styles.insightItem}>
-            <Text style={styles.insightLabel}>Trend</Text>
+            <Text style={styles.insightLabel}>{t('allergens.trend')}</Text>
             <Text style={[styles.insightValue, { color: trendColor }]}>{trendLabel}</Text>
           </View>
         </View>
@@ -300,6 +305,7 @@ function InsightsCard({ reactions, allergens }) {
 
 // Add Allergen Modal
 function AddAllergenModal({ visible, onClose, onSave, existingNames }) {
+  const { t } = useTranslation();
   const [selectedCommon, setSelectedCommon] = useState(null);
   const [customName, setCustomName] = useState('');
   const [severity, setSeverity] = useState('mild');
@@ -324,11 +330,11 @@ function AddAllergenModal({ visible, onClose, onSave, existingNames }) {
   const handleSave = async () => {
     const name = showCustom ? customName.trim() : selectedCommon?.name;
     if (!name) {
-      Alert.alert('Missing Name', 'Please select or enter an allergen name.');
+      Alert.alert(t('allergens.missingName'), t('allergens.pleaseSelectOrEnter'));
       return;
     }
     if (existingNames.map((n) => n.toLowerCase()).includes(name.toLowerCase())) {
-      Alert.alert('Already Added', 'This allergen is already in your list.');
+      Alert.alert(t('allergens.alreadyAdded'), t('allergens.thisAllergenIsAlready'));
       return;
     }
     await hapticSuccess();
@@ -361,7 +367,7 @@ function AddAllergenModal({ visible, onClose, onSave, existingNames }) {
             >
               {/* Modal Header */}
               <View style={styles.modalHeader}>
-                <Text style={styles.modalTitle}>Add Allergen</Text>
+                <Text style={styles.modalTitle}>{t('allergens.addAllergen')}</Text>
                 <Pressable onPress={onClose} style={styles.modalCloseButton}>
                   <X size={22} color={Colors.textSecondary} />
                 </Pressable>
@@ -380,7 +386,7 @@ function AddAllergenModal({ visible, onClose, onSave, existingNames }) {
                     onPress={() => { hapticLight(); setShowCustom(false); }}
                   >
                     <Text style={[styles.toggleButtonText, !showCustom && styles.toggleButtonTextActive]}>
-                      Common
+                      {t('allergens.common')}
                     </Text>
                   </Pressable>
                   <Pressable
@@ -388,7 +394,7 @@ function AddAllergenModal({ visible, onClose, onSave, existingNames }) {
                     onPress={() => { hapticLight(); setShowCustom(true); }}
                   >
                     <Text style={[styles.toggleButtonText, showCustom && styles.toggleButtonTextActive]}>
-                      Custom
+                      {t('allergens.custom')}
                     </Text>
                   </Pressable>
                 </View>
@@ -396,7 +402,7 @@ function AddAllergenModal({ visible, onClose, onSave, existingNames }) {
                 {/* Common Allergens Grid */}
                 {!showCustom && (
                   <>
-                    <Text style={styles.fieldLabel}>Select Allergen</Text>
+                    <Text style={styles.fieldLabel}>{t('allergens.selectAllergen')}</Text>
                     <View style={styles.allergenGrid}>
                       {availableAllergens.map((item) => (
                         <Pressable
@@ -423,7 +429,7 @@ function AddAllergenModal({ visible, onClose, onSave, existingNames }) {
                         </Pressable>
                       ))}
                       {availableAllergens.length === 0 && (
-                        <Text style={styles.noMoreText}>All common allergens have been added.</Text>
+                        <Text style={styles.noMoreText}>{t('allergens.allCommonAllergensHave')}</Text>
                       )}
                     </View>
                   </>
@@ -432,13 +438,13 @@ function AddAllergenModal({ visible, onClose, onSave, existingNames }) {
                 {/* Custom Name Input */}
                 {showCustom && (
                   <>
-                    <Text style={styles.fieldLabel}>Allergen Name</Text>
+                    <Text style={styles.fieldLabel}>{t('allergens.allergenName')}</Text>
                     <View style={styles.textInputContainer}>
                       <TextInput
                         style={styles.textInput}
                         value={customName}
                         onChangeText={setCustomName}
-                        placeholder="e.g. Mustard, Celery..."
+                        placeholder={t('allergens.eGMustardCelery')}
                         placeholderTextColor={Colors.textTertiary}
                         maxLength={40}
                       />
@@ -447,7 +453,7 @@ function AddAllergenModal({ visible, onClose, onSave, existingNames }) {
                 )}
 
                 {/* Severity Selector */}
-                <Text style={styles.fieldLabel}>Severity</Text>
+                <Text style={styles.fieldLabel}>{t('allergens.severity')}</Text>
                 <View style={styles.severityRow}>
                   {SEVERITY_OPTIONS.map((opt) => (
                     <Pressable
@@ -468,20 +474,20 @@ function AddAllergenModal({ visible, onClose, onSave, existingNames }) {
                           severity === opt.value && { color: opt.color },
                         ]}
                       >
-                        {opt.label}
+                        {t(opt.labelKey)}
                       </Text>
                     </Pressable>
                   ))}
                 </View>
 
                 {/* Notes */}
-                <Text style={styles.fieldLabel}>Notes (optional)</Text>
+                <Text style={styles.fieldLabel}>{t('allergens.notesOptional')}</Text>
                 <View style={styles.textInputContainer}>
                   <TextInput
                     style={[styles.textInput, { minHeight: 60, textAlignVertical: 'top' }]}
                     value={notes}
                     onChangeText={setNotes}
-                    placeholder="Any additional details..."
+                    placeholder={t('allergens.anyAdditionalDetails')}
                     placeholderTextColor={Colors.textTertiary}
                     multiline
                     maxLength={200}
@@ -498,7 +504,7 @@ function AddAllergenModal({ visible, onClose, onSave, existingNames }) {
                   style={styles.saveButtonGradient}
                 >
                   <ShieldAlert size={20} color={Colors.text} />
-                  <Text style={styles.saveButtonText}>Add Allergen</Text>
+                  <Text style={styles.saveButtonText}>{t('allergens.addAllergen')}</Text>
                 </LinearGradient>
               </Pressable>
             </LinearGradient>
@@ -511,6 +517,7 @@ function AddAllergenModal({ visible, onClose, onSave, existingNames }) {
 
 // Log Reaction Modal
 function LogReactionModal({ visible, onClose, onSave, allergenNames }) {
+  const { t } = useTranslation();
   const [selectedAllergen, setSelectedAllergen] = useState('');
   const [food, setFood] = useState('');
   const [symptoms, setSymptoms] = useState([]);
@@ -538,11 +545,11 @@ function LogReactionModal({ visible, onClose, onSave, allergenNames }) {
 
   const handleSave = async () => {
     if (!selectedAllergen) {
-      Alert.alert('Missing Allergen', 'Please select which allergen triggered the reaction.');
+      Alert.alert(t('allergens.missingAllergen'), t('allergens.pleaseSelectWhichAllergen'));
       return;
     }
     if (symptoms.length === 0) {
-      Alert.alert('Missing Symptoms', 'Please select at least one symptom.');
+      Alert.alert(t('allergens.missingSymptoms'), t('allergens.pleaseSelectAtLeast'));
       return;
     }
     await hapticSuccess();
@@ -576,7 +583,7 @@ function LogReactionModal({ visible, onClose, onSave, allergenNames }) {
             >
               {/* Header */}
               <View style={styles.modalHeader}>
-                <Text style={styles.modalTitle}>Log Reaction</Text>
+                <Text style={styles.modalTitle}>{t('allergens.logReaction')}</Text>
                 <Pressable onPress={onClose} style={styles.modalCloseButton}>
                   <X size={22} color={Colors.textSecondary} />
                 </Pressable>
@@ -589,13 +596,13 @@ function LogReactionModal({ visible, onClose, onSave, allergenNames }) {
                 keyboardShouldPersistTaps="handled"
               >
                 {/* Allergen Picker */}
-                <Text style={styles.fieldLabel}>Allergen</Text>
+                <Text style={styles.fieldLabel}>{t('allergens.allergen')}</Text>
                 <Pressable
                   style={styles.pickerButton}
                   onPress={() => setShowAllergenPicker(!showAllergenPicker)}
                 >
                   <Text style={styles.pickerButtonText}>
-                    {selectedAllergen || 'Select allergen...'}
+                    {selectedAllergen || t('allergens.selectAllergen2')}
                   </Text>
                   <ChevronDown
                     size={16}
@@ -633,20 +640,20 @@ function LogReactionModal({ visible, onClose, onSave, allergenNames }) {
                 )}
 
                 {/* Food Input */}
-                <Text style={styles.fieldLabel}>Food that triggered it</Text>
+                <Text style={styles.fieldLabel}>{t('allergens.foodThatTriggeredIt')}</Text>
                 <View style={styles.textInputContainer}>
                   <TextInput
                     style={styles.textInput}
                     value={food}
                     onChangeText={setFood}
-                    placeholder="e.g. Caesar salad, pizza..."
+                    placeholder={t('allergens.eGCaesarSalad')}
                     placeholderTextColor={Colors.textTertiary}
                     maxLength={100}
                   />
                 </View>
 
                 {/* Symptoms */}
-                <Text style={styles.fieldLabel}>Symptoms</Text>
+                <Text style={styles.fieldLabel}>{t('allergens.symptoms')}</Text>
                 <View style={styles.symptomGrid}>
                   {SYMPTOM_OPTIONS.map((symptom) => (
                     <Pressable
@@ -673,7 +680,7 @@ function LogReactionModal({ visible, onClose, onSave, allergenNames }) {
                 </View>
 
                 {/* Severity Scale 1-5 */}
-                <Text style={styles.fieldLabel}>Severity (1-5)</Text>
+                <Text style={styles.fieldLabel}>{t('allergens.severity15')}</Text>
                 <View style={styles.severityScaleRow}>
                   {[1, 2, 3, 4, 5].map((level) => (
                     <Pressable
@@ -702,18 +709,18 @@ function LogReactionModal({ visible, onClose, onSave, allergenNames }) {
                   ))}
                 </View>
                 <View style={styles.severityLabels}>
-                  <Text style={styles.severityLabelText}>Mild</Text>
-                  <Text style={styles.severityLabelText}>Severe</Text>
+                  <Text style={styles.severityLabelText}>{t('allergens.mild')}</Text>
+                  <Text style={styles.severityLabelText}>{t('allergens.severe')}</Text>
                 </View>
 
                 {/* Notes */}
-                <Text style={styles.fieldLabel}>Notes (optional)</Text>
+                <Text style={styles.fieldLabel}>{t('allergens.notesOptional')}</Text>
                 <View style={styles.textInputContainer}>
                   <TextInput
                     style={[styles.textInput, { minHeight: 60, textAlignVertical: 'top' }]}
                     value={notes}
                     onChangeText={setNotes}
-                    placeholder="How long did it last? What helped?"
+                    placeholder={t('allergens.howLongDidIt')}
                     placeholderTextColor={Colors.textTertiary}
                     multiline
                     maxLength={300}
@@ -730,7 +737,7 @@ function LogReactionModal({ visible, onClose, onSave, allergenNames }) {
                   style={styles.saveButtonGradient}
                 >
                   <AlertTriangle size={20} color={Colors.background} />
-                  <Text style={[styles.saveButtonText, { color: Colors.background }]}>Log Reaction</Text>
+                  <Text style={[styles.saveButtonText, { color: Colors.background }]}>{t('allergens.logReaction')}</Text>
                 </LinearGradient>
               </Pressable>
             </LinearGradient>
@@ -743,6 +750,7 @@ function LogReactionModal({ visible, onClose, onSave, allergenNames }) {
 
 // Main Allergens Screen
 export default function AllergensScreen() {
+  const { t } = useTranslation();
   const {
     allergens,
     reactions,
@@ -786,7 +794,7 @@ export default function AllergensScreen() {
       <ScreenWrapper>
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color={Colors.primary} />
-          <Text style={styles.loadingText}>Loading allergens...</Text>
+          <Text style={styles.loadingText}>{t('allergens.loadingAllergens')}</Text>
         </View>
       </ScreenWrapper>
     );
@@ -814,21 +822,21 @@ export default function AllergensScreen() {
             <ArrowLeft size={22} color={Colors.text} />
           </Pressable>
           <ShieldAlert size={22} color="#FF6B9D" />
-          <Text style={styles.title}>Allergens</Text>
+          <Text style={styles.title}>{t('allergens.allergens')}</Text>
         </ReAnimated.View>
 
         {/* My Allergens Section */}
         <ReAnimated.View entering={FadeInDown.delay(80).springify().mass(0.5).damping(10)}>
-          <Text style={styles.sectionTitle}>My Allergens</Text>
+          <Text style={styles.sectionTitle}>{t('allergens.myAllergens')}</Text>
         </ReAnimated.View>
 
         {allergens.length === 0 ? (
           <ReAnimated.View entering={FadeInDown.delay(120).springify().mass(0.5).damping(10)}>
             <View style={styles.emptyState}>
               <Text style={styles.emptyEmoji}>{'\uD83D\uDEE1\uFE0F'}</Text>
-              <Text style={styles.emptyTitle}>No Allergens Added</Text>
+              <Text style={styles.emptyTitle}>{t('allergens.noAllergensAdded')}</Text>
               <Text style={styles.emptySubtitle}>
-                Add your food allergens and sensitivities to track reactions and stay safe
+                {t('allergens.addYourFoodAllergens')}
               </Text>
             </View>
           </ReAnimated.View>
@@ -863,7 +871,7 @@ export default function AllergensScreen() {
               <View style={styles.addButtonIcon}>
                 <Plus size={20} color="#FF6B9D" />
               </View>
-              <Text style={[styles.addButtonText, { color: '#FF6B9D' }]}>Add Allergen</Text>
+              <Text style={[styles.addButtonText, { color: '#FF6B9D' }]}>{t('allergens.addAllergen')}</Text>
             </LinearGradient>
           </Pressable>
         </ReAnimated.View>
@@ -877,14 +885,14 @@ export default function AllergensScreen() {
         <ReAnimated.View
           entering={FadeInDown.delay(300).springify().mass(0.5).damping(10)}
         >
-          <Text style={[styles.sectionTitle, { marginTop: Spacing.lg }]}>Log a Reaction</Text>
+          <Text style={[styles.sectionTitle, { marginTop: Spacing.lg }]}>{t('allergens.logAReaction')}</Text>
           <Pressable
             style={[styles.addButton, { borderColor: Colors.secondary + '30' }]}
             onPress={async () => {
               if (allergens.length === 0) {
                 Alert.alert(
-                  'No Allergens',
-                  'Add at least one allergen before logging a reaction.'
+                  t('allergens.noAllergens'),
+                  t('allergens.addAtLeastOne')
                 );
                 return;
               }
@@ -900,7 +908,7 @@ export default function AllergensScreen() {
                 <AlertTriangle size={18} color={Colors.secondary} />
               </View>
               <Text style={[styles.addButtonText, { color: Colors.secondary }]}>
-                Log New Reaction
+                {t('allergens.logNewReaction')}
               </Text>
             </LinearGradient>
           </Pressable>
@@ -912,7 +920,7 @@ export default function AllergensScreen() {
             entering={FadeInDown.delay(400).springify().mass(0.5).damping(10)}
           >
             <Text style={[styles.sectionTitle, { marginTop: Spacing.lg }]}>
-              Reaction History
+              {t('allergens.reactionHistory')}
             </Text>
           </ReAnimated.View>
         )}
@@ -929,7 +937,7 @@ export default function AllergensScreen() {
           <ReAnimated.View entering={FadeInDown.delay(450).springify().mass(0.5).damping(10)}>
             <View style={styles.emptyReactionsState}>
               <Text style={styles.emptyReactionsText}>
-                No reactions logged yet. Tap "Log New Reaction" when you experience one.
+                {t('allergens.noReactionsLoggedYet')}
               </Text>
             </View>
           </ReAnimated.View>
@@ -23,6 +23,7 @@ import { supabase } from '../lib/supabase';
 import { PASSWORD_RESET_REDIRECT_URL } from '../lib/authRedirect';
 import { Colors, Gradients, Spacing, FontSize, FontWeight } from '../constants/theme';
 import { SafeAreaView } from 'react-native-safe-area-context';
+import { useTranslation } from 'react-i18next';
 
 WebBrowser.maybeCompleteAuthSession();
 
@@ -125,6 +126,7 @@ function NeonButton({ onPress, loading, disabled, label, testID }) {
 }
 
 export default function AuthScreen() {
+  const { t } = useTranslation();
   const [isSignUp, setIsSignUp] = useState(false);
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
@@ -207,8 +209,8 @@ export default function AuthScreen() {
       lockoutUntil.current = now + LOCKOUT_DURATION_MS;
       attemptCount.current = 0;
       Alert.alert(
-        'Too Many Attempts',
-        'Please wait 1 minute before trying again.'
+        t('auth.tooManyAttemptsTitle'),
+        t('auth.waitOneMinute')
       );
     }
 
@@ -222,7 +224,7 @@ export default function AuthScreen() {
         setCooldownRemaining(0);
       }
     }, RATE_LIMIT_COOLDOWN_MS);
-  }, []);
+  }, [t]);
 
   // Google OAuth via web browser (PKCE flow)
   const performGoogleOAuth = async () => {
@@ -283,8 +285,8 @@ export default function AuthScreen() {
     } catch (error) {
       if (__DEV__) console.error('Google OAuth Error:', error);
       Alert.alert(
-        'Google Sign In Failed',
-        error?.message || 'Unable to complete Google sign in. Please try again.',
+        t('auth.googleFailed'),
+        error?.message || t('auth.googleFailedMessage'),
       );
     }
   };
@@ -315,8 +317,8 @@ export default function AuthScreen() {
       }
       if (__DEV__) console.error('Apple Sign-In Error:', error);
       Alert.alert(
-        'Apple Sign In Failed',
-        error?.message || 'Unable to complete Apple sign in. Please try again.',
+        t('auth.appleFailed'),
+        error?.message || t('auth.appleFailedMessage'),
       );
     }
   };
@@ -324,13 +326,13 @@ export default function AuthScreen() {
   // Handle forgot password
   const handleResetPassword = async () => {
     if (!email || !email.trim()) {
-      Alert.alert('Email Required', 'Please enter your email address first.');
+      Alert.alert(t('auth.emailRequired'), t('auth.emailRequiredFirst'));
       return;
     }
 
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     if (!emailRegex.test(email.trim())) {
-      Alert.alert('Invalid Email', 'Please enter a valid email address.');
+      Alert.alert(t('auth.invalidEmail'), t('auth.invalidEmailMessage'));
       return;
     }
 
@@ -348,11 +350,11 @@ export default function AuthScreen() {
       await new Promise(r => setTimeout(r, 500 + Math.random() * 500));
       // Always show the same message whether email exists or not
       Alert.alert(
-        'Check Your Email',
-        'We sent you a password reset link. Please check your inbox.'
+        t('auth.checkYourEmailTitle'),
+        t('auth.resetEmailSent')
       );
     } catch (_error) {
-      Alert.alert('Error', 'Failed to send reset email. Please try again.');
+      Alert.alert(t('common.errorTitle'), t('auth.resetEmailFailed'));
     } finally {
       setLoading(false);
     }
@@ -365,19 +367,19 @@ export default function AuthScreen() {
     }
 
     if (!email || !password) {
-      Alert.alert('Error', 'Please fill in all fields');
+      Alert.alert(t('common.errorTitle'), t('auth.fillAllFields'));
       return;
     }
 
     // Basic email validation
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     if (!emailRegex.test(email.trim())) {
-      Alert.alert('Error', 'Please enter a valid email address');
+      Alert.alert(t('common.errorTitle'), t('auth.invalidEmailMessage'));
       return;
     }
 
     if (password.length < 8) {
-      Alert.alert('Error', 'Password must be at least 8 characters');
+      Alert.alert(t('common.errorTitle'), t('auth.passwordTooShort'));
       return;
     }
 
@@ -386,7 +388,7 @@ export default function AuthScreen() {
       const hasLower = /[a-z]/.test(password);
       const hasNumber = /[0-9]/.test(password);
       if (!hasUpper || !hasLower || !hasNumber) {
-        Alert.alert('Weak Password', 'Password must contain at least one uppercase letter, one lowercase letter, and one number.');
+        Alert.alert(t('auth.weakPassword'), t('auth.passwordTooWeak'));
         return;
       }
     }
@@ -400,12 +402,12 @@ export default function AuthScreen() {
         const { error } = await signUp(email.trim().toLowerCase(), password);
         if (error) {
           // Generic message to prevent account enumeration
-          Alert.alert('Sign Up Failed', 'Unable to create account. Please check your details and try again.');
+          Alert.alert(t('auth.signUpFailed'), t('auth.signUpFailedMessage'));
           if (__DEV__) console.error('[Auth] Sign up error:', error.message);
         } else {
           Alert.alert(
-            'Check Your Email',
-            'We sent you a confirmation link. Please verify your email to continue.'
+            t('auth.checkYourEmailTitle'),
+            t('auth.confirmEmailSent')
           );
           // Reset attempt count on successful signup request
           attemptCount.current = 0;
@@ -414,7 +416,7 @@ export default function AuthScreen() {
         const { error } = await signIn(email.trim().toLowerCase(), password);
         if (error) {
           // Generic message — never reveal whether email exists or password is wrong
-          Alert.alert('Sign In Failed', 'Invalid email or password. Please try again.');
+          Alert.alert(t('auth.signInFailed'), t('auth.signInFailedMessage'));
           if (__DEV__) console.error('[Auth] Sign in error:', error.message);
         } else {
           // Reset attempt count on successful login
@@ -422,17 +424,17 @@ export default function AuthScreen() {
         }
       }
     } catch (_error) {
-      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+      Alert.alert(t('common.errorTitle'), t('auth.unexpectedError'));
     }
 
     setLoading(false);
   };
 
   const buttonLabel = isRateLimited
-    ? `Wait ${cooldownRemaining}s...`
+    ? t('auth.waitSeconds', { seconds: cooldownRemaining })
     : isSignUp
-      ? 'Create Account'
-      : 'Sign In';
+      ? t('auth.createAccount')
+      : t('auth.signIn');
 
   return (
     <Pressable style={styles.root} onPress={Keyboard.dismiss}>
@@ -452,7 +454,7 @@ export default function AuthScreen() {
             <Sparkles size={28} color={Colors.primary} />
             <Text style={styles.logo}>FuelIQ</Text>
           </View>
-          <Text style={styles.tagline}>Your fitness journey starts here</Text>
+          <Text style={styles.tagline}>{t('auth.tagline')}</Text>
         </View>
 
         {/* Glass Card — the main form */}
@@ -465,7 +467,7 @@ export default function AuthScreen() {
                 onPress={() => setIsSignUp(false)}
               >
                 <Text style={[styles.tabText, !isSignUp && styles.tabTextActive]}>
-                  Sign In
+                  {t('auth.signIn')}
                 </Text>
                 {!isSignUp && <View style={styles.tabIndicator} />}
               </Pressable>
@@ -474,7 +476,7 @@ export default function AuthScreen() {
                 onPress={() => setIsSignUp(true)}
               >
                 <Text style={[styles.tabText, isSignUp && styles.tabTextActive]}>
-                  Create Account
+                  {t('auth.createAccount')}
                 </Text>
                 {isSignUp && <View style={styles.tabIndicator} />}
               </Pressable>
@@ -485,7 +487,7 @@ export default function AuthScreen() {
               <GlassInput
                 testID="email-input"
                 icon={Mail}
-                placeholder="Email address"
+                placeholder={t('auth.emailPlaceholder')}
                 value={email}
                 onChangeText={setEmail}
                 autoCapitalize="none"
@@ -496,7 +498,7 @@ export default function AuthScreen() {
               <GlassInput
                 testID="password-input"
                 icon={Lock}
-                placeholder="Password"
+                placeholder={t('auth.password')}
                 value={password}
                 onChangeText={setPassword}
                 secureTextEntry
@@ -509,7 +511,7 @@ export default function AuthScreen() {
                   style={styles.forgotPasswordContainer}
                   onPress={handleResetPassword}
                 >
-                  <Text style={styles.forgotPasswordText}>Forgot Password?</Text>
+                  <Text style={styles.forgotPasswordText}>{t('auth.forgotPassword')}</Text>
                 </Pressable>
               )}
 
@@ -525,7 +527,7 @@ export default function AuthScreen() {
               {/* Divider */}
               <View style={styles.divider}>
                 <View style={styles.dividerLine} />
-                <Text style={styles.dividerText}>or</Text>
+                <Text style={styles.dividerText}>{t('auth.or')}</Text>
                 <View style={styles.dividerLine} />
               </View>
 
@@ -535,7 +537,7 @@ export default function AuthScreen() {
                 onPress={performGoogleOAuth}
               >
                 <Text style={{ fontSize: 18, fontWeight: '700', color: Colors.oauthGoogleText }}>G</Text>
-                <Text style={styles.oauthButtonTextGoogle}>Continue with Google</Text>
+                <Text style={styles.oauthButtonTextGoogle}>{t('auth.continueWithGoogle')}</Text>
               </Pressable>
 
               {isAppleSignInAvailable ? (
@@ -544,7 +546,7 @@ export default function AuthScreen() {
                   onPress={performAppleSignIn}
                 >
                   <Text style={{ fontSize: 20, color: Colors.oauthAppleText }}>{'\uF8FF'}</Text>
-                  <Text style={styles.oauthButtonTextApple}>Continue with Apple</Text>
+                  <Text style={styles.oauthButtonTextApple}>{t('auth.continueWithApple')}</Text>
                 </Pressable>
               ) : null}
             </View>
@@ -554,13 +556,13 @@ export default function AuthScreen() {
         {/* Footer toggle */}
         <Text style={styles.footer}>
           {isSignUp
-            ? 'Already have an account? '
-            : "Don't have an account? "}
+            ? `${t('auth.alreadyHaveAccount')} `
+            : `${t('auth.noAccount')} `}
           <Text
             style={styles.footerLink}
             onPress={() => setIsSignUp(!isSignUp)}
           >
-            {isSignUp ? 'Sign In' : 'Create one'}
+            {isSignUp ? t('auth.signIn') : t('auth.createOne')}
           </Text>
         </Text>
       </SafeAreaView>
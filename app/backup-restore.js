@@ -0,0 +1,477 @@
+import React, { useCallback, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  Pressable,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { File as ExpoFile } from 'expo-file-system';
+import { useRouter } from 'expo-router';
+import { ArrowLeft, Download, Upload, CheckCircle } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
+import ScreenErrorBoundary from '../components/ScreenErrorBoundary';
+import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
+import { useAuth } from '../context/AuthContext';
+import { trackEvent } from '../lib/analytics';
+import { hapticLight, hapticSuccess } from '../lib/haptics';
+import { formatDate, formatTime } from '../lib/formatters';
+import { applyBackupRestore, exportBackupArchive, previewBackupRestore } from '../services/backup';
+
+const STORE_LABEL_KEYS = {
+  weight: 'backupRestore.stores.weight',
+  sleep: 'backupRestore.stores.sleep',
+  habits: 'backupRestore.stores.habits',
+  habit_log: 'backupRestore.stores.habitLog',
+  supplements: 'backupRestore.stores.supplements',
+  fasting_state: 'backupRestore.stores.fastingState',
+  fasting_history: 'backupRestore.stores.fastingHistory',
+  water: 'backupRestore.stores.water',
+  pantry: 'backupRestore.stores.pantry',
+  shopping_recipes: 'backupRestore.stores.shoppingRecipes',
+  shopping_checks: 'backupRestore.stores.shoppingChecks',
+  recipes: 'backupRestore.stores.recipes',
+  workout_templates: 'backupRestore.stores.workoutTemplates',
+  workout_history: 'backupRestore.stores.workoutHistory',
+  personal_records: 'backupRestore.stores.personalRecords',
+  progress_photos: 'backupRestore.stores.progressPhotos',
+  mood_logs: 'backupRestore.stores.moodLogs',
+  favorite_foods: 'backupRestore.stores.favoriteFoods',
+  breathing_history: 'backupRestore.stores.breathingHistory',
+  supplements_log: 'backupRestore.stores.supplementsLog',
+  achievements: 'backupRestore.stores.achievements',
+  gamification: 'backupRestore.stores.gamification',
+  body_measurements: 'backupRestore.stores.bodyMeasurements',
+  body_measurements_unit: 'backupRestore.stores.bodyMeasurementsUnit',
+  weight_goal: 'backupRestore.stores.weightGoal',
+  meal_plan: 'backupRestore.stores.mealPlan',
+  calorie_cycling: 'backupRestore.stores.calorieCycling',
+  cycle_data: 'backupRestore.stores.cycleData',
+  allergens: 'backupRestore.stores.allergens',
+  notification_settings: 'backupRestore.stores.notificationSettings',
+  dashboard_layout: 'backupRestore.stores.dashboardLayout',
+  theme_preference: 'backupRestore.stores.themePreference',
+  health_source_priority: 'backupRestore.stores.healthSourcePriority',
+  weekly_checkin: 'backupRestore.stores.weeklyCheckIn',
+  diet_phases: 'backupRestore.stores.dietPhases',
+  meal_timing: 'backupRestore.stores.mealTiming',
+  goal_timeline: 'backupRestore.stores.goalTimeline',
+  household_size: 'backupRestore.stores.householdSize',
+  adaptive_macros: 'backupRestore.stores.adaptiveMacros',
+  workout_ratings: 'backupRestore.stores.workoutRatings',
+  food_photos: 'backupRestore.stores.foodPhotos',
+  glp1: 'backupRestore.stores.glp1',
+  active_program: 'backupRestore.stores.activeProgram',
+  recovery: 'backupRestore.stores.recovery',
+  recovery_biometrics: 'backupRestore.stores.recoveryBiometrics',
+};
+
+const TABLE_LABEL_KEYS = {
+  food_logs: 'backupRestore.tables.foodLogs',
+  workouts: 'backupRestore.tables.workouts',
+  journal_entries: 'backupRestore.tables.journalEntries',
+};
+
+function isPickerCancelledError(error) {
+  if (!(error instanceof Error)) {
+    return false;
+  }
+
+  const message = error.message.toLowerCase();
+  return message.includes('cancelled') || message.includes('canceled');
+}
+
+function describeStoreChange(t, store) {
+  const parts = [];
+  if (store.added > 0) parts.push(t('backupRestore.added', { count: store.added }));
+  if (store.updated > 0) parts.push(t('backupRestore.updated', { count: store.updated }));
+  if (store.kept > 0) parts.push(t('backupRestore.keptLocal', { count: store.kept }));
+  return parts.join(' · ');
+}
+
+// ---- Restore Preview ----
+function RestorePreview({ plan, busy, onRestore, onCancel }) {
+  const { t } = useTranslation();
+  const createdAt = new Date(plan.createdAt);
+  const stores = plan.stores.filter((store) => store.added > 0 || store.updated > 0 || store.kept > 0);
+  const hasChanges = plan.totals.recordsAdded + plan.totals.recordsUpdated + plan.totals.rowsAdded > 0;
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>{t('backupRestore.previewTitle')}</Text>
+      <Text style={styles.cardMeta}>
+        {t('backupRestore.createdAt', { date: formatDate(createdAt, 'medium'), time: formatTime(createdAt) })}
+      </Text>
+
+      {stores.map((store) => (
+        <View key={store.id} style={styles.previewRow}>
+          <Text style={styles.previewLabel} numberOfLines={1}>{t(STORE_LABEL_KEYS[store.id])}</Text>
+          <Text style={styles.previewValue}>{describeStoreChange(t, store)}</Text>
+        </View>
+      ))}
+      {plan.tables.map((table) => (
+        <View key={table.table} style={styles.previewRow}>
+          <Text style={styles.previewLabel} numberOfLines={1}>{t(TABLE_LABEL_KEYS[table.table])}</Text>
+          <Text style={styles.previewValue}>
+            {table.rows.length > 0
+              ? t('backupRestore.rowsAdded', { count: table.rows.length })
+              : t('backupRestore.rowsAlreadySynced')}
+          </Text>
+        </View>
+      ))}
+
+      {hasChanges ? (
+        <Text style={styles.description}>{t('backupRestore.mergeNote')}</Text>
+      ) : (
+        <View style={styles.upToDate}>
+          <CheckCircle size={16} color={Colors.success} />
+          <Text style={styles.upToDateText}>{t('backupRestore.nothingToRestore')}</Text>
+        </View>
+      )}
+
+      <View style={styles.cardActions}>
+        <Pressable
+          style={[styles.actionButton, styles.secondaryButton]}
+          onPress={onCancel}
+          disabled={busy}
+          accessibilityRole="button"
+        >
+          <Text style={[styles.actionText, { color: Colors.textSecondary }]}>{t('common.cancel')}</Text>
+        </Pressable>
+        {hasChanges && (
+          <Pressable
+            style={[styles.actionButton, styles.primaryButton]}
+            onPress={onRestore}
+            disabled={busy}
+            accessibilityRole="button"
+          >
+            {busy ? (
+              <ActivityIndicator size="small" color={Colors.background} />
+            ) : (
+              <Text style={[styles.actionText, { color: Colors.background }]}>{t('backupRestore.restore')}</Text>
+            )}
+          </Pressable>
+        )}
+      </View>
+    </View>
+  );
+}
+
+function BackupRestoreScreenInner() {
+  const { t } = useTranslation();
+  const router = useRouter();
+  const { user } = useAuth();
+  const [isExporting, setIsExporting] = useState(false);
+  const [isPreparing, setIsPreparing] = useState(false);
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [plan, setPlan] = useState(null);
+
+  const handleExport = useCallback(async () => {
+    hapticLight();
+    setIsExporting(true);
+    try {
+      const archive = await exportBackupArchive(user?.id ?? null);
+      trackEvent('engagement', 'backup_exported', {
+        metadata: { storeCount: Object.keys(archive.stores).length },
+      });
+    } catch (error) {
+      Alert.alert(
+        t('backupRestore.exportFailed'),
+        error instanceof Error ? error.message : t('backupRestore.tryAgain')
+      );
+    } finally {
+      setIsExporting(false);
+    }
+  }, [t, user?.id]);
+
+  const handleChooseFile = useCallback(async () => {
+    if (!user?.id) {
+      Alert.alert(t('backupRestore.signInRequired'), t('backupRestore.signInRequiredMessage'));
+      return;
+    }
+
+    hapticLight();
+    setIsPreparing(true);
+    try {
+      const picked = await ExpoFile.pickFileAsync(undefined, '*/*');
+      const file = Array.isArray(picked) ? picked[0] : picked;
+      if (!file) {
+        return;
+      }
+      const nextPlan = await previewBackupRestore(await file.text(), user.id);
+      setPlan(nextPlan);
+      trackEvent('engagement', 'backup_restore_previewed', {
+        metadata: { recordsAdded: nextPlan.totals.recordsAdded, rowsAdded: nextPlan.totals.rowsAdded },
+      });
+    } catch (error) {
+      if (isPickerCancelledError(error)) {
+        return;
+      }
+      Alert.alert(
+        t('backupRestore.invalidBackup'),
+        error instanceof Error ? error.message : t('backupRestore.tryAgain')
+      );
+    } finally {
+      setIsPreparing(false);
+    }
+  }, [t, user?.id]);
+
+  const runRestore = useCallback(async () => {
+    if (!plan) return;
+    setIsRestoring(true);
+    try {
+      const result = await applyBackupRestore(plan);
+      hapticSuccess();
+      trackEvent('engagement', 'backup_restored', { metadata: result });
+      setPlan(null);
+      Alert.alert(
+        t('backupRestore.restoredTitle'),
+        t('backupRestore.restoredMessage', {
+          stores: t('backupRestore.storeCount', { count: result.storesRestored }),
+          rows: t('backupRestore.rowCount', { count: result.rowsInserted }),
+        })
+      );
+    } catch (error) {
+      Alert.alert(
+        t('backupRestore.restoreFailed'),
+        error instanceof Error ? error.message : t('backupRestore.tryAgain')
+      );
+    } finally {
+      setIsRestoring(false);
+    }
+  }, [plan, t]);
+
+  const handleRestore = useCallback(() => {
+    Alert.alert(
+      t('backupRestore.confirmTitle'),
+      t('backupRestore.confirmMessage'),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: t('backupRestore.restore'), onPress: runRestore },
+      ]
+    );
+  }, [runRestore, t]);
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top']}>
+      {/* Header */}
+      <View style={styles.header}>
+        <Pressable
+          style={styles.backButton}
+          onPress={() => router.back()}
+          hitSlop={8}
+          accessibilityRole="button"
+          accessibilityLabel={t('common.back')}
+        >
+          <ArrowLeft size={24} color={Colors.text} />
+        </Pressable>
+        <Text style={styles.headerTitle}>{t('backupRestore.title')}</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+      >
+        <Text style={styles.sectionTitle}>{t('backupRestore.backupSection')}</Text>
+        <Text style={styles.description}>{t('backupRestore.backupDescription')}</Text>
+        <Pressable
+          style={styles.mainButton}
+          onPress={handleExport}
+          disabled={isExporting}
+          accessibilityRole="button"
+        >
+          {isExporting ? (
+            <ActivityIndicator size="small" color={Colors.background} />
+          ) : (
+            <>
+              <Download size={18} color={Colors.background} />
+              <Text style={styles.mainButtonText}>{t('backupRestore.exportBackup')}</Text>
+            </>
+          )}
+        </Pressable>
+
+        <Text style={styles.sectionTitle}>{t('backupRestore.restoreSection')}</Text>
+        <Text style={styles.description}>{t('backupRestore.restoreDescription')}</Text>
+        {plan ? (
+          <RestorePreview
+            plan={plan}
+            busy={isRestoring}
+            onRestore={handleRestore}
+            onCancel={() => setPlan(null)}
+          />
+        ) : (
+          <Pressable
+            style={[styles.mainButton, styles.outlineButton]}
+            onPress={handleChooseFile}
+            disabled={isPreparing}
+            accessibilityRole="button"
+          >
+            {isPreparing ? (
+              <ActivityIndicator size="small" color={Colors.primary} />
+            ) : (
+              <>
+                <Upload size={18} color={Colors.primary} />
+                <Text style={[styles.mainButtonText, { color: Colors.primary }]}>{t('backupRestore.chooseBackup')}</Text>
+              </>
+            )}
+          </Pressable>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.background,
+  },
+  // Header
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.md,
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    borderRadius: BorderRadius.md,
+    backgroundColor: Colors.surface,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerTitle: {
+    flex: 1,
+    fontSize: FontSize.xl,
+    fontWeight: FontWeight.bold,
+    color: Colors.text,
+    textAlign: 'center',
+  },
+  headerSpacer: {
+    width: 40,
+  },
+  // Scroll
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    paddingHorizontal: Spacing.md,
+    paddingTop: Spacing.sm,
+    paddingBottom: Spacing.xxl,
+  },
+  sectionTitle: {
+    fontSize: FontSize.lg,
+    fontWeight: FontWeight.bold,
+    color: Colors.text,
+    marginTop: Spacing.md,
+    marginBottom: Spacing.xs,
+  },
+  description: {
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+    marginBottom: Spacing.md,
+  },
+  mainButton: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: Spacing.sm,
+    backgroundColor: Colors.primary,
+    borderRadius: BorderRadius.md,
+    paddingVertical: Spacing.sm + 2,
+    marginBottom: Spacing.md,
+  },
+  outlineButton: {
+    backgroundColor: Colors.primarySoft,
+  },
+  mainButtonText: {
+    color: Colors.background,
+    fontSize: FontSize.md,
+    fontWeight: FontWeight.semibold,
+  },
+  // Preview card
+  card: {
+    backgroundColor: 'rgba(255,255,255,0.05)',
+    borderRadius: BorderRadius.lg,
+    padding: Spacing.md,
+    marginBottom: Spacing.sm,
+    borderWidth: 1,
+    borderColor: 'rgba(255,255,255,0.06)',
+  },
+  cardTitle: {
+    fontSize: FontSize.md,
+    fontWeight: FontWeight.semibold,
+    color: Colors.text,
+  },
+  cardMeta: {
+    fontSize: FontSize.xs,
+    color: Colors.textTertiary,
+    marginTop: Spacing.xs,
+    marginBottom: Spacing.sm,
+  },
+  previewRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: Spacing.sm,
+    paddingVertical: Spacing.xs,
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(255,255,255,0.06)',
+  },
+  previewLabel: {
+    flex: 1,
+    fontSize: FontSize.sm,
+    color: Colors.text,
+  },
+  previewValue: {
+    fontSize: FontSize.xs,
+    color: Colors.textSecondary,
+  },
+  upToDate: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.xs,
+    marginVertical: Spacing.md,
+  },
+  upToDateText: {
+    flex: 1,
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+  },
+  cardActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: Spacing.sm,
+  },
+  actionButton: {
+    minWidth: 96,
+    alignItems: 'center',
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.xs + 2,
+    borderRadius: BorderRadius.full,
+  },
+  primaryButton: {
+    backgroundColor: Colors.primary,
+  },
+  secondaryButton: {
+    backgroundColor: Colors.surfaceGlass,
+  },
+  actionText: {
+    fontSize: FontSize.sm,
+    fontWeight: FontWeight.semibold,
+  },
+});
+
+export default function BackupRestoreScreen(props) {
+  return (
+    <ScreenErrorBoundary screenName="BackupRestoreScreen">
+      <BackupRestoreScreenInner {...props} />
+    </ScreenErrorBoundary>
+  );
+}
@@ -17,10 +17,13 @@ import {
 import { Image } from 'expo-image';
 import { CameraView, useCameraPermissions } from 'expo-camera';
 import { useLocalSearchParams, useRouter } from 'expo-router';
-import { ArrowLeft, Zap, ZapOff, ScanBarcode, Search, Users, Flame, Check } from 'lucide-react-native';
+import { ArrowLeft, Zap, ZapOff, ScanBarcode, Search, Users, Flame, Check, Camera } from 'lucide-react-native';
 import { LinearGradient } from 'expo-linear-gradient';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius, Gradients } from '../constants/theme';
 import { useFood } from '../context/FoodContext';
+import useAllergens from '../hooks/useAllergens';
+import AllergenWarning from '../components/AllergenWarning';
 import { hapticSuccess, hapticWarning, hapticLight } from '../lib/haptics';
 import { lookupBarcode, submitBarcodeData } from '../services/barcodeService';
 import { setCachedBarcode } from '../lib/barcodeCache';
@@ -36,9 +39,11 @@ const SCAN_RECT_W = SCREEN_WIDTH * 0.78;
 const SCAN_RECT_H = SCAN_RECT_W * 0.45;
 
 export default function BarcodeScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const params = useLocalSearchParams();
   const { addFood, getDefaultMealType } = useFood();
+  const { allergens } = useAllergens();
   const selectedMeal = Array.isArray(params.meal) ? params.meal[0] : params.meal || getDefaultMealType();
 
   const [permission, requestPermission] = useCameraPermissions();
@@ -110,7 +115,7 @@ export default function BarcodeScreen() {
       await hapticSuccess();
 
       try {
-        const response = await lookupBarcode(data);
+        const response = await lookupBarcode(data, { allergens });
         setResult(response);
         setShowResult(true);
 
@@ -164,7 +169,7 @@ export default function BarcodeScreen() {
         }, 2000);
       }
     },
-    [isLoading]
+    [isLoading, allergens]
   );
 
   const handleAddToDiary = useCallback(() => {
@@ -185,6 +190,9 @@ export default function BarcodeScreen() {
       brand: result.food.brand || '',
       image: result.food.image || null,
       barcode: result.food.barcode || '',
+      allergens: result.food.allergens,
+      traces: result.food.traces,
+      ingredients: result.food.ingredients,
     };
 
     addFood(foodEntry, selectedMeal);
@@ -208,12 +216,12 @@ export default function BarcodeScreen() {
     await hapticLight();
 
     const foodData = {
-      name: entryName.trim() || 'Scanned Item',
+      name: entryName.trim() || t('barcode.scannedItem'),
       calories: cal,
       protein: parseFloat(entryProtein) || 0,
       carbs: parseFloat(entryCarbs) || 0,
       fat: parseFloat(entryFat) || 0,
-      serving: entryServing.trim() || '1 serving',
+      serving: entryServing.trim() || t('barcode.n1Serving'),
       brand: '',
     };
 
@@ -253,7 +261,7 @@ export default function BarcodeScreen() {
     await hapticSuccess();
     setIsSaving(false);
     router.back();
-  }, [entryName, entryCalories, entryProtein, entryCarbs, entryFat, entryServing, scannedBarcode, addFood, selectedMeal, router]);
+  }, [entryName, entryCalories, entryProtein, entryCarbs, entryFat, entryServing, scannedBarcode, addFood, selectedMeal, router, t]);
 
   // Search Instead: navigate to add screen with barcode digits as query
   const handleSearchInstead = useCallback(() => {
@@ -270,6 +278,15 @@ export default function BarcodeScreen() {
     });
   }, [entryName, router, scannedBarcode, selectedMeal]);
 
+  // Scan Label: read the nutrition panel and link the new food to this barcode
+  const handleScanLabel = useCallback(() => {
+    hapticLight();
+    router.push({
+      pathname: '/create-food-enhanced',
+      params: { barcode: scannedBarcode, meal: selectedMeal, mode: 'scan' },
+    });
+  }, [router, scannedBarcode, selectedMeal]);
+
   // Submit to Community: navigate to submit-food screen
   const handleSubmitToCommunity = useCallback(() => {
     hapticLight();
@@ -285,7 +302,7 @@ export default function BarcodeScreen() {
       <View style={styles.container}>
         <View style={styles.centeredMessage}>
           <ActivityIndicator size="large" color={Colors.primary} />
-          <Text style={styles.centeredText}>Checking camera permissions...</Text>
+          <Text style={styles.centeredText}>{t('barcode.checkingCameraPermissions')}</Text>
         </View>
       </View>
     );
@@ -299,18 +316,18 @@ export default function BarcodeScreen() {
           <View style={styles.permissionIconWrap}>
             <ScanBarcode size={48} color={Colors.textSecondary} />
           </View>
-          <Text style={styles.permissionTitle}>Camera Access Needed</Text>
+          <Text style={styles.permissionTitle}>{t('barcode.cameraAccessNeeded')}</Text>
           <Text style={styles.permissionBody}>
-            Allow camera access to scan barcodes and instantly look up nutrition information.
+            {t('barcode.allowCameraAccessTo')}
           </Text>
           <Pressable style={styles.grantButton} onPress={requestPermission}>
-            <Text style={styles.grantButtonText}>Allow Camera</Text>
+            <Text style={styles.grantButtonText}>{t('barcode.allowCamera')}</Text>
           </Pressable>
           <Pressable style={styles.settingsButton} onPress={() => Linking.openSettings()}>
-            <Text style={styles.settingsButtonText}>Open Settings</Text>
+            <Text style={styles.settingsButtonText}>{t('barcode.openSettings')}</Text>
           </Pressable>
           <Pressable style={styles.backTextButton} onPress={() => router.back()}>
-            <Text style={styles.backTextButtonLabel}>Go Back</Text>
+            <Text style={styles.backTextButtonLabel}>{t('barcode.goBack')}</Text>
           </Pressable>
         </View>
       </View>
@@ -372,7 +389,7 @@ export default function BarcodeScreen() {
         <View style={styles.overlayBottom}>
           <ScanBarcode size={20} color={Colors.textSecondary} style={{ marginBottom: 6 }} />
           <Text style={styles.instructionText}>
-            {isLoading ? 'Looking up product...' : 'Scan a barcode'}
+            {isLoading ? t('barcode.lookingUpProduct') : t('barcode.scanABarcode')}
           </Text>
         </View>
       </View>
@@ -382,7 +399,7 @@ export default function BarcodeScreen() {
         <Pressable style={styles.headerBtn} onPress={() => router.back()}>
           <ArrowLeft size={22} color={Colors.text} />
         </Pressable>
-        <Pressable style={styles.headerBtn} onPress={() => setTorch((t) => !t)}>
+        <Pressable style={styles.headerBtn} onPress={() => setTorch((on) => !on)}>
           {torch ? (
             <Zap size={22} color={Colors.warning} />
           ) : (
@@ -396,7 +413,7 @@ export default function BarcodeScreen() {
         <View style={styles.loadingOverlay}>
           <View style={styles.loadingCard}>
             <ActivityIndicator size="large" color={Colors.primary} />
-            <Text style={styles.loadingCardText}>Fetching nutrition data...</Text>
+            <Text style={styles.loadingCardText}>{t('barcode.fetchingNutritionData')}</Text>
           </View>
         </View>
       )}
@@ -436,7 +453,7 @@ export default function BarcodeScreen() {
                     </Text>
                   )}
                   <Text style={styles.productServing}>
-                    Per {result.food.serving}
+                    {t('barcode.per', { serving: result.food.serving })}
                   </Text>
                 </View>
               </View>
@@ -444,28 +461,37 @@ export default function BarcodeScreen() {
               {/* Calorie badge */}
               <View style={styles.calorieBadge}>
                 <Text style={styles.calorieBadgeValue}>{result.food.calories}</Text>
-                <Text style={styles.calorieBadgeLabel}>kcal</Text>
+                <Text style={styles.calorieBadgeLabel}>{t('units.kcal')}</Text>
               </View>
 
               {/* Macro row */}
               <View style={styles.macroRow}>
                 <View style={styles.macroItem}>
                   <View style={[styles.macroDot, { backgroundColor: Colors.protein }]} />
-                  <Text style={styles.macroLabel}>Protein</Text>
+                  <Text style={styles.macroLabel}>{t('food.protein')}</Text>
                   <Text style={styles.macroValue}>{result.food.protein}g</Text>
                 </View>
                 <View style={styles.macroItem}>
                   <View style={[styles.macroDot, { backgroundColor: Colors.carbs }]} />
-                  <Text style={styles.macroLabel}>Carbs</Text>
+                  <Text style={styles.macroLabel}>{t('food.carbs')}</Text>
                   <Text style={styles.macroValue}>{result.food.carbs}g</Text>
                 </View>
                 <View style={styles.macroItem}>
                   <View style={[styles.macroDot, { backgroundColor: Colors.fat }]} />
-                  <Text style={styles.macroLabel}>Fat</Text>
+                  <Text style={styles.macroLabel}>{t('food.fat')}</Text>
                   <Text style={styles.macroValue}>{result.food.fat}g</Text>
                 </View>
               </View>
 
+              <AllergenWarning check={result.allergenCheck} style={styles.allergenBanner} />
+
+              {result.confidence === 'low' && (
+                <Pressable style={styles.lowConfidenceRow} onPress={handleScanLabel}>
+                  <Camera size={16} color={Colors.warning} />
+                  <Text style={styles.lowConfidenceText}>{t('barcode.incompleteDataScanLabel')}</Text>
+                </Pressable>
+              )}
+
               {/* Action buttons */}
               <Pressable style={styles.addButton} onPress={handleAddToDiary}>
                 <LinearGradient
@@ -474,12 +500,12 @@ export default function BarcodeScreen() {
                   end={{ x: 1, y: 0 }}
                   style={styles.addButtonGradient}
                 >
-                  <Text style={styles.addButtonText}>Add to Diary</Text>
+                  <Text style={styles.addButtonText}>{t('barcode.addToDiary')}</Text>
                 </LinearGradient>
               </Pressable>
 
               <Pressable style={styles.scanAnotherButton} onPress={handleScanAnother}>
-                <Text style={styles.scanAnotherText}>Scan Another</Text>
+                <Text style={styles.scanAnotherText}>{t('barcode.scanAnother')}</Text>
               </Pressable>
             </View>
           ) : (
@@ -499,21 +525,27 @@ export default function BarcodeScreen() {
                     <Flame size={24} color={Colors.primary} />
                   </View>
                   <Text style={styles.fallbackTitle}>
-                    Let's add this food manually
+                    {t('barcode.letsAddThisFood')}
                   </Text>
                   <Text style={styles.fallbackSubtitle}>
-                    It only takes a few seconds!
+                    {t('barcode.itOnlyTakesA')}
                   </Text>
                 </View>
 
+                {/* Label scan pre-fills everything, including micronutrients */}
+                <Pressable style={styles.scanLabelButton} onPress={handleScanLabel}>
+                  <Camera size={18} color={Colors.primary} />
+                  <Text style={styles.scanLabelText}>{t('barcode.scanNutritionLabel')}</Text>
+                </Pressable>
+
                 {/* Food name input */}
                 <View style={styles.fallbackField}>
-                  <Text style={styles.fallbackLabel}>Food Name</Text>
+                  <Text style={styles.fallbackLabel}>{t('barcode.foodName')}</Text>
                   <TextInput
                     style={styles.fallbackInput}
                     value={entryName}
                     onChangeText={setEntryName}
-                    placeholder="e.g., Protein Bar"
+                    placeholder={t('barcode.eGProteinBar')}
                     placeholderTextColor={Colors.textTertiary}
                     returnKeyType="next"
                     maxLength={80}
@@ -534,14 +566,14 @@ export default function BarcodeScreen() {
                     maxLength={5}
                     selectTextOnFocus
                   />
-                  <Text style={styles.fallbackCalorieLabel}>kcal</Text>
+                  <Text style={styles.fallbackCalorieLabel}>{t('units.kcal')}</Text>
                 </View>
 
                 {/* Macros row - optional, smaller inputs */}
                 <View style={styles.fallbackMacroRow}>
                   <View style={styles.fallbackMacroField}>
                     <View style={[styles.fallbackMacroDot, { backgroundColor: Colors.protein }]} />
-                    <Text style={styles.fallbackMacroLabel}>Protein</Text>
+                    <Text style={styles.fallbackMacroLabel}>{t('food.protein')}</Text>
                     <TextInput
                       style={styles.fallbackMacroInput}
                       value={entryProtein}
@@ -555,7 +587,7 @@ export default function BarcodeScreen() {
                   </View>
                   <View style={styles.fallbackMacroField}>
                     <View style={[styles.fallbackMacroDot, { backgroundColor: Colors.carbs }]} />
-                    <Text style={styles.fallbackMacroLabel}>Carbs</Text>
+                    <Text style={styles.fallbackMacroLabel}>{t('food.carbs')}</Text>
                     <TextInput
                       style={styles.fallbackMacroInput}
                       value={entryCarbs}
@@ -569,7 +601,7 @@ export default function BarcodeScreen() {
                   </View>
                   <View style={styles.fallbackMacroField}>
                     <View style={[styles.fallbackMacroDot, { backgroundColor: Colors.fat }]} />
-                    <Text style={styles.fallbackMacroLabel}>Fat</Text>
+                    <Text style={styles.fallbackMacroLabel}>{t('food.fat')}</Text>
                     <TextInput
                       style={styles.fallbackMacroInput}
                       value={entryFat}
@@ -585,12 +617,12 @@ export default function BarcodeScreen() {
 
                 {/* Serving size */}
                 <View style={styles.fallbackField}>
-                  <Text style={styles.fallbackLabel}>Serving Size</Text>
+                  <Text style={styles.fallbackLabel}>{t('barcode.servingSize')}</Text>
                   <TextInput
                     style={styles.fallbackInput}
                     value={entryServing}
                     onChangeText={setEntryServing}
-                    placeholder="e.g., 1 serving, 1 cup"
+                    placeholder={t('barcode.eG1Serving')}
                     placeholderTextColor={Colors.textTertiary}
                     maxLength={40}
                   />
@@ -624,7 +656,7 @@ export default function BarcodeScreen() {
                       styles.addButtonText,
                       (!entryCalories || parseInt(entryCalories, 10) <= 0) && { color: Colors.textTertiary },
                     ]}>
-                      {isSaving ? 'Saving...' : 'Save & Add'}
+                      {isSaving ? t('common.saving') : t('barcode.saveAdd')}
                     </Text>
                   </LinearGradient>
                 </Pressable>
@@ -633,7 +665,7 @@ export default function BarcodeScreen() {
                 <View style={styles.fallbackActions}>
                   <Pressable style={styles.fallbackActionLink} onPress={handleSearchInstead}>
                     <Search size={16} color={Colors.primary} />
-                    <Text style={styles.fallbackActionText}>Search Instead</Text>
+                    <Text style={styles.fallbackActionText}>{t('barcode.searchInstead')}</Text>
                   </Pressable>
 
                   <View style={styles.fallbackActionDivider} />
@@ -641,14 +673,14 @@ export default function BarcodeScreen() {
                   <Pressable style={styles.fallbackActionLink} onPress={handleSubmitToCommunity}>
                     <Users size={16} color={Colors.secondary} />
                     <Text style={[styles.fallbackActionText, { color: Colors.secondaryText }]}>
-                      Submit to Community
+                      {t('barcode.submitToCommunity')}
                     </Text>
                   </Pressable>
                 </View>
 
                 {/* Scan Another */}
                 <Pressable style={styles.scanAnotherButton} onPress={handleScanAnother}>
-                  <Text style={styles.scanAnotherText}>Scan Another</Text>
+                  <Text style={styles.scanAnotherText}>{t('barcode.scanAnother')}</Text>
                 </Pressable>
               </ScrollView>
             </KeyboardAvoidingView>
@@ -937,6 +969,9 @@ const styles = StyleSheet.create({
   },
 
   // ── Macro row ──
+  allergenBanner: {
+    marginBottom: Spacing.md,
+  },
   macroRow: {
     flexDirection: 'row',
     justifyContent: 'space-around',
@@ -1046,6 +1081,23 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginTop: 2,
   },
+  scanLabelButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: Spacing.sm,
+    paddingVertical: Spacing.sm + 2,
+    marginBottom: Spacing.md,
+    borderRadius: BorderRadius.md,
+    borderWidth: 1,
+    borderColor: Colors.primary + '40',
+    backgroundColor: Colors.primarySoft,
+  },
+  scanLabelText: {
+    fontSize: FontSize.sm,
+    fontWeight: FontWeight.semibold,
+    color: Colors.primaryText,
+  },
   fallbackField: {
     marginBottom: Spacing.md,
   },
@@ -1131,6 +1183,20 @@ const styles = StyleSheet.create({
     fontSize: FontSize.xs,
     color: Colors.textTertiary,
   },
+  lowConfidenceRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.sm,
+    padding: Spacing.sm,
+    marginBottom: Spacing.md,
+    borderRadius: BorderRadius.md,
+    backgroundColor: Colors.warningSoft,
+  },
+  lowConfidenceText: {
+    flex: 1,
+    fontSize: FontSize.sm,
+    color: Colors.text,
+  },
   fallbackActions: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -59,6 +59,7 @@ import {
   RefreshCw,
   Info,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import GlassCard from '../components/ui/GlassCard';
 import AnimatedProgressRing from '../components/AnimatedProgressRing';
@@ -77,6 +78,8 @@ import {
   Gradients,
 } from '../constants/theme';
 import { hapticLight, hapticSuccess, hapticWarning } from '../lib/haptics';
+import { formatDate, formatNumber } from '../lib/formatters';
+import { getHealthSourceName } from '../services/wearableIntegrations';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 const METRIC_CARD_WIDTH = (SCREEN_WIDTH - Spacing.md * 2 - Spacing.sm) / 2;
@@ -87,14 +90,28 @@ const HOURLY_BAR_WIDTH = Math.floor((SCREEN_WIDTH - Spacing.md * 2 - Spacing.lg
 // Simulated Data Badge
 // ============================================================
 function SimulatedBadge() {
+  const { t } = useTranslation();
   return (
     <View style={styles.simulatedBadge}>
       <Info size={10} color={Colors.warning} />
-      <Text style={styles.simulatedBadgeText}>Simulated Data</Text>
+      <Text style={styles.simulatedBadgeText}>{t('biometricDashboard.simulatedData')}</Text>
     </View>
   );
 }
 
+// ============================================================
+// Data Source Label (where a merged value came from)
+// ============================================================
+function SourceLabel({ source }) {
+  const { t } = useTranslation();
+  if (!source) return null;
+  return (
+    <Text style={styles.sourceLabel} numberOfLines={1}>
+      {t('biometricDashboard.viaSource', { source: getHealthSourceName(source) })}
+    </Text>
+  );
+}
+
 // ============================================================
 // Pulsing Heart Icon Component
 // ============================================================
@@ -129,6 +146,7 @@ function PulsingHeart({ size = 28, color = Colors.error }) {
 // Recovery Score Gauge (Whoop-style 0-100)
 // ============================================================
 function RecoveryGauge({ score, label, color, components, isSimulated }) {
+  const { t } = useTranslation();
   const progress = Math.min(100, Math.max(0, score));
   const displayScore = score ?? '--';
 
@@ -138,7 +156,7 @@ function RecoveryGauge({ score, label, color, components, isSimulated }) {
         <View style={styles.recoveryHeader}>
           <View style={styles.recoveryTitleRow}>
             <Zap size={20} color={color || Colors.primary} />
-            <Text style={styles.recoveryTitle}>Recovery</Text>
+            <Text style={styles.recoveryTitle}>{t('biometricDashboard.recovery')}</Text>
           </View>
           {isSimulated && <SimulatedBadge />}
         </View>
@@ -152,14 +170,14 @@ function RecoveryGauge({ score, label, color, components, isSimulated }) {
             gradientEnd={color === '#00E676' ? '#64D2FF' : color === '#FFB300' ? '#FF6B35' : '#FF1744'}
             value={displayScore}
             unit="/100"
-            label="Recovery"
+            label={t('biometricDashboard.recovery')}
           />
 
           <View style={styles.recoveryDetails}>
             {/* Recovery label */}
             <View style={[styles.recoveryLabelBadge, { backgroundColor: (color || Colors.primary) + '20' }]}>
               <Text style={[styles.recoveryLabelText, { color: color || Colors.primary }]}>
-                {score >= 67 ? 'OPTIMAL' : score >= 34 ? 'ADEQUATE' : 'IMPAIRED'}
+                {score >= 67 ? t('biometricDashboard.optimal') : score >= 34 ? t('biometricDashboard.adequate') : t('biometricDashboard.impaired')}
               </Text>
             </View>
 
@@ -167,7 +185,7 @@ function RecoveryGauge({ score, label, color, components, isSimulated }) {
             <View style={styles.recoveryComponents}>
               {components?.hrvScore !== null && (
                 <View style={styles.recoveryComponent}>
-                  <Text style={styles.recoveryComponentLabel}>HRV</Text>
+                  <Text style={styles.recoveryComponentLabel}>{t('biometricDashboard.hrv')}</Text>
                   <View style={styles.recoveryComponentBar}>
                     <View style={[styles.recoveryComponentFill, {
                       width: `${components.hrvScore}%`,
@@ -179,7 +197,7 @@ function RecoveryGauge({ score, label, color, components, isSimulated }) {
               )}
               {components?.sleepScore !== null && (
                 <View style={styles.recoveryComponent}>
-                  <Text style={styles.recoveryComponentLabel}>Sleep</Text>
+                  <Text style={styles.recoveryComponentLabel}>{t('biometricDashboard.sleep')}</Text>
                   <View style={styles.recoveryComponentBar}>
                     <View style={[styles.recoveryComponentFill, {
                       width: `${components.sleepScore}%`,
@@ -191,7 +209,7 @@ function RecoveryGauge({ score, label, color, components, isSimulated }) {
               )}
               {components?.rhrScore !== null && (
                 <View style={styles.recoveryComponent}>
-                  <Text style={styles.recoveryComponentLabel}>RHR</Text>
+                  <Text style={styles.recoveryComponentLabel}>{t('biometricDashboard.rhr')}</Text>
                   <View style={styles.recoveryComponentBar}>
                     <View style={[styles.recoveryComponentFill, {
                       width: `${components.rhrScore}%`,
@@ -205,10 +223,10 @@ function RecoveryGauge({ score, label, color, components, isSimulated }) {
 
             <Text style={styles.recoveryRecommendation}>
               {score >= 67
-                ? 'You are well-recovered. Push yourself in training today.'
+                ? t('biometricDashboard.youAreWellRecovered')
                 : score >= 34
-                ? 'Moderate recovery. Avoid peak intensity.'
-                : 'Prioritize rest and recovery today.'}
+                ? t('biometricDashboard.moderateRecoveryAvoidPeak')
+                : t('biometricDashboard.prioritizeRestAndRecovery')}
             </Text>
           </View>
         </View>
@@ -221,8 +239,9 @@ function RecoveryGauge({ score, label, color, components, isSimulated }) {
 // Heart Rate Zone Card (Hero Section)
 // ============================================================
 function HeartRateZoneCard({ heartRate, currentZone, hrZones, isSimulated }) {
+  const { t } = useTranslation();
   const displayHR = heartRate ?? '--';
-  const zoneName = currentZone?.name ?? 'No Data';
+  const zoneName = currentZone?.name ?? t('biometricDashboard.noData');
   const zoneColor = currentZone?.color ?? Colors.textTertiary;
 
   return (
@@ -231,7 +250,7 @@ function HeartRateZoneCard({ heartRate, currentZone, hrZones, isSimulated }) {
         <View style={styles.cardHeader}>
           <View style={styles.cardTitleRow}>
             <Heart size={18} color={Colors.error} />
-            <Text style={styles.cardTitle}>Heart Rate</Text>
+            <Text style={styles.cardTitle}>{t('biometricDashboard.heartRate')}</Text>
           </View>
           {isSimulated && <SimulatedBadge />}
         </View>
@@ -240,7 +259,7 @@ function HeartRateZoneCard({ heartRate, currentZone, hrZones, isSimulated }) {
           <PulsingHeart size={32} color={Colors.error} />
           <View style={styles.hrValueContainer}>
             <Text style={styles.hrValue}>{displayHR}</Text>
-            <Text style={styles.hrUnit}>BPM</Text>
+            <Text style={styles.hrUnit}>{t('biometricDashboard.bpm')}</Text>
           </View>
         </View>
 
@@ -248,7 +267,7 @@ function HeartRateZoneCard({ heartRate, currentZone, hrZones, isSimulated }) {
         <View style={[styles.zoneBadge, { backgroundColor: zoneColor + '20' }]}>
           <View style={[styles.zoneDot, { backgroundColor: zoneColor }]} />
           <Text style={[styles.zoneBadgeText, { color: zoneColor }]}>
-            {zoneName} Zone
+            {t('biometricDashboard.zone', { zoneName })}
           </Text>
         </View>
 
@@ -340,7 +359,7 @@ function TrendChart({ data, color, label, unit, icon: Icon, delay = 300, isSimul
           {data.map((entry, idx) => {
             const height = Math.max(4, (entry.value / maxVal) * 60);
             const isLatest = idx === data.length - 1;
-            const dayLabel = new Date(entry.date + 'T00:00:00').toLocaleDateString('en-US', { weekday: 'narrow' });
+            const dayLabel = formatDate(new Date(entry.date + 'T00:00:00'), { weekday: 'narrow' });
 
             return (
               <View key={entry.date} style={styles.trendBarWrapper}>
@@ -370,6 +389,7 @@ function TrendChart({ data, color, label, unit, icon: Icon, delay = 300, isSimul
 // Sleep Quality Breakdown
 // ============================================================
 function SleepCard({ snapshot, isSimulated, delay = 400 }) {
+  const { t } = useTranslation();
   if (!snapshot || snapshot.sleepMinutes <= 0) return null;
 
   const totalHours = Math.round(snapshot.sleepMinutes / 60 * 10) / 10;
@@ -384,9 +404,9 @@ function SleepCard({ snapshot, isSimulated, delay = 400 }) {
   const lightPct = hasStages && totalMin > 0 ? Math.round((light / totalMin) * 100) : 0;
 
   const stages = [
-    { label: 'Deep', minutes: deep, pct: deepPct, color: '#5C6BC0' },
-    { label: 'REM', minutes: rem, pct: remPct, color: '#26C6DA' },
-    { label: 'Light', minutes: light, pct: lightPct, color: '#78909C' },
+    { label: t('biometricDashboard.deep'), minutes: deep, pct: deepPct, color: '#5C6BC0' },
+    { label: t('biometricDashboard.rem'), minutes: rem, pct: remPct, color: '#26C6DA' },
+    { label: t('biometricDashboard.light'), minutes: light, pct: lightPct, color: '#78909C' },
   ];
 
   return (
@@ -395,9 +415,9 @@ function SleepCard({ snapshot, isSimulated, delay = 400 }) {
         <View style={styles.cardHeader}>
           <View style={styles.cardTitleRow}>
             <Moon size={16} color="#7C4DFF" />
-            <Text style={styles.cardTitle}>Sleep Quality</Text>
+            <Text style={styles.cardTitle}>{t('biometricDashboard.sleepQuality')}</Text>
           </View>
-          {isSimulated && <SimulatedBadge />}
+          {isSimulated ? <SimulatedBadge /> : <SourceLabel source={snapshot.provenance?.sleepMinutes} />}
         </View>
 
         <View style={styles.sleepHeroRow}>
@@ -446,6 +466,7 @@ function SleepCard({ snapshot, isSimulated, delay = 400 }) {
 // Hourly Steps Activity Chart
 // ============================================================
 function HourlyStepsCard({ hourlySteps, totalSteps, isSimulated, delay = 500 }) {
+  const { t } = useTranslation();
   const maxSteps = Math.max(...(hourlySteps || []).map((h) => h.steps), 1);
 
   if (!hourlySteps || hourlySteps.length === 0) return null;
@@ -459,11 +480,11 @@ function HourlyStepsCard({ hourlySteps, totalSteps, isSimulated, delay = 500 })
         <View style={styles.cardHeader}>
           <View style={styles.cardTitleRow}>
             <Footprints size={16} color="#00E676" />
-            <Text style={styles.cardTitle}>Steps</Text>
+            <Text style={styles.cardTitle}>{t('biometricDashboard.steps')}</Text>
           </View>
           <View style={styles.cardHeaderRight}>
             {isSimulated && <SimulatedBadge />}
-            <Text style={styles.stepsValue}>{(totalSteps || 0).toLocaleString()}</Text>
+            <Text style={styles.stepsValue}>{formatNumber(totalSteps || 0)}</Text>
           </View>
         </View>
 
@@ -471,7 +492,7 @@ function HourlyStepsCard({ hourlySteps, totalSteps, isSimulated, delay = 500 })
         <View style={styles.stepsProgressTrack}>
           <View style={[styles.stepsProgressFill, { width: `${pct}%` }]} />
         </View>
-        <Text style={styles.stepsGoalText}>{pct}% of {stepsGoal.toLocaleString()} goal</Text>
+        <Text style={styles.stepsGoalText}>{t('biometricDashboard.ofGoal', { pct, stepsGoal: formatNumber(stepsGoal) })}</Text>
 
         {/* Hourly chart */}
         <View style={styles.hourlyChart}>
@@ -488,10 +509,10 @@ function HourlyStepsCard({ hourlySteps, totalSteps, isSimulated, delay = 500 })
           })}
         </View>
         <View style={styles.hourlyLabels}>
-          <Text style={styles.hourlyLabel}>12am</Text>
-          <Text style={styles.hourlyLabel}>6am</Text>
-          <Text style={styles.hourlyLabel}>12pm</Text>
-          <Text style={styles.hourlyLabel}>6pm</Text>
+          <Text style={styles.hourlyLabel}>{t('biometricDashboard.n12am')}</Text>
+          <Text style={styles.hourlyLabel}>{t('biometricDashboard.n6am')}</Text>
+          <Text style={styles.hourlyLabel}>{t('biometricDashboard.n12pm')}</Text>
+          <Text style={styles.hourlyLabel}>{t('biometricDashboard.n6pm')}</Text>
         </View>
       </GlassCard>
     </ReAnimated.View>
@@ -502,12 +523,13 @@ function HourlyStepsCard({ hourlySteps, totalSteps, isSimulated, delay = 500 })
 // Activity Rings Card (Apple Watch-style)
 // ============================================================
 function ActivityRingsCard({ rings, isSimulated, delay = 600 }) {
+  const { t } = useTranslation();
   if (!rings) return null;
 
   const ringData = [
-    { ...rings.move, label: 'Move', unit: 'kcal', color: '#FF2D55', bg: '#FF2D55' + '30' },
-    { ...rings.exercise, label: 'Exercise', unit: 'min', color: '#00E676', bg: '#00E676' + '30' },
-    { ...rings.stand, label: 'Stand', unit: 'hrs', color: '#00D4FF', bg: '#00D4FF' + '30' },
+    { ...rings.move, label: t('biometricDashboard.move'), unit: 'kcal', color: '#FF2D55', bg: '#FF2D55' + '30' },
+    { ...rings.exercise, label: t('biometricDashboard.exercise'), unit: 'min', color: '#00E676', bg: '#00E676' + '30' },
+    { ...rings.stand, label: t('biometricDashboard.stand'), unit: 'hrs', color: '#00D4FF', bg: '#00D4FF' + '30' },
   ];
 
   return (
@@ -516,7 +538,7 @@ function ActivityRingsCard({ rings, isSimulated, delay = 600 }) {
         <View style={styles.cardHeader}>
           <View style={styles.cardTitleRow}>
             <Activity size={16} color={Colors.primary} />
-            <Text style={styles.cardTitle}>Activity Rings</Text>
+            <Text style={styles.cardTitle}>{t('biometricDashboard.activityRings')}</Text>
           </View>
           {isSimulated && <SimulatedBadge />}
         </View>
@@ -582,7 +604,8 @@ function ActivityRingsCard({ rings, isSimulated, delay = 600 }) {
 // ============================================================
 // Calories Comparison Card
 // ============================================================
-function CaloriesCard({ activeCal, restingCal, isSimulated, delay = 650 }) {
+function CaloriesCard({ activeCal, restingCal, source, isSimulated, delay = 650 }) {
+  const { t } = useTranslation();
   const total = (activeCal || 0) + (restingCal || 0);
 
   return (
@@ -591,24 +614,24 @@ function CaloriesCard({ activeCal, restingCal, isSimulated, delay = 650 }) {
         <View style={styles.cardHeader}>
           <View style={styles.cardTitleRow}>
             <Flame size={16} color={Colors.secondary} />
-            <Text style={styles.cardTitle}>Calories Burned</Text>
+            <Text style={styles.cardTitle}>{t('biometricDashboard.caloriesBurned')}</Text>
           </View>
-          {isSimulated && <SimulatedBadge />}
+          {isSimulated ? <SimulatedBadge /> : <SourceLabel source={source} />}
         </View>
 
-        <Text style={styles.calTotalValue}>{total.toLocaleString()} <Text style={styles.calTotalUnit}>kcal</Text></Text>
+        <Text style={styles.calTotalValue}>{formatNumber(total)} <Text style={styles.calTotalUnit}>{t('units.kcal')}</Text></Text>
 
         <View style={styles.calCompare}>
           <View style={styles.calCompareItem}>
             <View style={[styles.calCompareDot, { backgroundColor: Colors.secondary }]} />
-            <Text style={styles.calCompareLabel}>Active</Text>
-            <Text style={styles.calCompareValue}>{(activeCal || 0).toLocaleString()}</Text>
+            <Text style={styles.calCompareLabel}>{t('biometricDashboard.active')}</Text>
+            <Text style={styles.calCompareValue}>{formatNumber(activeCal || 0)}</Text>
           </View>
           <View style={styles.calCompareDivider} />
           <View style={styles.calCompareItem}>
             <View style={[styles.calCompareDot, { backgroundColor: Colors.textTertiary }]} />
-            <Text style={styles.calCompareLabel}>Resting</Text>
-            <Text style={styles.calCompareValue}>{(restingCal || 0).toLocaleString()}</Text>
+            <Text style={styles.calCompareLabel}>{t('biometricDashboard.resting')}</Text>
+            <Text style={styles.calCompareValue}>{formatNumber(restingCal || 0)}</Text>
           </View>
         </View>
 
@@ -626,32 +649,35 @@ function CaloriesCard({ activeCal, restingCal, isSimulated, delay = 650 }) {
 // Vitals Grid (compact metrics)
 // ============================================================
 function VitalsGrid({ snapshot, isSimulated, delay = 700 }) {
+  const { t } = useTranslation();
   if (!snapshot) return null;
 
   const vitals = [
     {
-      label: 'Resting HR',
+      label: t('biometricDashboard.restingHr'),
       value: snapshot.restingHR != null ? `${snapshot.restingHR}` : '--',
       unit: 'bpm',
       icon: Heart,
       color: Colors.error,
+      source: snapshot.provenance?.restingHeartRate,
     },
     {
-      label: 'Respiratory',
+      label: t('biometricDashboard.respiratory'),
       value: snapshot.respiratoryRate != null ? `${snapshot.respiratoryRate}` : '--',
-      unit: 'br/min',
+      unit: t('biometricDashboard.brMin'),
       icon: Wind,
       color: '#00BCD4',
+      source: snapshot.provenance?.respiratoryRate,
     },
     {
-      label: 'Body Temp',
+      label: t('biometricDashboard.bodyTemp'),
       value: snapshot.bodyTemperature != null ? `${snapshot.bodyTemperature}` : '--',
       unit: '\u00B0C',
       icon: Thermometer,
       color: '#FF9800',
     },
     {
-      label: 'Flights',
+      label: t('biometricDashboard.flights'),
       value: snapshot.flightsClimbed != null ? `${snapshot.flightsClimbed}` : '--',
       unit: 'floors',
       icon: TrendingUp,
@@ -668,6 +694,7 @@ function VitalsGrid({ snapshot, isSimulated, delay = 700 }) {
               <vital.icon size={16} color={vital.color} />
               <Text style={styles.vitalsValue}>{vital.value}<Text style={styles.vitalsUnit}> {vital.unit}</Text></Text>
               <Text style={styles.vitalsLabel}>{vital.label}</Text>
+              {!isSimulated && <SourceLabel source={vital.source} />}
             </GlassCard>
           </View>
         ))}
@@ -685,6 +712,7 @@ function VitalsGrid({ snapshot, isSimulated, delay = 700 }) {
 // Anomaly Alerts
 // ============================================================
 function AnomalyAlerts({ anomalies, delay = 800 }) {
+  const { t } = useTranslation();
   if (!anomalies || anomalies.length === 0) return null;
 
   const typeColor = {
@@ -696,7 +724,7 @@ function AnomalyAlerts({ anomalies, delay = 800 }) {
   return (
     <>
       <ReAnimated.View entering={FadeInDown.springify().damping(12).delay(delay)}>
-        <Text style={styles.sectionTitle}>Health Alerts</Text>
+        <Text style={styles.sectionTitle}>{t('biometricDashboard.healthAlerts')}</Text>
       </ReAnimated.View>
       {anomalies.map((anomaly, index) => {
         const alertColor = typeColor[anomaly.type] || Colors.primary;
@@ -730,6 +758,7 @@ function AnomalyAlerts({ anomalies, delay = 800 }) {
 // Not Connected State
 // ============================================================
 function NotConnectedState({ onConnect }) {
+  const { t } = useTranslation();
   return (
     <ReAnimated.View
       entering={FadeInDown.springify().damping(12).delay(100)}
@@ -739,18 +768,18 @@ function NotConnectedState({ onConnect }) {
         <View style={styles.notConnectedIconWrap}>
           <Heart size={48} color={Colors.primary} />
         </View>
-        <Text style={styles.notConnectedTitle}>Connect Your Health Data</Text>
+        <Text style={styles.notConnectedTitle}>{t('biometricDashboard.connectYourHealthData')}</Text>
         <Text style={styles.notConnectedDescription}>
           Link Apple Health or Google Fit to unlock real-time heart rate monitoring,
           VO2 Max tracking, sleep analysis, recovery scoring, and more.
         </Text>
         <View style={styles.benefitsList}>
           {[
-            { icon: Heart, text: 'Real-time heart rate zones' },
-            { icon: Activity, text: 'VO2 Max & recovery scoring' },
-            { icon: Moon, text: 'Sleep stage analysis' },
-            { icon: Zap, text: 'Smart training recommendations' },
-            { icon: Droplets, text: 'Blood oxygen monitoring' },
+            { icon: Heart, text: t('biometricDashboard.realTimeHeartRate') },
+            { icon: Activity, text: t('biometricDashboard.vo2MaxRecoveryScoring') },
+            { icon: Moon, text: t('biometricDashboard.sleepStageAnalysis') },
+            { icon: Zap, text: t('biometricDashboard.smartTrainingRecommendations') },
+            { icon: Droplets, text: t('biometricDashboard.bloodOxygenMonitoring') },
           ].map(({ icon: Icon, text }) => (
             <View key={text} style={styles.benefitRow}>
               <View style={styles.benefitIconWrap}>
@@ -774,7 +803,7 @@ function NotConnectedState({ onConnect }) {
             style={styles.connectButtonGradient}
           >
             <Heart size={20} color={Colors.background} />
-            <Text style={styles.connectButtonText}>Connect Health</Text>
+            <Text style={styles.connectButtonText}>{t('biometricDashboard.connectHealth')}</Text>
           </LinearGradient>
         </Pressable>
       </LinearGradient>
@@ -786,6 +815,7 @@ function NotConnectedState({ onConnect }) {
 // Main Screen
 // ============================================================
 export default function BiometricDashboardScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const {
     summary,
@@ -840,12 +870,12 @@ export default function BiometricDashboardScreen() {
     const diffMs = now - date;
     const diffMins = Math.floor(diffMs / 60000);
 
-    if (diffMins < 1) return 'Just now';
-    if (diffMins < 60) return `${diffMins}m ago`;
+    if (diffMins < 1) return t('biometricDashboard.justNow');
+    if (diffMins < 60) return t('biometricDashboard.mAgo', { diffMins });
     const diffHours = Math.floor(diffMins / 60);
-    if (diffHours < 24) return `${diffHours}h ago`;
-    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-  }, [lastSynced, summary?.lastSynced]);
+    if (diffHours < 24) return t('biometricDashboard.hAgo', { diffHours });
+    return formatDate(date, { month: 'short', day: 'numeric' });
+  }, [lastSynced, summary?.lastSynced, t]);
 
   // Pull-to-refresh handler
   const handleRefresh = useCallback(async () => {
@@ -871,7 +901,7 @@ export default function BiometricDashboardScreen() {
       <ScreenWrapper>
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color={Colors.primary} />
-          <Text style={styles.loadingText}>Loading biometric data...</Text>
+          <Text style={styles.loadingText}>{t('biometricDashboard.loadingBiometricData')}</Text>
         </View>
       </ScreenWrapper>
     );
@@ -887,7 +917,7 @@ export default function BiometricDashboardScreen() {
         <Pressable style={styles.backButton} onPress={handleBack}>
           <ArrowLeft size={22} color={Colors.text} />
         </Pressable>
-        <Text style={styles.headerTitle}>Biometrics</Text>
+        <Text style={styles.headerTitle}>{t('biometricDashboard.biometrics')}</Text>
         <View style={styles.headerRight}>
           {lastUpdatedText && (
             <Pressable style={styles.lastUpdatedBadge} onPress={syncNow}>
@@ -969,7 +999,7 @@ export default function BiometricDashboardScreen() {
             <TrendChart
               data={hrvTrend}
               color="#7C4DFF"
-              label="HRV Trend"
+              label={t('biometricDashboard.hrvTrend')}
               unit="ms"
               icon={BarChart3}
               delay={450}
@@ -993,6 +1023,7 @@ export default function BiometricDashboardScreen() {
             <CaloriesCard
               activeCal={activeCalories || snapshot?.activeCalories || 0}
               restingCal={snapshot?.restingCalories || 0}
+              source={snapshot?.provenance?.activeCalories}
               isSimulated={isSimulated}
             />
             <View style={styles.sectionSpacer} />
@@ -1001,8 +1032,8 @@ export default function BiometricDashboardScreen() {
             <TrendChart
               data={vo2MaxTrend}
               color={Colors.primary}
-              label="VO2 Max Trend"
-              unit="ml/kg/min"
+              label={t('biometricDashboard.vo2MaxTrend')}
+              unit={t('biometricDashboard.mlKgMin')}
               icon={Activity}
               delay={700}
               isSimulated={isSimulated}
@@ -1013,7 +1044,7 @@ export default function BiometricDashboardScreen() {
             <TrendChart
               data={spo2Trend}
               color="#E91E63"
-              label="Blood Oxygen (SpO2)"
+              label={t('biometricDashboard.bloodOxygenSpo2')}
               unit="%"
               icon={Droplets}
               delay={750}
@@ -1023,7 +1054,7 @@ export default function BiometricDashboardScreen() {
 
             {/* Vitals Grid */}
             <ReAnimated.View entering={FadeInDown.springify().damping(12).delay(780)}>
-              <Text style={styles.sectionTitle}>Vitals</Text>
+              <Text style={styles.sectionTitle}>{t('biometricDashboard.vitals')}</Text>
             </ReAnimated.View>
             <VitalsGrid snapshot={snapshot} isSimulated={isSimulated} delay={800} />
             <View style={styles.sectionSpacer} />
@@ -1040,9 +1071,9 @@ export default function BiometricDashboardScreen() {
                       <Heart size={20} color={Colors.success} />
                     </View>
                     <View style={styles.noAlertsContent}>
-                      <Text style={styles.noAlertsTitle}>All Clear</Text>
+                      <Text style={styles.noAlertsTitle}>{t('biometricDashboard.allClear')}</Text>
                       <Text style={styles.noAlertsBody}>
-                        No biometric anomalies detected. Your health metrics look great.
+                        {t('biometricDashboard.noBiometricAnomaliesDetected')}
                       </Text>
                     </View>
                   </View>
@@ -1090,6 +1121,10 @@ const styles = StyleSheet.create({
     color: Colors.warning,
     letterSpacing: 0.3,
   },
+  sourceLabel: {
+    fontSize: 10,
+    color: Colors.textTertiary,
+  },
 
   // Header
   header: {
@@ -28,6 +28,7 @@ import {
   Scale,
   Check,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import {
   Colors,
@@ -41,6 +42,7 @@ import {
 import { hapticLight, hapticSuccess } from '../lib/haptics';
 import useBodyComposition from '../hooks/useBodyComposition';
 import { useProfile, ACTIVITY_LEVELS } from '../context/ProfileContext';
+import { formatDecimal, formatNumber } from '../lib/formatters';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 
@@ -48,11 +50,11 @@ const { width: SCREEN_WIDTH } = Dimensions.get('window');
 // BMI Scale Segment Colors
 // ──────────────────────────────────────────────
 const BMI_SEGMENTS = [
-  { label: 'Underweight', min: 0, max: 18.5, color: '#64D2FF' },
-  { label: 'Normal', min: 18.5, max: 25, color: '#00E676' },
-  { label: 'Overweight', min: 25, max: 30, color: '#FFB300' },
-  { label: 'Obese I', min: 30, max: 35, color: '#FF6B35' },
-  { label: 'Obese II+', min: 35, max: 45, color: '#FF5252' },
+  { labelKey: 'bodyComposition.bmiCategories.underweight', min: 0, max: 18.5, color: '#64D2FF' },
+  { labelKey: 'bodyComposition.bmiCategories.normal', min: 18.5, max: 25, color: '#00E676' },
+  { labelKey: 'bodyComposition.bmiCategories.overweight', min: 25, max: 30, color: '#FFB300' },
+  { labelKey: 'bodyComposition.bmiCategories.obese1', min: 30, max: 35, color: '#FF6B35' },
+  { labelKey: 'bodyComposition.bmiCategories.obese2', min: 35, max: 45, color: '#FF5252' },
 ];
 
 const BMI_SCALE_MIN = 12;
@@ -61,7 +63,13 @@ const BMI_SCALE_MAX = 45;
 // ──────────────────────────────────────────────
 // Activity level options for TDEE selector
 // ──────────────────────────────────────────────
-const ACTIVITY_KEYS = ['sedentary', 'light', 'moderate', 'active', 'extreme'];
+const ACTIVITY_OPTIONS = [
+  { key: 'sedentary', labelKey: 'onboarding.activityOptions.sedentary', descriptionKey: 'onboarding.activityOptions.sedentaryDescription' },
+  { key: 'light', labelKey: 'onboarding.activityOptions.light', descriptionKey: 'onboarding.activityOptions.lightDescription' },
+  { key: 'moderate', labelKey: 'onboarding.activityOptions.moderate', descriptionKey: 'onboarding.activityOptions.moderateDescription' },
+  { key: 'active', labelKey: 'onboarding.activityOptions.active', descriptionKey: 'onboarding.activityOptions.activeDescription' },
+  { key: 'extreme', labelKey: 'onboarding.activityOptions.extreme', descriptionKey: 'onboarding.activityOptions.extremeDescription' },
+];
 
 // ──────────────────────────────────────────────
 // Expandable Info Card
@@ -106,6 +114,7 @@ function InfoCard({ title, children, delay = 0 }) {
 // BMI Scale Bar Visual
 // ──────────────────────────────────────────────
 function BMIScaleBar({ bmi }) {
+  const { t } = useTranslation();
   const barWidth = SCREEN_WIDTH - Spacing.md * 2 - Spacing.lg * 2;
   const clampedBMI = Math.max(BMI_SCALE_MIN, Math.min(BMI_SCALE_MAX, bmi));
   const pointerPosition =
@@ -128,6 +137,7 @@ function BMIScaleBar({ bmi }) {
           return (
             <View
               key={i}
+              accessibilityLabel={t(seg.labelKey)}
               style={[
                 styles.bmiSegment,
                 {
@@ -182,7 +192,7 @@ function CompositionCard({ icon: Icon, iconColor, label, value, unit, delay = 0
           <Icon size={18} color={iconColor} />
         </View>
         <Text style={styles.compCardValue}>
-          {value !== null && value !== undefined ? value.toLocaleString() : '--'}
+          {value !== null && value !== undefined ? formatDecimal(value) : '--'}
         </Text>
         <Text style={styles.compCardUnit}>{unit}</Text>
         <Text style={styles.compCardLabel}>{label}</Text>
@@ -195,6 +205,7 @@ function CompositionCard({ icon: Icon, iconColor, label, value, unit, delay = 0
 // Body Fat Proportion Bar
 // ──────────────────────────────────────────────
 function BodyFatProportionBar({ fatPercent }) {
+  const { t } = useTranslation();
   const leanPercent = 100 - fatPercent;
 
   return (
@@ -227,13 +238,13 @@ function BodyFatProportionBar({ fatPercent }) {
         <View style={styles.proportionLabelRow}>
           <View style={[styles.proportionDot, { backgroundColor: Colors.success }]} />
           <Text style={styles.proportionLabelText}>
-            Lean Mass {leanPercent.toFixed(1)}%
+            {t('bodyComposition.leanMassPercent', { percent: formatDecimal(leanPercent) })}
           </Text>
         </View>
         <View style={styles.proportionLabelRow}>
           <View style={[styles.proportionDot, { backgroundColor: Colors.secondary }]} />
           <Text style={styles.proportionLabelText}>
-            Body Fat {fatPercent.toFixed(1)}%
+            {t('bodyComposition.bodyFatPercent', { percent: formatDecimal(fatPercent) })}
           </Text>
         </View>
       </View>
@@ -245,6 +256,7 @@ function BodyFatProportionBar({ fatPercent }) {
 // Ideal Weight Scale
 // ──────────────────────────────────────────────
 function IdealWeightScale({ min, max, current }) {
+  const { t } = useTranslation();
   if (!min || !max || !current) return null;
 
   const scaleMin = Math.min(min - 20, current - 10);
@@ -284,11 +296,11 @@ function IdealWeightScale({ min, max, current }) {
       </View>
       {/* Labels */}
       <View style={styles.idealScaleLabels}>
-        <Text style={styles.idealScaleLabelText}>{min} lbs</Text>
+        <Text style={styles.idealScaleLabelText}>{t('bodyComposition.lbs3', { min })}</Text>
         <Text style={[styles.idealScaleLabelText, { color: Colors.text }]}>
-          {current} lbs
+          {t('bodyComposition.lbs', { current })}
         </Text>
-        <Text style={styles.idealScaleLabelText}>{max} lbs</Text>
+        <Text style={styles.idealScaleLabelText}>{t('bodyComposition.lbs4', { max })}</Text>
       </View>
       {/* Status message */}
       <View
@@ -311,8 +323,8 @@ function IdealWeightScale({ min, max, current }) {
           ]}
         >
           {isInRange
-            ? "You're within your ideal range!"
-            : `You're ${Math.round(distFromRange)} lbs from ideal range`}
+            ? t('bodyComposition.youreWithinYourIdeal')
+            : t('bodyComposition.lbsFromIdealRange', { distance: Math.round(distFromRange) })}
         </Text>
       </View>
     </View>
@@ -323,9 +335,11 @@ function IdealWeightScale({ min, max, current }) {
 // TDEE Activity Level Selector
 // ──────────────────────────────────────────────
 function TDEEBreakdown({ bmr, activityLevel, gender }) {
+  const { t } = useTranslation();
   const [selectedLevel, setSelectedLevel] = useState(activityLevel || 'moderate');
 
   const multiplier = ACTIVITY_LEVELS[selectedLevel]?.multiplier || 1.55;
+  const selectedOption = ACTIVITY_OPTIONS.find((option) => option.key === selectedLevel);
   const tdee = bmr ? Math.round(bmr * multiplier) : null;
   const activityCalories = bmr && tdee ? tdee - bmr : null;
   const bmrPercent = bmr && tdee ? Math.round((bmr / tdee) * 100) : 0;
@@ -341,7 +355,7 @@ function TDEEBreakdown({ bmr, activityLevel, gender }) {
     <View style={styles.tdeeContainer}>
       <View style={styles.tdeeHeader}>
         <Activity size={20} color={Colors.warning} />
-        <Text style={styles.tdeeTitle}>Daily Energy Needs</Text>
+        <Text style={styles.tdeeTitle}>{t('bodyComposition.dailyEnergyNeeds')}</Text>
       </View>
 
       {/* Activity Level Chips */}
@@ -351,8 +365,7 @@ function TDEEBreakdown({ bmr, activityLevel, gender }) {
         style={styles.tdeeChipsScroll}
         contentContainerStyle={styles.tdeeChipsContent}
       >
-        {ACTIVITY_KEYS.map((key) => {
-          const level = ACTIVITY_LEVELS[key];
+        {ACTIVITY_OPTIONS.map(({ key, labelKey }) => {
           const isActive = key === selectedLevel;
           return (
             <Pressable
@@ -366,7 +379,7 @@ function TDEEBreakdown({ bmr, activityLevel, gender }) {
                   isActive && styles.tdeeChipTextActive,
                 ]}
               >
-                {level.label}
+                {t(labelKey)}
               </Text>
             </Pressable>
           );
@@ -376,9 +389,9 @@ function TDEEBreakdown({ bmr, activityLevel, gender }) {
       {/* TDEE Value */}
       <View style={styles.tdeeTotalRow}>
         <Text style={styles.tdeeTotalValue}>
-          {tdee ? tdee.toLocaleString() : '--'}
+          {tdee ? formatNumber(tdee) : '--'}
         </Text>
-        <Text style={styles.tdeeTotalUnit}>kcal/day</Text>
+        <Text style={styles.tdeeTotalUnit}>{t('bodyComposition.kcalDay')}</Text>
       </View>
 
       {/* Breakdown Bar */}
@@ -413,25 +426,25 @@ function TDEEBreakdown({ bmr, activityLevel, gender }) {
           <View
             style={[styles.tdeeLegendDot, { backgroundColor: Colors.primary }]}
           />
-          <Text style={styles.tdeeLegendLabel}>BMR</Text>
+          <Text style={styles.tdeeLegendLabel}>{t('bodyComposition.bmr')}</Text>
           <Text style={styles.tdeeLegendValue}>
-            {bmr ? bmr.toLocaleString() : '--'} kcal
+            {bmr ? formatNumber(bmr) : '--'} {t('units.kcal')}
           </Text>
         </View>
         <View style={styles.tdeeLegendItem}>
           <View
             style={[styles.tdeeLegendDot, { backgroundColor: Colors.warning }]}
           />
-          <Text style={styles.tdeeLegendLabel}>Activity</Text>
+          <Text style={styles.tdeeLegendLabel}>{t('bodyComposition.activity')}</Text>
           <Text style={styles.tdeeLegendValue}>
-            {activityCalories ? activityCalories.toLocaleString() : '--'} kcal
+            {activityCalories ? formatNumber(activityCalories) : '--'} {t('units.kcal')}
           </Text>
         </View>
       </View>
 
-      <Text style={styles.tdeeDescription}>
-        {ACTIVITY_LEVELS[selectedLevel]?.description}
-      </Text>
+      {selectedOption && (
+        <Text style={styles.tdeeDescription}>{t(selectedOption.descriptionKey)}</Text>
+      )}
     </View>
   );
 }
@@ -440,6 +453,7 @@ function TDEEBreakdown({ bmr, activityLevel, gender }) {
 // MAIN SCREEN
 // ══════════════════════════════════════════════
 export default function BodyCompositionScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const composition = useBodyComposition();
   const { profile } = useProfile();
@@ -491,7 +505,7 @@ export default function BodyCompositionScreen() {
           <Pressable style={styles.backButton} onPress={handleBack}>
             <ArrowLeft size={22} color={Colors.text} />
           </Pressable>
-          <Text style={styles.headerTitle}>Body Composition</Text>
+          <Text style={styles.headerTitle}>{t('bodyComposition.bodyComposition')}</Text>
           <View style={styles.headerIconContainer}>
             <PieChart size={22} color={Colors.primary} />
           </View>
@@ -505,10 +519,9 @@ export default function BodyCompositionScreen() {
           >
             <LinearGradient colors={Gradients.card} style={styles.emptyStateGradient}>
               <Scale size={48} color={Colors.textTertiary} />
-              <Text style={styles.emptyStateTitle}>Profile Incomplete</Text>
+              <Text style={styles.emptyStateTitle}>{t('bodyComposition.profileIncomplete')}</Text>
               <Text style={styles.emptyStateText}>
-                Add your weight and height in your profile to see body composition
-                analysis.
+                {t('bodyComposition.profileIncompleteText')}
               </Text>
             </LinearGradient>
           </ReAnimated.View>
@@ -524,7 +537,7 @@ export default function BodyCompositionScreen() {
               style={styles.bmiCard}
             >
               <View style={styles.bmiCardHeader}>
-                <Text style={styles.bmiCardLabel}>Body Mass Index</Text>
+                <Text style={styles.bmiCardLabel}>{t('bodyComposition.bodyMassIndex')}</Text>
                 <View
                   style={[
                     styles.bmiCategoryBadge,
@@ -534,7 +547,7 @@ export default function BodyCompositionScreen() {
                   <Text
                     style={[styles.bmiCategoryText, { color: bmiCategory.color }]}
                   >
-                    {bmiCategory.label}
+                    {t(bmiCategory.labelKey)}
                   </Text>
                 </View>
               </View>
@@ -545,7 +558,7 @@ export default function BodyCompositionScreen() {
 
               {idealWeightRange && (
                 <Text style={styles.bmiRangeText}>
-                  Normal range for your height: {idealWeightRange.min} - {idealWeightRange.max} lbs
+                  {t('bodyComposition.normalRangeForYour', { min: idealWeightRange.min, max: idealWeightRange.max })}
                 </Text>
               )}
             </LinearGradient>
@@ -562,7 +575,7 @@ export default function BodyCompositionScreen() {
               style={styles.bodyFatCard}
             >
               <View style={styles.bodyFatHeader}>
-                <Text style={styles.bodyFatLabel}>Body Fat</Text>
+                <Text style={styles.bodyFatLabel}>{t('bodyComposition.bodyFat')}</Text>
                 {bodyFatCategory && (
                   <View
                     style={[
@@ -576,7 +589,7 @@ export default function BodyCompositionScreen() {
                         { color: bodyFatCategory.color },
                       ]}
                     >
-                      {bodyFatCategory.label}
+                      {t(bodyFatCategory.labelKey)}
                     </Text>
                   </View>
                 )}
@@ -591,22 +604,22 @@ export default function BodyCompositionScreen() {
                 <View style={styles.bodyFatNumberItem}>
                   <Dumbbell size={16} color={Colors.success} />
                   <Text style={styles.bodyFatNumberValue}>
-                    {leanBodyMass !== null ? `${leanBodyMass} lbs` : '--'}
+                    {leanBodyMass !== null ? t('bodyComposition.lbs5', { leanBodyMass }) : '--'}
                   </Text>
-                  <Text style={styles.bodyFatNumberLabel}>Lean Mass</Text>
+                  <Text style={styles.bodyFatNumberLabel}>{t('bodyComposition.leanMass')}</Text>
                 </View>
                 <View style={styles.bodyFatDivider} />
                 <View style={styles.bodyFatNumberItem}>
                   <Flame size={16} color={Colors.secondary} />
                   <Text style={styles.bodyFatNumberValue}>
-                    {fatMass !== null ? `${fatMass} lbs` : '--'}
+                    {fatMass !== null ? t('bodyComposition.lbs6', { fatMass }) : '--'}
                   </Text>
-                  <Text style={styles.bodyFatNumberLabel}>Fat Mass</Text>
+                  <Text style={styles.bodyFatNumberLabel}>{t('bodyComposition.fatMass')}</Text>
                 </View>
               </View>
 
               <Text style={styles.bodyFatMethodText}>
-                Based on US Navy method using your body measurements
+                {t('bodyComposition.basedOnUsNavy')}
               </Text>
             </LinearGradient>
           </ReAnimated.View>
@@ -623,12 +636,12 @@ export default function BodyCompositionScreen() {
             >
               <Ruler size={32} color={Colors.textTertiary} />
               <Text style={styles.bodyFatUnavailableTitle}>
-                Body Fat Estimate Unavailable
+                {t('bodyComposition.bodyFatEstimateUnavailable')}
               </Text>
               <Text style={styles.bodyFatUnavailableText}>
-                Log your waist, neck{gender === 'female' ? ', and hip' : ''}{' '}
-                measurements to calculate your body fat percentage using the US
-                Navy method.
+                {gender === 'female'
+                  ? t('bodyComposition.bodyFatUnavailableTextWithHip')
+                  : t('bodyComposition.bodyFatUnavailableText')}
               </Text>
               <Pressable
                 style={styles.bodyFatUnavailableButton}
@@ -642,7 +655,7 @@ export default function BodyCompositionScreen() {
                 >
                   <Ruler size={16} color={Colors.background} />
                   <Text style={styles.bodyFatUnavailableButtonText}>
-                    Log Body Measurements
+                    {t('bodyComposition.logBodyMeasurements')}
                   </Text>
                 </LinearGradient>
               </Pressable>
@@ -657,7 +670,7 @@ export default function BodyCompositionScreen() {
               <CompositionCard
                 icon={Dumbbell}
                 iconColor={Colors.success}
-                label="Lean Mass"
+                label={t('bodyComposition.leanMass')}
                 value={leanBodyMass}
                 unit="lbs"
                 delay={300}
@@ -665,7 +678,7 @@ export default function BodyCompositionScreen() {
               <CompositionCard
                 icon={Flame}
                 iconColor={Colors.secondary}
-                label="Fat Mass"
+                label={t('bodyComposition.fatMass')}
                 value={fatMass}
                 unit="lbs"
                 delay={350}
@@ -675,7 +688,7 @@ export default function BodyCompositionScreen() {
               <CompositionCard
                 icon={Droplets}
                 iconColor="#64D2FF"
-                label="Water Weight"
+                label={t('bodyComposition.waterWeight')}
                 value={waterWeight}
                 unit="lbs"
                 delay={400}
@@ -683,7 +696,7 @@ export default function BodyCompositionScreen() {
               <CompositionCard
                 icon={Zap}
                 iconColor={Colors.warning}
-                label="BMR"
+                label={t('bodyComposition.bmr')}
                 value={bmr}
                 unit="kcal"
                 delay={450}
@@ -703,7 +716,7 @@ export default function BodyCompositionScreen() {
             >
               <View style={styles.idealWeightHeader}>
                 <Target size={20} color={Colors.primary} />
-                <Text style={styles.idealWeightTitle}>Ideal Weight Range</Text>
+                <Text style={styles.idealWeightTitle}>{t('bodyComposition.idealWeightRange')}</Text>
               </View>
               <IdealWeightScale
                 min={idealWeightRange.min}
@@ -743,31 +756,31 @@ export default function BodyCompositionScreen() {
             >
               <View style={styles.muscleHeader}>
                 <TrendingUp size={20} color={Colors.success} />
-                <Text style={styles.muscleTitle}>Muscle Gain Potential</Text>
+                <Text style={styles.muscleTitle}>{t('bodyComposition.muscleGainPotential')}</Text>
               </View>
               <Text style={styles.muscleSubtitle}>
-                Estimated monthly lean mass gain (lbs)
+                {t('bodyComposition.estimatedMonthlyLeanMass')}
               </Text>
               {['beginner', 'intermediate', 'advanced'].map((level) => {
                 const data = muscleGainPotential[level];
                 return (
                   <View key={level} style={styles.muscleRow}>
-                    <Text style={styles.muscleRowLabel}>{data.label}</Text>
+                    <Text style={styles.muscleRowLabel}>{t(data.labelKey)}</Text>
                     <Text style={styles.muscleRowValue}>
-                      {data.min} - {data.max} lbs/mo
+                      {t('bodyComposition.lbsPerMonthRange', { min: data.min, max: data.max })}
                     </Text>
                   </View>
                 );
               })}
               <View style={styles.muscleDivider} />
               <View style={styles.muscleRow}>
-                <Text style={styles.muscleRowLabel}>Max Lean Potential</Text>
+                <Text style={styles.muscleRowLabel}>{t('bodyComposition.maxLeanPotential')}</Text>
                 <Text style={[styles.muscleRowValue, { color: Colors.success }]}>
-                  ~{muscleGainPotential.maxLeanPotential} lbs
+                  {t('bodyComposition.lbs2', { maxLeanPotential: muscleGainPotential.maxLeanPotential })}
                 </Text>
               </View>
               <Text style={styles.muscleNote}>
-                Based on the Alan Aragon model. Individual results vary.
+                {t('bodyComposition.basedOnTheAlan')}
               </Text>
             </LinearGradient>
           </ReAnimated.View>
@@ -775,7 +788,7 @@ export default function BodyCompositionScreen() {
 
         {/* ── Info Cards ── */}
         <View style={styles.infoSection}>
-          <InfoCard title="What is BMI?" delay={650}>
+          <InfoCard title={t('bodyComposition.whatIsBmi')} delay={650}>
             {
               'Body Mass Index (BMI) is a simple calculation using your height and weight. ' +
               'While it provides a general indication of whether you are in a healthy weight range, ' +
@@ -784,7 +797,7 @@ export default function BodyCompositionScreen() {
             }
           </InfoCard>
 
-          <InfoCard title="Understanding Body Fat %" delay={700}>
+          <InfoCard title={t('bodyComposition.understandingBodyFat')} delay={700}>
             {
               'Body fat percentage represents the proportion of your total weight that is fat tissue. ' +
               'Essential fat is necessary for normal bodily functions (2-5% for men, 10-13% for women). ' +
@@ -793,7 +806,7 @@ export default function BodyCompositionScreen() {
             }
           </InfoCard>
 
-          <InfoCard title="About These Calculations" delay={750}>
+          <InfoCard title={t('bodyComposition.aboutTheseCalculations')} delay={750}>
             {
               'All calculations shown are estimates based on established formulas and should not be used as medical advice. ' +
               'BMR is calculated using the Mifflin-St Jeor equation. ' +
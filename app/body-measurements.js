@@ -25,10 +25,12 @@ import {
   ChevronDown,
   ChevronUp,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius, Shadows, Gradients } from '../constants/theme';
 import { hapticSuccess, hapticLight } from '../lib/haptics';
 import useBodyMeasurements, { BODY_PARTS } from '../hooks/useBodyMeasurements';
+import { formatDate as formatLocaleDate } from '../lib/formatters';
 
 const BODY_PART_LABELS = {
   chest: 'Chest',
@@ -57,12 +59,12 @@ const DECREASE_FAVORABLE = ['waist', 'hips'];
 
 function formatDate(isoString) {
   const d = new Date(isoString);
-  return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  return formatLocaleDate(d, { month: 'short', day: 'numeric', year: 'numeric' });
 }
 
 function formatShortDate(isoString) {
   const d = new Date(isoString);
-  return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  return formatLocaleDate(d, { month: 'short', day: 'numeric' });
 }
 
 function getChangeFromLatest(latestMeasurements, part, currentValue) {
@@ -74,6 +76,7 @@ function getChangeFromLatest(latestMeasurements, part, currentValue) {
 }
 
 export default function BodyMeasurementsScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const {
     history,
@@ -125,7 +128,7 @@ export default function BodyMeasurementsScreen() {
     // Validate at least one measurement is entered
     const hasValues = Object.values(formValues).some((v) => v && parseFloat(v) > 0);
     if (!hasValues) {
-      Alert.alert('No Measurements', 'Please enter at least one body measurement.');
+      Alert.alert(t('bodyMeasurements.noMeasurements'), t('bodyMeasurements.pleaseEnterAtLeast'));
       return;
     }
 
@@ -141,21 +144,21 @@ export default function BodyMeasurementsScreen() {
       setNoteValue('');
     } catch (e) {
       Sentry.captureException(e);
-      Alert.alert('Save Failed', 'Could not save your measurements. Please try again.');
+      Alert.alert(t('bodyMeasurements.saveFailed'), t('bodyMeasurements.couldNotSaveYour'));
     } finally {
       setIsSaving(false);
     }
-  }, [formValues, noteValue, addMeasurement]);
+  }, [formValues, noteValue, addMeasurement, t]);
 
   const handleDelete = useCallback(
     (date) => {
       Alert.alert(
-        'Delete Entry',
-        'Are you sure you want to delete this measurement entry?',
+        t('bodyMeasurements.deleteEntry'),
+        t('bodyMeasurements.areYouSureYou'),
         [
-          { text: 'Cancel', style: 'cancel' },
+          { text: t('common.cancel'), style: 'cancel' },
           {
-            text: 'Delete',
+            text: t('common.delete'),
             style: 'destructive',
             onPress: async () => {
               await deleteMeasurement(date);
@@ -165,7 +168,7 @@ export default function BodyMeasurementsScreen() {
         ]
       );
     },
-    [deleteMeasurement]
+    [deleteMeasurement, t]
   );
 
   const handleToggleUnit = useCallback(async () => {
@@ -187,7 +190,7 @@ export default function BodyMeasurementsScreen() {
       <ScreenWrapper>
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color={Colors.primary} />
-          <Text style={styles.loadingText}>Loading measurements...</Text>
+          <Text style={styles.loadingText}>{t('bodyMeasurements.loadingMeasurements')}</Text>
         </View>
       </ScreenWrapper>
     );
@@ -206,7 +209,7 @@ export default function BodyMeasurementsScreen() {
           <Pressable style={styles.backButton} onPress={() => router.back()}>
             <ArrowLeft size={22} color={Colors.text} />
           </Pressable>
-          <Text style={styles.title}>Body Measurements</Text>
+          <Text style={styles.title}>{t('bodyMeasurements.bodyMeasurements')}</Text>
           <Pressable style={styles.unitToggle} onPress={handleToggleUnit}>
             <View style={[styles.unitOption, unit === 'cm' && styles.unitOptionActive]}>
               <Text style={[styles.unitText, unit === 'cm' && styles.unitTextActive]}>cm</Text>
@@ -229,16 +232,16 @@ export default function BodyMeasurementsScreen() {
               <View style={styles.emptyIcon}>
                 <Ruler size={48} color={Colors.textTertiary} />
               </View>
-              <Text style={styles.emptyTitle}>Track Your Body Changes</Text>
+              <Text style={styles.emptyTitle}>{t('bodyMeasurements.trackYourBodyChanges')}</Text>
               <Text style={styles.emptySubtitle}>
-                Take your first measurements to start tracking your body composition over time
+                {t('bodyMeasurements.takeYourFirstMeasurements')}
               </Text>
             </ReAnimated.View>
           )}
 
           {/* Quick Entry Section */}
           <ReAnimated.View entering={FadeInDown.delay(hasHistory ? 80 : 200).springify().mass(0.5).damping(10)}>
-            <Text style={styles.sectionTitle}>Measurements</Text>
+            <Text style={styles.sectionTitle}>{t('bodyMeasurements.measurements')}</Text>
             <View style={styles.inputGrid}>
               {BODY_PARTS.map((part, index) => {
                 const change = latestEntry
@@ -291,7 +294,7 @@ export default function BodyMeasurementsScreen() {
                 style={styles.noteInput}
                 value={noteValue}
                 onChangeText={setNoteValue}
-                placeholder="Add a note (optional)..."
+                placeholder={t('bodyMeasurements.addANoteOptional')}
                 placeholderTextColor={Colors.textTertiary}
                 maxLength={120}
               />
@@ -314,7 +317,7 @@ export default function BodyMeasurementsScreen() {
                 ) : (
                   <>
                     <Save size={20} color={Colors.background} />
-                    <Text style={styles.saveButtonText}>Save Measurements</Text>
+                    <Text style={styles.saveButtonText}>{t('bodyMeasurements.saveMeasurements')}</Text>
                   </>
                 )}
               </LinearGradient>
@@ -324,9 +327,9 @@ export default function BodyMeasurementsScreen() {
           {/* Changes Overview */}
           {changes && (
             <ReAnimated.View entering={FadeInDown.delay(160).springify().mass(0.5).damping(10)}>
-              <Text style={styles.sectionTitle}>Changes Overview</Text>
+              <Text style={styles.sectionTitle}>{t('bodyMeasurements.changesOverview')}</Text>
               <View style={styles.changesCard}>
-                <Text style={styles.changesSubtitle}>First entry to latest</Text>
+                <Text style={styles.changesSubtitle}>{t('bodyMeasurements.firstEntryToLatest')}</Text>
                 {BODY_PARTS.map((part) => {
                   const change = changes[part];
                   if (change === null || change === undefined) return null;
@@ -387,7 +390,7 @@ export default function BodyMeasurementsScreen() {
           {/* History Timeline */}
           {hasHistory && (
             <ReAnimated.View entering={FadeInDown.delay(240).springify().mass(0.5).damping(10)}>
-              <Text style={styles.sectionTitle}>History</Text>
+              <Text style={styles.sectionTitle}>{t('bodyMeasurements.history')}</Text>
               {history.map((entry, index) => {
                 const isExpanded = expandedEntry === entry.date;
                 const measurements = entry.measurements;
@@ -398,7 +401,7 @@ export default function BodyMeasurementsScreen() {
                 if (measurements.hips) summaryParts.push(`Hips: ${measurements.hips}`);
                 const summaryText = summaryParts.length > 0
                   ? summaryParts.join('  |  ')
-                  : 'No key measurements';
+                  : t('bodyMeasurements.noKeyMeasurements');
 
                 return (
                   <Pressable
@@ -448,7 +451,7 @@ export default function BodyMeasurementsScreen() {
                           onPress={() => handleDelete(entry.date)}
                         >
                           <Trash2 size={14} color={Colors.error} />
-                          <Text style={styles.historyDeleteText}>Delete Entry</Text>
+                          <Text style={styles.historyDeleteText}>{t('bodyMeasurements.deleteEntry')}</Text>
                         </Pressable>
                       </View>
                     )}
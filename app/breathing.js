@@ -25,6 +25,7 @@ import {
   Activity,
   Award,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius, Shadows } from '../constants/theme';
 import { hapticSuccess, hapticLight } from '../lib/haptics';
@@ -36,8 +37,8 @@ const SCREEN_WIDTH = Dimensions.get('window').width;
 const TECHNIQUES = [
   {
     id: 'box',
-    name: 'Box Breathing',
-    description: 'Equal rhythm for calm focus',
+    nameKey: 'breathing.techniques.box',
+    descriptionKey: 'breathing.techniques.boxDescription',
     pattern: '4-4-4-4',
     phases: [
       { name: 'Inhale', duration: 4 },
@@ -50,8 +51,8 @@ const TECHNIQUES = [
   },
   {
     id: '478',
-    name: '4-7-8 Relaxation',
-    description: 'Deep relaxation technique',
+    nameKey: 'breathing.techniques.n478',
+    descriptionKey: 'breathing.techniques.n478Description',
     pattern: '4-7-8',
     phases: [
       { name: 'Inhale', duration: 4 },
@@ -63,8 +64,8 @@ const TECHNIQUES = [
   },
   {
     id: 'deep',
-    name: 'Deep Breathing',
-    description: 'Simple and calming',
+    nameKey: 'breathing.techniques.deep',
+    descriptionKey: 'breathing.techniques.deepDescription',
     pattern: '5-5',
     phases: [
       { name: 'Inhale', duration: 5 },
@@ -75,8 +76,8 @@ const TECHNIQUES = [
   },
   {
     id: 'energize',
-    name: 'Energize',
-    description: 'Quick energy boost',
+    nameKey: 'breathing.techniques.energize',
+    descriptionKey: 'breathing.techniques.energizeDescription',
     pattern: '2-1-2',
     phases: [
       { name: 'Inhale', duration: 2 },
@@ -88,17 +89,25 @@ const TECHNIQUES = [
   },
 ];
 
+// Phase names drive the animation; these are only for display
+const PHASE_LABEL_KEYS = {
+  Inhale: 'breathing.phases.inhale',
+  Hold: 'breathing.phases.hold',
+  Exhale: 'breathing.phases.exhale',
+};
+
 const DURATION_OPTIONS = [
-  { label: '1 min', seconds: 60 },
-  { label: '3 min', seconds: 180 },
-  { label: '5 min', seconds: 300 },
-  { label: '10 min', seconds: 600 },
+  { labelKey: 'breathing.durationOptions.n1Min', seconds: 60 },
+  { labelKey: 'breathing.durationOptions.n3Min', seconds: 180 },
+  { labelKey: 'breathing.durationOptions.n5Min', seconds: 300 },
+  { labelKey: 'breathing.durationOptions.n10Min', seconds: 600 },
 ];
 
 // Circle size
 const CIRCLE_SIZE = 200;
 
 export default function BreathingScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const {
     sessions,
@@ -315,12 +324,12 @@ export default function BreathingScreen() {
           <ArrowLeft size={22} color={Colors.text} />
         </Pressable>
         <View style={styles.headerCenter}>
-          <Text style={styles.title}>Breathe</Text>
+          <Text style={styles.title}>{t('breathing.breathe')}</Text>
         </View>
         <View style={styles.headerRight}>
           <View style={[styles.todayBadge, { backgroundColor: selectedTechnique.color + '20' }]}>
             <Text style={[styles.todayBadgeText, { color: selectedTechnique.color }]}>
-              {todayCount} today
+              {t('breathing.today', { todayCount })}
             </Text>
           </View>
         </View>
@@ -333,7 +342,7 @@ export default function BreathingScreen() {
       >
         {/* Technique Selector */}
         <ReAnimated.View entering={FadeInDown.delay(80).springify().damping(12)}>
-          <Text style={styles.sectionTitle}>Technique</Text>
+          <Text style={styles.sectionTitle}>{t('breathing.technique')}</Text>
           <ScrollView
             horizontal
             showsHorizontalScrollIndicator={false}
@@ -368,9 +377,9 @@ export default function BreathingScreen() {
                       <Icon size={20} color={technique.color} />
                     </View>
                     <Text style={[styles.techniqueName, isSelected && { color: technique.color }]}>
-                      {technique.name}
+                      {t(technique.nameKey)}
                     </Text>
-                    <Text style={styles.techniqueDescription}>{technique.description}</Text>
+                    <Text style={styles.techniqueDescription}>{t(technique.descriptionKey)}</Text>
                     <View style={[styles.patternBadge, { backgroundColor: technique.color + '15' }]}>
                       <Text style={[styles.patternBadgeText, { color: technique.color }]}>
                         {technique.pattern}
@@ -385,7 +394,7 @@ export default function BreathingScreen() {
 
         {/* Duration Selector */}
         <ReAnimated.View entering={FadeInDown.delay(160).springify().damping(12)}>
-          <Text style={styles.sectionTitle}>Duration</Text>
+          <Text style={styles.sectionTitle}>{t('breathing.duration')}</Text>
           <View style={styles.durationRow}>
             {DURATION_OPTIONS.map((option) => {
               const isSelected = selectedDuration.seconds === option.seconds;
@@ -412,7 +421,7 @@ export default function BreathingScreen() {
                       isSelected && { color: selectedTechnique.color },
                     ]}
                   >
-                    {option.label}
+                    {t(option.labelKey)}
                   </Text>
                 </Pressable>
               );
@@ -444,7 +453,7 @@ export default function BreathingScreen() {
                 {/* Phase label */}
                 <ReAnimated.View style={phaseTextAnimatedStyle}>
                   <Text style={[styles.phaseText, { color: selectedTechnique.color }]}>
-                    {isActive ? currentPhase.name : 'Ready'}
+                    {isActive ? t(PHASE_LABEL_KEYS[currentPhase.name]) : t('breathing.ready')}
                   </Text>
                 </ReAnimated.View>
 
@@ -457,14 +466,14 @@ export default function BreathingScreen() {
 
                 {/* Idle instruction */}
                 {!isActive && !showCompletion && (
-                  <Text style={styles.idleText}>Tap Start</Text>
+                  <Text style={styles.idleText}>{t('breathing.tapStart')}</Text>
                 )}
 
                 {/* Completion text */}
                 {showCompletion && (
                   <View style={styles.completionInner}>
                     <Award size={28} color={Colors.gold} />
-                    <Text style={styles.completionText}>Complete!</Text>
+                    <Text style={styles.completionText}>{t('breathing.complete')}</Text>
                   </View>
                 )}
               </View>
@@ -474,7 +483,7 @@ export default function BreathingScreen() {
           {/* Session timer below circle */}
           {isActive && (
             <View style={styles.sessionTimerContainer}>
-              <Text style={styles.sessionTimerLabel}>Remaining</Text>
+              <Text style={styles.sessionTimerLabel}>{t('breathing.remaining')}</Text>
               <Text style={[styles.sessionTimerText, { color: selectedTechnique.color }]}>
                 {formatTime(totalTimeRemaining)}
               </Text>
@@ -504,7 +513,7 @@ export default function BreathingScreen() {
                 style={styles.startButtonGradient}
               >
                 <Play size={24} color="#000" fill="#000" />
-                <Text style={styles.startButtonText}>Start</Text>
+                <Text style={styles.startButtonText}>{t('common.start')}</Text>
               </LinearGradient>
             </Pressable>
           )}
@@ -521,12 +530,12 @@ export default function BreathingScreen() {
                   {isPaused ? (
                     <>
                       <Play size={22} color="#000" fill="#000" />
-                      <Text style={styles.pauseButtonText}>Resume</Text>
+                      <Text style={styles.pauseButtonText}>{t('common.resume')}</Text>
                     </>
                   ) : (
                     <>
                       <Pause size={22} color="#000" />
-                      <Text style={styles.pauseButtonText}>Pause</Text>
+                      <Text style={styles.pauseButtonText}>{t('common.pause')}</Text>
                     </>
                   )}
                 </LinearGradient>
@@ -534,7 +543,7 @@ export default function BreathingScreen() {
               <Pressable style={styles.stopButton} onPress={stopSession}>
                 <View style={styles.stopButtonInner}>
                   <StopCircle size={20} color={Colors.textSecondary} />
-                  <Text style={styles.stopButtonText}>Stop</Text>
+                  <Text style={styles.stopButtonText}>{t('common.stop')}</Text>
                 </View>
               </Pressable>
             </>
@@ -555,7 +564,7 @@ export default function BreathingScreen() {
                 style={styles.startButtonGradient}
               >
                 <Play size={24} color="#000" fill="#000" />
-                <Text style={styles.startButtonText}>Again</Text>
+                <Text style={styles.startButtonText}>{t('breathing.again')}</Text>
               </LinearGradient>
             </Pressable>
           )}
@@ -563,35 +572,35 @@ export default function BreathingScreen() {
 
         {/* Session Stats Card */}
         <ReAnimated.View entering={FadeInDown.delay(400).springify().damping(12)}>
-          <Text style={styles.sectionTitle}>Today's Stats</Text>
+          <Text style={styles.sectionTitle}>{t('breathing.todaysStats')}</Text>
           <View style={styles.statsRow}>
             <View style={styles.statCard}>
               <View style={[styles.statIconContainer, { backgroundColor: selectedTechnique.color + '20' }]}>
                 <Activity size={18} color={selectedTechnique.color} />
               </View>
               <Text style={styles.statValue}>{todayCount}</Text>
-              <Text style={styles.statLabel}>Sessions</Text>
+              <Text style={styles.statLabel}>{t('breathing.sessions')}</Text>
             </View>
             <View style={styles.statCard}>
               <View style={[styles.statIconContainer, { backgroundColor: Colors.primarySoft }]}>
                 <Clock size={18} color={Colors.primary} />
               </View>
               <Text style={styles.statValue}>{todayMinutes}</Text>
-              <Text style={styles.statLabel}>Minutes</Text>
+              <Text style={styles.statLabel}>{t('breathing.minutes')}</Text>
             </View>
             <View style={styles.statCard}>
               <View style={[styles.statIconContainer, { backgroundColor: Colors.warningSoft }]}>
                 <Flame size={18} color={Colors.warning} />
               </View>
               <Text style={styles.statValue}>{streak}</Text>
-              <Text style={styles.statLabel}>Streak</Text>
+              <Text style={styles.statLabel}>{t('breathing.streak')}</Text>
             </View>
             <View style={styles.statCard}>
               <View style={[styles.statIconContainer, { backgroundColor: Colors.successSoft }]}>
                 <Award size={18} color={Colors.success} />
               </View>
               <Text style={styles.statValue}>{totalMinutes}</Text>
-              <Text style={styles.statLabel}>All Time</Text>
+              <Text style={styles.statLabel}>{t('breathing.allTime')}</Text>
             </View>
           </View>
         </ReAnimated.View>
@@ -28,11 +28,13 @@ import {
   Minus,
   Check,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 
 import { Colors, Gradients, Spacing, FontSize, FontWeight, BorderRadius, Shadows } from '../constants/theme';
 import ScreenWrapper from '../components/ScreenWrapper';
 import { hapticLight } from '../lib/haptics';
 import useCalorieCycling, { CYCLING_PATTERNS } from '../hooks/useCalorieCycling';
+import { formatNumber } from '../lib/formatters';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 
@@ -163,6 +165,7 @@ function MacroProgressBar({ label, current, color, percentage }) {
 // ─── Donut Chart Segment (simplified SVG-free) ───────────────────────────────
 
 function MacroDonutChart({ macroSplit }) {
+  const { t } = useTranslation();
   const total = macroSplit.protein + macroSplit.carbs + macroSplit.fat;
   const proteinDeg = (macroSplit.protein / total) * 360;
   const carbsDeg = (macroSplit.carbs / total) * 360;
@@ -174,24 +177,24 @@ function MacroDonutChart({ macroSplit }) {
         <View style={styles.donutRing} />
         {/* Macro segments represented as colored arcs via bars */}
         <View style={styles.donutCenter}>
-          <Text style={styles.donutCenterText}>Macro</Text>
-          <Text style={styles.donutCenterSubtext}>Split</Text>
+          <Text style={styles.donutCenterText}>{t('calorieCycling.macro')}</Text>
+          <Text style={styles.donutCenterSubtext}>{t('calorieCycling.split')}</Text>
         </View>
       </View>
       <View style={styles.donutLegend}>
         <View style={styles.donutLegendItem}>
           <View style={[styles.donutLegendDot, { backgroundColor: Colors.protein }]} />
-          <Text style={styles.donutLegendLabel}>Protein</Text>
+          <Text style={styles.donutLegendLabel}>{t('food.protein')}</Text>
           <Text style={[styles.donutLegendValue, { color: Colors.protein }]}>{macroSplit.protein}%</Text>
         </View>
         <View style={styles.donutLegendItem}>
           <View style={[styles.donutLegendDot, { backgroundColor: Colors.carbs }]} />
-          <Text style={styles.donutLegendLabel}>Carbs</Text>
+          <Text style={styles.donutLegendLabel}>{t('food.carbs')}</Text>
           <Text style={[styles.donutLegendValue, { color: Colors.carbs }]}>{macroSplit.carbs}%</Text>
         </View>
         <View style={styles.donutLegendItem}>
           <View style={[styles.donutLegendDot, { backgroundColor: Colors.fat }]} />
-          <Text style={styles.donutLegendLabel}>Fat</Text>
+          <Text style={styles.donutLegendLabel}>{t('food.fat')}</Text>
           <Text style={[styles.donutLegendValue, { color: Colors.fat }]}>{macroSplit.fat}%</Text>
         </View>
       </View>
@@ -256,6 +259,7 @@ function EducationalCard({ title, content, icon: Icon, iconColor, delay }) {
 // ─── Main Screen ──────────────────────────────────────────────────────────────
 
 export default function CalorieCyclingScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const {
     selectedPattern,
@@ -310,7 +314,7 @@ export default function CalorieCyclingScreen() {
       <ScreenWrapper>
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color={Colors.primary} />
-          <Text style={styles.loadingText}>Loading calorie cycling...</Text>
+          <Text style={styles.loadingText}>{t('calorieCycling.loadingCalorieCycling')}</Text>
         </View>
       </ScreenWrapper>
     );
@@ -335,7 +339,7 @@ export default function CalorieCyclingScreen() {
             <ArrowLeft size={22} color={Colors.text} />
           </Pressable>
           <View style={styles.headerCenter}>
-            <Text style={styles.headerTitle}>Calorie Cycling</Text>
+            <Text style={styles.headerTitle}>{t('calorieCycling.calorieCycling')}</Text>
           </View>
           <View style={[styles.headerIconCircle, { backgroundColor: Colors.secondary + '20' }]}>
             <TrendingUp size={20} color={Colors.secondary} />
@@ -347,21 +351,21 @@ export default function CalorieCyclingScreen() {
           <View style={styles.tdeeRefCard}>
             <View style={styles.tdeeRefRow}>
               <View style={styles.tdeeRefItem}>
-                <Text style={styles.tdeeRefLabel}>Maintenance</Text>
+                <Text style={styles.tdeeRefLabel}>{t('calorieCycling.maintenance')}</Text>
                 <Text style={styles.tdeeRefValue}>{baseTDEE}</Text>
-                <Text style={styles.tdeeRefUnit}>kcal</Text>
+                <Text style={styles.tdeeRefUnit}>{t('units.kcal')}</Text>
               </View>
               <View style={styles.tdeeRefDivider} />
               <View style={styles.tdeeRefItem}>
-                <Text style={styles.tdeeRefLabel}>Goal</Text>
+                <Text style={styles.tdeeRefLabel}>{t('calorieCycling.goal')}</Text>
                 <Text style={[styles.tdeeRefValue, { color: Colors.primary }]}>{baseCalorieGoal}</Text>
-                <Text style={styles.tdeeRefUnit}>kcal</Text>
+                <Text style={styles.tdeeRefUnit}>{t('units.kcal')}</Text>
               </View>
               <View style={styles.tdeeRefDivider} />
               <View style={styles.tdeeRefItem}>
-                <Text style={styles.tdeeRefLabel}>Cycling Avg</Text>
+                <Text style={styles.tdeeRefLabel}>{t('calorieCycling.cyclingAvg')}</Text>
                 <Text style={[styles.tdeeRefValue, { color: Colors.secondary }]}>{weeklyStats.avgCalories}</Text>
-                <Text style={styles.tdeeRefUnit}>kcal</Text>
+                <Text style={styles.tdeeRefUnit}>{t('units.kcal')}</Text>
               </View>
             </View>
           </View>
@@ -369,7 +373,7 @@ export default function CalorieCyclingScreen() {
 
         {/* Pattern Selector */}
         <Animated.View entering={FadeInDown.delay(100).springify().mass(0.5).damping(10)}>
-          <SectionHeader title="Cycling Pattern" icon={Target} iconColor={Colors.primary} />
+          <SectionHeader title={t('calorieCycling.cyclingPattern')} icon={Target} iconColor={Colors.primary} />
           <View style={styles.patternRow}>
             {patterns.map((pattern) => (
               <PatternCard
@@ -384,9 +388,9 @@ export default function CalorieCyclingScreen() {
 
         {/* Weekly Calendar View */}
         <Animated.View entering={FadeInDown.delay(200).springify().mass(0.5).damping(10)}>
-          <SectionHeader title="Weekly Schedule" icon={Calendar} iconColor={Colors.warning} />
+          <SectionHeader title={t('calorieCycling.weeklySchedule')} icon={Calendar} iconColor={Colors.warning} />
           <GlassCard>
-            <Text style={styles.calendarHint}>Tap a day to change its type</Text>
+            <Text style={styles.calendarHint}>{t('calorieCycling.tapADayTo')}</Text>
             <View style={styles.weekRow}>
               {weeklyPlan.map((day, index) => (
                 <DayBlock
@@ -404,11 +408,11 @@ export default function CalorieCyclingScreen() {
                 <>
                   <View style={styles.legendItem}>
                     <View style={[styles.legendDot, { backgroundColor: '#00E676' }]} />
-                    <Text style={styles.legendText}>Training (High)</Text>
+                    <Text style={styles.legendText}>{t('calorieCycling.trainingHigh')}</Text>
                   </View>
                   <View style={styles.legendItem}>
                     <View style={[styles.legendDot, { backgroundColor: '#FF6B35' }]} />
-                    <Text style={styles.legendText}>Rest (Low)</Text>
+                    <Text style={styles.legendText}>{t('calorieCycling.restLow')}</Text>
                   </View>
                 </>
               )}
@@ -416,15 +420,15 @@ export default function CalorieCyclingScreen() {
                 <>
                   <View style={styles.legendItem}>
                     <View style={[styles.legendDot, { backgroundColor: '#00E676' }]} />
-                    <Text style={styles.legendText}>High</Text>
+                    <Text style={styles.legendText}>{t('calorieCycling.high')}</Text>
                   </View>
                   <View style={styles.legendItem}>
                     <View style={[styles.legendDot, { backgroundColor: '#00D4FF' }]} />
-                    <Text style={styles.legendText}>Med</Text>
+                    <Text style={styles.legendText}>{t('calorieCycling.med')}</Text>
                   </View>
                   <View style={styles.legendItem}>
                     <View style={[styles.legendDot, { backgroundColor: '#FF6B35' }]} />
-                    <Text style={styles.legendText}>Low</Text>
+                    <Text style={styles.legendText}>{t('calorieCycling.low')}</Text>
                   </View>
                 </>
               )}
@@ -432,19 +436,19 @@ export default function CalorieCyclingScreen() {
                 <>
                   <View style={styles.legendItem}>
                     <View style={[styles.legendDot, { backgroundColor: '#00E676' }]} />
-                    <Text style={styles.legendText}>Train</Text>
+                    <Text style={styles.legendText}>{t('calorieCycling.train')}</Text>
                   </View>
                   <View style={styles.legendItem}>
                     <View style={[styles.legendDot, { backgroundColor: '#00D4FF' }]} />
-                    <Text style={styles.legendText}>Med</Text>
+                    <Text style={styles.legendText}>{t('calorieCycling.med')}</Text>
                   </View>
                   <View style={styles.legendItem}>
                     <View style={[styles.legendDot, { backgroundColor: '#FF6B35' }]} />
-                    <Text style={styles.legendText}>Low</Text>
+                    <Text style={styles.legendText}>{t('calorieCycling.low')}</Text>
                   </View>
                   <View style={styles.legendItem}>
                     <View style={[styles.legendDot, { backgroundColor: '#FFD700' }]} />
-                    <Text style={styles.legendText}>Refeed</Text>
+                    <Text style={styles.legendText}>{t('calorieCycling.refeed2')}</Text>
                   </View>
                 </>
               )}
@@ -455,7 +459,7 @@ export default function CalorieCyclingScreen() {
         {/* Today's Targets Card (Hero) */}
         {todaysTarget && todayTypeInfo && (
           <Animated.View entering={FadeInDown.delay(300).springify().mass(0.5).damping(10)}>
-            <SectionHeader title="Today's Targets" icon={Flame} iconColor={Colors.warning} />
+            <SectionHeader title={t('calorieCycling.todaysTargets')} icon={Flame} iconColor={Colors.warning} />
             <View style={styles.heroCard}>
               <LinearGradient
                 colors={[`${todayTypeInfo.color}12`, `${todayTypeInfo.color}04`]}
@@ -474,7 +478,7 @@ export default function CalorieCyclingScreen() {
                   <Text style={[styles.heroCalorieNumber, { color: todayTypeInfo.color }]}>
                     {todaysTarget.calories}
                   </Text>
-                  <Text style={styles.heroCalorieUnit}>kcal</Text>
+                  <Text style={styles.heroCalorieUnit}>{t('units.kcal')}</Text>
                 </View>
 
                 {/* Comparison to standard */}
@@ -499,19 +503,19 @@ export default function CalorieCyclingScreen() {
                 {/* Macro targets */}
                 <View style={styles.heroMacrosRow}>
                   <MacroProgressBar
-                    label="Protein"
+                    label={t('food.protein')}
                     current={todaysTarget.protein}
                     color={Colors.protein}
                     percentage={todayMacroSplit.protein}
                   />
                   <MacroProgressBar
-                    label="Carbs"
+                    label={t('food.carbs')}
                     current={todaysTarget.carbs}
                     color={Colors.carbs}
                     percentage={todayMacroSplit.carbs}
                   />
                   <MacroProgressBar
-                    label="Fat"
+                    label={t('food.fat')}
                     current={todaysTarget.fat}
                     color={Colors.fat}
                     percentage={todayMacroSplit.fat}
@@ -524,33 +528,33 @@ export default function CalorieCyclingScreen() {
 
         {/* Weekly Overview */}
         <Animated.View entering={FadeInDown.delay(400).springify().mass(0.5).damping(10)}>
-          <SectionHeader title="Weekly Overview" icon={BarChart3} iconColor={Colors.primary} />
+          <SectionHeader title={t('calorieCycling.weeklyOverview')} icon={BarChart3} iconColor={Colors.primary} />
           <GlassCard>
             <View style={styles.weeklyOverviewGrid}>
               <View style={styles.weeklyOverviewItem}>
-                <Text style={styles.weeklyOverviewLabel}>Total Weekly</Text>
-                <Text style={styles.weeklyOverviewValue}>{weeklyStats.totalCalories.toLocaleString()}</Text>
-                <Text style={styles.weeklyOverviewUnit}>kcal</Text>
+                <Text style={styles.weeklyOverviewLabel}>{t('calorieCycling.totalWeekly')}</Text>
+                <Text style={styles.weeklyOverviewValue}>{formatNumber(weeklyStats.totalCalories)}</Text>
+                <Text style={styles.weeklyOverviewUnit}>{t('units.kcal')}</Text>
               </View>
               <View style={styles.weeklyOverviewItem}>
-                <Text style={styles.weeklyOverviewLabel}>Daily Average</Text>
+                <Text style={styles.weeklyOverviewLabel}>{t('calorieCycling.dailyAverage')}</Text>
                 <Text style={[styles.weeklyOverviewValue, { color: Colors.primary }]}>
-                  {weeklyStats.avgCalories.toLocaleString()}
+                  {formatNumber(weeklyStats.avgCalories)}
                 </Text>
-                <Text style={styles.weeklyOverviewUnit}>kcal/day</Text>
+                <Text style={styles.weeklyOverviewUnit}>{t('calorieCycling.kcalDay')}</Text>
               </View>
               <View style={styles.weeklyOverviewItem}>
-                <Text style={styles.weeklyOverviewLabel}>vs Maintenance</Text>
+                <Text style={styles.weeklyOverviewLabel}>{t('calorieCycling.vsMaintenance')}</Text>
                 <Text style={[
                   styles.weeklyOverviewValue,
                   { color: weeklyStats.isDeficit ? Colors.secondary : weeklyStats.isSurplus ? Colors.success : Colors.textSecondary },
                 ]}>
-                  {weeklyStats.isDeficit ? '-' : weeklyStats.isSurplus ? '+' : ''}{Math.abs(weeklyStats.weeklyDeficit).toLocaleString()}
+                  {weeklyStats.isDeficit ? '-' : weeklyStats.isSurplus ? '+' : ''}{formatNumber(Math.abs(weeklyStats.weeklyDeficit))}
                 </Text>
-                <Text style={styles.weeklyOverviewUnit}>kcal/week</Text>
+                <Text style={styles.weeklyOverviewUnit}>{t('calorieCycling.kcalWeek')}</Text>
               </View>
               <View style={styles.weeklyOverviewItem}>
-                <Text style={styles.weeklyOverviewLabel}>Estimated Rate</Text>
+                <Text style={styles.weeklyOverviewLabel}>{t('calorieCycling.estimatedRate')}</Text>
                 <Text style={[
                   styles.weeklyOverviewValue,
                   { color: Colors.warning },
@@ -565,7 +569,7 @@ export default function CalorieCyclingScreen() {
 
             {/* Calorie range visualization */}
             <View style={styles.rangeBar}>
-              <Text style={styles.rangeLabel}>Calorie Range</Text>
+              <Text style={styles.rangeLabel}>{t('calorieCycling.calorieRange')}</Text>
               <View style={styles.rangeTrack}>
                 <View style={styles.rangeTrackBg} />
                 <View style={[styles.rangeMin, { left: '0%' }]}>
@@ -576,7 +580,7 @@ export default function CalorieCyclingScreen() {
                 </View>
               </View>
               <Text style={styles.rangeSpread}>
-                {weeklyStats.calorieRange} kcal spread
+                {t('calorieCycling.kcalSpread', { calorieRange: weeklyStats.calorieRange })}
               </Text>
             </View>
 
@@ -586,7 +590,7 @@ export default function CalorieCyclingScreen() {
                 <View style={[styles.dayTypeChip, { backgroundColor: 'rgba(0, 230, 118, 0.12)' }]}>
                   <View style={[styles.dayTypeChipDot, { backgroundColor: '#00E676' }]} />
                   <Text style={[styles.dayTypeChipText, { color: '#00E676' }]}>
-                    {weeklyStats.trainingDays} Training
+                    {t('calorieCycling.training', { trainingDays: weeklyStats.trainingDays })}
                   </Text>
                 </View>
               )}
@@ -594,7 +598,7 @@ export default function CalorieCyclingScreen() {
                 <View style={[styles.dayTypeChip, { backgroundColor: 'rgba(0, 212, 255, 0.12)' }]}>
                   <View style={[styles.dayTypeChipDot, { backgroundColor: '#00D4FF' }]} />
                   <Text style={[styles.dayTypeChipText, { color: '#00D4FF' }]}>
-                    {weeklyStats.mediumDays} Medium
+                    {t('calorieCycling.medium', { mediumDays: weeklyStats.mediumDays })}
                   </Text>
                 </View>
               )}
@@ -602,7 +606,7 @@ export default function CalorieCyclingScreen() {
                 <View style={[styles.dayTypeChip, { backgroundColor: 'rgba(255, 107, 53, 0.12)' }]}>
                   <View style={[styles.dayTypeChipDot, { backgroundColor: '#FF6B35' }]} />
                   <Text style={[styles.dayTypeChipText, { color: '#FF6B35' }]}>
-                    {weeklyStats.restDays} Rest
+                    {t('calorieCycling.rest', { restDays: weeklyStats.restDays })}
                   </Text>
                 </View>
               )}
@@ -610,7 +614,7 @@ export default function CalorieCyclingScreen() {
                 <View style={[styles.dayTypeChip, { backgroundColor: 'rgba(255, 215, 0, 0.12)' }]}>
                   <View style={[styles.dayTypeChipDot, { backgroundColor: '#FFD700' }]} />
                   <Text style={[styles.dayTypeChipText, { color: '#FFD700' }]}>
-                    {weeklyStats.refeedDays} Refeed
+                    {t('calorieCycling.refeed', { refeedDays: weeklyStats.refeedDays })}
                   </Text>
                 </View>
               )}
@@ -620,21 +624,21 @@ export default function CalorieCyclingScreen() {
 
         {/* Macro Split Visualization */}
         <Animated.View entering={FadeInDown.delay(500).springify().mass(0.5).damping(10)}>
-          <SectionHeader title="Macro Split Visualization" icon={PieChart} iconColor={Colors.protein} />
+          <SectionHeader title={t('calorieCycling.macroSplitVisualization')} icon={PieChart} iconColor={Colors.protein} />
           <GlassCard>
             {/* Today's macro donut */}
             <MacroDonutChart macroSplit={todayMacroSplit} />
 
             {/* Comparison bars */}
             <View style={styles.comparisonSection}>
-              <Text style={styles.comparisonSectionTitle}>Split Comparison</Text>
+              <Text style={styles.comparisonSectionTitle}>{t('calorieCycling.splitComparison')}</Text>
               <MacroComparisonBars
                 macroSplit={todayMacroSplit}
-                label={`Today (${todayTypeInfo?.label || 'Rest Day'})`}
+                label={t('calorieCycling.todayWithType', { type: todayTypeInfo?.label || t('calorieCycling.restDayLabel') })}
               />
               <MacroComparisonBars
                 macroSplit={standardMacroSplit}
-                label="Standard Split"
+                label={t('calorieCycling.standardSplit')}
               />
             </View>
           </GlassCard>
@@ -643,7 +647,7 @@ export default function CalorieCyclingScreen() {
         {/* Refeed Recommendation (for aggressive cut) */}
         {selectedPattern === 'aggressiveCut' && (
           <Animated.View entering={FadeInDown.delay(550).springify().mass(0.5).damping(10)}>
-            <SectionHeader title="Refeed Recommendation" icon={Zap} iconColor={Colors.gold} />
+            <SectionHeader title={t('calorieCycling.refeedRecommendation')} icon={Zap} iconColor={Colors.gold} />
             <View style={styles.refeedCard}>
               <LinearGradient
                 colors={['rgba(255, 215, 0, 0.10)', 'rgba(255, 215, 0, 0.03)']}
@@ -653,7 +657,7 @@ export default function CalorieCyclingScreen() {
                   <View style={styles.refeedBadge}>
                     <Zap size={16} color={Colors.gold} />
                     <Text style={styles.refeedBadgeText}>
-                      Every {refeedRecommendation.frequencyDays} days
+                      {t('calorieCycling.everyDays', { frequencyDays: refeedRecommendation.frequencyDays })}
                     </Text>
                   </View>
                   <View style={[
@@ -676,7 +680,7 @@ export default function CalorieCyclingScreen() {
                             : Colors.success,
                       },
                     ]}>
-                      {refeedRecommendation.urgency.charAt(0).toUpperCase() + refeedRecommendation.urgency.slice(1)} Priority
+                      {t(`calorieCycling.priority.${refeedRecommendation.urgency}`)}
                     </Text>
                   </View>
                 </View>
@@ -685,27 +689,27 @@ export default function CalorieCyclingScreen() {
 
                 <View style={styles.refeedStatsRow}>
                   <View style={styles.refeedStatItem}>
-                    <Text style={styles.refeedStatLabel}>Refeed Calories</Text>
+                    <Text style={styles.refeedStatLabel}>{t('calorieCycling.refeedCalories')}</Text>
                     <Text style={[styles.refeedStatValue, { color: Colors.gold }]}>
                       {refeedRecommendation.refeedCalories}
                     </Text>
-                    <Text style={styles.refeedStatUnit}>kcal</Text>
+                    <Text style={styles.refeedStatUnit}>{t('units.kcal')}</Text>
                   </View>
                   <View style={styles.refeedStatDivider} />
                   <View style={styles.refeedStatItem}>
-                    <Text style={styles.refeedStatLabel}>Refeed Carbs</Text>
+                    <Text style={styles.refeedStatLabel}>{t('calorieCycling.refeedCarbs')}</Text>
                     <Text style={[styles.refeedStatValue, { color: Colors.carbs }]}>
                       {refeedRecommendation.refeedMacros.carbs}g
                     </Text>
-                    <Text style={styles.refeedStatUnit}>60% of cals</Text>
+                    <Text style={styles.refeedStatUnit}>{t('calorieCycling.n60OfCals')}</Text>
                   </View>
                   <View style={styles.refeedStatDivider} />
                   <View style={styles.refeedStatItem}>
-                    <Text style={styles.refeedStatLabel}>Deficit</Text>
+                    <Text style={styles.refeedStatLabel}>{t('calorieCycling.deficit')}</Text>
                     <Text style={[styles.refeedStatValue, { color: Colors.secondary }]}>
                       {refeedRecommendation.deficitPercent}%
                     </Text>
-                    <Text style={styles.refeedStatUnit}>below TDEE</Text>
+                    <Text style={styles.refeedStatUnit}>{t('calorieCycling.belowTdee')}</Text>
                   </View>
                 </View>
               </LinearGradient>
@@ -715,11 +719,11 @@ export default function CalorieCyclingScreen() {
 
         {/* Educational Cards */}
         <Animated.View entering={FadeInDown.delay(600).springify().mass(0.5).damping(10)}>
-          <SectionHeader title="Learn More" icon={BookOpen} iconColor={Colors.primary} />
+          <SectionHeader title={t('calorieCycling.learnMore')} icon={BookOpen} iconColor={Colors.primary} />
         </Animated.View>
 
         <EducationalCard
-          title="What is Calorie Cycling?"
+          title={t('calorieCycling.whatIsCalorieCycling')}
           icon={Info}
           iconColor={Colors.primary}
           delay={650}
@@ -733,7 +737,7 @@ export default function CalorieCyclingScreen() {
         />
 
         <EducationalCard
-          title="Benefits of Refeed Days"
+          title={t('calorieCycling.benefitsOfRefeedDays')}
           icon={Zap}
           iconColor={Colors.gold}
           delay={700}
@@ -747,7 +751,7 @@ export default function CalorieCyclingScreen() {
         />
 
         <EducationalCard
-          title="How to Choose Your Pattern"
+          title={t('calorieCycling.howToChooseYour')}
           icon={Target}
           iconColor={Colors.success}
           delay={750}
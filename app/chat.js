@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import * as Crypto from 'expo-crypto';
 import ScreenErrorBoundary from '../components/ScreenErrorBoundary';
-import PremiumGate from '../components/PremiumGate';
+import PremiumGate, { useAIQuotaUpsell } from '../components/PremiumGate';
 import {
   View,
   Text,
@@ -27,7 +27,12 @@ import {
   Check,
   Bot,
   RotateCcw,
+  Utensils,
+  Timer,
+  Droplets,
+  ChefHat,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { hapticLight, hapticImpact, hapticSuccess } from '../lib/haptics';
 import ScreenWrapper from '../components/ScreenWrapper';
 import OptimizedFlatList from '../components/OptimizedFlatList';
@@ -36,17 +41,99 @@ import { chatWithNutritionist } from '../services/ai';
 import { useAIContext } from '../hooks/useAIContext';
 import { useMeals } from '../context/MealContext';
 import { useFasting } from '../context/FastingContext';
+import { useRecipes } from '../context/RecipeContext';
 import { useOffline } from '../context/OfflineContext';
 import { sanitizeChatMessage } from '../lib/validation';
 import { checkAIRateLimit } from '../lib/rateLimiter';
+import { formatDate, formatTime } from '../lib/formatters';
+import { checkFoodAllergens, loadUserAllergens } from '../lib/allergenGuard';
+import { Sentry } from '../lib/sentry';
 
 const STORAGE_KEY = '@fueliq_chat_history';
 const MAX_STORED_MESSAGES = 50;
 
+const MEAL_LABEL_KEYS = {
+  breakfast: 'diary.breakfast',
+  lunch: 'diary.lunch',
+  dinner: 'diary.dinner',
+  snacks: 'dashboard.snack',
+};
+
+const ACTION_ICONS = {
+  log_food: Utensils,
+  start_fast: Timer,
+  add_water: Droplets,
+  create_recipe: ChefHat,
+};
+
 function generateId() {
   return Crypto.randomUUID();
 }
 
+// Meal to log into when the user (or the AI) didn't name one
+function mealTypeForNow() {
+  const hour = new Date().getHours();
+  if (hour < 11) return 'breakfast';
+  if (hour < 14) return 'lunch';
+  if (hour < 20) return 'dinner';
+  return 'snacks';
+}
+
+function toFoodEntry(food, fallbackServing) {
+  return {
+    id: generateId(),
+    name: food.name,
+    emoji: food.emoji || '🍽️',
+    calories: food.calories || 0,
+    protein: food.protein || 0,
+    carbs: food.carbs || 0,
+    fat: food.fat || 0,
+    serving: food.serving || fallbackServing,
+    servingSize: 1,
+    servingUnit: 'serving',
+  };
+}
+
+function sumCalories(foods) {
+  return foods.reduce((sum, food) => sum + (food.calories || 0), 0);
+}
+
+function describeAction(t, action) {
+  switch (action.type) {
+    case 'log_food':
+      return {
+        title: t('chat.actions.logFood', { meal: t(MEAL_LABEL_KEYS[action.mealType || mealTypeForNow()]) }),
+        detail: t('chat.actions.logFoodDetail', {
+          foods: action.foods.map((food) => food.name).join(', '),
+          calories: sumCalories(action.foods),
+        }),
+      };
+    case 'start_fast':
+      return {
+        title: t('chat.actions.startFast', { hours: action.hours }),
+        detail: t('chat.actions.startFastDetail', {
+          time: formatTime(new Date(Date.now() + action.hours * 60 * 60 * 1000)),
+        }),
+      };
+    case 'add_water':
+      return {
+        title: t('chat.actions.addWater', { amount: action.amountMl }),
+        detail: t('chat.actions.addWaterDetail'),
+      };
+    case 'create_recipe':
+      return {
+        title: t('chat.actions.createRecipe', { name: action.name }),
+        detail: t('chat.actions.createRecipeDetail', {
+          count: action.ingredients.length,
+          servings: action.servings,
+          calories: Math.round(sumCalories(action.ingredients) / Math.max(1, action.servings)),
+        }),
+      };
+    default:
+      return null;
+  }
+}
+
 // Typing indicator with sequentially pulsing dots
 function TypingIndicator() {
   const dot1 = useRef(new Animated.Value(0.3)).current;
@@ -101,13 +188,14 @@ function SuggestionChip({ text, onPress }) {
 
 // Food item card in AI response
 function FoodItemCard({ food, onAdd, added, foodKey }) {
+  const { t } = useTranslation();
   return (
     <View style={styles.foodCard}>
       <Text style={styles.foodCardEmoji}>{food.emoji || '🍽️'}</Text>
       <View style={styles.foodCardInfo}>
         <Text style={styles.foodCardName} numberOfLines={1}>{food.name}</Text>
         <Text style={styles.foodCardMacros}>
-          {food.calories} kcal · P{food.protein}g · C{food.carbs}g · F{food.fat}g
+          {t('chat.kcalPGC', { calories: food.calories, protein: food.protein, carbs: food.carbs, fat: food.fat })}
         </Text>
         <Text style={styles.foodCardServing}>{food.serving}</Text>
       </View>
@@ -116,7 +204,7 @@ function FoodItemCard({ food, onAdd, added, foodKey }) {
         onPress={() => !added && onAdd(food, foodKey)}
         disabled={added}
         hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
-        accessibilityLabel={added ? "Food added" : "Add food to diary"}
+        accessibilityLabel={added ? t('chat.foodAdded') : t('chat.addFoodToDiary')}
         accessibilityRole="button"
       >
         {added ? (
@@ -129,26 +217,77 @@ function FoodItemCard({ food, onAdd, added, foodKey }) {
   );
 }
 
+// Action proposed by the AI; nothing runs until the user confirms
+function ActionCard({ action, status, busy, onConfirm, onDismiss }) {
+  const { t } = useTranslation();
+  const description = describeAction(t, action);
+  if (!description) return null;
+  const Icon = ACTION_ICONS[action.type];
+
+  return (
+    <View style={styles.actionCard}>
+      <View style={styles.actionCardHeader}>
+        <View style={styles.actionCardIcon}>
+          <Icon size={16} color={Colors.primary} />
+        </View>
+        <View style={styles.foodCardInfo}>
+          <Text style={styles.foodCardName}>{description.title}</Text>
+          <Text style={styles.foodCardMacros} numberOfLines={2}>{description.detail}</Text>
+        </View>
+      </View>
+      {status ? (
+        <View style={styles.actionCardStatusRow}>
+          {status === 'done' && <Check size={14} color={Colors.primary} />}
+          <Text style={[styles.actionCardStatus, status === 'done' && styles.actionCardStatusDone]}>
+            {status === 'done' ? t('chat.actions.done') : t('chat.actions.dismissed')}
+          </Text>
+        </View>
+      ) : (
+        <View style={styles.actionCardButtons}>
+          <Pressable
+            style={styles.actionDismissButton}
+            onPress={onDismiss}
+            disabled={busy}
+            accessibilityRole="button"
+          >
+            <Text style={styles.actionDismissText}>{t('chat.actions.dismiss')}</Text>
+          </Pressable>
+          <Pressable
+            style={styles.actionConfirmButton}
+            onPress={onConfirm}
+            disabled={busy}
+            accessibilityRole="button"
+            accessibilityLabel={t('chat.actions.confirmLabel', { action: description.title })}
+          >
+            {busy ? (
+              <ActivityIndicator size="small" color={Colors.background} />
+            ) : (
+              <Text style={styles.actionConfirmText}>{t('chat.actions.confirm')}</Text>
+            )}
+          </Pressable>
+        </View>
+      )}
+    </View>
+  );
+}
+
 // Format timestamp for message display
-function formatMessageTime(timestamp) {
+function formatMessageTime(t, timestamp) {
   if (!timestamp) return '';
   const date = new Date(timestamp);
   const now = new Date();
   const isToday = date.toDateString() === now.toDateString();
-  const hours = date.getHours();
-  const mins = date.getMinutes().toString().padStart(2, '0');
-  const ampm = hours >= 12 ? 'PM' : 'AM';
-  const hour12 = hours % 12 || 12;
-  const time = `${hour12}:${mins} ${ampm}`;
+  const time = formatTime(date);
   if (isToday) return time;
   const yesterday = new Date(now);
   yesterday.setDate(yesterday.getDate() - 1);
-  if (date.toDateString() === yesterday.toDateString()) return `Yesterday ${time}`;
-  return `${date.getMonth() + 1}/${date.getDate()} ${time}`;
+  if (date.toDateString() === yesterday.toDateString()) return t('chat.yesterdayAt', { time });
+  return `${formatDate(date, 'short')} ${time}`;
 }
 
 // Message bubble component
-function MessageBubble({ message, onAddFood, addedFoods }) {
+function MessageBubble({ message, onAddFood, addedFoods, onConfirmAction, onDismissAction, pendingActionKey }) {
+  const { t } = useTranslation();
   const isUser = message.role === 'user';
 
   return (
@@ -184,9 +323,25 @@ function MessageBubble({ message, onAddFood, addedFoods }) {
               })}
             </View>
           )}
+
+          {/* Proposed actions, confirmed one by one */}
+          {!isUser && message.actions && message.actions.length > 0 && (
+            <View style={styles.foodItemsContainer}>
+              {message.actions.map((action, idx) => (
+                <ActionCard
+                  key={idx}
+                  action={action}
+                  status={message.actionStatus?.[idx]}
+                  busy={pendingActionKey === `${message.id}-${idx}`}
+                  onConfirm={() => onConfirmAction(message.id, idx, action)}
+                  onDismiss={() => onDismissAction(message.id, idx)}
+                />
+              ))}
+            </View>
+          )}
         </View>
         <Text style={[styles.messageTimestamp, isUser && styles.messageTimestampUser]}>
-          {formatMessageTime(message.timestamp)}
+          {formatMessageTime(t, message.timestamp)}
         </Text>
       </View>
     </ReAnimated.View>
@@ -194,13 +349,18 @@ function MessageBubble({ message, onAddFood, addedFoods }) {
 }
 
 function ChatScreenInner() {
+  const { t } = useTranslation();
+  const showQuotaUpsell = useAIQuotaUpsell();
   const router = useRouter();
   const userContext = useAIContext();
-  const { addFood } = useMeals();
-  const { recordMealLogged } = useFasting();
+  const { addFood, addWater } = useMeals();
+  const { recordMealLogged, startFast, isFasting } = useFasting();
+  const { saveRecipe } = useRecipes();
   const { isOnline } = useOffline();
   const flatListRef = useRef(null);
   const messagesRef = useRef([]);
+  // Foods already logged per action card, so a retry doesn't log them twice
+  const loggedActionFoodsRef = useRef({});
   const isNearBottomRef = useRef(true);
 
   const [messages, setMessages] = useState([]);
@@ -209,6 +369,7 @@ function ChatScreenInner() {
   const [suggestions, setSuggestions] = useState([]);
   const [hasLoadedHistory, setHasLoadedHistory] = useState(false);
   const [addedFoods, setAddedFoods] = useState(new Set());
+  const [pendingActionKey, setPendingActionKey] = useState(null);
   const [conversationId, setConversationId] = useState(0);
 
   // Load conversation history
@@ -338,14 +499,14 @@ function ChatScreenInner() {
     if (!trimmed || isLoading) return;
 
     if (!isOnline) {
-      Alert.alert('No Connection', 'AI chat requires an internet connection.');
+      Alert.alert(t('chat.noConnection'), t('chat.aiChatRequiresAn'));
       return;
     }
 
     // Client-side rate limiting
     const rateCheck = checkAIRateLimit('chat');
     if (!rateCheck.allowed) {
-      Alert.alert('Slow Down', rateCheck.message);
+      Alert.alert(t('chat.slowDown'), rateCheck.message);
       return;
     }
 
@@ -382,6 +543,7 @@ function ChatScreenInner() {
         content: response.reply,
         timestamp: Date.now(),
         foodItems: response.foodItems || [],
+        actions: response.actions || [],
       };
 
       setMessages(prev => {
@@ -392,6 +554,7 @@ function ChatScreenInner() {
 
       await hapticLight();
     } catch (error) {
+      if (showQuotaUpsell(error)) return;
       const errorMsg = {
         id: generateId(),
         role: 'assistant',
@@ -407,30 +570,13 @@ function ChatScreenInner() {
     } finally {
       setIsLoading(false);
     }
-  }, [inputText, isLoading, isOnline, userContext]);
+  }, [inputText, isLoading, isOnline, userContext, t, showQuotaUpsell]);
 
-  const handleAddFood = useCallback((food, foodKey) => {
-    // Determine meal type based on time of day
-    const hour = new Date().getHours();
-    let mealType = 'snacks';
-    if (hour < 11) mealType = 'breakfast';
-    else if (hour < 14) mealType = 'lunch';
-    else if (hour < 20) mealType = 'dinner';
-
-    const foodEntry = {
-      id: generateId(),
-      name: food.name,
-      emoji: food.emoji || '🍽️',
-      calories: food.calories || 0,
-      protein: food.protein || 0,
-      carbs: food.carbs || 0,
-      fat: food.fat || 0,
-      serving: food.serving || '1 serving',
-      servingSize: 1,
-      servingUnit: 'serving',
-    };
+  const handleAddFood = useCallback(async (food, foodKey) => {
+    const mealType = mealTypeForNow();
 
-    addFood(foodEntry, mealType);
+    const added = await addFood(toFoodEntry(food, t('chat.n1Serving')), mealType);
+    if (!added) return;
     recordMealLogged(mealType);
 
     hapticSuccess();
@@ -439,7 +585,104 @@ function ChatScreenInner() {
     if (foodKey) {
       setAddedFoods(prev => new Set(prev).add(foodKey));
     }
-  }, [addFood, recordMealLogged]);
+  }, [addFood, recordMealLogged, t]);
+
+  // Action status is stored on the message so confirmed actions stay done after reopening the chat
+  const setActionStatus = useCallback((messageId, index, status) => {
+    setMessages(prev => prev.map(m => (
+      m.id === messageId ? { ...m, actionStatus: { ...m.actionStatus, [index]: status } } : m
+    )));
+  }, []);
+
+  // Resolves false when the action was cancelled or only partly applied
+  const runAction = useCallback(async (action, actionKey) => {
+    switch (action.type) {
+      case 'log_food': {
+        const mealType = action.mealType || mealTypeForNow();
+        const logged = loggedActionFoodsRef.current[actionKey] || new Set();
+        loggedActionFoodsRef.current[actionKey] = logged;
+        const foods = action.foods
+          .map((food, foodIndex) => ({ foodIndex, entry: toFoodEntry(food, t('chat.n1Serving')) }))
+          .filter(({ foodIndex }) => !logged.has(foodIndex));
+
+        // One prompt for every severe allergen match instead of one per food
+        const allergens = await loadUserAllergens();
+        const flagged = foods.filter(({ entry }) => checkFoodAllergens(entry, allergens).requiresOverride);
+        if (flagged.length > 0) {
+          const proceed = await new Promise((resolve) => {
+            Alert.alert(
+              t('chat.actions.allergenWarning'),
+              t('chat.actions.allergenWarningBody', { foods: flagged.map(({ entry }) => entry.name).join(', ') }),
+              [
+                { text: t('common.cancel'), style: 'cancel', onPress: () => resolve(false) },
+                { text: t('chat.actions.logAnyway'), style: 'destructive', onPress: () => resolve(true) },
+              ],
+              { cancelable: true, onDismiss: () => resolve(false) }
+            );
+          });
+          if (!proceed) return false;
+        }
+
+        for (const { foodIndex, entry } of foods) {
+          const allergenOverride = flagged.some((item) => item.foodIndex === foodIndex);
+          const added = await addFood(allergenOverride ? { ...entry, allergenOverride } : entry, mealType);
+          // addFood has already told the user why
+          if (!added) return false;
+          logged.add(foodIndex);
+        }
+        delete loggedActionFoodsRef.current[actionKey];
+        recordMealLogged(mealType);
+        break;
+      }
+      case 'start_fast':
+        await startFast(action.hours);
+        break;
+      case 'add_water':
+        await addWater(action.amountMl);
+        break;
+      case 'create_recipe':
+        await saveRecipe(
+          action.name,
+          action.ingredients.map((food) => toFoodEntry(food, t('chat.n1Serving'))),
+          action.servings,
+          action.emoji
+        );
+        break;
+      default:
+        throw new Error(`Unsupported chat action: ${action.type}`);
+    }
+    return true;
+  }, [addFood, addWater, recordMealLogged, saveRecipe, startFast, t]);
+
+  const handleConfirmAction = useCallback(async (messageId, index, action) => {
+    if (pendingActionKey) return;
+    if (action.type === 'start_fast' && isFasting) {
+      Alert.alert(t('chat.actions.alreadyFasting'), t('chat.actions.alreadyFastingBody'));
+      return;
+    }
+
+    const actionKey = `${messageId}-${index}`;
+    setPendingActionKey(actionKey);
+    try {
+      const completed = await runAction(action, actionKey);
+      if (completed) {
+        setActionStatus(messageId, index, 'done');
+        hapticSuccess();
+      }
+    } catch (error) {
+      Sentry.captureException(error);
+      if (__DEV__) console.warn('[chat] Failed to run chat action:', error);
+      // saveRecipe shows its own offline alert
+      if (isOnline) Alert.alert(t('chat.actions.failed'), t('chat.actions.failedBody'));
+    } finally {
+      setPendingActionKey(null);
+    }
+  }, [pendingActionKey, isFasting, isOnline, runAction, setActionStatus, t]);
+
+  const handleDismissAction = useCallback((messageId, index) => {
+    hapticLight();
+    setActionStatus(messageId, index, 'dismissed');
+  }, [setActionStatus]);
 
   const handleSuggestionPress = useCallback((text) => {
     sendMessage(text);
@@ -451,12 +694,12 @@ function ChatScreenInner() {
 
   const handleNewConversation = useCallback(() => {
     Alert.alert(
-      'New Conversation',
-      'Start a fresh chat? Your current conversation will be cleared.',
+      t('chat.newConversation'),
+      t('chat.startAFreshChat'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Start Fresh',
+          text: t('chat.startFresh'),
           style: 'destructive',
           onPress: () => {
             hapticImpact();
@@ -470,7 +713,7 @@ function ChatScreenInner() {
         },
       ]
     );
-  }, []);
+  }, [t]);
 
   return (
     <ScreenWrapper>
@@ -481,14 +724,14 @@ function ChatScreenInner() {
       >
         {/* Header */}
         <ReAnimated.View entering={FadeInDown.delay(0).springify().damping(12)} style={styles.header}>
-          <Pressable style={styles.backButton} onPress={handleBack} hitSlop={4} accessibilityLabel="Go back" accessibilityRole="button">
+          <Pressable style={styles.backButton} onPress={handleBack} hitSlop={4} accessibilityLabel={t('chat.goBack')} accessibilityRole="button">
             <ArrowLeft size={24} color={Colors.text} />
           </Pressable>
           <View style={styles.headerCenter}>
             <View style={styles.headerIcon}>
               <Sparkles size={18} color={Colors.primary} />
             </View>
-            <Text style={styles.headerTitle}>FuelIQ AI</Text>
+            <Text style={styles.headerTitle}>{t('chat.fueliqAi')}</Text>
           </View>
           <Pressable style={styles.newChatButton} onPress={handleNewConversation}>
             <RotateCcw size={18} color={Colors.textSecondary} />
@@ -501,7 +744,14 @@ function ChatScreenInner() {
           data={messages}
           keyExtractor={(item) => item.id}
           renderItem={({ item }) => (
-            <MessageBubble message={item} onAddFood={handleAddFood} addedFoods={addedFoods} />
+            <MessageBubble
+              message={item}
+              onAddFood={handleAddFood}
+              addedFoods={addedFoods}
+              onConfirmAction={handleConfirmAction}
+              onDismissAction={handleDismissAction}
+              pendingActionKey={pendingActionKey}
+            />
           )}
           contentContainerStyle={styles.messagesList}
           showsVerticalScrollIndicator={false}
@@ -537,7 +787,7 @@ function ChatScreenInner() {
           <View style={styles.inputRow}>
             <TextInput
               style={styles.textInput}
-              placeholder="Ask your AI nutritionist..."
+              placeholder={t('chat.askYourAiNutritionist')}
               placeholderTextColor={Colors.textTertiary}
               value={inputText}
               onChangeText={setInputText}
@@ -726,6 +976,70 @@ const styles = StyleSheet.create({
     backgroundColor: Colors.primary + '20',
   },
 
+  // Action cards in messages
+  actionCard: {
+    backgroundColor: 'rgba(255,255,255,0.06)',
+    borderRadius: BorderRadius.md,
+    padding: Spacing.sm,
+    borderWidth: 1,
+    borderColor: Colors.primary + '30',
+    gap: Spacing.sm,
+  },
+  actionCardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  actionCardIcon: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    backgroundColor: Colors.primary + '20',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: Spacing.sm,
+  },
+  actionCardButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: Spacing.xs,
+  },
+  actionDismissButton: {
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.xs,
+    borderRadius: BorderRadius.full,
+    backgroundColor: 'rgba(255,255,255,0.06)',
+  },
+  actionDismissText: {
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+  },
+  actionConfirmButton: {
+    minWidth: 84,
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.xs,
+    borderRadius: BorderRadius.full,
+    backgroundColor: Colors.primary,
+    alignItems: 'center',
+  },
+  actionConfirmText: {
+    fontSize: FontSize.sm,
+    fontWeight: FontWeight.semibold,
+    color: Colors.background,
+  },
+  actionCardStatusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+    gap: 4,
+  },
+  actionCardStatus: {
+    fontSize: FontSize.xs,
+    color: Colors.textTertiary,
+  },
+  actionCardStatusDone: {
+    color: Colors.primary,
+  },
+
   // Typing indicator
   typingContainer: {
     flexDirection: 'row',
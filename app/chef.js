@@ -32,6 +32,7 @@ import {
   Lightbulb,
   UtensilsCrossed,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import {
   Colors,
   Gradients,
@@ -41,7 +42,7 @@ import {
   BorderRadius,
 } from '../constants/theme';
 import { suggestRecipesFromImage } from '../services/ai';
-import PremiumGate from '../components/PremiumGate';
+import PremiumGate, { useAIQuotaUpsell } from '../components/PremiumGate';
 import { useOffline } from '../context/OfflineContext';
 
 const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get('window');
@@ -75,6 +76,7 @@ function IngredientChip({ ingredient }) {
 
 // Recipe Card Component
 function RecipeCard({ recipe, onPress, isActive }) {
+  const { t } = useTranslation();
   const difficultyColor = DifficultyColors[recipe.difficulty] || DifficultyColors.Medium;
 
   return (
@@ -112,11 +114,11 @@ function RecipeCard({ recipe, onPress, isActive }) {
           </View>
           <View style={styles.recipeStat}>
             <Flame size={14} color={ChefColors.primary} />
-            <Text style={styles.recipeStatText}>{recipe.calories} cal</Text>
+            <Text style={styles.recipeStatText}>{t('chef.cal', { calories: recipe.calories })}</Text>
           </View>
           <View style={styles.recipeStat}>
             <Users size={14} color={Colors.textSecondary} />
-            <Text style={styles.recipeStatText}>{recipe.servings} serv</Text>
+            <Text style={styles.recipeStatText}>{t('chef.serv', { servings: recipe.servings })}</Text>
           </View>
         </View>
 
@@ -125,14 +127,14 @@ function RecipeCard({ recipe, onPress, isActive }) {
           <View style={styles.missingBadge}>
             <AlertTriangle size={12} color={Colors.warning} />
             <Text style={styles.missingBadgeText}>
-              {recipe.missing_ingredients.length} missing
+              {t('chef.missing', { missing_ingredientsCount: recipe.missing_ingredients.length })}
             </Text>
           </View>
         )}
 
         {/* View Button */}
         <View style={styles.viewRecipeButton}>
-          <Text style={styles.viewRecipeText}>View Recipe</Text>
+          <Text style={styles.viewRecipeText}>{t('chef.viewRecipe')}</Text>
           <ChevronRight size={16} color={ChefColors.primary} />
         </View>
       </LinearGradient>
@@ -142,6 +144,7 @@ function RecipeCard({ recipe, onPress, isActive }) {
 
 // Recipe Detail Modal
 function RecipeDetailModal({ recipe, visible, onClose }) {
+  const { t } = useTranslation();
   const [completedSteps, setCompletedSteps] = useState(new Set());
 
   const toggleStep = (index) => {
@@ -192,19 +195,19 @@ function RecipeDetailModal({ recipe, visible, onClose }) {
             <View style={styles.macroCard}>
               <Flame size={20} color={ChefColors.primary} />
               <Text style={styles.macroValue}>{recipe.calories}</Text>
-              <Text style={styles.macroLabel}>Calories</Text>
+              <Text style={styles.macroLabel}>{t('food.calories')}</Text>
             </View>
             <View style={styles.macroCard}>
               <Text style={[styles.macroValue, { color: Colors.protein }]}>{recipe.protein}g</Text>
-              <Text style={styles.macroLabel}>Protein</Text>
+              <Text style={styles.macroLabel}>{t('food.protein')}</Text>
             </View>
             <View style={styles.macroCard}>
               <Text style={[styles.macroValue, { color: Colors.carbs }]}>{recipe.carbs}g</Text>
-              <Text style={styles.macroLabel}>Carbs</Text>
+              <Text style={styles.macroLabel}>{t('food.carbs')}</Text>
             </View>
             <View style={styles.macroCard}>
               <Text style={[styles.macroValue, { color: Colors.fat }]}>{recipe.fat}g</Text>
-              <Text style={styles.macroLabel}>Fat</Text>
+              <Text style={styles.macroLabel}>{t('food.fat')}</Text>
             </View>
           </View>
 
@@ -221,7 +224,7 @@ function RecipeDetailModal({ recipe, visible, onClose }) {
             </View>
             <View style={styles.infoItem}>
               <Users size={16} color={Colors.textSecondary} />
-              <Text style={styles.infoText}>{recipe.servings} servings</Text>
+              <Text style={styles.infoText}>{t('chef.servings', { servings: recipe.servings })}</Text>
             </View>
           </View>
 
@@ -230,7 +233,7 @@ function RecipeDetailModal({ recipe, visible, onClose }) {
             <View style={styles.missingSection}>
               <View style={styles.missingSectionHeader}>
                 <AlertTriangle size={18} color={Colors.warning} />
-                <Text style={styles.missingSectionTitle}>Missing Ingredients</Text>
+                <Text style={styles.missingSectionTitle}>{t('chef.missingIngredients')}</Text>
               </View>
               <View style={styles.missingList}>
                 {recipe.missing_ingredients.map((item, idx) => (
@@ -244,7 +247,7 @@ function RecipeDetailModal({ recipe, visible, onClose }) {
 
           {/* Ingredients Used */}
           <View style={styles.sectionContainer}>
-            <Text style={styles.sectionTitle}>Ingredients You Have</Text>
+            <Text style={styles.sectionTitle}>{t('chef.ingredientsYouHave')}</Text>
             <View style={styles.ingredientsUsedList}>
               {recipe.ingredients_used?.map((item, idx) => (
                 <View key={`used-${item}-${idx}`} style={styles.ingredientUsedItem}>
@@ -258,7 +261,7 @@ function RecipeDetailModal({ recipe, visible, onClose }) {
           {/* Progress Bar */}
           <View style={styles.progressSection}>
             <View style={styles.progressHeader}>
-              <Text style={styles.progressTitle}>Cooking Progress</Text>
+              <Text style={styles.progressTitle}>{t('chef.cookingProgress')}</Text>
               <Text style={styles.progressPercent}>{Math.round(progress)}%</Text>
             </View>
             <View style={styles.progressBar}>
@@ -268,7 +271,7 @@ function RecipeDetailModal({ recipe, visible, onClose }) {
 
           {/* Instructions */}
           <View style={styles.sectionContainer}>
-            <Text style={styles.sectionTitle}>Step-by-Step Instructions</Text>
+            <Text style={styles.sectionTitle}>{t('chef.stepByStepInstructions')}</Text>
             {recipe.instructions?.map((step, idx) => {
               const isCompleted = completedSteps.has(idx);
               return (
@@ -303,7 +306,7 @@ function RecipeDetailModal({ recipe, visible, onClose }) {
             <View style={styles.chefTipSection}>
               <View style={styles.chefTipHeader}>
                 <Lightbulb size={18} color={ChefColors.primary} />
-                <Text style={styles.chefTipTitle}>Chef's Tip</Text>
+                <Text style={styles.chefTipTitle}>{t('chef.chefsTip')}</Text>
               </View>
               <Text style={styles.chefTipText}>{recipe.chef_tip}</Text>
             </View>
@@ -317,6 +320,8 @@ function RecipeDetailModal({ recipe, visible, onClose }) {
 }
 
 function ChefScreenContent() {
+  const { t } = useTranslation();
+  const showQuotaUpsell = useAIQuotaUpsell();
   const router = useRouter();
   const cameraRef = useRef(null);
   const [permission, requestPermission] = useCameraPermissions();
@@ -338,7 +343,7 @@ function ChefScreenContent() {
   const handleCapture = async () => {
     if (!cameraRef.current || isAnalyzing) return;
     if (!isOnline) {
-      Alert.alert('No Connection', 'AI Chef requires an internet connection.');
+      Alert.alert(t('chef.noConnection'), t('chef.aiChefRequiresAn'));
       return;
     }
 
@@ -362,11 +367,13 @@ function ChefScreenContent() {
       await hapticSuccess();
     } catch (error) {
       if (__DEV__) console.error('Chef analysis error:', error);
-      Alert.alert(
-        'Analysis Failed',
-        error.message || 'Could not analyze the image. Make sure food items are visible.',
-        [{ text: 'OK' }]
-      );
+      if (!showQuotaUpsell(error)) {
+        Alert.alert(
+          t('chef.analysisFailed'),
+          error.message || t('chef.couldNotAnalyzeThe'),
+          [{ text: t('common.ok') }]
+        );
+      }
       await hapticError();
     } finally {
       setIsAnalyzing(false);
@@ -403,17 +410,17 @@ function ChefScreenContent() {
       <View style={styles.permissionContainer}>
         <LinearGradient colors={ChefColors.gradientDark} style={StyleSheet.absoluteFill} />
         <ChefHat size={64} color={ChefColors.primary} />
-        <Text style={styles.permissionTitle}>Camera Access Required</Text>
+        <Text style={styles.permissionTitle}>{t('chef.cameraAccessRequired')}</Text>
         <Text style={styles.permissionText}>
-          Allow camera access to scan your fridge and get recipe suggestions.
+          {t('chef.allowCameraAccessTo')}
         </Text>
         <Pressable style={styles.permissionButton} onPress={requestPermission}>
           <LinearGradient colors={ChefColors.gradient} style={styles.permissionButtonGradient}>
-            <Text style={styles.permissionButtonText}>Enable Camera</Text>
+            <Text style={styles.permissionButtonText}>{t('chef.enableCamera')}</Text>
           </LinearGradient>
         </Pressable>
         <Pressable style={styles.backButton} onPress={handleClose}>
-          <Text style={styles.backButtonText}>Go Back</Text>
+          <Text style={styles.backButtonText}>{t('chef.goBack')}</Text>
         </Pressable>
       </View>
     );
@@ -433,7 +440,7 @@ function ChefScreenContent() {
             </Pressable>
             <View style={styles.titleContainer}>
               <ChefHat size={20} color={ChefColors.primary} />
-              <Text style={styles.title}>AI Chef</Text>
+              <Text style={styles.title}>{t('chef.aiChef')}</Text>
             </View>
             <Pressable style={styles.retryHeaderButton} onPress={handleRetry}>
               <RotateCcw size={20} color={ChefColors.primary} />
@@ -449,7 +456,7 @@ function ChefScreenContent() {
             <View style={styles.ingredientsSection}>
               <View style={styles.ingredientsSectionHeader}>
                 <Sparkles size={18} color={ChefColors.primary} />
-                <Text style={styles.ingredientsSectionTitle}>I found these ingredients</Text>
+                <Text style={styles.ingredientsSectionTitle}>{t('chef.iFoundTheseIngredients')}</Text>
               </View>
               <ScrollView
                 horizontal
@@ -466,9 +473,9 @@ function ChefScreenContent() {
             <View style={styles.recipesSection}>
               <View style={styles.recipesSectionHeader}>
                 <UtensilsCrossed size={18} color={ChefColors.primary} />
-                <Text style={styles.recipesSectionTitle}>Recipe Ideas</Text>
+                <Text style={styles.recipesSectionTitle}>{t('chef.recipeIdeas')}</Text>
                 <Text style={styles.recipesSectionCount}>
-                  {result.recipes.length} options
+                  {t('chef.options', { recipesCount: result.recipes.length })}
                 </Text>
               </View>
 
@@ -510,7 +517,7 @@ function ChefScreenContent() {
             {/* Retry Button */}
             <Pressable style={styles.retryButton} onPress={handleRetry}>
               <RotateCcw size={18} color={Colors.textSecondary} />
-              <Text style={styles.retryButtonText}>Scan Different Ingredients</Text>
+              <Text style={styles.retryButtonText}>{t('chef.scanDifferentIngredients')}</Text>
             </Pressable>
 
             <View style={{ height: 100 }} />
@@ -548,7 +555,7 @@ function ChefScreenContent() {
           </Pressable>
           <View style={styles.titleContainer}>
             <ChefHat size={20} color={ChefColors.primary} />
-            <Text style={styles.title}>AI Chef</Text>
+            <Text style={styles.title}>{t('chef.aiChef')}</Text>
           </View>
           <View style={styles.placeholder} />
         </SafeAreaView>
@@ -573,12 +580,12 @@ function ChefScreenContent() {
             {isAnalyzing && (
               <BlurView intensity={50} tint="dark" style={styles.analyzingOverlay}>
                 <ActivityIndicator size="large" color={ChefColors.primary} />
-                <Text style={styles.analyzingText}>Finding ingredients...</Text>
+                <Text style={styles.analyzingText}>{t('chef.findingIngredients')}</Text>
               </BlurView>
             )}
           </View>
-          <Text style={styles.frameHint}>Show me your ingredients</Text>
-          <Text style={styles.frameSubhint}>Fridge, pantry, or countertop</Text>
+          <Text style={styles.frameHint}>{t('chef.showMeYourIngredients')}</Text>
+          <Text style={styles.frameSubhint}>{t('chef.fridgePantryOrCountertop')}</Text>
         </View>
 
         {/* Bottom Section */}
@@ -600,7 +607,7 @@ function ChefScreenContent() {
             </LinearGradient>
           </Pressable>
 
-          <Text style={styles.poweredBy}>Powered by Google Gemini</Text>
+          <Text style={styles.poweredBy}>{t('chef.poweredByGoogleGemini')}</Text>
         </View>
       </View>
     </View>
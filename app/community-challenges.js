@@ -38,6 +38,7 @@ import {
   Search,
   UserPlus,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import ChallengeCard from '../components/ChallengeCard';
 import GlassCard from '../components/ui/GlassCard';
@@ -58,35 +59,36 @@ import { useAuth } from '../context/AuthContext';
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 
 const TABS = [
-  { key: 'active', label: 'Active', icon: Target },
-  { key: 'friends', label: 'Friends', icon: Users },
-  { key: 'my', label: 'My Challenges', icon: Trophy },
-  { key: 'create', label: 'Create', icon: Plus },
+  { key: 'active', labelKey: 'communityChallenges.tabs.active', icon: Target },
+  { key: 'friends', labelKey: 'communityChallenges.tabs.friends', icon: Users },
+  { key: 'my', labelKey: 'communityChallenges.tabs.my', icon: Trophy },
+  { key: 'create', labelKey: 'communityChallenges.tabs.create', icon: Plus },
 ];
 
 const FILTER_OPTIONS = [
-  { key: 'all', label: 'All' },
-  { key: 'trending', label: 'Trending' },
-  { key: 'new', label: 'New' },
+  { key: 'all', labelKey: 'common.all' },
+  { key: 'trending', labelKey: 'communityChallenges.filterOptions.trending' },
+  { key: 'new', labelKey: 'communityChallenges.filterOptions.new' },
 ];
 
 const CHALLENGE_TYPE_OPTIONS = [
-  { key: 'steps', label: 'Steps', icon: Footprints, color: Colors.primary },
-  { key: 'calories_burned', label: 'Calories', icon: Flame, color: Colors.secondary },
-  { key: 'workouts', label: 'Workouts', icon: Dumbbell, color: Colors.success },
-  { key: 'water', label: 'Water', icon: Droplets, color: '#64D2FF' },
-  { key: 'protein', label: 'Protein', icon: Beef, color: Colors.protein },
-  { key: 'logging', label: 'Logging', icon: ClipboardList, color: Colors.warning },
+  { key: 'steps', labelKey: 'communityChallenges.challengeTypeOptions.steps', icon: Footprints, color: Colors.primary },
+  { key: 'calories_burned', labelKey: 'food.calories', icon: Flame, color: Colors.secondary },
+  { key: 'workouts', labelKey: 'communityChallenges.challengeTypeOptions.workouts', icon: Dumbbell, color: Colors.success },
+  { key: 'water', labelKey: 'communityChallenges.challengeTypeOptions.water', icon: Droplets, color: '#64D2FF' },
+  { key: 'protein', labelKey: 'food.protein', icon: Beef, color: Colors.protein },
+  { key: 'logging', labelKey: 'communityChallenges.challengeTypeOptions.logging', icon: ClipboardList, color: Colors.warning },
 ];
 
 const DURATION_OPTIONS = [
-  { days: 7, label: '7 days' },
-  { days: 14, label: '14 days' },
-  { days: 30, label: '30 days' },
+  { days: 7, labelKey: 'communityChallenges.durationOptions.n7Days' },
+  { days: 14, labelKey: 'communityChallenges.durationOptions.n14Days' },
+  { days: 30, labelKey: 'communityChallenges.durationOptions.n30Days' },
 ];
 
 // --- Tab Selector ---
 const TabSelector = memo(function TabSelector({ activeTab, onTabChange }) {
+  const { t } = useTranslation();
   return (
     <ReAnimated.View
       entering={FadeInDown.delay(60).springify().mass(0.5).damping(10)}
@@ -109,12 +111,12 @@ const TabSelector = memo(function TabSelector({ activeTab, onTabChange }) {
                 style={styles.tabGradient}
               >
                 <IconComponent size={14} color={Colors.background} />
-                <Text style={styles.tabTextActive}>{tab.label}</Text>
+                <Text style={styles.tabTextActive}>{t(tab.labelKey)}</Text>
               </LinearGradient>
             ) : (
               <View style={styles.tabInner}>
                 <IconComponent size={14} color={Colors.textTertiary} />
-                <Text style={styles.tabText}>{tab.label}</Text>
+                <Text style={styles.tabText}>{t(tab.labelKey)}</Text>
               </View>
             )}
           </Pressable>
@@ -126,6 +128,7 @@ const TabSelector = memo(function TabSelector({ activeTab, onTabChange }) {
 
 // --- Challenge Type Selector ---
 const ChallengeTypeSelector = memo(function ChallengeTypeSelector({ selected, onSelect }) {
+  const { t } = useTranslation();
   return (
     <View style={styles.typeGrid}>
       {CHALLENGE_TYPE_OPTIONS.map((type) => {
@@ -147,7 +150,7 @@ const ChallengeTypeSelector = memo(function ChallengeTypeSelector({ selected, on
                 isSelected && { color: type.color, fontWeight: FontWeight.semibold },
               ]}
             >
-              {type.label}
+              {t(type.labelKey)}
             </Text>
           </Pressable>
         );
@@ -158,6 +161,7 @@ const ChallengeTypeSelector = memo(function ChallengeTypeSelector({ selected, on
 
 // --- Duration Picker ---
 const DurationPicker = memo(function DurationPicker({ selected, onSelect }) {
+  const { t } = useTranslation();
   return (
     <View style={styles.durationRow}>
       {DURATION_OPTIONS.map((option) => {
@@ -176,12 +180,12 @@ const DurationPicker = memo(function DurationPicker({ selected, onSelect }) {
                 style={styles.durationGradient}
               >
                 <Clock size={14} color={Colors.background} />
-                <Text style={styles.durationTextActive}>{option.label}</Text>
+                <Text style={styles.durationTextActive}>{t(option.labelKey)}</Text>
               </LinearGradient>
             ) : (
               <View style={styles.durationInner}>
                 <Clock size={14} color={Colors.textTertiary} />
-                <Text style={styles.durationText}>{option.label}</Text>
+                <Text style={styles.durationText}>{t(option.labelKey)}</Text>
               </View>
             )}
           </Pressable>
@@ -193,6 +197,7 @@ const DurationPicker = memo(function DurationPicker({ selected, onSelect }) {
 
 // --- Leaderboard Row ---
 const LeaderboardRow = memo(function LeaderboardRow({ entry, index }) {
+  const { t } = useTranslation();
   const isTop3 = entry.rank <= 3;
   const medalColor = entry.rank === 1 ? '#FFD700' : entry.rank === 2 ? '#C0C0C0' : entry.rank === 3 ? '#CD7F32' : null;
 
@@ -240,7 +245,7 @@ const LeaderboardRow = memo(function LeaderboardRow({ entry, index }) {
             style={[styles.lbName, entry.isCurrentUser && { color: Colors.primary, fontWeight: FontWeight.bold }]}
             numberOfLines={1}
           >
-            {entry.isCurrentUser ? `${entry.userName} (You)` : entry.userName}
+            {entry.isCurrentUser ? t('communityChallenges.you', { userName: entry.userName }) : entry.userName}
           </Text>
         </View>
 
@@ -271,6 +276,7 @@ const EmptyState = memo(function EmptyState({ icon: IconComponent, title, subtit
 
 // --- Main Screen ---
 export default function CommunityChallengesScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const { user } = useAuth();
   const {
@@ -376,7 +382,7 @@ export default function CommunityChallengesScreen() {
     const result = await createChallenge({
       type: formType,
       title: formTitle.trim(),
-      description: formDescription.trim() + (teamMode ? `\n[Team Mode: ${teamSize} per team]` : ''),
+      description: formDescription.trim() + (teamMode ? `\n${t('communityChallenges.teamModeSuffix', { teamSize })}` : ''),
       goal: parseInt(formTarget, 10) || 0,
       startDate: now.toISOString(),
       endDate: endDate.toISOString(),
@@ -402,7 +408,7 @@ export default function CommunityChallengesScreen() {
     } else {
       await hapticError();
     }
-  }, [formTitle, formDescription, formTarget, formType, formDuration, teamMode, teamSize, createChallenge, createTeam]);
+  }, [formTitle, formDescription, formTarget, formType, formDuration, teamMode, teamSize, createChallenge, createTeam, t]);
 
   const handleShowTeamProgress = useCallback(async (challengeId) => {
     try {
@@ -472,8 +478,8 @@ export default function CommunityChallengesScreen() {
 
   // --- Derived data ---
   const selectedTypeInfo = useMemo(
-    () => challengeTypes?.[formType] || { label: 'Challenge', unit: '', defaultGoal: 0 },
-    [formType, challengeTypes],
+    () => challengeTypes?.[formType] || { label: t('communityChallenges.challenge'), unit: '', defaultGoal: 0 },
+    [formType, challengeTypes, t],
   );
 
   const isFormValid = formTitle.trim().length > 0 && formTarget.trim().length > 0 && parseInt(formTarget, 10) > 0;
@@ -508,7 +514,7 @@ export default function CommunityChallengesScreen() {
       return (
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color={Colors.primary} />
-          <Text style={styles.loadingText}>Loading challenges...</Text>
+          <Text style={styles.loadingText}>{t('communityChallenges.loadingChallenges')}</Text>
         </View>
       );
     }
@@ -517,8 +523,8 @@ export default function CommunityChallengesScreen() {
       return (
         <EmptyState
           icon={Search}
-          title="No Active Challenges"
-          subtitle="Check back later for new community challenges to join."
+          title={t('communityChallenges.noActiveChallenges')}
+          subtitle={t('communityChallenges.checkBackLaterFor')}
         />
       );
     }
@@ -545,7 +551,7 @@ export default function CommunityChallengesScreen() {
                   onPress={() => handleFilterChange(option.key)}
                 >
                   <Text style={[styles.filterPillText, isActive && styles.filterPillTextActive]}>
-                    {option.label}
+                    {t(option.labelKey)}
                   </Text>
                 </Pressable>
               );
@@ -561,7 +567,7 @@ export default function CommunityChallengesScreen() {
       return (
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color={Colors.primary} />
-          <Text style={styles.loadingText}>Loading friend challenges...</Text>
+          <Text style={styles.loadingText}>{t('communityChallenges.loadingFriendChallenges')}</Text>
         </View>
       );
     }
@@ -570,8 +576,8 @@ export default function CommunityChallengesScreen() {
       return (
         <EmptyState
           icon={Users}
-          title="No Friends Yet"
-          subtitle="Add friends to see challenges they're participating in."
+          title={t('communityChallenges.noFriendsYet')}
+          subtitle={t('communityChallenges.addFriendsToSee')}
         />
       );
     }
@@ -580,8 +586,8 @@ export default function CommunityChallengesScreen() {
       return (
         <EmptyState
           icon={UserPlus}
-          title="No Friend Challenges"
-          subtitle="Your friends haven't joined any challenges yet. Invite them to one!"
+          title={t('communityChallenges.noFriendChallenges')}
+          subtitle={t('communityChallenges.yourFriendsHaventJoined')}
         />
       );
     }
@@ -606,7 +612,7 @@ export default function CommunityChallengesScreen() {
       return (
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color={Colors.primary} />
-          <Text style={styles.loadingText}>Loading your challenges...</Text>
+          <Text style={styles.loadingText}>{t('communityChallenges.loadingYourChallenges')}</Text>
         </View>
       );
     }
@@ -615,8 +621,8 @@ export default function CommunityChallengesScreen() {
       return (
         <EmptyState
           icon={Trophy}
-          title="No Challenges Joined"
-          subtitle="Browse Active challenges and join one to get started!"
+          title={t('communityChallenges.noChallengesJoined')}
+          subtitle={t('communityChallenges.browseActiveChallengesAnd')}
         />
       );
     }
@@ -648,18 +654,18 @@ export default function CommunityChallengesScreen() {
       >
         {/* Challenge Type */}
         <ReAnimated.View entering={FadeInDown.delay(80).springify().mass(0.5).damping(10)}>
-          <Text style={styles.formLabel}>Challenge Type</Text>
+          <Text style={styles.formLabel}>{t('communityChallenges.challengeType')}</Text>
           <ChallengeTypeSelector selected={formType} onSelect={setFormType} />
         </ReAnimated.View>
 
         {/* Title */}
         <ReAnimated.View entering={FadeInDown.delay(120).springify().mass(0.5).damping(10)}>
-          <Text style={styles.formLabel}>Title</Text>
+          <Text style={styles.formLabel}>{t('communityChallenges.title')}</Text>
           <TextInput
             style={styles.formInput}
             value={formTitle}
             onChangeText={setFormTitle}
-            placeholder={`e.g. ${selectedTypeInfo.label}`}
+            placeholder={t('communityChallenges.namePlaceholder', { example: selectedTypeInfo.label })}
             placeholderTextColor={Colors.inputPlaceholder}
             maxLength={60}
           />
@@ -667,12 +673,12 @@ export default function CommunityChallengesScreen() {
 
         {/* Description */}
         <ReAnimated.View entering={FadeInDown.delay(160).springify().mass(0.5).damping(10)}>
-          <Text style={styles.formLabel}>Description</Text>
+          <Text style={styles.formLabel}>{t('communityChallenges.description')}</Text>
           <TextInput
             style={[styles.formInput, styles.formInputMultiline]}
             value={formDescription}
             onChangeText={setFormDescription}
-            placeholder="Describe your challenge..."
+            placeholder={t('communityChallenges.describeYourChallenge')}
             placeholderTextColor={Colors.inputPlaceholder}
             multiline
             numberOfLines={3}
@@ -683,7 +689,7 @@ export default function CommunityChallengesScreen() {
 
         {/* Target Value */}
         <ReAnimated.View entering={FadeInDown.delay(200).springify().mass(0.5).damping(10)}>
-          <Text style={styles.formLabel}>Target ({selectedTypeInfo.unit})</Text>
+          <Text style={styles.formLabel}>{t('communityChallenges.target', { unit: selectedTypeInfo.unit })}</Text>
           <TextInput
             style={styles.formInput}
             value={formTarget}
@@ -696,22 +702,22 @@ export default function CommunityChallengesScreen() {
 
         {/* Duration */}
         <ReAnimated.View entering={FadeInDown.delay(240).springify().mass(0.5).damping(10)}>
-          <Text style={styles.formLabel}>Duration</Text>
+          <Text style={styles.formLabel}>{t('communityChallenges.duration')}</Text>
           <DurationPicker selected={formDuration} onSelect={setFormDuration} />
         </ReAnimated.View>
 
         {/* Team Mode Toggle */}
         <ReAnimated.View entering={FadeInDown.delay(280).springify().mass(0.5).damping(10)}>
-          <Text style={styles.formLabel}>Team Mode</Text>
+          <Text style={styles.formLabel}>{t('communityChallenges.teamMode')}</Text>
           <View style={styles.teamModeRow}>
             <View style={styles.teamModeInfo}>
               <Users size={18} color={teamMode ? Colors.primary : Colors.textTertiary} />
               <View style={styles.teamModeTextContainer}>
                 <Text style={[styles.teamModeLabel, teamMode && { color: Colors.primary }]}>
-                  Team Challenge
+                  {t('communityChallenges.teamChallenge')}
                 </Text>
                 <Text style={styles.teamModeDescription}>
-                  Friends join together in teams
+                  {t('communityChallenges.friendsJoinTogetherIn')}
                 </Text>
               </View>
             </View>
@@ -724,7 +730,7 @@ export default function CommunityChallengesScreen() {
           </View>
           {teamMode && (
             <View style={styles.teamSizeRow}>
-              <Text style={styles.teamSizeLabel}>Team Size</Text>
+              <Text style={styles.teamSizeLabel}>{t('communityChallenges.teamSize')}</Text>
               <View style={styles.teamSizePicker}>
                 {[2, 3, 4, 5].map((size) => (
                   <Pressable
@@ -773,7 +779,7 @@ export default function CommunityChallengesScreen() {
               ) : (
                 <>
                   <Plus size={20} color={Colors.background} />
-                  <Text style={styles.createButtonText}>Create Challenge</Text>
+                  <Text style={styles.createButtonText}>{t('communityChallenges.createChallenge')}</Text>
                 </>
               )}
             </LinearGradient>
@@ -797,7 +803,7 @@ export default function CommunityChallengesScreen() {
         </Pressable>
         <View style={styles.headerCenter}>
           <Trophy size={22} color={Colors.primary} />
-          <Text style={styles.headerTitle}>Challenges</Text>
+          <Text style={styles.headerTitle}>{t('communityChallenges.challenges')}</Text>
         </View>
         <View style={styles.headerRight}>
           <Users size={20} color={Colors.textTertiary} />
@@ -838,7 +844,7 @@ export default function CommunityChallengesScreen() {
                 <View style={styles.modalTitleLeft}>
                   <Trophy size={20} color={Colors.primary} />
                   <Text style={styles.modalTitle} numberOfLines={1}>
-                    {leaderboardChallenge?.title || 'Leaderboard'}
+                    {leaderboardChallenge?.title || t('communityChallenges.leaderboard')}
                   </Text>
                 </View>
                 <Pressable style={styles.modalCloseButton} onPress={handleCloseLeaderboard}>
@@ -866,7 +872,7 @@ export default function CommunityChallengesScreen() {
                       onPress={() => handleInviteFriends(leaderboardChallenge)}
                     >
                       <UserPlus size={12} color={Colors.primary} />
-                      <Text style={styles.inviteBadgeText}>Invite Friends</Text>
+                      <Text style={styles.inviteBadgeText}>{t('communityChallenges.inviteFriends')}</Text>
                     </Pressable>
                   )}
                 </View>
@@ -879,14 +885,14 @@ export default function CommunityChallengesScreen() {
                     style={[styles.lbToggle, !showTeamLeaderboard && styles.lbToggleActive]}
                     onPress={() => setShowTeamLeaderboard(false)}
                   >
-                    <Text style={[styles.lbToggleText, !showTeamLeaderboard && styles.lbToggleTextActive]}>Individual</Text>
+                    <Text style={[styles.lbToggleText, !showTeamLeaderboard && styles.lbToggleTextActive]}>{t('communityChallenges.individual')}</Text>
                   </Pressable>
                   <Pressable
                     style={[styles.lbToggle, showTeamLeaderboard && styles.lbToggleActive]}
                     onPress={() => handleShowTeamProgress(leaderboardChallenge?.challengeId || leaderboardChallenge?.id)}
                   >
                     <Users size={14} color={showTeamLeaderboard ? Colors.background : Colors.textTertiary} />
-                    <Text style={[styles.lbToggleText, showTeamLeaderboard && styles.lbToggleTextActive]}>Teams</Text>
+                    <Text style={[styles.lbToggleText, showTeamLeaderboard && styles.lbToggleTextActive]}>{t('communityChallenges.teams')}</Text>
                   </Pressable>
                 </View>
               )}
@@ -895,7 +901,7 @@ export default function CommunityChallengesScreen() {
               {leaderboardLoading ? (
                 <View style={styles.modalLoading}>
                   <ActivityIndicator size="large" color={Colors.primary} />
-                  <Text style={styles.loadingText}>Loading leaderboard...</Text>
+                  <Text style={styles.loadingText}>{t('communityChallenges.loadingLeaderboard')}</Text>
                 </View>
               ) : showTeamLeaderboard && teamLeaderboard.length > 0 ? (
                 <FlatList
@@ -923,8 +929,8 @@ export default function CommunityChallengesScreen() {
               ) : leaderboardData.length === 0 ? (
                 <View style={styles.modalEmpty}>
                   <Users size={40} color={Colors.textTertiary} />
-                  <Text style={styles.emptyTitle}>No Participants Yet</Text>
-                  <Text style={styles.emptySubtitle}>Be the first to join this challenge!</Text>
+                  <Text style={styles.emptyTitle}>{t('communityChallenges.noParticipantsYet')}</Text>
+                  <Text style={styles.emptySubtitle}>{t('communityChallenges.beTheFirstTo')}</Text>
                 </View>
               ) : (
                 <FlatList
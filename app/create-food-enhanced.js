@@ -2,7 +2,8 @@
  * Enhanced Custom Food Creation Screen
  *
  * Features:
- * - Nutrition label scanner (AI-powered photo extraction)
+ * - Nutrition label scanner (AI-powered photo extraction) with per-field
+ *   confidence; opened from a barcode scan, the food is linked to that barcode
  * - Manual entry with all macros + key micronutrients
  * - Recipe builder: combine multiple ingredients, auto-calculate totals
  * - Save to personal database
@@ -46,10 +47,15 @@ import {
   Search,
 } from 'lucide-react-native';
 import Animated, { FadeInDown, FadeIn } from 'react-native-reanimated';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius, Shadows } from '../constants/theme';
 import { useMeals } from '../context/MealContext';
 import { hapticSuccess, hapticLight } from '../lib/haptics';
 import { sanitizeFoodName, validateMacro } from '../lib/validation';
+import { setCachedBarcode } from '../lib/barcodeCache';
+import { Sentry } from '../lib/sentry';
+import { submitBarcodeData } from '../services/barcodeService';
+import NutritionLabelScanner, { LABEL_CONFIDENCE_COLORS, labelConfidenceBorder } from '../components/NutritionLabelScanner';
 
 // ---------------------------------------------------------------------------
 // Constants
@@ -62,9 +68,15 @@ const FOOD_EMOJIS = [
 ];
 
 const TABS = [
-  { id: 'manual', label: 'Manual', icon: Flame },
-  { id: 'scan', label: 'Scan Label', icon: Camera },
-  { id: 'recipe', label: 'Recipe', icon: ChefHat },
+  { id: 'manual', labelKey: 'createFoodEnhanced.tabManual', icon: Flame },
+  { id: 'scan', labelKey: 'createFoodEnhanced.tabScanLabel', icon: Camera },
+  { id: 'recipe', labelKey: 'createFoodEnhanced.tabRecipe', icon: ChefHat },
+];
+
+// Form fields a label scan can fill, keyed by micronutrient schema key
+const MICRO_FIELDS = [
+  'fiber', 'sugar', 'sodium', 'saturated_fat', 'cholesterol', 'calcium',
+  'iron', 'potassium', 'vitaminA', 'vitaminC', 'vitaminD',
 ];
 
 const MEAL_LABELS = {
@@ -78,7 +90,7 @@ const MEAL_LABELS = {
 // Macro Input Row
 // ---------------------------------------------------------------------------
 
-function MacroInput({ label, value, onChange, color, unit = 'g', icon: Icon }) {
+function MacroInput({ label, value, onChange, color, unit = 'g', icon: Icon, confidence }) {
   return (
     <View style={styles.macroInputRow}>
       <View style={[styles.macroInputIcon, { backgroundColor: color + '20' }]}>
@@ -86,7 +98,7 @@ function MacroInput({ label, value, onChange, color, unit = 'g', icon: Icon }) {
       </View>
       <Text style={styles.macroInputLabel}>{label}</Text>
       <TextInput
-        style={styles.macroInputField}
+        style={[styles.macroInputField, labelConfidenceBorder(confidence)]}
         value={value}
         onChangeText={onChange}
         keyboardType="numeric"
@@ -103,9 +115,9 @@ function MacroInput({ label, value, onChange, color, unit = 'g', icon: Icon }) {
 // Micro Input Row (collapsible section)
 // ---------------------------------------------------------------------------
 
-function MicroInput({ label, value, onChange, unit = 'mg' }) {
+function MicroInput({ label, value, onChange, unit = 'mg', confidence }) {
   return (
-    <View style={styles.microInputRow}>
+    <View style={[styles.microInputRow, labelConfidenceBorder(confidence)]}>
       <Text style={styles.microInputLabel}>{label}</Text>
       <TextInput
         style={styles.microInputField}
@@ -126,6 +138,7 @@ function MicroInput({ label, value, onChange, unit = 'mg' }) {
 // ---------------------------------------------------------------------------
 
 function IngredientItem({ ingredient, onRemove, index }) {
+  const { t } = useTranslation();
   return (
     <Animated.View entering={FadeInDown.delay(index * 50).duration(200)}>
       <View style={styles.ingredientItem}>
@@ -138,7 +151,7 @@ function IngredientItem({ ingredient, onRemove, index }) {
           </Text>
         </View>
         <View style={styles.ingredientMacros}>
-          <Text style={styles.ingredientCal}>{ingredient.calories} cal</Text>
+          <Text style={styles.ingredientCal}>{t('createFoodEnhanced.cal', { calories: ingredient.calories })}</Text>
         </View>
         <Pressable
           style={styles.ingredientRemove}
@@ -157,13 +170,15 @@ function IngredientItem({ ingredient, onRemove, index }) {
 // ---------------------------------------------------------------------------
 
 export default function CreateFoodEnhanced() {
+  const { t } = useTranslation();
   const router = useRouter();
   const params = useLocalSearchParams();
   const { addFood } = useMeals();
   const initialMeal = params.meal || 'breakfast';
+  const linkedBarcode = typeof params.barcode === 'string' && params.barcode ? params.barcode : null;
 
   // Tab state
-  const [activeTab, setActiveTab] = useState('manual');
+  const [activeTab, setActiveTab] = useState(params.mode === 'scan' ? 'scan' : 'manual');
 
   // Common state
   const [name, setName] = useState('');
@@ -191,9 +206,11 @@ export default function CreateFoodEnhanced() {
   const [vitaminC, setVitaminC] = useState('');
   const [vitaminD, setVitaminD] = useState('');
 
-  // Scan state
-  const [isScanning, setIsScanning] = useState(false);
-  const [scanImage, setScanImage] = useState(null);
+  // Scan state: confidence per scanned field, cleared once the user edits it
+  const [showLabelScanner, setShowLabelScanner] = useState(false);
+  const [fieldConfidence, setFieldConfidence] = useState({});
+  // Label nutrients without a form field (magnesium, B vitamins, ...)
+  const [extraMicros, setExtraMicros] = useState({});
 
   // Recipe state
   const [ingredients, setIngredients] = useState([]);
@@ -233,37 +250,74 @@ export default function CreateFoodEnhanced() {
   }, [ingredients, servings]);
 
   // Handle scan nutrition label
-  const handleScanLabel = useCallback(async () => {
+  const handleScanLabel = useCallback(() => {
     hapticLight();
-    Alert.alert(
-      'Scan Nutrition Label',
-      'Take a photo of a nutrition label and AI will extract the data automatically.',
-      [
-        { text: 'Cancel', style: 'cancel' },
-        {
-          text: 'Open Camera',
-          onPress: () => {
-            router.push({
-              pathname: '/scan',
-              params: { mode: 'nutrition-label', returnTo: 'create-food-enhanced' },
-            });
-          },
-        },
-      ],
-    );
-  }, [router]);
+    setShowLabelScanner(true);
+  }, []);
+
+  // Pre-fill the manual form from a label scan
+  const handleLabelScanned = useCallback((scan) => {
+    setShowLabelScanner(false);
+
+    const toText = (value) => (value === undefined ? '' : String(value));
+    if (scan.name && !name.trim()) setName(scan.name);
+    if (scan.serving) setServing(scan.serving);
+    setCalories(toText(scan.calories));
+    setProtein(toText(scan.protein));
+    setCarbs(toText(scan.carbs));
+    setFat(toText(scan.fat));
+
+    const micros = scan.micronutrients || {};
+    const setters = {
+      fiber: setFiber,
+      sugar: setSugar,
+      sodium: setSodium,
+      saturated_fat: setSaturatedFat,
+      cholesterol: setCholesterol,
+      calcium: setCalcium,
+      iron: setIron,
+      potassium: setPotassium,
+      vitaminA: setVitaminA,
+      vitaminC: setVitaminC,
+      vitaminD: setVitaminD,
+    };
+    MICRO_FIELDS.forEach((key) => setters[key](toText(micros[key])));
+    setExtraMicros(Object.fromEntries(
+      Object.entries(micros).filter(([key]) => !MICRO_FIELDS.includes(key)),
+    ));
+    if (MICRO_FIELDS.some((key) => micros[key] !== undefined)) setShowMicros(true);
+
+    setFieldConfidence(scan.confidence || {});
+    setActiveTab('manual');
+  }, [name]);
+
+  // Wrap a setter so editing a scanned field marks it as reviewed
+  const editField = useCallback((field, setter) => (value) => {
+    setter(value);
+    setFieldConfidence((prev) => {
+      if (!prev[field]) return prev;
+      const next = { ...prev };
+      delete next[field];
+      return next;
+    });
+  }, []);
+
+  const reviewCount = useMemo(
+    () => Object.values(fieldConfidence).filter((level) => level === 'low').length,
+    [fieldConfidence],
+  );
 
   // Add ingredient to recipe
   const handleAddIngredient = useCallback(() => {
     hapticLight();
     // Placeholder -- in full implementation, open SmartFoodSearch
     Alert.prompt(
-      'Add Ingredient',
-      'Enter ingredient name',
+      t('createFoodEnhanced.addIngredient'),
+      t('createFoodEnhanced.enterIngredientName'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Add',
+          text: t('common.add'),
           onPress: (ingredientName) => {
             if (ingredientName?.trim()) {
               setIngredients((prev) => [
@@ -284,7 +338,7 @@ export default function CreateFoodEnhanced() {
       ],
       'plain-text',
     );
-  }, []);
+  }, [t]);
 
   // Remove ingredient from recipe
   const handleRemoveIngredient = useCallback((index) => {
@@ -312,14 +366,16 @@ export default function CreateFoodEnhanced() {
     addIfPresent('vitaminC', vitaminC);
     addIfPresent('vitaminD', vitaminD);
 
-    return Object.keys(micro).length > 0 ? micro : undefined;
-  }, [fiber, sugar, sodium, saturatedFat, cholesterol, calcium, iron, potassium, vitaminA, vitaminC, vitaminD]);
+    return Object.keys(micro).length > 0 || Object.keys(extraMicros).length > 0
+      ? { ...extraMicros, ...micro }
+      : undefined;
+  }, [fiber, sugar, sodium, saturatedFat, cholesterol, calcium, iron, potassium, vitaminA, vitaminC, vitaminD, extraMicros]);
 
   // Save food
-  const handleSave = useCallback(() => {
+  const handleSave = useCallback(async () => {
     const trimmedName = sanitizeFoodName(name);
     if (!trimmedName) {
-      Alert.alert('Name Required', 'Please enter a food name.');
+      Alert.alert(t('createFoodEnhanced.nameRequired'), t('createFoodEnhanced.pleaseEnterAFood'));
       return;
     }
 
@@ -327,7 +383,7 @@ export default function CreateFoodEnhanced() {
 
     if (activeTab === 'recipe') {
       if (ingredients.length === 0) {
-        Alert.alert('No Ingredients', 'Add at least one ingredient to your recipe.');
+        Alert.alert(t('createFoodEnhanced.noIngredients'), t('createFoodEnhanced.addAtLeastOne'));
         return;
       }
 
@@ -353,10 +409,11 @@ export default function CreateFoodEnhanced() {
       const fatVal = parseFloat(fat) || 0;
 
       if (cal === 0 && prot === 0 && carb === 0 && fatVal === 0) {
-        Alert.alert('Nutrition Required', 'Please enter at least calories or macros.');
+        Alert.alert(t('createFoodEnhanced.nutritionRequired'), t('createFoodEnhanced.pleaseEnterAtLeast'));
         return;
       }
 
+      const micronutrients = buildMicronutrients();
       foodEntry = {
         id: Crypto.randomUUID(),
         name: trimmedName,
@@ -365,11 +422,40 @@ export default function CreateFoodEnhanced() {
         protein: prot,
         carbs: carb,
         fat: fatVal,
-        serving: serving || '1 serving',
+        serving: serving || t('createFoodEnhanced.n1Serving'),
         servingSize: 1,
         servingUnit: 'serving',
-        micronutrients: buildMicronutrients(),
+        micronutrients,
+        micronutrientSource: micronutrients ? 'reported' : undefined,
       };
+
+      // Link to the barcode that was just scanned so re-scans find this food
+      if (linkedBarcode) {
+        foodEntry.barcode = linkedBarcode;
+        try {
+          await setCachedBarcode(linkedBarcode, {
+            name: trimmedName, calories: cal, protein: prot, carbs: carb, fat: fatVal, serving: foodEntry.serving,
+          });
+          await submitBarcodeData(linkedBarcode, {
+            name: trimmedName,
+            brand: '',
+            calories: cal,
+            protein: prot,
+            carbs: carb,
+            fat: fatVal,
+            fiber: micronutrients?.fiber || 0,
+            sodium: micronutrients?.sodium || 0,
+            sugar: micronutrients?.sugar || 0,
+            serving: foodEntry.serving,
+            image: null,
+            barcode: linkedBarcode,
+            micronutrients,
+          });
+        } catch (e) {
+          Sentry.captureException(e);
+          // Still add to diary
+        }
+      }
     }
 
     addFood(foodEntry, initialMeal);
@@ -377,8 +463,9 @@ export default function CreateFoodEnhanced() {
     router.back();
   }, [
     name, selectedEmoji, displayCalories, protein, carbs, fat, serving,
-    activeTab, ingredients, servings, recipeTotals, initialMeal,
+    activeTab, ingredients, servings, recipeTotals, initialMeal, linkedBarcode,
     addFood, router, buildMicronutrients,
+    t,
   ]);
 
   return (
@@ -393,10 +480,10 @@ export default function CreateFoodEnhanced() {
           <Pressable style={styles.backButton} onPress={() => router.back()}>
             <ArrowLeft size={24} color={Colors.text} />
           </Pressable>
-          <Text style={styles.headerTitle}>Create Food</Text>
+          <Text style={styles.headerTitle}>{t('createFoodEnhanced.createFood')}</Text>
           <Pressable style={styles.saveButton} onPress={handleSave}>
             <Check size={20} color="#fff" />
-            <Text style={styles.saveButtonText}>Save</Text>
+            <Text style={styles.saveButtonText}>{t('common.save')}</Text>
           </Pressable>
         </View>
 
@@ -419,7 +506,7 @@ export default function CreateFoodEnhanced() {
                   color={isActive ? Colors.primary : Colors.textSecondary}
                 />
                 <Text style={[styles.tabText, isActive && styles.tabTextActive]}>
-                  {tab.label}
+                  {t(tab.labelKey)}
                 </Text>
               </Pressable>
             );
@@ -443,7 +530,7 @@ export default function CreateFoodEnhanced() {
               </Pressable>
               <TextInput
                 style={styles.nameInput}
-                placeholder="Food name"
+                placeholder={t('createFoodEnhanced.foodName')}
                 placeholderTextColor={Colors.textTertiary}
                 value={name}
                 onChangeText={setName}
@@ -478,12 +565,12 @@ export default function CreateFoodEnhanced() {
           {/* Serving Size */}
           <Animated.View entering={FadeInDown.delay(100).duration(300)}>
             <View style={styles.servingRow}>
-              <Text style={styles.fieldLabel}>Serving Size</Text>
+              <Text style={styles.fieldLabel}>{t('createFoodEnhanced.servingSize')}</Text>
               <TextInput
-                style={styles.servingInput}
+                style={[styles.servingInput, labelConfidenceBorder(fieldConfidence.serving)]}
                 value={serving}
-                onChangeText={setServing}
-                placeholder="e.g. 1 cup, 100g"
+                onChangeText={editField('serving', setServing)}
+                placeholder={t('createFoodEnhanced.eG1Cup')}
                 placeholderTextColor={Colors.textTertiary}
                 maxLength={50}
               />
@@ -493,50 +580,72 @@ export default function CreateFoodEnhanced() {
           {/* === MANUAL TAB === */}
           {activeTab === 'manual' && (
             <Animated.View entering={FadeInDown.delay(150).duration(300)}>
+              {/* Label scan review */}
+              {Object.keys(fieldConfidence).length > 0 && (
+                <View style={[styles.scanReviewBanner, reviewCount > 0 && styles.scanReviewBannerWarning]}>
+                  <Text style={styles.scanReviewTitle}>
+                    {reviewCount > 0
+                      ? t('createFoodEnhanced.checkHighlightedFields', { count: reviewCount })
+                      : t('createFoodEnhanced.filledFromLabel')}
+                  </Text>
+                  <View style={styles.confidenceLegend}>
+                    {Object.keys(LABEL_CONFIDENCE_COLORS).map((level) => (
+                      <View key={level} style={styles.confidenceLegendItem}>
+                        <View style={[styles.confidenceDot, { backgroundColor: LABEL_CONFIDENCE_COLORS[level] }]} />
+                        <Text style={styles.confidenceLegendText}>{t(`createFoodEnhanced.confidence.${level}`)}</Text>
+                      </View>
+                    ))}
+                  </View>
+                </View>
+              )}
+
               {/* Calories */}
               <View style={styles.caloriesRow}>
                 <View style={[styles.macroInputIcon, { backgroundColor: Colors.secondary + '20' }]}>
                   <Flame size={16} color={Colors.secondary} />
                 </View>
-                <Text style={styles.macroInputLabel}>Calories</Text>
+                <Text style={styles.macroInputLabel}>{t('food.calories')}</Text>
                 <TextInput
-                  style={[styles.macroInputField, styles.caloriesField]}
+                  style={[styles.macroInputField, styles.caloriesField, labelConfidenceBorder(fieldConfidence.calories)]}
                   value={displayCalories}
-                  onChangeText={setCalories}
+                  onChangeText={editField('calories', setCalories)}
                   keyboardType="numeric"
                   placeholder={calculatedCalories > 0 ? calculatedCalories.toString() : '0'}
                   placeholderTextColor={Colors.textTertiary}
                   maxLength={5}
                 />
-                <Text style={styles.macroInputUnit}>kcal</Text>
+                <Text style={styles.macroInputUnit}>{t('units.kcal')}</Text>
               </View>
 
               {calculatedCalories > 0 && !calories && (
                 <Text style={styles.autoCalHint}>
-                  Auto-calculated from macros
+                  {t('createFoodEnhanced.autoCalculatedFromMacros')}
                 </Text>
               )}
 
               {/* Macros */}
-              <Text style={styles.sectionLabel}>Macronutrients</Text>
+              <Text style={styles.sectionLabel}>{t('createFoodEnhanced.macronutrients')}</Text>
               <MacroInput
-                label="Protein"
+                label={t('food.protein')}
                 value={protein}
-                onChange={setProtein}
+                onChange={editField('protein', setProtein)}
+                confidence={fieldConfidence.protein}
                 color={Colors.protein}
                 icon={Beef}
               />
               <MacroInput
-                label="Carbs"
+                label={t('food.carbs')}
                 value={carbs}
-                onChange={setCarbs}
+                onChange={editField('carbs', setCarbs)}
+                confidence={fieldConfidence.carbs}
                 color={Colors.carbs}
                 icon={Wheat}
               />
               <MacroInput
-                label="Fat"
+                label={t('food.fat')}
                 value={fat}
-                onChange={setFat}
+                onChange={editField('fat', setFat)}
+                confidence={fieldConfidence.fat}
                 color={Colors.fat}
                 icon={Droplets}
               />
@@ -546,7 +655,7 @@ export default function CreateFoodEnhanced() {
                 style={styles.microsToggle}
                 onPress={() => setShowMicros(!showMicros)}
               >
-                <Text style={styles.microsToggleText}>Micronutrients</Text>
+                <Text style={styles.microsToggleText}>{t('createFoodEnhanced.micronutrients')}</Text>
                 {showMicros ? (
                   <ChevronUp size={16} color={Colors.textSecondary} />
                 ) : (
@@ -557,17 +666,17 @@ export default function CreateFoodEnhanced() {
               {showMicros && (
                 <Animated.View entering={FadeInDown.duration(200)}>
                   <View style={styles.microsGrid}>
-                    <MicroInput label="Fiber" value={fiber} onChange={setFiber} unit="g" />
-                    <MicroInput label="Sugar" value={sugar} onChange={setSugar} unit="g" />
-                    <MicroInput label="Sodium" value={sodium} onChange={setSodium} unit="mg" />
-                    <MicroInput label="Sat. Fat" value={saturatedFat} onChange={setSaturatedFat} unit="g" />
-                    <MicroInput label="Cholesterol" value={cholesterol} onChange={setCholesterol} unit="mg" />
-                    <MicroInput label="Calcium" value={calcium} onChange={setCalcium} unit="mg" />
-                    <MicroInput label="Iron" value={iron} onChange={setIron} unit="mg" />
-                    <MicroInput label="Potassium" value={potassium} onChange={setPotassium} unit="mg" />
-                    <MicroInput label="Vitamin A" value={vitaminA} onChange={setVitaminA} unit="mcg" />
-                    <MicroInput label="Vitamin C" value={vitaminC} onChange={setVitaminC} unit="mg" />
-                    <MicroInput label="Vitamin D" value={vitaminD} onChange={setVitaminD} unit="mcg" />
+                    <MicroInput label={t('food.fiber')} value={fiber} onChange={editField('fiber', setFiber)} unit="g" confidence={fieldConfidence.fiber} />
+                    <MicroInput label={t('food.sugar')} value={sugar} onChange={editField('sugar', setSugar)} unit="g" confidence={fieldConfidence.sugar} />
+                    <MicroInput label={t('food.sodium')} value={sodium} onChange={editField('sodium', setSodium)} unit="mg" confidence={fieldConfidence.sodium} />
+                    <MicroInput label={t('createFoodEnhanced.satFat')} value={saturatedFat} onChange={editField('saturated_fat', setSaturatedFat)} unit="g" confidence={fieldConfidence.saturated_fat} />
+                    <MicroInput label={t('createFoodEnhanced.cholesterol')} value={cholesterol} onChange={editField('cholesterol', setCholesterol)} unit="mg" confidence={fieldConfidence.cholesterol} />
+                    <MicroInput label={t('createFoodEnhanced.calcium')} value={calcium} onChange={editField('calcium', setCalcium)} unit="mg" confidence={fieldConfidence.calcium} />
+                    <MicroInput label={t('createFoodEnhanced.iron')} value={iron} onChange={editField('iron', setIron)} unit="mg" confidence={fieldConfidence.iron} />
+                    <MicroInput label={t('createFoodEnhanced.potassium')} value={potassium} onChange={editField('potassium', setPotassium)} unit="mg" confidence={fieldConfidence.potassium} />
+                    <MicroInput label={t('createFoodEnhanced.vitaminA')} value={vitaminA} onChange={editField('vitaminA', setVitaminA)} unit="mcg" confidence={fieldConfidence.vitaminA} />
+                    <MicroInput label={t('createFoodEnhanced.vitaminC')} value={vitaminC} onChange={editField('vitaminC', setVitaminC)} unit="mg" confidence={fieldConfidence.vitaminC} />
+                    <MicroInput label={t('createFoodEnhanced.vitaminD')} value={vitaminD} onChange={editField('vitaminD', setVitaminD)} unit="mcg" confidence={fieldConfidence.vitaminD} />
                   </View>
                 </Animated.View>
               )}
@@ -580,30 +689,38 @@ export default function CreateFoodEnhanced() {
               <View style={styles.scanSection}>
                 <View style={styles.scanCard}>
                   <Camera size={48} color={Colors.primary} />
-                  <Text style={styles.scanTitle}>Scan Nutrition Label</Text>
+                  <Text style={styles.scanTitle}>{t('createFoodEnhanced.scanNutritionLabel')}</Text>
                   <Text style={styles.scanDescription}>
-                    Take a photo of a nutrition facts label and AI will automatically extract
-                    all the nutrition data for you.
+                    {t('createFoodEnhanced.takeAPhotoOf')}
                   </Text>
                   <Pressable style={styles.scanButton} onPress={handleScanLabel}>
                     <Camera size={20} color="#fff" />
-                    <Text style={styles.scanButtonText}>Open Camera</Text>
+                    <Text style={styles.scanButtonText}>{t('createFoodEnhanced.openCamera')}</Text>
                   </Pressable>
                 </View>
 
                 <View style={styles.scanDivider}>
                   <View style={styles.scanDividerLine} />
-                  <Text style={styles.scanDividerText}>OR</Text>
+                  <Text style={styles.scanDividerText}>{t('createFoodEnhanced.or')}</Text>
                   <View style={styles.scanDividerLine} />
                 </View>
 
-                <Pressable
-                  style={styles.barcodeButton}
-                  onPress={() => router.push('/barcode')}
-                >
-                  <ScanBarcode size={20} color={Colors.primary} />
-                  <Text style={styles.barcodeButtonText}>Scan Barcode Instead</Text>
-                </Pressable>
+                {linkedBarcode ? (
+                  <View style={styles.linkedBarcode}>
+                    <ScanBarcode size={18} color={Colors.textSecondary} />
+                    <Text style={styles.linkedBarcodeText}>
+                      {t('createFoodEnhanced.linkedToBarcode', { barcode: linkedBarcode })}
+                    </Text>
+                  </View>
+                ) : (
+                  <Pressable
+                    style={styles.barcodeButton}
+                    onPress={() => router.push('/barcode')}
+                  >
+                    <ScanBarcode size={20} color={Colors.primary} />
+                    <Text style={styles.barcodeButtonText}>{t('createFoodEnhanced.scanBarcodeInstead')}</Text>
+                  </Pressable>
+                )}
               </View>
             </Animated.View>
           )}
@@ -613,7 +730,7 @@ export default function CreateFoodEnhanced() {
             <Animated.View entering={FadeInDown.delay(150).duration(300)}>
               {/* Servings */}
               <View style={styles.servingsRow}>
-                <Text style={styles.fieldLabel}>Servings in recipe</Text>
+                <Text style={styles.fieldLabel}>{t('createFoodEnhanced.servingsInRecipe')}</Text>
                 <View style={styles.servingsControls}>
                   <Pressable
                     style={styles.servingsBtn}
@@ -648,16 +765,16 @@ export default function CreateFoodEnhanced() {
               </View>
 
               {/* Ingredients list */}
-              <Text style={styles.sectionLabel}>Ingredients</Text>
+              <Text style={styles.sectionLabel}>{t('createFoodEnhanced.ingredients')}</Text>
 
               {ingredients.length === 0 ? (
                 <View style={styles.emptyIngredients}>
                   <ChefHat size={32} color={Colors.textTertiary} />
                   <Text style={styles.emptyIngredientsText}>
-                    No ingredients added yet
+                    {t('createFoodEnhanced.noIngredientsAddedYet')}
                   </Text>
                   <Text style={styles.emptyIngredientsHint}>
-                    Add ingredients to auto-calculate nutrition
+                    {t('createFoodEnhanced.addIngredientsToAuto')}
                   </Text>
                 </View>
               ) : (
@@ -673,29 +790,29 @@ export default function CreateFoodEnhanced() {
 
                   {/* Recipe Totals */}
                   <View style={styles.recipeTotals}>
-                    <Text style={styles.recipeTotalsTitle}>Per Serving</Text>
+                    <Text style={styles.recipeTotalsTitle}>{t('createFoodEnhanced.perServing')}</Text>
                     <View style={styles.recipeTotalsRow}>
                       <View style={styles.recipeTotalItem}>
                         <Text style={styles.recipeTotalValue}>{recipeTotals.calories}</Text>
-                        <Text style={styles.recipeTotalLabel}>kcal</Text>
+                        <Text style={styles.recipeTotalLabel}>{t('units.kcal')}</Text>
                       </View>
                       <View style={styles.recipeTotalItem}>
                         <Text style={[styles.recipeTotalValue, { color: Colors.protein }]}>
                           {recipeTotals.protein}g
                         </Text>
-                        <Text style={styles.recipeTotalLabel}>Protein</Text>
+                        <Text style={styles.recipeTotalLabel}>{t('food.protein')}</Text>
                       </View>
                       <View style={styles.recipeTotalItem}>
                         <Text style={[styles.recipeTotalValue, { color: Colors.carbs }]}>
                           {recipeTotals.carbs}g
                         </Text>
-                        <Text style={styles.recipeTotalLabel}>Carbs</Text>
+                        <Text style={styles.recipeTotalLabel}>{t('food.carbs')}</Text>
                       </View>
                       <View style={styles.recipeTotalItem}>
                         <Text style={[styles.recipeTotalValue, { color: Colors.fat }]}>
                           {recipeTotals.fat}g
                         </Text>
-                        <Text style={styles.recipeTotalLabel}>Fat</Text>
+                        <Text style={styles.recipeTotalLabel}>{t('food.fat')}</Text>
                       </View>
                     </View>
                   </View>
@@ -704,7 +821,7 @@ export default function CreateFoodEnhanced() {
 
               <Pressable style={styles.addIngredientBtn} onPress={handleAddIngredient}>
                 <Plus size={20} color={Colors.primary} />
-                <Text style={styles.addIngredientText}>Add Ingredient</Text>
+                <Text style={styles.addIngredientText}>{t('createFoodEnhanced.addIngredient')}</Text>
               </Pressable>
             </Animated.View>
           )}
@@ -713,6 +830,12 @@ export default function CreateFoodEnhanced() {
           <View style={styles.bottomSpacer} />
         </ScrollView>
       </KeyboardAvoidingView>
+
+      <NutritionLabelScanner
+        visible={showLabelScanner}
+        onClose={() => setShowLabelScanner(false)}
+        onScanned={handleLabelScanned}
+      />
     </SafeAreaView>
   );
 }
@@ -1073,6 +1196,50 @@ const styles = StyleSheet.create({
     color: Colors.textTertiary,
     fontWeight: FontWeight.medium,
   },
+  linkedBarcode: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: Spacing.sm,
+    paddingVertical: Spacing.md,
+  },
+  linkedBarcodeText: {
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+  },
+  scanReviewBanner: {
+    backgroundColor: Colors.successSoft,
+    borderRadius: BorderRadius.md,
+    padding: Spacing.sm,
+    marginBottom: Spacing.md,
+    gap: Spacing.xs,
+  },
+  scanReviewBannerWarning: {
+    backgroundColor: Colors.warningSoft,
+  },
+  scanReviewTitle: {
+    fontSize: FontSize.sm,
+    fontWeight: FontWeight.semibold,
+    color: Colors.text,
+  },
+  confidenceLegend: {
+    flexDirection: 'row',
+    gap: Spacing.md,
+  },
+  confidenceLegendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  confidenceDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+  },
+  confidenceLegendText: {
+    fontSize: FontSize.xs,
+    color: Colors.textSecondary,
+  },
   barcodeButton: {
     flexDirection: 'row',
     alignItems: 'center',
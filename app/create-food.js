@@ -16,6 +16,7 @@ import { useRouter, useLocalSearchParams } from 'expo-router';
 import { ArrowLeft, Check, Flame, Beef, Wheat, Droplets } from 'lucide-react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import Animated, { FadeInDown } from 'react-native-reanimated';
+import { useTranslation } from 'react-i18next';
 import { Colors, Gradients, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 import { useMeals } from '../context/MealContext';
 import { hapticSuccess, hapticLight } from '../lib/haptics';
@@ -74,6 +75,7 @@ function getDefaultMealByTime() {
 }
 
 export default function CreateFoodScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const params = useLocalSearchParams();
   const { addFood } = useMeals();
@@ -118,11 +120,11 @@ export default function CreateFoodScreen() {
   const handleSave = () => {
     const sanitizedName = sanitizeFoodName(name, 100);
     if (!sanitizedName) {
-      Alert.alert('Missing Name', 'Please enter a name for this food.');
+      Alert.alert(t('createFood.missingName'), t('createFood.pleaseEnterAName'));
       return;
     }
     if (!calories || parseInt(calories) <= 0) {
-      Alert.alert('Missing Calories', 'Please enter the calorie count.');
+      Alert.alert(t('createFood.missingCalories'), t('createFood.pleaseEnterTheCalorie'));
       return;
     }
 
@@ -134,7 +136,7 @@ export default function CreateFoodScreen() {
       protein: validateMacro(protein, 1000),
       carbs: validateMacro(carbs, 1000),
       fat: validateMacro(fat, 1000),
-      serving: sanitizeText(serving, 50) || '1 serving',
+      serving: sanitizeText(serving, 50) || t('createFood.n1Serving'),
       servingSize: 1,
       servingUnit: 'serving',
     };
@@ -161,7 +163,7 @@ export default function CreateFoodScreen() {
           <Pressable style={styles.headerButton} onPress={() => router.back()} hitSlop={8}>
             <ArrowLeft size={24} color={Colors.text} />
           </Pressable>
-          <Text style={styles.headerTitle}>Create Food</Text>
+          <Text style={styles.headerTitle}>{t('createFood.createFood')}</Text>
           <Pressable style={styles.headerSaveButton} onPress={handleSave} hitSlop={8}>
             <Check size={24} color={Colors.primary} />
           </Pressable>
@@ -175,7 +177,7 @@ export default function CreateFoodScreen() {
         >
           {/* Emoji Picker */}
           <Animated.View entering={FadeInDown.delay(50).duration(400)}>
-            <Text style={styles.sectionLabel}>Icon</Text>
+            <Text style={styles.sectionLabel}>{t('createFood.icon')}</Text>
             <ScrollView
               horizontal
               showsHorizontalScrollIndicator={false}
@@ -198,11 +200,11 @@ export default function CreateFoodScreen() {
 
           {/* Name Input */}
           <Animated.View entering={FadeInDown.delay(100).duration(400)}>
-            <Text style={styles.sectionLabel}>Name</Text>
+            <Text style={styles.sectionLabel}>{t('createFood.name')}</Text>
             <View style={styles.glassInput}>
               <TextInput
                 style={styles.textInput}
-                placeholder="Food name (e.g. Grilled Chicken)"
+                placeholder={t('createFood.foodNameEG')}
                 placeholderTextColor={Colors.textTertiary}
                 value={name}
                 onChangeText={setName}
@@ -214,11 +216,11 @@ export default function CreateFoodScreen() {
 
           {/* Serving Size Input */}
           <Animated.View entering={FadeInDown.delay(150).duration(400)}>
-            <Text style={styles.sectionLabel}>Serving Size</Text>
+            <Text style={styles.sectionLabel}>{t('createFood.servingSize')}</Text>
             <View style={styles.glassInput}>
               <TextInput
                 style={styles.textInput}
-                placeholder="e.g. 100g, 1 cup, 1 piece"
+                placeholder={t('createFood.eG100g1')}
                 placeholderTextColor={Colors.textTertiary}
                 value={serving}
                 onChangeText={setServing}
@@ -230,13 +232,13 @@ export default function CreateFoodScreen() {
 
           {/* Nutrition Inputs - 2x2 Grid */}
           <Animated.View entering={FadeInDown.delay(200).duration(400)}>
-            <Text style={styles.sectionLabel}>Nutrition</Text>
+            <Text style={styles.sectionLabel}>{t('createFood.nutrition')}</Text>
             <View style={styles.nutritionGrid}>
               {/* Calories */}
               <View style={styles.nutritionCard}>
                 <View style={styles.nutritionHeader}>
                   <Flame size={16} color={Colors.primary} />
-                  <Text style={styles.nutritionLabel}>Calories</Text>
+                  <Text style={styles.nutritionLabel}>{t('food.calories')}</Text>
                 </View>
                 <TextInput
                   style={styles.nutritionInput}
@@ -248,14 +250,14 @@ export default function CreateFoodScreen() {
                   returnKeyType="next"
                   maxLength={5}
                 />
-                <Text style={styles.nutritionUnit}>kcal</Text>
+                <Text style={styles.nutritionUnit}>{t('units.kcal')}</Text>
               </View>
 
               {/* Protein */}
               <View style={styles.nutritionCard}>
                 <View style={styles.nutritionHeader}>
                   <Beef size={16} color="#FF6B9D" />
-                  <Text style={styles.nutritionLabel}>Protein</Text>
+                  <Text style={styles.nutritionLabel}>{t('food.protein')}</Text>
                 </View>
                 <TextInput
                   style={styles.nutritionInput}
@@ -274,7 +276,7 @@ export default function CreateFoodScreen() {
               <View style={styles.nutritionCard}>
                 <View style={styles.nutritionHeader}>
                   <Wheat size={16} color="#64D2FF" />
-                  <Text style={styles.nutritionLabel}>Carbs</Text>
+                  <Text style={styles.nutritionLabel}>{t('food.carbs')}</Text>
                 </View>
                 <TextInput
                   style={styles.nutritionInput}
@@ -293,7 +295,7 @@ export default function CreateFoodScreen() {
               <View style={styles.nutritionCard}>
                 <View style={styles.nutritionHeader}>
                   <Droplets size={16} color="#FFD93D" />
-                  <Text style={styles.nutritionLabel}>Fat</Text>
+                  <Text style={styles.nutritionLabel}>{t('food.fat')}</Text>
                 </View>
                 <TextInput
                   style={styles.nutritionInput}
@@ -316,7 +318,7 @@ export default function CreateFoodScreen() {
               <View style={styles.macroBarRow}>
                 {enteredCalories > 0 && (
                   <View style={styles.macroBarGroup}>
-                    <Text style={styles.macroBarLabel}>Entered</Text>
+                    <Text style={styles.macroBarLabel}>{t('createFood.entered')}</Text>
                     <View style={styles.macroBarTrack}>
                       <View
                         style={[
@@ -325,11 +327,11 @@ export default function CreateFoodScreen() {
                         ]}
                       />
                     </View>
-                    <Text style={styles.macroBarValue}>{enteredCalories} cal</Text>
+                    <Text style={styles.macroBarValue}>{t('createFood.cal', { enteredCalories })}</Text>
                   </View>
                 )}
                 <View style={styles.macroBarGroup}>
-                  <Text style={styles.macroBarLabel}>From macros</Text>
+                  <Text style={styles.macroBarLabel}>{t('createFood.fromMacros')}</Text>
                   <View style={styles.macroBarTrack}>
                     <View
                       style={[
@@ -338,7 +340,7 @@ export default function CreateFoodScreen() {
                       ]}
                     />
                   </View>
-                  <Text style={styles.macroBarValue}>{calculatedCalories} cal</Text>
+                  <Text style={styles.macroBarValue}>{t('createFood.cal2', { calculatedCalories })}</Text>
                 </View>
               </View>
               {showCalorieComparison && (
@@ -351,7 +353,7 @@ export default function CreateFoodScreen() {
 
           {/* Quick Templates */}
           <Animated.View entering={FadeInDown.delay(300).duration(400)}>
-            <Text style={styles.sectionLabel}>Quick Templates</Text>
+            <Text style={styles.sectionLabel}>{t('createFood.quickTemplates')}</Text>
             <View style={styles.templateRow}>
               {QUICK_TEMPLATES.map((template, index) => (
                 <Pressable
@@ -363,7 +365,7 @@ export default function CreateFoodScreen() {
                   <Text style={styles.templateName} numberOfLines={1}>
                     {template.name} {template.serving}
                   </Text>
-                  <Text style={styles.templateCal}>{template.calories} cal</Text>
+                  <Text style={styles.templateCal}>{t('createFood.cal3', { calories: template.calories })}</Text>
                 </Pressable>
               ))}
             </View>
@@ -379,7 +381,7 @@ export default function CreateFoodScreen() {
                 style={styles.saveButton}
               >
                 <Check size={20} color={Colors.background} />
-                <Text style={styles.saveButtonText}>Save Food</Text>
+                <Text style={styles.saveButtonText}>{t('createFood.saveFood')}</Text>
               </LinearGradient>
             </Pressable>
           </Animated.View>
@@ -25,7 +25,9 @@ import {
   X,
   Users,
   Flame,
+  Scale,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { hapticLight } from '../lib/haptics';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 import { useFood } from '../context/FoodContext';
@@ -33,10 +35,12 @@ import { useAuth } from '../context/AuthContext';
 import { searchProductsGlobal, productToFood } from '../services/openFoodFacts';
 import { useDebounce } from '../hooks/useDebounce';
 import { foodDatabase } from '../data/foods';
+import RecipeScaler from '../components/RecipeScaler';
 
 const RECIPE_EMOJIS = ['🍳', '🥗', '🍲', '🍝', '🥘', '🍛', '🍜', '🥧', '🍰', '🥪', '🌮', '🍔'];
 
 function IngredientItem({ ingredient, onRemove }) {
+  const { t } = useTranslation();
   return (
     <View style={styles.ingredientItem}>
       <View style={styles.ingredientInfo}>
@@ -44,11 +48,11 @@ function IngredientItem({ ingredient, onRemove }) {
           {ingredient.name}
         </Text>
         <Text style={styles.ingredientServing}>
-          {ingredient.serving || '1 serving'}
+          {ingredient.serving || t('createRecipe.n1Serving')}
         </Text>
       </View>
       <View style={styles.ingredientMacros}>
-        <Text style={styles.ingredientCalories}>{ingredient.calories} cal</Text>
+        <Text style={styles.ingredientCalories}>{t('createRecipe.cal', { calories: ingredient.calories })}</Text>
         <View style={styles.ingredientMacroRow}>
           <Text style={[styles.ingredientMacro, { color: Colors.protein }]}>
             P{ingredient.protein}
@@ -69,6 +73,7 @@ function IngredientItem({ ingredient, onRemove }) {
 }
 
 function MacroTotals({ totals, servings }) {
+  const { t } = useTranslation();
   const perServing = {
     calories: Math.round(totals.calories / Math.max(1, servings)),
     protein: Math.round(totals.protein / Math.max(1, servings)),
@@ -79,11 +84,11 @@ function MacroTotals({ totals, servings }) {
   return (
     <View style={styles.macroTotalsContainer}>
       <View style={styles.macroTotalsSection}>
-        <Text style={styles.macroTotalsLabel}>Total Recipe</Text>
+        <Text style={styles.macroTotalsLabel}>{t('createRecipe.totalRecipe')}</Text>
         <View style={styles.macroTotalsRow}>
           <View style={styles.macroTotalsItem}>
             <Text style={styles.macroTotalsValue}>{totals.calories}</Text>
-            <Text style={styles.macroTotalsUnit}>cal</Text>
+            <Text style={styles.macroTotalsUnit}>{t('units.cal')}</Text>
           </View>
           <View style={styles.macroTotalsDivider} />
           <View style={styles.macroTotalsItem}>
@@ -105,11 +110,11 @@ function MacroTotals({ totals, servings }) {
 
       {servings > 0 && (
         <View style={[styles.macroTotalsSection, styles.perServingSection]}>
-          <Text style={styles.macroTotalsLabel}>Per Serving ({servings} servings)</Text>
+          <Text style={styles.macroTotalsLabel}>{t('createRecipe.perServingServings', { servings })}</Text>
           <View style={styles.macroTotalsRow}>
             <View style={styles.macroTotalsItem}>
               <Text style={styles.macroTotalsValueSmall}>{perServing.calories}</Text>
-              <Text style={styles.macroTotalsUnit}>cal</Text>
+              <Text style={styles.macroTotalsUnit}>{t('units.cal')}</Text>
             </View>
             <View style={styles.macroTotalsDivider} />
             <View style={styles.macroTotalsItem}>
@@ -134,6 +139,7 @@ function MacroTotals({ totals, servings }) {
 }
 
 function IngredientSearchModal({ visible, onClose, onSelectIngredient }) {
+  const { t } = useTranslation();
   const [query, setQuery] = useState('');
   const [results, setResults] = useState([]);
   const [isSearching, setIsSearching] = useState(false);
@@ -189,7 +195,7 @@ function IngredientSearchModal({ visible, onClose, onSelectIngredient }) {
           <Pressable style={styles.modalCloseButton} onPress={onClose}>
             <X size={24} color={Colors.text} />
           </Pressable>
-          <Text style={styles.modalTitle}>Add Ingredient</Text>
+          <Text style={styles.modalTitle}>{t('createRecipe.addIngredient')}</Text>
           <View style={{ width: 40 }} />
         </View>
 
@@ -198,7 +204,7 @@ function IngredientSearchModal({ visible, onClose, onSelectIngredient }) {
             <Search size={20} color={Colors.textSecondary} />
             <TextInput
               style={styles.searchInput}
-              placeholder="Search foods..."
+              placeholder={t('createRecipe.searchFoods')}
               placeholderTextColor={Colors.textTertiary}
               value={query}
               onChangeText={setQuery}
@@ -216,14 +222,14 @@ function IngredientSearchModal({ visible, onClose, onSelectIngredient }) {
         {isSearching ? (
           <View style={styles.loadingContainer}>
             <ActivityIndicator size="large" color={Colors.primary} />
-            <Text style={styles.loadingText}>Searching...</Text>
+            <Text style={styles.loadingText}>{t('createRecipe.searching')}</Text>
           </View>
         ) : (
           <ScrollView style={styles.resultsContainer} keyboardShouldPersistTaps="handled">
             {/* Local Foods */}
             {localMatches.length > 0 && (
               <View style={styles.resultsSection}>
-                <Text style={styles.resultsSectionLabel}>Quick Add</Text>
+                <Text style={styles.resultsSectionLabel}>{t('createRecipe.quickAdd')}</Text>
                 {localMatches.map((item) => (
                   <Pressable
                     key={item.id}
@@ -233,7 +239,7 @@ function IngredientSearchModal({ visible, onClose, onSelectIngredient }) {
                     <View style={styles.resultInfo}>
                       <Text style={styles.resultName}>{item.name}</Text>
                       <Text style={styles.resultMacros}>
-                        {item.calories} cal · P{item.protein} C{item.carbs} F{item.fat}
+                        {t('createRecipe.calPCF', { calories: item.calories, protein: item.protein, carbs: item.carbs, fat: item.fat })}
                       </Text>
                     </View>
                     <Plus size={20} color={Colors.primary} />
@@ -245,7 +251,7 @@ function IngredientSearchModal({ visible, onClose, onSelectIngredient }) {
             {/* API Results */}
             {results.length > 0 && (
               <View style={styles.resultsSection}>
-                <Text style={styles.resultsSectionLabel}>Search Results</Text>
+                <Text style={styles.resultsSectionLabel}>{t('createRecipe.searchResults')}</Text>
                 {results.map((item) => (
                   <Pressable
                     key={item.barcode}
@@ -258,7 +264,7 @@ function IngredientSearchModal({ visible, onClose, onSelectIngredient }) {
                         <Text style={styles.resultBrand}>{item.brand}</Text>
                       )}
                       <Text style={styles.resultMacros}>
-                        {item.calories ?? 'N/A'} cal · P{item.protein ?? 0} C{item.carbs ?? 0} F{item.fat ?? 0}
+                        {t('createRecipe.calPCF', { calories: item.calories ?? t('createRecipe.notAvailable'), protein: item.protein ?? 0, carbs: item.carbs ?? 0, fat: item.fat ?? 0 })}
                       </Text>
                     </View>
                     <Plus size={20} color={Colors.primary} />
@@ -269,8 +275,8 @@ function IngredientSearchModal({ visible, onClose, onSelectIngredient }) {
 
             {query.length >= 2 && !isSearching && results.length === 0 && localMatches.length === 0 && (
               <View style={styles.emptyResults}>
-                <Text style={styles.emptyText}>No results found</Text>
-                <Text style={styles.emptySubtext}>Try a different search term</Text>
+                <Text style={styles.emptyText}>{t('common.noResults')}</Text>
+                <Text style={styles.emptySubtext}>{t('add.tryADifferentSearch')}</Text>
               </View>
             )}
           </ScrollView>
@@ -281,6 +287,7 @@ function IngredientSearchModal({ visible, onClose, onSelectIngredient }) {
 }
 
 export default function CreateRecipeScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const { user } = useAuth();
   const { saveRecipe } = useFood();
@@ -288,6 +295,7 @@ export default function CreateRecipeScreen() {
   const [recipeName, setRecipeName] = useState('');
   const [emoji, setEmoji] = useState('🍳');
   const [servings, setServings] = useState('4');
+  const [cookedWeight, setCookedWeight] = useState('');
   const [ingredients, setIngredients] = useState([]);
   const [isSaving, setIsSaving] = useState(false);
   const [searchModalVisible, setSearchModalVisible] = useState(false);
@@ -306,6 +314,14 @@ export default function CreateRecipeScreen() {
   }, [ingredients]);
 
   const servingsNum = parseInt(servings, 10) || 1;
+  const cookedWeightGrams = parseInt(cookedWeight, 10) || null;
+
+  const previewRecipe = useMemo(() => ({
+    servings: servingsNum,
+    ingredients,
+    totalMacros: totals,
+    cookedWeightGrams,
+  }), [servingsNum, ingredients, totals, cookedWeightGrams]);
 
   const handleAddIngredient = useCallback((ingredient) => {
     const newIngredient = {
@@ -331,32 +347,32 @@ export default function CreateRecipeScreen() {
   const handleSave = async () => {
     // Verify user is logged in
     if (!user || !user.id) {
-      Alert.alert('Error', 'User not found. Please log in again.');
+      Alert.alert(t('common.errorTitle'), t('createRecipe.userNotFoundPlease'));
       return;
     }
 
     if (!recipeName.trim()) {
-      Alert.alert('Missing Name', 'Please give your recipe a name.');
+      Alert.alert(t('createRecipe.missingName'), t('createRecipe.pleaseGiveYourRecipe'));
       return;
     }
 
     if (ingredients.length === 0) {
-      Alert.alert('No Ingredients', 'Please add at least one ingredient.');
+      Alert.alert(t('createRecipe.noIngredients'), t('createRecipe.pleaseAddAtLeast'));
       return;
     }
 
     setIsSaving(true);
     try {
-      await saveRecipe(recipeName.trim(), ingredients, servingsNum, emoji);
+      await saveRecipe(recipeName.trim(), ingredients, servingsNum, emoji, cookedWeightGrams);
 
       Alert.alert(
-        'Success',
-        `"${recipeName}" has been saved! You can now log it from the Add Food screen.`,
+        t('common.success'),
+        t('createRecipe.hasBeenSavedYou', { recipeName }),
         [{ text: 'OK', onPress: () => router.back() }]
       );
     } catch (error) {
       if (__DEV__) console.error('Save failed:', error);
-      Alert.alert('Save Failed', error.message || 'Could not save recipe. Please try again.');
+      Alert.alert(t('createRecipe.saveFailed'), error.message || t('createRecipe.couldNotSaveRecipe'));
     } finally {
       setIsSaving(false);
     }
@@ -365,10 +381,10 @@ export default function CreateRecipeScreen() {
   const handleBack = () => {
     if (recipeName || ingredients.length > 0) {
       Alert.alert(
-        'Discard Recipe?',
-        'You have unsaved changes. Are you sure you want to leave?',
+        t('createRecipe.discardRecipe'),
+        t('createRecipe.youHaveUnsavedChanges'),
         [
-          { text: 'Keep Editing', style: 'cancel' },
+          { text: t('createRecipe.keepEditing'), style: 'cancel' },
           { text: 'Discard', style: 'destructive', onPress: () => router.back() },
         ]
       );
@@ -386,7 +402,7 @@ export default function CreateRecipeScreen() {
         </Pressable>
         <View style={styles.headerCenter}>
           <ChefHat size={20} color={Colors.primary} />
-          <Text style={styles.headerTitle}>Create Recipe</Text>
+          <Text style={styles.headerTitle}>{t('createRecipe.createRecipe')}</Text>
         </View>
         <View style={{ width: 40 }} />
       </View>
@@ -403,7 +419,7 @@ export default function CreateRecipeScreen() {
         >
           {/* Recipe Name Section */}
           <View style={styles.section}>
-            <Text style={styles.sectionLabel}>Recipe Name</Text>
+            <Text style={styles.sectionLabel}>{t('createRecipe.recipeName')}</Text>
             <View style={styles.nameRow}>
               <Pressable style={styles.emojiButton} onPress={handleEmojiChange}>
                 <Text style={styles.emojiText}>{emoji}</Text>
@@ -412,7 +428,7 @@ export default function CreateRecipeScreen() {
                 style={styles.nameInput}
                 value={recipeName}
                 onChangeText={setRecipeName}
-                placeholder="e.g., Morning Oats"
+                placeholder={t('createRecipe.eGMorningOats')}
                 placeholderTextColor={Colors.textTertiary}
                 maxLength={50}
               />
@@ -421,7 +437,7 @@ export default function CreateRecipeScreen() {
 
           {/* Servings Section */}
           <View style={styles.section}>
-            <Text style={styles.sectionLabel}>Number of Servings</Text>
+            <Text style={styles.sectionLabel}>{t('createRecipe.numberOfServings')}</Text>
             <View style={styles.servingsRow}>
               <Users size={20} color={Colors.textSecondary} />
               <TextInput
@@ -438,10 +454,34 @@ export default function CreateRecipeScreen() {
             </View>
           </View>
 
+          {/* Cooked Weight Section */}
+          <View style={styles.section}>
+            <Text style={styles.sectionLabel}>{t('createRecipe.cookedWeight')}</Text>
+            <View style={styles.servingsRow}>
+              <Scale size={20} color={Colors.textSecondary} />
+              <TextInput
+                style={styles.servingsInput}
+                value={cookedWeight}
+                onChangeText={setCookedWeight}
+                keyboardType="number-pad"
+                placeholder="0"
+                placeholderTextColor={Colors.textTertiary}
+                maxLength={5}
+                selectTextOnFocus
+              />
+              <Text style={styles.servingsLabel}>{t('units.g')}</Text>
+            </View>
+            <Text style={styles.fieldHint}>
+              {cookedWeightGrams
+                ? t('createRecipe.cookedWeightPerServing', { grams: Math.round(cookedWeightGrams / servingsNum) })
+                : t('createRecipe.cookedWeightHint')}
+            </Text>
+          </View>
+
           {/* Ingredients Section */}
           <View style={styles.section}>
             <View style={styles.sectionHeader}>
-              <Text style={styles.sectionLabel}>Ingredients</Text>
+              <Text style={styles.sectionLabel}>{t('createRecipe.ingredients')}</Text>
               <Text style={styles.ingredientCount}>
                 {ingredients.length} item{ingredients.length !== 1 ? 's' : ''}
               </Text>
@@ -449,9 +489,9 @@ export default function CreateRecipeScreen() {
 
             {ingredients.length === 0 ? (
               <View style={styles.emptyIngredients}>
-                <Text style={styles.emptyText}>No ingredients yet</Text>
+                <Text style={styles.emptyText}>{t('createRecipe.noIngredientsYet')}</Text>
                 <Text style={styles.emptySubtext}>
-                  Tap below to search and add ingredients
+                  {t('createRecipe.tapBelowToSearch')}
                 </Text>
               </View>
             ) : (
@@ -471,7 +511,7 @@ export default function CreateRecipeScreen() {
               onPress={() => setSearchModalVisible(true)}
             >
               <Plus size={20} color={Colors.primary} />
-              <Text style={styles.addIngredientText}>Add Ingredient</Text>
+              <Text style={styles.addIngredientText}>{t('createRecipe.addIngredient')}</Text>
             </Pressable>
           </View>
 
@@ -479,6 +519,7 @@ export default function CreateRecipeScreen() {
           {ingredients.length > 0 && (
             <View style={styles.section}>
               <MacroTotals totals={totals} servings={servingsNum} />
+              <RecipeScaler recipe={previewRecipe} style={styles.scalerPreview} collapsible />
             </View>
           )}
         </ScrollView>
@@ -499,7 +540,7 @@ export default function CreateRecipeScreen() {
             ) : (
               <>
                 <Check size={22} color={Colors.background} />
-                <Text style={styles.saveButtonText}>Save Recipe</Text>
+                <Text style={styles.saveButtonText}>{t('createRecipe.saveRecipe')}</Text>
               </>
             )}
           </Pressable>
@@ -624,6 +665,14 @@ const styles = StyleSheet.create({
     fontSize: FontSize.md,
     color: Colors.textSecondary,
   },
+  fieldHint: {
+    fontSize: FontSize.sm,
+    color: Colors.textTertiary,
+    marginTop: Spacing.xs,
+  },
+  scalerPreview: {
+    marginTop: Spacing.md,
+  },
   emptyIngredients: {
     backgroundColor: Colors.surface,
     borderRadius: BorderRadius.lg,
@@ -0,0 +1,496 @@
+import React, { useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  Pressable,
+  Alert,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useRouter } from 'expo-router';
+import {
+  ArrowLeft,
+  ChevronUp,
+  ChevronDown,
+  Minus,
+  Plus,
+  Trash2,
+  CalendarRange,
+} from 'lucide-react-native';
+import ReAnimated, { FadeInDown } from 'react-native-reanimated';
+import { useTranslation } from 'react-i18next';
+import { format, nextMonday } from 'date-fns';
+import ScreenErrorBoundary from '../components/ScreenErrorBoundary';
+import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
+import { useDietPhases } from '../hooks/useDietPhases';
+import { PHASE_RATE_LIMITS, phaseCalories } from '../lib/dietPhases';
+import { formatDate } from '../lib/formatters';
+
+const PHASE_TYPES = ['cut', 'maintenance', 'bulk', 'dietBreak', 'reverse'];
+
+const PHASE_COLORS = {
+  cut: Colors.warning,
+  maintenance: Colors.primary,
+  bulk: Colors.success,
+  dietBreak: Colors.carbs,
+  reverse: Colors.protein,
+};
+
+const RATE_STEP = 0.25;
+const REVERSE_STEP_KCAL = 25;
+
+function formatRate(rate) {
+  return `${rate > 0 ? '+' : ''}${rate}`;
+}
+
+// ---- Stepper ----
+function Stepper({ label, value, onDecrement, onIncrement, disabled }) {
+  return (
+    <View style={styles.stepper}>
+      <Text style={styles.stepperLabel}>{label}</Text>
+      <View style={styles.stepperRow}>
+        <Pressable
+          onPress={onDecrement}
+          disabled={disabled}
+          hitSlop={6}
+          style={[styles.stepperButton, disabled && styles.disabled]}
+          accessibilityRole="button"
+        >
+          <Minus size={14} color={Colors.text} />
+        </Pressable>
+        <Text style={styles.stepperValue}>{value}</Text>
+        <Pressable
+          onPress={onIncrement}
+          disabled={disabled}
+          hitSlop={6}
+          style={[styles.stepperButton, disabled && styles.disabled]}
+          accessibilityRole="button"
+        >
+          <Plus size={14} color={Colors.text} />
+        </Pressable>
+      </View>
+    </View>
+  );
+}
+
+// ---- Phase Card ----
+function PhaseCard({ phase, schedule, maintenanceCalories, isActive, isFirst, isLast, onUpdate, onMove, onRemove }) {
+  const { t } = useTranslation();
+  const color = PHASE_COLORS[phase.type];
+  const limits = PHASE_RATE_LIMITS[phase.type];
+  const fixedRate = limits.min === limits.max;
+
+  const startCalories = phaseCalories(schedule, phase.index, 0, maintenanceCalories);
+  const endCalories = phaseCalories(schedule, phase.index, phase.weeks - 1, maintenanceCalories);
+
+  return (
+    <ReAnimated.View
+      entering={FadeInDown.delay(phase.index * 50).springify().mass(0.5).damping(12)}
+      style={[styles.card, isActive && { borderColor: color }]}
+    >
+      <View style={styles.cardHeader}>
+        <View style={[styles.typeDot, { backgroundColor: color }]} />
+        <Text style={styles.cardTitle}>{t(`dietPhases.types.${phase.type}`)}</Text>
+        {isActive ? (
+          <View style={[styles.activeBadge, { backgroundColor: color + '22' }]}>
+            <Text style={[styles.activeText, { color }]}>{t('dietPhases.active')}</Text>
+          </View>
+        ) : null}
+        <View style={styles.cardActions}>
+          <Pressable onPress={() => onMove(phase.id, -1)} disabled={isFirst} hitSlop={6} style={isFirst && styles.disabled}>
+            <ChevronUp size={18} color={Colors.textSecondary} />
+          </Pressable>
+          <Pressable onPress={() => onMove(phase.id, 1)} disabled={isLast} hitSlop={6} style={isLast && styles.disabled}>
+            <ChevronDown size={18} color={Colors.textSecondary} />
+          </Pressable>
+          <Pressable onPress={() => onRemove(phase)} hitSlop={6} accessibilityLabel={t('dietPhases.removePhase')}>
+            <Trash2 size={16} color={Colors.textTertiary} />
+          </Pressable>
+        </View>
+      </View>
+
+      <Text style={styles.dates}>
+        {t('dietPhases.dateRange', {
+          start: formatDate(`${phase.startDate}T12:00:00`, 'medium'),
+          end: formatDate(`${phase.endDate}T12:00:00`, 'medium'),
+        })}
+      </Text>
+
+      <View style={styles.stepperGroup}>
+        <Stepper
+          label={t('dietPhases.weeks')}
+          value={phase.weeks}
+          onDecrement={() => onUpdate(phase.id, { weeks: phase.weeks - 1 })}
+          onIncrement={() => onUpdate(phase.id, { weeks: phase.weeks + 1 })}
+        />
+        <Stepper
+          label={t('dietPhases.rate')}
+          value={formatRate(phase.rateLbsPerWeek)}
+          disabled={fixedRate}
+          onDecrement={() => onUpdate(phase.id, { rateLbsPerWeek: phase.rateLbsPerWeek - RATE_STEP })}
+          onIncrement={() => onUpdate(phase.id, { rateLbsPerWeek: phase.rateLbsPerWeek + RATE_STEP })}
+        />
+        {phase.type === 'reverse' ? (
+          <Stepper
+            label={t('dietPhases.weeklyStep')}
+            value={`+${phase.weeklyStepKcal}`}
+            onDecrement={() => onUpdate(phase.id, { weeklyStepKcal: phase.weeklyStepKcal - REVERSE_STEP_KCAL })}
+            onIncrement={() => onUpdate(phase.id, { weeklyStepKcal: phase.weeklyStepKcal + REVERSE_STEP_KCAL })}
+          />
+        ) : null}
+      </View>
+
+      <Text style={styles.calories}>
+        {startCalories === endCalories
+          ? t('dietPhases.kcal', { value: startCalories })
+          : t('dietPhases.kcalRange', { start: startCalories, end: endCalories })}
+      </Text>
+    </ReAnimated.View>
+  );
+}
+
+function DietPhasesScreenInner() {
+  const { t } = useTranslation();
+  const router = useRouter();
+  const {
+    plan,
+    schedule,
+    activeTarget,
+    maintenanceCalories,
+    addPhase,
+    updatePhase,
+    removePhase,
+    movePhase,
+    setStartDate,
+    clearPlan,
+  } = useDietPhases();
+
+  const startOptions = useMemo(() => {
+    const today = new Date();
+    return [
+      { key: format(today, 'yyyy-MM-dd'), label: t('dietPhases.startToday') },
+      { key: format(nextMonday(today), 'yyyy-MM-dd'), label: t('dietPhases.startNextMonday') },
+    ];
+  }, [t]);
+
+  const endDate = schedule.length > 0 ? schedule[schedule.length - 1].endDate : null;
+
+  const handleRemove = (phase) => {
+    Alert.alert(
+      t('dietPhases.removePhase'),
+      t('dietPhases.removeConfirm', { phase: t(`dietPhases.types.${phase.type}`) }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: t('common.delete'), style: 'destructive', onPress: () => removePhase(phase.id) },
+      ],
+    );
+  };
+
+  const handleClear = () => {
+    Alert.alert(t('dietPhases.clearPlan'), t('dietPhases.clearConfirm'), [
+      { text: t('common.cancel'), style: 'cancel' },
+      { text: t('common.delete'), style: 'destructive', onPress: clearPlan },
+    ]);
+  };
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top']}>
+      {/* Header */}
+      <View style={styles.header}>
+        <Pressable
+          style={styles.backButton}
+          onPress={() => router.back()}
+          hitSlop={8}
+          accessibilityRole="button"
+          accessibilityLabel={t('common.back')}
+        >
+          <ArrowLeft size={24} color={Colors.text} />
+        </Pressable>
+        <Text style={styles.headerTitle}>{t('dietPhases.title')}</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+      >
+        <Text style={styles.description}>{t('dietPhases.description')}</Text>
+
+        {plan ? (
+          <>
+            {/* Start date */}
+            <Text style={styles.sectionLabel}>{t('dietPhases.startDate')}</Text>
+            <View style={styles.chipRow}>
+              {startOptions.map((option) => {
+                const selected = plan.startDate === option.key;
+                return (
+                  <Pressable
+                    key={option.label}
+                    onPress={() => setStartDate(option.key)}
+                    style={[styles.chip, selected && styles.chipSelected]}
+                  >
+                    <Text style={[styles.chipText, selected && styles.chipTextSelected]}>{option.label}</Text>
+                  </Pressable>
+                );
+              })}
+            </View>
+            <Text style={styles.summary}>
+              {t('dietPhases.planSummary', {
+                start: formatDate(`${plan.startDate}T12:00:00`, 'medium'),
+                end: formatDate(`${endDate}T12:00:00`, 'medium'),
+                maintenance: maintenanceCalories,
+              })}
+            </Text>
+
+            {schedule.map((phase, index) => (
+              <PhaseCard
+                key={phase.id}
+                phase={phase}
+                schedule={schedule}
+                maintenanceCalories={maintenanceCalories}
+                isActive={activeTarget?.phase.id === phase.id}
+                isFirst={index === 0}
+                isLast={index === schedule.length - 1}
+                onUpdate={updatePhase}
+                onMove={movePhase}
+                onRemove={handleRemove}
+              />
+            ))}
+          </>
+        ) : (
+          <View style={styles.emptyState}>
+            <CalendarRange size={40} color={Colors.textTertiary} />
+            <Text style={styles.emptyTitle}>{t('dietPhases.emptyTitle')}</Text>
+            <Text style={styles.emptyText}>{t('dietPhases.emptyText')}</Text>
+          </View>
+        )}
+
+        {/* Add phase */}
+        <Text style={styles.sectionLabel}>{t('dietPhases.addPhase')}</Text>
+        <View style={styles.chipRow}>
+          {PHASE_TYPES.map((type) => (
+            <Pressable key={type} onPress={() => addPhase(type)} style={styles.chip}>
+              <View style={[styles.typeDot, { backgroundColor: PHASE_COLORS[type] }]} />
+              <Text style={styles.chipText}>{t(`dietPhases.types.${type}`)}</Text>
+            </Pressable>
+          ))}
+        </View>
+
+        {plan ? (
+          <Pressable onPress={handleClear} style={styles.clearButton}>
+            <Text style={styles.clearText}>{t('dietPhases.clearPlan')}</Text>
+          </Pressable>
+        ) : null}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.background,
+  },
+  // Header
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.md,
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    borderRadius: BorderRadius.md,
+    backgroundColor: Colors.surface,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerTitle: {
+    flex: 1,
+    fontSize: FontSize.xl,
+    fontWeight: FontWeight.bold,
+    color: Colors.text,
+    textAlign: 'center',
+  },
+  headerSpacer: {
+    width: 40,
+  },
+  // Scroll
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    paddingHorizontal: Spacing.md,
+    paddingTop: Spacing.sm,
+    paddingBottom: Spacing.xxl,
+  },
+  description: {
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+    marginBottom: Spacing.md,
+  },
+  sectionLabel: {
+    fontSize: FontSize.sm,
+    fontWeight: FontWeight.semibold,
+    color: Colors.textSecondary,
+    marginTop: Spacing.sm,
+    marginBottom: Spacing.sm,
+  },
+  summary: {
+    fontSize: FontSize.xs,
+    color: Colors.textTertiary,
+    marginBottom: Spacing.md,
+  },
+  // Chips
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: Spacing.sm,
+    marginBottom: Spacing.sm,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.xs,
+    borderRadius: BorderRadius.full,
+    borderWidth: 1,
+    borderColor: Colors.border,
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.xs + 2,
+  },
+  chipSelected: {
+    backgroundColor: Colors.primarySoft,
+    borderColor: Colors.primary,
+  },
+  chipText: {
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+  },
+  chipTextSelected: {
+    color: Colors.primary,
+    fontWeight: FontWeight.semibold,
+  },
+  // Cards
+  card: {
+    backgroundColor: 'rgba(255,255,255,0.05)',
+    borderRadius: BorderRadius.lg,
+    padding: Spacing.md,
+    marginBottom: Spacing.sm,
+    borderWidth: 1,
+    borderColor: 'rgba(255,255,255,0.06)',
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.sm,
+  },
+  typeDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+  },
+  cardTitle: {
+    fontSize: FontSize.md,
+    fontWeight: FontWeight.semibold,
+    color: Colors.text,
+  },
+  activeBadge: {
+    borderRadius: BorderRadius.full,
+    paddingHorizontal: Spacing.sm,
+    paddingVertical: 2,
+  },
+  activeText: {
+    fontSize: FontSize.xs,
+    fontWeight: FontWeight.semibold,
+  },
+  cardActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.md,
+    marginLeft: 'auto',
+  },
+  dates: {
+    fontSize: FontSize.xs,
+    color: Colors.textTertiary,
+    marginTop: 2,
+  },
+  stepperGroup: {
+    flexDirection: 'row',
+    gap: Spacing.md,
+    marginTop: Spacing.sm,
+  },
+  stepper: {
+    flex: 1,
+  },
+  stepperLabel: {
+    fontSize: FontSize.xs,
+    color: Colors.textTertiary,
+    marginBottom: 4,
+  },
+  stepperRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: Colors.surfaceGlassDark,
+    borderRadius: BorderRadius.md,
+    padding: 4,
+  },
+  stepperButton: {
+    width: 26,
+    height: 26,
+    borderRadius: BorderRadius.sm,
+    backgroundColor: Colors.surface,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stepperValue: {
+    fontSize: FontSize.sm,
+    fontWeight: FontWeight.semibold,
+    color: Colors.text,
+  },
+  disabled: {
+    opacity: 0.3,
+  },
+  calories: {
+    fontSize: FontSize.sm,
+    fontWeight: FontWeight.semibold,
+    color: Colors.primary,
+    marginTop: Spacing.sm,
+  },
+  clearButton: {
+    alignSelf: 'center',
+    paddingVertical: Spacing.sm,
+    marginTop: Spacing.md,
+  },
+  clearText: {
+    fontSize: FontSize.sm,
+    color: Colors.error,
+  },
+  // Empty state
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: Spacing.xl,
+    gap: Spacing.sm,
+  },
+  emptyTitle: {
+    fontSize: FontSize.lg,
+    fontWeight: FontWeight.bold,
+    color: Colors.text,
+  },
+  emptyText: {
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+    textAlign: 'center',
+  },
+});
+
+export default function DietPhasesScreen(props) {
+  return (
+    <ScreenErrorBoundary screenName="DietPhasesScreen">
+      <DietPhasesScreenInner {...props} />
+    </ScreenErrorBoundary>
+  );
+}
@@ -28,6 +28,7 @@ import {
   Info,
   Hash,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import OptimizedFlatList from '../components/OptimizedFlatList';
 import {
@@ -67,6 +68,7 @@ function getMuscleGroup(id) {
 
 // Exercise Card Component
 function ExerciseCard({ exercise, index, expanded, onToggle }) {
+  const { t } = useTranslation();
   const muscleGroup = getMuscleGroup(exercise.muscle);
   const difficultyColor = DIFFICULTY_COLORS[exercise.difficulty] || Colors.textSecondary;
   const difficultyBg = DIFFICULTY_BG[exercise.difficulty] || 'rgba(255,255,255,0.1)';
@@ -164,7 +166,7 @@ function ExerciseCard({ exercise, index, expanded, onToggle }) {
 
               {/* Tips */}
               <View style={styles.tipsContainer}>
-                <Text style={styles.tipsTitle}>Tips</Text>
+                <Text style={styles.tipsTitle}>{t('exerciseLibrary.tips')}</Text>
                 {exercise.tips.map((tip, tipIndex) => (
                   <View key={tipIndex} style={styles.tipRow}>
                     <View style={[styles.tipBullet, { backgroundColor: muscleGroup.color }]} />
@@ -180,21 +182,21 @@ function ExerciseCard({ exercise, index, expanded, onToggle }) {
                   style={styles.recommendedGradient}
                 >
                   <View style={styles.recommendedItem}>
-                    <Text style={styles.recommendedLabel}>Sets</Text>
+                    <Text style={styles.recommendedLabel}>{t('exerciseLibrary.sets')}</Text>
                     <Text style={[styles.recommendedValue, { color: muscleGroup.color }]}>
                       {exercise.sets}
                     </Text>
                   </View>
                   <View style={styles.recommendedDivider} />
                   <View style={styles.recommendedItem}>
-                    <Text style={styles.recommendedLabel}>Reps</Text>
+                    <Text style={styles.recommendedLabel}>{t('exerciseLibrary.reps')}</Text>
                     <Text style={[styles.recommendedValue, { color: muscleGroup.color }]}>
                       {exercise.reps}
                     </Text>
                   </View>
                   <View style={styles.recommendedDivider} />
                   <View style={styles.recommendedItem}>
-                    <Text style={styles.recommendedLabel}>Level</Text>
+                    <Text style={styles.recommendedLabel}>{t('exerciseLibrary.level')}</Text>
                     <Text style={[styles.recommendedValue, { color: difficultyColor }]}>
                       {exercise.difficulty}
                     </Text>
@@ -211,6 +213,7 @@ function ExerciseCard({ exercise, index, expanded, onToggle }) {
 
 // Main Component
 export default function ExerciseLibraryScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const searchInputRef = useRef(null);
   const [searchQuery, setSearchQuery] = useState('');
@@ -315,7 +318,7 @@ export default function ExerciseLibraryScreen() {
             <TextInput
               ref={searchInputRef}
               style={styles.searchInput}
-              placeholder="Search exercises, muscles, equipment..."
+              placeholder={t('exerciseLibrary.searchExercisesMusclesEquipment')}
               placeholderTextColor={Colors.textTertiary}
               value={searchQuery}
               onChangeText={setSearchQuery}
@@ -441,7 +444,7 @@ export default function ExerciseLibraryScreen() {
             {hasActiveFilters && (
               <Pressable style={styles.clearFiltersButton} onPress={handleClearAllFilters}>
                 <X size={14} color={Colors.secondary} />
-                <Text style={styles.clearFiltersText}>Clear filters</Text>
+                <Text style={styles.clearFiltersText}>{t('exerciseLibrary.clearFilters')}</Text>
               </Pressable>
             )}
           </View>
@@ -461,6 +464,7 @@ export default function ExerciseLibraryScreen() {
       handleDifficultyFilter,
       handleClearSearch,
       handleClearAllFilters,
+      t,
     ]
   );
 
@@ -471,18 +475,18 @@ export default function ExerciseLibraryScreen() {
         style={styles.emptyContainer}
       >
         <Text style={styles.emptyEmoji}>🔍</Text>
-        <Text style={styles.emptyTitle}>No exercises found</Text>
+        <Text style={styles.emptyTitle}>{t('exerciseLibrary.noExercisesFound')}</Text>
         <Text style={styles.emptySubtitle}>
-          Try a different search term or adjust your filters
+          {t('exerciseLibrary.tryADifferentSearch')}
         </Text>
         {hasActiveFilters && (
           <Pressable style={styles.emptyResetButton} onPress={handleClearAllFilters}>
-            <Text style={styles.emptyResetText}>Clear all filters</Text>
+            <Text style={styles.emptyResetText}>{t('exerciseLibrary.clearAllFilters')}</Text>
           </Pressable>
         )}
       </ReAnimated.View>
     ),
-    [hasActiveFilters, handleClearAllFilters]
+    [hasActiveFilters, handleClearAllFilters, t]
   );
 
   return (
@@ -502,8 +506,8 @@ export default function ExerciseLibraryScreen() {
           <ArrowLeft size={22} color={Colors.text} />
         </Pressable>
         <View style={styles.headerCenter}>
-          <Text style={styles.headerTitle}>Exercise Library</Text>
-          <Text style={styles.headerSubtitle}>{EXERCISES.length} exercises</Text>
+          <Text style={styles.headerTitle}>{t('exerciseLibrary.exerciseLibrary')}</Text>
+          <Text style={styles.headerSubtitle}>{t('exerciseLibrary.exercises', { EXERCISESCount: EXERCISES.length })}</Text>
         </View>
         <View style={styles.headerRight}>
           <Dumbbell size={22} color={Colors.secondary} />
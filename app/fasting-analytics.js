@@ -24,6 +24,7 @@ import {
   Target,
   BarChart3,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 
 import { Colors, Gradients, Spacing, FontSize, FontWeight, BorderRadius, Shadows } from '../constants/theme';
 import ScreenWrapper from '../components/ScreenWrapper';
@@ -136,6 +137,7 @@ function InsightCard({ icon: Icon, iconColor, title, value, subtitle, delay }) {
 // ─── Empty State ────────────────────────────────────────────────────────────
 
 function EmptyState() {
+  const { t } = useTranslation();
   return (
     <Animated.View
       entering={FadeInDown.delay(200).springify().damping(12)}
@@ -149,15 +151,14 @@ function EmptyState() {
       >
         <Clock size={48} color={Colors.primary} strokeWidth={1.5} />
       </LinearGradient>
-      <Text style={styles.emptyTitle}>Start Your Fasting Journey</Text>
+      <Text style={styles.emptyTitle}>{t('fastingAnalytics.startYourFastingJourney')}</Text>
       <Text style={styles.emptySubtitle}>
-        Complete your first fast to unlock detailed analytics, streaks, and
-        insights into your fasting patterns.
+        {t('fastingAnalytics.completeYourFirstFast')}
       </Text>
       <View style={styles.emptyHintRow}>
         <ChevronDown size={16} color={Colors.textSecondary} strokeWidth={2} />
         <Text style={styles.emptyHint}>
-          Head to the fasting timer to begin
+          {t('fastingAnalytics.headToTheFasting')}
         </Text>
       </View>
     </Animated.View>
@@ -167,6 +168,7 @@ function EmptyState() {
 // ─── Main Screen ────────────────────────────────────────────────────────────
 
 export default function FastingAnalyticsScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const {
     history,
@@ -216,13 +218,13 @@ export default function FastingAnalyticsScreen() {
 
   // Milestone label for total hours
   const milestoneLabel = useMemo(() => {
-    if (totalHoursFasted >= 1000) return 'Elite Faster';
-    if (totalHoursFasted >= 500) return 'Dedicated Practitioner';
-    if (totalHoursFasted >= 200) return 'Committed Faster';
-    if (totalHoursFasted >= 100) return 'Building Momentum';
-    if (totalHoursFasted >= 50) return 'Getting Started';
-    return 'Just Beginning';
-  }, [totalHoursFasted]);
+    if (totalHoursFasted >= 1000) return t('fastingAnalytics.eliteFaster');
+    if (totalHoursFasted >= 500) return t('fastingAnalytics.dedicatedPractitioner');
+    if (totalHoursFasted >= 200) return t('fastingAnalytics.committedFaster');
+    if (totalHoursFasted >= 100) return t('fastingAnalytics.buildingMomentum');
+    if (totalHoursFasted >= 50) return t('fastingAnalytics.gettingStarted');
+    return t('fastingAnalytics.justBeginning');
+  }, [totalHoursFasted, t]);
 
   const handleBack = () => {
     hapticLight();
@@ -259,7 +261,7 @@ export default function FastingAnalyticsScreen() {
             <ArrowLeft size={22} color={Colors.textPrimary} strokeWidth={2} />
           </TouchableOpacity>
 
-          <Text style={styles.headerTitle}>Fasting Insights</Text>
+          <Text style={styles.headerTitle}>{t('fastingAnalytics.fastingInsights')}</Text>
 
           <LinearGradient
             colors={['rgba(0,212,255,0.2)', 'rgba(0,212,255,0.05)']}
@@ -284,28 +286,28 @@ export default function FastingAnalyticsScreen() {
               <StatCard
                 icon={Timer}
                 iconColor="#00D4FF"
-                label="Total Fasts"
+                label={t('fastingAnalytics.totalFasts')}
                 value={totalFasts}
                 delay={200}
               />
               <StatCard
                 icon={Clock}
                 iconColor="#A78BFA"
-                label="Avg Duration"
+                label={t('fastingAnalytics.avgDuration')}
                 value={`${averageDuration}h`}
                 delay={250}
               />
               <StatCard
                 icon={Flame}
                 iconColor="#FF6B35"
-                label="Best Streak"
+                label={t('fastingAnalytics.bestStreak')}
                 value={`${bestStreak}d`}
                 delay={300}
               />
               <StatCard
                 icon={Target}
                 iconColor="#00E676"
-                label="Completion"
+                label={t('fastingAnalytics.completion')}
                 value={`${completionRate}%`}
                 delay={350}
               />
@@ -316,7 +318,7 @@ export default function FastingAnalyticsScreen() {
               entering={FadeInDown.delay(400).springify().damping(12)}
             >
               <SectionHeader
-                title="Weekly Overview"
+                title={t('fastingAnalytics.weeklyOverview')}
                 icon={BarChart3}
                 iconColor="#00D4FF"
               />
@@ -329,7 +331,7 @@ export default function FastingAnalyticsScreen() {
                         { backgroundColor: '#00E676' },
                       ]}
                     />
-                    <Text style={styles.legendText}>Completed</Text>
+                    <Text style={styles.legendText}>{t('fastingAnalytics.completed')}</Text>
                   </View>
                   <View style={styles.legendItem}>
                     <View
@@ -338,7 +340,7 @@ export default function FastingAnalyticsScreen() {
                         { backgroundColor: '#FFB300' },
                       ]}
                     />
-                    <Text style={styles.legendText}>Partial</Text>
+                    <Text style={styles.legendText}>{t('fastingAnalytics.partial')}</Text>
                   </View>
                 </View>
 
@@ -377,7 +379,7 @@ export default function FastingAnalyticsScreen() {
 
                 <View style={styles.chartFooter}>
                   <Text style={styles.chartFooterText}>
-                    Target: {avgTarget}h (dashed line)
+                    {t('fastingAnalytics.targetHDashedLine', { avgTarget })}
                   </Text>
                 </View>
               </GlassCard>
@@ -388,7 +390,7 @@ export default function FastingAnalyticsScreen() {
               entering={FadeInDown.delay(500).springify().damping(12)}
             >
               <SectionHeader
-                title="Fasting Zones"
+                title={t('fastingAnalytics.fastingZones')}
                 icon={Zap}
                 iconColor="#A78BFA"
               />
@@ -408,7 +410,7 @@ export default function FastingAnalyticsScreen() {
               entering={FadeInDown.delay(700).springify().damping(12)}
             >
               <SectionHeader
-                title="Insights"
+                title={t('fastingAnalytics.insights')}
                 icon={TrendingUp}
                 iconColor="#00E676"
               />
@@ -417,9 +419,9 @@ export default function FastingAnalyticsScreen() {
                 <InsightCard
                   icon={Clock}
                   iconColor="#00D4FF"
-                  title="Preferred Schedule"
+                  title={t('fastingAnalytics.preferredSchedule')}
                   value={scheduleDisplay}
-                  subtitle="Your most used fasting window"
+                  subtitle={t('fastingAnalytics.yourMostUsedFasting')}
                   delay={750}
                 />
               ) : null}
@@ -427,7 +429,7 @@ export default function FastingAnalyticsScreen() {
               <InsightCard
                 icon={Award}
                 iconColor="#FFB300"
-                title="Total Hours Fasted"
+                title={t('fastingAnalytics.totalHoursFasted')}
                 value={`${totalHoursFasted}h`}
                 subtitle={milestoneLabel}
                 delay={800}
@@ -436,12 +438,12 @@ export default function FastingAnalyticsScreen() {
               <InsightCard
                 icon={Flame}
                 iconColor="#FF6B35"
-                title="Current Streak"
-                value={`${currentStreak} day${currentStreak !== 1 ? 's' : ''}`}
+                title={t('fastingAnalytics.currentStreak')}
+                value={t('fastingAnalytics.dayCount', { count: currentStreak })}
                 subtitle={
                   currentStreak >= bestStreak && currentStreak > 0
-                    ? 'Personal best! Keep going!'
-                    : `Best streak: ${bestStreak} day${bestStreak !== 1 ? 's' : ''}`
+                    ? t('fastingAnalytics.personalBestKeepGoing')
+                    : t('fastingAnalytics.bestStreakDays', { count: bestStreak })
                 }
                 delay={850}
               />
@@ -449,9 +451,9 @@ export default function FastingAnalyticsScreen() {
               <InsightCard
                 icon={TrendingUp}
                 iconColor="#A78BFA"
-                title="Longest Fast"
+                title={t('fastingAnalytics.longestFast')}
                 value={`${longestFast}h`}
-                subtitle="Your personal record"
+                subtitle={t('fastingAnalytics.yourPersonalRecord')}
                 delay={900}
               />
             </Animated.View>
@@ -57,6 +57,7 @@ import {
   ArrowUpRight,
   ArrowDownRight,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import {
   Colors,
@@ -108,6 +109,7 @@ const AnimatedCircle = ReAnimated.createAnimatedComponent(Circle);
 // Main Score Ring Component
 // ============================================================
 function MainScoreRing({ score, scoreLabel }) {
+  const { t } = useTranslation();
   const progress = useSharedValue(0);
   const scaleValue = useSharedValue(0.9);
 
@@ -186,7 +188,7 @@ function MainScoreRing({ score, scoreLabel }) {
         <Text style={[styles.mainScoreLabel, { color: tierColor }]}>
           {scoreLabel.label}
         </Text>
-        <Text style={styles.mainScoreSubtext}>out of 100</Text>
+        <Text style={styles.mainScoreSubtext}>{t('fitnessScore.outOf100')}</Text>
       </View>
     </ReAnimated.View>
   );
@@ -205,6 +207,7 @@ function ActivityRing({
   colorEnd,
   svgSize,
 }) {
+  const { t } = useTranslation();
   const progress = useSharedValue(0);
 
   useEffect(() => {
@@ -246,7 +249,7 @@ function ActivityRing({
         cx={svgSize / 2}
         cy={svgSize / 2}
         r={radius}
-        stroke={`url(#${gradientId})`}
+        stroke={t('fitnessScore.url', { gradientId })}
         strokeWidth={strokeWidth}
         fill="none"
         strokeLinecap="round"
@@ -262,6 +265,7 @@ function ActivityRing({
 // Nested Activity Rings Component (Apple Watch Style)
 // ============================================================
 function ActivityRingsDisplay({ nutritionPercent, exercisePercent, hydrationPercent }) {
+  const { t } = useTranslation();
   return (
     <View style={styles.activityRingsWrapper}>
       <View style={styles.activityRingsSvgContainer}>
@@ -308,21 +312,21 @@ function ActivityRingsDisplay({ nutritionPercent, exercisePercent, hydrationPerc
       <View style={styles.activityRingLabels}>
         <View style={styles.ringLabelRow}>
           <View style={[styles.ringDot, { backgroundColor: '#FF6B9D' }]} />
-          <Text style={styles.ringLabelText}>Nutrition</Text>
+          <Text style={styles.ringLabelText}>{t('fitnessScore.nutrition')}</Text>
           <Text style={[styles.ringLabelPercent, { color: '#FF6B9D' }]}>
             {Math.round(nutritionPercent)}%
           </Text>
         </View>
         <View style={styles.ringLabelRow}>
           <View style={[styles.ringDot, { backgroundColor: '#00E676' }]} />
-          <Text style={styles.ringLabelText}>Movement</Text>
+          <Text style={styles.ringLabelText}>{t('fitnessScore.movement')}</Text>
           <Text style={[styles.ringLabelPercent, { color: '#00E676' }]}>
             {Math.round(exercisePercent)}%
           </Text>
         </View>
         <View style={styles.ringLabelRow}>
           <View style={[styles.ringDot, { backgroundColor: '#00D4FF' }]} />
-          <Text style={styles.ringLabelText}>Hydration</Text>
+          <Text style={styles.ringLabelText}>{t('fitnessScore.hydration')}</Text>
           <Text style={[styles.ringLabelPercent, { color: '#00D4FF' }]}>
             {Math.round(hydrationPercent)}%
           </Text>
@@ -466,6 +470,7 @@ function TipCard({ tip, index }) {
 // Main Screen
 // ============================================================
 export default function FitnessScoreScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const {
     scoreHistory,
@@ -640,15 +645,15 @@ export default function FitnessScoreScreen() {
         key: 'nutrition',
         earned: breakdownScores.nutrition,
         max: 25,
-        title: 'Nutrition',
-        description: 'Try to eat closer to your calorie goal for a higher score.',
+        title: t('fitnessScore.nutrition'),
+        description: t('fitnessScore.tryToEatCloser'),
         bgColor: '#FF6B9D',
       },
       {
         key: 'protein',
         earned: breakdownScores.protein,
         max: 15,
-        title: 'Protein Intake',
+        title: t('fitnessScore.proteinIntake'),
         description:
           'Hit your protein target to support muscle recovery and growth.',
         bgColor: Colors.protein,
@@ -657,7 +662,7 @@ export default function FitnessScoreScreen() {
         key: 'hydration',
         earned: breakdownScores.hydration,
         max: 15,
-        title: 'Stay Hydrated',
+        title: t('fitnessScore.stayHydrated'),
         description:
           'Drink more water to boost your hydration score and overall health.',
         bgColor: Colors.primary,
@@ -666,7 +671,7 @@ export default function FitnessScoreScreen() {
         key: 'exercise',
         earned: breakdownScores.exercise,
         max: 20,
-        title: 'Move More',
+        title: t('fitnessScore.moveMore'),
         description:
           'Log a workout or aim for 30 minutes of activity to fill your movement ring.',
         bgColor: Colors.success,
@@ -675,7 +680,7 @@ export default function FitnessScoreScreen() {
         key: 'sleep',
         earned: breakdownScores.sleep,
         max: 15,
-        title: 'Sleep Quality',
+        title: t('fitnessScore.sleepQuality'),
         description:
           'Aim for 7-9 hours of sleep to maximize your recovery score.',
         bgColor: '#A78BFA',
@@ -684,7 +689,7 @@ export default function FitnessScoreScreen() {
         key: 'consistency',
         earned: breakdownScores.consistency,
         max: 10,
-        title: 'Build Habits',
+        title: t('fitnessScore.buildHabits'),
         description:
           'Complete your daily habits and fasting goals to improve consistency.',
         bgColor: Colors.warning,
@@ -696,7 +701,7 @@ export default function FitnessScoreScreen() {
       (a, b) => a.earned / a.max - b.earned / b.max
     );
     return sorted.slice(0, 3);
-  }, [breakdownScores]);
+  }, [breakdownScores, t]);
 
   const handleBack = useCallback(async () => {
     await hapticLight();
@@ -708,7 +713,7 @@ export default function FitnessScoreScreen() {
       <ScreenWrapper>
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color={Colors.primary} />
-          <Text style={styles.loadingText}>Loading fitness score...</Text>
+          <Text style={styles.loadingText}>{t('fitnessScore.loadingFitnessScore')}</Text>
         </View>
       </ScreenWrapper>
     );
@@ -729,7 +734,7 @@ export default function FitnessScoreScreen() {
           <Pressable style={styles.backButton} onPress={handleBack}>
             <ChevronLeft size={24} color={Colors.text} />
           </Pressable>
-          <Text style={styles.headerTitle}>Fitness Score</Text>
+          <Text style={styles.headerTitle}>{t('fitnessScore.fitnessScore')}</Text>
           <View style={styles.headerMedal}>
             <Medal size={24} color={Colors.gold} />
           </View>
@@ -750,7 +755,7 @@ export default function FitnessScoreScreen() {
             <View style={styles.scoreStatsRow}>
               <View style={styles.scoreStat}>
                 <Text style={styles.scoreStatValue}>{averageScore}</Text>
-                <Text style={styles.scoreStatLabel}>7-Day Avg</Text>
+                <Text style={styles.scoreStatLabel}>{t('fitnessScore.n7DayAvg')}</Text>
               </View>
               <View style={styles.scoreStatDivider} />
               <View style={styles.scoreStat}>
@@ -763,14 +768,14 @@ export default function FitnessScoreScreen() {
                     <ArrowDownRight size={16} color={Colors.error} />
                   )}
                 </View>
-                <Text style={styles.scoreStatLabel}>Today</Text>
+                <Text style={styles.scoreStatLabel}>{t('common.today')}</Text>
               </View>
               <View style={styles.scoreStatDivider} />
               <View style={styles.scoreStat}>
                 <Text style={[styles.scoreStatValue, { color: scoreLabel.color }]}>
                   {scoreLabel.emoji}
                 </Text>
-                <Text style={styles.scoreStatLabel}>Tier</Text>
+                <Text style={styles.scoreStatLabel}>{t('fitnessScore.tier')}</Text>
               </View>
             </View>
           </LinearGradient>
@@ -780,7 +785,7 @@ export default function FitnessScoreScreen() {
         <ReAnimated.View
           entering={FadeInDown.delay(200).springify().mass(0.5).damping(10)}
         >
-          <Text style={styles.sectionTitle}>Activity Rings</Text>
+          <Text style={styles.sectionTitle}>{t('fitnessScore.activityRings')}</Text>
           <LinearGradient colors={Gradients.card} style={styles.activityCard}>
             <ActivityRingsDisplay
               nutritionPercent={nutritionPercent}
@@ -794,14 +799,14 @@ export default function FitnessScoreScreen() {
         <ReAnimated.View
           entering={FadeInDown.delay(300).springify().mass(0.5).damping(10)}
         >
-          <Text style={styles.sectionTitle}>Score Breakdown</Text>
+          <Text style={styles.sectionTitle}>{t('fitnessScore.scoreBreakdown')}</Text>
         </ReAnimated.View>
 
         <View style={styles.breakdownGrid}>
           <BreakdownCard
             icon={Flame}
             iconColor="#FF6B9D"
-            title="Nutrition"
+            title={t('fitnessScore.nutrition')}
             earned={breakdownScores.nutrition}
             max={25}
             delay={350}
@@ -809,7 +814,7 @@ export default function FitnessScoreScreen() {
           <BreakdownCard
             icon={Target}
             iconColor={Colors.protein}
-            title="Protein"
+            title={t('food.protein')}
             earned={breakdownScores.protein}
             max={15}
             delay={400}
@@ -817,7 +822,7 @@ export default function FitnessScoreScreen() {
           <BreakdownCard
             icon={Droplets}
             iconColor={Colors.primary}
-            title="Hydration"
+            title={t('fitnessScore.hydration')}
             earned={breakdownScores.hydration}
             max={15}
             delay={450}
@@ -825,7 +830,7 @@ export default function FitnessScoreScreen() {
           <BreakdownCard
             icon={Dumbbell}
             iconColor={Colors.success}
-            title="Exercise"
+            title={t('fitnessScore.exercise')}
             earned={breakdownScores.exercise}
             max={20}
             delay={500}
@@ -833,7 +838,7 @@ export default function FitnessScoreScreen() {
           <BreakdownCard
             icon={Moon}
             iconColor="#A78BFA"
-            title="Sleep"
+            title={t('fitnessScore.sleep')}
             earned={breakdownScores.sleep}
             max={15}
             delay={550}
@@ -841,7 +846,7 @@ export default function FitnessScoreScreen() {
           <BreakdownCard
             icon={ListChecks}
             iconColor={Colors.warning}
-            title="Consistency"
+            title={t('fitnessScore.consistency')}
             earned={breakdownScores.consistency}
             max={10}
             delay={600}
@@ -852,16 +857,16 @@ export default function FitnessScoreScreen() {
         <ReAnimated.View
           entering={FadeInDown.delay(650).springify().mass(0.5).damping(10)}
         >
-          <Text style={styles.sectionTitle}>Weekly Trend</Text>
+          <Text style={styles.sectionTitle}>{t('fitnessScore.weeklyTrend')}</Text>
           <LinearGradient colors={Gradients.card} style={styles.weeklyCard}>
             <View style={styles.weeklyHeader}>
               <View style={styles.weeklyHeaderLeft}>
                 <TrendingUp size={18} color={Colors.primary} />
-                <Text style={styles.weeklyHeaderTitle}>Last 7 Days</Text>
+                <Text style={styles.weeklyHeaderTitle}>{t('fitnessScore.last7Days')}</Text>
               </View>
               <View style={styles.weeklyAvgBadge}>
                 <Text style={styles.weeklyAvgText}>
-                  Avg: {averageScore}
+                  {t('fitnessScore.avg', { averageScore })}
                 </Text>
               </View>
             </View>
@@ -876,7 +881,7 @@ export default function FitnessScoreScreen() {
         <ReAnimated.View
           entering={FadeInDown.delay(750).springify().mass(0.5).damping(10)}
         >
-          <Text style={styles.sectionTitle}>Tips to Improve</Text>
+          <Text style={styles.sectionTitle}>{t('fitnessScore.tipsToImprove')}</Text>
         </ReAnimated.View>
 
         {tips.map((tip, index) => (
@@ -890,7 +895,7 @@ export default function FitnessScoreScreen() {
           <LinearGradient colors={Gradients.card} style={styles.infoCard}>
             <View style={styles.infoHeader}>
               <Award size={20} color={Colors.gold} />
-              <Text style={styles.infoTitle}>How Scoring Works</Text>
+              <Text style={styles.infoTitle}>{t('fitnessScore.howScoringWorks')}</Text>
             </View>
             <Text style={styles.infoText}>
               Your fitness score is a daily snapshot (0-100) based on how well
@@ -904,7 +909,7 @@ export default function FitnessScoreScreen() {
                   style={[styles.tierDot, { backgroundColor: '#FFD700' }]}
                 />
                 <Text style={styles.tierText}>
-                  90-100: Elite
+                  {t('fitnessScore.n90100Elite')}
                 </Text>
               </View>
               <View style={styles.tierRow}>
@@ -912,7 +917,7 @@ export default function FitnessScoreScreen() {
                   style={[styles.tierDot, { backgroundColor: '#00E676' }]}
                 />
                 <Text style={styles.tierText}>
-                  75-89: Excellent
+                  {t('fitnessScore.n7589Excellent')}
                 </Text>
               </View>
               <View style={styles.tierRow}>
@@ -920,7 +925,7 @@ export default function FitnessScoreScreen() {
                   style={[styles.tierDot, { backgroundColor: '#00D4FF' }]}
                 />
                 <Text style={styles.tierText}>
-                  60-74: Good
+                  {t('fitnessScore.n6074Good')}
                 </Text>
               </View>
               <View style={styles.tierRow}>
@@ -928,7 +933,7 @@ export default function FitnessScoreScreen() {
                   style={[styles.tierDot, { backgroundColor: '#FFB300' }]}
                 />
                 <Text style={styles.tierText}>
-                  40-59: Fair
+                  {t('fitnessScore.n4059Fair')}
                 </Text>
               </View>
               <View style={styles.tierRow}>
@@ -936,7 +941,7 @@ export default function FitnessScoreScreen() {
                   style={[styles.tierDot, { backgroundColor: '#FF6B35' }]}
                 />
                 <Text style={styles.tierText}>
-                  0-39: Getting Started
+                  {t('fitnessScore.n039GettingStarted')}
                 </Text>
               </View>
             </View>
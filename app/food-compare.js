@@ -46,6 +46,7 @@ import {
   Award,
 } from 'lucide-react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import {
   Colors,
@@ -145,11 +146,11 @@ function getSuggestionsForFood(food) {
 // Macro comparison configuration
 // ---------------------------------------------------------------------------
 const MACROS = [
-  { key: 'calories', label: 'Calories', unit: 'kcal', icon: Flame, positiveWhen: 'lower', color: Colors.secondary },
-  { key: 'protein', label: 'Protein', unit: 'g', icon: Zap, positiveWhen: 'higher', color: Colors.protein },
-  { key: 'carbs', label: 'Carbs', unit: 'g', icon: Droplets, positiveWhen: 'lower', color: Colors.carbs },
-  { key: 'fat', label: 'Fat', unit: 'g', icon: Droplets, positiveWhen: 'lower', color: Colors.fat },
-  { key: 'fiber', label: 'Fiber', unit: 'g', icon: Leaf, positiveWhen: 'higher', color: Colors.success },
+  { key: 'calories', labelKey: 'food.calories', unit: 'kcal', icon: Flame, positiveWhen: 'lower', color: Colors.secondary },
+  { key: 'protein', labelKey: 'food.protein', unit: 'g', icon: Zap, positiveWhen: 'higher', color: Colors.protein },
+  { key: 'carbs', labelKey: 'food.carbs', unit: 'g', icon: Droplets, positiveWhen: 'lower', color: Colors.carbs },
+  { key: 'fat', labelKey: 'food.fat', unit: 'g', icon: Droplets, positiveWhen: 'lower', color: Colors.fat },
+  { key: 'fiber', labelKey: 'food.fiber', unit: 'g', icon: Leaf, positiveWhen: 'higher', color: Colors.success },
 ];
 
 function getWinnerBadges(foodA, foodB) {
@@ -157,33 +158,33 @@ function getWinnerBadges(foodA, foodB) {
   const badges = [];
 
   if (foodA.protein > foodB.protein) {
-    badges.push({ label: `${foodA.emoji} Higher Protein`, color: Colors.success, side: 'A' });
+    badges.push({ emoji: foodA.emoji, labelKey: 'foodCompare.badges.higherProtein', color: Colors.success, side: 'A' });
   } else if (foodB.protein > foodA.protein) {
-    badges.push({ label: `${foodB.emoji} Higher Protein`, color: Colors.success, side: 'B' });
+    badges.push({ emoji: foodB.emoji, labelKey: 'foodCompare.badges.higherProtein', color: Colors.success, side: 'B' });
   }
 
   if (foodA.calories < foodB.calories) {
-    badges.push({ label: `${foodA.emoji} Lower Calorie`, color: Colors.primary, side: 'A' });
+    badges.push({ emoji: foodA.emoji, labelKey: 'foodCompare.badges.lowerCalorie', color: Colors.primary, side: 'A' });
   } else if (foodB.calories < foodA.calories) {
-    badges.push({ label: `${foodB.emoji} Lower Calorie`, color: Colors.primary, side: 'B' });
+    badges.push({ emoji: foodB.emoji, labelKey: 'foodCompare.badges.lowerCalorie', color: Colors.primary, side: 'B' });
   }
 
   if (foodA.fiber > foodB.fiber) {
-    badges.push({ label: `${foodA.emoji} More Fiber`, color: Colors.success, side: 'A' });
+    badges.push({ emoji: foodA.emoji, labelKey: 'foodCompare.badges.moreFiber', color: Colors.success, side: 'A' });
   } else if (foodB.fiber > foodA.fiber) {
-    badges.push({ label: `${foodB.emoji} More Fiber`, color: Colors.success, side: 'B' });
+    badges.push({ emoji: foodB.emoji, labelKey: 'foodCompare.badges.moreFiber', color: Colors.success, side: 'B' });
   }
 
   if (foodA.fat < foodB.fat) {
-    badges.push({ label: `${foodA.emoji} Lower Fat`, color: Colors.primary, side: 'A' });
+    badges.push({ emoji: foodA.emoji, labelKey: 'foodCompare.badges.lowerFat', color: Colors.primary, side: 'A' });
   } else if (foodB.fat < foodA.fat) {
-    badges.push({ label: `${foodB.emoji} Lower Fat`, color: Colors.primary, side: 'B' });
+    badges.push({ emoji: foodB.emoji, labelKey: 'foodCompare.badges.lowerFat', color: Colors.primary, side: 'B' });
   }
 
   if (foodA.carbs < foodB.carbs) {
-    badges.push({ label: `${foodA.emoji} Lower Carbs`, color: Colors.primary, side: 'A' });
+    badges.push({ emoji: foodA.emoji, labelKey: 'foodCompare.badges.lowerCarbs', color: Colors.primary, side: 'A' });
   } else if (foodB.carbs < foodA.carbs) {
-    badges.push({ label: `${foodB.emoji} Lower Carbs`, color: Colors.primary, side: 'B' });
+    badges.push({ emoji: foodB.emoji, labelKey: 'foodCompare.badges.lowerCarbs', color: Colors.primary, side: 'B' });
   }
 
   return badges;
@@ -193,6 +194,7 @@ function getWinnerBadges(foodA, foodB) {
 // FoodSlot -- search + select + display for one side
 // ---------------------------------------------------------------------------
 function FoodSlot({ food, onSelect, onClear, slotLabel, index }) {
+  const { t } = useTranslation();
   const [query, setQuery] = useState('');
   const [showResults, setShowResults] = useState(false);
 
@@ -245,7 +247,7 @@ function FoodSlot({ food, onSelect, onClear, slotLabel, index }) {
           <View style={styles.selectedMacros}>
             <View style={styles.macroChip}>
               <Text style={[styles.macroChipValue, { color: Colors.secondary }]}>{food.calories}</Text>
-              <Text style={styles.macroChipLabel}>cal</Text>
+              <Text style={styles.macroChipLabel}>{t('units.cal')}</Text>
             </View>
             <View style={styles.macroChip}>
               <Text style={[styles.macroChipValue, { color: Colors.protein }]}>{food.protein}g</Text>
@@ -264,7 +266,7 @@ function FoodSlot({ food, onSelect, onClear, slotLabel, index }) {
           {food.fiber > 0 && (
             <View style={styles.fiberRow}>
               <Leaf size={12} color={Colors.success} />
-              <Text style={styles.fiberText}>{food.fiber}g fiber</Text>
+              <Text style={styles.fiberText}>{t('foodCompare.gFiber', { fiber: food.fiber })}</Text>
             </View>
           )}
         </LinearGradient>
@@ -293,7 +295,7 @@ function FoodSlot({ food, onSelect, onClear, slotLabel, index }) {
               setShowResults(true);
             }}
             onFocus={() => setShowResults(true)}
-            placeholder="Search food..."
+            placeholder={t('foodCompare.searchFood')}
             placeholderTextColor={Colors.textTertiary}
             returnKeyType="search"
           />
@@ -312,7 +314,7 @@ function FoodSlot({ food, onSelect, onClear, slotLabel, index }) {
             keyboardShouldPersistTaps="handled"
           >
             {filteredFoods.length === 0 ? (
-              <Text style={styles.noResults}>No foods found</Text>
+              <Text style={styles.noResults}>{t('foodCompare.noFoodsFound')}</Text>
             ) : (
               filteredFoods.map((item) => (
                 <Pressable
@@ -323,7 +325,7 @@ function FoodSlot({ food, onSelect, onClear, slotLabel, index }) {
                   <Text style={styles.resultEmoji}>{item.emoji}</Text>
                   <View style={styles.resultInfo}>
                     <Text style={styles.resultName} numberOfLines={1}>{item.name}</Text>
-                    <Text style={styles.resultCals}>{item.calories} cal</Text>
+                    <Text style={styles.resultCals}>{t('foodCompare.cal', { calories: item.calories })}</Text>
                   </View>
                 </Pressable>
               ))
@@ -334,7 +336,7 @@ function FoodSlot({ food, onSelect, onClear, slotLabel, index }) {
         {!showResults && (
           <View style={styles.emptyHint}>
             <Scale size={28} color={Colors.textTertiary} />
-            <Text style={styles.emptyHintText}>Tap search to add food</Text>
+            <Text style={styles.emptyHintText}>{t('foodCompare.tapSearchToAdd')}</Text>
           </View>
         )}
       </LinearGradient>
@@ -346,6 +348,7 @@ function FoodSlot({ food, onSelect, onClear, slotLabel, index }) {
 // MacroComparisonBar -- proportional bars for a single macro
 // ---------------------------------------------------------------------------
 function MacroComparisonBar({ macro, foodA, foodB, index }) {
+  const { t } = useTranslation();
   const valA = foodA[macro.key];
   const valB = foodB[macro.key];
   const maxVal = Math.max(valA, valB, 1);
@@ -369,7 +372,7 @@ function MacroComparisonBar({ macro, foodA, foodB, index }) {
       <View style={styles.comparisonHeader}>
         <View style={styles.comparisonLabelRow}>
           <IconComponent size={14} color={macro.color} />
-          <Text style={styles.comparisonLabel}>{macro.label}</Text>
+          <Text style={styles.comparisonLabel}>{t(macro.labelKey)}</Text>
         </View>
       </View>
 
@@ -420,6 +423,7 @@ function MacroComparisonBar({ macro, foodA, foodB, index }) {
 // WinnerBadge component
 // ---------------------------------------------------------------------------
 function WinnerBadge({ badge, index }) {
+  const { t } = useTranslation();
   return (
     <ReAnimated.View
       entering={FadeInDown.delay(index * 50 + 500).springify().mass(0.5).damping(10)}
@@ -427,7 +431,7 @@ function WinnerBadge({ badge, index }) {
       <View style={[styles.winnerBadge, { borderColor: badge.color + '40' }]}>
         <Award size={12} color={badge.color} />
         <Text style={[styles.winnerBadgeText, { color: badge.color }]}>
-          {badge.label}
+          {badge.emoji} {t(badge.labelKey)}
         </Text>
       </View>
     </ReAnimated.View>
@@ -454,6 +458,7 @@ function QuickSwapSuggestion({ food, onSelect, index }) {
 // Main Screen
 // ---------------------------------------------------------------------------
 export default function FoodCompareScreen() {
+  const { t } = useTranslation();
   const [foodA, setFoodA] = useState(null);
   const [foodB, setFoodB] = useState(null);
   const [recentComparisons, setRecentComparisons] = useState([]);
@@ -576,7 +581,7 @@ export default function FoodCompareScreen() {
               <ArrowLeft size={22} color={Colors.text} />
             </Pressable>
             <Scale size={22} color={Colors.primary} />
-            <Text style={styles.title}>Compare Foods</Text>
+            <Text style={styles.title}>{t('foodCompare.compareFoods')}</Text>
             {bothSelected && (
               <Pressable
                 style={styles.resetButton}
@@ -619,7 +624,7 @@ export default function FoodCompareScreen() {
                   style={styles.swapButtonGradient}
                 >
                   <ArrowLeftRight size={18} color={Colors.primary} />
-                  <Text style={styles.swapButtonText}>Swap Positions</Text>
+                  <Text style={styles.swapButtonText}>{t('foodCompare.swapPositions')}</Text>
                 </LinearGradient>
               </Pressable>
             </ReAnimated.View>
@@ -644,7 +649,7 @@ export default function FoodCompareScreen() {
                         {overallWinner === 'A' ? foodA.name : foodB.name}
                       </Text>
                       <Text style={styles.overallWinnerSubtitle}>
-                        Wins more nutritional categories
+                        {t('foodCompare.winsMoreNutritionalCategories')}
                       </Text>
                     </View>
                   </LinearGradient>
@@ -661,9 +666,9 @@ export default function FoodCompareScreen() {
                   >
                     <Scale size={20} color={Colors.primary} />
                     <View style={styles.overallWinnerInfo}>
-                      <Text style={styles.overallWinnerTitle}>It's a Tie!</Text>
+                      <Text style={styles.overallWinnerTitle}>{t('foodCompare.itsATie')}</Text>
                       <Text style={styles.overallWinnerSubtitle}>
-                        Both foods are evenly matched
+                        {t('foodCompare.bothFoodsAreEvenly')}
                       </Text>
                     </View>
                   </LinearGradient>
@@ -674,7 +679,7 @@ export default function FoodCompareScreen() {
               <ReAnimated.View
                 entering={FadeInDown.delay(280).springify().mass(0.5).damping(10)}
               >
-                <Text style={styles.sectionTitle}>Nutrition Breakdown</Text>
+                <Text style={styles.sectionTitle}>{t('foodCompare.nutritionBreakdown')}</Text>
 
                 {/* Food labels row */}
                 <View style={styles.foodLabelsRow}>
@@ -705,10 +710,10 @@ export default function FoodCompareScreen() {
                 <ReAnimated.View
                   entering={FadeInDown.delay(480).springify().mass(0.5).damping(10)}
                 >
-                  <Text style={styles.sectionTitle}>Highlights</Text>
+                  <Text style={styles.sectionTitle}>{t('foodCompare.highlights')}</Text>
                   <View style={styles.winnerBadgesContainer}>
                     {winnerBadges.map((badge, i) => (
-                      <WinnerBadge key={badge.label} badge={badge} index={i} />
+                      <WinnerBadge key={badge.labelKey} badge={badge} index={i} />
                     ))}
                   </View>
                 </ReAnimated.View>
@@ -722,12 +727,12 @@ export default function FoodCompareScreen() {
                   colors={Gradients.card}
                   style={styles.densityCard}
                 >
-                  <Text style={styles.densityTitle}>Calorie Difference</Text>
+                  <Text style={styles.densityTitle}>{t('foodCompare.calorieDifference')}</Text>
                   <View style={styles.densityRow}>
                     <View style={styles.densityItem}>
                       <Text style={styles.densityEmoji}>{foodA.emoji}</Text>
                       <Text style={styles.densityValue}>{foodA.calories}</Text>
-                      <Text style={styles.densityUnit}>kcal</Text>
+                      <Text style={styles.densityUnit}>{t('units.kcal')}</Text>
                     </View>
                     <View style={styles.densityDivider}>
                       <Text style={styles.densityDiff}>
@@ -741,7 +746,7 @@ export default function FoodCompareScreen() {
                     <View style={styles.densityItem}>
                       <Text style={styles.densityEmoji}>{foodB.emoji}</Text>
                       <Text style={styles.densityValue}>{foodB.calories}</Text>
-                      <Text style={styles.densityUnit}>kcal</Text>
+                      <Text style={styles.densityUnit}>{t('units.kcal')}</Text>
                     </View>
                   </View>
                 </LinearGradient>
@@ -752,12 +757,12 @@ export default function FoodCompareScreen() {
                 <ReAnimated.View
                   entering={FadeInDown.delay(600).springify().mass(0.5).damping(10)}
                 >
-                  <Text style={styles.sectionTitle}>Compare With...</Text>
+                  <Text style={styles.sectionTitle}>{t('foodCompare.compareWith')}</Text>
 
                   {suggestionsA.length > 0 && (
                     <View style={styles.suggestionsGroup}>
                       <Text style={styles.suggestionsLabel}>
-                        Swap {foodA.emoji} {foodA.name} with:
+                        {t('foodCompare.swapWith', { emoji: foodA.emoji, name: foodA.name })}
                       </Text>
                       <ScrollView
                         horizontal
@@ -779,7 +784,7 @@ export default function FoodCompareScreen() {
                   {suggestionsB.length > 0 && (
                     <View style={styles.suggestionsGroup}>
                       <Text style={styles.suggestionsLabel}>
-                        Swap {foodB.emoji} {foodB.name} with:
+                        {t('foodCompare.swapWith', { emoji: foodB.emoji, name: foodB.name })}
                       </Text>
                       <ScrollView
                         horizontal
@@ -807,7 +812,7 @@ export default function FoodCompareScreen() {
             <ReAnimated.View
               entering={FadeInDown.delay(200).springify().mass(0.5).damping(10)}
             >
-              <Text style={styles.sectionTitle}>Recent Comparisons</Text>
+              <Text style={styles.sectionTitle}>{t('foodCompare.recentComparisons')}</Text>
               {recentComparisons.map((recent, i) => {
                 const rA = COMMON_FOODS.find((f) => f.name === recent.a);
                 const rB = COMMON_FOODS.find((f) => f.name === recent.b);
@@ -846,9 +851,9 @@ export default function FoodCompareScreen() {
                 style={styles.emptyStateCard}
               >
                 <Scale size={40} color={Colors.textTertiary} />
-                <Text style={styles.emptyStateTitle}>Compare Foods</Text>
+                <Text style={styles.emptyStateTitle}>{t('foodCompare.compareFoods')}</Text>
                 <Text style={styles.emptyStateSubtitle}>
-                  Select two foods above to see a detailed nutritional comparison side by side
+                  {t('foodCompare.selectTwoFoodsAbove')}
                 </Text>
               </LinearGradient>
             </ReAnimated.View>
@@ -859,7 +864,7 @@ export default function FoodCompareScreen() {
             <ReAnimated.View
               entering={FadeInDown.delay(300).springify().mass(0.5).damping(10)}
             >
-              <Text style={styles.sectionTitle}>Popular Comparisons</Text>
+              <Text style={styles.sectionTitle}>{t('foodCompare.popularComparisons')}</Text>
               {[
                 { a: 'Chicken Breast', b: 'Tofu' },
                 { a: 'Brown Rice', b: 'Quinoa' },
@@ -26,6 +26,7 @@ import {
   Flame,
   ChevronRight,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import {
   Colors,
@@ -38,6 +39,7 @@ import {
 } from '../constants/theme';
 import { hapticLight, hapticImpact } from '../lib/haptics';
 import { useFoodPhotos } from '../hooks/useFoodPhotos';
+import { formatDate, formatTime as formatLocaleTime } from '../lib/formatters';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 const GRID_GAP = Spacing.xs;
@@ -61,7 +63,7 @@ function toDateString(date) {
 // Helper: format date for display
 function formatDisplayDate(isoString) {
   const d = new Date(isoString);
-  return d.toLocaleDateString('en-US', {
+  return formatDate(d, {
     month: 'short',
     day: 'numeric',
     year: 'numeric',
@@ -71,7 +73,7 @@ function formatDisplayDate(isoString) {
 // Helper: format time for display
 function formatTime(isoString) {
   const d = new Date(isoString);
-  return d.toLocaleTimeString('en-US', {
+  return formatLocaleTime(d, {
     hour: 'numeric',
     minute: '2-digit',
     hour12: true,
@@ -79,15 +81,15 @@ function formatTime(isoString) {
 }
 
 // Helper: get day label
-function getDayLabel(dateStr) {
+function getDayLabel(t, dateStr) {
   const today = toDateString(new Date());
   const yesterday = toDateString(
     new Date(Date.now() - 86400000)
   );
-  if (dateStr === today) return 'Today';
-  if (dateStr === yesterday) return 'Yesterday';
+  if (dateStr === today) return t('common.today');
+  if (dateStr === yesterday) return t('common.yesterday');
   const d = new Date(dateStr + 'T12:00:00');
-  return d.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+  return formatDate(d, { weekday: 'short', month: 'short', day: 'numeric' });
 }
 
 // Helper: generate last 7 days
@@ -111,7 +113,7 @@ function getDaysInMonth(year, month) {
 // ============================================================
 const DatePill = React.memo(function DatePill({ dateStr, isActive, photoCount, onPress }) {
   const d = new Date(dateStr + 'T12:00:00');
-  const dayName = d.toLocaleDateString('en-US', { weekday: 'short' });
+  const dayName = formatDate(d, { weekday: 'short' });
   const dayNum = d.getDate();
 
   return (
@@ -195,12 +197,13 @@ function MacroBarDisplay({ label, value, color, max }) {
 // MonthlyCalendar component
 // ============================================================
 const MonthlyCalendar = React.memo(function MonthlyCalendar({ photos }) {
+  const { t } = useTranslation();
   const now = new Date();
   const year = now.getFullYear();
   const month = now.getMonth();
   const daysInMonth = getDaysInMonth(year, month);
   const firstDayOfWeek = new Date(year, month, 1).getDay();
-  const monthName = now.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+  const monthName = formatDate(now, { month: 'long', year: 'numeric' });
 
   // Build a map of date -> first photo URI
   const photoMap = useMemo(() => {
@@ -247,7 +250,7 @@ const MonthlyCalendar = React.memo(function MonthlyCalendar({ photos }) {
 
   return (
     <View style={styles.monthlySection}>
-      <Text style={styles.monthlySectionTitle}>Monthly Overview</Text>
+      <Text style={styles.monthlySectionTitle}>{t('foodJournal.monthlyOverview')}</Text>
       <Text style={styles.monthlySubtitle}>{monthName}</Text>
       <View style={styles.calendarWeekHeaders}>
         {['S', 'M', 'T', 'W', 'T', 'F', 'S'].map((d, i) => (
@@ -263,6 +266,7 @@ const MonthlyCalendar = React.memo(function MonthlyCalendar({ photos }) {
 // Main Screen
 // ============================================================
 export default function FoodJournalScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const {
     photos,
@@ -324,12 +328,12 @@ export default function FoodJournalScreen() {
   const handleDeletePhoto = useCallback(
     (id) => {
       Alert.alert(
-        'Delete Photo',
-        'Are you sure you want to remove this food photo?',
+        t('foodJournal.deletePhoto'),
+        t('foodJournal.areYouSureYou'),
         [
-          { text: 'Cancel', style: 'cancel' },
+          { text: t('common.cancel'), style: 'cancel' },
           {
-            text: 'Delete',
+            text: t('common.delete'),
             style: 'destructive',
             onPress: async () => {
               await hapticImpact();
@@ -340,7 +344,7 @@ export default function FoodJournalScreen() {
         ]
       );
     },
-    [deletePhoto]
+    [deletePhoto, t]
   );
 
   const handleOpenCamera = useCallback(async () => {
@@ -379,7 +383,7 @@ export default function FoodJournalScreen() {
             >
               <CalendarDays size={14} color={showAllDates ? Colors.background : Colors.textSecondary} />
               <Text style={[styles.datePillNum, showAllDates && styles.datePillNumActive, { fontSize: FontSize.xs }]}>
-                All
+                {t('foodJournal.all')}
               </Text>
             </Pressable>
             {last7Days.map((dateStr) => (
@@ -401,8 +405,8 @@ export default function FoodJournalScreen() {
         >
           <Text style={styles.dateLabelText}>
             {showAllDates
-              ? `All Photos (${filteredPhotos.length})`
-              : `${getDayLabel(selectedDate)} (${filteredPhotos.length})`}
+              ? t('foodJournal.allPhotos', { filteredPhotosCount: filteredPhotos.length })
+              : t('foodJournal.dayPhotos', { day: getDayLabel(t, selectedDate), photoCount: filteredPhotos.length })}
           </Text>
         </ReAnimated.View>
       </View>
@@ -415,6 +419,7 @@ export default function FoodJournalScreen() {
       filteredPhotos.length,
       handleDateSelect,
       handleShowAll,
+      t,
     ]
   );
 
@@ -440,20 +445,20 @@ export default function FoodJournalScreen() {
           <Camera size={48} color={Colors.textTertiary} />
         </View>
         <Text style={styles.emptyTitle}>
-          {showAllDates ? 'Your food journal is empty' : 'No photos for this day'}
+          {showAllDates ? t('foodJournal.yourFoodJournalIs') : t('foodJournal.noPhotosForThis')}
         </Text>
         <Text style={styles.emptySubtitle}>
           {showAllDates
-            ? 'Snap your first meal!'
-            : 'Use the food scanner to capture your meals'}
+            ? t('foodJournal.snapYourFirstMeal')
+            : t('foodJournal.useTheFoodScanner')}
         </Text>
         <Pressable style={styles.emptyButton} onPress={handleOpenCamera}>
           <Camera size={18} color={Colors.background} />
-          <Text style={styles.emptyButtonText}>Scan Food</Text>
+          <Text style={styles.emptyButtonText}>{t('foodJournal.scanFood')}</Text>
         </Pressable>
       </ReAnimated.View>
     ),
-    [showAllDates, handleOpenCamera]
+    [showAllDates, handleOpenCamera, t]
   );
 
   if (isLoading) {
@@ -461,7 +466,7 @@ export default function FoodJournalScreen() {
       <ScreenWrapper>
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color={Colors.primary} />
-          <Text style={styles.loadingText}>Loading food journal...</Text>
+          <Text style={styles.loadingText}>{t('foodJournal.loadingFoodJournal')}</Text>
         </View>
       </ScreenWrapper>
     );
@@ -481,7 +486,7 @@ export default function FoodJournalScreen() {
           <ArrowLeft size={22} color={Colors.text} />
         </Pressable>
         <View style={styles.headerCenter}>
-          <Text style={styles.title}>Food Journal</Text>
+          <Text style={styles.title}>{t('foodJournal.foodJournal')}</Text>
           {photoCount > 0 && (
             <View style={styles.countBadge}>
               <Text style={styles.countBadgeText}>{photoCount}</Text>
@@ -589,25 +594,25 @@ export default function FoodJournalScreen() {
                   <Text style={styles.detailCaloriesValue}>
                     {detailPhoto.calories}
                   </Text>
-                  <Text style={styles.detailCaloriesUnit}>kcal</Text>
+                  <Text style={styles.detailCaloriesUnit}>{t('units.kcal')}</Text>
                 </View>
 
                 {/* Macro bars */}
                 <View style={styles.detailMacros}>
                   <MacroBarDisplay
-                    label="Protein"
+                    label={t('food.protein')}
                     value={detailPhoto.protein}
                     color={Colors.protein}
                     max={Math.max(detailPhoto.protein, detailPhoto.carbs, detailPhoto.fat, 1)}
                   />
                   <MacroBarDisplay
-                    label="Carbs"
+                    label={t('food.carbs')}
                     value={detailPhoto.carbs}
                     color={Colors.carbs}
                     max={Math.max(detailPhoto.protein, detailPhoto.carbs, detailPhoto.fat, 1)}
                   />
                   <MacroBarDisplay
-                    label="Fat"
+                    label={t('food.fat')}
                     value={detailPhoto.fat}
                     color={Colors.fat}
                     max={Math.max(detailPhoto.protein, detailPhoto.carbs, detailPhoto.fat, 1)}
@@ -619,7 +624,7 @@ export default function FoodJournalScreen() {
                   <View style={styles.detailNotesSection}>
                     <View style={styles.detailNotesHeader}>
                       <MessageSquare size={14} color={Colors.textSecondary} />
-                      <Text style={styles.detailNotesLabel}>Notes</Text>
+                      <Text style={styles.detailNotesLabel}>{t('foodJournal.notes')}</Text>
                     </View>
                     <Text style={styles.detailNotesText}>{detailPhoto.notes}</Text>
                   </View>
@@ -631,7 +636,7 @@ export default function FoodJournalScreen() {
                   onPress={() => handleDeletePhoto(detailPhoto.id)}
                 >
                   <Trash2 size={18} color={Colors.error} />
-                  <Text style={styles.detailDeleteText}>Delete Photo</Text>
+                  <Text style={styles.detailDeleteText}>{t('foodJournal.deletePhoto')}</Text>
                 </Pressable>
               </ScrollView>
             </LinearGradient>
@@ -4,29 +4,31 @@ import { useRouter } from 'expo-router';
 import { supabase } from '../lib/supabase';
 import { PASSWORD_RESET_REDIRECT_URL } from '../lib/authRedirect';
 import { ArrowLeft } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius, Gradients } from '../constants/theme';
 import { globalRateLimiter } from '../lib/security';
 
 export default function ForgotPassword() {
+  const { t } = useTranslation();
   const router = useRouter();
   const [email, setEmail] = useState('');
   const [loading, setLoading] = useState(false);
 
   const handleReset = async () => {
     if (!email) {
-      Alert.alert('Error', 'Please enter your email address.');
+      Alert.alert(t('common.errorTitle'), t('auth.emailRequiredMessage'));
       return;
     }
 
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     if (!emailRegex.test(email.trim())) {
-      Alert.alert('Invalid Email', 'Please enter a valid email address.');
+      Alert.alert(t('auth.invalidEmail'), t('auth.invalidEmailMessage'));
       return;
     }
 
     const rateLimitResult = globalRateLimiter.check('forgot_password', 3, 60000);
     if (!rateLimitResult.allowed) {
-      Alert.alert('Too many attempts', 'Too many attempts. Please try again in a minute.');
+      Alert.alert(t('auth.tooManyAttempts'), t('auth.tooManyAttemptsMessage'));
       return;
     }
 
@@ -43,12 +45,12 @@ export default function ForgotPassword() {
 
       // Always show the same message to prevent email enumeration
       Alert.alert(
-        'Check your email',
-        'If an account exists with this email, we have sent you a password reset link.',
+        t('auth.checkYourEmail'),
+        t('auth.resetEmailSentGeneric'),
         [{ text: 'OK', onPress: () => router.back() }]
       );
     } catch (error) {
-      Alert.alert('Error', 'Failed to send reset email. Please try again.');
+      Alert.alert(t('common.errorTitle'), t('auth.resetEmailFailed'));
     } finally {
       setLoading(false);
     }
@@ -60,13 +62,13 @@ export default function ForgotPassword() {
         <ArrowLeft size={24} color={Colors.text} />
       </TouchableOpacity>
 
-      <Text style={styles.header}>Reset Password</Text>
+      <Text style={styles.header}>{t('auth.resetPassword')}</Text>
       <Text style={styles.subHeader}>
-        Enter your email and we'll send you a link to reset your password.
+        {t('auth.resetPasswordHint')}
       </Text>
 
       <View style={styles.inputGroup}>
-        <Text style={styles.label}>Email Address</Text>
+        <Text style={styles.label}>{t('auth.emailAddress')}</Text>
         <TextInput 
           style={styles.input} 
           placeholder="name@example.com" 
@@ -82,7 +84,7 @@ export default function ForgotPassword() {
         {loading ? (
           <ActivityIndicator color={Colors.background} />
         ) : (
-          <Text style={styles.resetButtonText}>Send Reset Link</Text>
+          <Text style={styles.resetButtonText}>{t('auth.sendResetLink')}</Text>
         )}
       </TouchableOpacity>
     </View>
@@ -20,12 +20,14 @@ import {
   Star,
 } from 'lucide-react-native';
 import ReAnimated, { FadeInDown } from 'react-native-reanimated';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 import { hapticLight, hapticSuccess } from '../lib/haptics';
 import useFrequentFoods from '../hooks/useFrequentFoods';
 
 // ---- Pinned Food Card (grid) ----
 function PinnedFoodCard({ food, onUnpin, index }) {
+  const { t } = useTranslation();
   return (
     <ReAnimated.View
       entering={FadeInDown.delay(index * 50).springify().mass(0.5).damping(12)}
@@ -34,7 +36,7 @@ function PinnedFoodCard({ food, onUnpin, index }) {
       <View style={styles.pinnedCardInner}>
         <Text style={styles.pinnedEmoji}>{food.emoji || '?'}</Text>
         <Text style={styles.pinnedName} numberOfLines={1}>{food.name}</Text>
-        <Text style={styles.pinnedCalories}>{food.calories} kcal</Text>
+        <Text style={styles.pinnedCalories}>{t('frequentFoods.kcal', { calories: food.calories })}</Text>
         <Pressable
           style={styles.pinnedUnpinButton}
           onPress={() => {
@@ -52,14 +54,15 @@ function PinnedFoodCard({ food, onUnpin, index }) {
 
 // ---- Most Logged Food Row ----
 function MostLoggedRow({ food, rank, onTogglePin, onRemove, index }) {
+  const { t } = useTranslation();
   const handleRemove = useCallback(() => {
     Alert.alert(
-      'Remove Food',
-      `Remove "${food.name}" from your frequent foods?`,
+      t('frequentFoods.removeFood'),
+      t('frequentFoods.removeFromYourFrequent', { name: food.name }),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Remove',
+          text: t('common.remove'),
           style: 'destructive',
           onPress: () => {
             hapticLight();
@@ -68,7 +71,7 @@ function MostLoggedRow({ food, rank, onTogglePin, onRemove, index }) {
         },
       ]
     );
-  }, [food.name, onRemove]);
+  }, [food.name, onRemove, t]);
 
   return (
     <ReAnimated.View entering={FadeInDown.delay(index * 40).springify().mass(0.5).damping(12)}>
@@ -89,9 +92,9 @@ function MostLoggedRow({ food, rank, onTogglePin, onRemove, index }) {
           <View style={styles.loggedMeta}>
             <View style={styles.countBadge}>
               <TrendingUp size={10} color={Colors.primary} />
-              <Text style={styles.countBadgeText}>logged {food.count}x</Text>
+              <Text style={styles.countBadgeText}>{t('frequentFoods.loggedX', { count: food.count })}</Text>
             </View>
-            <Text style={styles.loggedCalories}>{food.calories} kcal</Text>
+            <Text style={styles.loggedCalories}>{t('frequentFoods.kcal', { calories: food.calories })}</Text>
           </View>
         </View>
 
@@ -126,18 +129,19 @@ function MostLoggedRow({ food, rank, onTogglePin, onRemove, index }) {
 
 // ---- Recently Used Food Row ----
 function RecentRow({ food, index }) {
+  const { t } = useTranslation();
   const timeAgo = useMemo(() => {
     if (!food.lastUsed) return '';
     const diff = Date.now() - new Date(food.lastUsed).getTime();
     const minutes = Math.floor(diff / 60000);
-    if (minutes < 60) return `${minutes}m ago`;
+    if (minutes < 60) return t('frequentFoods.mAgo', { minutes });
     const hours = Math.floor(minutes / 60);
-    if (hours < 24) return `${hours}h ago`;
+    if (hours < 24) return t('frequentFoods.hAgo', { hours });
     const days = Math.floor(hours / 24);
-    if (days === 1) return 'Yesterday';
-    if (days < 7) return `${days}d ago`;
-    return `${Math.floor(days / 7)}w ago`;
-  }, [food.lastUsed]);
+    if (days === 1) return t('common.yesterday');
+    if (days < 7) return t('frequentFoods.dAgo', { days });
+    return t('time.weeksAgo', { count: Math.floor(days / 7) });
+  }, [food.lastUsed, t]);
 
   return (
     <ReAnimated.View entering={FadeInDown.delay(index * 40).springify().mass(0.5).damping(12)}>
@@ -154,7 +158,7 @@ function RecentRow({ food, index }) {
         </View>
         <View style={styles.recentCaloriesWrap}>
           <Text style={styles.recentCaloriesValue}>{food.calories}</Text>
-          <Text style={styles.recentCaloriesLabel}>kcal</Text>
+          <Text style={styles.recentCaloriesLabel}>{t('units.kcal')}</Text>
         </View>
       </View>
     </ReAnimated.View>
@@ -163,14 +167,15 @@ function RecentRow({ food, index }) {
 
 // ---- Empty State ----
 function EmptyState() {
+  const { t } = useTranslation();
   return (
     <View style={styles.emptyState}>
       <View style={styles.emptyIconWrap}>
         <Zap size={48} color={Colors.textTertiary} />
       </View>
-      <Text style={styles.emptyTitle}>No Frequent Foods Yet</Text>
+      <Text style={styles.emptyTitle}>{t('frequentFoods.noFrequentFoodsYet')}</Text>
       <Text style={styles.emptySubtitle}>
-        Your most-used foods will appear here as you log meals. The more you log, the smarter your Quick Log gets.
+        {t('frequentFoods.yourMostUsedFoods')}
       </Text>
     </View>
   );
@@ -178,6 +183,7 @@ function EmptyState() {
 
 // ---- Main Screen ----
 export default function FrequentFoodsScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const {
     foods,
@@ -205,7 +211,7 @@ export default function FrequentFoodsScreen() {
         >
           <ArrowLeft size={24} color={Colors.text} />
         </Pressable>
-        <Text style={styles.headerTitle}>Frequent Foods</Text>
+        <Text style={styles.headerTitle}>{t('frequentFoods.frequentFoods')}</Text>
         <View style={styles.headerSpacer} />
       </View>
 
@@ -222,7 +228,7 @@ export default function FrequentFoodsScreen() {
             <View style={styles.section}>
               <View style={styles.sectionHeader}>
                 <Star size={16} color={Colors.warning} fill={Colors.warning} />
-                <Text style={styles.sectionTitle}>Pinned</Text>
+                <Text style={styles.sectionTitle}>{t('frequentFoods.pinned')}</Text>
                 <View style={styles.sectionCount}>
                   <Text style={styles.sectionCountText}>{pinnedFoods.length}</Text>
                 </View>
@@ -245,7 +251,7 @@ export default function FrequentFoodsScreen() {
             <View style={styles.section}>
               <View style={styles.sectionHeader}>
                 <TrendingUp size={16} color={Colors.primary} />
-                <Text style={styles.sectionTitle}>Most Logged</Text>
+                <Text style={styles.sectionTitle}>{t('frequentFoods.mostLogged')}</Text>
                 <View style={styles.sectionCount}>
                   <Text style={styles.sectionCountText}>{topFoods.length}</Text>
                 </View>
@@ -268,7 +274,7 @@ export default function FrequentFoodsScreen() {
             <View style={styles.section}>
               <View style={styles.sectionHeader}>
                 <Clock size={16} color={Colors.textSecondary} />
-                <Text style={styles.sectionTitle}>Recently Used</Text>
+                <Text style={styles.sectionTitle}>{t('frequentFoods.recentlyUsed')}</Text>
               </View>
               {recentFoods.map((food, index) => (
                 <RecentRow
@@ -29,6 +29,7 @@ import {
   Clock,
   Shield,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import GlassCard from '../components/ui/GlassCard';
 import {
@@ -44,11 +45,12 @@ import { hapticLight, hapticSuccess, hapticWarning, hapticError, hapticImpact }
 import { useFriends } from '../hooks/useFriends';
 import { useAuth } from '../context/AuthContext';
 import { useDebounce } from '../hooks/useDebounce';
+import { formatDate as formatLocaleDate, formatNumber } from '../lib/formatters';
 
 const TABS = [
-  { key: 'friends', label: 'Friends' },
-  { key: 'requests', label: 'Requests' },
-  { key: 'search', label: 'Search' },
+  { key: 'friends', labelKey: 'friends.friends' },
+  { key: 'requests', labelKey: 'friends.requests' },
+  { key: 'search', labelKey: 'friends.search' },
 ];
 
 // --- Avatar component ---
@@ -72,6 +74,7 @@ const Avatar = memo(function Avatar({ name, size = 44 }) {
 
 // --- Tab selector ---
 const TabSelector = memo(function TabSelector({ activeTab, onTabChange, pendingCount }) {
+  const { t } = useTranslation();
   return (
     <ReAnimated.View
       entering={FadeInDown.delay(80).springify().mass(0.5).damping(10)}
@@ -92,7 +95,7 @@ const TabSelector = memo(function TabSelector({ activeTab, onTabChange, pendingC
                 end={{ x: 1, y: 0 }}
                 style={styles.tabGradient}
               >
-                <Text style={styles.tabTextActive}>{tab.label}</Text>
+                <Text style={styles.tabTextActive}>{t(tab.labelKey)}</Text>
                 {tab.key === 'requests' && pendingCount > 0 && (
                   <View style={styles.badgeActive}>
                     <Text style={styles.badgeTextActive}>{pendingCount}</Text>
@@ -101,7 +104,7 @@ const TabSelector = memo(function TabSelector({ activeTab, onTabChange, pendingC
               </LinearGradient>
             ) : (
               <View style={styles.tabInner}>
-                <Text style={styles.tabText}>{tab.label}</Text>
+                <Text style={styles.tabText}>{t(tab.labelKey)}</Text>
                 {tab.key === 'requests' && pendingCount > 0 && (
                   <View style={styles.badge}>
                     <Text style={styles.badgeText}>{pendingCount}</Text>
@@ -118,15 +121,16 @@ const TabSelector = memo(function TabSelector({ activeTab, onTabChange, pendingC
 
 // --- Friend row ---
 const FriendRow = memo(function FriendRow({ item, onRemove, onPress, index }) {
+  const { t } = useTranslation();
   const handleRemove = useCallback(async () => {
     await hapticWarning();
     Alert.alert(
-      'Remove Friend',
-      `Are you sure you want to remove ${item.name} from your friends?`,
+      t('friends.removeFriend'),
+      t('friends.areYouSureYou', { name: item.name }),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Remove',
+          text: t('common.remove'),
           style: 'destructive',
           onPress: async () => {
             await hapticError();
@@ -135,7 +139,7 @@ const FriendRow = memo(function FriendRow({ item, onRemove, onPress, index }) {
         },
       ]
     );
-  }, [item, onRemove]);
+  }, [item, onRemove, t]);
 
   return (
     <ReAnimated.View
@@ -160,14 +164,14 @@ const FriendRow = memo(function FriendRow({ item, onRemove, onPress, index }) {
             {item.level > 0 && (
               <View style={styles.friendMetaBadge}>
                 <Zap size={10} color={Colors.gold} />
-                <Text style={styles.friendMetaText}>Lvl {item.level}</Text>
+                <Text style={styles.friendMetaText}>{t('friends.lvl', { level: item.level })}</Text>
               </View>
             )}
           </View>
         </View>
         <Pressable style={styles.removeButton} onPress={handleRemove}>
           <UserMinus size={16} color={Colors.error} />
-          <Text style={styles.removeButtonText}>Remove</Text>
+          <Text style={styles.removeButtonText}>{t('common.remove')}</Text>
         </Pressable>
       </Pressable>
     </ReAnimated.View>
@@ -223,6 +227,7 @@ const RequestRow = memo(function RequestRow({ item, onAccept, onDecline, index }
 
 // --- Search result row ---
 const SearchResultRow = memo(function SearchResultRow({ item, onAdd, sentIds, friendIds, index }) {
+  const { t } = useTranslation();
   const [isSending, setIsSending] = useState(false);
   const alreadySent = sentIds.has(item.userId);
   const alreadyFriend = friendIds.has(item.userId);
@@ -251,16 +256,16 @@ const SearchResultRow = memo(function SearchResultRow({ item, onAdd, sentIds, fr
         {alreadyFriend ? (
           <View style={styles.statusBadge}>
             <Check size={14} color={Colors.success} />
-            <Text style={styles.statusText}>Friend</Text>
+            <Text style={styles.statusText}>{t('friends.friend')}</Text>
           </View>
         ) : alreadySent || isSending ? (
           <View style={styles.statusBadge}>
-            <Text style={styles.statusTextPending}>Pending</Text>
+            <Text style={styles.statusTextPending}>{t('friends.pending')}</Text>
           </View>
         ) : (
           <Pressable style={styles.addButton} onPress={handleAdd}>
             <UserPlus size={16} color="#000" />
-            <Text style={styles.addButtonText}>Add</Text>
+            <Text style={styles.addButtonText}>{t('common.add')}</Text>
           </Pressable>
         )}
       </View>
@@ -270,21 +275,22 @@ const SearchResultRow = memo(function SearchResultRow({ item, onAdd, sentIds, fr
 
 // --- Empty states ---
 const EmptyState = memo(function EmptyState({ tab }) {
+  const { t } = useTranslation();
   const config = {
     friends: {
       icon: <Users size={48} color={Colors.textTertiary} />,
-      title: 'No friends yet',
-      subtitle: 'Search for users to add them as friends',
+      title: t('friends.noFriendsYet'),
+      subtitle: t('friends.searchForUsersTo'),
     },
     requests: {
       icon: <UserPlus size={48} color={Colors.textTertiary} />,
-      title: 'No pending requests',
-      subtitle: 'When someone sends you a friend request, it will appear here',
+      title: t('friends.noPendingRequests'),
+      subtitle: t('friends.whenSomeoneSendsYou'),
     },
     search: {
       icon: <Search size={48} color={Colors.textTertiary} />,
-      title: 'Find your friends',
-      subtitle: 'Search by name to find and add friends',
+      title: t('friends.findYourFriends'),
+      subtitle: t('friends.searchByNameTo'),
     },
   };
 
@@ -306,11 +312,12 @@ const EmptyState = memo(function EmptyState({ tab }) {
 function formatDate(isoString) {
   if (!isoString) return '';
   const d = new Date(isoString);
-  return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  return formatLocaleDate(d, { month: 'short', day: 'numeric', year: 'numeric' });
 }
 
 // --- Friend Profile Modal ---
 const FriendProfileModal = memo(function FriendProfileModal({ visible, friend, recentActivity, onClose, onChallenge, onBlock }) {
+  const { t } = useTranslation();
   if (!friend) return null;
 
   return (
@@ -336,7 +343,9 @@ const FriendProfileModal = memo(function FriendProfileModal({ visible, friend, r
                 {friend.isOnline && <View style={styles.profileOnlineDot} />}
               </View>
               <Text style={styles.profileModalName}>{friend.name}</Text>
-              <Text style={styles.profileModalSince}>Friends since {formatDate(friend.since)}</Text>
+              <Text style={styles.profileModalSince}>
+                {t('friends.friendsSince', { date: formatDate(friend.since) })}
+              </Text>
             </View>
 
             {/* Stats */}
@@ -344,26 +353,26 @@ const FriendProfileModal = memo(function FriendProfileModal({ visible, friend, r
               <View style={styles.profileStatItem}>
                 <Flame size={18} color={Colors.secondary} />
                 <Text style={styles.profileStatValue}>{friend.streak || 0}</Text>
-                <Text style={styles.profileStatLabel}>Streak</Text>
+                <Text style={styles.profileStatLabel}>{t('friends.streak')}</Text>
               </View>
               <View style={styles.profileStatDivider} />
               <View style={styles.profileStatItem}>
                 <Zap size={18} color={Colors.gold} />
                 <Text style={styles.profileStatValue}>{friend.level || 1}</Text>
-                <Text style={styles.profileStatLabel}>Level</Text>
+                <Text style={styles.profileStatLabel}>{t('friends.level')}</Text>
               </View>
               <View style={styles.profileStatDivider} />
               <View style={styles.profileStatItem}>
                 <Trophy size={18} color={Colors.primary} />
-                <Text style={styles.profileStatValue}>{(friend.totalXp || 0).toLocaleString()}</Text>
-                <Text style={styles.profileStatLabel}>XP</Text>
+                <Text style={styles.profileStatValue}>{formatNumber(friend.totalXp || 0)}</Text>
+                <Text style={styles.profileStatLabel}>{t('friends.xp')}</Text>
               </View>
             </View>
 
             {/* Recent Activity */}
-            <Text style={styles.profileSectionTitle}>Recent Activity</Text>
+            <Text style={styles.profileSectionTitle}>{t('friends.recentActivity')}</Text>
             {recentActivity.length === 0 ? (
-              <Text style={styles.profileNoActivity}>No recent activity</Text>
+              <Text style={styles.profileNoActivity}>{t('friends.noRecentActivity')}</Text>
             ) : (
               recentActivity.map((item) => (
                 <View key={item.id} style={styles.profileActivityItem}>
@@ -383,18 +392,18 @@ const FriendProfileModal = memo(function FriendProfileModal({ visible, friend, r
                   style={styles.profileActionGradient}
                 >
                   <Trophy size={16} color={Colors.background} />
-                  <Text style={styles.profileActionText}>Challenge</Text>
+                  <Text style={styles.profileActionText}>{t('friends.challenge')}</Text>
                 </LinearGradient>
               </Pressable>
               <Pressable style={styles.profileBlockButton} onPress={onBlock}>
                 <Shield size={16} color={Colors.error} />
-                <Text style={styles.profileBlockText}>Block</Text>
+                <Text style={styles.profileBlockText}>{t('friends.block')}</Text>
               </Pressable>
             </View>
 
             {/* Close button */}
             <Pressable style={styles.profileCloseButton} onPress={onClose}>
-              <Text style={styles.profileCloseText}>Close</Text>
+              <Text style={styles.profileCloseText}>{t('common.close')}</Text>
             </Pressable>
           </LinearGradient>
         </View>
@@ -405,6 +414,7 @@ const FriendProfileModal = memo(function FriendProfileModal({ visible, friend, r
 
 // --- Main screen ---
 export default function FriendsScreen() {
+  const { t } = useTranslation();
   const { user } = useAuth();
   const {
     friends,
@@ -517,12 +527,12 @@ export default function FriendsScreen() {
     if (!selectedFriend) return;
     await hapticWarning();
     Alert.alert(
-      'Block User',
-      `Are you sure you want to block ${selectedFriend.name}? This will also remove them as a friend.`,
+      t('friends.blockUser'),
+      t('friends.areYouSureYou2', { name: selectedFriend.name }),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Block',
+          text: t('friends.block'),
           style: 'destructive',
           onPress: async () => {
             await blockUser(selectedFriend.friendId);
@@ -532,7 +542,7 @@ export default function FriendsScreen() {
         },
       ]
     );
-  }, [selectedFriend, blockUser]);
+  }, [selectedFriend, blockUser, t]);
 
   // Remove friend
   const handleRemoveFriend = useCallback(async (friendshipId) => {
@@ -641,7 +651,7 @@ export default function FriendsScreen() {
           </Pressable>
           <View style={styles.headerCenter}>
             <Users size={22} color={Colors.primary} />
-            <Text style={styles.headerTitle}>Friends</Text>
+            <Text style={styles.headerTitle}>{t('friends.friends')}</Text>
           </View>
           <View style={styles.headerRight}>
             {friendCount > 0 && (
@@ -661,7 +671,7 @@ export default function FriendsScreen() {
               <Search size={18} color={Colors.textTertiary} />
               <TextInput
                 style={styles.searchInput}
-                placeholder="Search for users..."
+                placeholder={t('friends.searchForUsers')}
                 placeholderTextColor={Colors.textTertiary}
                 value={searchQuery}
                 onChangeText={(text) => {
@@ -700,7 +710,7 @@ export default function FriendsScreen() {
           <View style={styles.loadingContainer}>
             <ActivityIndicator size="small" color={Colors.primary} />
             <Text style={styles.loadingText}>
-              {isSearching ? 'Searching...' : 'Loading...'}
+              {isSearching ? t('friends.searching') : t('common.loading')}
             </Text>
           </View>
         )}
@@ -715,6 +725,7 @@ export default function FriendsScreen() {
       pendingRequests.length,
       isLoading,
       isSearching,
+      t,
     ]
   );
 
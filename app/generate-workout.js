@@ -36,6 +36,7 @@ import {
   Timer,
   Heart,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import {
   Colors,
   Gradients,
@@ -48,7 +49,7 @@ import { generateWorkout } from '../services/ai';
 import { suggestSupersets } from '../lib/workoutEngine';
 import { useMeals } from '../context/MealContext';
 import { useOffline } from '../context/OfflineContext';
-import PremiumGate from '../components/PremiumGate';
+import PremiumGate, { useAIQuotaUpsell } from '../components/PremiumGate';
 import SetLogger from '../components/SetLogger';
 import RestTimer from '../components/RestTimer';
 import PRCelebration from '../components/PRCelebration';
@@ -65,49 +66,49 @@ const { width: SCREEN_WIDTH } = Dimensions.get('window');
 const GOALS = [
   {
     id: 'hypertrophy',
-    label: 'Muscle Size',
+    labelKey: 'generateWorkout.goals.hypertrophy',
     emoji: '💪',
-    description: 'Build muscle mass',
+    descriptionKey: 'generateWorkout.goals.hypertrophyDescription',
     color: '#FF6B6B',
     gradient: ['#FF6B6B', '#EE5A5A'],
   },
   {
     id: 'strength',
-    label: 'Strength',
+    labelKey: 'generateWorkout.goals.strength',
     emoji: '🏋️',
-    description: 'Get stronger',
+    descriptionKey: 'generateWorkout.goals.strengthDescription',
     color: '#4ECDC4',
     gradient: ['#4ECDC4', '#44A08D'],
   },
   {
     id: 'yoga',
-    label: 'Yoga',
+    labelKey: 'generateWorkout.goals.yoga',
     emoji: '🧘',
-    description: 'Mind & body flow',
+    descriptionKey: 'generateWorkout.goals.yogaDescription',
     color: '#A78BFA',
     gradient: ['#A78BFA', '#8B5CF6'],
   },
   {
     id: 'hiit',
-    label: 'HIIT',
+    labelKey: 'generateWorkout.goals.hiit',
     emoji: '🔥',
-    description: 'Burn calories fast',
+    descriptionKey: 'generateWorkout.goals.hiitDescription',
     color: '#F59E0B',
     gradient: ['#F59E0B', '#D97706'],
   },
   {
     id: 'flexibility',
-    label: 'Flexibility',
+    labelKey: 'generateWorkout.goals.flexibility',
     emoji: '🤸',
-    description: 'Improve mobility',
+    descriptionKey: 'generateWorkout.goals.flexibilityDescription',
     color: '#EC4899',
     gradient: ['#EC4899', '#DB2777'],
   },
   {
     id: 'endurance',
-    label: 'Endurance',
+    labelKey: 'generateWorkout.goals.endurance',
     emoji: '🏃',
-    description: 'Build stamina',
+    descriptionKey: 'generateWorkout.goals.enduranceDescription',
     color: '#06B6D4',
     gradient: ['#06B6D4', '#0891B2'],
   },
@@ -115,24 +116,24 @@ const GOALS = [
 
 // Equipment options
 const EQUIPMENT = [
-  { id: 'bodyweight', label: 'Bodyweight', emoji: '🤸' },
-  { id: 'dumbbells', label: 'Dumbbells', emoji: '🏋️' },
-  { id: 'barbell', label: 'Barbell', emoji: '🏋️‍♂️' },
-  { id: 'kettlebell', label: 'Kettlebell', emoji: '🔔' },
-  { id: 'resistance_bands', label: 'Bands', emoji: '🎗️' },
-  { id: 'pull_up_bar', label: 'Pull-up Bar', emoji: '🪜' },
-  { id: 'cables', label: 'Cables', emoji: '🔌' },
-  { id: 'machines', label: 'Machines', emoji: '🤖' },
+  { id: 'bodyweight', labelKey: 'generateWorkout.equipmentOptions.bodyweight', emoji: '🤸' },
+  { id: 'dumbbells', labelKey: 'generateWorkout.equipmentOptions.dumbbells', emoji: '🏋️' },
+  { id: 'barbell', labelKey: 'generateWorkout.equipmentOptions.barbell', emoji: '🏋️‍♂️' },
+  { id: 'kettlebell', labelKey: 'generateWorkout.equipmentOptions.kettlebell', emoji: '🔔' },
+  { id: 'resistance_bands', labelKey: 'generateWorkout.equipmentOptions.resistanceBands', emoji: '🎗️' },
+  { id: 'pull_up_bar', labelKey: 'generateWorkout.equipmentOptions.pullUpBar', emoji: '🪜' },
+  { id: 'cables', labelKey: 'generateWorkout.equipmentOptions.cables', emoji: '🔌' },
+  { id: 'machines', labelKey: 'generateWorkout.equipmentOptions.machines', emoji: '🤖' },
 ];
 
 // Target muscle groups
 const MUSCLE_GROUPS = [
-  { id: 'full_body', label: 'Full Body', emoji: '🦾' },
-  { id: 'upper', label: 'Upper Body', emoji: '💪' },
-  { id: 'lower', label: 'Lower Body', emoji: '🦵' },
-  { id: 'push', label: 'Push', emoji: '👐' },
-  { id: 'pull', label: 'Pull', emoji: '🤲' },
-  { id: 'core', label: 'Core', emoji: '🎯' },
+  { id: 'full_body', labelKey: 'generateWorkout.muscleGroups.fullBody', emoji: '🦾' },
+  { id: 'upper', labelKey: 'generateWorkout.muscleGroups.upper', emoji: '💪' },
+  { id: 'lower', labelKey: 'generateWorkout.muscleGroups.lower', emoji: '🦵' },
+  { id: 'push', labelKey: 'generateWorkout.muscleGroups.push', emoji: '👐' },
+  { id: 'pull', labelKey: 'generateWorkout.muscleGroups.pull', emoji: '🤲' },
+  { id: 'core', labelKey: 'generateWorkout.muscleGroups.core', emoji: '🎯' },
 ];
 
 // Duration options
@@ -147,10 +148,15 @@ const getLevelColor = (level) => {
   return '#EF4444'; // Red
 };
 
-const getLevelLabel = (level) => {
-  const labels = ['Beginner', 'Novice', 'Intermediate', 'Advanced', 'Elite'];
-  return labels[Math.min(level - 1, 4)];
-};
+const LEVEL_LABEL_KEYS = [
+  'generateWorkout.levels.beginner',
+  'generateWorkout.levels.novice',
+  'generateWorkout.levels.intermediate',
+  'generateWorkout.levels.advanced',
+  'generateWorkout.levels.elite',
+];
+
+const getLevelLabel = (t, level) => t(LEVEL_LABEL_KEYS[Math.min(level - 1, 4)]);
 
 // Collapsible Section Component
 function CollapsibleSection({ title, icon: Icon, color, children, defaultOpen = false, count }) {
@@ -217,6 +223,7 @@ function CollapsibleSection({ title, icon: Icon, color, children, defaultOpen =
 
 // Goal Card Component
 function GoalCard({ goal, isSelected, onSelect }) {
+  const { t } = useTranslation();
   return (
     <Pressable
       style={[styles.goalCard, isSelected && styles.goalCardSelected]}
@@ -232,10 +239,10 @@ function GoalCard({ goal, isSelected, onSelect }) {
       )}
       <Text style={styles.goalEmoji}>{goal.emoji}</Text>
       <Text style={[styles.goalLabel, isSelected && styles.goalLabelSelected]}>
-        {goal.label}
+        {t(goal.labelKey)}
       </Text>
       <Text style={[styles.goalDescription, isSelected && styles.goalDescriptionSelected]}>
-        {goal.description}
+        {t(goal.descriptionKey)}
       </Text>
       {isSelected && (
         <View style={styles.goalCheckmark}>
@@ -248,6 +255,7 @@ function GoalCard({ goal, isSelected, onSelect }) {
 
 // Equipment Chip Component
 function EquipmentChip({ item, isSelected, onToggle }) {
+  const { t } = useTranslation();
   return (
     <Pressable
       style={[styles.equipmentChip, isSelected && styles.equipmentChipSelected]}
@@ -255,7 +263,7 @@ function EquipmentChip({ item, isSelected, onToggle }) {
     >
       <Text style={styles.equipmentEmoji}>{item.emoji}</Text>
       <Text style={[styles.equipmentLabel, isSelected && styles.equipmentLabelSelected]}>
-        {item.label}
+        {t(item.labelKey)}
       </Text>
       {isSelected && (
         <View style={styles.equipmentCheck}>
@@ -268,6 +276,7 @@ function EquipmentChip({ item, isSelected, onToggle }) {
 
 // Main Exercise Card
 function MainExerciseCard({ exercise, index, goalColor, isActive, onToggle, onSetComplete, onStartRest }) {
+  const { t } = useTranslation();
   return (
     <View style={styles.exerciseCard}>
       <Pressable onPress={onToggle} style={styles.exerciseCardHeader}>
@@ -286,24 +295,24 @@ function MainExerciseCard({ exercise, index, goalColor, isActive, onToggle, onSe
       <View style={styles.exerciseMetrics}>
         <View style={styles.metricItem}>
           <Text style={styles.metricValue}>{exercise.sets}</Text>
-          <Text style={styles.metricLabel}>Sets</Text>
+          <Text style={styles.metricLabel}>{t('generateWorkout.sets')}</Text>
         </View>
         <View style={styles.metricDivider} />
         <View style={styles.metricItem}>
           <Text style={styles.metricValue}>{exercise.reps}</Text>
-          <Text style={styles.metricLabel}>Reps</Text>
+          <Text style={styles.metricLabel}>{t('generateWorkout.reps')}</Text>
         </View>
         <View style={styles.metricDivider} />
         <View style={styles.metricItem}>
           <Text style={styles.metricValue}>{exercise.rest}</Text>
-          <Text style={styles.metricLabel}>Rest</Text>
+          <Text style={styles.metricLabel}>{t('generateWorkout.rest')}</Text>
         </View>
         {exercise.tempo !== 'Controlled' && exercise.tempo !== 'N/A' && (
           <>
             <View style={styles.metricDivider} />
             <View style={styles.metricItem}>
               <Text style={[styles.metricValue, styles.tempoValue]}>{exercise.tempo}</Text>
-              <Text style={styles.metricLabel}>Tempo</Text>
+              <Text style={styles.metricLabel}>{t('generateWorkout.tempo')}</Text>
             </View>
           </>
         )}
@@ -344,6 +353,7 @@ function SimpleExerciseCard({ exercise }) {
 
 // Recovery Status Card
 function RecoveryStatusCard({ score, dataSource, readinessLabel }) {
+  const { t } = useTranslation();
   if (score === 0) return null;
 
   const { label, color, recommendation } = readinessLabel;
@@ -373,10 +383,10 @@ function RecoveryStatusCard({ score, dataSource, readinessLabel }) {
           <Heart size={16} color={color} />
         </View>
         <View style={recoveryStyles.headerText}>
-          <Text style={recoveryStyles.title}>Recovery Status</Text>
+          <Text style={recoveryStyles.title}>{t('generateWorkout.recoveryStatus')}</Text>
           {dataSource === 'biometric-enhanced' && (
             <View style={recoveryStyles.biometricBadge}>
-              <Text style={recoveryStyles.biometricBadgeText}>HRV</Text>
+              <Text style={recoveryStyles.biometricBadgeText}>{t('generateWorkout.hrv')}</Text>
             </View>
           )}
         </View>
@@ -395,7 +405,7 @@ function RecoveryStatusCard({ score, dataSource, readinessLabel }) {
       <Text style={recoveryStyles.message}>{statusMessage}</Text>
 
       {dataSource === 'self-reported' && (
-        <Text style={recoveryStyles.sourceHint}>Based on self-reported data</Text>
+        <Text style={recoveryStyles.sourceHint}>{t('generateWorkout.basedOnSelfReported')}</Text>
       )}
     </View>
   );
@@ -532,6 +542,8 @@ const bannerStyles = StyleSheet.create({
 });
 
 function GenerateWorkoutScreenContent() {
+  const { t } = useTranslation();
+  const showQuotaUpsell = useAIQuotaUpsell();
   const router = useRouter();
   const { addExercise } = useMeals();
   const { isOnline } = useOffline();
@@ -599,7 +611,7 @@ function GenerateWorkoutScreenContent() {
 
   const handleGenerate = async () => {
     if (!isOnline) {
-      Alert.alert('No Connection', 'Workout generation requires an internet connection.');
+      Alert.alert(t('generateWorkout.noConnection'), t('generateWorkout.workoutGenerationRequiresAn'));
       return;
     }
     try {
@@ -611,7 +623,7 @@ function GenerateWorkoutScreenContent() {
         level: Math.round(level),
         duration,
         equipment: selectedEquipment,
-        targetMuscles: MUSCLE_GROUPS.find((m) => m.id === targetMuscles)?.label || 'Full Body',
+        targetMuscles: t(MUSCLE_GROUPS.find((m) => m.id === targetMuscles)?.labelKey ?? 'generateWorkout.fullBody'),
         injuries: injuries.trim() || null,
         recoveryScore: recoveryScore > 0 ? recoveryScore : undefined,
       };
@@ -633,11 +645,13 @@ function GenerateWorkoutScreenContent() {
       scrollViewRef.current?.scrollTo({ y: 0, animated: true });
     } catch (error) {
       if (__DEV__) console.error('Generation error:', error);
-      Alert.alert(
-        'Generation Failed',
-        error.message || 'Could not generate workout. Please try again.',
-        [{ text: 'OK' }]
-      );
+      if (!showQuotaUpsell(error)) {
+        Alert.alert(
+          t('generateWorkout.generationFailed'),
+          error.message || t('generateWorkout.couldNotGenerateWorkout'),
+          [{ text: t('common.ok') }]
+        );
+      }
       await hapticError();
     } finally {
       setIsGenerating(false);
@@ -669,26 +683,26 @@ function GenerateWorkoutScreenContent() {
       });
 
       Alert.alert(
-        'Workout Saved!',
-        `Your ${workout.duration}-minute ${selectedGoal?.label} session has been logged.`,
+        t('generateWorkout.workoutSaved'),
+        t('generateWorkout.yourMinuteSessionHas', { duration: workout.duration, label: selectedGoal ? t(selectedGoal.labelKey) : '' }),
         [
           {
-            text: 'Save as Template',
+            text: t('generateWorkout.saveAsTemplate'),
             onPress: async () => {
               await saveAsTemplate(
                 { title: workout.title, main_set: workout.main_set, duration: workout.duration, estimated_calories: workout.estimated_calories, coach_notes: workout.coach_notes },
                 workout.title,
                 selectedGoal?.emoji || '💪'
               );
-              Alert.alert('Template Saved!', 'You can reuse this workout anytime from Workout Templates.', [{ text: 'OK', onPress: () => router.replace('/') }]);
+              Alert.alert(t('generateWorkout.templateSaved'), t('generateWorkout.templateSavedBody'), [{ text: t('common.ok'), onPress: () => router.replace('/') }]);
             },
           },
-          { text: 'Done', onPress: () => router.replace('/') },
+          { text: t('common.done'), onPress: () => router.replace('/') },
         ]
       );
     } catch (error) {
       if (__DEV__) console.error('Error saving workout:', error);
-      Alert.alert('Error', 'Failed to save workout. Please try again.');
+      Alert.alert(t('common.errorTitle'), t('generateWorkout.failedToSaveWorkout'));
     }
   };
 
@@ -736,9 +750,9 @@ function GenerateWorkoutScreenContent() {
           </Pressable>
           <View style={styles.titleContainer}>
             <Sparkles size={20} color={goalColor} />
-            <Text style={styles.title}>Smart Trainer</Text>
+            <Text style={styles.title}>{t('generateWorkout.smartTrainer')}</Text>
             <View style={styles.proBadge}>
-              <Text style={styles.proBadgeText}>PRO</Text>
+              <Text style={styles.proBadgeText}>{t('generateWorkout.pro')}</Text>
             </View>
           </View>
           <View style={styles.placeholder} />
@@ -768,9 +782,9 @@ function GenerateWorkoutScreenContent() {
           {step === 1 && (
             <>
               <RecoveryBanner score={recoveryScore} isLoading={recoveryLoading} />
-              <Text style={styles.stepTitle}>What's your goal?</Text>
+              <Text style={styles.stepTitle}>{t('generateWorkout.whatsYourGoal')}</Text>
               <Text style={styles.stepSubtitle}>
-                Choose your training focus for today
+                {t('generateWorkout.chooseYourTrainingFocus')}
               </Text>
 
               <View style={styles.goalsGrid}>
@@ -790,9 +804,9 @@ function GenerateWorkoutScreenContent() {
           {step === 2 && (
             <>
               <RecoveryBanner score={recoveryScore} isLoading={recoveryLoading} />
-              <Text style={styles.stepTitle}>Customize your session</Text>
+              <Text style={styles.stepTitle}>{t('generateWorkout.customizeYourSession')}</Text>
               <Text style={styles.stepSubtitle}>
-                Fine-tune your {selectedGoal?.label} workout
+                {t('generateWorkout.fineTuneYourWorkout', { label: selectedGoal ? t(selectedGoal.labelKey) : '' })}
               </Text>
 
               {/* Recovery Status Card */}
@@ -808,7 +822,7 @@ function GenerateWorkoutScreenContent() {
               <View style={styles.section}>
                 <View style={styles.sectionHeader}>
                   <Zap size={18} color={getLevelColor(level)} />
-                  <Text style={styles.sectionTitle}>Experience Level</Text>
+                  <Text style={styles.sectionTitle}>{t('generateWorkout.experienceLevel')}</Text>
                   <View
                     style={[
                       styles.levelBadge,
@@ -816,7 +830,7 @@ function GenerateWorkoutScreenContent() {
                     ]}
                   >
                     <Text style={[styles.levelBadgeText, { color: getLevelColor(level) }]}>
-                      {getLevelLabel(level)}
+                      {getLevelLabel(t, level)}
                     </Text>
                   </View>
                 </View>
@@ -833,8 +847,8 @@ function GenerateWorkoutScreenContent() {
                     thumbTintColor={getLevelColor(level)}
                   />
                   <View style={styles.sliderLabels}>
-                    <Text style={styles.sliderLabel}>Beginner</Text>
-                    <Text style={styles.sliderLabel}>Elite</Text>
+                    <Text style={styles.sliderLabel}>{t('generateWorkout.beginner')}</Text>
+                    <Text style={styles.sliderLabel}>{t('generateWorkout.elite')}</Text>
                   </View>
                 </View>
               </View>
@@ -843,8 +857,8 @@ function GenerateWorkoutScreenContent() {
               <View style={styles.section}>
                 <View style={styles.sectionHeader}>
                   <Clock size={18} color={goalColor} />
-                  <Text style={styles.sectionTitle}>Duration</Text>
-                  <Text style={styles.sectionValue}>{duration} min</Text>
+                  <Text style={styles.sectionTitle}>{t('generateWorkout.duration')}</Text>
+                  <Text style={styles.sectionValue}>{t('generateWorkout.min', { duration })}</Text>
                 </View>
                 <ScrollView
                   horizontal
@@ -877,7 +891,7 @@ function GenerateWorkoutScreenContent() {
               <View style={styles.section}>
                 <View style={styles.sectionHeader}>
                   <Target size={18} color={goalColor} />
-                  <Text style={styles.sectionTitle}>Target Area</Text>
+                  <Text style={styles.sectionTitle}>{t('generateWorkout.targetArea')}</Text>
                 </View>
                 <View style={styles.muscleGrid}>
                   {MUSCLE_GROUPS.map((m) => (
@@ -899,7 +913,7 @@ function GenerateWorkoutScreenContent() {
                           targetMuscles === m.id && { color: goalColor },
                         ]}
                       >
-                        {m.label}
+                        {t(m.labelKey)}
                       </Text>
                     </Pressable>
                   ))}
@@ -910,8 +924,8 @@ function GenerateWorkoutScreenContent() {
               <View style={styles.section}>
                 <View style={styles.sectionHeader}>
                   <Dumbbell size={18} color={goalColor} />
-                  <Text style={styles.sectionTitle}>Equipment</Text>
-                  <Text style={styles.sectionHint}>Select all available</Text>
+                  <Text style={styles.sectionTitle}>{t('generateWorkout.equipment')}</Text>
+                  <Text style={styles.sectionHint}>{t('generateWorkout.selectAllAvailable')}</Text>
                 </View>
                 <View style={styles.equipmentGrid}>
                   {EQUIPMENT.map((e) => (
@@ -929,12 +943,12 @@ function GenerateWorkoutScreenContent() {
               <View style={styles.section}>
                 <View style={styles.sectionHeader}>
                   <AlertCircle size={18} color={Colors.warning} />
-                  <Text style={styles.sectionTitle}>Limitations</Text>
-                  <Text style={styles.sectionHint}>Optional</Text>
+                  <Text style={styles.sectionTitle}>{t('generateWorkout.limitations')}</Text>
+                  <Text style={styles.sectionHint}>{t('generateWorkout.optional')}</Text>
                 </View>
                 <TextInput
                   style={styles.injuryInput}
-                  placeholder="e.g., Lower back pain, knee injury..."
+                  placeholder={t('generateWorkout.eGLowerBack')}
                   placeholderTextColor={Colors.textTertiary}
                   value={injuries}
                   onChangeText={setInjuries}
@@ -965,12 +979,12 @@ function GenerateWorkoutScreenContent() {
                   <View style={styles.workoutStats}>
                     <View style={styles.workoutStat}>
                       <Clock size={16} color="rgba(255,255,255,0.8)" />
-                      <Text style={styles.workoutStatText}>{workout.duration} min</Text>
+                      <Text style={styles.workoutStatText}>{t('generateWorkout.min', { duration: workout.duration })}</Text>
                     </View>
                     <View style={styles.workoutStat}>
                       <Flame size={16} color="rgba(255,255,255,0.8)" />
                       <Text style={styles.workoutStatText}>
-                        ~{workout.estimated_calories} cal
+                        {t('generateWorkout.cal', { estimated_calories: workout.estimated_calories })}
                       </Text>
                     </View>
                     <View style={styles.workoutStat}>
@@ -995,7 +1009,7 @@ function GenerateWorkoutScreenContent() {
 
               {/* Warmup Section */}
               <CollapsibleSection
-                title="Warm-Up"
+                title={t('generateWorkout.warmUp')}
                 icon={Timer}
                 color="#10B981"
                 count={workout.warmup?.length}
@@ -1010,7 +1024,7 @@ function GenerateWorkoutScreenContent() {
 
               {/* Main Set Section */}
               <CollapsibleSection
-                title="Main Workout"
+                title={t('generateWorkout.mainWorkout')}
                 icon={Dumbbell}
                 color={goalColor}
                 count={workout.main_set?.length}
@@ -1034,7 +1048,7 @@ function GenerateWorkoutScreenContent() {
 
               {/* Cooldown Section */}
               <CollapsibleSection
-                title="Cool-Down"
+                title={t('generateWorkout.coolDown')}
                 icon={Heart}
                 color="#8B5CF6"
                 count={workout.cooldown?.length}
@@ -1052,16 +1066,16 @@ function GenerateWorkoutScreenContent() {
                 <View style={styles.proTipsSection}>
                   <View style={styles.proTipsHeader}>
                     <Zap size={18} color={Colors.warning} />
-                    <Text style={styles.proTipsTitle}>Superset Suggestions</Text>
+                    <Text style={styles.proTipsTitle}>{t('generateWorkout.supersetSuggestions')}</Text>
                   </View>
                   <Text style={[styles.supersetRest, { marginBottom: Spacing.sm }]}>
-                    Pair these exercises back-to-back to save time and boost intensity
+                    {t('generateWorkout.pairTheseExercisesBack')}
                   </Text>
                   {supersetSuggestions.map((group) => (
                     <View key={group.id} style={styles.supersetContainer}>
                       <View style={styles.supersetBadge}>
                         <Text style={styles.supersetBadgeText}>
-                          {group.type === 'triset' ? 'Tri-Set' : 'Superset'}
+                          {group.type === 'triset' ? t('generateWorkout.triSet') : t('generateWorkout.superset')}
                         </Text>
                       </View>
                       {group.exercises.map((exId, idx) => (
@@ -1071,16 +1085,16 @@ function GenerateWorkoutScreenContent() {
                           </Text>
                           {idx < group.exercises.length - 1 && (
                             <Text style={styles.supersetRest}>
-                              {'\u26A1'} No rest
+                              {t('generateWorkout.noRest')}
                             </Text>
                           )}
                         </React.Fragment>
                       ))}
                       <Text style={styles.supersetRest}>
-                        Rest {group.restAfterGroup}s after round
+                        {t('generateWorkout.restSAfterRound', { restAfterGroup: group.restAfterGroup })}
                       </Text>
                       <View style={[styles.supersetBadge, { marginTop: 4 }]}>
-                        <Text style={styles.supersetBadgeText}>{group.rounds} rounds</Text>
+                        <Text style={styles.supersetBadgeText}>{t('generateWorkout.rounds', { rounds: group.rounds })}</Text>
                       </View>
                     </View>
                   ))}
@@ -1092,7 +1106,7 @@ function GenerateWorkoutScreenContent() {
                 <View style={styles.proTipsSection}>
                   <View style={styles.proTipsHeader}>
                     <Award size={18} color={Colors.warning} />
-                    <Text style={styles.proTipsTitle}>Pro Tips</Text>
+                    <Text style={styles.proTipsTitle}>{t('generateWorkout.proTips')}</Text>
                   </View>
                   {workout.pro_tips.map((tip, index) => (
                     <View key={index} style={styles.proTip}>
@@ -1107,7 +1121,7 @@ function GenerateWorkoutScreenContent() {
               <View style={styles.resultActions}>
                 <Pressable style={styles.regenerateButton} onPress={handleRegenerate}>
                   <RotateCcw size={20} color={Colors.textSecondary} />
-                  <Text style={styles.regenerateButtonText}>Regenerate</Text>
+                  <Text style={styles.regenerateButtonText}>{t('generateWorkout.regenerate')}</Text>
                 </Pressable>
 
                 <Pressable style={styles.saveButton} onPress={handleSaveAndStart}>
@@ -1118,7 +1132,7 @@ function GenerateWorkoutScreenContent() {
                     style={styles.saveButtonGradient}
                   >
                     <Play size={20} color="#fff" />
-                    <Text style={styles.saveButtonText}>Save & Start</Text>
+                    <Text style={styles.saveButtonText}>{t('generateWorkout.saveStart')}</Text>
                   </LinearGradient>
                 </Pressable>
               </View>
@@ -1151,7 +1165,7 @@ function GenerateWorkoutScreenContent() {
                   style={styles.startSessionGradient}
                 >
                   <Dumbbell size={22} color="#fff" />
-                  <Text style={styles.startSessionText}>Start Workout Session</Text>
+                  <Text style={styles.startSessionText}>{t('generateWorkout.startWorkoutSession')}</Text>
                   <ChevronRight size={20} color="rgba(255,255,255,0.7)" />
                 </LinearGradient>
               </Pressable>
@@ -1172,12 +1186,12 @@ function GenerateWorkoutScreenContent() {
                 style={styles.nextButtonGradient}
               >
                 <Text style={styles.nextButtonText}>
-                  {step === 1 ? 'Continue' : 'Generate Workout'}
+                  {step === 1 ? t('common.continue') : t('generateWorkout.generateWorkout')}
                 </Text>
                 <ChevronRight size={20} color="#fff" />
               </LinearGradient>
             </Pressable>
-            <Text style={styles.poweredBy}>Powered by Google Gemini AI</Text>
+            <Text style={styles.poweredBy}>{t('generateWorkout.poweredByGoogleGemini')}</Text>
           </BlurView>
         )}
 
@@ -1189,9 +1203,9 @@ function GenerateWorkoutScreenContent() {
               <View style={[styles.loadingSpinner, { borderColor: goalColor }]}>
                 <ActivityIndicator size="large" color={goalColor} />
               </View>
-              <Text style={styles.loadingTitle}>Creating Your Plan</Text>
+              <Text style={styles.loadingTitle}>{t('generateWorkout.creatingYourPlan')}</Text>
               <Text style={styles.loadingSubtitle}>
-                Our AI coach is designing your perfect workout...
+                {t('generateWorkout.ourAiCoachIs')}
               </Text>
             </View>
           </View>
@@ -25,6 +25,7 @@ import {
   Brain,
 } from 'lucide-react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import GlassCard from '../components/ui/GlassCard';
 import AnimatedProgressRing from '../components/AnimatedProgressRing';
@@ -51,26 +52,27 @@ const GLP1_MEDICATIONS = [
 ];
 
 const SIDE_EFFECTS = [
-  { id: 'nausea', label: 'Nausea', emoji: '🤢' },
-  { id: 'vomiting', label: 'Vomiting', emoji: '🤮' },
-  { id: 'diarrhea', label: 'Diarrhea', emoji: '💧' },
-  { id: 'constipation', label: 'Constipation', emoji: '🧱' },
-  { id: 'headache', label: 'Headache', emoji: '🤕' },
-  { id: 'fatigue', label: 'Fatigue', emoji: '😴' },
-  { id: 'dizziness', label: 'Dizziness', emoji: '💫' },
-  { id: 'appetite_loss', label: 'Low Appetite', emoji: '🍽️' },
-  { id: 'bloating', label: 'Bloating', emoji: '🎈' },
-  { id: 'injection_site', label: 'Injection Pain', emoji: '💉' },
+  { id: 'nausea', labelKey: 'glp1Support.sideEffects.nausea', emoji: '🤢' },
+  { id: 'vomiting', labelKey: 'glp1Support.sideEffects.vomiting', emoji: '🤮' },
+  { id: 'diarrhea', labelKey: 'glp1Support.sideEffects.diarrhea', emoji: '💧' },
+  { id: 'constipation', labelKey: 'glp1Support.sideEffects.constipation', emoji: '🧱' },
+  { id: 'headache', labelKey: 'glp1Support.sideEffects.headache', emoji: '🤕' },
+  { id: 'fatigue', labelKey: 'glp1Support.sideEffects.fatigue', emoji: '😴' },
+  { id: 'dizziness', labelKey: 'glp1Support.sideEffects.dizziness', emoji: '💫' },
+  { id: 'appetite_loss', labelKey: 'glp1Support.sideEffects.appetiteLoss', emoji: '🍽️' },
+  { id: 'bloating', labelKey: 'glp1Support.sideEffects.bloating', emoji: '🎈' },
+  { id: 'injection_site', labelKey: 'glp1Support.sideEffects.injectionSite', emoji: '💉' },
 ];
 
 const NUTRITION_TIPS = [
-  { icon: Heart, title: 'Prioritize Protein', desc: 'Aim for 1.2–1.6g per kg body weight (80–120g/day) to preserve muscle mass during rapid weight loss.', color: Colors.error },
-  { icon: Utensils, title: 'Eat Slowly', desc: 'Small, frequent meals reduce nausea. Stop eating when comfortable — not full.', color: Colors.warning },
-  { icon: Droplets, title: 'Stay Hydrated', desc: 'Drink 2–3L water daily. Dehydration worsens nausea and headaches.', color: Colors.primary },
-  { icon: Brain, title: 'Nutrient Density', desc: 'With reduced appetite, every calorie counts. Choose nutrient-dense whole foods over processed.', color: Colors.success },
+  { icon: Heart, titleKey: 'glp1Support.nutritionTips.prioritizeProtein', descKey: 'glp1Support.nutritionTips.aimFor12Desc', color: Colors.error },
+  { icon: Utensils, titleKey: 'glp1Support.nutritionTips.eatSlowly', descKey: 'glp1Support.nutritionTips.smallFrequentMealsReduceDesc', color: Colors.warning },
+  { icon: Droplets, titleKey: 'glp1Support.nutritionTips.stayHydrated', descKey: 'glp1Support.nutritionTips.drink23lWaterDesc', color: Colors.primary },
+  { icon: Brain, titleKey: 'glp1Support.nutritionTips.nutrientDensity', descKey: 'glp1Support.nutritionTips.withReducedAppetiteEveryDesc', color: Colors.success },
 ];
 
 function SeverityPicker({ value, onChange }) {
+  const { t } = useTranslation();
   const levels = [1, 2, 3, 4, 5];
   return (
     <View style={styles.severityRow}>
@@ -96,13 +98,14 @@ function SeverityPicker({ value, onChange }) {
         </Pressable>
       ))}
       <Text style={styles.severityLabel}>
-        {value <= 2 ? 'Mild' : value <= 3 ? 'Moderate' : 'Severe'}
+        {value <= 2 ? t('glp1Support.mild') : value <= 3 ? t('glp1Support.moderate') : t('glp1Support.severe')}
       </Text>
     </View>
   );
 }
 
 export default function GLP1SupportScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const { profile } = useProfile();
   const [data, setData] = useState({
@@ -224,23 +227,23 @@ export default function GLP1SupportScreen() {
     setSelectedEffects([]);
     setOverallSeverity(3);
     setSideEffectNotes('');
-    Alert.alert('Logged', 'Side effects recorded. This helps optimize your nutrition plan.');
-  }, [data, persist, selectedEffects, overallSeverity, sideEffectNotes]);
+    Alert.alert(t('glp1Support.logged'), t('glp1Support.sideEffectsRecordedThis'));
+  }, [data, persist, selectedEffects, overallSeverity, sideEffectNotes, t]);
 
   const handleDisable = useCallback(() => {
     Alert.alert(
-      'Disable GLP-1 Tracking',
-      'This will stop GLP-1 specific features. Your history will be preserved.',
+      t('glp1Support.disableGlp1Tracking'),
+      t('glp1Support.thisWillStopGlp'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Disable',
+          text: t('glp1Support.disable'),
           style: 'destructive',
           onPress: () => persist({ ...data, enabled: false }),
         },
       ],
     );
-  }, [data, persist]);
+  }, [data, persist, t]);
 
   const proteinTarget = useMemo(() => {
     const weightKg = profile?.weight
@@ -272,7 +275,7 @@ export default function GLP1SupportScreen() {
           <Pressable onPress={() => router.back()} style={styles.backButton}>
             <ArrowLeft size={22} color={Colors.text} />
           </Pressable>
-          <Text style={styles.title}>GLP-1 Support</Text>
+          <Text style={styles.title}>{t('glp1Support.glp1Support')}</Text>
           <View style={[styles.headerIcon, { backgroundColor: 'rgba(0, 212, 255, 0.15)' }]}>
             <Syringe size={20} color={Colors.primary} />
           </View>
@@ -282,30 +285,30 @@ export default function GLP1SupportScreen() {
           /* Onboarding state */
           <Animated.View entering={FadeInDown.delay(80).springify().mass(0.5).damping(10)}>
             <GlassCard style={styles.onboardCard}>
-              <Text style={styles.onboardTitle}>GLP-1 Medication Support</Text>
+              <Text style={styles.onboardTitle}>{t('glp1Support.glp1MedicationSupport')}</Text>
               <Text style={styles.onboardDesc}>
-                Taking Ozempic, Wegovy, Mounjaro, or Zepbound? FuelIQ can optimize your nutrition for GLP-1 therapy — higher protein targets, easy-to-digest meal suggestions, side effect tracking, and dose titration monitoring.
+                {t('glp1Support.takingOzempicWegovyMounjaro')}
               </Text>
               <Pressable
                 style={styles.enableButton}
                 onPress={() => setShowMedPicker(true)}
               >
                 <Syringe size={18} color="#fff" />
-                <Text style={styles.enableButtonText}>Enable GLP-1 Support</Text>
+                <Text style={styles.enableButtonText}>{t('glp1Support.enableGlp1Support')}</Text>
               </Pressable>
             </GlassCard>
 
             {/* Nutrition tips — always visible */}
-            <Text style={styles.sectionTitle}>Nutrition on GLP-1</Text>
+            <Text style={styles.sectionTitle}>{t('glp1Support.nutritionOnGlp1')}</Text>
             {NUTRITION_TIPS.map((tip, i) => (
-              <Animated.View key={tip.title} entering={FadeInDown.delay(160 + i * 60).springify().mass(0.5).damping(10)}>
+              <Animated.View key={tip.titleKey} entering={FadeInDown.delay(160 + i * 60).springify().mass(0.5).damping(10)}>
                 <GlassCard style={styles.tipCard}>
                   <View style={[styles.tipIcon, { backgroundColor: tip.color + '22' }]}>
                     <tip.icon size={18} color={tip.color} />
                   </View>
                   <View style={styles.tipContent}>
-                    <Text style={styles.tipTitle}>{tip.title}</Text>
-                    <Text style={styles.tipDesc}>{tip.desc}</Text>
+                    <Text style={styles.tipTitle}>{t(tip.titleKey)}</Text>
+                    <Text style={styles.tipDesc}>{t(tip.descKey)}</Text>
                   </View>
                 </GlassCard>
               </Animated.View>
@@ -319,28 +322,28 @@ export default function GLP1SupportScreen() {
               <GlassCard style={styles.medCard} variant="accent">
                 <View style={styles.medHeader}>
                   <View>
-                    <Text style={styles.medName}>{currentMed?.brand || 'GLP-1 Medication'}</Text>
-                    <Text style={styles.medDose}>{currentMed?.dose || 'Select dose'}</Text>
+                    <Text style={styles.medName}>{currentMed?.brand || t('glp1Support.glp1Medication')}</Text>
+                    <Text style={styles.medDose}>{currentMed?.dose || t('glp1Support.selectDose')}</Text>
                   </View>
                   <Pressable
                     style={styles.changeDoseBtn}
                     onPress={() => setShowMedPicker(true)}
                   >
-                    <Text style={styles.changeDoseText}>Change Dose</Text>
+                    <Text style={styles.changeDoseText}>{t('glp1Support.changeDose')}</Text>
                   </Pressable>
                 </View>
                 <View style={styles.medStatsRow}>
                   <View style={styles.medStat}>
                     <Text style={styles.medStatValue}>{weekNumber}</Text>
-                    <Text style={styles.medStatLabel}>Week</Text>
+                    <Text style={styles.medStatLabel}>{t('glp1Support.week')}</Text>
                   </View>
                   <View style={styles.medStat}>
                     <Text style={styles.medStatValue}>{daysSinceStart}</Text>
-                    <Text style={styles.medStatLabel}>Days</Text>
+                    <Text style={styles.medStatLabel}>{t('glp1Support.days')}</Text>
                   </View>
                   <View style={styles.medStat}>
                     <Text style={styles.medStatValue}>{(data.doseHistory || []).length}</Text>
-                    <Text style={styles.medStatLabel}>Dose Changes</Text>
+                    <Text style={styles.medStatLabel}>{t('glp1Support.doseChanges')}</Text>
                   </View>
                 </View>
               </GlassCard>
@@ -351,25 +354,25 @@ export default function GLP1SupportScreen() {
               <GlassCard style={styles.injectionCard}>
                 <View style={styles.injectionRow}>
                   <View>
-                    <Text style={styles.injectionTitle}>Last Injection</Text>
+                    <Text style={styles.injectionTitle}>{t('glp1Support.lastInjection')}</Text>
                     <Text style={styles.injectionSub}>
                       {daysSinceLastInjection !== null
                         ? daysSinceLastInjection === 0
-                          ? 'Today'
-                          : `${daysSinceLastInjection} day${daysSinceLastInjection !== 1 ? 's' : ''} ago`
-                        : 'Not recorded'}
+                          ? t('common.today')
+                          : t('glp1Support.daysAgo', { count: daysSinceLastInjection })
+                        : t('glp1Support.notRecorded')}
                     </Text>
                   </View>
                   <Pressable style={styles.logInjectionBtn} onPress={handleLogInjection}>
                     <Syringe size={16} color="#fff" />
-                    <Text style={styles.logInjectionText}>Log Injection</Text>
+                    <Text style={styles.logInjectionText}>{t('glp1Support.logInjection')}</Text>
                   </Pressable>
                 </View>
                 {daysSinceLastInjection !== null && daysSinceLastInjection >= 7 && (
                   <View style={styles.injectionWarning}>
                     <AlertCircle size={14} color={Colors.warning} />
                     <Text style={styles.injectionWarningText}>
-                      It's been {daysSinceLastInjection} days — your weekly injection may be due.
+                      {t('glp1Support.itsBeenDaysYour', { daysSinceLastInjection })}
                     </Text>
                   </View>
                 )}
@@ -390,9 +393,9 @@ export default function GLP1SupportScreen() {
                     <Text style={styles.proteinRingValue}>{proteinTarget}g</Text>
                   </AnimatedProgressRing>
                   <View style={styles.proteinInfo}>
-                    <Text style={styles.proteinTitle}>Daily Protein Target</Text>
+                    <Text style={styles.proteinTitle}>{t('glp1Support.dailyProteinTarget')}</Text>
                     <Text style={styles.proteinDesc}>
-                      GLP-1 adjusted: {proteinTarget}g/day (1.4g/kg) to preserve muscle during weight loss.
+                      {t('glp1Support.proteinAdjusted', { proteinTarget })}
                     </Text>
                   </View>
                 </View>
@@ -401,14 +404,14 @@ export default function GLP1SupportScreen() {
 
             {/* Side effect logging */}
             <Animated.View entering={FadeInDown.delay(320).springify().mass(0.5).damping(10)}>
-              <Text style={styles.sectionTitle}>Side Effect Tracking</Text>
+              <Text style={styles.sectionTitle}>{t('glp1Support.sideEffectTracking')}</Text>
 
               {recentSideEffects.length > 0 && (
                 <GlassCard style={styles.seSummaryCard}>
                   <View style={styles.seSummaryRow}>
                     <View style={styles.seStat}>
                       <Text style={styles.seStatValue}>{recentSideEffects.length}</Text>
-                      <Text style={styles.seStatLabel}>Logs (14d)</Text>
+                      <Text style={styles.seStatLabel}>{t('glp1Support.logs14d')}</Text>
                     </View>
                     <View style={styles.seStat}>
                       <Text style={[
@@ -417,16 +420,16 @@ export default function GLP1SupportScreen() {
                       ]}>
                         {avgSeverity}
                       </Text>
-                      <Text style={styles.seStatLabel}>Avg Severity</Text>
+                      <Text style={styles.seStatLabel}>{t('glp1Support.avgSeverity')}</Text>
                     </View>
                     <View style={styles.seStat}>
                       <Text style={[
                         styles.seStatValue,
                         { color: avgSeverity <= 2 ? Colors.success : Colors.warning },
                       ]}>
-                        {avgSeverity <= 2 ? 'Good' : avgSeverity <= 3 ? 'Moderate' : 'High'}
+                        {avgSeverity <= 2 ? t('glp1Support.good') : avgSeverity <= 3 ? t('glp1Support.moderate') : t('glp1Support.high')}
                       </Text>
-                      <Text style={styles.seStatLabel}>Tolerance</Text>
+                      <Text style={styles.seStatLabel}>{t('glp1Support.tolerance')}</Text>
                     </View>
                   </View>
                 </GlassCard>
@@ -438,11 +441,11 @@ export default function GLP1SupportScreen() {
                   onPress={() => setShowSideEffects(true)}
                 >
                   <AlertCircle size={18} color={Colors.warning} />
-                  <Text style={styles.logSideEffectText}>Log Side Effects</Text>
+                  <Text style={styles.logSideEffectText}>{t('glp1Support.logSideEffects')}</Text>
                 </Pressable>
               ) : (
                 <GlassCard style={styles.seFormCard}>
-                  <Text style={styles.seFormTitle}>How are you feeling?</Text>
+                  <Text style={styles.seFormTitle}>{t('glp1Support.howAreYouFeeling')}</Text>
                   <View style={styles.seGrid}>
                     {SIDE_EFFECTS.map((effect) => {
                       const selected = selectedEffects.includes(effect.id);
@@ -454,7 +457,7 @@ export default function GLP1SupportScreen() {
                         >
                           <Text style={styles.seChipEmoji}>{effect.emoji}</Text>
                           <Text style={[styles.seChipLabel, selected && styles.seChipLabelActive]}>
-                            {effect.label}
+                            {t(effect.labelKey)}
                           </Text>
                           {selected && <Check size={12} color={Colors.primary} />}
                         </Pressable>
@@ -464,12 +467,12 @@ export default function GLP1SupportScreen() {
 
                   {selectedEffects.length > 0 && (
                     <>
-                      <Text style={styles.seFormSubtitle}>Overall severity</Text>
+                      <Text style={styles.seFormSubtitle}>{t('glp1Support.overallSeverity')}</Text>
                       <SeverityPicker value={overallSeverity} onChange={setOverallSeverity} />
 
                       <TextInput
                         style={styles.seNotesInput}
-                        placeholder="Any additional notes..."
+                        placeholder={t('glp1Support.anyAdditionalNotes')}
                         placeholderTextColor={Colors.textTertiary}
                         value={sideEffectNotes}
                         onChangeText={setSideEffectNotes}
@@ -479,7 +482,7 @@ export default function GLP1SupportScreen() {
 
                       <Pressable style={styles.seSubmitBtn} onPress={handleLogSideEffects}>
                         <Check size={18} color="#fff" />
-                        <Text style={styles.seSubmitText}>Log Side Effects</Text>
+                        <Text style={styles.seSubmitText}>{t('glp1Support.logSideEffects')}</Text>
                       </Pressable>
                     </>
                   )}
@@ -488,7 +491,7 @@ export default function GLP1SupportScreen() {
                     style={styles.seCancelBtn}
                     onPress={() => { setShowSideEffects(false); setSelectedEffects([]); }}
                   >
-                    <Text style={styles.seCancelText}>Cancel</Text>
+                    <Text style={styles.seCancelText}>{t('common.cancel')}</Text>
                   </Pressable>
                 </GlassCard>
               )}
@@ -496,15 +499,15 @@ export default function GLP1SupportScreen() {
 
             {/* Nutrition tips */}
             <Animated.View entering={FadeIn.delay(400)}>
-              <Text style={styles.sectionTitle}>GLP-1 Nutrition Guide</Text>
+              <Text style={styles.sectionTitle}>{t('glp1Support.glp1NutritionGuide')}</Text>
               {NUTRITION_TIPS.map((tip) => (
-                <GlassCard key={tip.title} style={styles.tipCard}>
+                <GlassCard key={tip.titleKey} style={styles.tipCard}>
                   <View style={[styles.tipIcon, { backgroundColor: tip.color + '22' }]}>
                     <tip.icon size={18} color={tip.color} />
                   </View>
                   <View style={styles.tipContent}>
-                    <Text style={styles.tipTitle}>{tip.title}</Text>
-                    <Text style={styles.tipDesc}>{tip.desc}</Text>
+                    <Text style={styles.tipTitle}>{t(tip.titleKey)}</Text>
+                    <Text style={styles.tipDesc}>{t(tip.descKey)}</Text>
                   </View>
                 </GlassCard>
               ))}
@@ -513,7 +516,7 @@ export default function GLP1SupportScreen() {
             {/* Disable */}
             <Animated.View entering={FadeIn.delay(500)}>
               <Pressable style={styles.disableBtn} onPress={handleDisable}>
-                <Text style={styles.disableBtnText}>Disable GLP-1 Support</Text>
+                <Text style={styles.disableBtnText}>{t('glp1Support.disableGlp1Support')}</Text>
               </Pressable>
             </Animated.View>
           </>
@@ -523,9 +526,9 @@ export default function GLP1SupportScreen() {
         {showMedPicker && (
           <Animated.View entering={FadeInDown.springify().mass(0.5).damping(10)}>
             <GlassCard style={styles.medPickerCard}>
-              <Text style={styles.medPickerTitle}>Select Your Medication & Dose</Text>
+              <Text style={styles.medPickerTitle}>{t('glp1Support.selectYourMedicationDose')}</Text>
               <Text style={styles.medPickerSubtitle}>
-                Choose your current dose. Update this when your doctor adjusts your titration.
+                {t('glp1Support.chooseYourCurrentDose')}
               </Text>
               {GLP1_MEDICATIONS.map((med) => (
                 <Pressable
@@ -540,7 +543,7 @@ export default function GLP1SupportScreen() {
                   <View style={styles.medOptionInfo}>
                     <Text style={styles.medOptionName}>{med.brand}</Text>
                     <Text style={styles.medOptionDose}>
-                      {med.dose} — Weeks {med.week}
+                      {t('glp1Support.weeks', { dose: med.dose, week: med.week })}
                     </Text>
                   </View>
                   {data.medicationId === med.id && (
@@ -552,7 +555,7 @@ export default function GLP1SupportScreen() {
                 style={styles.medPickerCancel}
                 onPress={() => setShowMedPicker(false)}
               >
-                <Text style={styles.medPickerCancelText}>Cancel</Text>
+                <Text style={styles.medPickerCancelText}>{t('common.cancel')}</Text>
               </Pressable>
             </GlassCard>
           </Animated.View>
@@ -38,6 +38,7 @@ import {
   AlertTriangle,
   Scale,
   ChevronRight,
+  CalendarRange,
 } from 'lucide-react-native';
 import ScreenWrapper from '../components/ScreenWrapper';
 import {
@@ -52,8 +53,12 @@ import {
 import { useWeightHistory } from '../hooks/useWeightHistory';
 import { useProfile } from '../context/ProfileContext';
 import useGoalProjection from '../hooks/useGoalProjection';
+import { useDietPhases } from '../hooks/useDietPhases';
+import { comparePhaseProgress, projectPlanWeights } from '../lib/dietPhases';
 import { hapticLight } from '../lib/haptics';
-import { format, addDays, subDays } from 'date-fns';
+import { formatWeight } from '../lib/formatters';
+import { format, addDays, subDays, parseISO, differenceInCalendarDays } from 'date-fns';
+import { useTranslation } from 'react-i18next';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 const CHART_WIDTH = SCREEN_WIDTH - 80;
@@ -68,10 +73,10 @@ function getRateColor(absRate) {
   return Colors.error;
 }
 
-function getRateLabel(absRate) {
-  if (absRate >= 0.5 && absRate <= 2.0) return 'Healthy';
-  if (absRate < 0.5) return 'Slow';
-  return 'Aggressive';
+function getRateLabel(t, absRate) {
+  if (absRate >= 0.5 && absRate <= 2.0) return t('goalTimeline.healthy');
+  if (absRate < 0.5) return t('goalTimeline.slow');
+  return t('goalTimeline.aggressive');
 }
 
 function scenarioDate(currentWeight, goalWeight, weeklyRate) {
@@ -89,6 +94,7 @@ function scenarioDate(currentWeight, goalWeight, weeklyRate) {
 // ----------------------------------------------------------------
 
 function ProgressHeroCard({ projection }) {
+  const { t } = useTranslation();
   if (!projection) return null;
 
   const { currentWeight, goalWeight, progressPercentage, achieved } = projection;
@@ -106,17 +112,17 @@ function ProgressHeroCard({ projection }) {
           {/* Weight values row */}
           <View style={heroStyles.weightsRow}>
             <View style={heroStyles.weightBlock}>
-              <Text style={heroStyles.weightLabel}>Current</Text>
+              <Text style={heroStyles.weightLabel}>{t('goalTimeline.current')}</Text>
               <Text style={heroStyles.weightValue}>{currentWeight}</Text>
-              <Text style={heroStyles.weightUnit}>lbs</Text>
+              <Text style={heroStyles.weightUnit}>{t('units.lbs')}</Text>
             </View>
             <View style={heroStyles.arrowContainer}>
               <ArrowRight size={24} color={Colors.primary} />
             </View>
             <View style={heroStyles.weightBlock}>
-              <Text style={heroStyles.weightLabel}>Goal</Text>
+              <Text style={heroStyles.weightLabel}>{t('goalTimeline.goal')}</Text>
               <Text style={[heroStyles.weightValue, { color: Colors.success }]}>{goalWeight}</Text>
-              <Text style={heroStyles.weightUnit}>lbs</Text>
+              <Text style={heroStyles.weightUnit}>{t('units.lbs')}</Text>
             </View>
           </View>
 
@@ -125,7 +131,7 @@ function ProgressHeroCard({ projection }) {
             <Text style={heroStyles.percentageValue}>{achieved ? 100 : progressPercentage}</Text>
             <Text style={heroStyles.percentageSymbol}>%</Text>
           </View>
-          <Text style={heroStyles.percentageLabel}>journey complete</Text>
+          <Text style={heroStyles.percentageLabel}>{t('goalTimeline.journeyComplete')}</Text>
 
           {/* Progress bar */}
           <View style={heroStyles.progressBarOuter}>
@@ -139,7 +145,7 @@ function ProgressHeroCard({ projection }) {
 
           {/* Status text */}
           <Text style={heroStyles.statusText}>
-            {achieved ? 'Goal reached!' : `${diff} lbs to go`}
+            {achieved ? t('goalTimeline.goalReached') : t('goalTimeline.lbsToGo', { diff })}
           </Text>
         </View>
       </LinearGradient>
@@ -242,6 +248,7 @@ const heroStyles = StyleSheet.create({
 // ----------------------------------------------------------------
 
 function ProjectionChartSection({ weightEntries, projection, goal }) {
+  const { t } = useTranslation();
   const chartData = useMemo(() => {
     if (!weightEntries || weightEntries.length === 0) return { historicalData: [], projectedData: [], goalValue: null, minVal: 0, maxVal: 200 };
 
@@ -299,24 +306,24 @@ function ProjectionChartSection({ weightEntries, projection, goal }) {
   return (
     <ReAnimated.View entering={FadeInDown.delay(200).springify().mass(0.5).damping(10)}>
       <View style={chartStyles.container}>
-        <Text style={chartStyles.title}>Weight Projection</Text>
+        <Text style={chartStyles.title}>{t('goalTimeline.weightProjection')}</Text>
 
         {/* Legend */}
         <View style={chartStyles.legendRow}>
           <View style={chartStyles.legendItem}>
             <View style={[chartStyles.legendLine, { backgroundColor: Colors.primary }]} />
-            <Text style={chartStyles.legendText}>Actual</Text>
+            <Text style={chartStyles.legendText}>{t('goalTimeline.actual')}</Text>
           </View>
           {chartData.projectedData.length > 0 && (
             <View style={chartStyles.legendItem}>
               <View style={[chartStyles.legendDash, { borderColor: Colors.primary + '60' }]} />
-              <Text style={chartStyles.legendText}>Projected</Text>
+              <Text style={chartStyles.legendText}>{t('goalTimeline.projected')}</Text>
             </View>
           )}
           {chartData.goalValue && (
             <View style={chartStyles.legendItem}>
               <View style={[chartStyles.legendLine, { backgroundColor: Colors.success }]} />
-              <Text style={chartStyles.legendText}>Goal</Text>
+              <Text style={chartStyles.legendText}>{t('goalTimeline.goal')}</Text>
             </View>
           )}
         </View>
@@ -361,7 +368,7 @@ function ProjectionChartSection({ weightEntries, projection, goal }) {
                     dashWidth: 6,
                     dashGap: 4,
                     thickness: 2,
-                    labelText: `Goal: ${chartData.goalValue} lbs`,
+                    labelText: t('goalTimeline.goalLbs', { goalValue: chartData.goalValue }),
                     labelTextStyle: { color: Colors.success, fontSize: 10, fontWeight: '600' },
                   }
                 : undefined
@@ -377,7 +384,7 @@ function ProjectionChartSection({ weightEntries, projection, goal }) {
               pointerLabelComponent: (items) => (
                 <View style={chartStyles.tooltip}>
                   <Text style={chartStyles.tooltipText}>
-                    {(items[0].value + chartData.minVal).toFixed(1)} lbs
+                    {formatWeight(items[0].value + chartData.minVal, 'lbs')}
                   </Text>
                 </View>
               ),
@@ -457,6 +464,7 @@ const chartStyles = StyleSheet.create({
 // ----------------------------------------------------------------
 
 function TimelineCard({ projection }) {
+  const { t } = useTranslation();
   if (!projection || projection.achieved) return null;
   if (!projection.projectedDate || projection.daysRemaining === Infinity) return null;
 
@@ -471,17 +479,17 @@ function TimelineCard({ projection }) {
       >
         <View style={timelineStyles.header}>
           <Clock size={18} color={Colors.primary} />
-          <Text style={timelineStyles.title}>Estimated Timeline</Text>
+          <Text style={timelineStyles.title}>{t('goalTimeline.estimatedTimeline')}</Text>
         </View>
 
         <Text style={timelineStyles.rateText}>
-          At your current rate of {absRate} lbs/week...
+          {t('goalTimeline.atCurrentRate', { rate: absRate })}
         </Text>
 
         <View style={timelineStyles.dateRow}>
           <Calendar size={22} color={Colors.success} />
           <View style={timelineStyles.dateInfo}>
-            <Text style={timelineStyles.dateLabel}>Projected Completion</Text>
+            <Text style={timelineStyles.dateLabel}>{t('goalTimeline.projectedCompletion')}</Text>
             <Text style={timelineStyles.dateValue}>{formattedDate}</Text>
           </View>
         </View>
@@ -489,7 +497,7 @@ function TimelineCard({ projection }) {
         <View style={timelineStyles.daysRow}>
           <View style={timelineStyles.daysBadge}>
             <Text style={timelineStyles.daysValue}>{projection.daysRemaining}</Text>
-            <Text style={timelineStyles.daysLabel}>days remaining</Text>
+            <Text style={timelineStyles.daysLabel}>{t('goalTimeline.daysRemaining')}</Text>
           </View>
         </View>
       </LinearGradient>
@@ -568,9 +576,10 @@ const timelineStyles = StyleSheet.create({
 // ----------------------------------------------------------------
 
 function RateAnalysisCard({ weeklyRate, goalType }) {
+  const { t } = useTranslation();
   const absRate = Math.abs(weeklyRate);
   const rateColor = getRateColor(absRate);
-  const rateLabel = getRateLabel(absRate);
+  const rateLabel = getRateLabel(t, absRate);
   const isGaining = goalType === 'gain' || weeklyRate > 0;
 
   return (
@@ -581,13 +590,13 @@ function RateAnalysisCard({ weeklyRate, goalType }) {
       >
         <View style={rateStyles.header}>
           <TrendingUp size={18} color={Colors.primary} />
-          <Text style={rateStyles.title}>Rate Analysis</Text>
+          <Text style={rateStyles.title}>{t('goalTimeline.rateAnalysis')}</Text>
         </View>
 
         <View style={rateStyles.rateRow}>
           <View style={[rateStyles.rateBadge, { backgroundColor: rateColor + '20', borderColor: rateColor + '40' }]}>
             <Text style={[rateStyles.rateBadgeText, { color: rateColor }]}>
-              {absRate} lbs/week
+              {t('goalTimeline.lbsPerWeek', { rate: absRate })}
             </Text>
           </View>
           <View style={[rateStyles.statusBadge, { backgroundColor: rateColor + '15' }]}>
@@ -596,7 +605,7 @@ function RateAnalysisCard({ weeklyRate, goalType }) {
         </View>
 
         <View style={rateStyles.infoRow}>
-          <Text style={rateStyles.infoLabel}>Direction</Text>
+          <Text style={rateStyles.infoLabel}>{t('goalTimeline.direction')}</Text>
           <View style={rateStyles.directionBadge}>
             {isGaining ? (
               <TrendingUp size={14} color={Colors.success} />
@@ -604,7 +613,7 @@ function RateAnalysisCard({ weeklyRate, goalType }) {
               <TrendingDown size={14} color={Colors.secondary} />
             )}
             <Text style={rateStyles.directionText}>
-              {isGaining ? 'Gaining' : 'Losing'} weight
+              {isGaining ? t('goalTimeline.gaining') : t('goalTimeline.losing')} weight
             </Text>
           </View>
         </View>
@@ -612,7 +621,7 @@ function RateAnalysisCard({ weeklyRate, goalType }) {
         <View style={rateStyles.recommendationRow}>
           <AlertTriangle size={14} color={Colors.textTertiary} />
           <Text style={rateStyles.recommendationText}>
-            Healthy range: 0.5 - 2 lbs/week
+            {t('goalTimeline.healthyRange05')}
           </Text>
         </View>
 
@@ -620,7 +629,7 @@ function RateAnalysisCard({ weeklyRate, goalType }) {
           <View style={[rateStyles.warningRow, { backgroundColor: Colors.errorSoft }]}>
             <AlertTriangle size={14} color={Colors.error} />
             <Text style={[rateStyles.warningText, { color: Colors.error }]}>
-              Your rate exceeds the recommended maximum. Consider slowing down for sustainability.
+              {t('goalTimeline.yourRateExceedsThe')}
             </Text>
           </View>
         )}
@@ -628,7 +637,7 @@ function RateAnalysisCard({ weeklyRate, goalType }) {
           <View style={[rateStyles.warningRow, { backgroundColor: Colors.warningSoft }]}>
             <AlertTriangle size={14} color={Colors.warning} />
             <Text style={[rateStyles.warningText, { color: Colors.warning }]}>
-              Progress is slow but steady. A moderate calorie adjustment could help.
+              {t('goalTimeline.progressIsSlowBut')}
             </Text>
           </View>
         )}
@@ -733,6 +742,7 @@ const rateStyles = StyleSheet.create({
 // ----------------------------------------------------------------
 
 function MilestonesSection({ projection }) {
+  const { t } = useTranslation();
   if (!projection || projection.achieved || !projection.startWeight || !projection.goalWeight) return null;
   if (projection.daysRemaining === Infinity) return null;
 
@@ -740,10 +750,10 @@ function MilestonesSection({ projection }) {
   const totalDiff = goalWeight - startWeight;
 
   const milestones = [
-    { pct: 25, label: '25% of goal', weight: Math.round((startWeight + totalDiff * 0.25) * 10) / 10 },
-    { pct: 50, label: 'Halfway!', weight: Math.round((startWeight + totalDiff * 0.50) * 10) / 10 },
-    { pct: 75, label: '75% of goal', weight: Math.round((startWeight + totalDiff * 0.75) * 10) / 10 },
-    { pct: 100, label: 'Goal reached!', weight: goalWeight },
+    { pct: 25, label: t('goalTimeline.n25OfGoal'), weight: Math.round((startWeight + totalDiff * 0.25) * 10) / 10 },
+    { pct: 50, label: t('goalTimeline.halfway'), weight: Math.round((startWeight + totalDiff * 0.50) * 10) / 10 },
+    { pct: 75, label: t('goalTimeline.n75OfGoal'), weight: Math.round((startWeight + totalDiff * 0.75) * 10) / 10 },
+    { pct: 100, label: t('goalTimeline.goalReached'), weight: goalWeight },
   ];
 
   // Calculate projected date for each milestone
@@ -756,7 +766,7 @@ function MilestonesSection({ projection }) {
     const reached = progressPercentage >= m.pct;
     return {
       ...m,
-      date: daysNeeded > 0 ? format(addDays(new Date(), daysNeeded), 'MMM d, yyyy') : (reached ? 'Achieved' : 'N/A'),
+      date: daysNeeded > 0 ? format(addDays(new Date(), daysNeeded), 'MMM d, yyyy') : (reached ? t('goalTimeline.achieved') : 'N/A'),
       achieved: reached,
     };
   });
@@ -764,7 +774,7 @@ function MilestonesSection({ projection }) {
   return (
     <ReAnimated.View entering={FadeInDown.delay(500).springify().mass(0.5).damping(10)}>
       <View style={milestoneStyles.container}>
-        <Text style={milestoneStyles.title}>Milestones</Text>
+        <Text style={milestoneStyles.title}>{t('goalTimeline.milestones')}</Text>
 
         <View style={milestoneStyles.timeline}>
           {milestonesWithDates.map((m, i) => (
@@ -797,7 +807,7 @@ function MilestonesSection({ projection }) {
                   <Text style={[milestoneStyles.label, m.achieved && { color: Colors.success }]}>
                     {m.label}
                   </Text>
-                  <Text style={milestoneStyles.weight}>{m.weight} lbs</Text>
+                  <Text style={milestoneStyles.weight}>{t('goalTimeline.lbs', { weight: m.weight })}</Text>
                 </View>
 
                 {/* Date */}
@@ -882,20 +892,21 @@ const milestoneStyles = StyleSheet.create({
 // ----------------------------------------------------------------
 
 function ScenarioCards({ currentWeight, goalWeight, currentRate }) {
+  const { t } = useTranslation();
   if (!currentWeight || !goalWeight) return null;
 
   const isLosing = goalWeight < currentWeight;
   const absCurrentRate = Math.abs(currentRate);
 
   const scenarios = [
-    { label: 'Conservative', rate: 0.5, color: Colors.success, icon: TrendingDown },
-    { label: 'Moderate', rate: 1.0, color: Colors.primary, icon: TrendingDown },
-    { label: 'Aggressive', rate: 2.0, color: Colors.secondary, icon: Zap },
+    { label: t('goalTimeline.conservative'), rate: 0.5, color: Colors.success, icon: TrendingDown },
+    { label: t('goalTimeline.moderate'), rate: 1.0, color: Colors.primary, icon: TrendingDown },
+    { label: t('goalTimeline.aggressive'), rate: 2.0, color: Colors.secondary, icon: Zap },
   ];
 
   return (
     <ReAnimated.View entering={FadeInDown.delay(600).springify().mass(0.5).damping(10)}>
-      <Text style={scenarioStyles.sectionTitle}>What If Scenarios</Text>
+      <Text style={scenarioStyles.sectionTitle}>{t('goalTimeline.whatIfScenarios')}</Text>
 
       <View style={scenarioStyles.row}>
         {scenarios.map((s) => {
@@ -914,7 +925,7 @@ function ScenarioCards({ currentWeight, goalWeight, currentRate }) {
               >
                 {isActive && (
                   <View style={[scenarioStyles.activeBadge, { backgroundColor: s.color + '20' }]}>
-                    <Text style={[scenarioStyles.activeText, { color: s.color }]}>Current</Text>
+                    <Text style={[scenarioStyles.activeText, { color: s.color }]}>{t('goalTimeline.current')}</Text>
                   </View>
                 )}
                 <s.icon size={20} color={s.color} />
@@ -992,14 +1003,15 @@ const scenarioStyles = StyleSheet.create({
 // ----------------------------------------------------------------
 
 function NoGoalState() {
+  const { t } = useTranslation();
   return (
     <ReAnimated.View entering={FadeInDown.delay(200).springify().mass(0.5).damping(10)} style={emptyStyles.container}>
       <View style={emptyStyles.iconWrap}>
         <Target size={48} color={Colors.primary} />
       </View>
-      <Text style={emptyStyles.title}>No Weight Goal Set</Text>
+      <Text style={emptyStyles.title}>{t('goalTimeline.noWeightGoalSet')}</Text>
       <Text style={emptyStyles.subtitle}>
-        Set a target weight in the Weight Tracker to see your projected timeline, milestones, and completion date.
+        {t('goalTimeline.setATargetWeight')}
       </Text>
       <Pressable
         style={emptyStyles.button}
@@ -1010,7 +1022,7 @@ function NoGoalState() {
       >
         <LinearGradient colors={Gradients.primary} style={emptyStyles.buttonGradient}>
           <Scale size={18} color={Colors.background} />
-          <Text style={emptyStyles.buttonText}>Go to Weight Tracker</Text>
+          <Text style={emptyStyles.buttonText}>{t('goalTimeline.goToWeightTracker')}</Text>
         </LinearGradient>
       </Pressable>
     </ReAnimated.View>
@@ -1022,14 +1034,15 @@ function NoGoalState() {
 // ----------------------------------------------------------------
 
 function NoDataState() {
+  const { t } = useTranslation();
   return (
     <ReAnimated.View entering={FadeInDown.delay(200).springify().mass(0.5).damping(10)} style={emptyStyles.container}>
       <View style={emptyStyles.iconWrap}>
         <Scale size={48} color={Colors.warning} />
       </View>
-      <Text style={emptyStyles.title}>Need More Data</Text>
+      <Text style={emptyStyles.title}>{t('goalTimeline.needMoreData')}</Text>
       <Text style={emptyStyles.subtitle}>
-        Log at least 2 weight entries to generate projections and see your progress timeline.
+        {t('goalTimeline.logAtLeast2')}
       </Text>
       <Pressable
         style={emptyStyles.button}
@@ -1040,7 +1053,7 @@ function NoDataState() {
       >
         <LinearGradient colors={Gradients.primary} style={emptyStyles.buttonGradient}>
           <Scale size={18} color={Colors.background} />
-          <Text style={emptyStyles.buttonText}>Log Weight</Text>
+          <Text style={emptyStyles.buttonText}>{t('goalTimeline.logWeight')}</Text>
         </LinearGradient>
       </Pressable>
     </ReAnimated.View>
@@ -1100,6 +1113,7 @@ const emptyStyles = StyleSheet.create({
 // ----------------------------------------------------------------
 
 function WrongDirectionCard({ projection }) {
+  const { t } = useTranslation();
   if (!projection || !projection.wrongDirection) return null;
 
   return (
@@ -1109,9 +1123,9 @@ function WrongDirectionCard({ projection }) {
         style={wrongDirStyles.card}
       >
         <AlertTriangle size={24} color={Colors.error} />
-        <Text style={wrongDirStyles.title}>Moving in the Wrong Direction</Text>
+        <Text style={wrongDirStyles.title}>{t('goalTimeline.movingInTheWrong')}</Text>
         <Text style={wrongDirStyles.subtitle}>
-          Your weight trend is heading away from your goal. Consider adjusting your calorie intake or activity level.
+          {t('goalTimeline.yourWeightTrendIs')}
         </Text>
         <Pressable
           style={wrongDirStyles.button}
@@ -1120,7 +1134,7 @@ function WrongDirectionCard({ projection }) {
             router.push('/weight-log');
           }}
         >
-          <Text style={wrongDirStyles.buttonText}>Review Weight Log</Text>
+          <Text style={wrongDirStyles.buttonText}>{t('goalTimeline.reviewWeightLog')}</Text>
           <ChevronRight size={16} color={Colors.primary} />
         </Pressable>
       </LinearGradient>
@@ -1173,6 +1187,7 @@ const wrongDirStyles = StyleSheet.create({
 // ----------------------------------------------------------------
 
 function GoalAchievedCard({ projection }) {
+  const { t } = useTranslation();
   if (!projection || !projection.achieved) return null;
 
   return (
@@ -1184,9 +1199,9 @@ function GoalAchievedCard({ projection }) {
         <View style={achievedStyles.checkWrap}>
           <Check size={32} color={Colors.success} />
         </View>
-        <Text style={achievedStyles.title}>Goal Reached!</Text>
+        <Text style={achievedStyles.title}>{t('goalTimeline.goalReached2')}</Text>
         <Text style={achievedStyles.subtitle}>
-          Congratulations! You have reached your target weight of {projection.goalWeight} lbs.
+          {t('goalTimeline.congratulationsYouHaveReached', { goalWeight: projection.goalWeight })}
         </Text>
       </LinearGradient>
     </ReAnimated.View>
@@ -1225,12 +1240,245 @@ const achievedStyles = StyleSheet.create({
   },
 });
 
+// ----------------------------------------------------------------
+// Diet Phase Progress
+// ----------------------------------------------------------------
+
+const PHASE_STATUS_COLORS = {
+  upcoming: Colors.textTertiary,
+  active: Colors.primary,
+  complete: Colors.success,
+};
+
+function formatDelta(value) {
+  const rounded = Math.round(value * 10) / 10;
+  return `${rounded > 0 ? '+' : ''}${rounded}`;
+}
+
+function PhaseProgressSection({ plan, weightEntries, currentWeight }) {
+  const { t } = useTranslation();
+
+  // Anchor the projection at the weigh-in closest to the plan start
+  const startWeight = useMemo(() => {
+    if (!weightEntries || weightEntries.length === 0) return currentWeight;
+    const start = parseISO(plan.startDate);
+    let closest = weightEntries[0];
+    for (const entry of weightEntries) {
+      if (Math.abs(new Date(entry.date) - start) < Math.abs(new Date(closest.date) - start)) {
+        closest = entry;
+      }
+    }
+    return closest.weight;
+  }, [plan.startDate, weightEntries, currentWeight]);
+
+  const progress = useMemo(
+    () => (startWeight ? comparePhaseProgress(plan, startWeight, weightEntries || []) : []),
+    [plan, startWeight, weightEntries],
+  );
+
+  const chartData = useMemo(() => {
+    if (!startWeight) return null;
+    const projected = projectPlanWeights(plan, startWeight);
+    const planStart = projected[0].date;
+    const planEnd = projected[projected.length - 1].date;
+
+    // Weekly buckets so both series share the same x axis
+    const actualByWeek = new Map();
+    for (const entry of weightEntries || []) {
+      const key = format(new Date(entry.date), 'yyyy-MM-dd');
+      if (key < planStart || key > planEnd) continue;
+      const week = Math.round(differenceInCalendarDays(parseISO(key), parseISO(planStart)) / 7);
+      actualByWeek.set(week, entry.weight);
+    }
+
+    const projectedData = projected.map((point, i) => ({
+      value: point.weight,
+      label: i === 0 || i === projected.length - 1 ? format(parseISO(point.date), 'M/d') : '',
+    }));
+    // Weeks without a weigh-in carry the previous value forward
+    const actualData = [];
+    const lastWeek = actualByWeek.size > 0 ? Math.max(...actualByWeek.keys()) : -1;
+    let lastValue = startWeight;
+    for (let week = 0; week <= lastWeek; week++) {
+      if (actualByWeek.has(week)) lastValue = actualByWeek.get(week);
+      actualData.push({ value: lastValue });
+    }
+
+    const allValues = [...projectedData.map((d) => d.value), ...actualData.map((d) => d.value)];
+    const minVal = Math.floor(Math.min(...allValues) - 3);
+    return { projectedData, actualData, minVal };
+  }, [plan, startWeight, weightEntries]);
+
+  return (
+    <ReAnimated.View entering={FadeInDown.delay(300).springify().mass(0.5).damping(10)}>
+      <View style={chartStyles.container}>
+        <View style={phaseStyles.titleRow}>
+          <Text style={chartStyles.title}>{t('goalTimeline.dietPhases')}</Text>
+          <Pressable onPress={() => router.push('/diet-phases')} hitSlop={8} style={phaseStyles.editButton}>
+            <Text style={phaseStyles.editText}>{t('goalTimeline.editPhases')}</Text>
+            <ChevronRight size={14} color={Colors.primary} />
+          </Pressable>
+        </View>
+
+        {chartData && chartData.projectedData.length > 1 ? (
+          <>
+            <View style={chartStyles.legendRow}>
+              <View style={chartStyles.legendItem}>
+                <View style={[chartStyles.legendLine, { backgroundColor: Colors.primary }]} />
+                <Text style={chartStyles.legendText}>{t('goalTimeline.actual')}</Text>
+              </View>
+              <View style={chartStyles.legendItem}>
+                <View style={[chartStyles.legendDash, { borderColor: Colors.primary + '60' }]} />
+                <Text style={chartStyles.legendText}>{t('goalTimeline.projected')}</Text>
+              </View>
+            </View>
+            <View style={chartStyles.chartWrap}>
+              <LineChart
+                data={chartData.actualData.length > 0 ? chartData.actualData : [chartData.projectedData[0]]}
+                data2={chartData.projectedData}
+                width={CHART_WIDTH}
+                height={160}
+                spacing={Math.max(8, CHART_WIDTH / Math.max(chartData.projectedData.length - 1, 4))}
+                color1={Colors.primary}
+                color2={Colors.primary + '60'}
+                thickness={2.5}
+                thickness2={2}
+                strokeDashArray2={[6, 4]}
+                dataPointsColor1={Colors.primary}
+                dataPointsRadius1={3}
+                hideDataPoints2
+                yAxisColor={Colors.border}
+                xAxisColor={Colors.border}
+                yAxisTextStyle={chartStyles.axisText}
+                xAxisLabelTextStyle={chartStyles.axisText}
+                yAxisOffset={chartData.minVal}
+                noOfSections={4}
+                rulesColor={Colors.border}
+                rulesType="dashed"
+                dashWidth={3}
+                dashGap={5}
+                initialSpacing={10}
+                endSpacing={10}
+              />
+            </View>
+          </>
+        ) : null}
+
+        {progress.map((item) => {
+          const statusColor = PHASE_STATUS_COLORS[item.status];
+          const hasActual = item.actualStart !== null && item.actualEnd !== null;
+          return (
+            <View key={item.phase.id} style={phaseStyles.row}>
+              <View style={[phaseStyles.statusDot, { backgroundColor: statusColor }]} />
+              <View style={phaseStyles.rowBody}>
+                <Text style={phaseStyles.rowTitle}>
+                  {t(`dietPhases.types.${item.phase.type}`)}
+                  <Text style={phaseStyles.rowStatus}>{`  ${t(`goalTimeline.phaseStatus.${item.status}`)}`}</Text>
+                </Text>
+                <Text style={phaseStyles.rowDetail}>
+                  {t('goalTimeline.phasePlanned', {
+                    delta: formatDelta(item.projectedEnd - item.projectedStart),
+                    rate: formatDelta(item.phase.rateLbsPerWeek),
+                  })}
+                </Text>
+                {hasActual ? (
+                  <Text style={phaseStyles.rowDetail}>
+                    {item.actualRate !== null
+                      ? t('goalTimeline.phaseActualRate', {
+                          delta: formatDelta(item.actualEnd - item.actualStart),
+                          rate: formatDelta(item.actualRate),
+                        })
+                      : t('goalTimeline.phaseActual', { delta: formatDelta(item.actualEnd - item.actualStart) })}
+                  </Text>
+                ) : null}
+              </View>
+            </View>
+          );
+        })}
+      </View>
+    </ReAnimated.View>
+  );
+}
+
+const phaseStyles = StyleSheet.create({
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  editButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 2,
+    marginBottom: Spacing.sm,
+  },
+  editText: {
+    fontSize: FontSize.sm,
+    color: Colors.primary,
+    fontWeight: FontWeight.medium,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: Spacing.sm,
+    paddingVertical: Spacing.sm,
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(255, 255, 255, 0.06)',
+  },
+  statusDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginTop: 6,
+  },
+  rowBody: {
+    flex: 1,
+  },
+  rowTitle: {
+    fontSize: FontSize.md,
+    fontWeight: FontWeight.semibold,
+    color: Colors.text,
+  },
+  rowStatus: {
+    fontSize: FontSize.xs,
+    fontWeight: FontWeight.regular,
+    color: Colors.textTertiary,
+  },
+  rowDetail: {
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+    marginTop: 2,
+  },
+});
+
+const planStyles = StyleSheet.create({
+  link: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.sm,
+    backgroundColor: 'rgba(255, 255, 255, 0.03)',
+    borderRadius: BorderRadius.xl,
+    padding: Spacing.md,
+    marginBottom: Spacing.lg,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.08)',
+  },
+  linkText: {
+    flex: 1,
+    fontSize: FontSize.md,
+    fontWeight: FontWeight.medium,
+    color: Colors.text,
+  },
+});
+
 // ----------------------------------------------------------------
 // Main Screen
 // ----------------------------------------------------------------
 
 export default function GoalTimelineScreen() {
+  const { t } = useTranslation();
   const { entries, goal } = useWeightHistory();
+  const { plan: dietPlan } = useDietPhases();
   const profileData = useProfile();
   const profile = profileData?.profile;
   const tdee = profile?.tdee || 0;
@@ -1284,7 +1532,7 @@ export default function GoalTimelineScreen() {
           >
             <ArrowLeft size={22} color={Colors.text} />
           </Pressable>
-          <Text style={styles.title}>Goal Timeline</Text>
+          <Text style={styles.title}>{t('goalTimeline.goalTimeline')}</Text>
           <View style={styles.headerIcon}>
             <Target size={22} color={Colors.success} />
           </View>
@@ -1335,6 +1583,21 @@ export default function GoalTimelineScreen() {
           </>
         )}
 
+        {/* Diet Phases */}
+        {dietPlan ? (
+          <PhaseProgressSection
+            plan={dietPlan}
+            weightEntries={entries}
+            currentWeight={profile?.weight}
+          />
+        ) : (
+          <Pressable style={planStyles.link} onPress={() => router.push('/diet-phases')}>
+            <CalendarRange size={18} color={Colors.primary} />
+            <Text style={planStyles.linkText}>{t('goalTimeline.planDietPhases')}</Text>
+            <ChevronRight size={16} color={Colors.textTertiary} />
+          </Pressable>
+        )}
+
         <View style={styles.bottomSpacer} />
       </ScrollView>
     </ScreenWrapper>
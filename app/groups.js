@@ -33,6 +33,7 @@ import {
   Dumbbell,
   Apple,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import GlassCard from '../components/ui/GlassCard';
 import {
@@ -46,26 +47,27 @@ import {
   Glass,
 } from '../constants/theme';
 import { hapticLight, hapticSuccess, hapticImpact, hapticError } from '../lib/haptics';
+import { formatCompactNumber } from '../lib/formatters';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 
 // --- Tabs ---
 const TABS = [
-  { key: 'discover', label: 'Discover', icon: Search },
-  { key: 'my', label: 'My Groups', icon: Users },
-  { key: 'create', label: 'Create', icon: Plus },
+  { key: 'discover', labelKey: 'groups.tabs.discover', icon: Search },
+  { key: 'my', labelKey: 'groups.tabs.my', icon: Users },
+  { key: 'create', labelKey: 'groups.tabs.create', icon: Plus },
 ];
 
 // --- Categories ---
 const CATEGORIES = [
-  { key: 'all', label: 'All', emoji: '', color: Colors.primary },
-  { key: 'general', label: 'General', emoji: '💬', color: Colors.primary },
-  { key: 'weight-loss', label: 'Weight Loss', emoji: '🔥', color: Colors.secondary },
-  { key: 'muscle-building', label: 'Muscle Building', emoji: '💪', color: '#BF5AF2' },
-  { key: 'running', label: 'Running', emoji: '🏃', color: Colors.success },
-  { key: 'nutrition', label: 'Nutrition', emoji: '🍎', color: '#64D2FF' },
-  { key: 'beginners', label: 'Beginners', emoji: '🌱', color: '#FFD700' },
-  { key: 'challenge', label: 'Challenge', emoji: '🏆', color: Colors.warning },
+  { key: 'all', labelKey: 'common.all', emoji: '', color: Colors.primary },
+  { key: 'general', labelKey: 'groups.categories.general', emoji: '💬', color: Colors.primary },
+  { key: 'weight-loss', labelKey: 'groups.categories.weightLoss', emoji: '🔥', color: Colors.secondary },
+  { key: 'muscle-building', labelKey: 'groups.categories.muscleBuilding', emoji: '💪', color: '#BF5AF2' },
+  { key: 'running', labelKey: 'groups.categories.running', emoji: '🏃', color: Colors.success },
+  { key: 'nutrition', labelKey: 'groups.categories.nutrition', emoji: '🍎', color: '#64D2FF' },
+  { key: 'beginners', labelKey: 'groups.categories.beginners', emoji: '🌱', color: '#FFD700' },
+  { key: 'challenge', labelKey: 'groups.categories.challenge', emoji: '🏆', color: Colors.warning },
 ];
 
 // --- Sample groups data ---
@@ -194,10 +196,7 @@ const SAMPLE_GROUPS = [
 
 // --- Helpers ---
 function formatMemberCount(count) {
-  if (count >= 1000) {
-    return `${(count / 1000).toFixed(1).replace(/\.0$/, '')}k`;
-  }
-  return String(count);
+  return count >= 1000 ? formatCompactNumber(count) : String(count);
 }
 
 function getCategoryInfo(key) {
@@ -206,6 +205,7 @@ function getCategoryInfo(key) {
 
 // --- Tab Selector ---
 const TabSelector = memo(function TabSelector({ activeTab, onTabChange }) {
+  const { t } = useTranslation();
   return (
     <ReAnimated.View
       entering={FadeInDown.delay(60).springify().mass(0.5).damping(10)}
@@ -228,12 +228,12 @@ const TabSelector = memo(function TabSelector({ activeTab, onTabChange }) {
                 style={styles.tabGradient}
               >
                 <IconComponent size={14} color={Colors.background} />
-                <Text style={styles.tabTextActive}>{tab.label}</Text>
+                <Text style={styles.tabTextActive}>{t(tab.labelKey)}</Text>
               </LinearGradient>
             ) : (
               <View style={styles.tabInner}>
                 <IconComponent size={14} color={Colors.textTertiary} />
-                <Text style={styles.tabText}>{tab.label}</Text>
+                <Text style={styles.tabText}>{t(tab.labelKey)}</Text>
               </View>
             )}
           </Pressable>
@@ -245,6 +245,7 @@ const TabSelector = memo(function TabSelector({ activeTab, onTabChange }) {
 
 // --- Category Pills ---
 const CategoryPills = memo(function CategoryPills({ selected, onSelect }) {
+  const { t } = useTranslation();
   return (
     <ScrollView
       horizontal
@@ -271,7 +272,7 @@ const CategoryPills = memo(function CategoryPills({ selected, onSelect }) {
                 isActive && { color: cat.color, fontWeight: FontWeight.semibold },
               ]}
             >
-              {cat.label}
+              {t(cat.labelKey)}
             </Text>
           </Pressable>
         );
@@ -282,6 +283,7 @@ const CategoryPills = memo(function CategoryPills({ selected, onSelect }) {
 
 // --- Group Card (Discover view) ---
 const GroupCard = memo(function GroupCard({ group, onJoin, onPress, index }) {
+  const { t } = useTranslation();
   const catInfo = getCategoryInfo(group.category);
 
   return (
@@ -294,7 +296,7 @@ const GroupCard = memo(function GroupCard({ group, onJoin, onPress, index }) {
           <View style={styles.groupCardHeader}>
             <View style={[styles.categoryBadge, { backgroundColor: catInfo.color + '18' }]}>
               <Text style={styles.categoryBadgeEmoji}>{catInfo.emoji}</Text>
-              <Text style={[styles.categoryBadgeText, { color: catInfo.color }]}>{catInfo.label}</Text>
+              <Text style={[styles.categoryBadgeText, { color: catInfo.color }]}>{t(catInfo.labelKey)}</Text>
             </View>
             {!group.isPublic && (
               <Shield size={14} color={Colors.textTertiary} />
@@ -311,12 +313,12 @@ const GroupCard = memo(function GroupCard({ group, onJoin, onPress, index }) {
           <View style={styles.groupCardFooter}>
             <View style={styles.memberCountRow}>
               <Users size={14} color={Colors.textTertiary} />
-              <Text style={styles.memberCountText}>{formatMemberCount(group.memberCount)} members</Text>
+              <Text style={styles.memberCountText}>{t('groups.memberCount', { count: group.memberCount, formatted: formatMemberCount(group.memberCount) })}</Text>
             </View>
 
             {group.joined ? (
               <View style={styles.joinedBadge}>
-                <Text style={styles.joinedBadgeText}>Joined</Text>
+                <Text style={styles.joinedBadgeText}>{t('groups.joined')}</Text>
               </View>
             ) : (
               <Pressable
@@ -330,7 +332,7 @@ const GroupCard = memo(function GroupCard({ group, onJoin, onPress, index }) {
                   style={styles.joinButtonGradient}
                 >
                   <Plus size={14} color={Colors.background} />
-                  <Text style={styles.joinButtonText}>Join</Text>
+                  <Text style={styles.joinButtonText}>{t('groups.join')}</Text>
                 </LinearGradient>
               </Pressable>
             )}
@@ -343,6 +345,7 @@ const GroupCard = memo(function GroupCard({ group, onJoin, onPress, index }) {
 
 // --- My Group Row ---
 const MyGroupRow = memo(function MyGroupRow({ group, onPress, index }) {
+  const { t } = useTranslation();
   const catInfo = getCategoryInfo(group.category);
 
   return (
@@ -373,7 +376,7 @@ const MyGroupRow = memo(function MyGroupRow({ group, onPress, index }) {
               {group.lastThread && (
                 <>
                   <MessageSquare size={11} color={Colors.textMuted} />
-                  <Text style={styles.myGroupMetaText}>{group.lastThread.replyCount} replies</Text>
+                  <Text style={styles.myGroupMetaText}>{t('groups.replies', { replyCount: group.lastThread.replyCount })}</Text>
                 </>
               )}
             </View>
@@ -405,6 +408,7 @@ const EmptyState = memo(function EmptyState({ icon: IconComponent, title, subtit
 
 // --- Create Category Picker ---
 const CreateCategoryPicker = memo(function CreateCategoryPicker({ selected, onSelect }) {
+  const { t } = useTranslation();
   // Exclude the 'all' option for creation
   const options = CATEGORIES.filter((c) => c.key !== 'all');
 
@@ -428,7 +432,7 @@ const CreateCategoryPicker = memo(function CreateCategoryPicker({ selected, onSe
                 isSelected && { color: cat.color, fontWeight: FontWeight.semibold },
               ]}
             >
-              {cat.label}
+              {t(cat.labelKey)}
             </Text>
           </Pressable>
         );
@@ -439,6 +443,7 @@ const CreateCategoryPicker = memo(function CreateCategoryPicker({ selected, onSe
 
 // --- Main Screen ---
 function GroupsScreenInner() {
+  const { t } = useTranslation();
   const [activeTab, setActiveTab] = useState('discover');
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('all');
@@ -585,7 +590,7 @@ function GroupsScreenInner() {
                 <Search size={18} color={Colors.textTertiary} />
                 <TextInput
                   style={styles.searchInput}
-                  placeholder="Search groups..."
+                  placeholder={t('groups.searchGroups')}
                   placeholderTextColor={Colors.textTertiary}
                   value={searchQuery}
                   onChangeText={setSearchQuery}
@@ -613,8 +618,8 @@ function GroupsScreenInner() {
       ListEmptyComponent={
         <EmptyState
           icon={Search}
-          title="No Groups Found"
-          subtitle="Try adjusting your search or browsing a different category."
+          title={t('groups.noGroupsFound')}
+          subtitle={t('groups.tryAdjustingYourSearch')}
         />
       }
     />
@@ -625,8 +630,8 @@ function GroupsScreenInner() {
       return (
         <EmptyState
           icon={Users}
-          title="No Groups Joined"
-          subtitle="Discover and join groups to connect with like-minded people."
+          title={t('groups.noGroupsJoined')}
+          subtitle={t('groups.discoverAndJoinGroups')}
         />
       );
     }
@@ -658,12 +663,12 @@ function GroupsScreenInner() {
       >
         {/* Name */}
         <ReAnimated.View entering={FadeInDown.delay(80).springify().mass(0.5).damping(10)}>
-          <Text style={styles.formLabel}>Group Name</Text>
+          <Text style={styles.formLabel}>{t('groups.groupName')}</Text>
           <TextInput
             style={styles.formInput}
             value={formName}
             onChangeText={setFormName}
-            placeholder="e.g. Morning Runners Club"
+            placeholder={t('groups.eGMorningRunners')}
             placeholderTextColor={Colors.inputPlaceholder}
             maxLength={60}
           />
@@ -671,12 +676,12 @@ function GroupsScreenInner() {
 
         {/* Description */}
         <ReAnimated.View entering={FadeInDown.delay(120).springify().mass(0.5).damping(10)}>
-          <Text style={styles.formLabel}>Description</Text>
+          <Text style={styles.formLabel}>{t('groups.description')}</Text>
           <TextInput
             style={[styles.formInput, styles.formInputMultiline]}
             value={formDescription}
             onChangeText={setFormDescription}
-            placeholder="What is this group about?"
+            placeholder={t('groups.whatIsThisGroup')}
             placeholderTextColor={Colors.inputPlaceholder}
             multiline
             numberOfLines={3}
@@ -687,24 +692,24 @@ function GroupsScreenInner() {
 
         {/* Category */}
         <ReAnimated.View entering={FadeInDown.delay(160).springify().mass(0.5).damping(10)}>
-          <Text style={styles.formLabel}>Category</Text>
+          <Text style={styles.formLabel}>{t('groups.category')}</Text>
           <CreateCategoryPicker selected={formCategory} onSelect={setFormCategory} />
         </ReAnimated.View>
 
         {/* Public/Private Toggle */}
         <ReAnimated.View entering={FadeInDown.delay(200).springify().mass(0.5).damping(10)}>
-          <Text style={styles.formLabel}>Visibility</Text>
+          <Text style={styles.formLabel}>{t('groups.visibility')}</Text>
           <View style={styles.visibilityRow}>
             <View style={styles.visibilityInfo}>
               <Shield size={18} color={formIsPublic ? Colors.primary : Colors.textTertiary} />
               <View style={styles.visibilityTextContainer}>
                 <Text style={[styles.visibilityLabel, formIsPublic && { color: Colors.primary }]}>
-                  {formIsPublic ? 'Public Group' : 'Private Group'}
+                  {formIsPublic ? t('groups.publicGroup') : t('groups.privateGroup')}
                 </Text>
                 <Text style={styles.visibilityDescription}>
                   {formIsPublic
-                    ? 'Anyone can find and join this group'
-                    : 'Only invited members can join'}
+                    ? t('groups.anyoneCanFindAnd')
+                    : t('groups.onlyInvitedMembersCan')}
                 </Text>
               </View>
             </View>
@@ -735,7 +740,7 @@ function GroupsScreenInner() {
               style={styles.createButtonGradient}
             >
               <Plus size={20} color={Colors.background} />
-              <Text style={styles.createButtonText}>Create Group</Text>
+              <Text style={styles.createButtonText}>{t('groups.createGroup')}</Text>
             </LinearGradient>
           </Pressable>
         </ReAnimated.View>
@@ -757,7 +762,7 @@ function GroupsScreenInner() {
         </Pressable>
         <View style={styles.headerCenter}>
           <Users size={22} color={Colors.primary} />
-          <Text style={styles.headerTitle}>Groups</Text>
+          <Text style={styles.headerTitle}>{t('groups.groups')}</Text>
         </View>
         <View style={styles.headerRight}>
           <View style={styles.groupCountBadge}>
@@ -19,6 +19,7 @@ import {
   Target,
   TrendingUp,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import { BorderRadius, Colors, FontSize, FontWeight, Spacing } from '../constants/theme';
 import { fetchOperatorAnalytics } from '../services/operatorAnalytics';
@@ -44,16 +45,16 @@ function formatLatency(value) {
   return `${(value / 1000).toFixed(value >= 10_000 ? 0 : 1)}s`;
 }
 
-function formatStage(stage) {
+function formatStage(t, stage) {
   switch (stage) {
     case 'first_meal':
-      return 'Need first meal';
+      return t('growthOps.needFirstMeal');
     case 'first_barcode':
-      return 'Need first barcode';
+      return t('growthOps.needFirstBarcode');
     case 'repeat_log':
-      return 'Need repeat log';
+      return t('growthOps.needRepeatLog');
     default:
-      return 'Activated';
+      return t('growthOps.activated');
   }
 }
 
@@ -83,11 +84,12 @@ function SectionCard({ title, subtitle, children, rightAction }) {
 }
 
 function FunnelRow({ step }) {
+  const { t } = useTranslation();
   return (
     <View style={styles.funnelRow}>
       <View style={styles.funnelCopy}>
         <Text style={styles.funnelLabel}>{step.label}</Text>
-        <Text style={styles.funnelCount}>{step.users} users</Text>
+        <Text style={styles.funnelCount}>{t('growthOps.users', { users: step.users })}</Text>
       </View>
       <Text style={styles.funnelRate}>{formatRate(step.conversionRate)}</Text>
     </View>
@@ -107,6 +109,7 @@ function InsightRow({ label, value, secondary }) {
 }
 
 export default function GrowthOpsScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const [windowDays, setWindowDays] = useState(7);
   const [snapshot, setSnapshot] = useState(null);
@@ -147,35 +150,35 @@ export default function GrowthOpsScreen() {
       return { title: '', detail: '' };
     }
     if (!snapshot) {
-      return { title: 'Loading', detail: '' };
+      return { title: t('growthOps.loading'), detail: '' };
     }
 
     if (snapshot.search.zeroResultRate && snapshot.search.zeroResultRate >= 15) {
       return {
-        title: 'Fix zero-result search terms',
-        detail: 'The biggest quality leak is still search misses. Use the top zero-result queries below as the immediate backlog.',
+        title: t('growthOps.fixZeroResultSearch'),
+        detail: t('growthOps.theBiggestQualityLeak'),
       };
     }
 
     if (snapshot.barcode.successRate !== null && snapshot.barcode.successRate < 80) {
       return {
-        title: 'Fix barcode misses',
-        detail: 'Barcode trust is still below the target line. Prioritize the repeated misses shown below.',
+        title: t('growthOps.fixBarcodeMisses'),
+        detail: t('growthOps.barcodeTrustIsStill'),
       };
     }
 
     if (snapshot.funnel.steps[6]?.conversionRate !== null && (snapshot.funnel.steps[6]?.conversionRate || 0) < 35) {
       return {
-        title: 'Tune the post-value paywall',
-        detail: 'Users are reaching value but not converting cleanly enough. Test paywall sources and copy next.',
+        title: t('growthOps.tuneThePostValue'),
+        detail: t('growthOps.usersAreReachingValue'),
       };
     }
 
     return {
-      title: 'Hold the core loop steady',
-      detail: 'The current bottleneck is not obvious. Watch daily drift and keep pressure on trust and repeatability.',
+      title: t('growthOps.holdTheCoreLoop'),
+      detail: t('growthOps.theCurrentBottleneckIs'),
     };
-  }, [snapshot]);
+  }, [snapshot, t]);
 
   if (!__DEV__) {
     return null;
@@ -186,8 +189,8 @@ export default function GrowthOpsScreen() {
       <ScreenWrapper>
         <View style={styles.loadingState}>
           <ActivityIndicator size="large" color={Colors.primary} />
-          <Text style={styles.loadingTitle}>Loading Growth Ops</Text>
-          <Text style={styles.loadingHint}>Pulling the latest funnel and quality signals.</Text>
+          <Text style={styles.loadingTitle}>{t('growthOps.loadingGrowthOps')}</Text>
+          <Text style={styles.loadingHint}>{t('growthOps.pullingTheLatestFunnel')}</Text>
         </View>
       </ScreenWrapper>
     );
@@ -212,8 +215,8 @@ export default function GrowthOpsScreen() {
             <ArrowLeft size={18} color={Colors.text} />
           </Pressable>
           <View style={styles.headerCopy}>
-            <Text style={styles.title}>Growth Ops</Text>
-            <Text style={styles.subtitle}>Production truth for funnel, quality, and monetization.</Text>
+            <Text style={styles.title}>{t('growthOps.growthOps')}</Text>
+            <Text style={styles.subtitle}>{t('growthOps.productionTruthForFunnel')}</Text>
           </View>
           <Pressable style={styles.refreshButton} onPress={() => loadSnapshot(windowDays, true)}>
             <RefreshCw size={16} color={Colors.primary} />
@@ -236,7 +239,7 @@ export default function GrowthOpsScreen() {
 
         {snapshot?.source === 'local' ? (
           <View style={styles.warningBanner}>
-            <Text style={styles.warningTitle}>Remote analytics unavailable</Text>
+            <Text style={styles.warningTitle}>{t('growthOps.remoteAnalyticsUnavailable')}</Text>
             <Text style={styles.warningBody}>
               {snapshot.fallbackReason || 'Showing device-only activation data until the analytics stream is readable.'}
             </Text>
@@ -245,28 +248,28 @@ export default function GrowthOpsScreen() {
 
         <View style={styles.summaryGrid}>
           <SummaryCard
-            label="Actors"
+            label={t('growthOps.actors')}
             value={String(snapshot?.actorCount || 0)}
-            hint={`${snapshot?.windowDays || windowDays}-day scope`}
+            hint={t('growthOps.dayScope', { days: snapshot?.windowDays || windowDays })}
             tone={Colors.primary}
           />
           <SummaryCard
-            label="Events"
+            label={t('growthOps.events')}
             value={String(snapshot?.rowCount || 0)}
-            hint={snapshot?.source === 'remote' ? 'analytics_events' : 'device fallback'}
+            hint={snapshot?.source === 'remote' ? 'analytics_events' : t('growthOps.deviceFallback')}
             tone={Colors.secondary}
           />
           <SummaryCard
-            label="Device Stage"
-            value={formatStage(snapshot?.localActivation.stage)}
-            hint={`${snapshot?.localActivation.progress || 0}/3 complete`}
+            label={t('growthOps.deviceStage')}
+            value={formatStage(t, snapshot?.localActivation.stage)}
+            hint={t('growthOps.activationComplete', { progress: snapshot?.localActivation.progress || 0, total: 3 })}
             tone={Colors.success}
           />
         </View>
 
         <SectionCard
-          title="Operator Priority"
-          subtitle="What should get fixed next"
+          title={t('growthOps.operatorPriority')}
+          subtitle={t('growthOps.whatShouldGetFixed')}
           rightAction={
             <View style={styles.priorityBadge}>
               <Target size={14} color={Colors.primary} />
@@ -278,8 +281,8 @@ export default function GrowthOpsScreen() {
         </SectionCard>
 
         <SectionCard
-          title="Funnel"
-          subtitle="Users moving from onboarding to paid"
+          title={t('growthOps.funnel')}
+          subtitle={t('growthOps.usersMovingFromOnboarding')}
           rightAction={<BarChart3 size={18} color={Colors.primary} />}
         >
           {snapshot?.funnel.steps.map((step) => (
@@ -288,115 +291,115 @@ export default function GrowthOpsScreen() {
         </SectionCard>
 
         <SectionCard
-          title="Search Quality"
-          subtitle="Trust and speed in the food search loop"
+          title={t('growthOps.searchQuality')}
+          subtitle={t('growthOps.trustAndSpeedIn')}
           rightAction={<Search size={18} color={Colors.primary} />}
         >
           <View style={styles.metricRow}>
-            <SummaryCard label="Selection" value={formatRate(snapshot?.search.selectionRate)} hint="results selected / searches started" tone={Colors.warning} />
-            <SummaryCard label="Zero Results" value={formatRate(snapshot?.search.zeroResultRate)} hint="searches returning nothing" tone={Colors.error} />
+            <SummaryCard label={t('growthOps.selection')} value={formatRate(snapshot?.search.selectionRate)} hint={t('growthOps.resultsSelectedSearchesStarted')} tone={Colors.warning} />
+            <SummaryCard label={t('growthOps.zeroResults')} value={formatRate(snapshot?.search.zeroResultRate)} hint={t('growthOps.searchesReturningNothing')} tone={Colors.error} />
           </View>
           <View style={styles.metricRow}>
-            <SummaryCard label="Avg Search" value={formatLatency(snapshot?.search.avgLatencyMs)} hint="search completion latency" tone={Colors.primary} />
-            <SummaryCard label="Cache Hits" value={formatRate(snapshot?.search.completed ? Math.round((snapshot.search.cacheHits / snapshot.search.completed) * 100) : null)} hint="searches served instantly" tone={Colors.success} />
+            <SummaryCard label={t('growthOps.avgSearch')} value={formatLatency(snapshot?.search.avgLatencyMs)} hint={t('growthOps.searchCompletionLatency')} tone={Colors.primary} />
+            <SummaryCard label={t('growthOps.cacheHits')} value={formatRate(snapshot?.search.completed ? Math.round((snapshot.search.cacheHits / snapshot.search.completed) * 100) : null)} hint={t('growthOps.searchesServedInstantly')} tone={Colors.success} />
           </View>
-          <Text style={styles.inlineSectionTitle}>Top zero-result queries</Text>
+          <Text style={styles.inlineSectionTitle}>{t('growthOps.topZeroResultQueries')}</Text>
           {snapshot?.search.topZeroResultQueries.length ? (
             snapshot.search.topZeroResultQueries.map((item) => (
               <InsightRow
                 key={`zero-${item.query}`}
                 label={item.query}
-                secondary={item.avgLatencyMs ? `avg ${formatLatency(item.avgLatencyMs)}` : undefined}
+                secondary={item.avgLatencyMs ? t('growthOps.avgLatency', { latency: formatLatency(item.avgLatencyMs) }) : undefined}
                 value={`${item.count}x`}
               />
             ))
           ) : (
-            <Text style={styles.emptyText}>No zero-result searches in this window.</Text>
+            <Text style={styles.emptyText}>{t('growthOps.noZeroResultSearches')}</Text>
           )}
-          <Text style={styles.inlineSectionTitle}>Slowest recurring queries</Text>
+          <Text style={styles.inlineSectionTitle}>{t('growthOps.slowestRecurringQueries')}</Text>
           {snapshot?.search.slowQueries.length ? (
             snapshot.search.slowQueries.slice(0, 5).map((item) => (
               <InsightRow
                 key={`slow-${item.query}`}
                 label={item.query}
-                secondary={`${item.count} searches`}
+                secondary={t('growthOps.searches', { count: item.count })}
                 value={formatLatency(item.avgLatencyMs)}
               />
             ))
           ) : (
-            <Text style={styles.emptyText}>No slow search patterns yet.</Text>
+            <Text style={styles.emptyText}>{t('growthOps.noSlowSearchPatterns')}</Text>
           )}
         </SectionCard>
 
         <SectionCard
-          title="Barcode Quality"
-          subtitle="How often scans turn into trusted results"
+          title={t('growthOps.barcodeQuality')}
+          subtitle={t('growthOps.howOftenScansTurn')}
           rightAction={<ScanBarcode size={18} color={Colors.primary} />}
         >
           <View style={styles.metricRow}>
-            <SummaryCard label="Hit Rate" value={formatRate(snapshot?.barcode.successRate)} hint="barcode found / started" tone={Colors.secondary} />
-            <SummaryCard label="Avg Lookup" value={formatLatency(snapshot?.barcode.avgLatencyMs)} hint="barcode lookup latency" tone={Colors.primary} />
+            <SummaryCard label={t('growthOps.hitRate')} value={formatRate(snapshot?.barcode.successRate)} hint={t('growthOps.barcodeFoundStarted')} tone={Colors.secondary} />
+            <SummaryCard label={t('growthOps.avgLookup')} value={formatLatency(snapshot?.barcode.avgLatencyMs)} hint={t('growthOps.barcodeLookupLatency')} tone={Colors.primary} />
           </View>
-          <Text style={styles.inlineSectionTitle}>Top missed barcodes</Text>
+          <Text style={styles.inlineSectionTitle}>{t('growthOps.topMissedBarcodes')}</Text>
           {snapshot?.barcode.topMisses.length ? (
             snapshot.barcode.topMisses.map((item) => (
               <InsightRow
                 key={`barcode-${item.barcode}`}
                 label={item.barcode}
-                secondary={item.avgLatencyMs ? `avg ${formatLatency(item.avgLatencyMs)}` : undefined}
+                secondary={item.avgLatencyMs ? t('growthOps.avgLatency', { latency: formatLatency(item.avgLatencyMs) }) : undefined}
                 value={`${item.count}x`}
               />
             ))
           ) : (
-            <Text style={styles.emptyText}>No barcode misses in this window.</Text>
+            <Text style={styles.emptyText}>{t('growthOps.noBarcodeMissesIn')}</Text>
           )}
         </SectionCard>
 
         <SectionCard
-          title="Monetization"
-          subtitle="Where the post-value paywall is working"
+          title={t('growthOps.monetization')}
+          subtitle={t('growthOps.whereThePostValue')}
           rightAction={<TrendingUp size={18} color={Colors.primary} />}
         >
           <View style={styles.metricRow}>
-            <SummaryCard label="Views" value={String(snapshot?.paywall.viewed || 0)} hint="paywall impressions" tone={Colors.primary} />
-            <SummaryCard label="Conv." value={formatRate(snapshot?.paywall.conversionRate)} hint="conversions / views" tone={Colors.success} />
+            <SummaryCard label={t('growthOps.views')} value={String(snapshot?.paywall.viewed || 0)} hint={t('growthOps.paywallImpressions')} tone={Colors.primary} />
+            <SummaryCard label={t('growthOps.conv')} value={formatRate(snapshot?.paywall.conversionRate)} hint={t('growthOps.conversionsViews')} tone={Colors.success} />
           </View>
           {snapshot?.paywall.sources.length ? (
             snapshot.paywall.sources.map((source) => (
               <InsightRow
                 key={source.key}
                 label={`${source.source} • ${source.trigger}`}
-                secondary={`${source.views} views`}
+                secondary={t('growthOps.views2', { views: source.views })}
                 value={formatRate(source.conversionRate)}
               />
             ))
           ) : (
-            <Text style={styles.emptyText}>No paywall source data in this window.</Text>
+            <Text style={styles.emptyText}>{t('growthOps.noPaywallSourceData')}</Text>
           )}
         </SectionCard>
 
         <SectionCard
-          title="Retention"
-          subtitle="Current device activation state and next nudge"
+          title={t('growthOps.retention')}
+          subtitle={t('growthOps.currentDeviceActivationState')}
           rightAction={
             <Pressable style={styles.inlineAction} onPress={() => router.push('/(tabs)/add')}>
-              <Text style={styles.inlineActionText}>Open Log</Text>
+              <Text style={styles.inlineActionText}>{t('growthOps.openLog')}</Text>
               <ChevronRight size={14} color={Colors.primary} />
             </Pressable>
           }
         >
           <InsightRow
-            label="Activation stage"
+            label={t('growthOps.activationStage')}
             secondary="This device"
-            value={formatStage(snapshot?.localActivation.stage)}
+            value={formatStage(t, snapshot?.localActivation.stage)}
           />
           <InsightRow
-            label="Time to first log"
+            label={t('growthOps.timeToFirstLog')}
             secondary="Onboarding complete to first meal"
             value={formatLatency(snapshot?.localActivation.metrics.timeToFirstLogMs)}
           />
           <InsightRow
-            label="Time to second log"
+            label={t('growthOps.timeToSecondLog')}
             secondary="Onboarding complete to second meal"
             value={formatLatency(snapshot?.localActivation.metrics.timeToSecondLogMs)}
           />
@@ -57,7 +57,9 @@ import {
 } from '../constants/theme';
 import useHabits from '../hooks/useHabits';
 import { hapticLight, hapticSuccess } from '../lib/haptics';
+import { formatWeekday, getWeekdayLabels } from '../lib/formatters';
 import { format } from 'date-fns';
+import { useTranslation } from 'react-i18next';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 
@@ -81,15 +83,12 @@ const COLOR_OPTIONS = [
 
 // Frequency options
 const FREQUENCY_OPTIONS = [
-  { key: 'daily', label: 'Daily' },
-  { key: 'weekdays', label: 'Weekdays' },
-  { key: 'weekends', label: 'Weekends' },
-  { key: 'custom', label: 'Custom' },
+  { key: 'daily', labelKey: 'habits.frequencyOptions.daily' },
+  { key: 'weekdays', labelKey: 'habits.frequencyOptions.weekdays' },
+  { key: 'weekends', labelKey: 'habits.frequencyOptions.weekends' },
+  { key: 'custom', labelKey: 'habits.frequencyOptions.custom' },
 ];
 
-// Day labels for custom frequency
-const DAY_LABELS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
-
 // Preset habit suggestions
 const PRESET_SUGGESTIONS = [
   { name: '10,000 steps', emoji: '🚶', color: '#00E676' },
@@ -101,13 +100,13 @@ const PRESET_SUGGESTIONS = [
 ];
 
 // Motivational messages based on progress
-function getMotivation(percentage) {
-  if (percentage === 0) return 'Start your day strong!';
-  if (percentage < 25) return 'You\'re getting started!';
-  if (percentage < 50) return 'Keep the momentum going!';
-  if (percentage < 75) return 'More than halfway there!';
-  if (percentage < 100) return 'Almost done, push through!';
-  return 'All habits complete! Great work!';
+function getMotivation(t, percentage) {
+  if (percentage === 0) return t('habits.startYourDayStrong');
+  if (percentage < 25) return t('habits.youreGettingStarted');
+  if (percentage < 50) return t('habits.keepTheMomentumGoing');
+  if (percentage < 75) return t('habits.moreThanHalfwayThere');
+  if (percentage < 100) return t('habits.almostDonePushThrough');
+  return t('habits.allHabitsCompleteGreat');
 }
 
 // ---- Progress Ring Component ----
@@ -192,6 +191,7 @@ function HabitCheckbox({ completed, target, color, onPress }) {
 
 // ---- Habit Row Component ----
 function HabitRow({ habit, completed, streak, onToggle, onLongPress }) {
+  const { t } = useTranslation();
   const isFullyDone = completed >= habit.targetPerDay;
 
   return (
@@ -234,7 +234,7 @@ function HabitRow({ habit, completed, streak, onToggle, onLongPress }) {
         </View>
         {habit.targetPerDay > 1 && (
           <Text style={styles.habitSubtext}>
-            {completed}/{habit.targetPerDay} today
+            {t('habits.completedToday', { completed, target: habit.targetPerDay })}
           </Text>
         )}
       </View>
@@ -295,6 +295,7 @@ function StreakLeaderCard({ habit, streak, rank, delay }) {
 // Main Screen
 // ============================================================
 export default function HabitsScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const {
     habits,
@@ -381,7 +382,7 @@ export default function HabitsScreen() {
   const handleSave = useCallback(() => {
     const trimmed = formName.trim();
     if (!trimmed) {
-      Alert.alert('Name Required', 'Please enter a habit name.');
+      Alert.alert(t('habits.nameRequired'), t('habits.pleaseEnterAHabit'));
       return;
     }
 
@@ -404,7 +405,7 @@ export default function HabitsScreen() {
         targetPerDay: formTarget,
       });
       if (!ok) {
-        Alert.alert('Limit Reached', 'You can track up to 20 habits.');
+        Alert.alert(t('habits.limitReached'), t('habits.youCanTrackUp'));
         return;
       }
     }
@@ -414,17 +415,18 @@ export default function HabitsScreen() {
   }, [
     formName, formEmoji, formColor, formFrequency, formCustomDays, formTarget,
     editingHabit, editHabit, addHabit, closeModal,
+    t,
   ]);
 
   const handleDelete = useCallback(() => {
     if (!editingHabit) return;
     Alert.alert(
-      'Delete Habit',
-      `Remove "${editingHabit.name}" and all its data?`,
+      t('habits.deleteHabit'),
+      t('habits.removeAndAllIts', { name: editingHabit.name }),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Delete',
+          text: t('common.delete'),
           style: 'destructive',
           onPress: () => {
             deleteHabit(editingHabit.id);
@@ -434,7 +436,7 @@ export default function HabitsScreen() {
         },
       ]
     );
-  }, [editingHabit, deleteHabit, closeModal]);
+  }, [editingHabit, deleteHabit, closeModal, t]);
 
   const handleToggle = useCallback((habitId) => {
     const habit = habits.find(h => h.id === habitId);
@@ -472,7 +474,7 @@ export default function HabitsScreen() {
     return (
       <ScreenWrapper>
         <View style={styles.loadingContainer}>
-          <Text style={styles.loadingText}>Loading habits...</Text>
+          <Text style={styles.loadingText}>{t('habits.loadingHabits')}</Text>
         </View>
       </ScreenWrapper>
     );
@@ -497,7 +499,7 @@ export default function HabitsScreen() {
           <ArrowLeft size={22} color={Colors.text} />
         </Pressable>
 
-        <Text style={styles.headerTitle}>Habits</Text>
+        <Text style={styles.headerTitle}>{t('habits.habits')}</Text>
 
         <Pressable
           onPress={openAddModal}
@@ -531,14 +533,14 @@ export default function HabitsScreen() {
               />
 
               <View style={styles.progressInfo}>
-                <Text style={styles.progressTitle}>Today</Text>
+                <Text style={styles.progressTitle}>{t('common.today')}</Text>
                 <Text style={styles.progressCount}>
                   {progress.completed}{' '}
-                  <Text style={styles.progressCountDim}>of {progress.total}</Text>
+                  <Text style={styles.progressCountDim}>{t('habits.of', { total: progress.total })}</Text>
                 </Text>
-                <Text style={styles.progressLabel}>habits complete</Text>
+                <Text style={styles.progressLabel}>{t('habits.habitsComplete')}</Text>
                 <Text style={styles.progressMotivation}>
-                  {getMotivation(progress.percentage)}
+                  {getMotivation(t, progress.percentage)}
                 </Text>
               </View>
             </View>
@@ -552,14 +554,14 @@ export default function HabitsScreen() {
           >
             <View style={styles.emptyState}>
               <Target size={48} color={Colors.textTertiary} />
-              <Text style={styles.emptyTitle}>No habits yet</Text>
+              <Text style={styles.emptyTitle}>{t('habits.noHabitsYet')}</Text>
               <Text style={styles.emptySubtitle}>
-                Start building healthy routines. Tap the + button or choose a preset below.
+                {t('habits.startBuildingHealthyRoutines')}
               </Text>
             </View>
 
             {/* Preset suggestions */}
-            <Text style={styles.sectionTitle}>Quick Start</Text>
+            <Text style={styles.sectionTitle}>{t('habits.quickStart')}</Text>
             <View style={styles.presetGrid}>
               {PRESET_SUGGESTIONS.map((preset, idx) => (
                 <Pressable
@@ -580,10 +582,10 @@ export default function HabitsScreen() {
           <ReAnimated.View
             entering={FadeInDown.delay(200).springify().damping(12)}
           >
-            <Text style={styles.sectionTitle}>Today's Habits</Text>
+            <Text style={styles.sectionTitle}>{t('habits.todaysHabits')}</Text>
             {activeHabits.length === 0 ? (
               <View style={styles.noneToday}>
-                <Text style={styles.noneTodayText}>No habits scheduled for today</Text>
+                <Text style={styles.noneTodayText}>{t('habits.noHabitsScheduledFor')}</Text>
               </View>
             ) : (
               activeHabits.map((habit) => {
@@ -609,7 +611,7 @@ export default function HabitsScreen() {
           <ReAnimated.View
             entering={FadeInDown.delay(300).springify().damping(12)}
           >
-            <Text style={styles.sectionTitle}>Weekly Overview</Text>
+            <Text style={styles.sectionTitle}>{t('habits.weeklyOverview')}</Text>
             <View style={styles.weeklyCard}>
               {/* Day headers */}
               <View style={styles.weeklyHeaderRow}>
@@ -622,7 +624,7 @@ export default function HabitsScreen() {
                     days.push(
                       <View key={i} style={styles.weeklyDayCol}>
                         <Text style={styles.weeklyDayLabel}>
-                          {format(d, 'EEE').charAt(0)}
+                          {formatWeekday(d, 'narrow')}
                         </Text>
                       </View>
                     );
@@ -660,7 +662,7 @@ export default function HabitsScreen() {
           <ReAnimated.View
             entering={FadeInDown.delay(400).springify().damping(12)}
           >
-            <Text style={styles.sectionTitle}>Streak Leaders</Text>
+            <Text style={styles.sectionTitle}>{t('habits.streakLeaders')}</Text>
             <View style={styles.streakLeadersRow}>
               {streakLeaders.map((item, idx) => (
                 <StreakLeaderCard
@@ -682,7 +684,7 @@ export default function HabitsScreen() {
           >
             <Pressable onPress={openAddModal} style={styles.addMoreButton}>
               <Plus size={18} color={Colors.primary} />
-              <Text style={styles.addMoreText}>Add New Habit</Text>
+              <Text style={styles.addMoreText}>{t('habits.addNewHabit')}</Text>
             </Pressable>
           </ReAnimated.View>
         )}
@@ -713,7 +715,7 @@ export default function HabitsScreen() {
               {/* Modal Header */}
               <View style={styles.modalHeader}>
                 <Text style={styles.modalTitle}>
-                  {editingHabit ? 'Edit Habit' : 'New Habit'}
+                  {editingHabit ? t('habits.editHabit') : t('habits.newHabit')}
                 </Text>
                 <Pressable onPress={closeModal} style={styles.modalCloseBtn}>
                   <X size={20} color={Colors.textSecondary} />
@@ -726,20 +728,20 @@ export default function HabitsScreen() {
                 keyboardShouldPersistTaps="handled"
               >
                 {/* Name input */}
-                <Text style={styles.modalLabel}>Name</Text>
+                <Text style={styles.modalLabel}>{t('habits.name')}</Text>
                 <TextInput
                   ref={nameInputRef}
                   style={styles.modalInput}
                   value={formName}
                   onChangeText={setFormName}
-                  placeholder="e.g. Morning run"
+                  placeholder={t('habits.eGMorningRun')}
                   placeholderTextColor={Colors.textTertiary}
                   maxLength={40}
                   autoFocus={!editingHabit}
                 />
 
                 {/* Emoji picker */}
-                <Text style={styles.modalLabel}>Icon</Text>
+                <Text style={styles.modalLabel}>{t('habits.icon')}</Text>
                 <View style={styles.emojiGrid}>
                   {EMOJI_OPTIONS.map((emoji) => (
                     <Pressable
@@ -756,7 +758,7 @@ export default function HabitsScreen() {
                 </View>
 
                 {/* Color picker */}
-                <Text style={styles.modalLabel}>Color</Text>
+                <Text style={styles.modalLabel}>{t('habits.color')}</Text>
                 <View style={styles.colorGrid}>
                   {COLOR_OPTIONS.map((color) => (
                     <Pressable
@@ -776,7 +778,7 @@ export default function HabitsScreen() {
                 </View>
 
                 {/* Frequency selector */}
-                <Text style={styles.modalLabel}>Frequency</Text>
+                <Text style={styles.modalLabel}>{t('habits.frequency')}</Text>
                 <View style={styles.frequencyRow}>
                   {FREQUENCY_OPTIONS.map((opt) => (
                     <Pressable
@@ -793,7 +795,7 @@ export default function HabitsScreen() {
                           formFrequency === opt.key && styles.frequencyChipTextActive,
                         ]}
                       >
-                        {opt.label}
+                        {t(opt.labelKey)}
                       </Text>
                     </Pressable>
                   ))}
@@ -802,7 +804,7 @@ export default function HabitsScreen() {
                 {/* Custom day selector */}
                 {formFrequency === 'custom' && (
                   <View style={styles.customDaysRow}>
-                    {DAY_LABELS.map((label, idx) => {
+                    {getWeekdayLabels('narrow', 0).map((label, idx) => {
                       const isActive = formCustomDays.includes(idx);
                       return (
                         <Pressable
@@ -828,7 +830,7 @@ export default function HabitsScreen() {
                 )}
 
                 {/* Target per day stepper */}
-                <Text style={styles.modalLabel}>Target per Day</Text>
+                <Text style={styles.modalLabel}>{t('habits.targetPerDay')}</Text>
                 <View style={styles.stepperRow}>
                   <Pressable
                     onPress={() => {
@@ -869,7 +871,7 @@ export default function HabitsScreen() {
                 {editingHabit && (
                   <Pressable onPress={handleDelete} style={styles.deleteButton}>
                     <Trash2 size={18} color={Colors.error} />
-                    <Text style={styles.deleteButtonText}>Delete Habit</Text>
+                    <Text style={styles.deleteButtonText}>{t('habits.deleteHabit')}</Text>
                   </Pressable>
                 )}
 
@@ -885,7 +887,7 @@ export default function HabitsScreen() {
                   style={styles.saveButtonGradient}
                 >
                   <Text style={styles.saveButtonText}>
-                    {editingHabit ? 'Save Changes' : 'Add Habit'}
+                    {editingHabit ? t('habits.saveChanges') : t('habits.addHabit')}
                   </Text>
                 </LinearGradient>
               </Pressable>
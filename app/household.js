@@ -0,0 +1,1005 @@
+import React, { useCallback, useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  Pressable,
+  TextInput,
+  Modal,
+  Alert,
+  Share,
+  ActivityIndicator,
+  RefreshControl,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useRouter } from 'expo-router';
+import {
+  ArrowLeft,
+  Home,
+  Users,
+  Share2,
+  ChefHat,
+  ShoppingCart,
+  CalendarDays,
+  Minus,
+  Plus,
+  Check,
+  X,
+  Trash2,
+  Split,
+  LogOut,
+  ChevronRight,
+} from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
+import ScreenErrorBoundary from '../components/ScreenErrorBoundary';
+import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
+import { useAuth } from '../context/AuthContext';
+import { useProfile } from '../context/ProfileContext';
+import { useFood } from '../context/FoodContext';
+import { useHousehold } from '../context/HouseholdContext';
+import { HOUSEHOLD_MAX_MEMBERS, formatInviteCode, isValidInviteCode, normalizeInviteCode } from '../lib/household';
+import { portionToFood } from '../services/household';
+import { hapticLight, hapticSuccess } from '../lib/haptics';
+import { trackEvent } from '../lib/analytics';
+
+const MEAL_TYPE_LABEL_KEYS = {
+  breakfast: 'diary.breakfast',
+  lunch: 'diary.lunch',
+  dinner: 'diary.dinner',
+  snacks: 'diary.snacks',
+};
+
+const SHARE_STEP = 0.5;
+
+// ---- Create / Join ----
+function HouseholdSetup({ defaultName }) {
+  const { t } = useTranslation();
+  const { createHousehold, joinHousehold } = useHousehold();
+  const [mode, setMode] = useState('create');
+  const [displayName, setDisplayName] = useState(defaultName || '');
+  const [householdName, setHouseholdName] = useState('');
+  const [inviteCode, setInviteCode] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const canSubmit = displayName.trim().length > 0 && (
+    mode === 'create' ? householdName.trim().length > 0 : isValidInviteCode(inviteCode)
+  );
+
+  const handleSubmit = useCallback(async () => {
+    if (!canSubmit || busy) return;
+    setBusy(true);
+    try {
+      if (mode === 'create') {
+        await createHousehold(householdName, displayName);
+        trackEvent('engagement', 'household_created');
+      } else {
+        await joinHousehold(normalizeInviteCode(inviteCode), displayName);
+        trackEvent('engagement', 'household_joined');
+      }
+      hapticSuccess();
+    } catch (error) {
+      Alert.alert(t('household.errorTitle'), error.message || t('household.genericError'));
+    } finally {
+      setBusy(false);
+    }
+  }, [canSubmit, busy, mode, householdName, displayName, inviteCode, createHousehold, joinHousehold, t]);
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.setupIcon}>
+        <Home size={32} color={Colors.primary} />
+      </View>
+      <Text style={styles.setupTitle}>{t('household.setupTitle')}</Text>
+      <Text style={styles.setupText}>{t('household.setupText')}</Text>
+
+      <View style={styles.segment}>
+        {['create', 'join'].map((option) => (
+          <Pressable
+            key={option}
+            style={[styles.segmentOption, mode === option && styles.segmentOptionActive]}
+            onPress={() => { hapticLight(); setMode(option); }}
+            accessibilityRole="button"
+            accessibilityState={{ selected: mode === option }}
+          >
+            <Text style={[styles.segmentText, mode === option && styles.segmentTextActive]}>
+              {option === 'create' ? t('household.create') : t('household.join')}
+            </Text>
+          </Pressable>
+        ))}
+      </View>
+
+      <Text style={styles.inputLabel}>{t('household.yourName')}</Text>
+      <TextInput
+        style={styles.input}
+        value={displayName}
+        onChangeText={setDisplayName}
+        placeholder={t('household.yourNamePlaceholder')}
+        placeholderTextColor={Colors.textTertiary}
+        maxLength={40}
+      />
+
+      {mode === 'create' ? (
+        <>
+          <Text style={styles.inputLabel}>{t('household.householdName')}</Text>
+          <TextInput
+            style={styles.input}
+            value={householdName}
+            onChangeText={setHouseholdName}
+            placeholder={t('household.householdNamePlaceholder')}
+            placeholderTextColor={Colors.textTertiary}
+            maxLength={60}
+          />
+        </>
+      ) : (
+        <>
+          <Text style={styles.inputLabel}>{t('household.inviteCode')}</Text>
+          <TextInput
+            style={[styles.input, styles.codeInput]}
+            value={inviteCode}
+            onChangeText={setInviteCode}
+            placeholder="ABCD-EFGH"
+            placeholderTextColor={Colors.textTertiary}
+            autoCapitalize="characters"
+            autoCorrect={false}
+            maxLength={9}
+          />
+        </>
+      )}
+
+      <Pressable
+        style={[styles.primaryButton, !canSubmit && styles.primaryButtonDisabled]}
+        onPress={handleSubmit}
+        disabled={!canSubmit || busy}
+        accessibilityRole="button"
+      >
+        {busy ? (
+          <ActivityIndicator size="small" color={Colors.background} />
+        ) : (
+          <Text style={styles.primaryButtonText}>
+            {mode === 'create' ? t('household.createButton') : t('household.joinButton')}
+          </Text>
+        )}
+      </Pressable>
+    </View>
+  );
+}
+
+// ---- Split a cooked meal ----
+function SplitMealModal({ recipe, members, currentUserId, onClose, onSplit }) {
+  const { t } = useTranslation();
+  const [mealType, setMealType] = useState('dinner');
+  const [shares, setShares] = useState(() =>
+    Object.fromEntries(members.map((member) => [member.userId, 1]))
+  );
+  const [busy, setBusy] = useState(false);
+
+  const totalServings = Object.values(shares).reduce((sum, value) => sum + value, 0);
+
+  const changeShare = (memberId, delta) => {
+    hapticLight();
+    setShares((prev) => ({ ...prev, [memberId]: Math.max(0, (prev[memberId] || 0) + delta) }));
+  };
+
+  const handleConfirm = async () => {
+    if (totalServings <= 0 || busy) return;
+    setBusy(true);
+    try {
+      await onSplit(
+        recipe,
+        members.map((member) => ({ memberId: member.userId, servings: shares[member.userId] || 0 })),
+        mealType
+      );
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const perServingCalories = Math.round((recipe.totalMacros.calories || 0) / Math.max(1, recipe.servings));
+
+  return (
+    <Modal visible animationType="slide" presentationStyle="pageSheet" onRequestClose={onClose}>
+      <SafeAreaView style={styles.container} edges={['top', 'bottom']}>
+        <View style={styles.header}>
+          <Pressable
+            style={styles.backButton}
+            onPress={onClose}
+            hitSlop={8}
+            accessibilityRole="button"
+            accessibilityLabel={t('common.close')}
+          >
+            <X size={22} color={Colors.text} />
+          </Pressable>
+          <Text style={styles.headerTitle} numberOfLines={1}>{t('household.splitTitle')}</Text>
+          <View style={styles.headerSpacer} />
+        </View>
+
+        <ScrollView contentContainerStyle={styles.scrollContent}>
+          <Text style={styles.splitRecipeName}>{recipe.emoji} {recipe.name}</Text>
+          <Text style={styles.mutedText}>
+            {t('household.splitHint', { count: recipe.servings, calories: perServingCalories })}
+          </Text>
+
+          <Text style={styles.sectionTitle}>{t('household.splitMeal')}</Text>
+          <View style={styles.chipRow}>
+            {Object.entries(MEAL_TYPE_LABEL_KEYS).map(([type, labelKey]) => (
+              <Pressable
+                key={type}
+                style={[styles.chip, mealType === type && styles.chipActive]}
+                onPress={() => { hapticLight(); setMealType(type); }}
+              >
+                <Text style={[styles.chipText, mealType === type && styles.chipTextActive]}>{t(labelKey)}</Text>
+              </Pressable>
+            ))}
+          </View>
+
+          <Text style={styles.sectionTitle}>{t('household.splitPortions')}</Text>
+          {members.map((member) => {
+            const value = shares[member.userId] || 0;
+            return (
+              <View key={member.userId} style={styles.shareRow}>
+                <Text style={styles.shareName} numberOfLines={1}>
+                  {member.userId === currentUserId ? t('household.you', { name: member.displayName }) : member.displayName}
+                </Text>
+                <Pressable
+                  style={[styles.stepButton, value <= 0 && styles.stepButtonDisabled]}
+                  onPress={() => changeShare(member.userId, -SHARE_STEP)}
+                  disabled={value <= 0}
+                  accessibilityLabel={t('household.lessFor', { name: member.displayName })}
+                >
+                  <Minus size={16} color={Colors.text} />
+                </Pressable>
+                <Text style={styles.shareValue}>{value}</Text>
+                <Pressable
+                  style={styles.stepButton}
+                  onPress={() => changeShare(member.userId, SHARE_STEP)}
+                  accessibilityLabel={t('household.moreFor', { name: member.displayName })}
+                >
+                  <Plus size={16} color={Colors.text} />
+                </Pressable>
+              </View>
+            );
+          })}
+
+          {totalServings > recipe.servings && (
+            <Text style={styles.warningText}>
+              {t('household.splitOverBatch', { total: totalServings, count: recipe.servings })}
+            </Text>
+          )}
+        </ScrollView>
+
+        <View style={styles.footer}>
+          <Pressable
+            style={[styles.primaryButton, totalServings <= 0 && styles.primaryButtonDisabled]}
+            onPress={handleConfirm}
+            disabled={totalServings <= 0 || busy}
+            accessibilityRole="button"
+          >
+            {busy ? (
+              <ActivityIndicator size="small" color={Colors.background} />
+            ) : (
+              <Text style={styles.primaryButtonText}>{t('household.splitConfirm')}</Text>
+            )}
+          </Pressable>
+        </View>
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+// ---- Pick one of my recipes to share ----
+function ShareRecipeModal({ recipes, onClose, onPick }) {
+  const { t } = useTranslation();
+  return (
+    <Modal visible animationType="slide" presentationStyle="pageSheet" onRequestClose={onClose}>
+      <SafeAreaView style={styles.container} edges={['top', 'bottom']}>
+        <View style={styles.header}>
+          <Pressable
+            style={styles.backButton}
+            onPress={onClose}
+            hitSlop={8}
+            accessibilityRole="button"
+            accessibilityLabel={t('common.close')}
+          >
+            <X size={22} color={Colors.text} />
+          </Pressable>
+          <Text style={styles.headerTitle}>{t('household.shareRecipe')}</Text>
+          <View style={styles.headerSpacer} />
+        </View>
+        <ScrollView contentContainerStyle={styles.scrollContent}>
+          {recipes.length === 0 ? (
+            <Text style={styles.mutedText}>{t('household.noRecipesToShare')}</Text>
+          ) : recipes.map((recipe) => (
+            <Pressable key={recipe.id} style={styles.listRow} onPress={() => onPick(recipe)}>
+              <Text style={styles.rowEmoji}>{recipe.emoji}</Text>
+              <View style={styles.rowBody}>
+                <Text style={styles.rowTitle} numberOfLines={1}>{recipe.name}</Text>
+                <Text style={styles.rowMeta}>
+                  {t('household.recipeMeta', { count: recipe.servings, calories: recipe.calories })}
+                </Text>
+              </View>
+              <Share2 size={18} color={Colors.primary} />
+            </Pressable>
+          ))}
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+// ---- Main screen ----
+function HouseholdScreenInner() {
+  const { t } = useTranslation();
+  const router = useRouter();
+  const { user } = useAuth();
+  const { profile } = useProfile();
+  const { recipes, addFood } = useFood();
+  const {
+    household,
+    members,
+    sharedRecipes,
+    pendingPortions,
+    isLoading,
+    refresh,
+    leaveHousehold,
+    shareRecipe,
+    removeSharedRecipe,
+    splitMeal,
+    resolvePortion,
+  } = useHousehold();
+  const [splitRecipe, setSplitRecipe] = useState(null);
+  const [sharePickerVisible, setSharePickerVisible] = useState(false);
+
+  const userId = user?.id;
+  const isOwner = household?.createdBy === userId;
+  const memberNames = useMemo(
+    () => Object.fromEntries(members.map((member) => [member.userId, member.displayName])),
+    [members]
+  );
+
+  // Recipes already in the box (by name) aren't offered again
+  const shareableRecipes = useMemo(() => {
+    const sharedNames = new Set(sharedRecipes.map((recipe) => recipe.name.toLowerCase().trim()));
+    return (recipes || []).filter((recipe) => !sharedNames.has(recipe.name.toLowerCase().trim()));
+  }, [recipes, sharedRecipes]);
+
+  const handleShareInvite = useCallback(async () => {
+    if (!household) return;
+    hapticLight();
+    try {
+      await Share.share({
+        message: t('household.inviteMessage', { name: household.name, code: formatInviteCode(household.inviteCode) }),
+      });
+    } catch (error) {
+      if (__DEV__) console.warn('[Household] Invite share failed:', error);
+    }
+  }, [household, t]);
+
+  const handlePickRecipe = useCallback(async (recipe) => {
+    setSharePickerVisible(false);
+    try {
+      await shareRecipe(recipe);
+      hapticSuccess();
+      trackEvent('engagement', 'household_recipe_shared');
+    } catch (error) {
+      Alert.alert(t('household.errorTitle'), error.message || t('household.genericError'));
+    }
+  }, [shareRecipe, t]);
+
+  const handleRemoveRecipe = useCallback((recipe) => {
+    Alert.alert(
+      t('household.removeRecipeTitle'),
+      t('household.removeRecipeMessage', { name: recipe.name }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('household.remove'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await removeSharedRecipe(recipe.id);
+            } catch (error) {
+              Alert.alert(t('household.errorTitle'), error.message || t('household.genericError'));
+            }
+          },
+        },
+      ]
+    );
+  }, [removeSharedRecipe, t]);
+
+  const handleSplit = useCallback(async (recipe, shares, mealType) => {
+    try {
+      const ownPortion = await splitMeal(recipe, shares, mealType);
+      // addFood has already explained why it refused the user's own share
+      const ownLogged = ownPortion ? await addFood(ownPortion, mealType) : true;
+      setSplitRecipe(null);
+      trackEvent('engagement', 'household_meal_split', {
+        metadata: { portions: shares.filter((share) => share.servings > 0).length },
+      });
+      if (!ownLogged) {
+        Alert.alert(t('household.splitOwnNotLoggedTitle'), t('household.splitOwnNotLoggedMessage'));
+        return;
+      }
+      hapticSuccess();
+      Alert.alert(t('household.splitDoneTitle'), t('household.splitDoneMessage'));
+    } catch (error) {
+      Alert.alert(t('household.errorTitle'), error.message || t('household.genericError'));
+    }
+  }, [splitMeal, addFood, t]);
+
+  const handleLogPortion = useCallback(async (portion) => {
+    try {
+      // Keep the portion pending when addFood refuses it, so it can be retried
+      const logged = await addFood(portionToFood(portion), portion.mealType);
+      if (!logged) return;
+      await resolvePortion(portion.id, 'logged');
+      hapticSuccess();
+    } catch (error) {
+      Alert.alert(t('household.errorTitle'), error.message || t('household.genericError'));
+    }
+  }, [addFood, resolvePortion, t]);
+
+  const handleSkipPortion = useCallback(async (portion) => {
+    hapticLight();
+    try {
+      await resolvePortion(portion.id, 'dismissed');
+    } catch (error) {
+      Alert.alert(t('household.errorTitle'), error.message || t('household.genericError'));
+    }
+  }, [resolvePortion, t]);
+
+  const handleLeave = useCallback(() => {
+    Alert.alert(
+      t('household.leaveTitle'),
+      t('household.leaveMessage'),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('household.leave'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await leaveHousehold();
+            } catch (error) {
+              Alert.alert(t('household.errorTitle'), error.message || t('household.genericError'));
+            }
+          },
+        },
+      ]
+    );
+  }, [leaveHousehold, t]);
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top']}>
+      {/* Header */}
+      <View style={styles.header}>
+        <Pressable
+          style={styles.backButton}
+          onPress={() => router.back()}
+          hitSlop={8}
+          accessibilityRole="button"
+          accessibilityLabel={t('common.back')}
+        >
+          <ArrowLeft size={24} color={Colors.text} />
+        </Pressable>
+        <Text style={styles.headerTitle}>{t('household.title')}</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+        refreshControl={<RefreshControl refreshing={isLoading} onRefresh={refresh} tintColor={Colors.primary} />}
+      >
+        {!household ? (
+          <HouseholdSetup defaultName={profile?.name} />
+        ) : (
+          <>
+            {/* Household + invite */}
+            <View style={styles.card}>
+              <View style={styles.cardHeader}>
+                <Home size={20} color={Colors.primary} />
+                <Text style={styles.cardTitle} numberOfLines={1}>{household.name}</Text>
+              </View>
+              <Text style={styles.mutedText}>
+                {t('household.memberCount', { count: members.length, max: HOUSEHOLD_MAX_MEMBERS })}
+              </Text>
+              <View style={styles.inviteRow}>
+                <View>
+                  <Text style={styles.inputLabel}>{t('household.inviteCode')}</Text>
+                  <Text style={styles.inviteCode} selectable>{formatInviteCode(household.inviteCode)}</Text>
+                </View>
+                <Pressable style={styles.secondaryButton} onPress={handleShareInvite} accessibilityRole="button">
+                  <Share2 size={16} color={Colors.primary} />
+                  <Text style={styles.secondaryButtonText}>{t('household.invite')}</Text>
+                </Pressable>
+              </View>
+            </View>
+
+            {/* Portions waiting to be logged */}
+            {pendingPortions.length > 0 && (
+              <>
+                <Text style={styles.sectionTitle}>{t('household.portionsForYou')}</Text>
+                {pendingPortions.map((portion) => (
+                  <View key={portion.id} style={styles.listRow}>
+                    <Text style={styles.rowEmoji}>{portion.emoji}</Text>
+                    <View style={styles.rowBody}>
+                      <Text style={styles.rowTitle} numberOfLines={1}>{portion.name}</Text>
+                      <Text style={styles.rowMeta}>
+                        {t('household.portionMeta', {
+                          calories: portion.calories,
+                          meal: t(MEAL_TYPE_LABEL_KEYS[portion.mealType] || 'diary.dinner'),
+                          name: memberNames[portion.createdBy] || t('household.someone'),
+                        })}
+                      </Text>
+                    </View>
+                    <Pressable
+                      style={styles.iconButton}
+                      onPress={() => handleSkipPortion(portion)}
+                      accessibilityLabel={t('household.skipPortion')}
+                    >
+                      <X size={18} color={Colors.textSecondary} />
+                    </Pressable>
+                    <Pressable
+                      style={[styles.iconButton, styles.iconButtonPrimary]}
+                      onPress={() => handleLogPortion(portion)}
+                      accessibilityLabel={t('household.logPortion')}
+                    >
+                      <Check size={18} color={Colors.background} />
+                    </Pressable>
+                  </View>
+                ))}
+              </>
+            )}
+
+            {/* Members */}
+            <Text style={styles.sectionTitle}>{t('household.members')}</Text>
+            <View style={styles.card}>
+              {members.map((member) => (
+                <View key={member.userId} style={styles.memberRow}>
+                  <Users size={16} color={Colors.textSecondary} />
+                  <Text style={styles.memberName} numberOfLines={1}>
+                    {member.userId === userId ? t('household.you', { name: member.displayName }) : member.displayName}
+                  </Text>
+                  {member.role === 'owner' && <Text style={styles.badge}>{t('household.owner')}</Text>}
+                </View>
+              ))}
+            </View>
+
+            {/* Shared recipe box */}
+            <View style={styles.sectionHeaderRow}>
+              <Text style={styles.sectionTitle}>{t('household.recipeBox')}</Text>
+              <Pressable onPress={() => { hapticLight(); setSharePickerVisible(true); }} hitSlop={8}>
+                <Text style={styles.linkText}>{t('household.shareRecipe')}</Text>
+              </Pressable>
+            </View>
+            {sharedRecipes.length === 0 ? (
+              <View style={styles.card}>
+                <ChefHat size={24} color={Colors.textTertiary} />
+                <Text style={styles.mutedText}>{t('household.recipeBoxEmpty')}</Text>
+              </View>
+            ) : sharedRecipes.map((recipe) => (
+              <View key={recipe.id} style={styles.listRow}>
+                <Text style={styles.rowEmoji}>{recipe.emoji}</Text>
+                <View style={styles.rowBody}>
+                  <Text style={styles.rowTitle} numberOfLines={1}>{recipe.name}</Text>
+                  <Text style={styles.rowMeta}>
+                    {t('household.sharedRecipeMeta', {
+                      count: recipe.servings,
+                      calories: recipe.calories,
+                      name: memberNames[recipe.sharedBy] || t('household.formerMember'),
+                    })}
+                  </Text>
+                </View>
+                {(recipe.sharedBy === userId || isOwner) && (
+                  <Pressable
+                    style={styles.iconButton}
+                    onPress={() => handleRemoveRecipe(recipe)}
+                    accessibilityLabel={t('household.remove')}
+                  >
+                    <Trash2 size={16} color={Colors.textSecondary} />
+                  </Pressable>
+                )}
+                <Pressable
+                  style={[styles.iconButton, styles.iconButtonPrimary]}
+                  onPress={() => { hapticLight(); setSplitRecipe(recipe); }}
+                  accessibilityLabel={t('household.splitTitle')}
+                >
+                  <Split size={16} color={Colors.background} />
+                </Pressable>
+              </View>
+            ))}
+
+            {/* Shared plan and list */}
+            <Text style={styles.sectionTitle}>{t('household.planning')}</Text>
+            <Pressable style={styles.listRow} onPress={() => router.push('/meal-plan')}>
+              <CalendarDays size={20} color={Colors.primary} />
+              <View style={styles.rowBody}>
+                <Text style={styles.rowTitle}>{t('household.weeklyPlan')}</Text>
+                <Text style={styles.rowMeta}>{t('household.weeklyPlanHint')}</Text>
+              </View>
+              <ChevronRight size={18} color={Colors.textTertiary} />
+            </Pressable>
+            <Pressable style={styles.listRow} onPress={() => router.push('/shopping-list')}>
+              <ShoppingCart size={20} color={Colors.primary} />
+              <View style={styles.rowBody}>
+                <Text style={styles.rowTitle}>{t('household.shoppingList')}</Text>
+                <Text style={styles.rowMeta}>{t('household.shoppingListHint')}</Text>
+              </View>
+              <ChevronRight size={18} color={Colors.textTertiary} />
+            </Pressable>
+
+            <Pressable style={styles.leaveButton} onPress={handleLeave} accessibilityRole="button">
+              <LogOut size={16} color={Colors.error} />
+              <Text style={styles.leaveText}>{t('household.leave')}</Text>
+            </Pressable>
+          </>
+        )}
+      </ScrollView>
+
+      {splitRecipe && (
+        <SplitMealModal
+          recipe={splitRecipe}
+          members={members}
+          currentUserId={userId}
+          onClose={() => setSplitRecipe(null)}
+          onSplit={handleSplit}
+        />
+      )}
+      {sharePickerVisible && (
+        <ShareRecipeModal
+          recipes={shareableRecipes}
+          onClose={() => setSharePickerVisible(false)}
+          onPick={handlePickRecipe}
+        />
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.background,
+  },
+  // Header
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.md,
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    borderRadius: BorderRadius.md,
+    backgroundColor: Colors.surface,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerTitle: {
+    flex: 1,
+    fontSize: FontSize.xl,
+    fontWeight: FontWeight.bold,
+    color: Colors.text,
+    textAlign: 'center',
+  },
+  headerSpacer: {
+    width: 40,
+  },
+  // Scroll
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    paddingHorizontal: Spacing.md,
+    paddingTop: Spacing.sm,
+    paddingBottom: Spacing.xxl,
+  },
+  // Cards
+  card: {
+    backgroundColor: 'rgba(255,255,255,0.05)',
+    borderRadius: BorderRadius.lg,
+    padding: Spacing.md,
+    marginBottom: Spacing.sm,
+    borderWidth: 1,
+    borderColor: 'rgba(255,255,255,0.06)',
+    gap: Spacing.xs,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.sm,
+  },
+  cardTitle: {
+    flex: 1,
+    fontSize: FontSize.lg,
+    fontWeight: FontWeight.bold,
+    color: Colors.text,
+  },
+  mutedText: {
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+  },
+  warningText: {
+    fontSize: FontSize.sm,
+    color: Colors.warning,
+    marginTop: Spacing.sm,
+  },
+  sectionHeaderRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  sectionTitle: {
+    fontSize: FontSize.sm,
+    fontWeight: FontWeight.semibold,
+    color: Colors.textSecondary,
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+    marginTop: Spacing.lg,
+    marginBottom: Spacing.sm,
+  },
+  linkText: {
+    fontSize: FontSize.sm,
+    fontWeight: FontWeight.semibold,
+    color: Colors.primary,
+    marginTop: Spacing.lg,
+    marginBottom: Spacing.sm,
+  },
+  // Setup
+  setupIcon: {
+    alignSelf: 'center',
+    width: 64,
+    height: 64,
+    borderRadius: 32,
+    backgroundColor: Colors.primarySoft,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: Spacing.sm,
+  },
+  setupTitle: {
+    fontSize: FontSize.xl,
+    fontWeight: FontWeight.bold,
+    color: Colors.text,
+    textAlign: 'center',
+  },
+  setupText: {
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+    textAlign: 'center',
+    marginBottom: Spacing.md,
+  },
+  segment: {
+    flexDirection: 'row',
+    backgroundColor: Colors.surface,
+    borderRadius: BorderRadius.full,
+    padding: 4,
+    marginBottom: Spacing.md,
+  },
+  segmentOption: {
+    flex: 1,
+    paddingVertical: Spacing.sm,
+    borderRadius: BorderRadius.full,
+    alignItems: 'center',
+  },
+  segmentOptionActive: {
+    backgroundColor: Colors.primary,
+  },
+  segmentText: {
+    fontSize: FontSize.sm,
+    fontWeight: FontWeight.semibold,
+    color: Colors.textSecondary,
+  },
+  segmentTextActive: {
+    color: Colors.background,
+  },
+  inputLabel: {
+    fontSize: FontSize.xs,
+    fontWeight: FontWeight.semibold,
+    color: Colors.textSecondary,
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+    marginTop: Spacing.sm,
+    marginBottom: Spacing.xs,
+  },
+  input: {
+    backgroundColor: Colors.surface,
+    borderRadius: BorderRadius.md,
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.sm + 2,
+    fontSize: FontSize.md,
+    color: Colors.text,
+  },
+  codeInput: {
+    letterSpacing: 2,
+    fontWeight: FontWeight.semibold,
+  },
+  primaryButton: {
+    backgroundColor: Colors.primary,
+    borderRadius: BorderRadius.md,
+    paddingVertical: Spacing.sm + 4,
+    alignItems: 'center',
+    marginTop: Spacing.md,
+  },
+  primaryButtonDisabled: {
+    opacity: 0.5,
+  },
+  primaryButtonText: {
+    color: Colors.background,
+    fontSize: FontSize.md,
+    fontWeight: FontWeight.semibold,
+  },
+  secondaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.xs,
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.xs + 2,
+    borderRadius: BorderRadius.full,
+    backgroundColor: Colors.primarySoft,
+  },
+  secondaryButtonText: {
+    fontSize: FontSize.sm,
+    fontWeight: FontWeight.semibold,
+    color: Colors.primary,
+  },
+  // Invite
+  inviteRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    justifyContent: 'space-between',
+  },
+  inviteCode: {
+    fontSize: FontSize.xl,
+    fontWeight: FontWeight.bold,
+    color: Colors.text,
+    letterSpacing: 2,
+  },
+  // Rows
+  listRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.sm,
+    backgroundColor: 'rgba(255,255,255,0.05)',
+    borderRadius: BorderRadius.lg,
+    padding: Spacing.md,
+    marginBottom: Spacing.sm,
+  },
+  rowEmoji: {
+    fontSize: 24,
+  },
+  rowBody: {
+    flex: 1,
+  },
+  rowTitle: {
+    fontSize: FontSize.md,
+    fontWeight: FontWeight.semibold,
+    color: Colors.text,
+  },
+  rowMeta: {
+    fontSize: FontSize.xs,
+    color: Colors.textTertiary,
+    marginTop: 2,
+  },
+  iconButton: {
+    width: 34,
+    height: 34,
+    borderRadius: 17,
+    backgroundColor: Colors.surface,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  iconButtonPrimary: {
+    backgroundColor: Colors.primary,
+  },
+  memberRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.sm,
+    paddingVertical: Spacing.xs,
+  },
+  memberName: {
+    flex: 1,
+    fontSize: FontSize.md,
+    color: Colors.text,
+  },
+  badge: {
+    fontSize: FontSize.xs,
+    fontWeight: FontWeight.semibold,
+    color: Colors.primary,
+    backgroundColor: Colors.primarySoft,
+    borderRadius: BorderRadius.full,
+    paddingHorizontal: Spacing.sm,
+    paddingVertical: 2,
+    overflow: 'hidden',
+  },
+  leaveButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: Spacing.xs,
+    marginTop: Spacing.xl,
+    paddingVertical: Spacing.sm,
+  },
+  leaveText: {
+    fontSize: FontSize.md,
+    fontWeight: FontWeight.semibold,
+    color: Colors.error,
+  },
+  // Split modal
+  splitRecipeName: {
+    fontSize: FontSize.lg,
+    fontWeight: FontWeight.bold,
+    color: Colors.text,
+    marginBottom: Spacing.xs,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: Spacing.sm,
+  },
+  chip: {
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.xs + 2,
+    borderRadius: BorderRadius.full,
+    borderWidth: 1,
+    borderColor: Colors.border,
+  },
+  chipActive: {
+    backgroundColor: Colors.primarySoft,
+    borderColor: Colors.primary,
+  },
+  chipText: {
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+  },
+  chipTextActive: {
+    color: Colors.primary,
+    fontWeight: FontWeight.semibold,
+  },
+  shareRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.sm,
+    paddingVertical: Spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.border,
+  },
+  shareName: {
+    flex: 1,
+    fontSize: FontSize.md,
+    color: Colors.text,
+  },
+  shareValue: {
+    minWidth: 36,
+    textAlign: 'center',
+    fontSize: FontSize.lg,
+    fontWeight: FontWeight.bold,
+    color: Colors.text,
+  },
+  stepButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: Colors.surface,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stepButtonDisabled: {
+    opacity: 0.4,
+  },
+  footer: {
+    paddingHorizontal: Spacing.md,
+    paddingBottom: Spacing.md,
+  },
+});
+
+export default function HouseholdScreen(props) {
+  return (
+    <ScreenErrorBoundary screenName="HouseholdScreen">
+      <HouseholdScreenInner {...props} />
+    </ScreenErrorBoundary>
+  );
+}
@@ -21,12 +21,17 @@ import {
   CheckCircle2,
   Info,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import ScreenErrorBoundary from '../components/ScreenErrorBoundary';
 import { useMeals } from '../context/MealContext';
+import { useProfile } from '../context/ProfileContext';
+import { useWeightHistory } from '../hooks/useWeightHistory';
 import { trackEvent } from '../lib/analytics';
-import { parseMyFitnessPalCsv } from '../services/importMyFitnessPal';
+import { parseDiaryImport } from '../services/diaryImport';
+import { convertWeight } from '../services/importParsing';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
+import { formatDate } from '../lib/formatters';
 
 function getParamValue(param) {
   if (Array.isArray(param)) {
@@ -45,7 +50,7 @@ function formatDateLabel(dateKey) {
     return dateKey;
   }
 
-  return date.toLocaleDateString(undefined, {
+  return formatDate(date, {
     month: 'short',
     day: 'numeric',
     year: 'numeric',
@@ -63,11 +68,11 @@ function isPickerCancelledError(error) {
 
 function getFileNameFromUri(uri) {
   if (!uri || typeof uri !== 'string') {
-    return 'Selected CSV';
+    return 'Selected file';
   }
 
   const segments = uri.split('/');
-  const rawName = segments[segments.length - 1] || 'Selected CSV';
+  const rawName = segments[segments.length - 1] || 'Selected file';
 
   try {
     return decodeURIComponent(rawName);
@@ -76,7 +81,7 @@ function getFileNameFromUri(uri) {
   }
 }
 
-function pickWebCsvFile() {
+function pickWebExportFile() {
   const documentRef = globalThis.document;
   const windowRef = globalThis.window;
 
@@ -129,17 +134,17 @@ function pickWebCsvFile() {
         const text = await file.text();
         finish(() => resolve({
           text,
-          name: file.name || 'Selected CSV',
+          name: file.name || 'Selected file',
           type: file.type || 'text/csv',
           size: file.size || 0,
         }));
       } catch (error) {
-        finish(() => reject(error instanceof Error ? error : new Error('Could not read that CSV file.')));
+        finish(() => reject(error instanceof Error ? error : new Error('Could not read that file.')));
       }
     };
 
     input.type = 'file';
-    input.accept = '.csv,text/csv,text/plain';
+    input.accept = '.csv,.json,text/csv,application/json,text/plain';
     input.style.display = 'none';
     input.addEventListener('change', handleChange);
     input.addEventListener('cancel', handleCancel);
@@ -158,13 +163,17 @@ function StatCard({ label, value }) {
   );
 }
 
-function ImportMyFitnessPalScreenInner() {
+function ImportDiaryScreenInner() {
+  const { t } = useTranslation();
   const router = useRouter();
   const params = useLocalSearchParams();
-  const { importFoodDiary } = useMeals();
+  const { importFoodDiary, importExerciseLog } = useMeals();
+  const { profile } = useProfile();
+  const { importEntries: importWeightEntries, isLoading: isWeightHistoryLoading } = useWeightHistory();
   const source = getParamValue(params.source) || 'settings';
+  const weightUnit = profile?.weightUnit || 'lbs';
 
-  const [csvText, setCsvText] = useState('');
+  const [importText, setImportText] = useState('');
   const [preview, setPreview] = useState(null);
   const [selectedFileName, setSelectedFileName] = useState('');
   const [importInputMethod, setImportInputMethod] = useState('manual');
@@ -193,14 +202,18 @@ function ImportMyFitnessPalScreenInner() {
       pathname: '/(tabs)/add',
       params: {
         focus: 'recent',
-        source: 'mfp_import_complete',
+        source: 'diary_import_complete',
         importSource: source,
       },
     });
   }, [router, source]);
 
+  const handleOpenWeightLog = useCallback(() => {
+    router.replace('/weight-log');
+  }, [router]);
+
   const handleTextChange = useCallback((value) => {
-    setCsvText(value);
+    setImportText(value);
     setPreview(null);
     setSelectedFileName('');
     setImportInputMethod('manual');
@@ -211,57 +224,60 @@ function ImportMyFitnessPalScreenInner() {
     try {
       const clipboardText = await Clipboard.getStringAsync();
       if (!clipboardText || !clipboardText.trim()) {
-        Alert.alert('Clipboard Empty', 'Copy a MyFitnessPal CSV export first.');
+        Alert.alert(t('importDiary.clipboardEmpty'), t('importDiary.copyADiaryExport'));
         return;
       }
 
-      setCsvText(clipboardText);
+      setImportText(clipboardText);
       setPreview(null);
       setSelectedFileName('');
       setImportInputMethod('clipboard');
     } catch (_error) {
-      Alert.alert('Paste Failed', 'Could not read from the clipboard.');
+      Alert.alert(t('importDiary.pasteFailed'), t('importDiary.couldNotReadFrom'));
     } finally {
       setIsPasting(false);
     }
-  }, []);
+  }, [t]);
 
-  const previewCsvText = useCallback(async (text, inputMethod = importInputMethod) => {
+  const previewImportText = useCallback(async (text, inputMethod = importInputMethod) => {
     if (!text.trim()) {
-      Alert.alert('Add CSV First', 'Choose a MyFitnessPal CSV file or paste the export text first.');
+      Alert.alert(t('importDiary.addExportFirst'), t('importDiary.chooseAnExportFile'));
       return;
     }
 
     setIsPreviewing(true);
     try {
-      const parsed = parseMyFitnessPalCsv(text);
+      const parsed = parseDiaryImport(text);
       setPreview(parsed);
-      trackEvent('conversion', 'mfp_import_previewed', {
+      trackEvent('conversion', 'diary_import_previewed', {
         value: parsed.summary.entryCount,
         metadata: {
           source,
+          importer: parsed.source,
           inputMethod,
           dayCount: parsed.summary.dayCount,
           mealCount: parsed.summary.mealCount,
+          exerciseCount: parsed.summary.exerciseCount,
+          weightCount: parsed.summary.weightCount,
           skippedCount: parsed.summary.skippedCount,
         },
       });
       return parsed;
     } catch (error) {
-      Alert.alert('Preview Failed', error instanceof Error ? error.message : 'Could not parse that CSV.');
+      Alert.alert(t('importDiary.previewFailed'), error instanceof Error ? error.message : t('importDiary.couldNotParseThat'));
       return null;
     } finally {
       setIsPreviewing(false);
     }
-  }, [importInputMethod, source]);
+  }, [importInputMethod, source, t]);
 
   const handlePreview = useCallback(async () => {
-    await previewCsvText(csvText, importInputMethod);
-  }, [csvText, importInputMethod, previewCsvText]);
+    await previewImportText(importText, importInputMethod);
+  }, [importText, importInputMethod, previewImportText]);
 
   const handlePickFile = useCallback(async () => {
     setIsPickingFile(true);
-    trackEvent('conversion', 'mfp_import_picker_opened', {
+    trackEvent('conversion', 'diary_import_picker_opened', {
       metadata: {
         source,
       },
@@ -269,9 +285,9 @@ function ImportMyFitnessPalScreenInner() {
 
     try {
       const pickedFile = Platform.OS === 'web'
-        ? await pickWebCsvFile()
+        ? await pickWebExportFile()
         : await (async () => {
-          const pickedFileResult = await ExpoFile.pickFileAsync(undefined, 'text/*');
+          const pickedFileResult = await ExpoFile.pickFileAsync(undefined, '*/*');
           const nativeFile = Array.isArray(pickedFileResult) ? pickedFileResult[0] : pickedFileResult;
 
           if (!nativeFile) {
@@ -292,16 +308,16 @@ function ImportMyFitnessPalScreenInner() {
 
       const fileText = pickedFile.text;
       if (!fileText || !fileText.trim()) {
-        Alert.alert('Empty File', 'That file did not contain any CSV text to import.');
+        Alert.alert(t('importDiary.emptyFile'), t('importDiary.thatFileDidNot'));
         return;
       }
 
       setSelectedFileName(pickedFile.name);
       setImportInputMethod('file');
-      setCsvText(fileText);
+      setImportText(fileText);
       setPreview(null);
 
-      trackEvent('conversion', 'mfp_import_file_selected', {
+      trackEvent('conversion', 'diary_import_file_selected', {
         metadata: {
           source,
           mimeType: pickedFile.type || 'unknown',
@@ -309,86 +325,124 @@ function ImportMyFitnessPalScreenInner() {
         },
       });
 
-      await previewCsvText(fileText, 'file');
+      await previewImportText(fileText, 'file');
     } catch (error) {
       if (isPickerCancelledError(error)) {
         return;
       }
 
       Alert.alert(
-        'File Pick Failed',
-        error instanceof Error ? error.message : 'Could not open that CSV file.'
+        t('importDiary.filePickFailed'),
+        error instanceof Error ? error.message : t('importDiary.couldNotOpenThat')
       );
     } finally {
       setIsPickingFile(false);
     }
-  }, [previewCsvText, source]);
+  }, [previewImportText, source, t]);
 
   const handleImport = useCallback(async () => {
     let parsed = preview;
 
     if (!parsed) {
       try {
-        parsed = parseMyFitnessPalCsv(csvText);
+        parsed = parseDiaryImport(importText);
         setPreview(parsed);
       } catch (error) {
-        Alert.alert('Import Failed', error instanceof Error ? error.message : 'Could not parse that CSV.');
+        Alert.alert(t('importDiary.importFailed'), error instanceof Error ? error.message : t('importDiary.couldNotParseThat'));
         return;
       }
     }
 
+    // Weigh-ins merge into the locally stored history, which must be loaded first
+    if (parsed.weights.length > 0 && isWeightHistoryLoading) {
+      Alert.alert(t('importDiary.importFailed'), t('importDiary.waitForWeightLog'));
+      return;
+    }
+
     setIsImporting(true);
-    trackEvent('conversion', 'mfp_import_started', {
+    trackEvent('conversion', 'diary_import_started', {
       value: parsed.summary.entryCount,
       metadata: {
         source,
+        importer: parsed.source,
         inputMethod: importInputMethod,
         dayCount: parsed.summary.dayCount,
         mealCount: parsed.summary.mealCount,
+        exerciseCount: parsed.summary.exerciseCount,
+        weightCount: parsed.summary.weightCount,
         skippedCount: parsed.summary.skippedCount,
       },
     });
 
     try {
-      const result = await importFoodDiary(parsed.entries);
-
-      trackEvent('conversion', 'mfp_import_completed', {
-        value: result.importedCount,
+      const foodResult = parsed.entries.length > 0
+        ? await importFoodDiary(parsed.entries)
+        : { importedCount: 0, skippedCount: 0, dateCount: 0 };
+      const exerciseResult = parsed.exercises.length > 0
+        ? await importExerciseLog(parsed.exercises)
+        : { importedCount: 0, skippedCount: 0 };
+      const importedWeightCount = parsed.weights.length > 0
+        ? importWeightEntries(
+          parsed.weights.map((entry) => ({
+            dateKey: entry.dateKey,
+            weight: convertWeight(entry.weight, entry.unit, weightUnit),
+          })),
+          t('importDiary.importedWeightNote', { source: parsed.sourceLabel })
+        )
+        : 0;
+      const totalImported = foodResult.importedCount + exerciseResult.importedCount + importedWeightCount;
+
+      trackEvent('conversion', 'diary_import_completed', {
+        value: totalImported,
         metadata: {
           source,
+          importer: parsed.source,
           inputMethod: importInputMethod,
           detectedEntries: parsed.summary.entryCount,
-          dayCount: result.dateCount,
-          skippedCount: result.skippedCount,
+          importedEntries: foodResult.importedCount,
+          importedExercises: exerciseResult.importedCount,
+          importedWeights: importedWeightCount,
+          dayCount: foodResult.dateCount,
+          skippedCount: foodResult.skippedCount + exerciseResult.skippedCount,
         },
       });
 
+      const onlyWeights = importedWeightCount > 0 && foodResult.importedCount === 0;
       const successButtons = [
-        {
-          text: result.importedCount > 0 ? 'Open Food Log' : 'View Recent Meals',
-          onPress: handleOpenFoodLog,
-        },
+        onlyWeights
+          ? { text: t('importDiary.openWeightLog'), onPress: handleOpenWeightLog }
+          : {
+            text: foodResult.importedCount > 0 ? t('importDiary.openFoodLog') : t('importDiary.viewRecentMeals'),
+            onPress: handleOpenFoodLog,
+          },
       ];
 
       if (source === 'settings') {
         successButtons.unshift({
-          text: 'Later',
+          text: t('importDiary.later'),
           style: 'cancel',
           onPress: handleExit,
         });
       }
 
+      const summaryLines = [
+        foodResult.importedCount > 0
+          ? t('importDiary.importedSummary', { count: foodResult.importedCount, days: t('importDiary.dayCount', { count: foodResult.dateCount }) })
+          : null,
+        exerciseResult.importedCount > 0 ? t('importDiary.importedExercises', { count: exerciseResult.importedCount }) : null,
+        importedWeightCount > 0 ? t('importDiary.importedWeighIns', { count: importedWeightCount }) : null,
+      ].filter(Boolean);
+
       Alert.alert(
-        result.importedCount > 0 ? 'Import Complete' : 'Nothing New Imported',
-        result.importedCount > 0
-          ? `Imported ${result.importedCount} meal entries across ${result.dateCount} day${result.dateCount === 1 ? '' : 's'}. Your recent meals are ready to log again.`
-          : 'Those meal entries already exist in your FuelIQ diary. Your recent meals and frequent foods were refreshed, so you can jump straight into logging.',
+        totalImported > 0 ? t('importDiary.importComplete') : t('importDiary.nothingNewImported'),
+        totalImported > 0 ? summaryLines.join('\n\n') : t('importDiary.everythingInThisExport'),
         successButtons
       );
     } catch (error) {
-      trackEvent('error', 'mfp_import_failed', {
+      trackEvent('error', 'diary_import_failed', {
         metadata: {
           source,
+          importer: parsed.source,
           inputMethod: importInputMethod,
           detectedEntries: parsed.summary.entryCount,
           message: error instanceof Error ? error.message : 'unknown_error',
@@ -396,13 +450,27 @@ function ImportMyFitnessPalScreenInner() {
       });
 
       Alert.alert(
-        'Import Failed',
-        error instanceof Error ? error.message : 'Could not import that diary export.'
+        t('importDiary.importFailed'),
+        error instanceof Error ? error.message : t('importDiary.couldNotImportThat')
       );
     } finally {
       setIsImporting(false);
     }
-  }, [csvText, handleExit, handleOpenFoodLog, importFoodDiary, importInputMethod, preview, source]);
+  }, [
+    importText,
+    handleExit,
+    handleOpenFoodLog,
+    handleOpenWeightLog,
+    importFoodDiary,
+    importExerciseLog,
+    importWeightEntries,
+    importInputMethod,
+    isWeightHistoryLoading,
+    preview,
+    source,
+    t,
+    weightUnit,
+  ]);
 
   return (
     <ScreenWrapper>
@@ -415,8 +483,8 @@ function ImportMyFitnessPalScreenInner() {
             <ChevronLeft color={Colors.text} size={FontSize.xl} />
           </Pressable>
           <View style={styles.headerCopy}>
-            <Text style={styles.title}>Import MyFitnessPal</Text>
-            <Text style={styles.subtitle}>Bring over a food diary CSV export.</Text>
+            <Text style={styles.title}>{t('importDiary.importYourDiary')}</Text>
+            <Text style={styles.subtitle}>{t('importDiary.bringOverAFood')}</Text>
           </View>
         </View>
 
@@ -426,9 +494,9 @@ function ImportMyFitnessPalScreenInner() {
               <Info size={FontSize.lg} color={Colors.warning} />
             </View>
             <View style={styles.infoCopy}>
-              <Text style={styles.infoTitle}>First pass scope</Text>
+              <Text style={styles.infoTitle}>{t('importDiary.whatGetsImported')}</Text>
               <Text style={styles.infoText}>
-                Choose a MyFitnessPal diary CSV from Files or paste it in manually. This import currently brings over food diary meals, calories, and macros. Recipes and weight history are not included yet.
+                {t('importDiary.chooseADiaryExport')}
               </Text>
             </View>
           </View>
@@ -444,9 +512,9 @@ function ImportMyFitnessPalScreenInner() {
               <>
                 <Upload size={FontSize.lg} color={Colors.text} />
                 <View style={styles.filePickerCopy}>
-                  <Text style={styles.filePickerTitle}>Choose CSV file</Text>
+                  <Text style={styles.filePickerTitle}>{t('importDiary.chooseFile')}</Text>
                   <Text style={styles.filePickerHint}>
-                    Open the MyFitnessPal export from Files, Downloads, or cloud storage.
+                    {t('importDiary.openACsvOr')}
                   </Text>
                 </View>
               </>
@@ -464,7 +532,7 @@ function ImportMyFitnessPalScreenInner() {
               ) : (
                 <>
                   <ClipboardIcon size={FontSize.md} color={Colors.text} />
-                  <Text style={styles.secondaryButtonText}>Paste CSV</Text>
+                  <Text style={styles.secondaryButtonText}>{t('importDiary.pasteExport')}</Text>
                 </>
               )}
             </Pressable>
@@ -480,7 +548,7 @@ function ImportMyFitnessPalScreenInner() {
                 <>
                   <Upload size={FontSize.md} color={Colors.text} />
                   <Text style={styles.secondaryButtonText}>
-                    {preview ? 'Refresh Preview' : 'Preview Import'}
+                    {preview ? t('importDiary.refreshPreview') : t('importDiary.previewImport')}
                   </Text>
                 </>
               )}
@@ -488,13 +556,13 @@ function ImportMyFitnessPalScreenInner() {
           </View>
 
           <View style={styles.inputCard}>
-            <Text style={styles.inputLabel}>CSV text</Text>
+            <Text style={styles.inputLabel}>{t('importDiary.exportText')}</Text>
             <Text style={styles.inputHint}>
-              Picking a file loads it here automatically. Expected columns include Date, Meal, Food Name, Calories, Protein, Carbs, Fat, and Serving.
+              {t('importDiary.pickingAFileLoads')}
             </Text>
             {selectedFileName ? (
               <View style={styles.fileChip}>
-                <Text style={styles.fileChipLabel}>Loaded file</Text>
+                <Text style={styles.fileChipLabel}>{t('importDiary.loadedFile')}</Text>
                 <Text style={styles.fileChipName} numberOfLines={1}>
                   {selectedFileName}
                 </Text>
@@ -502,9 +570,9 @@ function ImportMyFitnessPalScreenInner() {
             ) : null}
             <TextInput
               style={styles.input}
-              value={csvText}
+              value={importText}
               onChangeText={handleTextChange}
-              placeholder="Choose or paste your MyFitnessPal diary CSV here..."
+              placeholder={t('importDiary.chooseOrPasteYour')}
               placeholderTextColor={Colors.textTertiary}
               multiline
               textAlignVertical="top"
@@ -517,27 +585,39 @@ function ImportMyFitnessPalScreenInner() {
             <View style={styles.previewCard}>
               <View style={styles.previewHeader}>
                 <View>
-                  <Text style={styles.previewTitle}>Import Preview</Text>
+                  <Text style={styles.previewTitle}>{t('importDiary.importPreview')}</Text>
                   <Text style={styles.previewRange}>
-                    {formatDateLabel(preview.summary.startDate)} to {formatDateLabel(preview.summary.endDate)}
+                    {t('importDiary.dateRange', {
+                      start: formatDateLabel(preview.summary.startDate),
+                      end: formatDateLabel(preview.summary.endDate),
+                    })}
+                  </Text>
+                  <Text style={styles.previewSource}>
+                    {t('importDiary.detectedSource', { source: preview.sourceLabel })}
                   </Text>
                 </View>
                 <View style={styles.previewBadge}>
                   <CheckCircle2 size={FontSize.md} color={Colors.success} />
-                  <Text style={styles.previewBadgeText}>Ready</Text>
+                  <Text style={styles.previewBadgeText}>{t('importDiary.ready')}</Text>
                 </View>
               </View>
 
               <View style={styles.statsGrid}>
-                <StatCard label="Entries" value={String(preview.summary.entryCount)} />
-                <StatCard label="Days" value={String(preview.summary.dayCount)} />
-                <StatCard label="Meals" value={String(preview.summary.mealCount)} />
-                <StatCard label="Foods" value={String(preview.summary.uniqueFoodCount)} />
+                <StatCard label={t('importDiary.entries')} value={String(preview.summary.entryCount)} />
+                <StatCard label={t('importDiary.days')} value={String(preview.summary.dayCount)} />
+                <StatCard label={t('importDiary.meals')} value={String(preview.summary.mealCount)} />
+                <StatCard label={t('importDiary.foods')} value={String(preview.summary.uniqueFoodCount)} />
+                {preview.summary.exerciseCount > 0 ? (
+                  <StatCard label={t('importDiary.exercises')} value={String(preview.summary.exerciseCount)} />
+                ) : null}
+                {preview.summary.weightCount > 0 ? (
+                  <StatCard label={t('importDiary.weighIns')} value={String(preview.summary.weightCount)} />
+                ) : null}
               </View>
 
               {preview.summary.skippedCount > 0 ? (
                 <Text style={styles.previewFootnote}>
-                  {preview.summary.skippedCount} row{preview.summary.skippedCount === 1 ? '' : 's'} will be skipped because they look like totals or empty lines.
+                  {t('importDiary.skippedRows', { count: preview.summary.skippedCount })}
                 </Text>
               ) : null}
             </View>
@@ -546,10 +626,10 @@ function ImportMyFitnessPalScreenInner() {
           <Pressable
             style={[
               styles.primaryButton,
-              (!csvText.trim() || isImporting) && styles.disabledPrimaryButton,
+              (!importText.trim() || isImporting) && styles.disabledPrimaryButton,
             ]}
             onPress={handleImport}
-            disabled={!csvText.trim() || isImporting}
+            disabled={!importText.trim() || isImporting}
           >
             {isImporting ? (
               <ActivityIndicator size="small" color={Colors.background} />
@@ -557,7 +637,7 @@ function ImportMyFitnessPalScreenInner() {
               <>
                 <Upload size={FontSize.md} color={Colors.background} />
                 <Text style={styles.primaryButtonText}>
-                  {preview ? 'Import Diary' : 'Parse and Import'}
+                  {preview ? t('importDiary.importDiary') : t('importDiary.parseAndImport')}
                 </Text>
               </>
             )}
@@ -762,6 +842,11 @@ const styles = StyleSheet.create({
     color: Colors.textSecondary,
     marginTop: 4,
   },
+  previewSource: {
+    color: Colors.textTertiary,
+    fontSize: FontSize.xs,
+    marginTop: 2,
+  },
   previewBadge: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -823,10 +908,10 @@ const styles = StyleSheet.create({
   },
 });
 
-export default function ImportMyFitnessPalScreen(props) {
+export default function ImportDiaryScreen(props) {
   return (
-    <ScreenErrorBoundary screenName="ImportMyFitnessPalScreen">
-      <ImportMyFitnessPalScreenInner {...props} />
+    <ScreenErrorBoundary screenName="ImportDiaryScreen">
+      <ImportDiaryScreenInner {...props} />
     </ScreenErrorBoundary>
   );
 }
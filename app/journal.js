@@ -47,7 +47,8 @@ import {
   ChevronDown,
   ChevronUp,
 } from 'lucide-react-native';
-import { format, parseISO, isToday, isYesterday } from 'date-fns';
+import { parseISO, isToday, isYesterday } from 'date-fns';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import GlassCard from '../components/ui/GlassCard';
 import InsightCard from '../components/InsightCard';
@@ -63,14 +64,15 @@ import {
 import { useJournal } from '../hooks/useJournal';
 import { hapticLight, hapticSuccess, hapticImpact } from '../lib/haptics';
 import { Sentry } from '../lib/sentry';
+import { formatDate } from '../lib/formatters';
 
 // Mood emoji mapping: index 0-4 corresponds to mood values 1-5
 const MOOD_OPTIONS = [
-  { value: 1, emoji: '\u{1F622}', label: 'Awful' },
-  { value: 2, emoji: '\u{1F615}', label: 'Bad' },
-  { value: 3, emoji: '\u{1F610}', label: 'Okay' },
-  { value: 4, emoji: '\u{1F642}', label: 'Good' },
-  { value: 5, emoji: '\u{1F60A}', label: 'Great' },
+  { value: 1, emoji: '\u{1F622}', labelKey: 'journal.moodAwful' },
+  { value: 2, emoji: '\u{1F615}', labelKey: 'journal.moodBad' },
+  { value: 3, emoji: '\u{1F610}', labelKey: 'journal.moodOkay' },
+  { value: 4, emoji: '\u{1F642}', labelKey: 'journal.moodGood' },
+  { value: 5, emoji: '\u{1F60A}', labelKey: 'journal.moodGreat' },
 ];
 
 // Preset tags for journal entries
@@ -90,12 +92,12 @@ function getMoodEmoji(mood) {
 }
 
 // Format a date string for display in entries list
-function formatEntryDate(dateStr) {
+function formatEntryDate(t, dateStr) {
   try {
     const date = parseISO(dateStr);
-    if (isToday(date)) return 'Today';
-    if (isYesterday(date)) return 'Yesterday';
-    return format(date, 'EEEE, MMM d');
+    if (isToday(date)) return t('common.today');
+    if (isYesterday(date)) return t('common.yesterday');
+    return formatDate(date, { weekday: 'long', month: 'short', day: 'numeric' });
   } catch (e) {
     Sentry.captureException(e);
     return dateStr;
@@ -106,6 +108,7 @@ function formatEntryDate(dateStr) {
 // Mood Selector Component
 // ============================================================
 function MoodSelector({ selectedMood, onSelect }) {
+  const { t } = useTranslation();
   return (
     <View style={styles.moodRow}>
       {MOOD_OPTIONS.map((option) => {
@@ -126,7 +129,7 @@ function MoodSelector({ selectedMood, onSelect }) {
               {option.emoji}
             </Text>
             <Text style={[styles.moodLabel, isSelected && styles.moodLabelSelected]}>
-              {option.label}
+              {t(option.labelKey)}
             </Text>
           </Pressable>
         );
@@ -166,6 +169,7 @@ function TagSelector({ selectedTags, onToggle }) {
 // Streak Display Component
 // ============================================================
 function StreakDisplay({ streak }) {
+  const { t } = useTranslation();
   return (
     <ReAnimated.View entering={FadeInDown.delay(300).springify().damping(12)}>
       <GlassCard variant={streak > 0 ? 'accent' : 'default'} glow={streak >= 7}>
@@ -186,7 +190,7 @@ function StreakDisplay({ streak }) {
           {streak >= 3 && (
             <View style={styles.streakBadge}>
               <Text style={styles.streakBadgeText}>
-                {streak >= 30 ? 'Legendary' : streak >= 14 ? 'On Fire' : streak >= 7 ? 'Consistent' : 'Building'}
+                {streak >= 30 ? t('journal.legendary') : streak >= 14 ? t('journal.onFire') : streak >= 7 ? t('journal.consistent') : t('journal.building')}
               </Text>
             </View>
           )}
@@ -200,6 +204,7 @@ function StreakDisplay({ streak }) {
 // Past Entry Card Component
 // ============================================================
 function PastEntryCard({ entry, onDelete }) {
+  const { t } = useTranslation();
   const [expanded, setExpanded] = useState(false);
 
   const toggleExpand = useCallback(() => {
@@ -209,12 +214,12 @@ function PastEntryCard({ entry, onDelete }) {
 
   const handleDelete = useCallback(() => {
     Alert.alert(
-      'Delete Entry',
-      'Are you sure you want to delete this journal entry?',
+      t('journal.deleteEntry'),
+      t('journal.areYouSureYou'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Delete',
+          text: t('common.delete'),
           style: 'destructive',
           onPress: () => {
             hapticImpact();
@@ -223,7 +228,7 @@ function PastEntryCard({ entry, onDelete }) {
         },
       ]
     );
-  }, [entry.id, onDelete]);
+  }, [entry.id, onDelete, t]);
 
   const ExpandIcon = expanded ? ChevronUp : ChevronDown;
 
@@ -239,7 +244,7 @@ function PastEntryCard({ entry, onDelete }) {
           {/* Header row: date + mood */}
           <View style={styles.entryHeader}>
             <View style={styles.entryDateRow}>
-              <Text style={styles.entryDate}>{formatEntryDate(entry.date)}</Text>
+              <Text style={styles.entryDate}>{formatEntryDate(t, entry.date)}</Text>
               <Text style={styles.entryMoodEmoji}>{getMoodEmoji(entry.mood)}</Text>
             </View>
             <ExpandIcon size={18} color={Colors.textTertiary} />
@@ -268,7 +273,7 @@ function PastEntryCard({ entry, onDelete }) {
           {expanded && (
             <Pressable onPress={handleDelete} style={styles.entryDeleteBtn}>
               <Trash2 size={14} color={Colors.error} />
-              <Text style={styles.entryDeleteText}>Delete</Text>
+              <Text style={styles.entryDeleteText}>{t('common.delete')}</Text>
             </Pressable>
           )}
         </LinearGradient>
@@ -281,6 +286,7 @@ function PastEntryCard({ entry, onDelete }) {
 // Empty State Component
 // ============================================================
 function EmptyJournalState() {
+  const { t } = useTranslation();
   return (
     <ReAnimated.View entering={FadeInDown.delay(200).springify().damping(12)}>
       <View style={styles.emptyContainer}>
@@ -291,7 +297,7 @@ function EmptyJournalState() {
           <View style={styles.emptyIconWrap}>
             <BookOpen size={48} color={Colors.primary} />
           </View>
-          <Text style={styles.emptyTitle}>Your Journal Awaits</Text>
+          <Text style={styles.emptyTitle}>{t('journal.yourJournalAwaits')}</Text>
           <Text style={styles.emptySubtitle}>
             Taking a moment to reflect can help you understand your patterns, celebrate
             wins, and navigate challenges. Start writing above -- even a single sentence
@@ -299,13 +305,13 @@ function EmptyJournalState() {
           </Text>
           <View style={styles.emptyHints}>
             <Text style={styles.emptyHint}>
-              {'\u{2728}'} Write about what you are grateful for
+              {'\u{2728}'} {t('journal.hintGrateful')}
             </Text>
             <Text style={styles.emptyHint}>
-              {'\u{1F4AA}'} Note how your body feels after a workout
+              {'\u{1F4AA}'} {t('journal.hintBody')}
             </Text>
             <Text style={styles.emptyHint}>
-              {'\u{1F33F}'} Reflect on one thing that brought you peace
+              {'\u{1F33F}'} {t('journal.hintPeace')}
             </Text>
           </View>
         </LinearGradient>
@@ -318,6 +324,7 @@ function EmptyJournalState() {
 // Main Screen
 // ============================================================
 export default function JournalScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const {
     entries,
@@ -355,14 +362,14 @@ export default function JournalScreen() {
   // Toggle a tag
   const handleToggleTag = useCallback((tag) => {
     setSelectedTags((prev) =>
-      prev.includes(tag) ? prev.filter((t) => t !== tag) : [...prev, tag]
+      prev.includes(tag) ? prev.filter((existing) => existing !== tag) : [...prev, tag]
     );
   }, []);
 
   // Save entry
   const handleSave = useCallback(async () => {
     if (!text.trim()) {
-      Alert.alert('Write Something', 'Please write at least a sentence before saving.');
+      Alert.alert(t('journal.writeSomething'), t('journal.pleaseWriteAtLeast'));
       return;
     }
     setIsSaving(true);
@@ -376,7 +383,7 @@ export default function JournalScreen() {
     } finally {
       setIsSaving(false);
     }
-  }, [text, mood, selectedTags, saveEntry]);
+  }, [text, mood, selectedTags, saveEntry, t]);
 
   // Delete entry
   const handleDelete = useCallback(
@@ -399,7 +406,7 @@ export default function JournalScreen() {
       <ScreenWrapper>
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color={Colors.primary} />
-          <Text style={styles.loadingText}>Loading journal...</Text>
+          <Text style={styles.loadingText}>{t('journal.loadingJournal')}</Text>
         </View>
       </ScreenWrapper>
     );
@@ -413,27 +420,27 @@ export default function JournalScreen() {
         <InsightCard
           type="tip"
           emoji={todayPrompt?.emoji || '\u{1F4AD}'}
-          title="Today's Prompt"
-          body={todayPrompt?.question || 'What is on your mind today?'}
+          title={t('journal.todaysPrompt')}
+          body={todayPrompt?.question || t('journal.whatIsOnYour')}
         />
       </ReAnimated.View>
 
       {/* Mood Selector */}
       <ReAnimated.View entering={FadeInDown.delay(150).springify().damping(12)}>
-        <Text style={styles.sectionLabel}>How are you feeling?</Text>
+        <Text style={styles.sectionLabel}>{t('journal.howAreYouFeeling')}</Text>
         <MoodSelector selectedMood={mood} onSelect={setMood} />
       </ReAnimated.View>
 
       {/* Journal TextInput */}
       <ReAnimated.View entering={FadeInDown.delay(200).springify().damping(12)}>
-        <Text style={styles.sectionLabel}>Write your thoughts</Text>
+        <Text style={styles.sectionLabel}>{t('journal.writeYourThoughts')}</Text>
         <View style={styles.textInputWrapper}>
           <TextInput
             ref={textInputRef}
             style={styles.journalInput}
             value={text}
             onChangeText={setText}
-            placeholder="What's on your mind today..."
+            placeholder={t('journal.whatsOnYourMind')}
             placeholderTextColor={Colors.textTertiary}
             multiline
             numberOfLines={5}
@@ -446,7 +453,7 @@ export default function JournalScreen() {
 
       {/* Tag Selector */}
       <ReAnimated.View entering={FadeInDown.delay(250).springify().damping(12)}>
-        <Text style={styles.sectionLabel}>Tags</Text>
+        <Text style={styles.sectionLabel}>{t('journal.tags')}</Text>
         <TagSelector selectedTags={selectedTags} onToggle={handleToggleTag} />
       </ReAnimated.View>
 
@@ -469,7 +476,7 @@ export default function JournalScreen() {
               <>
                 <Save size={18} color="#fff" />
                 <Text style={styles.saveButtonText}>
-                  {todayEntry ? 'Update Entry' : 'Save Entry'}
+                  {todayEntry ? t('journal.updateEntry') : t('journal.saveEntry')}
                 </Text>
               </>
             )}
@@ -485,7 +492,7 @@ export default function JournalScreen() {
       {/* Past Entries Header */}
       {pastEntries.length > 0 && (
         <ReAnimated.View entering={FadeInDown.delay(350).springify().damping(12)}>
-          <Text style={styles.pastEntriesTitle}>Past Entries</Text>
+          <Text style={styles.pastEntriesTitle}>{t('journal.pastEntries')}</Text>
         </ReAnimated.View>
       )}
     </View>
@@ -516,7 +523,7 @@ export default function JournalScreen() {
           </Pressable>
           <View style={styles.headerCenter}>
             <BookOpen size={20} color={Colors.primary} />
-            <Text style={styles.headerTitle}>Wellness Journal</Text>
+            <Text style={styles.headerTitle}>{t('journal.wellnessJournal')}</Text>
           </View>
           <View style={styles.headerSpacer} />
         </ReAnimated.View>
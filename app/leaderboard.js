@@ -23,6 +23,7 @@ import {
   Target,
   Users,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import OptimizedFlatList from '../components/OptimizedFlatList';
 import {
@@ -59,19 +60,20 @@ const BRONZE_GLOW = 'rgba(205, 127, 50, 0.25)';
 
 // Filter tabs
 const FILTER_TABS = [
-  { key: 'global', label: 'Global', icon: Trophy },
-  { key: 'friends', label: 'Friends', icon: Users },
+  { key: 'global', labelKey: 'leaderboard.tabs.global', icon: Trophy },
+  { key: 'friends', labelKey: 'leaderboard.tabs.friends', icon: Users },
 ];
 
 // Time period tabs
 const TIME_PERIOD_TABS = [
-  { key: 'weekly', label: 'Weekly' },
-  { key: 'monthly', label: 'Monthly' },
-  { key: 'alltime', label: 'All Time' },
+  { key: 'weekly', labelKey: 'leaderboard.periods.weekly' },
+  { key: 'monthly', labelKey: 'leaderboard.periods.monthly' },
+  { key: 'alltime', labelKey: 'leaderboard.periods.allTime' },
 ];
 
 // Header with back button and title
 const Header = memo(function Header() {
+  const { t } = useTranslation();
   return (
     <ReAnimated.View
       entering={FadeInDown.delay(0).springify().mass(0.5).damping(10)}
@@ -86,7 +88,7 @@ const Header = memo(function Header() {
       >
         <ChevronLeft size={24} color={Colors.text} />
       </Pressable>
-      <Text style={styles.headerTitle}>Leaderboard</Text>
+      <Text style={styles.headerTitle}>{t('leaderboard.leaderboard')}</Text>
       <View style={styles.headerTrophyContainer}>
         <Trophy size={24} color={GOLD} />
       </View>
@@ -96,6 +98,7 @@ const Header = memo(function Header() {
 
 // Filter tab selector (Global / Friends)
 const FilterTabs = memo(function FilterTabs({ activeFilter, onFilterChange }) {
+  const { t } = useTranslation();
   return (
     <ReAnimated.View entering={FadeInDown.delay(40).springify().mass(0.5).damping(10)} style={styles.filterTabsContainer}>
       {FILTER_TABS.map((tab) => {
@@ -115,12 +118,12 @@ const FilterTabs = memo(function FilterTabs({ activeFilter, onFilterChange }) {
                 style={styles.filterTabGradient}
               >
                 <IconComponent size={14} color={Colors.background} />
-                <Text style={styles.filterTabTextActive}>{tab.label}</Text>
+                <Text style={styles.filterTabTextActive}>{t(tab.labelKey)}</Text>
               </LinearGradient>
             ) : (
               <View style={styles.filterTabInner}>
                 <IconComponent size={14} color={Colors.textTertiary} />
-                <Text style={styles.filterTabText}>{tab.label}</Text>
+                <Text style={styles.filterTabText}>{t(tab.labelKey)}</Text>
               </View>
             )}
           </Pressable>
@@ -132,6 +135,7 @@ const FilterTabs = memo(function FilterTabs({ activeFilter, onFilterChange }) {
 
 // Time period tab selector
 const TimePeriodTabs = memo(function TimePeriodTabs({ activePeriod, onPeriodChange }) {
+  const { t } = useTranslation();
   return (
     <ReAnimated.View entering={FadeInDown.delay(60).springify().mass(0.5).damping(10)} style={styles.timePeriodContainer}>
       {TIME_PERIOD_TABS.map((tab) => {
@@ -143,7 +147,7 @@ const TimePeriodTabs = memo(function TimePeriodTabs({ activePeriod, onPeriodChan
             onPress={() => onPeriodChange(tab.key)}
           >
             <Text style={[styles.timePeriodText, isActive && styles.timePeriodTextActive]}>
-              {tab.label}
+              {t(tab.labelKey)}
             </Text>
           </Pressable>
         );
@@ -208,6 +212,7 @@ const CategoryTabs = memo(function CategoryTabs({ activeCategory, onCategoryChan
 
 // Your rank hero card
 const YourRankCard = memo(function YourRankCard({ rank, totalUsers, userName, userLevel, statValue, statFormatted, categoryEmoji }) {
+  const { t } = useTranslation();
   const percentile = Math.round(((totalUsers - rank + 1) / totalUsers) * 100);
 
   return (
@@ -234,11 +239,11 @@ const YourRankCard = memo(function YourRankCard({ rank, totalUsers, userName, us
             </View>
             <View style={styles.yourRankInfo}>
               <Text style={styles.yourRankName} numberOfLines={1}>
-                {userName || 'You'}
+                {userName || t('leaderboard.you')}
               </Text>
               <View style={styles.yourRankLevelBadge}>
                 <Zap size={10} color={GOLD} />
-                <Text style={styles.yourRankLevelText}>Lvl {userLevel}</Text>
+                <Text style={styles.yourRankLevelText}>{t('leaderboard.lvl', { userLevel })}</Text>
               </View>
             </View>
           </View>
@@ -258,6 +263,7 @@ const YourRankCard = memo(function YourRankCard({ rank, totalUsers, userName, us
 
 // Podium card for top 3
 const PodiumCard = memo(function PodiumCard({ user, rank, statFormatted, isYou, positionChange }) {
+  const { t } = useTranslation();
   const medalColor = rank === 1 ? GOLD : rank === 2 ? SILVER : BRONZE;
   const medalGlow = rank === 1 ? GOLD_GLOW : rank === 2 ? SILVER_GLOW : BRONZE_GLOW;
   const borderColor = rank === 1 ? 'rgba(255, 215, 0, 0.4)' : rank === 2 ? 'rgba(192, 192, 192, 0.35)' : 'rgba(205, 127, 50, 0.35)';
@@ -314,7 +320,7 @@ const PodiumCard = memo(function PodiumCard({ user, rank, statFormatted, isYou,
 
         {/* Level */}
         <View style={[styles.podiumLevelBadge, { backgroundColor: medalColor + '25' }]}>
-          <Text style={[styles.podiumLevelText, { color: medalColor }]}>Lvl {user.level}</Text>
+          <Text style={[styles.podiumLevelText, { color: medalColor }]}>{t('leaderboard.lvl2', { level: user.level })}</Text>
         </View>
 
         {/* Stat */}
@@ -322,7 +328,7 @@ const PodiumCard = memo(function PodiumCard({ user, rank, statFormatted, isYou,
 
         {isYou && (
           <View style={styles.youIndicator}>
-            <Text style={styles.youIndicatorText}>YOU</Text>
+            <Text style={styles.youIndicatorText}>{t('leaderboard.you2')}</Text>
           </View>
         )}
       </LinearGradient>
@@ -378,6 +384,7 @@ const PodiumSection = memo(function PodiumSection({ topThree, category, yourInde
 
 // Standard leaderboard row (rank 4+)
 const LeaderboardRow = memo(function LeaderboardRow({ item, rank, isYou, statFormatted, positionChange, index }) {
+  const { t } = useTranslation();
   return (
     <ReAnimated.View
       entering={FadeInDown.delay(320 + index * 40).springify().mass(0.5).damping(10)}
@@ -426,11 +433,11 @@ const LeaderboardRow = memo(function LeaderboardRow({ item, rank, isYou, statFor
         {/* Name + Level */}
         <View style={styles.rowInfo}>
           <Text style={[styles.rowName, isYou && styles.rowNameYou]} numberOfLines={1}>
-            {isYou ? `${item.name} (You)` : item.name}
+            {isYou ? t('leaderboard.you3', { name: item.name }) : item.name}
           </Text>
           <View style={styles.rowLevelBadge}>
             <Zap size={9} color={Colors.gold} />
-            <Text style={styles.rowLevelText}>Lvl {item.level}</Text>
+            <Text style={styles.rowLevelText}>{t('leaderboard.lvl2', { level: item.level })}</Text>
           </View>
         </View>
 
@@ -443,6 +450,7 @@ const LeaderboardRow = memo(function LeaderboardRow({ item, rank, isYou, statFor
 
 // Weekly challenge card at bottom
 const WeeklyChallengeCard = memo(function WeeklyChallengeCard({ currentStreak }) {
+  const { t } = useTranslation();
   const progress = Math.min(currentStreak / 7, 1);
   const progressPercent = Math.round(progress * 100);
 
@@ -458,16 +466,16 @@ const WeeklyChallengeCard = memo(function WeeklyChallengeCard({ currentStreak })
           <View style={styles.challengeHeader}>
             <View style={styles.challengeHeaderLeft}>
               <Target size={20} color={Colors.primary} />
-              <Text style={styles.challengeTitle}>Weekly Challenge</Text>
+              <Text style={styles.challengeTitle}>{t('leaderboard.weeklyChallenge')}</Text>
             </View>
             <View style={styles.challengeReward}>
               <Zap size={14} color={GOLD} />
-              <Text style={styles.challengeRewardText}>500 XP</Text>
+              <Text style={styles.challengeRewardText}>{t('leaderboard.n500Xp')}</Text>
             </View>
           </View>
 
           <Text style={styles.challengeDescription}>
-            Log food for 7 days in a row
+            {t('leaderboard.logFoodFor7')}
           </Text>
 
           <View style={styles.challengeProgressContainer}>
@@ -480,13 +488,13 @@ const WeeklyChallengeCard = memo(function WeeklyChallengeCard({ currentStreak })
               />
             </View>
             <Text style={styles.challengeProgressText}>
-              {Math.min(currentStreak, 7)}/7 days
+              {t('leaderboard.weekProgress', { days: Math.min(currentStreak, 7) })}
             </Text>
           </View>
 
           {progress >= 1 && (
             <View style={styles.challengeCompleteBadge}>
-              <Text style={styles.challengeCompleteText}>COMPLETED</Text>
+              <Text style={styles.challengeCompleteText}>{t('leaderboard.completed')}</Text>
             </View>
           )}
         </LinearGradient>
@@ -542,6 +550,7 @@ async function fetchRealLeaderboard(period = 'alltime') {
 }
 
 export default function LeaderboardScreen() {
+  const { t } = useTranslation();
   const { user } = useAuth();
   const [activeCategory, setActiveCategory] = useState('xp');
   const [activeFilter, setActiveFilter] = useState('global');
@@ -569,7 +578,7 @@ export default function LeaderboardScreen() {
 
   // Build the "you" user from real data
   const yourUser = useMemo(() => ({
-    name: profile?.name || 'You',
+    name: profile?.name || t('leaderboard.you'),
     avatar: '',
     level: levelInfo?.level || 1,
     xp: totalXP || 0,
@@ -578,7 +587,7 @@ export default function LeaderboardScreen() {
     calories_accuracy: Math.min(95, 60 + Math.floor((totalXP || 0) / 200)),
     userId: user?.id,
     isYou: true,
-  }), [profile, levelInfo, totalXP, currentStreak, user]);
+  }), [profile, levelInfo, totalXP, currentStreak, user, t]);
 
   // Friend user IDs for "Friends Only" filter
   const friendIds = useMemo(() =>
@@ -699,7 +708,7 @@ export default function LeaderboardScreen() {
       {isLoadingReal && (
         <View style={styles.loadingBanner}>
           <ActivityIndicator size="small" color={Colors.primary} />
-          <Text style={styles.loadingBannerText}>Loading live rankings...</Text>
+          <Text style={styles.loadingBannerText}>{t('leaderboard.loadingLiveRankings')}</Text>
         </View>
       )}
 
@@ -726,12 +735,12 @@ export default function LeaderboardScreen() {
           style={styles.sectionDivider}
         >
           <View style={styles.dividerLine} />
-          <Text style={styles.dividerText}>Rankings</Text>
+          <Text style={styles.dividerText}>{t('leaderboard.rankings')}</Text>
           <View style={styles.dividerLine} />
         </ReAnimated.View>
       )}
     </View>
-  ), [activeCategory, activeFilter, activePeriod, yourRank, sortedLeaderboard.length, yourUser, categoryConfig, yourStatFormatted, topThree, restOfList.length, handleCategoryChange, handleFilterChange, handlePeriodChange, isLoadingReal]);
+  ), [activeCategory, activeFilter, activePeriod, yourRank, sortedLeaderboard.length, yourUser, categoryConfig, yourStatFormatted, topThree, restOfList.length, handleCategoryChange, handleFilterChange, handlePeriodChange, isLoadingReal, t]);
 
   const ListFooterComponent = useMemo(() => (
     <View>
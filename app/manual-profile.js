@@ -3,10 +3,12 @@ import { View, Text, TextInput, TouchableOpacity, StyleSheet, ScrollView, Activi
 import { useRouter } from 'expo-router';
 import { supabase } from '../lib/supabase';
 import { ArrowLeft } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { useProfile } from '../context/ProfileContext';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius, Gradients } from '../constants/theme';
 
 export default function ManualProfile() {
+  const { t } = useTranslation();
   const router = useRouter();
   const { profile, fetchProfile } = useProfile();
   const [loading, setLoading] = useState(false);
@@ -36,18 +38,18 @@ export default function ManualProfile() {
       const storedHeightInches = profile.height;
 
       setAge(profile.age?.toString() || '');
-      setGender(profile.gender === 'female' ? 'Female' : 'Male');
+      setGender(profile.gender === 'female' ? t('manualProfile.female') : t('manualProfile.male'));
 
       // Map weekly goal back to display value
       const goalReverseMap = {
-        'lose2': 'Lose Fat',
-        'lose1': 'Lose Fat',
-        'lose05': 'Lose Fat',
-        'maintain': 'Maintain',
-        'gain05': 'Build Muscle',
-        'gain1': 'Build Muscle',
+        'lose2': t('manualProfile.loseFat'),
+        'lose1': t('manualProfile.loseFat'),
+        'lose05': t('manualProfile.loseFat'),
+        'maintain': t('manualProfile.maintain'),
+        'gain05': t('manualProfile.buildMuscle'),
+        'gain1': t('manualProfile.buildMuscle'),
       };
-      setGoal(goalReverseMap[profile.weeklyGoal] || 'Maintain');
+      setGoal(goalReverseMap[profile.weeklyGoal] || t('manualProfile.maintain'));
 
       // Set Imperial values
       setWeightLbs(storedWeightLbs?.toString() || '');
@@ -62,50 +64,50 @@ export default function ManualProfile() {
       setWeightKg(kg?.toString() || '');
       setHeightCm(cm?.toString() || '');
     }
-  }, [profile]);
+  }, [profile, t]);
 
   // Validate inputs based on unit selection
   const validateInputs = () => {
     if (!age) {
-      Alert.alert('Missing Info', 'Please enter your age.');
+      Alert.alert(t('manualProfile.missingInfo'), t('manualProfile.pleaseEnterYourAge'));
       return false;
     }
 
     const ageNum = parseInt(age, 10);
     if (isNaN(ageNum) || ageNum < 13 || ageNum > 120) {
-      Alert.alert('Invalid Age', 'Please enter an age between 13 and 120.');
+      Alert.alert(t('manualProfile.invalidAge'), t('manualProfile.pleaseEnterAnAge'));
       return false;
     }
 
     if (isImperial) {
       if (!weightLbs || !heightFeet) {
-        Alert.alert('Missing Info', 'Please fill in your weight and height.');
+        Alert.alert(t('manualProfile.missingInfo'), t('manualProfile.pleaseFillInYour'));
         return false;
       }
       const w = parseFloat(weightLbs);
       const ft = parseInt(heightFeet, 10);
       const inches = parseInt(heightInches || '0', 10);
       if (isNaN(w) || w < 50 || w > 700) {
-        Alert.alert('Invalid Weight', 'Please enter a weight between 50 and 700 lbs.');
+        Alert.alert(t('manualProfile.invalidWeight'), t('manualProfile.pleaseEnterAWeight'));
         return false;
       }
       if (isNaN(ft) || ft < 3 || ft > 8 || inches < 0 || inches > 11) {
-        Alert.alert('Invalid Height', 'Please enter a valid height (3-8 ft, 0-11 in).');
+        Alert.alert(t('manualProfile.invalidHeight'), t('manualProfile.pleaseEnterAValid'));
         return false;
       }
     } else {
       if (!weightKg || !heightCm) {
-        Alert.alert('Missing Info', 'Please fill in your weight and height.');
+        Alert.alert(t('manualProfile.missingInfo'), t('manualProfile.pleaseFillInYour'));
         return false;
       }
       const w = parseFloat(weightKg);
       const h = parseFloat(heightCm);
       if (isNaN(w) || w < 25 || w > 320) {
-        Alert.alert('Invalid Weight', 'Please enter a weight between 25 and 320 kg.');
+        Alert.alert(t('manualProfile.invalidWeight'), t('manualProfile.pleaseEnterAWeight2'));
         return false;
       }
       if (isNaN(h) || h < 90 || h > 250) {
-        Alert.alert('Invalid Height', 'Please enter a height between 90 and 250 cm.');
+        Alert.alert(t('manualProfile.invalidHeight'), t('manualProfile.pleaseEnterAHeight'));
         return false;
       }
     }
@@ -222,7 +224,7 @@ export default function ManualProfile() {
       router.replace('/(tabs)');
     } catch (error) {
       if (__DEV__) console.error("Save failed:", error);
-      Alert.alert('Error', error.message || 'Could not save profile.');
+      Alert.alert(t('common.errorTitle'), error.message || t('manualProfile.couldNotSaveProfile'));
     } finally {
       setLoading(false);
     }
@@ -237,11 +239,11 @@ export default function ManualProfile() {
           <ArrowLeft size={24} color={Colors.text} />
         </TouchableOpacity>
 
-        <Text style={styles.header}>Profile Setup</Text>
-        <Text style={styles.subHeader}>Enter your stats to calculate your targets.</Text>
+        <Text style={styles.header}>{t('manualProfile.profileSetup')}</Text>
+        <Text style={styles.subHeader}>{t('manualProfile.enterYourStatsTo')}</Text>
 
         {/* Unit Toggle */}
-        <Text style={styles.sectionTitle}>Units</Text>
+        <Text style={styles.sectionTitle}>{t('manualProfile.units')}</Text>
         <View style={styles.unitToggleContainer}>
           <TouchableOpacity
             style={[styles.unitToggle, isImperial && styles.unitToggleActive]}
@@ -263,7 +265,7 @@ export default function ManualProfile() {
 
         {/* Age Input */}
         <View style={styles.inputGroup}>
-          <Text style={styles.label}>Age</Text>
+          <Text style={styles.label}>{t('manualProfile.age')}</Text>
           <TextInput
             style={styles.input}
             placeholder="31"
@@ -276,7 +278,7 @@ export default function ManualProfile() {
 
         {/* Weight Input - conditional based on unit */}
         <View style={styles.inputGroup}>
-          <Text style={styles.label}>{isImperial ? 'Weight (lbs)' : 'Weight (kg)'}</Text>
+          <Text style={styles.label}>{isImperial ? t('manualProfile.weightLbs') : t('manualProfile.weightKg')}</Text>
           <TextInput
             style={styles.input}
             placeholder={isImperial ? "180" : "82"}
@@ -290,7 +292,7 @@ export default function ManualProfile() {
         {/* Height Input - conditional based on unit */}
         {isImperial ? (
           <>
-            <Text style={styles.label}>Height</Text>
+            <Text style={styles.label}>{t('manualProfile.height')}</Text>
             <View style={styles.heightRow}>
               <View style={styles.heightInput}>
                 <TextInput
@@ -318,7 +320,7 @@ export default function ManualProfile() {
           </>
         ) : (
           <View style={styles.inputGroup}>
-            <Text style={styles.label}>Height (cm)</Text>
+            <Text style={styles.label}>{t('manualProfile.heightCm')}</Text>
             <TextInput
               style={styles.input}
               placeholder="178"
@@ -331,7 +333,7 @@ export default function ManualProfile() {
         )}
 
         {/* Gender Selection */}
-        <Text style={styles.sectionTitle}>Gender</Text>
+        <Text style={styles.sectionTitle}>{t('manualProfile.gender')}</Text>
         <View style={styles.selectorContainer}>
           {['Male', 'Female'].map((g) => (
             <TouchableOpacity
@@ -345,7 +347,7 @@ export default function ManualProfile() {
         </View>
 
         {/* Goal Selection */}
-        <Text style={styles.sectionTitle}>Goal</Text>
+        <Text style={styles.sectionTitle}>{t('manualProfile.goal')}</Text>
         <View style={styles.selectorContainer}>
           {['Lose Fat', 'Maintain', 'Build Muscle'].map((g) => (
             <TouchableOpacity
@@ -363,7 +365,7 @@ export default function ManualProfile() {
           {loading ? (
             <ActivityIndicator color={Colors.background} />
           ) : (
-            <Text style={styles.saveButtonText}>Complete Setup</Text>
+            <Text style={styles.saveButtonText}>{t('manualProfile.completeSetup')}</Text>
           )}
         </TouchableOpacity>
 
@@ -372,7 +374,7 @@ export default function ManualProfile() {
           style={styles.skipButton}
           onPress={() => router.replace('/(tabs)')}
         >
-          <Text style={styles.skipButtonText}>Skip for now</Text>
+          <Text style={styles.skipButtonText}>{t('manualProfile.skipForNow')}</Text>
         </TouchableOpacity>
 
       </ScrollView>
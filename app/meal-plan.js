@@ -43,7 +43,9 @@ import {
   Users,
   Minus,
   Plus,
+  ChevronRight,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { useMeals } from '../context/MealContext';
 import { useProfile } from '../context/ProfileContext';
 import { hapticLight, hapticSuccess } from '../lib/haptics';
@@ -108,6 +110,7 @@ function DayTab({ label, isActive, onPress }) {
 // ============================================================================
 
 function MealCard({ meal, index, onAddToDiary }) {
+  const { t } = useTranslation();
   const [showIngredients, setShowIngredients] = useState(false);
 
   const toggleIngredients = useCallback(async () => {
@@ -147,7 +150,7 @@ function MealCard({ meal, index, onAddToDiary }) {
             </View>
             <View style={styles.calorieBadge}>
               <Text style={styles.calorieBadgeText}>{meal.calories}</Text>
-              <Text style={styles.calorieBadgeUnit}>kcal</Text>
+              <Text style={styles.calorieBadgeUnit}>{t('units.kcal')}</Text>
             </View>
           </View>
 
@@ -175,7 +178,7 @@ function MealCard({ meal, index, onAddToDiary }) {
           {meal.ingredients && meal.ingredients.length > 0 && (
             <Pressable onPress={toggleIngredients} style={styles.ingredientsToggle}>
               <Text style={styles.ingredientsToggleText}>
-                {showIngredients ? 'Hide' : 'Show'} Ingredients ({meal.ingredients.length})
+                {showIngredients ? t('mealPlan.hide') : t('mealPlan.show')} Ingredients ({meal.ingredients.length})
               </Text>
               <ChevronDown
                 size={16}
@@ -203,7 +206,7 @@ function MealCard({ meal, index, onAddToDiary }) {
               end={{ x: 1, y: 0 }}
               style={styles.addButtonGradient}
             >
-              <Text style={styles.addButtonText}>Add to Diary</Text>
+              <Text style={styles.addButtonText}>{t('mealPlan.addToDiary')}</Text>
             </LinearGradient>
           </Pressable>
         </LinearGradient>
@@ -217,6 +220,7 @@ function MealCard({ meal, index, onAddToDiary }) {
 // ============================================================================
 
 function ShoppingListSection({ items }) {
+  const { t } = useTranslation();
   const [expanded, setExpanded] = useState(false);
 
   const toggleExpanded = useCallback(async () => {
@@ -231,7 +235,7 @@ function ShoppingListSection({ items }) {
       <Pressable onPress={toggleExpanded} style={styles.shoppingHeader}>
         <View style={styles.shoppingHeaderLeft}>
           <ShoppingCart size={20} color="#10B981" />
-          <Text style={styles.shoppingTitle}>Shopping List</Text>
+          <Text style={styles.shoppingTitle}>{t('mealPlan.shoppingList')}</Text>
           <View style={styles.shoppingBadge}>
             <Text style={styles.shoppingBadgeText}>{items.length}</Text>
           </View>
@@ -266,6 +270,7 @@ function ShoppingListSection({ items }) {
 // ============================================================================
 
 function CoachNoteCard({ note }) {
+  const { t } = useTranslation();
   if (!note) return null;
 
   return (
@@ -280,7 +285,7 @@ function CoachNoteCard({ note }) {
           <View style={styles.coachCardBorder} />
           <View style={styles.coachHeader}>
             <ChefHat size={20} color="#10B981" />
-            <Text style={styles.coachTitle}>Coach Note</Text>
+            <Text style={styles.coachTitle}>{t('mealPlan.coachNote')}</Text>
           </View>
           <Text style={styles.coachText}>{note}</Text>
         </LinearGradient>
@@ -294,10 +299,11 @@ function CoachNoteCard({ note }) {
 // ============================================================================
 
 function MealPlanScreenInner() {
+  const { t } = useTranslation();
   const router = useRouter();
   const { addFood } = useMeals();
   const { profile } = useProfile();
-  const { mealPlan, isGenerating, generatePlan, householdSize, updateHouseholdSize } = useMealPlan();
+  const { mealPlan, isGenerating, generatePlan, householdSize, updateHouseholdSize, household } = useMealPlan();
 
   const [selectedDay, setSelectedDay] = useState(0);
 
@@ -312,17 +318,17 @@ function MealPlanScreenInner() {
   const handleRefresh = useCallback(async () => {
     await hapticLight();
     Alert.alert(
-      'Regenerate Meal Plan',
-      'This will create a new AI-powered meal plan based on your current goals.',
+      t('mealPlan.regenerateMealPlan'),
+      t('mealPlan.thisWillCreateA'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Generate',
+          text: t('mealPlan.generate'),
           onPress: () => generatePlan(),
         },
       ]
     );
-  }, [generatePlan]);
+  }, [generatePlan, t]);
 
   const handleDaySelect = useCallback(async (index) => {
     await hapticLight();
@@ -353,12 +359,12 @@ function MealPlanScreenInner() {
       addFood(foodItem, diaryMealType);
 
       Alert.alert(
-        'Added!',
-        `${meal.name} has been added to your ${meal.type} diary.`,
-        [{ text: 'OK' }]
+        t('mealPlan.added'),
+        t('mealPlan.hasBeenAddedTo', { name: meal.name, type: meal.type }),
+        [{ text: t('common.ok') }]
       );
     },
-    [addFood]
+    [addFood, t]
   );
 
   // Empty state
@@ -374,7 +380,7 @@ function MealPlanScreenInner() {
         <Pressable onPress={handleBack} style={styles.headerButton}>
           <ArrowLeft size={24} color={Colors.text} />
         </Pressable>
-        <Text style={styles.headerTitle}>Meal Plan</Text>
+        <Text style={styles.headerTitle}>{t('mealPlan.mealPlan')}</Text>
         <Pressable
           onPress={handleRefresh}
           style={[styles.headerButton, isGenerating && styles.headerButtonDisabled]}
@@ -397,7 +403,7 @@ function MealPlanScreenInner() {
           >
             <ActivityIndicator size="small" color="#10B981" />
             <Text style={styles.loadingText}>
-              Generating your personalized meal plan...
+              {t('mealPlan.generatingYourPersonalizedMeal')}
             </Text>
           </ReAnimated.View>
           <SkeletonCard delay={80} />
@@ -423,7 +429,7 @@ function MealPlanScreenInner() {
               </LinearGradient>
             </View>
             <Text style={styles.emptyTitle}>
-              Generate Your Personalized Meal Plan
+              {t('mealPlan.generateYourPersonalizedMeal')}
             </Text>
             <Text style={styles.emptySubtitle}>
               AI will create a {profile?.dietaryRestrictions?.length > 0 ? profile.dietaryRestrictions.join(', ') + ' ' : ''}
@@ -437,7 +443,7 @@ function MealPlanScreenInner() {
                 style={styles.generateButtonGradient}
               >
                 <ChefHat size={20} color="#000" />
-                <Text style={styles.generateButtonText}>Generate Meal Plan</Text>
+                <Text style={styles.generateButtonText}>{t('mealPlan.generateMealPlan')}</Text>
               </LinearGradient>
             </Pressable>
           </ReAnimated.View>
@@ -458,27 +464,40 @@ function MealPlanScreenInner() {
           >
             <View style={styles.householdLeft}>
               <Users size={16} color={Colors.textSecondary} />
-              <Text style={styles.householdLabel}>Household</Text>
+              <Text style={styles.householdLabel}>{t('mealPlan.household')}</Text>
             </View>
-            <View style={styles.householdControls}>
+            {household ? (
               <Pressable
-                style={styles.householdBtn}
-                onPress={async () => { await hapticLight(); updateHouseholdSize(householdSize - 1); }}
-                disabled={householdSize <= 1}
+                style={styles.householdControls}
+                onPress={async () => { await hapticLight(); router.push('/household'); }}
+                accessibilityRole="button"
               >
-                <Minus size={14} color={householdSize <= 1 ? Colors.textTertiary : Colors.text} />
-              </Pressable>
-              <Text style={styles.householdValue}>
-                {householdSize} {householdSize === 1 ? 'person' : 'people'}
-              </Text>
-              <Pressable
-                style={styles.householdBtn}
-                onPress={async () => { await hapticLight(); updateHouseholdSize(householdSize + 1); }}
-                disabled={householdSize >= 8}
-              >
-                <Plus size={14} color={householdSize >= 8 ? Colors.textTertiary : Colors.text} />
+                <Text style={styles.householdValue} numberOfLines={1}>
+                  {t('mealPlan.sharedWithHousehold', { name: household.name, count: householdSize })}
+                </Text>
+                <ChevronRight size={14} color={Colors.textSecondary} />
               </Pressable>
-            </View>
+            ) : (
+              <View style={styles.householdControls}>
+                <Pressable
+                  style={styles.householdBtn}
+                  onPress={async () => { await hapticLight(); updateHouseholdSize(householdSize - 1); }}
+                  disabled={householdSize <= 1}
+                >
+                  <Minus size={14} color={householdSize <= 1 ? Colors.textTertiary : Colors.text} />
+                </Pressable>
+                <Text style={styles.householdValue}>
+                  {t('mealPlan.householdPeople', { count: householdSize })}
+                </Text>
+                <Pressable
+                  style={styles.householdBtn}
+                  onPress={async () => { await hapticLight(); updateHouseholdSize(householdSize + 1); }}
+                  disabled={householdSize >= 8}
+                >
+                  <Plus size={14} color={householdSize >= 8 ? Colors.textTertiary : Colors.text} />
+                </Pressable>
+              </View>
+            )}
           </ReAnimated.View>
 
           {/* Day Tabs */}
@@ -493,7 +512,7 @@ function MealPlanScreenInner() {
               {days.map((day, index) => (
                 <DayTab
                   key={day.dayNumber}
-                  label={`Day ${day.dayNumber}`}
+                  label={t('mealPlan.day', { dayNumber: day.dayNumber })}
                   isActive={selectedDay === index}
                   onPress={() => handleDaySelect(index)}
                 />
@@ -508,9 +527,9 @@ function MealPlanScreenInner() {
               style={styles.daySummary}
             >
               <View style={styles.daySummaryRow}>
-                <Text style={styles.daySummaryLabel}>Day {currentDay.dayNumber} Totals</Text>
+                <Text style={styles.daySummaryLabel}>{t('mealPlan.dayTotals', { dayNumber: currentDay.dayNumber })}</Text>
                 <Text style={styles.daySummaryCalories}>
-                  {currentDay.totalCalories} kcal
+                  {t('mealPlan.kcal', { totalCalories: currentDay.totalCalories })}
                 </Text>
               </View>
               <View style={styles.daySummaryMacros}>
@@ -25,6 +25,7 @@ import {
   Target,
   Info,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 
 import { Colors, Gradients, Spacing, FontSize, FontWeight, BorderRadius, Shadows } from '../constants/theme';
 import ScreenWrapper from '../components/ScreenWrapper';
@@ -38,7 +39,7 @@ const CHART_WIDTH = SCREEN_WIDTH - Spacing.md * 4;
 
 const MEAL_CONFIG = {
   breakfast: {
-    label: 'Breakfast',
+    labelKey: 'diary.breakfast',
     emoji: '🌅',
     color: '#FFB300',
     softColor: 'rgba(255, 179, 0, 0.15)',
@@ -46,7 +47,7 @@ const MEAL_CONFIG = {
     icon: Sunrise,
   },
   lunch: {
-    label: 'Lunch',
+    labelKey: 'diary.lunch',
     emoji: '☀️',
     color: '#00E676',
     softColor: 'rgba(0, 230, 118, 0.15)',
@@ -54,7 +55,7 @@ const MEAL_CONFIG = {
     icon: Sun,
   },
   dinner: {
-    label: 'Dinner',
+    labelKey: 'diary.dinner',
     emoji: '🌙',
     color: '#64D2FF',
     softColor: 'rgba(100, 210, 255, 0.15)',
@@ -62,7 +63,7 @@ const MEAL_CONFIG = {
     icon: Moon,
   },
   snack: {
-    label: 'Snack',
+    labelKey: 'diary.snacks',
     emoji: '🍪',
     color: '#BF5AF2',
     softColor: 'rgba(191, 90, 242, 0.15)',
@@ -106,6 +107,7 @@ function SectionHeader({ title, icon: Icon, iconColor }) {
 // ─── Consistency Score Card ─────────────────────────────────────────────────
 
 function ConsistencyScoreCard({ score, delay }) {
+  const { t } = useTranslation();
   const scoreColor = score >= 80
     ? Colors.success
     : score >= 50
@@ -113,14 +115,14 @@ function ConsistencyScoreCard({ score, delay }) {
       : Colors.error;
 
   const scoreLabel = score >= 80
-    ? 'Excellent'
+    ? t('mealTiming.excellent')
     : score >= 60
-      ? 'Good'
+      ? t('mealTiming.good')
       : score >= 40
-        ? 'Fair'
+        ? t('mealTiming.fair')
         : score > 0
-          ? 'Needs Work'
-          : 'No Data';
+          ? t('mealTiming.needsWork')
+          : t('mealTiming.noData');
 
   // Build a simple ring progress indicator
   const ringSize = 120;
@@ -153,12 +155,12 @@ function ConsistencyScoreCard({ score, delay }) {
             <View style={[styles.consistencyRingBorder, { borderColor: `${scoreColor}40` }]} />
           </View>
           <View style={styles.consistencyInfo}>
-            <Text style={styles.consistencyTitle}>Consistency Score</Text>
+            <Text style={styles.consistencyTitle}>{t('mealTiming.consistencyScore')}</Text>
             <Text style={[styles.consistencyLabel, { color: scoreColor }]}>
               {scoreLabel}
             </Text>
             <Text style={styles.consistencyDescription}>
-              Based on how regularly you eat your meals at the same time each day.
+              {t('mealTiming.basedOnHowRegularly')}
             </Text>
           </View>
         </View>
@@ -170,6 +172,7 @@ function ConsistencyScoreCard({ score, delay }) {
 // ─── Average Meal Time Card ─────────────────────────────────────────────────
 
 function MealTimeCard({ mealType, data, delay }) {
+  const { t } = useTranslation();
   const config = MEAL_CONFIG[mealType];
   if (!config) return null;
 
@@ -186,7 +189,7 @@ function MealTimeCard({ mealType, data, delay }) {
         </View>
         <Text style={styles.mealTimeEmoji}>{config.emoji}</Text>
         <Text style={[styles.mealTypeName, { color: config.color }]}>
-          {config.label}
+          {t(config.labelKey)}
         </Text>
         {data ? (
           <>
@@ -197,8 +200,8 @@ function MealTimeCard({ mealType, data, delay }) {
           </>
         ) : (
           <>
-            <Text style={styles.mealTimeNoData}>No data</Text>
-            <Text style={styles.mealTimeCount}>Log meals to see avg</Text>
+            <Text style={styles.mealTimeNoData}>{t('mealTiming.noData2')}</Text>
+            <Text style={styles.mealTimeCount}>{t('mealTiming.logMealsToSee')}</Text>
           </>
         )}
       </GlassCard>
@@ -228,6 +231,7 @@ function InsightCard({ insight, delay }) {
 // ─── Empty State ────────────────────────────────────────────────────────────
 
 function EmptyState() {
+  const { t } = useTranslation();
   return (
     <Animated.View
       entering={FadeInDown.delay(200).springify().damping(12)}
@@ -241,15 +245,14 @@ function EmptyState() {
       >
         <Clock size={48} color={Colors.primary} strokeWidth={1.5} />
       </LinearGradient>
-      <Text style={styles.emptyTitle}>Meal Timing Analytics</Text>
+      <Text style={styles.emptyTitle}>{t('mealTiming.mealTimingAnalytics')}</Text>
       <Text style={styles.emptySubtitle}>
-        Log some meals to see your eating patterns, consistency score, and
-        personalized insights about your meal timing.
+        {t('mealTiming.logSomeMealsTo')}
       </Text>
       <View style={styles.emptyHintRow}>
         <Info size={16} color={Colors.textSecondary} strokeWidth={2} />
         <Text style={styles.emptyHint}>
-          Start logging meals to unlock analytics
+          {t('mealTiming.startLoggingMealsTo')}
         </Text>
       </View>
     </Animated.View>
@@ -259,6 +262,7 @@ function EmptyState() {
 // ─── Main Screen ────────────────────────────────────────────────────────────
 
 export default function MealTimingScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const {
     mealTimes,
@@ -388,7 +392,7 @@ export default function MealTimingScreen() {
             <ArrowLeft size={22} color={Colors.text} strokeWidth={2} />
           </TouchableOpacity>
 
-          <Text style={styles.headerTitle}>Meal Timing</Text>
+          <Text style={styles.headerTitle}>{t('mealTiming.mealTiming')}</Text>
 
           <LinearGradient
             colors={['rgba(0,212,255,0.2)', 'rgba(0,212,255,0.05)']}
@@ -416,7 +420,7 @@ export default function MealTimingScreen() {
               entering={FadeInDown.delay(200).springify().damping(12)}
             >
               <SectionHeader
-                title="Average Meal Times"
+                title={t('mealTiming.averageMealTimes')}
                 icon={Clock}
                 iconColor={Colors.primary}
               />
@@ -450,7 +454,7 @@ export default function MealTimingScreen() {
               entering={FadeInDown.delay(450).springify().damping(12)}
             >
               <SectionHeader
-                title="Eating Window"
+                title={t('mealTiming.eatingWindow')}
                 icon={Target}
                 iconColor="#00E676"
               />
@@ -458,7 +462,7 @@ export default function MealTimingScreen() {
                 <View style={styles.chartLegend}>
                   <View style={styles.legendItem}>
                     <View style={[styles.legendDot, { backgroundColor: Colors.success }]} />
-                    <Text style={styles.legendText}>10h or less</Text>
+                    <Text style={styles.legendText}>{t('mealTiming.n10hOrLess')}</Text>
                   </View>
                   <View style={styles.legendItem}>
                     <View style={[styles.legendDot, { backgroundColor: Colors.warning }]} />
@@ -506,8 +510,8 @@ export default function MealTimingScreen() {
                 <View style={styles.chartFooter}>
                   <Text style={styles.chartFooterText}>
                     {avgWindowHours > 0
-                      ? `Avg window: ${avgWindowHours}h (dashed line)`
-                      : 'Log 2+ meals per day to see your window'}
+                      ? t('mealTiming.avgWindowHDashed', { avgWindowHours })
+                      : t('mealTiming.log2MealsPer')}
                   </Text>
                 </View>
               </GlassCard>
@@ -519,13 +523,13 @@ export default function MealTimingScreen() {
                 entering={FadeInDown.delay(550).springify().damping(12)}
               >
                 <SectionHeader
-                  title="Calorie Distribution"
+                  title={t('mealTiming.calorieDistribution')}
                   icon={BarChart3}
                   iconColor="#FFB300"
                 />
                 <GlassCard style={styles.chartCard}>
                   <Text style={styles.chartDescription}>
-                    Average calories consumed per hour of the day
+                    {t('mealTiming.averageCaloriesConsumedPer')}
                   </Text>
 
                   <BarChart
@@ -558,7 +562,7 @@ export default function MealTimingScreen() {
 
                   <View style={styles.chartFooter}>
                     <Text style={styles.chartFooterText}>
-                      Hourly average based on recent meals
+                      {t('mealTiming.hourlyAverageBasedOn')}
                     </Text>
                   </View>
                 </GlassCard>
@@ -571,7 +575,7 @@ export default function MealTimingScreen() {
                 entering={FadeInDown.delay(650).springify().damping(12)}
               >
                 <SectionHeader
-                  title="Insights"
+                  title={t('mealTiming.insights')}
                   icon={TrendingUp}
                   iconColor="#00E676"
                 />
@@ -590,7 +594,7 @@ export default function MealTimingScreen() {
               entering={FadeInDown.delay(800).springify().damping(12)}
             >
               <SectionHeader
-                title="Summary"
+                title={t('mealTiming.summary')}
                 icon={Zap}
                 iconColor="#BF5AF2"
               />
@@ -598,14 +602,14 @@ export default function MealTimingScreen() {
                 <View style={styles.summaryRow}>
                   <View style={styles.summaryItem}>
                     <Text style={styles.summaryValue}>{mealTimes.length}</Text>
-                    <Text style={styles.summaryLabel}>Total Meals</Text>
+                    <Text style={styles.summaryLabel}>{t('mealTiming.totalMeals')}</Text>
                   </View>
                   <View style={styles.summaryDivider} />
                   <View style={styles.summaryItem}>
                     <Text style={styles.summaryValue}>
                       {avgWindowHours > 0 ? `${avgWindowHours}h` : '--'}
                     </Text>
-                    <Text style={styles.summaryLabel}>Avg Window</Text>
+                    <Text style={styles.summaryLabel}>{t('mealTiming.avgWindow')}</Text>
                   </View>
                   <View style={styles.summaryDivider} />
                   <View style={styles.summaryItem}>
@@ -618,7 +622,7 @@ export default function MealTimingScreen() {
                     }]}>
                       {consistencyScore > 0 ? consistencyScore : '--'}
                     </Text>
-                    <Text style={styles.summaryLabel}>Consistency</Text>
+                    <Text style={styles.summaryLabel}>{t('mealTiming.consistency')}</Text>
                   </View>
                 </View>
               </GlassCard>
@@ -3,6 +3,7 @@ import { View, Text, StyleSheet, FlatList, Pressable, LayoutAnimation, Platform,
 import { useRouter } from 'expo-router';
 import Animated, { FadeInDown, FadeIn } from 'react-native-reanimated';
 import { ArrowLeft, Pill, AlertTriangle, ChevronDown, ChevronUp, Sparkles } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import GlassCard from '../components/ui/GlassCard';
 import AnimatedProgressRing from '../components/AnimatedProgressRing';
@@ -12,7 +13,8 @@ import { MICRONUTRIENTS } from '../data/micronutrients';
 import { useMicronutrients } from '../hooks/useMicronutrients';
 import { useProfile } from '../context/ProfileContext';
 import { useMeals } from '../context/MealContext';
-import { useDailyMicronutrients } from '../hooks/useDailyMicronutrients';
+import { useDailyMicronutrients, useWeeklyMicronutrients } from '../hooks/useDailyMicronutrients';
+import { format, subDays } from 'date-fns';
 
 // Enable LayoutAnimation on Android
 if (Platform.OS === 'android' && UIManager.setLayoutAnimationEnabledExperimental) {
@@ -26,6 +28,34 @@ const CATEGORY_TABS = [
   { key: 'other', label: 'Other' },
 ];
 
+const PERIOD_TABS = [
+  { key: 'day', labelKey: 'micronutrients.periodToday' },
+  { key: 'week', labelKey: 'micronutrients.periodWeek' },
+];
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snacks'];
+
+function collectFoods(meals) {
+  const foods = [];
+  for (const mealType of MEAL_TYPES) {
+    for (const item of (meals?.[mealType] || [])) {
+      foods.push({
+        name: item.name || '',
+        calories: item.calories || 0,
+        micronutrients: item.micronutrients,
+        micronutrientSource: item.micronutrientSource,
+      });
+    }
+  }
+  return foods;
+}
+
+function getCoverageColor(level) {
+  if (level === 'complete') return Colors.success;
+  if (level === 'partial') return Colors.warning;
+  return Colors.error;
+}
+
 function getProgressColor(percent) {
   if (percent >= 75) return Colors.success;
   if (percent >= 50) return Colors.warning;
@@ -56,8 +86,9 @@ function getGradeColor(grade) {
 // NutrientRow — individual nutrient with expandable detail
 // ---------------------------------------------------------------------------
 function NutrientRow({ item, isExpanded, onToggle }) {
-  const progressColor = getProgressColor(item.percent);
-  const badgeColors = getStatusBadgeColor(item.status);
+  const { t } = useTranslation();
+  const progressColor = item.hasEnoughData ? getProgressColor(item.percent) : Colors.textTertiary;
+  const badgeColors = item.hasEnoughData ? getStatusBadgeColor(item.status) : getStatusBadgeColor(null);
   const clampedWidth = Math.min(item.percent, 100);
 
   return (
@@ -66,6 +97,11 @@ function NutrientRow({ item, isExpanded, onToggle }) {
         <Text style={styles.nutrientEmoji}>{item.emoji}</Text>
         <View style={styles.nutrientInfo}>
           <Text style={styles.nutrientName}>{item.name}</Text>
+          {!item.hasEnoughData && (
+            <Text style={styles.limitedDataText}>
+              {t('micronutrients.limitedData', { percent: Math.round(item.coverage * 100) })}
+            </Text>
+          )}
           <View style={styles.nutrientBarRow}>
             <View style={styles.barTrack}>
               <View
@@ -101,12 +137,12 @@ function NutrientRow({ item, isExpanded, onToggle }) {
           <Text style={styles.expandedDescription}>{item.description}</Text>
 
           <View style={styles.expandedRow}>
-            <Text style={styles.expandedLabel}>Top sources</Text>
+            <Text style={styles.expandedLabel}>{t('micronutrients.topSources')}</Text>
             <Text style={styles.expandedValue}>{item.topSources.join(', ')}</Text>
           </View>
 
           <View style={styles.expandedRow}>
-            <Text style={styles.expandedLabel}>If deficient</Text>
+            <Text style={styles.expandedLabel}>{t('micronutrients.ifDeficient')}</Text>
             <Text style={[styles.expandedValue, { color: Colors.warning }]}>
               {item.deficiencyRisk}
             </Text>
@@ -114,7 +150,7 @@ function NutrientRow({ item, isExpanded, onToggle }) {
 
           {item.upperLimit && (
             <View style={styles.expandedRow}>
-              <Text style={styles.expandedLabel}>Upper limit</Text>
+              <Text style={styles.expandedLabel}>{t('micronutrients.upperLimit')}</Text>
               <Text style={styles.expandedValue}>{item.upperLimit} {item.unit}/day</Text>
             </View>
           )}
@@ -128,35 +164,39 @@ function NutrientRow({ item, isExpanded, onToggle }) {
 // Main screen
 // ---------------------------------------------------------------------------
 export default function MicronutrientsScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const { profile } = useProfile();
   const gender = (profile.gender === 'female') ? 'female' : 'male';
 
-  // Pull real food data from today's meals
-  const { meals } = useMeals();
-  const allFoods = useMemo(() => {
-    const foods = [];
-    for (const mealType of ['breakfast', 'lunch', 'dinner', 'snacks']) {
-      for (const item of (meals[mealType] || [])) {
-        foods.push({ name: item.name || '', calories: item.calories || 0 });
-      }
-    }
-    return foods;
-  }, [meals]);
-
-  const { intake: dailyIntake, matchedFoods, totalFoods } = useDailyMicronutrients(allFoods);
+  const [period, setPeriod] = useState('day');
+
+  // Today's foods, and each of the last 7 days for the weekly average
+  const { meals, dayData } = useMeals();
+  const todayFoods = useMemo(() => collectFoods(meals), [meals]);
+  const weekFoods = useMemo(() => {
+    const today = new Date();
+    return Array.from({ length: 7 }, (_, i) =>
+      collectFoods(dayData[format(subDays(today, i), 'yyyy-MM-dd')]?.meals));
+  }, [dayData]);
+
+  const daily = useDailyMicronutrients(todayFoods);
+  const weekly = useWeeklyMicronutrients(weekFoods);
+  const report = period === 'week' ? weekly : daily;
+  const { intake: dailyIntake, coverage, nutrientCoverage, matchedFoods, totalFoods } = report;
   const hasRealData = totalFoods > 0;
 
   const {
     nutrients,
     deficiencyAlerts,
+    uncertainNutrients,
     overallScore,
     grade,
     vitaminScore,
     mineralScore,
     topDeficiencies,
     topStrengths,
-  } = useMicronutrients(dailyIntake, gender);
+  } = useMicronutrients(dailyIntake, gender, nutrientCoverage);
 
   const [activeTab, setActiveTab] = useState('all');
   const [expandedId, setExpandedId] = useState(null);
@@ -203,7 +243,7 @@ export default function MicronutrientsScreen() {
           <Pressable onPress={() => router.back()} style={styles.backButton}>
             <ArrowLeft size={22} color={Colors.text} />
           </Pressable>
-          <Text style={styles.title}>Micronutrients</Text>
+          <Text style={styles.title}>{t('micronutrients.micronutrients')}</Text>
           <View style={[styles.headerIcon, { backgroundColor: Colors.primarySoft }]}>
             <Pill size={20} color={Colors.primary} />
           </View>
@@ -236,9 +276,9 @@ export default function MicronutrientsScreen() {
             </AnimatedProgressRing>
 
             <View style={styles.scoreTextArea}>
-              <Text style={styles.scoreTitle}>Nutrition Score</Text>
+              <Text style={styles.scoreTitle}>{t('micronutrients.nutritionScore')}</Text>
               <Text style={styles.scoreSubtitle}>
-                Based on {nutrients.length} tracked micronutrients
+                {t('micronutrients.basedOnTrackedMicronutrients', { nutrientsCount: nutrients.length })}
               </Text>
               <View style={styles.strengthsRow}>
                 {topStrengths.slice(0, 2).map((n) => (
@@ -252,6 +292,62 @@ export default function MicronutrientsScreen() {
         </GlassCard>
       </Animated.View>
 
+      {/* Period + data completeness */}
+      <Animated.View
+        entering={FadeInDown.delay(120).springify().mass(0.5).damping(10)}
+      >
+        <View style={styles.tabsRow}>
+          {PERIOD_TABS.map((tab) => {
+            const isActive = period === tab.key;
+            return (
+              <Pressable
+                key={tab.key}
+                onPress={() => setPeriod(tab.key)}
+                style={[styles.tab, isActive && styles.tabActive]}
+              >
+                <Text style={[styles.tabText, isActive && styles.tabTextActive]}>
+                  {t(tab.labelKey)}
+                </Text>
+              </Pressable>
+            );
+          })}
+        </View>
+
+        {hasRealData && (
+          <GlassCard style={styles.coverageCard}>
+            <View style={styles.coverageHeader}>
+              <Text style={styles.coverageTitle}>{t('micronutrients.dataCompleteness')}</Text>
+              <Text style={[styles.coverageLevel, { color: getCoverageColor(coverage.level) }]}>
+                {t(`micronutrients.coverageLevel.${coverage.level}`)}
+              </Text>
+            </View>
+            <View style={styles.coverageTrack}>
+              <View
+                style={[
+                  styles.barFill,
+                  { width: `${Math.round(coverage.calorieShare * 100)}%`, backgroundColor: getCoverageColor(coverage.level) },
+                ]}
+              />
+            </View>
+            <Text style={styles.coverageText}>
+              {t('micronutrients.coverageSummary', { percent: Math.round(coverage.calorieShare * 100) })}
+            </Text>
+            <Text style={styles.coverageText}>
+              {t('micronutrients.coverageBreakdown', {
+                reported: coverage.reportedFoods,
+                estimated: coverage.estimatedFoods,
+                missing: coverage.missingFoods,
+              })}
+            </Text>
+            {uncertainNutrients.length > 0 && (
+              <Text style={[styles.coverageText, { color: Colors.warning }]}>
+                {t('micronutrients.uncertainNutrients', { names: uncertainNutrients.map((n) => n.name).join(', ') })}
+              </Text>
+            )}
+          </GlassCard>
+        )}
+      </Animated.View>
+
       {/* Category Tabs */}
       <Animated.View
         entering={FadeInDown.delay(160).springify().mass(0.5).damping(10)}
@@ -298,11 +394,11 @@ export default function MicronutrientsScreen() {
                 <View style={styles.alertHeader}>
                   <AlertTriangle size={16} color={textColor} />
                   <Text style={[styles.alertTitle, { color: textColor }]}>
-                    {alert.nutrient.emoji} {alert.nutrient.name} — {Math.round(alert.percent)}% of RDA
+                    {alert.nutrient.emoji} {t('micronutrients.percentOfRda', { name: alert.nutrient.name, percent: Math.round(alert.percent) })}
                   </Text>
                 </View>
                 <Text style={styles.alertSuggestion}>
-                  Try: {alert.nutrient.topSources.join(', ')}
+                  {t('micronutrients.trySources', { sources: alert.nutrient.topSources.join(', ') })}
                 </Text>
               </View>
             );
@@ -312,12 +408,14 @@ export default function MicronutrientsScreen() {
 
       {/* Section label */}
       <Text style={styles.sectionTitle}>
-        {activeTab === 'all' ? 'All Nutrients' : CATEGORY_TABS.find(t => t.key === activeTab)?.label}
+        {activeTab === 'all' ? t('micronutrients.allNutrients') : CATEGORY_TABS.find((tab) => tab.key === activeTab)?.label}
       </Text>
     </View>
   ), [
     router, overallScore, gradeColor, grade, nutrients.length, topStrengths,
     activeTab, handleTabPress, criticalAndWarningAlerts,
+    period, hasRealData, coverage, uncertainNutrients,
+    t,
   ]);
 
   const ListFooter = useMemo(() => (
@@ -326,7 +424,7 @@ export default function MicronutrientsScreen() {
       <Animated.View
         entering={FadeIn.delay(400)}
       >
-        <Text style={styles.sectionTitle}>Category Breakdown</Text>
+        <Text style={styles.sectionTitle}>{t('micronutrients.categoryBreakdown')}</Text>
         <View style={styles.summaryRow}>
           <GlassCard style={styles.summaryCard} variant="accent">
             <View style={styles.summaryCardInner}>
@@ -338,7 +436,7 @@ export default function MicronutrientsScreen() {
                 gradientEnd="#5AC8FA"
                 showPercentage
               />
-              <Text style={styles.summaryCardLabel}>Vitamins</Text>
+              <Text style={styles.summaryCardLabel}>{t('micronutrients.vitamins')}</Text>
               <AnimatedCounter
                 value={vitaminScore}
                 suffix="%"
@@ -357,7 +455,7 @@ export default function MicronutrientsScreen() {
                 gradientEnd="#00C853"
                 showPercentage
               />
-              <Text style={styles.summaryCardLabel}>Minerals</Text>
+              <Text style={styles.summaryCardLabel}>{t('micronutrients.minerals')}</Text>
               <AnimatedCounter
                 value={mineralScore}
                 suffix="%"
@@ -371,7 +469,7 @@ export default function MicronutrientsScreen() {
       {/* Top Deficiencies */}
       {topDeficiencies.length > 0 && topDeficiencies[0].percent < 75 && (
         <Animated.View entering={FadeIn.delay(500)}>
-          <Text style={styles.sectionTitle}>Focus Areas</Text>
+          <Text style={styles.sectionTitle}>{t('micronutrients.focusAreas')}</Text>
           <GlassCard style={styles.focusCard} variant="warning">
             {topDeficiencies.filter(n => n.percent < 75).map((n) => (
               <View key={n.id} style={styles.focusRow}>
@@ -379,7 +477,7 @@ export default function MicronutrientsScreen() {
                 <View style={styles.focusInfo}>
                   <Text style={styles.focusName}>{n.name}</Text>
                   <Text style={styles.focusSources}>
-                    Eat more: {n.topSources.join(', ')}
+                    {t('micronutrients.eatMoreSources', { sources: n.topSources.join(', ') })}
                   </Text>
                 </View>
                 <View style={[styles.percentBadge, {
@@ -400,7 +498,7 @@ export default function MicronutrientsScreen() {
       {/* Top Strengths */}
       {topStrengths.length > 0 && topStrengths[0].percent >= 75 && (
         <Animated.View entering={FadeIn.delay(600)}>
-          <Text style={styles.sectionTitle}>Strengths</Text>
+          <Text style={styles.sectionTitle}>{t('micronutrients.strengths')}</Text>
           <GlassCard style={styles.focusCard} variant="success">
             {topStrengths.filter(n => n.percent >= 75).map((n) => (
               <View key={n.id} style={styles.focusRow}>
@@ -408,7 +506,7 @@ export default function MicronutrientsScreen() {
                 <View style={styles.focusInfo}>
                   <Text style={styles.focusName}>{n.name}</Text>
                   <Text style={[styles.focusSources, { color: Colors.success }]}>
-                    {n.percent}% of daily target
+                    {t('micronutrients.ofDailyTarget', { percent: n.percent })}
                   </Text>
                 </View>
                 <Sparkles size={16} color={Colors.success} />
@@ -422,15 +520,17 @@ export default function MicronutrientsScreen() {
       <View style={styles.noticeBanner}>
         <AlertTriangle size={14} color={Colors.textTertiary} />
         <Text style={styles.noticeText}>
-          {hasRealData
-            ? `Estimated from ${matchedFoods} of ${totalFoods} logged foods. Log more foods for better accuracy.`
-            : 'No foods logged today. Log meals to see your micronutrient breakdown.'}
+          {!hasRealData
+            ? t(period === 'week' ? 'micronutrients.noFoodsThisWeek' : 'micronutrients.noFoodsToday')
+            : period === 'week'
+              ? t('micronutrients.weeklyNotice', { matchedFoods, totalFoods, days: weekly.daysLogged })
+              : t('micronutrients.dailyNotice', { matchedFoods, totalFoods })}
         </Text>
       </View>
 
       <View style={styles.bottomSpacer} />
     </View>
-  ), [vitaminScore, mineralScore, topDeficiencies, topStrengths, hasRealData, matchedFoods, totalFoods]);
+  ), [vitaminScore, mineralScore, topDeficiencies, topStrengths, hasRealData, matchedFoods, totalFoods, period, weekly.daysLogged, t]);
 
   return (
     <ScreenWrapper>
@@ -757,6 +857,42 @@ const styles = StyleSheet.create({
   },
 
   // Notice banner
+  limitedDataText: {
+    fontSize: FontSize.xs,
+    color: Colors.textTertiary,
+  },
+
+  // Data completeness
+  coverageCard: {
+    padding: Spacing.md,
+    marginBottom: Spacing.md,
+    gap: Spacing.xs,
+  },
+  coverageHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  coverageTitle: {
+    fontSize: FontSize.md,
+    fontWeight: FontWeight.semibold,
+    color: Colors.text,
+  },
+  coverageLevel: {
+    fontSize: FontSize.sm,
+    fontWeight: FontWeight.semibold,
+  },
+  coverageTrack: {
+    height: 5,
+    backgroundColor: Colors.surfaceElevated,
+    borderRadius: 3,
+    overflow: 'hidden',
+  },
+  coverageText: {
+    fontSize: FontSize.xs,
+    color: Colors.textSecondary,
+  },
+
   noticeBanner: {
     flexDirection: 'row',
     alignItems: 'center',
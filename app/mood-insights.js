@@ -45,6 +45,7 @@ import {
   ThumbsDown,
   Clock,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import {
   Colors,
@@ -92,6 +93,7 @@ function moodEmoji(score) {
 // Empty State
 // ============================================================
 function EmptyState() {
+  const { t } = useTranslation();
   return (
     <ReAnimated.View entering={FadeInDown.delay(100).springify().mass(0.5).damping(10)} style={styles.emptyContainer}>
       <LinearGradient
@@ -101,22 +103,22 @@ function EmptyState() {
         <View style={styles.emptyIconWrap}>
           <Brain size={48} color={Colors.accentPurple} />
         </View>
-        <Text style={styles.emptyTitle}>Not Enough Data Yet</Text>
+        <Text style={styles.emptyTitle}>{t('moodInsights.notEnoughDataYet')}</Text>
         <Text style={styles.emptySubtitle}>
-          Log your mood and food for at least 3 days to unlock insights about how your nutrition affects your mood.
+          {t('moodInsights.logYourMoodAnd')}
         </Text>
         <View style={styles.emptySteps}>
           <View style={styles.emptyStep}>
             <Text style={styles.emptyStepNum}>1</Text>
-            <Text style={styles.emptyStepText}>Log your meals daily</Text>
+            <Text style={styles.emptyStepText}>{t('moodInsights.logYourMealsDaily')}</Text>
           </View>
           <View style={styles.emptyStep}>
             <Text style={styles.emptyStepNum}>2</Text>
-            <Text style={styles.emptyStepText}>Check in your mood regularly</Text>
+            <Text style={styles.emptyStepText}>{t('moodInsights.checkInYourMood')}</Text>
           </View>
           <View style={styles.emptyStep}>
             <Text style={styles.emptyStepNum}>3</Text>
-            <Text style={styles.emptyStepText}>Come back for personalised insights</Text>
+            <Text style={styles.emptyStepText}>{t('moodInsights.comeBackForPersonalised')}</Text>
           </View>
         </View>
       </LinearGradient>
@@ -140,6 +142,7 @@ function SectionHeader({ icon: Icon, iconColor, title }) {
 // Macro Impact Card
 // ============================================================
 function MacroCard({ label, emoji, avgMood, count, isBest }) {
+  const { t } = useTranslation();
   return (
     <View style={[styles.macroCard, isBest && styles.macroCardBest]}>
       <LinearGradient
@@ -158,7 +161,7 @@ function MacroCard({ label, emoji, avgMood, count, isBest }) {
         {isBest && (
           <View style={styles.bestBadge}>
             <Sparkles size={10} color={Colors.success} />
-            <Text style={styles.bestBadgeText}>Best</Text>
+            <Text style={styles.bestBadgeText}>{t('moodInsights.best')}</Text>
           </View>
         )}
       </LinearGradient>
@@ -170,6 +173,7 @@ function MacroCard({ label, emoji, avgMood, count, isBest }) {
 // Food-Mood Item
 // ============================================================
 function FoodMoodItem({ item, variant }) {
+  const { t } = useTranslation();
   const isBooster = variant === 'booster';
   const borderColor = isBooster ? 'rgba(0, 230, 118, 0.25)' : 'rgba(255, 82, 82, 0.25)';
   const bgColors = isBooster
@@ -183,7 +187,7 @@ function FoodMoodItem({ item, variant }) {
         <Text style={styles.foodMoodEmoji}>{item.emoji}</Text>
         <View style={styles.foodMoodInfo}>
           <Text style={styles.foodMoodName} numberOfLines={1}>{item.name}</Text>
-          <Text style={styles.foodMoodFreq}>{item.frequency}x logged</Text>
+          <Text style={styles.foodMoodFreq}>{t('moodInsights.xLogged', { frequency: item.frequency })}</Text>
         </View>
         <View style={styles.foodMoodScoreWrap}>
           <Text style={[styles.foodMoodScore, { color: scoreColor }]}>
@@ -223,6 +227,7 @@ function InsightCard({ text, index }) {
 // Main Screen
 // ============================================================
 export default function MoodInsightsScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const {
     isLoading,
@@ -274,7 +279,7 @@ export default function MoodInsightsScreen() {
     return [
       {
         value: moodByHydration.high.avg || 0,
-        label: '8+ glasses',
+        label: t('moodInsights.n8Glasses'),
         frontColor: Colors.primary,
         topLabelComponent: () => (
           <Text style={styles.barTopLabel}>{r1(moodByHydration.high.avg)}</Text>
@@ -282,21 +287,21 @@ export default function MoodInsightsScreen() {
       },
       {
         value: moodByHydration.low.avg || 0,
-        label: '<8 glasses',
+        label: t('moodInsights.n8Glasses2'),
         frontColor: Colors.textTertiary,
         topLabelComponent: () => (
           <Text style={styles.barTopLabel}>{r1(moodByHydration.low.avg)}</Text>
         ),
       },
     ];
-  }, [moodByHydration]);
+  }, [moodByHydration, t]);
 
   // --- Calorie target bar data ---
   const calorieBarData = useMemo(() => {
     return [
       {
         value: moodByCalories.under.avg || 0,
-        label: 'Under',
+        label: t('moodInsights.under'),
         frontColor: Colors.warning,
         topLabelComponent: () => (
           <Text style={styles.barTopLabel}>{r1(moodByCalories.under.avg)}</Text>
@@ -304,7 +309,7 @@ export default function MoodInsightsScreen() {
       },
       {
         value: moodByCalories.onTarget.avg || 0,
-        label: 'On Target',
+        label: t('moodInsights.onTarget'),
         frontColor: Colors.success,
         topLabelComponent: () => (
           <Text style={styles.barTopLabel}>{r1(moodByCalories.onTarget.avg)}</Text>
@@ -312,14 +317,14 @@ export default function MoodInsightsScreen() {
       },
       {
         value: moodByCalories.over.avg || 0,
-        label: 'Over',
+        label: t('moodInsights.over'),
         frontColor: Colors.error,
         topLabelComponent: () => (
           <Text style={styles.barTopLabel}>{r1(moodByCalories.over.avg)}</Text>
         ),
       },
     ];
-  }, [moodByCalories]);
+  }, [moodByCalories, t]);
 
   // --- Weekly comparison ---
   const weeklyChange = weeklyMoodAverage.change;
@@ -331,7 +336,7 @@ export default function MoodInsightsScreen() {
       <ScreenWrapper>
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color={Colors.accentPurple} />
-          <Text style={styles.loadingText}>Analysing mood patterns...</Text>
+          <Text style={styles.loadingText}>{t('moodInsights.analysingMoodPatterns')}</Text>
         </View>
       </ScreenWrapper>
     );
@@ -351,7 +356,7 @@ export default function MoodInsightsScreen() {
           </Pressable>
           <View style={styles.headerCenter}>
             <Brain size={22} color={Colors.accentPurple} />
-            <Text style={styles.headerTitle}>Mood & Food</Text>
+            <Text style={styles.headerTitle}>{t('moodInsights.moodFood')}</Text>
           </View>
           <View style={styles.headerRight} />
         </ReAnimated.View>
@@ -365,7 +370,7 @@ export default function MoodInsightsScreen() {
                 style={styles.weeklyPillGradient}
               >
                 <View style={styles.weeklyPillLeft}>
-                  <Text style={styles.weeklyPillLabel}>This Week</Text>
+                  <Text style={styles.weeklyPillLabel}>{t('common.thisWeek')}</Text>
                   <Text style={styles.weeklyPillScore}>
                     {moodEmoji(weeklyMoodAverage.thisWeek)} {r1(weeklyMoodAverage.thisWeek)}/10
                   </Text>
@@ -389,7 +394,7 @@ export default function MoodInsightsScreen() {
           <>
             {/* ====== MOOD TREND CHART ====== */}
             <ReAnimated.View entering={FadeInDown.delay(100).springify().mass(0.5).damping(10)}>
-              <SectionHeader icon={TrendingUp} iconColor={Colors.primary} title="7-Day Mood Trend" />
+              <SectionHeader icon={TrendingUp} iconColor={Colors.primary} title={t('moodInsights.n7DayMoodTrend')} />
               <View style={styles.chartCard}>
                 <LinearGradient colors={Gradients.card} style={styles.chartCardGradient}>
                   {hasLineData ? (
@@ -444,7 +449,7 @@ export default function MoodInsightsScreen() {
                     />
                   ) : (
                     <View style={styles.noChartData}>
-                      <Text style={styles.noChartDataText}>No mood data for the past 7 days</Text>
+                      <Text style={styles.noChartDataText}>{t('moodInsights.noMoodDataFor')}</Text>
                     </View>
                   )}
                 </LinearGradient>
@@ -453,24 +458,24 @@ export default function MoodInsightsScreen() {
 
             {/* ====== MACRO IMPACT CARDS ====== */}
             <ReAnimated.View entering={FadeInDown.delay(200).springify().mass(0.5).damping(10)}>
-              <SectionHeader icon={Flame} iconColor={Colors.secondary} title="Macro Impact on Mood" />
+              <SectionHeader icon={Flame} iconColor={Colors.secondary} title={t('moodInsights.macroImpactOnMood')} />
               <View style={styles.macroRow}>
                 <MacroCard
-                  label="High Protein"
+                  label={t('moodInsights.highProtein')}
                   emoji={'\u{1F969}'}
                   avgMood={moodByMacroSplit.highProtein.avg}
                   count={moodByMacroSplit.highProtein.count}
                   isBest={bestMacro === 'highProtein'}
                 />
                 <MacroCard
-                  label="High Carb"
+                  label={t('moodInsights.highCarb')}
                   emoji={'\u{1F35E}'}
                   avgMood={moodByMacroSplit.highCarb.avg}
                   count={moodByMacroSplit.highCarb.count}
                   isBest={bestMacro === 'highCarb'}
                 />
                 <MacroCard
-                  label="Balanced"
+                  label={t('moodInsights.balanced')}
                   emoji={'\u{2696}\u{FE0F}'}
                   avgMood={moodByMacroSplit.balanced.avg}
                   count={moodByMacroSplit.balanced.count}
@@ -482,8 +487,8 @@ export default function MoodInsightsScreen() {
             {/* ====== FOOD-MOOD CONNECTIONS ====== */}
             {bestFoodsForMood.length > 0 && (
               <ReAnimated.View entering={FadeInDown.delay(300).springify().mass(0.5).damping(10)}>
-                <SectionHeader icon={ThumbsUp} iconColor={Colors.success} title="Mood Boosters" />
-                <Text style={styles.sectionSubtitle}>Foods associated with your best mood days</Text>
+                <SectionHeader icon={ThumbsUp} iconColor={Colors.success} title={t('moodInsights.moodBoosters')} />
+                <Text style={styles.sectionSubtitle}>{t('moodInsights.foodsAssociatedWithYour')}</Text>
                 {bestFoodsForMood.map((item, i) => (
                   <FoodMoodItem key={`boost-${i}`} item={item} variant="booster" />
                 ))}
@@ -492,8 +497,8 @@ export default function MoodInsightsScreen() {
 
             {worstFoodsForMood.length > 0 && (
               <ReAnimated.View entering={FadeInDown.delay(360).springify().mass(0.5).damping(10)}>
-                <SectionHeader icon={ThumbsDown} iconColor={Colors.error} title="Mood Drainers" />
-                <Text style={styles.sectionSubtitle}>Foods associated with lower mood days</Text>
+                <SectionHeader icon={ThumbsDown} iconColor={Colors.error} title={t('moodInsights.moodDrainers')} />
+                <Text style={styles.sectionSubtitle}>{t('moodInsights.foodsAssociatedWithLower')}</Text>
                 {worstFoodsForMood.map((item, i) => (
                   <FoodMoodItem key={`drain-${i}`} item={item} variant="drainer" />
                 ))}
@@ -503,7 +508,7 @@ export default function MoodInsightsScreen() {
             {/* ====== HYDRATION IMPACT ====== */}
             {(moodByHydration.high.count > 0 || moodByHydration.low.count > 0) && (
               <ReAnimated.View entering={FadeInDown.delay(420).springify().mass(0.5).damping(10)}>
-                <SectionHeader icon={Droplets} iconColor={Colors.primary} title="Hydration Impact" />
+                <SectionHeader icon={Droplets} iconColor={Colors.primary} title={t('moodInsights.hydrationImpact')} />
                 <View style={styles.chartCard}>
                   <LinearGradient colors={Gradients.card} style={styles.chartCardGradient}>
                     <BarChart
@@ -530,13 +535,13 @@ export default function MoodInsightsScreen() {
                       <View style={styles.hydrationSummaryItem}>
                         <View style={[styles.hydrationDot, { backgroundColor: Colors.primary }]} />
                         <Text style={styles.hydrationSummaryText}>
-                          8+ glasses: {r1(moodByHydration.high.avg)}/10 ({moodByHydration.high.count} days)
+                          {t('moodInsights.hydrationHigh', { avg: r1(moodByHydration.high.avg), count: moodByHydration.high.count })}
                         </Text>
                       </View>
                       <View style={styles.hydrationSummaryItem}>
                         <View style={[styles.hydrationDot, { backgroundColor: Colors.textTertiary }]} />
                         <Text style={styles.hydrationSummaryText}>
-                          {'<'}8 glasses: {r1(moodByHydration.low.avg)}/10 ({moodByHydration.low.count} days)
+                          {t('moodInsights.hydrationLow', { avg: r1(moodByHydration.low.avg), count: moodByHydration.low.count })}
                         </Text>
                       </View>
                     </View>
@@ -548,7 +553,7 @@ export default function MoodInsightsScreen() {
             {/* ====== CALORIE TARGET IMPACT ====== */}
             {(moodByCalories.under.count > 0 || moodByCalories.onTarget.count > 0 || moodByCalories.over.count > 0) && (
               <ReAnimated.View entering={FadeInDown.delay(480).springify().mass(0.5).damping(10)}>
-                <SectionHeader icon={Target} iconColor={Colors.warning} title="Calorie Target Impact" />
+                <SectionHeader icon={Target} iconColor={Colors.warning} title={t('moodInsights.calorieTargetImpact')} />
                 <View style={styles.chartCard}>
                   <LinearGradient colors={Gradients.card} style={styles.chartCardGradient}>
                     <BarChart
@@ -574,15 +579,15 @@ export default function MoodInsightsScreen() {
                     <View style={styles.calorieTargetLegend}>
                       <View style={styles.calorieLegendItem}>
                         <View style={[styles.hydrationDot, { backgroundColor: Colors.warning }]} />
-                        <Text style={styles.hydrationSummaryText}>Under ({moodByCalories.under.count}d)</Text>
+                        <Text style={styles.hydrationSummaryText}>{t('moodInsights.underD', { count: moodByCalories.under.count })}</Text>
                       </View>
                       <View style={styles.calorieLegendItem}>
                         <View style={[styles.hydrationDot, { backgroundColor: Colors.success }]} />
-                        <Text style={styles.hydrationSummaryText}>On Target ({moodByCalories.onTarget.count}d)</Text>
+                        <Text style={styles.hydrationSummaryText}>{t('moodInsights.onTargetD', { count: moodByCalories.onTarget.count })}</Text>
                       </View>
                       <View style={styles.calorieLegendItem}>
                         <View style={[styles.hydrationDot, { backgroundColor: Colors.error }]} />
-                        <Text style={styles.hydrationSummaryText}>Over ({moodByCalories.over.count}d)</Text>
+                        <Text style={styles.hydrationSummaryText}>{t('moodInsights.overD', { count: moodByCalories.over.count })}</Text>
                       </View>
                     </View>
                   </LinearGradient>
@@ -592,13 +597,13 @@ export default function MoodInsightsScreen() {
 
             {/* ====== ENERGY BY TIME OF DAY ====== */}
             <ReAnimated.View entering={FadeInDown.delay(540).springify().mass(0.5).damping(10)}>
-              <SectionHeader icon={Clock} iconColor={Colors.carbs} title="Energy by Time of Day" />
+              <SectionHeader icon={Clock} iconColor={Colors.carbs} title={t('moodInsights.energyByTimeOf')} />
               <View style={styles.timeRow}>
                 {[
-                  { key: 'morning', label: 'Morning', emoji: '\u{1F305}' },
-                  { key: 'midday', label: 'Midday', emoji: '\u{2600}\u{FE0F}' },
-                  { key: 'afternoon', label: 'Afternoon', emoji: '\u{1F324}\u{FE0F}' },
-                  { key: 'evening', label: 'Evening', emoji: '\u{1F319}' },
+                  { key: 'morning', label: t('moodInsights.morning'), emoji: '\u{1F305}' },
+                  { key: 'midday', label: t('moodInsights.midday'), emoji: '\u{2600}\u{FE0F}' },
+                  { key: 'afternoon', label: t('moodInsights.afternoon'), emoji: '\u{1F324}\u{FE0F}' },
+                  { key: 'evening', label: t('moodInsights.evening'), emoji: '\u{1F319}' },
                 ].map((period) => {
                   const data = energyByMealTiming[period.key];
                   return (
@@ -609,7 +614,7 @@ export default function MoodInsightsScreen() {
                           {r1(data.avg)}
                         </Text>
                         <Text style={styles.timeCardLabel}>{period.label}</Text>
-                        <Text style={styles.timeCardCount}>{data.count} logs</Text>
+                        <Text style={styles.timeCardCount}>{t('moodInsights.logs', { count: data.count })}</Text>
                       </LinearGradient>
                     </View>
                   );
@@ -620,7 +625,7 @@ export default function MoodInsightsScreen() {
             {/* ====== AI INSIGHTS ====== */}
             {insights.length > 0 && (
               <ReAnimated.View entering={FadeInDown.delay(580).springify().mass(0.5).damping(10)}>
-                <SectionHeader icon={Sparkles} iconColor={Colors.accentPurple} title="Personalised Insights" />
+                <SectionHeader icon={Sparkles} iconColor={Colors.accentPurple} title={t('moodInsights.personalisedInsights')} />
                 {insights.map((text, i) => (
                   <InsightCard key={`insight-${i}`} text={text} index={i} />
                 ))}
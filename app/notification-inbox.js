@@ -0,0 +1,312 @@
+import React, { useCallback, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  Pressable,
+  ActivityIndicator,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useFocusEffect, useRouter } from 'expo-router';
+import {
+  ArrowLeft,
+  Bell,
+  BellOff,
+  BarChart3,
+  CheckCheck,
+  Droplets,
+  Flame,
+  Sun,
+  Timer,
+  Users,
+  Utensils,
+} from 'lucide-react-native';
+import ReAnimated, { FadeInDown } from 'react-native-reanimated';
+import { useTranslation } from 'react-i18next';
+import ScreenErrorBoundary from '../components/ScreenErrorBoundary';
+import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
+import { useAuth } from '../context/AuthContext';
+import {
+  getNotificationInbox,
+  markAllInboxItemsRead,
+  markInboxItemRead,
+  recordPresentedNotifications,
+  syncPushDeliveries,
+} from '../services/notificationInbox';
+import { getRouteForNotificationData } from '../lib/notificationRoutes';
+import { hapticLight } from '../lib/haptics';
+import { formatRelativeTime } from '../lib/formatters';
+
+const CATEGORY_ICONS = {
+  meals: { icon: Utensils, color: Colors.secondary, background: Colors.secondarySoft },
+  water: { icon: Droplets, color: Colors.carbs, background: Colors.primarySoft },
+  fasting: { icon: Timer, color: Colors.success, background: Colors.successSoft },
+  streak: { icon: Flame, color: Colors.gold, background: Colors.goldSoft },
+  social: { icon: Users, color: Colors.primary, background: Colors.primarySoft },
+  coaching: { icon: Sun, color: Colors.gold, background: Colors.goldSoft },
+  digest: { icon: BarChart3, color: Colors.success, background: Colors.successSoft },
+};
+
+const DEFAULT_ICON = { icon: Bell, color: Colors.textSecondary, background: Colors.surfaceGlass };
+
+// ---- Inbox Row ----
+function InboxRow({ item, index, onPress }) {
+  const { t } = useTranslation();
+  const { icon: Icon, color, background } = CATEGORY_ICONS[item.category] ?? DEFAULT_ICON;
+
+  return (
+    <ReAnimated.View entering={FadeInDown.delay(Math.min(index, 10) * 40).springify().mass(0.5).damping(12)}>
+      <Pressable
+        style={[styles.card, !item.read && styles.cardUnread]}
+        onPress={() => onPress(item)}
+        accessibilityRole="button"
+        accessibilityLabel={item.read
+          ? `${item.title}. ${item.body}`
+          : t('notificationInbox.unreadLabel', { title: item.title, body: item.body })}
+      >
+        <View style={[styles.iconWrap, { backgroundColor: background }]}>
+          <Icon size={FontSize.md} color={color} />
+        </View>
+        <View style={styles.cardBody}>
+          <View style={styles.cardHeader}>
+            <Text style={[styles.cardTitle, !item.read && styles.cardTitleUnread]} numberOfLines={1}>
+              {item.title}
+            </Text>
+            <Text style={styles.cardTime}>{formatRelativeTime(item.receivedAt)}</Text>
+          </View>
+          {item.body ? (
+            <Text style={styles.cardText} numberOfLines={2}>{item.body}</Text>
+          ) : null}
+        </View>
+        {!item.read && <View style={styles.unreadDot} />}
+      </Pressable>
+    </ReAnimated.View>
+  );
+}
+
+function NotificationInboxScreenInner() {
+  const { t } = useTranslation();
+  const router = useRouter();
+  const { user } = useAuth();
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useFocusEffect(
+    useCallback(() => {
+      let cancelled = false;
+
+      async function load() {
+        const cached = await getNotificationInbox();
+        if (!cancelled) setItems(cached);
+        await recordPresentedNotifications();
+        if (user) await syncPushDeliveries(user.id);
+        const inbox = await getNotificationInbox();
+        if (!cancelled) {
+          setItems(inbox);
+          setLoading(false);
+        }
+      }
+
+      load();
+      return () => {
+        cancelled = true;
+      };
+    }, [user])
+  );
+
+  const handleOpen = useCallback(async (item) => {
+    hapticLight();
+    if (!item.read) setItems(await markInboxItemRead(item.id));
+    const route = getRouteForNotificationData(item.data);
+    if (route) router.push(route);
+  }, [router]);
+
+  const handleMarkAllRead = useCallback(async () => {
+    hapticLight();
+    setItems(await markAllInboxItemsRead());
+  }, []);
+
+  const unreadCount = items.filter((item) => !item.read).length;
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top']}>
+      {/* Header */}
+      <View style={styles.header}>
+        <Pressable
+          style={styles.backButton}
+          onPress={() => router.back()}
+          hitSlop={8}
+          accessibilityRole="button"
+          accessibilityLabel={t('common.back')}
+        >
+          <ArrowLeft size={24} color={Colors.text} />
+        </Pressable>
+        <Text style={styles.headerTitle}>{t('notificationInbox.title')}</Text>
+        <Pressable
+          style={styles.backButton}
+          onPress={handleMarkAllRead}
+          disabled={unreadCount === 0}
+          hitSlop={8}
+          accessibilityRole="button"
+          accessibilityLabel={t('notificationInbox.markAllRead')}
+        >
+          <CheckCheck size={20} color={unreadCount > 0 ? Colors.primary : Colors.textTertiary} />
+        </Pressable>
+      </View>
+
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+      >
+        {loading && items.length === 0 ? (
+          <ActivityIndicator style={styles.loader} color={Colors.primary} />
+        ) : items.length === 0 ? (
+          <View style={styles.emptyState}>
+            <BellOff size={40} color={Colors.textTertiary} />
+            <Text style={styles.emptyTitle}>{t('notificationInbox.emptyTitle')}</Text>
+            <Text style={styles.emptyText}>{t('notificationInbox.emptyText')}</Text>
+          </View>
+        ) : (
+          <>
+            <Text style={styles.description}>
+              {unreadCount > 0
+                ? t('notificationInbox.unreadCount', { count: unreadCount })
+                : t('notificationInbox.allRead')}
+            </Text>
+            {items.map((item, index) => (
+              <InboxRow key={item.id} item={item} index={index} onPress={handleOpen} />
+            ))}
+          </>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.background,
+  },
+  // Header
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.md,
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    borderRadius: BorderRadius.md,
+    backgroundColor: Colors.surface,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerTitle: {
+    flex: 1,
+    fontSize: FontSize.xl,
+    fontWeight: FontWeight.bold,
+    color: Colors.text,
+    textAlign: 'center',
+  },
+  // Scroll
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    paddingHorizontal: Spacing.md,
+    paddingTop: Spacing.sm,
+    paddingBottom: Spacing.xxl,
+  },
+  loader: {
+    marginTop: Spacing.xxl,
+  },
+  description: {
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+    marginBottom: Spacing.md,
+  },
+  // Cards
+  card: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: Spacing.sm + 4,
+    backgroundColor: 'rgba(255,255,255,0.05)',
+    borderRadius: BorderRadius.lg,
+    padding: Spacing.md,
+    marginBottom: Spacing.sm,
+    borderWidth: 1,
+    borderColor: 'rgba(255,255,255,0.06)',
+  },
+  cardUnread: {
+    borderColor: Colors.primaryGlow,
+  },
+  iconWrap: {
+    width: 34,
+    height: 34,
+    borderRadius: BorderRadius.xs,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  cardBody: {
+    flex: 1,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.sm,
+  },
+  cardTitle: {
+    flex: 1,
+    fontSize: FontSize.md,
+    fontWeight: FontWeight.medium,
+    color: Colors.textSecondary,
+  },
+  cardTitleUnread: {
+    fontWeight: FontWeight.semibold,
+    color: Colors.text,
+  },
+  cardTime: {
+    fontSize: FontSize.xs,
+    color: Colors.textTertiary,
+  },
+  cardText: {
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+    marginTop: 2,
+  },
+  unreadDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: Colors.primary,
+    marginTop: Spacing.xs,
+  },
+  // Empty state
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: Spacing.xxl,
+    gap: Spacing.sm,
+  },
+  emptyTitle: {
+    fontSize: FontSize.lg,
+    fontWeight: FontWeight.bold,
+    color: Colors.text,
+  },
+  emptyText: {
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+    textAlign: 'center',
+  },
+});
+
+export default function NotificationInboxScreen(props) {
+  return (
+    <ScreenErrorBoundary screenName="NotificationInboxScreen">
+      <NotificationInboxScreenInner {...props} />
+    </ScreenErrorBoundary>
+  );
+}
@@ -40,6 +40,7 @@ import {
   Moon,
   Coffee,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import GlassCard from '../components/ui/GlassCard';
 import {
@@ -260,20 +261,21 @@ function MealTimeline({ mealTimingData }) {
 // Meal Distribution Donut
 // ============================================================
 function MealDistributionChart({ distribution }) {
+  const { t } = useTranslation();
   const pieData = useMemo(() => {
     const items = [
-      { value: distribution.breakfast || 0, color: '#FF8C42', text: `${distribution.breakfast}%`, label: 'Breakfast' },
-      { value: distribution.lunch || 0, color: Colors.primary, text: `${distribution.lunch}%`, label: 'Lunch' },
-      { value: distribution.dinner || 0, color: Colors.accentPurple, text: `${distribution.dinner}%`, label: 'Dinner' },
-      { value: distribution.snack || 0, color: Colors.success, text: `${distribution.snack}%`, label: 'Snacks' },
+      { value: distribution.breakfast || 0, color: '#FF8C42', text: `${distribution.breakfast}%`, label: t('diary.breakfast') },
+      { value: distribution.lunch || 0, color: Colors.primary, text: `${distribution.lunch}%`, label: t('diary.lunch') },
+      { value: distribution.dinner || 0, color: Colors.accentPurple, text: `${distribution.dinner}%`, label: t('diary.dinner') },
+      { value: distribution.snack || 0, color: Colors.success, text: `${distribution.snack}%`, label: t('diary.snacks') },
     ].filter((d) => d.value > 0);
 
     // If everything is zero, show placeholder
     if (items.length === 0) {
-      return [{ value: 1, color: 'rgba(255,255,255,0.1)', text: '0%', label: 'None' }];
+      return [{ value: 1, color: 'rgba(255,255,255,0.1)', text: '0%', label: t('nutritionInsights.none') }];
     }
     return items;
-  }, [distribution]);
+  }, [distribution, t]);
 
   return (
     <View style={styles.donutContainer}>
@@ -287,7 +289,7 @@ function MealDistributionChart({ distribution }) {
           centerLabelComponent={() => (
             <View style={styles.donutCenter}>
               <PieChartIcon size={18} color={Colors.textSecondary} />
-              <Text style={styles.donutCenterText}>Split</Text>
+              <Text style={styles.donutCenterText}>{t('nutritionInsights.split')}</Text>
             </View>
           )}
         />
@@ -296,15 +298,15 @@ function MealDistributionChart({ distribution }) {
       {/* Actual vs Ideal comparison */}
       <View style={styles.distributionComparison}>
         <View style={styles.distributionHeader}>
-          <Text style={styles.distributionColHeader}>Meal</Text>
-          <Text style={styles.distributionColHeader}>Actual</Text>
-          <Text style={styles.distributionColHeader}>Ideal</Text>
+          <Text style={styles.distributionColHeader}>{t('nutritionInsights.meal')}</Text>
+          <Text style={styles.distributionColHeader}>{t('nutritionInsights.actual')}</Text>
+          <Text style={styles.distributionColHeader}>{t('nutritionInsights.ideal')}</Text>
         </View>
         {[
-          { key: 'breakfast', label: 'Breakfast', color: '#FF8C42' },
-          { key: 'lunch', label: 'Lunch', color: Colors.primary },
-          { key: 'dinner', label: 'Dinner', color: Colors.accentPurple },
-          { key: 'snack', label: 'Snacks', color: Colors.success },
+          { key: 'breakfast', label: t('diary.breakfast'), color: '#FF8C42' },
+          { key: 'lunch', label: t('diary.lunch'), color: Colors.primary },
+          { key: 'dinner', label: t('diary.dinner'), color: Colors.accentPurple },
+          { key: 'snack', label: t('diary.snacks'), color: Colors.success },
         ].map((item) => (
           <View key={item.key} style={styles.distributionRow}>
             <View style={styles.distributionMeal}>
@@ -346,6 +348,7 @@ function TipCard({ tip, delay }) {
 // Empty State
 // ============================================================
 function EmptyState() {
+  const { t } = useTranslation();
   const router = useRouter();
 
   return (
@@ -353,10 +356,9 @@ function EmptyState() {
       <View style={styles.emptyIconContainer}>
         <Award size={48} color={Colors.textTertiary} />
       </View>
-      <Text style={styles.emptyTitle}>No Foods Logged Today</Text>
+      <Text style={styles.emptyTitle}>{t('nutritionInsights.noFoodsLoggedToday')}</Text>
       <Text style={styles.emptySubtitle}>
-        Log your meals to see your daily nutrition score, meal timing insights, and
-        improvement tips.
+        {t('nutritionInsights.logYourMealsTo')}
       </Text>
       <Pressable
         style={styles.emptyButton}
@@ -371,7 +373,7 @@ function EmptyState() {
           end={{ x: 1, y: 0 }}
           style={styles.emptyButtonGradient}
         >
-          <Text style={styles.emptyButtonText}>Log Food</Text>
+          <Text style={styles.emptyButtonText}>{t('nutritionInsights.logFood')}</Text>
         </LinearGradient>
       </Pressable>
     </ReAnimated.View>
@@ -381,20 +383,21 @@ function EmptyState() {
 // ============================================================
 // Motivational text based on score
 // ============================================================
-function getMotivationalText(score) {
-  if (score >= 90) return 'Outstanding! Your nutrition is on point.';
-  if (score >= 80) return 'Great job! You are fueling your body well.';
-  if (score >= 70) return 'Solid day! A few tweaks and you will be elite.';
-  if (score >= 60) return 'Good effort. Check the tips below to level up.';
-  if (score >= 50) return 'Decent start. Focus on the key areas below.';
-  if (score > 0) return 'Room to improve. Small changes make a big difference.';
-  return 'Start logging to see your score!';
+function getMotivationalText(t, score) {
+  if (score >= 90) return t('nutritionInsights.outstandingYourNutritionIs');
+  if (score >= 80) return t('nutritionInsights.greatJobYouAre');
+  if (score >= 70) return t('nutritionInsights.solidDayAFew');
+  if (score >= 60) return t('nutritionInsights.goodEffortCheckThe');
+  if (score >= 50) return t('nutritionInsights.decentStartFocusOn');
+  if (score > 0) return t('nutritionInsights.roomToImproveSmall');
+  return t('nutritionInsights.startLoggingToSee');
 }
 
 // ============================================================
 // Main Screen
 // ============================================================
 export default function NutritionInsightsScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
 
   const {
@@ -440,7 +443,7 @@ export default function NutritionInsightsScreen() {
     router.back();
   }, [router]);
 
-  const motivationalText = useMemo(() => getMotivationalText(dailyScore), [dailyScore]);
+  const motivationalText = useMemo(() => getMotivationalText(t, dailyScore), [dailyScore, t]);
 
   return (
     <ScreenWrapper>
@@ -457,7 +460,7 @@ export default function NutritionInsightsScreen() {
           <Pressable onPress={handleBack} style={styles.backButton}>
             <ChevronLeft size={24} color={Colors.text} />
           </Pressable>
-          <Text style={styles.headerTitle}>Nutrition Score</Text>
+          <Text style={styles.headerTitle}>{t('nutritionInsights.nutritionScore')}</Text>
           <View style={styles.headerRight}>
             <Award size={22} color={gradeColor} />
           </View>
@@ -487,7 +490,7 @@ export default function NutritionInsightsScreen() {
                     <View style={styles.heroScoreOverlay}>
                       <AnimatedScoreText animatedScore={animatedScore} />
                       <Text style={[styles.heroScoreLabel, { color: Colors.textSecondary }]}>
-                        out of 100
+                        {t('nutritionInsights.outOf100')}
                       </Text>
                     </View>
                   </View>
@@ -505,11 +508,11 @@ export default function NutritionInsightsScreen() {
 
             {/* ---- Score Breakdown ---- */}
             <ReAnimated.View entering={FadeInDown.delay(160).springify().damping(12)}>
-              <Text style={styles.sectionTitle}>Score Breakdown</Text>
+              <Text style={styles.sectionTitle}>{t('nutritionInsights.scoreBreakdown')}</Text>
               <GlassCard style={styles.breakdownCard}>
                 <BreakdownBar
                   icon={Target}
-                  label="Calories"
+                  label={t('food.calories')}
                   score={scoreBreakdown.calories}
                   maxScore={25}
                   color={Colors.secondary}
@@ -517,7 +520,7 @@ export default function NutritionInsightsScreen() {
                 />
                 <BreakdownBar
                   icon={Dumbbell}
-                  label="Protein"
+                  label={t('food.protein')}
                   score={scoreBreakdown.protein}
                   maxScore={25}
                   color={Colors.protein}
@@ -525,7 +528,7 @@ export default function NutritionInsightsScreen() {
                 />
                 <BreakdownBar
                   icon={PieChartIcon}
-                  label="Macros"
+                  label={t('nutritionInsights.macros')}
                   score={scoreBreakdown.macros}
                   maxScore={20}
                   color={Colors.carbs}
@@ -533,7 +536,7 @@ export default function NutritionInsightsScreen() {
                 />
                 <BreakdownBar
                   icon={UtensilsCrossed}
-                  label="Meals"
+                  label={t('nutritionInsights.meals')}
                   score={scoreBreakdown.consistency}
                   maxScore={15}
                   color={Colors.warning}
@@ -541,7 +544,7 @@ export default function NutritionInsightsScreen() {
                 />
                 <BreakdownBar
                   icon={Sparkles}
-                  label="Variety"
+                  label={t('nutritionInsights.variety')}
                   score={scoreBreakdown.variety}
                   maxScore={15}
                   color={Colors.accentPurple}
@@ -553,7 +556,7 @@ export default function NutritionInsightsScreen() {
             {/* ---- Meal Timing ---- */}
             {mealTimingData.length > 0 && (
               <ReAnimated.View entering={FadeInDown.delay(400).springify().damping(12)}>
-                <Text style={styles.sectionTitle}>Meal Timing</Text>
+                <Text style={styles.sectionTitle}>{t('nutritionInsights.mealTiming')}</Text>
                 <GlassCard style={styles.timingCard}>
                   <MealTimeline mealTimingData={mealTimingData} />
 
@@ -562,8 +565,11 @@ export default function NutritionInsightsScreen() {
                     <View style={styles.eatingWindowBadge}>
                       <Clock size={14} color={Colors.primary} />
                       <Text style={styles.eatingWindowText}>
-                        Eating window: {formatTime(eatingWindow.start)} -{' '}
-                        {formatTime(eatingWindow.end)} ({eatingWindow.durationHours}h)
+                        {t('nutritionInsights.eatingWindowRange', {
+                          start: formatTime(eatingWindow.start),
+                          end: formatTime(eatingWindow.end),
+                          hours: eatingWindow.durationHours,
+                        })}
                       </Text>
                     </View>
                   )}
@@ -573,7 +579,7 @@ export default function NutritionInsightsScreen() {
 
             {/* ---- Meal Distribution ---- */}
             <ReAnimated.View entering={FadeInDown.delay(480).springify().damping(12)}>
-              <Text style={styles.sectionTitle}>Calorie Distribution</Text>
+              <Text style={styles.sectionTitle}>{t('nutritionInsights.calorieDistribution')}</Text>
               <GlassCard style={styles.distributionCard}>
                 <MealDistributionChart distribution={mealDistribution} />
               </GlassCard>
@@ -582,7 +588,7 @@ export default function NutritionInsightsScreen() {
             {/* ---- Improvement Tips ---- */}
             {tips.length > 0 && (
               <ReAnimated.View entering={FadeInDown.delay(560).springify().damping(12)}>
-                <Text style={styles.sectionTitle}>Improvement Tips</Text>
+                <Text style={styles.sectionTitle}>{t('nutritionInsights.improvementTips')}</Text>
                 {tips.map((tip, index) => (
                   <TipCard key={index} tip={tip} delay={600 + index * 60} />
                 ))}
@@ -3,26 +3,28 @@ import { View, Text, StyleSheet, Pressable, ScrollView } from 'react-native';
 import { useRouter } from 'expo-router';
 import Animated, { FadeInDown } from 'react-native-reanimated';
 import { Target, Brain, Users, Bell, Dumbbell, Moon, ChefHat, Scale, Utensils } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../../constants/theme';
 import { useProfile } from '../../context/ProfileContext';
 import { hapticLight } from '../../lib/haptics';
 
 const CHALLENGES = [
-  { id: 'consistency', label: 'Staying consistent', icon: Target, description: 'I start strong but lose motivation' },
-  { id: 'protein', label: 'Getting enough protein', icon: Dumbbell, description: 'I always fall short on protein' },
-  { id: 'portions', label: 'Controlling portions', icon: Scale, description: 'I tend to overeat at meals' },
-  { id: 'snacking', label: 'Late-night snacking', icon: Moon, description: 'I snack too much in the evening' },
-  { id: 'planning', label: 'Meal planning', icon: ChefHat, description: 'I never know what to eat' },
+  { id: 'consistency', labelKey: 'onboarding.behavior.challenges.consistency', icon: Target, descriptionKey: 'onboarding.behavior.challenges.consistencyDescription' },
+  { id: 'protein', labelKey: 'onboarding.behavior.challenges.protein', icon: Dumbbell, descriptionKey: 'onboarding.behavior.challenges.proteinDescription' },
+  { id: 'portions', labelKey: 'onboarding.behavior.challenges.portions', icon: Scale, descriptionKey: 'onboarding.behavior.challenges.portionsDescription' },
+  { id: 'snacking', labelKey: 'onboarding.behavior.challenges.snacking', icon: Moon, descriptionKey: 'onboarding.behavior.challenges.snackingDescription' },
+  { id: 'planning', labelKey: 'onboarding.behavior.challenges.planning', icon: ChefHat, descriptionKey: 'onboarding.behavior.challenges.planningDescription' },
 ];
 
 const MOTIVATION_STYLES = [
-  { id: 'gamification', label: 'Streaks & challenges', icon: Target, description: 'Keep me engaged with rewards and streaks' },
-  { id: 'analytics', label: 'Data & insights', icon: Brain, description: 'Show me the numbers and trends' },
-  { id: 'social', label: 'Social accountability', icon: Users, description: 'Let my friends keep me on track' },
-  { id: 'reminders', label: 'Gentle reminders', icon: Bell, description: 'Just nudge me when I forget' },
+  { id: 'gamification', labelKey: 'onboarding.behavior.motivationStyles.gamification', icon: Target, descriptionKey: 'onboarding.behavior.motivationStyles.gamificationDescription' },
+  { id: 'analytics', labelKey: 'onboarding.behavior.motivationStyles.analytics', icon: Brain, descriptionKey: 'onboarding.behavior.motivationStyles.analyticsDescription' },
+  { id: 'social', labelKey: 'onboarding.behavior.motivationStyles.social', icon: Users, descriptionKey: 'onboarding.behavior.motivationStyles.socialDescription' },
+  { id: 'reminders', labelKey: 'onboarding.behavior.motivationStyles.reminders', icon: Bell, descriptionKey: 'onboarding.behavior.motivationStyles.remindersDescription' },
 ];
 
 export default function BehaviorScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const { updateProfile } = useProfile();
   const [selectedChallenge, setSelectedChallenge] = useState(null);
@@ -65,12 +67,12 @@ export default function BehaviorScreen() {
         <Animated.View entering={FadeInDown.duration(400)}>
           <Text style={styles.step}>Step {step === 0 ? '2' : '3'} of 6</Text>
           <Text style={styles.title}>
-            {step === 0 ? "What's your biggest challenge?" : 'How do you like to be motivated?'}
+            {step === 0 ? t('onboarding.behavior.whatsYourBiggestChallenge') : t('onboarding.behavior.howDoYouLike')}
           </Text>
           <Text style={styles.subtitle}>
             {step === 0
-              ? "We'll personalize your experience based on this"
-              : "This helps us show you the right features"}
+              ? t('onboarding.behavior.wellPersonalizeYourExperience')
+              : t('onboarding.behavior.thisHelpsUsShow')}
           </Text>
         </Animated.View>
 
@@ -91,9 +93,9 @@ export default function BehaviorScreen() {
                   </View>
                   <View style={styles.optionText}>
                     <Text style={[styles.optionLabel, isSelected && styles.optionLabelSelected]}>
-                      {item.label}
+                      {t(item.labelKey)}
                     </Text>
-                    <Text style={styles.optionDesc}>{item.description}</Text>
+                    <Text style={styles.optionDesc}>{t(item.descriptionKey)}</Text>
                   </View>
                 </Pressable>
               </Animated.View>
@@ -108,7 +110,7 @@ export default function BehaviorScreen() {
           onPress={handleNext}
           disabled={!currentSelected}
         >
-          <Text style={styles.nextButtonText}>Continue</Text>
+          <Text style={styles.nextButtonText}>{t('common.continue')}</Text>
         </Pressable>
       </View>
     </View>
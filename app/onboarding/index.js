@@ -45,6 +45,7 @@ import {
   Minus,
 } from 'lucide-react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
+import { useTranslation } from 'react-i18next';
 import { hapticImpact, hapticHeavy } from '../../lib/haptics';
 import { useProfile } from '../../context/ProfileContext';
 import {
@@ -72,40 +73,40 @@ const TOTAL_STEPS = ONBOARDING_STEP_COUNT;
 const GOALS = [
   {
     id: 'lose',
-    label: 'Lose Weight',
-    subtitle: 'Burn fat, get lean',
+    labelKey: 'onboarding.goals.lose',
+    subtitleKey: 'onboarding.goals.loseSubtitle',
     icon: TrendingDown,
     color: '#FF6B35',
     gradient: ['#FF6B35', '#FF8F5A'],
   },
   {
     id: 'build',
-    label: 'Build Muscle',
-    subtitle: 'Gain strength and size',
+    labelKey: 'onboarding.goals.build',
+    subtitleKey: 'onboarding.goals.buildSubtitle',
     icon: Dumbbell,
     color: '#00E676',
     gradient: ['#00E676', '#00C853'],
   },
   {
     id: 'maintain',
-    label: 'Maintain Weight',
-    subtitle: 'Stay healthy and balanced',
+    labelKey: 'onboarding.goals.maintain',
+    subtitleKey: 'onboarding.goals.maintainSubtitle',
     icon: Minus,
     color: '#00D4FF',
     gradient: ['#00D4FF', '#0099CC'],
   },
   {
     id: 'health',
-    label: 'Improve Health',
-    subtitle: 'Better energy and wellness',
+    labelKey: 'onboarding.goals.health',
+    subtitleKey: 'onboarding.goals.healthSubtitle',
     icon: Heart,
     color: '#FF6B9D',
     gradient: ['#FF6B9D', '#FF8A80'],
   },
   {
     id: 'athletic',
-    label: 'Athletic Performance',
-    subtitle: 'Train for competition',
+    labelKey: 'onboarding.goals.athletic',
+    subtitleKey: 'onboarding.goals.athleticSubtitle',
     icon: Trophy,
     color: '#FFD700',
     gradient: ['#FFD700', '#FFC107'],
@@ -113,11 +114,11 @@ const GOALS = [
 ];
 
 const ACTIVITY_OPTIONS = [
-  { id: 'sedentary', label: 'Sedentary', description: 'Desk job, little to no exercise', multiplier: 1.2 },
-  { id: 'light', label: 'Lightly Active', description: 'Light walks, 1-3 days exercise/week', multiplier: 1.375 },
-  { id: 'moderate', label: 'Moderately Active', description: '3-5 days moderate exercise/week', multiplier: 1.55 },
-  { id: 'active', label: 'Very Active', description: 'Hard training 6-7 days/week', multiplier: 1.725 },
-  { id: 'extreme', label: 'Extremely Active', description: 'Athlete or physical labor job', multiplier: 1.9 },
+  { id: 'sedentary', labelKey: 'onboarding.activityOptions.sedentary', descriptionKey: 'onboarding.activityOptions.sedentaryDescription', multiplier: 1.2 },
+  { id: 'light', labelKey: 'onboarding.activityOptions.light', descriptionKey: 'onboarding.activityOptions.lightDescription', multiplier: 1.375 },
+  { id: 'moderate', labelKey: 'onboarding.activityOptions.moderate', descriptionKey: 'onboarding.activityOptions.moderateDescription', multiplier: 1.55 },
+  { id: 'active', labelKey: 'onboarding.activityOptions.active', descriptionKey: 'onboarding.activityOptions.activeDescription', multiplier: 1.725 },
+  { id: 'extreme', labelKey: 'onboarding.activityOptions.extreme', descriptionKey: 'onboarding.activityOptions.extremeDescription', multiplier: 1.9 },
 ];
 
 // ---------------------------------------------------------------------------
@@ -125,6 +126,7 @@ const ACTIVITY_OPTIONS = [
 // ---------------------------------------------------------------------------
 
 function ProgressBar({ step, total }) {
+  const { t } = useTranslation();
   const progress = useSharedValue(0);
 
   useEffect(() => {
@@ -147,7 +149,7 @@ function ProgressBar({ step, total }) {
           />
         </ReAnimated.View>
       </View>
-      <Text style={styles.progressText}>Step {step} of {total}</Text>
+      <Text style={styles.progressText}>{t('onboarding.stepOf', { step, total })}</Text>
     </View>
   );
 }
@@ -162,6 +164,7 @@ function StepHeader({ title, subtitle }) {
 }
 
 function GoalCard({ item, selected, onPress, index }) {
+  const { t } = useTranslation();
   const Icon = item.icon;
   const isSelected = selected === item.id;
 
@@ -184,8 +187,8 @@ function GoalCard({ item, selected, onPress, index }) {
           <Icon size={24} color={item.color} />
         </View>
         <View style={styles.goalTextWrap}>
-          <Text style={[styles.goalLabel, isSelected && { color: item.color }]}>{item.label}</Text>
-          <Text style={styles.goalSubtitle}>{item.subtitle}</Text>
+          <Text style={[styles.goalLabel, isSelected && { color: item.color }]}>{t(item.labelKey)}</Text>
+          <Text style={styles.goalSubtitle}>{t(item.subtitleKey)}</Text>
         </View>
         {isSelected && (
           <View style={[styles.goalCheck, { backgroundColor: item.color }]}>
@@ -224,6 +227,7 @@ function OptionButton({ label, description, selected, onPress, index }) {
 // ---------------------------------------------------------------------------
 
 function Step1Welcome({ data, onGoalSelect }) {
+  const { t } = useTranslation();
   return (
     <ScrollView
       style={styles.stepScroll}
@@ -238,13 +242,13 @@ function Step1Welcome({ data, onGoalSelect }) {
           <Text style={styles.welcomeLogo}>FuelIQ</Text>
         </View>
         <Text style={styles.welcomeTagline}>
-          Log food fast. Know what to do today.
+          {t('onboarding.logFoodFastKnow')}
         </Text>
       </ReAnimated.View>
 
       <StepHeader
-        title="What do you want to improve first?"
-        subtitle="We'll turn this into clear calorie and protein targets for today"
+        title={t('onboarding.whatDoYouWant')}
+        subtitle={t('onboarding.wellTurnThisInto')}
       />
 
       {GOALS.map((item, index) => (
@@ -261,6 +265,7 @@ function Step1Welcome({ data, onGoalSelect }) {
 }
 
 function Step2BodyProfile({ data, onChange }) {
+  const { t } = useTranslation();
   const [isMetric, setIsMetric] = useState(data.heightUnit === 'cm');
   const scrollRef = useRef(null);
   const fieldPositions = useRef({});
@@ -323,10 +328,10 @@ function Step2BodyProfile({ data, onChange }) {
       keyboardDismissMode={Platform.OS === 'ios' ? 'interactive' : 'on-drag'}
       onScrollBeginDrag={Keyboard.dismiss}
     >
-      <StepHeader title="Set your daily targets" subtitle="These details make your calorie and protein goals trustworthy" />
+      <StepHeader title={t('onboarding.setYourDailyTargets')} subtitle={t('onboarding.theseDetailsMakeYour')} />
 
       {/* Gender */}
-      <Text style={styles.fieldLabel}>Gender</Text>
+      <Text style={styles.fieldLabel}>{t('onboarding.gender')}</Text>
       <View style={styles.genderRow}>
         {['male', 'female', 'other'].map((g) => (
           <Pressable
@@ -335,14 +340,14 @@ function Step2BodyProfile({ data, onChange }) {
             style={[styles.genderBtn, data.gender === g && styles.genderBtnActive]}
           >
             <Text style={[styles.genderText, data.gender === g && styles.genderTextActive]}>
-              {g === 'other' ? 'Prefer not to say' : g.charAt(0).toUpperCase() + g.slice(1)}
+              {g === 'other' ? t('onboarding.preferNotToSay') : g.charAt(0).toUpperCase() + g.slice(1)}
             </Text>
           </Pressable>
         ))}
       </View>
 
       {/* DOB / Age */}
-      <Text style={styles.fieldLabel}>Age</Text>
+      <Text style={styles.fieldLabel}>{t('onboarding.age')}</Text>
       <View style={styles.inputWrap} onLayout={registerField('age')}>
         <TextInput
           ref={ageInputRef}
@@ -373,18 +378,18 @@ function Step2BodyProfile({ data, onChange }) {
           style={[styles.unitBtn, !isMetric && styles.unitBtnActive]}
           onPress={() => toggleUnit(false)}
         >
-          <Text style={[styles.unitBtnText, !isMetric && styles.unitBtnTextActive]}>Imperial</Text>
+          <Text style={[styles.unitBtnText, !isMetric && styles.unitBtnTextActive]}>{t('onboarding.imperial')}</Text>
         </Pressable>
         <Pressable
           style={[styles.unitBtn, isMetric && styles.unitBtnActive]}
           onPress={() => toggleUnit(true)}
         >
-          <Text style={[styles.unitBtnText, isMetric && styles.unitBtnTextActive]}>Metric</Text>
+          <Text style={[styles.unitBtnText, isMetric && styles.unitBtnTextActive]}>{t('onboarding.metric')}</Text>
         </Pressable>
       </View>
 
       {/* Height */}
-      <Text style={styles.fieldLabel}>Height</Text>
+      <Text style={styles.fieldLabel}>{t('onboarding.height')}</Text>
       {isMetric ? (
         <View style={styles.inputWrap} onLayout={registerField('height')}>
           <TextInput
@@ -443,7 +448,7 @@ function Step2BodyProfile({ data, onChange }) {
       )}
 
       {/* Current weight */}
-      <Text style={styles.fieldLabel}>Current Weight</Text>
+      <Text style={styles.fieldLabel}>{t('onboarding.currentWeight')}</Text>
       <View style={styles.inputWrap} onLayout={registerField('weight')}>
         <TextInput
           ref={weightInputRef}
@@ -463,7 +468,7 @@ function Step2BodyProfile({ data, onChange }) {
       </View>
 
       {/* Goal weight */}
-      <Text style={styles.fieldLabel}>Goal Weight</Text>
+      <Text style={styles.fieldLabel}>{t('onboarding.goalWeight')}</Text>
       <View style={styles.inputWrap} onLayout={registerField('goalWeight')}>
         <TextInput
           ref={goalWeightInputRef}
@@ -484,18 +489,18 @@ function Step2BodyProfile({ data, onChange }) {
       {weightDiff !== null && (
         <ReAnimated.View entering={FadeIn.duration(300)} style={styles.weightDiffBadge}>
           <Text style={[styles.weightDiffText, { color: weightDiff < 0 ? Colors.success : weightDiff > 0 ? Colors.secondary : Colors.primary }]}>
-            {weightDiff > 0 ? '+' : ''}{weightDiff.toFixed(1)} {isMetric ? 'kg' : 'lbs'} {weightDiff < 0 ? 'to lose' : weightDiff > 0 ? 'to gain' : 'on target'}
+            {weightDiff > 0 ? '+' : ''}{weightDiff.toFixed(1)} {isMetric ? 'kg' : 'lbs'} {weightDiff < 0 ? t('onboarding.toLose') : weightDiff > 0 ? t('onboarding.toGain') : t('onboarding.onTarget')}
           </Text>
         </ReAnimated.View>
       )}
 
       {/* Activity level */}
-      <Text style={styles.fieldLabel}>Activity Level</Text>
+      <Text style={styles.fieldLabel}>{t('onboarding.activityLevel')}</Text>
       {ACTIVITY_OPTIONS.map((opt, index) => (
         <OptionButton
           key={opt.id}
-          label={opt.label}
-          description={opt.description}
+          label={t(opt.labelKey)}
+          description={t(opt.descriptionKey)}
           selected={data.activityLevel === opt.id}
           onPress={() => onChange({ activityLevel: opt.id })}
           index={index}
@@ -508,6 +513,7 @@ function Step2BodyProfile({ data, onChange }) {
 }
 
 function Step6Generation({ data, onComplete, onImport, onQuickLog }) {
+  const { t } = useTranslation();
   const results = useMemo(() => buildStarterPlan(data), [data]);
 
   return (
@@ -522,9 +528,9 @@ function Step6Generation({ data, onComplete, onImport, onQuickLog }) {
         <View style={styles.resultsCheckCircle}>
           <Check size={32} color="#fff" strokeWidth={3} />
         </View>
-        <Text style={styles.resultsTitle}>Starter targets, ready now</Text>
+        <Text style={styles.resultsTitle}>{t('onboarding.starterTargetsReadyNow')}</Text>
         <Text style={styles.resultsSubtitle}>
-          You can fine-tune reminders and preferences later. Today only needs one clean first action.
+          {t('onboarding.youCanFineTune')}
         </Text>
       </ReAnimated.View>
 
@@ -533,28 +539,28 @@ function Step6Generation({ data, onComplete, onImport, onQuickLog }) {
           <LinearGradient colors={['rgba(0,212,255,0.12)', 'rgba(0,212,255,0.03)']} style={StyleSheet.absoluteFill} />
           <Flame size={22} color={Colors.secondary} />
           <Text style={styles.resultValue}>{results.calories}</Text>
-          <Text style={styles.resultLabel}>Daily Calories</Text>
+          <Text style={styles.resultLabel}>{t('onboarding.dailyCalories')}</Text>
         </ReAnimated.View>
 
         <ReAnimated.View entering={FadeInDown.delay(200).duration(400).springify()} style={styles.resultCard}>
           <LinearGradient colors={['rgba(255,107,157,0.12)', 'rgba(255,107,157,0.03)']} style={StyleSheet.absoluteFill} />
           <Dumbbell size={22} color={Colors.protein} />
           <Text style={styles.resultValue}>{results.macros.protein}g</Text>
-          <Text style={styles.resultLabel}>Protein</Text>
+          <Text style={styles.resultLabel}>{t('food.protein')}</Text>
         </ReAnimated.View>
 
         <ReAnimated.View entering={FadeInDown.delay(300).duration(400).springify()} style={styles.resultCard}>
           <LinearGradient colors={['rgba(100,210,255,0.12)', 'rgba(100,210,255,0.03)']} style={StyleSheet.absoluteFill} />
           <Wheat size={22} color={Colors.carbs} />
           <Text style={styles.resultValue}>{results.macros.carbs}g</Text>
-          <Text style={styles.resultLabel}>Carbs</Text>
+          <Text style={styles.resultLabel}>{t('food.carbs')}</Text>
         </ReAnimated.View>
 
         <ReAnimated.View entering={FadeInDown.delay(400).duration(400).springify()} style={styles.resultCard}>
           <LinearGradient colors={['rgba(255,217,61,0.12)', 'rgba(255,217,61,0.03)']} style={StyleSheet.absoluteFill} />
           <Droplets size={22} color={Colors.fat} />
           <Text style={styles.resultValue}>{results.macros.fat}g</Text>
-          <Text style={styles.resultLabel}>Fat</Text>
+          <Text style={styles.resultLabel}>{t('food.fat')}</Text>
         </ReAnimated.View>
       </View>
 
@@ -566,21 +572,21 @@ function Step6Generation({ data, onComplete, onImport, onQuickLog }) {
       <View style={styles.macroLegend}>
         <View style={styles.macroLegendItem}>
           <View style={[styles.macroLegendDot, { backgroundColor: Colors.protein }]} />
-          <Text style={styles.macroLegendText}>Protein {results.macros.proteinPct}%</Text>
+          <Text style={styles.macroLegendText}>{t('onboarding.protein', { proteinPct: results.macros.proteinPct })}</Text>
         </View>
         <View style={styles.macroLegendItem}>
           <View style={[styles.macroLegendDot, { backgroundColor: Colors.carbs }]} />
-          <Text style={styles.macroLegendText}>Carbs {results.macros.carbsPct}%</Text>
+          <Text style={styles.macroLegendText}>{t('onboarding.carbs', { carbsPct: results.macros.carbsPct })}</Text>
         </View>
         <View style={styles.macroLegendItem}>
           <View style={[styles.macroLegendDot, { backgroundColor: Colors.fat }]} />
-          <Text style={styles.macroLegendText}>Fat {results.macros.fatPct}%</Text>
+          <Text style={styles.macroLegendText}>{t('onboarding.fat', { fatPct: results.macros.fatPct })}</Text>
         </View>
       </View>
 
       <ReAnimated.View entering={FadeInDown.delay(600).duration(400).springify()} style={styles.resultInfoRow}>
         <Utensils size={20} color={Colors.primary} />
-        <Text style={styles.resultInfoText}>Fast logging is live. The rest of setup can happen after your first day.</Text>
+        <Text style={styles.resultInfoText}>{t('onboarding.fastLoggingIsLive')}</Text>
       </ReAnimated.View>
 
       <ReAnimated.View entering={FadeInUp.delay(700).duration(500).springify()} style={{ width: '100%', marginTop: Spacing.xl }}>
@@ -592,24 +598,24 @@ function Step6Generation({ data, onComplete, onImport, onQuickLog }) {
             style={StyleSheet.absoluteFill}
           />
           <Sparkles size={20} color="#fff" />
-          <Text style={styles.ctaText}>Open Today</Text>
+          <Text style={styles.ctaText}>{t('onboarding.openToday')}</Text>
           <ArrowRight size={20} color="#fff" />
         </Pressable>
       </ReAnimated.View>
 
       <ReAnimated.View entering={FadeInUp.delay(740).duration(500).springify()} style={styles.secondaryCtaWrap}>
         <Pressable onPress={onQuickLog} style={styles.secondaryCtaButton}>
-          <Text style={styles.secondaryCtaText}>Log first meal now</Text>
+          <Text style={styles.secondaryCtaText}>{t('onboarding.logFirstMealNow')}</Text>
           <ChevronRight size={18} color={Colors.text} />
         </Pressable>
       </ReAnimated.View>
 
       <ReAnimated.View entering={FadeInUp.delay(780).duration(500).springify()} style={styles.resultsImportCardWrap}>
         <MyFitnessPalImportCard
-          eyebrow="Coming From MyFitnessPal?"
-          title="Bring your diary over first"
-          body="Finish setup and import your meals before you start searching from scratch."
-          buttonLabel="Finish and import"
+          eyebrow={t('onboarding.comingFromAnotherApp')}
+          title={t('onboarding.bringYourDiaryOver')}
+          body={t('onboarding.finishSetupAndImport')}
+          buttonLabel={t('onboarding.finishAndImport')}
           onPress={onImport}
           style={styles.resultsImportCard}
         />
@@ -621,6 +627,7 @@ function Step6Generation({ data, onComplete, onImport, onQuickLog }) {
 }
 
 export default function OnboardingScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const { updateProfile } = useProfile();
   const [step, setStep] = useState(1);
@@ -729,14 +736,14 @@ export default function OnboardingScreen() {
       }, 50);
     } catch (err) {
       if (__DEV__) console.error('Onboarding complete error:', err);
-      Alert.alert('Error', 'Failed to save your profile. Please try again.');
+      Alert.alert(t('common.errorTitle'), t('onboarding.failedToSaveYour'));
       setSaving(false);
     }
-  }, [data, updateProfile, router, saving]);
+  }, [data, updateProfile, router, saving, t]);
 
   const completeOnboardingAndImport = useCallback(() => {
     completeOnboarding({
-      pathname: '/import-myfitnesspal',
+      pathname: '/import-diary',
       params: {
         source: 'onboarding_completion',
       },
@@ -837,7 +844,7 @@ export default function OnboardingScreen() {
             <View style={styles.bottomBar}>
               {step === 1 ? (
                 <View style={styles.bottomHintWrap}>
-                  <Text style={styles.bottomHintText}>Two quick steps. Preferences can wait until after your first log.</Text>
+                  <Text style={styles.bottomHintText}>{t('onboarding.twoQuickStepsPreferences')}</Text>
                 </View>
               ) : (
                 <View />
@@ -857,7 +864,7 @@ export default function OnboardingScreen() {
                     end={{ x: 1, y: 0 }}
                     style={[StyleSheet.absoluteFill, { borderRadius: 14 }]}
                   />
-                  <Text style={styles.nextBtnText}>See My Targets</Text>
+                  <Text style={styles.nextBtnText}>{t('onboarding.seeMyTargets')}</Text>
                   <ArrowRight size={18} color="#fff" strokeWidth={2.5} />
                 </Pressable>
               )}
@@ -38,6 +38,7 @@ import {
   CircleOff,
   Crown,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import {
   Colors,
   Gradients,
@@ -55,6 +56,7 @@ import {
 } from '../lib/activationTracker';
 import { trackConversion } from '../lib/conversionTracking';
 import { getABTestVariant } from '../lib/monetization';
+import { formatCurrency } from '../lib/formatters';
 
 const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get('window');
 
@@ -114,100 +116,100 @@ function FeatureItem({ icon: Icon, title, delay = 0 }) {
   );
 }
 
-function getPaywallContent(source, trigger, messageVariant = 'speed') {
+function getPaywallContent(t, source, trigger, messageVariant = 'speed') {
   if (trigger === 'after_value') {
     if (messageVariant === 'clarity') {
       return {
-        headlineTop: 'Understand Today,',
-        headlineAccent: 'Without Guessing',
-        subheadline: 'You already felt the logging loop. Pro makes the next decision obvious with clearer daily guidance.',
+        headlineTop: t('paywall.understandToday'),
+        headlineAccent: t('paywall.withoutGuessing'),
+        subheadline: t('paywall.youAlreadyFeltThe'),
         features: [
-          'See the single best next nutrition action',
-          'Faster shortcuts for repeat meals',
-          'Coach and deeper daily insight',
-          'Ad-free focus',
+          t('paywall.seeTheSingleBest'),
+          t('paywall.fasterShortcutsForRepeat'),
+          t('paywall.coachAndDeeperDaily'),
+          t('paywall.adFreeFocus'),
         ],
       };
     }
 
     if (messageVariant === 'coach') {
       return {
-        headlineTop: 'Keep The Speed,',
-        headlineAccent: 'Add A Coach',
-        subheadline: 'You already have the habit loop. Pro adds smarter feedback and coaching on top of it.',
+        headlineTop: t('paywall.keepTheSpeed'),
+        headlineAccent: t('paywall.addACoach'),
+        subheadline: t('paywall.youAlreadyHaveThe'),
         features: [
-          'Coach nudges based on your day',
-          'Premium scan and shortcut workflows',
-          'Voice logging for faster capture',
-          'Ad-free focus',
+          t('paywall.coachNudgesBasedOn'),
+          t('components.upgradeMomentumCard.premiumScanAndShortcut'),
+          t('components.upgradeMomentumCard.voiceLoggingForFaster'),
+          t('paywall.adFreeFocus'),
         ],
       };
     }
 
     return {
-      headlineTop: 'Keep The Speed,',
-      headlineAccent: 'Add Pro',
-      subheadline: 'You already felt the core loop. Pro adds faster capture and clearer daily guidance.',
+      headlineTop: t('paywall.keepTheSpeed'),
+      headlineAccent: t('paywall.addPro'),
+      subheadline: t('paywall.youAlreadyFeltThe2'),
       features: [
-        'Voice logging when your hands are busy',
-        'Premium scan and shortcut workflows',
-        'Coach and deeper progress insight',
-        'Ad-free focus',
+        t('paywall.voiceLoggingWhenYour'),
+        t('components.upgradeMomentumCard.premiumScanAndShortcut'),
+        t('paywall.coachAndDeeperProgress'),
+        t('paywall.adFreeFocus'),
       ],
     };
   }
 
   if (source === 'voice_logging') {
     return {
-      headlineTop: 'Unlock Hands-Free',
-      headlineAccent: 'Food Logging',
-      subheadline: 'Speak meals out loud, keep momentum, and let Pro handle the capture work.',
+      headlineTop: t('paywall.unlockHandsFree'),
+      headlineAccent: t('paywall.foodLogging'),
+      subheadline: t('paywall.speakMealsOutLoud'),
       features: [
-        'Voice logging for fast capture',
-        'Barcode and AI scan workflows',
-        'Smarter shortcuts for repeat meals',
-        'Ad-free focus',
+        t('paywall.voiceLoggingForFast'),
+        t('paywall.barcodeAndAiScan'),
+        t('paywall.smarterShortcutsForRepeat'),
+        t('paywall.adFreeFocus'),
       ],
     };
   }
 
   if (messageVariant === 'clarity') {
     return {
-      headlineTop: 'See Today',
-      headlineAccent: 'More Clearly',
-      subheadline: 'Pro removes noise after logging and shows what matters next so users stay on track faster.',
+      headlineTop: t('paywall.seeToday'),
+      headlineAccent: t('paywall.moreClearly'),
+      subheadline: t('paywall.proRemovesNoiseAfter'),
       features: [
-        'Clearer daily targets and next actions',
-        'Premium scan and faster shortcuts',
-        'Coach and deeper progress insight',
-        'Ad-free focus',
+        t('paywall.clearerDailyTargetsAnd'),
+        t('paywall.premiumScanAndFaster'),
+        t('paywall.coachAndDeeperProgress'),
+        t('paywall.adFreeFocus'),
       ],
     };
   }
 
   if (messageVariant === 'coach') {
     return {
-      headlineTop: 'Unlock Your',
-      headlineAccent: 'Nutrition Coach',
-      subheadline: 'Pro combines faster capture with coaching that reacts to your actual day, not generic plans.',
+      headlineTop: t('paywall.unlockYour'),
+      headlineAccent: t('paywall.nutritionCoach'),
+      subheadline: t('paywall.proCombinesFasterCapture'),
       features: [
-        'Coach nudges based on your day',
-        'Voice logging and AI capture tools',
-        'Premium scan and shortcut workflows',
-        'Ad-free focus',
+        t('paywall.coachNudgesBasedOn'),
+        t('paywall.voiceLoggingAndAi'),
+        t('components.upgradeMomentumCard.premiumScanAndShortcut'),
+        t('paywall.adFreeFocus'),
       ],
     };
   }
 
   return {
-    headlineTop: 'Log Faster.',
-    headlineAccent: 'See More.',
-    subheadline: 'Pro is built to save time on capture and give you clearer insight once food is logged.',
+    headlineTop: t('paywall.logFaster'),
+    headlineAccent: t('paywall.seeMore'),
+    subheadline: t('paywall.proIsBuiltTo'),
     features: [
-      'Voice logging and AI capture tools',
-      'Premium scan and faster shortcuts',
-      'Coach and deeper daily insights',
-      'Ad-free focus',
+      t('paywall.voiceLoggingAndAi'),
+      t('paywall.premiumScanAndFaster'),
+      t('paywall.coachAndDeeperDaily2'),
+      t('paywall.adFreeFocus'),
     ],
   };
 }
@@ -324,6 +326,7 @@ function PricingCard({
 }
 
 export default function PaywallScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const params = useLocalSearchParams();
   const {
@@ -344,8 +347,8 @@ export default function PaywallScreen() {
   const paywallSource = Array.isArray(params.source) ? params.source[0] : params.source || 'direct';
   const paywallTrigger = Array.isArray(params.trigger) ? params.trigger[0] : params.trigger || 'direct';
   const paywallContent = useMemo(
-    () => getPaywallContent(paywallSource, paywallTrigger, messageVariant),
-    [messageVariant, paywallSource, paywallTrigger]
+    () => getPaywallContent(t, paywallSource, paywallTrigger, messageVariant),
+    [messageVariant, paywallSource, paywallTrigger, t]
   );
   const paywallExperimentVariant = `${messageVariant}:${planVariant}`;
 
@@ -518,8 +521,8 @@ export default function PaywallScreen() {
           },
         });
         Alert.alert(
-          'Purchases Unavailable',
-          'Subscription plans could not be loaded. Please try again in a moment.',
+          t('paywall.purchasesUnavailable'),
+          t('paywall.subscriptionPlansCouldNot'),
         );
         return;
       }
@@ -555,8 +558,8 @@ export default function PaywallScreen() {
           },
         });
         Alert.alert(
-          'Purchase Failed',
-          result.error || 'Unable to start your subscription. Please try again.',
+          t('paywall.purchaseFailed'),
+          result.error || t('paywall.unableToStartYour'),
         );
       }
     } catch (error) {
@@ -574,8 +577,8 @@ export default function PaywallScreen() {
         },
       });
       Alert.alert(
-        'Purchase Failed',
-        error?.message || 'Unable to start your subscription. Please try again.',
+        t('paywall.purchaseFailed'),
+        error?.message || t('paywall.unableToStartYour'),
       );
     } finally {
       setIsProcessing(false);
@@ -602,8 +605,10 @@ export default function PaywallScreen() {
   const monthlyPrice = monthlyPackage?.product?.priceString || '$9.99';
   const yearlyPrice = annualPackage?.product?.priceString || '$99.99';
   const yearlyPerMonth = annualPackage
-    ? `$${(annualPackage.product.price / 12).toFixed(2)}/mo`
-    : '$8.33/mo';
+    ? t('paywall.perMonth', {
+        price: formatCurrency(annualPackage.product.price / 12, annualPackage.product.currencyCode),
+      })
+    : t('paywall.perMonth', { price: '$8.33' });
   const savingsPercent = annualSavings > 0 ? annualSavings : 17;
 
   // Animated glow opacity
@@ -711,7 +716,7 @@ export default function PaywallScreen() {
               {/* Monthly */}
               <PricingCard
                 testID="paywall-monthly-plan"
-                title="Monthly"
+                title={t('paywall.monthly')}
                 price={monthlyPrice.replace(/[^0-9.]/g, '')}
                 period="month"
                 isSelected={selectedPlan === 'monthly'}
@@ -721,14 +726,14 @@ export default function PaywallScreen() {
               {/* Yearly - Featured */}
               <PricingCard
                 testID="paywall-yearly-plan"
-                title="Yearly"
+                title={t('paywall.yearly')}
                 price={yearlyPrice.replace(/[^0-9.]/g, '')}
                 period="year"
                 subtitle={yearlyPerMonth}
                 isPopular={true}
                 isSelected={selectedPlan === 'yearly'}
                 onSelect={() => setSelectedPlan('yearly')}
-                badge={`SAVE ${savingsPercent}%`}
+                badge={t('paywall.save', { savingsPercent })}
               />
             </View>
           </Animated.View>
@@ -758,7 +763,7 @@ export default function PaywallScreen() {
                   <>
                     <Zap size={22} color="#000" strokeWidth={2.5} />
                     <Text style={styles.ctaButtonText}>
-                      Start 7-Day Free Trial
+                      {t('paywall.start7DayFree')}
                     </Text>
                   </>
                 )}
@@ -767,7 +772,7 @@ export default function PaywallScreen() {
 
             {/* Trial info */}
             <Text style={styles.trialInfo}>
-              7-day free trial, then{' '}
+              {t('paywall.n7DayFreeTrial')}
               {selectedPlan === 'yearly' ? yearlyPrice + '/year' : monthlyPrice + '/month'}
             </Text>
           </Animated.View>
@@ -780,24 +785,24 @@ export default function PaywallScreen() {
               style={styles.restoreButton}
               testID="paywall-restore-button"
             >
-              <Text style={styles.restoreText}>Restore Purchases</Text>
+              <Text style={styles.restoreText}>{t('paywall.restorePurchases')}</Text>
             </Pressable>
 
             {/* Legal Links */}
             <View style={styles.legalLinks}>
               <Pressable onPress={openTerms}>
-                <Text style={styles.legalLink}>Terms</Text>
+                <Text style={styles.legalLink}>{t('paywall.terms')}</Text>
               </Pressable>
               <View style={styles.legalDot} />
               <Pressable onPress={openPrivacy}>
-                <Text style={styles.legalLink}>Privacy Policy</Text>
+                <Text style={styles.legalLink}>{t('paywall.privacyPolicy')}</Text>
               </Pressable>
             </View>
 
             {/* Legal text - Required by Apple */}
             <Text style={styles.legalText}>
-              Payment will be charged to your{' '}
-              {Platform.OS === 'ios' ? 'Apple ID' : 'Google Play'} account.
+              {t('paywall.paymentWillBeCharged')}
+              {Platform.OS === 'ios' ? t('paywall.appleId') : t('paywall.googlePlay')} account.
               Subscription auto-renews unless cancelled 24 hours before the
               period ends. Manage subscriptions in your account settings.
             </Text>
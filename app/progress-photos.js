@@ -9,9 +9,11 @@ import { ArrowLeft, Camera, Plus, CalendarDays, Scale, X, Check } from 'lucide-r
 import ScreenWrapper from '../components/ScreenWrapper';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius, Shadows } from '../constants/theme';
 import { LinearGradient } from 'expo-linear-gradient';
+import { useTranslation } from 'react-i18next';
 import { useProfile } from '../context/ProfileContext';
 import { hapticSuccess, hapticLight } from '../lib/haptics';
 import { safeJSONParse, isValidArray } from '../lib/validation';
+import { formatDate as formatLocaleDate } from '../lib/formatters';
 
 const STORAGE_KEY = '@fueliq_progress_photos';
 const MAX_PHOTOS = 100;
@@ -19,10 +21,11 @@ const { width: SCREEN_WIDTH } = Dimensions.get('window');
 
 function formatDate(isoString) {
   const d = new Date(isoString);
-  return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  return formatLocaleDate(d, { month: 'short', day: 'numeric', year: 'numeric' });
 }
 
 export default function ProgressPhotosScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const { profile } = useProfile();
   const [photos, setPhotos] = useState([]);
@@ -67,13 +70,13 @@ export default function ProgressPhotosScreen() {
 
   const handleAddPhoto = useCallback(async () => {
     await hapticLight();
-    Alert.alert('Add Progress Photo', 'Choose a source', [
+    Alert.alert(t('progressPhotos.addProgressPhoto'), t('progressPhotos.chooseASource'), [
       {
-        text: 'Take Photo',
+        text: t('progressPhotos.takePhoto'),
         onPress: async () => {
           const { status } = await ImagePicker.requestCameraPermissionsAsync();
           if (status !== 'granted') {
-            Alert.alert('Permission Needed', 'Camera access is required to take photos.');
+            Alert.alert(t('progressPhotos.permissionNeeded'), t('progressPhotos.cameraAccessIsRequired'));
             return;
           }
           const result = await ImagePicker.launchCameraAsync({
@@ -90,11 +93,11 @@ export default function ProgressPhotosScreen() {
         },
       },
       {
-        text: 'Choose from Gallery',
+        text: t('progressPhotos.chooseFromGallery'),
         onPress: async () => {
           const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
           if (status !== 'granted') {
-            Alert.alert('Permission Needed', 'Gallery access is required to choose photos.');
+            Alert.alert(t('progressPhotos.permissionNeeded'), t('progressPhotos.galleryAccessIsRequired'));
             return;
           }
           const result = await ImagePicker.launchImageLibraryAsync({
@@ -110,9 +113,9 @@ export default function ProgressPhotosScreen() {
           }
         },
       },
-      { text: 'Cancel', style: 'cancel' },
+      { text: t('common.cancel'), style: 'cancel' },
     ]);
-  }, [profile.weight]);
+  }, [profile.weight, t]);
 
   const handleSavePhoto = useCallback(async () => {
     if (!pendingUri) return;
@@ -134,10 +137,10 @@ export default function ProgressPhotosScreen() {
 
   const handleDeletePhoto = useCallback(
     (photoId) => {
-      Alert.alert('Delete Photo', 'Are you sure you want to delete this progress photo?', [
-        { text: 'Cancel', style: 'cancel' },
+      Alert.alert(t('progressPhotos.deletePhoto'), t('progressPhotos.areYouSureYou'), [
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Delete',
+          text: t('common.delete'),
           style: 'destructive',
           onPress: async () => {
             const updated = photos.filter((p) => p.id !== photoId);
@@ -147,7 +150,7 @@ export default function ProgressPhotosScreen() {
         },
       ]);
     },
-    [photos, savePhotos]
+    [photos, savePhotos, t]
   );
 
   const handleToggleSelect = useCallback(
@@ -182,7 +185,7 @@ export default function ProgressPhotosScreen() {
         <Pressable style={styles.backButton} onPress={() => router.back()}>
           <ArrowLeft size={22} color={Colors.text} />
         </Pressable>
-        <Text style={styles.title}>Progress Photos</Text>
+        <Text style={styles.title}>{t('progressPhotos.progressPhotos')}</Text>
         <Pressable style={styles.addButton} onPress={handleAddPhoto}>
           <Plus size={22} color={Colors.background} />
         </Pressable>
@@ -202,13 +205,13 @@ export default function ProgressPhotosScreen() {
                   <Image source={{ uri: photo.uri }} style={styles.compareImage} contentFit="cover" />
                   <Text style={styles.compareDate}>{formatDate(photo.date)}</Text>
                   {photo.weight && (
-                    <Text style={styles.compareWeight}>{photo.weight} lbs</Text>
+                    <Text style={styles.compareWeight}>{t('progressPhotos.lbs', { weight: photo.weight })}</Text>
                   )}
                 </View>
               ))}
             </View>
             <Pressable style={styles.doneButton} onPress={handleExitCompare}>
-              <Text style={styles.doneButtonText}>Done</Text>
+              <Text style={styles.doneButtonText}>{t('common.done')}</Text>
             </Pressable>
           </Animated.View>
         )}
@@ -233,7 +236,7 @@ export default function ProgressPhotosScreen() {
               }}
             >
               <CalendarDays size={18} color={Colors.primary} />
-              <Text style={styles.compareButtonText}>Compare Photos</Text>
+              <Text style={styles.compareButtonText}>{t('progressPhotos.comparePhotos')}</Text>
             </Pressable>
           </Animated.View>
         )}
@@ -244,13 +247,13 @@ export default function ProgressPhotosScreen() {
             <View style={styles.emptyIcon}>
               <Camera size={48} color={Colors.textTertiary} />
             </View>
-            <Text style={styles.emptyTitle}>No Progress Photos Yet</Text>
+            <Text style={styles.emptyTitle}>{t('progressPhotos.noProgressPhotosYet')}</Text>
             <Text style={styles.emptySubtitle}>
-              Take your first progress photo to start tracking your transformation
+              {t('progressPhotos.takeYourFirstProgress')}
             </Text>
             <Pressable style={styles.emptyButton} onPress={handleAddPhoto}>
               <Plus size={18} color={Colors.background} />
-              <Text style={styles.emptyButtonText}>Add Photo</Text>
+              <Text style={styles.emptyButtonText}>{t('progressPhotos.addPhoto')}</Text>
             </Pressable>
           </Animated.View>
         )}
@@ -274,7 +277,7 @@ export default function ProgressPhotosScreen() {
                 {photo.weight && (
                   <View style={styles.weightBadge}>
                     <Scale size={12} color={Colors.text} />
-                    <Text style={styles.weightBadgeText}>{photo.weight} lbs</Text>
+                    <Text style={styles.weightBadgeText}>{t('progressPhotos.lbs', { weight: photo.weight })}</Text>
                   </View>
                 )}
                 {compareMode && selectedPhotos.includes(photo.id) && (
@@ -296,7 +299,7 @@ export default function ProgressPhotosScreen() {
 
         {compareMode && (
           <Pressable style={styles.cancelCompareButton} onPress={handleExitCompare}>
-            <Text style={styles.cancelCompareText}>Cancel Compare</Text>
+            <Text style={styles.cancelCompareText}>{t('progressPhotos.cancelCompare')}</Text>
           </Pressable>
         )}
 
@@ -309,12 +312,12 @@ export default function ProgressPhotosScreen() {
           <View style={styles.modalContent}>
             <LinearGradient colors={['rgba(30,30,36,1)', 'rgba(22,22,26,1)']} style={styles.modalGradient}>
               <View style={styles.modalHeader}>
-                <Text style={styles.modalTitle}>Photo Details</Text>
+                <Text style={styles.modalTitle}>{t('progressPhotos.photoDetails')}</Text>
                 <Pressable onPress={() => { setWeightModal(false); setPendingUri(null); }}>
                   <X size={22} color={Colors.textSecondary} />
                 </Pressable>
               </View>
-              <Text style={styles.modalLabel}>Weight (optional)</Text>
+              <Text style={styles.modalLabel}>{t('progressPhotos.weightOptional')}</Text>
               <TextInput
                 style={styles.modalInput}
                 value={weightInput}
@@ -323,19 +326,19 @@ export default function ProgressPhotosScreen() {
                 placeholderTextColor={Colors.textTertiary}
                 keyboardType="decimal-pad"
               />
-              <Text style={styles.modalLabel}>Note (optional)</Text>
+              <Text style={styles.modalLabel}>{t('progressPhotos.noteOptional')}</Text>
               <TextInput
                 style={[styles.modalInput, styles.modalInputNote]}
                 value={noteInput}
                 onChangeText={setNoteInput}
-                placeholder="e.g. End of cut, feeling lean"
+                placeholder={t('progressPhotos.eGEndOf')}
                 placeholderTextColor={Colors.textTertiary}
                 multiline
                 maxLength={120}
               />
               <Pressable style={styles.modalSaveButton} onPress={handleSavePhoto}>
                 <Check size={20} color={Colors.background} />
-                <Text style={styles.modalSaveText}>Save Photo</Text>
+                <Text style={styles.modalSaveText}>{t('progressPhotos.savePhoto')}</Text>
               </Pressable>
             </LinearGradient>
           </View>
@@ -32,8 +32,10 @@ import {
   Plus,
   Flame,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import ScreenErrorBoundary from '../components/ScreenErrorBoundary';
+import RecipeScaler from '../components/RecipeScaler';
 import {
   Colors,
   Spacing,
@@ -122,8 +124,21 @@ function TagChip({ tag, isActive, onPress }) {
 // ---------------------------------------------------------------------------
 
 function RecipeCard({ recipe, index, isExpanded, onToggle, isSaved, onToggleSave, onAddToDiary }) {
+  const { t } = useTranslation();
   const totalTime = recipe.prepTime + recipe.cookTime;
 
+  // Curated nutrition is per serving; the scaler works from whole-recipe totals
+  const scalableRecipe = useMemo(() => ({
+    servings: recipe.servings,
+    ingredients: recipe.ingredients,
+    totalMacros: {
+      calories: recipe.calories * recipe.servings,
+      protein: recipe.protein * recipe.servings,
+      carbs: recipe.carbs * recipe.servings,
+      fat: recipe.fat * recipe.servings,
+    },
+  }), [recipe]);
+
   const handleToggle = useCallback(async () => {
     await hapticLight();
     LayoutAnimation.configureNext(LayoutAnimation.Presets.easeInEaseOut);
@@ -174,7 +189,7 @@ function RecipeCard({ recipe, index, isExpanded, onToggle, isSaved, onToggleSave
         <View style={styles.macroRow}>
           <View style={styles.macroPill}>
             <Flame size={12} color={Colors.secondary} />
-            <Text style={styles.macroText}>{recipe.calories} cal</Text>
+            <Text style={styles.macroText}>{t('recipeDiscovery.cal', { calories: recipe.calories })}</Text>
           </View>
           <View style={styles.macroPill}>
             <View style={[styles.macroDot, { backgroundColor: Colors.protein }]} />
@@ -197,7 +212,7 @@ function RecipeCard({ recipe, index, isExpanded, onToggle, isSaved, onToggleSave
         {/* Tag chips */}
         <View style={styles.cardTags}>
           {recipe.tags.slice(0, 4).map((tagId) => {
-            const tagMeta = RECIPE_TAGS.find((t) => t.id === tagId);
+            const tagMeta = RECIPE_TAGS.find((tag) => tag.id === tagId);
             if (!tagMeta) return null;
             return (
               <View
@@ -215,7 +230,7 @@ function RecipeCard({ recipe, index, isExpanded, onToggle, isSaved, onToggleSave
         {/* Expand indicator */}
         <View style={styles.expandRow}>
           <Text style={styles.expandHint}>
-            {isExpanded ? 'Tap to collapse' : 'Tap for details'}
+            {isExpanded ? t('recipeDiscovery.tapToCollapse') : t('recipeDiscovery.tapForDetails')}
           </Text>
           <ChevronDown
             size={16}
@@ -234,26 +249,22 @@ function RecipeCard({ recipe, index, isExpanded, onToggle, isSaved, onToggleSave
                 <Text style={styles.extraStatText}>{recipe.servings} serving{recipe.servings > 1 ? 's' : ''}</Text>
               </View>
               <View style={styles.extraStat}>
-                <Text style={styles.extraStatText}>Fiber: {recipe.fiber}g</Text>
+                <Text style={styles.extraStatText}>{t('recipeDiscovery.fiberG', { fiber: recipe.fiber })}</Text>
               </View>
               <View style={styles.extraStat}>
                 <Clock size={14} color={Colors.textTertiary} />
-                <Text style={styles.extraStatText}>Prep {recipe.prepTime}m + Cook {recipe.cookTime}m</Text>
+                <Text style={styles.extraStatText}>{t('recipeDiscovery.prepMCookM', { prepTime: recipe.prepTime, cookTime: recipe.cookTime })}</Text>
               </View>
             </View>
 
             {/* Ingredients */}
             <View style={styles.sectionDivider} />
-            <Text style={styles.sectionLabel}>Ingredients</Text>
-            {recipe.ingredients.map((ing, idx) => (
-              <Text key={idx} style={styles.ingredientItem}>
-                {'\u2022'} {ing}
-              </Text>
-            ))}
+            <Text style={styles.sectionLabel}>{t('recipeDiscovery.ingredients')}</Text>
+            <RecipeScaler recipe={scalableRecipe} />
 
             {/* Instructions */}
             <View style={styles.sectionDivider} />
-            <Text style={styles.sectionLabel}>Instructions</Text>
+            <Text style={styles.sectionLabel}>{t('recipeDiscovery.instructions')}</Text>
             {recipe.instructions.map((step, idx) => (
               <View key={idx} style={styles.stepRow}>
                 <View style={styles.stepNumber}>
@@ -268,7 +279,7 @@ function RecipeCard({ recipe, index, isExpanded, onToggle, isSaved, onToggleSave
               <>
                 <View style={styles.sectionDivider} />
                 <View style={styles.tipBox}>
-                  <Text style={styles.tipLabel}>Pro Tip</Text>
+                  <Text style={styles.tipLabel}>{t('recipeDiscovery.proTip')}</Text>
                   <Text style={styles.tipText}>{recipe.tips}</Text>
                 </View>
               </>
@@ -277,7 +288,7 @@ function RecipeCard({ recipe, index, isExpanded, onToggle, isSaved, onToggleSave
             {/* Add to Diary button */}
             <Pressable onPress={handleAdd} style={styles.addButton}>
               <Plus size={18} color="#000" strokeWidth={3} />
-              <Text style={styles.addButtonText}>Add to Diary</Text>
+              <Text style={styles.addButtonText}>{t('recipeDiscovery.addToDiary')}</Text>
             </Pressable>
           </View>
         )}
@@ -291,6 +302,7 @@ function RecipeCard({ recipe, index, isExpanded, onToggle, isSaved, onToggleSave
 // ---------------------------------------------------------------------------
 
 function RecipeDiscoveryInner() {
+  const { t } = useTranslation();
   const router = useRouter();
   const { addFood } = useMeals();
 
@@ -369,12 +381,12 @@ function RecipeDiscoveryInner() {
       addFood(foodItem, mealType);
 
       Alert.alert(
-        'Added!',
-        `${recipe.emoji} ${recipe.name} added to your ${mealType} diary.`,
-        [{ text: 'OK' }]
+        t('recipeDiscovery.added'),
+        t('recipeDiscovery.addedToYourDiary', { emoji: recipe.emoji, name: recipe.name, mealType }),
+        [{ text: t('common.ok') }]
       );
     },
-    [addFood]
+    [addFood, t]
   );
 
   const cycleSortMode = useCallback(async () => {
@@ -420,7 +432,7 @@ function RecipeDiscoveryInner() {
     return results;
   }, [activeCategory, activeTags, searchQuery, sortMode]);
 
-  const sortLabel = sortMode === 'calories' ? 'Lowest Cal' : sortMode === 'protein' ? 'Most Protein' : 'Quickest';
+  const sortLabel = sortMode === 'calories' ? t('recipeDiscovery.lowestCal') : sortMode === 'protein' ? t('recipeDiscovery.mostProtein') : t('recipeDiscovery.quickest');
 
   // Render
   const renderRecipe = useCallback(
@@ -448,7 +460,7 @@ function RecipeDiscoveryInner() {
           <ArrowLeft size={24} color={Colors.text} />
         </Pressable>
         <View style={styles.headerCenter}>
-          <Text style={styles.headerTitle}>Recipe Discovery</Text>
+          <Text style={styles.headerTitle}>{t('recipeDiscovery.recipeDiscovery')}</Text>
         </View>
         <View style={styles.countBadge}>
           <Text style={styles.countBadgeText}>{CURATED_RECIPES.length}+</Text>
@@ -461,7 +473,7 @@ function RecipeDiscoveryInner() {
           <Search size={18} color={Colors.textTertiary} />
           <TextInput
             style={styles.searchInput}
-            placeholder="Search recipes, ingredients..."
+            placeholder={t('recipeDiscovery.searchRecipesIngredients')}
             placeholderTextColor={Colors.textTertiary}
             value={searchQuery}
             onChangeText={setSearchQuery}
@@ -469,7 +481,7 @@ function RecipeDiscoveryInner() {
           />
           {searchQuery.length > 0 && (
             <Pressable onPress={() => setSearchQuery('')}>
-              <Text style={styles.clearButton}>Clear</Text>
+              <Text style={styles.clearButton}>{t('common.clear')}</Text>
             </Pressable>
           )}
         </View>
@@ -526,9 +538,9 @@ function RecipeDiscoveryInner() {
       {filteredRecipes.length === 0 ? (
         <View style={styles.emptyState}>
           <Text style={styles.emptyEmoji}>{'\u{1F50D}'}</Text>
-          <Text style={styles.emptyTitle}>No recipes found</Text>
+          <Text style={styles.emptyTitle}>{t('recipeDiscovery.noRecipesFound')}</Text>
           <Text style={styles.emptySubtitle}>
-            Try adjusting your filters or search query
+            {t('recipeDiscovery.tryAdjustingYourFilters')}
           </Text>
         </View>
       ) : (
@@ -544,7 +556,7 @@ function RecipeDiscoveryInner() {
           ListFooterComponent={
             <View style={styles.footer}>
               <Text style={styles.footerText}>
-                {filteredRecipes.length} of {CURATED_RECIPES.length} recipes
+                {t('recipeDiscovery.ofRecipes', { filteredRecipesCount: filteredRecipes.length, CURATED_RECIPESCount: CURATED_RECIPES.length })}
               </Text>
               {savedFavorites.size > 0 && (
                 <Text style={styles.footerSaved}>
@@ -893,12 +905,6 @@ const styles = StyleSheet.create({
     color: Colors.text,
     marginBottom: Spacing.sm,
   },
-  ingredientItem: {
-    fontSize: FontSize.sm,
-    color: Colors.textSecondary,
-    lineHeight: 22,
-    paddingLeft: Spacing.xs,
-  },
   stepRow: {
     flexDirection: 'row',
     gap: Spacing.sm,
@@ -35,8 +35,10 @@ import {
   Flame,
 } from 'lucide-react-native';
 import * as ClipboardAPI from 'expo-clipboard';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import ScreenErrorBoundary from '../components/ScreenErrorBoundary';
+import { useAIQuotaUpsell } from '../components/PremiumGate';
 import GlassCard from '../components/ui/GlassCard';
 import {
   Colors,
@@ -71,6 +73,7 @@ function isValidURL(str) {
 // ---------------------------------------------------------------------------
 
 function IngredientRow({ ingredient, index }) {
+  const { t } = useTranslation();
   return (
     <ReAnimated.View
       entering={FadeInDown.delay(Math.min(index * 40, 300)).springify().damping(14)}
@@ -86,7 +89,7 @@ function IngredientRow({ ingredient, index }) {
         </View>
       </View>
       <View style={styles.ingredientMacros}>
-        <Text style={styles.ingredientCal}>{ingredient.calories} cal</Text>
+        <Text style={styles.ingredientCal}>{t('recipeImport.cal', { calories: ingredient.calories })}</Text>
         <View style={styles.ingredientMacroPills}>
           <View style={[styles.microPill, { backgroundColor: 'rgba(255, 107, 157, 0.15)' }]}>
             <Text style={[styles.microPillText, { color: Colors.protein }]}>
@@ -114,6 +117,7 @@ function IngredientRow({ ingredient, index }) {
 // ---------------------------------------------------------------------------
 
 function MacroSummaryCard({ label, totals }) {
+  const { t } = useTranslation();
   return (
     <GlassCard style={styles.macroSummaryCard}>
       <Text style={styles.macroSummaryLabel}>{label}</Text>
@@ -121,7 +125,7 @@ function MacroSummaryCard({ label, totals }) {
         <View style={styles.macroSumItem}>
           <Flame size={14} color={Colors.secondary} />
           <Text style={styles.macroSumValue}>{totals.calories}</Text>
-          <Text style={styles.macroSumUnit}>cal</Text>
+          <Text style={styles.macroSumUnit}>{t('units.cal')}</Text>
         </View>
         <View style={styles.macroSumItem}>
           <View style={[styles.macroDot, { backgroundColor: Colors.protein }]} />
@@ -148,9 +152,11 @@ function MacroSummaryCard({ label, totals }) {
 // ---------------------------------------------------------------------------
 
 function RecipeImportInner() {
+  const { t } = useTranslation();
   const router = useRouter();
   const { saveRecipe } = useRecipes();
   const { addFood, getDefaultMealType } = useMeals();
+  const showQuotaUpsell = useAIQuotaUpsell();
 
   // Screen state: 'input' | 'loading' | 'review' | 'error'
   const [screenState, setScreenState] = useState('input');
@@ -190,14 +196,14 @@ function RecipeImportInner() {
     const trimmed = url.trim();
 
     if (!trimmed) {
-      setErrorMessage('Please enter a recipe URL.');
+      setErrorMessage(t('recipeImport.pleaseEnterARecipe'));
       setScreenState('error');
       await hapticError();
       return;
     }
 
     if (!isValidURL(trimmed)) {
-      setErrorMessage('Please enter a valid URL (starting with http:// or https://).');
+      setErrorMessage(t('recipeImport.pleaseEnterAValid'));
       setScreenState('error');
       await hapticError();
       return;
@@ -214,18 +220,23 @@ function RecipeImportInner() {
       setScreenState('review');
       await hapticSuccess();
     } catch (err) {
-      const message = err?.message || 'Something went wrong.';
+      if (showQuotaUpsell(err)) {
+        setScreenState('input');
+        await hapticError();
+        return;
+      }
+      const message = err?.message || t('recipeImport.somethingWentWrong');
       if (message.includes('parse') || message.includes('extract') || message.includes('identify')) {
-        setErrorMessage("Couldn't parse this recipe. The page may not contain a standard recipe format.");
+        setErrorMessage(t('recipeImport.couldntParseThisRecipe'));
       } else if (message.includes('timed out') || message.includes('network') || message.includes('Network')) {
-        setErrorMessage('Network error. Please check your connection and try again.');
+        setErrorMessage(t('recipeImport.networkErrorPleaseCheck'));
       } else {
         setErrorMessage(message);
       }
       setScreenState('error');
       await hapticError();
     }
-  }, [url]);
+  }, [url, t, showQuotaUpsell]);
 
   const handleRetry = useCallback(() => {
     setScreenState('input');
@@ -268,16 +279,16 @@ function RecipeImportInner() {
       await saveRecipe(editableName, ingredients, editableServings, recipe.emoji || '🍽️');
 
       Alert.alert(
-        'Recipe Saved!',
-        `${editableName} has been saved to your recipes.`,
-        [{ text: 'OK', onPress: () => router.back() }]
+        t('recipeImport.recipeSaved'),
+        t('recipeImport.hasBeenSavedTo', { editableName }),
+        [{ text: t('common.ok'), onPress: () => router.back() }]
       );
     } catch (err) {
-      Alert.alert('Error', err?.message || 'Failed to save recipe. Please try again.');
+      Alert.alert(t('common.errorTitle'), err?.message || t('recipeImport.failedToSaveRecipe'));
     } finally {
       setSaving(false);
     }
-  }, [recipe, editableName, editableServings, saveRecipe, saving, router]);
+  }, [recipe, editableName, editableServings, saveRecipe, saving, router, t]);
 
   const handleAddToDiary = useCallback(async () => {
     if (!recipe || !perServing) return;
@@ -297,11 +308,11 @@ function RecipeImportInner() {
     await hapticSuccess();
 
     Alert.alert(
-      'Added to Diary!',
-      `1 serving of ${editableName} added to your ${mealType} diary.`,
-      [{ text: 'OK', onPress: () => router.back() }]
+      t('recipeImport.addedToDiary'),
+      t('recipeImport.n1ServingOfAdded', { editableName, mealType }),
+      [{ text: t('common.ok'), onPress: () => router.back() }]
     );
-  }, [recipe, editableName, editableServings, perServing, addFood, router]);
+  }, [recipe, editableName, editableServings, perServing, addFood, router, t]);
 
   // -- Render --
 
@@ -313,7 +324,7 @@ function RecipeImportInner() {
           <ArrowLeft size={24} color={Colors.text} />
         </Pressable>
         <View style={styles.headerCenter}>
-          <Text style={styles.headerTitle}>Import Recipe</Text>
+          <Text style={styles.headerTitle}>{t('recipeImport.importRecipe')}</Text>
         </View>
         <View style={{ width: 44 }} />
       </ReAnimated.View>
@@ -333,9 +344,9 @@ function RecipeImportInner() {
                     <Link size={24} color={Colors.primary} />
                   </View>
                   <View style={styles.inputTextBlock}>
-                    <Text style={styles.inputTitle}>Paste a Recipe URL</Text>
+                    <Text style={styles.inputTitle}>{t('recipeImport.pasteARecipeUrl')}</Text>
                     <Text style={styles.inputSubtitle}>
-                      We'll use AI to extract the recipe, ingredients, and nutrition info.
+                      {t('recipeImport.wellUseAiTo')}
                     </Text>
                   </View>
                 </View>
@@ -356,7 +367,7 @@ function RecipeImportInner() {
                   />
                   <Pressable onPress={handlePasteFromClipboard} style={styles.pasteButton}>
                     <Clipboard size={18} color={Colors.primary} />
-                    <Text style={styles.pasteButtonText}>Paste</Text>
+                    <Text style={styles.pasteButtonText}>{t('common.paste')}</Text>
                   </Pressable>
                 </View>
 
@@ -366,14 +377,14 @@ function RecipeImportInner() {
                   disabled={!url.trim()}
                 >
                   <ChefHat size={20} color="#000" strokeWidth={2.5} />
-                  <Text style={styles.importButtonText}>Import Recipe</Text>
+                  <Text style={styles.importButtonText}>{t('recipeImport.importRecipe')}</Text>
                 </Pressable>
               </GlassCard>
             </ReAnimated.View>
 
             <ReAnimated.View entering={FadeInDown.delay(120).springify().damping(12)}>
               <View style={styles.hintBox}>
-                <Text style={styles.hintTitle}>Supported sites</Text>
+                <Text style={styles.hintTitle}>{t('recipeImport.supportedSites')}</Text>
                 <Text style={styles.hintText}>
                   Works with most recipe sites: AllRecipes, Food Network, BBC Good Food,
                   Serious Eats, and many more. Just copy the URL and paste it above.
@@ -388,14 +399,14 @@ function RecipeImportInner() {
           <ReAnimated.View entering={FadeInDown.delay(0).springify().damping(12)}>
             <GlassCard style={styles.loadingCard}>
               <ActivityIndicator size="large" color={Colors.primary} />
-              <Text style={styles.loadingTitle}>Analyzing Recipe...</Text>
+              <Text style={styles.loadingTitle}>{t('recipeImport.analyzingRecipe')}</Text>
               <Text style={styles.loadingSubtitle}>
-                Our AI is reading the page, extracting ingredients, and estimating nutrition.
+                {t('recipeImport.ourAiIsReading')}
               </Text>
               <View style={styles.loadingSteps}>
-                <Text style={styles.loadingStep}>Fetching recipe page...</Text>
-                <Text style={styles.loadingStep}>Identifying ingredients...</Text>
-                <Text style={styles.loadingStep}>Estimating nutrition...</Text>
+                <Text style={styles.loadingStep}>{t('recipeImport.fetchingRecipePage')}</Text>
+                <Text style={styles.loadingStep}>{t('recipeImport.identifyingIngredients')}</Text>
+                <Text style={styles.loadingStep}>{t('recipeImport.estimatingNutrition')}</Text>
               </View>
             </GlassCard>
           </ReAnimated.View>
@@ -408,17 +419,17 @@ function RecipeImportInner() {
               <View style={styles.errorIconRow}>
                 <AlertCircle size={32} color={Colors.error} />
               </View>
-              <Text style={styles.errorTitle}>Import Failed</Text>
+              <Text style={styles.errorTitle}>{t('recipeImport.importFailed')}</Text>
               <Text style={styles.errorMessage}>{errorMessage}</Text>
 
               <View style={styles.errorActions}>
                 <Pressable onPress={handleRetry} style={styles.retryButton}>
                   <RefreshCw size={18} color={Colors.primary} />
-                  <Text style={styles.retryButtonText}>Try Again</Text>
+                  <Text style={styles.retryButtonText}>{t('recipeImport.tryAgain')}</Text>
                 </Pressable>
                 <Pressable onPress={handleManualEntry} style={styles.manualButton}>
                   <PenLine size={18} color={Colors.textSecondary} />
-                  <Text style={styles.manualButtonText}>Enter Manually</Text>
+                  <Text style={styles.manualButtonText}>{t('recipeImport.enterManually')}</Text>
                 </Pressable>
               </View>
             </GlassCard>
@@ -434,12 +445,12 @@ function RecipeImportInner() {
                 <View style={styles.nameHeader}>
                   <Text style={styles.recipeEmoji}>{recipe.emoji || '🍽️'}</Text>
                   <View style={styles.nameInputWrap}>
-                    <Text style={styles.nameLabel}>RECIPE NAME</Text>
+                    <Text style={styles.nameLabel}>{t('recipeImport.recipeName')}</Text>
                     <TextInput
                       style={styles.nameInput}
                       value={editableName}
                       onChangeText={setEditableName}
-                      placeholder="Recipe name"
+                      placeholder={t('recipeImport.recipeName2')}
                       placeholderTextColor={Colors.textTertiary}
                     />
                   </View>
@@ -447,7 +458,7 @@ function RecipeImportInner() {
 
                 {/* Servings control */}
                 <View style={styles.servingsRow}>
-                  <Text style={styles.servingsLabel}>Servings</Text>
+                  <Text style={styles.servingsLabel}>{t('recipeImport.servings')}</Text>
                   <View style={styles.servingsControl}>
                     <Pressable
                       onPress={() => handleServingsChange(-1)}
@@ -470,20 +481,20 @@ function RecipeImportInner() {
 
             {/* Macro Summaries */}
             <ReAnimated.View entering={FadeInDown.delay(60).springify().damping(12)}>
-              <MacroSummaryCard label="Total Recipe" totals={recipe.totals} />
+              <MacroSummaryCard label={t('recipeImport.totalRecipe')} totals={recipe.totals} />
             </ReAnimated.View>
 
             <ReAnimated.View entering={FadeInDown.delay(100).springify().damping(12)}>
               {perServing && (
-                <MacroSummaryCard label={`Per Serving (1/${editableServings})`} totals={perServing} />
+                <MacroSummaryCard label={t('recipeImport.perServingOf', { servings: editableServings })} totals={perServing} />
               )}
             </ReAnimated.View>
 
             {/* Ingredients List */}
             <ReAnimated.View entering={FadeInDown.delay(140).springify().damping(12)}>
               <View style={styles.sectionHeader}>
-                <Text style={styles.sectionTitle}>Ingredients</Text>
-                <Text style={styles.sectionCount}>{recipe.ingredients.length} items</Text>
+                <Text style={styles.sectionTitle}>{t('recipeImport.ingredients')}</Text>
+                <Text style={styles.sectionCount}>{t('recipeImport.items', { ingredientsCount: recipe.ingredients.length })}</Text>
               </View>
             </ReAnimated.View>
 
@@ -504,13 +515,13 @@ function RecipeImportInner() {
                   <Save size={20} color="#000" strokeWidth={2.5} />
                 )}
                 <Text style={styles.saveButtonText}>
-                  {saving ? 'Saving...' : 'Save Recipe'}
+                  {saving ? t('common.saving') : t('recipeImport.saveRecipe')}
                 </Text>
               </Pressable>
 
               <Pressable onPress={handleAddToDiary} style={styles.diaryButton}>
                 <Plus size={20} color={Colors.primary} strokeWidth={2.5} />
-                <Text style={styles.diaryButtonText}>Add to Diary</Text>
+                <Text style={styles.diaryButtonText}>{t('recipeImport.addToDiary')}</Text>
               </Pressable>
             </ReAnimated.View>
 
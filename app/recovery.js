@@ -60,6 +60,7 @@ import {
   AlertTriangle,
   Flame,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import {
   Colors,
@@ -72,6 +73,7 @@ import {
 } from '../constants/theme';
 import { hapticLight, hapticSuccess } from '../lib/haptics';
 import useRecovery from '../hooks/useRecovery';
+import { formatDate as formatLocaleDate } from '../lib/formatters';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 
@@ -87,12 +89,12 @@ const AnimatedCircle = ReAnimated.createAnimatedComponent(Circle);
 
 // Muscle group display config with body-part emojis
 const MUSCLE_CONFIG = {
-  chest: { label: 'Chest', emoji: '\uD83E\uDDB4', icon: Shield },
-  back: { label: 'Back', emoji: '\uD83E\uDDB5', icon: Activity },
-  shoulders: { label: 'Shoulders', emoji: '\uD83D\uDCAA', icon: Dumbbell },
-  arms: { label: 'Arms', emoji: '\uD83D\uDCAA', icon: Zap },
-  legs: { label: 'Legs', emoji: '\uD83E\uDDB5', icon: Activity },
-  core: { label: 'Core', emoji: '\uD83E\uDDB4', icon: Shield },
+  chest: { labelKey: 'recovery.muscleConfig.chest', emoji: '\uD83E\uDDB4', icon: Shield },
+  back: { labelKey: 'common.back', emoji: '\uD83E\uDDB5', icon: Activity },
+  shoulders: { labelKey: 'recovery.muscleConfig.shoulders', emoji: '\uD83D\uDCAA', icon: Dumbbell },
+  arms: { labelKey: 'recovery.muscleConfig.arms', emoji: '\uD83D\uDCAA', icon: Zap },
+  legs: { labelKey: 'recovery.muscleConfig.legs', emoji: '\uD83E\uDDB5', icon: Activity },
+  core: { labelKey: 'recovery.muscleConfig.core', emoji: '\uD83E\uDDB4', icon: Shield },
 };
 
 // Soreness level colors
@@ -103,25 +105,26 @@ function getSorenessColor(level) {
   return Colors.error;
 }
 
-function getSorenessLabel(level) {
-  if (level === 0) return 'None';
-  if (level === 1) return 'Mild';
-  if (level === 2) return 'Moderate';
-  return 'Severe';
+function getSorenessLabel(t, level) {
+  if (level === 0) return t('recovery.none');
+  if (level === 1) return t('recovery.mild');
+  if (level === 2) return t('recovery.moderate');
+  return t('recovery.severe');
 }
 
 // Recovery time estimate based on soreness level
-function getRecoveryEstimate(level) {
-  if (level === 0) return 'Ready';
-  if (level === 1) return '~12h';
-  if (level === 2) return '~24h';
-  return '~48h';
+function getRecoveryEstimate(t, level) {
+  if (level === 0) return t('recovery.ready');
+  if (level === 1) return t('recovery.approxHours', { hours: 12 });
+  if (level === 2) return t('recovery.approxHours', { hours: 24 });
+  return t('recovery.approxHours', { hours: 48 });
 }
 
 // ============================================================
 // Readiness Ring Component
 // ============================================================
 function ReadinessRing({ score, label }) {
+  const { t } = useTranslation();
   const progress = useSharedValue(0);
   const scaleValue = useSharedValue(0.9);
 
@@ -196,7 +199,7 @@ function ReadinessRing({ score, label }) {
           {score}
         </Text>
         <Text style={styles.ringEmoji}>{label.emoji}</Text>
-        <Text style={styles.ringSubtext}>out of 100</Text>
+        <Text style={styles.ringSubtext}>{t('recovery.outOf100')}</Text>
       </View>
     </ReAnimated.View>
   );
@@ -238,6 +241,7 @@ function IconRating({ value, onChange, max = 5, icon: Icon, activeColor, label }
 // Muscle Soreness Grid Component (2x3, 4-level toggle 0-3)
 // ============================================================
 function MuscleGrid({ soreness, onUpdate }) {
+  const { t } = useTranslation();
   const handleCycle = useCallback(async (muscle) => {
     await hapticLight();
     const current = soreness[muscle] || 0;
@@ -247,7 +251,7 @@ function MuscleGrid({ soreness, onUpdate }) {
 
   return (
     <View style={styles.muscleGridContainer}>
-      <Text style={styles.ratingLabel}>Muscle Soreness</Text>
+      <Text style={styles.ratingLabel}>{t('recovery.muscleSoreness')}</Text>
       <View style={styles.muscleGrid}>
         {Object.entries(MUSCLE_CONFIG).map(([key, config]) => {
           const level = soreness[key] || 0;
@@ -263,7 +267,7 @@ function MuscleGrid({ soreness, onUpdate }) {
               onPress={() => handleCycle(key)}
             >
               <Text style={styles.muscleEmoji}>{config.emoji}</Text>
-              <Text style={styles.muscleLabel}>{config.label}</Text>
+              <Text style={styles.muscleLabel}>{t(config.labelKey)}</Text>
               {/* 4-level toggle indicator */}
               <View style={styles.muscleLevelDots}>
                 {[0, 1, 2, 3].map((l) => (
@@ -281,13 +285,13 @@ function MuscleGrid({ soreness, onUpdate }) {
                 ))}
               </View>
               <Text style={[styles.muscleLevelLabel, { color: level > 0 ? color : Colors.textTertiary }]}>
-                {getSorenessLabel(level)}
+                {getSorenessLabel(t, level)}
               </Text>
             </Pressable>
           );
         })}
       </View>
-      <Text style={styles.muscleHint}>{'Tap to cycle: None > Mild > Moderate > Severe'}</Text>
+      <Text style={styles.muscleHint}>{t('recovery.tapToCycleNone')}</Text>
     </View>
   );
 }
@@ -347,6 +351,7 @@ function WeeklyTrendChart({ weeklyData, getReadinessLabel }) {
 // Muscle Recovery Map Component
 // ============================================================
 function MuscleRecoveryMap({ soreness, getReadinessLabel }) {
+  const { t } = useTranslation();
   return (
     <View style={styles.muscleMapContainer}>
       {/* Upper body row: shoulders, chest, back */}
@@ -365,7 +370,7 @@ function MuscleRecoveryMap({ soreness, getReadinessLabel }) {
               ]}
             >
               <Text style={styles.muscleMapEmoji}>{config.emoji}</Text>
-              <Text style={styles.muscleMapName}>{config.label}</Text>
+              <Text style={styles.muscleMapName}>{t(config.labelKey)}</Text>
               {/* Soreness bar */}
               <View style={styles.muscleMapBarTrack}>
                 <View
@@ -379,7 +384,7 @@ function MuscleRecoveryMap({ soreness, getReadinessLabel }) {
                 />
               </View>
               <Text style={[styles.muscleMapEstimate, { color }]}>
-                {getRecoveryEstimate(level)}
+                {getRecoveryEstimate(t, level)}
               </Text>
             </View>
           );
@@ -402,7 +407,7 @@ function MuscleRecoveryMap({ soreness, getReadinessLabel }) {
               ]}
             >
               <Text style={styles.muscleMapEmoji}>{config.emoji}</Text>
-              <Text style={styles.muscleMapName}>{config.label}</Text>
+              <Text style={styles.muscleMapName}>{t(config.labelKey)}</Text>
               {/* Soreness bar */}
               <View style={styles.muscleMapBarTrack}>
                 <View
@@ -416,7 +421,7 @@ function MuscleRecoveryMap({ soreness, getReadinessLabel }) {
                 />
               </View>
               <Text style={[styles.muscleMapEstimate, { color }]}>
-                {getRecoveryEstimate(level)}
+                {getRecoveryEstimate(t, level)}
               </Text>
             </View>
           );
@@ -458,6 +463,7 @@ function TipCard({ tip, index }) {
 // Strain Display Component
 // ============================================================
 function StrainSection({ strain, ratio }) {
+  const { t } = useTranslation();
   // Color based on strain level: green 0-7, yellow 8-14, red 15-21
   const getStrainColor = (value) => {
     if (value <= 7) return '#00E676';
@@ -466,15 +472,15 @@ function StrainSection({ strain, ratio }) {
   };
 
   const getStrainLabel = (value) => {
-    if (value <= 7) return 'Low';
-    if (value <= 14) return 'Moderate';
-    return 'High';
+    if (value <= 7) return t('recovery.low');
+    if (value <= 14) return t('recovery.moderate');
+    return t('recovery.high');
   };
 
   const getRatioInterpretation = (r) => {
-    if (r < 1.0) return { text: 'Undertraining \u2014 push harder', color: '#FFB300' };
-    if (r <= 1.5) return { text: 'Optimal zone', color: '#00E676' };
-    return { text: 'Overreaching \u2014 prioritize rest', color: '#FF5252' };
+    if (r < 1.0) return { text: t('recovery.undertrainingPushHarder'), color: '#FFB300' };
+    if (r <= 1.5) return { text: t('recovery.optimalZone'), color: '#00E676' };
+    return { text: t('recovery.overreachingPrioritizeRest'), color: '#FF5252' };
   };
 
   const strainColor = getStrainColor(strain);
@@ -487,7 +493,7 @@ function StrainSection({ strain, ratio }) {
           <View style={[styles.strainIconWrap, { backgroundColor: strainColor + '25' }]}>
             <Flame size={18} color={strainColor} />
           </View>
-          <Text style={styles.strainTitle}>Today's Strain</Text>
+          <Text style={styles.strainTitle}>{t('recovery.todaysStrain')}</Text>
         </View>
         <View style={styles.strainValueWrap}>
           <Text style={[styles.strainValue, { color: strainColor }]}>
@@ -522,7 +528,7 @@ function StrainSection({ strain, ratio }) {
         <View style={styles.strainRatioContainer}>
           <View style={styles.strainRatioDivider} />
           <View style={styles.strainRatioRow}>
-            <Text style={styles.strainRatioLabel}>Strain:Recovery ratio</Text>
+            <Text style={styles.strainRatioLabel}>{t('recovery.strainRecoveryRatio')}</Text>
             <Text style={[styles.strainRatioValue, { color: getRatioInterpretation(ratio).color }]}>
               {ratio}
             </Text>
@@ -542,12 +548,13 @@ function StrainSection({ strain, ratio }) {
 // History Entry Card Component
 // ============================================================
 function HistoryCard({ entry, isExpanded, onToggle, onDelete, getReadinessLabel, calculateReadinessFromEntry }) {
+  const { t } = useTranslation();
   const readiness = calculateReadinessFromEntry(entry);
   const tierInfo = getReadinessLabel(readiness);
 
   const formatDate = (dateStr) => {
     const d = new Date(dateStr + 'T12:00:00');
-    return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    return formatLocaleDate(d, { month: 'short', day: 'numeric' });
   };
 
   return (
@@ -585,7 +592,7 @@ function HistoryCard({ entry, isExpanded, onToggle, onDelete, getReadinessLabel,
           <View style={styles.historyDetailRow}>
             <View style={styles.historyDetailLabel}>
               <HeartPulse size={14} color={tierInfo.color} />
-              <Text style={styles.historyDetailText}>Readiness</Text>
+              <Text style={styles.historyDetailText}>{t('recovery.readiness')}</Text>
             </View>
             <Text style={[styles.historyDetailValue, { color: tierInfo.color }]}>
               {readiness} - {tierInfo.label}
@@ -596,7 +603,7 @@ function HistoryCard({ entry, isExpanded, onToggle, onDelete, getReadinessLabel,
           <View style={styles.historyDetailRow}>
             <View style={styles.historyDetailLabel}>
               <Moon size={14} color="#A78BFA" />
-              <Text style={styles.historyDetailText}>Sleep Quality</Text>
+              <Text style={styles.historyDetailText}>{t('recovery.sleepQuality')}</Text>
             </View>
             <View style={styles.historyMiniIcons}>
               {[1, 2, 3, 4, 5].map((s) => (
@@ -614,7 +621,7 @@ function HistoryCard({ entry, isExpanded, onToggle, onDelete, getReadinessLabel,
           <View style={styles.historyDetailRow}>
             <View style={styles.historyDetailLabel}>
               <Zap size={14} color={Colors.warning} />
-              <Text style={styles.historyDetailText}>Energy</Text>
+              <Text style={styles.historyDetailText}>{t('recovery.energy')}</Text>
             </View>
             <View style={styles.historyMiniIcons}>
               {[1, 2, 3, 4, 5].map((s) => (
@@ -632,7 +639,7 @@ function HistoryCard({ entry, isExpanded, onToggle, onDelete, getReadinessLabel,
           <View style={styles.historyDetailRow}>
             <View style={styles.historyDetailLabel}>
               <AlertTriangle size={14} color={Colors.secondary} />
-              <Text style={styles.historyDetailText}>Stress</Text>
+              <Text style={styles.historyDetailText}>{t('recovery.stress')}</Text>
             </View>
             <View style={styles.historyMiniIcons}>
               {[1, 2, 3, 4, 5].map((s) => (
@@ -649,7 +656,7 @@ function HistoryCard({ entry, isExpanded, onToggle, onDelete, getReadinessLabel,
           {/* Soreness summary */}
           {entry.soreness && Object.keys(entry.soreness).filter(k => entry.soreness[k] > 0).length > 0 && (
             <View style={styles.historySorenessRow}>
-              <Text style={styles.historySorenessTitle}>Sore Areas:</Text>
+              <Text style={styles.historySorenessTitle}>{t('recovery.soreAreas')}</Text>
               <View style={styles.historySorenessTags}>
                 {Object.entries(entry.soreness)
                   .filter(([, v]) => v > 0)
@@ -667,7 +674,7 @@ function HistoryCard({ entry, isExpanded, onToggle, onDelete, getReadinessLabel,
                           { color: getSorenessColor(level) },
                         ]}
                       >
-                        {MUSCLE_CONFIG[muscle]?.label || muscle} ({getSorenessLabel(level)})
+                        {MUSCLE_CONFIG[muscle] ? t(MUSCLE_CONFIG[muscle].labelKey) : muscle} ({getSorenessLabel(t, level)})
                       </Text>
                     </View>
                   ))}
@@ -680,10 +687,10 @@ function HistoryCard({ entry, isExpanded, onToggle, onDelete, getReadinessLabel,
             <View style={styles.historyDetailRow}>
               <View style={styles.historyDetailLabel}>
                 <HeartPulse size={14} color={Colors.primary} />
-                <Text style={styles.historyDetailText}>HRV</Text>
+                <Text style={styles.historyDetailText}>{t('recovery.hrv')}</Text>
               </View>
               <Text style={[styles.historyDetailValue, { color: Colors.primary }]}>
-                {entry.hrv} ms
+                {t('recovery.ms', { hrv: entry.hrv })}
               </Text>
             </View>
           ) : null}
@@ -696,7 +703,7 @@ function HistoryCard({ entry, isExpanded, onToggle, onDelete, getReadinessLabel,
           {/* Delete */}
           <Pressable style={styles.historyDeleteButton} onPress={onDelete}>
             <Trash2 size={14} color={Colors.error} />
-            <Text style={styles.historyDeleteText}>Delete Entry</Text>
+            <Text style={styles.historyDeleteText}>{t('recovery.deleteEntry')}</Text>
           </Pressable>
         </View>
       )}
@@ -708,6 +715,7 @@ function HistoryCard({ entry, isExpanded, onToggle, onDelete, getReadinessLabel,
 // Main Screen
 // ============================================================
 export default function RecoveryScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const {
     entries,
@@ -784,32 +792,32 @@ export default function RecoveryScreen() {
 
     if (avgSoreness >= 2) {
       result.push({
-        title: 'High Muscle Soreness',
-        description: 'Try foam rolling, stretching, or a gentle yoga session to relieve tension.',
+        title: t('recovery.highMuscleSoreness'),
+        description: t('recovery.tryFoamRollingStretching'),
         color: Colors.secondary,
       });
     }
 
     if ((data.sleepQuality || sleepQuality) <= 2) {
       result.push({
-        title: 'Improve Sleep Quality',
-        description: 'Aim for 7-9 hours tonight. Avoid screens 1 hour before bed.',
+        title: t('recovery.improveSleepQuality'),
+        description: t('recovery.aimFor79'),
         color: '#A78BFA',
       });
     }
 
     if ((data.stressLevel || stressLevel) >= 4) {
       result.push({
-        title: 'Manage Stress Levels',
-        description: 'Try the Breathing exercises or a 10-minute meditation session.',
+        title: t('recovery.manageStressLevels'),
+        description: t('recovery.tryTheBreathingExercises'),
         color: Colors.primary,
       });
     }
 
     if ((data.energyLevel || energyLevel) <= 2) {
       result.push({
-        title: 'Boost Your Energy',
-        description: 'Check your hydration and nutrition. A short walk can help.',
+        title: t('recovery.boostYourEnergy'),
+        description: t('recovery.checkYourHydrationAnd'),
         color: Colors.warning,
       });
     }
@@ -817,14 +825,14 @@ export default function RecoveryScreen() {
     // Always provide at least one tip
     if (result.length === 0) {
       result.push({
-        title: 'Keep It Up!',
-        description: 'Your recovery looks great. Maintain your healthy habits.',
+        title: t('recovery.keepItUp'),
+        description: t('recovery.yourRecoveryLooksGreat'),
         color: Colors.success,
       });
     }
 
     return result.slice(0, 3);
-  }, [todayEntry, sleepQuality, energyLevel, stressLevel, soreness]);
+  }, [todayEntry, sleepQuality, energyLevel, stressLevel, soreness, t]);
 
   // History (last 7)
   const recentHistory = useMemo(() => entries.slice(0, 7), [entries]);
@@ -857,24 +865,24 @@ export default function RecoveryScreen() {
       });
       const label = getReadinessLabel(score);
       Alert.alert(
-        'Recovery Logged',
-        `Readiness score: ${score} - ${label.label}`
+        t('recovery.recoveryLogged'),
+        t('recovery.readinessScore', { score, label: label.label })
       );
     } catch (error) {
-      Alert.alert('Error', 'Could not log recovery. Please try again.');
+      Alert.alert(t('common.errorTitle'), t('recovery.couldNotLogRecovery'));
     } finally {
       setIsSaving(false);
     }
-  }, [calculateReadinessFromEntry, sleepQuality, energyLevel, stressLevel, soreness, notes, addEntry, getReadinessLabel]);
+  }, [calculateReadinessFromEntry, sleepQuality, energyLevel, stressLevel, soreness, notes, addEntry, getReadinessLabel, t]);
 
   const handleDelete = useCallback((date) => {
     Alert.alert(
-      'Delete Entry',
-      'Are you sure you want to delete this recovery entry?',
+      t('recovery.deleteEntry'),
+      t('recovery.areYouSureYou'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Delete',
+          text: t('common.delete'),
           style: 'destructive',
           onPress: async () => {
             deleteEntry(date);
@@ -883,7 +891,7 @@ export default function RecoveryScreen() {
         },
       ]
     );
-  }, [deleteEntry]);
+  }, [deleteEntry, t]);
 
   const handleToggleExpand = useCallback(async (date) => {
     await hapticLight();
@@ -896,7 +904,7 @@ export default function RecoveryScreen() {
       <ScreenWrapper>
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color={Colors.primary} />
-          <Text style={styles.loadingText}>Loading recovery data...</Text>
+          <Text style={styles.loadingText}>{t('recovery.loadingRecoveryData')}</Text>
         </View>
       </ScreenWrapper>
     );
@@ -920,7 +928,7 @@ export default function RecoveryScreen() {
           <Pressable style={styles.backButton} onPress={handleBack}>
             <ChevronLeft size={24} color={Colors.text} />
           </Pressable>
-          <Text style={styles.headerTitle}>Recovery</Text>
+          <Text style={styles.headerTitle}>{t('recovery.recovery')}</Text>
           <View style={styles.headerIcon}>
             <HeartPulse size={22} color={Colors.error} />
           </View>
@@ -949,19 +957,19 @@ export default function RecoveryScreen() {
               <View style={styles.scoreStatsRow}>
                 <View style={styles.scoreStat}>
                   <Text style={styles.scoreStatValue}>{averageReadiness}</Text>
-                  <Text style={styles.scoreStatLabel}>7-Day Avg</Text>
+                  <Text style={styles.scoreStatLabel}>{t('recovery.n7DayAvg')}</Text>
                 </View>
                 <View style={styles.scoreStatDivider} />
                 <View style={styles.scoreStat}>
                   <Text style={[styles.scoreStatValue, { color: displayLabel.color }]}>
                     {displayScore}
                   </Text>
-                  <Text style={styles.scoreStatLabel}>Today</Text>
+                  <Text style={styles.scoreStatLabel}>{t('common.today')}</Text>
                 </View>
                 <View style={styles.scoreStatDivider} />
                 <View style={styles.scoreStat}>
                   <Text style={styles.scoreStatValue}>{displayLabel.emoji}</Text>
-                  <Text style={styles.scoreStatLabel}>Status</Text>
+                  <Text style={styles.scoreStatLabel}>{t('recovery.status')}</Text>
                 </View>
               </View>
 
@@ -982,7 +990,7 @@ export default function RecoveryScreen() {
                     style={styles.restDayGradient}
                   >
                     <AlertTriangle size={16} color={Colors.text} />
-                    <Text style={styles.restDayText}>REST DAY</Text>
+                    <Text style={styles.restDayText}>{t('recovery.restDay')}</Text>
                   </LinearGradient>
                 </View>
               )}
@@ -1006,7 +1014,7 @@ export default function RecoveryScreen() {
             <ReAnimated.View
               entering={FadeInDown.delay(200).springify().mass(0.5).damping(10)}
             >
-              <Text style={styles.sectionTitle}>Quick Log</Text>
+              <Text style={styles.sectionTitle}>{t('recovery.quickLog')}</Text>
               <View style={styles.formCard}>
                 {/* Energy Level */}
                 <IconRating
@@ -1015,7 +1023,7 @@ export default function RecoveryScreen() {
                   max={5}
                   icon={Zap}
                   activeColor={Colors.warning}
-                  label="Energy Level"
+                  label={t('recovery.energyLevel')}
                 />
 
                 <View style={styles.formDivider} />
@@ -1027,7 +1035,7 @@ export default function RecoveryScreen() {
                   max={5}
                   icon={Moon}
                   activeColor="#A78BFA"
-                  label="Sleep Quality"
+                  label={t('recovery.sleepQuality')}
                 />
 
                 <View style={styles.formDivider} />
@@ -1039,7 +1047,7 @@ export default function RecoveryScreen() {
                   max={5}
                   icon={AlertTriangle}
                   activeColor={Colors.secondary}
-                  label="Stress Level"
+                  label={t('recovery.stressLevel')}
                 />
 
                 <View style={styles.formDivider} />
@@ -1051,12 +1059,12 @@ export default function RecoveryScreen() {
 
                 {/* Notes */}
                 <View style={styles.notesContainer}>
-                  <Text style={styles.ratingLabel}>Notes (optional)</Text>
+                  <Text style={styles.ratingLabel}>{t('recovery.notesOptional')}</Text>
                   <TextInput
                     style={styles.notesInput}
                     value={notes}
                     onChangeText={setNotes}
-                    placeholder="How are you feeling today?..."
+                    placeholder={t('recovery.howAreYouFeeling')}
                     placeholderTextColor={Colors.textTertiary}
                     maxLength={200}
                     multiline
@@ -1080,7 +1088,7 @@ export default function RecoveryScreen() {
                     ) : (
                       <>
                         <HeartPulse size={20} color={Colors.text} />
-                        <Text style={styles.logButtonText}>Log Recovery</Text>
+                        <Text style={styles.logButtonText}>{t('recovery.logRecovery')}</Text>
                       </>
                     )}
                   </LinearGradient>
@@ -1102,9 +1110,9 @@ export default function RecoveryScreen() {
                   <HeartPulse size={20} color={currentLabel.color} />
                 </View>
                 <View style={styles.loggedTodayContent}>
-                  <Text style={styles.loggedTodayTitle}>Today's Recovery Logged</Text>
+                  <Text style={styles.loggedTodayTitle}>{t('recovery.todaysRecoveryLogged')}</Text>
                   <Text style={styles.loggedTodaySubtitle}>
-                    Score: {currentScore} - {currentLabel.label}
+                    {t('recovery.score', { currentScore, label: currentLabel.label })}
                   </Text>
                 </View>
               </LinearGradient>
@@ -1118,16 +1126,16 @@ export default function RecoveryScreen() {
             <ReAnimated.View
               entering={FadeInDown.delay(400).springify().mass(0.5).damping(10)}
             >
-              <Text style={styles.sectionTitle}>Recovery Trend</Text>
+              <Text style={styles.sectionTitle}>{t('recovery.recoveryTrend')}</Text>
               <LinearGradient colors={Gradients.card} style={styles.weeklyCard}>
                 <View style={styles.weeklyHeader}>
                   <View style={styles.weeklyHeaderLeft}>
                     <TrendingUp size={18} color={Colors.primary} />
-                    <Text style={styles.weeklyHeaderTitle}>Last 7 Days</Text>
+                    <Text style={styles.weeklyHeaderTitle}>{t('recovery.last7Days')}</Text>
                   </View>
                   <View style={styles.weeklyAvgBadge}>
                     <Text style={styles.weeklyAvgText}>
-                      Avg: {averageReadiness}
+                      {t('recovery.avg', { averageReadiness })}
                     </Text>
                   </View>
                 </View>
@@ -1139,19 +1147,19 @@ export default function RecoveryScreen() {
                 <View style={styles.legendRow}>
                   <View style={styles.legendItem}>
                     <View style={[styles.legendDot, { backgroundColor: '#00E676' }]} />
-                    <Text style={styles.legendText}>Peak 80+</Text>
+                    <Text style={styles.legendText}>{t('recovery.peak80')}</Text>
                   </View>
                   <View style={styles.legendItem}>
                     <View style={[styles.legendDot, { backgroundColor: '#FFB300' }]} />
-                    <Text style={styles.legendText}>Good 60+</Text>
+                    <Text style={styles.legendText}>{t('recovery.good60')}</Text>
                   </View>
                   <View style={styles.legendItem}>
                     <View style={[styles.legendDot, { backgroundColor: '#FF9800' }]} />
-                    <Text style={styles.legendText}>Fair 40+</Text>
+                    <Text style={styles.legendText}>{t('recovery.fair40')}</Text>
                   </View>
                   <View style={styles.legendItem}>
                     <View style={[styles.legendDot, { backgroundColor: '#FF5252' }]} />
-                    <Text style={styles.legendText}>Rest</Text>
+                    <Text style={styles.legendText}>{t('recovery.rest')}</Text>
                   </View>
                 </View>
               </LinearGradient>
@@ -1165,7 +1173,7 @@ export default function RecoveryScreen() {
             <ReAnimated.View
               entering={FadeInDown.delay(500).springify().mass(0.5).damping(10)}
             >
-              <Text style={styles.sectionTitle}>Muscle Recovery Map</Text>
+              <Text style={styles.sectionTitle}>{t('recovery.muscleRecoveryMap')}</Text>
               <LinearGradient colors={Gradients.card} style={styles.muscleMapSection}>
                 <MuscleRecoveryMap
                   soreness={muscleRecovery}
@@ -1175,19 +1183,19 @@ export default function RecoveryScreen() {
                 <View style={styles.muscleMapLegend}>
                   <View style={styles.legendItem}>
                     <View style={[styles.legendDot, { backgroundColor: Colors.textTertiary }]} />
-                    <Text style={styles.legendText}>None</Text>
+                    <Text style={styles.legendText}>{t('recovery.none')}</Text>
                   </View>
                   <View style={styles.legendItem}>
                     <View style={[styles.legendDot, { backgroundColor: Colors.warning }]} />
-                    <Text style={styles.legendText}>Mild</Text>
+                    <Text style={styles.legendText}>{t('recovery.mild')}</Text>
                   </View>
                   <View style={styles.legendItem}>
                     <View style={[styles.legendDot, { backgroundColor: '#FF9800' }]} />
-                    <Text style={styles.legendText}>Moderate</Text>
+                    <Text style={styles.legendText}>{t('recovery.moderate')}</Text>
                   </View>
                   <View style={styles.legendItem}>
                     <View style={[styles.legendDot, { backgroundColor: Colors.error }]} />
-                    <Text style={styles.legendText}>Severe</Text>
+                    <Text style={styles.legendText}>{t('recovery.severe')}</Text>
                   </View>
                 </View>
               </LinearGradient>
@@ -1200,7 +1208,7 @@ export default function RecoveryScreen() {
           <ReAnimated.View
             entering={FadeInDown.delay(600).springify().mass(0.5).damping(10)}
           >
-            <Text style={styles.sectionTitle}>Recovery Tips</Text>
+            <Text style={styles.sectionTitle}>{t('recovery.recoveryTips')}</Text>
           </ReAnimated.View>
           {tips.map((tip, index) => (
             <TipCard key={tip.title} tip={tip} index={index} />
@@ -1213,7 +1221,7 @@ export default function RecoveryScreen() {
             <ReAnimated.View
               entering={FadeInDown.delay(800).springify().mass(0.5).damping(10)}
             >
-              <Text style={styles.sectionTitle}>History</Text>
+              <Text style={styles.sectionTitle}>{t('recovery.history')}</Text>
               {recentHistory.map((entry) => (
                 <HistoryCard
                   key={entry.date}
@@ -0,0 +1,432 @@
+/**
+ * Restaurants - Browse a chain's menu by category and log from it.
+ *
+ * Pick a chain, then a category; regular items open PortionPicker, and
+ * build-your-own items (bowls, burritos, subs) are composed step by step
+ * with live totals (see lib/restaurantMenu). The menu comes from the newest
+ * downloaded bundle, falling back to the dataset shipped with the app.
+ */
+
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { View, Text, StyleSheet, Pressable, ScrollView, TextInput, ActivityIndicator, Alert } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useRouter, useLocalSearchParams } from 'expo-router';
+import { ArrowLeft, ChevronRight, Search, Star, Layers } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
+import { useFood } from '../context/FoodContext';
+import { loadRestaurantMenu, getRestaurantMenu } from '../services/restaurantMenu';
+import {
+  listRestaurantChains,
+  getChainMenu,
+  restaurantItemToFood,
+  defaultBuilderSelection,
+  toggleBuilderOption,
+  builderTotals,
+  missingBuilderSteps,
+  builderToFood,
+} from '../lib/restaurantMenu';
+import { scaleMicronutrients } from '../lib/micronutrients';
+import { hapticLight, hapticSuccess } from '../lib/haptics';
+import PortionPicker from '../components/PortionPicker';
+import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
+
+const mealTypes = [
+  { id: 'breakfast', labelKey: 'diary.breakfast' },
+  { id: 'lunch', labelKey: 'diary.lunch' },
+  { id: 'dinner', labelKey: 'diary.dinner' },
+  { id: 'snacks', labelKey: 'diary.snacks' },
+];
+
+const CATEGORY_LABEL_KEYS = {
+  combo: 'restaurants.categories.combo',
+  burger: 'restaurants.categories.burger',
+  chicken: 'restaurants.categories.chicken',
+  wings: 'restaurants.categories.wings',
+  sandwich: 'restaurants.categories.sandwich',
+  sub: 'restaurants.categories.sub',
+  wrap: 'restaurants.categories.wrap',
+  burrito: 'restaurants.categories.burrito',
+  bowl: 'restaurants.categories.bowl',
+  taco: 'restaurants.categories.taco',
+  quesadilla: 'restaurants.categories.quesadilla',
+  pizza: 'restaurants.categories.pizza',
+  pasta: 'restaurants.categories.pasta',
+  entree: 'restaurants.categories.entree',
+  seafood: 'restaurants.categories.seafood',
+  protein: 'restaurants.categories.protein',
+  salad: 'restaurants.categories.salad',
+  soup: 'restaurants.categories.soup',
+  breakfast: 'restaurants.categories.breakfast',
+  appetizer: 'restaurants.categories.appetizer',
+  side: 'restaurants.categories.side',
+  sauce: 'restaurants.categories.sauce',
+  dessert: 'restaurants.categories.dessert',
+  smoothie: 'restaurants.categories.smoothie',
+  drink: 'restaurants.categories.drink',
+  beverage: 'restaurants.categories.beverage',
+};
+
+/** Categories added by a newer bundle fall back to their raw name */
+function categoryLabel(t, category) {
+  const key = CATEGORY_LABEL_KEYS[category];
+  return key ? t(key) : category.charAt(0).toUpperCase() + category.slice(1);
+}
+
+function stepHint(t, step) {
+  if (step.min > 0 && step.max > step.min) return t('restaurants.pickRange', { min: step.min, max: step.max });
+  if (step.min > 0) return t('restaurants.pickRequired', { count: step.min });
+  return t('restaurants.pickUpTo', { count: step.max });
+}
+
+export default function RestaurantsScreen() {
+  const { t } = useTranslation();
+  const router = useRouter();
+  const params = useLocalSearchParams();
+  const { addFood, getDefaultMealType } = useFood();
+  const [menu, setMenu] = useState(getRestaurantMenu);
+  const [isRefreshing, setIsRefreshing] = useState(true);
+  const [query, setQuery] = useState('');
+  const [chain, setChain] = useState(typeof params.chain === 'string' ? params.chain : null);
+  const [category, setCategory] = useState(null);
+  const [builder, setBuilder] = useState(null);
+  const [selection, setSelection] = useState({});
+  const [portionFood, setPortionFood] = useState(null);
+  const [isLogging, setIsLogging] = useState(false);
+  const [mealType, setMealType] = useState(
+    mealTypes.some((meal) => meal.id === params.meal) ? params.meal : getDefaultMealType(),
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+    loadRestaurantMenu().then((loaded) => {
+      if (!cancelled) setMenu(loaded);
+    }).finally(() => {
+      if (!cancelled) setIsRefreshing(false);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  const chains = useMemo(() => listRestaurantChains(menu, query), [menu, query]);
+  const sections = useMemo(() => (chain ? getChainMenu(menu, chain) : []), [menu, chain]);
+  const activeSection = sections.find((section) => section.category === category) || sections[0] || null;
+  const totals = useMemo(() => (builder ? builderTotals(builder, selection) : null), [builder, selection]);
+  const missingSteps = useMemo(() => (builder ? missingBuilderSteps(builder, selection) : []), [builder, selection]);
+
+  const openChain = (name) => {
+    hapticLight();
+    setChain(name);
+    setCategory(null);
+  };
+
+  const openBuilder = (next) => {
+    hapticLight();
+    setBuilder(next);
+    setSelection(defaultBuilderSelection(next));
+  };
+
+  const handleBack = () => {
+    if (builder) {
+      setBuilder(null);
+    } else if (chain) {
+      setChain(null);
+    } else {
+      router.back();
+    }
+  };
+
+  const handleToggleOption = (stepId, optionId) => {
+    hapticLight();
+    setSelection((prev) => toggleBuilderOption(builder, prev, stepId, optionId));
+  };
+
+  const logFood = useCallback(async (food) => {
+    setIsLogging(true);
+    try {
+      await addFood(food, mealType);
+      hapticSuccess();
+      router.back();
+    } catch (error) {
+      if (__DEV__) console.warn('[Restaurants] Failed to log item:', error);
+      Alert.alert(t('common.errorTitle'), t('restaurants.couldNotLog'));
+    } finally {
+      setIsLogging(false);
+    }
+  }, [addFood, mealType, router, t]);
+
+  const handlePortionConfirm = useCallback((portion) => {
+    const food = portionFood;
+    setPortionFood(null);
+    if (!food) return;
+    const factor = food.servingSize > 0 ? portion.grams / food.servingSize : 1;
+    logFood({
+      ...food,
+      calories: portion.calories,
+      protein: portion.protein,
+      carbs: portion.carbs,
+      fat: portion.fat,
+      serving: portion.serving,
+      micronutrients: scaleMicronutrients(food.micronutrients, factor),
+      skipHaptic: true,
+    });
+  }, [portionFood, logFood]);
+
+  const handleLogBuilder = () => {
+    if (!builder || missingSteps.length > 0 || isLogging) return;
+    logFood({ ...builderToFood(builder, selection), skipHaptic: true });
+  };
+
+  const title = builder ? builder.name : chain || t('restaurants.title');
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top']}>
+      {/* Header */}
+      <View style={styles.header}>
+        <Pressable style={styles.backButton} onPress={handleBack} hitSlop={8} accessibilityLabel={t('common.back')}>
+          <ArrowLeft size={24} color={Colors.text} />
+        </Pressable>
+        <View style={styles.headerCenter}>
+          <Text style={styles.headerTitle} numberOfLines={1}>{title}</Text>
+          {builder && <Text style={styles.headerSubtitle}>{builder.chain}</Text>}
+        </View>
+        <View style={styles.headerSpacer}>
+          {isRefreshing && <ActivityIndicator size="small" color={Colors.textTertiary} />}
+        </View>
+      </View>
+
+      <View style={styles.mealRow}>
+        {mealTypes.map((meal) => (
+          <Pressable
+            key={meal.id}
+            style={[styles.mealChip, mealType === meal.id && styles.mealChipActive]}
+            onPress={() => setMealType(meal.id)}
+          >
+            <Text style={[styles.mealChipText, mealType === meal.id && styles.mealChipTextActive]}>{t(meal.labelKey)}</Text>
+          </Pressable>
+        ))}
+      </View>
+
+      {builder ? (
+        <>
+          <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent} showsVerticalScrollIndicator={false}>
+            {builder.steps.map((step) => {
+              const picks = selection[step.id] || {};
+              const isMissing = missingSteps.includes(step);
+              return (
+                <View key={step.id} style={styles.step}>
+                  <View style={styles.stepHeader}>
+                    <Text style={styles.stepTitle}>{step.name}</Text>
+                    <Text style={[styles.stepHint, isMissing && styles.stepHintMissing]}>{stepHint(t, step)}</Text>
+                  </View>
+                  <View style={styles.optionGrid}>
+                    {step.options.map((option) => {
+                      const count = picks[option.id] || 0;
+                      return (
+                        <Pressable
+                          key={option.id}
+                          style={[styles.optionChip, count > 0 && styles.optionChipActive]}
+                          onPress={() => handleToggleOption(step.id, option.id)}
+                          accessibilityRole="checkbox"
+                          accessibilityState={{ checked: count > 0 }}
+                          accessibilityHint={step.allowDouble ? t('restaurants.tapAgainToDouble') : undefined}
+                        >
+                          <Text style={[styles.optionName, count > 0 && styles.optionNameActive]} numberOfLines={2}>
+                            {count > 1 ? t('restaurants.doubled', { name: option.name }) : option.name}
+                          </Text>
+                          <Text style={styles.optionKcal}>{t('restaurants.kcal', { calories: option.calories * Math.max(1, count) })}</Text>
+                        </Pressable>
+                      );
+                    })}
+                  </View>
+                </View>
+              );
+            })}
+          </ScrollView>
+
+          <View style={styles.builderFooter}>
+            <View style={styles.macroRow}>
+              <View style={styles.macro}><Text style={styles.macroVal}>{totals.calories}</Text><Text style={styles.macroLabel}>{t('scanFood.kcal')}</Text></View>
+              <View style={styles.macro}><Text style={[styles.macroVal, { color: Colors.protein }]}>{totals.protein}g</Text><Text style={styles.macroLabel}>{t('scanFood.pro')}</Text></View>
+              <View style={styles.macro}><Text style={[styles.macroVal, { color: Colors.carbs }]}>{totals.carbs}g</Text><Text style={styles.macroLabel}>{t('scanFood.carb')}</Text></View>
+              <View style={styles.macro}><Text style={[styles.macroVal, { color: Colors.fat }]}>{totals.fat}g</Text><Text style={styles.macroLabel}>{t('scanFood.fat')}</Text></View>
+            </View>
+            <Pressable
+              style={[styles.logButton, (missingSteps.length > 0 || isLogging) && styles.logButtonDisabled]}
+              onPress={handleLogBuilder}
+              disabled={missingSteps.length > 0 || isLogging}
+            >
+              {isLogging ? (
+                <ActivityIndicator color={Colors.background} />
+              ) : (
+                <Text style={styles.logButtonText}>
+                  {missingSteps.length > 0
+                    ? t('restaurants.chooseStep', { step: missingSteps[0].name })
+                    : t('restaurants.logItem', { calories: totals.calories })}
+                </Text>
+              )}
+            </Pressable>
+          </View>
+        </>
+      ) : chain ? (
+        <>
+          <ScrollView
+            horizontal
+            style={styles.categoryBar}
+            contentContainerStyle={styles.categoryBarContent}
+            showsHorizontalScrollIndicator={false}
+          >
+            {sections.map((section) => (
+              <Pressable
+                key={section.category}
+                style={[styles.categoryChip, activeSection?.category === section.category && styles.categoryChipActive]}
+                onPress={() => setCategory(section.category)}
+              >
+                <Text style={[styles.categoryChipText, activeSection?.category === section.category && styles.categoryChipTextActive]}>
+                  {categoryLabel(t, section.category)}
+                </Text>
+              </Pressable>
+            ))}
+          </ScrollView>
+
+          <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent} showsVerticalScrollIndicator={false}>
+            {!activeSection && <Text style={styles.emptyText}>{t('restaurants.noItems')}</Text>}
+
+            {activeSection?.builders.map((entry) => (
+              <Pressable key={entry.id} style={styles.builderCard} onPress={() => openBuilder(entry)}>
+                <Layers size={20} color={Colors.primary} />
+                <View style={styles.rowInfo}>
+                  <Text style={styles.rowName}>{t('restaurants.buildYourOwn', { name: entry.name })}</Text>
+                  <Text style={styles.rowMeta}>{t('restaurants.liveTotals')}</Text>
+                </View>
+                <ChevronRight size={18} color={Colors.textTertiary} />
+              </Pressable>
+            ))}
+
+            {activeSection?.items.map((item) => (
+              <Pressable
+                key={item.id}
+                style={styles.row}
+                onPress={() => {
+                  hapticLight();
+                  setPortionFood(restaurantItemToFood(item));
+                }}
+              >
+                <View style={styles.rowInfo}>
+                  <View style={styles.rowNameLine}>
+                    {item.popular && <Star size={12} color={Colors.warning} fill={Colors.warning} />}
+                    <Text style={styles.rowName} numberOfLines={1}>{item.name}</Text>
+                  </View>
+                  <Text style={styles.rowMeta} numberOfLines={1}>
+                    {t('restaurants.itemMacros', { serving: item.serving, protein: item.protein, carbs: item.carbs, fat: item.fat })}
+                  </Text>
+                </View>
+                <Text style={styles.rowKcal}>{t('restaurants.kcal', { calories: item.calories })}</Text>
+              </Pressable>
+            ))}
+          </ScrollView>
+        </>
+      ) : (
+        <>
+          <View style={styles.searchBox}>
+            <Search size={18} color={Colors.textTertiary} />
+            <TextInput
+              style={styles.searchInput}
+              value={query}
+              onChangeText={setQuery}
+              placeholder={t('restaurants.searchChains')}
+              placeholderTextColor={Colors.textTertiary}
+              autoCorrect={false}
+              returnKeyType="search"
+            />
+          </View>
+
+          <ScrollView
+            style={styles.scrollView}
+            contentContainerStyle={styles.scrollContent}
+            keyboardShouldPersistTaps="handled"
+            showsVerticalScrollIndicator={false}
+          >
+            {chains.length === 0 && <Text style={styles.emptyText}>{t('restaurants.noChains')}</Text>}
+            {chains.map((summary) => (
+              <Pressable key={summary.chain} style={styles.row} onPress={() => openChain(summary.chain)}>
+                <View style={styles.rowInfo}>
+                  <Text style={styles.rowName}>{summary.chain}</Text>
+                  <Text style={styles.rowMeta}>
+                    {summary.builderCount > 0
+                      ? t('restaurants.itemsWithBuilder', { count: summary.itemCount })
+                      : t('restaurants.items', { count: summary.itemCount })}
+                  </Text>
+                </View>
+                <ChevronRight size={18} color={Colors.textTertiary} />
+              </Pressable>
+            ))}
+          </ScrollView>
+        </>
+      )}
+
+      <PortionPicker
+        visible={!!portionFood}
+        food={portionFood}
+        mealType={mealType}
+        onConfirm={handlePortionConfirm}
+        onClose={() => setPortionFood(null)}
+      />
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: Colors.background },
+  // Header
+  header: { flexDirection: 'row', alignItems: 'center', paddingHorizontal: Spacing.md, paddingVertical: Spacing.md },
+  backButton: { width: 40, height: 40, borderRadius: BorderRadius.md, backgroundColor: Colors.surface, justifyContent: 'center', alignItems: 'center' },
+  headerCenter: { flex: 1, alignItems: 'center', paddingHorizontal: Spacing.sm },
+  headerTitle: { fontSize: FontSize.xl, fontWeight: FontWeight.bold, color: Colors.text },
+  headerSubtitle: { fontSize: FontSize.xs, color: Colors.textSecondary, marginTop: 2 },
+  headerSpacer: { width: 40, alignItems: 'center' },
+  // Meal
+  mealRow: { flexDirection: 'row', gap: Spacing.xs, paddingHorizontal: Spacing.md, marginBottom: Spacing.sm },
+  mealChip: { flex: 1, paddingVertical: Spacing.xs, borderRadius: BorderRadius.full, backgroundColor: Colors.surfaceBright, alignItems: 'center' },
+  mealChipActive: { backgroundColor: Colors.primary },
+  mealChipText: { color: Colors.textSecondary, fontSize: FontSize.xs, fontWeight: FontWeight.semibold },
+  mealChipTextActive: { color: Colors.background },
+  // Chains
+  searchBox: { flexDirection: 'row', alignItems: 'center', gap: Spacing.sm, marginHorizontal: Spacing.md, marginBottom: Spacing.sm, paddingHorizontal: Spacing.md, borderRadius: BorderRadius.md, backgroundColor: Colors.surface, borderWidth: 1, borderColor: Colors.inputBorder },
+  searchInput: { flex: 1, paddingVertical: Spacing.sm, color: Colors.text, fontSize: FontSize.md },
+  scrollView: { flex: 1 },
+  scrollContent: { paddingHorizontal: Spacing.md, paddingBottom: Spacing.xl },
+  emptyText: { color: Colors.textTertiary, fontSize: FontSize.sm, textAlign: 'center', marginTop: Spacing.xl },
+  row: { flexDirection: 'row', alignItems: 'center', gap: Spacing.sm, paddingVertical: Spacing.md, borderBottomWidth: 1, borderBottomColor: Colors.border },
+  rowInfo: { flex: 1 },
+  rowNameLine: { flexDirection: 'row', alignItems: 'center', gap: 4 },
+  rowName: { color: Colors.text, fontSize: FontSize.md, fontWeight: FontWeight.semibold, flexShrink: 1 },
+  rowMeta: { color: Colors.textTertiary, fontSize: FontSize.xs, marginTop: 2 },
+  rowKcal: { color: Colors.text, fontSize: FontSize.sm, fontWeight: FontWeight.semibold },
+  // Menu
+  categoryBar: { flexGrow: 0, marginBottom: Spacing.sm },
+  categoryBarContent: { paddingHorizontal: Spacing.md, gap: Spacing.xs },
+  categoryChip: { paddingVertical: Spacing.xs, paddingHorizontal: Spacing.md, borderRadius: BorderRadius.full, backgroundColor: Colors.surfaceBright },
+  categoryChipActive: { backgroundColor: Colors.primary },
+  categoryChipText: { color: Colors.textSecondary, fontSize: FontSize.sm, fontWeight: FontWeight.semibold },
+  categoryChipTextActive: { color: Colors.background },
+  builderCard: { flexDirection: 'row', alignItems: 'center', gap: Spacing.sm, padding: Spacing.md, marginVertical: Spacing.sm, borderRadius: BorderRadius.lg, backgroundColor: Colors.primarySoft, borderWidth: 1, borderColor: Colors.primary },
+  // Builder
+  step: { marginBottom: Spacing.lg },
+  stepHeader: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: Spacing.sm },
+  stepTitle: { color: Colors.text, fontSize: FontSize.lg, fontWeight: FontWeight.bold },
+  stepHint: { color: Colors.textTertiary, fontSize: FontSize.xs },
+  stepHintMissing: { color: Colors.warning, fontWeight: FontWeight.semibold },
+  optionGrid: { flexDirection: 'row', flexWrap: 'wrap', gap: Spacing.sm },
+  optionChip: { width: '48%', padding: Spacing.sm, borderRadius: BorderRadius.md, backgroundColor: Colors.surface, borderWidth: 1, borderColor: Colors.border },
+  optionChipActive: { backgroundColor: Colors.primarySoft, borderColor: Colors.primary },
+  optionName: { color: Colors.textSecondary, fontSize: FontSize.sm, fontWeight: FontWeight.semibold },
+  optionNameActive: { color: Colors.text },
+  optionKcal: { color: Colors.textTertiary, fontSize: FontSize.xs, marginTop: 2 },
+  builderFooter: { padding: Spacing.md, borderTopWidth: 1, borderTopColor: Colors.border, backgroundColor: Colors.surface },
+  macroRow: { flexDirection: 'row', justifyContent: 'space-between', marginBottom: Spacing.md },
+  macro: { alignItems: 'center' },
+  macroVal: { color: Colors.text, fontSize: FontSize.xl, fontWeight: FontWeight.bold },
+  macroLabel: { color: Colors.textTertiary, fontSize: FontSize.xs, fontWeight: FontWeight.semibold, marginTop: Spacing.xs },
+  logButton: { padding: Spacing.md, borderRadius: BorderRadius.sm, backgroundColor: Colors.primary, alignItems: 'center' },
+  logButtonDisabled: { opacity: 0.5 },
+  logButtonText: { color: Colors.background, fontWeight: FontWeight.bold },
+});
@@ -1,31 +1,107 @@
-import React, { useState, useRef } from 'react';
-import { View, Text, StyleSheet, Pressable, Image, ActivityIndicator, Alert } from 'react-native';
+/**
+ * Scan Food - Photograph a plate and log every food on it.
+ *
+ * The AI lists each item with an estimated gram weight; each item is matched
+ * to a database food (see lib/plateScan). Users can fix any portion with
+ * PortionPicker, drop wrong items, and log the rest to one meal in one step.
+ */
+
+import React, { useState, useRef, useMemo, useCallback } from 'react';
+import { View, Text, StyleSheet, Pressable, Image, ActivityIndicator, Alert, ScrollView } from 'react-native';
 import { CameraView, useCameraPermissions } from 'expo-camera';
-import { useRouter } from 'expo-router';
+import { useRouter, useLocalSearchParams } from 'expo-router';
 import { LinearGradient } from 'expo-linear-gradient';
-import { X } from 'lucide-react-native';
+import { X, Check, Pencil, Sparkles } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { useFood } from '../context/FoodContext';
+import { useIsPremium } from '../context/SubscriptionContext';
 import { analyzeFoodImage } from '../services/ai';
-import { Colors, Spacing, FontSize, FontWeight, BorderRadius, Gradients } from '../constants/theme';
+import { searchAllSources } from '../services/foodSearch';
+import {
+  createPlateItem,
+  clampPortionGrams,
+  plateItemNutrition,
+  plateItemPer100g,
+  plateItemToFood,
+  summarizePlate,
+} from '../lib/plateScan';
+import { hapticLight, hapticSuccess } from '../lib/haptics';
+import PortionPicker from '../components/PortionPicker';
+import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
+
+const mealTypes = [
+  { id: 'breakfast', labelKey: 'diary.breakfast' },
+  { id: 'lunch', labelKey: 'diary.lunch' },
+  { id: 'dinner', labelKey: 'diary.dinner' },
+  { id: 'snacks', labelKey: 'diary.snacks' },
+];
+
+const MATCH_TIMEOUT_MS = 3000;
+
+/**
+ * Older responses have no items; treat the whole photo as one item, taking
+ * the estimate as a nominal 100 g portion so it scales when adjusted.
+ */
+function detectedItems(analysis) {
+  if (analysis.items?.length > 0) return analysis.items;
+  return [{
+    name: analysis.name,
+    grams: 100,
+    calories: analysis.calories,
+    protein: analysis.protein,
+    carbs: analysis.carbs,
+    fat: analysis.fat,
+    confidence: analysis.confidence,
+  }];
+}
 
 export default function ScanFoodScreen() {
+  const { t } = useTranslation();
   const [permission, requestPermission] = useCameraPermissions();
   const [photo, setPhoto] = useState(null);
   const [analyzing, setAnalyzing] = useState(false);
-  const [analysis, setAnalysis] = useState(null);
+  const [items, setItems] = useState([]);
+  const [editingId, setEditingId] = useState(null);
+  const [isLogging, setIsLogging] = useState(false);
   const cameraRef = useRef(null);
   const router = useRouter();
+  const params = useLocalSearchParams();
   const { addFood, getDefaultMealType } = useFood();
+  const { isPremium } = useIsPremium();
+  const [mealType, setMealType] = useState(
+    mealTypes.some((meal) => meal.id === params.meal) ? params.meal : getDefaultMealType(),
+  );
 
-  if (!permission) return <View />;
-  if (!permission.granted) {
-    return (
-      <View style={styles.container}>
-        <Text style={{ color: Colors.text, textAlign: 'center', marginTop: 100 }}>We need camera access</Text>
-        <Pressable onPress={requestPermission} style={styles.btn}><Text>Grant Permission</Text></Pressable>
-      </View>
-    );
-  }
+  const totals = useMemo(() => summarizePlate(items), [items]);
+  const editingItem = items.find((item) => item.id === editingId) || null;
+  const editingFood = useMemo(() => (editingItem ? plateItemPer100g(editingItem) : null), [editingItem]);
+
+  const analyzeImage = useCallback(async (base64Image) => {
+    setAnalyzing(true);
+    try {
+      const analysis = await analyzeFoodImage(base64Image);
+      // Clear base64 from memory, keep only URI for display
+      setPhoto((prev) => prev ? { uri: prev.uri } : null);
+
+      const hasItems = analysis.items?.length > 0;
+      const plate = await Promise.all(detectedItems(analysis).map(async (detected, index) => {
+        if (!hasItems) return createPlateItem(detected, [], index);
+        try {
+          const { products } = await searchAllSources(detected.name, [], 10, MATCH_TIMEOUT_MS, isPremium);
+          return createPlateItem(detected, products, index);
+        } catch (error) {
+          if (__DEV__) console.warn('[ScanFood] Match search failed:', error);
+          return createPlateItem(detected, [], index);
+        }
+      }));
+      setItems(plate);
+    } catch (error) {
+      Alert.alert(t('scanFood.aiError'), t('scanFood.couldNotAnalyzeFood'));
+      setPhoto(null);
+    } finally {
+      setAnalyzing(false);
+    }
+  }, [isPremium, t]);
 
   const takePicture = async () => {
     if (cameraRef.current) {
@@ -34,32 +110,57 @@ export default function ScanFoodScreen() {
         setPhoto(photoData);
         analyzeImage(photoData.base64);
       } catch (error) {
-        Alert.alert('Error', 'Could not take photo');
+        Alert.alert(t('common.errorTitle'), t('scanFood.couldNotTakePhoto'));
       }
     }
   };
 
-  const analyzeImage = async (base64Image) => {
-    setAnalyzing(true);
+  const handleRetake = () => {
+    setPhoto(null);
+    setItems([]);
+  };
+
+  const toggleItem = (id) => {
+    hapticLight();
+    setItems((prev) => prev.map((item) => (item.id === id ? { ...item, included: !item.included } : item)));
+  };
+
+  const handlePortionConfirm = useCallback((food) => {
+    setItems((prev) => prev.map((item) => (
+      item.id === editingId ? { ...item, grams: clampPortionGrams(food.grams), included: true } : item
+    )));
+    setEditingId(null);
+  }, [editingId]);
+
+  const handleLogAll = async () => {
+    const selected = items.filter((item) => item.included);
+    if (selected.length === 0 || isLogging) return;
+
+    setIsLogging(true);
     try {
-      const result = await analyzeFoodImage(base64Image);
-      setAnalysis(result);
-      // Clear base64 from memory, keep only URI for display
-      setPhoto((prev) => prev ? { uri: prev.uri } : null);
+      // Sequential so each entry sees the previous one in the meal
+      for (const item of selected) {
+        await addFood(plateItemToFood(item), mealType);
+      }
+      hapticSuccess();
+      router.back();
     } catch (error) {
-      Alert.alert('AI Error', 'Could not analyze food. Try again.');
-      setPhoto(null);
+      if (__DEV__) console.warn('[ScanFood] Failed to log plate:', error);
+      Alert.alert(t('common.errorTitle'), t('scanFood.couldNotLogItems'));
     } finally {
-      setAnalyzing(false);
+      setIsLogging(false);
     }
   };
 
-  const handleSave = () => {
-    if (analysis) {
-      addFood({ name: analysis.name, calories: analysis.calories, protein: analysis.protein, carbs: analysis.carbs, fat: analysis.fat }, getDefaultMealType());
-      router.back();
-    }
-  };
+  if (!permission) return <View />;
+  if (!permission.granted) {
+    return (
+      <View style={styles.container}>
+        <Text style={{ color: Colors.text, textAlign: 'center', marginTop: 100 }}>{t('scanFood.weNeedCameraAccess')}</Text>
+        <Pressable onPress={requestPermission} style={styles.btn}><Text>{t('scanFood.grantPermission')}</Text></Pressable>
+      </View>
+    );
+  }
 
   return (
     <View style={styles.container}>
@@ -68,6 +169,7 @@ export default function ScanFoodScreen() {
           <View style={styles.overlay}>
             <Pressable onPress={() => router.back()} style={styles.closeBtn}><X size={24} color={Colors.text} /></Pressable>
             <View style={styles.controls}>
+              <Text style={styles.hint}>{t('scanFood.fitWholePlate')}</Text>
               <Pressable onPress={takePicture} style={styles.captureBtn}><View style={styles.captureInner} /></Pressable>
             </View>
           </View>
@@ -77,26 +179,99 @@ export default function ScanFoodScreen() {
           <Image source={{ uri: photo.uri }} style={styles.previewImage} />
           <LinearGradient colors={['transparent', Colors.background]} style={styles.resultOverlay}>
             {analyzing ? (
-              <View style={styles.loadingBox}><ActivityIndicator size='large' color={Colors.primary} /><Text style={styles.loadingText}>Analyzing Food...</Text></View>
-            ) : analysis ? (
+              <View style={styles.loadingBox}><ActivityIndicator size='large' color={Colors.primary} /><Text style={styles.loadingText}>{t('scanFood.analyzingFood')}</Text></View>
+            ) : items.length > 0 ? (
               <View style={styles.resultBox}>
-                <Text style={styles.foodName}>{analysis.name}</Text>
-                <Text style={styles.portion}>{analysis.serving}</Text>
+                <Text style={styles.title}>{t('scanFood.foundItems', { count: items.length })}</Text>
+
                 <View style={styles.macroRow}>
-                  <View style={styles.macro}><Text style={styles.macroVal}>{analysis.calories}</Text><Text style={styles.macroLabel}>KCAL</Text></View>
-                  <View style={styles.macro}><Text style={[styles.macroVal, {color: Colors.success}]}>{analysis.protein}g</Text><Text style={styles.macroLabel}>PRO</Text></View>
-                  <View style={styles.macro}><Text style={[styles.macroVal, {color: Colors.protein}]}>{analysis.carbs}g</Text><Text style={styles.macroLabel}>CARB</Text></View>
-                  <View style={styles.macro}><Text style={[styles.macroVal, {color: Colors.fat}]}>{analysis.fat}g</Text><Text style={styles.macroLabel}>FAT</Text></View>
+                  <View style={styles.macro}><Text style={styles.macroVal}>{totals.calories}</Text><Text style={styles.macroLabel}>{t('scanFood.kcal')}</Text></View>
+                  <View style={styles.macro}><Text style={[styles.macroVal, { color: Colors.protein }]}>{totals.protein}g</Text><Text style={styles.macroLabel}>{t('scanFood.pro')}</Text></View>
+                  <View style={styles.macro}><Text style={[styles.macroVal, { color: Colors.carbs }]}>{totals.carbs}g</Text><Text style={styles.macroLabel}>{t('scanFood.carb')}</Text></View>
+                  <View style={styles.macro}><Text style={[styles.macroVal, { color: Colors.fat }]}>{totals.fat}g</Text><Text style={styles.macroLabel}>{t('scanFood.fat')}</Text></View>
+                </View>
+
+                <ScrollView style={styles.itemList} showsVerticalScrollIndicator={false}>
+                  {items.map((item) => {
+                    const nutrition = plateItemNutrition(item);
+                    return (
+                      <View key={item.id} style={[styles.itemRow, !item.included && styles.itemRowExcluded]}>
+                        <Pressable
+                          style={[styles.checkbox, item.included && styles.checkboxChecked]}
+                          onPress={() => toggleItem(item.id)}
+                          accessibilityRole="checkbox"
+                          accessibilityState={{ checked: item.included }}
+                          hitSlop={8}
+                        >
+                          {item.included && <Check size={14} color={Colors.background} />}
+                        </Pressable>
+                        <View style={styles.itemInfo}>
+                          <Text style={styles.itemName} numberOfLines={1}>{item.match?.name || item.detected.name}</Text>
+                          <View style={styles.itemMetaRow}>
+                            {!item.match && <Sparkles size={12} color={Colors.warning} />}
+                            <Text style={styles.itemMeta} numberOfLines={1}>
+                              {item.match
+                                ? t('scanFood.matchedFrom', { source: item.match.sourceLabel || item.match.source || '' })
+                                : t('scanFood.aiEstimate')}
+                            </Text>
+                          </View>
+                        </View>
+                        <Pressable
+                          style={styles.portionBtn}
+                          onPress={() => setEditingId(item.id)}
+                          accessibilityRole="button"
+                          accessibilityLabel={t('scanFood.adjustPortion', { name: item.detected.name })}
+                        >
+                          <Text style={styles.portionText}>{item.grams} g</Text>
+                          <Text style={styles.portionKcal}>{nutrition.calories} kcal</Text>
+                          <Pencil size={12} color={Colors.textSecondary} />
+                        </Pressable>
+                      </View>
+                    );
+                  })}
+                </ScrollView>
+
+                <View style={styles.mealRow}>
+                  {mealTypes.map((meal) => (
+                    <Pressable
+                      key={meal.id}
+                      style={[styles.mealChip, mealType === meal.id && styles.mealChipActive]}
+                      onPress={() => setMealType(meal.id)}
+                    >
+                      <Text style={[styles.mealChipText, mealType === meal.id && styles.mealChipTextActive]}>{t(meal.labelKey)}</Text>
+                    </Pressable>
+                  ))}
                 </View>
+
                 <View style={styles.actionRow}>
-                  <Pressable onPress={() => setPhoto(null)} style={styles.retakeBtn}><Text style={styles.btnText}>Retake</Text></Pressable>
-                  <Pressable onPress={handleSave} style={styles.saveBtn}><Text style={styles.saveText}>Add to Log</Text></Pressable>
+                  <Pressable onPress={handleRetake} style={styles.retakeBtn}><Text style={styles.btnText}>{t('scanFood.retake')}</Text></Pressable>
+                  <Pressable
+                    onPress={handleLogAll}
+                    style={[styles.saveBtn, (totals.count === 0 || isLogging) && styles.saveBtnDisabled]}
+                    disabled={totals.count === 0 || isLogging}
+                  >
+                    {isLogging ? (
+                      <ActivityIndicator color={Colors.background} />
+                    ) : (
+                      <Text style={styles.saveText}>{t('scanFood.logItems', { count: totals.count })}</Text>
+                    )}
+                  </Pressable>
                 </View>
               </View>
             ) : null}
           </LinearGradient>
         </View>
       )}
+
+      <PortionPicker
+        visible={!!editingItem}
+        food={editingFood}
+        mealType={mealType}
+        initialGrams={editingItem?.grams}
+        confirmLabel={t('scanFood.usePortion')}
+        onConfirm={handlePortionConfirm}
+        onClose={() => setEditingId(null)}
+      />
     </View>
   );
 }
@@ -106,24 +281,43 @@ const styles = StyleSheet.create({
   camera: { flex: 1 },
   overlay: { flex: 1, justifyContent: 'space-between', padding: Spacing.lg },
   closeBtn: { marginTop: 40, alignSelf: 'flex-start', padding: Spacing.sm, backgroundColor: Colors.overlayLight, borderRadius: BorderRadius.lg },
-  controls: { alignItems: 'center', marginBottom: Spacing.xl },
+  controls: { alignItems: 'center', marginBottom: Spacing.xl, gap: Spacing.md },
+  hint: { color: Colors.text, fontSize: FontSize.sm, textAlign: 'center' },
   captureBtn: { width: 80, height: 80, borderRadius: BorderRadius.full, borderWidth: 4, borderColor: Colors.text, justifyContent: 'center', alignItems: 'center' },
   captureInner: { width: 64, height: 64, borderRadius: BorderRadius.full, backgroundColor: Colors.text },
+  btn: { marginTop: Spacing.lg, alignSelf: 'center', padding: Spacing.md, borderRadius: BorderRadius.sm, backgroundColor: Colors.primary },
   previewContainer: { flex: 1 },
   previewImage: { flex: 1 },
   resultOverlay: { position: 'absolute', bottom: 0, left: 0, right: 0, padding: Spacing.lg, paddingTop: 100 },
   loadingBox: { alignItems: 'center', paddingBottom: 40 },
   loadingText: { color: Colors.text, marginTop: Spacing.md, fontSize: FontSize.lg, fontWeight: FontWeight.semibold },
   resultBox: { backgroundColor: Colors.surfaceGlassDark, padding: Spacing.lg, borderRadius: BorderRadius.xl, borderWidth: 1, borderColor: Colors.inputBorder },
-  foodName: { color: Colors.text, fontSize: FontSize.xl, fontWeight: FontWeight.bold, textAlign: 'center' },
-  portion: { color: Colors.textTertiary, textAlign: 'center', marginBottom: Spacing.lg },
-  macroRow: { flexDirection: 'row', justifyContent: 'space-between', marginBottom: Spacing.lg },
+  title: { color: Colors.text, fontSize: FontSize.xl, fontWeight: FontWeight.bold, textAlign: 'center', marginBottom: Spacing.md },
+  macroRow: { flexDirection: 'row', justifyContent: 'space-between', marginBottom: Spacing.md },
   macro: { alignItems: 'center' },
   macroVal: { color: Colors.text, fontSize: FontSize.xl, fontWeight: FontWeight.bold },
   macroLabel: { color: Colors.textTertiary, fontSize: FontSize.xs, fontWeight: FontWeight.semibold, marginTop: Spacing.xs },
+  itemList: { maxHeight: 240, marginBottom: Spacing.md },
+  itemRow: { flexDirection: 'row', alignItems: 'center', gap: Spacing.sm, paddingVertical: Spacing.sm, borderBottomWidth: 1, borderBottomColor: Colors.border },
+  itemRowExcluded: { opacity: 0.45 },
+  checkbox: { width: 22, height: 22, borderRadius: BorderRadius.sm, borderWidth: 1.5, borderColor: Colors.textSecondary, justifyContent: 'center', alignItems: 'center' },
+  checkboxChecked: { backgroundColor: Colors.primary, borderColor: Colors.primary },
+  itemInfo: { flex: 1 },
+  itemName: { color: Colors.text, fontSize: FontSize.md, fontWeight: FontWeight.semibold },
+  itemMetaRow: { flexDirection: 'row', alignItems: 'center', gap: 4, marginTop: 2 },
+  itemMeta: { color: Colors.textTertiary, fontSize: FontSize.xs },
+  portionBtn: { flexDirection: 'row', alignItems: 'center', gap: 6, paddingVertical: Spacing.xs, paddingHorizontal: Spacing.sm, borderRadius: BorderRadius.sm, backgroundColor: Colors.surfaceBright },
+  portionText: { color: Colors.text, fontSize: FontSize.sm, fontWeight: FontWeight.semibold },
+  portionKcal: { color: Colors.textSecondary, fontSize: FontSize.xs },
+  mealRow: { flexDirection: 'row', gap: Spacing.xs, marginBottom: Spacing.md },
+  mealChip: { flex: 1, paddingVertical: Spacing.xs, borderRadius: BorderRadius.full, backgroundColor: Colors.surfaceBright, alignItems: 'center' },
+  mealChipActive: { backgroundColor: Colors.primary },
+  mealChipText: { color: Colors.textSecondary, fontSize: FontSize.xs, fontWeight: FontWeight.semibold },
+  mealChipTextActive: { color: Colors.background },
   actionRow: { flexDirection: 'row', gap: Spacing.sm },
   retakeBtn: { flex: 1, padding: Spacing.md, borderRadius: BorderRadius.sm, backgroundColor: Colors.surfaceBright, alignItems: 'center' },
-  saveBtn: { flex: 1, padding: Spacing.md, borderRadius: BorderRadius.sm, backgroundColor: Colors.primary, alignItems: 'center' },
+  saveBtn: { flex: 2, padding: Spacing.md, borderRadius: BorderRadius.sm, backgroundColor: Colors.primary, alignItems: 'center' },
+  saveBtnDisabled: { opacity: 0.5 },
   btnText: { color: Colors.text, fontWeight: FontWeight.semibold },
   saveText: { color: Colors.background, fontWeight: FontWeight.bold },
 });
@@ -24,6 +24,7 @@ import {
   RotateCcw,
   Zap,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import {
   Colors,
   Gradients,
@@ -35,7 +36,7 @@ import {
 } from '../constants/theme';
 import { analyzeFoodImage } from '../services/ai';
 import ScreenErrorBoundary from '../components/ScreenErrorBoundary';
-import PremiumGate from '../components/PremiumGate';
+import PremiumGate, { useAIQuotaUpsell } from '../components/PremiumGate';
 import { useFood } from '../context/FoodContext';
 import { useFasting } from '../context/FastingContext';
 import { useOffline } from '../context/OfflineContext';
@@ -44,6 +45,8 @@ const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get('window');
 const FRAME_SIZE = SCREEN_WIDTH * 0.75;
 
 function ScanScreenInner() {
+  const { t } = useTranslation();
+  const showQuotaUpsell = useAIQuotaUpsell();
   const router = useRouter();
   const params = useLocalSearchParams();
   const cameraRef = useRef(null);
@@ -69,7 +72,7 @@ function ScanScreenInner() {
   const handleCapture = async () => {
     if (!cameraRef.current || isAnalyzing) return;
     if (!isOnline) {
-      Alert.alert('No Connection', 'Food scanning requires an internet connection.');
+      Alert.alert(t('scan.noConnection'), t('scan.foodScanningRequiresAn'));
       return;
     }
 
@@ -94,11 +97,13 @@ function ScanScreenInner() {
       await hapticSuccess();
     } catch (error) {
       if (__DEV__) console.error('Scan error:', error);
-      Alert.alert(
-        'Analysis Failed',
-        error.message || 'Could not analyze the image. Please try again.',
-        [{ text: 'OK' }]
-      );
+      if (!showQuotaUpsell(error)) {
+        Alert.alert(
+          t('scan.analysisFailed'),
+          error.message || t('scan.couldNotAnalyzeThe'),
+          [{ text: t('common.ok') }]
+        );
+      }
       await hapticError();
     } finally {
       setIsAnalyzing(false);
@@ -118,7 +123,7 @@ function ScanScreenInner() {
         protein: parseInt(editedFood.protein, 10) || 0,
         carbs: parseInt(editedFood.carbs, 10) || 0,
         fat: parseInt(editedFood.fat, 10) || 0,
-        serving: editedFood.serving || '1 serving',
+        serving: editedFood.serving || t('scan.n1Serving'),
         servingSize: 1,
         servingUnit: 'serving',
         source: 'ai_scan',
@@ -131,7 +136,7 @@ function ScanScreenInner() {
       router.back();
     } catch (error) {
       if (__DEV__) console.error('Error adding food:', error);
-      Alert.alert('Error', 'Failed to log food. Please try again.');
+      Alert.alert(t('common.errorTitle'), t('scan.failedToLogFood'));
     }
   };
 
@@ -163,15 +168,15 @@ function ScanScreenInner() {
       <View style={styles.permissionContainer}>
         <LinearGradient colors={Gradients.background} style={StyleSheet.absoluteFill} />
         <Camera size={64} color={Colors.textSecondary} />
-        <Text style={styles.permissionTitle}>Camera Access Required</Text>
+        <Text style={styles.permissionTitle}>{t('scan.cameraAccessRequired')}</Text>
         <Text style={styles.permissionText}>
-          Allow camera access to scan food and get instant nutritional information.
+          {t('scan.allowCameraAccessTo')}
         </Text>
         <Pressable style={styles.permissionButton} onPress={requestPermission}>
-          <Text style={styles.permissionButtonText}>Enable Camera</Text>
+          <Text style={styles.permissionButtonText}>{t('scan.enableCamera')}</Text>
         </Pressable>
         <Pressable style={styles.backButton} onPress={handleClose}>
-          <Text style={styles.backButtonText}>Go Back</Text>
+          <Text style={styles.backButtonText}>{t('scan.goBack')}</Text>
         </Pressable>
       </View>
     );
@@ -195,7 +200,7 @@ function ScanScreenInner() {
           </Pressable>
           <View style={styles.titleContainer}>
             <Sparkles size={20} color={Colors.primary} />
-            <Text style={styles.title}>Food Lens</Text>
+            <Text style={styles.title}>{t('scan.foodLens')}</Text>
           </View>
           <View style={styles.placeholder} />
         </View>
@@ -213,18 +218,18 @@ function ScanScreenInner() {
             {isAnalyzing && (
               <BlurView intensity={50} tint="dark" style={styles.analyzingOverlay}>
                 <ActivityIndicator size="large" color={Colors.primary} />
-                <Text style={styles.analyzingText}>Analyzing...</Text>
+                <Text style={styles.analyzingText}>{t('scan.analyzing')}</Text>
               </BlurView>
             )}
           </View>
-          <Text style={styles.frameHint}>Align food in the frame</Text>
+          <Text style={styles.frameHint}>{t('scan.alignFoodInThe')}</Text>
         </View>
 
         {/* Bottom Section */}
         <View style={styles.bottomSection}>
           <View style={styles.mealBadge}>
             <Text style={styles.mealBadgeText}>
-              Logging to {selectedMeal.charAt(0).toUpperCase() + selectedMeal.slice(1)}
+              {t('scan.loggingTo', { meal: t(selectedMeal === 'snack' ? 'add.snack' : `diary.${selectedMeal}`) })}
             </Text>
           </View>
 
@@ -245,7 +250,7 @@ function ScanScreenInner() {
             </LinearGradient>
           </Pressable>
 
-          <Text style={styles.poweredBy}>Powered by Google Gemini</Text>
+          <Text style={styles.poweredBy}>{t('scan.poweredByGoogleGemini')}</Text>
         </View>
       </View>
 
@@ -277,7 +282,7 @@ function ScanScreenInner() {
                 style={styles.nameInput}
                 value={editedFood?.name || ''}
                 onChangeText={(text) => updateEditedField('name', text)}
-                placeholder="Food name"
+                placeholder={t('scan.foodName')}
                 placeholderTextColor={Colors.textTertiary}
                 autoFocus
               />
@@ -292,7 +297,7 @@ function ScanScreenInner() {
             <View style={styles.macrosContainer}>
               {/* Calories */}
               <View style={styles.macroItem}>
-                <Text style={styles.macroLabel}>Calories</Text>
+                <Text style={styles.macroLabel}>{t('food.calories')}</Text>
                 {isEditing ? (
                   <TextInput
                     style={styles.macroInput}
@@ -304,12 +309,12 @@ function ScanScreenInner() {
                 ) : (
                   <Text style={styles.macroValue}>{editedFood?.calories}</Text>
                 )}
-                <Text style={styles.macroUnit}>kcal</Text>
+                <Text style={styles.macroUnit}>{t('units.kcal')}</Text>
               </View>
 
               {/* Protein */}
               <View style={styles.macroItem}>
-                <Text style={[styles.macroLabel, { color: Colors.protein }]}>Protein</Text>
+                <Text style={[styles.macroLabel, { color: Colors.protein }]}>{t('food.protein')}</Text>
                 {isEditing ? (
                   <TextInput
                     style={styles.macroInput}
@@ -326,7 +331,7 @@ function ScanScreenInner() {
 
               {/* Carbs */}
               <View style={styles.macroItem}>
-                <Text style={[styles.macroLabel, { color: Colors.carbs }]}>Carbs</Text>
+                <Text style={[styles.macroLabel, { color: Colors.carbs }]}>{t('food.carbs')}</Text>
                 {isEditing ? (
                   <TextInput
                     style={styles.macroInput}
@@ -343,7 +348,7 @@ function ScanScreenInner() {
 
               {/* Fat */}
               <View style={styles.macroItem}>
-                <Text style={[styles.macroLabel, { color: Colors.fat }]}>Fat</Text>
+                <Text style={[styles.macroLabel, { color: Colors.fat }]}>{t('food.fat')}</Text>
                 {isEditing ? (
                   <TextInput
                     style={styles.macroInput}
@@ -367,13 +372,13 @@ function ScanScreenInner() {
               >
                 <Edit3 size={18} color={Colors.primary} />
                 <Text style={styles.editButtonText}>
-                  {isEditing ? 'Done' : 'Edit'}
+                  {isEditing ? t('common.done') : t('common.edit')}
                 </Text>
               </Pressable>
 
               <Pressable style={styles.retryButton} onPress={handleRetry}>
                 <RotateCcw size={18} color={Colors.textSecondary} />
-                <Text style={styles.retryButtonText}>Retry</Text>
+                <Text style={styles.retryButtonText}>{t('common.retry')}</Text>
               </Pressable>
             </View>
 
@@ -386,7 +391,7 @@ function ScanScreenInner() {
                 style={styles.confirmButtonGradient}
               >
                 <Check size={20} color="#fff" />
-                <Text style={styles.confirmButtonText}>Log Food</Text>
+                <Text style={styles.confirmButtonText}>{t('scan.logFood')}</Text>
               </LinearGradient>
             </Pressable>
           </View>
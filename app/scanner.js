@@ -12,6 +12,7 @@ import {
 import { CameraView, useCameraPermissions } from 'expo-camera';
 import { useRouter, useLocalSearchParams } from 'expo-router';
 import { X, Camera, FlashlightOff, Flashlight, Search } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { hapticImpact, hapticSuccess, hapticWarning, hapticError } from '../lib/haptics';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 import { useFood } from '../context/FoodContext';
@@ -23,6 +24,7 @@ const { width: SCREEN_WIDTH } = Dimensions.get('window');
 const SCAN_AREA_SIZE = SCREEN_WIDTH * 0.75;
 
 export default function ScannerScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const params = useLocalSearchParams();
   const { addFood, getDefaultMealType } = useFood();
@@ -96,15 +98,15 @@ export default function ScannerScreen() {
         await hapticWarning();
 
         Alert.alert(
-          'Product Not Found',
-          'This barcode is not in our database. Would you like to search manually?',
+          t('scanner.productNotFound'),
+          t('scanner.thisBarcodeIsNot'),
           [
             {
-              text: 'Scan Again',
+              text: t('scanner.scanAgain'),
               onPress: resetScanner,
             },
             {
-              text: 'Search Manually',
+              text: t('scanner.searchManually'),
               onPress: () => {
                 router.replace({
                   pathname: '/(tabs)/add',
@@ -121,17 +123,17 @@ export default function ScannerScreen() {
       await hapticError();
 
       Alert.alert(
-        'Lookup Failed',
-        'Could not look up product. Check your connection and try again.',
+        t('scanner.lookupFailed'),
+        t('scanner.couldNotLookUp'),
         [
-          { text: 'Try Again', onPress: resetScanner },
-          { text: 'Cancel', onPress: () => router.back() },
+          { text: t('scanner.tryAgain'), onPress: resetScanner },
+          { text: t('common.cancel'), onPress: () => router.back() },
         ]
       );
     } finally {
       setIsLoading(false);
     }
-  }, [scanned, isLoading, router, selectedMeal]);
+  }, [scanned, isLoading, router, selectedMeal, t]);
 
   const resetScanner = () => {
     setScanned(false);
@@ -167,7 +169,7 @@ export default function ScannerScreen() {
       <View style={styles.container}>
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color={Colors.primary} />
-          <Text style={styles.loadingText}>Checking camera permissions...</Text>
+          <Text style={styles.loadingText}>{t('barcode.checkingCameraPermissions')}</Text>
         </View>
       </View>
     );
@@ -181,15 +183,15 @@ export default function ScannerScreen() {
           <View style={styles.permissionIcon}>
             <Camera size={48} color={Colors.textSecondary} />
           </View>
-          <Text style={styles.permissionTitle}>Camera Access Required</Text>
+          <Text style={styles.permissionTitle}>{t('scanner.cameraAccessRequired')}</Text>
           <Text style={styles.permissionText}>
-            FuelIQ needs camera access to scan barcodes on food products for instant nutrition lookup.
+            {t('scanner.fueliqNeedsCameraAccess')}
           </Text>
           <Pressable style={styles.permissionButton} onPress={requestPermission}>
-            <Text style={styles.permissionButtonText}>Grant Permission</Text>
+            <Text style={styles.permissionButtonText}>{t('scanner.grantPermission')}</Text>
           </Pressable>
           <Pressable style={styles.cancelButton} onPress={handleClose}>
-            <Text style={styles.cancelButtonText}>Cancel</Text>
+            <Text style={styles.cancelButtonText}>{t('common.cancel')}</Text>
           </Pressable>
         </View>
       </View>
@@ -255,13 +257,13 @@ export default function ScannerScreen() {
         <View style={styles.overlayBottom}>
           <Text style={styles.instructionText}>
             {isLoading
-              ? 'Looking up nutrition info...'
+              ? t('scanner.lookingUpNutritionInfo')
               : scanned
-              ? 'Processing...'
-              : 'Point at barcode for instant lookup'}
+              ? t('scanner.processing')
+              : t('scanner.pointAtBarcodeFor')}
           </Text>
           <Text style={styles.hintText}>
-            Works with most packaged foods
+            {t('scanner.worksWithMostPackaged')}
           </Text>
         </View>
       </View>
@@ -272,8 +274,8 @@ export default function ScannerScreen() {
           <X size={24} color={Colors.text} />
         </Pressable>
         <View style={styles.headerCenter}>
-          <Text style={styles.headerTitle}>Scan Barcode</Text>
-          <Text style={styles.headerSubtitle}>Instant nutrition lookup</Text>
+          <Text style={styles.headerTitle}>{t('scanner.scanBarcode')}</Text>
+          <Text style={styles.headerSubtitle}>{t('scanner.instantNutritionLookup')}</Text>
         </View>
         <Pressable style={styles.torchButton} onPress={() => setTorch(!torch)}>
           {torch ? (
@@ -289,7 +291,7 @@ export default function ScannerScreen() {
         <View style={styles.loadingOverlay}>
           <View style={styles.loadingCard}>
             <ActivityIndicator size="large" color={Colors.primary} />
-            <Text style={styles.loadingCardText}>Fetching nutrition data...</Text>
+            <Text style={styles.loadingCardText}>{t('barcode.fetchingNutritionData')}</Text>
           </View>
         </View>
       )}
@@ -298,12 +300,12 @@ export default function ScannerScreen() {
       <View style={styles.bottomActions}>
         {scanned && !isLoading && !foodDetailVisible && (
           <Pressable style={styles.retryButton} onPress={resetScanner}>
-            <Text style={styles.retryButtonText}>Scan Again</Text>
+            <Text style={styles.retryButtonText}>{t('scanner.scanAgain')}</Text>
           </Pressable>
         )}
         <Pressable style={styles.searchButton} onPress={() => router.replace('/(tabs)/add')}>
           <Search size={20} color={Colors.primary} />
-          <Text style={styles.searchButtonText}>Search Instead</Text>
+          <Text style={styles.searchButtonText}>{t('scanner.searchInstead')}</Text>
         </Pressable>
       </View>
 
@@ -2,7 +2,8 @@ import React, { useState, useEffect } from 'react';
 import ScreenErrorBoundary from '../components/ScreenErrorBoundary';
 import { View, Text, StyleSheet, ScrollView, TextInput, Pressable, Alert, ActivityIndicator, Switch } from 'react-native';
 import { useRouter } from 'expo-router';
-import { ChevronLeft, Save, AlertCircle, Dumbbell, Utensils, Bell, Droplets, Timer, Flame, Download, FileText, Heart, Sun, Moon, Monitor, RotateCcw, Upload } from 'lucide-react-native';
+import { ChevronLeft, Save, AlertCircle, Dumbbell, Utensils, Bell, Inbox, Download, FileText, Heart, Sun, Moon, Monitor, RotateCcw, Upload, CloudOff, Archive, Home } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { useHealthKit } from '../hooks/useHealthKit';
 import { getHealthPlatformName } from '../services/healthService';
 import { useAuth } from '../context/AuthContext';
@@ -12,13 +13,17 @@ import { useMeals } from '../context/MealContext';
 import { useProfile } from '../context/ProfileContext';
 import { useGamification } from '../context/GamificationContext';
 import { useTheme } from '../context/ThemeContext';
+import { useOffline } from '../context/OfflineContext';
 import { exportFoodDiaryCSV, exportWeeklySummaryPDF } from '../services/exportData';
 import ScreenWrapper from '../components/ScreenWrapper';
+import NotificationPreferences from '../components/NotificationPreferences';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 import { sanitizeText } from '../lib/validation';
 import useTour from '../hooks/useTour';
+import { formatNumber, formatTime } from '../lib/formatters';
 
 function SettingsScreenInner() {
+  const { t } = useTranslation();
   const router = useRouter();
   const { user, signOut } = useAuth();
   const {
@@ -30,6 +35,7 @@ function SettingsScreenInner() {
   const { dayData, weeklyData, weeklyStats, goals } = useMeals();
   const { profile } = useProfile();
   const { currentStreak } = useGamification();
+  const { queueLength: pendingSyncCount, reviewItems: syncReviewItems } = useOffline();
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
   const [exportingCSV, setExportingCSV] = useState(false);
@@ -83,9 +89,9 @@ function SettingsScreenInner() {
 
     setSaving(false);
     if (!error) {
-      Alert.alert('Success', 'AI Context Updated!');
+      Alert.alert(t('common.success'), t('settings.aiContextSaved'));
     } else {
-      Alert.alert('Error', 'Failed to save settings.');
+      Alert.alert(t('common.errorTitle'), t('settings.saveFailed'));
     }
   };
 
@@ -97,7 +103,7 @@ function SettingsScreenInner() {
       start.setDate(start.getDate() - 30);
       await exportFoodDiaryCSV(dayData, { start, end });
     } catch (error) {
-      Alert.alert('Export Failed', 'Could not export your food diary. Please try again.');
+      Alert.alert(t('settings.exportFailed'), t('settings.exportDiaryFailed'));
     } finally {
       setExportingCSV(false);
     }
@@ -116,7 +122,7 @@ function SettingsScreenInner() {
         profile
       );
     } catch (error) {
-      Alert.alert('Export Failed', 'Could not generate your weekly report. Please try again.');
+      Alert.alert(t('settings.exportFailed'), t('settings.exportReportFailed'));
     } finally {
       setExportingPDF(false);
     }
@@ -128,7 +134,7 @@ function SettingsScreenInner() {
         <Pressable onPress={() => router.back()} style={styles.backBtn}>
           <ChevronLeft color={Colors.text} size={FontSize.xl} />
         </Pressable>
-        <Text style={styles.title}>AI Context</Text>
+        <Text style={styles.title}>{t('settings.aiContext')}</Text>
         <Pressable onPress={handleSave} disabled={saving}>
           {saving ? <ActivityIndicator color={Colors.primary} /> : <Save color={Colors.primary} size={FontSize.xl} />}
         </Pressable>
@@ -136,16 +142,16 @@ function SettingsScreenInner() {
 
       <ScrollView style={styles.content}>
         {/* Appearance — placed first so users can switch theme immediately */}
-        <Text style={styles.sectionHeader}>Appearance</Text>
+        <Text style={styles.sectionHeader}>{t('settings.appearance')}</Text>
         <Text style={styles.description}>
-          Choose your preferred appearance.
+          {t('settings.appearanceHint')}
         </Text>
 
         <View style={styles.themeSelector}>
           {[
-            { key: 'system', label: 'System', Icon: Monitor },
-            { key: 'dark', label: 'Dark', Icon: Moon },
-            { key: 'light', label: 'Light', Icon: Sun },
+            { key: 'system', label: t('settings.systemMode'), Icon: Monitor },
+            { key: 'dark', label: t('settings.themeDark'), Icon: Moon },
+            { key: 'light', label: t('settings.themeLight'), Icon: Sun },
           ].map(({ key, label, Icon }) => {
             const isActive = themePreference === key;
             return (
@@ -174,19 +180,19 @@ function SettingsScreenInner() {
           })}
         </View>
 
-        <Text style={[styles.sectionHeader, { marginTop: Spacing.md }]}>Train the AI</Text>
+        <Text style={[styles.sectionHeader, { marginTop: Spacing.md }]}>{t('settings.trainAI')}</Text>
         <Text style={styles.description}>
-          The AI Trainer will use this information to customize your workouts and meal plans.
+          {t('settings.trainAIHint')}
         </Text>
 
         <View style={styles.inputGroup}>
           <View style={styles.labelRow}>
             <AlertCircle size={FontSize.md} color={Colors.error} />
-            <Text style={styles.label}>Injuries & Limitations</Text>
+            <Text style={styles.label}>{t('settings.injuries')}</Text>
           </View>
           <TextInput
             style={styles.input}
-            placeholder="e.g. Bad knees, Lower back pain..."
+            placeholder={t('settings.injuriesPlaceholder')}
             placeholderTextColor={Colors.textTertiary}
             value={injuries}
             onChangeText={setInjuries}
@@ -198,11 +204,11 @@ function SettingsScreenInner() {
         <View style={styles.inputGroup}>
           <View style={styles.labelRow}>
             <Dumbbell size={FontSize.md} color={Colors.primary} />
-            <Text style={styles.label}>Available Equipment</Text>
+            <Text style={styles.label}>{t('settings.equipment')}</Text>
           </View>
           <TextInput
             style={styles.input}
-            placeholder="e.g. Dumbbells only, Full Gym, Bands..."
+            placeholder={t('settings.equipmentPlaceholder')}
             placeholderTextColor={Colors.textTertiary}
             value={equipment}
             onChangeText={setEquipment}
@@ -214,11 +220,11 @@ function SettingsScreenInner() {
         <View style={styles.inputGroup}>
           <View style={styles.labelRow}>
             <Utensils size={FontSize.md} color={Colors.success} />
-            <Text style={styles.label}>Dietary Restrictions</Text>
+            <Text style={styles.label}>{t('settings.dietaryRestrictions')}</Text>
           </View>
           <TextInput
             style={styles.input}
-            placeholder="e.g. Vegan, Keto, No Dairy..."
+            placeholder={t('settings.dietaryPlaceholder')}
             placeholderTextColor={Colors.textTertiary}
             value={diet}
             onChangeText={setDiet}
@@ -228,11 +234,11 @@ function SettingsScreenInner() {
         </View>
 
         {/* Notification Settings */}
-        <Text style={[styles.sectionHeader, { marginTop: Spacing.md }]}>Notifications</Text>
+        <Text style={[styles.sectionHeader, { marginTop: Spacing.md }]}>{t('settings.notifications')}</Text>
         <Text style={styles.description}>
           {hasPermission
-            ? 'Choose which reminders help you stay on track.'
-            : 'Enable notifications in your device settings to get reminders.'}
+            ? t('settings.notificationsHint')
+            : t('settings.notificationsDisabledHint')}
         </Text>
 
         {!hasPermission && (
@@ -242,99 +248,44 @@ function SettingsScreenInner() {
               const granted = await requestNotificationAccess();
               if (!granted) {
                 Alert.alert(
-                  'Notifications Off',
-                  'Enable notifications in system settings whenever you want reminders.'
+                  t('settings.notificationsOff'),
+                  t('settings.notificationsOffMessage')
                 );
               }
             }}
           >
             <Bell size={FontSize.md} color={Colors.background} />
-            <Text style={styles.connectButtonText}>Enable Notifications</Text>
+            <Text style={styles.connectButtonText}>{t('settings.enableNotifications')}</Text>
           </Pressable>
         )}
 
-        <View style={styles.toggleGroup}>
-          <View style={styles.toggleRow}>
-            <View style={styles.toggleLeft}>
-              <View style={[styles.toggleIcon, { backgroundColor: Colors.secondarySoft }]}>
-                <Flame size={FontSize.md} color={Colors.secondary} />
-              </View>
-              <View>
-                <Text style={styles.toggleLabel}>Meal Reminders</Text>
-                <Text style={styles.toggleHint}>Breakfast, lunch & dinner</Text>
-              </View>
-            </View>
-            <Switch
-              value={notifSettings.mealReminders}
-              onValueChange={(v) => updateNotifSettings({ mealReminders: v })}
-              trackColor={{ false: Colors.inputBorder, true: Colors.primaryGlow }}
-              thumbColor={notifSettings.mealReminders ? Colors.primary : Colors.textTertiary}
-              disabled={!hasPermission}
-            />
-          </View>
+        <NotificationPreferences
+          settings={notifSettings}
+          onChange={updateNotifSettings}
+          disabled={!hasPermission}
+        />
 
-          <View style={styles.toggleRow}>
+        <View style={styles.toggleGroup}>
+          <Pressable
+            style={styles.toggleRow}
+            onPress={() => router.push('/notification-inbox')}
+          >
             <View style={styles.toggleLeft}>
               <View style={[styles.toggleIcon, { backgroundColor: Colors.primarySoft }]}>
-                <Droplets size={FontSize.md} color={Colors.carbs} />
-              </View>
-              <View>
-                <Text style={styles.toggleLabel}>Water Reminders</Text>
-                <Text style={styles.toggleHint}>Every 2 hours, 8am-10pm</Text>
-              </View>
-            </View>
-            <Switch
-              value={notifSettings.waterReminders}
-              onValueChange={(v) => updateNotifSettings({ waterReminders: v })}
-              trackColor={{ false: Colors.inputBorder, true: Colors.primaryGlow }}
-              thumbColor={notifSettings.waterReminders ? Colors.primary : Colors.textTertiary}
-              disabled={!hasPermission}
-            />
-          </View>
-
-          <View style={styles.toggleRow}>
-            <View style={styles.toggleLeft}>
-              <View style={[styles.toggleIcon, { backgroundColor: Colors.successSoft }]}>
-                <Timer size={FontSize.md} color={Colors.success} />
-              </View>
-              <View>
-                <Text style={styles.toggleLabel}>Fasting Alerts</Text>
-                <Text style={styles.toggleHint}>Know when your fast is done</Text>
-              </View>
-            </View>
-            <Switch
-              value={notifSettings.fastingAlerts}
-              onValueChange={(v) => updateNotifSettings({ fastingAlerts: v })}
-              trackColor={{ false: Colors.inputBorder, true: Colors.primaryGlow }}
-              thumbColor={notifSettings.fastingAlerts ? Colors.primary : Colors.textTertiary}
-              disabled={!hasPermission}
-            />
-          </View>
-
-          <View style={styles.toggleRow}>
-            <View style={styles.toggleLeft}>
-              <View style={[styles.toggleIcon, { backgroundColor: Colors.goldSoft }]}>
-                <Bell size={FontSize.md} color={Colors.gold} />
+                <Inbox size={FontSize.md} color={Colors.primary} />
               </View>
               <View>
-                <Text style={styles.toggleLabel}>Streak Warnings</Text>
-                <Text style={styles.toggleHint}>Alert at 9pm if you haven't logged</Text>
+                <Text style={styles.toggleLabel}>{t('settings.notificationInbox')}</Text>
+                <Text style={styles.toggleHint}>{t('settings.notificationInboxHint')}</Text>
               </View>
             </View>
-            <Switch
-              value={notifSettings.streakWarnings}
-              onValueChange={(v) => updateNotifSettings({ streakWarnings: v })}
-              trackColor={{ false: Colors.inputBorder, true: Colors.primaryGlow }}
-              thumbColor={notifSettings.streakWarnings ? Colors.primary : Colors.textTertiary}
-              disabled={!hasPermission}
-            />
-          </View>
+          </Pressable>
         </View>
 
         {/* Health Integration */}
-        <Text style={[styles.sectionHeader, { marginTop: Spacing.md }]}>Health Integration</Text>
+        <Text style={[styles.sectionHeader, { marginTop: Spacing.md }]}>{t('settings.healthIntegration')}</Text>
         <Text style={styles.description}>
-          Connect {getHealthPlatformName()} to sync steps, weight, and activity data.
+          {t('settings.healthIntegrationHint', { platform: getHealthPlatformName() })}
         </Text>
 
         <View style={styles.toggleGroup}>
@@ -347,8 +298,8 @@ function SettingsScreenInner() {
                 <Text style={styles.toggleLabel}>{getHealthPlatformName()}</Text>
                 <Text style={styles.toggleHint}>
                   {healthConnected
-                    ? `${healthSteps.toLocaleString()} steps${healthLastSynced ? ' \u2022 Synced ' + new Date(healthLastSynced).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : ''}`
-                    : 'Tap to connect'}
+                    ? `${t('settings.healthSyncedSteps', { steps: formatNumber(healthSteps) })}${healthLastSynced ? ' \u2022 ' + t('settings.healthSyncedAt', { time: formatTime(healthLastSynced, { hour: '2-digit', minute: '2-digit' }) }) : ''}`
+                    : t('settings.tapToConnect')}
                 </Text>
               </View>
             </View>
@@ -359,11 +310,11 @@ function SettingsScreenInner() {
                   healthConnect();
                 } else {
                   Alert.alert(
-                    'Disconnect Health',
-                    `Are you sure you want to disconnect ${getHealthPlatformName()}? Your synced data will be cleared.`,
+                    t('settings.disconnectHealth'),
+                    t('settings.disconnectHealthMessage', { platform: getHealthPlatformName() }),
                     [
-                      { text: 'Cancel', style: 'cancel' },
-                      { text: 'Disconnect', style: 'destructive', onPress: () => healthDisconnect() },
+                      { text: t('common.cancel'), style: 'cancel' },
+                      { text: t('settings.disconnect'), style: 'destructive', onPress: () => healthDisconnect() },
                     ]
                   );
                 }
@@ -375,23 +326,59 @@ function SettingsScreenInner() {
         </View>
 
         {/* Import & Export Data */}
-        <Text style={[styles.sectionHeader, { marginTop: Spacing.md }]}>Import & Export Data</Text>
+        <Text style={[styles.sectionHeader, { marginTop: Spacing.md }]}>{t('settings.importExport')}</Text>
         <Text style={styles.description}>
-          Bring over your diary history or download your data for personal records and coaching.
+          {t('settings.importExportHint')}
         </Text>
 
         <View style={styles.toggleGroup}>
           <Pressable
             style={styles.toggleRow}
-            onPress={() => router.push('/import-myfitnesspal')}
+            onPress={() => router.push('/import-diary')}
           >
             <View style={styles.toggleLeft}>
               <View style={[styles.toggleIcon, { backgroundColor: Colors.warningSoft }]}>
                 <Upload size={FontSize.md} color={Colors.warning} />
               </View>
               <View>
-                <Text style={styles.toggleLabel}>Import MyFitnessPal CSV</Text>
-                <Text style={styles.toggleHint}>Paste a diary export and bring your meals over</Text>
+                <Text style={styles.toggleLabel}>{t('settings.importDiary')}</Text>
+                <Text style={styles.toggleHint}>{t('settings.importDiaryHint')}</Text>
+              </View>
+            </View>
+          </Pressable>
+
+          <Pressable
+            style={styles.toggleRow}
+            onPress={() => router.push('/backup-restore')}
+          >
+            <View style={styles.toggleLeft}>
+              <View style={[styles.toggleIcon, { backgroundColor: Colors.successSoft }]}>
+                <Archive size={FontSize.md} color={Colors.success} />
+              </View>
+              <View>
+                <Text style={styles.toggleLabel}>{t('settings.backupRestore')}</Text>
+                <Text style={styles.toggleHint}>{t('settings.backupRestoreHint')}</Text>
+              </View>
+            </View>
+          </Pressable>
+
+          <Pressable
+            style={styles.toggleRow}
+            onPress={() => router.push('/sync-review')}
+          >
+            <View style={styles.toggleLeft}>
+              <View style={[styles.toggleIcon, { backgroundColor: syncReviewItems.length > 0 ? Colors.errorSoft : Colors.surfaceGlass }]}>
+                <CloudOff size={FontSize.md} color={syncReviewItems.length > 0 ? Colors.error : Colors.textSecondary} />
+              </View>
+              <View>
+                <Text style={styles.toggleLabel}>{t('settings.offlineChanges')}</Text>
+                <Text style={styles.toggleHint}>
+                  {syncReviewItems.length > 0
+                    ? t('settings.offlineChangesNeedReview', { count: syncReviewItems.length })
+                    : pendingSyncCount > 0
+                      ? t('settings.offlineChangesPending', { count: pendingSyncCount })
+                      : t('settings.offlineChangesSynced')}
+                </Text>
               </View>
             </View>
           </Pressable>
@@ -406,8 +393,8 @@ function SettingsScreenInner() {
                 <Download size={FontSize.md} color={Colors.primary} />
               </View>
               <View>
-                <Text style={styles.toggleLabel}>Export Food Diary (CSV)</Text>
-                <Text style={styles.toggleHint}>Last 30 days of meals</Text>
+                <Text style={styles.toggleLabel}>{t('settings.exportDiary')}</Text>
+                <Text style={styles.toggleHint}>{t('settings.exportDiaryHint')}</Text>
               </View>
             </View>
             {exportingCSV && <ActivityIndicator size="small" color={Colors.primary} />}
@@ -423,18 +410,41 @@ function SettingsScreenInner() {
                 <FileText size={FontSize.md} color={Colors.success} />
               </View>
               <View>
-                <Text style={styles.toggleLabel}>Export Weekly Report (PDF)</Text>
-                <Text style={styles.toggleHint}>Stats, charts & macro breakdown</Text>
+                <Text style={styles.toggleLabel}>{t('settings.exportReport')}</Text>
+                <Text style={styles.toggleHint}>{t('settings.exportReportHint')}</Text>
               </View>
             </View>
             {exportingPDF && <ActivityIndicator size="small" color={Colors.success} />}
           </Pressable>
         </View>
 
+        {/* Household */}
+        <Text style={[styles.sectionHeader, { marginTop: Spacing.md }]}>{t('settings.household')}</Text>
+        <Text style={styles.description}>
+          {t('settings.householdHint')}
+        </Text>
+
+        <View style={styles.toggleGroup}>
+          <Pressable
+            style={styles.toggleRow}
+            onPress={() => router.push('/household')}
+          >
+            <View style={styles.toggleLeft}>
+              <View style={[styles.toggleIcon, { backgroundColor: Colors.primarySoft }]}>
+                <Home size={FontSize.md} color={Colors.primary} />
+              </View>
+              <View>
+                <Text style={styles.toggleLabel}>{t('settings.manageHousehold')}</Text>
+                <Text style={styles.toggleHint}>{t('settings.manageHouseholdHint')}</Text>
+              </View>
+            </View>
+          </Pressable>
+        </View>
+
         {/* Replay Feature Tour */}
-        <Text style={[styles.sectionHeader, { marginTop: Spacing.md }]}>App Tour</Text>
+        <Text style={[styles.sectionHeader, { marginTop: Spacing.md }]}>{t('settings.appTour')}</Text>
         <Text style={styles.description}>
-          Revisit the guided tour to rediscover all FuelIQ features.
+          {t('settings.appTourHint')}
         </Text>
 
         <View style={styles.toggleGroup}>
@@ -444,15 +454,15 @@ function SettingsScreenInner() {
                 <RotateCcw size={FontSize.md} color={Colors.primary} />
               </View>
               <View>
-                <Text style={styles.toggleLabel}>Replay Feature Tour</Text>
-                <Text style={styles.toggleHint}>Show the welcome walkthrough again</Text>
+                <Text style={styles.toggleLabel}>{t('settings.replayTour')}</Text>
+                <Text style={styles.toggleHint}>{t('settings.replayTourHint')}</Text>
               </View>
             </View>
           </Pressable>
         </View>
 
         <Pressable style={styles.logoutBtn} onPress={signOut}>
-          <Text style={styles.logoutText}>Log Out</Text>
+          <Text style={styles.logoutText}>{t('settings.logout')}</Text>
         </Pressable>
       </ScrollView>
     </ScreenWrapper>
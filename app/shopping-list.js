@@ -1,4 +1,4 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useCallback } from 'react';
 import {
   View,
   Text,
@@ -8,21 +8,51 @@ import {
   LayoutAnimation,
   Platform,
   UIManager,
+  TextInput,
+  Alert,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { useRouter } from 'expo-router';
-import { ChevronLeft, ShoppingCart, Check, Sparkles, ExternalLink, Truck } from 'lucide-react-native';
+import { ChevronLeft, ShoppingCart, Check, Sparkles, ExternalLink, Truck, Home, Plus, Minus, Package, X } from 'lucide-react-native';
 import * as Linking from 'expo-linking';
+import { useTranslation } from 'react-i18next';
 import { hapticLight } from '../lib/haptics';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
-import { useMeals } from '../context/MealContext';
+import { useHousehold } from '../context/HouseholdContext';
+import { useRecipes } from '../context/RecipeContext';
+import useShoppingList from '../hooks/useShoppingList';
 
 // Enable LayoutAnimation on Android
 if (Platform.OS === 'android' && UIManager.setLayoutAnimationEnabledExperimental) {
   UIManager.setLayoutAnimationEnabledExperimental(true);
 }
 
-function ShoppingItem({ item, isChecked, onToggle }) {
+const AISLE_LABEL_KEYS = {
+  produce: 'shoppingList.aisle.produce',
+  bakery: 'shoppingList.aisle.bakery',
+  meat: 'shoppingList.aisle.meat',
+  dairy: 'shoppingList.aisle.dairy',
+  grains: 'shoppingList.aisle.grains',
+  canned: 'shoppingList.aisle.canned',
+  condiments: 'shoppingList.aisle.condiments',
+  snacks: 'shoppingList.aisle.snacks',
+  frozen: 'shoppingList.aisle.frozen',
+  beverages: 'shoppingList.aisle.beverages',
+  other: 'shoppingList.aisle.other',
+};
+
+const MAX_RECIPE_SERVINGS = 24;
+
+const DELIVERY_SERVICES = [
+  { name: 'Instacart', color: '#43B02A', url: 'https://www.instacart.com/' },
+  { name: 'Amazon Fresh', color: '#FF9900', url: 'https://www.amazon.com/alm/storefront?almBrandId=QW1hem9uIEZyZXNo' },
+  { name: 'Walmart', color: '#0071CE', url: 'https://www.walmart.com/grocery' },
+  { name: 'Kroger', color: '#0A3D8F', url: 'https://www.kroger.com/' },
+];
+
+function ShoppingItem({ item, isChecked, onToggle, onLongPress }) {
+  const { t } = useTranslation();
+
   const handlePress = async () => {
     await hapticLight();
     LayoutAnimation.configureNext(LayoutAnimation.Presets.easeInEaseOut);
@@ -33,31 +63,254 @@ function ShoppingItem({ item, isChecked, onToggle }) {
     <Pressable
       style={[styles.itemCard, isChecked && styles.itemCardChecked]}
       onPress={handlePress}
+      onLongPress={onLongPress}
+      accessibilityRole="checkbox"
+      accessibilityState={{ checked: isChecked }}
     >
       <View style={[styles.checkbox, isChecked && styles.checkboxChecked]}>
         {isChecked && <Check size={14} color={Colors.background} strokeWidth={3} />}
       </View>
 
       <View style={styles.itemInfo}>
-        <View style={styles.itemHeader}>
-          <Text style={styles.itemEmoji}>{item.emoji}</Text>
-          <Text style={[styles.itemName, isChecked && styles.itemNameChecked]}>
-            {item.name}
+        <Text style={[styles.itemName, isChecked && styles.itemNameChecked]}>
+          {item.name}
+        </Text>
+        {item.sources.length > 0 && (
+          <Text style={[styles.itemMeta, isChecked && styles.itemMetaChecked]} numberOfLines={1}>
+            {t('shoppingList.forSources', { sources: item.sources.join(', ') })}
           </Text>
+        )}
+      </View>
+
+      {item.quantity ? (
+        <View style={styles.countBadge}>
+          <Text style={styles.countText}>{item.quantity}</Text>
+        </View>
+      ) : null}
+    </Pressable>
+  );
+}
+
+function RecipePicksSection({ recipes, recipePicks, onChangeServings }) {
+  const { t } = useTranslation();
+  const pickedIds = new Set(recipePicks.map((pick) => pick.id));
+  const picked = recipePicks
+    .map((pick) => ({ pick, recipe: recipes.find((recipe) => recipe.id === pick.id) }))
+    .filter((entry) => entry.recipe);
+  const available = recipes.filter((recipe) => !pickedIds.has(recipe.id));
+
+  const change = async (recipeId, servings) => {
+    await hapticLight();
+    LayoutAnimation.configureNext(LayoutAnimation.Presets.easeInEaseOut);
+    onChangeServings(recipeId, Math.min(MAX_RECIPE_SERVINGS, servings));
+  };
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>{t('shoppingList.cookingThisWeek')}</Text>
+      <Text style={styles.sectionHint}>{t('shoppingList.cookingThisWeekHint')}</Text>
+
+      {picked.map(({ pick, recipe }) => (
+        <View key={pick.id} style={styles.recipeRow}>
+          <Text style={styles.itemEmoji}>{recipe.emoji}</Text>
+          <View style={styles.itemInfo}>
+            <Text style={styles.itemName} numberOfLines={1}>{recipe.name}</Text>
+            <Text style={styles.itemMeta}>{t('shoppingList.recipeServings', { count: pick.servings })}</Text>
+          </View>
+          <Pressable
+            style={styles.stepperButton}
+            onPress={() => change(pick.id, pick.servings - 1)}
+            accessibilityLabel={t('common.remove')}
+          >
+            <Minus size={16} color={Colors.text} />
+          </Pressable>
+          <Pressable
+            style={styles.stepperButton}
+            onPress={() => change(pick.id, pick.servings + 1)}
+            accessibilityLabel={t('common.add')}
+          >
+            <Plus size={16} color={Colors.text} />
+          </Pressable>
         </View>
-        <Text style={[styles.itemMeta, isChecked && styles.itemMetaChecked]}>
-          {item.count} serving{item.count > 1 ? 's' : ''} · {item.totalCals} cal
+      ))}
+
+      {available.length > 0 && (
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+          {available.map((recipe) => (
+            <Pressable
+              key={recipe.id}
+              style={styles.recipeChip}
+              onPress={() => change(recipe.id, Math.max(1, recipe.servings || 1))}
+            >
+              <Plus size={14} color={Colors.primary} />
+              <Text style={styles.recipeChipText} numberOfLines={1}>{recipe.emoji} {recipe.name}</Text>
+            </Pressable>
+          ))}
+        </ScrollView>
+      )}
+    </View>
+  );
+}
+
+function PantrySection({ pantry, onAdd, onRemove }) {
+  const { t } = useTranslation();
+  const [name, setName] = useState('');
+  const [quantity, setQuantity] = useState('');
+
+  const handleAdd = async () => {
+    if (!name.trim()) return;
+    const added = await onAdd(name, quantity);
+    if (added) {
+      hapticLight();
+      setName('');
+      setQuantity('');
+    }
+  };
+
+  return (
+    <View style={styles.section}>
+      <View style={styles.householdHeader}>
+        <Package size={16} color={Colors.primary} />
+        <Text style={styles.householdTitle}>{t('shoppingList.inPantry')}</Text>
+      </View>
+      <Text style={styles.sectionHint}>{t('shoppingList.pantryHint')}</Text>
+
+      <View style={styles.householdInputRow}>
+        <TextInput
+          style={styles.householdInput}
+          value={name}
+          onChangeText={setName}
+          placeholder={t('shoppingList.pantryName')}
+          placeholderTextColor={Colors.textTertiary}
+          maxLength={80}
+        />
+        <TextInput
+          style={[styles.householdInput, styles.pantryQuantityInput]}
+          value={quantity}
+          onChangeText={setQuantity}
+          placeholder={t('shoppingList.pantryQuantity')}
+          placeholderTextColor={Colors.textTertiary}
+          onSubmitEditing={handleAdd}
+          returnKeyType="done"
+          maxLength={20}
+        />
+        <Pressable
+          style={[styles.householdAddButton, !name.trim() && styles.householdAddButtonDisabled]}
+          onPress={handleAdd}
+          disabled={!name.trim()}
+          accessibilityLabel={t('shoppingList.addToPantry')}
+        >
+          <Plus size={18} color={Colors.background} />
+        </Pressable>
+      </View>
+
+      <View style={styles.pantryChips}>
+        {pantry.map((entry) => (
+          <Pressable
+            key={entry.id}
+            style={styles.pantryChip}
+            onPress={() => onRemove(entry.id)}
+            accessibilityLabel={`${t('common.remove')} ${entry.name}`}
+          >
+            <Text style={styles.pantryChipText}>
+              {entry.quantity ? `${entry.name} · ${entry.quantity}` : entry.name}
+            </Text>
+            <X size={12} color={Colors.textSecondary} />
+          </Pressable>
+        ))}
+      </View>
+    </View>
+  );
+}
+
+function HouseholdListSection() {
+  const { t } = useTranslation();
+  const { household, shoppingItems, addShoppingItem, toggleShoppingItem, clearCheckedShoppingItems } = useHousehold();
+  const [draft, setDraft] = useState('');
+
+  const showError = useCallback((error) => {
+    Alert.alert(t('shoppingList.householdErrorTitle'), error?.message || t('shoppingList.householdError'));
+  }, [t]);
+
+  const handleAdd = useCallback(async () => {
+    const name = draft.trim();
+    if (!name) return;
+    setDraft('');
+    try {
+      await addShoppingItem(name);
+      hapticLight();
+    } catch (error) {
+      setDraft(name);
+      showError(error);
+    }
+  }, [draft, addShoppingItem, showError]);
+
+  const handleToggle = useCallback(async (itemId) => {
+    await hapticLight();
+    LayoutAnimation.configureNext(LayoutAnimation.Presets.easeInEaseOut);
+    toggleShoppingItem(itemId).catch(showError);
+  }, [toggleShoppingItem, showError]);
+
+  const checkedCount = shoppingItems.filter((item) => item.checked).length;
+
+  return (
+    <View style={styles.householdSection}>
+      <View style={styles.householdHeader}>
+        <Home size={16} color={Colors.primary} />
+        <Text style={styles.householdTitle} numberOfLines={1}>
+          {t('shoppingList.sharedWith', { name: household.name })}
         </Text>
+        {checkedCount > 0 && (
+          <Pressable onPress={() => clearCheckedShoppingItems().catch(showError)} hitSlop={8}>
+            <Text style={styles.householdClear}>{t('shoppingList.clearChecked', { count: checkedCount })}</Text>
+          </Pressable>
+        )}
       </View>
 
-      <View style={styles.countBadge}>
-        <Text style={styles.countText}>×{item.count}</Text>
+      <View style={styles.householdInputRow}>
+        <TextInput
+          style={styles.householdInput}
+          value={draft}
+          onChangeText={setDraft}
+          placeholder={t('shoppingList.addSharedItem')}
+          placeholderTextColor={Colors.textTertiary}
+          onSubmitEditing={handleAdd}
+          returnKeyType="done"
+          maxLength={120}
+        />
+        <Pressable
+          style={[styles.householdAddButton, !draft.trim() && styles.householdAddButtonDisabled]}
+          onPress={handleAdd}
+          disabled={!draft.trim()}
+          accessibilityLabel={t('shoppingList.addSharedItem')}
+        >
+          <Plus size={18} color={Colors.background} />
+        </Pressable>
       </View>
-    </Pressable>
+
+      {shoppingItems.map((item) => (
+        <Pressable
+          key={item.id}
+          style={[styles.itemCard, item.checked && styles.itemCardChecked]}
+          onPress={() => handleToggle(item.id)}
+        >
+          <View style={[styles.checkbox, item.checked && styles.checkboxChecked]}>
+            {item.checked && <Check size={14} color={Colors.background} strokeWidth={3} />}
+          </View>
+          <View style={styles.itemInfo}>
+            <Text style={[styles.itemName, item.checked && styles.itemNameChecked]}>{item.name}</Text>
+            {item.quantity ? (
+              <Text style={[styles.itemMeta, item.checked && styles.itemMetaChecked]}>{item.quantity}</Text>
+            ) : null}
+          </View>
+        </Pressable>
+      ))}
+    </View>
   );
 }
 
 function EmptyState() {
+  const { t } = useTranslation();
   const router = useRouter();
 
   return (
@@ -65,40 +318,75 @@ function EmptyState() {
       <View style={styles.emptyIconContainer}>
         <ShoppingCart size={48} color={Colors.textTertiary} />
       </View>
-      <Text style={styles.emptyTitle}>No groceries needed yet</Text>
+      <Text style={styles.emptyTitle}>{t('shoppingList.noGroceriesNeededYet')}</Text>
       <Text style={styles.emptySubtitle}>
-        Plan some meals for tomorrow to see them here!
+        {t('shoppingList.emptyHint')}
       </Text>
       <Pressable
         style={styles.planButton}
-        onPress={() => router.back()}
+        onPress={() => router.push('/meal-plan')}
       >
         <Sparkles size={18} color={Colors.primary} />
-        <Text style={styles.planButtonText}>Start Planning</Text>
+        <Text style={styles.planButtonText}>{t('shoppingList.startPlanning')}</Text>
       </Pressable>
     </View>
   );
 }
 
 export default function ShoppingListScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
-  const { getShoppingList } = useMeals();
-  const [checkedItems, setCheckedItems] = useState({});
-
-  const shoppingList = useMemo(() => getShoppingList(), [getShoppingList]);
+  const { household } = useHousehold();
+  const { recipes } = useRecipes();
+  const {
+    items,
+    groups,
+    checkedCount,
+    people,
+    hasMealPlan,
+    isChecked,
+    toggleItem,
+    pantry,
+    addPantryItem,
+    removePantryItem,
+    markInPantry,
+    recipePicks,
+    setRecipeServings,
+  } = useShoppingList();
 
-  const toggleItem = (itemName) => {
-    setCheckedItems((prev) => ({
-      ...prev,
-      [itemName]: !prev[itemName],
-    }));
-  };
-
-  const checkedCount = Object.values(checkedItems).filter(Boolean).length;
-  const totalCount = shoppingList.length;
+  const totalCount = items.length;
   const progress = totalCount > 0 ? (checkedCount / totalCount) * 100 : 0;
 
-  const totalCalories = shoppingList.reduce((sum, item) => sum + item.totalCals, 0);
+  const handleLongPress = useCallback((item) => {
+    Alert.alert(
+      t('shoppingList.alreadyHaveTitle', { name: item.name }),
+      t('shoppingList.alreadyHaveMessage'),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('shoppingList.addToPantry'),
+          onPress: () => {
+            LayoutAnimation.configureNext(LayoutAnimation.Presets.easeInEaseOut);
+            markInPantry(item);
+          },
+        },
+      ]
+    );
+  }, [t, markInPantry]);
+
+  const openDelivery = useCallback(async (service) => {
+    await hapticLight();
+    // Build search query from unchecked items
+    const unchecked = items
+      .filter((item) => !isChecked(item))
+      .map((item) => item.name)
+      .slice(0, 10);
+    const query = encodeURIComponent(unchecked.join(', '));
+    const url = service.name === 'Instacart'
+      ? `https://www.instacart.com/store/search/${query}`
+      : service.url;
+    Linking.openURL(url).catch((e) => { if (__DEV__) console.warn('[shopping-list] Failed to open delivery URL:', e); });
+  }, [items, isChecked]);
 
   return (
     <SafeAreaView style={styles.container} edges={['top']}>
@@ -108,31 +396,29 @@ export default function ShoppingListScreen() {
           <ChevronLeft size={24} color={Colors.text} />
         </Pressable>
         <View style={styles.headerCenter}>
-          <Text style={styles.headerTitle}>Grocery Run</Text>
-          <Text style={styles.headerSubtitle}>Next 7 Days</Text>
+          <Text style={styles.headerTitle}>{t('shoppingList.groceryRun')}</Text>
+          <Text style={styles.headerSubtitle}>{t('shoppingList.fromPlanAndRecipes')}</Text>
         </View>
         <View style={styles.headerRight}>
           <ShoppingCart size={24} color={Colors.primary} />
         </View>
       </View>
 
-      {shoppingList.length === 0 ? (
-        <EmptyState />
-      ) : (
+      {totalCount > 0 && (
         <>
           {/* Progress Bar */}
           <View style={styles.progressSection}>
             <View style={styles.progressHeader}>
-              <Text style={styles.progressLabel}>Shopping Progress</Text>
+              <Text style={styles.progressLabel}>{t('shoppingList.shoppingProgress')}</Text>
               <Text style={styles.progressCount}>
-                {checkedCount} of {totalCount} items
+                {t('shoppingList.ofItems', { checkedCount, totalCount })}
               </Text>
             </View>
             <View style={styles.progressTrack}>
               <View style={[styles.progressFill, { width: `${progress}%` }]} />
             </View>
-            {checkedCount === totalCount && totalCount > 0 && (
-              <Text style={styles.completeText}>All done! Ready to cook!</Text>
+            {checkedCount === totalCount && (
+              <Text style={styles.completeText}>{t('shoppingList.allDoneReadyTo')}</Text>
             )}
           </View>
 
@@ -140,82 +426,90 @@ export default function ShoppingListScreen() {
           <View style={styles.statsRow}>
             <View style={styles.statItem}>
               <Text style={styles.statValue}>{totalCount}</Text>
-              <Text style={styles.statLabel}>Items</Text>
+              <Text style={styles.statLabel}>{t('shoppingList.items')}</Text>
             </View>
             <View style={styles.statDivider} />
             <View style={styles.statItem}>
-              <Text style={styles.statValue}>{totalCalories.toLocaleString()}</Text>
-              <Text style={styles.statLabel}>Total Cal</Text>
+              <Text style={styles.statValue}>{groups.length}</Text>
+              <Text style={styles.statLabel}>{t('shoppingList.aisles')}</Text>
             </View>
             <View style={styles.statDivider} />
             <View style={styles.statItem}>
-              <Text style={styles.statValue}>7</Text>
-              <Text style={styles.statLabel}>Days</Text>
+              <Text style={styles.statValue}>{pantry.length}</Text>
+              <Text style={styles.statLabel}>{t('shoppingList.pantry')}</Text>
             </View>
           </View>
+        </>
+      )}
 
-          {/* Shopping List */}
-          <ScrollView
-            style={styles.scrollView}
-            contentContainerStyle={styles.scrollContent}
-            showsVerticalScrollIndicator={false}
-          >
-            <Text style={styles.sectionTitle}>Shopping List</Text>
-
-            {shoppingList.map((item) => (
-              <ShoppingItem
-                key={item.name}
-                item={item}
-                isChecked={checkedItems[item.name] || false}
-                onToggle={() => toggleItem(item.name)}
-              />
-            ))}
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+        keyboardShouldPersistTaps="handled"
+      >
+        {household && <HouseholdListSection />}
 
-            {/* Grocery Delivery */}
-            <View style={styles.deliverySection}>
-              <View style={styles.deliverySectionHeader}>
-                <Truck size={18} color={Colors.primary} />
-                <Text style={styles.deliverySectionTitle}>Order Groceries</Text>
-              </View>
-              <Text style={styles.deliverySectionSubtitle}>
-                Get everything delivered to your door
-              </Text>
-              <View style={styles.deliveryButtons}>
-                {[
-                  { name: 'Instacart', color: '#43B02A', url: 'https://www.instacart.com/' },
-                  { name: 'Amazon Fresh', color: '#FF9900', url: 'https://www.amazon.com/alm/storefront?almBrandId=QW1hem9uIEZyZXNo' },
-                  { name: 'Walmart', color: '#0071CE', url: 'https://www.walmart.com/grocery' },
-                  { name: 'Kroger', color: '#0A3D8F', url: 'https://www.kroger.com/' },
-                ].map((service) => (
-                  <Pressable
-                    key={service.name}
-                    style={[styles.deliveryButton, { borderColor: service.color + '40' }]}
-                    onPress={async () => {
-                      await hapticLight();
-                      // Build search query from unchecked items
-                      const unchecked = shoppingList
-                        .filter((item) => !checkedItems[item.name])
-                        .map((item) => item.name)
-                        .slice(0, 10);
-                      const query = encodeURIComponent(unchecked.join(', '));
-                      const url = service.name === 'Instacart'
-                        ? `https://www.instacart.com/store/search/${query}`
-                        : service.url;
-                      Linking.openURL(url).catch((e) => { if (__DEV__) console.warn('[shopping-list] Failed to open delivery URL:', e); });
-                    }}
-                  >
-                    <View style={[styles.deliveryDot, { backgroundColor: service.color }]} />
-                    <Text style={styles.deliveryButtonText}>{service.name}</Text>
-                    <ExternalLink size={14} color={Colors.textTertiary} />
-                  </Pressable>
+        {recipes.length > 0 && (
+          <RecipePicksSection recipes={recipes} recipePicks={recipePicks} onChangeServings={setRecipeServings} />
+        )}
+
+        {totalCount === 0 ? (
+          <EmptyState />
+        ) : (
+          <>
+            <Text style={styles.sectionTitle}>{t('shoppingList.shoppingList')}</Text>
+            {hasMealPlan && people > 1 && (
+              <Text style={styles.sectionHint}>{t('shoppingList.forPeople', { count: people })}</Text>
+            )}
+
+            {groups.map((group) => (
+              <View key={group.aisle} style={styles.aisleGroup}>
+                <Text style={styles.aisleTitle}>{t(AISLE_LABEL_KEYS[group.aisle])}</Text>
+                {group.items.map((item) => (
+                  <ShoppingItem
+                    key={item.key}
+                    item={item}
+                    isChecked={isChecked(item)}
+                    onToggle={() => toggleItem(item)}
+                    onLongPress={() => handleLongPress(item)}
+                  />
                 ))}
               </View>
+            ))}
+          </>
+        )}
+
+        <PantrySection pantry={pantry} onAdd={addPantryItem} onRemove={removePantryItem} />
+
+        {totalCount > 0 && (
+          /* Grocery Delivery */
+          <View style={styles.deliverySection}>
+            <View style={styles.deliverySectionHeader}>
+              <Truck size={18} color={Colors.primary} />
+              <Text style={styles.deliverySectionTitle}>{t('shoppingList.orderGroceries')}</Text>
+            </View>
+            <Text style={styles.deliverySectionSubtitle}>
+              {t('shoppingList.getEverythingDeliveredTo')}
+            </Text>
+            <View style={styles.deliveryButtons}>
+              {DELIVERY_SERVICES.map((service) => (
+                <Pressable
+                  key={service.name}
+                  style={[styles.deliveryButton, { borderColor: service.color + '40' }]}
+                  onPress={() => openDelivery(service)}
+                >
+                  <View style={[styles.deliveryDot, { backgroundColor: service.color }]} />
+                  <Text style={styles.deliveryButtonText}>{service.name}</Text>
+                  <ExternalLink size={14} color={Colors.textTertiary} />
+                </Pressable>
+              ))}
             </View>
+          </View>
+        )}
 
-            <View style={styles.bottomSpacer} />
-          </ScrollView>
-        </>
-      )}
+        <View style={styles.bottomSpacer} />
+      </ScrollView>
     </SafeAreaView>
   );
 }
@@ -338,12 +632,138 @@ const styles = StyleSheet.create({
   scrollContent: {
     padding: Spacing.md,
   },
+  householdSection: {
+    marginBottom: Spacing.lg,
+  },
+  householdHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.xs,
+    marginBottom: Spacing.sm,
+  },
+  householdTitle: {
+    flex: 1,
+    fontSize: FontSize.md,
+    fontWeight: FontWeight.semibold,
+    color: Colors.text,
+  },
+  householdClear: {
+    fontSize: FontSize.sm,
+    fontWeight: FontWeight.semibold,
+    color: Colors.primary,
+  },
+  householdInputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.sm,
+    marginBottom: Spacing.sm,
+  },
+  householdInput: {
+    flex: 1,
+    backgroundColor: Colors.surface,
+    borderRadius: BorderRadius.lg,
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.sm + 2,
+    fontSize: FontSize.md,
+    color: Colors.text,
+  },
+  householdAddButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: Colors.primary,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  householdAddButtonDisabled: {
+    opacity: 0.5,
+  },
+  section: {
+    marginBottom: Spacing.lg,
+  },
   sectionTitle: {
     fontSize: FontSize.lg,
     fontWeight: FontWeight.bold,
     color: Colors.text,
     marginBottom: Spacing.md,
   },
+  sectionHint: {
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+    marginTop: -Spacing.sm,
+    marginBottom: Spacing.md,
+  },
+  aisleGroup: {
+    marginBottom: Spacing.md,
+  },
+  aisleTitle: {
+    fontSize: FontSize.xs,
+    fontWeight: FontWeight.semibold,
+    color: Colors.textSecondary,
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+    marginBottom: Spacing.sm,
+  },
+  recipeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: Colors.surface,
+    borderRadius: BorderRadius.lg,
+    padding: Spacing.md,
+    marginBottom: Spacing.sm,
+    gap: Spacing.sm,
+  },
+  stepperButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: Colors.surfaceElevated,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  chipRow: {
+    gap: Spacing.sm,
+    paddingVertical: Spacing.xs,
+  },
+  recipeChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.xs,
+    maxWidth: 220,
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.sm,
+    borderRadius: BorderRadius.full,
+    borderWidth: 1,
+    borderColor: Colors.primary + '40',
+    backgroundColor: Colors.primary + '10',
+  },
+  recipeChipText: {
+    fontSize: FontSize.sm,
+    fontWeight: FontWeight.medium,
+    color: Colors.text,
+  },
+  pantryQuantityInput: {
+    flex: 0,
+    width: 90,
+  },
+  pantryChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: Spacing.xs,
+  },
+  pantryChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.xs,
+    paddingHorizontal: Spacing.sm + 2,
+    paddingVertical: Spacing.xs + 2,
+    borderRadius: BorderRadius.full,
+    backgroundColor: Colors.surface,
+  },
+  pantryChipText: {
+    fontSize: FontSize.sm,
+    color: Colors.text,
+  },
   itemCard: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -373,11 +793,6 @@ const styles = StyleSheet.create({
   itemInfo: {
     flex: 1,
   },
-  itemHeader: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    gap: Spacing.xs,
-  },
   itemEmoji: {
     fontSize: 18,
   },
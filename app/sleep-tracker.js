@@ -28,10 +28,12 @@ import {
   TrendingUp,
   AlertTriangle,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius, Shadows, Gradients } from '../constants/theme';
 import { hapticSuccess, hapticLight } from '../lib/haptics';
 import { useSleepTracking } from '../hooks/useSleepTracking';
+import { formatDate as formatLocaleDate, formatDuration, formatTime, formatWeekday } from '../lib/formatters';
 
 const SCREEN_WIDTH = Dimensions.get('window').width;
 const CHART_WIDTH = SCREEN_WIDTH - Spacing.md * 2 - Spacing.md * 2;
@@ -42,38 +44,20 @@ function formatTime12(hour, minute, ampm) {
   return `${h}:${m} ${ampm}`;
 }
 
-function formatDuration(hours) {
-  const h = Math.floor(hours);
-  const m = Math.round((hours - h) * 60);
-  if (h === 0) return `${m}m`;
-  if (m === 0) return `${h}h`;
-  return `${h}h ${m}m`;
+function formatHours(hours) {
+  return formatDuration(Math.round(hours * 60));
 }
 
 function formatDate(isoString) {
   const d = new Date(isoString);
-  return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  return formatLocaleDate(d, { month: 'short', day: 'numeric', year: 'numeric' });
 }
 
 function formatShortDate(isoString) {
   const d = new Date(isoString);
-  return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  return formatLocaleDate(d, { month: 'short', day: 'numeric' });
 }
 
-function timeStringFromISO(isoString) {
-  const d = new Date(isoString);
-  let hours = d.getHours();
-  const minutes = d.getMinutes();
-  const ampm = hours >= 12 ? 'PM' : 'AM';
-  hours = hours % 12 || 12;
-  return `${hours}:${String(minutes).padStart(2, '0')} ${ampm}`;
-}
-
-function getDayLabel(isoString) {
-  const d = new Date(isoString);
-  const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-  return days[d.getDay()];
-}
 
 // Convert hour/minute/ampm to a Date object for today (or yesterday for bedtime)
 function buildTimeDate(hour, minute, ampm, isYesterday = false) {
@@ -88,9 +72,10 @@ function buildTimeDate(hour, minute, ampm, isYesterday = false) {
 
 // Quality Moon Rating Component
 function QualityRating({ value, onChange }) {
+  const { t } = useTranslation();
   return (
     <View style={styles.qualityContainer}>
-      <Text style={styles.qualityLabel}>Sleep Quality</Text>
+      <Text style={styles.qualityLabel}>{t('sleepTracker.sleepQuality')}</Text>
       <View style={styles.qualityRow}>
         {[1, 2, 3, 4, 5].map((star) => (
           <Pressable
@@ -122,6 +107,7 @@ function QualityRating({ value, onChange }) {
 
 // Time Picker Component
 function TimePicker({ label, icon: Icon, iconColor, hour, minute, ampm, onChangeHour, onChangeMinute, onToggleAmPm }) {
+  const { t } = useTranslation();
   return (
     <View style={styles.timePickerContainer}>
       <View style={styles.timePickerHeader}>
@@ -149,7 +135,7 @@ function TimePicker({ label, icon: Icon, iconColor, hour, minute, ampm, onChange
             keyboardType="number-pad"
             maxLength={2}
           />
-          <Text style={styles.timeLabel}>hr</Text>
+          <Text style={styles.timeLabel}>{t('units.hours')}</Text>
         </View>
         <Text style={styles.timeSeparator}>:</Text>
         <View style={styles.timeInputWrapper}>
@@ -170,7 +156,7 @@ function TimePicker({ label, icon: Icon, iconColor, hour, minute, ampm, onChange
             keyboardType="number-pad"
             maxLength={2}
           />
-          <Text style={styles.timeLabel}>min</Text>
+          <Text style={styles.timeLabel}>{t('units.minutes')}</Text>
         </View>
         <Pressable
           style={styles.ampmToggle}
@@ -180,10 +166,10 @@ function TimePicker({ label, icon: Icon, iconColor, hour, minute, ampm, onChange
           }}
         >
           <View style={[styles.ampmOption, ampm === 'AM' && styles.ampmOptionActive]}>
-            <Text style={[styles.ampmText, ampm === 'AM' && styles.ampmTextActive]}>AM</Text>
+            <Text style={[styles.ampmText, ampm === 'AM' && styles.ampmTextActive]}>{t('sleepTracker.am')}</Text>
           </View>
           <View style={[styles.ampmOption, ampm === 'PM' && styles.ampmOptionActive]}>
-            <Text style={[styles.ampmText, ampm === 'PM' && styles.ampmTextActive]}>PM</Text>
+            <Text style={[styles.ampmText, ampm === 'PM' && styles.ampmTextActive]}>{t('sleepTracker.pm')}</Text>
           </View>
         </Pressable>
       </View>
@@ -208,6 +194,7 @@ function StatCard({ label, value, unit, icon: Icon, iconColor, delay }) {
 }
 
 export default function SleepTrackerScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const {
     entries,
@@ -252,7 +239,7 @@ export default function SleepTrackerScreen() {
       const d = new Date(now);
       d.setDate(d.getDate() - i);
       const dayStr = d.toISOString().split('T')[0];
-      const dayLabel = getDayLabel(d.toISOString());
+      const dayLabel = formatWeekday(d);
       const entry = entries.find((e) => {
         const entryDay = new Date(e.date).toISOString().split('T')[0];
         return entryDay === dayStr;
@@ -284,7 +271,7 @@ export default function SleepTrackerScreen() {
     const wm = parseInt(wakeMinute, 10);
 
     if (!bh || isNaN(bm) || !wh || isNaN(wm)) {
-      Alert.alert('Invalid Time', 'Please enter valid bedtime and wake time.');
+      Alert.alert(t('sleepTracker.invalidTime'), t('sleepTracker.pleaseEnterValidBedtime'));
       return;
     }
 
@@ -301,22 +288,22 @@ export default function SleepTrackerScreen() {
       addEntry(bedtime.toISOString(), wakeTime.toISOString(), quality, notes);
       await hapticSuccess();
       setNotes('');
-      Alert.alert('Sleep Logged', `${formatDuration(((wakeTime - bedtime) < 0 ? (wakeTime - bedtime + 86400000) : (wakeTime - bedtime)) / 3600000)} of sleep recorded.`);
+      Alert.alert(t('sleepTracker.sleepLogged'), t('sleepTracker.sleepRecorded', { duration: formatHours(((wakeTime - bedtime) < 0 ? (wakeTime - bedtime + 86400000) : (wakeTime - bedtime)) / 3600000) }));
     } catch (error) {
-      Alert.alert('Error', 'Could not log sleep. Please try again.');
+      Alert.alert(t('common.errorTitle'), t('sleepTracker.couldNotLogSleep'));
     } finally {
       setIsSaving(false);
     }
-  }, [bedHour, bedMinute, bedAmPm, wakeHour, wakeMinute, wakeAmPm, quality, notes, addEntry]);
+  }, [bedHour, bedMinute, bedAmPm, wakeHour, wakeMinute, wakeAmPm, quality, notes, addEntry, t]);
 
   const handleDelete = useCallback((date) => {
     Alert.alert(
-      'Delete Entry',
-      'Are you sure you want to delete this sleep entry?',
+      t('sleepTracker.deleteEntry'),
+      t('sleepTracker.areYouSureYou'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Delete',
+          text: t('common.delete'),
           style: 'destructive',
           onPress: async () => {
             deleteEntry(date);
@@ -325,7 +312,7 @@ export default function SleepTrackerScreen() {
         },
       ]
     );
-  }, [deleteEntry]);
+  }, [deleteEntry, t]);
 
   const handleToggleExpand = useCallback((date) => {
     hapticLight();
@@ -337,7 +324,7 @@ export default function SleepTrackerScreen() {
       <ScreenWrapper>
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color={Colors.primary} />
-          <Text style={styles.loadingText}>Loading sleep data...</Text>
+          <Text style={styles.loadingText}>{t('sleepTracker.loadingSleepData')}</Text>
         </View>
       </ScreenWrapper>
     );
@@ -357,7 +344,7 @@ export default function SleepTrackerScreen() {
             <ArrowLeft size={22} color={Colors.text} />
           </Pressable>
           <View style={styles.headerCenter}>
-            <Text style={styles.title}>Sleep</Text>
+            <Text style={styles.title}>{t('sleepTracker.sleep')}</Text>
           </View>
           <View style={styles.headerRight}>
             <Moon size={22} color="#A78BFA" />
@@ -376,21 +363,21 @@ export default function SleepTrackerScreen() {
               <View style={styles.emptyIcon}>
                 <Moon size={48} color={Colors.textTertiary} />
               </View>
-              <Text style={styles.emptyTitle}>Track Your Sleep</Text>
+              <Text style={styles.emptyTitle}>{t('sleepTracker.trackYourSleep')}</Text>
               <Text style={styles.emptySubtitle}>
-                Log your bedtime and wake time to understand your sleep patterns and improve your rest
+                {t('sleepTracker.logYourBedtimeAnd')}
               </Text>
             </ReAnimated.View>
           )}
 
           {/* Quick Log Section */}
           <ReAnimated.View entering={FadeInDown.delay(hasHistory ? 80 : 200).springify().mass(0.5).damping(10)}>
-            <Text style={styles.sectionTitle}>Log Sleep</Text>
+            <Text style={styles.sectionTitle}>{t('sleepTracker.logSleep')}</Text>
             <View style={styles.logCard}>
               {/* Time Pickers */}
               <View style={styles.timePickersRow}>
                 <TimePicker
-                  label="Bedtime"
+                  label={t('sleepTracker.bedtime')}
                   icon={BedDouble}
                   iconColor="#A78BFA"
                   hour={bedHour}
@@ -398,10 +385,10 @@ export default function SleepTrackerScreen() {
                   ampm={bedAmPm}
                   onChangeHour={setBedHour}
                   onChangeMinute={setBedMinute}
-                  onToggleAmPm={() => setBedAmPm((p) => (p === 'AM' ? 'PM' : 'AM'))}
+                  onToggleAmPm={() => setBedAmPm((p) => (p === 'AM' ? t('sleepTracker.pm') : t('sleepTracker.am')))}
                 />
                 <TimePicker
-                  label="Wake Time"
+                  label={t('sleepTracker.wakeTime')}
                   icon={Sunrise}
                   iconColor={Colors.warning}
                   hour={wakeHour}
@@ -409,7 +396,7 @@ export default function SleepTrackerScreen() {
                   ampm={wakeAmPm}
                   onChangeHour={setWakeHour}
                   onChangeMinute={setWakeMinute}
-                  onToggleAmPm={() => setWakeAmPm((p) => (p === 'AM' ? 'PM' : 'AM'))}
+                  onToggleAmPm={() => setWakeAmPm((p) => (p === 'AM' ? t('sleepTracker.pm') : t('sleepTracker.am')))}
                 />
               </View>
 
@@ -422,7 +409,7 @@ export default function SleepTrackerScreen() {
                   style={styles.notesInput}
                   value={notes}
                   onChangeText={setNotes}
-                  placeholder="Add notes (optional)..."
+                  placeholder={t('sleepTracker.addNotesOptional')}
                   placeholderTextColor={Colors.textTertiary}
                   maxLength={150}
                   multiline
@@ -446,7 +433,7 @@ export default function SleepTrackerScreen() {
                   ) : (
                     <>
                       <Moon size={20} color={Colors.text} />
-                      <Text style={styles.logButtonText}>Log Sleep</Text>
+                      <Text style={styles.logButtonText}>{t('sleepTracker.logSleep')}</Text>
                     </>
                   )}
                 </LinearGradient>
@@ -458,14 +445,14 @@ export default function SleepTrackerScreen() {
           {hasHistory && (
             <View style={styles.statsRow}>
               <StatCard
-                label="Avg Duration"
-                value={weeklyAvg !== null ? formatDuration(weeklyAvg) : '--'}
+                label={t('sleepTracker.avgDuration')}
+                value={weeklyAvg !== null ? formatHours(weeklyAvg) : '--'}
                 icon={Clock}
                 iconColor="#A78BFA"
                 delay={120}
               />
               <StatCard
-                label="Quality"
+                label={t('sleepTracker.quality')}
                 value={qualityTrend !== null ? qualityTrend.toFixed(1) : '--'}
                 unit={qualityTrend !== null ? '/ 5' : ''}
                 icon={Moon}
@@ -473,8 +460,8 @@ export default function SleepTrackerScreen() {
                 delay={160}
               />
               <StatCard
-                label="Sleep Debt"
-                value={sleepDebt !== null ? (sleepDebt > 0 ? `${formatDuration(sleepDebt)}` : 'None') : '--'}
+                label={t('sleepTracker.sleepDebt')}
+                value={sleepDebt !== null ? (sleepDebt > 0 ? formatHours(sleepDebt) : t('sleepTracker.none')) : '--'}
                 icon={sleepDebt !== null && sleepDebt > 0 ? AlertTriangle : TrendingUp}
                 iconColor={sleepDebt !== null && sleepDebt > 0 ? Colors.error : Colors.success}
                 delay={200}
@@ -485,7 +472,7 @@ export default function SleepTrackerScreen() {
           {/* Sleep Stage Breakdown (auto-detected from HealthKit) */}
           {hasAutoSleep && autoSleepStages && stagePercentages && (
             <ReAnimated.View entering={FadeInDown.delay(180).springify().mass(0.5).damping(10)}>
-              <Text style={styles.sectionTitle}>Last Night&apos;s Sleep Stages</Text>
+              <Text style={styles.sectionTitle}>{t('sleepTracker.lastNightsSleepStages')}</Text>
               <View style={styles.stagesCard}>
                 {/* Source badge */}
                 <View style={styles.stagesSourceBadge}>
@@ -502,12 +489,12 @@ export default function SleepTrackerScreen() {
                     <Text style={styles.stagesTotalValue}>
                       {Math.floor(autoSleepStages.totalMinutes / 60)}h {autoSleepStages.totalMinutes % 60}m
                     </Text>
-                    <Text style={styles.stagesTotalLabel}>Total Sleep</Text>
+                    <Text style={styles.stagesTotalLabel}>{t('sleepTracker.totalSleep')}</Text>
                   </View>
                   <View style={styles.stagesTotalDivider} />
                   <View style={styles.stagesTotalItem}>
                     <Text style={styles.stagesTotalValue}>{autoSleepStages.efficiency}%</Text>
-                    <Text style={styles.stagesTotalLabel}>Efficiency</Text>
+                    <Text style={styles.stagesTotalLabel}>{t('sleepTracker.efficiency')}</Text>
                   </View>
                 </View>
 
@@ -534,7 +521,7 @@ export default function SleepTrackerScreen() {
                   <View style={styles.stageLegendItem}>
                     <View style={[styles.stageLegendDot, { backgroundColor: '#5C6BC0' }]} />
                     <View style={styles.stageLegendInfo}>
-                      <Text style={styles.stageLegendLabel}>Deep</Text>
+                      <Text style={styles.stageLegendLabel}>{t('sleepTracker.deep')}</Text>
                       <Text style={styles.stageLegendValue}>
                         {autoSleepStages.deepMinutes}m ({stagePercentages.deep}%)
                       </Text>
@@ -543,7 +530,7 @@ export default function SleepTrackerScreen() {
                   <View style={styles.stageLegendItem}>
                     <View style={[styles.stageLegendDot, { backgroundColor: '#7986CB' }]} />
                     <View style={styles.stageLegendInfo}>
-                      <Text style={styles.stageLegendLabel}>Light</Text>
+                      <Text style={styles.stageLegendLabel}>{t('sleepTracker.light')}</Text>
                       <Text style={styles.stageLegendValue}>
                         {autoSleepStages.lightMinutes}m ({stagePercentages.light}%)
                       </Text>
@@ -552,7 +539,7 @@ export default function SleepTrackerScreen() {
                   <View style={styles.stageLegendItem}>
                     <View style={[styles.stageLegendDot, { backgroundColor: '#A78BFA' }]} />
                     <View style={styles.stageLegendInfo}>
-                      <Text style={styles.stageLegendLabel}>REM</Text>
+                      <Text style={styles.stageLegendLabel}>{t('sleepTracker.rem')}</Text>
                       <Text style={styles.stageLegendValue}>
                         {autoSleepStages.remMinutes}m ({stagePercentages.rem}%)
                       </Text>
@@ -561,7 +548,7 @@ export default function SleepTrackerScreen() {
                   <View style={styles.stageLegendItem}>
                     <View style={[styles.stageLegendDot, { backgroundColor: '#FF8A80' }]} />
                     <View style={styles.stageLegendInfo}>
-                      <Text style={styles.stageLegendLabel}>Awake</Text>
+                      <Text style={styles.stageLegendLabel}>{t('sleepTracker.awake')}</Text>
                       <Text style={styles.stageLegendValue}>
                         {autoSleepStages.awakeMinutes}m ({stagePercentages.awake}%)
                       </Text>
@@ -575,7 +562,7 @@ export default function SleepTrackerScreen() {
           {/* Weekly Bar Chart */}
           {hasHistory && chartData.length > 0 && (
             <ReAnimated.View entering={FadeInDown.delay(240).springify().mass(0.5).damping(10)}>
-              <Text style={styles.sectionTitle}>This Week</Text>
+              <Text style={styles.sectionTitle}>{t('common.thisWeek')}</Text>
               <View style={styles.chartCard}>
                 <View style={styles.chartContainer}>
                   <BarChart
@@ -601,7 +588,7 @@ export default function SleepTrackerScreen() {
                       dashWidth: 5,
                       dashGap: 3,
                       thickness: 1,
-                      labelText: '8h goal',
+                      labelText: t('sleepTracker.n8hGoal'),
                       labelTextStyle: styles.referenceLineLabel,
                     }}
                     isAnimated
@@ -611,15 +598,15 @@ export default function SleepTrackerScreen() {
                 <View style={styles.legendRow}>
                   <View style={styles.legendItem}>
                     <View style={[styles.legendDot, { backgroundColor: '#A78BFA' }]} />
-                    <Text style={styles.legendText}>7+ hours</Text>
+                    <Text style={styles.legendText}>{t('sleepTracker.n7Hours')}</Text>
                   </View>
                   <View style={styles.legendItem}>
                     <View style={[styles.legendDot, { backgroundColor: '#7C3AED' }]} />
-                    <Text style={styles.legendText}>5-7 hours</Text>
+                    <Text style={styles.legendText}>{t('sleepTracker.n57Hours')}</Text>
                   </View>
                   <View style={styles.legendItem}>
                     <View style={[styles.legendDot, { backgroundColor: Colors.error }]} />
-                    <Text style={styles.legendText}>Under 5h</Text>
+                    <Text style={styles.legendText}>{t('sleepTracker.under5h')}</Text>
                   </View>
                 </View>
               </View>
@@ -629,7 +616,7 @@ export default function SleepTrackerScreen() {
           {/* History List */}
           {hasHistory && (
             <ReAnimated.View entering={FadeInDown.delay(320).springify().mass(0.5).damping(10)}>
-              <Text style={styles.sectionTitle}>History</Text>
+              <Text style={styles.sectionTitle}>{t('sleepTracker.history')}</Text>
               {entries.map((entry) => {
                 const isExpanded = expandedEntry === entry.date;
 
@@ -647,7 +634,7 @@ export default function SleepTrackerScreen() {
                         {!isExpanded && (
                           <View style={styles.historySummaryRow}>
                             <Text style={styles.historySummary}>
-                              {formatDuration(entry.duration)}
+                              {formatHours(entry.duration)}
                             </Text>
                             <View style={styles.historyMoonsRow}>
                               {[1, 2, 3, 4, 5].map((s) => (
@@ -674,34 +661,34 @@ export default function SleepTrackerScreen() {
                         <View style={styles.historyDetailRow}>
                           <View style={styles.historyDetailLabel}>
                             <BedDouble size={14} color="#A78BFA" />
-                            <Text style={styles.historyDetailText}>Bedtime</Text>
+                            <Text style={styles.historyDetailText}>{t('sleepTracker.bedtime')}</Text>
                           </View>
                           <Text style={styles.historyDetailValue}>
-                            {timeStringFromISO(entry.bedtime)}
+                            {formatTime(entry.bedtime)}
                           </Text>
                         </View>
                         <View style={styles.historyDetailRow}>
                           <View style={styles.historyDetailLabel}>
                             <Sunrise size={14} color={Colors.warning} />
-                            <Text style={styles.historyDetailText}>Wake Time</Text>
+                            <Text style={styles.historyDetailText}>{t('sleepTracker.wakeTime')}</Text>
                           </View>
                           <Text style={styles.historyDetailValue}>
-                            {timeStringFromISO(entry.wakeTime)}
+                            {formatTime(entry.wakeTime)}
                           </Text>
                         </View>
                         <View style={styles.historyDetailRow}>
                           <View style={styles.historyDetailLabel}>
                             <Clock size={14} color={Colors.primary} />
-                            <Text style={styles.historyDetailText}>Duration</Text>
+                            <Text style={styles.historyDetailText}>{t('sleepTracker.duration')}</Text>
                           </View>
                           <Text style={styles.historyDetailValue}>
-                            {formatDuration(entry.duration)}
+                            {formatHours(entry.duration)}
                           </Text>
                         </View>
                         <View style={styles.historyDetailRow}>
                           <View style={styles.historyDetailLabel}>
                             <Moon size={14} color="#A78BFA" />
-                            <Text style={styles.historyDetailText}>Quality</Text>
+                            <Text style={styles.historyDetailText}>{t('sleepTracker.quality')}</Text>
                           </View>
                           <View style={styles.historyMoonsRow}>
                             {[1, 2, 3, 4, 5].map((s) => (
@@ -722,7 +709,7 @@ export default function SleepTrackerScreen() {
                           onPress={() => handleDelete(entry.date)}
                         >
                           <Trash2 size={14} color={Colors.error} />
-                          <Text style={styles.historyDeleteText}>Delete Entry</Text>
+                          <Text style={styles.historyDeleteText}>{t('sleepTracker.deleteEntry')}</Text>
                         </Pressable>
                       </View>
                     )}
@@ -48,23 +48,25 @@ import { useFriends } from '../hooks/useFriends';
 import { useBlockedUsers } from '../hooks/useBlockedUsers';
 import { useAuth } from '../context/AuthContext';
 import { Image } from 'expo-image';
+import { useTranslation } from 'react-i18next';
 import ReportModal from '../components/ReportModal';
+import { formatRelativeTime } from '../lib/formatters';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 
 // Feed tabs
 const FEED_TABS = [
-  { key: 'community', label: 'Community' },
-  { key: 'friends', label: 'Friends' },
+  { key: 'community', labelKey: 'socialFeed.feedTabs.community' },
+  { key: 'friends', labelKey: 'socialFeed.feedTabs.friends' },
 ];
 
 // Post type configuration
 const POST_TYPES = [
-  { key: 'achievement', label: 'Achievement', icon: Trophy, color: '#FFD700' },
-  { key: 'workout', label: 'Workout', icon: Dumbbell, color: '#00D4FF' },
-  { key: 'milestone', label: 'Milestone', icon: TrendingUp, color: '#BF5AF2' },
-  { key: 'progress', label: 'Progress', icon: TrendingUp, color: '#FF6B35' },
-  { key: 'meal', label: 'Meal', icon: Utensils, color: '#00E676' },
+  { key: 'achievement', labelKey: 'socialFeed.postTypes.achievement', icon: Trophy, color: '#FFD700' },
+  { key: 'workout', labelKey: 'socialFeed.postTypes.workout', icon: Dumbbell, color: '#00D4FF' },
+  { key: 'milestone', labelKey: 'socialFeed.postTypes.milestone', icon: TrendingUp, color: '#BF5AF2' },
+  { key: 'progress', labelKey: 'socialFeed.postTypes.progress', icon: TrendingUp, color: '#FF6B35' },
+  { key: 'meal', labelKey: 'socialFeed.postTypes.meal', icon: Utensils, color: '#00E676' },
 ];
 
 // Loading skeleton for posts
@@ -99,6 +101,7 @@ function SkeletonPost({ index }) {
 
 // Type selector pill for modal
 function TypePill({ type, isActive, onPress }) {
+  const { t } = useTranslation();
   const IconComponent = type.icon;
   return (
     <Pressable
@@ -115,7 +118,7 @@ function TypePill({ type, isActive, onPress }) {
           isActive && { color: type.color, fontWeight: FontWeight.semibold },
         ]}
       >
-        {type.label}
+        {t(type.labelKey)}
       </Text>
     </Pressable>
   );
@@ -167,17 +170,11 @@ function FriendActivityItem({ item, onReact }) {
 
 function getTimeAgo(dateString) {
   if (!dateString) return '';
-  const now = new Date();
-  const date = new Date(dateString);
-  const seconds = Math.floor((now - date) / 1000);
-  if (seconds < 60) return 'just now';
-  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
-  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
-  if (seconds < 604800) return `${Math.floor(seconds / 86400)}d ago`;
-  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  return formatRelativeTime(dateString);
 }
 
 export default function SocialFeedScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const { user } = useAuth();
   const {
@@ -391,12 +388,12 @@ export default function SocialFeedScreen() {
           <View style={styles.emptyIconContainer}>
             <Users size={48} color={Colors.primary} />
           </View>
-          <Text style={styles.emptyTitle}>No posts yet</Text>
+          <Text style={styles.emptyTitle}>{t('socialFeed.noPostsYet')}</Text>
           <Text style={styles.emptySubtitle}>
-            Be the first to share!
+            {t('socialFeed.beTheFirstTo')}
           </Text>
           <Text style={styles.emptyDescription}>
-            Share your workouts, achievements, and milestones with the community.
+            {t('socialFeed.shareYourWorkoutsAchievements')}
           </Text>
           <Pressable onPress={handleOpenModal} style={styles.emptyButton}>
             <LinearGradient
@@ -406,17 +403,17 @@ export default function SocialFeedScreen() {
               style={styles.emptyButtonGradient}
             >
               <Plus size={18} color={Colors.background} />
-              <Text style={styles.emptyButtonText}>Create First Post</Text>
+              <Text style={styles.emptyButtonText}>{t('socialFeed.createFirstPost')}</Text>
             </LinearGradient>
           </Pressable>
           <Pressable onPress={handleGoToFriends} style={styles.findFriendsButton}>
             <Users size={16} color={Colors.primary} />
-            <Text style={styles.findFriendsText}>Find Friends</Text>
+            <Text style={styles.findFriendsText}>{t('socialFeed.findFriends')}</Text>
           </Pressable>
         </GlassCard>
       </ReAnimated.View>
     ),
-    [handleOpenModal, handleGoToFriends]
+    [handleOpenModal, handleGoToFriends, t]
   );
 
   // Filter out posts from blocked users
@@ -451,7 +448,7 @@ export default function SocialFeedScreen() {
         </Pressable>
         <View style={styles.headerCenter}>
           <Users size={20} color={Colors.primary} />
-          <Text style={styles.headerTitle}>Community Feed</Text>
+          <Text style={styles.headerTitle}>{t('socialFeed.communityFeed')}</Text>
         </View>
         <View style={styles.headerRight} />
       </ReAnimated.View>
@@ -476,10 +473,10 @@ export default function SocialFeedScreen() {
                   end={{ x: 1, y: 0 }}
                   style={styles.feedTabGradient}
                 >
-                  <Text style={styles.feedTabTextActive}>{tab.label}</Text>
+                  <Text style={styles.feedTabTextActive}>{t(tab.labelKey)}</Text>
                 </LinearGradient>
               ) : (
-                <Text style={styles.feedTabText}>{tab.label}</Text>
+                <Text style={styles.feedTabText}>{t(tab.labelKey)}</Text>
               )}
             </Pressable>
           );
@@ -530,7 +527,7 @@ export default function SocialFeedScreen() {
           {friendActivityLoading ? (
             <View style={styles.friendsLoading}>
               <ActivityIndicator size="large" color={Colors.primary} />
-              <Text style={styles.friendsLoadingText}>Loading friend activity...</Text>
+              <Text style={styles.friendsLoadingText}>{t('socialFeed.loadingFriendActivity')}</Text>
             </View>
           ) : friendActivity.length === 0 ? (
             <ReAnimated.View
@@ -541,11 +538,11 @@ export default function SocialFeedScreen() {
                 <View style={styles.emptyIconContainer}>
                   <Users size={48} color={Colors.primary} />
                 </View>
-                <Text style={styles.emptyTitle}>No friend activity</Text>
+                <Text style={styles.emptyTitle}>{t('socialFeed.noFriendActivity')}</Text>
                 <Text style={styles.emptyDescription}>
                   {friends?.length === 0
-                    ? 'Add some friends to see their activity here!'
-                    : 'Your friends have been quiet lately. Check back soon!'}
+                    ? t('socialFeed.addSomeFriendsTo')
+                    : t('socialFeed.yourFriendsHaveBeen')}
                 </Text>
               </GlassCard>
             </ReAnimated.View>
@@ -612,14 +609,14 @@ export default function SocialFeedScreen() {
 
               {/* Modal header */}
               <View style={styles.modalHeader}>
-                <Text style={styles.modalTitle}>Create Post</Text>
+                <Text style={styles.modalTitle}>{t('socialFeed.createPost')}</Text>
                 <Pressable onPress={handleCloseModal} style={styles.modalCloseButton}>
                   <X size={20} color={Colors.textSecondary} />
                 </Pressable>
               </View>
 
               {/* Type selector */}
-              <Text style={styles.modalSectionLabel}>Post Type</Text>
+              <Text style={styles.modalSectionLabel}>{t('socialFeed.postType')}</Text>
               <View style={styles.typePillsRow}>
                 {POST_TYPES.map((type) => (
                   <TypePill
@@ -634,7 +631,7 @@ export default function SocialFeedScreen() {
               {/* Title input */}
               <TextInput
                 style={styles.titleInput}
-                placeholder="Title (optional)"
+                placeholder={t('socialFeed.titleOptional')}
                 placeholderTextColor={Colors.textMuted}
                 value={postTitle}
                 onChangeText={setPostTitle}
@@ -645,7 +642,7 @@ export default function SocialFeedScreen() {
               {/* Body textarea */}
               <TextInput
                 style={styles.bodyInput}
-                placeholder="Share your progress with the community..."
+                placeholder={t('socialFeed.shareYourProgressWith')}
                 placeholderTextColor={Colors.textMuted}
                 value={postBody}
                 onChangeText={setPostBody}
@@ -675,7 +672,7 @@ export default function SocialFeedScreen() {
                   {isSubmitting ? (
                     <ActivityIndicator size="small" color={Colors.background} />
                   ) : (
-                    <Text style={styles.submitText}>Post</Text>
+                    <Text style={styles.submitText}>{t('socialFeed.post')}</Text>
                   )}
                 </LinearGradient>
               </Pressable>
@@ -3,7 +3,8 @@
  *
  * Allows authenticated users to submit custom foods to the shared community
  * database. Includes full nutrition form with macro validation, category
- * picker, and optional barcode/brand fields.
+ * picker, and optional barcode/brand fields. A nutrition label scan can
+ * pre-fill the form, with each filled field marked by its confidence.
  */
 
 import React, { useState, useMemo, useCallback } from 'react';
@@ -36,31 +37,34 @@ import {
   Users,
   Leaf,
   Cookie,
+  Camera,
 } from 'lucide-react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import Animated, { FadeInDown, FadeIn } from 'react-native-reanimated';
+import { useTranslation } from 'react-i18next';
 import { Colors, Gradients, Spacing, FontSize, FontWeight, BorderRadius, Shadows } from '../constants/theme';
 import { useCommunityFoods } from '../hooks/useCommunityFoods';
 import { useAuth } from '../context/AuthContext';
 import { hapticSuccess, hapticLight, hapticError, hapticWarning } from '../lib/haptics';
 import ScreenErrorBoundary from '../components/ScreenErrorBoundary';
 import { submitFoodQualityReport } from '../services/foodQualityReports';
+import NutritionLabelScanner, { labelConfidenceBorder } from '../components/NutritionLabelScanner';
 
 // ============================================================================
 // CONSTANTS
 // ============================================================================
 
 const CATEGORIES = [
-  { value: 'fruits', label: 'Fruits', icon: '🍎' },
-  { value: 'vegetables', label: 'Vegetables', icon: '🥦' },
-  { value: 'grains', label: 'Grains', icon: '🌾' },
-  { value: 'dairy', label: 'Dairy', icon: '🥛' },
-  { value: 'meat', label: 'Meat', icon: '🥩' },
-  { value: 'seafood', label: 'Seafood', icon: '🐟' },
-  { value: 'beverages', label: 'Beverages', icon: '🥤' },
-  { value: 'snacks', label: 'Snacks', icon: '🍪' },
-  { value: 'prepared meals', label: 'Prepared Meals', icon: '🍱' },
-  { value: 'other', label: 'Other', icon: '🍽️' },
+  { value: 'fruits', labelKey: 'submitFood.categories.fruits', icon: '🍎' },
+  { value: 'vegetables', labelKey: 'submitFood.categories.vegetables', icon: '🥦' },
+  { value: 'grains', labelKey: 'submitFood.categories.grains', icon: '🌾' },
+  { value: 'dairy', labelKey: 'submitFood.categories.dairy', icon: '🥛' },
+  { value: 'meat', labelKey: 'submitFood.categories.meat', icon: '🥩' },
+  { value: 'seafood', labelKey: 'submitFood.categories.seafood', icon: '🐟' },
+  { value: 'beverages', labelKey: 'submitFood.categories.beverages', icon: '🥤' },
+  { value: 'snacks', labelKey: 'submitFood.categories.snacks', icon: '🍪' },
+  { value: 'prepared meals', labelKey: 'submitFood.categories.snacks62', icon: '🍱' },
+  { value: 'other', labelKey: 'submitFood.categories.other', icon: '🍽️' },
 ];
 
 const SERVING_UNITS = [
@@ -92,6 +96,7 @@ function normalizeOptionalText(value) {
 }
 
 function SubmitFoodScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const params = useLocalSearchParams();
   const { user } = useAuth();
@@ -115,6 +120,8 @@ function SubmitFoodScreen() {
   const [sugar, setSugar] = useState('');
   const [sodium, setSodium] = useState('');
   const [category, setCategory] = useState('other');
+  const [showLabelScanner, setShowLabelScanner] = useState(false);
+  const [fieldConfidence, setFieldConfidence] = useState({});
 
   // UI state
   const [showCategoryPicker, setShowCategoryPicker] = useState(false);
@@ -169,21 +176,58 @@ function SubmitFoodScreen() {
     []
   );
 
+  // Pre-fill from a nutrition label scan; the barcode from params is kept
+  const handleLabelScanned = useCallback((scan) => {
+    setShowLabelScanner(false);
+
+    const toText = (value) => (value === undefined ? '' : String(value));
+    const confidence = { ...scan.confidence };
+    if (scan.name && !name.trim()) setName(scan.name);
+    if (scan.servingGrams) {
+      setServingSize(String(scan.servingGrams));
+      setServingUnit('g');
+    } else {
+      delete confidence.serving;
+    }
+    setCalories(toText(scan.calories));
+    setProtein(toText(scan.protein));
+    setCarbs(toText(scan.carbs));
+    setFat(toText(scan.fat));
+    setFiber(toText(scan.micronutrients?.fiber));
+    setSugar(toText(scan.micronutrients?.sugar));
+    setSodium(toText(scan.micronutrients?.sodium));
+    setFieldConfidence(confidence);
+    hapticSuccess();
+  }, [name]);
+
+  // Wrap a setter so editing a scanned field marks it as reviewed
+  const editField = useCallback((field, setter) => (value) => {
+    setter(value);
+    setFieldConfidence((prev) => {
+      if (!prev[field]) return prev;
+      const next = { ...prev };
+      delete next[field];
+      return next;
+    });
+  }, []);
+
+  const reviewCount = Object.values(fieldConfidence).filter((level) => level === 'low').length;
+
   const handleSubmit = useCallback(async () => {
     // Basic validation
     if (!name.trim()) {
       hapticError();
-      Alert.alert('Missing Name', 'Please enter a name for this food.');
+      Alert.alert(t('submitFood.missingName'), t('createFood.pleaseEnterAName'));
       return;
     }
     if (!calories || parseInt(calories) <= 0) {
       hapticError();
-      Alert.alert('Missing Calories', 'Please enter the calorie count.');
+      Alert.alert(t('submitFood.missingCalories'), t('createFood.pleaseEnterTheCalorie'));
       return;
     }
     if (!servingSize || parseFloat(servingSize) <= 0) {
       hapticError();
-      Alert.alert('Invalid Serving', 'Please enter a valid serving size.');
+      Alert.alert(t('submitFood.invalidServing'), t('submitFood.pleaseEnterAValid'));
       return;
     }
 
@@ -192,11 +236,11 @@ function SubmitFoodScreen() {
       hapticWarning();
       const proceed = await new Promise((resolve) => {
         Alert.alert(
-          'Calorie Mismatch',
-          `The entered calories (${enteredCalories}) differ significantly from the macro calculation (${calculatedCalories} kcal).\n\nProtein*4 + Carbs*4 + Fat*9 = ${calculatedCalories}\n\nSubmit anyway?`,
+          t('submitFood.calorieMismatch'),
+          t('submitFood.calorieMismatchMessage', { enteredCalories, calculatedCalories }),
           [
-            { text: 'Fix', onPress: () => resolve(false) },
-            { text: 'Submit Anyway', onPress: () => resolve(true), style: 'default' },
+            { text: t('submitFood.fix'), onPress: () => resolve(false) },
+            { text: t('submitFood.submitAnyway'), onPress: () => resolve(true), style: 'default' },
           ]
         );
       });
@@ -244,8 +288,8 @@ function SubmitFoodScreen() {
 
       hapticError();
       Alert.alert(
-        'Correction Failed',
-        'Could not record this correction. Please try again.'
+        t('submitFood.correctionFailed'),
+        t('submitFood.couldNotRecordThis')
       );
       return;
     }
@@ -277,14 +321,15 @@ function SubmitFoodScreen() {
 
     hapticError();
     Alert.alert(
-      'Submission Failed',
-      hookError || 'Something went wrong. Please try again.'
+      t('submitFood.submissionFailed'),
+      hookError || t('submitFood.somethingWentWrongPlease')
     );
   }, [
     name, brand, barcode, calories, protein, carbs, fat, fiber, sugar, sodium,
     servingSize, servingUnit, category, hasCalorieMismatch, enteredCalories,
     calculatedCalories, isReportMode, submitFood, hookError, router, source,
     sourceLabel, user?.id,
+    t,
   ]);
 
   // ---- Success state ----
@@ -300,19 +345,19 @@ function SubmitFoodScreen() {
               <Check size={40} color={Colors.background} />
             </LinearGradient>
             <Text style={styles.successTitle}>
-              {isReportMode ? 'Correction Recorded' : 'Food Submitted!'}
+              {isReportMode ? t('submitFood.correctionRecorded') : t('submitFood.foodSubmitted')}
             </Text>
             <Text style={styles.successSubtitle}>
               {isReportMode
                 ? reportQueued
-                  ? 'Your correction was recorded for review. Thanks for flagging it.'
-                  : 'Your correction was sent for review. Thanks for improving nutrition quality.'
-                : 'Your food is pending review. You earned XP for contributing!'}
+                  ? t('submitFood.yourCorrectionWasRecorded')
+                  : t('submitFood.yourCorrectionWasSent')
+                : t('submitFood.yourFoodIsPending')}
             </Text>
             {!isReportMode && (
               <View style={styles.xpBadge}>
                 <Sparkles size={16} color={Colors.gold} />
-                <Text style={styles.xpBadgeText}>+15 XP</Text>
+                <Text style={styles.xpBadgeText}>{t('submitFood.n15Xp')}</Text>
               </View>
             )}
           </Animated.View>
@@ -336,13 +381,13 @@ function SubmitFoodScreen() {
             onPress={() => router.back()}
             hitSlop={8}
             accessibilityRole="button"
-            accessibilityLabel="Go back"
+            accessibilityLabel={t('submitFood.goBack')}
           >
             <ArrowLeft size={24} color={Colors.text} />
           </Pressable>
           <View style={styles.headerCenter}>
             <Users size={18} color={Colors.primary} />
-            <Text style={styles.headerTitle}>{isReportMode ? 'Correct Food' : 'Submit Food'}</Text>
+            <Text style={styles.headerTitle}>{isReportMode ? t('submitFood.correctFood') : t('submitFood.submitFood')}</Text>
           </View>
           <View style={styles.headerButton} />
         </View>
@@ -360,24 +405,48 @@ function SubmitFoodScreen() {
               <Text style={styles.infoBannerText}>
                 {isReportMode
                   ? `Submit a corrected version of this ${qualityLabel ? `${qualityLabel.toLowerCase()} ` : ''}entry from ${sourceLabel}. Corrections are reviewed before they appear in the community database.`
-                  : 'Contribute to the community food database. Submitted foods are reviewed and can be used by all users.'}
+                  : t('submitFood.contributeToTheCommunity')}
               </Text>
             </View>
           </Animated.View>
 
+          {/* Nutrition label scan */}
+          <Animated.View entering={FadeInDown.delay(75).duration(400)}>
+            <Pressable
+              style={styles.scanLabelButton}
+              onPress={() => {
+                hapticLight();
+                setShowLabelScanner(true);
+              }}
+              accessibilityRole="button"
+              accessibilityLabel={t('submitFood.scanNutritionLabel')}
+            >
+              <Camera size={18} color={Colors.primary} />
+              <Text style={styles.scanLabelText}>{t('submitFood.scanNutritionLabel')}</Text>
+            </Pressable>
+            {reviewCount > 0 && (
+              <View style={styles.reviewNotice}>
+                <AlertTriangle size={14} color={Colors.error} />
+                <Text style={styles.reviewNoticeText}>
+                  {t('submitFood.checkHighlightedFields', { count: reviewCount })}
+                </Text>
+              </View>
+            )}
+          </Animated.View>
+
           {/* Food Name */}
           <Animated.View entering={FadeInDown.delay(100).duration(400)}>
-            <Text style={styles.sectionLabel}>Food Name *</Text>
+            <Text style={styles.sectionLabel}>{t('submitFood.foodName')}</Text>
             <View style={styles.glassInput}>
               <TextInput
                 style={styles.textInput}
-                placeholder="e.g. Greek Yogurt with Honey"
+                placeholder={t('submitFood.eGGreekYogurt')}
                 placeholderTextColor={Colors.textTertiary}
                 value={name}
                 onChangeText={setName}
                 returnKeyType="next"
                 maxLength={200}
-                accessibilityLabel="Food name"
+                accessibilityLabel={t('submitFood.foodName2')}
               />
             </View>
           </Animated.View>
@@ -386,42 +455,42 @@ function SubmitFoodScreen() {
           <Animated.View entering={FadeInDown.delay(150).duration(400)}>
             <View style={styles.rowFields}>
               <View style={styles.rowFieldHalf}>
-                <Text style={styles.sectionLabel}>Brand</Text>
+                <Text style={styles.sectionLabel}>{t('submitFood.brand')}</Text>
                 <View style={styles.glassInput}>
                   <TextInput
                     style={styles.textInput}
-                    placeholder="Optional"
+                    placeholder={t('submitFood.optional')}
                     placeholderTextColor={Colors.textTertiary}
                     value={brand}
                     onChangeText={setBrand}
                     returnKeyType="next"
                     maxLength={100}
-                    accessibilityLabel="Brand name"
+                    accessibilityLabel={t('submitFood.brandName')}
                   />
                 </View>
               </View>
               <View style={styles.rowFieldHalf}>
-                <Text style={styles.sectionLabel}>Barcode</Text>
+                <Text style={styles.sectionLabel}>{t('submitFood.barcode')}</Text>
                 <View style={[styles.glassInput, styles.barcodeInputRow]}>
                   <TextInput
                     style={[styles.textInput, styles.barcodeTextInput]}
-                    placeholder="Optional"
+                    placeholder={t('submitFood.optional')}
                     placeholderTextColor={Colors.textTertiary}
                     value={barcode}
                     onChangeText={setBarcode}
                     returnKeyType="next"
                     keyboardType="numeric"
                     maxLength={50}
-                    accessibilityLabel="Barcode number"
+                    accessibilityLabel={t('submitFood.barcodeNumber')}
                   />
                   <Pressable
                     style={styles.barcodeScanButton}
                     hitSlop={4}
                     accessibilityRole="button"
-                    accessibilityLabel="Scan barcode"
+                    accessibilityLabel={t('submitFood.scanBarcode')}
                     onPress={() => {
                       hapticLight();
-                      Alert.alert('Scanner', 'Barcode scanner coming soon!');
+                      Alert.alert(t('submitFood.scanner'), t('submitFood.barcodeScannerComingSoon'));
                     }}
                   >
                     <ScanBarcode size={18} color={Colors.primary} />
@@ -435,23 +504,23 @@ function SubmitFoodScreen() {
           <Animated.View entering={FadeInDown.delay(200).duration(400)}>
             <View style={styles.rowFields}>
               <View style={styles.rowFieldHalf}>
-                <Text style={styles.sectionLabel}>Serving Size *</Text>
-                <View style={styles.glassInput}>
+                <Text style={styles.sectionLabel}>{t('submitFood.servingSize')}</Text>
+                <View style={[styles.glassInput, labelConfidenceBorder(fieldConfidence.serving)]}>
                   <TextInput
                     style={styles.textInput}
                     placeholder="1"
                     placeholderTextColor={Colors.textTertiary}
                     value={servingSize}
-                    onChangeText={setServingSize}
+                    onChangeText={editField('serving', setServingSize)}
                     keyboardType="decimal-pad"
                     returnKeyType="next"
                     maxLength={8}
-                    accessibilityLabel="Serving size"
+                    accessibilityLabel={t('submitFood.servingSize2')}
                   />
                 </View>
               </View>
               <View style={styles.rowFieldHalf}>
-                <Text style={styles.sectionLabel}>Unit</Text>
+                <Text style={styles.sectionLabel}>{t('submitFood.unit')}</Text>
                 <Pressable
                   style={styles.pickerButton}
                   onPress={() => {
@@ -459,7 +528,7 @@ function SubmitFoodScreen() {
                     setShowUnitPicker(true);
                   }}
                   accessibilityRole="button"
-                  accessibilityLabel={`Serving unit: ${servingUnit}`}
+                  accessibilityLabel={t('submitFood.servingUnit', { servingUnit })}
                 >
                   <Text style={styles.pickerButtonText}>{servingUnit}</Text>
                   <ChevronDown size={16} color={Colors.textSecondary} />
@@ -470,7 +539,7 @@ function SubmitFoodScreen() {
 
           {!isReportMode && (
             <Animated.View entering={FadeInDown.delay(250).duration(400)}>
-              <Text style={styles.sectionLabel}>Category</Text>
+              <Text style={styles.sectionLabel}>{t('submitFood.category')}</Text>
               <Pressable
                 style={styles.pickerButton}
                 onPress={() => {
@@ -478,10 +547,10 @@ function SubmitFoodScreen() {
                   setShowCategoryPicker(true);
                 }}
                 accessibilityRole="button"
-                accessibilityLabel={`Category: ${selectedCategory.label}`}
+                accessibilityLabel={t('submitFood.category2', { label: t(selectedCategory.labelKey) })}
               >
                 <Text style={styles.categoryIcon}>{selectedCategory.icon}</Text>
-                <Text style={styles.pickerButtonText}>{selectedCategory.label}</Text>
+                <Text style={styles.pickerButtonText}>{t(selectedCategory.labelKey)}</Text>
                 <ChevronDown size={16} color={Colors.textSecondary} />
               </Pressable>
             </Animated.View>
@@ -489,84 +558,84 @@ function SubmitFoodScreen() {
 
           {/* Nutrition Inputs - Main macros */}
           <Animated.View entering={FadeInDown.delay(300).duration(400)}>
-            <Text style={styles.sectionLabel}>Nutrition (per serving) *</Text>
+            <Text style={styles.sectionLabel}>{t('submitFood.nutritionPerServing')}</Text>
             <View style={styles.nutritionGrid}>
               {/* Calories */}
-              <View style={styles.nutritionCard}>
+              <View style={[styles.nutritionCard, labelConfidenceBorder(fieldConfidence.calories)]}>
                 <View style={styles.nutritionHeader}>
                   <Flame size={16} color={Colors.primary} />
-                  <Text style={styles.nutritionLabel}>Calories</Text>
+                  <Text style={styles.nutritionLabel}>{t('food.calories')}</Text>
                 </View>
                 <TextInput
                   style={styles.nutritionInput}
                   placeholder="0"
                   placeholderTextColor={Colors.textTertiary}
                   value={calories}
-                  onChangeText={setCalories}
+                  onChangeText={editField('calories', setCalories)}
                   keyboardType="numeric"
                   returnKeyType="next"
                   maxLength={5}
-                  accessibilityLabel="Calories"
+                  accessibilityLabel={t('food.calories')}
                 />
-                <Text style={styles.nutritionUnit}>kcal</Text>
+                <Text style={styles.nutritionUnit}>{t('units.kcal')}</Text>
               </View>
 
               {/* Protein */}
-              <View style={styles.nutritionCard}>
+              <View style={[styles.nutritionCard, labelConfidenceBorder(fieldConfidence.protein)]}>
                 <View style={styles.nutritionHeader}>
                   <Beef size={16} color={Colors.protein} />
-                  <Text style={styles.nutritionLabel}>Protein</Text>
+                  <Text style={styles.nutritionLabel}>{t('food.protein')}</Text>
                 </View>
                 <TextInput
                   style={styles.nutritionInput}
                   placeholder="0"
                   placeholderTextColor={Colors.textTertiary}
                   value={protein}
-                  onChangeText={setProtein}
+                  onChangeText={editField('protein', setProtein)}
                   keyboardType="decimal-pad"
                   returnKeyType="next"
                   maxLength={6}
-                  accessibilityLabel="Protein in grams"
+                  accessibilityLabel={t('submitFood.proteinInGrams')}
                 />
                 <Text style={styles.nutritionUnit}>g</Text>
               </View>
 
               {/* Carbs */}
-              <View style={styles.nutritionCard}>
+              <View style={[styles.nutritionCard, labelConfidenceBorder(fieldConfidence.carbs)]}>
                 <View style={styles.nutritionHeader}>
                   <Wheat size={16} color={Colors.carbs} />
-                  <Text style={styles.nutritionLabel}>Carbs</Text>
+                  <Text style={styles.nutritionLabel}>{t('food.carbs')}</Text>
                 </View>
                 <TextInput
                   style={styles.nutritionInput}
                   placeholder="0"
                   placeholderTextColor={Colors.textTertiary}
                   value={carbs}
-                  onChangeText={setCarbs}
+                  onChangeText={editField('carbs', setCarbs)}
                   keyboardType="decimal-pad"
                   returnKeyType="next"
                   maxLength={6}
-                  accessibilityLabel="Carbohydrates in grams"
+                  accessibilityLabel={t('submitFood.carbohydratesInGrams')}
                 />
                 <Text style={styles.nutritionUnit}>g</Text>
               </View>
 
               {/* Fat */}
-              <View style={styles.nutritionCard}>
+              <View style={[styles.nutritionCard, labelConfidenceBorder(fieldConfidence.fat)]}>
                 <View style={styles.nutritionHeader}>
                   <Droplets size={16} color={Colors.fat} />
-                  <Text style={styles.nutritionLabel}>Fat</Text>
+                  <Text style={styles.nutritionLabel}>{t('food.fat')}</Text>
                 </View>
                 <TextInput
                   style={styles.nutritionInput}
                   placeholder="0"
                   placeholderTextColor={Colors.textTertiary}
                   value={fat}
-                  onChangeText={setFat}
+                  onChangeText={editField('fat', setFat)}
                   keyboardType="decimal-pad"
                   returnKeyType="next"
                   maxLength={6}
-                  accessibilityLabel="Fat in grams"
+                  accessibilityLabel={t('submitFood.fatInGrams')}
                 />
                 <Text style={styles.nutritionUnit}>g</Text>
               </View>
@@ -578,7 +647,7 @@ function SubmitFoodScreen() {
             <Animated.View entering={FadeInDown.duration(300)} style={styles.validationContainer}>
               <View style={styles.validationRow}>
                 <View style={styles.validationBarGroup}>
-                  <Text style={styles.validationBarLabel}>Entered</Text>
+                  <Text style={styles.validationBarLabel}>{t('submitFood.entered')}</Text>
                   <View style={styles.validationBarTrack}>
                     <View
                       style={[
@@ -593,7 +662,7 @@ function SubmitFoodScreen() {
                   <Text style={styles.validationBarValue}>{enteredCalories}</Text>
                 </View>
                 <View style={styles.validationBarGroup}>
-                  <Text style={styles.validationBarLabel}>From macros</Text>
+                  <Text style={styles.validationBarLabel}>{t('submitFood.fromMacros')}</Text>
                   <View style={styles.validationBarTrack}>
                     <View
                       style={[
@@ -612,7 +681,7 @@ function SubmitFoodScreen() {
                 <View style={styles.validationWarning}>
                   <AlertTriangle size={14} color={Colors.warning} />
                   <Text style={styles.validationWarningText}>
-                    Calories differ by more than 20% from macros (P*4 + C*4 + F*9)
+                    {t('submitFood.caloriesDifferByMore')}
                   </Text>
                 </View>
               )}
@@ -621,23 +690,23 @@ function SubmitFoodScreen() {
 
           {!isReportMode && (
             <Animated.View entering={FadeInDown.delay(350).duration(400)}>
-              <Text style={styles.sectionLabel}>Additional Nutrition</Text>
+              <Text style={styles.sectionLabel}>{t('submitFood.additionalNutrition')}</Text>
               <View style={styles.additionalNutritionRow}>
                 <View style={styles.additionalField}>
                   <View style={styles.additionalFieldHeader}>
                     <Leaf size={14} color={Colors.success} />
-                    <Text style={styles.additionalFieldLabel}>Fiber</Text>
+                    <Text style={styles.additionalFieldLabel}>{t('food.fiber')}</Text>
                   </View>
-                  <View style={styles.additionalFieldInputWrap}>
+                  <View style={[styles.additionalFieldInputWrap, labelConfidenceBorder(fieldConfidence.fiber)]}>
                     <TextInput
                       style={styles.additionalFieldInput}
                       placeholder="0"
                       placeholderTextColor={Colors.textTertiary}
                       value={fiber}
-                      onChangeText={setFiber}
+                      onChangeText={editField('fiber', setFiber)}
                       keyboardType="decimal-pad"
                       maxLength={5}
-                      accessibilityLabel="Fiber in grams"
+                      accessibilityLabel={t('submitFood.fiberInGrams')}
                     />
                     <Text style={styles.additionalFieldUnit}>g</Text>
                   </View>
@@ -646,18 +715,18 @@ function SubmitFoodScreen() {
                 <View style={styles.additionalField}>
                   <View style={styles.additionalFieldHeader}>
                     <Cookie size={14} color={Colors.warning} />
-                    <Text style={styles.additionalFieldLabel}>Sugar</Text>
+                    <Text style={styles.additionalFieldLabel}>{t('food.sugar')}</Text>
                   </View>
-                  <View style={styles.additionalFieldInputWrap}>
+                  <View style={[styles.additionalFieldInputWrap, labelConfidenceBorder(fieldConfidence.sugar)]}>
                     <TextInput
                       style={styles.additionalFieldInput}
                       placeholder="0"
                       placeholderTextColor={Colors.textTertiary}
                       value={sugar}
-                      onChangeText={setSugar}
+                      onChangeText={editField('sugar', setSugar)}
                       keyboardType="decimal-pad"
                       maxLength={5}
-                      accessibilityLabel="Sugar in grams"
+                      accessibilityLabel={t('submitFood.sugarInGrams')}
                     />
                     <Text style={styles.additionalFieldUnit}>g</Text>
                   </View>
@@ -666,20 +735,20 @@ function SubmitFoodScreen() {
                 <View style={styles.additionalField}>
                   <View style={styles.additionalFieldHeader}>
                     <Droplets size={14} color={Colors.textSecondary} />
-                    <Text style={styles.additionalFieldLabel}>Sodium</Text>
+                    <Text style={styles.additionalFieldLabel}>{t('food.sodium')}</Text>
                   </View>
-                  <View style={styles.additionalFieldInputWrap}>
+                  <View style={[styles.additionalFieldInputWrap, labelConfidenceBorder(fieldConfidence.sodium)]}>
                     <TextInput
                       style={styles.additionalFieldInput}
                       placeholder="0"
                       placeholderTextColor={Colors.textTertiary}
                       value={sodium}
-                      onChangeText={setSodium}
+                      onChangeText={editField('sodium', setSodium)}
                       keyboardType="decimal-pad"
                       maxLength={6}
-                      accessibilityLabel="Sodium in milligrams"
+                      accessibilityLabel={t('submitFood.sodiumInMilligrams')}
                     />
-                    <Text style={styles.additionalFieldUnit}>mg</Text>
+                    <Text style={styles.additionalFieldUnit}>{t('units.mg')}</Text>
                   </View>
                 </View>
               </View>
@@ -692,7 +761,7 @@ function SubmitFoodScreen() {
               onPress={handleSubmit}
               disabled={isBusy}
               accessibilityRole="button"
-              accessibilityLabel={isReportMode ? 'Submit nutrition correction' : 'Submit food to community'}
+              accessibilityLabel={isReportMode ? t('submitFood.submitNutritionCorrection') : t('submitFood.submitFoodToCommunity')}
               accessibilityState={{ disabled: isBusy }}
             >
               <LinearGradient
@@ -711,7 +780,7 @@ function SubmitFoodScreen() {
                       <Users size={20} color={Colors.background} />
                     )}
                     <Text style={styles.submitButtonText}>
-                      {isReportMode ? 'Send Correction' : 'Submit to Community'}
+                      {isReportMode ? t('submitFood.sendCorrection') : t('submitFood.submitToCommunity')}
                     </Text>
                   </>
                 )}
@@ -719,8 +788,8 @@ function SubmitFoodScreen() {
             </Pressable>
             <Text style={styles.submitDisclaimer}>
               {isReportMode
-                ? 'Corrections are reviewed before they are used to improve shared nutrition data.'
-                : 'Submissions are reviewed before appearing in the public database. You\'ll earn XP when your food is approved.'}
+                ? t('submitFood.correctionsAreReviewedBefore')
+                : t('submitFood.submissionsAreReviewedBefore')}
             </Text>
           </Animated.View>
 
@@ -729,6 +798,12 @@ function SubmitFoodScreen() {
         </ScrollView>
       </KeyboardAvoidingView>
 
+      <NutritionLabelScanner
+        visible={showLabelScanner}
+        onClose={() => setShowLabelScanner(false)}
+        onScanned={handleLabelScanned}
+      />
+
       {/* Category Picker Modal */}
       <Modal
         visible={showCategoryPicker}
@@ -741,7 +816,7 @@ function SubmitFoodScreen() {
           onPress={() => setShowCategoryPicker(false)}
         >
           <View style={styles.modalContent}>
-            <Text style={styles.modalTitle}>Select Category</Text>
+            <Text style={styles.modalTitle}>{t('submitFood.selectCategory')}</Text>
             <ScrollView style={styles.modalScroll} showsVerticalScrollIndicator={false}>
               {CATEGORIES.map((cat) => (
                 <Pressable
@@ -759,7 +834,7 @@ function SubmitFoodScreen() {
                       category === cat.value && styles.modalOptionTextSelected,
                     ]}
                   >
-                    {cat.label}
+                    {t(cat.labelKey)}
                   </Text>
                   {category === cat.value && (
                     <Check size={18} color={Colors.primary} />
@@ -783,7 +858,7 @@ function SubmitFoodScreen() {
           onPress={() => setShowUnitPicker(false)}
         >
           <View style={styles.modalContent}>
-            <Text style={styles.modalTitle}>Select Unit</Text>
+            <Text style={styles.modalTitle}>{t('submitFood.selectUnit')}</Text>
             <ScrollView style={styles.modalScroll} showsVerticalScrollIndicator={false}>
               {SERVING_UNITS.map((unit) => (
                 <Pressable
@@ -859,6 +934,36 @@ const styles = StyleSheet.create({
     color: Colors.text,
   },
 
+  // Label scan
+  scanLabelButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: Spacing.sm,
+    paddingVertical: Spacing.sm + 2,
+    marginTop: Spacing.md,
+    borderRadius: BorderRadius.md,
+    borderWidth: 1,
+    borderColor: Colors.primary + '40',
+    backgroundColor: Colors.primarySoft,
+  },
+  scanLabelText: {
+    fontSize: FontSize.sm,
+    fontWeight: FontWeight.semibold,
+    color: Colors.primaryText,
+  },
+  reviewNotice: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.xs,
+    marginTop: Spacing.sm,
+  },
+  reviewNoticeText: {
+    flex: 1,
+    fontSize: FontSize.xs,
+    color: Colors.textSecondary,
+  },
+
   // Info banner
   infoBanner: {
     flexDirection: 'row',
@@ -27,6 +27,7 @@ import {
   Clock,
   TrendingUp,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import {
   Colors,
@@ -56,12 +57,13 @@ const COLOR_OPTIONS = [
 ];
 
 const FREQUENCY_OPTIONS = [
-  { value: 'daily', label: 'Daily' },
-  { value: 'weekly', label: 'Weekly' },
+  { value: 'daily', labelKey: 'supplements.frequencyDaily' },
+  { value: 'weekly', labelKey: 'supplements.frequencyWeekly' },
 ];
 
 // Supplement Card Component
 function SupplementCard({ supplement, isTaken, takenAt, onToggle, onEdit, onDelete, index }) {
+  const { t } = useTranslation();
   const handleToggle = async () => {
     if (!isTaken) {
       await hapticSuccess();
@@ -74,12 +76,12 @@ function SupplementCard({ supplement, isTaken, takenAt, onToggle, onEdit, onDele
   const handleLongPress = () => {
     Alert.alert(
       supplement.name,
-      'What would you like to do?',
+      t('supplements.whatWouldYouLike'),
       [
-        { text: 'Cancel', style: 'cancel' },
-        { text: 'Edit', onPress: () => onEdit(supplement) },
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: t('common.edit'), onPress: () => onEdit(supplement) },
         {
-          text: 'Delete',
+          text: t('common.delete'),
           style: 'destructive',
           onPress: () => onDelete(supplement.id),
         },
@@ -142,7 +144,7 @@ function SupplementCard({ supplement, isTaken, takenAt, onToggle, onEdit, onDele
             {isTaken ? (
               <View style={styles.takenBadge}>
                 <Check size={12} color={Colors.success} />
-                <Text style={styles.takenText}>Done</Text>
+                <Text style={styles.takenText}>{t('common.done')}</Text>
               </View>
             ) : (
               timeLabel ? (
@@ -161,6 +163,7 @@ function SupplementCard({ supplement, isTaken, takenAt, onToggle, onEdit, onDele
 
 // Progress Bar Component
 function ProgressBar({ taken, total }) {
+  const { t } = useTranslation();
   const percentage = total > 0 ? (taken / total) * 100 : 0;
 
   return (
@@ -172,7 +175,7 @@ function ProgressBar({ taken, total }) {
         <View style={styles.progressHeader}>
           <View style={styles.progressTitleRow}>
             <Pill size={18} color={Colors.success} />
-            <Text style={styles.progressTitle}>Today's Progress</Text>
+            <Text style={styles.progressTitle}>{t('supplements.todaysProgress')}</Text>
           </View>
           <Text style={styles.progressCount}>
             {taken}/{total}
@@ -187,7 +190,7 @@ function ProgressBar({ taken, total }) {
           />
         </View>
         <Text style={styles.progressPercentage}>
-          {Math.round(percentage)}% complete
+          {t('supplements.percentComplete', { percent: Math.round(percentage) })}
         </Text>
       </LinearGradient>
     </ReAnimated.View>
@@ -196,6 +199,7 @@ function ProgressBar({ taken, total }) {
 
 // Compliance Card Component
 function ComplianceCard({ rate }) {
+  const { t } = useTranslation();
   const getComplianceColor = () => {
     if (rate >= 80) return Colors.success;
     if (rate >= 50) return Colors.warning;
@@ -212,13 +216,13 @@ function ComplianceCard({ rate }) {
       >
         <View style={styles.complianceHeader}>
           <TrendingUp size={18} color={complianceColor} />
-          <Text style={styles.complianceTitle}>Adherence</Text>
+          <Text style={styles.complianceTitle}>{t('supplements.adherence')}</Text>
         </View>
         <View style={styles.complianceContent}>
           <Text style={[styles.complianceRate, { color: complianceColor }]}>
             {rate}%
           </Text>
-          <Text style={styles.complianceLabel}>Today's Compliance</Text>
+          <Text style={styles.complianceLabel}>{t('supplements.todaysCompliance')}</Text>
         </View>
       </LinearGradient>
     </ReAnimated.View>
@@ -227,6 +231,7 @@ function ComplianceCard({ rate }) {
 
 // Add/Edit Modal
 function SupplementModal({ visible, onClose, onSave, editingSupplement }) {
+  const { t } = useTranslation();
   const [name, setName] = useState('');
   const [emoji, setEmoji] = useState('\uD83D\uDC8A');
   const [dosage, setDosage] = useState('');
@@ -265,7 +270,7 @@ function SupplementModal({ visible, onClose, onSave, editingSupplement }) {
 
   const handleSave = async () => {
     if (!name.trim()) {
-      Alert.alert('Missing Name', 'Please enter a supplement name.');
+      Alert.alert(t('supplements.missingName'), t('supplements.pleaseEnterASupplement'));
       return;
     }
     await hapticSuccess();
@@ -302,7 +307,7 @@ function SupplementModal({ visible, onClose, onSave, editingSupplement }) {
               {/* Modal Header */}
               <View style={styles.modalHeader}>
                 <Text style={styles.modalTitle}>
-                  {editingSupplement ? 'Edit Supplement' : 'Add Supplement'}
+                  {editingSupplement ? t('supplements.editSupplement') : t('supplements.addSupplement')}
                 </Text>
                 <Pressable onPress={onClose} style={styles.modalCloseButton}>
                   <X size={22} color={Colors.textSecondary} />
@@ -316,20 +321,20 @@ function SupplementModal({ visible, onClose, onSave, editingSupplement }) {
                 keyboardShouldPersistTaps="handled"
               >
                 {/* Name Input */}
-                <Text style={styles.fieldLabel}>Name</Text>
+                <Text style={styles.fieldLabel}>{t('supplements.name')}</Text>
                 <View style={styles.textInputContainer}>
                   <TextInput
                     style={styles.textInput}
                     value={name}
                     onChangeText={setName}
-                    placeholder="e.g. Vitamin D"
+                    placeholder={t('supplements.eGVitaminD')}
                     placeholderTextColor={Colors.textTertiary}
                     maxLength={30}
                   />
                 </View>
 
                 {/* Emoji Picker */}
-                <Text style={styles.fieldLabel}>Icon</Text>
+                <Text style={styles.fieldLabel}>{t('supplements.icon')}</Text>
                 <View style={styles.emojiGrid}>
                   {EMOJI_OPTIONS.map((e, i) => (
                     <Pressable
@@ -349,14 +354,14 @@ function SupplementModal({ visible, onClose, onSave, editingSupplement }) {
                 </View>
 
                 {/* Dosage & Unit Row */}
-                <Text style={styles.fieldLabel}>Dosage</Text>
+                <Text style={styles.fieldLabel}>{t('supplements.dosage')}</Text>
                 <View style={styles.dosageRow}>
                   <View style={[styles.textInputContainer, { flex: 1 }]}>
                     <TextInput
                       style={styles.textInput}
                       value={dosage}
                       onChangeText={setDosage}
-                      placeholder="Amount"
+                      placeholder={t('supplements.amount')}
                       placeholderTextColor={Colors.textTertiary}
                       keyboardType="decimal-pad"
                     />
@@ -406,7 +411,7 @@ function SupplementModal({ visible, onClose, onSave, editingSupplement }) {
                 )}
 
                 {/* Frequency */}
-                <Text style={styles.fieldLabel}>Frequency</Text>
+                <Text style={styles.fieldLabel}>{t('supplements.frequency')}</Text>
                 <View style={styles.frequencyRow}>
                   {FREQUENCY_OPTIONS.map((opt) => (
                     <Pressable
@@ -426,14 +431,14 @@ function SupplementModal({ visible, onClose, onSave, editingSupplement }) {
                           frequency === opt.value && styles.frequencyOptionTextSelected,
                         ]}
                       >
-                        {opt.label}
+                        {t(opt.labelKey)}
                       </Text>
                     </Pressable>
                   ))}
                 </View>
 
                 {/* Reminder Time */}
-                <Text style={styles.fieldLabel}>Reminder Time</Text>
+                <Text style={styles.fieldLabel}>{t('supplements.reminderTime')}</Text>
                 <View style={styles.textInputContainer}>
                   <Clock size={16} color={Colors.textTertiary} style={{ marginRight: 8 }} />
                   <TextInput
@@ -446,7 +451,7 @@ function SupplementModal({ visible, onClose, onSave, editingSupplement }) {
                 </View>
 
                 {/* Color Picker */}
-                <Text style={styles.fieldLabel}>Accent Color</Text>
+                <Text style={styles.fieldLabel}>{t('supplements.accentColor')}</Text>
                 <View style={styles.colorGrid}>
                   {COLOR_OPTIONS.map((c) => (
                     <Pressable
@@ -479,7 +484,7 @@ function SupplementModal({ visible, onClose, onSave, editingSupplement }) {
                 >
                   <Check size={20} color={Colors.background} />
                   <Text style={styles.saveButtonText}>
-                    {editingSupplement ? 'Save Changes' : 'Add Supplement'}
+                    {editingSupplement ? t('supplements.saveChanges') : t('supplements.addSupplement')}
                   </Text>
                 </LinearGradient>
               </Pressable>
@@ -493,6 +498,7 @@ function SupplementModal({ visible, onClose, onSave, editingSupplement }) {
 
 // Main Supplements Screen
 export default function SupplementsScreen() {
+  const { t } = useTranslation();
   const {
     supplements,
     todayLog,
@@ -527,19 +533,19 @@ export default function SupplementsScreen() {
     async (id) => {
       await hapticWarning();
       Alert.alert(
-        'Remove Supplement',
-        'Are you sure you want to remove this supplement?',
+        t('supplements.removeSupplement'),
+        t('supplements.areYouSureYou'),
         [
-          { text: 'Cancel', style: 'cancel' },
+          { text: t('common.cancel'), style: 'cancel' },
           {
-            text: 'Remove',
+            text: t('common.remove'),
             style: 'destructive',
             onPress: () => removeSupplement(id),
           },
         ]
       );
     },
-    [removeSupplement]
+    [removeSupplement, t]
   );
 
   const handleSave = useCallback(
@@ -550,13 +556,13 @@ export default function SupplementsScreen() {
         const success = await addSupplement(data);
         if (!success) {
           Alert.alert(
-            'Limit Reached',
-            `You can track up to ${20} supplements. Remove one to add more.`
+            t('supplements.limitReached'),
+            t('supplements.limitReachedMessage', { max: 20 })
           );
         }
       }
     },
-    [editingSupplement, editSupplement, addSupplement]
+    [editingSupplement, editSupplement, addSupplement, t]
   );
 
   const handleCloseModal = useCallback(() => {
@@ -569,7 +575,7 @@ export default function SupplementsScreen() {
       <ScreenWrapper>
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color={Colors.primary} />
-          <Text style={styles.loadingText}>Loading supplements...</Text>
+          <Text style={styles.loadingText}>{t('supplements.loadingSupplements')}</Text>
         </View>
       </ScreenWrapper>
     );
@@ -597,7 +603,7 @@ export default function SupplementsScreen() {
             <ArrowLeft size={22} color={Colors.text} />
           </Pressable>
           <Pill size={22} color={Colors.primary} />
-          <Text style={styles.title}>Supplements</Text>
+          <Text style={styles.title}>{t('supplements.supplements')}</Text>
         </ReAnimated.View>
 
         {/* Progress Bar */}
@@ -609,16 +615,16 @@ export default function SupplementsScreen() {
         {/* Supplements List */}
         <View style={styles.listSection}>
           <Text style={styles.sectionTitle}>
-            Today's Supplements
+            {t('supplements.todaysSupplements')}
           </Text>
 
           {supplements.length === 0 ? (
             <ReAnimated.View entering={FadeInDown.delay(100).springify().mass(0.5).damping(10)}>
               <View style={styles.emptyState}>
                 <Text style={styles.emptyEmoji}>{'\uD83D\uDC8A'}</Text>
-                <Text style={styles.emptyTitle}>No Supplements</Text>
+                <Text style={styles.emptyTitle}>{t('supplements.noSupplements')}</Text>
                 <Text style={styles.emptySubtitle}>
-                  Add your vitamins and supplements to track daily intake
+                  {t('supplements.addYourVitaminsAnd')}
                 </Text>
               </View>
             </ReAnimated.View>
@@ -661,7 +667,7 @@ export default function SupplementsScreen() {
               <View style={styles.addButtonIcon}>
                 <Plus size={20} color={Colors.primary} />
               </View>
-              <Text style={styles.addButtonText}>Add Supplement</Text>
+              <Text style={styles.addButtonText}>{t('supplements.addSupplement')}</Text>
             </LinearGradient>
           </Pressable>
         </ReAnimated.View>
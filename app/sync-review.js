@@ -0,0 +1,374 @@
+import React, { useCallback, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  Pressable,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useRouter } from 'expo-router';
+import { ArrowLeft, CloudOff, RefreshCw, Trash2, CheckCircle } from 'lucide-react-native';
+import ReAnimated, { FadeInDown } from 'react-native-reanimated';
+import { useTranslation } from 'react-i18next';
+import ScreenErrorBoundary from '../components/ScreenErrorBoundary';
+import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
+import { useOffline } from '../context/OfflineContext';
+import { hapticLight, hapticSuccess } from '../lib/haptics';
+import { formatDate, formatTime } from '../lib/formatters';
+
+const TABLE_LABEL_KEYS = {
+  food_logs: 'syncReview.tables.foodLog',
+  workouts: 'syncReview.tables.workout',
+  tracker_records: 'syncReview.tables.trackerData',
+};
+
+const TYPE_LABEL_KEYS = {
+  INSERT: 'syncReview.types.add',
+  UPDATE: 'syncReview.types.update',
+  DELETE: 'syncReview.types.delete',
+  UPSERT: 'syncReview.types.sync',
+};
+
+const REASON_LABEL_KEYS = {
+  stale: 'syncReview.reasons.stale',
+  max_retries: 'syncReview.reasons.maxRetries',
+};
+
+function describeOperation(t, operation) {
+  const table = t(TABLE_LABEL_KEYS[operation.table] ?? 'syncReview.tables.other', { table: operation.table });
+  const name = typeof operation.payload?.name === 'string' ? operation.payload.name : null;
+  return name ? `${table} · ${name}` : table;
+}
+
+// ---- Review Item Card ----
+function ReviewItemCard({ item, index, busy, onRetry, onDiscard }) {
+  const { t } = useTranslation();
+  const { operation } = item;
+  const queuedAt = new Date(operation.queuedAt);
+
+  return (
+    <ReAnimated.View
+      entering={FadeInDown.delay(index * 50).springify().mass(0.5).damping(12)}
+      style={styles.card}
+    >
+      <View style={styles.cardHeader}>
+        <View style={styles.typeBadge}>
+          <Text style={styles.typeBadgeText}>{t(TYPE_LABEL_KEYS[operation.type])}</Text>
+        </View>
+        <Text style={styles.cardTitle} numberOfLines={1}>
+          {describeOperation(t, operation)}
+        </Text>
+      </View>
+      <Text style={styles.cardMeta}>
+        {t('syncReview.queuedAt', { date: formatDate(queuedAt, 'medium'), time: formatTime(queuedAt) })}
+      </Text>
+      <Text style={styles.cardReason}>{t(REASON_LABEL_KEYS[item.reason])}</Text>
+      {operation.lastError ? (
+        <Text style={styles.cardError} numberOfLines={2}>
+          {t('syncReview.lastError', { error: operation.lastError })}
+        </Text>
+      ) : null}
+      <View style={styles.cardActions}>
+        <Pressable
+          style={[styles.actionButton, styles.retryButton]}
+          onPress={() => onRetry(item)}
+          disabled={busy}
+          accessibilityRole="button"
+        >
+          <RefreshCw size={14} color={Colors.primary} />
+          <Text style={[styles.actionText, { color: Colors.primary }]}>{t('syncReview.retry')}</Text>
+        </Pressable>
+        <Pressable
+          style={[styles.actionButton, styles.discardButton]}
+          onPress={() => onDiscard(item)}
+          disabled={busy}
+          accessibilityRole="button"
+        >
+          <Trash2 size={14} color={Colors.error} />
+          <Text style={[styles.actionText, { color: Colors.error }]}>{t('syncReview.discard')}</Text>
+        </Pressable>
+      </View>
+    </ReAnimated.View>
+  );
+}
+
+function SyncReviewScreenInner() {
+  const { t } = useTranslation();
+  const router = useRouter();
+  const { reviewItems, queueLength, isOnline, retryReviewItem, discardReviewItem, flushQueue } = useOffline();
+  const [busy, setBusy] = useState(false);
+
+  const runAndFlush = useCallback(async (action) => {
+    setBusy(true);
+    try {
+      await action();
+      if (isOnline) await flushQueue();
+    } finally {
+      setBusy(false);
+    }
+  }, [isOnline, flushQueue]);
+
+  const handleRetry = useCallback((item) => {
+    hapticLight();
+    runAndFlush(() => retryReviewItem(item.operation.id));
+  }, [runAndFlush, retryReviewItem]);
+
+  const handleRetryAll = useCallback(() => {
+    hapticLight();
+    runAndFlush(async () => {
+      for (const item of reviewItems) {
+        await retryReviewItem(item.operation.id);
+      }
+    });
+  }, [runAndFlush, retryReviewItem, reviewItems]);
+
+  const handleDiscard = useCallback((item) => {
+    Alert.alert(
+      t('syncReview.discardTitle'),
+      t('syncReview.discardMessage', { item: describeOperation(t, item.operation) }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('syncReview.discard'),
+          style: 'destructive',
+          onPress: async () => {
+            await discardReviewItem(item.operation.id);
+            hapticSuccess();
+          },
+        },
+      ]
+    );
+  }, [t, discardReviewItem]);
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top']}>
+      {/* Header */}
+      <View style={styles.header}>
+        <Pressable
+          style={styles.backButton}
+          onPress={() => router.back()}
+          hitSlop={8}
+          accessibilityRole="button"
+          accessibilityLabel={t('common.back')}
+        >
+          <ArrowLeft size={24} color={Colors.text} />
+        </Pressable>
+        <Text style={styles.headerTitle}>{t('syncReview.title')}</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+      >
+        <View style={styles.statusRow}>
+          <CloudOff size={16} color={isOnline ? Colors.textSecondary : Colors.warning} />
+          <Text style={styles.statusText}>
+            {isOnline
+              ? t('syncReview.pendingCount', { count: queueLength })
+              : t('syncReview.offlinePendingCount', { count: queueLength })}
+          </Text>
+        </View>
+
+        {reviewItems.length === 0 ? (
+          <View style={styles.emptyState}>
+            <CheckCircle size={40} color={Colors.success} />
+            <Text style={styles.emptyTitle}>{t('syncReview.emptyTitle')}</Text>
+            <Text style={styles.emptyText}>{t('syncReview.emptyText')}</Text>
+          </View>
+        ) : (
+          <>
+            <Text style={styles.description}>{t('syncReview.description')}</Text>
+            <Pressable
+              style={styles.retryAllButton}
+              onPress={handleRetryAll}
+              disabled={busy}
+              accessibilityRole="button"
+            >
+              {busy ? (
+                <ActivityIndicator size="small" color={Colors.background} />
+              ) : (
+                <Text style={styles.retryAllText}>{t('syncReview.retryAll', { count: reviewItems.length })}</Text>
+              )}
+            </Pressable>
+            {reviewItems.map((item, index) => (
+              <ReviewItemCard
+                key={item.operation.id}
+                item={item}
+                index={index}
+                busy={busy}
+                onRetry={handleRetry}
+                onDiscard={handleDiscard}
+              />
+            ))}
+          </>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.background,
+  },
+  // Header
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.md,
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    borderRadius: BorderRadius.md,
+    backgroundColor: Colors.surface,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerTitle: {
+    flex: 1,
+    fontSize: FontSize.xl,
+    fontWeight: FontWeight.bold,
+    color: Colors.text,
+    textAlign: 'center',
+  },
+  headerSpacer: {
+    width: 40,
+  },
+  // Scroll
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    paddingHorizontal: Spacing.md,
+    paddingTop: Spacing.sm,
+    paddingBottom: Spacing.xxl,
+  },
+  statusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.xs,
+    marginBottom: Spacing.md,
+  },
+  statusText: {
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+  },
+  description: {
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+    marginBottom: Spacing.md,
+  },
+  retryAllButton: {
+    backgroundColor: Colors.primary,
+    borderRadius: BorderRadius.md,
+    paddingVertical: Spacing.sm + 2,
+    alignItems: 'center',
+    marginBottom: Spacing.md,
+  },
+  retryAllText: {
+    color: Colors.background,
+    fontSize: FontSize.md,
+    fontWeight: FontWeight.semibold,
+  },
+  // Cards
+  card: {
+    backgroundColor: 'rgba(255,255,255,0.05)',
+    borderRadius: BorderRadius.lg,
+    padding: Spacing.md,
+    marginBottom: Spacing.sm,
+    borderWidth: 1,
+    borderColor: 'rgba(255,255,255,0.06)',
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.sm,
+  },
+  typeBadge: {
+    backgroundColor: Colors.surfaceGlass,
+    borderRadius: BorderRadius.full,
+    paddingHorizontal: Spacing.sm,
+    paddingVertical: 2,
+  },
+  typeBadgeText: {
+    fontSize: FontSize.xs,
+    fontWeight: FontWeight.semibold,
+    color: Colors.textSecondary,
+  },
+  cardTitle: {
+    flex: 1,
+    fontSize: FontSize.md,
+    fontWeight: FontWeight.semibold,
+    color: Colors.text,
+  },
+  cardMeta: {
+    fontSize: FontSize.xs,
+    color: Colors.textTertiary,
+    marginTop: Spacing.xs,
+  },
+  cardReason: {
+    fontSize: FontSize.sm,
+    color: Colors.warning,
+    marginTop: Spacing.xs,
+  },
+  cardError: {
+    fontSize: FontSize.xs,
+    color: Colors.textSecondary,
+    marginTop: 2,
+  },
+  cardActions: {
+    flexDirection: 'row',
+    gap: Spacing.sm,
+    marginTop: Spacing.sm,
+  },
+  actionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.xs,
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.xs + 2,
+    borderRadius: BorderRadius.full,
+  },
+  retryButton: {
+    backgroundColor: Colors.primarySoft,
+  },
+  discardButton: {
+    backgroundColor: Colors.errorSoft,
+  },
+  actionText: {
+    fontSize: FontSize.sm,
+    fontWeight: FontWeight.semibold,
+  },
+  // Empty state
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: Spacing.xxl,
+    gap: Spacing.sm,
+  },
+  emptyTitle: {
+    fontSize: FontSize.lg,
+    fontWeight: FontWeight.bold,
+    color: Colors.text,
+  },
+  emptyText: {
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+    textAlign: 'center',
+  },
+});
+
+export default function SyncReviewScreen(props) {
+  return (
+    <ScreenErrorBoundary screenName="SyncReviewScreen">
+      <SyncReviewScreenInner {...props} />
+    </ScreenErrorBoundary>
+  );
+}
@@ -0,0 +1,255 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  Pressable,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useRouter } from 'expo-router';
+import { ArrowLeft, ArrowRight, CalendarCheck, Check, X } from 'lucide-react-native';
+import ReAnimated, { FadeInDown } from 'react-native-reanimated';
+import { useTranslation } from 'react-i18next';
+import ScreenErrorBoundary from '../components/ScreenErrorBoundary';
+import WeeklyCheckInCard from '../components/WeeklyCheckInCard';
+import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
+import { useProfile } from '../context/ProfileContext';
+import { useWeeklyCheckIn } from '../hooks/useWeeklyCheckIn';
+import { formatDate } from '../lib/formatters';
+import { describeCheckInReason } from '../lib/weeklyCheckIn';
+
+// ---- Target Change Card ----
+function TargetChangeCard({ change, index, weightUnit }) {
+  const { t } = useTranslation();
+  const accepted = change.status === 'accepted';
+  const statusColor = accepted ? Colors.success : Colors.textTertiary;
+  const StatusIcon = accepted ? Check : X;
+
+  return (
+    <ReAnimated.View
+      entering={FadeInDown.delay(index * 50).springify().mass(0.5).damping(12)}
+      style={styles.card}
+    >
+      <View style={styles.cardHeader}>
+        <Text style={styles.cardTitle}>
+          {t('targetHistory.weekOf', { date: formatDate(`${change.weekOf}T12:00:00`, 'medium') })}
+        </Text>
+        <View style={[styles.statusBadge, { backgroundColor: statusColor + '22' }]}>
+          <StatusIcon size={12} color={statusColor} />
+          <Text style={[styles.statusText, { color: statusColor }]}>
+            {accepted ? t('targetHistory.accepted') : t('targetHistory.rejected')}
+          </Text>
+        </View>
+      </View>
+
+      <View style={styles.calorieRow}>
+        <Text style={styles.calorieOld}>{t('targetHistory.kcal', { value: change.previous.calories })}</Text>
+        <ArrowRight size={14} color={Colors.textTertiary} />
+        <Text style={[styles.calorieNew, accepted && { color: Colors.primary }]}>
+          {t('targetHistory.kcal', { value: change.proposed.calories })}
+        </Text>
+      </View>
+      <Text style={styles.macros}>
+        {t('targetHistory.macros', {
+          protein: change.proposed.protein,
+          carbs: change.proposed.carbs,
+          fat: change.proposed.fat,
+        })}
+      </Text>
+
+      <View style={styles.reasons}>
+        {change.reasons.map((reason) => describeCheckInReason(reason, weightUnit)).map((text) => (
+          <Text key={text} style={styles.reasonText}>{`• ${text}`}</Text>
+        ))}
+      </View>
+    </ReAnimated.View>
+  );
+}
+
+function TargetHistoryScreenInner() {
+  const { t } = useTranslation();
+  const router = useRouter();
+  const { proposal, history, accept, reject } = useWeeklyCheckIn();
+  const { profile } = useProfile();
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top']}>
+      {/* Header */}
+      <View style={styles.header}>
+        <Pressable
+          style={styles.backButton}
+          onPress={() => router.back()}
+          hitSlop={8}
+          accessibilityRole="button"
+          accessibilityLabel={t('common.back')}
+        >
+          <ArrowLeft size={24} color={Colors.text} />
+        </Pressable>
+        <Text style={styles.headerTitle}>{t('targetHistory.title')}</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+      >
+        <Text style={styles.description}>{t('targetHistory.description')}</Text>
+
+        {proposal ? (
+          <View style={styles.pending}>
+            <WeeklyCheckInCard proposal={proposal} onAccept={accept} onReject={reject} />
+          </View>
+        ) : null}
+
+        {history.length === 0 ? (
+          <View style={styles.emptyState}>
+            <CalendarCheck size={40} color={Colors.textTertiary} />
+            <Text style={styles.emptyTitle}>{t('targetHistory.emptyTitle')}</Text>
+            <Text style={styles.emptyText}>{t('targetHistory.emptyText')}</Text>
+          </View>
+        ) : (
+          history.map((change, index) => (
+            <TargetChangeCard key={change.weekOf} change={change} index={index} weightUnit={profile.weightUnit} />
+          ))
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.background,
+  },
+  // Header
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.md,
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    borderRadius: BorderRadius.md,
+    backgroundColor: Colors.surface,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerTitle: {
+    flex: 1,
+    fontSize: FontSize.xl,
+    fontWeight: FontWeight.bold,
+    color: Colors.text,
+    textAlign: 'center',
+  },
+  headerSpacer: {
+    width: 40,
+  },
+  // Scroll
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    paddingHorizontal: Spacing.md,
+    paddingTop: Spacing.sm,
+    paddingBottom: Spacing.xxl,
+  },
+  description: {
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+    marginBottom: Spacing.md,
+  },
+  pending: {
+    marginBottom: Spacing.md,
+  },
+  // Cards
+  card: {
+    backgroundColor: 'rgba(255,255,255,0.05)',
+    borderRadius: BorderRadius.lg,
+    padding: Spacing.md,
+    marginBottom: Spacing.sm,
+    borderWidth: 1,
+    borderColor: 'rgba(255,255,255,0.06)',
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: Spacing.sm,
+  },
+  cardTitle: {
+    flex: 1,
+    fontSize: FontSize.md,
+    fontWeight: FontWeight.semibold,
+    color: Colors.text,
+  },
+  statusBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    borderRadius: BorderRadius.full,
+    paddingHorizontal: Spacing.sm,
+    paddingVertical: 2,
+  },
+  statusText: {
+    fontSize: FontSize.xs,
+    fontWeight: FontWeight.semibold,
+  },
+  calorieRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.sm,
+    marginTop: Spacing.sm,
+  },
+  calorieOld: {
+    fontSize: FontSize.md,
+    color: Colors.textSecondary,
+  },
+  calorieNew: {
+    fontSize: FontSize.md,
+    fontWeight: FontWeight.bold,
+    color: Colors.text,
+  },
+  macros: {
+    fontSize: FontSize.xs,
+    color: Colors.textTertiary,
+    marginTop: 2,
+  },
+  reasons: {
+    marginTop: Spacing.sm,
+    gap: 2,
+  },
+  reasonText: {
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+    lineHeight: FontSize.sm * 1.5,
+  },
+  // Empty state
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: Spacing.xxl,
+    gap: Spacing.sm,
+  },
+  emptyTitle: {
+    fontSize: FontSize.lg,
+    fontWeight: FontWeight.bold,
+    color: Colors.text,
+  },
+  emptyText: {
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+    textAlign: 'center',
+  },
+});
+
+export default function TargetHistoryScreen(props) {
+  return (
+    <ScreenErrorBoundary screenName="TargetHistoryScreen">
+      <TargetHistoryScreenInner {...props} />
+    </ScreenErrorBoundary>
+  );
+}
@@ -14,6 +14,7 @@ import {
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { useRouter } from 'expo-router';
 import { ArrowLeft } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { supabase } from '../lib/supabase';
 import {
   consumeSupabaseAuthRedirect,
@@ -27,9 +28,10 @@ import {
   Spacing,
 } from '../constants/theme';
 
+/** Returns the translation key of the first failed rule, or null */
 function validatePassword(password) {
   if (password.length < 8) {
-    return 'Password must be at least 8 characters.';
+    return 'auth.passwordTooShort';
   }
 
   const hasUpper = /[A-Z]/.test(password);
@@ -37,13 +39,14 @@ function validatePassword(password) {
   const hasNumber = /[0-9]/.test(password);
 
   if (!hasUpper || !hasLower || !hasNumber) {
-    return 'Password must include an uppercase letter, a lowercase letter, and a number.';
+    return 'auth.passwordTooWeak';
   }
 
   return null;
 }
 
 export default function UpdatePasswordScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const [password, setPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
@@ -63,7 +66,7 @@ export default function UpdatePasswordScreen() {
     const parsed = parseSupabaseAuthRedirect(url);
     if (parsed.type && parsed.type !== 'recovery') {
       setIsRecoveryReady(false);
-      setLinkError('This password reset link is not valid for recovery.');
+      setLinkError(t('auth.resetLinkNotRecovery'));
       setIsPreparing(false);
       return true;
     }
@@ -71,10 +74,10 @@ export default function UpdatePasswordScreen() {
     const { recovered, error } = await consumeSupabaseAuthRedirect(url, supabase.auth);
 
     setIsRecoveryReady(recovered);
-    setLinkError(recovered ? null : error || 'Unable to verify this password reset link.');
+    setLinkError(recovered ? null : error || t('auth.resetLinkUnverified'));
     setIsPreparing(false);
     return true;
-  }, []);
+  }, [t]);
 
   useEffect(() => {
     let isMounted = true;
@@ -86,13 +89,13 @@ export default function UpdatePasswordScreen() {
 
         if (isMounted && !handled) {
           setIsRecoveryReady(false);
-          setLinkError('Open the password reset link from your email to continue.');
+          setLinkError(t('auth.resetLinkOpenFromEmail'));
           setIsPreparing(false);
         }
       } catch {
         if (isMounted) {
           setIsRecoveryReady(false);
-          setLinkError('Unable to read the password reset link. Please request a new one.');
+          setLinkError(t('auth.resetLinkUnreadable'));
           setIsPreparing(false);
         }
       }
@@ -103,7 +106,7 @@ export default function UpdatePasswordScreen() {
     const subscription = Linking.addEventListener('url', ({ url }) => {
       handleIncomingUrl(url).catch(() => {
         setIsRecoveryReady(false);
-        setLinkError('Unable to verify this password reset link. Please request a new one.');
+        setLinkError(t('auth.resetLinkUnverifiedRetry'));
         setIsPreparing(false);
       });
     });
@@ -112,17 +115,17 @@ export default function UpdatePasswordScreen() {
       isMounted = false;
       subscription.remove();
     };
-  }, [handleIncomingUrl]);
+  }, [handleIncomingUrl, t]);
 
   const handleSubmit = useCallback(async () => {
     const passwordError = validatePassword(password);
     if (passwordError) {
-      Alert.alert('Weak Password', passwordError);
+      Alert.alert(t('auth.weakPassword'), t(passwordError));
       return;
     }
 
     if (password !== confirmPassword) {
-      Alert.alert('Passwords Do Not Match', 'Please enter the same password twice.');
+      Alert.alert(t('auth.passwordsDoNotMatch'), t('auth.passwordsDoNotMatchMessage'));
       return;
     }
 
@@ -130,22 +133,22 @@ export default function UpdatePasswordScreen() {
     try {
       const { error } = await supabase.auth.updateUser({ password });
       if (error) {
-        Alert.alert('Update Failed', error.message || 'Unable to update your password.');
+        Alert.alert(t('auth.updateFailed'), error.message || t('auth.updatePasswordFailed'));
         return;
       }
 
-      Alert.alert('Password Updated', 'Your password has been updated.', [
+      Alert.alert(t('auth.passwordUpdated'), t('auth.passwordUpdatedMessage'), [
         {
-          text: 'Continue',
+          text: t('common.continue'),
           onPress: () => router.replace('/(tabs)'),
         },
       ]);
     } catch {
-      Alert.alert('Update Failed', 'Unable to update your password. Please try again.');
+      Alert.alert(t('auth.updateFailed'), t('auth.updatePasswordFailedRetry'));
     } finally {
       setIsSaving(false);
     }
-  }, [confirmPassword, password, router]);
+  }, [confirmPassword, password, router, t]);
 
   return (
     <SafeAreaView style={styles.container} testID="update-password-screen">
@@ -157,30 +160,30 @@ export default function UpdatePasswordScreen() {
           <ArrowLeft size={24} color={Colors.text} />
         </TouchableOpacity>
 
-        <Text style={styles.header}>Set New Password</Text>
+        <Text style={styles.header}>{t('auth.setNewPassword')}</Text>
         <Text style={styles.subHeader}>
-          Finish recovery by choosing a new password for your account.
+          {t('auth.setNewPasswordHint')}
         </Text>
 
         {isPreparing ? (
           <View style={styles.stateCard} testID="password-reset-verifying-state">
             <ActivityIndicator color={Colors.primary} />
-            <Text style={styles.stateText}>Verifying your reset link...</Text>
+            <Text style={styles.stateText}>{t('auth.verifyingResetLink')}</Text>
           </View>
         ) : null}
 
         {!isPreparing && !isRecoveryReady ? (
           <View style={styles.stateCard} testID="password-reset-invalid-state">
-            <Text style={styles.errorTitle}>Reset Link Invalid</Text>
+            <Text style={styles.errorTitle}>{t('auth.resetLinkInvalid')}</Text>
             <Text style={styles.errorText}>
-              {linkError || 'This password reset link is invalid or has expired.'}
+              {linkError || t('auth.resetLinkExpired')}
             </Text>
             <TouchableOpacity
               testID="request-reset-link-button"
               style={styles.secondaryButton}
               onPress={() => router.replace('/forgot-password')}
             >
-              <Text style={styles.secondaryButtonText}>Request Another Link</Text>
+              <Text style={styles.secondaryButtonText}>{t('auth.requestAnotherLink')}</Text>
             </TouchableOpacity>
           </View>
         ) : null}
@@ -188,11 +191,11 @@ export default function UpdatePasswordScreen() {
         {!isPreparing && isRecoveryReady ? (
           <>
             <View style={styles.inputGroup}>
-              <Text style={styles.label}>New Password</Text>
+              <Text style={styles.label}>{t('auth.newPassword')}</Text>
               <TextInput
                 testID="update-password-input"
                 style={styles.input}
-                placeholder="Enter a new password"
+                placeholder={t('auth.newPasswordPlaceholder')}
                 placeholderTextColor={Colors.inputPlaceholder}
                 secureTextEntry
                 autoCapitalize="none"
@@ -202,11 +205,11 @@ export default function UpdatePasswordScreen() {
             </View>
 
             <View style={styles.inputGroup}>
-              <Text style={styles.label}>Confirm Password</Text>
+              <Text style={styles.label}>{t('auth.confirmPassword')}</Text>
               <TextInput
                 testID="confirm-password-input"
                 style={styles.input}
-                placeholder="Re-enter your new password"
+                placeholder={t('auth.confirmPasswordPlaceholder')}
                 placeholderTextColor={Colors.inputPlaceholder}
                 secureTextEntry
                 autoCapitalize="none"
@@ -216,7 +219,7 @@ export default function UpdatePasswordScreen() {
             </View>
 
             <Text style={styles.helperText}>
-              Use at least 8 characters with uppercase, lowercase, and a number.
+              {t('auth.passwordRequirements')}
             </Text>
 
             <TouchableOpacity
@@ -228,7 +231,7 @@ export default function UpdatePasswordScreen() {
               {isSaving ? (
                 <ActivityIndicator color={Colors.background} />
               ) : (
-                <Text style={styles.primaryButtonText}>Update Password</Text>
+                <Text style={styles.primaryButtonText}>{t('auth.updatePassword')}</Text>
               )}
             </TouchableOpacity>
           </>
@@ -48,6 +48,7 @@ import {
   Check,
   X,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import GlassCard from '../components/ui/GlassCard';
 import {
@@ -287,11 +288,12 @@ function WeeklyChart({ data }) {
 
 // ---- History Row ----
 function HistoryRow({ entry }) {
+  const { t } = useTranslation();
   return (
     <View style={styles.historyRow}>
       <View style={styles.historyDateContainer}>
         <Text style={styles.historyDay}>
-          {entry.isToday ? 'Today' : entry.dayLabel}
+          {entry.isToday ? t('common.today') : entry.dayLabel}
         </Text>
         <Text style={styles.historyDate}>{entry.fullLabel}</Text>
       </View>
@@ -338,6 +340,7 @@ function HistoryRow({ entry }) {
 
 // ---- Goal Setter Modal ----
 function GoalSetter({ visible, currentGoal, onSave, onClose }) {
+  const { t } = useTranslation();
   const [tempGoal, setTempGoal] = useState(currentGoal);
 
   useEffect(() => {
@@ -371,7 +374,7 @@ function GoalSetter({ visible, currentGoal, onSave, onClose }) {
       <View style={styles.goalSetterCard}>
         <View style={styles.goalSetterHeader}>
           <Target size={20} color={Colors.primary} strokeWidth={2} />
-          <Text style={styles.goalSetterTitle}>Daily Goal</Text>
+          <Text style={styles.goalSetterTitle}>{t('waterTracker.dailyGoal')}</Text>
           <Pressable
             onPress={onClose}
             hitSlop={{ top: 12, bottom: 12, left: 12, right: 12 }}
@@ -423,7 +426,7 @@ function GoalSetter({ visible, currentGoal, onSave, onClose }) {
             end={{ x: 1, y: 0 }}
             style={styles.goalSaveGradient}
           >
-            <Text style={styles.goalSaveText}>Save Goal</Text>
+            <Text style={styles.goalSaveText}>{t('waterTracker.saveGoal')}</Text>
           </LinearGradient>
         </Pressable>
       </View>
@@ -433,6 +436,7 @@ function GoalSetter({ visible, currentGoal, onSave, onClose }) {
 
 // ==== Main Screen ====
 export default function WaterTrackerScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const {
     waterProgress,
@@ -533,7 +537,7 @@ export default function WaterTrackerScreen() {
           </Pressable>
           <View style={styles.headerTitleRow}>
             <Droplets size={22} color={Colors.primary} strokeWidth={2.5} />
-            <Text style={styles.headerTitle}>Hydration</Text>
+            <Text style={styles.headerTitle}>{t('waterTracker.hydration')}</Text>
           </View>
           <Pressable
             style={styles.goalButton}
@@ -575,8 +579,8 @@ export default function WaterTrackerScreen() {
           {/* Remaining text */}
           <Text style={styles.remainingText}>
             {waterProgress.remaining > 0
-              ? `${waterProgress.remaining} ml remaining`
-              : 'Daily goal reached!'}
+              ? t('waterTracker.mlRemaining', { remaining: waterProgress.remaining })
+              : t('waterTracker.dailyGoalReached')}
           </Text>
         </ReAnimated.View>
 
@@ -595,7 +599,7 @@ export default function WaterTrackerScreen() {
                 style={styles.quickAddGradient}
               >
                 <Plus size={18} color={Colors.primary} strokeWidth={2.5} />
-                <Text style={styles.quickAddText}>1 Glass</Text>
+                <Text style={styles.quickAddText}>{t('waterTracker.n1Glass')}</Text>
               </LinearGradient>
             </Pressable>
 
@@ -608,7 +612,7 @@ export default function WaterTrackerScreen() {
                 style={styles.quickAddGradient}
               >
                 <Plus size={18} color={Colors.primary} strokeWidth={2.5} />
-                <Text style={styles.quickAddText}>2 Glasses</Text>
+                <Text style={styles.quickAddText}>{t('waterTracker.n2Glasses')}</Text>
               </LinearGradient>
             </Pressable>
 
@@ -617,12 +621,12 @@ export default function WaterTrackerScreen() {
               onPress={() => {
                 Alert.prompt
                   ? Alert.prompt(
-                      'Custom Amount',
-                      'Enter number of glasses to add:',
+                      t('waterTracker.customAmount'),
+                      t('waterTracker.enterNumberOfGlasses'),
                       [
-                        { text: 'Cancel', style: 'cancel' },
+                        { text: t('common.cancel'), style: 'cancel' },
                         {
-                          text: 'Add',
+                          text: t('common.add'),
                           onPress: (value) => {
                             const num = parseInt(value, 10);
                             if (num > 0 && num <= 20) {
@@ -643,7 +647,7 @@ export default function WaterTrackerScreen() {
                 style={styles.quickAddGradient}
               >
                 <Droplets size={18} color={Colors.primary} strokeWidth={2.5} />
-                <Text style={styles.quickAddText}>Custom</Text>
+                <Text style={styles.quickAddText}>{t('waterTracker.custom')}</Text>
               </LinearGradient>
             </Pressable>
           </View>
@@ -668,7 +672,7 @@ export default function WaterTrackerScreen() {
                 glasses <= 0 && { color: Colors.textTertiary },
               ]}
             >
-              Remove 1 Glass
+              {t('waterTracker.remove1Glass')}
             </Text>
           </Pressable>
         </ReAnimated.View>
@@ -706,7 +710,7 @@ export default function WaterTrackerScreen() {
                   <Text style={styles.streakValue}>
                     {streak} Day{streak !== 1 ? 's' : ''}
                   </Text>
-                  <Text style={styles.streakLabel}>Hydration Streak</Text>
+                  <Text style={styles.streakLabel}>{t('waterTracker.hydrationStreak')}</Text>
                 </View>
               </View>
               {streak >= 3 && (
@@ -720,7 +724,7 @@ export default function WaterTrackerScreen() {
                     style={styles.streakBadgeGradient}
                   >
                     <Text style={styles.streakBadgeText}>
-                      {streak >= 7 ? 'Amazing!' : 'On Fire!'}
+                      {streak >= 7 ? t('waterTracker.amazing') : t('waterTracker.onFire')}
                     </Text>
                   </LinearGradient>
                 </View>
@@ -735,8 +739,8 @@ export default function WaterTrackerScreen() {
         >
           <GlassCard style={styles.chartCard}>
             <View style={styles.chartHeader}>
-              <Text style={styles.chartTitle}>This Week</Text>
-              <Text style={styles.chartSubtitle}>Daily water intake</Text>
+              <Text style={styles.chartTitle}>{t('common.thisWeek')}</Text>
+              <Text style={styles.chartSubtitle}>{t('waterTracker.dailyWaterIntake')}</Text>
             </View>
             <WeeklyChart data={weeklyData} />
           </GlassCard>
@@ -747,7 +751,7 @@ export default function WaterTrackerScreen() {
           entering={FadeInDown.delay(400).springify().damping(12)}
         >
           <GlassCard style={styles.historyCard}>
-            <Text style={styles.historyTitle}>Recent History</Text>
+            <Text style={styles.historyTitle}>{t('waterTracker.recentHistory')}</Text>
             {recentHistory.map((entry) => (
               <HistoryRow key={entry.date} entry={entry} />
             ))}
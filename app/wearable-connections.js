@@ -30,12 +30,24 @@ import {
   Zap,
   Brain,
   Clock,
+  ListOrdered,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import ScreenErrorBoundary from '../components/ScreenErrorBoundary';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius, Shadows, Gradients, Glass } from '../constants/theme';
 import { hapticLight, hapticSuccess } from '../lib/haptics';
-import { connectProvider, disconnectProvider, getConnections, syncProvider } from '../services/wearableIntegrations';
+import {
+  connectProvider,
+  disconnectProvider,
+  getConnections,
+  getHealthSourceName,
+  getSourcePriority,
+  setSourcePriority,
+  syncProvider,
+} from '../services/wearableIntegrations';
+import { PRIORITY_METRICS, orderSources, promoteSource } from '../lib/healthSources';
+import { formatDate, formatRelativeTime } from '../lib/formatters';
 
 // ============================================================
 // Wearable Provider Configuration
@@ -45,50 +57,65 @@ const WEARABLE_PROVIDERS = [
     id: 'fitbit',
     name: 'Fitbit',
     color: '#00B0B9',
-    dataTypes: ['Steps', 'Heart Rate', 'Sleep', 'Weight'],
-    description: 'Sync activity, heart rate, sleep stages, and weight data from your Fitbit device.',
+    dataTypeKeys: ['wearableConnections.dataTypes.steps', 'wearableConnections.dataTypes.heartRate', 'wearableConnections.dataTypes.sleep', 'wearableConnections.dataTypes.weight'],
+    descriptionKey: 'wearableConnections.wearableProviders.fitbitDescription',
   },
   {
     id: 'garmin',
     name: 'Garmin',
     color: '#000000',
     dotBorder: true,
-    dataTypes: ['Steps', 'Heart Rate', 'Sleep', 'Activities'],
-    description: 'Import training data, heart rate, sleep analysis, and step count from Garmin Connect.',
+    dataTypeKeys: ['wearableConnections.dataTypes.steps', 'wearableConnections.dataTypes.heartRate', 'wearableConnections.dataTypes.sleep', 'wearableConnections.dataTypes.activities'],
+    descriptionKey: 'wearableConnections.wearableProviders.garminDescription',
   },
   {
     id: 'whoop',
     name: 'WHOOP',
     color: '#FF0000',
-    dataTypes: ['Recovery', 'Strain', 'HRV', 'Sleep'],
-    description: 'Access recovery scores, strain data, HRV trends, and sleep performance from WHOOP.',
+    dataTypeKeys: ['wearableConnections.dataTypes.recovery', 'wearableConnections.dataTypes.strain', 'wearableConnections.dataTypes.hrv', 'wearableConnections.dataTypes.sleep'],
+    descriptionKey: 'wearableConnections.wearableProviders.whoopDescription',
   },
   {
     id: 'withings',
     name: 'Withings',
     color: '#00C4B3',
-    dataTypes: ['Weight', 'Body Comp', 'Blood Pressure', 'Sleep'],
-    description: 'Sync weight, body composition, blood pressure readings, and sleep data from Withings.',
+    dataTypeKeys: ['wearableConnections.dataTypes.weight', 'wearableConnections.dataTypes.bodyComp', 'wearableConnections.dataTypes.bloodPressure', 'wearableConnections.dataTypes.sleep'],
+    descriptionKey: 'wearableConnections.wearableProviders.withingsDescription',
+  },
+  {
+    id: 'strava',
+    name: 'Strava',
+    color: '#FC4C02',
+    dataTypeKeys: ['wearableConnections.dataTypes.activities', 'wearableConnections.dataTypes.workouts', 'wearableConnections.dataTypes.heartRate'],
+    descriptionKey: 'wearableConnections.wearableProviders.stravaDescription',
+  },
+  {
+    id: 'oura',
+    name: 'Oura',
+    color: '#B89B72',
+    dataTypeKeys: ['wearableConnections.dataTypes.readiness', 'wearableConnections.dataTypes.sleep', 'wearableConnections.dataTypes.hrv', 'wearableConnections.dataTypes.workouts'],
+    descriptionKey: 'wearableConnections.wearableProviders.ouraDescription',
+  },
+  {
+    id: 'polar',
+    name: 'Polar',
+    color: '#D10027',
+    dataTypeKeys: ['wearableConnections.dataTypes.readiness', 'wearableConnections.dataTypes.sleep', 'wearableConnections.dataTypes.heartRate', 'wearableConnections.dataTypes.workouts'],
+    descriptionKey: 'wearableConnections.wearableProviders.polarDescription',
   },
 ];
 
 // ============================================================
 // Helper: Format last synced time
 // ============================================================
-function formatLastSynced(timestamp) {
+function formatLastSynced(t, timestamp) {
   if (!timestamp) return null;
   const date = new Date(timestamp);
-  const now = new Date();
-  const diffMs = now - date;
-  const diffMins = Math.floor(diffMs / 60000);
-
-  if (diffMins < 1) return 'Just now';
-  if (diffMins < 60) return `${diffMins}m ago`;
-  const diffHours = Math.floor(diffMins / 60);
-  if (diffHours < 24) return `${diffHours}h ago`;
-  const diffDays = Math.floor(diffHours / 24);
-  if (diffDays === 1) return 'Yesterday';
-  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  const diffDays = Math.floor((Date.now() - date.getTime()) / 86400000);
+
+  if (diffDays < 1) return formatRelativeTime(date);
+  if (diffDays === 1) return t('common.yesterday');
+  return formatDate(date, { month: 'short', day: 'numeric' });
 }
 
 // ============================================================
@@ -106,7 +133,8 @@ function DataTypeTag({ label, color }) {
 // Health Platform Card (Apple Health / Google Health Connect)
 // ============================================================
 function HealthPlatformCard({ delay }) {
-  const platformName = Platform.OS === 'ios' ? 'Apple Health' : 'Google Health Connect';
+  const { t } = useTranslation();
+  const platformName = Platform.OS === 'ios' ? 'Apple Health' : t('wearableConnections.googleHealthConnect');
   const platformColor = Platform.OS === 'ios' ? '#FF2D55' : '#4285F4';
 
   return (
@@ -129,24 +157,24 @@ function HealthPlatformCard({ delay }) {
               </View>
               <View style={styles.platformInfo}>
                 <Text style={styles.platformName}>{platformName}</Text>
-                <Text style={styles.platformSubtitle}>Native health data platform</Text>
+                <Text style={styles.platformSubtitle}>{t('wearableConnections.nativeHealthDataPlatform')}</Text>
               </View>
             </View>
             <View style={styles.connectedBadge}>
               <View style={styles.connectedDot} />
-              <Text style={styles.connectedBadgeText}>Connected</Text>
+              <Text style={styles.connectedBadgeText}>{t('wearableConnections.connected')}</Text>
             </View>
           </View>
           <View style={styles.platformDataRow}>
-            <DataTypeTag label="Steps" color={platformColor} />
-            <DataTypeTag label="Heart Rate" color={platformColor} />
-            <DataTypeTag label="Sleep" color={platformColor} />
-            <DataTypeTag label="Workouts" color={platformColor} />
+            <DataTypeTag label={t('wearableConnections.steps')} color={platformColor} />
+            <DataTypeTag label={t('wearableConnections.heartRate')} color={platformColor} />
+            <DataTypeTag label={t('wearableConnections.sleep')} color={platformColor} />
+            <DataTypeTag label={t('wearableConnections.workouts')} color={platformColor} />
           </View>
           <View style={styles.platformFooter}>
             <Smartphone size={12} color={Colors.textTertiary} />
             <Text style={styles.platformFooterText}>
-              Automatically synced via {Platform.OS === 'ios' ? 'HealthKit' : 'Health Connect API'}
+              Automatically synced via {Platform.OS === 'ios' ? t('wearableConnections.healthkit') : t('wearableConnections.healthConnectApi')}
             </Text>
           </View>
         </LinearGradient>
@@ -159,18 +187,19 @@ function HealthPlatformCard({ delay }) {
 // Wearable Device Card
 // ============================================================
 function WearableCard({ provider, isConnected, lastSynced, isSyncing, onConnect, onDisconnect, onSync, delay }) {
-  const { id, name, color, dotBorder, dataTypes, description } = provider;
-  const synced = formatLastSynced(lastSynced);
+  const { t } = useTranslation();
+  const { id, name, color, dotBorder, dataTypeKeys, descriptionKey } = provider;
+  const synced = formatLastSynced(t, lastSynced);
 
   const handlePress = useCallback(async () => {
     if (isConnected) {
       Alert.alert(
-        `Disconnect ${name}`,
-        `Are you sure you want to disconnect your ${name} account? You can reconnect at any time.`,
+        t('wearableConnections.disconnect', { name }),
+        t('wearableConnections.areYouSureYou', { name }),
         [
-          { text: 'Cancel', style: 'cancel' },
+          { text: t('common.cancel'), style: 'cancel' },
           {
-            text: 'Disconnect',
+            text: t('wearableConnections.disconnect2'),
             style: 'destructive',
             onPress: async () => {
               await hapticLight();
@@ -183,7 +212,7 @@ function WearableCard({ provider, isConnected, lastSynced, isSyncing, onConnect,
       await hapticLight();
       onConnect(id);
     }
-  }, [isConnected, id, name, onConnect, onDisconnect]);
+  }, [isConnected, id, name, onConnect, onDisconnect, t]);
 
   const handleSync = useCallback(async () => {
     await hapticLight();
@@ -208,18 +237,18 @@ function WearableCard({ provider, isConnected, lastSynced, isSyncing, onConnect,
           {isConnected && (
             <View style={styles.statusRow}>
               <View style={[styles.statusDot, { backgroundColor: Colors.success }]} />
-              <Text style={styles.statusText}>Connected</Text>
+              <Text style={styles.statusText}>{t('wearableConnections.connected')}</Text>
             </View>
           )}
         </View>
 
         {/* Description */}
-        <Text style={styles.wearableDescription}>{description}</Text>
+        <Text style={styles.wearableDescription}>{t(descriptionKey)}</Text>
 
         {/* Data Type Tags */}
         <View style={styles.dataTagsRow}>
-          {dataTypes.map((dt) => (
-            <DataTypeTag key={dt} label={dt} color={color} />
+          {dataTypeKeys.map((key) => (
+            <DataTypeTag key={key} label={t(key)} color={color} />
           ))}
         </View>
 
@@ -227,7 +256,7 @@ function WearableCard({ provider, isConnected, lastSynced, isSyncing, onConnect,
         {isConnected && synced && (
           <View style={styles.lastSyncedRow}>
             <Clock size={12} color={Colors.textTertiary} />
-            <Text style={styles.lastSyncedText}>Last synced {synced}</Text>
+            <Text style={styles.lastSyncedText}>{t('wearableConnections.lastSynced', { synced })}</Text>
           </View>
         )}
 
@@ -247,14 +276,14 @@ function WearableCard({ provider, isConnected, lastSynced, isSyncing, onConnect,
                   <RefreshCw size={14} color={color} />
                 )}
                 <Text style={[styles.syncButtonText, { color }]}>
-                  {isSyncing ? 'Syncing...' : 'Sync Now'}
+                  {isSyncing ? t('wearableConnections.syncing') : t('wearableConnections.syncNow')}
                 </Text>
               </Pressable>
 
               {/* Disconnect Button */}
               <Pressable style={styles.disconnectButton} onPress={handlePress}>
                 <Unlink size={14} color={Colors.error} />
-                <Text style={styles.disconnectButtonText}>Disconnect</Text>
+                <Text style={styles.disconnectButtonText}>{t('wearableConnections.disconnect2')}</Text>
               </Pressable>
             </>
           ) : (
@@ -266,7 +295,7 @@ function WearableCard({ provider, isConnected, lastSynced, isSyncing, onConnect,
                 style={styles.connectButtonGradient}
               >
                 <Link2 size={16} color="#FFFFFF" />
-                <Text style={styles.connectButtonText}>Connect {name}</Text>
+                <Text style={styles.connectButtonText}>{t('wearableConnections.connect', { name })}</Text>
               </LinearGradient>
             </Pressable>
           )}
@@ -276,10 +305,49 @@ function WearableCard({ provider, isConnected, lastSynced, isSyncing, onConnect,
   );
 }
 
+// ============================================================
+// Source Priority Card
+// ============================================================
+function SourcePriorityCard({ priority, sources, onPromote, delay }) {
+  const { t } = useTranslation();
+
+  return (
+    <ReAnimated.View entering={FadeInDown.delay(delay).springify().mass(0.5).damping(10)}>
+      <View style={styles.priorityCard}>
+        <View style={styles.priorityHeader}>
+          <ListOrdered size={16} color={Colors.primary} />
+          <Text style={styles.priorityDescription}>{t('wearableConnections.sourcePriorityDescription')}</Text>
+        </View>
+        {PRIORITY_METRICS.map((metric) => (
+          <View key={metric} style={styles.priorityRow}>
+            <Text style={styles.priorityMetric}>{t(`wearableConnections.priorityMetrics.${metric}`)}</Text>
+            <View style={styles.priorityChips}>
+              {orderSources(priority, metric, sources).map((source, index) => (
+                <Pressable
+                  key={source}
+                  style={[styles.priorityChip, index === 0 && styles.priorityChipActive]}
+                  onPress={() => index > 0 && onPromote(metric, source)}
+                  accessibilityRole="button"
+                  accessibilityState={{ selected: index === 0 }}
+                >
+                  <Text style={[styles.priorityChipText, index === 0 && styles.priorityChipTextActive]}>
+                    {getHealthSourceName(source)}
+                  </Text>
+                </Pressable>
+              ))}
+            </View>
+          </View>
+        ))}
+      </View>
+    </ReAnimated.View>
+  );
+}
+
 // ============================================================
 // AI Enhancement Info Card
 // ============================================================
 function AIInfoCard({ delay }) {
+  const { t } = useTranslation();
   return (
     <ReAnimated.View entering={FadeInDown.delay(delay).springify().mass(0.5).damping(10)}>
       <View style={styles.aiInfoCard}>
@@ -293,7 +361,7 @@ function AIInfoCard({ delay }) {
             <View style={styles.aiInfoIconWrap}>
               <Sparkles size={18} color={Colors.primary} />
             </View>
-            <Text style={styles.aiInfoTitle}>AI-Enhanced Coaching</Text>
+            <Text style={styles.aiInfoTitle}>{t('wearableConnections.aiEnhancedCoaching')}</Text>
           </View>
           <Text style={styles.aiInfoBody}>
             Connecting your wearable devices allows our AI coach to analyze your recovery, strain,
@@ -303,15 +371,15 @@ function AIInfoCard({ delay }) {
           <View style={styles.aiInfoBenefits}>
             <View style={styles.aiInfoBenefitRow}>
               <Brain size={14} color={Colors.primary} />
-              <Text style={styles.aiInfoBenefitText}>Smarter workout intensity recommendations</Text>
+              <Text style={styles.aiInfoBenefitText}>{t('wearableConnections.smarterWorkoutIntensityRecommendations')}</Text>
             </View>
             <View style={styles.aiInfoBenefitRow}>
               <Activity size={14} color={Colors.primary} />
-              <Text style={styles.aiInfoBenefitText}>Recovery-aware training adjustments</Text>
+              <Text style={styles.aiInfoBenefitText}>{t('wearableConnections.recoveryAwareTrainingAdjustments')}</Text>
             </View>
             <View style={styles.aiInfoBenefitRow}>
               <Moon size={14} color={Colors.primary} />
-              <Text style={styles.aiInfoBenefitText}>Sleep-optimized nutrition timing</Text>
+              <Text style={styles.aiInfoBenefitText}>{t('wearableConnections.sleepOptimizedNutritionTiming')}</Text>
             </View>
           </View>
         </LinearGradient>
@@ -324,11 +392,13 @@ function AIInfoCard({ delay }) {
 // Main Screen (Inner)
 // ============================================================
 function WearableConnectionsScreenInner() {
+  const { t } = useTranslation();
   const router = useRouter();
   const [connections, setConnections] = useState({});
   const [isLoading, setIsLoading] = useState(true);
   const [syncingProviders, setSyncingProviders] = useState({});
   const [connectingProvider, setConnectingProvider] = useState(null);
+  const [sourcePriority, setSourcePriorityState] = useState(null);
 
   // Load connections on mount
   useEffect(() => {
@@ -338,8 +408,9 @@ function WearableConnectionsScreenInner() {
   const loadConnections = useCallback(async () => {
     try {
       setIsLoading(true);
-      const data = await getConnections();
+      const [data, priority] = await Promise.all([getConnections(), getSourcePriority()]);
       setConnections(data || {});
+      setSourcePriorityState(priority);
     } catch (error) {
       // Silently handle - connections default to empty
     } finally {
@@ -361,14 +432,14 @@ function WearableConnectionsScreenInner() {
         }));
         await hapticSuccess();
         const providerName = WEARABLE_PROVIDERS.find((p) => p.id === providerId)?.name || providerId;
-        Alert.alert('Connected', `${providerName} has been connected successfully. Your data will begin syncing shortly.`);
+        Alert.alert(t('wearableConnections.connected'), t('wearableConnections.hasBeenConnectedSuccessfully', { providerName }));
       }
     } catch (error) {
-      Alert.alert('Connection Failed', 'Could not connect to this device. Please check your account and try again.');
+      Alert.alert(t('wearableConnections.connectionFailed'), t('wearableConnections.couldNotConnectTo'));
     } finally {
       setConnectingProvider(null);
     }
-  }, []);
+  }, [t]);
 
   const handleDisconnect = useCallback(async (providerId) => {
     try {
@@ -380,9 +451,9 @@ function WearableConnectionsScreenInner() {
       });
       await hapticLight();
     } catch (error) {
-      Alert.alert('Error', 'Could not disconnect this device. Please try again.');
+      Alert.alert(t('common.errorTitle'), t('wearableConnections.couldNotDisconnectThis'));
     }
-  }, []);
+  }, [t]);
 
   const handleSync = useCallback(async (providerId) => {
     try {
@@ -397,11 +468,18 @@ function WearableConnectionsScreenInner() {
       }));
       await hapticSuccess();
     } catch (error) {
-      Alert.alert('Sync Failed', 'Could not sync data from this device. Please try again later.');
+      Alert.alert(t('wearableConnections.syncFailed'), t('wearableConnections.couldNotSyncData'));
     } finally {
       setSyncingProviders((prev) => ({ ...prev, [providerId]: false }));
     }
-  }, []);
+  }, [t]);
+
+  const handlePromoteSource = useCallback(async (metric, source) => {
+    const updated = promoteSource(sourcePriority, metric, source);
+    setSourcePriorityState(updated);
+    await hapticLight();
+    await setSourcePriority(updated);
+  }, [sourcePriority]);
 
   const handleBack = useCallback(async () => {
     await hapticLight();
@@ -409,13 +487,17 @@ function WearableConnectionsScreenInner() {
   }, [router]);
 
   const connectedCount = Object.values(connections).filter((c) => c?.connected).length;
+  const prioritySources = [
+    'native',
+    ...WEARABLE_PROVIDERS.filter((p) => connections[p.id]?.connected).map((p) => p.id),
+  ];
 
   if (isLoading) {
     return (
       <ScreenWrapper>
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color={Colors.primary} />
-          <Text style={styles.loadingText}>Loading devices...</Text>
+          <Text style={styles.loadingText}>{t('wearableConnections.loadingDevices')}</Text>
         </View>
       </ScreenWrapper>
     );
@@ -429,7 +511,7 @@ function WearableConnectionsScreenInner() {
           <ArrowLeft size={22} color={Colors.text} />
         </Pressable>
         <View style={styles.headerCenter}>
-          <Text style={styles.title}>Connected Devices</Text>
+          <Text style={styles.title}>{t('wearableConnections.connectedDevices')}</Text>
         </View>
         <View style={styles.headerRight}>
           <Watch size={22} color={Colors.primary} />
@@ -449,12 +531,12 @@ function WearableConnectionsScreenInner() {
             </View>
             <View style={styles.summaryInfo}>
               <Text style={styles.summaryTitle}>
-                {connectedCount + 1} {connectedCount + 1 === 1 ? 'Source' : 'Sources'} Connected
+                {connectedCount + 1} {connectedCount + 1 === 1 ? t('wearableConnections.source') : t('wearableConnections.sources')} Connected
               </Text>
               <Text style={styles.summarySubtitle}>
                 {connectedCount === 0
-                  ? 'Connect a wearable to enhance your experience'
-                  : 'Your health data is being synced and analyzed'}
+                  ? t('wearableConnections.connectAWearableTo')
+                  : t('wearableConnections.yourHealthDataIs')}
               </Text>
             </View>
           </View>
@@ -462,13 +544,13 @@ function WearableConnectionsScreenInner() {
 
         {/* Health Platform Section */}
         <ReAnimated.View entering={FadeInDown.delay(80).springify().mass(0.5).damping(10)}>
-          <Text style={styles.sectionTitle}>Health Platform</Text>
+          <Text style={styles.sectionTitle}>{t('wearableConnections.healthPlatform')}</Text>
         </ReAnimated.View>
         <HealthPlatformCard delay={120} />
 
         {/* Wearable Devices Section */}
         <ReAnimated.View entering={FadeInDown.delay(180).springify().mass(0.5).damping(10)}>
-          <Text style={styles.sectionTitle}>Wearable Devices</Text>
+          <Text style={styles.sectionTitle}>{t('wearableConnections.wearableDevices')}</Text>
         </ReAnimated.View>
 
         {WEARABLE_PROVIDERS.map((provider, index) => {
@@ -492,9 +574,24 @@ function WearableConnectionsScreenInner() {
           );
         })}
 
+        {/* Source Priority Section */}
+        {sourcePriority && prioritySources.length > 1 && (
+          <>
+            <ReAnimated.View entering={FadeInDown.delay(440).springify().mass(0.5).damping(10)}>
+              <Text style={styles.sectionTitle}>{t('wearableConnections.sourcePriority')}</Text>
+            </ReAnimated.View>
+            <SourcePriorityCard
+              priority={sourcePriority}
+              sources={prioritySources}
+              onPromote={handlePromoteSource}
+              delay={460}
+            />
+          </>
+        )}
+
         {/* AI Enhancement Info Card */}
         <ReAnimated.View entering={FadeInDown.delay(480).springify().mass(0.5).damping(10)}>
-          <Text style={styles.sectionTitle}>Why Connect?</Text>
+          <Text style={styles.sectionTitle}>{t('wearableConnections.whyConnect')}</Text>
         </ReAnimated.View>
         <AIInfoCard delay={520} />
 
@@ -832,6 +929,60 @@ const styles = StyleSheet.create({
     color: Colors.error,
   },
 
+  // Source Priority Card
+  priorityCard: {
+    backgroundColor: 'rgba(255, 255, 255, 0.03)',
+    borderRadius: BorderRadius.xl,
+    padding: Spacing.md,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.08)',
+    gap: Spacing.md,
+  },
+  priorityHeader: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: Spacing.sm,
+  },
+  priorityDescription: {
+    flex: 1,
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+    lineHeight: 18,
+  },
+  priorityRow: {
+    gap: Spacing.xs,
+  },
+  priorityMetric: {
+    fontSize: FontSize.sm,
+    fontWeight: FontWeight.semibold,
+    color: Colors.text,
+  },
+  priorityChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: Spacing.xs,
+  },
+  priorityChip: {
+    paddingHorizontal: Spacing.sm,
+    paddingVertical: 4,
+    borderRadius: BorderRadius.full,
+    backgroundColor: Colors.surfaceGlass,
+    borderWidth: 1,
+    borderColor: 'transparent',
+  },
+  priorityChipActive: {
+    backgroundColor: Colors.primarySoft,
+    borderColor: Colors.primary,
+  },
+  priorityChipText: {
+    fontSize: FontSize.xs,
+    color: Colors.textSecondary,
+  },
+  priorityChipTextActive: {
+    color: Colors.primary,
+    fontWeight: FontWeight.semibold,
+  },
+
   // AI Info Card
   aiInfoCard: {
     borderRadius: BorderRadius.xl,
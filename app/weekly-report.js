@@ -42,6 +42,7 @@ import {
   Zap,
   ArrowRight,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import useWorkoutHistory from '../hooks/useWorkoutHistory';
 import { useWeightHistory as useWeightHistoryHook } from '../hooks/useWeightHistory';
 import ScreenWrapper from '../components/ScreenWrapper';
@@ -156,6 +157,7 @@ function InsightItem({ insight, delay }) {
 }
 
 export default function WeeklyReportScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const { weeklyData, goals, dayData } = useMeals();
   const { weeklyWeightData, profile } = useProfile();
@@ -244,8 +246,8 @@ export default function WeeklyReportScreen() {
   const nextWeekFocus = useMemo(() => getNextWeekFocus(insights), [insights]);
 
   const handleShare = useCallback(() => {
-    Alert.alert('Share', 'Weekly report sharing will use react-native-view-shot to capture and share as an image.');
-  }, []);
+    Alert.alert(t('common.share'), t('weeklyReport.weeklyReportSharingWill'));
+  }, [t]);
 
   return (
     <ScreenWrapper>
@@ -259,7 +261,7 @@ export default function WeeklyReportScreen() {
           <Pressable style={styles.backButton} onPress={handleBack}>
             <ChevronLeft size={24} color={Colors.text} />
           </Pressable>
-          <Text style={styles.headerTitle}>Weekly Report</Text>
+          <Text style={styles.headerTitle}>{t('weeklyReport.weeklyReport')}</Text>
           <Pressable style={styles.shareButton} onPress={handleShare}>
             <Share2 size={20} color={Colors.primary} />
           </Pressable>
@@ -275,7 +277,7 @@ export default function WeeklyReportScreen() {
               style={styles.gradeGlow}
             />
             <GradeRing grade={report.grade} gradeColor={report.gradeColor} score={report.complianceScore} />
-            <Text style={styles.gradeLabel}>This Week's Grade</Text>
+            <Text style={styles.gradeLabel}>{t('weeklyReport.thisWeeksGrade')}</Text>
 
             {/* Highlights */}
             {report.highlights.length > 0 && (
@@ -293,43 +295,43 @@ export default function WeeklyReportScreen() {
 
         {/* Calories Section */}
         <ReAnimated.View entering={FadeInDown.delay(160).springify().damping(12)}>
-          <Text style={styles.sectionTitle}>Calories</Text>
+          <Text style={styles.sectionTitle}>{t('food.calories')}</Text>
           <View style={styles.sectionCard}>
-            <StatRow icon={Flame} iconColor={Colors.secondary} label="Daily Average" value={`${report.calorieStats.avg} kcal`} />
-            <StatRow icon={TrendingDown} iconColor={Colors.success} label="Best Day (lowest)" value={`${report.calorieStats.best} kcal`} good={true} />
-            <StatRow icon={TrendingUp} iconColor={Colors.error} label="Worst Day (highest)" value={`${report.calorieStats.worst} kcal`} good={false} />
-            <StatRow icon={Target} iconColor={Colors.primary} label="Compliance" value={`${report.calorieStats.compliance}%`} good={report.calorieStats.compliance >= 70} />
+            <StatRow icon={Flame} iconColor={Colors.secondary} label={t('weeklyReport.dailyAverage')} value={t('weeklyReport.kcal', { avg: report.calorieStats.avg })} />
+            <StatRow icon={TrendingDown} iconColor={Colors.success} label={t('weeklyReport.bestDayLowest')} value={t('weeklyReport.kcal2', { best: report.calorieStats.best })} good={true} />
+            <StatRow icon={TrendingUp} iconColor={Colors.error} label={t('weeklyReport.worstDayHighest')} value={t('weeklyReport.kcal3', { worst: report.calorieStats.worst })} good={false} />
+            <StatRow icon={Target} iconColor={Colors.primary} label={t('weeklyReport.compliance')} value={`${report.calorieStats.compliance}%`} good={report.calorieStats.compliance >= 70} />
           </View>
         </ReAnimated.View>
 
         {/* Macros Section */}
         <ReAnimated.View entering={FadeInDown.delay(240).springify().damping(12)}>
-          <Text style={styles.sectionTitle}>Macros</Text>
+          <Text style={styles.sectionTitle}>{t('weeklyReport.macros')}</Text>
           <View style={styles.sectionCard}>
-            <MacroBar label="Protein" value={report.macroStats.avgProtein} target={report.macroStats.proteinTarget} color={Colors.protein} />
-            <MacroBar label="Carbs" value={report.macroStats.avgCarbs} target={report.macroStats.carbsTarget} color={Colors.carbs} />
-            <MacroBar label="Fat" value={report.macroStats.avgFat} target={report.macroStats.fatTarget} color={Colors.fat} />
+            <MacroBar label={t('food.protein')} value={report.macroStats.avgProtein} target={report.macroStats.proteinTarget} color={Colors.protein} />
+            <MacroBar label={t('food.carbs')} value={report.macroStats.avgCarbs} target={report.macroStats.carbsTarget} color={Colors.carbs} />
+            <MacroBar label={t('food.fat')} value={report.macroStats.avgFat} target={report.macroStats.fatTarget} color={Colors.fat} />
           </View>
         </ReAnimated.View>
 
         {/* Exercise Section */}
         <ReAnimated.View entering={FadeInDown.delay(320).springify().damping(12)}>
-          <Text style={styles.sectionTitle}>Exercise</Text>
+          <Text style={styles.sectionTitle}>{t('weeklyReport.exercise')}</Text>
           <View style={styles.sectionCard}>
-            <StatRow icon={Dumbbell} iconColor={Colors.primary} label="Workouts Completed" value={`${report.exerciseStats.workoutsCompleted}`} good={report.exerciseStats.workoutsCompleted >= 3} />
-            <StatRow icon={Zap} iconColor={Colors.warning} label="Total Duration" value={`${report.exerciseStats.totalDuration} min`} />
-            <StatRow icon={Flame} iconColor={Colors.secondary} label="Calories Burned" value={`${report.exerciseStats.totalCalories} kcal`} />
+            <StatRow icon={Dumbbell} iconColor={Colors.primary} label={t('weeklyReport.workoutsCompleted')} value={`${report.exerciseStats.workoutsCompleted}`} good={report.exerciseStats.workoutsCompleted >= 3} />
+            <StatRow icon={Zap} iconColor={Colors.warning} label={t('weeklyReport.totalDuration')} value={t('weeklyReport.min', { totalDuration: report.exerciseStats.totalDuration })} />
+            <StatRow icon={Flame} iconColor={Colors.secondary} label={t('weeklyReport.caloriesBurned')} value={t('weeklyReport.kcal4', { totalCalories: report.exerciseStats.totalCalories })} />
           </View>
         </ReAnimated.View>
 
         {/* Weight Section */}
         <ReAnimated.View entering={FadeInDown.delay(400).springify().damping(12)}>
-          <Text style={styles.sectionTitle}>Weight</Text>
+          <Text style={styles.sectionTitle}>{t('weeklyReport.weight')}</Text>
           <View style={styles.sectionCard}>
             <StatRow
               icon={Scale}
               iconColor={report.weightChange <= 0 ? Colors.success : Colors.warning}
-              label="Change This Week"
+              label={t('weeklyReport.changeThisWeek')}
               value={`${report.weightChange > 0 ? '+' : ''}${report.weightChange} kg`}
               good={report.weightChange <= 0}
             />
@@ -339,7 +341,7 @@ export default function WeeklyReportScreen() {
         {/* Top Insights */}
         {insights.length > 0 && (
           <ReAnimated.View entering={FadeInDown.delay(480).springify().damping(12)}>
-            <Text style={styles.sectionTitle}>Key Insights</Text>
+            <Text style={styles.sectionTitle}>{t('weeklyReport.keyInsights')}</Text>
             {insights.slice(0, 3).map((insight, i) => (
               <InsightItem key={insight.id} insight={insight} delay={520 + i * 60} />
             ))}
@@ -355,7 +357,7 @@ export default function WeeklyReportScreen() {
             >
               <View style={styles.focusHeader}>
                 <Lightbulb size={18} color={Colors.primary} />
-                <Text style={styles.focusTitle}>Next Week Focus</Text>
+                <Text style={styles.focusTitle}>{t('weeklyReport.nextWeekFocus')}</Text>
               </View>
               {nextWeekFocus.map((item, i) => (
                 <View key={i} style={styles.focusItem}>
@@ -370,7 +372,7 @@ export default function WeeklyReportScreen() {
         {/* Areas to Improve */}
         {report.areasToImprove.length > 0 && (
           <ReAnimated.View entering={FadeInDown.delay(780).springify().damping(12)}>
-            <Text style={styles.sectionTitle}>Areas to Improve</Text>
+            <Text style={styles.sectionTitle}>{t('weeklyReport.areasToImprove')}</Text>
             <View style={styles.sectionCard}>
               {report.areasToImprove.map((area, i) => (
                 <View key={i} style={styles.improvementRow}>
@@ -36,14 +36,16 @@ import {
   Trash2,
   Minus,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { hapticSuccess, hapticLight } from '../lib/haptics';
 import { useWeightHistory } from '../hooks/useWeightHistory';
 import { useProfile } from '../context/ProfileContext';
 import { isSameLocalDay } from '../lib/date';
+import { formatDate as formatLocaleDate } from '../lib/formatters';
 
 function formatDate(dateString) {
   const date = new Date(dateString);
-  return date.toLocaleDateString('en-US', {
+  return formatLocaleDate(date, {
     month: 'short',
     day: 'numeric',
     year: 'numeric',
@@ -52,7 +54,7 @@ function formatDate(dateString) {
 
 function formatShortDate(dateString) {
   const date = new Date(dateString);
-  return date.toLocaleDateString('en-US', {
+  return formatLocaleDate(date, {
     month: 'short',
     day: 'numeric',
   });
@@ -60,7 +62,7 @@ function formatShortDate(dateString) {
 
 function getMonthYear(dateString) {
   const date = new Date(dateString);
-  return date.toLocaleDateString('en-US', {
+  return formatLocaleDate(date, {
     month: 'long',
     year: 'numeric',
   });
@@ -94,6 +96,7 @@ function StatCard({ label, value, unit, icon: Icon, iconColor, subtitle }) {
 
 // History row component
 function HistoryRow({ item, index, entries, onDelete, weightUnit }) {
+  const { t } = useTranslation();
   const prevEntry = index < entries.length - 1 ? entries[index + 1] : null;
   const change = prevEntry
     ? Math.round((item.weight - prevEntry.weight) * 10) / 10
@@ -102,18 +105,18 @@ function HistoryRow({ item, index, entries, onDelete, weightUnit }) {
 
   const handleDelete = useCallback(() => {
     Alert.alert(
-      'Delete Entry',
-      `Remove the weight entry for ${formatDate(item.date)}?`,
+      t('weightLog.deleteEntry'),
+      t('weightLog.removeEntryFor', { date: formatDate(item.date) }),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Delete',
+          text: t('common.delete'),
           style: 'destructive',
           onPress: () => onDelete(item.date),
         },
       ]
     );
-  }, [item.date, onDelete]);
+  }, [item.date, onDelete, t]);
 
   return (
     <Pressable
@@ -122,7 +125,7 @@ function HistoryRow({ item, index, entries, onDelete, weightUnit }) {
     >
       <View style={styles.historyLeft}>
         <Text style={styles.historyDate}>
-          {isToday ? 'Today' : formatDate(item.date)}
+          {isToday ? t('common.today') : formatDate(item.date)}
         </Text>
         {item.note ? (
           <Text style={styles.historyNote} numberOfLines={1}>{item.note}</Text>
@@ -162,6 +165,7 @@ function HistoryRow({ item, index, entries, onDelete, weightUnit }) {
 }
 
 export default function WeightLogScreen() {
+  const { t } = useTranslation();
   const {
     entries,
     goal,
@@ -231,7 +235,7 @@ export default function WeightLogScreen() {
       value: goal,
       dashWidth: 8,
       dashGap: 6,
-      labelText: `Goal: ${goal}`,
+      labelText: t('weightLog.goal', { goal }),
       labelTextStyle: {
         color: Colors.success,
         fontSize: 10,
@@ -239,7 +243,7 @@ export default function WeightLogScreen() {
       },
       lineColor: Colors.success,
     };
-  }, [goal, chartData]);
+  }, [goal, chartData, t]);
 
   // Min/max for chart Y axis
   const yAxisRange = useMemo(() => {
@@ -272,7 +276,7 @@ export default function WeightLogScreen() {
   const handleLogWeight = useCallback(async () => {
     const parsed = parseFloat(weightInput);
     if (isNaN(parsed) || parsed <= 0) {
-      Alert.alert('Invalid Weight', 'Please enter a valid weight.');
+      Alert.alert(t('weightLog.invalidWeight'), t('weightLog.pleaseEnterAValid'));
       return;
     }
 
@@ -280,13 +284,13 @@ export default function WeightLogScreen() {
     addEntry(parsed, noteInput.trim());
     setWeightInput('');
     setNoteInput('');
-  }, [weightInput, noteInput, addEntry]);
+  }, [weightInput, noteInput, addEntry, t]);
 
   // Handle setting goal
   const handleSetGoal = useCallback(async () => {
     const parsed = parseFloat(goalInput);
     if (isNaN(parsed) || parsed <= 0) {
-      Alert.alert('Invalid Weight', 'Please enter a valid target weight.');
+      Alert.alert(t('weightLog.invalidWeight'), t('weightLog.pleaseEnterAValid2'));
       return;
     }
 
@@ -294,7 +298,7 @@ export default function WeightLogScreen() {
     setGoal(parsed);
     setGoalInput('');
     setShowGoalInput(false);
-  }, [goalInput, setGoal]);
+  }, [goalInput, setGoal, t]);
 
   // Handle deleting an entry
   const handleDeleteEntry = useCallback(
@@ -354,14 +358,14 @@ export default function WeightLogScreen() {
           >
             <ArrowLeft size={22} color={Colors.text} />
           </Pressable>
-          <Text style={styles.headerTitle}>Weight</Text>
+          <Text style={styles.headerTitle}>{t('weightLog.weight')}</Text>
           <Pressable
             style={styles.goalBadge}
             onPress={() => setShowGoalInput(!showGoalInput)}
           >
             <Target size={14} color={Colors.success} />
             <Text style={styles.goalBadgeText}>
-              {goal ? `${goal} ${weightUnit}` : 'Set Goal'}
+              {goal ? `${goal} ${weightUnit}` : t('weightLog.setGoal')}
             </Text>
           </Pressable>
         </ReAnimated.View>
@@ -376,14 +380,14 @@ export default function WeightLogScreen() {
               style={styles.goalTextInput}
               value={goalInput}
               onChangeText={setGoalInput}
-              placeholder={`Target weight (${weightUnit})`}
+              placeholder={t('weightLog.targetWeight', { weightUnit })}
               placeholderTextColor={Colors.textTertiary}
               keyboardType="decimal-pad"
               returnKeyType="done"
               onSubmitEditing={handleSetGoal}
             />
             <Pressable style={styles.goalSetBtn} onPress={handleSetGoal}>
-              <Text style={styles.goalSetBtnText}>Set</Text>
+              <Text style={styles.goalSetBtnText}>{t('weightLog.set')}</Text>
             </Pressable>
             {goal && (
               <Pressable
@@ -394,7 +398,7 @@ export default function WeightLogScreen() {
                   setShowGoalInput(false);
                 }}
               >
-                <Text style={styles.goalClearBtnText}>Clear</Text>
+                <Text style={styles.goalClearBtnText}>{t('common.clear')}</Text>
               </Pressable>
             )}
           </ReAnimated.View>
@@ -414,9 +418,9 @@ export default function WeightLogScreen() {
             {todayEntry && (
               <View style={styles.todayBanner}>
                 <Text style={styles.todayBannerText}>
-                  Today: {todayEntry.weight} {weightUnit}
+                  {t('weightLog.today', { weight: todayEntry.weight, weightUnit })}
                 </Text>
-                <Text style={styles.todayBannerSub}>Log again to update</Text>
+                <Text style={styles.todayBannerSub}>{t('weightLog.logAgainToUpdate')}</Text>
               </View>
             )}
 
@@ -439,7 +443,7 @@ export default function WeightLogScreen() {
               style={styles.noteInput}
               value={noteInput}
               onChangeText={setNoteInput}
-              placeholder="Optional note (e.g., after breakfast)"
+              placeholder={t('weightLog.optionalNoteEG')}
               placeholderTextColor={Colors.textTertiary}
               returnKeyType="done"
             />
@@ -452,7 +456,7 @@ export default function WeightLogScreen() {
                 style={styles.logButtonGradient}
               >
                 <Plus size={20} color={Colors.background} />
-                <Text style={styles.logButtonText}>Log Weight</Text>
+                <Text style={styles.logButtonText}>{t('weightLog.logWeight')}</Text>
               </LinearGradient>
             </Pressable>
           </LinearGradient>
@@ -469,7 +473,7 @@ export default function WeightLogScreen() {
               style={styles.chartCardGradient}
             >
               <View style={styles.entryBorder} />
-              <Text style={styles.chartTitle}>Weight Trend</Text>
+              <Text style={styles.chartTitle}>{t('weightLog.weightTrend')}</Text>
               <View style={styles.chartWrap}>
                 <LineChart
                   data={chartData}
@@ -536,14 +540,14 @@ export default function WeightLogScreen() {
             style={styles.statsRow}
           >
             <StatCard
-              label="Current"
+              label={t('weightLog.current')}
               value={currentWeight}
               unit={weightUnit}
               icon={Scale}
               iconColor={Colors.primary}
             />
             <StatCard
-              label="Change"
+              label={t('weightLog.change')}
               value={
                 totalChange.change !== 0
                   ? `${totalChange.direction === 'up' ? '+' : '-'}${totalChange.change}`
@@ -560,12 +564,12 @@ export default function WeightLogScreen() {
               }
               subtitle={
                 totalChange.startWeight
-                  ? `from ${totalChange.startWeight}`
+                  ? t('weightLog.from', { startWeight: totalChange.startWeight })
                   : null
               }
             />
             <StatCard
-              label="To Goal"
+              label={t('weightLog.toGoal')}
               value={toGoal !== null ? Math.abs(toGoal) : '--'}
               unit={toGoal !== null ? weightUnit : ''}
               icon={Target}
@@ -573,11 +577,11 @@ export default function WeightLogScreen() {
               subtitle={
                 toGoal !== null
                   ? toGoal > 0
-                    ? 'to lose'
+                    ? t('weightLog.toLose')
                     : toGoal < 0
-                      ? 'to gain'
-                      : 'reached!'
-                  : 'set a goal'
+                      ? t('weightLog.toGain')
+                      : t('weightLog.reached')
+                  : t('weightLog.setAGoal')
               }
             />
           </ReAnimated.View>
@@ -589,7 +593,7 @@ export default function WeightLogScreen() {
             entering={FadeInDown.delay(320).springify().mass(0.5).damping(10)}
             style={styles.historyHeader}
           >
-            <Text style={styles.historyTitle}>History</Text>
+            <Text style={styles.historyTitle}>{t('weightLog.history')}</Text>
             <Text style={styles.historyCount}>
               {entries.length} {entries.length === 1 ? 'entry' : 'entries'}
             </Text>
@@ -615,6 +619,7 @@ export default function WeightLogScreen() {
       entries.length,
       handleLogWeight,
       handleSetGoal,
+      t,
     ]
   );
 
@@ -625,13 +630,13 @@ export default function WeightLogScreen() {
         <View style={styles.emptyIconWrap}>
           <Scale size={48} color={Colors.textTertiary} />
         </View>
-        <Text style={styles.emptyTitle}>Start tracking your weight</Text>
+        <Text style={styles.emptyTitle}>{t('weightLog.startTrackingYourWeight')}</Text>
         <Text style={styles.emptySubtitle}>
-          Log your first entry above
+          {t('weightLog.logYourFirstEntry')}
         </Text>
       </View>
     ),
-    []
+    [t]
   );
 
   return (
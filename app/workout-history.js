@@ -21,12 +21,16 @@ import {
   Trophy,
   ChevronDown,
   Calendar,
-  BarChart3,
   Trash2,
   ChevronUp,
+  Share2,
+  FileUp,
 } from 'lucide-react-native';
+import { File as ExpoFile } from 'expo-file-system';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import OptimizedFlatList from '../components/OptimizedFlatList';
+import RouteMap from '../components/RouteMap';
 import {
   Colors,
   Spacing,
@@ -39,61 +43,60 @@ import {
 import { hapticLight } from '../lib/haptics';
 import useWorkoutHistory from '../hooks/useWorkoutHistory';
 import usePersonalRecords from '../hooks/usePersonalRecords';
+import { formatDate, formatDuration, formatNumber, getDeviceUnitSystem } from '../lib/formatters';
+import { toImportedWorkout } from '../lib/workoutFiles';
+import {
+  canExportGPX,
+  exportHealthWorkouts,
+  exportHistoryWorkout,
+  readWorkoutFile,
+} from '../services/workoutFiles';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 
 const FILTER_TABS = [
-  { id: 'all', label: 'All' },
-  { id: 'strength', label: 'Strength' },
-  { id: 'hiit', label: 'HIIT' },
-  { id: 'yoga', label: 'Yoga' },
-  { id: 'cardio', label: 'Cardio' },
-  { id: 'hypertrophy', label: 'Hypertrophy' },
-  { id: 'endurance', label: 'Endurance' },
+  { id: 'all', labelKey: 'common.all' },
+  { id: 'strength', labelKey: 'workoutHistory.filterTabs.strength' },
+  { id: 'hiit', labelKey: 'workoutHistory.filterTabs.hiit' },
+  { id: 'yoga', labelKey: 'workoutHistory.filterTabs.yoga' },
+  { id: 'cardio', labelKey: 'workoutHistory.filterTabs.cardio' },
+  { id: 'hypertrophy', labelKey: 'workoutHistory.filterTabs.hypertrophy' },
+  { id: 'endurance', labelKey: 'workoutHistory.filterTabs.endurance' },
 ];
 
-// Format date to "Mon, Feb 10" style
-function formatDate(isoString) {
-  const date = new Date(isoString);
-  const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-  const months = [
-    'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
-    'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec',
-  ];
-  return `${days[date.getDay()]}, ${months[date.getMonth()]} ${date.getDate()}`;
-}
-
-// Format minutes to readable duration
-function formatDuration(mins) {
-  if (!mins) return '0m';
-  if (mins < 60) return `${mins}m`;
-  const h = Math.floor(mins / 60);
-  const m = mins % 60;
-  return m > 0 ? `${h}h ${m}m` : `${h}h`;
-}
+// "Mon, Feb 10" style, localised
+const WORKOUT_DATE_FORMAT = { weekday: 'short', month: 'short', day: 'numeric' };
 
 // Format total duration for stats
 function formatTotalDuration(mins) {
   if (!mins) return '0';
-  if (mins < 60) return `${mins}m`;
-  const h = Math.floor(mins / 60);
-  const m = mins % 60;
-  return m > 0 ? `${h}h ${m}m` : `${h}h`;
+  return formatDuration(mins);
+}
+
+const TYPE_LABEL_KEYS = {
+  strength: 'workoutHistory.types.strength',
+  hiit: 'workoutHistory.types.hiit',
+  yoga: 'workoutHistory.types.yoga',
+  cardio: 'workoutHistory.types.cardio',
+  hypertrophy: 'workoutHistory.types.hypertrophy',
+  endurance: 'workoutHistory.types.endurance',
+  flexibility: 'workoutHistory.types.flexibility',
+};
+
+function isPickerCancelledError(error) {
+  if (!(error instanceof Error)) {
+    return false;
+  }
+
+  const message = error.message.toLowerCase();
+  return message.includes('cancelled') || message.includes('canceled');
 }
 
 // Get a display-friendly type label
-function getTypeLabel(type) {
-  if (!type) return 'Workout';
-  const labels = {
-    strength: 'Strength',
-    hiit: 'HIIT',
-    yoga: 'Yoga',
-    cardio: 'Cardio',
-    hypertrophy: 'Hypertrophy',
-    endurance: 'Endurance',
-    flexibility: 'Flexibility',
-  };
-  return labels[type.toLowerCase()] || type.charAt(0).toUpperCase() + type.slice(1);
+function getTypeLabel(t, type) {
+  if (!type) return t('workoutHistory.types.workout');
+  const key = TYPE_LABEL_KEYS[type.toLowerCase()];
+  return key ? t(key) : type.charAt(0).toUpperCase() + type.slice(1);
 }
 
 // Get type badge color
@@ -112,11 +115,12 @@ function getTypeColor(type) {
 
 // Stats Summary Card
 function StatsSummary({ stats }) {
+  const { t } = useTranslation();
   const items = [
-    { label: 'Workouts', value: stats.totalWorkouts.toString() },
-    { label: 'Duration', value: formatTotalDuration(stats.totalDuration) },
-    { label: 'Calories', value: stats.totalCalories.toLocaleString() },
-    { label: 'This Week', value: stats.thisWeekCount.toString() },
+    { label: t('workoutHistory.workouts'), value: stats.totalWorkouts.toString() },
+    { label: t('workoutHistory.duration'), value: formatTotalDuration(stats.totalDuration) },
+    { label: t('food.calories'), value: formatNumber(stats.totalCalories) },
+    { label: t('common.thisWeek'), value: stats.thisWeekCount.toString() },
   ];
 
   return (
@@ -180,6 +184,7 @@ const statsStyles = StyleSheet.create({
 
 // Filter Tabs
 function FilterTabs({ activeFilter, onFilterChange }) {
+  const { t } = useTranslation();
   return (
     <ScrollView
       horizontal
@@ -207,7 +212,7 @@ function FilterTabs({ activeFilter, onFilterChange }) {
               />
             )}
             <Text style={[filterStyles.pillText, isActive && filterStyles.pillTextActive]}>
-              {tab.label}
+              {t(tab.labelKey)}
             </Text>
           </Pressable>
         );
@@ -249,6 +254,7 @@ const filterStyles = StyleSheet.create({
 
 // Workout Card (expandable)
 function WorkoutCard({ workout, personalRecords, onDelete }) {
+  const { t } = useTranslation();
   const [expanded, setExpanded] = useState(false);
   const typeColor = getTypeColor(workout.type);
 
@@ -267,15 +273,32 @@ function WorkoutCard({ workout, personalRecords, onDelete }) {
     setExpanded(!expanded);
   };
 
+  const runExport = async (fileFormat) => {
+    try {
+      await exportHistoryWorkout(workout, fileFormat);
+    } catch (error) {
+      Alert.alert(t('workoutHistory.exportFailed'), error.message);
+    }
+  };
+
+  const handleExport = () => {
+    hapticLight();
+    Alert.alert(t('workoutHistory.exportWorkout'), t('workoutHistory.exportWorkoutMessage'), [
+      { text: t('common.cancel'), style: 'cancel' },
+      ...(canExportGPX(workout) ? [{ text: 'GPX', onPress: () => runExport('gpx') }] : []),
+      { text: 'TCX', onPress: () => runExport('tcx') },
+    ]);
+  };
+
   const handleDelete = () => {
     hapticLight();
     Alert.alert(
-      'Delete Workout',
-      `Remove "${workout.name}" from your history?`,
+      t('workoutHistory.deleteWorkout'),
+      t('workoutHistory.removeFromYourHistory', { name: workout.name }),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Delete',
+          text: t('common.delete'),
           style: 'destructive',
           onPress: () => onDelete(workout.id),
         },
@@ -300,12 +323,12 @@ function WorkoutCard({ workout, personalRecords, onDelete }) {
             </View>
             <View style={cardStyles.metaRow}>
               <Calendar size={12} color={Colors.textTertiary} />
-              <Text style={cardStyles.date}>{formatDate(workout.date)}</Text>
+              <Text style={cardStyles.date}>{formatDate(workout.date, WORKOUT_DATE_FORMAT)}</Text>
             </View>
           </View>
           <View style={[cardStyles.typeBadge, { backgroundColor: typeColor + '20' }]}>
             <Text style={[cardStyles.typeText, { color: typeColor }]}>
-              {getTypeLabel(workout.type)}
+              {getTypeLabel(t, workout.type)}
             </Text>
           </View>
         </View>
@@ -318,7 +341,7 @@ function WorkoutCard({ workout, personalRecords, onDelete }) {
           </View>
           <View style={cardStyles.stat}>
             <Flame size={14} color={Colors.secondary} />
-            <Text style={cardStyles.statText}>{workout.calories} cal</Text>
+            <Text style={cardStyles.statText}>{t('workoutHistory.cal', { calories: workout.calories })}</Text>
           </View>
           <View style={cardStyles.stat}>
             <Dumbbell size={14} color={Colors.textSecondary} />
@@ -341,6 +364,12 @@ function WorkoutCard({ workout, personalRecords, onDelete }) {
         <View style={cardStyles.expandedSection}>
           <View style={cardStyles.divider} />
 
+          {workout.route?.points?.length > 1 && (
+            <View style={cardStyles.routeMap}>
+              <RouteMap points={workout.route.points} width={SCREEN_WIDTH - Spacing.md * 4} height={160} />
+            </View>
+          )}
+
           {(workout.exercises || []).length > 0 ? (
             (workout.exercises || []).map((ex, i) => {
               const record = personalRecords[ex.name];
@@ -365,9 +394,9 @@ function WorkoutCard({ workout, personalRecords, onDelete }) {
                       <Text style={cardStyles.exerciseSets}>
                         {ex.sets.map((s, si) => {
                           if (s.weight > 0) {
-                            return `${s.weight}lb x ${s.reps}`;
+                            return t('workoutHistory.lbX', { weight: s.weight, reps: s.reps });
                           }
-                          return `${s.reps} reps`;
+                          return t('workoutHistory.reps', { reps: s.reps });
                         }).join('  |  ')}
                       </Text>
                     )}
@@ -376,21 +405,26 @@ function WorkoutCard({ workout, personalRecords, onDelete }) {
               );
             })
           ) : (
-            <Text style={cardStyles.noExercises}>No exercise details recorded</Text>
+            <Text style={cardStyles.noExercises}>{t('workoutHistory.noExerciseDetailsRecorded')}</Text>
           )}
 
           {workout.notes ? (
             <View style={cardStyles.notesContainer}>
-              <Text style={cardStyles.notesLabel}>Coach Notes</Text>
+              <Text style={cardStyles.notesLabel}>{t('workoutHistory.coachNotes')}</Text>
               <Text style={cardStyles.notesText}>{workout.notes}</Text>
             </View>
           ) : null}
 
-          {/* Delete button */}
-          <Pressable style={cardStyles.deleteButton} onPress={handleDelete}>
-            <Trash2 size={14} color={Colors.error} />
-            <Text style={cardStyles.deleteText}>Remove</Text>
-          </Pressable>
+          <View style={cardStyles.actionsRow}>
+            <Pressable style={cardStyles.exportButton} onPress={handleExport}>
+              <Share2 size={14} color={Colors.primary} />
+              <Text style={cardStyles.exportText}>{t('workoutHistory.export')}</Text>
+            </Pressable>
+            <Pressable style={cardStyles.deleteButton} onPress={handleDelete}>
+              <Trash2 size={14} color={Colors.error} />
+              <Text style={cardStyles.deleteText}>{t('common.remove')}</Text>
+            </Pressable>
+          </View>
         </View>
       )}
     </View>
@@ -537,12 +571,36 @@ const cardStyles = StyleSheet.create({
     color: Colors.textSecondary,
     lineHeight: 18,
   },
+  routeMap: {
+    alignItems: 'center',
+    marginBottom: Spacing.sm,
+  },
+  actionsRow: {
+    flexDirection: 'row',
+    gap: Spacing.sm,
+    marginTop: Spacing.sm,
+  },
+  exportButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: Spacing.xs,
+    paddingVertical: Spacing.sm,
+    borderRadius: BorderRadius.md,
+    backgroundColor: Colors.primarySoft,
+  },
+  exportText: {
+    fontSize: FontSize.sm,
+    fontWeight: FontWeight.medium,
+    color: Colors.primary,
+  },
   deleteButton: {
+    flex: 1,
     flexDirection: 'row',
     alignItems: 'center',
     justifyContent: 'center',
     gap: Spacing.xs,
-    marginTop: Spacing.sm,
     paddingVertical: Spacing.sm,
     borderRadius: BorderRadius.md,
     backgroundColor: Colors.errorSoft,
@@ -556,6 +614,7 @@ const cardStyles = StyleSheet.create({
 
 // Personal Records Section (collapsible)
 function PersonalRecordsSection({ records }) {
+  const { t } = useTranslation();
   const [expanded, setExpanded] = useState(false);
 
   // Get top 5 PRs sorted by date (most recent first)
@@ -593,7 +652,7 @@ function PersonalRecordsSection({ records }) {
             <View style={prStyles.iconWrap}>
               <Trophy size={18} color={Colors.gold} />
             </View>
-            <Text style={prStyles.title}>Personal Records</Text>
+            <Text style={prStyles.title}>{t('workoutHistory.personalRecords')}</Text>
             <View style={prStyles.countBadge}>
               <Text style={prStyles.countText}>{topPRs.length}</Text>
             </View>
@@ -615,17 +674,17 @@ function PersonalRecordsSection({ records }) {
                     <Text style={prStyles.itemName}>{pr.name}</Text>
                     {pr.date && (
                       <Text style={prStyles.itemDate}>
-                        {formatDate(pr.date + 'T00:00:00')}
+                        {formatDate(pr.date + 'T00:00:00', WORKOUT_DATE_FORMAT)}
                       </Text>
                     )}
                   </View>
                 </View>
                 <View style={prStyles.itemRight}>
                   {pr.maxWeight > 0 && (
-                    <Text style={prStyles.itemValue}>{pr.maxWeight} lb</Text>
+                    <Text style={prStyles.itemValue}>{t('workoutHistory.lb', { maxWeight: pr.maxWeight })}</Text>
                   )}
                   {pr.maxReps > 0 && (
-                    <Text style={prStyles.itemReps}>{pr.maxReps} reps</Text>
+                    <Text style={prStyles.itemReps}>{t('workoutHistory.reps2', { maxReps: pr.maxReps })}</Text>
                   )}
                 </View>
               </View>
@@ -733,14 +792,15 @@ const prStyles = StyleSheet.create({
 
 // Empty State
 function EmptyState({ router }) {
+  const { t } = useTranslation();
   return (
     <View style={emptyStyles.container}>
       <View style={emptyStyles.iconCircle}>
         <Dumbbell size={48} color={Colors.textTertiary} />
       </View>
-      <Text style={emptyStyles.title}>No workouts yet</Text>
+      <Text style={emptyStyles.title}>{t('workoutHistory.noWorkoutsYet')}</Text>
       <Text style={emptyStyles.subtitle}>
-        Complete your first AI-powered workout to start tracking your progress
+        {t('workoutHistory.completeYourFirstAi')}
       </Text>
       <Pressable
         style={emptyStyles.button}
@@ -755,7 +815,7 @@ function EmptyState({ router }) {
           start={{ x: 0, y: 0 }}
           end={{ x: 1, y: 0 }}
         >
-          <Text style={emptyStyles.buttonText}>Generate Your First AI Workout</Text>
+          <Text style={emptyStyles.buttonText}>{t('workoutHistory.generateYourFirstAi')}</Text>
         </LinearGradient>
       </Pressable>
     </View>
@@ -808,9 +868,11 @@ const emptyStyles = StyleSheet.create({
 
 // Main Screen
 export default function WorkoutHistoryScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const {
     workouts,
+    importWorkouts,
     deleteWorkout,
     getWorkoutsByType,
     getStats,
@@ -819,6 +881,7 @@ export default function WorkoutHistoryScreen() {
   const { records } = usePersonalRecords();
 
   const [activeFilter, setActiveFilter] = useState('all');
+  const [isTransferring, setIsTransferring] = useState(false);
 
   const stats = useMemo(() => getStats(), [getStats]);
   const filteredWorkouts = useMemo(
@@ -833,6 +896,53 @@ export default function WorkoutHistoryScreen() {
     [deleteWorkout]
   );
 
+  const handleImportFile = useCallback(async () => {
+    setIsTransferring(true);
+    try {
+      const picked = await ExpoFile.pickFileAsync(undefined, '*/*');
+      const file = Array.isArray(picked) ? picked[0] : picked;
+      if (!file) {
+        return;
+      }
+      const tracks = await readWorkoutFile(file);
+      const system = getDeviceUnitSystem();
+      const added = await importWorkouts(tracks.map((track) => toImportedWorkout(track, system)));
+      Alert.alert(
+        t('workoutHistory.importComplete'),
+        added > 0
+          ? t('workoutHistory.importedWorkouts', { count: added })
+          : t('workoutHistory.alreadyImported')
+      );
+    } catch (error) {
+      if (isPickerCancelledError(error)) {
+        return;
+      }
+      Alert.alert(t('workoutHistory.importFailed'), error instanceof Error ? error.message : String(error));
+    } finally {
+      setIsTransferring(false);
+    }
+  }, [importWorkouts, t]);
+
+  const handleExportHealth = useCallback(async () => {
+    setIsTransferring(true);
+    try {
+      await exportHealthWorkouts();
+    } catch (error) {
+      Alert.alert(t('workoutHistory.exportFailed'), error instanceof Error ? error.message : String(error));
+    } finally {
+      setIsTransferring(false);
+    }
+  }, [t]);
+
+  const handleFileActions = useCallback(() => {
+    hapticLight();
+    Alert.alert(t('workoutHistory.workoutFiles'), t('workoutHistory.workoutFilesMessage'), [
+      { text: t('common.cancel'), style: 'cancel' },
+      { text: t('workoutHistory.importFile'), onPress: handleImportFile },
+      { text: t('workoutHistory.exportHealthWorkouts'), onPress: handleExportHealth },
+    ]);
+  }, [t, handleImportFile, handleExportHealth]);
+
   const renderWorkoutCard = useCallback(
     ({ item, index }) => (
       <ReAnimated.View entering={FadeInDown.delay(index * 50).springify().mass(0.5).damping(10)}>
@@ -871,7 +981,7 @@ export default function WorkoutHistoryScreen() {
       <ScreenWrapper>
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color={Colors.primary} />
-          <Text style={styles.loadingText}>Loading workout history...</Text>
+          <Text style={styles.loadingText}>{t('workoutHistory.loadingWorkoutHistory')}</Text>
         </View>
       </ScreenWrapper>
     );
@@ -891,10 +1001,20 @@ export default function WorkoutHistoryScreen() {
           >
             <ArrowLeft size={22} color={Colors.text} />
           </Pressable>
-          <Text style={styles.title}>Workouts</Text>
-          <View style={styles.headerRight}>
-            <BarChart3 size={22} color={Colors.primary} />
-          </View>
+          <Text style={styles.title}>{t('workoutHistory.workouts')}</Text>
+          <Pressable
+            style={styles.headerRight}
+            onPress={handleFileActions}
+            disabled={isTransferring}
+            accessibilityRole="button"
+            accessibilityLabel={t('workoutHistory.workoutFiles')}
+          >
+            {isTransferring ? (
+              <ActivityIndicator size="small" color={Colors.primary} />
+            ) : (
+              <FileUp size={22} color={Colors.primary} />
+            )}
+          </Pressable>
         </View>
       </ReAnimated.View>
 
@@ -916,7 +1036,7 @@ export default function WorkoutHistoryScreen() {
           ListEmptyComponent={
             <View style={styles.noResultsContainer}>
               <Text style={styles.noResultsText}>
-                No {getTypeLabel(activeFilter).toLowerCase()} workouts found
+                {t('workoutHistory.noTypeWorkouts', { type: getTypeLabel(t, activeFilter) })}
               </Text>
             </View>
           }
@@ -33,6 +33,7 @@ import {
   AlertTriangle,
   RotateCcw,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import {
   Colors,
@@ -46,32 +47,42 @@ import {
 import { hapticLight, hapticSuccess } from '../lib/haptics';
 import useWorkoutPrograms from '../hooks/useWorkoutPrograms';
 import { WORKOUT_PROGRAMS, getProgramById, getTotalDays } from '../data/workoutPrograms';
+import { isDeloadWeek, weeksSinceDeload } from '../lib/workoutEngine';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 
 // ---------- Filter configuration ----------
 const FILTER_TABS = [
-  { id: 'all', label: 'All' },
-  { id: 'beginner', label: 'Beginner' },
-  { id: 'intermediate', label: 'Intermediate' },
-  { id: 'strength', label: 'Strength' },
-  { id: 'fat_loss', label: 'Fat Loss' },
-  { id: 'flexibility', label: 'Flexibility' },
+  { id: 'all', labelKey: 'common.all' },
+  { id: 'beginner', labelKey: 'workoutPrograms.filterTabs.beginner' },
+  { id: 'intermediate', labelKey: 'workoutPrograms.filterTabs.intermediate' },
+  { id: 'strength', labelKey: 'workoutPrograms.filterTabs.strength' },
+  { id: 'fat_loss', labelKey: 'workoutPrograms.filterTabs.fatLoss' },
+  { id: 'flexibility', labelKey: 'workoutPrograms.filterTabs.flexibility' },
 ];
 
 // Goal label + icon helpers
 const GOAL_META = {
-  general_fitness: { label: 'General Fitness', color: '#00E676' },
-  muscle_building: { label: 'Muscle Building', color: '#FF6B35' },
-  fat_loss: { label: 'Fat Loss', color: '#FF5252' },
-  strength: { label: 'Strength', color: '#00D4FF' },
-  flexibility: { label: 'Flexibility', color: '#A78BFA' },
+  general_fitness: { labelKey: 'workoutPrograms.goalMeta.generalFitness', color: '#00E676' },
+  muscle_building: { labelKey: 'workoutPrograms.goalMeta.muscleBuilding', color: '#FF6B35' },
+  fat_loss: { labelKey: 'workoutPrograms.goalMeta.fatLoss', color: '#FF5252' },
+  strength: { labelKey: 'workoutPrograms.goalMeta.strength', color: '#00D4FF' },
+  flexibility: { labelKey: 'workoutPrograms.goalMeta.flexibility', color: '#A78BFA' },
+};
+
+// Session type (drives the calorie estimate) for each program goal
+const SESSION_TYPE_BY_GOAL = {
+  general_fitness: 'strength',
+  muscle_building: 'hypertrophy',
+  fat_loss: 'hiit',
+  strength: 'strength',
+  flexibility: 'flexibility',
 };
 
 const LEVEL_META = {
-  beginner: { label: 'Beginner', color: '#00E676' },
-  intermediate: { label: 'Intermediate', color: '#FFB300' },
-  advanced: { label: 'Advanced', color: '#FF5252' },
+  beginner: { labelKey: 'workoutPrograms.levelMeta.beginner', color: '#00E676' },
+  intermediate: { labelKey: 'workoutPrograms.levelMeta.intermediate', color: '#FFB300' },
+  advanced: { labelKey: 'workoutPrograms.levelMeta.advanced', color: '#FF5252' },
 };
 
 // ---------- Sub-components ----------
@@ -87,6 +98,7 @@ function Badge({ label, color }) {
 
 /** Filter pill row */
 function FilterRow({ activeFilter, onSelect }) {
+  const { t } = useTranslation();
   return (
     <ScrollView
       horizontal
@@ -102,7 +114,7 @@ function FilterRow({ activeFilter, onSelect }) {
             onPress={() => onSelect(tab.id)}
           >
             <Text style={[styles.filterPillText, isActive && styles.filterPillTextActive]}>
-              {tab.label}
+              {t(tab.labelKey)}
             </Text>
           </Pressable>
         );
@@ -113,6 +125,7 @@ function FilterRow({ activeFilter, onSelect }) {
 
 /** Active program card shown at the top when a program is in progress */
 function ActiveProgramCard({ activeProgram, onContinue, onAbandon }) {
+  const { t } = useTranslation();
   const program = getProgramById(activeProgram.programId);
   if (!program) return null;
 
@@ -124,7 +137,7 @@ function ActiveProgramCard({ activeProgram, onContinue, onAbandon }) {
   // Determine current workout info
   const weekData = program.weeks[activeProgram.currentWeek - 1];
   const dayData = weekData?.days?.[activeProgram.currentDay - 1];
-  const currentLabel = dayData ? `Week ${activeProgram.currentWeek}, Day ${activeProgram.currentDay} - ${dayData.name}` : 'Program Complete';
+  const currentLabel = dayData ? t('workoutPrograms.weekDay', { currentWeek: activeProgram.currentWeek, currentDay: activeProgram.currentDay, name: dayData.name }) : t('workoutPrograms.programComplete');
 
   return (
     <ReAnimated.View entering={FadeInDown.delay(100).springify().mass(0.5).damping(10)}>
@@ -139,7 +152,7 @@ function ActiveProgramCard({ activeProgram, onContinue, onAbandon }) {
             <View style={styles.activeProgramInfo}>
               <Text style={styles.activeProgramName}>{program.name}</Text>
               <Text style={styles.activeProgramMeta}>
-                Week {activeProgram.currentWeek} of {program.durationWeeks}
+                {t('workoutPrograms.weekOf', { currentWeek: activeProgram.currentWeek, durationWeeks: program.durationWeeks })}
               </Text>
             </View>
             {isComplete && (
@@ -170,13 +183,13 @@ function ActiveProgramCard({ activeProgram, onContinue, onAbandon }) {
             >
               <Play size={16} color={Colors.background} />
               <Text style={styles.continueButtonText} numberOfLines={1}>
-                Continue: {currentLabel}
+                {t('workoutPrograms.continue', { currentLabel })}
               </Text>
             </Pressable>
           ) : (
             <View style={styles.completedBanner}>
               <Trophy size={18} color={Colors.gold} />
-              <Text style={styles.completedBannerText}>Program Completed!</Text>
+              <Text style={styles.completedBannerText}>{t('workoutPrograms.programCompleted')}</Text>
             </View>
           )}
 
@@ -187,7 +200,7 @@ function ActiveProgramCard({ activeProgram, onContinue, onAbandon }) {
           >
             <X size={14} color={Colors.textTertiary} />
             <Text style={styles.abandonButtonText}>
-              {isComplete ? 'Clear Program' : 'Abandon Program'}
+              {isComplete ? t('workoutPrograms.clearProgram') : t('workoutPrograms.abandonProgram')}
             </Text>
           </Pressable>
         </LinearGradient>
@@ -198,6 +211,7 @@ function ActiveProgramCard({ activeProgram, onContinue, onAbandon }) {
 
 /** Individual program card in the browser list */
 function ProgramCard({ program, index, isCurrentProgram, onPress, onStart }) {
+  const { t } = useTranslation();
   const totalDays = getTotalDays(program);
   const goalMeta = GOAL_META[program.goal] || { label: program.goal, color: Colors.primary };
   const levelMeta = LEVEL_META[program.level] || { label: program.level, color: Colors.primary };
@@ -217,7 +231,7 @@ function ProgramCard({ program, index, isCurrentProgram, onPress, onStart }) {
             <Text style={styles.programCardEmoji}>{program.emoji}</Text>
             <View style={styles.programCardTitleArea}>
               <Text style={styles.programCardName}>{program.name}</Text>
-              <Badge label={levelMeta.label} color={levelMeta.color} />
+              <Badge label={t(levelMeta.labelKey)} color={levelMeta.color} />
             </View>
           </View>
 
@@ -230,7 +244,7 @@ function ProgramCard({ program, index, isCurrentProgram, onPress, onStart }) {
           <View style={styles.programCardMeta}>
             <View style={styles.metaItem}>
               <CalendarDays size={13} color={Colors.textSecondary} />
-              <Text style={styles.metaText}>{program.durationWeeks} weeks</Text>
+              <Text style={styles.metaText}>{t('workoutPrograms.weeks', { durationWeeks: program.durationWeeks })}</Text>
             </View>
             <View style={styles.metaItem}>
               <Dumbbell size={13} color={Colors.textSecondary} />
@@ -238,7 +252,7 @@ function ProgramCard({ program, index, isCurrentProgram, onPress, onStart }) {
             </View>
             <View style={styles.metaItem}>
               <Target size={13} color={goalMeta.color} />
-              <Text style={[styles.metaText, { color: goalMeta.color }]}>{goalMeta.label}</Text>
+              <Text style={[styles.metaText, { color: goalMeta.color }]}>{t(goalMeta.labelKey)}</Text>
             </View>
           </View>
 
@@ -246,7 +260,7 @@ function ProgramCard({ program, index, isCurrentProgram, onPress, onStart }) {
           {isCurrentProgram ? (
             <View style={[styles.activeIndicator, { backgroundColor: program.color + '20' }]}>
               <Zap size={14} color={program.color} />
-              <Text style={[styles.activeIndicatorText, { color: program.color }]}>Currently Active</Text>
+              <Text style={[styles.activeIndicatorText, { color: program.color }]}>{t('workoutPrograms.currentlyActive')}</Text>
             </View>
           ) : (
             <Pressable
@@ -263,7 +277,7 @@ function ProgramCard({ program, index, isCurrentProgram, onPress, onStart }) {
                 style={styles.startButtonGradient}
               >
                 <Play size={14} color={Colors.background} />
-                <Text style={styles.startButtonText}>Start Program</Text>
+                <Text style={styles.startButtonText}>{t('workoutPrograms.startProgram')}</Text>
               </LinearGradient>
             </Pressable>
           )}
@@ -274,7 +288,8 @@ function ProgramCard({ program, index, isCurrentProgram, onPress, onStart }) {
 }
 
 /** Detail modal for expanded program view */
-function ProgramDetailModal({ visible, program, activeProgram, isDayCompleted, onClose, onStart, onCompleteDay }) {
+function ProgramDetailModal({ visible, program, activeProgram, isDayCompleted, onClose, onStart, onStartSession, onCompleteDay }) {
+  const { t } = useTranslation();
   const scrollRef = useRef(null);
   if (!program) return null;
 
@@ -319,24 +334,24 @@ function ProgramDetailModal({ visible, program, activeProgram, isDayCompleted, o
                 <View style={styles.detailStats}>
                   <View style={styles.detailStat}>
                     <Text style={[styles.detailStatValue, { color: program.color }]}>{program.durationWeeks}</Text>
-                    <Text style={styles.detailStatLabel}>Weeks</Text>
+                    <Text style={styles.detailStatLabel}>{t('workoutPrograms.weeks2')}</Text>
                   </View>
                   <View style={styles.detailStatDivider} />
                   <View style={styles.detailStat}>
                     <Text style={[styles.detailStatValue, { color: program.color }]}>{program.daysPerWeek}</Text>
-                    <Text style={styles.detailStatLabel}>Days/Week</Text>
+                    <Text style={styles.detailStatLabel}>{t('workoutPrograms.daysWeek')}</Text>
                   </View>
                   <View style={styles.detailStatDivider} />
                   <View style={styles.detailStat}>
                     <Text style={[styles.detailStatValue, { color: program.color }]}>{totalDays}</Text>
-                    <Text style={styles.detailStatLabel}>Total Sessions</Text>
+                    <Text style={styles.detailStatLabel}>{t('workoutPrograms.totalSessions')}</Text>
                   </View>
                 </View>
 
                 {/* Badges */}
                 <View style={styles.detailBadges}>
-                  <Badge label={levelMeta.label} color={levelMeta.color} />
-                  <Badge label={goalMeta.label} color={goalMeta.color} />
+                  <Badge label={t(levelMeta.labelKey)} color={levelMeta.color} />
+                  <Badge label={t(goalMeta.labelKey)} color={goalMeta.color} />
                 </View>
               </View>
 
@@ -349,7 +364,7 @@ function ProgramDetailModal({ visible, program, activeProgram, isDayCompleted, o
                       <Text style={[styles.weekNumberText, { color: program.color }]}>W{weekData.week}</Text>
                     </View>
                     <View style={styles.weekHeaderInfo}>
-                      <Text style={styles.weekTitle}>Week {weekData.week}</Text>
+                      <Text style={styles.weekTitle}>{t('workoutPrograms.week', { week: weekData.week })}</Text>
                       <Text style={styles.weekTheme}>{weekData.theme}</Text>
                     </View>
                   </View>
@@ -395,24 +410,33 @@ function ProgramDetailModal({ visible, program, activeProgram, isDayCompleted, o
                             )}
                             <View>
                               <Text style={[styles.dayName, completed && styles.dayNameCompleted]}>
-                                Day {dayData.day}: {dayData.name}
+                                {t('workoutPrograms.day', { day: dayData.day, name: dayData.name })}
                               </Text>
                               <Text style={styles.dayExerciseCount}>
-                                {dayData.exercises.length} exercises
+                                {t('workoutPrograms.exercises', { exercisesCount: dayData.exercises.length })}
                               </Text>
                             </View>
                           </View>
                           {isCurrent && (
-                            <Pressable
-                              style={[styles.markDoneButton, { backgroundColor: program.color }]}
-                              onPress={async () => {
-                                await hapticSuccess();
-                                onCompleteDay(weekData.week, dayData.day);
-                              }}
-                            >
-                              <Check size={14} color={Colors.background} />
-                              <Text style={styles.markDoneText}>Done</Text>
-                            </Pressable>
+                            <View style={styles.dayActions}>
+                              <Pressable
+                                style={[styles.startSessionButton, { borderColor: program.color }]}
+                                onPress={() => onStartSession(weekData.week, dayData.day)}
+                              >
+                                <Play size={12} color={program.color} />
+                                <Text style={[styles.startSessionText, { color: program.color }]}>{t('workoutPrograms.startSession')}</Text>
+                              </Pressable>
+                              <Pressable
+                                style={[styles.markDoneButton, { backgroundColor: program.color }]}
+                                onPress={async () => {
+                                  await hapticSuccess();
+                                  onCompleteDay(weekData.week, dayData.day);
+                                }}
+                              >
+                                <Check size={14} color={Colors.background} />
+                                <Text style={styles.markDoneText}>{t('common.done')}</Text>
+                              </Pressable>
+                            </View>
                           )}
                         </Pressable>
 
@@ -452,7 +476,7 @@ function ProgramDetailModal({ visible, program, activeProgram, isDayCompleted, o
                     style={styles.detailStartGradient}
                   >
                     <Play size={18} color={Colors.background} />
-                    <Text style={styles.detailStartText}>Start This Program</Text>
+                    <Text style={styles.detailStartText}>{t('workoutPrograms.startThisProgram')}</Text>
                   </LinearGradient>
                 </Pressable>
               )}
@@ -470,6 +494,7 @@ function ProgramDetailModal({ visible, program, activeProgram, isDayCompleted, o
 // ---------- Main screen ----------
 
 export default function WorkoutProgramsScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const {
     activeProgram,
@@ -510,12 +535,12 @@ export default function WorkoutProgramsScreen() {
   const handleStartProgram = useCallback(async (programId) => {
     if (activeProgram) {
       Alert.alert(
-        'Replace Active Program?',
-        'Starting a new program will replace your current program and all progress will be lost.',
+        t('workoutPrograms.replaceActiveProgram'),
+        t('workoutPrograms.startingANewProgram'),
         [
-          { text: 'Cancel', style: 'cancel' },
+          { text: t('common.cancel'), style: 'cancel' },
           {
-            text: 'Replace',
+            text: t('workoutPrograms.replace'),
             style: 'destructive',
             onPress: async () => {
               await startProgram(programId);
@@ -530,7 +555,44 @@ export default function WorkoutProgramsScreen() {
       await hapticSuccess();
       setDetailVisible(false);
     }
-  }, [activeProgram, startProgram]);
+  }, [activeProgram, startProgram, t]);
+
+  const handleStartSession = useCallback(async (week, day) => {
+    const program = getProgramById(activeProgram?.programId);
+    const weekData = program?.weeks[week - 1];
+    const dayData = weekData?.days[day - 1];
+    if (!dayData) return;
+
+    await hapticLight();
+    setDetailVisible(false);
+    router.push({
+      pathname: '/workout-session',
+      params: {
+        workout: JSON.stringify({
+          title: dayData.name,
+          name: dayData.name,
+          emoji: program.emoji,
+          type: SESSION_TYPE_BY_GOAL[program.goal] || 'strength',
+          main_set: dayData.exercises.map((ex, idx) => ({
+            id: `${week}-${day}-${idx}`,
+            name: ex.name,
+            sets: ex.sets,
+            reps: ex.reps,
+            rest: `${ex.rest}s`,
+            muscle_group: '',
+          })),
+        }),
+        program: JSON.stringify({
+          programId: program.id,
+          week,
+          day,
+          totalWeeks: program.weeks.length,
+          weeksSinceDeload: weeksSinceDeload(program.weeks, week),
+          plannedDeload: isDeloadWeek(weekData.theme),
+        }),
+      },
+    });
+  }, [activeProgram, router]);
 
   const handleCompleteDay = useCallback(async (week, day) => {
     await completeDay(week, day);
@@ -540,14 +602,14 @@ export default function WorkoutProgramsScreen() {
   const handleAbandon = useCallback(async () => {
     const isComplete = isProgramComplete();
     Alert.alert(
-      isComplete ? 'Clear Program?' : 'Abandon Program?',
+      isComplete ? t('workoutPrograms.clearProgram2') : t('workoutPrograms.abandonProgram2'),
       isComplete
-        ? 'This will clear the completed program from your active slot.'
-        : 'All progress will be lost. This cannot be undone.',
+        ? t('workoutPrograms.thisWillClearThe')
+        : t('workoutPrograms.allProgressWillBe'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: isComplete ? 'Clear' : 'Abandon',
+          text: isComplete ? t('common.clear') : t('workoutPrograms.abandon'),
           style: 'destructive',
           onPress: async () => {
             await abandonProgram();
@@ -556,7 +618,7 @@ export default function WorkoutProgramsScreen() {
         },
       ]
     );
-  }, [abandonProgram, isProgramComplete]);
+  }, [abandonProgram, isProgramComplete, t]);
 
   const handleContinue = useCallback(async () => {
     await hapticLight();
@@ -573,7 +635,7 @@ export default function WorkoutProgramsScreen() {
       <ScreenWrapper>
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color={Colors.primary} />
-          <Text style={styles.loadingText}>Loading programs...</Text>
+          <Text style={styles.loadingText}>{t('workoutPrograms.loadingPrograms')}</Text>
         </View>
       </ScreenWrapper>
     );
@@ -592,7 +654,7 @@ export default function WorkoutProgramsScreen() {
         >
           <ArrowLeft size={22} color={Colors.text} />
         </Pressable>
-        <Text style={styles.title}>Programs</Text>
+        <Text style={styles.title}>{t('workoutPrograms.programs')}</Text>
         <View style={styles.headerIcon}>
           <CalendarDays size={22} color={Colors.primary} />
         </View>
@@ -614,7 +676,7 @@ export default function WorkoutProgramsScreen() {
 
         {/* Section title */}
         <ReAnimated.View entering={FadeInDown.delay(activeProgram ? 200 : 100).springify().mass(0.5).damping(10)}>
-          <Text style={styles.sectionTitle}>Browse Programs</Text>
+          <Text style={styles.sectionTitle}>{t('workoutPrograms.browsePrograms')}</Text>
         </ReAnimated.View>
 
         {/* Filter pills */}
@@ -626,9 +688,9 @@ export default function WorkoutProgramsScreen() {
         {filteredPrograms.length === 0 ? (
           <ReAnimated.View entering={FadeInDown.delay(300).springify().mass(0.5).damping(10)} style={styles.emptyContainer}>
             <Target size={48} color={Colors.textTertiary} />
-            <Text style={styles.emptyText}>No programs match this filter</Text>
+            <Text style={styles.emptyText}>{t('workoutPrograms.noProgramsMatchThis')}</Text>
             <Pressable onPress={() => setActiveFilter('all')}>
-              <Text style={styles.emptyAction}>Show all programs</Text>
+              <Text style={styles.emptyAction}>{t('workoutPrograms.showAllPrograms')}</Text>
             </Pressable>
           </ReAnimated.View>
         ) : (
@@ -649,9 +711,9 @@ export default function WorkoutProgramsScreen() {
           <View style={styles.infoCard}>
             <BarChart3 size={18} color={Colors.primary} />
             <View style={styles.infoCardContent}>
-              <Text style={styles.infoCardTitle}>Progressive Overload</Text>
+              <Text style={styles.infoCardTitle}>{t('workoutPrograms.progressiveOverload')}</Text>
               <Text style={styles.infoCardDesc}>
-                Each week builds on the last with increased volume, intensity, or complexity to keep you progressing.
+                {t('workoutPrograms.eachWeekBuildsOn')}
               </Text>
             </View>
           </View>
@@ -670,6 +732,7 @@ export default function WorkoutProgramsScreen() {
         onStart={() => {
           if (selectedProgram) handleStartProgram(selectedProgram.id);
         }}
+        onStartSession={handleStartSession}
         onCompleteDay={handleCompleteDay}
       />
     </ScreenWrapper>
@@ -1209,6 +1272,24 @@ const styles = StyleSheet.create({
     color: Colors.textTertiary,
     marginTop: 1,
   },
+  dayActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.xs,
+  },
+  startSessionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.xs + 1,
+    borderRadius: BorderRadius.full,
+    borderWidth: 1,
+  },
+  startSessionText: {
+    fontSize: FontSize.xs,
+    fontWeight: FontWeight.bold,
+  },
   markDoneButton: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -12,6 +12,7 @@
  * 8.  Notes per exercise
  * 9.  Workout summary on completion
  * 10. Save to Supabase
+ * 11. GPS-tracked outdoor runs, walks and rides (mode=outdoor)
  *
  * Receives workout data via route params from generate-workout or workout-templates.
  */
@@ -59,6 +60,7 @@ import {
   CheckCircle,
   Layers,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { hapticLight, hapticHeavy, hapticSuccess } from '../lib/haptics';
 import {
   Colors,
@@ -71,20 +73,26 @@ import {
 } from '../constants/theme';
 import useWorkoutSession from '../hooks/useWorkoutSession';
 import useWorkoutHistory from '../hooks/useWorkoutHistory';
+import useWorkoutPrograms from '../hooks/useWorkoutPrograms';
+import { evaluateProgramDeload } from '../lib/workoutEngine';
 import { searchExercises, getExercisesByMuscle } from '../data/exerciseLibrary';
 import WorkoutTimer from '../components/WorkoutTimer';
 import SetLogger from '../components/SetLogger';
 import RestTimer from '../components/RestTimer';
+import OutdoorSession from '../components/OutdoorSession';
 import PRCelebration from '../components/PRCelebration';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 
 const REST_PRESETS = [60, 90, 120, 180];
+// Logged sessions per exercise used for targets and the deload trend
+const PROGRESSION_SESSIONS = 4;
 
 // ---------------------------------------------------------------------------
 // Exercise Swap Modal
 // ---------------------------------------------------------------------------
 function ExerciseSwapModal({ visible, muscleGroup, currentName, onSelect, onClose }) {
+  const { t } = useTranslation();
   const [search, setSearch] = useState('');
 
   const alternatives = useMemo(() => {
@@ -99,7 +107,7 @@ function ExerciseSwapModal({ visible, muscleGroup, currentName, onSelect, onClos
       <View style={swapStyles.overlay}>
         <View style={swapStyles.sheet}>
           <View style={swapStyles.header}>
-            <Text style={swapStyles.title}>Swap Exercise</Text>
+            <Text style={swapStyles.title}>{t('workoutSession.swapExercise')}</Text>
             <Pressable onPress={onClose} hitSlop={12}>
               <X size={24} color={Colors.text} />
             </Pressable>
@@ -107,13 +115,13 @@ function ExerciseSwapModal({ visible, muscleGroup, currentName, onSelect, onClos
 
           {muscleGroup && (
             <Text style={swapStyles.subtitle}>
-              Alternatives targeting {muscleGroup}
+              {t('workoutSession.alternativesTargeting', { muscleGroup })}
             </Text>
           )}
 
           <TextInput
             style={swapStyles.search}
-            placeholder="Search exercises..."
+            placeholder={t('workoutSession.searchExercises')}
             placeholderTextColor={Colors.textTertiary}
             value={search}
             onChangeText={setSearch}
@@ -148,7 +156,7 @@ function ExerciseSwapModal({ visible, muscleGroup, currentName, onSelect, onClos
               </Pressable>
             )}
             ListEmptyComponent={
-              <Text style={swapStyles.empty}>No matching exercises found</Text>
+              <Text style={swapStyles.empty}>{t('workoutSession.noMatchingExercisesFound')}</Text>
             }
           />
         </View>
@@ -241,11 +249,12 @@ const swapStyles = StyleSheet.create({
 // Rest Settings Modal
 // ---------------------------------------------------------------------------
 function RestSettingsModal({ visible, current, onSelect, onClose }) {
+  const { t } = useTranslation();
   return (
     <Modal visible={visible} animationType="fade" transparent onRequestClose={onClose}>
       <Pressable style={restModalStyles.overlay} onPress={onClose}>
         <View style={restModalStyles.content}>
-          <Text style={restModalStyles.title}>Default Rest Timer</Text>
+          <Text style={restModalStyles.title}>{t('workoutSession.defaultRestTimer')}</Text>
           <View style={restModalStyles.options}>
             {REST_PRESETS.map((sec) => (
               <Pressable
@@ -330,6 +339,7 @@ const restModalStyles = StyleSheet.create({
 // Workout Summary Modal
 // ---------------------------------------------------------------------------
 function WorkoutSummaryModal({ visible, summary, prs, onDone }) {
+  const { t } = useTranslation();
   if (!visible || !summary) return null;
 
   return (
@@ -346,7 +356,7 @@ function WorkoutSummaryModal({ visible, summary, prs, onDone }) {
                 end={{ x: 1, y: 1 }}
               >
                 <CheckCircle size={48} color="#fff" />
-                <Text style={summaryStyles.heroTitle}>Workout Complete!</Text>
+                <Text style={summaryStyles.heroTitle}>{t('workoutSession.workoutComplete')}</Text>
                 <Text style={summaryStyles.heroSubtitle}>{summary.name}</Text>
               </LinearGradient>
             </Animated.View>
@@ -357,7 +367,7 @@ function WorkoutSummaryModal({ visible, summary, prs, onDone }) {
                 <Text style={summaryStyles.scoreGrade}>{summary.grade}</Text>
               </View>
               <View style={summaryStyles.scoreInfo}>
-                <Text style={summaryStyles.scoreLabel}>Workout Score</Text>
+                <Text style={summaryStyles.scoreLabel}>{t('workoutSession.workoutScore')}</Text>
                 <Text style={summaryStyles.scoreValue}>{summary.score}/100</Text>
               </View>
             </Animated.View>
@@ -367,7 +377,7 @@ function WorkoutSummaryModal({ visible, summary, prs, onDone }) {
               <View style={summaryStyles.statCard}>
                 <Clock size={20} color={Colors.primary} />
                 <Text style={summaryStyles.statValue}>{summary.duration}</Text>
-                <Text style={summaryStyles.statLabel}>Minutes</Text>
+                <Text style={summaryStyles.statLabel}>{t('workoutSession.minutes')}</Text>
               </View>
               <View style={summaryStyles.statCard}>
                 <Dumbbell size={20} color={Colors.secondary} />
@@ -376,27 +386,27 @@ function WorkoutSummaryModal({ visible, summary, prs, onDone }) {
                     ? `${(summary.totalVolume / 1000).toFixed(1)}k`
                     : summary.totalVolume}
                 </Text>
-                <Text style={summaryStyles.statLabel}>Volume (lbs)</Text>
+                <Text style={summaryStyles.statLabel}>{t('workoutSession.volumeLbs')}</Text>
               </View>
               <View style={summaryStyles.statCard}>
                 <Target size={20} color={Colors.success} />
                 <Text style={summaryStyles.statValue}>{summary.totalSets}</Text>
-                <Text style={summaryStyles.statLabel}>Sets</Text>
+                <Text style={summaryStyles.statLabel}>{t('workoutSession.sets')}</Text>
               </View>
               <View style={summaryStyles.statCard}>
                 <Flame size={20} color={Colors.warning} />
                 <Text style={summaryStyles.statValue}>{summary.estimatedCalories}</Text>
-                <Text style={summaryStyles.statLabel}>Calories</Text>
+                <Text style={summaryStyles.statLabel}>{t('food.calories')}</Text>
               </View>
               <View style={summaryStyles.statCard}>
                 <TrendingUp size={20} color={Colors.primary} />
                 <Text style={summaryStyles.statValue}>{summary.totalReps}</Text>
-                <Text style={summaryStyles.statLabel}>Reps</Text>
+                <Text style={summaryStyles.statLabel}>{t('workoutSession.reps')}</Text>
               </View>
               <View style={summaryStyles.statCard}>
                 <Layers size={20} color={Colors.textSecondary} />
                 <Text style={summaryStyles.statValue}>{summary.exercisesCompleted}</Text>
-                <Text style={summaryStyles.statLabel}>Exercises</Text>
+                <Text style={summaryStyles.statLabel}>{t('workoutSession.exercises')}</Text>
               </View>
             </Animated.View>
 
@@ -405,7 +415,7 @@ function WorkoutSummaryModal({ visible, summary, prs, onDone }) {
               <Animated.View entering={FadeInUp.delay(400)} style={summaryStyles.prSection}>
                 <View style={summaryStyles.prHeader}>
                   <Trophy size={20} color={Colors.gold} />
-                  <Text style={summaryStyles.prTitle}>Personal Records!</Text>
+                  <Text style={summaryStyles.prTitle}>{t('workoutSession.personalRecords')}</Text>
                 </View>
                 {prs.map((pr, i) => (
                   <View key={i} style={summaryStyles.prRow}>
@@ -413,9 +423,9 @@ function WorkoutSummaryModal({ visible, summary, prs, onDone }) {
                     <View style={summaryStyles.prInfo}>
                       <Text style={summaryStyles.prName}>{pr.exerciseName}</Text>
                       <Text style={summaryStyles.prDetail}>
-                        New {pr.prType} PR: {pr.newValue}
-                        {pr.prType === 'weight' ? ' lbs' : pr.prType === 'reps' ? ' reps' : ' lbs total'}
-                        {pr.oldValue > 0 ? ` (was ${pr.oldValue})` : ''}
+                        {t('workoutSession.newPr', { prType: pr.prType, newValue: pr.newValue })}
+                        {pr.prType === 'weight' ? ' lbs' : pr.prType === 'reps' ? ' reps' : t('workoutSession.lbsTotal')}
+                        {pr.oldValue > 0 ? t('workoutSession.was', { oldValue: pr.oldValue }) : ''}
                       </Text>
                     </View>
                   </View>
@@ -432,7 +442,7 @@ function WorkoutSummaryModal({ visible, summary, prs, onDone }) {
                   start={{ x: 0, y: 0 }}
                   end={{ x: 1, y: 0 }}
                 >
-                  <Text style={summaryStyles.doneText}>Done</Text>
+                  <Text style={summaryStyles.doneText}>{t('common.done')}</Text>
                 </LinearGradient>
               </Pressable>
             </Animated.View>
@@ -612,10 +622,12 @@ function ExerciseCard({
   onUpdateNotes,
   onStartRest,
 }) {
+  const { t } = useTranslation();
   const [showNotes, setShowNotes] = useState(!!exercise.notes);
   const completedSets = exercise.sets.filter((s) => s.completed).length;
   const totalSets = exercise.sets.length;
   const allDone = completedSets > 0 && completedSets === totalSets;
+  const nextTarget = exercise.sets.find((s) => !s.completed && s.targetRpe);
 
   return (
     <Animated.View entering={FadeInUp.delay(exerciseIndex * 50)}>
@@ -631,7 +643,7 @@ function ExerciseCard({
         {exercise.isSuperset && (
           <View style={cardStyles.supersetBadge}>
             <Zap size={12} color={Colors.warning} />
-            <Text style={cardStyles.supersetText}>Superset</Text>
+            <Text style={cardStyles.supersetText}>{t('workoutSession.superset')}</Text>
           </View>
         )}
 
@@ -655,7 +667,7 @@ function ExerciseCard({
               {exercise.name}
             </Text>
             <Text style={cardStyles.exerciseMeta}>
-              {exercise.targetSets} sets x {exercise.targetReps} reps
+              {t('workoutSession.setsXReps', { targetSets: exercise.targetSets, targetReps: exercise.targetReps })}
               {exercise.muscle_group ? ` | ${exercise.muscle_group}` : ''}
             </Text>
           </View>
@@ -678,6 +690,20 @@ function ExerciseCard({
           </View>
         )}
 
+        {/* Prescribed load for the next set */}
+        {nextTarget && isActive && (
+          <View style={cardStyles.previousBest}>
+            <Target size={12} color={Colors.primary} />
+            <Text style={cardStyles.targetText}>
+              {nextTarget.targetWeight && nextTarget.targetReps
+                ? t('workoutSession.targetLoad', { weight: nextTarget.targetWeight, reps: nextTarget.targetReps, rpe: nextTarget.targetRpe })
+                : nextTarget.targetReps
+                  ? t('workoutSession.targetReps', { reps: nextTarget.targetReps, rpe: nextTarget.targetRpe })
+                  : t('workoutSession.targetRpe', { rpe: nextTarget.targetRpe })}
+            </Text>
+          </View>
+        )}
+
         {/* Expanded content */}
         {isActive && (
           <View style={cardStyles.expandedContent}>
@@ -691,7 +717,7 @@ function ExerciseCard({
                 }}
               >
                 <ArrowRightLeft size={14} color={Colors.primary} />
-                <Text style={cardStyles.actionChipText}>Swap</Text>
+                <Text style={cardStyles.actionChipText}>{t('workoutSession.swap')}</Text>
               </Pressable>
 
               <Pressable
@@ -702,7 +728,7 @@ function ExerciseCard({
                 }}
               >
                 <StickyNote size={14} color={Colors.primary} />
-                <Text style={cardStyles.actionChipText}>Notes</Text>
+                <Text style={cardStyles.actionChipText}>{t('workoutSession.notes')}</Text>
               </Pressable>
 
               {exercise.tips && (
@@ -718,7 +744,7 @@ function ExerciseCard({
             {showNotes && (
               <TextInput
                 style={cardStyles.notesInput}
-                placeholder="Add form cues or notes..."
+                placeholder={t('workoutSession.addFormCuesOr')}
                 placeholderTextColor={Colors.textTertiary}
                 value={exercise.notes}
                 onChangeText={(text) => onUpdateNotes(exerciseIndex, text)}
@@ -853,6 +879,11 @@ const cardStyles = StyleSheet.create({
     color: Colors.textTertiary,
     fontStyle: 'italic',
   },
+  targetText: {
+    fontSize: FontSize.xs,
+    color: Colors.primary,
+    fontWeight: FontWeight.semibold,
+  },
   expandedContent: {
     paddingHorizontal: Spacing.md,
     paddingBottom: Spacing.md,
@@ -907,6 +938,7 @@ const cardStyles = StyleSheet.create({
 // Main Screen
 // ---------------------------------------------------------------------------
 export default function WorkoutSessionScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const params = useLocalSearchParams();
 
@@ -933,8 +965,19 @@ export default function WorkoutSessionScreen() {
     }
   }, [params]);
 
+  // Program week/day when the session was started from a program
+  const programContext = useMemo(() => {
+    try {
+      return params.program ? JSON.parse(params.program) : null;
+    } catch (e) {
+      Sentry.captureException(e);
+      return null;
+    }
+  }, [params.program]);
+
   // Load workout history for previous session comparison
-  const { workouts: history } = useWorkoutHistory();
+  const { workouts: history, isLoading: historyLoading, addWorkout } = useWorkoutHistory();
+  const { activeProgram, completeDay } = useWorkoutPrograms();
   const previousHistory = useMemo(() => {
     const map = {};
     if (!history || history.length === 0) return map;
@@ -953,6 +996,40 @@ export default function WorkoutSessionScreen() {
     return map;
   }, [history]);
 
+  // Recent sessions per exercise (newest first) for target weights
+  const exerciseHistory = useMemo(() => {
+    const map = {};
+    for (const w of history || []) {
+      for (const ex of w.exercises || []) {
+        if (!ex.name || !ex.sets?.length) continue;
+        if (!map[ex.name]) map[ex.name] = [];
+        if (map[ex.name].length < PROGRESSION_SESSIONS) map[ex.name].push(ex.sets);
+      }
+    }
+    return map;
+  }, [history]);
+
+  const deload = useMemo(() => {
+    if (!programContext || !workoutData) return null;
+    const names = (workoutData.main_set || workoutData.exercises || []).map((ex) => ex.name);
+    const sessionHistory = {};
+    names.forEach((name) => {
+      if (exerciseHistory[name]) sessionHistory[name] = exerciseHistory[name];
+    });
+    return evaluateProgramDeload({
+      weeksSinceDeload: programContext.weeksSinceDeload || 0,
+      plannedDeload: !!programContext.plannedDeload,
+      history: sessionHistory,
+    });
+  }, [programContext, workoutData, exerciseHistory]);
+
+  const progression = useMemo(() => ({
+    history: exerciseHistory,
+    week: programContext?.week,
+    totalWeeks: programContext?.totalWeeks,
+    deload: !!deload?.shouldDeload,
+  }), [exerciseHistory, programContext, deload]);
+
   // Session hook
   const {
     session,
@@ -980,8 +1057,10 @@ export default function WorkoutSessionScreen() {
     completeWorkout,
     discardWorkout,
   } = useWorkoutSession({
-    workout: workoutData,
+    // Wait for history so the session starts with its targets filled in
+    workout: historyLoading ? null : workoutData,
     previousHistory,
+    progression,
   });
 
   // Local UI state
@@ -1054,34 +1133,60 @@ export default function WorkoutSessionScreen() {
     );
 
     if (!hasCompletedSets) {
-      Alert.alert('No Sets Completed', 'Complete at least one set before finishing.');
+      Alert.alert(t('workoutSession.noSetsCompleted'), t('workoutSession.completeAtLeastOne'));
       return;
     }
 
     Alert.alert(
-      'Finish Workout?',
-      'This will save your workout and show your summary.',
+      t('workoutSession.finishWorkout'),
+      t('workoutSession.thisWillSaveYour'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Finish',
+          text: t('common.finish'),
           onPress: async () => {
             hapticSuccess();
-            await completeWorkout();
+            const result = await completeWorkout();
+            if (!result) return;
+
+            // Keep RPE with each set so the next session can target from it
+            const logged = session.exercises
+              .map((ex) => ({
+                name: ex.name,
+                sets: ex.sets
+                  .filter((s) => s.completed)
+                  .map((s) => ({
+                    weight: parseFloat(s.weight) || 0,
+                    reps: parseInt(s.reps, 10) || 0,
+                    rpe: s.rpe,
+                  })),
+              }))
+              .filter((ex) => ex.sets.length > 0);
+            await addWorkout({
+              name: session.name,
+              emoji: session.emoji,
+              type: session.type,
+              duration: result.duration,
+              calories: result.estimatedCalories,
+              exercises: logged,
+            });
+            if (programContext && activeProgram?.programId === programContext.programId) {
+              await completeDay(programContext.week, programContext.day, logged);
+            }
           },
         },
       ]
     );
-  }, [session, completeWorkout]);
+  }, [session, completeWorkout, addWorkout, programContext, activeProgram, completeDay, t]);
 
   const handleDiscard = useCallback(() => {
     Alert.alert(
-      'Discard Workout?',
-      'All progress will be lost. This cannot be undone.',
+      t('workoutSession.discardWorkout'),
+      t('workoutPrograms.allProgressWillBe'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Discard',
+          text: t('workoutSession.discard'),
           style: 'destructive',
           onPress: async () => {
             await discardWorkout();
@@ -1090,7 +1195,7 @@ export default function WorkoutSessionScreen() {
         },
       ]
     );
-  }, [discardWorkout, router]);
+  }, [discardWorkout, router, t]);
 
   const handleSummaryDone = useCallback(() => {
     setShowSummary(false);
@@ -1104,6 +1209,10 @@ export default function WorkoutSessionScreen() {
     [incrementWeight]
   );
 
+  if (params.mode === 'outdoor') {
+    return <OutdoorSession activity={params.activity} />;
+  }
+
   // No workout data
   if (!workoutData) {
     return (
@@ -1111,12 +1220,12 @@ export default function WorkoutSessionScreen() {
         <SafeAreaView style={styles.safe}>
           <View style={styles.emptyContainer}>
             <Dumbbell size={48} color={Colors.textTertiary} />
-            <Text style={styles.emptyTitle}>No Workout Data</Text>
+            <Text style={styles.emptyTitle}>{t('workoutSession.noWorkoutData')}</Text>
             <Text style={styles.emptySubtitle}>
-              Generate a workout or select a template to get started.
+              {t('workoutSession.generateAWorkoutOr')}
             </Text>
             <Pressable style={styles.emptyButton} onPress={() => router.back()}>
-              <Text style={styles.emptyButtonText}>Go Back</Text>
+              <Text style={styles.emptyButtonText}>{t('workoutSession.goBack')}</Text>
             </Pressable>
           </View>
         </SafeAreaView>
@@ -1181,10 +1290,17 @@ export default function WorkoutSessionScreen() {
 
             <View style={styles.statPill}>
               <Check size={14} color={Colors.success} />
-              <Text style={styles.statPillText}>{totalCompletedSets} sets</Text>
+              <Text style={styles.statPillText}>{t('workoutSession.setCount', { count: totalCompletedSets })}</Text>
             </View>
           </View>
 
+          {deload?.shouldDeload && (
+            <View style={styles.deloadBanner}>
+              <RotateCcw size={14} color={Colors.warning} />
+              <Text style={styles.deloadBannerText}>{t('workoutSession.deloadBanner')}</Text>
+            </View>
+          )}
+
           {/* Exercise List */}
           <ScrollView
             ref={scrollRef}
@@ -1219,7 +1335,7 @@ export default function WorkoutSessionScreen() {
           <View style={styles.bottomBar}>
             <View style={styles.bottomBarStats}>
               <Flame size={14} color={Colors.warning} />
-              <Text style={styles.bottomBarStatText}>~{estimatedCalories} cal</Text>
+              <Text style={styles.bottomBarStatText}>{t('workoutSession.cal', { estimatedCalories })}</Text>
             </View>
 
             <Pressable style={styles.finishWorkoutButton} onPress={handleFinishWorkout}>
@@ -1230,7 +1346,7 @@ export default function WorkoutSessionScreen() {
                 style={styles.finishWorkoutGradient}
               >
                 <CheckCircle size={20} color="#fff" />
-                <Text style={styles.finishWorkoutText}>Finish Workout</Text>
+                <Text style={styles.finishWorkoutText}>{t('workoutSession.finishWorkout2')}</Text>
               </LinearGradient>
             </Pressable>
           </View>
@@ -1329,6 +1445,23 @@ const styles = StyleSheet.create({
     borderBottomWidth: StyleSheet.hairlineWidth,
     borderBottomColor: Colors.border,
   },
+  deloadBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.xs,
+    marginHorizontal: Spacing.md,
+    marginTop: Spacing.sm,
+    paddingHorizontal: Spacing.sm,
+    paddingVertical: Spacing.xs,
+    borderRadius: BorderRadius.md,
+    backgroundColor: Colors.warningSoft,
+  },
+  deloadBannerText: {
+    flex: 1,
+    fontSize: FontSize.xs,
+    color: Colors.warning,
+    fontWeight: FontWeight.medium,
+  },
   statPill: {
     flexDirection: 'row',
     alignItems: 'center',
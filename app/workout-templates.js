@@ -36,6 +36,7 @@ import {
   Flame,
   Zap,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import ScreenWrapper from '../components/ScreenWrapper';
 import OptimizedFlatList from '../components/OptimizedFlatList';
 import GlassCard from '../components/ui/GlassCard';
@@ -54,21 +55,21 @@ import useWorkoutTemplates from '../hooks/useWorkoutTemplates';
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 
 const FILTER_TABS = [
-  { id: 'all', label: 'All' },
-  { id: 'favorites', label: 'Favorites' },
-  { id: 'strength', label: 'Strength' },
-  { id: 'hiit', label: 'HIIT' },
-  { id: 'yoga', label: 'Yoga' },
-  { id: 'cardio', label: 'Cardio' },
-  { id: 'custom', label: 'Custom' },
+  { id: 'all', labelKey: 'common.all' },
+  { id: 'favorites', labelKey: 'food.favorites' },
+  { id: 'strength', labelKey: 'workoutTemplates.workoutTypes.strength' },
+  { id: 'hiit', labelKey: 'workoutTemplates.workoutTypes.hiit' },
+  { id: 'yoga', labelKey: 'workoutTemplates.workoutTypes.yoga' },
+  { id: 'cardio', labelKey: 'workoutTemplates.workoutTypes.cardio' },
+  { id: 'custom', labelKey: 'workoutTemplates.workoutTypes.custom' },
 ];
 
 const WORKOUT_TYPES = [
-  { id: 'strength', label: 'Strength', color: '#4ECDC4' },
-  { id: 'hiit', label: 'HIIT', color: '#F59E0B' },
-  { id: 'yoga', label: 'Yoga', color: '#A78BFA' },
-  { id: 'cardio', label: 'Cardio', color: '#06B6D4' },
-  { id: 'custom', label: 'Custom', color: Colors.secondary },
+  { id: 'strength', labelKey: 'workoutTemplates.workoutTypes.strength', color: '#4ECDC4' },
+  { id: 'hiit', labelKey: 'workoutTemplates.workoutTypes.hiit', color: '#F59E0B' },
+  { id: 'yoga', labelKey: 'workoutTemplates.workoutTypes.yoga', color: '#A78BFA' },
+  { id: 'cardio', labelKey: 'workoutTemplates.workoutTypes.cardio', color: '#06B6D4' },
+  { id: 'custom', labelKey: 'workoutTemplates.workoutTypes.custom', color: Colors.secondary },
 ];
 
 const FITNESS_EMOJIS = [
@@ -89,16 +90,10 @@ function getTypeColor(type) {
   return colors[type?.toLowerCase()] || Colors.primary;
 }
 
-function getTypeLabel(type) {
-  if (!type) return 'Custom';
-  const labels = {
-    strength: 'Strength',
-    hiit: 'HIIT',
-    yoga: 'Yoga',
-    cardio: 'Cardio',
-    custom: 'Custom',
-  };
-  return labels[type.toLowerCase()] || type.charAt(0).toUpperCase() + type.slice(1);
+function getTypeLabel(t, type) {
+  if (!type) return t('workoutTemplates.workoutTypes.custom');
+  const workoutType = WORKOUT_TYPES.find((w) => w.id === type.toLowerCase());
+  return workoutType ? t(workoutType.labelKey) : type.charAt(0).toUpperCase() + type.slice(1);
 }
 
 // Difficulty stars renderer
@@ -119,6 +114,7 @@ function DifficultyStars({ difficulty, size = 12, color = Colors.warning }) {
 
 // Filter Tabs
 function FilterTabs({ activeFilter, onFilterChange }) {
+  const { t } = useTranslation();
   return (
     <ScrollView
       horizontal
@@ -146,7 +142,7 @@ function FilterTabs({ activeFilter, onFilterChange }) {
               />
             )}
             <Text style={[filterStyles.pillText, isActive && filterStyles.pillTextActive]}>
-              {tab.label}
+              {t(tab.labelKey)}
             </Text>
           </Pressable>
         );
@@ -188,29 +184,30 @@ const filterStyles = StyleSheet.create({
 
 // Template Card
 function TemplateCard({ template, onStart, onToggleFavorite, onEdit, onDelete }) {
+  const { t } = useTranslation();
   const typeColor = getTypeColor(template.type);
 
   const handleLongPress = () => {
     hapticWarning();
     Alert.alert(
       template.name,
-      'What would you like to do?',
+      t('supplements.whatWouldYouLike'),
       [
         {
-          text: 'Edit',
+          text: t('common.edit'),
           onPress: () => onEdit(template),
         },
         {
-          text: 'Delete',
+          text: t('common.delete'),
           style: 'destructive',
           onPress: () => {
             Alert.alert(
-              'Delete Template',
-              `Remove "${template.name}" template?`,
+              t('workoutTemplates.deleteTemplate'),
+              t('workoutTemplates.removeTemplate', { name: template.name }),
               [
-                { text: 'Cancel', style: 'cancel' },
+                { text: t('common.cancel'), style: 'cancel' },
                 {
-                  text: 'Delete',
+                  text: t('common.delete'),
                   style: 'destructive',
                   onPress: () => onDelete(template.id),
                 },
@@ -218,7 +215,7 @@ function TemplateCard({ template, onStart, onToggleFavorite, onEdit, onDelete })
             );
           },
         },
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
       ]
     );
   };
@@ -237,7 +234,7 @@ function TemplateCard({ template, onStart, onToggleFavorite, onEdit, onDelete })
           <View style={cardStyles.metaRow}>
             <View style={[cardStyles.typeBadge, { backgroundColor: typeColor + '20' }]}>
               <Text style={[cardStyles.typeText, { color: typeColor }]}>
-                {getTypeLabel(template.type)}
+                {getTypeLabel(t, template.type)}
               </Text>
             </View>
             {template.useCount > 0 && (
@@ -268,7 +265,7 @@ function TemplateCard({ template, onStart, onToggleFavorite, onEdit, onDelete })
         <View style={cardStyles.stat}>
           <Dumbbell size={14} color={Colors.textSecondary} />
           <Text style={cardStyles.statText}>
-            {template.exercises?.length || 0} exercises
+            {t('workoutTemplates.exerciseCount', { count: template.exercises?.length || 0 })}
           </Text>
         </View>
         <View style={cardStyles.stat}>
@@ -288,7 +285,7 @@ function TemplateCard({ template, onStart, onToggleFavorite, onEdit, onDelete })
           ))}
           {template.exercises.length > 3 && (
             <Text style={cardStyles.moreText}>
-              +{template.exercises.length - 3} more
+              {t('workoutTemplates.moreExercises', { count: template.exercises.length - 3 })}
             </Text>
           )}
         </View>
@@ -309,7 +306,7 @@ function TemplateCard({ template, onStart, onToggleFavorite, onEdit, onDelete })
           end={{ x: 1, y: 0 }}
         >
           <Play size={16} color="#fff" />
-          <Text style={cardStyles.startButtonText}>Start Workout</Text>
+          <Text style={cardStyles.startButtonText}>{t('workoutTemplates.startWorkout')}</Text>
         </LinearGradient>
       </Pressable>
     </GlassCard>
@@ -426,14 +423,15 @@ const cardStyles = StyleSheet.create({
 
 // Empty State
 function EmptyState({ onCreateNew }) {
+  const { t } = useTranslation();
   return (
     <View style={emptyStyles.container}>
       <View style={emptyStyles.iconCircle}>
         <Bookmark size={48} color={Colors.textTertiary} />
       </View>
-      <Text style={emptyStyles.title}>No templates yet</Text>
+      <Text style={emptyStyles.title}>{t('workoutTemplates.noTemplatesYet')}</Text>
       <Text style={emptyStyles.subtitle}>
-        Save your favorite workouts as templates for quick access, or create custom ones from scratch
+        {t('workoutTemplates.saveYourFavoriteWorkouts')}
       </Text>
       <Pressable style={emptyStyles.button} onPress={onCreateNew}>
         <LinearGradient
@@ -443,7 +441,7 @@ function EmptyState({ onCreateNew }) {
           end={{ x: 1, y: 0 }}
         >
           <Plus size={20} color="#fff" />
-          <Text style={emptyStyles.buttonText}>Create Your First Template</Text>
+          <Text style={emptyStyles.buttonText}>{t('workoutTemplates.createYourFirstTemplate')}</Text>
         </LinearGradient>
       </Pressable>
     </View>
@@ -499,6 +497,7 @@ const emptyStyles = StyleSheet.create({
 
 // Exercise Row in Create/Edit Modal
 function ExerciseFormRow({ exercise, index, onUpdate, onRemove }) {
+  const { t } = useTranslation();
   return (
     <View style={exerciseFormStyles.row}>
       <View style={exerciseFormStyles.header}>
@@ -509,7 +508,7 @@ function ExerciseFormRow({ exercise, index, onUpdate, onRemove }) {
           style={exerciseFormStyles.nameInput}
           value={exercise.name}
           onChangeText={(text) => onUpdate(index, { ...exercise, name: text })}
-          placeholder="Exercise name"
+          placeholder={t('workoutTemplates.exerciseName')}
           placeholderTextColor={Colors.textTertiary}
         />
         <Pressable style={exerciseFormStyles.removeButton} onPress={() => onRemove(index)}>
@@ -518,7 +517,7 @@ function ExerciseFormRow({ exercise, index, onUpdate, onRemove }) {
       </View>
       <View style={exerciseFormStyles.inputs}>
         <View style={exerciseFormStyles.inputGroup}>
-          <Text style={exerciseFormStyles.inputLabel}>Sets</Text>
+          <Text style={exerciseFormStyles.inputLabel}>{t('workoutTemplates.sets')}</Text>
           <TextInput
             style={exerciseFormStyles.smallInput}
             value={String(exercise.sets || '')}
@@ -529,7 +528,7 @@ function ExerciseFormRow({ exercise, index, onUpdate, onRemove }) {
           />
         </View>
         <View style={exerciseFormStyles.inputGroup}>
-          <Text style={exerciseFormStyles.inputLabel}>Reps</Text>
+          <Text style={exerciseFormStyles.inputLabel}>{t('workoutTemplates.reps')}</Text>
           <TextInput
             style={exerciseFormStyles.smallInput}
             value={String(exercise.reps || '')}
@@ -540,7 +539,7 @@ function ExerciseFormRow({ exercise, index, onUpdate, onRemove }) {
           />
         </View>
         <View style={exerciseFormStyles.inputGroup}>
-          <Text style={exerciseFormStyles.inputLabel}>Rest(s)</Text>
+          <Text style={exerciseFormStyles.inputLabel}>{t('workoutTemplates.restS')}</Text>
           <TextInput
             style={exerciseFormStyles.smallInput}
             value={String(exercise.restSeconds || '')}
@@ -555,7 +554,7 @@ function ExerciseFormRow({ exercise, index, onUpdate, onRemove }) {
         style={exerciseFormStyles.notesInput}
         value={exercise.notes || ''}
         onChangeText={(text) => onUpdate(index, { ...exercise, notes: text })}
-        placeholder="Notes (optional)"
+        placeholder={t('workoutTemplates.notesOptional')}
         placeholderTextColor={Colors.textTertiary}
       />
     </View>
@@ -641,6 +640,7 @@ const exerciseFormStyles = StyleSheet.create({
 
 // Create/Edit Template Modal
 function TemplateModal({ visible, onClose, onSave, initialData }) {
+  const { t } = useTranslation();
   const isEdit = !!initialData?.id;
   const [name, setName] = useState(initialData?.name || '');
   const [emoji, setEmoji] = useState(initialData?.emoji || '💪');
@@ -684,7 +684,7 @@ function TemplateModal({ visible, onClose, onSave, initialData }) {
   const handleRemoveExercise = (index) => {
     hapticLight();
     if (exercises.length <= 1) {
-      Alert.alert('Cannot Remove', 'A template must have at least one exercise.');
+      Alert.alert(t('workoutTemplates.cannotRemove'), t('workoutTemplates.aTemplateMustHave'));
       return;
     }
     setExercises(exercises.filter((_, i) => i !== index));
@@ -692,13 +692,13 @@ function TemplateModal({ visible, onClose, onSave, initialData }) {
 
   const handleSave = () => {
     if (!name.trim()) {
-      Alert.alert('Name Required', 'Please enter a template name.');
+      Alert.alert(t('workoutTemplates.nameRequired'), t('workoutTemplates.pleaseEnterATemplate'));
       return;
     }
 
     const validExercises = exercises.filter((ex) => ex.name.trim());
     if (validExercises.length === 0) {
-      Alert.alert('Exercises Required', 'Please add at least one exercise with a name.');
+      Alert.alert(t('workoutTemplates.exercisesRequired'), t('workoutTemplates.pleaseAddAtLeast'));
       return;
     }
 
@@ -736,7 +736,7 @@ function TemplateModal({ visible, onClose, onSave, initialData }) {
               {/* Modal Header */}
               <View style={modalStyles.header}>
                 <Text style={modalStyles.title}>
-                  {isEdit ? 'Edit Template' : 'New Template'}
+                  {isEdit ? t('workoutTemplates.editTemplate') : t('workoutTemplates.newTemplate')}
                 </Text>
                 <Pressable style={modalStyles.closeButton} onPress={onClose}>
                   <X size={22} color={Colors.textSecondary} />
@@ -760,7 +760,7 @@ function TemplateModal({ visible, onClose, onSave, initialData }) {
                     style={modalStyles.nameInput}
                     value={name}
                     onChangeText={setName}
-                    placeholder="Template name"
+                    placeholder={t('workoutTemplates.templateName')}
                     placeholderTextColor={Colors.textTertiary}
                   />
                 </View>
@@ -788,37 +788,37 @@ function TemplateModal({ visible, onClose, onSave, initialData }) {
                 )}
 
                 {/* Type Selector */}
-                <Text style={modalStyles.sectionLabel}>Workout Type</Text>
+                <Text style={modalStyles.sectionLabel}>{t('workoutTemplates.workoutType')}</Text>
                 <View style={modalStyles.typeGrid}>
-                  {WORKOUT_TYPES.map((t) => (
+                  {WORKOUT_TYPES.map((workoutType) => (
                     <Pressable
-                      key={t.id}
+                      key={workoutType.id}
                       style={[
                         modalStyles.typeChip,
-                        type === t.id && {
-                          backgroundColor: t.color + '20',
-                          borderColor: t.color,
+                        type === workoutType.id && {
+                          backgroundColor: workoutType.color + '20',
+                          borderColor: workoutType.color,
                         },
                       ]}
                       onPress={() => {
                         hapticLight();
-                        setType(t.id);
+                        setType(workoutType.id);
                       }}
                     >
                       <Text
                         style={[
                           modalStyles.typeChipText,
-                          type === t.id && { color: t.color },
+                          type === workoutType.id && { color: workoutType.color },
                         ]}
                       >
-                        {t.label}
+                        {t(workoutType.labelKey)}
                       </Text>
                     </Pressable>
                   ))}
                 </View>
 
                 {/* Duration */}
-                <Text style={modalStyles.sectionLabel}>Duration (minutes)</Text>
+                <Text style={modalStyles.sectionLabel}>{t('workoutTemplates.durationMinutes')}</Text>
                 <TextInput
                   style={modalStyles.durationInput}
                   value={duration}
@@ -829,7 +829,7 @@ function TemplateModal({ visible, onClose, onSave, initialData }) {
                 />
 
                 {/* Difficulty */}
-                <Text style={modalStyles.sectionLabel}>Difficulty</Text>
+                <Text style={modalStyles.sectionLabel}>{t('workoutTemplates.difficulty')}</Text>
                 <View style={modalStyles.difficultyRow}>
                   {[1, 2, 3, 4, 5].map((i) => (
                     <Pressable
@@ -849,7 +849,7 @@ function TemplateModal({ visible, onClose, onSave, initialData }) {
                 </View>
 
                 {/* Exercises */}
-                <Text style={modalStyles.sectionLabel}>Exercises</Text>
+                <Text style={modalStyles.sectionLabel}>{t('workoutTemplates.exercises')}</Text>
                 {exercises.map((ex, i) => (
                   <ExerciseFormRow
                     key={i}
@@ -862,7 +862,7 @@ function TemplateModal({ visible, onClose, onSave, initialData }) {
 
                 <Pressable style={modalStyles.addExerciseButton} onPress={handleAddExercise}>
                   <Plus size={18} color={Colors.primary} />
-                  <Text style={modalStyles.addExerciseText}>Add Exercise</Text>
+                  <Text style={modalStyles.addExerciseText}>{t('workoutTemplates.addExercise')}</Text>
                 </Pressable>
 
                 {/* Save Button */}
@@ -875,7 +875,7 @@ function TemplateModal({ visible, onClose, onSave, initialData }) {
                   >
                     <Check size={20} color="#fff" />
                     <Text style={modalStyles.saveButtonText}>
-                      {isEdit ? 'Save Changes' : 'Create Template'}
+                      {isEdit ? t('workoutTemplates.saveChanges') : t('workoutTemplates.createTemplate')}
                     </Text>
                   </LinearGradient>
                 </Pressable>
@@ -1068,6 +1068,7 @@ const modalStyles = StyleSheet.create({
 
 // Main Screen
 export default function WorkoutTemplatesScreen() {
+  const { t } = useTranslation();
   const router = useRouter();
   const {
     templates,
@@ -1175,7 +1176,7 @@ export default function WorkoutTemplatesScreen() {
       <ScreenWrapper>
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color={Colors.primary} />
-          <Text style={styles.loadingText}>Loading templates...</Text>
+          <Text style={styles.loadingText}>{t('workoutTemplates.loadingTemplates')}</Text>
         </View>
       </ScreenWrapper>
     );
@@ -1195,7 +1196,7 @@ export default function WorkoutTemplatesScreen() {
           >
             <ArrowLeft size={22} color={Colors.text} />
           </Pressable>
-          <Text style={styles.title}>Workout Templates</Text>
+          <Text style={styles.title}>{t('workoutTemplates.workoutTemplates')}</Text>
           <Pressable
             style={styles.addButton}
             onPress={handleCreateNew}
@@ -1221,7 +1222,9 @@ export default function WorkoutTemplatesScreen() {
       ) : filteredTemplates.length === 0 ? (
         <View style={styles.noResultsContainer}>
           <Text style={styles.noResultsText}>
-            No {activeFilter === 'favorites' ? 'favorite' : getTypeLabel(activeFilter).toLowerCase()} templates found
+            {activeFilter === 'favorites'
+              ? t('workoutTemplates.noFavoriteTemplates')
+              : t('workoutTemplates.noTypeTemplates', { type: getTypeLabel(t, activeFilter) })}
           </Text>
         </View>
       ) : (
@@ -3,6 +3,7 @@ import { View, Text, StyleSheet, Pressable, ActivityIndicator } from 'react-nati
 import { LinearGradient } from 'expo-linear-gradient';
 import Animated, { FadeInDown } from 'react-native-reanimated';
 import { Brain, ChevronRight, Plus, Utensils, Sparkles } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { hapticLight } from '../lib/haptics';
 import {
   getRecommendations,
@@ -46,6 +47,7 @@ function AIRecommendationCard({
   goal,
   onAddFood,
 }) {
+  const { t } = useTranslation();
   const { isPremium } = useIsPremium();
   const [dismissed, setDismissed] = useState(false);
   const [isAIPowered, setIsAIPowered] = useState(false);
@@ -173,7 +175,7 @@ function AIRecommendationCard({
       <View
         style={styles.container}
         accessibilityRole="alert"
-        accessibilityLabel={`${isAIPowered ? 'AI-Powered' : 'Smart'} Coach recommendation. ${displayMessage} ${remainingCalories} calories and ${remainingProtein} grams protein remaining`}
+        accessibilityLabel={t(isAIPowered ? 'components.aIRecommendationCard.a11yAiRecommendation' : 'components.aIRecommendationCard.a11ySmartRecommendation', { message: displayMessage, remainingCalories, remainingProtein })}
       >
         <LinearGradient
           colors={['rgba(0, 212, 255, 0.08)', 'rgba(168, 85, 247, 0.05)']}
@@ -193,12 +195,12 @@ function AIRecommendationCard({
             <View style={styles.headerText}>
               <View style={styles.titleRow}>
                 <Text style={styles.title}>
-                  {isAIPowered ? 'AI-Powered' : 'Smart Coach'}
+                  {isAIPowered ? t('components.aIRecommendationCard.aiPowered') : t('components.aIRecommendationCard.smartCoach')}
                 </Text>
                 {isAIPowered && (
                   <View style={styles.aiBadge}>
                     <Sparkles size={8} color={Colors.primary} />
-                    <Text style={styles.aiBadgeText}>AI</Text>
+                    <Text style={styles.aiBadgeText}>{t('components.aIRecommendationCard.ai')}</Text>
                   </View>
                 )}
                 {aiLoading && (
@@ -206,17 +208,17 @@ function AIRecommendationCard({
                 )}
               </View>
               <Text style={styles.budget}>
-                {remainingCalories} cal · {remainingProtein}g protein left
+                {t('components.aIRecommendationCard.calGProteinLeft', { remainingCalories, remainingProtein })}
               </Text>
             </View>
             <Pressable
               onPress={() => setDismissed(true)}
               hitSlop={12}
               accessibilityRole="button"
-              accessibilityLabel="Dismiss AI recommendation"
-              accessibilityHint="Dismiss this recommendation"
+              accessibilityLabel={t('components.aIRecommendationCard.dismissAiRecommendation')}
+              accessibilityHint={t('components.aIRecommendationCard.dismissThisRecommendation')}
             >
-              <Text style={styles.dismissText}>Later</Text>
+              <Text style={styles.dismissText}>{t('components.aIRecommendationCard.later')}</Text>
             </Pressable>
           </View>
 
@@ -241,8 +243,8 @@ function AIRecommendationCard({
                       {meal.name}
                     </Text>
                     <Text style={styles.mealMacros}>
-                      {meal.calories} cal · {meal.protein}g protein
-                      {meal.prepTime ? ` · ${meal.prepTime}min` : ''}
+                      {t('components.aIRecommendationCard.calGProtein', { calories: meal.calories, protein: meal.protein })}
+                      {meal.prepTime ? t('components.aIRecommendationCard.min', { prepTime: meal.prepTime }) : ''}
                     </Text>
                     {isAIPowered && meal.reason ? (
                       <Text style={styles.mealReason} numberOfLines={1}>
@@ -254,7 +256,7 @@ function AIRecommendationCard({
                     style={styles.addButton}
                     onPress={() => handleAddMeal(meal)}
                     accessibilityRole="button"
-                    accessibilityLabel={`Add ${meal.name}, ${meal.calories} calories`}
+                    accessibilityLabel={t('components.aIRecommendationCard.addCalories', { name: meal.name, calories: meal.calories })}
                   >
                     <Plus size={16} color="#fff" />
                   </Pressable>
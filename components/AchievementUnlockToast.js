@@ -29,6 +29,7 @@ import Animated, {
 } from 'react-native-reanimated';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Trophy, Zap } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { hapticSuccess } from '../lib/haptics';
 import { RARITY_COLORS } from '../lib/achievementEngine';
 import {
@@ -50,6 +51,7 @@ export default function AchievementUnlockToast({
   onDismiss,
   onPress,
 }) {
+  const { t } = useTranslation();
   const translateY = useSharedValue(-TOAST_HEIGHT - 60);
   const opacity = useSharedValue(0);
   const scale = useSharedValue(0.9);
@@ -140,7 +142,7 @@ export default function AchievementUnlockToast({
               <View style={styles.labelRow}>
                 <Trophy size={10} color={rarityColor.border} />
                 <Text style={[styles.label, { color: rarityColor.border }]}>
-                  ACHIEVEMENT UNLOCKED
+                  {t('components.achievementUnlockToast.achievementUnlocked')}
                 </Text>
               </View>
               <Text style={styles.name} numberOfLines={1}>
@@ -17,6 +17,7 @@ import Animated, {
   withSequence,
   withTiming,
 } from 'react-native-reanimated';
+import { useTranslation } from 'react-i18next';
 import { hapticImpact } from '../lib/haptics';
 import {
   Colors,
@@ -36,6 +37,7 @@ const ActionCard = memo(function ActionCard({
   onPress,
   badge,
 }) {
+  const { t } = useTranslation();
   const scale = useSharedValue(1);
   const glowOpacity = useSharedValue(0.3);
 
@@ -74,7 +76,7 @@ const ActionCard = memo(function ActionCard({
       style={styles.actionCardPressable}
       accessibilityRole="button"
       accessibilityLabel={`${title}. ${subtitle}`}
-      accessibilityHint={`Navigate to ${title}`}
+      accessibilityHint={t('components.actionCard.navigateTo', { title })}
     >
       <Animated.View style={[styles.actionCardOuter, animatedStyle]}>
         <LinearGradient
@@ -94,7 +96,7 @@ const ActionCard = memo(function ActionCard({
 
           {/* Badge */}
           {badge && (
-            <View style={styles.actionBadge} accessibilityLabel={`${badge} badge`}>
+            <View style={styles.actionBadge} accessibilityLabel={t('components.actionCard.badge', { badge })}>
               <LinearGradient
                 colors={gradientColors}
                 start={{ x: 0, y: 0 }}
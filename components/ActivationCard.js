@@ -2,6 +2,7 @@ import React, { memo, useMemo } from 'react';
 import { View, Text, StyleSheet, Pressable } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { ChevronRight, RotateCcw, ScanBarcode, Sparkles } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import GlassCard from './ui/GlassCard';
 import {
   BorderRadius,
@@ -11,33 +12,33 @@ import {
   Spacing,
 } from '../constants/theme';
 
-function getStageContent(stage) {
+function getStageContent(t, stage) {
   switch (stage) {
     case 'first_barcode':
       return {
-        stepLabel: 'Step 2 of 3',
-        title: 'Scan one barcode to feel the speed',
-        body: 'One successful scan makes packaged foods and snack logging much faster for the rest of the week.',
-        ctaLabel: 'Scan barcode',
+        stepLabel: t('components.activationCard.stepOf', { step: 2, total: 3 }),
+        title: t('components.activationCard.scanOneBarcodeTo'),
+        body: t('components.activationCard.oneSuccessfulScanMakes'),
+        ctaLabel: t('components.activationCard.scanBarcode'),
         ctaIcon: ScanBarcode,
         ctaGradient: ['#64D2FF', Colors.primary],
       };
     case 'repeat_log':
       return {
-        stepLabel: 'Step 3 of 3',
-        title: 'Repeat something you already eat',
-        body: 'Open Log and use recent foods or yesterday to prove the repeat loop is faster than starting from scratch.',
-        ctaLabel: 'Open repeat log',
+        stepLabel: t('components.activationCard.stepOf', { step: 3, total: 3 }),
+        title: t('components.activationCard.repeatSomethingYouAlready'),
+        body: t('components.activationCard.openLogAndUse'),
+        ctaLabel: t('components.activationCard.openRepeatLog'),
         ctaIcon: RotateCcw,
         ctaGradient: ['#34D399', '#10B981'],
       };
     case 'first_meal':
     default:
       return {
-        stepLabel: 'Step 1 of 3',
-        title: 'Log your first meal today',
-        body: 'The first real entry is the turning point. Once food is logged, the app can guide the rest of the day.',
-        ctaLabel: 'Log first meal',
+        stepLabel: t('components.activationCard.stepOf', { step: 1, total: 3 }),
+        title: t('components.activationCard.logYourFirstMeal'),
+        body: t('components.activationCard.theFirstRealEntry'),
+        ctaLabel: t('components.activationCard.logFirstMeal'),
         ctaIcon: Sparkles,
         ctaGradient: [Colors.primary, Colors.primaryDim],
       };
@@ -55,14 +56,15 @@ const ProgressPill = memo(function ProgressPill({ active, label }) {
 });
 
 function ActivationCard({ stage, progress = 0, onPrimaryPress }) {
-  const content = useMemo(() => getStageContent(stage), [stage]);
+  const { t } = useTranslation();
+  const content = useMemo(() => getStageContent(t, stage), [stage, t]);
   const CtaIcon = content.ctaIcon;
 
   return (
     <GlassCard style={styles.card} glow>
       <View style={styles.header}>
-        <Text style={styles.eyebrow}>Activation</Text>
-        <Text style={styles.progressText}>{progress}/3 done</Text>
+        <Text style={styles.eyebrow}>{t('components.activationCard.activation')}</Text>
+        <Text style={styles.progressText}>{t('components.activationCard.progressDone', { progress, total: 3 })}</Text>
       </View>
 
       <Text style={styles.stepLabel}>{content.stepLabel}</Text>
@@ -70,9 +72,9 @@ function ActivationCard({ stage, progress = 0, onPrimaryPress }) {
       <Text style={styles.body}>{content.body}</Text>
 
       <View style={styles.progressRow}>
-        <ProgressPill active={progress >= 1} label="First meal" />
-        <ProgressPill active={progress >= 2} label="Barcode" />
-        <ProgressPill active={progress >= 3} label="Repeat" />
+        <ProgressPill active={progress >= 1} label={t('components.activationCard.firstMeal')} />
+        <ProgressPill active={progress >= 2} label={t('components.activationCard.barcode')} />
+        <ProgressPill active={progress >= 3} label={t('components.activationCard.repeat')} />
       </View>
 
       <Pressable onPress={onPrimaryPress} style={styles.ctaWrap}>
@@ -0,0 +1,98 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { ShieldAlert, AlertTriangle } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
+import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
+import { describeAllergenMatches } from '../lib/allergenGuard';
+
+const LEVEL_CONFIG = {
+  caution: { labelKey: 'components.allergenWarning.caution', color: Colors.warning },
+  warning: { labelKey: 'components.allergenWarning.allergen', color: Colors.secondary },
+  danger: { labelKey: 'components.allergenWarning.severe', color: Colors.error },
+};
+
+/**
+ * Allergen warning for a food, driven by a checkFoodAllergens() result.
+ * `compact` renders a small pill for list rows; otherwise a full banner
+ * with the matched allergens and whether logging needs an override.
+ */
+export default function AllergenWarning({ check, compact = false, style }) {
+  const { t } = useTranslation();
+  if (!check || check.level === 'none') return null;
+
+  const config = LEVEL_CONFIG[check.level] || LEVEL_CONFIG.warning;
+  const summary = describeAllergenMatches(check);
+
+  if (compact) {
+    return (
+      <View
+        style={[styles.pill, { backgroundColor: config.color + '20' }, style]}
+        accessibilityLabel={`${t(config.labelKey)}: ${summary}`}
+      >
+        <AlertTriangle size={10} color={config.color} />
+        <Text style={[styles.pillText, { color: config.color }]} numberOfLines={1}>
+          {check.matches.map((m) => m.allergen.name).join(', ')}
+        </Text>
+      </View>
+    );
+  }
+
+  return (
+    <View
+      style={[styles.banner, { borderColor: config.color + '40', backgroundColor: config.color + '15' }, style]}
+      accessibilityRole="alert"
+    >
+      <ShieldAlert size={18} color={config.color} />
+      <View style={styles.bannerBody}>
+        <Text style={[styles.bannerTitle, { color: config.color }]}>{t(config.labelKey)}</Text>
+        <Text style={styles.bannerText}>{summary}</Text>
+        {check.requiresOverride && (
+          <Text style={styles.bannerHint}>{t('components.allergenWarning.youllBeAskedTo')}</Text>
+        )}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  pill: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    gap: 4,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: BorderRadius.full,
+    marginTop: 2,
+    maxWidth: '100%',
+  },
+  pillText: {
+    fontSize: FontSize.xs,
+    fontWeight: FontWeight.semibold,
+  },
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: Spacing.sm,
+    padding: Spacing.md,
+    borderRadius: BorderRadius.lg,
+    borderWidth: 1,
+  },
+  bannerBody: {
+    flex: 1,
+  },
+  bannerTitle: {
+    fontSize: FontSize.sm,
+    fontWeight: FontWeight.bold,
+  },
+  bannerText: {
+    fontSize: FontSize.sm,
+    color: Colors.text,
+    marginTop: 2,
+  },
+  bannerHint: {
+    fontSize: FontSize.xs,
+    color: Colors.textSecondary,
+    marginTop: Spacing.xs,
+  },
+});
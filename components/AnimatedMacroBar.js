@@ -9,6 +9,7 @@ import Animated, {
   Extrapolation,
 } from 'react-native-reanimated';
 import { LinearGradient } from 'expo-linear-gradient';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 
 const SPRING_CONFIG = { damping: 15, stiffness: 100, mass: 0.5 };
@@ -81,24 +82,25 @@ export default function AnimatedMacroBar({
 }
 
 export function MacroBarGroup({ protein, carbs, fat, goals, delay = 0 }) {
+  const { t } = useTranslation();
   return (
     <View style={styles.group}>
       <AnimatedMacroBar
-        label="Protein"
+        label={t('food.protein')}
         current={protein}
         target={goals.protein}
         color={Colors.primary}
         delay={delay}
       />
       <AnimatedMacroBar
-        label="Carbs"
+        label={t('food.carbs')}
         current={carbs}
         target={goals.carbs}
         color={Colors.warning}
         delay={delay + 100}
       />
       <AnimatedMacroBar
-        label="Fat"
+        label={t('food.fat')}
         current={fat}
         target={goals.fat}
         color={Colors.secondary}
@@ -6,6 +6,7 @@ import React, { useEffect, useRef, memo } from 'react';
 import { View, Text, StyleSheet } from 'react-native';
 import Animated, { useAnimatedProps, useSharedValue, withTiming, Easing, useAnimatedReaction, runOnJS } from 'react-native-reanimated';
 import Svg, { Circle, Defs, LinearGradient as SvgGradient, Stop } from 'react-native-svg';
+import { useTranslation } from 'react-i18next';
 import { Colors, FontSize, FontWeight } from '../constants/theme';
 import { hapticSuccess } from '../lib/haptics';
 
@@ -26,6 +27,7 @@ function AnimatedProgressRing({
   animationDuration = 1000,
   children,
 }) {
+  const { t } = useTranslation();
   const animatedProgress = useSharedValue(0);
   const hasHapticked = useRef(false);
   const radius = (size - strokeWidth) / 2;
@@ -81,7 +83,7 @@ function AnimatedProgressRing({
           cx={center}
           cy={center}
           r={radius}
-          stroke={`url(#${gradientId})`}
+          stroke={t('components.animatedProgressRing.url', { gradientId })}
           strokeWidth={strokeWidth}
           strokeLinecap="round"
           fill="none"
@@ -10,12 +10,14 @@ import {
 } from 'react-native';
 import { CameraView, useCameraPermissions } from 'expo-camera';
 import { X, Camera, FlashlightOff, Flashlight } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 
 const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get('window');
 const SCAN_AREA_SIZE = SCREEN_WIDTH * 0.7;
 
 export default function BarcodeScanner({ visible, onClose, onBarcodeScanned }) {
+  const { t } = useTranslation();
   const [permission, requestPermission] = useCameraPermissions();
   const [scanned, setScanned] = useState(false);
   const [torch, setTorch] = useState(false);
@@ -49,7 +51,7 @@ export default function BarcodeScanner({ visible, onClose, onBarcodeScanned }) {
         <View style={styles.container}>
           <View style={styles.loadingContainer}>
             <ActivityIndicator size="large" color={Colors.primary} />
-            <Text style={styles.loadingText}>Checking camera permissions...</Text>
+            <Text style={styles.loadingText}>{t('barcode.checkingCameraPermissions')}</Text>
           </View>
         </View>
       </Modal>
@@ -65,15 +67,15 @@ export default function BarcodeScanner({ visible, onClose, onBarcodeScanned }) {
             <View style={styles.permissionIcon}>
               <Camera size={48} color={Colors.textSecondary} />
             </View>
-            <Text style={styles.permissionTitle}>Camera Access Required</Text>
+            <Text style={styles.permissionTitle}>{t('components.barcodeScanner.cameraAccessRequired')}</Text>
             <Text style={styles.permissionText}>
-              FuelIQ needs camera access to scan barcodes on food products.
+              {t('components.barcodeScanner.fueliqNeedsCameraAccess')}
             </Text>
             <Pressable style={styles.permissionButton} onPress={requestPermission}>
-              <Text style={styles.permissionButtonText}>Grant Permission</Text>
+              <Text style={styles.permissionButtonText}>{t('components.barcodeScanner.grantPermission')}</Text>
             </Pressable>
             <Pressable style={styles.cancelButton} onPress={onClose}>
-              <Text style={styles.cancelButtonText}>Cancel</Text>
+              <Text style={styles.cancelButtonText}>{t('common.cancel')}</Text>
             </Pressable>
           </View>
         </View>
@@ -128,7 +130,7 @@ export default function BarcodeScanner({ visible, onClose, onBarcodeScanned }) {
           {/* Bottom overlay */}
           <View style={styles.overlayBottom}>
             <Text style={styles.instructionText}>
-              {scanned ? 'Processing...' : 'Align barcode within the frame'}
+              {scanned ? t('components.barcodeScanner.processing') : t('components.barcodeScanner.alignBarcodeWithinThe')}
             </Text>
           </View>
         </View>
@@ -138,7 +140,7 @@ export default function BarcodeScanner({ visible, onClose, onBarcodeScanned }) {
           <Pressable style={styles.closeButton} onPress={onClose} hitSlop={8}>
             <X size={24} color={Colors.text} />
           </Pressable>
-          <Text style={styles.headerTitle}>Scan Barcode</Text>
+          <Text style={styles.headerTitle}>{t('components.barcodeScanner.scanBarcode')}</Text>
           <Pressable style={styles.torchButton} onPress={() => setTorch(!torch)} hitSlop={8}>
             {torch ? (
               <Flashlight size={24} color={Colors.warning} />
@@ -152,14 +154,14 @@ export default function BarcodeScanner({ visible, onClose, onBarcodeScanned }) {
         {scanned && (
           <View style={styles.scanningOverlay}>
             <ActivityIndicator size="large" color={Colors.primary} />
-            <Text style={styles.scanningText}>Looking up product...</Text>
+            <Text style={styles.scanningText}>{t('components.barcodeScanner.lookingUpProduct')}</Text>
           </View>
         )}
 
         {/* Retry button (shown after scan) */}
         {scanned && (
           <Pressable style={styles.retryButton} onPress={resetScanner}>
-            <Text style={styles.retryButtonText}>Scan Again</Text>
+            <Text style={styles.retryButtonText}>{t('components.barcodeScanner.scanAgain')}</Text>
           </Pressable>
         )}
       </View>
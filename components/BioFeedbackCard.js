@@ -8,6 +8,7 @@ import {
 } from 'react-native';
 import { BlurView } from 'expo-blur';
 import { Activity, Zap, Clock } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { hapticImpact } from '../lib/haptics';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 import { useMood, QUICK_MOODS } from '../context/MoodContext';
@@ -31,6 +32,7 @@ function QuickMoodButton({ mood, emoji, label, onPress, isLast }) {
 }
 
 export default function BioFeedbackCard() {
+  const { t } = useTranslation();
   const { lastLog, lastLogRelativeTime, todaysAverage, quickLog } = useMood();
   const [modalVisible, setModalVisible] = useState(false);
   const [initialEnergy, setInitialEnergy] = useState(5);
@@ -77,7 +79,7 @@ export default function BioFeedbackCard() {
             <View style={styles.iconContainer}>
               <Activity size={18} color={Colors.accent} />
             </View>
-            <Text style={styles.title}>Bio-Feedback</Text>
+            <Text style={styles.title}>{t('components.bioFeedbackCard.bioFeedback')}</Text>
           </View>
           {lastLogRelativeTime && (
             <View style={styles.lastCheckIn}>
@@ -88,26 +90,26 @@ export default function BioFeedbackCard() {
         </View>
 
         {/* Question */}
-        <Text style={styles.question}>How do you feel right now?</Text>
+        <Text style={styles.question}>{t('components.bioFeedbackCard.howDoYouFeel')}</Text>
 
         {/* Quick Mood Buttons */}
         <View style={styles.quickButtons}>
           <QuickMoodButton
             mood="high"
             emoji="⚡"
-            label="High Energy"
+            label={t('components.bioFeedbackCard.highEnergy')}
             onPress={handleQuickMood}
           />
           <QuickMoodButton
             mood="neutral"
             emoji="😐"
-            label="Neutral"
+            label={t('components.bioFeedbackCard.neutral')}
             onPress={handleQuickMood}
           />
           <QuickMoodButton
             mood="tired"
             emoji="😴"
-            label="Tired"
+            label={t('components.bioFeedbackCard.tired')}
             onPress={handleQuickMood}
             isLast
           />
@@ -119,20 +121,20 @@ export default function BioFeedbackCard() {
             <View style={styles.stat}>
               <Zap size={14} color={Colors.warning} />
               <Text style={styles.statValue}>{todaysAverage.energy}</Text>
-              <Text style={styles.statLabel}>Energy</Text>
+              <Text style={styles.statLabel}>{t('components.bioFeedbackCard.energy')}</Text>
             </View>
             <View style={styles.statDivider} />
             <View style={styles.stat}>
               <Text style={styles.statEmoji}>{getLastMoodEmoji()}</Text>
               <Text style={styles.statValue}>{todaysAverage.logCount}</Text>
-              <Text style={styles.statLabel}>Check-ins</Text>
+              <Text style={styles.statLabel}>{t('components.bioFeedbackCard.checkIns')}</Text>
             </View>
           </View>
         )}
 
         {/* Full Check-in Button */}
         <Pressable style={styles.fullButton} onPress={handleOpenModal}>
-          <Text style={styles.fullButtonText}>Full Check-in</Text>
+          <Text style={styles.fullButtonText}>{t('components.bioFeedbackCard.fullCheckIn')}</Text>
         </Pressable>
       </View>
 
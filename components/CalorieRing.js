@@ -1,6 +1,7 @@
 import React from 'react';
 import { View, Text, StyleSheet } from 'react-native';
 import Svg, { Circle } from 'react-native-svg';
+import { useTranslation } from 'react-i18next';
 import { Colors, FontSize, FontWeight } from '../constants/theme';
 
 export default function CalorieRing({
@@ -9,6 +10,7 @@ export default function CalorieRing({
   size = 200,
   strokeWidth = 12,
 }) {
+  const { t } = useTranslation();
   const radius = (size - strokeWidth) / 2;
   const circumference = 2 * Math.PI * radius;
   const progress = Math.min(consumed / goal, 1);
@@ -44,7 +46,7 @@ export default function CalorieRing({
       </Svg>
       <View style={styles.centerContent}>
         <Text style={styles.remainingValue}>{remaining}</Text>
-        <Text style={styles.remainingLabel}>Remaining</Text>
+        <Text style={styles.remainingLabel}>{t('components.calorieRing.remaining')}</Text>
       </View>
     </View>
   );
@@ -9,6 +9,7 @@ import {
   Alert,
 } from 'react-native';
 import { X, Trash2, Coffee, UtensilsCrossed, Moon, Cookie } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { hapticLight, hapticWarning } from '../lib/haptics';
 import { Colors, Spacing, BorderRadius, FontSize, FontWeight } from '../constants/theme';
 import { useCurrentDayMeals, useMealTotals, useMealActions } from '../context/MealContext';
@@ -21,6 +22,7 @@ const MEAL_CONFIG = {
 };
 
 function MealSection({ mealType, items, onRemove }) {
+  const { t } = useTranslation();
   const config = MEAL_CONFIG[mealType];
   const Icon = config.icon;
   const totalCalories = items.reduce((sum, item) => sum + item.calories, 0);
@@ -34,7 +36,7 @@ function MealSection({ mealType, items, onRemove }) {
           <Icon size={18} color={config.color} />
         </View>
         <Text style={styles.mealLabel}>{config.label}</Text>
-        <Text style={styles.mealCalories}>{totalCalories} kcal</Text>
+        <Text style={styles.mealCalories}>{t('components.caloriesModal.kcal', { totalCalories })}</Text>
       </View>
       <View style={styles.mealItems}>
         {items.map((item) => (
@@ -65,6 +67,7 @@ function MealSection({ mealType, items, onRemove }) {
 }
 
 export default function CaloriesModal({ visible, onClose }) {
+  const { t } = useTranslation();
   const { meals } = useCurrentDayMeals();
   const { totals, goals, remaining } = useMealTotals();
   const { removeFood } = useMealActions();
@@ -78,12 +81,12 @@ export default function CaloriesModal({ visible, onClose }) {
     await hapticWarning();
 
     Alert.alert(
-      'Remove Item',
-      'Are you sure you want to remove this item?',
+      t('components.caloriesModal.removeItem'),
+      t('dashboard.removeItemConfirm'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Remove',
+          text: t('common.remove'),
           style: 'destructive',
           onPress: () => removeFood(logId, mealType),
         },
@@ -101,9 +104,9 @@ export default function CaloriesModal({ visible, onClose }) {
       presentationStyle="pageSheet"
       onRequestClose={handleClose}
     >
-      <View style={styles.container} accessibilityViewIsModal={true} accessibilityLabel="Calorie goal editor">
+      <View style={styles.container} accessibilityViewIsModal={true} accessibilityLabel={t('components.caloriesModal.calorieGoalEditor')}>
         <View style={styles.header}>
-          <Text style={styles.title}>Today's Food Log</Text>
+          <Text style={styles.title}>{t('components.caloriesModal.todaysFoodLog')}</Text>
           <Pressable style={styles.closeButton} onPress={handleClose}>
             <X size={24} color={Colors.text} />
           </Pressable>
@@ -112,7 +115,7 @@ export default function CaloriesModal({ visible, onClose }) {
         <View style={styles.summary}>
           <View style={styles.summaryMain}>
             <Text style={styles.summaryCalories}>{totals.calories}</Text>
-            <Text style={styles.summaryLabel}>of {goals.calories} kcal</Text>
+            <Text style={styles.summaryLabel}>{t('components.caloriesModal.ofKcal', { calories: goals.calories })}</Text>
           </View>
           <View style={styles.summaryStats}>
             <View style={styles.summaryStat}>
@@ -143,9 +146,9 @@ export default function CaloriesModal({ visible, onClose }) {
           {totalItems === 0 ? (
             <View style={styles.emptyState}>
               <Text style={styles.emptyEmoji}>🍽️</Text>
-              <Text style={styles.emptyTitle}>No food logged yet</Text>
+              <Text style={styles.emptyTitle}>{t('components.caloriesModal.noFoodLoggedYet')}</Text>
               <Text style={styles.emptySubtitle}>
-                Use Quick Log or tap + to add your first meal
+                {t('components.caloriesModal.useQuickLogOr')}
               </Text>
             </View>
           ) : (
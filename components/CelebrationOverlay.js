@@ -20,6 +20,7 @@ import Animated, {
   SlideInDown,
 } from 'react-native-reanimated';
 import { LinearGradient } from 'expo-linear-gradient';
+import { useTranslation } from 'react-i18next';
 import { useCelebration } from '../context/GamificationContext';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 import { hapticSuccess, hapticHeavy } from '../lib/haptics';
@@ -300,6 +301,7 @@ function EpicBackgroundGradient() {
 // =============================================================================
 
 function CelebrationCard({ celebration, onDismiss }) {
+  const { t } = useTranslation();
   const emoji = getEmojiForCelebration(celebration);
   const isEpic = celebration.intensity === 'epic';
 
@@ -371,14 +373,14 @@ function CelebrationCard({ celebration, onDismiss }) {
         {/* Contextual data badges */}
         {celebration.data?.xpAwarded != null && (
           <View style={styles.xpBadge}>
-            <Text style={styles.xpBadgeText}>+{celebration.data.xpAwarded} XP</Text>
+            <Text style={styles.xpBadgeText}>{t('components.celebrationOverlay.xp', { xpAwarded: celebration.data.xpAwarded })}</Text>
           </View>
         )}
 
         {celebration.data?.newLevel != null && celebration.data?.levelName != null && (
           <View style={styles.levelBadge}>
             <Text style={styles.levelBadgeText}>
-              Lv. {celebration.data.newLevel} - {celebration.data.levelName}
+              {t('components.celebrationOverlay.lv', { newLevel: celebration.data.newLevel, levelName: celebration.data.levelName })}
             </Text>
           </View>
         )}
@@ -386,7 +388,7 @@ function CelebrationCard({ celebration, onDismiss }) {
         {celebration.data?.streakDays != null && celebration.type === 'streak_milestone' && (
           <View style={styles.streakBadge}>
             <Text style={styles.streakBadgeText}>
-              {celebration.data.streakDays} day streak
+              {t('components.celebrationOverlay.dayStreak', { streakDays: celebration.data.streakDays })}
             </Text>
           </View>
         )}
@@ -394,7 +396,7 @@ function CelebrationCard({ celebration, onDismiss }) {
         {celebration.data?.multiplier != null && (
           <View style={styles.multiplierBadge}>
             <Text style={styles.multiplierBadgeText}>
-              {celebration.data.multiplier}x Multiplier
+              {t('components.celebrationOverlay.xMultiplier', { multiplier: celebration.data.multiplier })}
             </Text>
           </View>
         )}
@@ -405,13 +407,13 @@ function CelebrationCard({ celebration, onDismiss }) {
           onPress={onDismiss}
           activeOpacity={0.7}
           accessibilityRole="button"
-          accessibilityLabel="Dismiss celebration"
+          accessibilityLabel={t('components.celebrationOverlay.dismissCelebration')}
         >
           <LinearGradient
             colors={['rgba(255, 255, 255, 0.15)', 'rgba(255, 255, 255, 0.05)']}
             style={styles.continueButtonGradient}
           >
-            <Text style={styles.continueButtonText}>Continue</Text>
+            <Text style={styles.continueButtonText}>{t('common.continue')}</Text>
           </LinearGradient>
         </TouchableOpacity>
       </LinearGradient>
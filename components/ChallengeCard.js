@@ -5,9 +5,11 @@ import React, { memo } from 'react';
 import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Users, Clock, Zap, ChevronRight } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { Colors, BorderRadius, Spacing, FontSize, FontWeight, Shadows } from '../constants/theme';
 
 function ChallengeCard({ challenge, onPress, onJoin, isJoined = false }) {
+  const { t } = useTranslation();
   const progress = challenge.percentComplete || 0;
   const daysLeft = challenge.endDate ? Math.max(0, Math.ceil((new Date(challenge.endDate) - new Date()) / (1000 * 60 * 60 * 24))) : null;
 
@@ -51,7 +53,7 @@ function ChallengeCard({ challenge, onPress, onJoin, isJoined = false }) {
           {daysLeft !== null && (
             <View style={styles.footerStat}>
               <Clock size={12} color={Colors.textTertiary} />
-              <Text style={styles.footerText}>{daysLeft}d left</Text>
+              <Text style={styles.footerText}>{t('components.challengeCard.dLeft', { daysLeft })}</Text>
             </View>
           )}
           <View style={styles.footerStat}>
@@ -61,7 +63,7 @@ function ChallengeCard({ challenge, onPress, onJoin, isJoined = false }) {
 
           {!isJoined && onJoin && (
             <TouchableOpacity style={styles.joinButton} onPress={() => onJoin(challenge.id)}>
-              <Text style={styles.joinText}>Join</Text>
+              <Text style={styles.joinText}>{t('components.challengeCard.join')}</Text>
             </TouchableOpacity>
           )}
         </View>
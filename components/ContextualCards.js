@@ -30,6 +30,7 @@ import {
   UtensilsCrossed,
 } from 'lucide-react-native';
 import ConfettiCannon from 'react-native-confetti-cannon';
+import { useTranslation } from 'react-i18next';
 import { useMeals } from '../context/MealContext';
 import { useGamification } from '../context/GamificationContext';
 import { getRecommendations, mealToFood, getSuggestedMealType } from '../services/mealRecommendation';
@@ -56,7 +57,7 @@ const CARD_CONFIGS = {
     icon: Trophy,
     gradient: ['#FFD700', '#FFA500'],
     glowColor: '#FFD700',
-    title: 'Goal Crushed!',
+    titleKey: 'components.contextualCards.cardConfigs.goal',
     subtitle: null,
     action: null,
     priority: 0,
@@ -67,7 +68,7 @@ const CARD_CONFIGS = {
     icon: Flame,
     gradient: ['#FF6B35', '#FF453A'],
     glowColor: '#FF6B35',
-    title: 'Streak On Fire!',
+    titleKey: 'components.contextualCards.cardConfigs.streak',
     subtitle: null,
     action: null,
     priority: 0,
@@ -77,8 +78,8 @@ const CARD_CONFIGS = {
     icon: Dumbbell,
     gradient: ['#00D4FF', '#7B61FF'],
     glowColor: '#00D4FF',
-    title: 'No workout logged',
-    subtitle: 'Even 15 minutes keeps the habit alive',
+    titleKey: 'components.contextualCards.cardConfigs.workout',
+    subtitleKey: 'components.contextualCards.cardConfigs.workoutSubtitle',
     action: '/generate-workout',
     priority: 2,
   },
@@ -87,8 +88,8 @@ const CARD_CONFIGS = {
     icon: Moon,
     gradient: ['#7B61FF', '#4A148C'],
     glowColor: '#7B61FF',
-    title: 'Wind down with yoga',
-    subtitle: 'Perfect evening stretch routine',
+    titleKey: 'components.contextualCards.cardConfigs.evening',
+    subtitleKey: 'components.contextualCards.cardConfigs.eveningSubtitle',
     action: '/generate-workout',
     priority: 6,
   },
@@ -97,7 +98,7 @@ const CARD_CONFIGS = {
     icon: TrendingUp,
     gradient: ['#00D4FF', '#00E676'],
     glowColor: '#00D4FF',
-    title: 'Great week so far!',
+    titleKey: 'components.contextualCards.cardConfigs.weekly',
     subtitle: null,
     action: null,
     priority: 7,
@@ -108,6 +109,7 @@ const CARD_CONFIGS = {
 // Inline meal recommendation card — the proactive coach
 // ─────────────────────────────────────────────────────────
 function MealRecommendationCard({ meal, reason, gradient, icon: Icon, onLog, onDismiss }) {
+  const { t } = useTranslation();
   const scaleAnim = useRef(new Animated.Value(0)).current;
 
   useEffect(() => {
@@ -151,7 +153,7 @@ function MealRecommendationCard({ meal, reason, gradient, icon: Icon, onLog, onD
         tint="dark"
         style={styles.blurContainer}
         accessibilityRole="summary"
-        accessibilityLabel={`Meal recommendation: ${meal.name}. ${meal.calories} calories, ${meal.protein} grams protein. ${reason}`}
+        accessibilityLabel={t('components.contextualCards.mealRecommendationCaloriesGrams', { name: meal.name, calories: meal.calories, protein: meal.protein, reason })}
       >
         <LinearGradient
           colors={[`${gradient[0]}20`, `${gradient[1]}10`]}
@@ -178,7 +180,7 @@ function MealRecommendationCard({ meal, reason, gradient, icon: Icon, onLog, onD
           <View style={styles.macroRow}>
             <View style={styles.macroPill}>
               <Text style={styles.macroValue}>{meal.calories}</Text>
-              <Text style={styles.macroLabel}>cal</Text>
+              <Text style={styles.macroLabel}>{t('units.cal')}</Text>
             </View>
             <View style={[styles.macroPill, styles.macroPillProtein]}>
               <Text style={[styles.macroValue, { color: '#FF6B9D' }]}>{meal.protein}g</Text>
@@ -211,7 +213,7 @@ function MealRecommendationCard({ meal, reason, gradient, icon: Icon, onLog, onD
                 style={styles.logButton}
               >
                 <Plus size={16} color="#fff" strokeWidth={3} />
-                <Text style={styles.logButtonText}>Log This</Text>
+                <Text style={styles.logButtonText}>{t('components.contextualCards.logThis')}</Text>
               </LinearGradient>
             </Pressable>
           </View>
@@ -228,6 +230,7 @@ function MealRecommendationCard({ meal, reason, gradient, icon: Icon, onLog, onD
 // Standard contextual card (non-meal)
 // ─────────────────────────────────────────────────────────
 function ContextCard({ config, onDismiss, onShowConfetti }) {
+  const { t } = useTranslation();
   const router = useRouter();
   const scaleAnim = useRef(new Animated.Value(0)).current;
   const glowAnim = useRef(new Animated.Value(0)).current;
@@ -286,6 +289,9 @@ function ContextCard({ config, onDismiss, onShowConfetti }) {
     });
   };
 
+  // Cards either carry a static subtitle key or a subtitle built at render time
+  const subtitle = config.subtitle ?? (config.subtitleKey ? t(config.subtitleKey) : null);
+
   const glowOpacity = glowAnim.interpolate({
     inputRange: [0, 1],
     outputRange: [0.3, 0.6],
@@ -305,7 +311,7 @@ function ContextCard({ config, onDismiss, onShowConfetti }) {
         onPress={handlePress}
         style={styles.cardPressable}
         accessibilityRole="summary"
-        accessibilityLabel={`${config.title}${config.subtitle ? `. ${config.subtitle}` : ''}`}
+        accessibilityLabel={`${t(config.titleKey)}${subtitle ? `. ${subtitle}` : ''}`}
       >
         <BlurView intensity={20} tint="dark" style={styles.blurContainer}>
           <LinearGradient
@@ -337,9 +343,9 @@ function ContextCard({ config, onDismiss, onShowConfetti }) {
               </View>
 
               <View style={styles.textContainer}>
-                <Text style={styles.cardTitle}>{config.title}</Text>
-                {config.subtitle && (
-                  <Text style={styles.cardSubtitle}>{config.subtitle}</Text>
+                <Text style={styles.cardTitle}>{t(config.titleKey)}</Text>
+                {subtitle && (
+                  <Text style={styles.cardSubtitle}>{subtitle}</Text>
                 )}
               </View>
 
@@ -371,6 +377,7 @@ function ContextCard({ config, onDismiss, onShowConfetti }) {
 // Main component — proactive coaching engine
 // ─────────────────────────────────────────────────────────
 function ContextualCards() {
+  const { t } = useTranslation();
   const { totals, goals, remaining, exercises, weeklyStats, addFood } = useMeals();
   const { currentStreak } = useGamification();
   const [dismissedCards, setDismissedCards] = useState([]);
@@ -404,7 +411,7 @@ function ContextualCards() {
       const protRemaining = Math.round(goals.protein - totals.protein);
       return {
         meal: mealRec.bestForProtein,
-        reason: `${protRemaining}g protein to close — eat this`,
+        reason: t('components.contextualCards.gProteinToClose', { protRemaining }),
         gradient: ['#FF6B9D', '#FF3D71'],
         icon: Zap,
       };
@@ -416,7 +423,7 @@ function ContextualCards() {
       if (pick && !dismissedMeals.includes(pick.id)) {
         return {
           meal: pick,
-          reason: `${calLeft} cal left — your dinner`,
+          reason: t('components.contextualCards.calLeftYourDinner', { calLeft }),
           gradient: ['#FF8C32', '#FF5A1E'],
           icon: UtensilsCrossed,
         };
@@ -429,7 +436,7 @@ function ContextualCards() {
       if (pick && !dismissedMeals.includes(pick.id)) {
         return {
           meal: pick,
-          reason: `${calLeft} cal remaining — quick fix`,
+          reason: t('components.contextualCards.calRemainingQuickFix', { calLeft }),
           gradient: ['#00E676', '#00C853'],
           icon: Target,
         };
@@ -442,7 +449,7 @@ function ContextualCards() {
       if (pick && !dismissedMeals.includes(pick.id)) {
         return {
           meal: pick,
-          reason: 'Start your day — log breakfast',
+          reason: t('components.contextualCards.startYourDayLog'),
           gradient: ['#FFB300', '#FF8F00'],
           icon: ChefHat,
         };
@@ -450,7 +457,7 @@ function ContextualCards() {
     }
 
     return null;
-  }, [mealRec, totals, goals, remaining, currentHour, dismissedMeals]);
+  }, [mealRec, totals, goals, remaining, currentHour, dismissedMeals, t]);
 
   // ── Standard contextual cards ──
   const activeCards = useMemo(() => {
@@ -464,7 +471,7 @@ function ContextualCards() {
     if (withinGoal && !dismissedCards.includes('goal')) {
       cards.push({
         ...CARD_CONFIGS.goalAchieved,
-        subtitle: `${caloriesConsumed} / ${caloriesGoal} cal — nailed it`,
+        subtitle: t('components.contextualCards.goalNailed', { consumed: caloriesConsumed, goal: caloriesGoal }),
       });
     }
 
@@ -472,7 +479,16 @@ function ContextualCards() {
     if (currentStreak > 0 && currentStreak % 5 === 0 && !dismissedCards.includes('streak')) {
       cards.push({
         ...CARD_CONFIGS.streakCelebration,
-        subtitle: `${currentStreak}-day streak. ${currentStreak >= 30 ? 'Top 1%.' : currentStreak >= 14 ? 'Unstoppable.' : 'Keep building.'}`,
+        subtitle: t('components.contextualCards.streakMilestone', {
+          count: currentStreak,
+          tagline: t(
+            currentStreak >= 30
+              ? 'components.contextualCards.streakTop'
+              : currentStreak >= 14
+                ? 'components.contextualCards.streakUnstoppable'
+                : 'components.contextualCards.streakKeepBuilding'
+          ),
+        }),
       });
     }
 
@@ -491,13 +507,13 @@ function ContextualCards() {
     if (weeklyStats && weeklyStats.daysOnTrack >= 4 && !dismissedCards.includes('weekly')) {
       cards.push({
         ...CARD_CONFIGS.weeklyProgress,
-        subtitle: `${weeklyStats.daysOnTrack} days on target this week`,
+        subtitle: t('components.contextualCards.daysOnTargetThis', { daysOnTrack: weeklyStats.daysOnTrack }),
       });
     }
 
     // Max 2 standard cards (meal recommendation gets its own slot)
     return cards.sort((a, b) => a.priority - b.priority).slice(0, 2);
-  }, [totals, goals, exercises, currentStreak, currentHour, weeklyStats, dismissedCards]);
+  }, [totals, goals, exercises, currentStreak, currentHour, weeklyStats, dismissedCards, t]);
 
   // ── Handlers ──
   const handleDismiss = useCallback((cardId) => {
@@ -547,7 +563,7 @@ function ContextualCards() {
 
       <View style={styles.sectionHeader}>
         <Sparkles size={16} color={Colors.primary} />
-        <Text style={styles.sectionTitle}>Your Coach</Text>
+        <Text style={styles.sectionTitle}>{t('components.contextualCards.yourCoach')}</Text>
       </View>
 
       {/* Proactive meal recommendation — top priority */}
@@ -13,12 +13,14 @@ import { X, Calendar, ArrowRight, Sun, Copy, Check, ChevronLeft, ChevronRight }
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 import { hapticSuccess, hapticLight } from '../lib/haptics';
 import { format, addDays, subDays, isToday, isTomorrow, isYesterday } from 'date-fns';
+import { useTranslation } from 'react-i18next';
+import { formatDate } from '../lib/formatters';
 
-const MEAL_LABELS = {
-  breakfast: 'Breakfast',
-  lunch: 'Lunch',
-  dinner: 'Dinner',
-  snacks: 'Snacks',
+const MEAL_LABEL_KEYS = {
+  breakfast: 'diary.breakfast',
+  lunch: 'diary.lunch',
+  dinner: 'diary.dinner',
+  snacks: 'diary.snacks',
 };
 
 /**
@@ -44,6 +46,7 @@ export default function CopyMealModal({
   isCopying = false,
   itemCount = 0,
 }) {
+  const { t } = useTranslation();
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [pickerDate, setPickerDate] = useState(() => addDays(new Date(), 1));
   const [copied, setCopied] = useState(false);
@@ -72,23 +75,23 @@ export default function CopyMealModal({
   const isViewingToday = useMemo(() => (sourceDate ? isToday(sourceDate) : true), [sourceDate]);
 
   const title = useMemo(() => {
-    if (mode === 'day') return 'Copy Entire Day';
-    if (mealType && MEAL_LABELS[mealType]) return `Copy ${MEAL_LABELS[mealType]}`;
-    return 'Copy Meal';
-  }, [mode, mealType]);
+    if (mode === 'day') return t('components.copyMealModal.copyEntireDay');
+    if (mealType && MEAL_LABEL_KEYS[mealType]) return t('components.copyMealModal.copyMealType', { meal: t(MEAL_LABEL_KEYS[mealType]) });
+    return t('components.copyMealModal.copyMeal');
+  }, [mode, mealType, t]);
 
   const subtitle = useMemo(() => {
-    if (itemCount === 0) return 'No items to copy';
-    const itemLabel = itemCount === 1 ? '1 item' : `${itemCount} items`;
+    if (itemCount === 0) return t('components.copyMealModal.noItemsToCopy');
+    const itemLabel = itemCount === 1 ? t('components.copyMealModal.n1Item') : t('components.copyMealModal.items', { itemCount });
     const sourceLabel = sourceDate
       ? isToday(sourceDate)
-        ? 'from today'
+        ? t('components.copyMealModal.fromToday')
         : isYesterday(sourceDate)
-          ? 'from yesterday'
-          : `from ${format(sourceDate, 'MMM d')}`
+          ? t('components.copyMealModal.fromYesterday')
+          : t('components.copyMealModal.fromDate', { date: formatDate(sourceDate, { month: 'short', day: 'numeric' }) })
       : '';
     return `${itemLabel} ${sourceLabel}`;
-  }, [itemCount, sourceDate]);
+  }, [itemCount, sourceDate, t]);
 
   const handleCopy = useCallback(
     async (targetDateKey) => {
@@ -121,11 +124,11 @@ export default function CopyMealModal({
   }, [pickerDate, sourceDateKey, handleCopy]);
 
   const getDateOptionLabel = useCallback((date) => {
-    if (isToday(date)) return 'Today';
-    if (isTomorrow(date)) return 'Tomorrow';
-    if (isYesterday(date)) return 'Yesterday';
-    return format(date, 'EEE, MMM d');
-  }, []);
+    if (isToday(date)) return t('common.today');
+    if (isTomorrow(date)) return t('common.tomorrow');
+    if (isYesterday(date)) return t('common.yesterday');
+    return formatDate(date, { weekday: 'short', month: 'short', day: 'numeric' });
+  }, [t]);
 
   const todayKey = format(new Date(), 'yyyy-MM-dd');
   const tomorrowKey = format(addDays(new Date(), 1), 'yyyy-MM-dd');
@@ -136,21 +139,21 @@ export default function CopyMealModal({
     if (!isViewingToday) {
       options.push({
         key: todayKey,
-        label: 'Copy to Today',
-        sublabel: format(new Date(), 'MMM d'),
+        label: t('components.copyMealModal.copyToToday'),
+        sublabel: formatDate(new Date(), { month: 'short', day: 'numeric' }),
         icon: Sun,
       });
     }
     if (tomorrowKey !== sourceDateKey) {
       options.push({
         key: tomorrowKey,
-        label: 'Copy to Tomorrow',
-        sublabel: format(addDays(new Date(), 1), 'MMM d'),
+        label: t('components.copyMealModal.copyToTomorrow'),
+        sublabel: formatDate(addDays(new Date(), 1), { month: 'short', day: 'numeric' }),
         icon: ArrowRight,
       });
     }
     return options;
-  }, [isViewingToday, todayKey, tomorrowKey, sourceDateKey]);
+  }, [isViewingToday, todayKey, tomorrowKey, sourceDateKey, t]);
 
   // Don't allow picking the source date itself in the date picker
   const pickerDateKey = format(pickerDate, 'yyyy-MM-dd');
@@ -185,7 +188,7 @@ export default function CopyMealModal({
           {copied && (
             <ReAnimated.View entering={FadeInDown.duration(200)} style={styles.copiedBanner}>
               <Check size={18} color={Colors.success} />
-              <Text style={styles.copiedText}>Copied successfully!</Text>
+              <Text style={styles.copiedText}>{t('components.copyMealModal.copiedSuccessfully')}</Text>
             </ReAnimated.View>
           )}
 
@@ -230,8 +233,8 @@ export default function CopyMealModal({
                   <Calendar size={18} color={Colors.secondary} />
                 </View>
                 <View style={styles.optionTextContainer}>
-                  <Text style={styles.optionLabel}>Pick a Date</Text>
-                  <Text style={styles.optionSublabel}>Choose any day</Text>
+                  <Text style={styles.optionLabel}>{t('components.copyMealModal.pickADate')}</Text>
+                  <Text style={styles.optionSublabel}>{t('components.copyMealModal.chooseAnyDay')}</Text>
                 </View>
                 <ArrowRight size={16} color={Colors.textTertiary} />
               </Pressable>
@@ -251,7 +254,7 @@ export default function CopyMealModal({
                 </Pressable>
                 <View style={styles.datePickerCenter}>
                   <Text style={styles.datePickerLabel}>{getDateOptionLabel(pickerDate)}</Text>
-                  <Text style={styles.datePickerSublabel}>{format(pickerDate, 'EEEE, MMM d, yyyy')}</Text>
+                  <Text style={styles.datePickerSublabel}>{formatDate(pickerDate, 'long')}</Text>
                 </View>
                 <Pressable
                   style={styles.datePickerArrow}
@@ -263,7 +266,7 @@ export default function CopyMealModal({
               </View>
 
               {isPickerDateSameAsSource && (
-                <Text style={styles.sameDataWarning}>Cannot copy to the same day</Text>
+                <Text style={styles.sameDataWarning}>{t('components.copyMealModal.cannotCopyToThe')}</Text>
               )}
 
               <View style={styles.datePickerActions}>
@@ -274,7 +277,7 @@ export default function CopyMealModal({
                     setShowDatePicker(false);
                   }}
                 >
-                  <Text style={styles.datePickerBackText}>Back</Text>
+                  <Text style={styles.datePickerBackText}>{t('common.back')}</Text>
                 </Pressable>
                 <Pressable
                   style={[
@@ -293,7 +296,7 @@ export default function CopyMealModal({
                         (isPickerDateSameAsSource || itemCount === 0) && styles.datePickerConfirmTextDisabled,
                       ]}
                     >
-                      Copy Here
+                      {t('components.copyMealModal.copyHere')}
                     </Text>
                   )}
                 </Pressable>
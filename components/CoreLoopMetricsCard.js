@@ -1,71 +1,66 @@
 import React, { memo, useMemo } from 'react';
 import { View, Text, StyleSheet, Pressable } from 'react-native';
 import { Activity, Clock, ScanBarcode, Search, Sparkles } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
+import { formatDuration, formatPercentage } from '../lib/formatters';
 
 function formatRate(value) {
   if (typeof value !== 'number') {
     return '--';
   }
 
-  return `${value}%`;
+  return formatPercentage(value);
 }
 
-function formatDuration(value) {
+function formatElapsed(t, value) {
   if (typeof value !== 'number' || value <= 0) {
     return '--';
   }
 
   if (value < 1000) {
-    return '<1s';
+    return `<1${t('time.secondShort')}`;
   }
 
   if (value < 60_000) {
-    return `${Math.round(value / 1000)}s`;
+    return `${Math.round(value / 1000)}${t('time.secondShort')}`;
   }
 
-  const minutes = Math.round(value / 60_000);
-  if (minutes < 60) {
-    return `${minutes}m`;
-  }
-
-  const hours = Math.floor(minutes / 60);
-  const remainingMinutes = minutes % 60;
-  return remainingMinutes > 0 ? `${hours}h ${remainingMinutes}m` : `${hours}h`;
+  return formatDuration(Math.round(value / 60_000));
 }
 
-function getActionCopy(stage, showValuePaywall) {
+function getActionCopy(t, stage, showValuePaywall) {
   if (stage === 'first_meal') {
     return {
-      title: 'Log first meal',
-      detail: 'Activation is still blocked on the first successful food log.',
+      title: t('components.coreLoopMetricsCard.logFirstMeal'),
+      detail: t('components.coreLoopMetricsCard.activationIsStillBlocked'),
     };
   }
 
   if (stage === 'first_barcode') {
     return {
-      title: 'Scan first barcode',
-      detail: 'The next proof point is barcode trust, not more feature browsing.',
+      title: t('components.coreLoopMetricsCard.scanFirstBarcode'),
+      detail: t('components.coreLoopMetricsCard.theNextProofPoint'),
     };
   }
 
   if (stage === 'repeat_log') {
     return {
-      title: 'Use repeat logging',
-      detail: 'Get the user to reuse a food or meal so the habit gets cheaper on the second day.',
+      title: t('components.coreLoopMetricsCard.useRepeatLogging'),
+      detail: t('components.coreLoopMetricsCard.getTheUserTo'),
     };
   }
 
   if (showValuePaywall) {
     return {
-      title: 'Open Pro offer',
-      detail: 'The user has felt the loop. Monetization timing is now live.',
+      title: t('components.coreLoopMetricsCard.openProOffer'),
+      detail: t('components.coreLoopMetricsCard.theUserHasFelt'),
     };
   }
 
   return {
-    title: 'Open log flow',
-    detail: 'Core loop health is live. Keep pressure on speed, trust, and conversion quality.',
+    title: t('components.coreLoopMetricsCard.openLogFlow'),
+    detail: t('components.coreLoopMetricsCard.coreLoopHealthIs'),
   };
 }
 
@@ -97,45 +92,46 @@ const CoreLoopMetricsCard = memo(function CoreLoopMetricsCard({
   showValuePaywall,
   onPrimaryAction,
 }) {
+  const { t } = useTranslation();
   const actionCopy = useMemo(
-    () => getActionCopy(activationStage, showValuePaywall),
-    [activationStage, showValuePaywall]
+    () => getActionCopy(t, activationStage, showValuePaywall),
+    [activationStage, showValuePaywall, t]
   );
 
   return (
     <View style={styles.card}>
       <View style={styles.header}>
         <View>
-          <Text style={styles.eyebrow}>Core Loop</Text>
-          <Text style={styles.title}>Do users reach value fast enough?</Text>
+          <Text style={styles.eyebrow}>{t('components.coreLoopMetricsCard.coreLoop')}</Text>
+          <Text style={styles.title}>{t('components.coreLoopMetricsCard.doUsersReachValue')}</Text>
         </View>
         <View style={styles.deviceBadge}>
-          <Text style={styles.deviceBadgeText}>This device</Text>
+          <Text style={styles.deviceBadgeText}>{t('components.coreLoopMetricsCard.thisDevice')}</Text>
         </View>
       </View>
 
       <View style={styles.metricGrid}>
         <MetricTile
           icon={Activity}
-          label="Activation"
+          label={t('components.coreLoopMetricsCard.activation')}
           value={`${progress}/3`}
           tone={Colors.success}
         />
         <MetricTile
           icon={Clock}
-          label="First Log"
-          value={formatDuration(metrics.timeToFirstLogMs)}
+          label={t('components.coreLoopMetricsCard.firstLog')}
+          value={formatElapsed(t, metrics.timeToFirstLogMs)}
           tone={Colors.primary}
         />
         <MetricTile
           icon={Search}
-          label="Search Select"
+          label={t('components.coreLoopMetricsCard.searchSelect')}
           value={formatRate(metrics.searchSelectionRate)}
           tone={Colors.warning}
         />
         <MetricTile
           icon={ScanBarcode}
-          label="Barcode Hit"
+          label={t('components.coreLoopMetricsCard.barcodeHit')}
           value={formatRate(metrics.barcodeSuccessRate)}
           tone={Colors.secondary}
         />
@@ -143,15 +139,15 @@ const CoreLoopMetricsCard = memo(function CoreLoopMetricsCard({
 
       <View style={styles.secondaryRow}>
         <SecondaryMetric
-          label="Zero Results"
+          label={t('components.coreLoopMetricsCard.zeroResults')}
           value={formatRate(metrics.zeroResultRate)}
         />
         <SecondaryMetric
-          label="Avg Search"
-          value={formatDuration(metrics.avgSearchLatencyMs)}
+          label={t('components.coreLoopMetricsCard.avgSearch')}
+          value={formatElapsed(t, metrics.avgSearchLatencyMs)}
         />
         <SecondaryMetric
-          label="Paywall Conv."
+          label={t('components.coreLoopMetricsCard.paywallConv')}
           value={formatRate(metrics.paywallConversionRate)}
         />
       </View>
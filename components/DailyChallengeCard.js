@@ -17,6 +17,7 @@ import {
 import { LinearGradient } from 'expo-linear-gradient';
 import Animated, { FadeInDown, FadeIn, ZoomIn } from 'react-native-reanimated';
 import { Trophy, Check, Circle, Sparkles } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import GlassCard from './ui/GlassCard';
 import { hapticLight, hapticSuccess } from '../lib/haptics';
 import {
@@ -34,6 +35,7 @@ import {
 
 /** Single challenge row */
 const ChallengeRow = memo(function ChallengeRow({ challenge, onComplete }) {
+  const { t } = useTranslation();
   const handlePress = useCallback(async () => {
     if (challenge.isCompleted) return;
     await hapticSuccess();
@@ -45,7 +47,7 @@ const ChallengeRow = memo(function ChallengeRow({ challenge, onComplete }) {
       onPress={handlePress}
       style={styles.challengeRow}
       accessibilityRole="button"
-      accessibilityLabel={`Challenge: ${challenge.description}, ${challenge.isCompleted ? 'completed' : 'in progress'}. ${challenge.xpReward} XP reward`}
+      accessibilityLabel={t(challenge.isCompleted ? 'components.dailyChallengeCard.a11yChallengeCompleted' : 'components.dailyChallengeCard.a11yChallengeInProgress', { description: challenge.description, xpReward: challenge.xpReward })}
       accessibilityState={{ disabled: challenge.isCompleted }}
     >
       {/* Emoji */}
@@ -108,6 +110,7 @@ const ChallengeRow = memo(function ChallengeRow({ challenge, onComplete }) {
 
 /** Bonus celebration row shown when all 3 are complete */
 const BonusCelebration = memo(function BonusCelebration() {
+  const { t } = useTranslation();
   return (
     <Animated.View entering={FadeIn.delay(200).springify()} style={styles.bonusRow}>
       <LinearGradient
@@ -117,9 +120,9 @@ const BonusCelebration = memo(function BonusCelebration() {
         style={styles.bonusGradient}
       >
         <Sparkles size={18} color={Colors.gold} strokeWidth={2} />
-        <Text style={styles.bonusText}>All Complete!</Text>
+        <Text style={styles.bonusText}>{t('components.dailyChallengeCard.allComplete')}</Text>
         <View style={styles.bonusXpBadge}>
-          <Text style={styles.bonusXpText}>+50 XP Bonus</Text>
+          <Text style={styles.bonusXpText}>{t('components.dailyChallengeCard.n50XpBonus')}</Text>
         </View>
       </LinearGradient>
     </Animated.View>
@@ -139,6 +142,7 @@ function DailyChallengeCard({
   onCheckProgress,
   onCompleteChallenge,
 }) {
+  const { t } = useTranslation();
   const handleCheckProgress = useCallback(async () => {
     await hapticLight();
     onCheckProgress?.();
@@ -165,7 +169,7 @@ function DailyChallengeCard({
         <View style={styles.header}>
           <View style={styles.headerLeft}>
             <Trophy size={18} color={Colors.gold} strokeWidth={2.5} />
-            <Text style={styles.headerTitle}>Daily Challenges</Text>
+            <Text style={styles.headerTitle}>{t('components.dailyChallengeCard.dailyChallenges')}</Text>
           </View>
           <View style={styles.completionBadge}>
             <Text style={styles.completionBadgeText}>
@@ -178,7 +182,7 @@ function DailyChallengeCard({
         <View style={styles.divider} />
 
         {/* Challenge rows */}
-        <View accessibilityRole="list" accessibilityLabel={`Daily challenges, ${completedCount} of ${totalCount} complete`}>
+        <View accessibilityRole="list" accessibilityLabel={t('components.dailyChallengeCard.dailyChallengesOfComplete', { completedCount, totalCount })}>
         {challenges.map((challenge, index) => (
           <ChallengeRow
             key={challenge.id}
@@ -201,7 +205,7 @@ function DailyChallengeCard({
               style={styles.checkProgressGradient}
             >
               <Sparkles size={14} color={Colors.primary} strokeWidth={2.5} />
-              <Text style={styles.checkProgressText}>Check Progress</Text>
+              <Text style={styles.checkProgressText}>{t('components.dailyChallengeCard.checkProgress')}</Text>
             </LinearGradient>
           </Pressable>
         )}
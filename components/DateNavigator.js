@@ -14,10 +14,12 @@ import ReAnimated, {
 } from 'react-native-reanimated';
 import { ChevronLeft, ChevronRight, Calendar, Sparkles } from 'lucide-react-native';
 import { format, isToday } from 'date-fns';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 import { useDateNav } from '../context/MealContext';
 
 export default function DateNavigator() {
+  const { t } = useTranslation();
   const {
     selectedDate,
     isPlanningMode,
@@ -69,7 +71,7 @@ export default function DateNavigator() {
 
   // Colors based on mode
   const accentColor = isPlanningMode ? '#5AC8FA' : Colors.primary;
-  const modeLabel = isPlanningMode ? 'Planning Mode' : null;
+  const modeLabel = isPlanningMode ? t('components.dateNavigator.planningMode') : null;
 
   return (
     <View style={[styles.container, isPlanningMode && styles.containerPlanning]}>
@@ -77,7 +79,7 @@ export default function DateNavigator() {
       {isPlanningMode && (
         <View style={styles.planningBadge}>
           <Sparkles size={12} color="#5AC8FA" />
-          <Text style={styles.planningBadgeText}>Planning Mode</Text>
+          <Text style={styles.planningBadgeText}>{t('components.dateNavigator.planningMode')}</Text>
         </View>
       )}
 
@@ -121,7 +123,7 @@ export default function DateNavigator() {
       {/* Today Button (when not on today) */}
       {showTodayButton && (
         <Pressable style={styles.todayButton} onPress={handleTodayPress} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
-          <Text style={styles.todayButtonText}>Go to Today</Text>
+          <Text style={styles.todayButtonText}>{t('components.dateNavigator.goToToday')}</Text>
         </Pressable>
       )}
     </View>
@@ -13,9 +13,11 @@ import Animated, {
   useAnimatedStyle,
   withSpring,
 } from 'react-native-reanimated';
+import { useTranslation } from 'react-i18next';
 import { hapticImpact } from '../lib/haptics';
 import { Colors, Spacing, BorderRadius, FontSize, FontWeight } from '../constants/theme';
 import CalorieRing from './CalorieRing';
+import { formatNumber } from '../lib/formatters';
 
 // Memoized DaySummary - prevents unnecessary re-renders
 const DaySummary = memo(function DaySummary({
@@ -26,6 +28,7 @@ const DaySummary = memo(function DaySummary({
   streak,
   onPress,
 }) {
+  const { t } = useTranslation();
   const scale = useSharedValue(1);
 
   // Memoize computed values
@@ -58,7 +61,7 @@ const DaySummary = memo(function DaySummary({
       <Animated.View
         style={[styles.container, animatedStyle]}
         accessibilityRole="summary"
-        accessibilityLabel={`Day summary. ${consumed} of ${goal} calories consumed. ${burned} calories burned from exercise. ${Math.abs(remaining)} calories ${isOverGoal ? 'over' : 'remaining'}. ${streak} day streak.`}
+        accessibilityLabel={t(isOverGoal ? 'components.daySummary.a11yOver' : 'components.daySummary.a11yRemaining', { consumed, goal, burned, remaining: Math.abs(remaining), streak })}
       >
         {/* Glass blur layer */}
         {Platform.OS === 'ios' && (
@@ -87,13 +90,13 @@ const DaySummary = memo(function DaySummary({
           <View style={styles.statsContainer} accessibilityLiveRegion="polite">
             <View style={styles.statRow}>
               <View style={styles.stat}>
-                <Text style={styles.statLabel}>Goal</Text>
-                <Text style={styles.statValue}>{goal.toLocaleString()}</Text>
+                <Text style={styles.statLabel}>{t('components.daySummary.goal')}</Text>
+                <Text style={styles.statValue}>{formatNumber(goal)}</Text>
               </View>
               <View style={styles.statDivider} />
               <View style={styles.stat}>
-                <Text style={styles.statLabel}>Food</Text>
-                <Text style={styles.statValue}>{consumed.toLocaleString()}</Text>
+                <Text style={styles.statLabel}>{t('components.daySummary.food')}</Text>
+                <Text style={styles.statValue}>{formatNumber(consumed)}</Text>
               </View>
             </View>
 
@@ -101,7 +104,7 @@ const DaySummary = memo(function DaySummary({
               <View style={styles.stat}>
                 <View style={styles.statIconRow}>
                   <Zap size={12} color={Colors.primary} />
-                  <Text style={styles.statLabel}>Exercise</Text>
+                  <Text style={styles.statLabel}>{t('components.daySummary.exercise')}</Text>
                 </View>
                 <Text style={[styles.statValue, { color: Colors.primary }]}>
                   +{burned}
@@ -112,14 +115,14 @@ const DaySummary = memo(function DaySummary({
                 <View style={styles.statIconRow}>
                   <TrendingUp size={12} color={isOverGoal ? Colors.danger : Colors.textSecondary} />
                   <Text style={styles.statLabel}>
-                    {isOverGoal ? 'Over' : 'Left'}
+                    {isOverGoal ? t('components.daySummary.over') : t('components.daySummary.left')}
                   </Text>
                 </View>
                 <Text style={[
                   styles.statValue,
                   isOverGoal && { color: Colors.danger }
                 ]}>
-                  {Math.abs(remaining).toLocaleString()}
+                  {formatNumber(Math.abs(remaining))}
                 </Text>
               </View>
             </View>
@@ -143,7 +146,7 @@ const DaySummary = memo(function DaySummary({
         </View>
 
         {/* Hint */}
-        <Text style={styles.hint}>Tap for details</Text>
+        <Text style={styles.hint}>{t('components.daySummary.tapForDetails')}</Text>
       </Animated.View>
     </Pressable>
   );
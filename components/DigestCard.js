@@ -14,6 +14,7 @@ import {
   Lightbulb,
   ChevronRight,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import {
   Colors,
   Spacing,
@@ -68,6 +69,7 @@ function InsightRow({ insight }) {
 }
 
 function LoadingState() {
+  const { t } = useTranslation();
   return (
     <View style={styles.card}>
       <View style={styles.header}>
@@ -75,18 +77,19 @@ function LoadingState() {
           <View style={styles.iconCircle}>
             <Brain size={18} color={Colors.primary} />
           </View>
-          <Text style={styles.title}>Weekly Insights</Text>
+          <Text style={styles.title}>{t('components.digestCard.weeklyInsights')}</Text>
         </View>
       </View>
       <View style={styles.loadingContainer}>
         <ActivityIndicator size="small" color={Colors.primary} />
-        <Text style={styles.loadingText}>Generating your weekly digest...</Text>
+        <Text style={styles.loadingText}>{t('components.digestCard.generatingYourWeeklyDigest')}</Text>
       </View>
     </View>
   );
 }
 
 function DigestCard({ digest, onViewFull }) {
+  const { t } = useTranslation();
   if (!digest) {
     return <LoadingState />;
   }
@@ -104,7 +107,7 @@ function DigestCard({ digest, onViewFull }) {
           <View style={styles.iconCircle}>
             <Brain size={18} color={Colors.primary} />
           </View>
-          <Text style={styles.title}>Weekly Insights</Text>
+          <Text style={styles.title}>{t('components.digestCard.weeklyInsights')}</Text>
         </View>
         <ScoreBadge score={digest.weeklyScore} />
       </View>
@@ -127,7 +130,7 @@ function DigestCard({ digest, onViewFull }) {
       {/* View Full Report */}
       {onViewFull ? (
         <Pressable style={styles.viewFullButton} onPress={onViewFull}>
-          <Text style={styles.viewFullText}>View Full Report</Text>
+          <Text style={styles.viewFullText}>{t('components.digestCard.viewFullReport')}</Text>
           <ChevronRight size={16} color={Colors.primary} />
         </Pressable>
       ) : null}
@@ -31,6 +31,7 @@ import {
   Shadows,
 } from '../constants/theme';
 import { Sentry } from '../lib/sentry';
+import { t } from '../lib/i18n';
 
 class ErrorBoundary extends React.Component {
   constructor(props) {
@@ -120,10 +121,9 @@ class ErrorBoundary extends React.Component {
             </View>
 
             {/* Title */}
-            <Text style={styles.title}>Something went wrong</Text>
+            <Text style={styles.title}>{t('common.error')}</Text>
             <Text style={styles.subtitle}>
-              We're sorry, but something unexpected happened.
-              {'\n'}Please try again.
+              {t('components.errorBoundary.wereSorryButSomething')}
             </Text>
 
             {/* Action Buttons */}
@@ -136,14 +136,14 @@ class ErrorBoundary extends React.Component {
                   style={styles.buttonGradient}
                 >
                   <RefreshCw size={20} color="#fff" />
-                  <Text style={styles.buttonText}>Try Again</Text>
+                  <Text style={styles.buttonText}>{t('components.errorBoundary.tryAgain')}</Text>
                 </LinearGradient>
               </Pressable>
 
               {this.props.onReset && (
                 <Pressable style={styles.secondaryButton} onPress={this.handleGoHome}>
                   <Home size={20} color={Colors.textSecondary} />
-                  <Text style={styles.secondaryButtonText}>Go Home</Text>
+                  <Text style={styles.secondaryButtonText}>{t('components.errorBoundary.goHome')}</Text>
                 </Pressable>
               )}
             </View>
@@ -157,20 +157,20 @@ class ErrorBoundary extends React.Component {
                 >
                   <Bug size={16} color={Colors.textTertiary} />
                   <Text style={styles.detailsToggleText}>
-                    {this.state.showDetails ? 'Hide' : 'Show'} Error Details
+                    {this.state.showDetails ? t('components.errorBoundary.hideDetails') : t('components.errorBoundary.showDetails')}
                   </Text>
                 </Pressable>
 
                 {this.state.showDetails && (
                   <View style={styles.detailsContainer}>
-                    <Text style={styles.detailsLabel}>Error:</Text>
+                    <Text style={styles.detailsLabel}>{t('components.errorBoundary.error')}</Text>
                     <Text style={styles.detailsText}>
-                      {this.state.error?.message || 'Unknown error'}
+                      {this.state.error?.message || t('components.errorBoundary.unknownError')}
                     </Text>
 
                     {this.state.errorInfo?.componentStack && (
                       <>
-                        <Text style={styles.detailsLabel}>Component Stack:</Text>
+                        <Text style={styles.detailsLabel}>{t('components.errorBoundary.componentStack')}</Text>
                         <ScrollView
                           style={styles.stackScroll}
                           horizontal
@@ -189,8 +189,7 @@ class ErrorBoundary extends React.Component {
 
             {/* Help Text */}
             <Text style={styles.helpText}>
-              If this problem persists, please restart the app.
-              {'\n'}Your data is safe.
+              {t('components.errorBoundary.ifThisProblemPersists')}
             </Text>
           </ScrollView>
         </View>
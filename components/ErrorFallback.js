@@ -2,10 +2,12 @@ import React from 'react';
 import { View, Text, StyleSheet, Pressable } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { AlertTriangle, RefreshCw } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius, Gradients } from '../constants/theme';
 import { hapticLight } from '../lib/haptics';
 
 export default function ErrorFallback({ error, resetError, title }) {
+  const { t } = useTranslation();
   return (
     <View style={styles.container}>
       <View style={styles.iconContainer}>
@@ -16,9 +18,9 @@ export default function ErrorFallback({ error, resetError, title }) {
           <AlertTriangle size={48} color={Colors.error} />
         </LinearGradient>
       </View>
-      <Text style={styles.title}>{title || 'Something went wrong'}</Text>
+      <Text style={styles.title}>{title || t('common.error')}</Text>
       <Text style={styles.message}>
-        {error?.message || 'An unexpected error occurred. Please try again.'}
+        {error?.message || t('auth.unexpectedError')}
       </Text>
       {resetError && (
         <Pressable
@@ -30,13 +32,13 @@ export default function ErrorFallback({ error, resetError, title }) {
             style={styles.retryGradient}
           >
             <RefreshCw size={18} color={Colors.background} />
-            <Text style={styles.retryText}>Try Again</Text>
+            <Text style={styles.retryText}>{t('components.errorFallback.tryAgain')}</Text>
           </LinearGradient>
         </Pressable>
       )}
       {__DEV__ && error?.stack && (
         <View style={styles.debugContainer}>
-          <Text style={styles.debugTitle}>Debug Info:</Text>
+          <Text style={styles.debugTitle}>{t('components.errorFallback.debugInfo')}</Text>
           <Text style={styles.debugText} numberOfLines={10}>
             {error.stack}
           </Text>
@@ -12,17 +12,22 @@ import {
   Clock,
   Flame,
   Check,
+  Navigation,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 import { calculateCaloriesBurned } from '../data/exercises';
+import { OUTDOOR_ACTIVITY_BY_EXERCISE } from '../lib/outdoorSession';
 
-function ExerciseDurationModal({ visible, exercise, userWeight, onClose, onConfirm }) {
+function ExerciseDurationModal({ visible, exercise, userWeight, onClose, onConfirm, onTrackRoute }) {
+  const { t } = useTranslation();
   const [duration, setDuration] = useState('30');
 
   if (!exercise) return null;
 
   const durationNum = parseInt(duration, 10) || 0;
   const caloriesBurned = calculateCaloriesBurned(exercise.met, userWeight || 150, durationNum);
+  const outdoorActivity = OUTDOOR_ACTIVITY_BY_EXERCISE[exercise.id];
 
   const handleConfirm = () => {
     if (durationNum > 0) {
@@ -33,13 +38,13 @@ function ExerciseDurationModal({ visible, exercise, userWeight, onClose, onConfi
   return (
     <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
       <Pressable style={styles.modalOverlay} onPress={onClose}>
-        <Pressable style={styles.modalContent} onPress={(e) => e.stopPropagation()} accessibilityViewIsModal={true} accessibilityLabel="Exercise duration">
+        <Pressable style={styles.modalContent} onPress={(e) => e.stopPropagation()} accessibilityViewIsModal={true} accessibilityLabel={t('components.exerciseDurationModal.exerciseDuration')}>
           <View style={styles.modalHeader}>
             <View style={styles.modalExerciseIcon}>
               <Dumbbell size={24} color={Colors.primary} />
             </View>
             <Text style={styles.modalTitle}>{exercise.name}</Text>
-            <Text style={styles.modalSubtitle}>{exercise.category} · MET {exercise.met}</Text>
+            <Text style={styles.modalSubtitle}>{t('components.exerciseDurationModal.met', { category: exercise.category, met: exercise.met })}</Text>
           </View>
 
           <View style={styles.durationInputContainer}>
@@ -61,7 +66,7 @@ function ExerciseDurationModal({ visible, exercise, userWeight, onClose, onConfi
             <Flame size={24} color={Colors.primary} />
             <View style={styles.caloriesPreviewText}>
               <Text style={styles.caloriesPreviewValue}>{caloriesBurned}</Text>
-              <Text style={styles.caloriesPreviewLabel}>calories burned</Text>
+              <Text style={styles.caloriesPreviewLabel}>{t('components.exerciseDurationModal.caloriesBurned')}</Text>
             </View>
           </View>
 
@@ -69,9 +74,20 @@ function ExerciseDurationModal({ visible, exercise, userWeight, onClose, onConfi
             ({exercise.met} × 3.5 × {((userWeight || 150) * 0.453592).toFixed(1)}kg) / 200 × {durationNum}min
           </Text>
 
+          {outdoorActivity && onTrackRoute && (
+            <Pressable
+              style={styles.trackRouteButton}
+              onPress={() => onTrackRoute(outdoorActivity)}
+              accessibilityRole="button"
+            >
+              <Navigation size={16} color={Colors.primary} />
+              <Text style={styles.trackRouteButtonText}>{t('components.exerciseDurationModal.trackWithGps')}</Text>
+            </Pressable>
+          )}
+
           <View style={styles.modalButtons}>
             <Pressable style={styles.modalCancelButton} onPress={onClose}>
-              <Text style={styles.modalCancelButtonText}>Cancel</Text>
+              <Text style={styles.modalCancelButtonText}>{t('common.cancel')}</Text>
             </Pressable>
             <Pressable
               style={[styles.modalConfirmButton, durationNum === 0 && styles.modalConfirmButtonDisabled]}
@@ -79,7 +95,7 @@ function ExerciseDurationModal({ visible, exercise, userWeight, onClose, onConfi
               disabled={durationNum === 0}
             >
               <Check size={18} color={Colors.background} />
-              <Text style={styles.modalConfirmButtonText}>Log Exercise</Text>
+              <Text style={styles.modalConfirmButtonText}>{t('components.exerciseDurationModal.logExercise')}</Text>
             </Pressable>
           </View>
         </Pressable>
@@ -175,6 +191,22 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginBottom: Spacing.lg,
   },
+  trackRouteButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: Spacing.xs,
+    paddingVertical: Spacing.sm,
+    marginBottom: Spacing.md,
+    borderRadius: BorderRadius.lg,
+    borderWidth: 1,
+    borderColor: Colors.primary + '40',
+  },
+  trackRouteButtonText: {
+    fontSize: FontSize.md,
+    fontWeight: FontWeight.semibold,
+    color: Colors.primary,
+  },
   modalButtons: {
     flexDirection: 'row',
     gap: Spacing.sm,
@@ -9,12 +9,15 @@ import {
   Alert,
 } from 'react-native';
 import { X, Trash2, Flame, Clock, Zap } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { hapticLight, hapticWarning } from '../lib/haptics';
 import { Colors, Spacing, BorderRadius, FontSize, FontWeight } from '../constants/theme';
 import { useCurrentDayMeals, useMealActions } from '../context/MealContext';
+import { formatTime } from '../lib/formatters';
 
 function ExerciseItem({ exercise, onRemove }) {
-  const logTime = new Date(exercise.loggedAt).toLocaleTimeString('en-US', {
+  const { t } = useTranslation();
+  const logTime = formatTime(new Date(exercise.loggedAt), {
     hour: 'numeric',
     minute: '2-digit',
   });
@@ -29,11 +32,11 @@ function ExerciseItem({ exercise, onRemove }) {
         <View style={styles.exerciseStats}>
           <View style={styles.exerciseStat}>
             <Clock size={12} color={Colors.textTertiary} />
-            <Text style={styles.exerciseStatText}>{exercise.duration} min</Text>
+            <Text style={styles.exerciseStatText}>{t('components.exerciseModal.min', { duration: exercise.duration })}</Text>
           </View>
           <View style={styles.exerciseStat}>
             <Flame size={12} color={Colors.warning} />
-            <Text style={styles.exerciseStatText}>{exercise.caloriesBurned} kcal</Text>
+            <Text style={styles.exerciseStatText}>{t('components.exerciseModal.kcal', { caloriesBurned: exercise.caloriesBurned })}</Text>
           </View>
         </View>
       </View>
@@ -52,6 +55,7 @@ function ExerciseItem({ exercise, onRemove }) {
 }
 
 export default function ExerciseModal({ visible, onClose }) {
+  const { t } = useTranslation();
   const { exercises, caloriesBurned, exerciseMinutes } = useCurrentDayMeals();
   const { removeExercise } = useMealActions();
 
@@ -64,12 +68,12 @@ export default function ExerciseModal({ visible, onClose }) {
     await hapticWarning();
 
     Alert.alert(
-      'Remove Exercise',
-      'Are you sure you want to remove this exercise?',
+      t('components.exerciseModal.removeExercise'),
+      t('components.exerciseModal.areYouSureYou'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Remove',
+          text: t('common.remove'),
           style: 'destructive',
           onPress: () => removeExercise(logId),
         },
@@ -84,9 +88,9 @@ export default function ExerciseModal({ visible, onClose }) {
       presentationStyle="pageSheet"
       onRequestClose={handleClose}
     >
-      <View style={styles.container} accessibilityViewIsModal={true} accessibilityLabel="Log exercise">
+      <View style={styles.container} accessibilityViewIsModal={true} accessibilityLabel={t('components.exerciseModal.logExercise')}>
         <View style={styles.header}>
-          <Text style={styles.title}>Today's Workouts</Text>
+          <Text style={styles.title}>{t('components.exerciseModal.todaysWorkouts')}</Text>
           <Pressable style={styles.closeButton} onPress={handleClose}>
             <X size={24} color={Colors.text} />
           </Pressable>
@@ -98,7 +102,7 @@ export default function ExerciseModal({ visible, onClose }) {
               <Zap size={24} color={Colors.primary} />
             </View>
             <Text style={styles.summaryValue}>{caloriesBurned}</Text>
-            <Text style={styles.summaryLabel}>kcal burned</Text>
+            <Text style={styles.summaryLabel}>{t('components.exerciseModal.kcalBurned')}</Text>
           </View>
           <View style={styles.summaryCard}>
             <View style={[styles.summaryIconContainer, { backgroundColor: Colors.accent + '20' }]}>
@@ -120,9 +124,9 @@ export default function ExerciseModal({ visible, onClose }) {
           {exercises.length === 0 ? (
             <View style={styles.emptyState}>
               <Text style={styles.emptyEmoji}>💪</Text>
-              <Text style={styles.emptyTitle}>No workouts logged yet</Text>
+              <Text style={styles.emptyTitle}>{t('components.exerciseModal.noWorkoutsLoggedYet')}</Text>
               <Text style={styles.emptySubtitle}>
-                Log your exercises to track calories burned and unlock extra food allowance!
+                {t('components.exerciseModal.logYourExercisesTo')}
               </Text>
             </View>
           ) : (
@@ -138,10 +142,9 @@ export default function ExerciseModal({ visible, onClose }) {
           )}
 
           <View style={styles.tipCard}>
-            <Text style={styles.tipTitle}>🔥 Burn Bonus</Text>
+            <Text style={styles.tipTitle}>{t('components.exerciseModal.burnBonus')}</Text>
             <Text style={styles.tipText}>
-              Calories burned from exercise are added to your daily allowance.
-              Burned {caloriesBurned} kcal = {caloriesBurned} extra kcal you can eat!
+              {t('components.exerciseModal.caloriesBurnedFromExercise', { caloriesBurned })}
             </Text>
           </View>
 
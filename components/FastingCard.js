@@ -10,6 +10,7 @@ import Animated, {
 import Svg, { Circle } from 'react-native-svg';
 import { BlurView } from 'expo-blur';
 import { Timer, Play, Square, Flame } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, BorderRadius, FontSize, FontWeight } from '../constants/theme';
 import { useFasting, calculateFastingProgress, formatTime } from '../context/FastingContext';
 
@@ -52,6 +53,7 @@ function CircularProgress({ progress, size = 100, strokeWidth = 8 }) {
 }
 
 function FastingCard() {
+  const { t } = useTranslation();
   const {
     isFasting,
     fastDuration,
@@ -65,7 +67,7 @@ function FastingCard() {
   const [tick, setTick] = useState(0);
   useEffect(() => {
     if (!isFasting && !lastMealTime) return;
-    const interval = setInterval(() => setTick(t => t + 1), 60000);
+    const interval = setInterval(() => setTick((n) => n + 1), 60000);
     return () => clearInterval(interval);
   }, [isFasting, lastMealTime]);
 
@@ -105,9 +107,9 @@ function FastingCard() {
     const _ = tick;
     const hours = Math.floor((Date.now() - lastMealTime) / (1000 * 60 * 60));
     const minutes = Math.floor(((Date.now() - lastMealTime) / (1000 * 60)) % 60);
-    if (hours === 0) return `${minutes}m ago`;
-    return `${hours}h ${minutes}m ago`;
-  }, [lastMealTime, tick]);
+    if (hours === 0) return t('components.fastingCard.mAgo', { minutes });
+    return t('components.fastingCard.hMAgo', { hours, minutes });
+  }, [lastMealTime, tick, t]);
 
   // Animation values
   const pulseAnim = useSharedValue(1);
@@ -156,8 +158,8 @@ function FastingCard() {
       accessibilityRole="timer"
       accessibilityLabel={
         isFasting
-          ? `Fasting timer. ${formattedElapsed} elapsed, ${formattedRemaining} remaining. ${Math.round(fastingProgress.progress * 100)} percent complete`
-          : `Fasting timer. Not fasting. ${fastDuration}:${24 - fastDuration} protocol`
+          ? t('components.fastingCard.a11yFasting', { elapsed: formattedElapsed, remaining: formattedRemaining, percent: Math.round(fastingProgress.progress * 100) })
+          : t('components.fastingCard.a11yNotFasting', { fastHours: fastDuration, eatHours: 24 - fastDuration })
       }
     >
       {/* Glass blur layer */}
@@ -187,11 +189,11 @@ function FastingCard() {
             )}
           </View>
           <Text style={[styles.title, isFasting && styles.titleFasting]}>
-            {isFasting ? 'FASTING' : 'FASTING TIMER'}
+            {isFasting ? t('components.fastingCard.fasting') : t('components.fastingCard.fastingTimer')}
           </Text>
           {isFasting && fastingProgress.isComplete && (
             <View style={styles.completeBadge}>
-              <Text style={styles.completeBadgeText}>GOAL!</Text>
+              <Text style={styles.completeBadgeText}>{t('components.fastingCard.goal')}</Text>
             </View>
           )}
         </View>
@@ -220,14 +222,14 @@ function FastingCard() {
             <View style={styles.timeStats} accessibilityLiveRegion="polite">
               <View style={styles.timeStat}>
                 <Text style={styles.timeValue}>{formattedElapsed}</Text>
-                <Text style={styles.timeLabel}>Elapsed</Text>
+                <Text style={styles.timeLabel}>{t('components.fastingCard.elapsed')}</Text>
               </View>
               <View style={styles.timeDivider} />
               <View style={styles.timeStat}>
                 <Text style={[styles.timeValue, styles.timeValueRemaining]}>
                   {formattedRemaining}
                 </Text>
-                <Text style={styles.timeLabel}>Remaining</Text>
+                <Text style={styles.timeLabel}>{t('components.fastingCard.remaining')}</Text>
               </View>
             </View>
 
@@ -235,11 +237,11 @@ function FastingCard() {
               style={styles.endButton}
               onPress={handleEndFast}
               accessibilityRole="button"
-              accessibilityLabel="End fast"
-              accessibilityHint="Stops the current fasting timer"
+              accessibilityLabel={t('components.fastingCard.endFast')}
+              accessibilityHint={t('components.fastingCard.stopsTheCurrentFasting')}
             >
               <Square size={14} color={Colors.background} fill={Colors.background} />
-              <Text style={styles.endButtonText}>End Fast</Text>
+              <Text style={styles.endButtonText}>{t('components.fastingCard.endFast2')}</Text>
             </Pressable>
           </View>
         ) : (
@@ -249,9 +251,9 @@ function FastingCard() {
               // Show eating window progress
               <>
                 <View style={styles.eatingWindowHeader}>
-                  <Text style={styles.eatingWindowTitle}>Eating Window</Text>
+                  <Text style={styles.eatingWindowTitle}>{t('components.fastingCard.eatingWindow')}</Text>
                   <Text style={styles.eatingWindowSubtitle}>
-                    {Math.round(eatingWindowInfo.hoursRemaining)}h left to eat
+                    {t('components.fastingCard.hoursLeftToEat', { hours: Math.round(eatingWindowInfo.hoursRemaining) })}
                   </Text>
                 </View>
 
@@ -266,34 +268,34 @@ function FastingCard() {
                   </View>
                   <View style={styles.progressBarLabels}>
                     <Text style={styles.progressBarLabel}>
-                      {Math.round(eatingWindowInfo.hoursUsed)}h used
+                      {t('components.fastingCard.hoursUsed', { hours: Math.round(eatingWindowInfo.hoursUsed) })}
                     </Text>
                     <Text style={styles.progressBarLabel}>
-                      {eatingWindowInfo.totalHours}h window
+                      {t('components.fastingCard.hWindow', { totalHours: eatingWindowInfo.totalHours })}
                     </Text>
                   </View>
                 </View>
 
                 {timeSinceLastMeal && (
-                  <Text style={styles.lastMealText}>Last meal: {timeSinceLastMeal}</Text>
+                  <Text style={styles.lastMealText}>{t('components.fastingCard.lastMeal', { timeSinceLastMeal })}</Text>
                 )}
 
                 <Pressable
                   style={styles.startButton}
                   onPress={handleStartFast}
                   accessibilityRole="button"
-                  accessibilityLabel="Start fast now"
-                  accessibilityHint="Begins a new fasting timer"
+                  accessibilityLabel={t('components.fastingCard.startFastNow')}
+                  accessibilityHint={t('components.fastingCard.beginsANewFasting')}
                 >
                   <Play size={16} color={Colors.background} fill={Colors.background} />
-                  <Text style={styles.startButtonText}>Start Fast Now</Text>
+                  <Text style={styles.startButtonText}>{t('components.fastingCard.startFastNow2')}</Text>
                 </Pressable>
               </>
             ) : (
               // No eating window data yet
               <>
                 <View style={styles.idleInfo}>
-                  <Text style={styles.idleTitle}>Ready to Fast?</Text>
+                  <Text style={styles.idleTitle}>{t('components.fastingCard.readyToFast')}</Text>
                   <Text style={styles.idleSubtitle}>{fastDuration}:{24 - fastDuration} protocol</Text>
                 </View>
 
@@ -301,11 +303,11 @@ function FastingCard() {
                   style={styles.startButton}
                   onPress={handleStartFast}
                   accessibilityRole="button"
-                  accessibilityLabel="Start fast"
-                  accessibilityHint="Begins a new fasting timer"
+                  accessibilityLabel={t('components.fastingCard.startFast')}
+                  accessibilityHint={t('components.fastingCard.beginsANewFasting')}
                 >
                   <Play size={16} color={Colors.background} fill={Colors.background} />
-                  <Text style={styles.startButtonText}>Start Fast</Text>
+                  <Text style={styles.startButtonText}>{t('components.fastingCard.startFast2')}</Text>
                 </Pressable>
               </>
             )}
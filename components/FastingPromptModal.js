@@ -7,6 +7,7 @@ import {
   Pressable,
 } from 'react-native';
 import { Timer, Play, Square, X } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { hapticSuccess, hapticLight } from '../lib/haptics';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 import { useFasting } from '../context/FastingContext';
@@ -14,6 +15,7 @@ import { useFasting } from '../context/FastingContext';
 const FASTING_COLOR = '#FF9500';
 
 export default function FastingPromptModal() {
+  const { t } = useTranslation();
   const { pendingPrompt, acceptPrompt, dismissPrompt, fastDuration } = useFasting();
 
   if (!pendingPrompt) return null;
@@ -56,7 +58,7 @@ export default function FastingPromptModal() {
           {isStartPrompt && (
             <View style={styles.protocolBadge}>
               <Text style={styles.protocolText}>
-                {fastDuration}:{24 - fastDuration} Protocol
+                {t('components.fastingPromptModal.protocol', { fastHours: fastDuration, eatHours: 24 - fastDuration })}
               </Text>
             </View>
           )}
@@ -64,7 +66,7 @@ export default function FastingPromptModal() {
           {/* Buttons */}
           <View style={styles.buttonRow}>
             <Pressable style={styles.dismissButton} onPress={handleDismiss}>
-              <Text style={styles.dismissButtonText}>Not Now</Text>
+              <Text style={styles.dismissButtonText}>{t('components.fastingPromptModal.notNow')}</Text>
             </Pressable>
             <Pressable
               style={[styles.acceptButton, isStartPrompt && styles.acceptButtonStart]}
@@ -76,7 +78,7 @@ export default function FastingPromptModal() {
                 <Square size={18} color={Colors.background} fill={Colors.background} />
               )}
               <Text style={styles.acceptButtonText}>
-                {isStartPrompt ? 'Start Fast' : 'End Fast'}
+                {isStartPrompt ? t('components.fastingPromptModal.startFast') : t('components.fastingPromptModal.endFast')}
               </Text>
             </Pressable>
           </View>
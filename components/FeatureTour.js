@@ -34,6 +34,7 @@ import Animated, {
 import { LinearGradient } from 'expo-linear-gradient';
 import { BlurView } from 'expo-blur';
 import { ChevronRight, X } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { hapticLight, hapticSuccess } from '../lib/haptics';
 import {
   Colors,
@@ -61,6 +62,7 @@ const EMOJI_SPRING = {
 };
 
 export default function FeatureTour({ steps = [], onComplete, visible }) {
+  const { t } = useTranslation();
   const [currentStep, setCurrentStep] = useState(0);
   const [isVisible, setIsVisible] = useState(visible);
 
@@ -310,7 +312,7 @@ export default function FeatureTour({ steps = [], onComplete, visible }) {
                 style={styles.nextButton}
               >
                 <Text style={styles.nextButtonText}>
-                  {isLast ? 'Get Started!' : 'Next'}
+                  {isLast ? t('components.featureTour.getStarted') : t('common.next')}
                 </Text>
                 {!isLast && (
                   <ChevronRight
@@ -325,7 +327,7 @@ export default function FeatureTour({ steps = [], onComplete, visible }) {
             {/* Skip link (hidden on last step) */}
             {!isLast && (
               <Pressable onPress={handleSkip} style={styles.skipButton}>
-                <Text style={styles.skipText}>Skip Tour</Text>
+                <Text style={styles.skipText}>{t('components.featureTour.skipTour')}</Text>
               </Pressable>
             )}
           </Animated.View>
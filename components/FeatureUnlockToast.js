@@ -2,9 +2,11 @@ import React from 'react';
 import { View, Text, StyleSheet, Pressable } from 'react-native';
 import Animated, { FadeInDown, FadeOutDown } from 'react-native-reanimated';
 import { Unlock, X } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 
 export default function FeatureUnlockToast({ feature, onDismiss }) {
+  const { t } = useTranslation();
   if (!feature) return null;
 
   return (
@@ -13,7 +15,7 @@ export default function FeatureUnlockToast({ feature, onDismiss }) {
         <Unlock size={18} color={Colors.primary} />
       </View>
       <View style={styles.content}>
-        <Text style={styles.title}>Feature Unlocked!</Text>
+        <Text style={styles.title}>{t('components.featureUnlockToast.featureUnlocked')}</Text>
         <Text style={styles.featureName}>{feature.title}</Text>
         <Text style={styles.description}>{feature.description}</Text>
       </View>
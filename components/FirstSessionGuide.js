@@ -4,10 +4,12 @@ import Animated, { FadeInDown, FadeOutUp } from 'react-native-reanimated';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Sparkles, Camera, Mic, Search, ChevronRight } from 'lucide-react-native';
 import { useRouter } from 'expo-router';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 import { hapticLight } from '../lib/haptics';
 
 export default function FirstSessionGuide({ hasLoggedFirstFood, onDismiss }) {
+  const { t } = useTranslation();
   const router = useRouter();
   const [dismissed, setDismissed] = useState(false);
 
@@ -39,32 +41,32 @@ export default function FirstSessionGuide({ hasLoggedFirstFood, onDismiss }) {
         >
           <View style={styles.header}>
             <Sparkles size={20} color={Colors.primary} />
-            <Text style={styles.title}>Log your first meal!</Text>
+            <Text style={styles.title}>{t('components.firstSessionGuide.logYourFirstMeal')}</Text>
           </View>
           <Text style={styles.subtitle}>
-            Users who log their first meal in the first session are 4x more likely to reach their goals
+            {t('components.firstSessionGuide.usersWhoLogTheir')}
           </Text>
 
           <View style={styles.actions}>
             <Pressable style={styles.actionButton} onPress={() => handleAction('search')}>
               <Search size={18} color={Colors.primary} />
-              <Text style={styles.actionText}>Search</Text>
+              <Text style={styles.actionText}>{t('components.firstSessionGuide.search')}</Text>
               <ChevronRight size={14} color={Colors.textTertiary} />
             </Pressable>
             <Pressable style={styles.actionButton} onPress={() => handleAction('camera')}>
               <Camera size={18} color={Colors.secondary} />
-              <Text style={styles.actionText}>Snap a photo</Text>
+              <Text style={styles.actionText}>{t('components.firstSessionGuide.snapAPhoto')}</Text>
               <ChevronRight size={14} color={Colors.textTertiary} />
             </Pressable>
             <Pressable style={styles.actionButton} onPress={() => handleAction('voice')}>
               <Mic size={18} color={Colors.success} />
-              <Text style={styles.actionText}>Say it</Text>
+              <Text style={styles.actionText}>{t('components.firstSessionGuide.sayIt')}</Text>
               <ChevronRight size={14} color={Colors.textTertiary} />
             </Pressable>
           </View>
 
           <Pressable onPress={() => { setDismissed(true); onDismiss?.(); }} style={styles.skipButton}>
-            <Text style={styles.skipText}>I'll do this later</Text>
+            <Text style={styles.skipText}>{t('components.firstSessionGuide.illDoThisLater')}</Text>
           </Pressable>
         </LinearGradient>
       </View>
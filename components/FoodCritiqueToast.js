@@ -2,6 +2,7 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { View, Text, StyleSheet, Pressable } from 'react-native';
 import Animated, { FadeInUp, FadeOutUp, SlideInRight } from 'react-native-reanimated';
 import { Zap, ArrowRightLeft, X } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 import { suggestFoodSwaps } from '../services/ai';
 import { hapticLight } from '../lib/haptics';
@@ -20,6 +21,7 @@ import { Sentry } from '../lib/sentry';
  * - onDismiss: () => void - called when user dismisses
  */
 export default function FoodCritiqueToast({ lastLoggedFood, onSwap, onDismiss }) {
+  const { t } = useTranslation();
   const [critique, setCritique] = useState(null);
   const [visible, setVisible] = useState(false);
 
@@ -95,7 +97,7 @@ export default function FoodCritiqueToast({ lastLoggedFood, onSwap, onDismiss })
           <Pressable onPress={handleSwap} style={styles.swapButton}>
             <ArrowRightLeft size={12} color={Colors.primary} />
             <Text style={styles.swapText}>
-              Try {critique.swap.name} ({critique.swap.calories} cal)
+              {t('components.foodCritiqueToast.tryCal', { name: critique.swap.name, calories: critique.swap.calories })}
             </Text>
           </Pressable>
         )}
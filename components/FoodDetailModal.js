@@ -16,10 +16,15 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Sentry } from '../lib/sentry';
 import { Image } from 'expo-image';
 import { X, Check, Edit3, Calculator, ChevronDown, Sparkles, Heart, AlertTriangle } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { hapticLight, hapticSuccess } from '../lib/haptics';
+import { scaleMicronutrients } from '../lib/micronutrients';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 import FoodSwapSheet from './FoodSwapSheet';
 import { useFavoriteFoods } from '../hooks/useFavoriteFoods';
+import useAllergens from '../hooks/useAllergens';
+import AllergenWarning from './AllergenWarning';
+import RecipeScaler from './RecipeScaler';
 
 // Performance: Blurhash placeholder for smooth loading
 const BLURHASH = 'L6PZfSi_.AyE_3t7t7R**0o#DgR4';
@@ -95,9 +100,10 @@ function getConfidenceTextColor(level) {
 }
 
 function UnitSelector({ value, onChange, servingLabel }) {
+  const { t } = useTranslation();
   const options = [
-    { id: 'serving', label: servingLabel || 'Serving' },
-    { id: 'grams', label: 'Grams' },
+    { id: 'serving', label: servingLabel || t('components.foodDetailModal.serving') },
+    { id: 'grams', label: t('components.foodDetailModal.grams') },
   ];
 
   const handleSelect = async (unit) => {
@@ -183,8 +189,11 @@ function FoodDetailModal({
   onConfirm,
   onReport,
 }) {
+  const { t } = useTranslation();
   const quantityInputRef = useRef(null);
   const { isFavorite, toggleFavorite } = useFavoriteFoods();
+  const { checkFoodDetails } = useAllergens();
+  const allergenCheck = useMemo(() => checkFoodDetails(food), [food, checkFoodDetails]);
 
   // Swap sheet state
   const [swapSheetVisible, setSwapSheetVisible] = useState(false);
@@ -211,6 +220,8 @@ function FoodDetailModal({
       fat: food.fat || 0,
       servingSize: food.servingSize || 100,
       servingDescription: food.serving || '100g',
+      // Recipes with a cooked weight log grams against one serving of the dish
+      gramsPerServing: food.gramsPerServing > 0 ? food.gramsPerServing : null,
     };
   }, [food]);
 
@@ -221,8 +232,8 @@ function FoodDetailModal({
     // Calculate multiplier based on unit
     let multiplier;
     if (unit === 'grams') {
-      // qty grams / 100g base = multiplier
-      multiplier = qty / 100;
+      // qty grams / 100g base (or grams per recipe serving) = multiplier
+      multiplier = qty / (baseValues.gramsPerServing || 100);
     } else {
       // qty servings * 1 = multiplier (base is per serving)
       multiplier = qty;
@@ -345,11 +356,13 @@ function FoodDetailModal({
       protein: finalValues.protein,
       carbs: finalValues.carbs,
       fat: finalValues.fat,
+      // Micronutrients follow the portion, even when macros were typed in
+      micronutrients: scaleMicronutrients(food?.micronutrients, calculatedValues.multiplier),
       quantity: parseFloat(quantity) || 1,
       unit,
       wasManuallyEdited: manualOverride,
     }, mealType);
-  }, [food, finalValues, quantity, unit, manualOverride, mealType, onConfirm]);
+  }, [food, finalValues, calculatedValues.multiplier, quantity, unit, manualOverride, mealType, onConfirm]);
 
   const handleClose = useCallback(async () => {
     await hapticLight();
@@ -366,10 +379,10 @@ function FoodDetailModal({
         protein: baseValues.protein,
         carbs: baseValues.carbs,
         fat: baseValues.fat,
-        serving: baseValues.servingDescription || '1 serving',
+        serving: baseValues.servingDescription || t('components.foodDetailModal.n1Serving'),
       });
     }
-  }, [food, baseValues, toggleFavorite]);
+  }, [food, baseValues, toggleFavorite, t]);
 
   const handleOpenSwapSheet = useCallback(async () => {
     await hapticLight();
@@ -394,7 +407,7 @@ function FoodDetailModal({
 
   if (!food) return null;
 
-  const mealLabel = MEAL_LABELS[mealType] || 'Log';
+  const mealLabel = MEAL_LABELS[mealType] || t('components.foodDetailModal.log');
   const isValidQuantity = parseFloat(quantity) > 0;
   const quantityNum = parseFloat(quantity) || 0;
   const badgeTheme = getQualityBadgeTheme(food.qualityTag);
@@ -405,8 +418,8 @@ function FoodDetailModal({
 
   // Build breakdown string
   const breakdownText = unit === 'grams'
-    ? `${quantityNum}g = ${finalValues.calories} kcal`
-    : `${quantityNum} serving${quantityNum !== 1 ? 's' : ''} = ${finalValues.calories} kcal`;
+    ? t('components.foodDetailModal.gKcal', { quantityNum, calories: finalValues.calories })
+    : t('components.foodDetailModal.servingsKcal', { count: quantityNum, calories: finalValues.calories });
 
   return (
     <Modal
@@ -420,14 +433,14 @@ function FoodDetailModal({
         style={styles.container}
         behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
         accessibilityViewIsModal={true}
-        accessibilityLabel="Food detail and quantity selector"
+        accessibilityLabel={t('components.foodDetailModal.foodDetailAndQuantity')}
       >
         {/* Header */}
         <View style={styles.header}>
           <Pressable style={styles.closeButton} onPress={handleClose} hitSlop={8}>
             <X size={24} color={Colors.text} />
           </Pressable>
-          <Text style={styles.headerTitle}>Add Food</Text>
+          <Text style={styles.headerTitle}>{t('components.foodDetailModal.addFood')}</Text>
           <Pressable style={styles.favoriteHeaderButton} onPress={handleToggleFavorite} hitSlop={8}>
             <Heart
               size={22}
@@ -467,7 +480,7 @@ function FoodDetailModal({
                 <Text style={styles.foodBrand}>{food.brand}</Text>
               )}
               <Text style={styles.baseNutrition}>
-                {baseValues.calories} kcal per {baseValues.servingDescription}
+                {t('components.foodDetailModal.kcalPer', { calories: baseValues.calories, servingDescription: baseValues.servingDescription })}
               </Text>
               {(food.qualityLabel || trustNote) && (
                 <View style={styles.foodTrustBlock}>
@@ -506,18 +519,20 @@ function FoodDetailModal({
             </View>
           </View>
 
+          <AllergenWarning check={allergenCheck} style={styles.allergenBanner} />
+
           {/* Quantity Calculator Card */}
           <View style={styles.calculatorCard}>
             <View style={styles.calculatorHeader}>
               <Calculator size={18} color={Colors.primary} />
-              <Text style={styles.calculatorTitle}>Amount</Text>
+              <Text style={styles.calculatorTitle}>{t('components.foodDetailModal.amount')}</Text>
             </View>
 
             {/* Unit Selector */}
             <UnitSelector
               value={unit}
               onChange={handleUnitChange}
-              servingLabel={food.serving ? `Serving (${food.serving})` : 'Serving'}
+              servingLabel={food.serving ? t('components.foodDetailModal.serving2', { serving: food.serving }) : t('components.foodDetailModal.serving')}
             />
 
             {/* Large Quantity Input */}
@@ -534,7 +549,7 @@ function FoodDetailModal({
                 placeholderTextColor={Colors.textTertiary}
               />
               <Text style={styles.quantityUnit}>
-                {unit === 'grams' ? 'g' : 'serving(s)'}
+                {unit === 'grams' ? 'g' : t('components.foodDetailModal.servingS')}
               </Text>
             </View>
 
@@ -608,14 +623,14 @@ function FoodDetailModal({
           {/* Macros Display/Edit */}
           <View style={styles.macrosCard}>
             <View style={styles.macrosHeader}>
-              <Text style={styles.macrosTitle}>Nutrition</Text>
+              <Text style={styles.macrosTitle}>{t('components.foodDetailModal.nutrition')}</Text>
               <View style={styles.overrideToggle}>
                 <Edit3 size={14} color={manualOverride ? Colors.primary : Colors.textTertiary} />
                 <Text style={[
                   styles.overrideLabel,
                   manualOverride && styles.overrideLabelActive
                 ]}>
-                  Edit
+                  {t('common.edit')}
                 </Text>
                 <Switch
                   value={manualOverride}
@@ -630,28 +645,28 @@ function FoodDetailModal({
             {manualOverride && (
               <View style={styles.overrideHint}>
                 <Text style={styles.overrideHintText}>
-                  Manually adjust values if the database is incorrect
+                  {t('components.foodDetailModal.manuallyAdjustValuesIf')}
                 </Text>
               </View>
             )}
 
             <View style={styles.macrosGrid}>
               <MacroInput
-                label="Protein"
+                label={t('food.protein')}
                 value={manualOverride ? manualProtein : finalValues.protein}
                 onChange={setManualProtein}
                 color={Colors.protein}
                 editable={manualOverride}
               />
               <MacroInput
-                label="Carbs"
+                label={t('food.carbs')}
                 value={manualOverride ? manualCarbs : finalValues.carbs}
                 onChange={setManualCarbs}
                 color={Colors.carbs}
                 editable={manualOverride}
               />
               <MacroInput
-                label="Fat"
+                label={t('food.fat')}
                 value={manualOverride ? manualFat : finalValues.fat}
                 onChange={setManualFat}
                 color={Colors.fat}
@@ -661,7 +676,7 @@ function FoodDetailModal({
 
             {manualOverride && (
               <MacroInput
-                label="Calories"
+                label={t('food.calories')}
                 value={manualCalories}
                 onChange={setManualCalories}
                 color={Colors.primary}
@@ -704,16 +719,20 @@ function FoodDetailModal({
             </View>
           </View>
 
+          {food.isRecipe && Array.isArray(food.ingredients) && food.ingredients.length > 0 && (
+            <RecipeScaler recipe={food} style={styles.recipeScaler} collapsible />
+          )}
+
           {/* Find Smarter Swap button */}
           <Pressable style={styles.swapButton} onPress={handleOpenSwapSheet}>
             <Sparkles size={16} color={Colors.primary} />
-            <Text style={styles.swapButtonText}>Find Smarter Swap</Text>
+            <Text style={styles.swapButtonText}>{t('components.foodDetailModal.findSmarterSwap')}</Text>
           </Pressable>
 
           {food.reportable && onReport && (
             <Pressable style={styles.reportButton} onPress={() => onReport(food)}>
               <AlertTriangle size={16} color={Colors.warning} />
-              <Text style={styles.reportButtonText}>Report wrong nutrition</Text>
+              <Text style={styles.reportButtonText}>{t('components.foodDetailModal.reportWrongNutrition')}</Text>
             </Pressable>
           )}
         </ScrollView>
@@ -731,7 +750,7 @@ function FoodDetailModal({
           >
             <Check size={22} color={Colors.background} />
             <Text style={styles.confirmButtonText}>
-              Add to {mealLabel}
+              {t('components.foodDetailModal.addTo', { mealLabel })}
             </Text>
           </Pressable>
         </View>
@@ -747,7 +766,7 @@ function FoodDetailModal({
             protein: baseValues.protein,
             carbs: baseValues.carbs,
             fat: baseValues.fat,
-            serving: baseValues.servingDescription || '1 serving',
+            serving: baseValues.servingDescription || t('components.foodDetailModal.n1Serving'),
           } : null}
           onSwap={handleSwap}
         />
@@ -803,6 +822,9 @@ const styles = StyleSheet.create({
     padding: Spacing.md,
     paddingBottom: Spacing.xxl,
   },
+  allergenBanner: {
+    marginBottom: Spacing.md,
+  },
   foodHeader: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -1111,6 +1133,9 @@ const styles = StyleSheet.create({
   macroBarSegment: {
     height: '100%',
   },
+  recipeScaler: {
+    marginTop: Spacing.lg,
+  },
   swapButton: {
     flexDirection: 'row',
     alignItems: 'center',
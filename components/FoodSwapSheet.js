@@ -11,6 +11,7 @@ import {
 import { LinearGradient } from 'expo-linear-gradient';
 import ReAnimated, { FadeInDown } from 'react-native-reanimated';
 import { Sparkles, X, ArrowRight, TrendingUp, TrendingDown } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius, Shadows, Gradients } from '../constants/theme';
 import { useProfile } from '../context/ProfileContext';
 import { suggestFoodSwaps } from '../services/ai';
@@ -93,6 +94,7 @@ const macroDeltaStyles = StyleSheet.create({
  * A single swap card displaying the alternative food and its comparison.
  */
 function SwapCard({ swap, originalFood, index, onSwap }) {
+  const { t } = useTranslation();
   const handleSwap = useCallback(async () => {
     await hapticSuccess();
     onSwap(swap);
@@ -112,26 +114,26 @@ function SwapCard({ swap, originalFood, index, onSwap }) {
           </View>
           <View style={swapCardStyles.caloriesBadge}>
             <Text style={swapCardStyles.caloriesValue}>{swap.calories}</Text>
-            <Text style={swapCardStyles.caloriesUnit}>kcal</Text>
+            <Text style={swapCardStyles.caloriesUnit}>{t('units.kcal')}</Text>
           </View>
         </View>
 
         {/* Macro comparison row */}
         <View style={swapCardStyles.macroRow}>
           <MacroDelta
-            label="Protein"
+            label={t('food.protein')}
             original={originalFood.protein}
             swapped={swap.protein}
             color={Colors.protein}
           />
           <MacroDelta
-            label="Carbs"
+            label={t('food.carbs')}
             original={originalFood.carbs}
             swapped={swap.carbs}
             color={Colors.carbs}
           />
           <MacroDelta
-            label="Fat"
+            label={t('food.fat')}
             original={originalFood.fat}
             swapped={swap.fat}
             color={Colors.fat}
@@ -156,7 +158,7 @@ function SwapCard({ swap, originalFood, index, onSwap }) {
             end={{ x: 1, y: 0 }}
             style={swapCardStyles.swapButton}
           >
-            <Text style={swapCardStyles.swapButtonText}>Swap in Diary</Text>
+            <Text style={swapCardStyles.swapButtonText}>{t('components.foodSwapSheet.swapInDiary')}</Text>
             <ArrowRight size={16} color={Colors.background} />
           </LinearGradient>
         </Pressable>
@@ -259,6 +261,7 @@ const swapCardStyles = StyleSheet.create({
  * FoodSwapSheet - A modal that displays AI-suggested food swaps.
  */
 function FoodSwapSheet({ visible, onClose, food, onSwap }) {
+  const { t } = useTranslation();
   const { currentGoalType } = useProfile();
 
   const [loading, setLoading] = useState(false);
@@ -291,7 +294,7 @@ function FoodSwapSheet({ visible, onClose, food, onSwap }) {
           protein: food.protein || 0,
           carbs: food.carbs || 0,
           fat: food.fat || 0,
-          servingSize: food.serving || '1 serving',
+          servingSize: food.serving || t('components.foodSwapSheet.n1Serving'),
           goal,
         });
 
@@ -301,7 +304,7 @@ function FoodSwapSheet({ visible, onClose, food, onSwap }) {
         }
       } catch (err) {
         if (!cancelled) {
-          setError(err.message || 'Failed to load swap suggestions.');
+          setError(err.message || t('components.foodSwapSheet.failedToLoadSwap'));
         }
       } finally {
         if (!cancelled) {
@@ -315,7 +318,7 @@ function FoodSwapSheet({ visible, onClose, food, onSwap }) {
     return () => {
       cancelled = true;
     };
-  }, [visible, food, currentGoalType, retryCount]);
+  }, [visible, food, currentGoalType, retryCount, t]);
 
   const handleSwap = useCallback((swapItem) => {
     if (onSwap) {
@@ -351,7 +354,7 @@ function FoodSwapSheet({ visible, onClose, food, onSwap }) {
         <View style={styles.header}>
           <View style={styles.headerLeft}>
             <Sparkles size={20} color={Colors.primary} />
-            <Text style={styles.headerTitle}>Smarter Swaps</Text>
+            <Text style={styles.headerTitle}>{t('components.foodSwapSheet.smarterSwaps')}</Text>
           </View>
           <Pressable style={styles.closeButton} onPress={handleClose}>
             <X size={22} color={Colors.text} />
@@ -366,12 +369,12 @@ function FoodSwapSheet({ visible, onClose, food, onSwap }) {
           {/* Original food card */}
           <ReAnimated.View entering={FadeInDown.delay(0).springify().mass(0.5).damping(10)}>
             <View style={styles.originalCard}>
-              <Text style={styles.originalLabel}>Original</Text>
+              <Text style={styles.originalLabel}>{t('components.foodSwapSheet.original')}</Text>
               <View style={styles.originalHeader}>
                 <Text style={styles.originalEmoji}>{food.emoji || '🍽️'}</Text>
                 <View style={styles.originalInfo}>
                   <Text style={styles.originalName} numberOfLines={1}>{food.name}</Text>
-                  <Text style={styles.originalCalories}>{food.calories} kcal</Text>
+                  <Text style={styles.originalCalories}>{t('components.foodSwapSheet.kcal', { calories: food.calories })}</Text>
                 </View>
               </View>
               <View style={styles.originalMacros}>
@@ -396,7 +399,7 @@ function FoodSwapSheet({ visible, onClose, food, onSwap }) {
             <ReAnimated.View entering={FadeInDown.delay(100).springify().mass(0.5).damping(10)}>
               <View style={styles.loadingCard}>
                 <ActivityIndicator size="large" color={Colors.primary} />
-                <Text style={styles.loadingText}>Finding smarter alternatives...</Text>
+                <Text style={styles.loadingText}>{t('components.foodSwapSheet.findingSmarterAlternatives')}</Text>
               </View>
             </ReAnimated.View>
           )}
@@ -415,7 +418,7 @@ function FoodSwapSheet({ visible, onClose, food, onSwap }) {
                     setRetryCount((c) => c + 1);
                   }}
                 >
-                  <Text style={styles.retryText}>Try Again</Text>
+                  <Text style={styles.retryText}>{t('components.foodSwapSheet.tryAgain')}</Text>
                 </Pressable>
               </View>
             </ReAnimated.View>
@@ -425,7 +428,7 @@ function FoodSwapSheet({ visible, onClose, food, onSwap }) {
           {result && !loading && (
             <>
               <ReAnimated.View entering={FadeInDown.delay(150).springify().mass(0.5).damping(10)}>
-                <Text style={styles.sectionLabel}>Try instead:</Text>
+                <Text style={styles.sectionLabel}>{t('components.foodSwapSheet.tryInstead')}</Text>
               </ReAnimated.View>
 
               {result.swaps.map((swap, index) => (
@@ -2,9 +2,12 @@ import React, { useMemo } from 'react';
 import { View, Text, StyleSheet } from 'react-native';
 import Animated, { FadeInDown } from 'react-native-reanimated';
 import { Calendar, Target, TrendingDown, TrendingUp } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
+import { formatDate } from '../lib/formatters';
 
 export default function GoalProjection({ currentWeight, targetWeight, weeklyRate, weightUnit = 'lbs' }) {
+  const { t } = useTranslation();
   const projection = useMemo(() => {
     if (!currentWeight || !targetWeight || !weeklyRate || weeklyRate === 0) return null;
 
@@ -21,7 +24,7 @@ export default function GoalProjection({ currentWeight, targetWeight, weeklyRate
       monthsToGoal,
       targetDate,
       isLosing,
-      formattedDate: targetDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' }),
+      formattedDate: formatDate(targetDate, { month: 'long', year: 'numeric' }),
     };
   }, [currentWeight, targetWeight, weeklyRate]);
 
@@ -34,7 +37,7 @@ export default function GoalProjection({ currentWeight, targetWeight, weeklyRate
       <View style={styles.container}>
         <View style={styles.header}>
           <Target size={16} color={Colors.primary} />
-          <Text style={styles.title}>Your Goal Projection</Text>
+          <Text style={styles.title}>{t('components.goalProjection.yourGoalProjection')}</Text>
         </View>
 
         <View style={styles.projection}>
@@ -43,7 +46,7 @@ export default function GoalProjection({ currentWeight, targetWeight, weeklyRate
             <Text style={styles.statValue}>
               {Math.abs(currentWeight - targetWeight).toFixed(1)} {weightUnit}
             </Text>
-            <Text style={styles.statLabel}>{projection.isLosing ? 'to lose' : 'to gain'}</Text>
+            <Text style={styles.statLabel}>{projection.isLosing ? t('components.goalProjection.toLose') : t('components.goalProjection.toGain')}</Text>
           </View>
 
           <View style={styles.divider} />
@@ -51,12 +54,12 @@ export default function GoalProjection({ currentWeight, targetWeight, weeklyRate
           <View style={styles.stat}>
             <Calendar size={20} color={Colors.secondary} />
             <Text style={styles.statValue}>{projection.formattedDate}</Text>
-            <Text style={styles.statLabel}>estimated goal date</Text>
+            <Text style={styles.statLabel}>{t('components.goalProjection.estimatedGoalDate')}</Text>
           </View>
         </View>
 
         <Text style={styles.disclaimer}>
-          At {Math.abs(weeklyRate)} {weightUnit}/week. Actual results may vary based on adherence.
+          {t('components.goalProjection.disclaimer', { rate: Math.abs(weeklyRate), unit: weightUnit })}
         </Text>
       </View>
     </Animated.View>
@@ -14,6 +14,7 @@ import React, { memo, useMemo, useRef } from 'react';
 import { View, Text, ScrollView, StyleSheet, Dimensions } from 'react-native';
 import Svg, { Rect } from 'react-native-svg';
 import { Flame, CalendarDays } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
@@ -51,6 +52,7 @@ const DAY_LABELS = ['', 'M', '', 'W', '', 'F', ''];
 const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
 function HabitHeatmap({ dayData, currentStreak = 0 }) {
+  const { t } = useTranslation();
   const scrollRef = useRef(null);
 
   // Build 52-week grid of completeness values
@@ -137,7 +139,7 @@ function HabitHeatmap({ dayData, currentStreak = 0 }) {
       <View style={styles.header}>
         <View style={styles.headerLeft}>
           <CalendarDays size={18} color={Colors.primary} />
-          <Text style={styles.title}>Activity Heatmap</Text>
+          <Text style={styles.title}>{t('components.habitHeatmap.activityHeatmap')}</Text>
         </View>
         <View style={styles.statsRow}>
           <View style={styles.statPill}>
@@ -212,11 +214,11 @@ function HabitHeatmap({ dayData, currentStreak = 0 }) {
 
       {/* Legend */}
       <View style={styles.legend}>
-        <Text style={styles.legendLabel}>Less</Text>
+        <Text style={styles.legendLabel}>{t('components.habitHeatmap.less')}</Text>
         {LEVEL_COLORS.map((color, i) => (
           <View key={i} style={[styles.legendCell, { backgroundColor: color }]} />
         ))}
-        <Text style={styles.legendLabel}>More</Text>
+        <Text style={styles.legendLabel}>{t('components.habitHeatmap.more')}</Text>
       </View>
     </View>
   );
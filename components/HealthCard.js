@@ -14,6 +14,7 @@ import { LinearGradient } from 'expo-linear-gradient';
 import { BlurView } from 'expo-blur';
 import ReAnimated, { FadeInDown } from 'react-native-reanimated';
 import { Heart, Activity, Flame } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { hapticLight } from '../lib/haptics';
 import {
   Colors,
@@ -24,6 +25,7 @@ import {
   Shadows,
   Glass,
 } from '../constants/theme';
+import { formatNumber } from '../lib/formatters';
 
 // Health accent: vibrant green
 const HEALTH_COLOR = Colors.success;
@@ -168,6 +170,7 @@ const chartStyles = StyleSheet.create({
 // Connected Health Card
 // ---------------------------------------------------------------------------
 function ConnectedHealthCard({ steps, activeCalories, weeklySteps }) {
+  const { t } = useTranslation();
   const stepPercent = Math.min(Math.round((steps / STEP_GOAL) * 100), 100);
   const isGoalReached = steps >= STEP_GOAL;
 
@@ -184,11 +187,11 @@ function ConnectedHealthCard({ steps, activeCalories, weeklySteps }) {
           <View style={styles.iconContainer}>
             <Activity size={18} color={HEALTH_COLOR} strokeWidth={2.5} />
           </View>
-          <Text style={styles.title}>Health</Text>
+          <Text style={styles.title}>{t('components.healthCard.health')}</Text>
         </View>
         {isGoalReached && (
           <View style={styles.goalBadge}>
-            <Text style={styles.goalBadgeText}>Goal!</Text>
+            <Text style={styles.goalBadgeText}>{t('components.healthCard.goal')}</Text>
           </View>
         )}
       </View>
@@ -199,8 +202,8 @@ function ConnectedHealthCard({ steps, activeCalories, weeklySteps }) {
         <View style={styles.ringContainer}>
           <StepProgressRing steps={steps} goal={STEP_GOAL} size={90} strokeWidth={8} />
           <View style={styles.ringCenter}>
-            <Text style={styles.ringSteps}>{steps.toLocaleString()}</Text>
-            <Text style={styles.ringLabel}>steps</Text>
+            <Text style={styles.ringSteps}>{formatNumber(steps)}</Text>
+            <Text style={styles.ringLabel}>{t('units.steps')}</Text>
           </View>
         </View>
 
@@ -211,7 +214,7 @@ function ConnectedHealthCard({ steps, activeCalories, weeklySteps }) {
               <Flame size={14} color={Colors.secondary} strokeWidth={2.5} />
               <Text style={styles.statValue}>{activeCalories}</Text>
             </View>
-            <Text style={styles.statLabel}>Active cal</Text>
+            <Text style={styles.statLabel}>{t('components.healthCard.activeCal')}</Text>
           </View>
 
           <View style={styles.statDivider} />
@@ -225,7 +228,7 @@ function ConnectedHealthCard({ steps, activeCalories, weeklySteps }) {
 
       {/* Weekly Bar Chart */}
       <View style={styles.chartSection}>
-        <Text style={styles.chartTitle}>This Week</Text>
+        <Text style={styles.chartTitle}>{t('common.thisWeek')}</Text>
         <WeeklyBarChart weeklySteps={weeklySteps} />
       </View>
     </View>
@@ -236,6 +239,7 @@ function ConnectedHealthCard({ steps, activeCalories, weeklySteps }) {
 // Disconnected CTA Card
 // ---------------------------------------------------------------------------
 function DisconnectedHealthCard({ onConnect }) {
+  const { t } = useTranslation();
   const handlePress = async () => {
     await hapticLight();
     onConnect?.();
@@ -262,12 +266,12 @@ function DisconnectedHealthCard({ onConnect }) {
           </View>
 
           <View style={styles.ctaTextContainer}>
-            <Text style={styles.ctaTitle}>Connect {platformName}</Text>
-            <Text style={styles.ctaSubtitle}>Sync steps, weight & activity</Text>
+            <Text style={styles.ctaTitle}>{t('components.healthCard.connect', { platformName })}</Text>
+            <Text style={styles.ctaSubtitle}>{t('components.healthCard.syncStepsWeightActivity')}</Text>
           </View>
 
           <View style={styles.ctaButton}>
-            <Text style={styles.ctaButtonText}>Set Up</Text>
+            <Text style={styles.ctaButtonText}>{t('components.healthCard.setUp')}</Text>
           </View>
         </View>
       </View>
@@ -11,6 +11,7 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { View, Text, StyleSheet, Pressable, ActivityIndicator } from 'react-native';
 import { RefreshCw, Wifi, WifiOff, Smartphone } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import {
   getSyncStatus,
   getHealthPlatformName,
@@ -27,8 +28,10 @@ import {
 } from '../constants/theme';
 import { hapticLight } from '../lib/haptics';
 import { Sentry } from '../lib/sentry';
+import { formatDate } from '../lib/formatters';
 
 export default function HealthSyncStatus({ onSync, onConfigure, compact = false, style }) {
+  const { t } = useTranslation();
   const [syncStatus, setSyncStatus] = useState(null);
   const [isSyncing, setIsSyncing] = useState(false);
   const [lastSyncTime, setLastSyncTime] = useState(null);
@@ -59,8 +62,8 @@ export default function HealthSyncStatus({ onSync, onConfigure, compact = false,
   const sourceName = useMemo(() => {
     if (dataSource === 'apple_health') return 'Apple Health';
     if (dataSource === 'google_fit') return 'Google Fit';
-    return 'Simulated';
-  }, [dataSource]);
+    return t('components.healthSyncStatus.simulated');
+  }, [dataSource, t]);
 
   const lastSyncText = useMemo(() => {
     if (!lastSyncTime) return null;
@@ -69,12 +72,12 @@ export default function HealthSyncStatus({ onSync, onConfigure, compact = false,
     const diffMs = now.getTime() - date.getTime();
     const diffMins = Math.floor(diffMs / 60000);
 
-    if (diffMins < 1) return 'Just now';
-    if (diffMins < 60) return `${diffMins}m ago`;
+    if (diffMins < 1) return t('components.healthSyncStatus.justNow');
+    if (diffMins < 60) return t('components.healthSyncStatus.mAgo', { diffMins });
     const diffHours = Math.floor(diffMins / 60);
-    if (diffHours < 24) return `${diffHours}h ago`;
-    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-  }, [lastSyncTime]);
+    if (diffHours < 24) return t('components.healthSyncStatus.hAgo', { diffHours });
+    return formatDate(date, { month: 'short', day: 'numeric' });
+  }, [lastSyncTime, t]);
 
   const statusColor = isConnected
     ? (dataSource === 'simulated' ? Colors.warning : Colors.success)
@@ -131,7 +134,7 @@ export default function HealthSyncStatus({ onSync, onConfigure, compact = false,
       style={[styles.container, style]}
       onPress={handlePress}
       accessibilityRole="button"
-      accessibilityLabel={`Health sync status: ${isConnected ? 'Connected' : 'Disconnected'}. Source: ${sourceName}. Tap to ${isConnected ? 'sync' : 'connect'}.`}
+      accessibilityLabel={t(isConnected ? 'components.healthSyncStatus.a11yConnected' : 'components.healthSyncStatus.a11yDisconnected', { source: sourceName })}
     >
       <View style={styles.leftSection}>
         <View style={[styles.iconWrap, { backgroundColor: statusColor + '20' }]}>
@@ -146,20 +149,20 @@ export default function HealthSyncStatus({ onSync, onConfigure, compact = false,
           <View style={styles.statusRow}>
             <View style={[styles.statusDot, { backgroundColor: statusColor }]} />
             <Text style={styles.statusText}>
-              {isConnected ? 'Connected' : 'Disconnected'}
+              {isConnected ? t('components.healthSyncStatus.connected') : t('components.healthSyncStatus.disconnected')}
             </Text>
           </View>
 
           <Text style={styles.sourceText} numberOfLines={1}>
             {sourceName}
             {dataSource === 'simulated' && isConnected && (
-              <Text style={styles.simulatedBadge}> (Simulated Data)</Text>
+              <Text style={styles.simulatedBadge}>{' '}{t('components.healthSyncStatus.simulatedData')}</Text>
             )}
           </Text>
 
           {lastSyncText && (
             <Text style={styles.syncTimeText}>
-              Synced {lastSyncText}
+              {t('components.healthSyncStatus.synced', { lastSyncText })}
             </Text>
           )}
         </View>
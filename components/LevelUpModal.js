@@ -37,6 +37,7 @@ import Animated, {
 } from 'react-native-reanimated';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Star, Share2, X, Zap, Shield, Crown, Award } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { hapticHeavy, hapticSuccess } from '../lib/haptics';
 import { Sentry } from '../lib/sentry';
 import {
@@ -50,30 +51,30 @@ import {
 
 const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get('window');
 
-// Level perks — unlocked at specific levels
+// Level perks — unlocked at specific levels (translation keys)
 const LEVEL_PERKS = {
-  2: 'Daily Challenges unlocked',
-  5: 'Weekly Challenges unlocked',
-  7: 'Share Achievement Cards',
-  10: 'Custom Dashboard Layout',
-  15: 'Advanced Analytics',
-  20: 'Streak Freeze Discount',
-  25: 'Achievement Showcase',
-  30: 'Community Leaderboard',
-  40: 'AI Coach Priority',
-  50: 'Exclusive Badge',
-  75: 'Legend Status',
-  100: 'Hall of Fame',
+  2: 'components.levelUpModal.perks.dailyChallengesUnlocked',
+  5: 'components.levelUpModal.perks.weeklyChallengesUnlocked',
+  7: 'components.levelUpModal.perks.shareAchievementCards',
+  10: 'components.levelUpModal.perks.customDashboardLayout',
+  15: 'components.levelUpModal.perks.advancedAnalytics',
+  20: 'components.levelUpModal.perks.streakFreezeDiscount',
+  25: 'components.levelUpModal.perks.achievementShowcase',
+  30: 'components.levelUpModal.perks.communityLeaderboard',
+  40: 'components.levelUpModal.perks.aiCoachPriority',
+  50: 'components.levelUpModal.perks.exclusiveBadge',
+  75: 'components.levelUpModal.perks.legendStatus',
+  100: 'components.levelUpModal.perks.hallOfFame',
 };
 
-// Titles/Ranks tied to levels
+// Titles/Ranks tied to levels (translation keys)
 const LEVEL_TITLES = {
-  1: 'Beginner',
-  5: 'Committed',
-  10: 'Dedicated',
-  20: 'Elite',
-  35: 'Master',
-  50: 'Legend',
+  1: 'components.levelUpModal.titles.beginner',
+  5: 'components.levelUpModal.titles.committed',
+  10: 'components.levelUpModal.titles.dedicated',
+  20: 'components.levelUpModal.titles.elite',
+  35: 'components.levelUpModal.titles.master',
+  50: 'components.levelUpModal.titles.legend',
 };
 
 function getTitleForLevel(level) {
@@ -83,7 +84,7 @@ function getTitleForLevel(level) {
   for (const t of thresholds) {
     if (level >= t) return LEVEL_TITLES[t];
   }
-  return 'Beginner';
+  return 'components.levelUpModal.titles.beginner';
 }
 
 function getPerkForLevel(level) {
@@ -166,12 +167,14 @@ function ConfettiParticle({ index, delay }) {
 }
 
 export default function LevelUpModal({ visible, level, levelName, previousLevel, onDismiss }) {
+  const { t } = useTranslation();
   const glowPulse = useSharedValue(0);
   const dismissTimeoutRef = useRef(null);
 
-  const title = getTitleForLevel(level || 1);
-  const previousTitle = getTitleForLevel(previousLevel || 1);
-  const perk = getPerkForLevel(level);
+  const title = t(getTitleForLevel(level || 1));
+  const previousTitle = t(getTitleForLevel(previousLevel || 1));
+  const perkKey = getPerkForLevel(level);
+  const perk = perkKey ? t(perkKey) : null;
   const hasNewTitle = title !== previousTitle;
 
   useEffect(() => {
@@ -206,13 +209,15 @@ export default function LevelUpModal({ visible, level, levelName, previousLevel,
     await hapticSuccess();
     try {
       await Share.share({
-        message: `I just reached Level ${level} (${title}) in FuelIQ! ${perk ? `Unlocked: ${perk}` : ''}`,
+        message: perk
+          ? t('components.levelUpModal.shareWithPerk', { level, title, perk })
+          : t('components.levelUpModal.share', { level, title }),
       });
     } catch (e) {
       Sentry.captureException(e);
       // Share cancelled
     }
-  }, [level, title, perk]);
+  }, [level, title, perk, t]);
 
   const handleDismiss = useCallback(() => {
     if (dismissTimeoutRef.current) clearTimeout(dismissTimeoutRef.current);
@@ -253,11 +258,11 @@ export default function LevelUpModal({ visible, level, levelName, previousLevel,
             end={{ x: 0.5, y: 1 }}
             style={styles.card}
             accessibilityViewIsModal={true}
-            accessibilityLabel="Level up celebration"
+            accessibilityLabel={t('components.levelUpModal.levelUpCelebration')}
           >
             {/* Level up label */}
             <Animated.View entering={SlideInUp.delay(400).springify()}>
-              <Text style={styles.levelUpLabel}>LEVEL UP!</Text>
+              <Text style={styles.levelUpLabel}>{t('components.levelUpModal.levelUp')}</Text>
             </Animated.View>
 
             {/* Level badge */}
@@ -281,7 +286,7 @@ export default function LevelUpModal({ visible, level, levelName, previousLevel,
             {hasNewTitle && (
               <Animated.View entering={FadeIn.delay(900)} style={styles.titleBadge}>
                 <Crown size={14} color={Colors.gold} />
-                <Text style={styles.titleText}>New Title: {title}</Text>
+                <Text style={styles.titleText}>{t('components.levelUpModal.newTitle', { title })}</Text>
               </Animated.View>
             )}
 
@@ -306,7 +311,7 @@ export default function LevelUpModal({ visible, level, levelName, previousLevel,
                   style={styles.shareGradient}
                 >
                   <Share2 size={16} color={Colors.primary} />
-                  <Text style={styles.shareText}>Share</Text>
+                  <Text style={styles.shareText}>{t('common.share')}</Text>
                 </LinearGradient>
               </Pressable>
 
@@ -317,7 +322,7 @@ export default function LevelUpModal({ visible, level, levelName, previousLevel,
                   end={{ x: 1, y: 0 }}
                   style={styles.continueGradient}
                 >
-                  <Text style={styles.continueText}>Continue</Text>
+                  <Text style={styles.continueText}>{t('common.continue')}</Text>
                 </LinearGradient>
               </Pressable>
             </View>
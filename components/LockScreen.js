@@ -20,6 +20,7 @@ import Animated, {
   Easing,
 } from 'react-native-reanimated';
 import { Fingerprint, ScanFace, Delete, Shield, Lock } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius, Shadows } from '../constants/theme';
 import { hapticLight, hapticSuccess, hapticWarning, hapticError } from '../lib/haptics';
 
@@ -51,6 +52,7 @@ export default function LockScreen({
   failedAttempts = 0,
   lockoutRemaining = 0,
 }) {
+  const { t } = useTranslation();
   const [pin, setPin] = useState('');
   const [showPIN, setShowPIN] = useState(false);
   const [error, setError] = useState(false);
@@ -189,7 +191,7 @@ export default function LockScreen({
   }, [isLockedOut]);
 
   const BiometricIcon = biometricType === 'face' ? ScanFace : Fingerprint;
-  const biometricLabel = biometricType === 'face' ? 'Face ID' : 'Fingerprint';
+  const biometricLabel = biometricType === 'face' ? t('components.lockScreen.faceId') : t('components.lockScreen.fingerprint');
 
   if (!isLocked) return null;
 
@@ -223,10 +225,10 @@ export default function LockScreen({
           <Text style={styles.appTitle}>FuelIQ</Text>
           <Text style={styles.lockSubtitle}>
             {isLockedOut
-              ? 'Too many attempts'
+              ? t('components.lockScreen.tooManyAttempts')
               : showPIN
-                ? 'Enter your PIN'
-                : 'App Locked'}
+                ? t('components.lockScreen.enterYourPin')
+                : t('components.lockScreen.appLocked')}
           </Text>
         </Animated.View>
 
@@ -245,7 +247,7 @@ export default function LockScreen({
                 <BiometricIcon size={44} color={Colors.primary} />
               </LinearGradient>
             </AnimatedPressable>
-            <Text style={styles.biometricLabel}>Tap to use {biometricLabel}</Text>
+            <Text style={styles.biometricLabel}>{t('components.lockScreen.tapToUse', { biometricLabel })}</Text>
 
             {pinEnabled && (
               <Pressable
@@ -255,7 +257,7 @@ export default function LockScreen({
                   setShowPIN(true);
                 }}
               >
-                <Text style={styles.switchMethodText}>Use PIN instead</Text>
+                <Text style={styles.switchMethodText}>{t('components.lockScreen.usePinInstead')}</Text>
               </Pressable>
             )}
           </Animated.View>
@@ -269,7 +271,7 @@ export default function LockScreen({
               <Animated.View entering={FadeIn.duration(200)} style={styles.lockoutBanner}>
                 <Lock size={18} color={Colors.error} />
                 <Text style={styles.lockoutText}>
-                  Try again in {formatLockoutTime(lockoutRemaining)}
+                  {t('components.lockScreen.tryAgainIn', { time: formatLockoutTime(lockoutRemaining) })}
                 </Text>
               </Animated.View>
             )}
@@ -294,14 +296,14 @@ export default function LockScreen({
                 entering={FadeIn.duration(200)}
                 style={styles.errorText}
               >
-                Incorrect PIN{attempts >= 3 ? ` (${attempts} attempts)` : ''}
+                Incorrect PIN{attempts >= 3 ? t('components.lockScreen.attempts', { attempts }) : ''}
               </Animated.Text>
             )}
 
             {/* Attempt counter after 3 failures (even when not in error flash) */}
             {!error && attempts >= 3 && !isLockedOut && (
               <Text style={styles.attemptWarning}>
-                {attempts} failed attempts
+                {t('components.lockScreen.failedAttempts', { attempts })}
               </Text>
             )}
 
@@ -355,7 +357,7 @@ export default function LockScreen({
               >
                 <BiometricIcon size={18} color={Colors.primary} />
                 <Text style={styles.switchMethodText}>
-                  Use {biometricLabel}
+                  {t('components.lockScreen.use', { biometricLabel })}
                 </Text>
               </Pressable>
             )}
@@ -367,7 +369,7 @@ export default function LockScreen({
           <Animated.View entering={FadeIn.delay(200)} style={styles.fallbackSection}>
             <Lock size={48} color={Colors.textTertiary} />
             <Text style={styles.fallbackText}>
-              No unlock method configured.
+              {t('components.lockScreen.noUnlockMethodConfigured')}
             </Text>
           </Animated.View>
         )}
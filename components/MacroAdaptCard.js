@@ -8,6 +8,7 @@ import {
 import Animated, { FadeInDown } from 'react-native-reanimated';
 import { LinearGradient } from 'expo-linear-gradient';
 import { TrendingUp, ArrowRight, Check, X } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import {
   Colors,
   Spacing,
@@ -19,13 +20,14 @@ import {
 } from '../constants/theme';
 
 function DeltaBadge({ value }) {
+  const { t } = useTranslation();
   const isPositive = value > 0;
   const color = isPositive ? Colors.success : Colors.warning;
   const sign = isPositive ? '+' : '';
   return (
     <View style={[styles.deltaBadge, { backgroundColor: color + '22' }]}>
       <Text style={[styles.deltaText, { color }]}>
-        {sign}{value} kcal
+        {t('components.macroAdaptCard.kcal', { sign, value })}
       </Text>
     </View>
   );
@@ -50,6 +52,7 @@ function MacroMiniCard({ label, current, next, color }) {
 }
 
 function MacroAdaptCard({ recommendation, onApply, onDismiss }) {
+  const { t } = useTranslation();
   if (!recommendation || !recommendation.shouldAdjust) {
     return null;
   }
@@ -79,7 +82,7 @@ function MacroAdaptCard({ recommendation, onApply, onDismiss }) {
           <View style={styles.iconCircle}>
             <TrendingUp size={18} color={Colors.primary} />
           </View>
-          <Text style={styles.title}>AI Macro Coach</Text>
+          <Text style={styles.title}>{t('components.macroAdaptCard.aiMacroCoach')}</Text>
         </View>
       </View>
 
@@ -89,12 +92,12 @@ function MacroAdaptCard({ recommendation, onApply, onDismiss }) {
       {/* Calorie comparison row */}
       <View style={styles.calorieRow}>
         <View style={styles.calorieBlock}>
-          <Text style={styles.calorieLabel}>Current</Text>
+          <Text style={styles.calorieLabel}>{t('components.macroAdaptCard.current')}</Text>
           <Text style={styles.calorieValue}>{currentCalories || newCalories - (calorieChange || 0)}</Text>
         </View>
         <ArrowRight size={18} color={Colors.textTertiary} />
         <View style={styles.calorieBlock}>
-          <Text style={styles.calorieLabel}>New</Text>
+          <Text style={styles.calorieLabel}>{t('components.macroAdaptCard.new')}</Text>
           <Text style={[styles.calorieValue, { color: Colors.primary }]}>{newCalories}</Text>
         </View>
         {calorieChange !== 0 ? <DeltaBadge value={calorieChange} /> : null}
@@ -135,12 +138,12 @@ function MacroAdaptCard({ recommendation, onApply, onDismiss }) {
             style={styles.applyButton}
           >
             <Check size={16} color="#fff" />
-            <Text style={styles.applyText}>Apply</Text>
+            <Text style={styles.applyText}>{t('common.apply')}</Text>
           </LinearGradient>
         </Pressable>
         <Pressable onPress={onDismiss} style={styles.dismissButton}>
           <X size={14} color={Colors.textTertiary} />
-          <Text style={styles.dismissText}>Dismiss</Text>
+          <Text style={styles.dismissText}>{t('components.macroAdaptCard.dismiss')}</Text>
         </Pressable>
       </View>
     </Animated.View>
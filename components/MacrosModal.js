@@ -9,6 +9,7 @@ import {
 } from 'react-native';
 import { X } from 'lucide-react-native';
 import Svg, { G, Circle } from 'react-native-svg';
+import { useTranslation } from 'react-i18next';
 import { hapticLight } from '../lib/haptics';
 import { Colors, Spacing, BorderRadius, FontSize, FontWeight } from '../constants/theme';
 import { useMealTotals } from '../context/MealContext';
@@ -19,11 +20,12 @@ const PIE_RADIUS = PIE_SIZE / 2 - 20;
 const PIE_CENTER = PIE_SIZE / 2;
 
 function PieChart({ data }) {
+  const { t } = useTranslation();
   const total = data.reduce((sum, item) => sum + item.value, 0);
   if (total === 0) {
     return (
       <View style={styles.emptyPie}>
-        <Text style={styles.emptyPieText}>No macros logged yet</Text>
+        <Text style={styles.emptyPieText}>{t('components.macrosModal.noMacrosLoggedYet')}</Text>
       </View>
     );
   }
@@ -51,7 +53,7 @@ function PieChart({ data }) {
               strokeWidth={30}
               strokeDasharray={strokeDasharray}
               strokeLinecap="round"
-              transform={`rotate(${rotation} ${PIE_CENTER} ${PIE_CENTER})`}
+              transform={t('components.macrosModal.rotate', { rotation, PIE_CENTER })}
             />
           );
         })}
@@ -61,6 +63,7 @@ function PieChart({ data }) {
 }
 
 function MacroRow({ label, current, goal, color, unit = 'g' }) {
+  const { t } = useTranslation();
   const percentage = goal > 0 ? Math.round((current / goal) * 100) : 0;
   const remaining = Math.max(goal - current, 0);
 
@@ -87,19 +90,20 @@ function MacroRow({ label, current, goal, color, unit = 'g' }) {
         </View>
       </View>
       <Text style={styles.macroRemaining}>
-        {remaining > 0 ? `${remaining}${unit} remaining` : 'Goal reached!'}
+        {remaining > 0 ? t('components.macrosModal.remaining', { remaining, unit }) : t('components.macrosModal.goalReached')}
       </Text>
     </View>
   );
 }
 
 export default function MacrosModal({ visible, onClose }) {
+  const { t } = useTranslation();
   const { totals, goals } = useMealTotals();
 
   const pieData = [
-    { label: 'Protein', value: totals.protein, color: Colors.protein },
-    { label: 'Carbs', value: totals.carbs, color: Colors.carbs },
-    { label: 'Fat', value: totals.fat, color: Colors.fat },
+    { label: t('food.protein'), value: totals.protein, color: Colors.protein },
+    { label: t('food.carbs'), value: totals.carbs, color: Colors.carbs },
+    { label: t('food.fat'), value: totals.fat, color: Colors.fat },
   ];
 
   const handleClose = async () => {
@@ -114,9 +118,9 @@ export default function MacrosModal({ visible, onClose }) {
       presentationStyle="pageSheet"
       onRequestClose={handleClose}
     >
-      <View style={styles.container} accessibilityViewIsModal={true} accessibilityLabel="Macro goals editor">
+      <View style={styles.container} accessibilityViewIsModal={true} accessibilityLabel={t('components.macrosModal.macroGoalsEditor')}>
         <View style={styles.header}>
-          <Text style={styles.title}>Macro Breakdown</Text>
+          <Text style={styles.title}>{t('components.macrosModal.macroBreakdown')}</Text>
           <Pressable style={styles.closeButton} onPress={handleClose} hitSlop={8}>
             <X size={24} color={Colors.text} />
           </Pressable>
@@ -127,25 +131,25 @@ export default function MacrosModal({ visible, onClose }) {
             <PieChart data={pieData} />
             <View style={styles.pieCenter}>
               <Text style={styles.totalCalories}>{totals.calories}</Text>
-              <Text style={styles.totalLabel}>kcal</Text>
+              <Text style={styles.totalLabel}>{t('units.kcal')}</Text>
             </View>
           </View>
 
           <View style={styles.macrosContainer}>
             <MacroRow
-              label="Protein"
+              label={t('food.protein')}
               current={totals.protein}
               goal={goals.protein}
               color={Colors.protein}
             />
             <MacroRow
-              label="Carbohydrates"
+              label={t('components.macrosModal.carbohydrates')}
               current={totals.carbs}
               goal={goals.carbs}
               color={Colors.carbs}
             />
             <MacroRow
-              label="Fat"
+              label={t('food.fat')}
               current={totals.fat}
               goal={goals.fat}
               color={Colors.fat}
@@ -153,9 +157,9 @@ export default function MacrosModal({ visible, onClose }) {
           </View>
 
           <View style={styles.tipCard}>
-            <Text style={styles.tipTitle}>💡 Macro Tip</Text>
+            <Text style={styles.tipTitle}>{t('components.macrosModal.macroTip')}</Text>
             <Text style={styles.tipText}>
-              Aim for balanced macros each meal. Protein helps build muscle, carbs provide energy, and healthy fats support hormone function.
+              {t('components.macrosModal.aimForBalancedMacros')}
             </Text>
           </View>
         </View>
@@ -14,6 +14,7 @@ import ReAnimated, {
 import { Swipeable } from 'react-native-gesture-handler';
 import { BlurView } from 'expo-blur';
 import { Plus, Coffee, Sun, Sunset, Cookie, Trash2, Copy, RotateCcw } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { hapticImpact, hapticLight } from '../lib/haptics';
 import { Colors, Spacing, BorderRadius, FontSize, FontWeight } from '../constants/theme';
 
@@ -50,6 +51,7 @@ const MEAL_CONFIG = {
 
 // Memoized FoodItem - only re-renders when item or mealType changes
 const FoodItem = memo(function FoodItem({ item, onRemove, mealType, openSwipeableRef }) {
+  const { t } = useTranslation();
   const scale = useSharedValue(1);
   const swipeableRef = useRef(null);
 
@@ -89,14 +91,14 @@ const FoodItem = memo(function FoodItem({ item, onRemove, mealType, openSwipeabl
         style={styles.swipeDeleteAction}
         onPress={handleRemove}
         accessibilityRole="button"
-        accessibilityLabel={`Delete ${item.name}`}
-        accessibilityHint="Swipe left to delete this food item"
+        accessibilityLabel={t('components.mealSection.delete', { name: item.name })}
+        accessibilityHint={t('components.mealSection.swipeLeftToDelete')}
       >
         <Trash2 size={20} color={Colors.text} />
-        <Text style={styles.swipeDeleteText}>Delete</Text>
+        <Text style={styles.swipeDeleteText}>{t('common.delete')}</Text>
       </Pressable>
     );
-  }, [handleRemove]);
+  }, [handleRemove, t]);
 
   return (
     <Swipeable
@@ -126,13 +128,13 @@ const FoodItem = memo(function FoodItem({ item, onRemove, mealType, openSwipeabl
           </View>
           <View style={styles.foodRight}>
             <Text style={styles.foodCalories}>{item.calories}</Text>
-            <Text style={styles.foodCaloriesLabel}>kcal</Text>
+            <Text style={styles.foodCaloriesLabel}>{t('units.kcal')}</Text>
           </View>
           <Pressable
             style={styles.removeButton}
             onPress={handleRemove}
             hitSlop={10}
-            accessibilityLabel={`Remove ${item.name}`}
+            accessibilityLabel={t('components.mealSection.remove', { name: item.name })}
             accessibilityRole="button"
           >
             <Trash2 size={14} color={Colors.textTertiary} />
@@ -153,6 +155,7 @@ const FoodItem = memo(function FoodItem({ item, onRemove, mealType, openSwipeabl
 
 // Memoized MealSection - prevents unnecessary re-renders when other meals change
 const MealSection = memo(function MealSection({ mealType, items, calories, onAddPress, onRemoveFood, onCopyMeal, onRepeatYesterday, isCopyingRepeat }) {
+  const { t } = useTranslation();
   const config = MEAL_CONFIG[mealType];
   const Icon = config.icon;
   const addScale = useSharedValue(1);
@@ -191,7 +194,7 @@ const MealSection = memo(function MealSection({ mealType, items, calories, onAdd
           <View style={styles.headerText}>
             <Text style={styles.mealLabel} maxFontSizeMultiplier={1.5}>{config.label}</Text>
             {calories > 0 && (
-              <Text style={styles.calorieLabel} maxFontSizeMultiplier={1.5}>{calories} kcal</Text>
+              <Text style={styles.calorieLabel} maxFontSizeMultiplier={1.5}>{t('components.mealSection.kcal', { calories })}</Text>
             )}
           </View>
         </View>
@@ -205,7 +208,7 @@ const MealSection = memo(function MealSection({ mealType, items, calories, onAdd
               }}
               hitSlop={8}
               accessibilityRole="button"
-              accessibilityLabel={`Copy ${config.label} to another day`}
+              accessibilityLabel={t('components.mealSection.copyToAnotherDay', { label: config.label })}
             >
               <Copy size={16} color={Colors.textSecondary} />
             </Pressable>
@@ -215,8 +218,8 @@ const MealSection = memo(function MealSection({ mealType, items, calories, onAdd
             onPressIn={handleAddPressIn}
             onPressOut={handleAddPressOut}
             accessibilityRole="button"
-            accessibilityLabel={`Add food to ${config.label}`}
-            accessibilityHint="Opens food search to add to this meal"
+            accessibilityLabel={t('components.mealSection.addFoodTo', { label: config.label })}
+            accessibilityHint={t('components.mealSection.opensFoodSearchTo')}
             hitSlop={10}
           >
             <ReAnimated.View
@@ -237,10 +240,10 @@ const MealSection = memo(function MealSection({ mealType, items, calories, onAdd
         <View style={styles.emptyState}>
           <Pressable onPress={handleAddPress} style={styles.emptyStateInner}>
             <Text style={styles.emptyEmoji}>{config.emoji}</Text>
-            <Text style={styles.emptyText}>No {config.label.toLowerCase()} logged</Text>
+            <Text style={styles.emptyText}>{t('components.mealSection.noLogged', { label: config.label.toLowerCase() })}</Text>
             <View style={styles.emptyAddHint}>
               <Plus size={12} color={Colors.textTertiary} />
-              <Text style={styles.emptyAddText}>Tap to add</Text>
+              <Text style={styles.emptyAddText}>{t('components.mealSection.tapToAdd')}</Text>
             </View>
           </Pressable>
           {onRepeatYesterday && (
@@ -251,12 +254,12 @@ const MealSection = memo(function MealSection({ mealType, items, calories, onAdd
             >
               {isCopyingRepeat ? (
                 <View style={styles.repeatButtonInner}>
-                  <Text style={styles.repeatYesterdayText}>Copying...</Text>
+                  <Text style={styles.repeatYesterdayText}>{t('components.mealSection.copying')}</Text>
                 </View>
               ) : (
                 <View style={styles.repeatButtonInner}>
                   <RotateCcw size={13} color={Colors.textSecondary} />
-                  <Text style={styles.repeatYesterdayText}>Repeat yesterday</Text>
+                  <Text style={styles.repeatYesterdayText}>{t('components.mealSection.repeatYesterday')}</Text>
                 </View>
               )}
             </Pressable>
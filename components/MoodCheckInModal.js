@@ -12,11 +12,13 @@ import {
 } from 'react-native';
 import Slider from '@react-native-community/slider';
 import { X, Check, Zap, Brain, Heart, FileText } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { hapticLight } from '../lib/haptics';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 import { useMood, DIGESTION_STATUS } from '../context/MoodContext';
 
 function SliderInput({ icon: Icon, iconColor, label, value, onChange, min = 1, max = 10 }) {
+  const { t } = useTranslation();
   const getEmoji = (val) => {
     if (val <= 3) return '😔';
     if (val <= 5) return '😐';
@@ -57,8 +59,8 @@ function SliderInput({ icon: Icon, iconColor, label, value, onChange, min = 1, m
           thumbTintColor={iconColor}
         />
         <View style={styles.sliderLabels}>
-          <Text style={styles.sliderMinMax}>Low</Text>
-          <Text style={styles.sliderMinMax}>High</Text>
+          <Text style={styles.sliderMinMax}>{t('components.moodCheckInModal.low')}</Text>
+          <Text style={styles.sliderMinMax}>{t('components.moodCheckInModal.high')}</Text>
         </View>
       </View>
     </View>
@@ -66,6 +68,7 @@ function SliderInput({ icon: Icon, iconColor, label, value, onChange, min = 1, m
 }
 
 function DigestionSelector({ value, onChange }) {
+  const { t } = useTranslation();
   const options = Object.entries(DIGESTION_STATUS);
 
   const handleSelect = async (key) => {
@@ -79,7 +82,7 @@ function DigestionSelector({ value, onChange }) {
         <View style={[styles.sliderIcon, { backgroundColor: Colors.success + '20' }]}>
           <Heart size={18} color={Colors.success} />
         </View>
-        <Text style={styles.sliderLabel}>Digestion</Text>
+        <Text style={styles.sliderLabel}>{t('components.moodCheckInModal.digestion')}</Text>
       </View>
       <View style={styles.digestionOptions}>
         {options.map(([key, option]) => {
@@ -116,6 +119,7 @@ export default function MoodCheckInModal({
   initialEnergy = 5,
   initialFocus = 5,
 }) {
+  const { t } = useTranslation();
   const { addLog } = useMood();
 
   const [energyLevel, setEnergyLevel] = useState(initialEnergy);
@@ -176,7 +180,7 @@ export default function MoodCheckInModal({
           <Pressable style={styles.closeButton} onPress={handleClose}>
             <X size={24} color={Colors.text} />
           </Pressable>
-          <Text style={styles.headerTitle}>How are you feeling?</Text>
+          <Text style={styles.headerTitle}>{t('components.moodCheckInModal.howAreYouFeeling')}</Text>
           <View style={styles.headerSpacer} />
         </View>
 
@@ -190,7 +194,7 @@ export default function MoodCheckInModal({
           <View style={styles.overallCard}>
             <Text style={styles.overallEmoji}>{getOverallEmoji()}</Text>
             <View style={styles.overallInfo}>
-              <Text style={styles.overallLabel}>Overall Mood</Text>
+              <Text style={styles.overallLabel}>{t('components.moodCheckInModal.overallMood')}</Text>
               <Text style={styles.overallScore}>{overallScore}/10</Text>
             </View>
           </View>
@@ -200,7 +204,7 @@ export default function MoodCheckInModal({
             <SliderInput
               icon={Zap}
               iconColor={Colors.warning}
-              label="Energy Level"
+              label={t('components.moodCheckInModal.energyLevel')}
               value={energyLevel}
               onChange={setEnergyLevel}
             />
@@ -211,7 +215,7 @@ export default function MoodCheckInModal({
             <SliderInput
               icon={Brain}
               iconColor={Colors.accent}
-              label="Focus Level"
+              label={t('components.moodCheckInModal.focusLevel')}
               value={focusLevel}
               onChange={setFocusLevel}
             />
@@ -231,13 +235,13 @@ export default function MoodCheckInModal({
               <View style={[styles.sliderIcon, { backgroundColor: Colors.textSecondary + '20' }]}>
                 <FileText size={18} color={Colors.textSecondary} />
               </View>
-              <Text style={styles.sliderLabel}>Notes (optional)</Text>
+              <Text style={styles.sliderLabel}>{t('components.moodCheckInModal.notesOptional')}</Text>
             </View>
             <TextInput
               style={styles.notesInput}
               value={notes}
               onChangeText={setNotes}
-              placeholder="Any thoughts about how you're feeling..."
+              placeholder={t('components.moodCheckInModal.anyThoughtsAboutHow')}
               placeholderTextColor={Colors.textTertiary}
               multiline
               numberOfLines={3}
@@ -254,7 +258,7 @@ export default function MoodCheckInModal({
             disabled={isSaving}
           >
             <Check size={22} color={Colors.background} />
-            <Text style={styles.saveButtonText}>Log Check-in</Text>
+            <Text style={styles.saveButtonText}>{t('components.moodCheckInModal.logCheckIn')}</Text>
           </Pressable>
         </View>
       </KeyboardAvoidingView>
@@ -19,6 +19,7 @@ import {
   Dumbbell,
   Quote,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius, Shadows, Glass } from '../constants/theme';
 import { useProfile } from '../context/ProfileContext';
 import { useWeeklyData, useMealTotals } from '../context/MealContext';
@@ -97,6 +98,7 @@ function LoadingShimmer() {
 }
 
 function MorningBriefing() {
+  const { t } = useTranslation();
   const [visible, setVisible] = useState(false);
   const [loading, setLoading] = useState(true);
   const [briefingData, setBriefingData] = useState(null);
@@ -198,7 +200,7 @@ function MorningBriefing() {
       const avgWeekProtein = daysWithData > 0 ? Math.round(totalWeekProtein / daysWithData) : 0;
 
       const userData = {
-        userName: profile.name || 'Champion',
+        userName: profile.name || t('components.morningBriefing.champion'),
         yesterdayCalories: yesterdayTotals?.calories || 0,
         calorieGoal,
         yesterdayProtein: yesterdayTotals?.protein || 0,
@@ -237,7 +239,7 @@ function MorningBriefing() {
       setError(true);
       setLoading(false);
     }
-  }, [getDayTotals, calculatedGoals, goals, currentStreak, profile, weightStats, isFasting, fastDuration]);
+  }, [getDayTotals, calculatedGoals, goals, currentStreak, profile, weightStats, isFasting, fastDuration, t]);
 
   // Load on mount with slight delay
   useEffect(() => {
@@ -259,10 +261,10 @@ function MorningBriefing() {
   const fallbackGreeting = useMemo(() => {
     const hour = new Date().getHours();
     const name = profile.name ? profile.name.split(' ')[0] : 'Champion';
-    if (hour < 12) return `Good morning, ${name}!`;
-    if (hour < 17) return `Good afternoon, ${name}!`;
-    return `Good evening, ${name}!`;
-  }, [profile.name]);
+    if (hour < 12) return t('components.morningBriefing.goodMorning', { name });
+    if (hour < 17) return t('components.morningBriefing.goodAfternoon', { name });
+    return t('components.morningBriefing.goodEvening', { name });
+  }, [profile.name, t]);
 
   if (!visible) return null;
 
@@ -284,7 +286,7 @@ function MorningBriefing() {
             colors={['rgba(255, 255, 255, 0.08)', 'rgba(255, 255, 255, 0.02)']}
             style={styles.card}
             accessibilityRole="alert"
-            accessibilityLabel={`${fallbackGreeting} Ready to make today count? Let's get after it!`}
+            accessibilityLabel={t('components.morningBriefing.readyToMakeToday2', { fallbackGreeting })}
           >
             <View style={styles.headerRow}>
               <View style={styles.greetingIconWrap}>
@@ -296,13 +298,13 @@ function MorningBriefing() {
               style={styles.dismissButton}
               hitSlop={12}
               accessibilityRole="button"
-              accessibilityLabel="Dismiss morning briefing"
+              accessibilityLabel={t('components.morningBriefing.dismissMorningBriefing')}
             >
                 <X size={18} color={Colors.textSecondary} />
               </Pressable>
             </View>
             <Text style={styles.fallbackMessage}>
-              Ready to make today count? Let's get after it!
+              {t('components.morningBriefing.readyToMakeToday')}
             </Text>
           </LinearGradient>
         </View>
@@ -321,7 +323,7 @@ function MorningBriefing() {
           colors={['rgba(255, 255, 255, 0.08)', 'rgba(255, 255, 255, 0.02)']}
           style={styles.card}
           accessibilityRole="alert"
-          accessibilityLabel={`Morning briefing. ${greeting} ${headline}`}
+          accessibilityLabel={t('components.morningBriefing.morningBriefing', { greeting, headline })}
         >
           {/* Header: Greeting + Dismiss */}
           <Animated.View entering={FadeInDown.duration(400).delay(150)} style={styles.headerRow}>
@@ -337,7 +339,7 @@ function MorningBriefing() {
               style={styles.dismissButton}
               hitSlop={12}
               accessibilityRole="button"
-              accessibilityLabel="Dismiss morning briefing"
+              accessibilityLabel={t('components.morningBriefing.dismissMorningBriefing')}
             >
               <X size={18} color={Colors.textSecondary} />
             </Pressable>
@@ -349,7 +351,7 @@ function MorningBriefing() {
               <Text style={[styles.scoreNumber, { color: scoreColor }]}>{score}</Text>
               <Text style={[styles.scoreLabel, { color: scoreColor }]}>/ 100</Text>
             </View>
-            <Text style={styles.scoreCaption}>Yesterday's Score</Text>
+            <Text style={styles.scoreCaption}>{t('components.morningBriefing.yesterdaysScore')}</Text>
           </Animated.View>
 
           {/* Insight Cards */}
@@ -357,7 +359,7 @@ function MorningBriefing() {
             <View style={styles.insightsSection}>
               <View style={styles.sectionHeader}>
                 <Brain size={14} color={Colors.primary} />
-                <Text style={styles.sectionTitle}>AI Insights</Text>
+                <Text style={styles.sectionTitle}>{t('components.morningBriefing.aiInsights')}</Text>
               </View>
               {insights.map((insight, index) => (
                 <Animated.View
@@ -380,7 +382,7 @@ function MorningBriefing() {
             <Animated.View entering={FadeInDown.duration(400).delay(600)} style={styles.focusSection}>
               <View style={styles.sectionHeader}>
                 <Target size={14} color={Colors.secondary} />
-                <Text style={styles.sectionTitle}>Today's Focus</Text>
+                <Text style={styles.sectionTitle}>{t('components.morningBriefing.todaysFocus')}</Text>
               </View>
               <View style={styles.focusCard}>
                 <View style={styles.focusItem}>
@@ -388,7 +390,7 @@ function MorningBriefing() {
                     <Target size={16} color={Colors.success} />
                   </View>
                   <View style={styles.focusTextWrap}>
-                    <Text style={styles.focusLabel}>Nutrition</Text>
+                    <Text style={styles.focusLabel}>{t('components.morningBriefing.nutrition')}</Text>
                     <Text style={styles.focusText}>{todayFocus.food}</Text>
                   </View>
                 </View>
@@ -398,7 +400,7 @@ function MorningBriefing() {
                     <Dumbbell size={16} color={Colors.primary} />
                   </View>
                   <View style={styles.focusTextWrap}>
-                    <Text style={styles.focusLabel}>Movement</Text>
+                    <Text style={styles.focusLabel}>{t('components.morningBriefing.movement')}</Text>
                     <Text style={styles.focusText}>{todayFocus.workout}</Text>
                   </View>
                 </View>
@@ -422,9 +424,9 @@ function MorningBriefing() {
               onPress={handleDismiss}
               style={styles.dismissCta}
               accessibilityRole="button"
-              accessibilityLabel="Dismiss morning briefing"
+              accessibilityLabel={t('components.morningBriefing.dismissMorningBriefing')}
             >
-              <Text style={styles.dismissCtaText}>Got it, let's go!</Text>
+              <Text style={styles.dismissCtaText}>{t('components.morningBriefing.gotItLetsGo')}</Text>
             </Pressable>
           </Animated.View>
         </LinearGradient>
@@ -0,0 +1,292 @@
+import React, { memo } from 'react';
+import { View, Text, StyleSheet, Pressable, Switch } from 'react-native';
+import {
+  BarChart3,
+  Bell,
+  Droplets,
+  Flame,
+  Minus,
+  Moon,
+  Plus,
+  Sun,
+  Timer,
+  Users,
+} from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
+import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
+import { addMinutesToTime } from '../lib/notificationSchedule';
+import { formatTime, formatWeekday } from '../lib/formatters';
+
+const TIME_STEP_MINUTES = 30;
+
+function timeLabel({ hour, minute }) {
+  return formatTime(new Date(2024, 0, 1, hour, minute));
+}
+
+// Weekday 1 is Sunday, as in Expo's weekly trigger; 2024-01-07 was a Sunday
+function weekdayLabel(weekday) {
+  return formatWeekday(new Date(2024, 0, 6 + weekday), 'long');
+}
+
+function Stepper({ label, value, onDecrease, onIncrease, disabled }) {
+  const { t } = useTranslation();
+
+  return (
+    <View style={styles.stepperRow}>
+      <Text style={styles.stepperLabel}>{label}</Text>
+      <View style={styles.stepper}>
+        <Pressable
+          style={styles.stepButton}
+          onPress={onDecrease}
+          disabled={disabled}
+          hitSlop={6}
+          accessibilityRole="button"
+          accessibilityLabel={t('notificationSettings.earlier', { label })}
+        >
+          <Minus size={14} color={disabled ? Colors.textTertiary : Colors.text} />
+        </Pressable>
+        <Text style={styles.stepperValue}>{value}</Text>
+        <Pressable
+          style={styles.stepButton}
+          onPress={onIncrease}
+          disabled={disabled}
+          hitSlop={6}
+          accessibilityRole="button"
+          accessibilityLabel={t('notificationSettings.later', { label })}
+        >
+          <Plus size={14} color={disabled ? Colors.textTertiary : Colors.text} />
+        </Pressable>
+      </View>
+    </View>
+  );
+}
+
+function TimeStepper({ label, value, onChange, disabled }) {
+  return (
+    <Stepper
+      label={label}
+      value={timeLabel(value)}
+      onDecrease={() => onChange(addMinutesToTime(value, -TIME_STEP_MINUTES))}
+      onIncrease={() => onChange(addMinutesToTime(value, TIME_STEP_MINUTES))}
+      disabled={disabled}
+    />
+  );
+}
+
+function CategoryRow({ icon: Icon, iconColor, iconBackground, label, hint, value, onValueChange, disabled, children }) {
+  return (
+    <View style={styles.category}>
+      <View style={styles.toggleRow}>
+        <View style={styles.toggleLeft}>
+          <View style={[styles.toggleIcon, { backgroundColor: iconBackground }]}>
+            <Icon size={FontSize.md} color={iconColor} />
+          </View>
+          <View style={styles.toggleText}>
+            <Text style={styles.toggleLabel}>{label}</Text>
+            <Text style={styles.toggleHint}>{hint}</Text>
+          </View>
+        </View>
+        <Switch
+          value={value}
+          onValueChange={onValueChange}
+          trackColor={{ false: Colors.inputBorder, true: Colors.primaryGlow }}
+          thumbColor={value ? Colors.primary : Colors.textTertiary}
+          disabled={disabled}
+        />
+      </View>
+      {value && children ? <View style={styles.details}>{children}</View> : null}
+    </View>
+  );
+}
+
+/**
+ * Per-category notification toggles and times, plus quiet hours.
+ * Changes go straight to `onChange` as a partial NotificationSettings.
+ */
+function NotificationPreferences({ settings, onChange, disabled }) {
+  const { t } = useTranslation();
+
+  return (
+    <View style={styles.group}>
+      <CategoryRow
+        icon={Flame}
+        iconColor={Colors.secondary}
+        iconBackground={Colors.secondarySoft}
+        label={t('settings.mealReminders')}
+        hint={t('settings.mealRemindersHint')}
+        value={settings.mealReminders}
+        onValueChange={(v) => onChange({ mealReminders: v })}
+        disabled={disabled}
+      >
+        <TimeStepper
+          label={t('notificationSettings.breakfast')}
+          value={settings.breakfastTime}
+          onChange={(breakfastTime) => onChange({ breakfastTime })}
+          disabled={disabled}
+        />
+        <TimeStepper
+          label={t('notificationSettings.lunch')}
+          value={settings.lunchTime}
+          onChange={(lunchTime) => onChange({ lunchTime })}
+          disabled={disabled}
+        />
+        <TimeStepper
+          label={t('notificationSettings.dinner')}
+          value={settings.dinnerTime}
+          onChange={(dinnerTime) => onChange({ dinnerTime })}
+          disabled={disabled}
+        />
+      </CategoryRow>
+
+      <CategoryRow
+        icon={Droplets}
+        iconColor={Colors.carbs}
+        iconBackground={Colors.primarySoft}
+        label={t('settings.waterReminders')}
+        hint={t('settings.waterRemindersHint')}
+        value={settings.waterReminders}
+        onValueChange={(v) => onChange({ waterReminders: v })}
+        disabled={disabled}
+      >
+        <TimeStepper
+          label={t('notificationSettings.firstReminder')}
+          value={settings.waterStartTime}
+          onChange={(waterStartTime) => onChange({ waterStartTime })}
+          disabled={disabled}
+        />
+        <TimeStepper
+          label={t('notificationSettings.lastReminder')}
+          value={settings.waterEndTime}
+          onChange={(waterEndTime) => onChange({ waterEndTime })}
+          disabled={disabled}
+        />
+      </CategoryRow>
+
+      <CategoryRow
+        icon={Timer}
+        iconColor={Colors.success}
+        iconBackground={Colors.successSoft}
+        label={t('settings.fastingAlerts')}
+        hint={t('settings.fastingAlertsHint')}
+        value={settings.fastingAlerts}
+        onValueChange={(v) => onChange({ fastingAlerts: v })}
+        disabled={disabled}
+      />
+
+      <CategoryRow
+        icon={Bell}
+        iconColor={Colors.gold}
+        iconBackground={Colors.goldSoft}
+        label={t('settings.streakWarnings')}
+        hint={t('settings.streakWarningsHint')}
+        value={settings.streakWarnings}
+        onValueChange={(v) => onChange({ streakWarnings: v })}
+        disabled={disabled}
+      >
+        <TimeStepper
+          label={t('notificationSettings.alertTime')}
+          value={settings.streakTime}
+          onChange={(streakTime) => onChange({ streakTime })}
+          disabled={disabled}
+        />
+      </CategoryRow>
+
+      <CategoryRow
+        icon={Users}
+        iconColor={Colors.primary}
+        iconBackground={Colors.primarySoft}
+        label={t('notificationSettings.social')}
+        hint={t('notificationSettings.socialHint')}
+        value={settings.socialPush}
+        onValueChange={(v) => onChange({ socialPush: v })}
+        disabled={disabled}
+      />
+
+      <CategoryRow
+        icon={Sun}
+        iconColor={Colors.gold}
+        iconBackground={Colors.goldSoft}
+        label={t('notificationSettings.coaching')}
+        hint={t('notificationSettings.coachingHint')}
+        value={settings.coachingReminders}
+        onValueChange={(v) => onChange({ coachingReminders: v })}
+        disabled={disabled}
+      >
+        <TimeStepper
+          label={t('notificationSettings.briefingTime')}
+          value={settings.coachingTime}
+          onChange={(coachingTime) => onChange({ coachingTime })}
+          disabled={disabled}
+        />
+      </CategoryRow>
+
+      <CategoryRow
+        icon={BarChart3}
+        iconColor={Colors.success}
+        iconBackground={Colors.successSoft}
+        label={t('notificationSettings.digest')}
+        hint={t('notificationSettings.digestHint')}
+        value={settings.weeklyDigest}
+        onValueChange={(v) => onChange({ weeklyDigest: v })}
+        disabled={disabled}
+      >
+        <Stepper
+          label={t('notificationSettings.day')}
+          value={weekdayLabel(settings.digestWeekday)}
+          onDecrease={() => onChange({ digestWeekday: ((settings.digestWeekday + 5) % 7) + 1 })}
+          onIncrease={() => onChange({ digestWeekday: (settings.digestWeekday % 7) + 1 })}
+          disabled={disabled}
+        />
+        <TimeStepper
+          label={t('notificationSettings.time')}
+          value={settings.digestTime}
+          onChange={(digestTime) => onChange({ digestTime })}
+          disabled={disabled}
+        />
+      </CategoryRow>
+
+      <CategoryRow
+        icon={Moon}
+        iconColor={Colors.textSecondary}
+        iconBackground={Colors.surfaceGlassLight}
+        label={t('notificationSettings.quietHours')}
+        hint={t('notificationSettings.quietHoursHint')}
+        value={settings.quietHoursEnabled}
+        onValueChange={(v) => onChange({ quietHoursEnabled: v })}
+        disabled={disabled}
+      >
+        <TimeStepper
+          label={t('notificationSettings.from')}
+          value={settings.quietHoursStart}
+          onChange={(quietHoursStart) => onChange({ quietHoursStart })}
+          disabled={disabled}
+        />
+        <TimeStepper
+          label={t('notificationSettings.until')}
+          value={settings.quietHoursEnd}
+          onChange={(quietHoursEnd) => onChange({ quietHoursEnd })}
+          disabled={disabled}
+        />
+      </CategoryRow>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  group: { gap: Spacing.xs, marginBottom: Spacing.sm },
+  category: { backgroundColor: Colors.inputBackground, borderRadius: BorderRadius.sm, borderWidth: 1, borderColor: Colors.border },
+  toggleRow: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: Spacing.md },
+  toggleLeft: { flexDirection: 'row', alignItems: 'center', gap: Spacing.sm + 4, flex: 1 },
+  toggleIcon: { width: 34, height: 34, borderRadius: BorderRadius.xs, justifyContent: 'center', alignItems: 'center' },
+  toggleText: { flex: 1 },
+  toggleLabel: { color: Colors.text, fontSize: FontSize.md, fontWeight: FontWeight.semibold },
+  toggleHint: { color: Colors.textTertiary, fontSize: FontSize.sm, marginTop: 1 },
+  details: { paddingHorizontal: Spacing.md, paddingBottom: Spacing.sm, gap: Spacing.xs },
+  stepperRow: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', paddingLeft: 34 + Spacing.sm + 4 },
+  stepperLabel: { color: Colors.textSecondary, fontSize: FontSize.sm },
+  stepper: { flexDirection: 'row', alignItems: 'center', gap: Spacing.sm },
+  stepButton: { width: 28, height: 28, borderRadius: BorderRadius.full, backgroundColor: Colors.surfaceGlass, justifyContent: 'center', alignItems: 'center' },
+  stepperValue: { color: Colors.text, fontSize: FontSize.sm, fontWeight: FontWeight.semibold, minWidth: 84, textAlign: 'center' },
+});
+
+export default memo(NotificationPreferences);
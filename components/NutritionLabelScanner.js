@@ -0,0 +1,283 @@
+/**
+ * NutritionLabelScanner - Full-screen camera for photographing a nutrition
+ * facts panel. The photo is read by the ai-brain `scan-label` handler and the
+ * parsed scan (see lib/nutritionLabel) is handed back through onScanned.
+ */
+
+import React, { useState, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  Pressable,
+  Dimensions,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { CameraView, useCameraPermissions } from 'expo-camera';
+import { X, Camera, FlashlightOff, Flashlight } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
+import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
+import { scanNutritionLabel } from '../services/ai';
+import { useOffline } from '../context/OfflineContext';
+import { hapticImpact, hapticSuccess, hapticError } from '../lib/haptics';
+
+const { width: SCREEN_WIDTH } = Dimensions.get('window');
+const FRAME_WIDTH = SCREEN_WIDTH * 0.8;
+
+export const LABEL_CONFIDENCE_COLORS = {
+  high: Colors.success,
+  medium: Colors.warning,
+  low: Colors.error,
+};
+
+/** Border style marking a form field filled from a label scan */
+export function labelConfidenceBorder(confidence) {
+  return confidence ? { borderWidth: 1.5, borderColor: LABEL_CONFIDENCE_COLORS[confidence] } : null;
+}
+
+export default function NutritionLabelScanner({ visible, onClose, onScanned }) {
+  const { t } = useTranslation();
+  const [permission, requestPermission] = useCameraPermissions();
+  const { isOnline } = useOffline();
+  const cameraRef = useRef(null);
+  const [torch, setTorch] = useState(false);
+  const [isReading, setIsReading] = useState(false);
+
+  const handleCapture = async () => {
+    if (!cameraRef.current || isReading) return;
+    if (!isOnline) {
+      Alert.alert(t('scan.noConnection'), t('components.nutritionLabelScanner.requiresConnection'));
+      return;
+    }
+
+    try {
+      await hapticImpact();
+      setIsReading(true);
+
+      // Labels need more detail than food photos for small print
+      const photo = await cameraRef.current.takePictureAsync({
+        base64: true,
+        quality: 0.6,
+        skipProcessing: true,
+      });
+
+      const scan = await scanNutritionLabel(photo.base64);
+      photo.base64 = null;
+
+      await hapticSuccess();
+      onScanned(scan);
+    } catch (error) {
+      if (__DEV__) console.warn('[NutritionLabelScanner] Scan failed:', error.message);
+      Alert.alert(
+        t('components.nutritionLabelScanner.couldNotRead'),
+        error.message || t('components.nutritionLabelScanner.tryAgainHint'),
+      );
+      await hapticError();
+    } finally {
+      setIsReading(false);
+    }
+  };
+
+  if (!permission) {
+    return (
+      <Modal visible={visible} animationType="slide" presentationStyle="fullScreen" onRequestClose={onClose}>
+        <View style={styles.container}>
+          <View style={styles.centered}>
+            <ActivityIndicator size="large" color={Colors.primary} />
+          </View>
+        </View>
+      </Modal>
+    );
+  }
+
+  if (!permission.granted) {
+    return (
+      <Modal visible={visible} animationType="slide" presentationStyle="fullScreen" onRequestClose={onClose}>
+        <View style={styles.container}>
+          <View style={styles.centered}>
+            <Camera size={48} color={Colors.textSecondary} />
+            <Text style={styles.permissionTitle}>{t('components.barcodeScanner.cameraAccessRequired')}</Text>
+            <Text style={styles.permissionText}>{t('components.nutritionLabelScanner.cameraAccessText')}</Text>
+            <Pressable style={styles.permissionButton} onPress={requestPermission}>
+              <Text style={styles.permissionButtonText}>{t('components.barcodeScanner.grantPermission')}</Text>
+            </Pressable>
+            <Pressable style={styles.cancelButton} onPress={onClose}>
+              <Text style={styles.cancelButtonText}>{t('common.cancel')}</Text>
+            </Pressable>
+          </View>
+        </View>
+      </Modal>
+    );
+  }
+
+  return (
+    <Modal visible={visible} animationType="slide" presentationStyle="fullScreen" onRequestClose={onClose}>
+      <View style={styles.container}>
+        <CameraView ref={cameraRef} style={StyleSheet.absoluteFillObject} facing="back" enableTorch={torch} />
+
+        <View style={styles.overlay} pointerEvents="none">
+          <View style={styles.frame} />
+          <Text style={styles.instructionText}>{t('components.nutritionLabelScanner.fitLabel')}</Text>
+        </View>
+
+        {/* Header */}
+        <View style={styles.header}>
+          <Pressable style={styles.iconButton} onPress={onClose} hitSlop={8} disabled={isReading}>
+            <X size={24} color={Colors.text} />
+          </Pressable>
+          <Text style={styles.headerTitle}>{t('components.nutritionLabelScanner.title')}</Text>
+          <Pressable style={styles.iconButton} onPress={() => setTorch(!torch)} hitSlop={8}>
+            {torch ? (
+              <Flashlight size={24} color={Colors.warning} />
+            ) : (
+              <FlashlightOff size={24} color={Colors.text} />
+            )}
+          </Pressable>
+        </View>
+
+        <View style={styles.footer}>
+          <Pressable
+            style={[styles.captureButton, isReading && styles.captureButtonDisabled]}
+            onPress={handleCapture}
+            disabled={isReading}
+            accessibilityRole="button"
+            accessibilityLabel={t('components.nutritionLabelScanner.capture')}
+          >
+            {isReading ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Camera size={28} color="#fff" />
+            )}
+          </Pressable>
+        </View>
+
+        {isReading && (
+          <View style={styles.readingOverlay}>
+            <ActivityIndicator size="large" color={Colors.primary} />
+            <Text style={styles.readingText}>{t('components.nutritionLabelScanner.reading')}</Text>
+          </View>
+        )}
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.background,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: Spacing.xl,
+    gap: Spacing.md,
+  },
+  permissionTitle: {
+    fontSize: FontSize.xxl,
+    fontWeight: FontWeight.bold,
+    color: Colors.text,
+    textAlign: 'center',
+  },
+  permissionText: {
+    fontSize: FontSize.md,
+    color: Colors.textSecondary,
+    textAlign: 'center',
+    lineHeight: 22,
+  },
+  permissionButton: {
+    backgroundColor: Colors.primary,
+    paddingHorizontal: Spacing.xl,
+    paddingVertical: Spacing.md,
+    borderRadius: BorderRadius.lg,
+  },
+  permissionButtonText: {
+    fontSize: FontSize.lg,
+    fontWeight: FontWeight.semibold,
+    color: Colors.background,
+  },
+  cancelButton: {
+    paddingHorizontal: Spacing.xl,
+    paddingVertical: Spacing.md,
+  },
+  cancelButtonText: {
+    fontSize: FontSize.md,
+    color: Colors.textSecondary,
+  },
+  overlay: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: Spacing.lg,
+  },
+  frame: {
+    width: FRAME_WIDTH,
+    height: FRAME_WIDTH * 1.3,
+    borderWidth: 2,
+    borderColor: Colors.primary,
+    borderRadius: BorderRadius.lg,
+  },
+  instructionText: {
+    fontSize: FontSize.md,
+    color: Colors.text,
+    textAlign: 'center',
+    paddingHorizontal: Spacing.xl,
+  },
+  header: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingTop: 60,
+    paddingHorizontal: Spacing.md,
+    paddingBottom: Spacing.md,
+  },
+  iconButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerTitle: {
+    fontSize: FontSize.lg,
+    fontWeight: FontWeight.semibold,
+    color: Colors.text,
+  },
+  footer: {
+    position: 'absolute',
+    bottom: 60,
+    left: 0,
+    right: 0,
+    alignItems: 'center',
+  },
+  captureButton: {
+    width: 72,
+    height: 72,
+    borderRadius: 36,
+    backgroundColor: Colors.primary,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  captureButtonDisabled: {
+    opacity: 0.6,
+  },
+  readingOverlay: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: Spacing.md,
+  },
+  readingText: {
+    fontSize: FontSize.md,
+    color: Colors.text,
+  },
+});
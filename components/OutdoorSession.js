@@ -0,0 +1,422 @@
+/**
+ * OutdoorSession - Live GPS recording for an outdoor run, walk or ride.
+ *
+ * Shows distance, moving time, pace and climb while recording, pauses
+ * automatically when the user stops, lists per-km (or per-mile) splits and
+ * draws the route. Finishing logs the calories to the diary and keeps the
+ * route in workout history.
+ */
+import React, { useCallback, useMemo, useState } from 'react';
+import { View, Text, StyleSheet, ScrollView, Pressable, Alert, Dimensions } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useRouter } from 'expo-router';
+import { X, Play, Pause, Square, MapPin, Mountain, PauseCircle } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
+import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
+import { hapticLight, hapticSuccess } from '../lib/haptics';
+import { Sentry } from '../lib/sentry';
+import { formatDistance, formatNumber, getDeviceUnitSystem } from '../lib/formatters';
+import { estimateOutdoorCalories, formatRoutePace, simplifyRoute } from '../lib/outdoorSession';
+import useOutdoorSession from '../hooks/useOutdoorSession';
+import useWorkoutHistory from '../hooks/useWorkoutHistory';
+import { useMealActions } from '../context/MealContext';
+import { useProfile } from '../context/ProfileContext';
+import RouteMap from './RouteMap';
+
+const { width: SCREEN_WIDTH } = Dimensions.get('window');
+const FEET_PER_METRE = 3.28084;
+const ACTIVITY_EMOJI = { run: '🏃', walk: '🚶', ride: '🚴' };
+
+function formatClock(totalSeconds) {
+  const hrs = Math.floor(totalSeconds / 3600);
+  const mins = Math.floor((totalSeconds % 3600) / 60);
+  const secs = totalSeconds % 60;
+  const mm = String(mins).padStart(hrs > 0 ? 2 : 1, '0');
+  const ss = String(secs).padStart(2, '0');
+  return hrs > 0 ? `${hrs}:${mm}:${ss}` : `${mm}:${ss}`;
+}
+
+function Stat({ label, value }) {
+  return (
+    <View style={styles.stat}>
+      <Text style={styles.statValue}>{value}</Text>
+      <Text style={styles.statLabel}>{label}</Text>
+    </View>
+  );
+}
+
+export default function OutdoorSession({ activity = 'run' }) {
+  const { t } = useTranslation();
+  const router = useRouter();
+  const system = useMemo(() => getDeviceUnitSystem(), []);
+  const { profile } = useProfile();
+  const { addExercise } = useMealActions();
+  const { addWorkout } = useWorkoutHistory();
+  const {
+    status,
+    points,
+    summary,
+    movingSeconds,
+    currentPace,
+    start,
+    pause,
+    resume,
+    finish,
+    discard,
+  } = useOutdoorSession(activity);
+  const [calories, setCalories] = useState(0);
+
+  const title = activity === 'ride'
+    ? t('outdoorSession.outdoorRide')
+    : activity === 'walk'
+      ? t('outdoorSession.outdoorWalk')
+      : t('outdoorSession.outdoorRun');
+
+  const formatElevation = useCallback((metres) => (
+    system === 'imperial'
+      ? t('outdoorSession.elevationFt', { value: formatNumber(Math.round(metres * FEET_PER_METRE)) })
+      : t('outdoorSession.elevationM', { value: formatNumber(metres) })
+  ), [system, t]);
+
+  const handleStart = useCallback(async () => {
+    hapticLight();
+    await start();
+  }, [start]);
+
+  const handleFinish = useCallback(async () => {
+    const final = finish();
+    if (final.distanceM === 0) {
+      discard();
+      router.back();
+      return;
+    }
+    const weightKg = (profile?.weight || 150) * 0.453592;
+    const burned = estimateOutdoorCalories(activity, final, weightKg);
+    const minutes = Math.max(1, Math.round(final.movingSeconds / 60));
+    setCalories(burned);
+    hapticSuccess();
+    try {
+      await addExercise({ name: title, emoji: ACTIVITY_EMOJI[activity] }, minutes, burned);
+      await addWorkout({
+        name: title,
+        emoji: ACTIVITY_EMOJI[activity],
+        type: 'cardio',
+        duration: minutes,
+        calories: burned,
+        exercises: [],
+        route: { ...final, activity, splitUnit: system, points: simplifyRoute(points) },
+      });
+    } catch (e) {
+      Sentry.captureException(e);
+      if (__DEV__) console.warn('[OutdoorSession] Failed to save session:', e);
+    }
+  }, [finish, discard, router, profile?.weight, activity, addExercise, title, addWorkout, system, points]);
+
+  const confirmFinish = useCallback(() => {
+    Alert.alert(t('outdoorSession.finishTitle'), t('outdoorSession.finishMessage'), [
+      { text: t('common.cancel'), style: 'cancel' },
+      { text: t('outdoorSession.finish'), onPress: handleFinish },
+    ]);
+  }, [handleFinish, t]);
+
+  const handleClose = useCallback(() => {
+    if (status === 'idle' || status === 'denied' || status === 'finished') {
+      router.back();
+      return;
+    }
+    Alert.alert(t('outdoorSession.discardTitle'), t('outdoorSession.discardMessage'), [
+      { text: t('common.cancel'), style: 'cancel' },
+      {
+        text: t('workoutSession.discard'),
+        style: 'destructive',
+        onPress: () => {
+          discard();
+          router.back();
+        },
+      },
+    ]);
+  }, [status, discard, router, t]);
+
+  const isLive = status === 'recording' || status === 'autoPaused' || status === 'paused';
+  const mapWidth = SCREEN_WIDTH - Spacing.md * 2;
+
+  return (
+    <View style={styles.container}>
+      <SafeAreaView style={styles.safe}>
+        <View style={styles.topBar}>
+          <Pressable style={styles.topBarButton} onPress={handleClose} hitSlop={12}>
+            <X size={22} color={Colors.text} />
+          </Pressable>
+          <Text style={styles.topBarTitle} numberOfLines={1}>
+            {ACTIVITY_EMOJI[activity]} {title}
+          </Text>
+          <View style={styles.topBarButton} />
+        </View>
+
+        <ScrollView contentContainerStyle={styles.scroll}>
+          <View style={styles.hero}>
+            <Text style={styles.heroValue}>{formatDistance(summary.distanceM / 1000, system)}</Text>
+            <Text style={styles.heroLabel}>{formatClock(movingSeconds)}</Text>
+          </View>
+
+          <View style={styles.statsRow}>
+            <Stat
+              label={t('outdoorSession.currentPace')}
+              value={currentPace > 0 ? formatRoutePace(currentPace, system) : '--'}
+            />
+            <Stat
+              label={t('outdoorSession.avgPace')}
+              value={summary.avgPaceSeconds > 0 ? formatRoutePace(summary.avgPaceSeconds, system) : '--'}
+            />
+            <Stat label={t('outdoorSession.elevationGain')} value={formatElevation(summary.elevationGainM)} />
+          </View>
+
+          {status === 'autoPaused' && (
+            <View style={styles.banner}>
+              <PauseCircle size={16} color={Colors.warning} />
+              <Text style={styles.bannerText}>{t('outdoorSession.autoPaused')}</Text>
+            </View>
+          )}
+
+          {status === 'denied' && (
+            <View style={styles.banner}>
+              <MapPin size={16} color={Colors.error} />
+              <Text style={styles.bannerText}>{t('outdoorSession.permissionDenied')}</Text>
+            </View>
+          )}
+
+          {status === 'finished' && (
+            <View style={styles.banner}>
+              <Text style={styles.bannerText}>
+                {t('outdoorSession.savedSummary', { calories: formatNumber(calories) })}
+              </Text>
+            </View>
+          )}
+
+          {points.length > 1 && (
+            <View style={styles.section}>
+              <RouteMap points={points} width={mapWidth} height={200} />
+            </View>
+          )}
+
+          {summary.splits.length > 0 && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>
+                {system === 'imperial' ? t('outdoorSession.splitsMi') : t('outdoorSession.splitsKm')}
+              </Text>
+              {summary.splits.map((split) => (
+                <View key={split.index} style={styles.splitRow}>
+                  <Text style={styles.splitIndex}>
+                    {split.partial ? formatDistance(split.distanceM / 1000, system) : split.index}
+                  </Text>
+                  <Text style={styles.splitPace}>
+                    {formatRoutePace(split.durationSeconds / (split.distanceM / 1000), system)}
+                  </Text>
+                  <View style={styles.splitElevation}>
+                    <Mountain size={12} color={Colors.textTertiary} />
+                    <Text style={styles.splitElevationText}>
+                      {formatElevation(split.elevationGainM - split.elevationLossM)}
+                    </Text>
+                  </View>
+                </View>
+              ))}
+            </View>
+          )}
+        </ScrollView>
+
+        <View style={styles.actions}>
+          {(status === 'idle' || status === 'denied') && (
+            <Pressable style={[styles.actionButton, styles.primaryButton]} onPress={handleStart}>
+              <Play size={20} color={Colors.background} />
+              <Text style={styles.primaryButtonText}>{t('outdoorSession.start')}</Text>
+            </Pressable>
+          )}
+          {isLive && (
+            <>
+              {status === 'paused' ? (
+                <Pressable style={[styles.actionButton, styles.primaryButton]} onPress={resume}>
+                  <Play size={20} color={Colors.background} />
+                  <Text style={styles.primaryButtonText}>{t('outdoorSession.resume')}</Text>
+                </Pressable>
+              ) : (
+                <Pressable style={[styles.actionButton, styles.secondaryButton]} onPress={pause}>
+                  <Pause size={20} color={Colors.text} />
+                  <Text style={styles.secondaryButtonText}>{t('outdoorSession.pause')}</Text>
+                </Pressable>
+              )}
+              <Pressable style={[styles.actionButton, styles.finishButton]} onPress={confirmFinish}>
+                <Square size={18} color={Colors.text} />
+                <Text style={styles.secondaryButtonText}>{t('outdoorSession.finish')}</Text>
+              </Pressable>
+            </>
+          )}
+          {status === 'finished' && (
+            <Pressable style={[styles.actionButton, styles.primaryButton]} onPress={() => router.replace('/')}>
+              <Text style={styles.primaryButtonText}>{t('outdoorSession.done')}</Text>
+            </Pressable>
+          )}
+        </View>
+      </SafeAreaView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.background,
+  },
+  safe: {
+    flex: 1,
+  },
+  topBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.sm,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: Colors.border,
+  },
+  topBarButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 12,
+    backgroundColor: 'rgba(255,255,255,0.06)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  topBarTitle: {
+    flex: 1,
+    textAlign: 'center',
+    fontSize: FontSize.md,
+    fontWeight: FontWeight.bold,
+    color: Colors.text,
+  },
+  scroll: {
+    padding: Spacing.md,
+    paddingBottom: 40,
+  },
+  hero: {
+    alignItems: 'center',
+    paddingVertical: Spacing.lg,
+  },
+  heroValue: {
+    fontSize: 48,
+    fontWeight: FontWeight.bold,
+    color: Colors.text,
+  },
+  heroLabel: {
+    fontSize: FontSize.xl,
+    fontWeight: FontWeight.semibold,
+    color: Colors.textSecondary,
+    marginTop: Spacing.xs,
+  },
+  statsRow: {
+    flexDirection: 'row',
+    gap: Spacing.sm,
+    marginBottom: Spacing.md,
+  },
+  stat: {
+    flex: 1,
+    alignItems: 'center',
+    backgroundColor: Colors.surfaceGlass,
+    borderRadius: BorderRadius.lg,
+    borderWidth: 1,
+    borderColor: Colors.border,
+    paddingVertical: Spacing.sm,
+  },
+  statValue: {
+    fontSize: FontSize.lg,
+    fontWeight: FontWeight.bold,
+    color: Colors.text,
+  },
+  statLabel: {
+    fontSize: FontSize.xs,
+    color: Colors.textTertiary,
+    marginTop: 2,
+  },
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.xs,
+    padding: Spacing.sm,
+    marginBottom: Spacing.md,
+    borderRadius: BorderRadius.md,
+    backgroundColor: 'rgba(255,255,255,0.06)',
+  },
+  bannerText: {
+    flex: 1,
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+  },
+  section: {
+    marginBottom: Spacing.md,
+  },
+  sectionTitle: {
+    fontSize: FontSize.md,
+    fontWeight: FontWeight.semibold,
+    color: Colors.text,
+    marginBottom: Spacing.sm,
+  },
+  splitRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: Spacing.xs,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: Colors.border,
+  },
+  splitIndex: {
+    width: 64,
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+  },
+  splitPace: {
+    flex: 1,
+    fontSize: FontSize.md,
+    fontWeight: FontWeight.semibold,
+    color: Colors.text,
+  },
+  splitElevation: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  splitElevationText: {
+    fontSize: FontSize.sm,
+    color: Colors.textTertiary,
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: Spacing.sm,
+    padding: Spacing.md,
+  },
+  actionButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: Spacing.xs,
+    paddingVertical: Spacing.md,
+    borderRadius: BorderRadius.lg,
+  },
+  primaryButton: {
+    backgroundColor: Colors.primary,
+  },
+  primaryButtonText: {
+    fontSize: FontSize.md,
+    fontWeight: FontWeight.bold,
+    color: Colors.background,
+  },
+  secondaryButton: {
+    backgroundColor: Colors.surfaceElevated,
+  },
+  secondaryButtonText: {
+    fontSize: FontSize.md,
+    fontWeight: FontWeight.semibold,
+    color: Colors.text,
+  },
+  finishButton: {
+    backgroundColor: Colors.error + '40',
+  },
+});
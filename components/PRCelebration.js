@@ -2,6 +2,7 @@ import React, { useEffect } from 'react';
 import { View, Text, StyleSheet } from 'react-native';
 import Animated, { FadeInUp, FadeOutDown } from 'react-native-reanimated';
 import { Award } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius, Shadows } from '../constants/theme';
 
 const AUTO_DISMISS_MS = 4000;
@@ -19,6 +20,7 @@ const PR_UNITS = {
 };
 
 export default function PRCelebration({ visible, exerciseName, prType, value, onDismiss }) {
+  const { t } = useTranslation();
   useEffect(() => {
     if (!visible) return;
 
@@ -31,7 +33,7 @@ export default function PRCelebration({ visible, exerciseName, prType, value, on
 
   if (!visible) return null;
 
-  const label = PR_LABELS[prType] || 'Record';
+  const label = PR_LABELS[prType] || t('components.pRCelebration.record');
   const unit = PR_UNITS[prType] || '';
 
   return (
@@ -48,7 +50,7 @@ export default function PRCelebration({ visible, exerciseName, prType, value, on
 
           {/* Text content */}
           <View style={styles.textContainer}>
-            <Text style={styles.prBadge}>NEW PR!</Text>
+            <Text style={styles.prBadge}>{t('components.pRCelebration.newPr')}</Text>
             <Text style={styles.exerciseName} numberOfLines={1}>
               {exerciseName}
             </Text>
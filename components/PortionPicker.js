@@ -7,6 +7,8 @@
  * - Visual slider for amount
  * - Real-time calorie update as portion changes
  * - "Log it" button with haptic feedback
+ * - Optional starting weight (initialGrams) and confirm label, for editing
+ *   an estimated portion instead of logging
  */
 
 import React, { useState, useCallback, useMemo, useEffect, useRef } from 'react';
@@ -41,6 +43,7 @@ import {
   Gesture,
   GestureHandlerRootView,
 } from 'react-native-gesture-handler';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius, Shadows } from '../constants/theme';
 import { hapticLight, hapticSuccess } from '../lib/haptics';
 
@@ -62,6 +65,8 @@ const COMMON_PORTIONS = [
   { label: 'Custom', multiplier: null, unit: 'custom' },
 ];
 
+const CUSTOM_PORTION_INDEX = COMMON_PORTIONS.findIndex((portion) => portion.unit === 'custom');
+
 // ---------------------------------------------------------------------------
 // Portion Chip
 // ---------------------------------------------------------------------------
@@ -123,9 +128,12 @@ export default function PortionPicker({
   visible,
   food,
   mealType = 'breakfast',
+  initialGrams,
+  confirmLabel,
   onConfirm,
   onClose,
 }) {
+  const { t } = useTranslation();
   const [selectedPortion, setSelectedPortion] = useState(0);
   const [quantity, setQuantity] = useState(1);
   const [customGrams, setCustomGrams] = useState('');
@@ -141,12 +149,13 @@ export default function PortionPicker({
   // Reset state when food changes
   useEffect(() => {
     if (food) {
-      setSelectedPortion(0);
+      const startsCustom = initialGrams > 0;
+      setSelectedPortion(startsCustom ? CUSTOM_PORTION_INDEX : 0);
       setQuantity(1);
-      setCustomGrams('');
+      setCustomGrams(startsCustom ? String(Math.round(initialGrams)) : '');
       sliderPosition.value = withSpring(0.5);
     }
-  }, [food, sliderPosition]);
+  }, [food, initialGrams, sliderPosition]);
 
   // Calculate actual multiplier based on portion type and quantity
   const effectiveMultiplier = useMemo(() => {
@@ -242,8 +251,9 @@ export default function PortionPicker({
       fat,
       serving: servingLabel,
       quantity,
+      grams: Math.round(effectiveMultiplier * baseServingSize),
     }, mealType);
-  }, [food, calories, protein, carbs, fat, quantity, selectedPortion, customGrams, mealType, onConfirm]);
+  }, [food, calories, protein, carbs, fat, quantity, selectedPortion, customGrams, mealType, onConfirm, effectiveMultiplier, baseServingSize]);
 
   if (!food) return null;
 
@@ -272,7 +282,7 @@ export default function PortionPicker({
                   <Text style={styles.foodBrand}>{food.brand}</Text>
                 )}
                 <Text style={styles.servingInfo}>
-                  Per {food.serving || '1 serving'}
+                  Per {food.serving || t('components.portionPicker.n1Serving')}
                 </Text>
               </View>
               <Pressable style={styles.closeButton} onPress={onClose}>
@@ -283,27 +293,27 @@ export default function PortionPicker({
             {/* Calorie display (large, updates in real-time) */}
             <Animated.View entering={FadeIn.duration(400)} style={styles.calorieDisplay}>
               <Text style={styles.calorieValue}>{calories}</Text>
-              <Text style={styles.calorieUnit}>kcal</Text>
+              <Text style={styles.calorieUnit}>{t('units.kcal')}</Text>
             </Animated.View>
 
             {/* Macro bars */}
             <View style={styles.macros}>
               <MacroBar
-                label="Protein"
+                label={t('food.protein')}
                 value={protein}
                 unit="g"
                 color={Colors.protein}
                 total={protein + carbs + fat}
               />
               <MacroBar
-                label="Carbs"
+                label={t('food.carbs')}
                 value={carbs}
                 unit="g"
                 color={Colors.carbs}
                 total={protein + carbs + fat}
               />
               <MacroBar
-                label="Fat"
+                label={t('food.fat')}
                 value={fat}
                 unit="g"
                 color={Colors.fat}
@@ -312,7 +322,7 @@ export default function PortionPicker({
             </View>
 
             {/* Portion selector */}
-            <Text style={styles.portionLabel}>Portion Size</Text>
+            <Text style={styles.portionLabel}>{t('components.portionPicker.portionSize')}</Text>
             <View style={styles.portionChips}>
               {COMMON_PORTIONS.map((portion, index) => (
                 <PortionChip
@@ -333,7 +343,7 @@ export default function PortionPicker({
                 <Scale size={16} color={Colors.textSecondary} />
                 <TextInput
                   style={styles.customInput}
-                  placeholder="Enter grams"
+                  placeholder={t('components.portionPicker.enterGrams')}
                   placeholderTextColor={Colors.textTertiary}
                   value={customGrams}
                   onChangeText={setCustomGrams}
@@ -390,7 +400,7 @@ export default function PortionPicker({
             <Pressable style={styles.logButton} onPress={handleConfirm}>
               <Check size={20} color="#fff" />
               <Text style={styles.logButtonText}>
-                Log {calories} kcal
+                {confirmLabel || t('components.portionPicker.logKcal', { calories })}
               </Text>
             </Pressable>
           </Animated.View>
@@ -3,13 +3,19 @@
  *
  * Wraps premium features and redirects non-subscribers to the paywall.
  * Shows a brief loading state while checking subscription status.
+ *
+ * useAIQuotaUpsell() covers the server side of the same gate: when ai-brain
+ * rejects a request over the user's daily AI quota, it offers the paywall
+ * (or tells premium users when the quota resets) instead of an error.
  */
 
-import React, { useEffect } from 'react';
-import { View, ActivityIndicator, StyleSheet } from 'react-native';
+import React, { useCallback, useEffect } from 'react';
+import { View, ActivityIndicator, StyleSheet, Alert } from 'react-native';
 import { useRouter } from 'expo-router';
+import { useTranslation } from 'react-i18next';
 import { Colors } from '../constants/theme';
 import { useIsPremium } from '../context/SubscriptionContext';
+import { isAIQuotaError } from '../services/ai';
 
 export default function PremiumGate({ children }) {
   const router = useRouter();
@@ -53,3 +59,46 @@ const styles = StyleSheet.create({
     backgroundColor: Colors.background,
   },
 });
+
+/**
+ * Returns a handler for errors from services/ai. It shows the quota upsell
+ * for AIQuotaError and returns true; for anything else it returns false so
+ * the screen shows its usual error.
+ */
+export function useAIQuotaUpsell() {
+  const router = useRouter();
+  const { t } = useTranslation();
+
+  return useCallback((error) => {
+    if (!isAIQuotaError(error)) return false;
+    const { quota } = error;
+    const time = new Date(quota.resetsAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+    if (quota.upgradeNeeded) {
+      Alert.alert(
+        t('premiumGate.quotaTitle'),
+        t('premiumGate.quotaUpgradeBody'),
+        [
+          { text: t('premiumGate.notNow'), style: 'cancel' },
+          {
+            text: t('common.upgrade'),
+            onPress: () => router.push({
+              pathname: '/paywall',
+              params: { source: `ai_quota_${quota.requestType || 'ai'}`, trigger: 'ai_quota' },
+            }),
+          },
+        ]
+      );
+    } else {
+      Alert.alert(
+        t('premiumGate.quotaTitle'),
+        t(quota.scope === 'type' ? 'premiumGate.quotaFeatureResetBody' : 'premiumGate.quotaResetBody', {
+          limit: quota.limit,
+          time,
+        }),
+        [{ text: t('common.ok') }]
+      );
+    }
+    return true;
+  }, [router, t]);
+}
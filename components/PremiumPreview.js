@@ -34,6 +34,7 @@ import Animated, {
   withSpring,
   FadeIn,
 } from 'react-native-reanimated';
+import { useTranslation } from 'react-i18next';
 import { hapticImpact } from '../lib/haptics';
 import {
   Colors,
@@ -55,6 +56,7 @@ export default function PremiumPreview({
   onDismiss,
   monthlyPrice = '$9.99',
 }) {
+  const { t } = useTranslation();
   const glowPulse = useSharedValue(0.4);
   const buttonScale = useSharedValue(1);
 
@@ -135,7 +137,7 @@ export default function PremiumPreview({
         {/* Lock badge */}
         <View style={styles.lockBadge}>
           <Lock size={14} color={Colors.primary} />
-          <Text style={styles.lockText}>PRO</Text>
+          <Text style={styles.lockText}>{t('components.premiumPreview.pro')}</Text>
         </View>
       </View>
 
@@ -146,9 +148,9 @@ export default function PremiumPreview({
 
         <View style={styles.ctaContent}>
           <Sparkles size={20} color={Colors.primary} />
-          <Text style={styles.ctaTitle}>Unlock {featureName}</Text>
+          <Text style={styles.ctaTitle}>{t('components.premiumPreview.unlock', { featureName })}</Text>
           <Text style={styles.ctaDescription}>
-            {description || `Get instant access to ${featureName.toLowerCase()} and all premium features.`}
+            {description || t('components.premiumPreview.getInstantAccessTo', { featureName: featureName.toLowerCase() })}
           </Text>
 
           <Pressable
@@ -163,7 +165,7 @@ export default function PremiumPreview({
                 end={{ x: 1, y: 0 }}
                 style={styles.upgradeButton}
               >
-                <Text style={styles.upgradeButtonText}>Upgrade to Pro</Text>
+                <Text style={styles.upgradeButtonText}>{t('components.premiumPreview.upgradeToPro')}</Text>
                 <Text style={styles.upgradePrice}>{monthlyPrice}/mo</Text>
                 <ChevronRight size={18} color="#fff" />
               </LinearGradient>
@@ -172,7 +174,7 @@ export default function PremiumPreview({
 
           {onDismiss && (
             <Pressable onPress={handleDismissPress} style={styles.dismissButton}>
-              <Text style={styles.dismissText}>Maybe Later</Text>
+              <Text style={styles.dismissText}>{t('components.premiumPreview.maybeLater')}</Text>
             </Pressable>
           )}
         </View>
@@ -8,13 +8,14 @@ import {
   Image,
 } from 'react-native';
 import { Check, X, AlertCircle, Coffee, Sun, Sunset, Moon } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 
 const mealTypes = [
-  { id: 'breakfast', label: 'Breakfast', icon: Coffee },
-  { id: 'lunch', label: 'Lunch', icon: Sun },
-  { id: 'dinner', label: 'Dinner', icon: Sunset },
-  { id: 'snacks', label: 'Snack', icon: Moon },
+  { id: 'breakfast', labelKey: 'diary.breakfast', icon: Coffee },
+  { id: 'lunch', labelKey: 'diary.lunch', icon: Sun },
+  { id: 'dinner', labelKey: 'diary.dinner', icon: Sunset },
+  { id: 'snacks', labelKey: 'add.snack', icon: Moon },
 ];
 
 function MacroCircle({ label, value, unit, color }) {
@@ -38,6 +39,7 @@ export default function ProductFoundModal({
   error,
   defaultMeal = 'snacks',
 }) {
+  const { t } = useTranslation();
   const [selectedMeal, setSelectedMeal] = useState(defaultMeal);
 
   // Update selected meal when defaultMeal changes
@@ -60,12 +62,12 @@ export default function ProductFoundModal({
             <View style={styles.errorIcon}>
               <AlertCircle size={48} color={Colors.danger} />
             </View>
-            <Text style={styles.errorTitle}>Product Not Found</Text>
+            <Text style={styles.errorTitle}>{t('components.productFoundModal.productNotFound')}</Text>
             <Text style={styles.errorText}>
-              {error || "We couldn't find this product in our database. Try scanning again or add it manually."}
+              {error || t('components.productFoundModal.weCouldntFindThis')}
             </Text>
             <Pressable style={styles.closeErrorButton} onPress={onClose}>
-              <Text style={styles.closeErrorButtonText}>Try Again</Text>
+              <Text style={styles.closeErrorButtonText}>{t('components.productFoundModal.tryAgain')}</Text>
             </Pressable>
           </View>
         </View>
@@ -85,7 +87,7 @@ export default function ProductFoundModal({
             <View style={styles.successBadge}>
               <Check size={16} color={Colors.background} />
             </View>
-            <Text style={styles.successText}>Product Found!</Text>
+            <Text style={styles.successText}>{t('components.productFoundModal.productFound')}</Text>
             <Pressable style={styles.closeButton} onPress={onClose}>
               <X size={20} color={Colors.textSecondary} />
             </Pressable>
@@ -103,7 +105,7 @@ export default function ProductFoundModal({
               <Text style={styles.productBrand}>{product.brand}</Text>
             )}
             {product.serving && (
-              <Text style={styles.productServing}>Per {product.serving}</Text>
+              <Text style={styles.productServing}>{t('components.productFoundModal.per', { serving: product.serving })}</Text>
             )}
           </View>
 
@@ -115,19 +117,19 @@ export default function ProductFoundModal({
             </View>
             <View style={styles.macrosRow}>
               <MacroCircle
-                label="Protein"
+                label={t('food.protein')}
                 value={product.protein}
                 unit="g"
                 color={Colors.protein}
               />
               <MacroCircle
-                label="Carbs"
+                label={t('food.carbs')}
                 value={product.carbs}
                 unit="g"
                 color={Colors.carbs}
               />
               <MacroCircle
-                label="Fat"
+                label={t('food.fat')}
                 value={product.fat}
                 unit="g"
                 color={Colors.fat}
@@ -136,7 +138,7 @@ export default function ProductFoundModal({
           </View>
 
           {/* Meal Selector */}
-          <Text style={styles.mealSelectorLabel}>Add to</Text>
+          <Text style={styles.mealSelectorLabel}>{t('components.productFoundModal.addTo')}</Text>
           <View style={styles.mealSelector}>
             {mealTypes.map((meal) => {
               const Icon = meal.icon;
@@ -160,7 +162,7 @@ export default function ProductFoundModal({
                       isSelected && styles.mealButtonTextActive,
                     ]}
                   >
-                    {meal.label}
+                    {t(meal.labelKey)}
                   </Text>
                 </Pressable>
               );
@@ -170,11 +172,11 @@ export default function ProductFoundModal({
           {/* Action Buttons */}
           <View style={styles.actions}>
             <Pressable style={styles.cancelButton} onPress={onClose}>
-              <Text style={styles.cancelButtonText}>Cancel</Text>
+              <Text style={styles.cancelButtonText}>{t('common.cancel')}</Text>
             </Pressable>
             <Pressable style={styles.confirmButton} onPress={handleConfirm}>
               <Check size={20} color={Colors.background} />
-              <Text style={styles.confirmButtonText}>Add to Log</Text>
+              <Text style={styles.confirmButtonText}>{t('components.productFoundModal.addToLog')}</Text>
             </Pressable>
           </View>
         </View>
@@ -14,14 +14,15 @@ import * as Crypto from 'expo-crypto';
 import { LinearGradient } from 'expo-linear-gradient';
 import ReAnimated, { FadeInDown, FadeOutDown } from 'react-native-reanimated';
 import { X } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius, Gradients } from '../constants/theme';
 import { hapticSuccess, hapticLight } from '../lib/haptics';
 
 const mealPills = [
-  { id: 'breakfast', label: 'Breakfast', emoji: '☀️' },
-  { id: 'lunch', label: 'Lunch', emoji: '🌤️' },
-  { id: 'dinner', label: 'Dinner', emoji: '🌙' },
-  { id: 'snacks', label: 'Snack', emoji: '🍿' },
+  { id: 'breakfast', labelKey: 'diary.breakfast', emoji: '☀️' },
+  { id: 'lunch', labelKey: 'diary.lunch', emoji: '🌤️' },
+  { id: 'dinner', labelKey: 'diary.dinner', emoji: '🌙' },
+  { id: 'snacks', labelKey: 'add.snack', emoji: '🍿' },
 ];
 
 function getDefaultMealType() {
@@ -33,6 +34,7 @@ function getDefaultMealType() {
 }
 
 export default function QuickCalModal({ visible, onClose, onLog, initialMealType }) {
+  const { t } = useTranslation();
   const [calories, setCalories] = useState('');
   const [name, setName] = useState('');
   const [mealType, setMealType] = useState(initialMealType || getDefaultMealType());
@@ -60,7 +62,7 @@ export default function QuickCalModal({ visible, onClose, onLog, initialMealType
 
     const food = {
       id: Crypto.randomUUID(),
-      name: name.trim() || 'Quick entry',
+      name: name.trim() || t('components.quickCalModal.quickEntry'),
       emoji: '⚡',
       calories: cal,
       protein: 0,
@@ -79,7 +81,7 @@ export default function QuickCalModal({ visible, onClose, onLog, initialMealType
       setName('');
       setLogged(false);
     }, 800);
-  }, [calories, name, mealType, onLog]);
+  }, [calories, name, mealType, onLog, t]);
 
   const handleMealSelect = useCallback(async (id) => {
     await hapticLight();
@@ -95,7 +97,7 @@ export default function QuickCalModal({ visible, onClose, onLog, initialMealType
         style={styles.overlay}
       >
         <Pressable style={styles.backdrop} onPress={onClose} />
-        <ReAnimated.View entering={FadeInDown.springify().damping(14)} style={styles.sheet} accessibilityViewIsModal={true} accessibilityLabel="Quick calorie entry">
+        <ReAnimated.View entering={FadeInDown.springify().damping(14)} style={styles.sheet} accessibilityViewIsModal={true} accessibilityLabel={t('components.quickCalModal.quickCalorieEntry')}>
           {/* Handle */}
           <View style={styles.handleBar} />
 
@@ -105,7 +107,7 @@ export default function QuickCalModal({ visible, onClose, onLog, initialMealType
           </Pressable>
 
           {/* Title */}
-          <Text style={styles.title}>Quick Cal</Text>
+          <Text style={styles.title}>{t('components.quickCalModal.quickCal')}</Text>
 
           {/* Large Calorie Input */}
           <TextInput
@@ -119,14 +121,14 @@ export default function QuickCalModal({ visible, onClose, onLog, initialMealType
             maxLength={5}
             selectTextOnFocus
           />
-          <Text style={styles.kcalLabel}>kcal</Text>
+          <Text style={styles.kcalLabel}>{t('units.kcal')}</Text>
 
           {/* Optional Name Input */}
           <TextInput
             style={styles.nameInput}
             value={name}
             onChangeText={setName}
-            placeholder="⚡ Quick entry"
+            placeholder={t('components.quickCalModal.quickEntry2')}
             placeholderTextColor={Colors.textTertiary}
             maxLength={60}
             returnKeyType="done"
@@ -143,7 +145,7 @@ export default function QuickCalModal({ visible, onClose, onLog, initialMealType
               >
                 <Text style={styles.pillEmoji}>{meal.emoji}</Text>
                 <Text style={[styles.pillLabel, mealType === meal.id && styles.pillLabelActive]}>
-                  {meal.label}
+                  {t(meal.labelKey)}
                 </Text>
               </Pressable>
             ))}
@@ -162,7 +164,7 @@ export default function QuickCalModal({ visible, onClose, onLog, initialMealType
               style={styles.logButtonGradient}
             >
               <Text style={[styles.logButtonText, !canLog && !logged && { color: Colors.textTertiary }]}>
-                {logged ? 'Logged!' : 'Log'}
+                {logged ? t('components.quickCalModal.logged') : t('components.quickCalModal.log')}
               </Text>
             </LinearGradient>
           </Pressable>
@@ -12,6 +12,7 @@ import {
 } from 'react-native';
 import { useRouter } from 'expo-router';
 import { Zap, Plus, ScanBarcode } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { hapticImpact, hapticSuccess } from '../lib/haptics';
 import { Colors, Spacing, BorderRadius, FontSize, FontWeight } from '../constants/theme';
 import { useFood } from '../context/FoodContext';
@@ -31,6 +32,7 @@ const DEFAULT_QUICK_FOODS = [
 ];
 
 const ScanChip = memo(function ScanChip({ onPress }) {
+  const { t } = useTranslation();
   const scaleAnim = useRef(new Animated.Value(1)).current;
 
   const handlePressIn = () => {
@@ -69,13 +71,14 @@ const ScanChip = memo(function ScanChip({ onPress }) {
         ]}
       >
         <ScanBarcode size={22} color={Colors.primary} />
-        <Text style={styles.scanChipText}>Scan</Text>
+        <Text style={styles.scanChipText}>{t('components.quickLog.scan')}</Text>
       </Animated.View>
     </Pressable>
   );
 });
 
 const QuickChip = memo(function QuickChip({ food, onPress }) {
+  const { t } = useTranslation();
   const scaleAnim = useRef(new Animated.Value(1)).current;
   const opacityAnim = useRef(new Animated.Value(1)).current;
 
@@ -139,7 +142,7 @@ const QuickChip = memo(function QuickChip({ food, onPress }) {
         <Text style={styles.chipEmoji}>{food.emoji}</Text>
         <View style={styles.chipContent}>
           <Text style={styles.chipName} numberOfLines={1}>{food.name}</Text>
-          <Text style={styles.chipCalories}>{food.calories} kcal</Text>
+          <Text style={styles.chipCalories}>{t('components.quickLog.kcal', { calories: food.calories })}</Text>
         </View>
         <View style={styles.chipAction}>
           <Plus size={14} color={Colors.primary} />
@@ -150,6 +153,7 @@ const QuickChip = memo(function QuickChip({ food, onPress }) {
 });
 
 function QuickLog() {
+  const { t } = useTranslation();
   const router = useRouter();
   const { recentLogs, addFood } = useFood();
 
@@ -216,9 +220,9 @@ function QuickLog() {
       <View style={styles.header}>
         <View style={styles.headerLeft}>
           <Zap size={16} color={Colors.primary} />
-          <Text style={styles.title}>Quick Log</Text>
+          <Text style={styles.title}>{t('components.quickLog.quickLog')}</Text>
         </View>
-        <Text style={styles.subtitle}>Tap to add instantly</Text>
+        <Text style={styles.subtitle}>{t('components.quickLog.tapToAddInstantly')}</Text>
       </View>
       <ScrollView
         horizontal
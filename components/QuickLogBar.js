@@ -18,12 +18,14 @@ import {
   X,
 } from 'lucide-react-native';
 import ReAnimated, { FadeInDown } from 'react-native-reanimated';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 import { hapticLight } from '../lib/haptics';
 import { useFrequentFoods } from '../hooks/useFrequentFoods';
 
 // Individual food chip in the horizontal scroll
 const FoodChip = memo(function FoodChip({ food, onPress, onLongPress, index }) {
+  const { t } = useTranslation();
   const scaleAnim = useRef(new Animated.Value(1)).current;
 
   const handlePressIn = () => {
@@ -59,8 +61,8 @@ const FoodChip = memo(function FoodChip({ food, onPress, onLongPress, index }) {
           onPressOut={handlePressOut}
           delayLongPress={400}
           accessibilityRole="button"
-          accessibilityLabel={`Quick add ${food.name}, ${food.calories} calories`}
-          accessibilityHint="Tap to log this food, long press for options"
+          accessibilityLabel={t('components.quickLogBar.quickAddCalories', { name: food.name, calories: food.calories })}
+          accessibilityHint={t('components.quickLogBar.tapToLogThis')}
         >
           {food.pinned && <View style={styles.chipPinDot} />}
           <Text style={styles.chipEmoji}>{food.emoji || '?'}</Text>
@@ -74,9 +76,10 @@ const FoodChip = memo(function FoodChip({ food, onPress, onLongPress, index }) {
 
 // See All button at the end of the scroll
 const SeeAllButton = memo(function SeeAllButton({ onPress }) {
+  const { t } = useTranslation();
   return (
     <Pressable style={styles.seeAllButton} onPress={onPress}>
-      <Text style={styles.seeAllText}>See All</Text>
+      <Text style={styles.seeAllText}>{t('common.seeAll')}</Text>
       <ChevronRight size={14} color={Colors.primary} />
     </Pressable>
   );
@@ -84,6 +87,7 @@ const SeeAllButton = memo(function SeeAllButton({ onPress }) {
 
 // Context menu modal for long-press actions
 function ChipContextMenu({ visible, food, onClose, onTogglePin, onRemove }) {
+  const { t } = useTranslation();
   if (!food) return null;
 
   return (
@@ -116,12 +120,12 @@ function ChipContextMenu({ visible, food, onClose, onTogglePin, onRemove }) {
             {food.pinned ? (
               <>
                 <PinOff size={18} color={Colors.warning} />
-                <Text style={styles.contextActionText}>Unpin from Quick Log</Text>
+                <Text style={styles.contextActionText}>{t('components.quickLogBar.unpinFromQuickLog')}</Text>
               </>
             ) : (
               <>
                 <Pin size={18} color={Colors.primary} />
-                <Text style={styles.contextActionText}>Pin to Quick Log</Text>
+                <Text style={styles.contextActionText}>{t('components.quickLogBar.pinToQuickLog')}</Text>
               </>
             )}
           </Pressable>
@@ -136,7 +140,7 @@ function ChipContextMenu({ visible, food, onClose, onTogglePin, onRemove }) {
           >
             <Trash2 size={18} color={Colors.error} />
             <Text style={[styles.contextActionText, { color: Colors.error }]}>
-              Remove from Frequent Foods
+              {t('components.quickLogBar.removeFromFrequentFoods')}
             </Text>
           </Pressable>
         </Pressable>
@@ -153,6 +157,7 @@ function ChipContextMenu({ visible, food, onClose, onTogglePin, onRemove }) {
  *   mealType - current meal type for context
  */
 export default function QuickLogBar({ onSelectFood, mealType }) {
+  const { t } = useTranslation();
   const router = useRouter();
   const { getTopFoods, pinnedFoods, togglePin, removeFood } = useFrequentFoods();
   const [contextMenuVisible, setContextMenuVisible] = useState(false);
@@ -211,11 +216,11 @@ export default function QuickLogBar({ onSelectFood, mealType }) {
   }
 
   return (
-    <View style={styles.container} accessibilityRole="toolbar" accessibilityLabel="Quick log toolbar">
+    <View style={styles.container} accessibilityRole="toolbar" accessibilityLabel={t('components.quickLogBar.quickLogToolbar')}>
       {/* Section label */}
       <View style={styles.labelRow}>
         <Zap size={14} color={Colors.primary} />
-        <Text style={styles.label}>Quick Log</Text>
+        <Text style={styles.label}>{t('components.quickLogBar.quickLog')}</Text>
       </View>
 
       {/* Horizontal scroll of chips */}
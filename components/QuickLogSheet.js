@@ -23,6 +23,7 @@ import {
   Sunset,
   Moon,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import {
   Colors,
   Spacing,
@@ -38,14 +39,15 @@ const { height: SCREEN_HEIGHT } = Dimensions.get('window');
 const SHEET_HEIGHT = SCREEN_HEIGHT * 0.7;
 
 const mealMeta = {
-  breakfast: { label: 'Breakfast', icon: Coffee, color: Colors.warning },
-  lunch: { label: 'Lunch', icon: Sun, color: Colors.primary },
-  dinner: { label: 'Dinner', icon: Sunset, color: Colors.secondary },
-  snacks: { label: 'Snacks', icon: Moon, color: Colors.accentPurple || '#BF5AF2' },
+  breakfast: { labelKey: 'diary.breakfast', icon: Coffee, color: Colors.warning },
+  lunch: { labelKey: 'diary.lunch', icon: Sun, color: Colors.primary },
+  dinner: { labelKey: 'diary.dinner', icon: Sunset, color: Colors.secondary },
+  snacks: { labelKey: 'diary.snacks', icon: Moon, color: Colors.accentPurple || '#BF5AF2' },
 };
 
 // ---------- Macro Mini Bar ----------
 const MacroMiniBar = memo(function MacroMiniBar({ protein, carbs, fat }) {
+  const { t } = useTranslation();
   const total = (protein || 0) + (carbs || 0) + (fat || 0);
   if (total === 0) return null;
   const pPct = ((protein || 0) / total) * 100;
@@ -60,11 +62,11 @@ const MacroMiniBar = memo(function MacroMiniBar({ protein, carbs, fat }) {
         <View style={[macroStyles.segment, { width: `${fPct}%`, backgroundColor: Colors.fat }]} />
       </View>
       <View style={macroStyles.labels}>
-        <Text style={[macroStyles.label, { color: Colors.protein }]}>P{protein}g</Text>
+        <Text style={[macroStyles.label, { color: Colors.protein }]}>{t('components.quickLogSheet.pG', { protein })}</Text>
         <Text style={macroStyles.dot}>.</Text>
-        <Text style={[macroStyles.label, { color: Colors.carbs }]}>C{carbs}g</Text>
+        <Text style={[macroStyles.label, { color: Colors.carbs }]}>{t('components.quickLogSheet.cG', { carbs })}</Text>
         <Text style={macroStyles.dot}>.</Text>
-        <Text style={[macroStyles.label, { color: Colors.fat }]}>F{fat}g</Text>
+        <Text style={[macroStyles.label, { color: Colors.fat }]}>{t('components.quickLogSheet.fG', { fat })}</Text>
       </View>
     </View>
   );
@@ -88,6 +90,7 @@ const macroStyles = StyleSheet.create({
 
 // ---------- Quick Food Item ----------
 const QuickFoodItem = memo(function QuickFoodItem({ item, onLog, onRemove, index }) {
+  const { t } = useTranslation();
   const handleLog = useCallback(async () => {
     await hapticSuccess();
     onLog(item);
@@ -96,20 +99,25 @@ const QuickFoodItem = memo(function QuickFoodItem({ item, onLog, onRemove, index
   const handleLongPress = useCallback(() => {
     Alert.alert(
       item.name,
-      `${item.emoji || '?'}  ${item.calories} kcal\n` +
-        `Protein: ${item.protein}g | Carbs: ${item.carbs}g | Fat: ${item.fat}g\n` +
-        `Serving: ${item.serving || '1 serving'}\n` +
-        `Logged ${item.count || 1} time${(item.count || 1) !== 1 ? 's' : ''}`,
+      t('components.quickLogSheet.details', {
+        emoji: item.emoji || '?',
+        calories: item.calories,
+        protein: item.protein,
+        carbs: item.carbs,
+        fat: item.fat,
+        serving: item.serving || t('components.quickLogSheet.oneServing'),
+        count: item.count || 1,
+      }),
       [
         {
-          text: 'Remove from Frequent',
+          text: t('components.quickLogSheet.removeFromFrequent'),
           style: 'destructive',
           onPress: () => onRemove(item.id),
         },
-        { text: 'OK' },
+        { text: t('common.ok') },
       ]
     );
-  }, [item, onRemove]);
+  }, [item, onRemove, t]);
 
   return (
     <ReAnimated.View entering={FadeInDown.delay(index * 40).springify().mass(0.5).damping(12)}>
@@ -131,7 +139,7 @@ const QuickFoodItem = memo(function QuickFoodItem({ item, onLog, onRemove, index
         <View style={styles.foodItemRight}>
           <View style={styles.caloriesBadge}>
             <Text style={styles.caloriesBadgeText}>{item.calories}</Text>
-            <Text style={styles.caloriesUnitText}>kcal</Text>
+            <Text style={styles.caloriesUnitText}>{t('units.kcal')}</Text>
           </View>
           {(item.count || 0) > 1 && (
             <View style={styles.countBadge}>
@@ -146,6 +154,7 @@ const QuickFoodItem = memo(function QuickFoodItem({ item, onLog, onRemove, index
 
 // ---------- Tab Pills ----------
 const TabPills = memo(function TabPills({ active, onTabChange }) {
+  const { t } = useTranslation();
   return (
     <View style={styles.tabContainer}>
       <Pressable
@@ -159,7 +168,7 @@ const TabPills = memo(function TabPills({ active, onTabChange }) {
         <Text
           style={[styles.tabPillText, active === 'frequent' && styles.tabPillTextActive]}
         >
-          Frequent
+          {t('components.quickLogSheet.frequent')}
         </Text>
       </Pressable>
       <Pressable
@@ -173,7 +182,7 @@ const TabPills = memo(function TabPills({ active, onTabChange }) {
         <Text
           style={[styles.tabPillText, active === 'recent' && styles.tabPillTextActive]}
         >
-          Recent
+          {t('components.quickLogSheet.recent')}
         </Text>
       </Pressable>
     </View>
@@ -182,12 +191,13 @@ const TabPills = memo(function TabPills({ active, onTabChange }) {
 
 // ---------- Empty State ----------
 const EmptyState = memo(function EmptyState() {
+  const { t } = useTranslation();
   return (
     <ReAnimated.View entering={FadeInDown.delay(100).springify()} style={styles.emptyContainer}>
       <Zap size={48} color={Colors.textTertiary} />
-      <Text style={styles.emptyTitle}>No frequent foods yet</Text>
+      <Text style={styles.emptyTitle}>{t('components.quickLogSheet.noFrequentFoodsYet')}</Text>
       <Text style={styles.emptySubtitle}>
-        Log some foods first{'\n'}your favorites will appear here
+        {t('components.quickLogSheet.logSomeFoodsFirst')}
       </Text>
     </ReAnimated.View>
   );
@@ -195,10 +205,11 @@ const EmptyState = memo(function EmptyState() {
 
 // ---------- Toast Notification ----------
 function ToastNotification({ visible, foodName }) {
+  const { t } = useTranslation();
   if (!visible) return null;
   return (
     <ReAnimated.View entering={FadeInUp.springify().mass(0.4).damping(12)} style={styles.toast}>
-      <Text style={styles.toastText}>Added {foodName}</Text>
+      <Text style={styles.toastText}>{t('components.quickLogSheet.added', { foodName })}</Text>
     </ReAnimated.View>
   );
 }
@@ -207,6 +218,7 @@ function ToastNotification({ visible, foodName }) {
 // QuickLogSheet Component
 // =============================================
 export default function QuickLogSheet({ visible, onClose, mealType = 'snacks', onLog }) {
+  const { t } = useTranslation();
   const { getTopFoods, getRecentFoods, removeFood } = useFrequentFoods();
   const [activeTab, setActiveTab] = useState('frequent');
   const [searchQuery, setSearchQuery] = useState('');
@@ -306,11 +318,11 @@ export default function QuickLogSheet({ visible, onClose, mealType = 'snacks', o
               <View style={styles.header}>
                 <View style={styles.headerLeft}>
                   <Zap size={22} color={Colors.primary} />
-                  <Text style={styles.headerTitle}>Quick Add</Text>
+                  <Text style={styles.headerTitle}>{t('components.quickLogSheet.quickAdd')}</Text>
                   <View style={[styles.mealBadge, { backgroundColor: meal.color + '20' }]}>
                     <MealIcon size={12} color={meal.color} />
                     <Text style={[styles.mealBadgeText, { color: meal.color }]}>
-                      {meal.label}
+                      {t(meal.labelKey)}
                     </Text>
                   </View>
                 </View>
@@ -324,7 +336,7 @@ export default function QuickLogSheet({ visible, onClose, mealType = 'snacks', o
                 <Search size={18} color={Colors.textTertiary} />
                 <TextInput
                   style={styles.searchInput}
-                  placeholder="Search frequent foods..."
+                  placeholder={t('components.quickLogSheet.searchFrequentFoods')}
                   placeholderTextColor={Colors.textTertiary}
                   value={searchQuery}
                   onChangeText={setSearchQuery}
@@ -5,6 +5,7 @@ import { RotateCcw, Plus } from 'lucide-react-native';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 import { hapticLight } from '../lib/haptics';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useTranslation } from 'react-i18next';
 import { Sentry } from '../lib/sentry';
 
 const RECENT_MEALS_KEY = '@fueliq_quick_repeat';
@@ -34,6 +35,7 @@ export function recordMealForRepeat(food) {
 }
 
 export default function QuickRepeatBar({ onRepeat, style }) {
+  const { t } = useTranslation();
   const [recentMeals, setRecentMeals] = useState([]);
 
   useEffect(() => {
@@ -73,7 +75,7 @@ export default function QuickRepeatBar({ onRepeat, style }) {
     <Animated.View entering={FadeInDown.duration(300).delay(100)} style={style}>
       <View style={styles.header}>
         <RotateCcw size={14} color={Colors.textTertiary} />
-        <Text style={styles.headerText}>Quick Repeat</Text>
+        <Text style={styles.headerText}>{t('components.quickRepeatBar.quickRepeat')}</Text>
       </View>
       <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.scroll}>
         {recentMeals.map((meal, index) => (
@@ -82,12 +84,12 @@ export default function QuickRepeatBar({ onRepeat, style }) {
             style={styles.chip}
             onPress={() => handleRepeat(meal)}
             accessibilityRole="button"
-            accessibilityLabel={`Repeat ${meal.name}, ${meal.calories} calories`}
+            accessibilityLabel={t('components.quickRepeatBar.repeatCalories', { name: meal.name, calories: meal.calories })}
           >
             <Text style={styles.chipEmoji}>{meal.emoji || '\uD83C\uDF7D\uFE0F'}</Text>
             <View style={styles.chipInfo}>
               <Text style={styles.chipName} numberOfLines={1}>{meal.name}</Text>
-              <Text style={styles.chipCal}>{meal.calories} cal</Text>
+              <Text style={styles.chipCal}>{t('components.quickRepeatBar.cal', { calories: meal.calories })}</Text>
             </View>
             <View style={styles.chipAdd}>
               <Plus size={12} color={Colors.primary} />
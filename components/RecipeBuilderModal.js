@@ -21,6 +21,7 @@ import {
   Users,
   Flame,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { hapticLight, hapticImpact } from '../lib/haptics';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 import { useFood } from '../context/FoodContext';
@@ -48,6 +49,7 @@ function EmojiPicker({ selected, onSelect }) {
 }
 
 function IngredientItem({ ingredient, onRemove }) {
+  const { t } = useTranslation();
   return (
     <View style={styles.ingredientItem}>
       <View style={styles.ingredientInfo}>
@@ -55,11 +57,11 @@ function IngredientItem({ ingredient, onRemove }) {
           {ingredient.name}
         </Text>
         <Text style={styles.ingredientServing}>
-          {ingredient.quantity || 1} × {ingredient.serving || '1 serving'}
+          {ingredient.quantity || 1} × {ingredient.serving || t('components.recipeBuilderModal.n1Serving')}
         </Text>
       </View>
       <View style={styles.ingredientMacros}>
-        <Text style={styles.ingredientCalories}>{ingredient.calories} cal</Text>
+        <Text style={styles.ingredientCalories}>{t('components.recipeBuilderModal.cal', { calories: ingredient.calories })}</Text>
         <View style={styles.ingredientMacroRow}>
           <Text style={[styles.ingredientMacro, { color: Colors.protein }]}>
             P{ingredient.protein}
@@ -80,6 +82,7 @@ function IngredientItem({ ingredient, onRemove }) {
 }
 
 function MacroSummary({ label, totals, servings, showPerServing }) {
+  const { t } = useTranslation();
   const displayValues = showPerServing && servings > 0
     ? {
         calories: Math.round(totals.calories / servings),
@@ -96,7 +99,7 @@ function MacroSummary({ label, totals, servings, showPerServing }) {
         <View style={styles.macroSummaryItem}>
           <Flame size={16} color={Colors.primary} />
           <Text style={styles.macroSummaryValue}>{displayValues.calories}</Text>
-          <Text style={styles.macroSummaryUnit}>cal</Text>
+          <Text style={styles.macroSummaryUnit}>{t('units.cal')}</Text>
         </View>
         <View style={styles.macroSummaryDivider} />
         <View style={styles.macroSummaryItem}>
@@ -128,6 +131,7 @@ export default function RecipeBuilderModal({
   pendingIngredient,
   onClearPendingIngredient,
 }) {
+  const { t } = useTranslation();
   const { saveRecipe } = useFood();
 
   const [recipeName, setRecipeName] = useState('');
@@ -190,12 +194,12 @@ export default function RecipeBuilderModal({
 
   const handleSave = async () => {
     if (!recipeName.trim()) {
-      Alert.alert('Missing Name', 'Please give your recipe a name.');
+      Alert.alert(t('components.recipeBuilderModal.missingName'), t('createRecipe.pleaseGiveYourRecipe'));
       return;
     }
 
     if (ingredients.length === 0) {
-      Alert.alert('No Ingredients', 'Please add at least one ingredient.');
+      Alert.alert(t('components.recipeBuilderModal.noIngredients'), t('createRecipe.pleaseAddAtLeast'));
       return;
     }
 
@@ -212,12 +216,12 @@ export default function RecipeBuilderModal({
       onClose();
 
       Alert.alert(
-        'Recipe Saved!',
-        `"${recipeName}" has been saved to My Recipes. You can now log it with one tap!`
+        t('components.recipeBuilderModal.recipeSaved'),
+        t('components.recipeBuilderModal.hasBeenSavedTo', { recipeName })
       );
     } catch (error) {
       if (__DEV__) console.error('Failed to save recipe:', error);
-      Alert.alert('Error', 'Failed to save recipe. Please try again.');
+      Alert.alert(t('common.errorTitle'), t('recipeImport.failedToSaveRecipe'));
     } finally {
       setIsSaving(false);
     }
@@ -226,12 +230,12 @@ export default function RecipeBuilderModal({
   const handleClose = () => {
     if (recipeName || ingredients.length > 0) {
       Alert.alert(
-        'Discard Recipe?',
-        'You have unsaved changes. Are you sure you want to discard this recipe?',
+        t('components.recipeBuilderModal.discardRecipe'),
+        t('components.recipeBuilderModal.youHaveUnsavedChanges'),
         [
-          { text: 'Keep Editing', style: 'cancel' },
+          { text: t('components.recipeBuilderModal.keepEditing'), style: 'cancel' },
           {
-            text: 'Discard',
+            text: t('components.recipeBuilderModal.discard'),
             style: 'destructive',
             onPress: () => {
               setRecipeName('');
@@ -266,7 +270,7 @@ export default function RecipeBuilderModal({
           </Pressable>
           <View style={styles.headerCenter}>
             <ChefHat size={20} color={Colors.primary} />
-            <Text style={styles.headerTitle}>Create Recipe</Text>
+            <Text style={styles.headerTitle}>{t('components.recipeBuilderModal.createRecipe')}</Text>
           </View>
           <View style={styles.headerSpacer} />
         </View>
@@ -279,7 +283,7 @@ export default function RecipeBuilderModal({
         >
           {/* Recipe Name */}
           <View style={styles.section}>
-            <Text style={styles.sectionLabel}>Recipe Name</Text>
+            <Text style={styles.sectionLabel}>{t('components.recipeBuilderModal.recipeName')}</Text>
             <View style={styles.nameRow}>
               <Pressable
                 style={styles.emojiButton}
@@ -295,7 +299,7 @@ export default function RecipeBuilderModal({
                 style={styles.nameInput}
                 value={recipeName}
                 onChangeText={setRecipeName}
-                placeholder="e.g., Sunday Chili"
+                placeholder={t('components.recipeBuilderModal.eGSundayChili')}
                 placeholderTextColor={Colors.textTertiary}
                 maxLength={50}
               />
@@ -305,7 +309,7 @@ export default function RecipeBuilderModal({
           {/* Ingredients Section */}
           <View style={styles.section}>
             <View style={styles.sectionHeader}>
-              <Text style={styles.sectionLabel}>Ingredients</Text>
+              <Text style={styles.sectionLabel}>{t('components.recipeBuilderModal.ingredients')}</Text>
               <Text style={styles.ingredientCount}>
                 {ingredients.length} item{ingredients.length !== 1 ? 's' : ''}
               </Text>
@@ -313,9 +317,9 @@ export default function RecipeBuilderModal({
 
             {ingredients.length === 0 ? (
               <View style={styles.emptyIngredients}>
-                <Text style={styles.emptyText}>No ingredients yet</Text>
+                <Text style={styles.emptyText}>{t('components.recipeBuilderModal.noIngredientsYet')}</Text>
                 <Text style={styles.emptySubtext}>
-                  Tap below to search or scan ingredients
+                  {t('components.recipeBuilderModal.tapBelowToSearch')}
                 </Text>
               </View>
             ) : (
@@ -332,7 +336,7 @@ export default function RecipeBuilderModal({
 
             <Pressable style={styles.addIngredientButton} onPress={handleAddIngredient}>
               <Plus size={20} color={Colors.primary} />
-              <Text style={styles.addIngredientText}>Add Ingredient</Text>
+              <Text style={styles.addIngredientText}>{t('components.recipeBuilderModal.addIngredient')}</Text>
               <ChevronRight size={18} color={Colors.textSecondary} />
             </Pressable>
           </View>
@@ -341,7 +345,7 @@ export default function RecipeBuilderModal({
           {ingredients.length > 0 && (
             <View style={styles.section}>
               <MacroSummary
-                label="Total Recipe"
+                label={t('components.recipeBuilderModal.totalRecipe')}
                 totals={totals}
                 servings={1}
                 showPerServing={false}
@@ -351,7 +355,7 @@ export default function RecipeBuilderModal({
 
           {/* Servings */}
           <View style={styles.section}>
-            <Text style={styles.sectionLabel}>Number of Servings</Text>
+            <Text style={styles.sectionLabel}>{t('components.recipeBuilderModal.numberOfServings')}</Text>
             <View style={styles.servingsRow}>
               <Users size={20} color={Colors.textSecondary} />
               <TextInput
@@ -367,7 +371,7 @@ export default function RecipeBuilderModal({
               <Text style={styles.servingsLabel}>servings</Text>
             </View>
             <Text style={styles.servingsHint}>
-              This determines the nutrition per serving when you log this recipe
+              {t('components.recipeBuilderModal.thisDeterminesTheNutrition')}
             </Text>
           </View>
 
@@ -375,7 +379,7 @@ export default function RecipeBuilderModal({
           {ingredients.length > 0 && servingsNum > 0 && (
             <View style={styles.section}>
               <MacroSummary
-                label="Per Serving (what you'll log)"
+                label={t('components.recipeBuilderModal.perServingWhatYoull')}
                 totals={totals}
                 servings={servingsNum}
                 showPerServing={true}
@@ -397,7 +401,7 @@ export default function RecipeBuilderModal({
           >
             <Check size={22} color={Colors.background} />
             <Text style={styles.saveButtonText}>
-              {isSaving ? 'Saving...' : 'Save Recipe'}
+              {isSaving ? t('common.saving') : t('components.recipeBuilderModal.saveRecipe')}
             </Text>
           </Pressable>
         </View>
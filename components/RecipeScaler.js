@@ -0,0 +1,348 @@
+import React, { useState, useMemo, useEffect, memo } from 'react';
+import { View, Text, StyleSheet, Pressable } from 'react-native';
+import { Scale, Minus, Plus, ChevronDown, ChevronUp, RotateCcw } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
+import { hapticLight } from '../lib/haptics';
+import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
+import { scaleRecipe } from '../lib/recipeScaling';
+
+const MAX_SERVINGS = 99;
+
+const UNIT_OPTIONS = [
+  { id: 'original', labelKey: 'components.recipeScaler.unitsOriginal' },
+  { id: 'metric', labelKey: 'components.recipeScaler.unitsMetric' },
+  { id: 'imperial', labelKey: 'components.recipeScaler.unitsImperial' },
+];
+
+function ScaledIngredient({ ingredient }) {
+  const { t } = useTranslation();
+  if (typeof ingredient === 'string') {
+    return (
+      <View style={styles.ingredientRow}>
+        <View style={styles.bullet} />
+        <Text style={styles.ingredientText}>{ingredient}</Text>
+      </View>
+    );
+  }
+  return (
+    <View style={styles.ingredientRow}>
+      <View style={styles.bullet} />
+      <Text style={styles.ingredientText} numberOfLines={2}>
+        <Text style={styles.ingredientAmount}>{ingredient.serving}</Text> {ingredient.name}
+      </Text>
+      <Text style={styles.ingredientCalories}>{t('components.recipeScaler.kcal', { calories: ingredient.calories || 0 })}</Text>
+    </View>
+  );
+}
+
+/**
+ * Resize a recipe to any number of servings and convert its ingredient
+ * amounts between metric and imperial. Works with saved recipes (food
+ * ingredients) and curated recipes (text ingredients); nothing is saved.
+ */
+function RecipeScaler({ recipe, collapsible = false, style }) {
+  const { t } = useTranslation();
+  const baseServings = Math.max(1, recipe?.servings || 1);
+  const [servings, setServings] = useState(baseServings);
+  const [system, setSystem] = useState('original');
+  const [expanded, setExpanded] = useState(!collapsible);
+
+  useEffect(() => {
+    setServings(baseServings);
+  }, [baseServings]);
+
+  const scaled = useMemo(
+    () => (recipe ? scaleRecipe(recipe, servings, system === 'original' ? null : system) : null),
+    [recipe, servings, system]
+  );
+
+  if (!scaled) return null;
+
+  const changeServings = (delta) => {
+    const next = Math.min(MAX_SERVINGS, Math.max(1, servings + delta));
+    if (next === servings) return;
+    hapticLight();
+    setServings(next);
+  };
+
+  const toggleExpanded = () => {
+    hapticLight();
+    setExpanded((prev) => !prev);
+  };
+
+  const header = (
+    <View style={styles.header}>
+      <Scale size={18} color={Colors.primary} />
+      <Text style={styles.title}>{t('components.recipeScaler.title')}</Text>
+      {collapsible && (expanded
+        ? <ChevronUp size={18} color={Colors.textSecondary} />
+        : <ChevronDown size={18} color={Colors.textSecondary} />)}
+    </View>
+  );
+
+  return (
+    <View style={[styles.container, style]}>
+      {collapsible ? (
+        <Pressable
+          onPress={toggleExpanded}
+          accessibilityRole="button"
+          accessibilityState={{ expanded }}
+        >
+          {header}
+        </Pressable>
+      ) : header}
+
+      {expanded && (
+        <>
+          {/* Servings stepper */}
+          <View style={styles.stepperRow}>
+            <Pressable
+              style={[styles.stepperButton, servings <= 1 && styles.stepperButtonDisabled]}
+              onPress={() => changeServings(-1)}
+              disabled={servings <= 1}
+              accessibilityLabel={t('components.recipeScaler.fewerServings')}
+            >
+              <Minus size={18} color={Colors.text} />
+            </Pressable>
+            <View style={styles.stepperValue}>
+              <Text style={styles.stepperNumber}>{servings}</Text>
+              <Text style={styles.stepperLabel}>{t('components.recipeScaler.servings', { count: servings })}</Text>
+            </View>
+            <Pressable
+              style={[styles.stepperButton, servings >= MAX_SERVINGS && styles.stepperButtonDisabled]}
+              onPress={() => changeServings(1)}
+              disabled={servings >= MAX_SERVINGS}
+              accessibilityLabel={t('components.recipeScaler.moreServings')}
+            >
+              <Plus size={18} color={Colors.text} />
+            </Pressable>
+            {servings !== baseServings && (
+              <Pressable
+                style={styles.resetButton}
+                onPress={() => { hapticLight(); setServings(baseServings); }}
+                accessibilityLabel={t('components.recipeScaler.resetServings', { count: baseServings })}
+              >
+                <RotateCcw size={14} color={Colors.textSecondary} />
+                <Text style={styles.resetText}>{baseServings}</Text>
+              </Pressable>
+            )}
+          </View>
+
+          {/* Unit system */}
+          <View style={styles.unitRow}>
+            {UNIT_OPTIONS.map((option) => (
+              <Pressable
+                key={option.id}
+                style={[styles.unitChip, system === option.id && styles.unitChipActive]}
+                onPress={() => { hapticLight(); setSystem(option.id); }}
+                accessibilityRole="button"
+                accessibilityState={{ selected: system === option.id }}
+              >
+                <Text style={[styles.unitChipText, system === option.id && styles.unitChipTextActive]}>
+                  {t(option.labelKey)}
+                </Text>
+              </Pressable>
+            ))}
+          </View>
+
+          {/* Scaled ingredients */}
+          <View style={styles.ingredients}>
+            {scaled.ingredients.map((ingredient, index) => (
+              <ScaledIngredient
+                key={typeof ingredient === 'string' ? `${index}-${ingredient}` : ingredient.id || `${index}-${ingredient.name}`}
+                ingredient={ingredient}
+              />
+            ))}
+          </View>
+
+          {/* Nutrition */}
+          <View style={styles.totalsRow}>
+            <View style={styles.totalsItem}>
+              <Text style={styles.totalsLabel}>{t('components.recipeScaler.batchTotal')}</Text>
+              <Text style={styles.totalsValue}>{t('components.recipeScaler.kcal', { calories: scaled.totalMacros.calories })}</Text>
+              <Text style={styles.totalsMacros}>
+                {t('components.recipeScaler.macros', scaled.totalMacros)}
+              </Text>
+            </View>
+            <View style={styles.totalsDivider} />
+            <View style={styles.totalsItem}>
+              <Text style={styles.totalsLabel}>{t('components.recipeScaler.perServing')}</Text>
+              <Text style={styles.totalsValue}>{t('components.recipeScaler.kcal', { calories: scaled.perServing.calories })}</Text>
+              <Text style={styles.totalsMacros}>
+                {t('components.recipeScaler.macros', scaled.perServing)}
+              </Text>
+            </View>
+          </View>
+
+          {scaled.gramsPerServing ? (
+            <Text style={styles.cookedWeight}>
+              {t('components.recipeScaler.cookedWeight', {
+                total: scaled.cookedWeightGrams,
+                perServing: scaled.gramsPerServing,
+              })}
+            </Text>
+          ) : null}
+        </>
+      )}
+    </View>
+  );
+}
+
+export default memo(RecipeScaler);
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: Colors.surface,
+    borderRadius: BorderRadius.lg,
+    padding: Spacing.md,
+    borderWidth: 1,
+    borderColor: Colors.border,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.sm,
+  },
+  title: {
+    flex: 1,
+    fontSize: FontSize.md,
+    fontWeight: FontWeight.semibold,
+    color: Colors.text,
+  },
+  stepperRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.md,
+    marginTop: Spacing.md,
+  },
+  stepperButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: Colors.surfaceElevated,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stepperButtonDisabled: {
+    opacity: 0.4,
+  },
+  stepperValue: {
+    alignItems: 'center',
+    minWidth: 64,
+  },
+  stepperNumber: {
+    fontSize: FontSize.xl,
+    fontWeight: FontWeight.bold,
+    color: Colors.text,
+  },
+  stepperLabel: {
+    fontSize: FontSize.xs,
+    color: Colors.textSecondary,
+  },
+  resetButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginLeft: 'auto',
+    paddingHorizontal: Spacing.sm,
+    paddingVertical: Spacing.xs,
+    borderRadius: BorderRadius.full,
+    backgroundColor: Colors.surfaceElevated,
+  },
+  resetText: {
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+  },
+  unitRow: {
+    flexDirection: 'row',
+    gap: Spacing.sm,
+    marginTop: Spacing.md,
+  },
+  unitChip: {
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.xs,
+    borderRadius: BorderRadius.full,
+    borderWidth: 1,
+    borderColor: Colors.border,
+  },
+  unitChipActive: {
+    backgroundColor: Colors.primarySoft,
+    borderColor: Colors.primary,
+  },
+  unitChipText: {
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+  },
+  unitChipTextActive: {
+    color: Colors.primary,
+    fontWeight: FontWeight.semibold,
+  },
+  ingredients: {
+    marginTop: Spacing.md,
+    gap: Spacing.xs,
+  },
+  ingredientRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: Spacing.sm,
+  },
+  bullet: {
+    width: 6,
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: Colors.primary,
+    marginTop: 7,
+  },
+  ingredientText: {
+    flex: 1,
+    fontSize: FontSize.sm,
+    color: Colors.text,
+    lineHeight: 20,
+  },
+  ingredientAmount: {
+    fontWeight: FontWeight.semibold,
+  },
+  ingredientCalories: {
+    fontSize: FontSize.xs,
+    color: Colors.textTertiary,
+    lineHeight: 20,
+  },
+  totalsRow: {
+    flexDirection: 'row',
+    marginTop: Spacing.md,
+    paddingTop: Spacing.md,
+    borderTopWidth: 1,
+    borderTopColor: Colors.border,
+  },
+  totalsItem: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  totalsDivider: {
+    width: 1,
+    backgroundColor: Colors.border,
+  },
+  totalsLabel: {
+    fontSize: FontSize.xs,
+    color: Colors.textSecondary,
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+  },
+  totalsValue: {
+    fontSize: FontSize.lg,
+    fontWeight: FontWeight.bold,
+    color: Colors.text,
+    marginTop: 2,
+  },
+  totalsMacros: {
+    fontSize: FontSize.xs,
+    color: Colors.textTertiary,
+    marginTop: 2,
+  },
+  cookedWeight: {
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+    marginTop: Spacing.sm,
+    textAlign: 'center',
+  },
+});
@@ -13,19 +13,21 @@ import {
   StyleSheet,
   Platform,
 } from 'react-native';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 import { hapticLight } from '../lib/haptics';
 
 const REPORT_REASONS = [
-  { key: 'spam', label: 'Spam' },
-  { key: 'harassment', label: 'Harassment' },
-  { key: 'inappropriate', label: 'Inappropriate' },
-  { key: 'misinformation', label: 'Misinformation' },
-  { key: 'self_harm', label: 'Self Harm' },
-  { key: 'other', label: 'Other' },
+  { key: 'spam', labelKey: 'components.reportModal.reportReasons.spam' },
+  { key: 'harassment', labelKey: 'components.reportModal.reportReasons.harassment' },
+  { key: 'inappropriate', labelKey: 'components.reportModal.reportReasons.inappropriate' },
+  { key: 'misinformation', labelKey: 'components.reportModal.reportReasons.misinformation' },
+  { key: 'self_harm', labelKey: 'components.reportModal.reportReasons.selfHarm' },
+  { key: 'other', labelKey: 'components.reportModal.reportReasons.other' },
 ];
 
 export default function ReportModal({ visible, onClose, onSubmit }) {
+  const { t } = useTranslation();
   const [selectedReason, setSelectedReason] = useState(null);
   const [description, setDescription] = useState('');
 
@@ -57,14 +59,14 @@ export default function ReportModal({ visible, onClose, onSubmit }) {
     >
       <Pressable style={styles.backdrop} onPress={handleClose} />
       <View style={styles.container}>
-        <View style={styles.card} accessibilityViewIsModal={true} accessibilityLabel="Report content">
+        <View style={styles.card} accessibilityViewIsModal={true} accessibilityLabel={t('components.reportModal.reportContent')}>
           {/* Handle */}
           <View style={styles.handle} />
 
           {/* Title */}
-          <Text style={styles.title}>Report Content</Text>
+          <Text style={styles.title}>{t('components.reportModal.reportContent2')}</Text>
           <Text style={styles.subtitle}>
-            Why are you reporting this content? Our team will review your report.
+            {t('components.reportModal.whyAreYouReporting')}
           </Text>
 
           {/* Reason pills */}
@@ -83,7 +85,7 @@ export default function ReportModal({ visible, onClose, onSubmit }) {
                     onPress={() => handleSelectReason(reason.key)}
                   >
                     <Text style={[styles.reasonText, isActive && styles.reasonTextActive]}>
-                      {reason.label}
+                      {t(reason.labelKey)}
                     </Text>
                   </Pressable>
                 );
@@ -94,7 +96,7 @@ export default function ReportModal({ visible, onClose, onSubmit }) {
           {/* Description */}
           <TextInput
             style={styles.descriptionInput}
-            placeholder="Additional details (optional)"
+            placeholder={t('components.reportModal.additionalDetailsOptional')}
             placeholderTextColor={Colors.textMuted}
             value={description}
             onChangeText={setDescription}
@@ -106,7 +108,7 @@ export default function ReportModal({ visible, onClose, onSubmit }) {
           {/* Actions */}
           <View style={styles.actions}>
             <Pressable style={styles.cancelButton} onPress={handleClose}>
-              <Text style={styles.cancelText}>Cancel</Text>
+              <Text style={styles.cancelText}>{t('common.cancel')}</Text>
             </Pressable>
             <Pressable
               style={[styles.submitButton, !selectedReason && styles.submitButtonDisabled]}
@@ -114,7 +116,7 @@ export default function ReportModal({ visible, onClose, onSubmit }) {
               disabled={!selectedReason}
             >
               <Text style={[styles.submitText, !selectedReason && styles.submitTextDisabled]}>
-                Submit Report
+                {t('components.reportModal.submitReport')}
               </Text>
             </Pressable>
           </View>
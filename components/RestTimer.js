@@ -14,6 +14,7 @@ import { View, Text, Pressable, StyleSheet, Dimensions } from 'react-native';
 import Animated, { FadeIn, FadeOut, useSharedValue, useAnimatedProps, withTiming, Easing } from 'react-native-reanimated';
 import Svg, { Circle } from 'react-native-svg';
 import { X, Plus, Timer, SkipForward } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { hapticLight, hapticHeavy, hapticSuccess } from '../lib/haptics';
 import {
   Colors,
@@ -43,6 +44,7 @@ export default function RestTimer({
   // Legacy props (for generate-workout compat)
   onDismiss,
 }) {
+  const { t } = useTranslation();
   const lastHapticRef = useRef(-1);
   const radius = (RING_SIZE - RING_STROKE) / 2;
   const circumference = 2 * Math.PI * radius;
@@ -163,7 +165,7 @@ export default function RestTimer({
         {/* Title */}
         <View style={styles.headerRow}>
           <Timer size={20} color={Colors.textSecondary} />
-          <Text style={styles.title}>Rest Timer</Text>
+          <Text style={styles.title}>{t('components.restTimer.restTimer')}</Text>
         </View>
 
         {/* Circular countdown */}
@@ -212,7 +214,7 @@ export default function RestTimer({
           {/* Skip */}
           <Pressable style={styles.skipButton} onPress={handleSkip}>
             <SkipForward size={18} color={Colors.text} />
-            <Text style={styles.skipText}>Skip</Text>
+            <Text style={styles.skipText}>{t('common.skip')}</Text>
           </Pressable>
         </View>
       </View>
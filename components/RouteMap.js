@@ -0,0 +1,87 @@
+/**
+ * RouteMap - Draws a recorded GPS route as an SVG outline.
+ *
+ * No map tiles: the route is projected onto the box with a flat
+ * (equirectangular) projection, which is accurate enough at the scale of a
+ * run or ride. Each paused segment is drawn as its own line.
+ */
+
+import React, { memo, useMemo } from 'react';
+import { View, StyleSheet } from 'react-native';
+import Svg, { Polyline, Circle } from 'react-native-svg';
+import { Colors, BorderRadius } from '../constants/theme';
+
+const PADDING = 12;
+
+function RouteMap({ points, width = 320, height = 200 }) {
+  const { segments, start, end } = useMemo(() => {
+    if (!points || points.length < 2) return { segments: [], start: null, end: null };
+
+    const midLat = points.reduce((sum, p) => sum + p.lat, 0) / points.length;
+    const lonScale = Math.cos((midLat * Math.PI) / 180);
+    const xs = points.map((p) => p.lon * lonScale);
+    const ys = points.map((p) => p.lat);
+    const minX = Math.min(...xs);
+    const maxY = Math.max(...ys);
+    const spanX = Math.max(...xs) - minX;
+    const spanY = maxY - Math.min(...ys);
+    // Same scale on both axes so the route keeps its shape
+    const scale = Math.min(
+      (width - PADDING * 2) / (spanX || 1e-9),
+      (height - PADDING * 2) / (spanY || 1e-9)
+    );
+    const offsetX = (width - spanX * scale) / 2;
+    const offsetY = (height - spanY * scale) / 2;
+    const project = (i) => ({
+      x: offsetX + (xs[i] - minX) * scale,
+      y: offsetY + (maxY - ys[i]) * scale,
+    });
+
+    const bySegment = [];
+    points.forEach((point, i) => {
+      const last = bySegment[bySegment.length - 1];
+      const { x, y } = project(i);
+      if (last && last.segment === point.segment) {
+        last.coords.push(`${x},${y}`);
+      } else {
+        bySegment.push({ segment: point.segment, coords: [`${x},${y}`] });
+      }
+    });
+
+    return {
+      segments: bySegment.map((s) => s.coords.join(' ')),
+      start: project(0),
+      end: project(points.length - 1),
+    };
+  }, [points, width, height]);
+
+  return (
+    <View style={[styles.container, { width, height }]}>
+      <Svg width={width} height={height}>
+        {segments.map((coords, i) => (
+          <Polyline
+            key={i}
+            points={coords}
+            fill="none"
+            stroke={Colors.primary}
+            strokeWidth={3}
+            strokeLinejoin="round"
+            strokeLinecap="round"
+          />
+        ))}
+        {start && <Circle cx={start.x} cy={start.y} r={5} fill={Colors.success} />}
+        {end && <Circle cx={end.x} cy={end.y} r={5} fill={Colors.error} />}
+      </Svg>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: 'rgba(255,255,255,0.04)',
+    borderRadius: BorderRadius.lg,
+    overflow: 'hidden',
+  },
+});
+
+export default memo(RouteMap);
@@ -1,6 +1,7 @@
 import React from 'react';
 import { View, Text, StyleSheet, Pressable, ScrollView } from 'react-native';
 import { AlertTriangle, RefreshCw, Home } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 
 export default class ScreenErrorBoundary extends React.Component {
@@ -50,16 +51,19 @@ export default class ScreenErrorBoundary extends React.Component {
 }
 
 function ScreenErrorFallback({ screenName, error, onRetry }) {
+  const { t } = useTranslation();
   return (
     <View style={styles.container}>
       <View style={styles.content}>
         <View style={styles.iconWrap}>
           <AlertTriangle size={32} color={Colors.warning} />
         </View>
-        <Text style={styles.title}>Something went wrong</Text>
+        <Text style={styles.title}>{t('common.error')}</Text>
         <Text style={styles.subtitle}>
-          {screenName ? `The ${screenName} screen encountered an error.` : 'This screen encountered an error.'}{' '}
-          Your data is safe.
+          {screenName
+            ? t('components.screenErrorBoundary.screenEncounteredError', { screenName })
+            : t('components.screenErrorBoundary.thisScreenEncounteredError')}{' '}
+          {t('components.screenErrorBoundary.yourDataIsSafe')}
         </Text>
 
         {__DEV__ && error && (
@@ -71,7 +75,7 @@ function ScreenErrorFallback({ screenName, error, onRetry }) {
         <View style={styles.actions}>
           <Pressable style={styles.retryButton} onPress={onRetry}>
             <RefreshCw size={18} color="#fff" />
-            <Text style={styles.retryText}>Try Again</Text>
+            <Text style={styles.retryText}>{t('components.screenErrorBoundary.tryAgain')}</Text>
           </Pressable>
         </View>
       </View>
@@ -31,6 +31,7 @@ import {
   ChevronUp,
   ChevronDown,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { hapticLight, hapticSuccess } from '../lib/haptics';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius, Shadows } from '../constants/theme';
 
@@ -267,6 +268,7 @@ export default function SetLogger({
   onIncrementWeight,
   showRPE = true,
 }) {
+  const { t } = useTranslation();
   // Standalone state (fallback)
   const [localSets, setLocalSets] = useState([
     { weight: '', reps: '', rpe: 7, completed: false },
@@ -391,7 +393,7 @@ export default function SetLogger({
             </Text>
             {completedCount > 0 && (
               <Text style={styles.progressText}>
-                {completedCount}/{sets.length} sets completed
+                {t('components.setLogger.setsCompleted', { completed: completedCount, total: sets.length })}
               </Text>
             )}
           </View>
@@ -400,11 +402,11 @@ export default function SetLogger({
 
       {/* Column headers */}
       <View style={styles.columnHeaders}>
-        <Text style={[styles.columnHeader, { width: 28 }]}>SET</Text>
-        <Text style={[styles.columnHeader, { flex: 1, textAlign: 'center' }]}>WEIGHT</Text>
+        <Text style={[styles.columnHeader, { width: 28 }]}>{t('components.setLogger.set')}</Text>
+        <Text style={[styles.columnHeader, { flex: 1, textAlign: 'center' }]}>{t('components.setLogger.weight')}</Text>
         <Text style={[styles.columnHeader, { width: 14 }]} />
-        <Text style={[styles.columnHeader, { width: 52, textAlign: 'center' }]}>REPS</Text>
-        {showRPE && <Text style={[styles.columnHeader, { width: 140, textAlign: 'center' }]}>RPE</Text>}
+        <Text style={[styles.columnHeader, { width: 52, textAlign: 'center' }]}>{t('components.setLogger.reps')}</Text>
+        {showRPE && <Text style={[styles.columnHeader, { width: 140, textAlign: 'center' }]}>{t('components.setLogger.rpe')}</Text>}
         <Text style={[styles.columnHeader, { width: 36 }]} />
       </View>
 
@@ -430,7 +432,7 @@ export default function SetLogger({
       <View style={styles.actions}>
         <Pressable style={styles.addSetButton} onPress={addSet}>
           <Plus size={16} color={Colors.primary} />
-          <Text style={styles.addSetText}>Add Set</Text>
+          <Text style={styles.addSetText}>{t('components.setLogger.addSet')}</Text>
         </Pressable>
 
         {!controlled && completedCount > 0 && (
@@ -440,7 +442,7 @@ export default function SetLogger({
           >
             <Check size={16} color={allDone ? Colors.background : Colors.primary} />
             <Text style={[styles.finishText, allDone && styles.finishTextReady]}>
-              Finish Exercise
+              {t('components.setLogger.finishExercise')}
             </Text>
           </Pressable>
         )}
@@ -31,6 +31,7 @@ import { LinearGradient } from 'expo-linear-gradient';
 import { BlurView } from 'expo-blur';
 import ReAnimated, { FadeInDown, FadeInUp } from 'react-native-reanimated';
 import { X, Share2, Download, Image as ImageIcon } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { hapticLight, hapticSuccess } from '../lib/haptics';
 import {
   ShareCardContent,
@@ -59,6 +60,7 @@ const CARD_TYPE_LABELS = {
 };
 
 export default function ShareCardModal({ visible, onClose, type = 'daily-summary', data = {} }) {
+  const { t } = useTranslation();
   const cardRef = useRef(null);
   const [isSharing, setIsSharing] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
@@ -80,17 +82,17 @@ export default function ShareCardModal({ visible, onClose, type = 'daily-summary
         // onClose?.();
       } else {
         Alert.alert(
-          'Sharing Unavailable',
-          'Could not share on this device. Try again later.'
+          t('components.shareCardModal.sharingUnavailable'),
+          t('components.shareCardModal.couldNotShareOn')
         );
       }
     } catch (error) {
       if (__DEV__) console.error('Share error:', error);
-      Alert.alert('Error', 'Something went wrong while sharing.');
+      Alert.alert(t('common.errorTitle'), t('components.shareCardModal.somethingWentWrongWhile'));
     } finally {
       setIsSharing(false);
     }
-  }, [isSharing, type, data]);
+  }, [isSharing, type, data, t]);
 
   // --- Save image to device ---
   const handleSave = useCallback(async () => {
@@ -105,17 +107,17 @@ export default function ShareCardModal({ visible, onClose, type = 'daily-summary
 
       if (result.success) {
         await hapticSuccess();
-        Alert.alert('Saved!', 'Your share card has been saved.');
+        Alert.alert(t('components.shareCardModal.saved'), t('components.shareCardModal.yourShareCardHas'));
       } else {
-        Alert.alert('Error', 'Could not save the image.');
+        Alert.alert(t('common.errorTitle'), t('components.shareCardModal.couldNotSaveThe'));
       }
     } catch (error) {
       if (__DEV__) console.error('Save error:', error);
-      Alert.alert('Error', 'Something went wrong while saving.');
+      Alert.alert(t('common.errorTitle'), t('components.shareCardModal.somethingWentWrongWhile2'));
     } finally {
       setIsSaving(false);
     }
-  }, [isSaving]);
+  }, [isSaving, t]);
 
   // --- Close with haptic ---
   const handleClose = useCallback(async () => {
@@ -132,7 +134,7 @@ export default function ShareCardModal({ visible, onClose, type = 'daily-summary
       onRequestClose={handleClose}
     >
       {/* Blurred overlay */}
-      <View style={styles.overlay} accessibilityViewIsModal={true} accessibilityLabel="Share achievement card">
+      <View style={styles.overlay} accessibilityViewIsModal={true} accessibilityLabel={t('components.shareCardModal.shareAchievementCard')}>
         {Platform.OS === 'ios' ? (
           <BlurView intensity={90} tint="dark" style={StyleSheet.absoluteFill} />
         ) : (
@@ -149,7 +151,7 @@ export default function ShareCardModal({ visible, onClose, type = 'daily-summary
         {/* Card type label */}
         <ReAnimated.View entering={FadeInDown.delay(50).springify()} style={styles.typeLabelContainer}>
           <Text style={styles.typeLabel}>
-            {CARD_TYPE_LABELS[type] || 'Share Card'}
+            {CARD_TYPE_LABELS[type] || t('components.shareCardModal.shareCard')}
           </Text>
         </ReAnimated.View>
 
@@ -185,7 +187,7 @@ export default function ShareCardModal({ visible, onClose, type = 'daily-summary
             ) : (
               <>
                 <Download size={18} color={Colors.text} strokeWidth={2.5} />
-                <Text style={styles.secondaryButtonText}>Save</Text>
+                <Text style={styles.secondaryButtonText}>{t('common.save')}</Text>
               </>
             )}
           </Pressable>
@@ -207,7 +209,7 @@ export default function ShareCardModal({ visible, onClose, type = 'daily-summary
               ) : (
                 <>
                   <Share2 size={18} color="#000" strokeWidth={2.5} />
-                  <Text style={styles.primaryButtonText}>Share</Text>
+                  <Text style={styles.primaryButtonText}>{t('common.share')}</Text>
                 </>
               )}
             </LinearGradient>
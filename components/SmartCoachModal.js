@@ -8,12 +8,14 @@ import {
   ScrollView,
 } from 'react-native';
 import { X, Sparkles, Target, Leaf, Zap, ChevronRight } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { hapticImpact, hapticLight } from '../lib/haptics';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 import { getRecommendations, getCoachMessage, mealToFood, getSuggestedMealType } from '../services/mealRecommendation';
 import { useMealTotals } from '../context/MealContext';
 
 function RecommendationCard({ meal, type, icon: Icon, label, sublabel, onPress }) {
+  const { t } = useTranslation();
   if (!meal) return null;
 
   const handlePress = async () => {
@@ -44,11 +46,11 @@ function RecommendationCard({ meal, type, icon: Icon, label, sublabel, onPress }
         </View>
         <Text style={styles.cardName} numberOfLines={1}>{meal.name}</Text>
         <View style={styles.cardMacros}>
-          <Text style={styles.cardCalories}>{meal.calories} kcal</Text>
+          <Text style={styles.cardCalories}>{t('components.smartCoachModal.kcal', { calories: meal.calories })}</Text>
           <View style={styles.cardMacroDot} />
-          <Text style={styles.cardMacroText}>{meal.protein}g protein</Text>
+          <Text style={styles.cardMacroText}>{t('components.smartCoachModal.gProtein', { protein: meal.protein })}</Text>
           <View style={styles.cardMacroDot} />
-          <Text style={styles.cardMacroText}>{meal.prepTime} min</Text>
+          <Text style={styles.cardMacroText}>{t('components.smartCoachModal.min', { prepTime: meal.prepTime })}</Text>
         </View>
         <View style={styles.cardTags}>
           {meal.tags.slice(0, 3).map((tag) => (
@@ -68,6 +70,7 @@ export default function SmartCoachModal({
   onClose,
   onSelectMeal,
 }) {
+  const { t } = useTranslation();
   const { remaining, goals } = useMealTotals();
 
   const recommendations = useMemo(() => {
@@ -103,7 +106,7 @@ export default function SmartCoachModal({
       presentationStyle="pageSheet"
       onRequestClose={handleClose}
     >
-      <View style={styles.container} accessibilityViewIsModal={true} accessibilityLabel="Smart coach recommendations">
+      <View style={styles.container} accessibilityViewIsModal={true} accessibilityLabel={t('components.smartCoachModal.smartCoachRecommendations')}>
         {/* Header */}
         <View style={styles.header}>
           <Pressable style={styles.closeButton} onPress={handleClose}>
@@ -113,7 +116,7 @@ export default function SmartCoachModal({
             <View style={styles.sparklesBadge}>
               <Sparkles size={18} color={Colors.primary} />
             </View>
-            <Text style={styles.headerTitle}>Smart Coach</Text>
+            <Text style={styles.headerTitle}>{t('components.smartCoachModal.smartCoach')}</Text>
           </View>
           <View style={styles.headerSpacer} />
         </View>
@@ -125,7 +128,7 @@ export default function SmartCoachModal({
         >
           {/* Stats Overview */}
           <View style={styles.statsCard}>
-            <Text style={styles.statsTitle}>Your Remaining Budget</Text>
+            <Text style={styles.statsTitle}>{t('components.smartCoachModal.yourRemainingBudget')}</Text>
             <View style={styles.statsRow}>
               <View style={styles.statItem}>
                 <Text style={styles.statValue}>{remainingCalories}</Text>
@@ -146,7 +149,7 @@ export default function SmartCoachModal({
           </View>
 
           {/* Title */}
-          <Text style={styles.sectionTitle}>Recommended for You</Text>
+          <Text style={styles.sectionTitle}>{t('components.smartCoachModal.recommendedForYou')}</Text>
 
           {/* Recommendation Cards */}
           <View style={styles.cardsContainer}>
@@ -154,7 +157,7 @@ export default function SmartCoachModal({
               meal={recommendations.bestForProtein}
               type="protein"
               icon={Target}
-              label="Best for Protein"
+              label={t('components.smartCoachModal.bestForProtein')}
               sublabel={`${recommendations.bestForProtein?.protein || 0}g`}
               onPress={handleSelectMeal}
             />
@@ -163,8 +166,8 @@ export default function SmartCoachModal({
               meal={recommendations.mostFilling}
               type="filling"
               icon={Leaf}
-              label="Most Filling"
-              sublabel="High volume"
+              label={t('components.smartCoachModal.mostFilling')}
+              sublabel={t('components.smartCoachModal.highVolume')}
               onPress={handleSelectMeal}
             />
 
@@ -172,8 +175,8 @@ export default function SmartCoachModal({
               meal={recommendations.quickEasy}
               type="quick"
               icon={Zap}
-              label="Quick & Easy"
-              sublabel={`${recommendations.quickEasy?.prepTime || 0} min`}
+              label={t('components.smartCoachModal.quickEasy')}
+              sublabel={`${recommendations.quickEasy?.prepTime || 0} ${t('units.minutes')}`}
               onPress={handleSelectMeal}
             />
           </View>
@@ -181,7 +184,7 @@ export default function SmartCoachModal({
           {/* Info */}
           <View style={styles.infoContainer}>
             <Text style={styles.infoText}>
-              Showing {recommendations.totalEligible} meals that fit your remaining {remainingCalories} calorie budget
+              {t('components.smartCoachModal.showingMealsThatFit', { totalEligible: recommendations.totalEligible, remainingCalories })}
             </Text>
           </View>
         </ScrollView>
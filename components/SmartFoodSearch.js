@@ -47,8 +47,11 @@ import {
   Zap,
 } from 'lucide-react-native';
 import Animated, { FadeInDown, FadeIn } from 'react-native-reanimated';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius, Shadows } from '../constants/theme';
 import { useSmartSearch } from '../hooks/useSmartSearch';
+import useAllergens from '../hooks/useAllergens';
+import AllergenWarning from './AllergenWarning';
 import { hapticLight } from '../lib/haptics';
 
 // ---------------------------------------------------------------------------
@@ -56,14 +59,15 @@ import { hapticLight } from '../lib/haptics';
 // ---------------------------------------------------------------------------
 
 const QUICK_FILTERS = [
-  { id: 'restaurant', label: 'Restaurant', icon: Utensils, color: Colors.secondary },
-  { id: 'high_protein', label: 'High Protein', icon: Flame, color: Colors.protein },
-  { id: 'low_carb', label: 'Low Carb', icon: Zap, color: Colors.carbs },
-  { id: 'low_calorie', label: 'Low Cal', icon: Star, color: Colors.success },
-  { id: 'keto_friendly', label: 'Keto', icon: Filter, color: Colors.warning },
+  { id: 'restaurant', labelKey: 'components.smartFoodSearch.quickFilters.restaurant', icon: Utensils, color: Colors.secondary },
+  { id: 'high_protein', labelKey: 'components.smartFoodSearch.quickFilters.highProtein', icon: Flame, color: Colors.protein },
+  { id: 'low_carb', labelKey: 'components.smartFoodSearch.quickFilters.lowCarb', icon: Zap, color: Colors.carbs },
+  { id: 'low_calorie', labelKey: 'components.smartFoodSearch.quickFilters.lowCalorie', icon: Star, color: Colors.success },
+  { id: 'keto_friendly', labelKey: 'components.smartFoodSearch.quickFilters.keto', icon: Filter, color: Colors.warning },
 ];
 
 const FilterPills = memo(function FilterPills({ activeFilter, onSelect }) {
+  const { t } = useTranslation();
   return (
     <ScrollView
       horizontal
@@ -92,7 +96,7 @@ const FilterPills = memo(function FilterPills({ activeFilter, onSelect }) {
                 isActive && { color: filter.color },
               ]}
             >
-              {filter.label}
+              {t(filter.labelKey)}
             </Text>
           </Pressable>
         );
@@ -137,8 +141,10 @@ const SearchResultItem = memo(function SearchResultItem({
   onQuickAdd,
   isSelected,
   multiSelectMode,
+  allergenCheck,
   index = 0,
 }) {
+  const { t } = useTranslation();
   const hasCalories = item.calories != null && item.calories > 0;
 
   return (
@@ -189,6 +195,7 @@ const SearchResultItem = memo(function SearchResultItem({
               {item.brand}
             </Text>
           )}
+          <AllergenWarning check={allergenCheck} compact />
           {/* Inline macro preview */}
           <View style={styles.macroPreview}>
             <Text style={styles.macroText}>
@@ -210,7 +217,7 @@ const SearchResultItem = memo(function SearchResultItem({
           <Text style={[styles.caloriesValue, !hasCalories && styles.caloriesNA]}>
             {hasCalories ? item.calories : '-'}
           </Text>
-          {hasCalories && <Text style={styles.caloriesLabel}>kcal</Text>}
+          {hasCalories && <Text style={styles.caloriesLabel}>{t('units.kcal')}</Text>}
         </View>
 
         {/* Quick add button */}
@@ -243,6 +250,7 @@ const SearchResultItem = memo(function SearchResultItem({
 // ---------------------------------------------------------------------------
 
 const SearchChips = memo(function SearchChips({ recentSearches, trendingTerms, onSelect }) {
+  const { t } = useTranslation();
   if (recentSearches.length === 0 && trendingTerms.length === 0) return null;
 
   return (
@@ -252,7 +260,7 @@ const SearchChips = memo(function SearchChips({ recentSearches, trendingTerms, o
         <View style={styles.chipsSection}>
           <View style={styles.chipsSectionHeader}>
             <Clock size={12} color={Colors.textSecondary} />
-            <Text style={styles.chipsSectionTitle}>Recent Searches</Text>
+            <Text style={styles.chipsSectionTitle}>{t('components.smartFoodSearch.recentSearches')}</Text>
           </View>
           <ScrollView
             horizontal
@@ -280,7 +288,7 @@ const SearchChips = memo(function SearchChips({ recentSearches, trendingTerms, o
         <View style={styles.chipsSection}>
           <View style={styles.chipsSectionHeader}>
             <TrendingUp size={12} color={Colors.secondary} />
-            <Text style={styles.chipsSectionTitle}>Your Top Searches</Text>
+            <Text style={styles.chipsSectionTitle}>{t('components.smartFoodSearch.yourTopSearches')}</Text>
           </View>
           <ScrollView
             horizontal
@@ -314,23 +322,24 @@ const SearchChips = memo(function SearchChips({ recentSearches, trendingTerms, o
 // ---------------------------------------------------------------------------
 
 const MultiSelectBar = memo(function MultiSelectBar({ count, totalCalories, onAddAll, onClear }) {
+  const { t } = useTranslation();
   if (count === 0) return null;
 
   return (
     <Animated.View entering={FadeInDown.duration(200)} style={styles.multiSelectBar}>
       <View>
-        <Text style={styles.multiSelectCount}>{count} selected</Text>
+        <Text style={styles.multiSelectCount}>{t('components.smartFoodSearch.selected', { count })}</Text>
         {totalCalories > 0 && (
-          <Text style={styles.multiSelectCalories}>{totalCalories} kcal total</Text>
+          <Text style={styles.multiSelectCalories}>{t('components.smartFoodSearch.kcalTotal', { totalCalories })}</Text>
         )}
       </View>
       <View style={styles.multiSelectActions}>
         <Pressable style={styles.multiSelectClearBtn} onPress={onClear}>
-          <Text style={styles.multiSelectClearText}>Clear</Text>
+          <Text style={styles.multiSelectClearText}>{t('common.clear')}</Text>
         </Pressable>
         <Pressable style={styles.multiSelectAddBtn} onPress={onAddAll}>
           <Check size={16} color="#fff" />
-          <Text style={styles.multiSelectAddText}>Add All ({totalCalories > 0 ? `${totalCalories} cal` : count})</Text>
+          <Text style={styles.multiSelectAddText}>Add All ({totalCalories > 0 ? t('components.smartFoodSearch.cal', { totalCalories }) : count})</Text>
         </Pressable>
       </View>
     </Animated.View>
@@ -351,6 +360,7 @@ export default function SmartFoodSearch({
   onOpenMealTemplate,
   selectedMeal = 'breakfast',
 }) {
+  const { t } = useTranslation();
   const {
     query,
     setQuery,
@@ -370,6 +380,7 @@ export default function SmartFoodSearch({
     recentSearches,
     trendingTerms,
   } = useSmartSearch();
+  const { checkFoodDetails } = useAllergens();
 
   const [showFilters, setShowFilters] = useState(false);
 
@@ -380,20 +391,20 @@ export default function SmartFoodSearch({
     const data = [];
 
     if (sections.favorites.length > 0) {
-      data.push({ title: 'Favorites', data: sections.favorites });
+      data.push({ title: t('components.smartFoodSearch.favorites'), data: sections.favorites });
     }
     if (sections.frequent.length > 0) {
-      data.push({ title: 'Frequent', data: sections.frequent });
+      data.push({ title: t('components.smartFoodSearch.frequent'), data: sections.frequent });
     }
     if (sections.restaurant.length > 0) {
-      data.push({ title: 'Restaurant', data: sections.restaurant });
+      data.push({ title: t('components.smartFoodSearch.restaurant'), data: sections.restaurant });
     }
     if (sections.database.length > 0) {
-      data.push({ title: 'Results', data: sections.database });
+      data.push({ title: t('components.smartFoodSearch.results'), data: sections.database });
     }
 
     return data;
-  }, [query, sections]);
+  }, [query, sections, t]);
 
   // Total source info
   const sourceInfo = useMemo(() => {
@@ -455,10 +466,11 @@ export default function SmartFoodSearch({
           onQuickAdd={handleQuickAddItem}
           isSelected={isSelected}
           multiSelectMode={multiSelectMode}
+          allergenCheck={checkFoodDetails(item)}
         />
       );
     },
-    [handleSelectItem, handleQuickAddItem, selectedItems, multiSelectMode],
+    [handleSelectItem, handleQuickAddItem, selectedItems, multiSelectMode, checkFoodDetails],
   );
 
   const renderSectionHeader = useCallback(
@@ -478,7 +490,7 @@ export default function SmartFoodSearch({
           <Search size={20} color={Colors.textSecondary} />
           <TextInput
             style={styles.searchInput}
-            placeholder="Search foods, brands, restaurants..."
+            placeholder={t('components.smartFoodSearch.searchFoodsBrandsRestaurants')}
             placeholderTextColor={Colors.textTertiary}
             value={query}
             onChangeText={setQuery}
@@ -528,7 +540,7 @@ export default function SmartFoodSearch({
         >
           <Filter size={14} color={showFilters ? Colors.primary : Colors.textSecondary} />
           <Text style={[styles.controlText, showFilters && styles.controlTextActive]}>
-            Filters
+            {t('components.smartFoodSearch.filters')}
           </Text>
         </Pressable>
 
@@ -542,14 +554,14 @@ export default function SmartFoodSearch({
         >
           <CheckSquare size={14} color={multiSelectMode ? Colors.primary : Colors.textSecondary} />
           <Text style={[styles.controlText, multiSelectMode && styles.controlTextActive]}>
-            Multi-Add
+            {t('components.smartFoodSearch.multiAdd')}
           </Text>
         </Pressable>
 
         {onOpenMealTemplate && (
           <Pressable style={styles.controlButton} onPress={onOpenMealTemplate}>
             <Clock size={14} color={Colors.textSecondary} />
-            <Text style={styles.controlText}>Yesterday</Text>
+            <Text style={styles.controlText}>{t('common.yesterday')}</Text>
           </Pressable>
         )}
       </View>
@@ -573,7 +585,7 @@ export default function SmartFoodSearch({
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color={Colors.primary} />
           <Text style={styles.loadingText}>
-            {isTyping ? 'Typing...' : 'Searching 17M+ foods...'}
+            {isTyping ? t('components.smartFoodSearch.typing') : t('components.smartFoodSearch.searching17mFoods')}
           </Text>
         </View>
       ) : error ? (
@@ -582,9 +594,9 @@ export default function SmartFoodSearch({
         </View>
       ) : sectionData.length === 0 ? (
         <View style={styles.emptyContainer}>
-          <Text style={styles.emptyText}>No results found</Text>
+          <Text style={styles.emptyText}>{t('common.noResults')}</Text>
           <Text style={styles.emptySubtext}>
-            Try a different term, scan a barcode, or snap a photo
+            {t('components.smartFoodSearch.tryADifferentTerm')}
           </Text>
         </View>
       ) : (
@@ -592,7 +604,7 @@ export default function SmartFoodSearch({
           {/* Source info */}
           {sourceInfo && (
             <Text style={styles.sourceInfo}>
-              {results.length} results from {sourceInfo}
+              {t('components.smartFoodSearch.resultsFrom', { resultsCount: results.length, sourceInfo })}
             </Text>
           )}
 
@@ -7,8 +7,10 @@ import { View, Text, StyleSheet, TouchableOpacity, TextInput, Pressable, Activit
 import { Image } from 'expo-image';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Heart, MessageCircle, Share2, MoreHorizontal, Trophy, Dumbbell, Utensils, Camera, Target, Send, ChevronDown, ChevronUp } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { Colors, BorderRadius, Spacing, FontSize, FontWeight, Shadows } from '../constants/theme';
 import { Sentry } from '../lib/sentry';
+import { formatRelativeTime } from '../lib/formatters';
 
 const POST_ICONS = {
   achievement: Trophy,
@@ -36,6 +38,7 @@ const REACTION_TYPES = [
 const INITIAL_COMMENTS_SHOWN = 3;
 
 function SocialPostCard({ post, onLike, onComment, onShare, onMore, onReaction, onFetchComments, onAddComment, onReport, onBlock }) {
+  const { t } = useTranslation();
   const [showFullContent, setShowFullContent] = useState(false);
   const [showComments, setShowComments] = useState(false);
   const [showAllComments, setShowAllComments] = useState(false);
@@ -167,10 +170,10 @@ function SocialPostCard({ post, onLike, onComment, onShare, onMore, onReaction,
                   }
                 );
               } else {
-                Alert.alert('Post Options', undefined, [
-                  { text: 'Report Post', onPress: () => onReport?.(post) },
-                  { text: 'Block User', style: 'destructive', onPress: () => onBlock?.(post) },
-                  { text: 'Cancel', style: 'cancel', onPress: () => onMore?.(post.id) },
+                Alert.alert(t('components.socialPostCard.postOptions'), undefined, [
+                  { text: t('components.socialPostCard.reportPost'), onPress: () => onReport?.(post) },
+                  { text: t('components.socialPostCard.blockUser'), style: 'destructive', onPress: () => onBlock?.(post) },
+                  { text: t('common.cancel'), style: 'cancel', onPress: () => onMore?.(post.id) },
                 ]);
               }
             }}
@@ -195,10 +198,10 @@ function SocialPostCard({ post, onLike, onComment, onShare, onMore, onReaction,
         {/* Metadata card (e.g., workout stats, meal macros) */}
         {post.metadata && Object.keys(post.metadata).length > 0 && (
           <View style={styles.metadataCard}>
-            {post.metadata.calories && <MetaStat label="Calories" value={post.metadata.calories} unit="kcal" />}
-            {post.metadata.duration && <MetaStat label="Duration" value={post.metadata.duration} unit="min" />}
-            {post.metadata.protein && <MetaStat label="Protein" value={post.metadata.protein} unit="g" />}
-            {post.metadata.xp && <MetaStat label="XP Earned" value={`+${post.metadata.xp}`} color="#FFD700" />}
+            {post.metadata.calories && <MetaStat label={t('food.calories')} value={post.metadata.calories} unit="kcal" />}
+            {post.metadata.duration && <MetaStat label={t('components.socialPostCard.duration')} value={post.metadata.duration} unit="min" />}
+            {post.metadata.protein && <MetaStat label={t('food.protein')} value={post.metadata.protein} unit="g" />}
+            {post.metadata.xp && <MetaStat label={t('components.socialPostCard.xpEarned')} value={`+${post.metadata.xp}`} color="#FFD700" />}
           </View>
         )}
 
@@ -270,12 +273,12 @@ function SocialPostCard({ post, onLike, onComment, onShare, onMore, onReaction,
             {commentsLoading ? (
               <View style={styles.commentsLoading}>
                 <ActivityIndicator size="small" color={Colors.primary} />
-                <Text style={styles.commentsLoadingText}>Loading comments...</Text>
+                <Text style={styles.commentsLoadingText}>{t('components.socialPostCard.loadingComments')}</Text>
               </View>
             ) : (
               <>
                 {comments.length === 0 && (
-                  <Text style={styles.noCommentsText}>No comments yet. Be the first!</Text>
+                  <Text style={styles.noCommentsText}>{t('components.socialPostCard.noCommentsYetBe')}</Text>
                 )}
 
                 {visibleComments.map((comment) => (
@@ -288,7 +291,7 @@ function SocialPostCard({ post, onLike, onComment, onShare, onMore, onReaction,
                     onPress={() => setShowAllComments(true)}
                   >
                     <Text style={styles.viewAllText}>
-                      View all {comments.length} comments
+                      {t('components.socialPostCard.viewAllComments', { commentsCount: comments.length })}
                     </Text>
                     <ChevronDown size={14} color={Colors.primary} />
                   </TouchableOpacity>
@@ -299,7 +302,7 @@ function SocialPostCard({ post, onLike, onComment, onShare, onMore, onReaction,
                     style={styles.viewAllButton}
                     onPress={() => setShowAllComments(false)}
                   >
-                    <Text style={styles.viewAllText}>Show less</Text>
+                    <Text style={styles.viewAllText}>{t('components.socialPostCard.showLess')}</Text>
                     <ChevronUp size={14} color={Colors.primary} />
                   </TouchableOpacity>
                 )}
@@ -308,7 +311,7 @@ function SocialPostCard({ post, onLike, onComment, onShare, onMore, onReaction,
                 <View style={styles.commentInputRow}>
                   <TextInput
                     style={styles.commentInput}
-                    placeholder="Add a comment..."
+                    placeholder={t('components.socialPostCard.addAComment')}
                     placeholderTextColor={Colors.textMuted}
                     value={commentText}
                     onChangeText={setCommentText}
@@ -338,6 +341,7 @@ function SocialPostCard({ post, onLike, onComment, onShare, onMore, onReaction,
 }
 
 function CommentItem({ comment }) {
+  const { t } = useTranslation();
   const timeAgo = getTimeAgo(comment.createdAt || comment.created_at);
 
   return (
@@ -353,7 +357,7 @@ function CommentItem({ comment }) {
       )}
       <View style={styles.commentBody}>
         <View style={styles.commentHeader}>
-          <Text style={styles.commentUserName}>{comment.userName || comment.user_name || 'Anonymous'}</Text>
+          <Text style={styles.commentUserName}>{comment.userName || comment.user_name || t('components.socialPostCard.anonymous')}</Text>
           <Text style={styles.commentTime}>{timeAgo}</Text>
         </View>
         <Text style={styles.commentText}>{comment.content || comment.body || ''}</Text>
@@ -373,14 +377,7 @@ function MetaStat({ label, value, unit, color }) {
 
 function getTimeAgo(dateString) {
   if (!dateString) return '';
-  const now = new Date();
-  const date = new Date(dateString);
-  const seconds = Math.floor((now - date) / 1000);
-  if (seconds < 60) return 'just now';
-  if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
-  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h`;
-  if (seconds < 604800) return `${Math.floor(seconds / 86400)}d`;
-  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  return formatRelativeTime(dateString);
 }
 
 const styles = StyleSheet.create({
@@ -2,25 +2,27 @@ import React from 'react';
 import { View, Text, StyleSheet } from 'react-native';
 import Animated, { FadeInDown } from 'react-native-reanimated';
 import { Users, TrendingUp, Award } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 
 const STATS = [
-  { icon: Users, value: '50K+', label: 'Active users' },
-  { icon: TrendingUp, value: '2.1M', label: 'Meals logged' },
-  { icon: Award, value: '89%', label: 'Hit their goals' },
+  { icon: Users, value: '50K+', labelKey: 'components.socialProofBanner.activeUsers' },
+  { icon: TrendingUp, value: '2.1M', labelKey: 'components.socialProofBanner.mealsLogged' },
+  { icon: Award, value: '89%', labelKey: 'components.socialProofBanner.hitTheirGoals' },
 ];
 
 export default function SocialProofBanner({ style }) {
+  const { t } = useTranslation();
   return (
     <Animated.View entering={FadeInDown.duration(400).delay(200)} style={style}>
       <View style={styles.container}>
         {STATS.map((stat, index) => {
           const Icon = stat.icon;
           return (
-            <View key={stat.label} style={styles.stat}>
+            <View key={stat.labelKey} style={styles.stat}>
               <Icon size={16} color={Colors.primary} />
               <Text style={styles.value}>{stat.value}</Text>
-              <Text style={styles.label}>{stat.label}</Text>
+              <Text style={styles.label}>{t(stat.labelKey)}</Text>
             </View>
           );
         })}
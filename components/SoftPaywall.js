@@ -6,9 +6,11 @@ import { Crown, Lock, Sparkles, X, Check, Users } from 'lucide-react-native';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 import { useSubscription } from '../context/SubscriptionContext';
 import { useRouter } from 'expo-router';
+import { useTranslation } from 'react-i18next';
 import { hapticLight, hapticMedium } from '../lib/haptics';
 import { getABTestVariant, SUBSCRIPTION_TIERS } from '../lib/monetization';
 import { trackConversion } from '../lib/conversionTracking';
+import { formatCurrency } from '../lib/formatters';
 import TrialCountdown from './TrialCountdown';
 
 const PRO_FEATURES = [
@@ -21,6 +23,7 @@ const PRO_FEATURES = [
 ];
 
 export default function SoftPaywall({ feature, previewContent, children }) {
+  const { t } = useTranslation();
   const { isPremium, checkFeature, isTrialing, trialEndDate } = useSubscription();
   const [showPreview, setShowPreview] = useState(false);
   const router = useRouter();
@@ -92,7 +95,7 @@ export default function SoftPaywall({ feature, previewContent, children }) {
         return (
           <View style={styles.variantBody}>
             <Text style={styles.modalDesc}>
-              Unlock everything for just ${monthlyPrice}/mo.
+              {t('components.softPaywall.unlockForMonthly', { price: formatCurrency(monthlyPrice) })}
             </Text>
           </View>
         );
@@ -103,11 +106,11 @@ export default function SoftPaywall({ feature, previewContent, children }) {
             <View style={styles.socialProofBadge}>
               <Users size={16} color={Colors.success} />
               <Text style={styles.socialProofText}>
-                2,847 users upgraded this week
+                {t('components.softPaywall.n2847UsersUpgraded')}
               </Text>
             </View>
             <Text style={styles.modalDesc}>
-              Join thousands of users who unlocked their full potential with Pro.
+              {t('components.softPaywall.joinThousandsOfUsers')}
             </Text>
           </View>
         );
@@ -142,9 +145,9 @@ export default function SoftPaywall({ feature, previewContent, children }) {
           <View style={styles.lockOverlay}>
             <View style={styles.lockBadge}>
               <Lock size={16} color={Colors.warning} />
-              <Text style={styles.lockText}>Pro Feature</Text>
+              <Text style={styles.lockText}>{t('components.softPaywall.proFeature')}</Text>
             </View>
-            <Text style={styles.tapText}>Tap to preview</Text>
+            <Text style={styles.tapText}>{t('components.softPaywall.tapToPreview')}</Text>
           </View>
         </View>
       </Pressable>
@@ -162,7 +165,7 @@ export default function SoftPaywall({ feature, previewContent, children }) {
 
               <View style={styles.modalHeader}>
                 <Sparkles size={24} color={Colors.primary} />
-                <Text style={styles.modalTitle}>Unlock {feature}</Text>
+                <Text style={styles.modalTitle}>{t('components.softPaywall.unlock', { feature })}</Text>
               </View>
 
               {/* Trial countdown (only when trialing) */}
@@ -183,7 +186,7 @@ export default function SoftPaywall({ feature, previewContent, children }) {
               <View style={styles.savingsRow}>
                 <Sparkles size={14} color={Colors.gold} />
                 <Text style={styles.savingsText}>
-                  Save ${annualSavings}/year with annual
+                  {t('components.softPaywall.saveWithAnnual', { savings: formatCurrency(Number(annualSavings)) })}
                 </Text>
               </View>
 
@@ -192,11 +195,11 @@ export default function SoftPaywall({ feature, previewContent, children }) {
                 onPress={handleUpgradeTap}
               >
                 <Crown size={18} color="#fff" />
-                <Text style={styles.upgradeText}>Upgrade to Pro</Text>
+                <Text style={styles.upgradeText}>{t('components.softPaywall.upgradeToPro')}</Text>
               </Pressable>
 
               <Pressable onPress={handleDismiss} style={styles.laterButton}>
-                <Text style={styles.laterText}>Maybe later</Text>
+                <Text style={styles.laterText}>{t('components.softPaywall.maybeLater')}</Text>
               </Pressable>
             </LinearGradient>
           </Animated.View>
@@ -2,6 +2,7 @@ import React from 'react';
 import { View, Text, StyleSheet, Pressable } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Shield, Snowflake, Zap } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { useGamification } from '../context/GamificationContext';
 import {
   Colors,
@@ -11,8 +12,10 @@ import {
   BorderRadius,
   Shadows,
 } from '../constants/theme';
+import { formatNumber } from '../lib/formatters';
 
 export default function StreakFreezeCard() {
+  const { t } = useTranslation();
   const {
     currentStreak,
     hasStreakFreeze,
@@ -30,7 +33,7 @@ export default function StreakFreezeCard() {
     <View
       style={styles.container}
       accessible={true}
-      accessibilityLabel={`Protect your ${currentStreak}-day streak. Buy a Streak Freeze for ${FREEZE_COST} XP`}
+      accessibilityLabel={t('components.streakFreezeCard.protectYourDayStreak2', { currentStreak, FREEZE_COST })}
     >
       <LinearGradient
         colors={['rgba(0, 212, 255, 0.12)', 'rgba(0, 150, 255, 0.05)']}
@@ -50,10 +53,10 @@ export default function StreakFreezeCard() {
 
           <View style={styles.textWrap}>
             <Text style={styles.title}>
-              Protect your {currentStreak}-day streak
+              {t('components.streakFreezeCard.protectYourDayStreak', { currentStreak })}
             </Text>
             <Text style={styles.subtitle}>
-              Buy a Streak Freeze — if you miss a day, it's used automatically.
+              {t('components.streakFreezeCard.buyAStreakFreeze')}
             </Text>
           </View>
         </View>
@@ -74,9 +77,7 @@ export default function StreakFreezeCard() {
           >
             <Snowflake size={16} color="#fff" />
             <Text style={styles.buttonText}>
-              {canAfford
-                ? `Buy Freeze (${FREEZE_COST} XP)`
-                : `Need ${FREEZE_COST} XP`}
+              {t('components.streakFreezeCard.canaffordBuyFreezeXp', { FREEZE_COST })}
             </Text>
           </LinearGradient>
         </Pressable>
@@ -85,7 +86,7 @@ export default function StreakFreezeCard() {
         <View style={styles.xpRow}>
           <Zap size={12} color={Colors.primary} />
           <Text style={styles.xpText}>
-            Your balance: {totalXP.toLocaleString()} XP
+            {t('components.streakFreezeCard.yourBalanceXp', { totalXP: formatNumber(totalXP) })}
           </Text>
         </View>
 
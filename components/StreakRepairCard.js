@@ -11,6 +11,7 @@ import { LinearGradient } from 'expo-linear-gradient';
 import { BlurView } from 'expo-blur';
 import { hapticHeavy, hapticSuccess } from '../lib/haptics';
 import { Flame, AlertCircle, Sparkles } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { useGamification } from '../context/GamificationContext';
 import {
   Colors,
@@ -23,6 +24,7 @@ import {
 } from '../constants/theme';
 
 function StreakRepairCard() {
+  const { t } = useTranslation();
   const { brokenStreak, canRepairStreak, repairStreak, currentStreak, streakRepairCost, totalXP } = useGamification();
   const [isRepairing, setIsRepairing] = useState(false);
   const [repaired, setRepaired] = useState(false);
@@ -119,7 +121,7 @@ function StreakRepairCard() {
         },
       ]}
       accessibilityRole="alert"
-      accessibilityLabel={`Streak broken. Your ${brokenStreak.previousStreak}-day streak ended. Repair costs ${streakRepairCost} XP. You have ${totalXP} XP.`}
+      accessibilityLabel={t('components.streakRepairCard.streakBrokenYourDay', { previousStreak: brokenStreak.previousStreak, streakRepairCost, totalXP })}
     >
       <BlurView intensity={25} tint="dark" style={styles.blurContainer}>
         <LinearGradient
@@ -154,17 +156,17 @@ function StreakRepairCard() {
             <View style={styles.textContainer}>
               <Text style={styles.title}>
                 {brokenStreak.previousStreak >= 14
-                  ? `Don't lose ${brokenStreak.previousStreak} days`
+                  ? t('components.streakRepairCard.dontLoseDays', { previousStreak: brokenStreak.previousStreak })
                   : brokenStreak.previousStreak >= 7
-                  ? 'Your streak is cracking'
-                  : 'Streak Broken!'}
+                  ? t('components.streakRepairCard.yourStreakIsCracking')
+                  : t('components.streakRepairCard.streakBroken')}
               </Text>
               <Text style={styles.subtitle}>
                 {brokenStreak.previousStreak >= 14
-                  ? `${brokenStreak.previousStreak} days of discipline — gone unless you act now.`
+                  ? t('components.streakRepairCard.daysOfDisciplineGone', { previousStreak: brokenStreak.previousStreak })
                   : brokenStreak.previousStreak >= 7
-                  ? `Your ${brokenStreak.previousStreak}-day streak is about to shatter. Repair it before midnight.`
-                  : `Your ${brokenStreak.previousStreak}-day streak ended. Repair it now!`}
+                  ? t('components.streakRepairCard.yourDayStreakIs', { previousStreak: brokenStreak.previousStreak })
+                  : t('components.streakRepairCard.yourDayStreakEnded', { previousStreak: brokenStreak.previousStreak })}
               </Text>
             </View>
           </View>
@@ -175,8 +177,8 @@ function StreakRepairCard() {
             disabled={isRepairing || totalXP < streakRepairCost}
             style={styles.buttonWrapper}
             accessibilityRole="button"
-            accessibilityLabel={`Repair streak for ${streakRepairCost} XP`}
-            accessibilityHint="Restores your streak"
+            accessibilityLabel={t('components.streakRepairCard.repairStreakForXp', { streakRepairCost })}
+            accessibilityHint={t('components.streakRepairCard.restoresYourStreak')}
             accessibilityState={{ disabled: isRepairing || totalXP < streakRepairCost }}
           >
             <LinearGradient
@@ -192,8 +194,8 @@ function StreakRepairCard() {
                   <Sparkles size={18} color="#fff" />
                   <Text style={styles.buttonText}>
                     {totalXP >= streakRepairCost
-                      ? `Repair Streak (${streakRepairCost} XP)`
-                      : `Need ${streakRepairCost} XP`}
+                      ? t('components.streakRepairCard.repairStreakXp', { streakRepairCost })
+                      : t('components.streakRepairCard.needXp', { streakRepairCost })}
                   </Text>
                 </>
               )}
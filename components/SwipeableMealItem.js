@@ -11,6 +11,7 @@ import ReAnimated, {
   Extrapolation,
 } from 'react-native-reanimated';
 import { Trash2 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 import { hapticWarning } from '../lib/haptics';
 
@@ -19,6 +20,7 @@ const MAX_TRANSLATE = -120;
 const SPRING_CONFIG = { damping: 20, stiffness: 200 };
 
 const SwipeableMealItem = React.memo(function SwipeableMealItem({ item, mealType, onRemove, children }) {
+  const { t } = useTranslation();
   const translateX = useSharedValue(0);
   const crossedThreshold = useSharedValue(false);
 
@@ -107,13 +109,13 @@ const SwipeableMealItem = React.memo(function SwipeableMealItem({ item, mealType
       <ReAnimated.View
         style={[styles.deleteZone, deleteZoneStyle]}
         accessibilityRole="button"
-        accessibilityLabel={`Delete ${item.name}`}
-        accessibilityHint="Swipe left to delete this food item"
+        accessibilityLabel={t('components.swipeableMealItem.delete', { name: item.name })}
+        accessibilityHint={t('components.mealSection.swipeLeftToDelete')}
       >
         <ReAnimated.View style={trashIconStyle}>
           <Trash2 size={20} color="#fff" />
         </ReAnimated.View>
-        <Text style={styles.deleteText}>Delete</Text>
+        <Text style={styles.deleteText}>{t('common.delete')}</Text>
       </ReAnimated.View>
 
       {/* Swipeable content */}
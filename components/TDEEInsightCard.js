@@ -27,6 +27,7 @@ import {
   CheckCircle,
   Info,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import GlassCard from './ui/GlassCard';
 import {
   Colors,
@@ -37,6 +38,7 @@ import {
   BorderRadius,
 } from '../constants/theme';
 import { useAdaptiveTDEE } from '../hooks/useAdaptiveTDEE';
+import { formatNumber } from '../lib/formatters';
 
 // ---------------------------------------------------------------------------
 // Sub-components
@@ -44,12 +46,13 @@ import { useAdaptiveTDEE } from '../hooks/useAdaptiveTDEE';
 
 /** Confidence meter: a segmented bar (0-1) */
 function ConfidenceMeter({ confidence, source }) {
+  const { t } = useTranslation();
   const segments = 5;
   const filledSegments = Math.round(confidence * segments);
   const label =
-    confidence >= 0.7 ? 'High' :
-    confidence >= 0.4 ? 'Medium' :
-    confidence >= 0.2 ? 'Low' : 'Building...';
+    confidence >= 0.7 ? t('components.tDEEInsightCard.high') :
+    confidence >= 0.4 ? t('components.tDEEInsightCard.medium') :
+    confidence >= 0.2 ? t('components.tDEEInsightCard.low') : t('components.tDEEInsightCard.building');
 
   const color =
     confidence >= 0.7 ? Colors.success :
@@ -72,8 +75,8 @@ function ConfidenceMeter({ confidence, source }) {
         ))}
       </View>
       <Text style={[styles.confidenceLabel, { color }]}>
-        {label} confidence
-        {source !== 'formula' ? '' : ' (formula only)'}
+        {t('components.tDEEInsightCard.confidence', { label })}
+        {source !== 'formula' ? '' : t('components.tDEEInsightCard.formulaOnly')}
       </Text>
     </View>
   );
@@ -81,10 +84,11 @@ function ConfidenceMeter({ confidence, source }) {
 
 /** Mini sparkline chart using react-native-svg */
 function Sparkline({ data, width = 200, height = 50 }) {
+  const { t } = useTranslation();
   if (!data || data.length < 2) {
     return (
       <View style={[styles.sparklineContainer, { width, height }]}>
-        <Text style={styles.sparklineEmpty}>Not enough data for trend</Text>
+        <Text style={styles.sparklineEmpty}>{t('components.tDEEInsightCard.notEnoughDataFor')}</Text>
       </View>
     );
   }
@@ -136,10 +140,10 @@ function Sparkline({ data, width = 200, height = 50 }) {
       </Svg>
       <View style={styles.sparklineLabels}>
         <Text style={styles.sparklineLabelLeft}>
-          {Math.round(min)} cal
+          {formatNumber(Math.round(min))} {t('units.cal')}
         </Text>
         <Text style={styles.sparklineLabelRight}>
-          {Math.round(max)} cal
+          {formatNumber(Math.round(max))} {t('units.cal')}
         </Text>
       </View>
     </View>
@@ -148,11 +152,12 @@ function Sparkline({ data, width = 200, height = 50 }) {
 
 /** Data quality dots: how many days logged this week */
 function DataQualityIndicator({ daysLogged }) {
+  const { t } = useTranslation();
   const totalDays = 7;
   return (
     <View style={styles.dataQualityRow}>
       <BarChart3 size={14} color={Colors.textTertiary} />
-      <Text style={styles.dataQualityLabel}>This week</Text>
+      <Text style={styles.dataQualityLabel}>{t('components.tDEEInsightCard.thisWeek')}</Text>
       <View style={styles.dataQualityDots}>
         {Array.from({ length: totalDays }).map((_, i) => (
           <View
@@ -206,6 +211,7 @@ function InsightRow({ insight }) {
 // ---------------------------------------------------------------------------
 
 function TDEEInsightCard() {
+  const { t } = useTranslation();
   const {
     estimate,
     trendData,
@@ -219,10 +225,10 @@ function TDEEInsightCard() {
   const weightChangeText = useMemo(() => {
     if (!estimate) return null;
     const change = estimate.weeklyWeightChange;
-    if (Math.abs(change) < 0.05) return 'Stable';
+    if (Math.abs(change) < 0.05) return t('components.tDEEInsightCard.stable');
     const sign = change > 0 ? '+' : '';
-    return `${sign}${change.toFixed(2)} kg/week`;
-  }, [estimate]);
+    return t('components.tDEEInsightCard.kgPerWeek', { change: `${sign}${formatNumber(change, 2)}` });
+  }, [estimate, t]);
 
   // Loading state
   if (isLoading && !estimate) {
@@ -230,7 +236,7 @@ function TDEEInsightCard() {
       <GlassCard style={styles.card}>
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="small" color={Colors.primary} />
-          <Text style={styles.loadingText}>Analyzing your metabolism...</Text>
+          <Text style={styles.loadingText}>{t('components.tDEEInsightCard.analyzingYourMetabolism')}</Text>
         </View>
       </GlassCard>
     );
@@ -250,13 +256,12 @@ function TDEEInsightCard() {
             <Flame size={18} color="#FFF" />
           </LinearGradient>
           <View style={styles.headerText}>
-            <Text style={styles.title}>Adaptive TDEE</Text>
-            <Text style={styles.subtitle}>Log food & weight to unlock</Text>
+            <Text style={styles.title}>{t('components.tDEEInsightCard.adaptiveTdee')}</Text>
+            <Text style={styles.subtitle}>{t('components.tDEEInsightCard.logFoodWeightTo')}</Text>
           </View>
         </View>
         <Text style={styles.emptyMessage}>
-          Track your calories and weigh in regularly to build a personalized
-          metabolic estimate. We need at least 7 days of data.
+          {t('components.tDEEInsightCard.trackYourCaloriesAnd')}
         </Text>
         <DataQualityIndicator daysLogged={daysLoggedThisWeek} />
       </GlassCard>
@@ -276,15 +281,15 @@ function TDEEInsightCard() {
           <Flame size={18} color="#FFF" />
         </LinearGradient>
         <View style={styles.headerText}>
-          <Text style={styles.title}>Adaptive TDEE</Text>
+          <Text style={styles.title}>{t('components.tDEEInsightCard.adaptiveTdee')}</Text>
           <View style={styles.sourceRow}>
             <Shield size={12} color={Colors.textTertiary} />
             <Text style={styles.sourceLabel}>
               {estimate.estimateSource === 'observed'
-                ? 'Powered by your data'
+                ? t('components.tDEEInsightCard.poweredByYourData')
                 : estimate.estimateSource === 'hybrid'
-                ? 'Formula + observed data'
-                : 'Formula-based estimate'}
+                ? t('components.tDEEInsightCard.formulaObservedData')
+                : t('components.tDEEInsightCard.formulaBasedEstimate')}
             </Text>
           </View>
         </View>
@@ -293,8 +298,8 @@ function TDEEInsightCard() {
       {/* Main TDEE display */}
       <View style={styles.tdeeRow}>
         <View style={styles.tdeeMain}>
-          <Text style={styles.tdeeValue}>{estimate.tdee.toLocaleString()}</Text>
-          <Text style={styles.tdeeUnit}>cal/day</Text>
+          <Text style={styles.tdeeValue}>{formatNumber(estimate.tdee)}</Text>
+          <Text style={styles.tdeeUnit}>{t('components.tDEEInsightCard.calDay')}</Text>
         </View>
         <View style={styles.tdeeMeta}>
           <View style={styles.metaItem}>
@@ -305,7 +310,7 @@ function TDEEInsightCard() {
             <View style={styles.metaItem}>
               <Zap size={14} color={Colors.primary} />
               <Text style={[styles.metaText, { color: Colors.primaryText }]}>
-                Target: {estimate.recommendedIntake.toLocaleString()}
+                {t('components.tDEEInsightCard.target', { recommendedIntake: formatNumber(estimate.recommendedIntake) })}
               </Text>
             </View>
           )}
@@ -321,32 +326,32 @@ function TDEEInsightCard() {
       {/* Sparkline trend */}
       {trendData.length >= 2 && (
         <View style={styles.sparklineSection}>
-          <Text style={styles.sectionLabel}>30-Day TDEE Trend</Text>
+          <Text style={styles.sectionLabel}>{t('components.tDEEInsightCard.n30DayTdeeTrend')}</Text>
           <Sparkline data={trendData} width={280} height={55} />
         </View>
       )}
 
       {/* Metabolism breakdown */}
       <View style={styles.metabolismSection}>
-        <Text style={styles.sectionLabel}>Your Metabolism</Text>
+        <Text style={styles.sectionLabel}>{t('components.tDEEInsightCard.yourMetabolism')}</Text>
         <View style={styles.metabolismRow}>
           <View style={styles.metabolismItem}>
             <Activity size={14} color={Colors.textTertiary} />
-            <Text style={styles.metabolismLabel}>BMR</Text>
-            <Text style={styles.metabolismValue}>{estimate.bmr.toLocaleString()}</Text>
+            <Text style={styles.metabolismLabel}>{t('components.tDEEInsightCard.bmr')}</Text>
+            <Text style={styles.metabolismValue}>{formatNumber(estimate.bmr)}</Text>
           </View>
           <View style={styles.metabolismDivider} />
           <View style={styles.metabolismItem}>
             <Zap size={14} color={Colors.textTertiary} />
-            <Text style={styles.metabolismLabel}>Activity</Text>
+            <Text style={styles.metabolismLabel}>{t('components.tDEEInsightCard.activity')}</Text>
             <Text style={styles.metabolismValue}>x{estimate.activityMultiplier.toFixed(2)}</Text>
           </View>
           <View style={styles.metabolismDivider} />
           <View style={styles.metabolismItem}>
             <Flame size={14} color={Colors.primary} />
-            <Text style={styles.metabolismLabel}>TDEE</Text>
+            <Text style={styles.metabolismLabel}>{t('components.tDEEInsightCard.tdee')}</Text>
             <Text style={[styles.metabolismValue, { color: Colors.primaryText }]}>
-              {estimate.tdee.toLocaleString()}
+              {formatNumber(estimate.tdee)}
             </Text>
           </View>
         </View>
@@ -367,7 +372,7 @@ function TDEEInsightCard() {
       {/* Data points badge */}
       <View style={styles.footerRow}>
         <Text style={styles.footerText}>
-          Based on {totalDaysWithData} days of paired data
+          {t('components.tDEEInsightCard.basedOnDaysOf', { totalDaysWithData })}
         </Text>
       </View>
     </GlassCard>
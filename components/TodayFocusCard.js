@@ -10,6 +10,7 @@ import {
   Sparkles,
   Target,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import GlassCard from './ui/GlassCard';
 import {
   BorderRadius,
@@ -18,16 +19,17 @@ import {
   FontWeight,
   Spacing,
 } from '../constants/theme';
+import { formatNumber, formatVolume } from '../lib/formatters';
 
-const MEAL_LABELS = {
-  breakfast: 'Breakfast',
-  lunch: 'Lunch',
-  dinner: 'Dinner',
-  snacks: 'Snacks',
+const MEAL_LABEL_KEYS = {
+  breakfast: 'diary.breakfast',
+  lunch: 'diary.lunch',
+  dinner: 'diary.dinner',
+  snacks: 'diary.snacks',
 };
 
 function getActiveMealType(selectedDate, meals) {
-  const fallbackMeal = Object.keys(MEAL_LABELS).find((mealType) => (meals?.[mealType] || []).length === 0);
+  const fallbackMeal = Object.keys(MEAL_LABEL_KEYS).find((mealType) => (meals?.[mealType] || []).length === 0);
   if (!selectedDate || !isToday(selectedDate)) {
     return fallbackMeal || 'snacks';
   }
@@ -39,7 +41,7 @@ function getActiveMealType(selectedDate, meals) {
   return (meals?.snacks || []).length === 0 ? 'snacks' : (fallbackMeal || 'snacks');
 }
 
-function buildFocusState({
+function buildFocusState(t, {
   selectedDate,
   meals,
   goals,
@@ -50,7 +52,7 @@ function buildFocusState({
   onOpenCoach,
 }) {
   const activeMealType = getActiveMealType(selectedDate, meals);
-  const activeMealLabel = MEAL_LABELS[activeMealType];
+  const activeMealLabel = t(MEAL_LABEL_KEYS[activeMealType]);
   const activeMealCount = (meals?.[activeMealType] || []).length;
   const proteinRemaining = Math.max((goals?.protein || 0) - (totals?.protein || 0), 0);
   const hydrationPercent = Math.round(waterProgress?.percentage || 0);
@@ -58,10 +60,10 @@ function buildFocusState({
 
   if (!selectedDate || !isToday(selectedDate)) {
     return {
-      badge: 'Plan the day',
-      title: `Build ${activeMealLabel.toLowerCase()} before you need it`,
-      description: 'Draft the day up front so calories and protein stop drifting later.',
-      primaryLabel: `Add ${activeMealLabel}`,
+      badge: t('components.todayFocusCard.planBadge'),
+      title: t('components.todayFocusCard.planTitle', { meal: activeMealLabel }),
+      description: t('components.todayFocusCard.planDescription'),
+      primaryLabel: t('components.todayFocusCard.addMeal', { meal: activeMealLabel }),
       primaryIcon: Target,
       primaryAction: () => onLogMeal(activeMealType),
       primaryGradient: [Colors.primary, Colors.primaryDim],
@@ -70,10 +72,10 @@ function buildFocusState({
 
   if (activeMealCount === 0) {
     return {
-      badge: 'Next best action',
-      title: `Log ${activeMealLabel.toLowerCase()} while the day is still in control`,
-      description: `${caloriesRemaining.toLocaleString()} kcal remain and you still have room to land the day cleanly.`,
-      primaryLabel: `Log ${activeMealLabel}`,
+      badge: t('components.todayFocusCard.nextBadge'),
+      title: t('components.todayFocusCard.nextTitle', { meal: activeMealLabel }),
+      description: t('components.todayFocusCard.nextDescription', { calories: formatNumber(caloriesRemaining) }),
+      primaryLabel: t('components.todayFocusCard.logMeal', { meal: activeMealLabel }),
       primaryIcon: Target,
       primaryAction: () => onLogMeal(activeMealType),
       primaryGradient: [Colors.primary, Colors.primaryDim],
@@ -82,10 +84,10 @@ function buildFocusState({
 
   if (proteinRemaining >= 25) {
     return {
-      badge: 'Protein gap',
-      title: `Close the last ${proteinRemaining}g of protein`,
-      description: 'One deliberate add now is better than chasing the target with random snacks later.',
-      primaryLabel: 'Add protein',
+      badge: t('components.todayFocusCard.proteinBadge'),
+      title: t('components.todayFocusCard.proteinTitle', { grams: proteinRemaining }),
+      description: t('components.todayFocusCard.proteinDescription'),
+      primaryLabel: t('components.todayFocusCard.addProtein'),
       primaryIcon: Sparkles,
       primaryAction: () => onLogMeal('snacks'),
       primaryGradient: ['#FF6B9D', '#FF8A80'],
@@ -94,10 +96,10 @@ function buildFocusState({
 
   if (hydrationPercent < 60) {
     return {
-      badge: 'Hydration',
-      title: 'Catch up on water before energy drops',
-      description: `You are only at ${hydrationPercent}% of target. A quick 250 ml log restores momentum.`,
-      primaryLabel: 'Log 250 ml',
+      badge: t('components.todayFocusCard.hydration'),
+      title: t('components.todayFocusCard.hydrationTitle'),
+      description: t('components.todayFocusCard.hydrationDescription', { percent: hydrationPercent }),
+      primaryLabel: t('components.todayFocusCard.logWater', { amount: formatVolume(250) }),
       primaryIcon: Droplets,
       primaryAction: onLogWater,
       primaryGradient: ['#64D2FF', Colors.primary],
@@ -105,10 +107,10 @@ function buildFocusState({
   }
 
   return {
-    badge: 'Locked in',
-    title: 'The day is stable, keep it simple',
-    description: 'Use scan for anything unlogged or let the coach tune the last 10% for you.',
-    primaryLabel: 'Open coach',
+    badge: t('components.todayFocusCard.lockedBadge'),
+    title: t('components.todayFocusCard.lockedTitle'),
+    description: t('components.todayFocusCard.lockedDescription'),
+    primaryLabel: t('components.todayFocusCard.openCoach'),
     primaryIcon: CheckCircle2,
     primaryAction: onOpenCoach,
     primaryGradient: [Colors.success, Colors.successDim],
@@ -144,15 +146,16 @@ function TodayFocusCard({
   onLogWater,
   onOpenCoach,
 }) {
+  const { t } = useTranslation();
   const completedMeals = useMemo(
-    () => Object.keys(MEAL_LABELS).filter((mealType) => (meals?.[mealType] || []).length > 0).length,
+    () => Object.keys(MEAL_LABEL_KEYS).filter((mealType) => (meals?.[mealType] || []).length > 0).length,
     [meals]
   );
   const proteinRemaining = Math.max((goals?.protein || 0) - (totals?.protein || 0), 0);
   const hydrationPercent = Math.round(waterProgress?.percentage || 0);
 
   const focus = useMemo(
-    () => buildFocusState({
+    () => buildFocusState(t, {
       selectedDate,
       meals,
       goals,
@@ -162,7 +165,7 @@ function TodayFocusCard({
       onLogWater,
       onOpenCoach,
     }),
-    [selectedDate, meals, goals, totals, waterProgress, onLogMeal, onLogWater, onOpenCoach]
+    [selectedDate, meals, goals, totals, waterProgress, onLogMeal, onLogWater, onOpenCoach, t]
   );
 
   const PrimaryIcon = focus.primaryIcon;
@@ -170,7 +173,7 @@ function TodayFocusCard({
   return (
     <GlassCard style={styles.card} variant="accent" glow>
       <View style={styles.eyebrowRow}>
-        <Text style={styles.eyebrow}>Today Focus</Text>
+        <Text style={styles.eyebrow}>{t('components.todayFocusCard.todayFocus')}</Text>
         <View style={styles.badge}>
           <Text style={styles.badgeText}>{focus.badge}</Text>
         </View>
@@ -180,9 +183,9 @@ function TodayFocusCard({
       <Text style={styles.description}>{focus.description}</Text>
 
       <View style={styles.metricsRow}>
-        <MetricPill label="Meals logged" value={`${completedMeals}/4`} />
-        <MetricPill label="Protein left" value={`${proteinRemaining}g`} />
-        <MetricPill label="Hydration" value={`${hydrationPercent}%`} />
+        <MetricPill label={t('components.todayFocusCard.mealsLogged')} value={`${completedMeals}/4`} />
+        <MetricPill label={t('components.todayFocusCard.proteinLeft')} value={`${proteinRemaining}g`} />
+        <MetricPill label={t('components.todayFocusCard.hydration')} value={`${hydrationPercent}%`} />
       </View>
 
       <Pressable style={styles.primaryAction} onPress={focus.primaryAction}>
@@ -201,9 +204,9 @@ function TodayFocusCard({
       </Pressable>
 
       <View style={styles.secondaryRow}>
-        <SecondaryAction icon={ScanBarcode} label="Scan" onPress={onOpenScanner} />
-        <SecondaryAction icon={Droplets} label="Water" onPress={onLogWater} />
-        <SecondaryAction icon={Sparkles} label="Coach" onPress={onOpenCoach} />
+        <SecondaryAction icon={ScanBarcode} label={t('components.todayFocusCard.scan')} onPress={onOpenScanner} />
+        <SecondaryAction icon={Droplets} label={t('components.todayFocusCard.water')} onPress={onLogWater} />
+        <SecondaryAction icon={Sparkles} label={t('components.todayFocusCard.coach')} onPress={onOpenCoach} />
       </View>
     </GlassCard>
   );
@@ -1,6 +1,7 @@
 import React, { useMemo } from 'react';
 import { View, Text, StyleSheet } from 'react-native';
 import { Clock } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 
 /**
@@ -11,6 +12,7 @@ import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constant
  *   trialDurationDays?: number  - Total trial length for progress calculation (default: 7)
  */
 export default function TrialCountdown({ trialEndDate, trialDurationDays = 7 }) {
+  const { t } = useTranslation();
   const { daysLeft, progress, isExpired, isWarning } = useMemo(() => {
     if (!trialEndDate) {
       return { daysLeft: 0, progress: 0, isExpired: true, isWarning: false };
@@ -49,10 +51,10 @@ export default function TrialCountdown({ trialEndDate, trialDurationDays = 7 })
         <Clock size={14} color={barColor} />
         <Text style={[styles.label, { color: textColor }]}>
           {isExpired
-            ? 'Trial ended'
+            ? t('components.trialCountdown.trialEnded')
             : daysLeft === 1
-              ? '1 day left in your trial'
-              : `${daysLeft} days left in your trial`}
+              ? t('components.trialCountdown.n1DayLeftIn')
+              : t('components.trialCountdown.daysLeftInYour', { daysLeft })}
         </Text>
       </View>
       <View style={styles.trackOuter}>
@@ -6,9 +6,11 @@ import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 import { useSubscription } from '../context/SubscriptionContext';
 import { useRouter } from 'expo-router';
+import { useTranslation } from 'react-i18next';
 import { hapticLight } from '../lib/haptics';
 
 export default function TrialExpirationBanner() {
+  const { t } = useTranslation();
   const { isTrialing, trialEndDate, isPremium } = useSubscription();
   const router = useRouter();
   const insets = useSafeAreaInsets();
@@ -28,10 +30,10 @@ export default function TrialExpirationBanner() {
   const textColor = urgency === 'critical' ? Colors.error : urgency === 'warning' ? Colors.warning : Colors.primary;
 
   const message = daysRemaining === 0
-    ? 'Your trial expires today!'
+    ? t('components.trialExpirationBanner.yourTrialExpiresToday')
     : daysRemaining === 1
-    ? 'Last day of your free trial'
-    : `${daysRemaining} days left in your trial`;
+    ? t('components.trialExpirationBanner.lastDayOfYour')
+    : t('components.trialExpirationBanner.daysLeftInYour', { daysRemaining });
 
   return (
     <Animated.View
@@ -43,13 +45,13 @@ export default function TrialExpirationBanner() {
         style={[styles.container, { backgroundColor: bgColor }]}
         onPress={() => { hapticLight(); router.push('/settings'); }}
         accessibilityRole="button"
-        accessibilityLabel={`${message}. Tap to upgrade.`}
+        accessibilityLabel={t('components.trialExpirationBanner.a11yLabel', { message })}
       >
         <Clock size={16} color={textColor} />
         <Text style={[styles.text, { color: textColor }]}>{message}</Text>
         <View style={[styles.badge, { backgroundColor: textColor }]}>
           <Crown size={12} color="#fff" />
-          <Text style={styles.badgeText}>Upgrade</Text>
+          <Text style={styles.badgeText}>{t('common.upgrade')}</Text>
         </View>
       </Pressable>
     </Animated.View>
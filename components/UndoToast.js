@@ -1,11 +1,13 @@
 import React, { useEffect } from 'react';
 import { View, Text, Pressable, StyleSheet } from 'react-native';
 import Animated, { FadeInUp, FadeOutDown } from 'react-native-reanimated';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 
 const AUTO_DISMISS_MS = 3000;
 
 export default function UndoToast({ visible, message, onUndo, onDismiss }) {
+  const { t } = useTranslation();
   useEffect(() => {
     if (!visible) return;
 
@@ -33,7 +35,7 @@ export default function UndoToast({ visible, message, onUndo, onDismiss }) {
         {message}
       </Text>
       <Pressable onPress={handleUndo} hitSlop={8}>
-        <Text style={styles.undoText}>Undo</Text>
+        <Text style={styles.undoText}>{t('components.undoToast.undo')}</Text>
       </Pressable>
     </Animated.View>
   );
@@ -2,6 +2,7 @@ import React, { memo } from 'react';
 import { View, Text, StyleSheet, Pressable } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { ChevronRight, Crown, Mic, ScanBarcode, TrendingUp } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import GlassCard from './ui/GlassCard';
 import {
   BorderRadius,
@@ -21,6 +22,7 @@ const Benefit = memo(function Benefit({ icon: Icon, label }) {
 });
 
 function UpgradeMomentumCard({ onPress }) {
+  const { t } = useTranslation();
   return (
     <GlassCard style={styles.card} glow>
       <View style={styles.header}>
@@ -29,20 +31,20 @@ function UpgradeMomentumCard({ onPress }) {
             <Crown size={18} color={Colors.warning} strokeWidth={2.2} />
           </View>
           <View style={styles.copy}>
-            <Text style={styles.eyebrow}>After Value</Text>
-            <Text style={styles.title}>Upgrade for more speed and insight</Text>
+            <Text style={styles.eyebrow}>{t('components.upgradeMomentumCard.afterValue')}</Text>
+            <Text style={styles.title}>{t('components.upgradeMomentumCard.upgradeForMoreSpeed')}</Text>
           </View>
         </View>
       </View>
 
       <Text style={styles.body}>
-        You have already logged enough to feel the core loop. Pro cuts more time out of capture and gives you a clearer read on the day.
+        {t('components.upgradeMomentumCard.youHaveAlreadyLogged')}
       </Text>
 
       <View style={styles.benefits}>
-        <Benefit icon={Mic} label="Voice logging for faster capture" />
-        <Benefit icon={ScanBarcode} label="Premium scan and shortcut workflows" />
-        <Benefit icon={TrendingUp} label="Deeper progress and coaching insight" />
+        <Benefit icon={Mic} label={t('components.upgradeMomentumCard.voiceLoggingForFaster')} />
+        <Benefit icon={ScanBarcode} label={t('components.upgradeMomentumCard.premiumScanAndShortcut')} />
+        <Benefit icon={TrendingUp} label={t('components.upgradeMomentumCard.deeperProgressAndCoaching')} />
       </View>
 
       <Pressable onPress={onPress} style={styles.ctaWrap}>
@@ -52,7 +54,7 @@ function UpgradeMomentumCard({ onPress }) {
           end={{ x: 1, y: 1 }}
           style={styles.ctaGradient}
         >
-          <Text style={styles.ctaText}>See Pro</Text>
+          <Text style={styles.ctaText}>{t('components.upgradeMomentumCard.seePro')}</Text>
           <ChevronRight size={18} color="#1B1300" strokeWidth={2.5} />
         </LinearGradient>
       </Pressable>
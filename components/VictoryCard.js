@@ -2,7 +2,9 @@ import React, { forwardRef } from 'react';
 import { View, Text, StyleSheet, Dimensions } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Flame, Target, Zap, Trophy } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { Colors, FontSize, FontWeight, Spacing, BorderRadius } from '../constants/theme';
+import { formatDate, formatNumber } from '../lib/formatters';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 const CARD_WIDTH = SCREEN_WIDTH - 48;
@@ -20,13 +22,14 @@ const VictoryCard = forwardRef(({
   fatGoal = 65,
   date = new Date(),
 }, ref) => {
+  const { t } = useTranslation();
   const calorieProgress = Math.min((caloriesConsumed / caloriesGoal) * 100, 100);
   const proteinProgress = Math.min((protein / proteinGoal) * 100, 100);
   const carbsProgress = Math.min((carbs / carbsGoal) * 100, 100);
   const fatProgress = Math.min((fat / fatGoal) * 100, 100);
 
   const isOnTrack = caloriesConsumed <= caloriesGoal;
-  const dateString = date.toLocaleDateString('en-US', {
+  const dateString = formatDate(date, {
     weekday: 'long',
     month: 'short',
     day: 'numeric',
@@ -34,10 +37,10 @@ const VictoryCard = forwardRef(({
 
   // Determine card theme based on streak
   const getStreakTier = () => {
-    if (streak >= 30) return { label: 'LEGENDARY', color: '#FFD700', gradient: ['#1a1a2e', '#16213e', '#0f3460'] };
-    if (streak >= 14) return { label: 'ELITE', color: '#E040FB', gradient: ['#1a1a2e', '#2d1b4e', '#1a1a2e'] };
-    if (streak >= 7) return { label: 'ON FIRE', color: '#FF6B35', gradient: ['#1a1a2e', '#3d1a1a', '#1a1a2e'] };
-    return { label: 'RISING', color: '#00E676', gradient: ['#1a1a2e', '#1a2e1a', '#1a1a2e'] };
+    if (streak >= 30) return { label: t('components.victoryCard.legendary'), color: '#FFD700', gradient: ['#1a1a2e', '#16213e', '#0f3460'] };
+    if (streak >= 14) return { label: t('components.victoryCard.elite'), color: '#E040FB', gradient: ['#1a1a2e', '#2d1b4e', '#1a1a2e'] };
+    if (streak >= 7) return { label: t('components.victoryCard.onFire'), color: '#FF6B35', gradient: ['#1a1a2e', '#3d1a1a', '#1a1a2e'] };
+    return { label: t('components.victoryCard.rising'), color: '#00E676', gradient: ['#1a1a2e', '#1a2e1a', '#1a1a2e'] };
   };
 
   const tier = getStreakTier();
@@ -76,7 +79,7 @@ const VictoryCard = forwardRef(({
               <Flame size={32} color={Colors.warning} />
             </View>
             <Text style={styles.streakNumber}>{streak}</Text>
-            <Text style={styles.streakLabel}>Day Streak</Text>
+            <Text style={styles.streakLabel}>{t('components.victoryCard.dayStreak')}</Text>
           </View>
 
           {/* Calories Ring */}
@@ -84,8 +87,8 @@ const VictoryCard = forwardRef(({
             <View style={styles.caloriesRing}>
               <View style={styles.caloriesInner}>
                 <Target size={20} color={isOnTrack ? Colors.success : Colors.error} />
-                <Text style={styles.caloriesValue}>{caloriesConsumed.toLocaleString()}</Text>
-                <Text style={styles.caloriesLabel}>of {caloriesGoal.toLocaleString()} cal</Text>
+                <Text style={styles.caloriesValue}>{formatNumber(caloriesConsumed)}</Text>
+                <Text style={styles.caloriesLabel}>{t('components.victoryCard.ofCal', { caloriesGoal: formatNumber(caloriesGoal) })}</Text>
               </View>
               {/* Progress ring visual */}
               <View style={[styles.progressRing, { borderColor: isOnTrack ? Colors.success : Colors.error }]}>
@@ -101,19 +104,19 @@ const VictoryCard = forwardRef(({
               </View>
             </View>
             <Text style={[styles.statusText, { color: isOnTrack ? Colors.success : Colors.error }]}>
-              {isOnTrack ? 'On Track!' : 'Over Budget'}
+              {isOnTrack ? t('components.victoryCard.onTrack') : t('components.victoryCard.overBudget')}
             </Text>
           </View>
         </View>
 
         {/* Macros Bar */}
         <View style={styles.macrosSection}>
-          <Text style={styles.macrosTitle}>MACROS</Text>
+          <Text style={styles.macrosTitle}>{t('components.victoryCard.macros')}</Text>
           <View style={styles.macrosRow}>
             <View style={styles.macroItem}>
               <View style={styles.macroHeader}>
                 <View style={[styles.macroDot, { backgroundColor: Colors.protein }]} />
-                <Text style={styles.macroLabel}>Protein</Text>
+                <Text style={styles.macroLabel}>{t('food.protein')}</Text>
               </View>
               <Text style={styles.macroValue}>{protein}g</Text>
               <View style={styles.macroBar}>
@@ -123,7 +126,7 @@ const VictoryCard = forwardRef(({
             <View style={styles.macroItem}>
               <View style={styles.macroHeader}>
                 <View style={[styles.macroDot, { backgroundColor: Colors.carbs }]} />
-                <Text style={styles.macroLabel}>Carbs</Text>
+                <Text style={styles.macroLabel}>{t('food.carbs')}</Text>
               </View>
               <Text style={styles.macroValue}>{carbs}g</Text>
               <View style={styles.macroBar}>
@@ -133,7 +136,7 @@ const VictoryCard = forwardRef(({
             <View style={styles.macroItem}>
               <View style={styles.macroHeader}>
                 <View style={[styles.macroDot, { backgroundColor: Colors.fat }]} />
-                <Text style={styles.macroLabel}>Fat</Text>
+                <Text style={styles.macroLabel}>{t('food.fat')}</Text>
               </View>
               <Text style={styles.macroValue}>{fat}g</Text>
               <View style={styles.macroBar}>
@@ -148,7 +151,7 @@ const VictoryCard = forwardRef(({
           <View style={styles.footerLine} />
           <View style={styles.footerContent}>
             <Trophy size={14} color="#888" />
-            <Text style={styles.footerText}>FuelIQ - AI Fitness</Text>
+            <Text style={styles.footerText}>{t('components.victoryCard.fueliqAiFitness')}</Text>
           </View>
         </View>
       </LinearGradient>
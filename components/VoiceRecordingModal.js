@@ -10,11 +10,13 @@ import {
 import {
   Square,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 
 // Voice Recording Overlay Modal with animated waveform
 const WAVE_BAR_COUNT = 12;
 function VoiceRecordingModal({ visible, onStop }) {
+  const { t } = useTranslation();
   const pulseAnim = useRef(new Animated.Value(1)).current;
   const waveAnims = useRef(
     Array.from({ length: WAVE_BAR_COUNT }, () => new Animated.Value(0.3))
@@ -71,11 +73,11 @@ function VoiceRecordingModal({ visible, onStop }) {
   return (
     <Modal visible={visible} transparent animationType="fade" onRequestClose={onStop}>
       <View style={styles.voiceOverlay}>
-        <View style={styles.voiceRecordingCard} accessibilityViewIsModal={true} accessibilityLabel="Voice recording">
+        <View style={styles.voiceRecordingCard} accessibilityViewIsModal={true} accessibilityLabel={t('components.voiceRecordingModal.voiceRecording')}>
           <Animated.View style={[styles.voicePulseDot, { transform: [{ scale: pulseAnim }] }]}>
             <View style={styles.voiceRedDot} />
           </Animated.View>
-          <Text style={styles.voiceListeningText}>Listening...</Text>
+          <Text style={styles.voiceListeningText}>{t('components.voiceRecordingModal.listening')}</Text>
           <Text style={styles.voiceTimerText}>{formatTime(seconds)}</Text>
 
           {/* Animated waveform bars */}
@@ -94,7 +96,7 @@ function VoiceRecordingModal({ visible, onStop }) {
             ))}
           </View>
 
-          <Text style={styles.voiceHintText}>Describe what you ate</Text>
+          <Text style={styles.voiceHintText}>{t('components.voiceRecordingModal.describeWhatYouAte')}</Text>
 
           <Pressable style={styles.voiceStopButton} onPress={onStop}>
             <Square size={20} color={Colors.text} fill={Colors.text} />
@@ -14,19 +14,22 @@ import {
   Check,
   Zap,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, FontSize, FontWeight, BorderRadius } from '../constants/theme';
 import { hapticSuccess, hapticLight } from '../lib/haptics';
 
 const mealTypes = [
-  { id: 'breakfast', label: 'Breakfast' },
-  { id: 'lunch', label: 'Lunch' },
-  { id: 'dinner', label: 'Dinner' },
-  { id: 'snacks', label: 'Snack' },
+  { id: 'breakfast', labelKey: 'diary.breakfast' },
+  { id: 'lunch', labelKey: 'diary.lunch' },
+  { id: 'dinner', labelKey: 'diary.dinner' },
+  { id: 'snacks', labelKey: 'add.snack' },
 ];
 
 // Voice Results Sheet
 function VoiceResultsSheet({ visible, transcript, foods, selectedMeal, onAddFood, onAddAll, onClose, addedIndices }) {
-  const mealLabel = mealTypes.find((m) => m.id === selectedMeal)?.label || 'Meal';
+  const { t } = useTranslation();
+  const mealLabelKey = mealTypes.find((m) => m.id === selectedMeal)?.labelKey;
+  const mealLabel = mealLabelKey ? t(mealLabelKey) : t('components.voiceResultsSheet.meal');
   const remainingFoods = foods.filter((_, i) => !addedIndices.has(i));
   const remainingCalories = remainingFoods.reduce((sum, f) => sum + (f.calories || 0), 0);
   const remainingProtein = remainingFoods.reduce((sum, f) => sum + (f.protein || 0), 0);
@@ -51,7 +54,7 @@ function VoiceResultsSheet({ visible, transcript, foods, selectedMeal, onAddFood
           <View style={styles.voiceResultsHandle} />
 
           <View style={styles.voiceResultsHeader}>
-            <Text style={styles.voiceResultsTitle}>Voice Results</Text>
+            <Text style={styles.voiceResultsTitle}>{t('components.voiceResultsSheet.voiceResults')}</Text>
             <Pressable onPress={onClose} hitSlop={8}>
               <X size={22} color={Colors.textSecondary} />
             </Pressable>
@@ -67,7 +70,7 @@ function VoiceResultsSheet({ visible, transcript, foods, selectedMeal, onAddFood
           {foods.length === 0 ? (
             <View style={styles.voiceNoFoods}>
               <Text style={styles.voiceNoFoodsText}>
-                No foods detected. Try speaking more clearly.
+                {t('components.voiceResultsSheet.noFoodsDetectedTry')}
               </Text>
             </View>
           ) : (
@@ -78,17 +81,17 @@ function VoiceResultsSheet({ visible, transcript, foods, selectedMeal, onAddFood
                   style={styles.voiceQuickAddAllBtn}
                   onPress={handleQuickAddAll}
                   accessibilityRole="button"
-                  accessibilityLabel={`Quick add all ${remainingFoods.length} items to ${mealLabel}, ${remainingCalories} calories total`}
+                  accessibilityLabel={t('components.voiceResultsSheet.quickAddAllItems', { remainingFoodsCount: remainingFoods.length, mealLabel, remainingCalories })}
                 >
                   <View style={styles.voiceQuickAddAllIcon}>
                     <Zap size={20} color={Colors.background} fill={Colors.background} />
                   </View>
                   <View style={styles.voiceQuickAddAllInfo}>
                     <Text style={styles.voiceQuickAddAllTitle}>
-                      Quick Add All {remainingFoods.length} Item{remainingFoods.length !== 1 ? 's' : ''}
+                      {t('components.voiceResultsSheet.quickAddAll', { count: remainingFoods.length })}
                     </Text>
                     <Text style={styles.voiceQuickAddAllSub}>
-                      {remainingCalories} kcal {'\u00B7'} {remainingProtein}g protein {'\u2192'} {mealLabel}
+                      {t('components.voiceResultsSheet.quickAddAllSummary', { calories: remainingCalories, protein: remainingProtein, mealLabel })}
                     </Text>
                   </View>
                   <Plus size={20} color={Colors.background} />
@@ -99,7 +102,7 @@ function VoiceResultsSheet({ visible, transcript, foods, selectedMeal, onAddFood
               {allAdded && (
                 <View style={styles.voiceAllAddedBanner}>
                   <Check size={18} color={Colors.success} />
-                  <Text style={styles.voiceAllAddedText}>All items added to {mealLabel}!</Text>
+                  <Text style={styles.voiceAllAddedText}>{t('components.voiceResultsSheet.allItemsAddedTo', { mealLabel })}</Text>
                 </View>
               )}
 
@@ -124,12 +127,12 @@ function VoiceResultsSheet({ visible, transcript, foods, selectedMeal, onAddFood
                         {isAdded ? (
                           <>
                             <Check size={16} color={Colors.primary} />
-                            <Text style={[styles.voiceFoodAddText, { color: Colors.primary }]}>Added</Text>
+                            <Text style={[styles.voiceFoodAddText, { color: Colors.primary }]}>{t('components.voiceResultsSheet.added')}</Text>
                           </>
                         ) : (
                           <>
                             <Plus size={16} color={Colors.background} />
-                            <Text style={styles.voiceFoodAddText}>Add</Text>
+                            <Text style={styles.voiceFoodAddText}>{t('common.add')}</Text>
                           </>
                         )}
                       </Pressable>
@@ -18,12 +18,15 @@ import Animated, {
 import { Droplets, Plus, GlassWater, Waves } from 'lucide-react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { BlurView } from 'expo-blur';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, BorderRadius, FontSize, FontWeight } from '../constants/theme';
 import { hapticImpact, hapticWarning } from '../lib/haptics';
 import { useWaterProgress } from '../context/MealContext';
+import { formatNumber } from '../lib/formatters';
 
 // Memoized Water button component
 const WaterButton = memo(function WaterButton({ emoji, label, amount, onPress, style }) {
+  const { t } = useTranslation();
   const scaleAnim = useSharedValue(1);
   const glowAnim = useSharedValue(0);
 
@@ -60,7 +63,7 @@ const WaterButton = memo(function WaterButton({ emoji, label, amount, onPress, s
       onPressOut={handlePressOut}
       style={style}
       accessibilityRole="button"
-      accessibilityLabel={`Add ${amount} milliliters of water`}
+      accessibilityLabel={t('components.waterCard.addMillilitersOfWater', { amount })}
     >
       <Animated.View
         style={[
@@ -84,6 +87,7 @@ const WaterButton = memo(function WaterButton({ emoji, label, amount, onPress, s
 
 // Memoized WaterCard - re-renders only when waterProgress changes
 function WaterCard() {
+  const { t } = useTranslation();
   const { waterProgress, addWater, resetWater } = useWaterProgress();
 
   // Animation values
@@ -142,7 +146,7 @@ function WaterCard() {
   }));
 
   // Format numbers with comma
-  const formatMl = (ml) => ml.toLocaleString();
+  const formatMl = (ml) => formatNumber(ml);
 
   // Calculate percentage
   const percentage = Math.round(waterProgress.percentage);
@@ -154,8 +158,8 @@ function WaterCard() {
       onLongPress={handleLongPress}
       delayLongPress={500}
       accessibilityRole="button"
-      accessibilityLabel={`Water: ${waterProgress.glasses} of ${waterProgress.glassesGoal} glasses. ${formatMl(waterProgress.ml)} of ${formatMl(waterProgress.goal)} milliliters`}
-      accessibilityHint="Tap to log water"
+      accessibilityLabel={t('components.waterCard.a11yLabel', { glasses: waterProgress.glasses, glassesGoal: waterProgress.glassesGoal, ml: formatMl(waterProgress.ml), goal: formatMl(waterProgress.goal) })}
+      accessibilityHint={t('components.waterCard.tapToLogWater')}
     >
       {/* Glass blur layer */}
       {Platform.OS === 'ios' && (
@@ -169,11 +173,11 @@ function WaterCard() {
             <View style={styles.iconContainer}>
               <Droplets size={18} color="#64D2FF" strokeWidth={2.5} />
             </View>
-            <Text style={styles.title}>Hydration</Text>
+            <Text style={styles.title}>{t('components.waterCard.hydration')}</Text>
           </View>
           {isComplete && (
             <View style={styles.completeBadge}>
-              <Text style={styles.completeBadgeText}>Done!</Text>
+              <Text style={styles.completeBadgeText}>{t('components.waterCard.done')}</Text>
             </View>
           )}
         </View>
@@ -217,14 +221,14 @@ function WaterCard() {
         <View style={styles.buttonsRow}>
           <WaterButton
             emoji="🥤"
-            label="+250ml"
+            label={t('components.waterCard.n250ml')}
             amount={250}
             onPress={handleAddWater}
             style={styles.buttonWrapper}
           />
           <WaterButton
             emoji="💧"
-            label="+500ml"
+            label={t('components.waterCard.n500ml')}
             amount={500}
             onPress={handleAddWater}
             style={styles.buttonWrapper}
@@ -235,7 +239,7 @@ function WaterCard() {
         <View style={styles.glassesRow}>
           <GlassWater size={12} color={Colors.textTertiary} />
           <Text style={styles.glassesText}>
-            {waterProgress.glasses} of {waterProgress.glassesGoal} glasses
+            {t('components.waterCard.ofGlasses', { glasses: waterProgress.glasses, glassesGoal: waterProgress.glassesGoal })}
           </Text>
         </View>
       </Animated.View>
@@ -0,0 +1,295 @@
+import React, { memo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Pressable,
+} from 'react-native';
+import Animated, { FadeInDown } from 'react-native-reanimated';
+import { LinearGradient } from 'expo-linear-gradient';
+import { CalendarCheck, ArrowRight, Check, X, History } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
+import {
+  Colors,
+  Spacing,
+  FontSize,
+  FontWeight,
+  BorderRadius,
+  Gradients,
+  Shadows,
+} from '../constants/theme';
+import { useProfile } from '../context/ProfileContext';
+import { describeCheckInReason } from '../lib/weeklyCheckIn';
+
+function MacroMiniCard({ label, current, next, color }) {
+  const changed = current !== next;
+  return (
+    <View style={[styles.macroMini, { borderColor: color + '33' }]}>
+      <Text style={[styles.macroMiniLabel, { color }]}>{label}</Text>
+      <View style={styles.macroMiniRow}>
+        <Text style={styles.macroMiniCurrent}>{current}g</Text>
+        {changed ? (
+          <>
+            <ArrowRight size={10} color={Colors.textTertiary} />
+            <Text style={[styles.macroMiniNext, { color }]}>{next}g</Text>
+          </>
+        ) : null}
+      </View>
+    </View>
+  );
+}
+
+function WeeklyCheckInCard({ proposal, onAccept, onReject, onViewHistory }) {
+  const { t } = useTranslation();
+  const { profile } = useProfile();
+  if (!proposal) {
+    return null;
+  }
+
+  const { previous, proposed, reasons } = proposal;
+  const calorieChange = proposed.calories - previous.calories;
+  const deltaColor = calorieChange > 0 ? Colors.success : Colors.warning;
+
+  return (
+    <Animated.View
+      entering={FadeInDown.springify().damping(12)}
+      style={styles.card}
+    >
+      {/* Header */}
+      <View style={styles.header}>
+        <View style={styles.headerLeft}>
+          <View style={styles.iconCircle}>
+            <CalendarCheck size={18} color={Colors.primary} />
+          </View>
+          <Text style={styles.title}>{t('components.weeklyCheckInCard.title')}</Text>
+        </View>
+        {onViewHistory ? (
+          <Pressable onPress={onViewHistory} hitSlop={8} style={styles.historyButton}>
+            <History size={14} color={Colors.textTertiary} />
+            <Text style={styles.historyText}>{t('components.weeklyCheckInCard.history')}</Text>
+          </Pressable>
+        ) : null}
+      </View>
+
+      {/* Calorie comparison row */}
+      <View style={styles.calorieRow}>
+        <View style={styles.calorieBlock}>
+          <Text style={styles.calorieLabel}>{t('components.weeklyCheckInCard.current')}</Text>
+          <Text style={styles.calorieValue}>{previous.calories}</Text>
+        </View>
+        <ArrowRight size={18} color={Colors.textTertiary} />
+        <View style={styles.calorieBlock}>
+          <Text style={styles.calorieLabel}>{t('components.weeklyCheckInCard.proposed')}</Text>
+          <Text style={[styles.calorieValue, { color: Colors.primary }]}>{proposed.calories}</Text>
+        </View>
+        <View style={[styles.deltaBadge, { backgroundColor: deltaColor + '22' }]}>
+          <Text style={[styles.deltaText, { color: deltaColor }]}>
+            {t('components.weeklyCheckInCard.kcal', { sign: calorieChange > 0 ? '+' : '', value: calorieChange })}
+          </Text>
+        </View>
+      </View>
+
+      {/* Macro breakdown */}
+      <View style={styles.macroRow}>
+        <MacroMiniCard label="P" current={previous.protein} next={proposed.protein} color={Colors.protein} />
+        <MacroMiniCard label="C" current={previous.carbs} next={proposed.carbs} color={Colors.carbs} />
+        <MacroMiniCard label="F" current={previous.fat} next={proposed.fat} color={Colors.fat} />
+      </View>
+
+      {/* Reasoning */}
+      <View style={styles.reasons}>
+        {reasons.map((reason) => describeCheckInReason(reason, profile.weightUnit)).map((text) => (
+          <View key={text} style={styles.reasonRow}>
+            <View style={styles.reasonDot} />
+            <Text style={styles.reasonText}>{text}</Text>
+          </View>
+        ))}
+      </View>
+
+      {/* Action buttons */}
+      <View style={styles.actions}>
+        <Pressable onPress={onAccept} style={styles.acceptWrapper}>
+          <LinearGradient
+            colors={Gradients.primary}
+            start={{ x: 0, y: 0 }}
+            end={{ x: 1, y: 0 }}
+            style={styles.acceptButton}
+          >
+            <Check size={16} color="#fff" />
+            <Text style={styles.acceptText}>{t('components.weeklyCheckInCard.accept')}</Text>
+          </LinearGradient>
+        </Pressable>
+        <Pressable onPress={onReject} style={styles.rejectButton}>
+          <X size={14} color={Colors.textTertiary} />
+          <Text style={styles.rejectText}>{t('components.weeklyCheckInCard.keepCurrent')}</Text>
+        </Pressable>
+      </View>
+    </Animated.View>
+  );
+}
+
+export default memo(WeeklyCheckInCard);
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: Colors.surfaceGlass,
+    borderRadius: BorderRadius.xl,
+    borderWidth: 1,
+    borderColor: Colors.border,
+    padding: Spacing.lg,
+    ...Shadows.card,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: Spacing.md,
+  },
+  headerLeft: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.sm,
+  },
+  iconCircle: {
+    width: 34,
+    height: 34,
+    borderRadius: BorderRadius.full,
+    backgroundColor: Colors.primarySoft,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: FontSize.md,
+    fontWeight: FontWeight.semibold,
+    color: Colors.text,
+  },
+  historyButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  historyText: {
+    fontSize: FontSize.sm,
+    color: Colors.textTertiary,
+  },
+  calorieRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.md,
+    marginBottom: Spacing.md,
+    paddingVertical: Spacing.sm,
+    paddingHorizontal: Spacing.md,
+    backgroundColor: Colors.surfaceGlassDark,
+    borderRadius: BorderRadius.lg,
+  },
+  calorieBlock: {
+    alignItems: 'center',
+  },
+  calorieLabel: {
+    fontSize: FontSize.xs,
+    color: Colors.textTertiary,
+    marginBottom: 2,
+  },
+  calorieValue: {
+    fontSize: FontSize.xl,
+    fontWeight: FontWeight.bold,
+    color: Colors.text,
+  },
+  deltaBadge: {
+    marginLeft: 'auto',
+    paddingHorizontal: Spacing.sm,
+    paddingVertical: Spacing.xs,
+    borderRadius: BorderRadius.sm,
+  },
+  deltaText: {
+    fontSize: FontSize.sm,
+    fontWeight: FontWeight.semibold,
+  },
+  macroRow: {
+    flexDirection: 'row',
+    gap: Spacing.sm,
+    marginBottom: Spacing.md,
+  },
+  macroMini: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: Spacing.sm,
+    borderRadius: BorderRadius.md,
+    borderWidth: 1,
+    backgroundColor: Colors.surfaceGlass,
+  },
+  macroMiniLabel: {
+    fontSize: FontSize.xs,
+    fontWeight: FontWeight.bold,
+    marginBottom: 4,
+  },
+  macroMiniRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  macroMiniCurrent: {
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+  },
+  macroMiniNext: {
+    fontSize: FontSize.sm,
+    fontWeight: FontWeight.bold,
+  },
+  reasons: {
+    gap: Spacing.xs,
+    marginBottom: Spacing.md,
+  },
+  reasonRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: Spacing.sm,
+  },
+  reasonDot: {
+    width: 4,
+    height: 4,
+    borderRadius: 2,
+    marginTop: 8,
+    backgroundColor: Colors.textTertiary,
+  },
+  reasonText: {
+    flex: 1,
+    fontSize: FontSize.sm,
+    color: Colors.textSecondary,
+    lineHeight: FontSize.sm * 1.5,
+  },
+  actions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.md,
+  },
+  acceptWrapper: {
+    flex: 1,
+  },
+  acceptButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: Spacing.xs,
+    paddingVertical: Spacing.sm + 2,
+    borderRadius: BorderRadius.lg,
+    ...Shadows.button,
+  },
+  acceptText: {
+    fontSize: FontSize.md,
+    fontWeight: FontWeight.bold,
+    color: '#fff',
+  },
+  rejectButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.xs,
+    paddingVertical: Spacing.sm,
+    paddingHorizontal: Spacing.md,
+  },
+  rejectText: {
+    fontSize: FontSize.sm,
+    fontWeight: FontWeight.medium,
+    color: Colors.textTertiary,
+  },
+});
@@ -5,9 +5,11 @@ import React, { memo, useMemo } from 'react';
 import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import Svg, { Polygon, Circle, Line, Text as SvgText } from 'react-native-svg';
+import { useTranslation } from 'react-i18next';
 import { Colors, BorderRadius, Spacing, FontSize, FontWeight, Shadows, Gradients } from '../constants/theme';
 
 function WellnessScoreCard({ score, dimensions, level, color, onPress }) {
+  const { t } = useTranslation();
   const radarData = useMemo(() => {
     if (!dimensions) return null;
     const keys = Object.keys(dimensions);
@@ -42,8 +44,8 @@ function WellnessScoreCard({ score, dimensions, level, color, onPress }) {
       <LinearGradient colors={Gradients.card} style={styles.card}>
         <View style={styles.header}>
           <View>
-            <Text style={styles.title}>Wellness Score</Text>
-            <Text style={[styles.level, { color: displayColor }]}>{level || 'Getting Started'}</Text>
+            <Text style={styles.title}>{t('components.wellnessScoreCard.wellnessScore')}</Text>
+            <Text style={[styles.level, { color: displayColor }]}>{level || t('components.wellnessScoreCard.gettingStarted')}</Text>
           </View>
           <View style={[styles.scoreBadge, { borderColor: displayColor + '40' }]}>
             <Text style={[styles.scoreText, { color: displayColor }]}>{score || 0}</Text>
@@ -41,6 +41,7 @@ import {
   X,
   ChevronRight,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import {
   Colors,
   Gradients,
@@ -90,6 +91,7 @@ function getOfferVisuals(type) {
 }
 
 export default function WinBackOffer({ offer, onAccept, onDismiss }) {
+  const { t } = useTranslation();
   const glowPulse = useSharedValue(0.3);
   const sparkleRotation = useSharedValue(0);
   const buttonScale = useSharedValue(1);
@@ -181,7 +183,7 @@ export default function WinBackOffer({ offer, onAccept, onDismiss }) {
                 style={styles.closeButton}
                 onPress={handleDismiss}
                 hitSlop={16}
-                accessibilityLabel="Dismiss offer"
+                accessibilityLabel={t('components.winBackOffer.dismissOffer')}
                 accessibilityRole="button"
               >
                 <X size={20} color={Colors.textTertiary} />
@@ -217,7 +219,7 @@ export default function WinBackOffer({ offer, onAccept, onDismiss }) {
                     end={{ x: 1, y: 0 }}
                     style={styles.discountGradient}
                   >
-                    <Text style={styles.discountText}>{offer.discount}% OFF</Text>
+                    <Text style={styles.discountText}>{t('components.winBackOffer.off', { discount: offer.discount })}</Text>
                   </LinearGradient>
                 </Animated.View>
               )}
@@ -259,7 +261,7 @@ export default function WinBackOffer({ offer, onAccept, onDismiss }) {
 
               {/* Dismiss link */}
               <Pressable onPress={handleDismiss} style={styles.dismissButton}>
-                <Text style={styles.dismissText}>No thanks</Text>
+                <Text style={styles.dismissText}>{t('components.winBackOffer.noThanks')}</Text>
               </Pressable>
             </View>
           </LinearGradient>
@@ -27,6 +27,7 @@ import {
   ChevronRight,
   Check,
 } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { hapticLight, hapticSuccess } from '../lib/haptics';
 import {
   Colors,
@@ -40,54 +41,54 @@ import {
 
 // Rating emojis and labels
 const RATING_OPTIONS = [
-  { emoji: '\uD83D\uDE2B', label: 'Too Easy', value: 1 },
-  { emoji: '\uD83D\uDE10', label: 'Just Right', value: 2 },
-  { emoji: '\uD83D\uDCAA', label: 'Challenging', value: 3 },
-  { emoji: '\uD83D\uDD25', label: 'Intense', value: 4 },
-  { emoji: '\uD83C\uDFC6', label: 'Beast Mode', value: 5 },
+  { emoji: '\uD83D\uDE2B', labelKey: 'components.workoutRatingModal.ratingOptions.tooEasy', value: 1 },
+  { emoji: '\uD83D\uDE10', labelKey: 'components.workoutRatingModal.ratingOptions.justRight', value: 2 },
+  { emoji: '\uD83D\uDCAA', labelKey: 'components.workoutRatingModal.ratingOptions.challenging', value: 3 },
+  { emoji: '\uD83D\uDD25', labelKey: 'components.workoutRatingModal.ratingOptions.intense', value: 4 },
+  { emoji: '\uD83C\uDFC6', labelKey: 'components.workoutRatingModal.ratingOptions.beastMode', value: 5 },
 ];
 
 // Difficulty options
 const DIFFICULTY_OPTIONS = [
-  { id: 'easier', label: 'Easier than expected' },
-  { id: 'expected', label: 'As expected' },
-  { id: 'harder', label: 'Harder than expected' },
+  { id: 'easier', labelKey: 'components.workoutRatingModal.difficultyOptions.easier' },
+  { id: 'expected', labelKey: 'components.workoutRatingModal.difficultyOptions.expected' },
+  { id: 'harder', labelKey: 'components.workoutRatingModal.difficultyOptions.harder' },
 ];
 
 /**
  * Generate AI tips locally based on rating, difficulty, and workout data.
  */
-function generateAITips(rating, difficulty, workout) {
+function generateAITips(t, rating, difficulty, workout) {
   const tips = [];
   const type = (workout?.type || '').toLowerCase();
 
   // Rating-based tips
   if (rating <= 2) {
     tips.push(
-      'Great foundation! Try increasing weight by 5-10% next session to keep progressing.'
+      t('components.workoutRatingModal.greatFoundationTryIncreasing')
     );
     if (type === 'strength' || type === 'hypertrophy') {
       tips.push(
-        'Consider adding an extra set or reducing rest periods between sets to up the intensity.'
+        t('components.workoutRatingModal.considerAddingAnExtra')
       );
     } else {
       tips.push(
-        'Try shortening rest intervals or adding supersets to increase the challenge.'
+        t('components.workoutRatingModal.tryShorteningRestIntervals')
       );
     }
   } else if (rating === 3) {
     tips.push(
-      'You hit the sweet spot! Keep this intensity and focus on progressive overload each week.'
+      t('components.workoutRatingModal.youHitTheSweet')
     );
     tips.push(
-      'Consider adding a 5-minute stretching cooldown to aid recovery and flexibility.'
+      t('components.workoutRatingModal.considerAddingA5')
     );
   } else if (rating >= 4) {
     tips.push(
-      'Incredible effort! Prioritize hydration and aim for 7-9 hours of sleep tonight for optimal recovery.'
+      t('components.workoutRatingModal.incredibleEffortPrioritizeHydration')
     );
     tips.push(
-      'Consider a lighter recovery session or active rest day tomorrow to prevent overtraining.'
+      t('components.workoutRatingModal.considerALighterRecovery')
     );
   }
 
@@ -95,38 +96,38 @@ function generateAITips(rating, difficulty, workout) {
   if (type === 'strength' || type === 'hypertrophy') {
     if (rating <= 2) {
       tips.push(
-        'For progressive overload, increase weight by 2.5-5 lbs when you can complete all sets with good form.'
+        t('components.workoutRatingModal.forProgressiveOverloadIncrease')
       );
     } else if (rating >= 4) {
       tips.push(
-        'Foam rolling and protein intake within 30 minutes post-workout can accelerate strength recovery.'
+        t('components.workoutRatingModal.foamRollingAndProtein')
       );
     }
   } else if (type === 'hiit') {
     tips.push(
-      'Track your heart rate during HIIT sessions - aim for 80-90% max HR during work intervals.'
+      t('components.workoutRatingModal.trackYourHeartRate')
     );
     if (rating >= 4) {
       tips.push(
-        'Limit HIIT sessions to 2-3 per week to allow adequate CNS recovery.'
+        t('components.workoutRatingModal.limitHiitSessionsTo')
       );
     }
   } else if (type === 'yoga' || type === 'flexibility') {
     tips.push(
-      'Complement your flexibility work with 1-2 strength sessions per week for balanced fitness.'
+      t('components.workoutRatingModal.complementYourFlexibilityWork')
     );
     if (rating <= 2) {
       tips.push(
-        'Try holding poses for 5-10 seconds longer or exploring more advanced variations.'
+        t('components.workoutRatingModal.tryHoldingPosesFor')
       );
     }
   } else if (type === 'endurance' || type === 'cardio') {
     tips.push(
-      'Ensure adequate carb intake before endurance workouts for sustained energy.'
+      t('components.workoutRatingModal.ensureAdequateCarbIntake')
     );
     if (rating >= 4) {
       tips.push(
-        'Great cardio session! Electrolyte replenishment is key after intense endurance work.'
+        t('components.workoutRatingModal.greatCardioSessionElectrolyte')
       );
     }
   }
@@ -134,11 +135,11 @@ function generateAITips(rating, difficulty, workout) {
   // Difficulty-based tips
   if (difficulty === 'harder') {
     tips.push(
-      'If workouts consistently feel harder than expected, consider a deload week or extra rest day.'
+      t('components.workoutRatingModal.ifWorkoutsConsistentlyFeel')
     );
   } else if (difficulty === 'easier') {
     tips.push(
-      'Time to level up! Increase difficulty by adding weight, reps, or reducing rest periods.'
+      t('components.workoutRatingModal.timeToLevelUp')
     );
   }
 
@@ -149,6 +150,7 @@ function generateAITips(rating, difficulty, workout) {
 
 // Animated emoji button
 function EmojiButton({ option, isSelected, onPress }) {
+  const { t } = useTranslation();
   const scale = useSharedValue(1);
 
   useEffect(() => {
@@ -174,13 +176,14 @@ function EmojiButton({ option, isSelected, onPress }) {
         {option.emoji}
       </ReAnimated.Text>
       {isSelected && (
-        <Text style={modalStyles.emojiLabel}>{option.label}</Text>
+        <Text style={modalStyles.emojiLabel}>{t(option.labelKey)}</Text>
       )}
     </Pressable>
   );
 }
 
 export default function WorkoutRatingModal({ visible, onClose, workout, onSaveRating }) {
+  const { t } = useTranslation();
   const [rating, setRating] = useState(3);
   const [difficulty, setDifficulty] = useState('expected');
   const [notes, setNotes] = useState('');
@@ -228,7 +231,7 @@ export default function WorkoutRatingModal({ visible, onClose, workout, onSaveRa
     // Simulate a brief delay for a more natural feel
     await new Promise((resolve) => setTimeout(resolve, 800));
 
-    const generatedTips = generateAITips(rating, difficulty, workout);
+    const generatedTips = generateAITips(t, rating, difficulty, workout);
     setTips(generatedTips);
     setShowTips(true);
     setIsGenerating(false);
@@ -242,7 +245,7 @@ export default function WorkoutRatingModal({ visible, onClose, workout, onSaveRa
     if (onSaveRating) {
       await onSaveRating({
         workoutId: workout?.id || '',
-        workoutName: workout?.title || workout?.name || 'Workout',
+        workoutName: workout?.title || workout?.name || t('components.workoutRatingModal.workout'),
         workoutType: workout?.type || 'strength',
         rating,
         difficulty,
@@ -273,7 +276,7 @@ export default function WorkoutRatingModal({ visible, onClose, workout, onSaveRa
         style={modalStyles.container}
         behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
         accessibilityViewIsModal={true}
-        accessibilityLabel="Rate your workout"
+        accessibilityLabel={t('components.workoutRatingModal.rateYourWorkout')}
       >
         {/* Header */}
         <View style={modalStyles.header}>
@@ -282,7 +285,7 @@ export default function WorkoutRatingModal({ visible, onClose, workout, onSaveRa
           </Pressable>
           <View style={modalStyles.headerTitleRow}>
             <Dumbbell size={20} color={Colors.primary} />
-            <Text style={modalStyles.headerTitle}>Rate Your Workout</Text>
+            <Text style={modalStyles.headerTitle}>{t('components.workoutRatingModal.rateYourWorkout2')}</Text>
           </View>
           <View style={modalStyles.headerSpacer} />
         </View>
@@ -295,7 +298,7 @@ export default function WorkoutRatingModal({ visible, onClose, workout, onSaveRa
         >
           {/* Question */}
           <ReAnimated.View entering={FadeInDown.delay(100).springify().mass(0.5).damping(10)}>
-            <Text style={modalStyles.questionText}>How was your workout?</Text>
+            <Text style={modalStyles.questionText}>{t('components.workoutRatingModal.howWasYourWorkout')}</Text>
             {workout?.title && (
               <Text style={modalStyles.workoutName}>{workout.title}</Text>
             )}
@@ -320,7 +323,7 @@ export default function WorkoutRatingModal({ visible, onClose, workout, onSaveRa
           <ReAnimated.View entering={FadeInDown.delay(250).springify().mass(0.5).damping(10)}>
             <View style={modalStyles.ratingLabelContainer}>
               <Text style={modalStyles.ratingLabel}>
-                {selectedOption?.label || 'Challenging'}
+                {t(selectedOption?.labelKey ?? 'components.workoutRatingModal.challenging')}
               </Text>
               <Text style={modalStyles.ratingValue}>{rating}/5</Text>
             </View>
@@ -329,7 +332,7 @@ export default function WorkoutRatingModal({ visible, onClose, workout, onSaveRa
           {/* Difficulty Section */}
           <ReAnimated.View entering={FadeInDown.delay(300).springify().mass(0.5).damping(10)}>
             <View style={modalStyles.card}>
-              <Text style={modalStyles.cardTitle}>How did the difficulty feel?</Text>
+              <Text style={modalStyles.cardTitle}>{t('components.workoutRatingModal.howDidTheDifficulty')}</Text>
               <View style={modalStyles.difficultyRow}>
                 {DIFFICULTY_OPTIONS.map((option) => {
                   const isSelected = difficulty === option.id;
@@ -356,7 +359,7 @@ export default function WorkoutRatingModal({ visible, onClose, workout, onSaveRa
                           isSelected && modalStyles.difficultyTextSelected,
                         ]}
                       >
-                        {option.label}
+                        {t(option.labelKey)}
                       </Text>
                     </Pressable>
                   );
@@ -370,13 +373,13 @@ export default function WorkoutRatingModal({ visible, onClose, workout, onSaveRa
             <View style={modalStyles.card}>
               <View style={modalStyles.cardTitleRow}>
                 <MessageCircle size={16} color={Colors.textSecondary} />
-                <Text style={modalStyles.cardTitle}>Notes (optional)</Text>
+                <Text style={modalStyles.cardTitle}>{t('components.workoutRatingModal.notesOptional')}</Text>
               </View>
               <TextInput
                 style={modalStyles.notesInput}
                 value={notes}
                 onChangeText={setNotes}
-                placeholder="How did you feel? Anything notable?"
+                placeholder={t('components.workoutRatingModal.howDidYouFeel')}
                 placeholderTextColor={Colors.textTertiary}
                 multiline
                 numberOfLines={3}
@@ -406,7 +409,7 @@ export default function WorkoutRatingModal({ visible, onClose, workout, onSaveRa
                     <Sparkles size={20} color="#fff" />
                   )}
                   <Text style={modalStyles.aiTipsButtonText}>
-                    {isGenerating ? 'Generating Tips...' : 'Get AI Tips'}
+                    {isGenerating ? t('components.workoutRatingModal.generatingTips') : t('components.workoutRatingModal.getAiTips')}
                   </Text>
                   {!isGenerating && <ChevronRight size={18} color="#fff" />}
                 </LinearGradient>
@@ -420,7 +423,7 @@ export default function WorkoutRatingModal({ visible, onClose, workout, onSaveRa
               <View style={modalStyles.tipsCard}>
                 <View style={modalStyles.tipsHeader}>
                   <Sparkles size={18} color={Colors.primary} />
-                  <Text style={modalStyles.tipsTitle}>AI Coach Tips</Text>
+                  <Text style={modalStyles.tipsTitle}>{t('components.workoutRatingModal.aiCoachTips')}</Text>
                 </View>
                 {tips.map((tip, index) => (
                   <ReAnimated.View
@@ -454,7 +457,7 @@ export default function WorkoutRatingModal({ visible, onClose, workout, onSaveRa
             ) : (
               <>
                 <Check size={22} color={Colors.background} />
-                <Text style={modalStyles.saveButtonText}>Save & Close</Text>
+                <Text style={modalStyles.saveButtonText}>{t('components.workoutRatingModal.saveClose')}</Text>
               </>
             )}
           </Pressable>
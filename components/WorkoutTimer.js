@@ -13,6 +13,7 @@ import Animated, {
 } from 'react-native-reanimated';
 import Svg, { Circle } from 'react-native-svg';
 import { Pause, Play, RotateCcw } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { hapticLight, hapticHeavy, hapticSuccess } from '../lib/haptics';
 import {
   Colors,
@@ -40,6 +41,7 @@ function WorkoutTimer({
   onReset,
   compact = false,
 }) {
+  const { t } = useTranslation();
   const radius = (size - strokeWidth) / 2;
   const circumference = 2 * Math.PI * radius;
   const center = size / 2;
@@ -87,7 +89,7 @@ function WorkoutTimer({
   const displayTime =
     mode === 'stopwatch' ? formatTime(elapsedSeconds) : formatTime(remainingSeconds);
 
-  const label = mode === 'stopwatch' ? 'Elapsed' : 'Rest';
+  const label = mode === 'stopwatch' ? t('components.workoutTimer.elapsed') : t('components.workoutTimer.rest');
 
   if (compact) {
     return (
@@ -1,10 +1,12 @@
 import React, { memo, useEffect, useRef } from 'react';
 import { View, Text, StyleSheet, Animated } from 'react-native';
 import { Sparkles } from 'lucide-react-native';
+import { useTranslation } from 'react-i18next';
 import { Colors, Spacing, BorderRadius, FontSize, FontWeight } from '../constants/theme';
 import { useToastQueue } from '../context/GamificationContext';
 
 const ToastItem = memo(function ToastItem({ toast, onDismiss }) {
+  const { t } = useTranslation();
   const translateY = useRef(new Animated.Value(-100)).current;
   const opacity = useRef(new Animated.Value(0)).current;
   const scale = useRef(new Animated.Value(0.8)).current;
@@ -67,7 +69,7 @@ const ToastItem = memo(function ToastItem({ toast, onDismiss }) {
       </View>
       <View style={styles.toastContent}>
         <Text style={styles.toastMessage}>{toast.message}</Text>
-        <Text style={styles.toastXP}>+{toast.xp} XP</Text>
+        <Text style={styles.toastXP}>{t('components.xPToast.xp', { xp: toast.xp })}</Text>
       </View>
     </Animated.View>
   );
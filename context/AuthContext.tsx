@@ -2,6 +2,8 @@ import React, { createContext, useContext, useState, useEffect, useCallback, use
 import { AppState, AppStateStatus } from 'react-native';
 import { supabase } from '../lib/supabase';
 import { recordActivity, isSessionExpired } from '../lib/security';
+import { unregisterPushToken } from '../services/pushNotifications';
+import { clearNotificationInbox } from '../services/notificationInbox';
 import type { AuthContextValue } from '../types';
 
 const AuthContext = createContext<AuthContextValue | null>(null);
@@ -100,6 +102,9 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
   }, []);
 
   const signOut = useCallback(async () => {
+    // Drop this device's push token while the session can still delete it
+    await unregisterPushToken();
+    await clearNotificationInbox();
     const { error } = await supabase.auth.signOut();
     clearAuthState();
     return { error };
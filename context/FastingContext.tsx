@@ -12,6 +12,7 @@ import { getEncryptedItem, setEncryptedItem } from '../lib/encryptedStorage';
 import { useGamification } from './GamificationContext';
 import { useNotifications } from './NotificationContext';
 import { Sentry } from '../lib/sentry';
+import { notifyTrackerChanged, useTrackerReload } from '../lib/trackerSync';
 import type {
   FastingProgress,
   FastingPrompt,
@@ -116,6 +117,7 @@ export function FastingProvider({ children }: { children: React.ReactNode }) {
   const [lastMealType, setLastMealType] = useState<MealType | null>(null);
   const [isLoading, setIsLoading] = useState<boolean>(true);
   const [isHydrated, setIsHydrated] = useState<boolean>(false);
+  const reloadToken = useTrackerReload('fasting_state');
 
   // Prompt state for auto-start/end fasting
   const [pendingPrompt, setPendingPrompt] = useState<FastingPrompt | null>(null);
@@ -150,7 +152,7 @@ export function FastingProvider({ children }: { children: React.ReactNode }) {
       }
     }
     loadFastingState();
-  }, []);
+  }, [reloadToken]);
 
   // Auto-save fasting state when it changes (debounced by 500ms, encrypted)
   useEffect(() => {
@@ -163,7 +165,7 @@ export function FastingProvider({ children }: { children: React.ReactNode }) {
         fastDuration,
         lastMealTime,
         lastMealType,
-      }).catch((error: unknown) => {
+      }).then(() => notifyTrackerChanged('fasting_state')).catch((error: unknown) => {
         if (__DEV__) console.error('Failed to save fasting state:', error);
       });
     }, 500);
@@ -239,6 +241,7 @@ export function FastingProvider({ children }: { children: React.ReactNode }) {
         completed: progress.isComplete,
       });
       await setEncryptedItem('@fueliq_fasting_history', updatedHistory.slice(0, 365));
+      notifyTrackerChanged('fasting_history');
     } catch (e) { Sentry.captureException(e); }
 
     return progress; // Return final progress for stats
@@ -0,0 +1,266 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { AppState } from 'react-native';
+import { useAuth } from './AuthContext';
+import { useOffline } from './OfflineContext';
+import { Sentry } from '../lib/sentry';
+import { splitMealPortions } from '../lib/household';
+import * as householdService from '../services/household';
+import type {
+  Household,
+  HouseholdMember,
+  HouseholdPortion,
+  HouseholdRecipe,
+  HouseholdShoppingItem,
+  PortionShare,
+} from '../lib/household';
+import type { FoodItem, MacroSet, MealType } from '../types';
+
+type ShareableRecipe = Parameters<typeof householdService.shareRecipe>[2];
+
+interface HouseholdContextValue {
+  household: Household | null;
+  members: HouseholdMember[];
+  sharedRecipes: HouseholdRecipe[];
+  shoppingItems: HouseholdShoppingItem[];
+  /** Portions other members split off for the current user, not yet logged */
+  pendingPortions: HouseholdPortion[];
+  isLoading: boolean;
+  refresh: () => Promise<void>;
+  createHousehold: (name: string, displayName: string) => Promise<void>;
+  joinHousehold: (inviteCode: string, displayName: string) => Promise<void>;
+  leaveHousehold: () => Promise<void>;
+  shareRecipe: (recipe: ShareableRecipe) => Promise<HouseholdRecipe | null>;
+  removeSharedRecipe: (recipeId: string) => Promise<void>;
+  addShoppingItem: (name: string, quantity?: string | null) => Promise<void>;
+  toggleShoppingItem: (itemId: string) => Promise<void>;
+  clearCheckedShoppingItems: () => Promise<void>;
+  /**
+   * Split a cooked meal between members. Returns the current user's own
+   * portion (to log straight away); the others are queued for their devices.
+   */
+  splitMeal: (
+    meal: Pick<FoodItem, 'name' | 'emoji'> & { servings: number; totalMacros: MacroSet },
+    shares: PortionShare[],
+    mealType: MealType
+  ) => Promise<FoodItem | null>;
+  resolvePortion: (portionId: string, status: 'logged' | 'dismissed') => Promise<void>;
+  loadSharedMealPlan: (weekStart: string) => Promise<unknown | null>;
+  saveSharedMealPlan: (weekStart: string, plan: unknown) => Promise<void>;
+}
+
+const HouseholdContext = createContext<HouseholdContextValue | null>(null);
+
+/**
+ * HouseholdProvider holds the user's household (if any) and its shared
+ * recipe box, shopping list and pending meal portions. Refreshes on login
+ * and whenever the app returns to the foreground.
+ *
+ * Must be mounted inside OfflineProvider.
+ */
+export function HouseholdProvider({ children }: { children: React.ReactNode }) {
+  const { user } = useAuth();
+  const { isOnline } = useOffline();
+  const [household, setHousehold] = useState<Household | null>(null);
+  const [members, setMembers] = useState<HouseholdMember[]>([]);
+  const [sharedRecipes, setSharedRecipes] = useState<HouseholdRecipe[]>([]);
+  const [shoppingItems, setShoppingItems] = useState<HouseholdShoppingItem[]>([]);
+  const [pendingPortions, setPendingPortions] = useState<HouseholdPortion[]>([]);
+  const [isLoading, setIsLoading] = useState<boolean>(false);
+  const userId = user?.id ?? null;
+
+  const householdRef = useRef<Household | null>(household);
+  householdRef.current = household;
+  const shoppingItemsRef = useRef<HouseholdShoppingItem[]>(shoppingItems);
+  shoppingItemsRef.current = shoppingItems;
+
+  const reset = useCallback(() => {
+    setHousehold(null);
+    setMembers([]);
+    setSharedRecipes([]);
+    setShoppingItems([]);
+    setPendingPortions([]);
+  }, []);
+
+  const refresh = useCallback(async () => {
+    if (!userId) return;
+    setIsLoading(true);
+    try {
+      const snapshot = await householdService.fetchHousehold(userId);
+      if (!snapshot) {
+        reset();
+        return;
+      }
+      const [recipes, items, portions] = await Promise.all([
+        householdService.fetchSharedRecipes(snapshot.household.id),
+        householdService.fetchShoppingItems(snapshot.household.id),
+        householdService.fetchPendingPortions(userId),
+      ]);
+      setHousehold(snapshot.household);
+      setMembers(snapshot.members);
+      setSharedRecipes(recipes);
+      setShoppingItems(items);
+      setPendingPortions(portions);
+    } catch (e) {
+      Sentry.captureException(e);
+      if (__DEV__) console.warn('[Household] Refresh failed:', e);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [userId, reset]);
+
+  useEffect(() => {
+    if (!userId) {
+      reset();
+      return;
+    }
+    if (isOnline) refresh();
+  }, [userId, isOnline, refresh, reset]);
+
+  useEffect(() => {
+    if (!userId) return;
+    const subscription = AppState.addEventListener('change', (state: string) => {
+      if (state === 'active' && isOnline) refresh();
+    });
+    return () => subscription.remove();
+  }, [userId, isOnline, refresh]);
+
+  const createHousehold = useCallback(async (name: string, displayName: string) => {
+    await householdService.createHousehold(name, displayName);
+    await refresh();
+  }, [refresh]);
+
+  const joinHousehold = useCallback(async (inviteCode: string, displayName: string) => {
+    await householdService.joinHousehold(inviteCode, displayName);
+    await refresh();
+  }, [refresh]);
+
+  const leaveHousehold = useCallback(async () => {
+    const current = householdRef.current;
+    if (!current || !userId) return;
+    await householdService.leaveHousehold(current.id, userId);
+    reset();
+  }, [userId, reset]);
+
+  const shareRecipe = useCallback(async (recipe: ShareableRecipe) => {
+    const current = householdRef.current;
+    if (!current || !userId) return null;
+    const shared = await householdService.shareRecipe(current.id, userId, recipe);
+    setSharedRecipes((prev) => [shared, ...prev]);
+    return shared;
+  }, [userId]);
+
+  const removeSharedRecipe = useCallback(async (recipeId: string) => {
+    await householdService.removeSharedRecipe(recipeId);
+    setSharedRecipes((prev) => prev.filter((recipe) => recipe.id !== recipeId));
+  }, []);
+
+  const addShoppingItem = useCallback(async (name: string, quantity: string | null = null) => {
+    const current = householdRef.current;
+    if (!current || !userId || !name.trim()) return;
+    const item = await householdService.addShoppingItem(current.id, userId, name, quantity);
+    setShoppingItems((prev) => [...prev, item]);
+  }, [userId]);
+
+  const toggleShoppingItem = useCallback(async (itemId: string) => {
+    const item = shoppingItemsRef.current.find((candidate) => candidate.id === itemId);
+    if (!item) return;
+    const checked = !item.checked;
+    // Optimistic; roll back if the write fails so the list matches the server
+    setShoppingItems((prev) => prev.map((candidate) => (candidate.id === itemId ? { ...candidate, checked } : candidate)));
+    try {
+      await householdService.setShoppingItemChecked(itemId, checked);
+    } catch (e) {
+      Sentry.captureException(e);
+      setShoppingItems((prev) => prev.map((candidate) => (candidate.id === itemId ? { ...candidate, checked: !checked } : candidate)));
+      throw e;
+    }
+  }, []);
+
+  const clearCheckedShoppingItems = useCallback(async () => {
+    const checkedIds = shoppingItemsRef.current.filter((item) => item.checked).map((item) => item.id);
+    await householdService.removeShoppingItems(checkedIds);
+    setShoppingItems((prev) => prev.filter((item) => !checkedIds.includes(item.id)));
+  }, []);
+
+  const splitMeal = useCallback<HouseholdContextValue['splitMeal']>(async (meal, shares, mealType) => {
+    const current = householdRef.current;
+    if (!current || !userId) return null;
+
+    const portions = splitMealPortions(meal, shares);
+    const others = portions.filter((portion) => portion.memberId !== userId);
+    await householdService.createPortions(current.id, userId, meal, mealType, others);
+
+    const own = portions.find((portion) => portion.memberId === userId);
+    if (!own) return null;
+    return {
+      id: `household-meal-${Date.now()}`,
+      name: meal.name,
+      emoji: meal.emoji,
+      serving: own.serving,
+      servingSize: 1,
+      servingUnit: 'serving',
+      calories: own.calories,
+      protein: own.protein,
+      carbs: own.carbs,
+      fat: own.fat,
+      source: 'household',
+    };
+  }, [userId]);
+
+  const resolvePortion = useCallback(async (portionId: string, status: 'logged' | 'dismissed') => {
+    await householdService.resolvePortion(portionId, status);
+    setPendingPortions((prev) => prev.filter((portion) => portion.id !== portionId));
+  }, []);
+
+  const loadSharedMealPlan = useCallback(async (weekStart: string) => {
+    const current = householdRef.current;
+    if (!current) return null;
+    return householdService.fetchSharedMealPlan(current.id, weekStart);
+  }, []);
+
+  const saveSharedMealPlan = useCallback(async (weekStart: string, plan: unknown) => {
+    const current = householdRef.current;
+    if (!current || !userId) return;
+    await householdService.saveSharedMealPlan(current.id, userId, weekStart, plan);
+  }, [userId]);
+
+  const value = useMemo<HouseholdContextValue>(
+    () => ({
+      household,
+      members,
+      sharedRecipes,
+      shoppingItems,
+      pendingPortions,
+      isLoading,
+      refresh,
+      createHousehold,
+      joinHousehold,
+      leaveHousehold,
+      shareRecipe,
+      removeSharedRecipe,
+      addShoppingItem,
+      toggleShoppingItem,
+      clearCheckedShoppingItems,
+      splitMeal,
+      resolvePortion,
+      loadSharedMealPlan,
+      saveSharedMealPlan,
+    }),
+    [
+      household, members, sharedRecipes, shoppingItems, pendingPortions, isLoading, refresh,
+      createHousehold, joinHousehold, leaveHousehold, shareRecipe, removeSharedRecipe,
+      addShoppingItem, toggleShoppingItem, clearCheckedShoppingItems, splitMeal, resolvePortion,
+      loadSharedMealPlan, saveSharedMealPlan,
+    ]
+  );
+
+  return <HouseholdContext.Provider value={value}>{children}</HouseholdContext.Provider>;
+}
+
+export function useHousehold(): HouseholdContextValue {
+  const context = useContext(HouseholdContext);
+  if (!context) {
+    throw new Error('useHousehold must be used within a HouseholdProvider');
+  }
+  return context;
+}
@@ -24,7 +24,9 @@ import { mergeFrequentFoods, recordFrequentFood } from '../lib/frequentFoodsStor
 import { buildInitialMealHydration, normalizeCachedDayData } from '../lib/mealStartup';
 import { buildMealCacheKey, getLegacyMealCacheKeys } from '../lib/profileState';
 import { replaceRecentMealSnapshot, syncRecentMealsForDate } from '../lib/recentMeals';
-import type { ImportedFoodDiaryEntry } from '../services/importMyFitnessPal';
+import { checkFoodAllergens, describeAllergenMatches, loadUserAllergens } from '../lib/allergenGuard';
+import { normalizeMicronutrients } from '../lib/micronutrients';
+import type { ImportedExerciseEntry, ImportedFoodDiaryEntry } from '../services/importParsing';
 import type {
   MealAction,
   MealState,
@@ -40,6 +42,8 @@ import type {
   ExerciseLog,
   DayData,
   DateDirection,
+  MicronutrientSet,
+  MicronutrientSource,
 } from '../types';
 
 interface OfflineToast {
@@ -49,7 +53,8 @@ interface OfflineToast {
 
 type CopyMealSeedItem = Pick<
   FoodItem,
-  'name' | 'emoji' | 'calories' | 'protein' | 'carbs' | 'fat' | 'serving' | 'servingSize' | 'servingUnit'
+  | 'name' | 'emoji' | 'calories' | 'protein' | 'carbs' | 'fat' | 'serving' | 'servingSize' | 'servingUnit'
+  | 'micronutrients' | 'micronutrientSource'
 >;
 
 interface MealContextValue {
@@ -81,7 +86,11 @@ interface MealContextValue {
   weeklyStats: WeeklyStats;
   getCalorieDataForRange: (days: number) => WeeklyDayData[];
   getDayTotals: (dateKey: DateKey) => MacroSet;
-  addFood: (food: FoodItem, mealType?: MealType) => Promise<void>;
+  /**
+   * Resolves true once the food is logged (or queued while offline), false when
+   * it was rejected, is waiting on the allergen prompt, or failed to save.
+   */
+  addFood: (food: FoodItem, mealType?: MealType) => Promise<boolean>;
   removeFood: (logId: string | number, mealType: MealType) => Promise<void>;
   resetDay: () => Promise<void>;
   updateGoals: (goals: Partial<MacroSet>) => void;
@@ -104,6 +113,10 @@ interface MealContextValue {
     skippedCount: number;
     dateCount: number;
   }>;
+  importExerciseLog: (entries: ImportedExerciseEntry[]) => Promise<{
+    importedCount: number;
+    skippedCount: number;
+  }>;
   getDefaultMealType: () => MealType;
   refreshDate: (dateKey?: DateKey) => Promise<void>;
   /** Non-null when a food log was saved offline (for subtle toast display) */
@@ -176,6 +189,20 @@ function matchesFoodLog(log: FoodLogEntry | undefined, logId: string | number):
   return log.id === logId || log.clientRequestId === logId;
 }
 
+function micronutrientColumns(food: FoodItem): { micronutrients: MicronutrientSet | null; micronutrient_source: MicronutrientSource | null } {
+  const micronutrients = normalizeMicronutrients(food.micronutrients);
+  return {
+    micronutrients: micronutrients || null,
+    micronutrient_source: micronutrients ? food.micronutrientSource || 'reported' : null,
+  };
+}
+
+function micronutrientsFromRow(row: { micronutrients?: unknown; micronutrient_source?: string | null }): Pick<FoodItem, 'micronutrients' | 'micronutrientSource'> {
+  const micronutrients = normalizeMicronutrients(row.micronutrients);
+  if (!micronutrients) return {};
+  return { micronutrients, micronutrientSource: row.micronutrient_source === 'estimated' ? 'estimated' : 'reported' };
+}
+
 function buildFoodLogEntry(food: FoodItem, mealType: MealType, dateKey: DateKey): FoodLogEntry {
   return {
     ...food,
@@ -199,6 +226,8 @@ interface RemoteFoodLogRow {
   serving?: string | null;
   serving_size?: number | null;
   serving_unit?: string | null;
+  micronutrients?: MicronutrientSet | null;
+  micronutrient_source?: string | null;
   water_amount?: number | null;
   created_at?: string | null;
 }
@@ -239,6 +268,20 @@ function buildImportSignature(input: {
   ].join('|');
 }
 
+function buildExerciseImportSignature(input: {
+  dateKey: DateKey;
+  name: string;
+  duration?: number | null;
+  caloriesBurned?: number | null;
+}): string {
+  return [
+    input.dateKey,
+    normalizeFoodSignatureValue(input.name),
+    Math.round(Number(input.duration) || 0),
+    Math.round(Number(input.caloriesBurned) || 0),
+  ].join('|');
+}
+
 function buildDayDataFromRemoteRows(rows: RemoteFoodLogRow[]): Record<DateKey, DayData> {
   const nextDayData: Record<DateKey, DayData> = {};
 
@@ -275,6 +318,7 @@ function buildDayDataFromRemoteRows(rows: RemoteFoodLogRow[]): Record<DateKey, D
       serving: row.serving || '1 serving',
       servingSize: row.serving_size || undefined,
       servingUnit: row.serving_unit || undefined,
+      ...micronutrientsFromRow(row),
       loggedAt: row.created_at || `${dateKey}T12:00:00.000Z`,
       mealType,
       dateKey,
@@ -576,7 +620,7 @@ export function MealProvider({
 
   const { calculatedGoals, isProfileComplete, calculatedWaterGoal } = useProfile();
   const { awardXP } = useGamification();
-  const { queueOperation, checkOnline, showOfflineAlert } = useOffline();
+  const { queueOperation, checkOnline, showOfflineAlert, resolveId } = useOffline();
 
   const selectedDateKey = useMemo<DateKey>(() => formatDateKey(selectedDate), [selectedDate]);
   const isPlanningMode = useMemo<boolean>(() => isFuture(selectedDate) && !isToday(selectedDate), [selectedDate]);
@@ -624,6 +668,7 @@ export function MealProvider({
               calories: log.calories || 0, protein: log.protein || 0,
               carbs: log.carbs || 0, fat: log.fat || 0,
               serving: log.serving, servingSize: log.serving_size, servingUnit: log.serving_unit,
+              ...micronutrientsFromRow(log),
               loggedAt: log.created_at, mealType: mt, dateKey,
             };
             meals[mt].push(foodItem);
@@ -827,8 +872,8 @@ export function MealProvider({
   // --- Actions ---
   const actions = useMemo(
     () => ({
-      addFood: async (food: FoodItem, mealType?: MealType) => {
-        if (!user) return;
+      addFood: async (food: FoodItem, mealType?: MealType): Promise<boolean> => {
+        if (!user) return false;
         const effectiveMealType = mealType || getDefaultMealType();
         const clientRequestId = food.clientRequestId || createClientRequestId();
         const tempId = String(food.id || `temp-${clientRequestId}`);
@@ -842,7 +887,7 @@ export function MealProvider({
         const foodName = (food.name || '').trim();
         if (!foodName || foodName.length > 200) {
           Alert.alert('Invalid Food', 'Food name must be between 1 and 200 characters.');
-          return;
+          return false;
         }
         const cal = Number(food.calories) || 0;
         const pro = Number(food.protein) || 0;
@@ -850,7 +895,31 @@ export function MealProvider({
         const fatVal = Number(food.fat) || 0;
         if (cal < 0 || cal > 10000 || pro < 0 || pro > 1000 || carb < 0 || carb > 1000 || fatVal < 0 || fatVal > 1000) {
           Alert.alert('Invalid Nutrition', 'Please check the nutrition values are reasonable.');
-          return;
+          return false;
+        }
+
+        // Severe allergen matches block logging unless overridden for this log
+        if (!food.allergenOverride) {
+          const allergenCheck = checkFoodAllergens(food, await loadUserAllergens());
+          if (allergenCheck.requiresOverride) {
+            Alert.alert(
+              'Allergen Warning',
+              `${describeAllergenMatches(allergenCheck)}. This matches an allergen you marked as severe.`,
+              [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                  text: 'Log Anyway',
+                  style: 'destructive',
+                  onPress: () => {
+                    actions.addFood({ ...food, allergenOverride: true }, mealType).catch((error) => {
+                      if (__DEV__) console.warn('[Meal] Failed to log food after allergen override:', error);
+                    });
+                  },
+                },
+              ]
+            );
+            return false;
+          }
         }
 
         // Optimistic update -- food appears instantly in UI regardless of network
@@ -884,6 +953,7 @@ export function MealProvider({
               user_id: user.id, date: selectedDateKey,
               name: (food.name || '').trim(), calories: food.calories || 0,
               protein: food.protein || 0, carbs: food.carbs || 0, fat: food.fat || 0,
+              ...micronutrientColumns(food),
               meal_type: effectiveMealType,
             },
             tempId,
@@ -891,7 +961,7 @@ export function MealProvider({
           await recordFrequentFood(optimisticFood);
           // Subtle non-blocking indicator instead of Alert dialog
           showSubtleOfflineToast('Food log');
-          return;
+          return true;
         }
 
         try {
@@ -901,6 +971,7 @@ export function MealProvider({
               user_id: user.id, date: selectedDateKey,
               name: (food.name || '').trim(), calories: food.calories || 0,
               protein: food.protein || 0, carbs: food.carbs || 0, fat: food.fat || 0,
+              ...micronutrientColumns(food),
               meal_type: effectiveMealType,
             })
             .select().single();
@@ -915,7 +986,7 @@ export function MealProvider({
               if (__DEV__) console.warn('[Meal] Failed to roll back recent meal snapshot:', snapshotError);
             });
             Alert.alert('Error', 'Failed to save food. Please try again.');
-            return;
+            return false;
           }
 
           // Replace temp ID with server ID
@@ -929,6 +1000,7 @@ export function MealProvider({
             },
           });
           await recordFrequentFood({ ...food, id: String(data.id), clientRequestId });
+          return true;
         } catch (e) {
           Sentry.captureException(e);
           dispatch({ type: 'REMOVE_FOOD', payload: { logId: tempId, mealType: effectiveMealType, dateKey: selectedDateKey } });
@@ -940,6 +1012,7 @@ export function MealProvider({
             if (__DEV__) console.warn('[Meal] Failed to roll back recent meal snapshot:', snapshotError);
           });
           Alert.alert('Error', 'Failed to save food. Please try again.');
+          return false;
         }
       },
 
@@ -967,14 +1040,16 @@ export function MealProvider({
           await queueOperation({
             table: 'food_logs',
             type: 'DELETE',
-            payload: { id: itemToRemove.id, user_id: user.id },
+            payload: {},
+            where: { id: itemToRemove.id, user_id: user.id },
           });
           showSubtleOfflineToast('Food removal');
           return;
         }
 
         try {
-          const { error } = await supabase.from('food_logs').delete().eq('id', itemToRemove.id).eq('user_id', user.id);
+          // Entries logged offline keep their tempId locally after the queued insert lands
+          const { error } = await supabase.from('food_logs').delete().eq('id', resolveId(itemToRemove.id)).eq('user_id', user.id);
           if (error) {
             if (__DEV__) console.error('[Meal] Remove error:', error.code);
           }
@@ -1132,6 +1207,7 @@ export function MealProvider({
             calories: item.calories, protein: item.protein,
             carbs: item.carbs, fat: item.fat,
             serving: item.serving, servingSize: item.servingSize, servingUnit: item.servingUnit,
+            micronutrients: item.micronutrients, micronutrientSource: item.micronutrientSource,
             clientRequestId,
           } as FoodItem;
           const tempId = `temp-copy-${clientRequestId}`;
@@ -1170,6 +1246,7 @@ export function MealProvider({
                 user_id: user.id, date: selectedDateKey,
                 name: (food.name || '').trim(), calories: food.calories || 0,
                 protein: food.protein || 0, carbs: food.carbs || 0, fat: food.fat || 0,
+                ...micronutrientColumns(food),
                 meal_type: mealType,
               },
             });
@@ -1181,6 +1258,7 @@ export function MealProvider({
             user_id: user.id, date: selectedDateKey,
             name: (food.name || '').trim(), calories: food.calories || 0,
             protein: food.protein || 0, carbs: food.carbs || 0, fat: food.fat || 0,
+            ...micronutrientColumns(food),
             meal_type: mealType,
           }));
           try {
@@ -1253,6 +1331,7 @@ export function MealProvider({
             calories: item.calories, protein: item.protein,
             carbs: item.carbs, fat: item.fat,
             serving: item.serving, servingSize: item.servingSize, servingUnit: item.servingUnit,
+            micronutrients: item.micronutrients, micronutrientSource: item.micronutrientSource,
             clientRequestId,
           } as FoodItem;
           const tempId = `temp-copy-${clientRequestId}`;
@@ -1290,6 +1369,7 @@ export function MealProvider({
                 user_id: user.id, date: tgtDateKey,
                 name: (food.name || '').trim(), calories: food.calories || 0,
                 protein: food.protein || 0, carbs: food.carbs || 0, fat: food.fat || 0,
+                ...micronutrientColumns(food),
                 meal_type: effectiveTargetMeal,
               },
             });
@@ -1300,6 +1380,7 @@ export function MealProvider({
             user_id: user.id, date: tgtDateKey,
             name: (food.name || '').trim(), calories: food.calories || 0,
             protein: food.protein || 0, carbs: food.carbs || 0, fat: food.fat || 0,
+            ...micronutrientColumns(food),
             meal_type: effectiveTargetMeal,
           }));
           try {
@@ -1361,6 +1442,7 @@ export function MealProvider({
               calories: item.calories, protein: item.protein,
               carbs: item.carbs, fat: item.fat,
               serving: item.serving, servingSize: item.servingSize, servingUnit: item.servingUnit,
+              micronutrients: item.micronutrients, micronutrientSource: item.micronutrientSource,
               clientRequestId,
             } as FoodItem;
             const tempId = `temp-copyday-${clientRequestId}`;
@@ -1400,6 +1482,7 @@ export function MealProvider({
                 user_id: user.id, date: tgtDateKey,
                 name: (food.name || '').trim(), calories: food.calories || 0,
                 protein: food.protein || 0, carbs: food.carbs || 0, fat: food.fat || 0,
+                ...micronutrientColumns(food),
                 meal_type: mt,
               },
             });
@@ -1411,6 +1494,7 @@ export function MealProvider({
             user_id: user.id, date: tgtDateKey,
             name: (food.name || '').trim(), calories: food.calories || 0,
             protein: food.protein || 0, carbs: food.carbs || 0, fat: food.fat || 0,
+            ...micronutrientColumns(food),
             meal_type: mt,
           }));
           try {
@@ -1462,7 +1546,7 @@ export function MealProvider({
         try {
           const { data, error } = await supabase
             .from('food_logs')
-            .select('id,date,name,calories,protein,carbs,fat,meal_type,serving,serving_size,serving_unit,water_amount,created_at')
+            .select('id,date,name,calories,protein,carbs,fat,meal_type,serving,serving_size,serving_unit,micronutrients,micronutrient_source,water_amount,created_at')
             .eq('user_id', user.id)
             .gte('date', startDateKey)
             .lte('date', endDateKey);
@@ -1521,7 +1605,7 @@ export function MealProvider({
             const { data, error } = await supabase
               .from('food_logs')
               .insert(chunk)
-              .select('id,date,name,calories,protein,carbs,fat,meal_type,serving,serving_size,serving_unit,water_amount,created_at');
+              .select('id,date,name,calories,protein,carbs,fat,meal_type,serving,serving_size,serving_unit,micronutrients,micronutrient_source,water_amount,created_at');
 
             if (error) {
               throw error;
@@ -1628,8 +1712,104 @@ export function MealProvider({
           dateCount: uniqueDateKeys.length,
         };
       },
+
+      importExerciseLog: async (entries: ImportedExerciseEntry[]) => {
+        if (!user) {
+          throw new Error('Sign in before importing data.');
+        }
+
+        if (!Array.isArray(entries) || entries.length === 0) {
+          return { importedCount: 0, skippedCount: 0 };
+        }
+
+        const uniqueDateKeys = [...new Set(entries.map((entry) => entry.dateKey))].sort();
+        if (!(await checkOnline())) {
+          showOfflineAlert('import exercise log');
+          throw new Error('An internet connection is required to import and save your exercise log.');
+        }
+
+        const existingSignatureCounts = new Map<string, number>();
+        try {
+          const { data, error } = await supabase
+            .from('workouts')
+            .select('date,name,duration,calories_burned')
+            .eq('user_id', user.id)
+            .gte('date', uniqueDateKeys[0])
+            .lte('date', uniqueDateKeys[uniqueDateKeys.length - 1]);
+
+          if (error) {
+            throw error;
+          }
+
+          (data || []).forEach((row: { date: DateKey; name: string; duration: number | null; calories_burned: number | null }) => {
+            const signature = buildExerciseImportSignature({
+              dateKey: row.date,
+              name: row.name,
+              duration: row.duration,
+              caloriesBurned: row.calories_burned,
+            });
+            existingSignatureCounts.set(signature, (existingSignatureCounts.get(signature) || 0) + 1);
+          });
+        } catch (error) {
+          Sentry.captureException(error);
+          throw new Error('Failed to check your existing exercise log before import.');
+        }
+
+        const rowsToInsert = entries.reduce<Record<string, unknown>[]>((accumulator, entry) => {
+          const signature = buildExerciseImportSignature({
+            dateKey: entry.dateKey,
+            name: entry.name,
+            duration: entry.durationMinutes,
+            caloriesBurned: entry.caloriesBurned,
+          });
+          const remainingExistingCount = existingSignatureCounts.get(signature) || 0;
+
+          if (remainingExistingCount > 0) {
+            existingSignatureCounts.set(signature, remainingExistingCount - 1);
+            return accumulator;
+          }
+
+          accumulator.push({
+            user_id: user.id,
+            date: entry.dateKey,
+            name: entry.name.trim(),
+            duration: Math.round(entry.durationMinutes) || 0,
+            calories_burned: Math.round(entry.caloriesBurned) || 0,
+          });
+          return accumulator;
+        }, []);
+
+        try {
+          for (let index = 0; index < rowsToInsert.length; index += IMPORT_BATCH_SIZE) {
+            const { error } = await supabase
+              .from('workouts')
+              .insert(rowsToInsert.slice(index, index + IMPORT_BATCH_SIZE));
+
+            if (error) {
+              throw error;
+            }
+          }
+        } catch (error) {
+          Sentry.captureException(error);
+          throw new Error('Failed to save the imported exercises. Please try again.');
+        }
+
+        // Refetch recent days that are already on screen so burned calories update
+        const cachedDateKeys = uniqueDateKeys
+          .slice(-IMPORT_HYDRATED_DATE_LIMIT)
+          .filter((dateKey) => fetchedDatesRef.current.has(dateKey));
+        for (const dateKey of cachedDateKeys) {
+          fetchedDatesRef.current.delete(dateKey);
+          await fetchDayData(dateKey, { silent: true });
+        }
+
+        return {
+          importedCount: rowsToInsert.length,
+          skippedCount: entries.length - rowsToInsert.length,
+        };
+      },
     }),
-    [user, selectedDateKey, selectedDate, isPlanningMode, triggerHaptic, awardXP, checkOnline, queueOperation, showOfflineAlert, showSubtleOfflineToast, fetchDayData]
+    [user, selectedDateKey, selectedDate, isPlanningMode, triggerHaptic, awardXP, checkOnline, queueOperation, resolveId, showOfflineAlert, showSubtleOfflineToast, fetchDayData]
   );
 
   // Profile-aware goals
@@ -6,6 +6,7 @@ import React, {
   useCallback,
   useMemo,
 } from 'react';
+import { AppState } from 'react-native';
 import {
   cancelActivationReminder as cancelActivationReminderService,
   configureNotifications,
@@ -22,6 +23,12 @@ import {
   DEFAULT_SETTINGS,
   type NotificationSettings,
 } from '../services/notifications';
+import { registerPushToken, syncPushPreferences } from '../services/pushNotifications';
+import {
+  recordPresentedNotifications,
+  syncPushDeliveries,
+  watchIncomingNotifications,
+} from '../services/notificationInbox';
 import { useAuth } from './AuthContext';
 import type { ActivationStage } from '../lib/activationTracker';
 
@@ -130,6 +137,9 @@ export function NotificationProvider({ children }: { children: React.ReactNode }
         if (user && hasPermission) {
           await rescheduleAll(settings);
         }
+        if (user) {
+          await syncPushPreferences(user.id, settings);
+        }
       } catch (error) {
         if (__DEV__) console.error('Failed to apply notification settings:', error);
       }
@@ -137,6 +147,34 @@ export function NotificationProvider({ children }: { children: React.ReactNode }
     applySettings();
   }, [settings, hasPermission, settingsLoaded, user]);
 
+  // Register this device for server pushes once notifications are allowed
+  useEffect(() => {
+    if (!user || !hasPermission) return;
+    registerPushToken();
+  }, [user, hasPermission]);
+
+  // Fill the inbox from foreground deliveries, the system tray and server
+  // pushes that arrived while the app was closed
+  useEffect(() => {
+    if (!user) return;
+    const userId = user.id;
+
+    function collect() {
+      recordPresentedNotifications();
+      syncPushDeliveries(userId);
+    }
+
+    collect();
+    const stopWatching = watchIncomingNotifications();
+    const subscription = AppState.addEventListener('change', (state: string) => {
+      if (state === 'active') collect();
+    });
+    return () => {
+      stopWatching();
+      subscription.remove();
+    };
+  }, [user]);
+
   // Update one or more settings fields
   const updateSettings = useCallback((newSettings: Partial<NotificationSettings>) => {
     setSettings((prev) => {
@@ -165,21 +203,21 @@ export function NotificationProvider({ children }: { children: React.ReactNode }
   const scheduleFastingAlert = useCallback(async (endTime: Date) => {
     if (!hasPermission) return;
     try {
-      await scheduleFastingAlertService(endTime);
+      await scheduleFastingAlertService(endTime, settings);
     } catch (error) {
       if (__DEV__) console.error('Failed to schedule fasting alert:', error);
     }
-  }, [hasPermission]);
+  }, [hasPermission, settings]);
 
   // Passthrough: schedule a streak warning for tonight with personalized copy
   const scheduleStreakWarning = useCallback(async (streakDays?: number, userName?: string) => {
     if (!hasPermission || !settings.streakWarnings) return;
     try {
-      await scheduleStreakWarningService(streakDays, userName);
+      await scheduleStreakWarningService(streakDays, userName, settings);
     } catch (error) {
       if (__DEV__) console.error('Failed to schedule streak warning:', error);
     }
-  }, [hasPermission, settings.streakWarnings]);
+  }, [hasPermission, settings]);
 
   const syncActivationReminder = useCallback(async (stage: ActivationStage, userName?: string) => {
     if (!hasPermission || !settings.streakWarnings) return;
@@ -190,11 +228,11 @@ export function NotificationProvider({ children }: { children: React.ReactNode }
         return;
       }
 
-      await scheduleActivationReminderService(stage, userName);
+      await scheduleActivationReminderService(stage, userName, settings);
     } catch (error) {
       if (__DEV__) console.error('Failed to sync activation reminder:', error);
     }
-  }, [hasPermission, settings.streakWarnings]);
+  }, [hasPermission, settings]);
 
   // Cancel a specific notification by identifier
   const cancelNotification = useCallback(async (identifier: string) => {
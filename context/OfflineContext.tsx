@@ -5,33 +5,43 @@ import NetInfo from '@react-native-community/netinfo';
 import { supabase } from '../lib/supabase';
 import { Sentry } from '../lib/sentry';
 import { useAuth } from './AuthContext';
+import {
+  coalesceOperation,
+  createQueuedOperation,
+  isBlockedByPendingInsert,
+  MAX_RETRIES,
+  normalizeQueuedOperation,
+  partitionForReview,
+  pendingTempIds,
+  requeueReviewItem,
+  rewriteTempIds,
+} from '../lib/offlineQueue';
+import type { NewQueuedOperation, QueuedOperation, ReviewItem, TempIdMap } from '../lib/offlineQueue';
 
-const MAX_RETRIES = 5;
-const MAX_AGE_MS = 24 * 60 * 60 * 1000; // 24 hours
 const BASE_BACKOFF_MS = 1000; // 1 second initial backoff
 const MAX_BACKOFF_MS = 60 * 1000; // 60 seconds max backoff
-
-interface QueuedOperation {
-  table: string;
-  type: 'INSERT' | 'UPDATE' | 'DELETE';
-  payload: Record<string, unknown>;
-  where?: Record<string, unknown>;
-  tempId?: string;
-  queuedAt: string;
-  retryCount?: number;
-}
+/** Resolved tempIds kept for operations queued after their insert landed */
+const MAX_ID_MAP_ENTRIES = 500;
 
 interface FlushResult {
   flushed: number;
   failed: number;
-  dropped: number;
+  /** Waiting on a parent insert that hasn't landed yet */
+  blocked: number;
+  movedToReview: number;
 }
 
 interface OfflineContextValue {
   isOnline: boolean;
   queueLength: number;
-  queueOperation: (op: Omit<QueuedOperation, 'queuedAt' | 'retryCount'>) => Promise<void>;
+  /** Operations that went stale or kept failing and need the user's decision */
+  reviewItems: ReviewItem[];
+  queueOperation: (op: NewQueuedOperation) => Promise<void>;
   flushQueue: () => Promise<FlushResult>;
+  retryReviewItem: (operationId: string) => Promise<void>;
+  discardReviewItem: (operationId: string) => Promise<void>;
+  /** Server id for a row created offline, or the id unchanged */
+  resolveId: (id: string | number) => string | number;
   checkOnline: () => Promise<boolean>;
   showOfflineAlert: (action?: string) => void;
 }
@@ -39,6 +49,56 @@ interface OfflineContextValue {
 const OfflineContext = createContext<OfflineContextValue | null>(null);
 
 const QUEUE_KEY = '@fueliq_offline_queue';
+const REVIEW_KEY = '@fueliq_offline_review';
+const ID_MAP_KEY = '@fueliq_offline_id_map';
+
+async function readJSON<T>(key: string, fallback: T): Promise<T> {
+  const raw = await AsyncStorage.getItem(key);
+  return raw ? JSON.parse(raw) : fallback;
+}
+
+async function loadQueue(): Promise<QueuedOperation[]> {
+  const queue = await readJSON<QueuedOperation[]>(QUEUE_KEY, []);
+  return queue.map(normalizeQueuedOperation);
+}
+
+function trimIdMap(idMap: TempIdMap): TempIdMap {
+  const entries = Object.entries(idMap);
+  return entries.length > MAX_ID_MAP_ENTRIES ? Object.fromEntries(entries.slice(-MAX_ID_MAP_ENTRIES)) : idMap;
+}
+
+/**
+ * Run a single queued operation against Supabase. Inserts that carry a
+ * tempId select the new row id so dependent operations can be rewritten.
+ */
+async function executeOperation(op: QueuedOperation): Promise<{ error: string | null; serverId?: string | number }> {
+  if (op.type === 'INSERT') {
+    if (op.tempId) {
+      const { data, error } = await supabase.from(op.table).insert(op.payload).select('id').single();
+      return { error: error?.message ?? null, serverId: data?.id };
+    }
+    const { error } = await supabase.from(op.table).insert(op.payload);
+    return { error: error?.message ?? null };
+  }
+
+  if (op.type === 'UPSERT') {
+    const { error } = await supabase
+      .from(op.table)
+      .upsert(op.payload, op.onConflict ? { onConflict: op.onConflict } : undefined);
+    return { error: error?.message ?? null };
+  }
+
+  if (!op.where) {
+    return { error: `${op.type} operation missing where clause` };
+  }
+
+  let query = op.type === 'UPDATE' ? supabase.from(op.table).update(op.payload) : supabase.from(op.table).delete();
+  for (const [col, val] of Object.entries(op.where)) {
+    query = query.eq(col, val);
+  }
+  const { error } = await query;
+  return { error: error?.message ?? null };
+}
 
 /**
  * Calculate exponential backoff delay with jitter.
@@ -59,18 +119,24 @@ function sleep(ms: number): Promise<void> {
 /**
  * OfflineContext provides:
  * - Real-time connectivity state
- * - A persistent operation queue (AsyncStorage-backed)
- * - Auto-flush when connectivity returns
+ * - A persistent operation queue (AsyncStorage-backed) that coalesces
+ *   operations on the same row (see lib/offlineQueue)
+ * - Auto-flush when connectivity returns, in queue order, holding back
+ *   operations until the insert they depend on has landed
+ * - tempId → server id rewriting for operations queued against rows
+ *   created offline
  * - Exponential backoff on failed flushes
- * - Max retry count per operation (dropped after MAX_RETRIES)
- * - Conflict resolution for stale operations (skip items older than 24 hours)
+ * - A "needs review" list for operations older than 24 hours or that
+ *   failed MAX_RETRIES times, so nothing queued is silently discarded
  */
 export function OfflineProvider({ children }: { children: React.ReactNode }) {
   const { user } = useAuth();
   const [isOnline, setIsOnline] = useState<boolean>(true);
   const [queueLength, setQueueLength] = useState<number>(0);
+  const [reviewItems, setReviewItems] = useState<ReviewItem[]>([]);
   const flushingRef = useRef<boolean>(false);
   const flushLockRef = useRef<Promise<FlushResult> | null>(null);
+  const idMapRef = useRef<TempIdMap>({});
 
   // Subscribe to network state changes
   useEffect(() => {
@@ -87,9 +153,9 @@ export function OfflineProvider({ children }: { children: React.ReactNode }) {
     return () => unsubscribe();
   }, []);
 
-  // Load queue length on mount
+  // Load persisted queue state on mount
   useEffect(() => {
-    loadQueueLength();
+    loadQueueState();
   }, []);
 
   // Auto-flush when we come back online
@@ -99,27 +165,37 @@ export function OfflineProvider({ children }: { children: React.ReactNode }) {
     }
   }, [isOnline, user, queueLength]);
 
-  const loadQueueLength = async (): Promise<void> => {
+  const loadQueueState = async (): Promise<void> => {
     try {
-      const raw = await AsyncStorage.getItem(QUEUE_KEY);
-      const queue: QueuedOperation[] = raw ? JSON.parse(raw) : [];
+      const [queue, review, idMap] = await Promise.all([
+        loadQueue(),
+        readJSON<ReviewItem[]>(REVIEW_KEY, []),
+        readJSON<TempIdMap>(ID_MAP_KEY, {}),
+      ]);
+      idMapRef.current = idMap;
       setQueueLength(queue.length);
+      setReviewItems(review);
     } catch (e) {
       Sentry.captureException(e);
       setQueueLength(0);
     }
   };
 
+  const saveReview = async (review: ReviewItem[]): Promise<void> => {
+    await AsyncStorage.setItem(REVIEW_KEY, JSON.stringify(review));
+    setReviewItems(review);
+  };
+
   /**
-   * Queue an operation for later sync.
+   * Queue an operation for later sync, coalescing it with earlier
+   * operations on the same row.
    */
-  const queueOperation = useCallback(async (op: Omit<QueuedOperation, 'queuedAt' | 'retryCount'>): Promise<void> => {
+  const queueOperation = useCallback(async (op: NewQueuedOperation): Promise<void> => {
     try {
-      const raw = await AsyncStorage.getItem(QUEUE_KEY);
-      const queue: QueuedOperation[] = raw ? JSON.parse(raw) : [];
-      queue.push({ ...op, queuedAt: new Date().toISOString(), retryCount: 0 } as QueuedOperation);
-      await AsyncStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
-      setQueueLength(queue.length);
+      const queue = await loadQueue();
+      const next = coalesceOperation(queue, createQueuedOperation(op));
+      await AsyncStorage.setItem(QUEUE_KEY, JSON.stringify(next));
+      setQueueLength(next.length);
     } catch (error: any) {
       if (__DEV__) console.error('[Offline] Failed to queue operation:', error.message);
     }
@@ -127,8 +203,8 @@ export function OfflineProvider({ children }: { children: React.ReactNode }) {
 
   /**
    * Flush all queued operations to Supabase in order.
-   * Implements exponential backoff, retry limits, and stale operation pruning.
-   * Returns { flushed: number, failed: number, dropped: number }
+   * Implements exponential backoff, dependency ordering on tempIds, and moves
+   * stale or repeatedly failing operations to the review list.
    */
   const flushQueue = useCallback(async (): Promise<FlushResult> => {
     if (flushLockRef.current) {
@@ -140,100 +216,88 @@ export function OfflineProvider({ children }: { children: React.ReactNode }) {
 
       let flushed = 0;
       let failed = 0;
-      let dropped = 0;
+      let blocked = 0;
+      let movedToReview = 0;
 
       try {
-        const raw = await AsyncStorage.getItem(QUEUE_KEY);
-        const queue: QueuedOperation[] = raw ? JSON.parse(raw) : [];
+        const queue = await loadQueue();
         if (queue.length === 0) {
-          return { flushed: 0, failed: 0, dropped: 0 };
+          return { flushed: 0, failed: 0, blocked: 0, movedToReview: 0 };
         }
 
+        const [storedReview, storedIdMap] = await Promise.all([
+          readJSON<ReviewItem[]>(REVIEW_KEY, []),
+          readJSON<TempIdMap>(ID_MAP_KEY, {}),
+        ]);
+        const idMap: TempIdMap = { ...storedIdMap };
+        const { active, review: stale } = partitionForReview(queue);
+        const review = [...storedReview, ...stale];
+        movedToReview += stale.length;
+
         const remaining: QueuedOperation[] = [];
-        const now = Date.now();
-
-        for (const op of queue) {
-          // Skip and drop stale operations older than MAX_AGE_MS
-          const opAge = now - new Date(op.queuedAt).getTime();
-          if (opAge > MAX_AGE_MS) {
-            dropped++;
-            if (__DEV__) console.log(`[Offline] Dropping stale operation (${Math.round(opAge / 3600000)}h old):`, op.table, op.type);
-            continue;
-          }
 
-          // Drop operations that have exceeded max retries
-          const retryCount = op.retryCount ?? 0;
-          if (retryCount >= MAX_RETRIES) {
-            dropped++;
-            if (__DEV__) console.log(`[Offline] Dropping operation after ${MAX_RETRIES} retries:`, op.table, op.type);
+        for (const queued of active) {
+          const op = rewriteTempIds(queued, idMap);
+
+          // Parent insert still queued or waiting for review — keep order, don't burn a retry
+          const pending = pendingTempIds([...remaining, ...review.map((item) => item.operation)]);
+          if (isBlockedByPendingInsert(op, pending)) {
+            blocked++;
+            remaining.push(op);
             continue;
           }
 
           // Apply exponential backoff delay between retries
+          const retryCount = op.retryCount ?? 0;
           if (retryCount > 0) {
             const delay = getBackoffDelay(retryCount);
             if (__DEV__) console.log(`[Offline] Backoff ${delay}ms for retry #${retryCount}`);
             await sleep(delay);
           }
 
+          let error: string | null;
+          let serverId: string | number | undefined;
           try {
-            let success = false;
-
-            if (op.type === 'INSERT') {
-              const { error } = await supabase.from(op.table).insert(op.payload);
-              if (error) {
-                if (__DEV__) console.error('[Offline] Flush INSERT failed:', error.message);
-              } else {
-                success = true;
-              }
-            } else if (op.type === 'UPDATE') {
-              if (op.where) {
-                let query = supabase.from(op.table).update(op.payload);
-                for (const [col, val] of Object.entries(op.where)) {
-                  query = query.eq(col, val);
-                }
-                const { error } = await query;
-                if (error) {
-                  if (__DEV__) console.error('[Offline] Flush UPDATE failed:', error.message);
-                } else {
-                  success = true;
-                }
-              } else {
-                if (__DEV__) console.error('[Offline] UPDATE operation missing where clause');
-              }
-            } else if (op.type === 'DELETE') {
-              if (op.where) {
-                let query = supabase.from(op.table).delete();
-                for (const [col, val] of Object.entries(op.where)) {
-                  query = query.eq(col, val);
-                }
-                const { error } = await query;
-                if (error) {
-                  if (__DEV__) console.error('[Offline] Flush DELETE failed:', error.message);
-                } else {
-                  success = true;
-                }
-              }
-            }
+            ({ error, serverId } = await executeOperation(op));
+          } catch (e: any) {
+            Sentry.captureException(e);
+            error = e?.message ?? String(e);
+          }
 
-            if (success) {
-              flushed++;
-            } else {
-              failed++;
-              remaining.push({ ...op, retryCount: retryCount + 1 });
+          if (!error) {
+            flushed++;
+            if (op.type === 'INSERT' && op.tempId && serverId !== undefined && serverId !== null) {
+              idMap[op.tempId] = serverId;
             }
-          } catch (e) {
-            Sentry.captureException(e);
-            failed++;
-            remaining.push({ ...op, retryCount: (op.retryCount ?? 0) + 1 });
+            continue;
           }
-        }
 
-        await AsyncStorage.setItem(QUEUE_KEY, JSON.stringify(remaining));
-        setQueueLength(remaining.length);
+          if (__DEV__) console.error(`[Offline] Flush ${op.type} failed:`, error);
+          failed++;
+          const retried: QueuedOperation = { ...op, retryCount: retryCount + 1, lastError: error };
+          if (retryCount + 1 >= MAX_RETRIES) {
+            movedToReview++;
+            review.push({ operation: retried, reason: 'max_retries', movedAt: new Date().toISOString() });
+          } else {
+            remaining.push(retried);
+          }
+        }
 
-        if (__DEV__ && (flushed > 0 || dropped > 0)) {
-          console.log(`[Offline] Flushed ${flushed}, failed ${failed}, dropped ${dropped}`);
+        // Keep anything queued while this flush was running
+        const snapshotIds = new Set(queue.map((op) => op.id));
+        const queuedDuringFlush = (await loadQueue()).filter((op) => !snapshotIds.has(op.id));
+        const nextQueue = queuedDuringFlush.reduce(coalesceOperation, remaining);
+
+        idMapRef.current = trimIdMap(idMap);
+        await Promise.all([
+          AsyncStorage.setItem(QUEUE_KEY, JSON.stringify(nextQueue)),
+          AsyncStorage.setItem(ID_MAP_KEY, JSON.stringify(idMapRef.current)),
+          saveReview(review),
+        ]);
+        setQueueLength(nextQueue.length);
+
+        if (__DEV__ && (flushed > 0 || movedToReview > 0)) {
+          console.log(`[Offline] Flushed ${flushed}, failed ${failed}, blocked ${blocked}, moved to review ${movedToReview}`);
         }
       } catch (error: any) {
         if (__DEV__) console.error('[Offline] Flush error:', error.message);
@@ -241,7 +305,7 @@ export function OfflineProvider({ children }: { children: React.ReactNode }) {
         flushingRef.current = false;
       }
 
-      return { flushed, failed, dropped };
+      return { flushed, failed, blocked, movedToReview };
     })();
 
     flushLockRef.current = promise;
@@ -252,6 +316,50 @@ export function OfflineProvider({ children }: { children: React.ReactNode }) {
     }
   }, []);
 
+  /**
+   * Put a reviewed operation back on the queue with a fresh retry budget.
+   */
+  const retryReviewItem = useCallback(async (operationId: string): Promise<void> => {
+    try {
+      const review = await readJSON<ReviewItem[]>(REVIEW_KEY, []);
+      const item = review.find((entry) => entry.operation.id === operationId);
+      if (!item) return;
+      const queue = requeueReviewItem(await loadQueue(), item);
+      await AsyncStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+      await saveReview(review.filter((entry) => entry !== item));
+      setQueueLength(queue.length);
+    } catch (e) {
+      Sentry.captureException(e);
+      if (__DEV__) console.warn('[Offline] Failed to retry review item:', e);
+    }
+  }, []);
+
+  /**
+   * Drop a reviewed operation. Discarding an insert also drops the queued
+   * operations that reference its tempId, since their row will never exist.
+   */
+  const discardReviewItem = useCallback(async (operationId: string): Promise<void> => {
+    try {
+      const review = await readJSON<ReviewItem[]>(REVIEW_KEY, []);
+      const item = review.find((entry) => entry.operation.id === operationId);
+      if (!item) return;
+      const { tempId } = item.operation;
+      const orphaned = (op: QueuedOperation) =>
+        item.operation.type === 'INSERT' && !!tempId && isBlockedByPendingInsert(op, new Set([tempId]));
+      const queue = (await loadQueue()).filter((op) => !orphaned(op));
+      await AsyncStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+      await saveReview(review.filter((entry) => entry !== item && !orphaned(entry.operation)));
+      setQueueLength(queue.length);
+    } catch (e) {
+      Sentry.captureException(e);
+      if (__DEV__) console.warn('[Offline] Failed to discard review item:', e);
+    }
+  }, []);
+
+  const resolveId = useCallback((id: string | number): string | number => {
+    return idMapRef.current[String(id)] ?? id;
+  }, []);
+
   /**
    * Check connectivity (instant, reactive state).
    * For one-off checks, use checkOnline().
@@ -277,8 +385,10 @@ export function OfflineProvider({ children }: { children: React.ReactNode }) {
   // Clear queue on logout
   useEffect(() => {
     if (!user) {
-      AsyncStorage.removeItem(QUEUE_KEY).catch((e) => { if (__DEV__) console.warn('[OfflineContext] Failed to clear queue:', e); });
+      AsyncStorage.multiRemove([QUEUE_KEY, REVIEW_KEY, ID_MAP_KEY]).catch((e) => { if (__DEV__) console.warn('[OfflineContext] Failed to clear queue:', e); });
+      idMapRef.current = {};
       setQueueLength(0);
+      setReviewItems([]);
     }
   }, [user]);
 
@@ -286,12 +396,16 @@ export function OfflineProvider({ children }: { children: React.ReactNode }) {
     () => ({
       isOnline,
       queueLength,
+      reviewItems,
       queueOperation,
       flushQueue,
+      retryReviewItem,
+      discardReviewItem,
+      resolveId,
       checkOnline,
       showOfflineAlert,
     }),
-    [isOnline, queueLength, queueOperation, flushQueue, checkOnline, showOfflineAlert]
+    [isOnline, queueLength, reviewItems, queueOperation, flushQueue, retryReviewItem, discardReviewItem, resolveId, checkOnline, showOfflineAlert]
   );
 
   return <OfflineContext.Provider value={value}>{children}</OfflineContext.Provider>;
@@ -4,7 +4,9 @@ import { hapticSuccess, hapticLight } from '../lib/haptics';
 import { supabase } from '../lib/supabase';
 import { useAuth } from './AuthContext';
 import { useOffline } from './OfflineContext';
-import type { FoodItem, MacroSet } from '../types';
+import { sumIngredientMacros } from '../lib/recipeScaling';
+import { combineIngredientMicronutrients } from '../lib/micronutrients';
+import type { FoodItem, MacroSet, MicronutrientSet, MicronutrientSource } from '../types';
 
 interface RecipeItem extends MacroSet {
   id: string;
@@ -13,6 +15,11 @@ interface RecipeItem extends MacroSet {
   ingredients: FoodItem[];
   servings: number;
   totalMacros: MacroSet;
+  /** Per serving, combined from the ingredients */
+  micronutrients?: MicronutrientSet;
+  micronutrientSource?: MicronutrientSource;
+  /** Weight of the whole cooked dish, so portions can be logged by weight */
+  cookedWeightGrams?: number | null;
   serving: string;
   servingSize: number;
   servingUnit: string;
@@ -34,7 +41,7 @@ interface RecipeContextValue {
   recentFoods: RecentFoodItem[];
   recentFoodsLoading: boolean;
   isLoading: boolean;
-  saveRecipe: (name: string, ingredients: FoodItem[], servings: number, emoji?: string) => Promise<RecipeItem>;
+  saveRecipe: (name: string, ingredients: FoodItem[], servings: number, emoji?: string, cookedWeightGrams?: number | null) => Promise<RecipeItem>;
   updateRecipe: (recipeId: string, updates: Partial<RecipeItem>) => Promise<void>;
   deleteRecipe: (recipeId: string) => Promise<void>;
   fetchRecentFoods: () => Promise<void>;
@@ -87,7 +94,7 @@ export function RecipeProvider({ children }: { children: React.ReactNode }) {
     })();
   }, [user]);
 
-  const saveRecipe = useCallback(async (name: string, ingredients: FoodItem[], servings: number, emoji: string = '🍳'): Promise<RecipeItem> => {
+  const saveRecipe = useCallback(async (name: string, ingredients: FoodItem[], servings: number, emoji: string = '🍳', cookedWeightGrams: number | null = null): Promise<RecipeItem> => {
     if (!user || !user.id) {
       throw new Error('User not found. Please log in again.');
     }
@@ -97,15 +104,7 @@ export function RecipeProvider({ children }: { children: React.ReactNode }) {
       throw new Error('No internet connection');
     }
 
-    const totalMacros: MacroSet = ingredients.reduce(
-      (acc, ingredient) => ({
-        calories: acc.calories + (ingredient.calories || 0),
-        protein: acc.protein + (ingredient.protein || 0),
-        carbs: acc.carbs + (ingredient.carbs || 0),
-        fat: acc.fat + (ingredient.fat || 0),
-      }),
-      { calories: 0, protein: 0, carbs: 0, fat: 0 }
-    );
+    const totalMacros: MacroSet = sumIngredientMacros(ingredients);
 
     const servingCount = Math.max(1, servings);
     const perServing: MacroSet = {
@@ -114,6 +113,7 @@ export function RecipeProvider({ children }: { children: React.ReactNode }) {
       carbs: Math.round(totalMacros.carbs / servingCount),
       fat: Math.round(totalMacros.fat / servingCount),
     };
+    const perServingMicros = combineIngredientMicronutrients(ingredients, servingCount);
 
     try {
       const { data: recipeData, error: recipeError } = await supabase
@@ -159,7 +159,9 @@ export function RecipeProvider({ children }: { children: React.ReactNode }) {
         ingredients,
         servings: servingCount,
         totalMacros,
+        cookedWeightGrams: cookedWeightGrams && cookedWeightGrams > 0 ? cookedWeightGrams : null,
         ...perServing,
+        ...perServingMicros,
         serving: `1/${servingCount} recipe`,
         servingSize: 1,
         servingUnit: 'serving',
@@ -0,0 +1,137 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { AppState } from 'react-native';
+import { useAuth } from './AuthContext';
+import { useOffline } from './OfflineContext';
+import {
+  syncTrackerStores,
+  subscribeTrackerChanges,
+  clearTrackerSyncMeta,
+  type TrackerStoreId,
+  type TrackerSyncResult,
+} from '../lib/trackerSync';
+import { Sentry } from '../lib/sentry';
+
+const PUSH_DEBOUNCE_MS = 2000;
+
+interface TrackerSyncContextValue {
+  isSyncing: boolean;
+  lastSyncedAt: string | null;
+  /** Pull remote changes, merge them and queue local changes for upload */
+  syncNow: () => Promise<TrackerSyncResult | null>;
+}
+
+const TrackerSyncContext = createContext<TrackerSyncContextValue | null>(null);
+
+/**
+ * TrackerSyncProvider keeps the local-only trackers in sync with Supabase:
+ * - Full pull + merge on login and whenever the app returns to the foreground
+ * - Debounced push of local edits through the OfflineContext queue
+ *
+ * Must be mounted inside OfflineProvider.
+ */
+export function TrackerSyncProvider({ children }: { children: React.ReactNode }) {
+  const { user } = useAuth();
+  const { isOnline, queueOperation, flushQueue } = useOffline();
+  const [isSyncing, setIsSyncing] = useState<boolean>(false);
+  const [lastSyncedAt, setLastSyncedAt] = useState<string | null>(null);
+  const syncLockRef = useRef<Promise<TrackerSyncResult | null> | null>(null);
+  const pendingStoresRef = useRef<Set<TrackerStoreId>>(new Set());
+  const userId = user?.id ?? null;
+
+  const runSync = useCallback(async (pull: boolean, storeIds?: TrackerStoreId[]): Promise<TrackerSyncResult | null> => {
+    if (!userId) return null;
+    // Serialise syncs so two merges never read the same base concurrently
+    while (syncLockRef.current) {
+      await syncLockRef.current;
+    }
+
+    const promise = (async (): Promise<TrackerSyncResult | null> => {
+      if (pull) setIsSyncing(true);
+      try {
+        const result = await syncTrackerStores({ userId, queueOperation, pull, storeIds });
+        if (result.pushed > 0 && isOnline) {
+          await flushQueue();
+        }
+        if (pull) setLastSyncedAt(new Date().toISOString());
+        return result;
+      } catch (e) {
+        Sentry.captureException(e);
+        if (__DEV__) console.warn('[TrackerSync] Sync failed:', e);
+        return null;
+      } finally {
+        if (pull) setIsSyncing(false);
+      }
+    })();
+
+    syncLockRef.current = promise;
+    try {
+      return await promise;
+    } finally {
+      syncLockRef.current = null;
+    }
+  }, [userId, queueOperation, flushQueue, isOnline]);
+
+  const syncNow = useCallback(() => runSync(true), [runSync]);
+
+  // Pull on login and when connectivity returns
+  useEffect(() => {
+    if (userId && isOnline) {
+      runSync(true);
+    }
+  }, [userId, isOnline]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Pull again whenever the app comes back to the foreground
+  useEffect(() => {
+    if (!userId) return;
+    const subscription = AppState.addEventListener('change', (state: string) => {
+      if (state === 'active' && isOnline) {
+        runSync(true);
+      }
+    });
+    return () => subscription.remove();
+  }, [userId, isOnline, runSync]);
+
+  // Push local edits shortly after the tracker hooks persist them
+  useEffect(() => {
+    if (!userId) return;
+    let timer: ReturnType<typeof setTimeout> | null = null;
+
+    const unsubscribe = subscribeTrackerChanges((storeId) => {
+      pendingStoresRef.current.add(storeId);
+      if (timer) clearTimeout(timer);
+      timer = setTimeout(() => {
+        const storeIds = [...pendingStoresRef.current];
+        pendingStoresRef.current.clear();
+        runSync(false, storeIds);
+      }, PUSH_DEBOUNCE_MS);
+    });
+
+    return () => {
+      if (timer) clearTimeout(timer);
+      unsubscribe();
+    };
+  }, [userId, runSync]);
+
+  // Forget merge bases on logout so the next account starts clean
+  useEffect(() => {
+    if (!user) {
+      clearTrackerSyncMeta();
+      setLastSyncedAt(null);
+    }
+  }, [user]);
+
+  const value = useMemo<TrackerSyncContextValue>(
+    () => ({ isSyncing, lastSyncedAt, syncNow }),
+    [isSyncing, lastSyncedAt, syncNow]
+  );
+
+  return <TrackerSyncContext.Provider value={value}>{children}</TrackerSyncContext.Provider>;
+}
+
+export function useTrackerSync(): TrackerSyncContextValue {
+  const context = useContext(TrackerSyncContext);
+  if (!context) {
+    throw new Error('useTrackerSync must be used within a TrackerSyncProvider');
+  }
+  return context;
+}
@@ -0,0 +1,220 @@
+/**
+ * Build-your-own restaurant items (bowls, burritos, subs).
+ *
+ * Each builder is a list of steps; every option carries the chain's published
+ * nutrition for one standard scoop/portion. Totals are computed from the
+ * picked options in lib/restaurantMenu.
+ */
+
+export interface RestaurantBuilderOption {
+  id: string;
+  name: string;
+  calories: number;
+  protein: number;
+  carbs: number;
+  fat: number;
+  fiber?: number;
+  sodium?: number;
+  sugar?: number;
+  /** Grams in one portion */
+  grams: number;
+  /** Picked when the builder opens */
+  default?: boolean;
+}
+
+export interface RestaurantBuilderStep {
+  id: string;
+  name: string;
+  /** Picks required before the item can be logged (0 = optional) */
+  min: number;
+  /** Distinct options allowed; 1 means picking replaces the previous choice */
+  max: number;
+  /** Options in this step can be doubled (e.g. double protein) */
+  allowDouble?: boolean;
+  options: RestaurantBuilderOption[];
+}
+
+export interface RestaurantBuilder {
+  id: string;
+  chain: string;
+  name: string;
+  category: string;
+  /** Serving label for the finished item, e.g. '1 burrito' */
+  serving: string;
+  steps: RestaurantBuilderStep[];
+}
+
+// ─── Chipotle ───
+
+const CHIPOTLE_PROTEIN: RestaurantBuilderStep = {
+  id: 'protein',
+  name: 'Protein',
+  min: 1,
+  max: 2,
+  allowDouble: true,
+  options: [
+    { id: 'chicken', name: 'Chicken', calories: 180, protein: 32, carbs: 0, fat: 7, fiber: 0, sodium: 310, sugar: 0, grams: 113, default: true },
+    { id: 'steak', name: 'Steak', calories: 150, protein: 21, carbs: 1, fat: 6, fiber: 1, sodium: 330, sugar: 0, grams: 113 },
+    { id: 'barbacoa', name: 'Barbacoa', calories: 170, protein: 24, carbs: 2, fat: 7, fiber: 1, sodium: 530, sugar: 0, grams: 113 },
+    { id: 'carnitas', name: 'Carnitas', calories: 210, protein: 23, carbs: 0, fat: 12, fiber: 0, sodium: 450, sugar: 0, grams: 113 },
+    { id: 'sofritas', name: 'Sofritas', calories: 150, protein: 8, carbs: 9, fat: 10, fiber: 3, sodium: 560, sugar: 5, grams: 113 },
+    { id: 'fajita_veggies', name: 'Fajita Veggies', calories: 20, protein: 1, carbs: 5, fat: 0, fiber: 1, sodium: 150, sugar: 2, grams: 57 },
+  ],
+};
+
+const CHIPOTLE_RICE: RestaurantBuilderStep = {
+  id: 'rice',
+  name: 'Rice',
+  min: 0,
+  max: 1,
+  allowDouble: true,
+  options: [
+    { id: 'white_rice', name: 'Cilantro-Lime White Rice', calories: 210, protein: 4, carbs: 40, fat: 4, fiber: 0, sodium: 350, sugar: 0, grams: 113, default: true },
+    { id: 'brown_rice', name: 'Cilantro-Lime Brown Rice', calories: 210, protein: 4, carbs: 36, fat: 6, fiber: 2, sodium: 190, sugar: 0, grams: 113 },
+  ],
+};
+
+const CHIPOTLE_BEANS: RestaurantBuilderStep = {
+  id: 'beans',
+  name: 'Beans',
+  min: 0,
+  max: 1,
+  allowDouble: true,
+  options: [
+    { id: 'black_beans', name: 'Black Beans', calories: 130, protein: 8, carbs: 22, fat: 1.5, fiber: 7, sodium: 210, sugar: 2, grams: 113, default: true },
+    { id: 'pinto_beans', name: 'Pinto Beans', calories: 130, protein: 8, carbs: 21, fat: 1.5, fiber: 8, sodium: 330, sugar: 1, grams: 113 },
+  ],
+};
+
+const CHIPOTLE_TOPPINGS: RestaurantBuilderStep = {
+  id: 'toppings',
+  name: 'Toppings',
+  min: 0,
+  max: 9,
+  options: [
+    { id: 'fresh_tomato_salsa', name: 'Fresh Tomato Salsa', calories: 25, protein: 0, carbs: 4, fat: 0, fiber: 1, sodium: 550, sugar: 1, grams: 113, default: true },
+    { id: 'corn_salsa', name: 'Roasted Chili-Corn Salsa', calories: 80, protein: 3, carbs: 16, fat: 1.5, fiber: 3, sodium: 330, sugar: 4, grams: 113 },
+    { id: 'green_salsa', name: 'Tomatillo-Green Chili Salsa', calories: 15, protein: 0, carbs: 4, fat: 0, fiber: 0, sodium: 260, sugar: 2, grams: 57 },
+    { id: 'red_salsa', name: 'Tomatillo-Red Chili Salsa', calories: 30, protein: 0, carbs: 4, fat: 0, fiber: 1, sodium: 500, sugar: 0, grams: 57 },
+    { id: 'sour_cream', name: 'Sour Cream', calories: 110, protein: 2, carbs: 2, fat: 9, fiber: 0, sodium: 30, sugar: 2, grams: 57 },
+    { id: 'cheese', name: 'Cheese', calories: 110, protein: 6, carbs: 1, fat: 8, fiber: 0, sodium: 190, sugar: 0, grams: 28, default: true },
+    { id: 'guacamole', name: 'Guacamole', calories: 230, protein: 2, carbs: 8, fat: 22, fiber: 6, sodium: 370, sugar: 1, grams: 113 },
+    { id: 'queso', name: 'Queso Blanco', calories: 120, protein: 5, carbs: 4, fat: 9, fiber: 0, sodium: 250, sugar: 1, grams: 57 },
+    { id: 'lettuce', name: 'Romaine Lettuce', calories: 5, protein: 0, carbs: 1, fat: 0, fiber: 1, sodium: 5, sugar: 0, grams: 28, default: true },
+  ],
+};
+
+// ─── Subway ───
+
+const SUBWAY_BREAD: RestaurantBuilderStep = {
+  id: 'bread',
+  name: 'Bread (6-inch)',
+  min: 1,
+  max: 1,
+  options: [
+    { id: 'italian_white', name: 'Artisan Italian', calories: 200, protein: 7, carbs: 38, fat: 2, fiber: 1, sodium: 360, sugar: 3, grams: 75, default: true },
+    { id: 'hearty_multigrain', name: 'Hearty Multigrain', calories: 200, protein: 8, carbs: 36, fat: 2.5, fiber: 3, sodium: 330, sugar: 4, grams: 78 },
+    { id: 'italian_herbs_cheese', name: 'Italian Herbs & Cheese', calories: 240, protein: 9, carbs: 39, fat: 5, fiber: 1, sodium: 510, sugar: 3, grams: 82 },
+    { id: 'flatbread', name: 'Flatbread', calories: 220, protein: 7, carbs: 36, fat: 5, fiber: 1, sodium: 430, sugar: 2, grams: 75 },
+  ],
+};
+
+const SUBWAY_PROTEIN: RestaurantBuilderStep = {
+  id: 'protein',
+  name: 'Protein',
+  min: 1,
+  max: 2,
+  allowDouble: true,
+  options: [
+    { id: 'turkey', name: 'Oven-Roasted Turkey', calories: 50, protein: 8, carbs: 1, fat: 1, fiber: 0, sodium: 460, sugar: 1, grams: 57, default: true },
+    { id: 'rotisserie_chicken', name: 'Rotisserie-Style Chicken', calories: 90, protein: 14, carbs: 0, fat: 3, fiber: 0, sodium: 200, sugar: 0, grams: 71 },
+    { id: 'black_forest_ham', name: 'Black Forest Ham', calories: 60, protein: 9, carbs: 2, fat: 1.5, fiber: 0, sodium: 540, sugar: 2, grams: 57 },
+    { id: 'tuna', name: 'Tuna', calories: 250, protein: 10, carbs: 0, fat: 23, fiber: 0, sodium: 200, sugar: 0, grams: 89 },
+    { id: 'steak', name: 'Steak', calories: 110, protein: 16, carbs: 3, fat: 3.5, fiber: 0, sodium: 660, sugar: 1, grams: 71 },
+  ],
+};
+
+const SUBWAY_CHEESE: RestaurantBuilderStep = {
+  id: 'cheese',
+  name: 'Cheese',
+  min: 0,
+  max: 1,
+  allowDouble: true,
+  options: [
+    { id: 'american', name: 'American', calories: 40, protein: 2, carbs: 1, fat: 3.5, fiber: 0, sodium: 200, sugar: 0, grams: 11, default: true },
+    { id: 'provolone', name: 'Provolone', calories: 50, protein: 4, carbs: 0, fat: 4, fiber: 0, sodium: 125, sugar: 0, grams: 14 },
+    { id: 'pepper_jack', name: 'Pepper Jack', calories: 50, protein: 3, carbs: 0, fat: 4, fiber: 0, sodium: 140, sugar: 0, grams: 14 },
+  ],
+};
+
+const SUBWAY_VEGGIES: RestaurantBuilderStep = {
+  id: 'veggies',
+  name: 'Veggies',
+  min: 0,
+  max: 8,
+  options: [
+    { id: 'lettuce', name: 'Lettuce', calories: 5, protein: 0, carbs: 1, fat: 0, fiber: 0, sodium: 0, sugar: 0, grams: 21, default: true },
+    { id: 'tomatoes', name: 'Tomatoes', calories: 5, protein: 0, carbs: 1, fat: 0, fiber: 0, sodium: 0, sugar: 1, grams: 28, default: true },
+    { id: 'cucumbers', name: 'Cucumbers', calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0, sodium: 0, sugar: 0, grams: 14 },
+    { id: 'red_onions', name: 'Red Onions', calories: 5, protein: 0, carbs: 1, fat: 0, fiber: 0, sodium: 0, sugar: 0, grams: 7, default: true },
+    { id: 'green_peppers', name: 'Green Peppers', calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0, sodium: 0, sugar: 0, grams: 7 },
+    { id: 'spinach', name: 'Spinach', calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0, sodium: 10, sugar: 0, grams: 7 },
+    { id: 'pickles', name: 'Pickles', calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0, sodium: 115, sugar: 0, grams: 8 },
+    { id: 'jalapenos', name: 'Jalapeños', calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0, sodium: 110, sugar: 0, grams: 7 },
+  ],
+};
+
+const SUBWAY_SAUCE: RestaurantBuilderStep = {
+  id: 'sauce',
+  name: 'Sauce',
+  min: 0,
+  max: 2,
+  options: [
+    { id: 'mayo', name: 'Mayonnaise', calories: 100, protein: 0, carbs: 0, fat: 11, fiber: 0, sodium: 75, sugar: 0, grams: 15 },
+    { id: 'mustard', name: 'Yellow Mustard', calories: 5, protein: 0, carbs: 0, fat: 0, fiber: 0, sodium: 85, sugar: 0, grams: 8 },
+    { id: 'chipotle_southwest', name: 'Baja Chipotle', calories: 100, protein: 0, carbs: 1, fat: 10, fiber: 0, sodium: 170, sugar: 1, grams: 21 },
+    { id: 'sweet_onion_teriyaki', name: 'Sweet Onion Teriyaki', calories: 40, protein: 0, carbs: 9, fat: 0, fiber: 0, sodium: 170, sugar: 8, grams: 21 },
+    { id: 'ranch', name: 'Peppercorn Ranch', calories: 100, protein: 0, carbs: 1, fat: 11, fiber: 0, sodium: 140, sugar: 1, grams: 21 },
+  ],
+};
+
+export const RESTAURANT_BUILDERS: RestaurantBuilder[] = [
+  {
+    id: 'chipotle_build_burrito',
+    chain: 'Chipotle',
+    name: 'Burrito',
+    category: 'burrito',
+    serving: '1 burrito',
+    steps: [
+      {
+        id: 'tortilla',
+        name: 'Tortilla',
+        min: 1,
+        max: 1,
+        options: [
+          { id: 'flour_tortilla', name: 'Flour Tortilla (Burrito)', calories: 320, protein: 8, carbs: 50, fat: 9, fiber: 3, sodium: 600, sugar: 0, grams: 113, default: true },
+        ],
+      },
+      CHIPOTLE_PROTEIN,
+      CHIPOTLE_RICE,
+      CHIPOTLE_BEANS,
+      CHIPOTLE_TOPPINGS,
+    ],
+  },
+  {
+    id: 'chipotle_build_bowl',
+    chain: 'Chipotle',
+    name: 'Burrito Bowl',
+    category: 'bowl',
+    serving: '1 bowl',
+    steps: [CHIPOTLE_PROTEIN, CHIPOTLE_RICE, CHIPOTLE_BEANS, CHIPOTLE_TOPPINGS],
+  },
+  {
+    id: 'subway_build_6in',
+    chain: 'Subway',
+    name: '6-inch Sub',
+    category: 'sub',
+    serving: '1 sandwich',
+    steps: [SUBWAY_BREAD, SUBWAY_PROTEIN, SUBWAY_CHEESE, SUBWAY_VEGGIES, SUBWAY_SAUCE],
+  },
+];
@@ -334,6 +334,20 @@ export const RESTAURANT_CHAINS: string[] = [
   ...new Set(RESTAURANT_FOODS.map((f) => f.chain)),
 ].sort();
 
+/** Items search runs against; replaced when a newer menu bundle is loaded */
+let activeRestaurantFoods: RestaurantFoodItem[] = RESTAURANT_FOODS;
+
+/**
+ * Swap in the items from a downloaded menu bundle (see services/restaurantMenu).
+ */
+export function setActiveRestaurantFoods(items: RestaurantFoodItem[]): void {
+  activeRestaurantFoods = items.length > 0 ? items : RESTAURANT_FOODS;
+}
+
+export function getActiveRestaurantFoods(): RestaurantFoodItem[] {
+  return activeRestaurantFoods;
+}
+
 /**
  * Search restaurant foods by name, chain, or category.
  * Returns results sorted by: exact match first, popular items first, then alphabetical.
@@ -343,7 +357,7 @@ export function searchRestaurantFoods(query: string): RestaurantFoodItem[] {
 
   const terms = query.toLowerCase().trim().split(/\s+/);
 
-  const results = RESTAURANT_FOODS.filter((item) => {
+  const results = activeRestaurantFoods.filter((item) => {
     const haystack = `${item.name} ${item.chain} ${item.category}`.toLowerCase();
     return terms.every((term) => haystack.includes(term));
   });
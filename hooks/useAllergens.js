@@ -1,25 +1,14 @@
 import { useState, useEffect, useCallback } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Sentry } from '../lib/sentry';
+import {
+  ALLERGENS_STORAGE_KEY,
+  COMMON_ALLERGENS,
+  checkFoodAllergens,
+  setCachedUserAllergens,
+} from '../lib/allergenGuard';
 
-const STORAGE_KEY = '@fueliq_allergens';
-
-const COMMON_ALLERGENS = [
-  { name: 'Dairy', emoji: '\uD83E\uDD5B', keywords: ['dairy', 'milk', 'cheese', 'butter', 'cream', 'yogurt', 'whey', 'casein'] },
-  { name: 'Gluten', emoji: '\uD83C\uDF3E', keywords: ['gluten', 'wheat', 'barley', 'rye', 'bread', 'pasta', 'flour'] },
-  { name: 'Nuts', emoji: '\uD83E\uDD5C', keywords: ['nuts', 'almond', 'cashew', 'walnut', 'pecan', 'pistachio', 'macadamia'] },
-  { name: 'Peanuts', emoji: '\uD83E\uDD5C', keywords: ['peanut', 'peanuts', 'peanut butter'] },
-  { name: 'Shellfish', emoji: '\uD83E\uDD90', keywords: ['shellfish', 'shrimp', 'crab', 'lobster', 'oyster', 'clam', 'mussel', 'scallop'] },
-  { name: 'Fish', emoji: '\uD83D\uDC1F', keywords: ['fish', 'salmon', 'tuna', 'cod', 'tilapia', 'anchovy', 'sardine'] },
-  { name: 'Eggs', emoji: '\uD83E\uDD5A', keywords: ['egg', 'eggs', 'mayonnaise', 'meringue'] },
-  { name: 'Soy', emoji: '\uD83E\uDED8', keywords: ['soy', 'soybean', 'tofu', 'tempeh', 'edamame', 'miso', 'soy sauce'] },
-  { name: 'Sesame', emoji: '\uD83E\uDED8', keywords: ['sesame', 'tahini', 'sesame oil', 'sesame seeds'] },
-  { name: 'Tree Nuts', emoji: '\uD83C\uDF30', keywords: ['tree nut', 'almond', 'cashew', 'walnut', 'pecan', 'hazelnut', 'brazil nut'] },
-  { name: 'Wheat', emoji: '\uD83C\uDF3E', keywords: ['wheat', 'flour', 'bread', 'pasta', 'couscous', 'semolina'] },
-  { name: 'Corn', emoji: '\uD83C\uDF3D', keywords: ['corn', 'maize', 'cornstarch', 'corn syrup', 'popcorn', 'polenta'] },
-  { name: 'Sulfites', emoji: '\uD83C\uDF77', keywords: ['sulfite', 'sulfites', 'wine', 'dried fruit', 'vinegar'] },
-  { name: 'Lactose', emoji: '\uD83E\uDD5B', keywords: ['lactose', 'milk', 'dairy', 'cream', 'ice cream', 'cheese'] },
-];
+const STORAGE_KEY = ALLERGENS_STORAGE_KEY;
 
 function generateId() {
   return `alg_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
@@ -41,6 +30,7 @@ export default function useAllergens() {
           const parsed = JSON.parse(stored);
           setAllergens(parsed.allergens || []);
           setReactions(parsed.reactions || []);
+          setCachedUserAllergens(parsed.allergens || []);
         }
       } catch (e) {
         Sentry.captureException(e);
@@ -53,6 +43,7 @@ export default function useAllergens() {
 
   // Persist data
   const persist = async (updatedAllergens, updatedReactions) => {
+    setCachedUserAllergens(updatedAllergens);
     try {
       await AsyncStorage.setItem(
         STORAGE_KEY,
@@ -139,31 +130,20 @@ export default function useAllergens() {
   const checkFood = useCallback(
     (foodName) => {
       if (!foodName) return [];
-      const lower = foodName.toLowerCase();
-      const matches = [];
-
-      allergens.forEach((userAllergen) => {
-        // Find the common allergen entry to get keywords
-        const common = COMMON_ALLERGENS.find(
-          (c) => c.name.toLowerCase() === userAllergen.name.toLowerCase()
-        );
-        const keywords = common
-          ? common.keywords
-          : [userAllergen.name.toLowerCase()];
-
-        for (const keyword of keywords) {
-          if (lower.includes(keyword)) {
-            matches.push(userAllergen);
-            break;
-          }
-        }
-      });
-
-      return matches;
+      return checkFoodAllergens({ name: foodName }, allergens).matches.map((m) => m.allergen);
     },
     [allergens]
   );
 
+  /**
+   * Full allergen check for a food (tags, ingredients, name and traces).
+   * Returns { level, matches, requiresOverride }.
+   */
+  const checkFoodDetails = useCallback(
+    (food) => checkFoodAllergens(food, allergens),
+    [allergens]
+  );
+
   return {
     allergens,
     reactions,
@@ -175,5 +155,6 @@ export default function useAllergens() {
     getRecentReactions,
     getAllergenNames,
     checkFood,
+    checkFoodDetails,
   };
 }
@@ -9,19 +9,19 @@ import { Sentry } from '../lib/sentry';
  */
 interface BodyFatCategory {
   max: number;
-  label: string;
+  labelKey: string;
   color: string;
 }
 
 interface BMICategory {
-  label: string;
+  labelKey: string;
   color: string;
 }
 
 interface MuscleGainLevel {
   min: number;
   max: number;
-  label: string;
+  labelKey: string;
 }
 
 interface MuscleGainPotential {
@@ -57,29 +57,29 @@ interface BodyComposition {
 }
 
 const BODY_FAT_CATEGORIES_MALE: BodyFatCategory[] = [
-  { max: 5, label: 'Essential', color: '#FF5252' },
-  { max: 13, label: 'Athletic', color: '#00E676' },
-  { max: 17, label: 'Fitness', color: '#00D4FF' },
-  { max: 24, label: 'Average', color: '#FFB300' },
-  { max: Infinity, label: 'Obese', color: '#FF5252' },
+  { max: 5, labelKey: 'bodyComposition.bodyFatCategories.essential', color: '#FF5252' },
+  { max: 13, labelKey: 'bodyComposition.bodyFatCategories.athletic', color: '#00E676' },
+  { max: 17, labelKey: 'bodyComposition.bodyFatCategories.fitness', color: '#00D4FF' },
+  { max: 24, labelKey: 'bodyComposition.bodyFatCategories.average', color: '#FFB300' },
+  { max: Infinity, labelKey: 'bodyComposition.bodyFatCategories.obese', color: '#FF5252' },
 ];
 
 const BODY_FAT_CATEGORIES_FEMALE: BodyFatCategory[] = [
-  { max: 13, label: 'Essential', color: '#FF5252' },
-  { max: 20, label: 'Athletic', color: '#00E676' },
-  { max: 24, label: 'Fitness', color: '#00D4FF' },
-  { max: 31, label: 'Average', color: '#FFB300' },
-  { max: Infinity, label: 'Obese', color: '#FF5252' },
+  { max: 13, labelKey: 'bodyComposition.bodyFatCategories.essential', color: '#FF5252' },
+  { max: 20, labelKey: 'bodyComposition.bodyFatCategories.athletic', color: '#00E676' },
+  { max: 24, labelKey: 'bodyComposition.bodyFatCategories.fitness', color: '#00D4FF' },
+  { max: 31, labelKey: 'bodyComposition.bodyFatCategories.average', color: '#FFB300' },
+  { max: Infinity, labelKey: 'bodyComposition.bodyFatCategories.obese', color: '#FF5252' },
 ];
 
 /**
  * BMI category thresholds
  */
 function getBMICategory(bmi: number): BMICategory {
-  if (bmi < 18.5) return { label: 'Underweight', color: '#64D2FF' };
-  if (bmi < 25) return { label: 'Normal', color: '#00E676' };
-  if (bmi < 30) return { label: 'Overweight', color: '#FFB300' };
-  return { label: 'Obese', color: '#FF5252' };
+  if (bmi < 18.5) return { labelKey: 'bodyComposition.bmiCategories.underweight', color: '#64D2FF' };
+  if (bmi < 25) return { labelKey: 'bodyComposition.bmiCategories.normal', color: '#00E676' };
+  if (bmi < 30) return { labelKey: 'bodyComposition.bmiCategories.overweight', color: '#FFB300' };
+  return { labelKey: 'bodyComposition.bodyFatCategories.obese', color: '#FF5252' };
 }
 
 /**
@@ -153,9 +153,9 @@ function getMuscleGainPotential(weightLbs: number | null, heightInches: number |
   const maxLeanMass = (heightCm - 100) * 2.2; // rough max lean mass in lbs
 
   return {
-    beginner: { min: parseFloat((weightLbs * 0.01).toFixed(1)), max: parseFloat((weightLbs * 0.015).toFixed(1)), label: 'Beginner (0-1 yr)' },
-    intermediate: { min: parseFloat((weightLbs * 0.005).toFixed(1)), max: parseFloat((weightLbs * 0.01).toFixed(1)), label: 'Intermediate (1-3 yr)' },
-    advanced: { min: parseFloat((weightLbs * 0.0025).toFixed(1)), max: parseFloat((weightLbs * 0.005).toFixed(1)), label: 'Advanced (3+ yr)' },
+    beginner: { min: parseFloat((weightLbs * 0.01).toFixed(1)), max: parseFloat((weightLbs * 0.015).toFixed(1)), labelKey: 'bodyComposition.muscleLevels.beginner' },
+    intermediate: { min: parseFloat((weightLbs * 0.005).toFixed(1)), max: parseFloat((weightLbs * 0.01).toFixed(1)), labelKey: 'bodyComposition.muscleLevels.intermediate' },
+    advanced: { min: parseFloat((weightLbs * 0.0025).toFixed(1)), max: parseFloat((weightLbs * 0.005).toFixed(1)), labelKey: 'bodyComposition.muscleLevels.advanced' },
     maxLeanPotential: Math.round(maxLeanMass),
   };
 }
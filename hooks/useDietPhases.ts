@@ -0,0 +1,249 @@
+/**
+ * useDietPhases - Scheduled diet phases (cut, maintenance, bulk, diet break,
+ * reverse diet) with automatic calorie steps.
+ *
+ * The plan is stored locally. Whenever a new phase, or a new week of a
+ * reverse diet, begins, useDietPhaseTargets (mounted on the home tab) commits
+ * the phase's calorie target to ProfileContext goals; protein and fat are kept
+ * and carbs absorb the change.
+ */
+
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { format } from 'date-fns';
+import { useProfile } from '../context/ProfileContext';
+import { Sentry } from '../lib/sentry';
+import { lbsToKg } from '../lib/adaptiveTDEE';
+import {
+  createPhase,
+  getPhaseCalorieTarget,
+  sanitizePhase,
+  schedulePhases,
+  type DietPhase,
+  type DietPhaseType,
+  type DietPlan,
+  type PhaseCalorieTarget,
+  type ScheduledPhase,
+} from '../lib/dietPhases';
+import { distributeMacros } from '../lib/weeklyCheckIn';
+import { useAdaptiveTDEE } from './useAdaptiveTDEE';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const STORAGE_KEY = '@fueliq_diet_phases';
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+interface StoredPhases {
+  plan: DietPlan | null;
+  /** stepKey of the last target committed to the profile */
+  appliedStepKey: string | null;
+}
+
+export interface UseDietPhasesReturn {
+  plan: DietPlan | null;
+  schedule: ScheduledPhase[];
+  /** Today's phase and calorie target, if a phase is active */
+  activeTarget: PhaseCalorieTarget | null;
+  /** Maintenance calories used for the phase targets */
+  maintenanceCalories: number;
+  isLoaded: boolean;
+  addPhase: (type: DietPhaseType) => Promise<void>;
+  updatePhase: (id: string, changes: Partial<Omit<DietPhase, 'id' | 'type'>>) => Promise<void>;
+  removePhase: (id: string) => Promise<void>;
+  movePhase: (id: string, direction: -1 | 1) => Promise<void>;
+  setStartDate: (dateKey: string) => Promise<void>;
+  clearPlan: () => Promise<void>;
+}
+
+const EMPTY: StoredPhases = { plan: null, appliedStepKey: null };
+
+// Every mounted copy of the hooks below re-reads the plan when one of them saves
+const phaseListeners = new Set<(stored: StoredPhases) => void>();
+
+// ---------------------------------------------------------------------------
+// Storage helpers
+// ---------------------------------------------------------------------------
+
+async function loadPhases(): Promise<StoredPhases> {
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY);
+    if (!raw) return EMPTY;
+    const stored = JSON.parse(raw);
+    const plan = stored?.plan;
+    return {
+      plan: plan && typeof plan.startDate === 'string' && Array.isArray(plan.phases) ? plan : null,
+      appliedStepKey: stored?.appliedStepKey ?? null,
+    };
+  } catch (e) {
+    Sentry.captureException(e);
+    return EMPTY;
+  }
+}
+
+async function savePhases(stored: StoredPhases): Promise<void> {
+  phaseListeners.forEach((listener) => listener(stored));
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+  } catch (e) {
+    Sentry.captureException(e);
+  }
+}
+
+/** The active phase of the stored plan, for hooks that only need to read it. */
+export async function loadActiveDietPhase(date: Date = new Date()): Promise<ScheduledPhase | null> {
+  const { plan } = await loadPhases();
+  if (!plan) return null;
+  const key = format(date, 'yyyy-MM-dd');
+  return schedulePhases(plan).find((p) => p.startDate <= key && key <= p.endDate) ?? null;
+}
+
+function phaseGoalType(type: DietPhaseType): 'cut' | 'maintain' | 'bulk' {
+  if (type === 'cut') return 'cut';
+  if (type === 'bulk') return 'bulk';
+  return 'maintain';
+}
+
+// ---------------------------------------------------------------------------
+// Hook
+// ---------------------------------------------------------------------------
+
+function useStoredPhases() {
+  const [stored, setStored] = useState<StoredPhases>(EMPTY);
+  const [isLoaded, setIsLoaded] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    phaseListeners.add(setStored);
+    loadPhases().then((loaded) => {
+      if (cancelled) return;
+      setStored(loaded);
+      setIsLoaded(true);
+    });
+    return () => {
+      cancelled = true;
+      phaseListeners.delete(setStored);
+    };
+  }, []);
+
+  return { stored, isLoaded, persist: savePhases };
+}
+
+function usePhaseTarget(plan: DietPlan | null) {
+  const { profile, calculatedGoals } = useProfile();
+  const { estimate } = useAdaptiveTDEE();
+
+  // Prefer the adaptive estimate once it is based on real data
+  const maintenanceCalories = useMemo(() => {
+    if (estimate && estimate.estimateSource !== 'formula') return estimate.tdee;
+    return profile.tdee || calculatedGoals.calories;
+  }, [estimate, profile.tdee, calculatedGoals.calories]);
+
+  const activeTarget = useMemo(
+    () => (plan ? getPhaseCalorieTarget(plan, maintenanceCalories) : null),
+    [plan, maintenanceCalories],
+  );
+
+  return { maintenanceCalories, activeTarget };
+}
+
+/**
+ * Steps the profile targets when a new phase or reverse-diet week begins.
+ * Mounted once on the home tab so it runs without the plan screens open.
+ */
+export function useDietPhaseTargets(): void {
+  const { profile, calculatedGoals, updateProfile } = useProfile();
+  const { stored, isLoaded, persist } = useStoredPhases();
+  const { activeTarget } = usePhaseTarget(stored.plan);
+  const isApplying = useRef(false);
+
+  useEffect(() => {
+    if (!isLoaded || !activeTarget || activeTarget.stepKey === stored.appliedStepKey) return;
+    // Committing the targets changes calculatedGoals before the step key is saved
+    if (isApplying.current) return;
+    isApplying.current = true;
+
+    (async () => {
+      try {
+        const weightKg = profile.weight ? lbsToKg(profile.weight) : 70;
+        await updateProfile({}, {
+          commitTargets: distributeMacros(
+            activeTarget.calories,
+            calculatedGoals,
+            weightKg,
+            phaseGoalType(activeTarget.phase.type),
+          ),
+        });
+        await persist({ ...stored, appliedStepKey: activeTarget.stepKey });
+      } catch (e) {
+        Sentry.captureException(e);
+        if (__DEV__) console.warn('[DietPhases] Failed to apply phase targets:', e);
+      } finally {
+        isApplying.current = false;
+      }
+    })();
+  }, [isLoaded, activeTarget, stored, profile.weight, calculatedGoals, updateProfile, persist]);
+}
+
+export function useDietPhases(): UseDietPhasesReturn {
+  const { stored, isLoaded, persist } = useStoredPhases();
+  const { maintenanceCalories, activeTarget } = usePhaseTarget(stored.plan);
+
+  const schedule = useMemo(() => (stored.plan ? schedulePhases(stored.plan) : []), [stored.plan]);
+
+  const updatePlan = useCallback(async (update: (plan: DietPlan) => DietPlan) => {
+    const current = stored.plan ?? { startDate: format(new Date(), 'yyyy-MM-dd'), phases: [] };
+    const next = update(current);
+    // Editing the plan re-applies whatever target is active afterwards
+    await persist({ plan: next.phases.length > 0 ? next : null, appliedStepKey: null });
+  }, [stored.plan, persist]);
+
+  const addPhase = useCallback((type: DietPhaseType) => updatePlan((plan) => ({
+    ...plan,
+    phases: [...plan.phases, createPhase(type, `phase_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`)],
+  })), [updatePlan]);
+
+  const updatePhase = useCallback((id: string, changes: Partial<Omit<DietPhase, 'id' | 'type'>>) => updatePlan((plan) => ({
+    ...plan,
+    phases: plan.phases.map((p) => (p.id === id ? sanitizePhase({ ...p, ...changes }) : p)),
+  })), [updatePlan]);
+
+  const removePhase = useCallback((id: string) => updatePlan((plan) => ({
+    ...plan,
+    phases: plan.phases.filter((p) => p.id !== id),
+  })), [updatePlan]);
+
+  const movePhase = useCallback((id: string, direction: -1 | 1) => updatePlan((plan) => {
+    const index = plan.phases.findIndex((p) => p.id === id);
+    const target = index + direction;
+    if (index < 0 || target < 0 || target >= plan.phases.length) return plan;
+    const phases = [...plan.phases];
+    [phases[index], phases[target]] = [phases[target], phases[index]];
+    return { ...plan, phases };
+  }), [updatePlan]);
+
+  const setStartDate = useCallback((dateKey: string) => updatePlan((plan) => ({
+    ...plan,
+    startDate: dateKey,
+  })), [updatePlan]);
+
+  const clearPlan = useCallback(() => persist(EMPTY), [persist]);
+
+  return {
+    plan: stored.plan,
+    schedule,
+    activeTarget,
+    maintenanceCalories,
+    isLoaded,
+    addPhase,
+    updatePhase,
+    removePhase,
+    movePhase,
+    setStartDate,
+    clearPlan,
+  };
+}
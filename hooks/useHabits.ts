@@ -4,6 +4,7 @@ import * as Crypto from 'expo-crypto';
 import { format, subDays } from 'date-fns';
 import { safeJSONParse, isValidArray, isValidObject } from '../lib/validation';
 import { Sentry } from '../lib/sentry';
+import { notifyTrackerChanged, useTrackerReload } from '../lib/trackerSync';
 
 const STORAGE_KEY = '@fueliq_habits';
 const LOG_KEY = '@fueliq_habits_log';
@@ -68,6 +69,7 @@ export default function useHabits(): UseHabitsReturn {
   const [habits, setHabits] = useState<Habit[]>([]);
   const [completions, setCompletions] = useState<HabitCompletions>({});
   const [isLoading, setIsLoading] = useState<boolean>(true);
+  const reloadToken = useTrackerReload('habits', 'habit_log');
 
   useEffect(() => {
     (async () => {
@@ -83,16 +85,16 @@ export default function useHabits(): UseHabitsReturn {
       } catch (e) { Sentry.captureException(e); }
       setIsLoading(false);
     })();
-  }, []);
+  }, [reloadToken]);
 
   useEffect(() => {
     if (isLoading) return;
-    AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(habits)).catch((e) => { if (__DEV__) console.warn('[useHabits] Failed to save habits:', e); });
+    AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(habits)).then(() => notifyTrackerChanged('habits')).catch((e) => { if (__DEV__) console.warn('[useHabits] Failed to save habits:', e); });
   }, [habits, isLoading]);
 
   useEffect(() => {
     if (isLoading) return;
-    AsyncStorage.setItem(LOG_KEY, JSON.stringify(completions)).catch((e) => { if (__DEV__) console.warn('[useHabits] Failed to save completions:', e); });
+    AsyncStorage.setItem(LOG_KEY, JSON.stringify(completions)).then(() => notifyTrackerChanged('habit_log')).catch((e) => { if (__DEV__) console.warn('[useHabits] Failed to save completions:', e); });
   }, [completions, isLoading]);
 
   const addHabit = useCallback((data: HabitInput): boolean => {
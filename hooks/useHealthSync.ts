@@ -7,6 +7,7 @@
  * - Calculates rolling averages and baselines
  * - Detects anomalies (unusual HR, poor sleep, etc.)
  * - Coordinates with HealthKit background observers
+ * - Merges the latest wearable data in by the user's source priority
  */
 
 import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
@@ -32,6 +33,8 @@ import type {
   ActivityRings,
   DataSource,
 } from '../services/healthService';
+import { getLatestProviderData, getSourcePriority } from '../services/wearableIntegrations';
+import { applySourcePriority } from '../lib/healthSources';
 import { getEncryptedItem, setEncryptedItem } from '../lib/encryptedStorage';
 import { Sentry } from '../lib/sentry';
 
@@ -435,15 +438,20 @@ export function useHealthSync(): UseHealthSyncReturn {
       setIsSyncing(true);
 
       // Fetch all health data in parallel
-      const [snap, status, hrvData, vo2Data, spo2Data, rings] = await Promise.all([
+      const [nativeSnap, status, hrvData, vo2Data, spo2Data, rings, wearableData, priority] = await Promise.all([
         getFullHealthSnapshot(),
         getSyncStatus(),
         getHRVHistory(7),
         getVO2MaxHistory(7),
         getSpO2History(7),
         getActivityRings(),
+        getLatestProviderData(),
+        getSourcePriority(),
       ]);
 
+      // Resolve overlapping native and wearable values by source priority
+      const snap = applySourcePriority(nativeSnap, wearableData, priority);
+
       if (!isMountedRef.current) return;
 
       // Update state
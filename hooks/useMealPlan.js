@@ -1,6 +1,8 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useProfile } from '../context/ProfileContext';
+import { useHousehold } from '../context/HouseholdContext';
+import { householdWeekStart } from '../lib/household';
 import { generateMealPlan } from '../services/ai';
 import { Sentry } from '../lib/sentry';
 
@@ -43,15 +45,27 @@ function isCurrentWeek(timestamp) {
  * - Considers the plan stale after 7 days (compares ISO weeks)
  * - Auto-generates on mount if stale
  * - Pulls calorie/macro targets and dietary prefs from useProfile
+ * - In a household, shares the week's plan with the other members and
+ *   sizes it by the member count instead of the local household size
  */
 export function useMealPlan() {
   const [mealPlan, setMealPlan] = useState(null);
   const [isGenerating, setIsGenerating] = useState(false);
   const [lastGenerated, setLastGenerated] = useState(null);
-  const [householdSize, setHouseholdSize] = useState(1);
+  const [localHouseholdSize, setHouseholdSize] = useState(1);
+  const [cacheLoaded, setCacheLoaded] = useState(false);
+  const [sharedPlanChecked, setSharedPlanChecked] = useState(false);
   const hasChecked = useRef(false);
 
   const { profile, calculatedGoals, currentGoalType } = useProfile();
+  const {
+    household,
+    members,
+    isLoading: householdLoading,
+    loadSharedMealPlan,
+    saveSharedMealPlan,
+  } = useHousehold();
+  const householdSize = household ? Math.max(1, members.length) : localHouseholdSize;
 
   // Load saved household size
   useEffect(() => {
@@ -87,10 +101,32 @@ export function useMealPlan() {
       } catch (e) {
         Sentry.captureException(e);
         // Ignore storage read errors
+      } finally {
+        setCacheLoaded(true);
       }
     })();
   }, []);
 
+  // A plan another member already made for this week wins over the local cache
+  useEffect(() => {
+    if (!household) return;
+    let cancelled = false;
+    (async () => {
+      try {
+        const shared = await loadSharedMealPlan(householdWeekStart());
+        if (cancelled || !shared || !shared.generatedAt) return;
+        setMealPlan(shared);
+        setLastGenerated(shared.generatedAt);
+        await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(shared));
+      } catch (e) {
+        Sentry.captureException(e);
+      } finally {
+        if (!cancelled) setSharedPlanChecked(true);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [household, loadSharedMealPlan]);
+
   // Generate a new meal plan
   const generatePlan = useCallback(async () => {
     if (isGenerating) return;
@@ -117,6 +153,14 @@ export function useMealPlan() {
       setMealPlan(result);
       setLastGenerated(result.generatedAt);
       await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(result));
+      if (household) {
+        try {
+          await saveSharedMealPlan(householdWeekStart(), result);
+        } catch (e) {
+          Sentry.captureException(e);
+          if (__DEV__) console.warn('[MealPlan] Failed to share plan with household:', e);
+        }
+      }
     } catch (error) {
       if (__DEV__) {
         console.error('[MealPlan] Generation failed:', error.message);
@@ -124,18 +168,27 @@ export function useMealPlan() {
     } finally {
       setIsGenerating(false);
     }
-  }, [isGenerating, calculatedGoals, profile, currentGoalType, householdSize]);
+  }, [isGenerating, calculatedGoals, profile, currentGoalType, householdSize, household, saveSharedMealPlan]);
 
-  // Auto-generate if stale
+  // Auto-generate if stale, once the cached (and any shared) plan has had a chance to load
   useEffect(() => {
-    if (hasChecked.current) return;
+    if (hasChecked.current || !cacheLoaded || householdLoading) return;
+    if (household && !sharedPlanChecked) return;
     hasChecked.current = true;
 
     const isStale = !mealPlan || !isCurrentWeek(mealPlan.generatedAt);
     if (isStale) {
       generatePlan();
     }
-  }, [mealPlan, generatePlan]);
+  }, [mealPlan, generatePlan, cacheLoaded, householdLoading, household, sharedPlanChecked]);
 
-  return { mealPlan, isGenerating, generatePlan, lastGenerated, householdSize, updateHouseholdSize };
+  return {
+    mealPlan,
+    isGenerating,
+    generatePlan,
+    lastGenerated,
+    householdSize,
+    updateHouseholdSize,
+    household,
+  };
 }
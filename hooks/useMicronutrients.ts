@@ -1,6 +1,7 @@
 import { useMemo } from 'react';
 import { MICRONUTRIENTS, getRDA, getDeficiencyAlerts } from '../data/micronutrients';
 import type { Micronutrient } from '../data/micronutrients';
+import { MIN_NUTRIENT_COVERAGE } from '../lib/micronutrients';
 
 export interface NutrientStatus {
   id: string;
@@ -16,6 +17,10 @@ export interface NutrientStatus {
   topSources: string[];
   deficiencyRisk: string;
   upperLimit: number | null;
+  /** Share of logged calories from foods with data for this nutrient (0-1) */
+  coverage: number;
+  /** False when too little of the intake has data to call the nutrient low */
+  hasEnoughData: boolean;
 }
 
 function getStatus(percent: number): 'excellent' | 'good' | 'low' | 'warning' | 'critical' {
@@ -42,12 +47,22 @@ function getGrade(score: number): string {
   return 'F';
 }
 
-export function useMicronutrients(dailyIntake: Record<string, number>, gender: 'male' | 'female') {
+/**
+ * @param nutrientCoverage - Optional per-nutrient data coverage (0-1). Nutrients
+ *   below MIN_NUTRIENT_COVERAGE are not reported as deficiencies, since a low
+ *   value there mostly reflects missing data.
+ */
+export function useMicronutrients(
+  dailyIntake: Record<string, number>,
+  gender: 'male' | 'female',
+  nutrientCoverage?: Record<string, number>,
+) {
   const nutrients = useMemo<NutrientStatus[]>(() => {
     return MICRONUTRIENTS.map((n) => {
       const rda = getRDA(n.id, gender);
       const current = dailyIntake[n.id] || 0;
       const percent = rda > 0 ? Math.round((current / rda) * 100) : 100;
+      const coverage = nutrientCoverage ? nutrientCoverage[n.id] || 0 : 1;
       return {
         id: n.id,
         name: n.name,
@@ -62,13 +77,22 @@ export function useMicronutrients(dailyIntake: Record<string, number>, gender: '
         topSources: n.topSources,
         deficiencyRisk: n.deficiencyRisk,
         upperLimit: n.upperLimit,
+        coverage,
+        hasEnoughData: coverage >= MIN_NUTRIENT_COVERAGE,
       };
     });
-  }, [dailyIntake, gender]);
+  }, [dailyIntake, gender, nutrientCoverage]);
 
   const deficiencyAlerts = useMemo(() => {
-    return getDeficiencyAlerts(dailyIntake, gender);
-  }, [dailyIntake, gender]);
+    const alerts = getDeficiencyAlerts(dailyIntake, gender);
+    if (!nutrientCoverage) return alerts;
+    return alerts.filter((a) => (nutrientCoverage[a.nutrient.id] || 0) >= MIN_NUTRIENT_COVERAGE);
+  }, [dailyIntake, gender, nutrientCoverage]);
+
+  /** Nutrients that would read as low but have too little data to say */
+  const uncertainNutrients = useMemo(() => {
+    return nutrients.filter((n) => !n.hasEnoughData && n.percent < 75);
+  }, [nutrients]);
 
   const overallScore = useMemo(() => {
     if (nutrients.length === 0) return 0;
@@ -93,7 +117,7 @@ export function useMicronutrients(dailyIntake: Record<string, number>, gender: '
   }, [nutrients]);
 
   const topDeficiencies = useMemo(() => {
-    return [...nutrients].sort((a, b) => a.percent - b.percent).slice(0, 3);
+    return nutrients.filter((n) => n.hasEnoughData).sort((a, b) => a.percent - b.percent).slice(0, 3);
   }, [nutrients]);
 
   const topStrengths = useMemo(() => {
@@ -103,6 +127,7 @@ export function useMicronutrients(dailyIntake: Record<string, number>, gender: '
   return {
     nutrients,
     deficiencyAlerts,
+    uncertainNutrients,
     overallScore,
     grade,
     vitaminScore,
@@ -0,0 +1,175 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import * as Location from 'expo-location';
+import { Sentry } from '../lib/sentry';
+import { getDeviceUnitSystem } from '../lib/formatters';
+import {
+  acceptRoutePoint,
+  currentPaceSeconds,
+  detectMovement,
+  summarizeRoute,
+} from '../lib/outdoorSession';
+import type { OutdoorActivity, RoutePoint, RouteSummary } from '../lib/outdoorSession';
+
+// Fixes older than this are dropped from the auto-pause buffer
+const RECENT_BUFFER_MS = 30_000;
+// Keep the clock running this long after the last fix before waiting on GPS
+const MAX_CLOCK_GAP_SECONDS = 10;
+
+export type OutdoorStatus = 'idle' | 'denied' | 'recording' | 'autoPaused' | 'paused' | 'finished';
+
+interface UseOutdoorSessionReturn {
+  status: OutdoorStatus;
+  points: RoutePoint[];
+  summary: RouteSummary;
+  /** Moving time including the seconds since the last fix */
+  movingSeconds: number;
+  /** Seconds per km over the last 30 seconds */
+  currentPace: number;
+  startedAt: number | null;
+  start: () => Promise<boolean>;
+  pause: () => void;
+  resume: () => void;
+  finish: () => RouteSummary;
+  discard: () => void;
+}
+
+/**
+ * Live GPS recording for an outdoor run, walk or ride. Foreground only:
+ * watches the device location, drops noisy fixes and pauses automatically
+ * when the user stops moving.
+ */
+export default function useOutdoorSession(activity: OutdoorActivity): UseOutdoorSessionReturn {
+  const [status, setStatus] = useState<OutdoorStatus>('idle');
+  const [points, setPoints] = useState<RoutePoint[]>([]);
+  const [startedAt, setStartedAt] = useState<number | null>(null);
+  const [now, setNow] = useState<number>(Date.now());
+  const subscriptionRef = useRef<Location.LocationSubscription | null>(null);
+  const statusRef = useRef<OutdoorStatus>('idle');
+  const segmentRef = useRef<number>(0);
+  const recentRef = useRef<RoutePoint[]>([]);
+  const system = useMemo(() => getDeviceUnitSystem(), []);
+
+  const updateStatus = useCallback((next: OutdoorStatus) => {
+    statusRef.current = next;
+    setStatus(next);
+  }, []);
+
+  const stopWatching = useCallback(() => {
+    subscriptionRef.current?.remove();
+    subscriptionRef.current = null;
+  }, []);
+
+  useEffect(() => stopWatching, [stopWatching]);
+
+  // Tick the moving clock between GPS fixes
+  useEffect(() => {
+    if (status !== 'recording') return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [status]);
+
+  const handleLocation = useCallback((location: Location.LocationObject) => {
+    const current = statusRef.current;
+    if (current !== 'recording' && current !== 'autoPaused') return;
+
+    const point: RoutePoint = {
+      lat: location.coords.latitude,
+      lon: location.coords.longitude,
+      elevation: location.coords.altitude ?? undefined,
+      accuracy: location.coords.accuracy ?? undefined,
+      timestamp: location.timestamp,
+      segment: segmentRef.current,
+    };
+    const recent = recentRef.current;
+    if (!acceptRoutePoint(recent[recent.length - 1] ?? null, point)) return;
+    recentRef.current = [...recent.filter((p) => p.timestamp >= point.timestamp - RECENT_BUFFER_MS), point];
+
+    const movement = detectMovement(recentRef.current, activity, point.timestamp);
+    if (current === 'recording' && movement === 'stopped') {
+      // Later fixes start a new segment so the stop isn't counted
+      segmentRef.current += 1;
+      updateStatus('autoPaused');
+      return;
+    }
+    if (current === 'autoPaused') {
+      if (movement !== 'moving') return;
+      updateStatus('recording');
+    }
+    setPoints((prev) => [...prev, point]);
+  }, [activity, updateStatus]);
+
+  const start = useCallback(async (): Promise<boolean> => {
+    try {
+      const { status: permission } = await Location.requestForegroundPermissionsAsync();
+      if (permission !== 'granted') {
+        updateStatus('denied');
+        return false;
+      }
+      stopWatching();
+      segmentRef.current = 0;
+      recentRef.current = [];
+      setPoints([]);
+      setStartedAt(Date.now());
+      updateStatus('recording');
+      subscriptionRef.current = await Location.watchPositionAsync(
+        { accuracy: Location.Accuracy.BestForNavigation, timeInterval: 1000, distanceInterval: 0 },
+        handleLocation
+      );
+      return true;
+    } catch (e) {
+      Sentry.captureException(e);
+      if (__DEV__) console.warn('[useOutdoorSession] Failed to start location updates:', e);
+      updateStatus('idle');
+      return false;
+    }
+  }, [handleLocation, stopWatching, updateStatus]);
+
+  const pause = useCallback(() => {
+    if (statusRef.current !== 'recording' && statusRef.current !== 'autoPaused') return;
+    segmentRef.current += 1;
+    updateStatus('paused');
+  }, [updateStatus]);
+
+  const resume = useCallback(() => {
+    if (statusRef.current !== 'paused') return;
+    recentRef.current = [];
+    setNow(Date.now());
+    updateStatus('recording');
+  }, [updateStatus]);
+
+  const summary = useMemo(() => summarizeRoute(points, system), [points, system]);
+
+  const finish = useCallback((): RouteSummary => {
+    stopWatching();
+    updateStatus('finished');
+    return summary;
+  }, [stopWatching, updateStatus, summary]);
+
+  const discard = useCallback(() => {
+    stopWatching();
+    segmentRef.current = 0;
+    recentRef.current = [];
+    setPoints([]);
+    setStartedAt(null);
+    updateStatus('idle');
+  }, [stopWatching, updateStatus]);
+
+  const last = points[points.length - 1];
+  const sinceLastFix = status === 'recording' && last && last.segment === segmentRef.current
+    ? Math.min(MAX_CLOCK_GAP_SECONDS, Math.max(0, Math.round((now - last.timestamp) / 1000)))
+    : 0;
+
+  return {
+    status,
+    points,
+    summary,
+    movingSeconds: summary.movingSeconds + sinceLastFix,
+    currentPace: status === 'recording' ? currentPaceSeconds(points) : 0,
+    startedAt,
+    start,
+    pause,
+    resume,
+    finish,
+    discard,
+  };
+}
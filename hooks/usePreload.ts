@@ -4,6 +4,7 @@ import { queryCache } from '../lib/cache';
 import { Sentry } from '../lib/sentry';
 import { useAuth } from '../context/AuthContext';
 import { buildMealCacheKey, getLegacyMealCacheKeys } from '../lib/profileState';
+import { loadRestaurantMenu } from '../services/restaurantMenu';
 
 /**
  * Predictive pre-loader: fetches data for likely-next screens
@@ -53,6 +54,8 @@ async function prefetchFoodSearch() {
     if (cached) {
       queryCache.set('recent_foods', JSON.parse(cached));
     }
+    // Restaurant search results come from the newest downloaded menu bundle
+    await loadRestaurantMenu();
   } catch (e) { Sentry.captureException(e); }
 }
 
@@ -0,0 +1,197 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Crypto from 'expo-crypto';
+import { safeJSONParse, isValidArray, isValidObject } from '../lib/validation';
+import { Sentry } from '../lib/sentry';
+import { notifyTrackerChanged, useTrackerReload } from '../lib/trackerSync';
+import type { TrackerStoreId } from '../lib/trackerSync';
+import { getDeviceUnitSystem } from '../lib/formatters';
+import {
+  buildShoppingList,
+  groupByAisle,
+  isItemChecked,
+  mealPlanSources,
+  recipeSources,
+  toggleShoppingCheck,
+} from '../lib/shoppingList';
+import type {
+  PantryItem,
+  PlanLike,
+  ShoppingAisleGroup,
+  ShoppingCheck,
+  ShoppingListItem,
+  ShoppingRecipePick,
+  ShoppingSource,
+} from '../lib/shoppingList';
+import { useMeals } from '../context/MealContext';
+import { useRecipes } from '../context/RecipeContext';
+import { useHousehold } from '../context/HouseholdContext';
+
+const PANTRY_KEY = '@fueliq_pantry';
+const RECIPE_PICKS_KEY = '@fueliq_shopping_recipes';
+const CHECKS_KEY = '@fueliq_shopping_checks';
+const MEAL_PLAN_KEY = '@fueliq_meal_plan';
+const HOUSEHOLD_SIZE_KEY = '@fueliq_household_size';
+const MAX_PANTRY_ITEMS = 200;
+
+interface UseShoppingListReturn {
+  items: ShoppingListItem[];
+  groups: ShoppingAisleGroup[];
+  isLoading: boolean;
+  checkedCount: number;
+  /** People the meal plan amounts are multiplied by */
+  people: number;
+  hasMealPlan: boolean;
+  isChecked: (item: ShoppingListItem) => boolean;
+  toggleItem: (item: ShoppingListItem) => Promise<void>;
+  pantry: PantryItem[];
+  addPantryItem: (name: string, quantity?: string | null) => Promise<boolean>;
+  removePantryItem: (id: string) => Promise<void>;
+  /** Move a list item into the pantry so it drops off the list */
+  markInPantry: (item: ShoppingListItem) => Promise<void>;
+  recipePicks: ShoppingRecipePick[];
+  /** Servings of a saved recipe to shop for; 0 removes it from the week */
+  setRecipeServings: (recipeId: string, servings: number) => Promise<void>;
+}
+
+async function persist(storeId: TrackerStoreId, key: string, value: unknown): Promise<void> {
+  try {
+    await AsyncStorage.setItem(key, JSON.stringify(value));
+    notifyTrackerChanged(storeId);
+  } catch (e) {
+    Sentry.captureException(e);
+    if (__DEV__) console.warn(`[useShoppingList] Failed to save ${storeId}:`, e);
+  }
+}
+
+/**
+ * Shopping list for the week: the remaining meal plan days, saved recipes
+ * the user picked to cook and foods planned ahead in the diary, minus the
+ * pantry. Pantry, picks and check-offs sync through lib/trackerSync.
+ */
+export default function useShoppingList(): UseShoppingListReturn {
+  const { getShoppingList: getPlannedDiaryFoods } = useMeals();
+  const { recipes } = useRecipes();
+  const { household, members } = useHousehold();
+  const [pantry, setPantry] = useState<PantryItem[]>([]);
+  const [recipePicks, setRecipePicks] = useState<ShoppingRecipePick[]>([]);
+  const [checks, setChecks] = useState<Record<string, ShoppingCheck>>({});
+  const [mealPlan, setMealPlan] = useState<PlanLike | null>(null);
+  const [localHouseholdSize, setLocalHouseholdSize] = useState<number>(1);
+  const [isLoading, setIsLoading] = useState<boolean>(true);
+  const reloadToken = useTrackerReload('pantry', 'shopping_recipes', 'shopping_checks');
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const [savedPantry, savedPicks, savedChecks, savedPlan, savedSize] = await Promise.all([
+          AsyncStorage.getItem(PANTRY_KEY),
+          AsyncStorage.getItem(RECIPE_PICKS_KEY),
+          AsyncStorage.getItem(CHECKS_KEY),
+          AsyncStorage.getItem(MEAL_PLAN_KEY),
+          AsyncStorage.getItem(HOUSEHOLD_SIZE_KEY),
+        ]);
+        const parsedPantry = safeJSONParse(savedPantry ?? '', []);
+        if (isValidArray(parsedPantry)) setPantry(parsedPantry as PantryItem[]);
+        const parsedPicks = safeJSONParse(savedPicks ?? '', []);
+        if (isValidArray(parsedPicks)) setRecipePicks(parsedPicks as ShoppingRecipePick[]);
+        const parsedChecks = safeJSONParse(savedChecks ?? '', {});
+        if (isValidObject(parsedChecks)) setChecks(parsedChecks as Record<string, ShoppingCheck>);
+        const parsedPlan = safeJSONParse(savedPlan ?? '', null);
+        setMealPlan(isValidObject(parsedPlan) ? (parsedPlan as PlanLike) : null);
+        if (savedSize) setLocalHouseholdSize(parseInt(savedSize, 10) || 1);
+      } catch (e) {
+        Sentry.captureException(e);
+      } finally {
+        setIsLoading(false);
+      }
+    })();
+  }, [reloadToken]);
+
+  const people = household ? Math.max(1, members.length) : localHouseholdSize;
+
+  const planSources = useMemo(() => mealPlanSources(mealPlan, { people }), [mealPlan, people]);
+
+  const items = useMemo(() => {
+    const plannedFoods: ShoppingSource[] = getPlannedDiaryFoods().map((food) => ({
+      name: food.name,
+      ingredients: [`${food.count} ${food.name}`],
+      factor: 1,
+    }));
+    return buildShoppingList(
+      [
+        ...planSources,
+        ...recipeSources(recipes, recipePicks),
+        ...plannedFoods,
+      ],
+      { pantry, system: getDeviceUnitSystem() }
+    );
+  }, [getPlannedDiaryFoods, planSources, recipes, recipePicks, pantry]);
+
+  const groups = useMemo(() => groupByAisle(items), [items]);
+  const checkedCount = useMemo(() => items.filter((item) => isItemChecked(item, checks)).length, [items, checks]);
+
+  const isChecked = useCallback((item: ShoppingListItem) => isItemChecked(item, checks), [checks]);
+
+  const toggleItem = useCallback(async (item: ShoppingListItem) => {
+    const updated = toggleShoppingCheck(checks, item);
+    setChecks(updated);
+    await persist('shopping_checks', CHECKS_KEY, updated);
+  }, [checks]);
+
+  const addPantryItem = useCallback(async (name: string, quantity: string | null = null) => {
+    const trimmed = name.trim();
+    if (!trimmed || pantry.length >= MAX_PANTRY_ITEMS) return false;
+    const entry: PantryItem = {
+      id: Crypto.randomUUID(),
+      name: trimmed,
+      quantity: quantity?.trim() || null,
+      updatedAt: Date.now(),
+    };
+    const updated = [...pantry, entry];
+    setPantry(updated);
+    await persist('pantry', PANTRY_KEY, updated);
+    return true;
+  }, [pantry]);
+
+  const removePantryItem = useCallback(async (id: string) => {
+    const updated = pantry.filter((entry) => entry.id !== id);
+    setPantry(updated);
+    await persist('pantry', PANTRY_KEY, updated);
+  }, [pantry]);
+
+  const markInPantry = useCallback(async (item: ShoppingListItem) => {
+    await addPantryItem(item.name);
+  }, [addPantryItem]);
+
+  const setRecipeServings = useCallback(async (recipeId: string, servings: number) => {
+    const pick = { id: recipeId, servings, updatedAt: Date.now() };
+    let updated: ShoppingRecipePick[];
+    if (servings <= 0) {
+      updated = recipePicks.filter((candidate) => candidate.id !== recipeId);
+    } else if (recipePicks.some((candidate) => candidate.id === recipeId)) {
+      updated = recipePicks.map((candidate) => (candidate.id === recipeId ? pick : candidate));
+    } else {
+      updated = [...recipePicks, pick];
+    }
+    setRecipePicks(updated);
+    await persist('shopping_recipes', RECIPE_PICKS_KEY, updated);
+  }, [recipePicks]);
+
+  return {
+    items,
+    groups,
+    isLoading,
+    checkedCount,
+    people,
+    hasMealPlan: planSources.length > 0,
+    isChecked,
+    toggleItem,
+    pantry,
+    addPantryItem,
+    removePantryItem,
+    markInPantry,
+    recipePicks,
+    setRecipeServings,
+  };
+}
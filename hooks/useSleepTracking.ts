@@ -2,6 +2,7 @@ import { useState, useEffect, useCallback, useMemo } from 'react';
 import { isValidArray } from '../lib/validation';
 import { getEncryptedItem, setEncryptedItem } from '../lib/encryptedStorage';
 import { getSleepAnalysis } from '../services/healthService';
+import { notifyTrackerChanged, useTrackerReload } from '../lib/trackerSync';
 import type { SleepEntry } from '../types';
 import type { SleepAnalysisResult } from '../services/healthService';
 
@@ -82,6 +83,7 @@ export function useSleepTracking(): UseSleepTrackingReturn {
   const [isLoading, setIsLoading] = useState<boolean>(true);
   const [sleepAnalysis, setSleepAnalysis] = useState<SleepAnalysisResult | null>(null);
   const [autoSleepStages, setAutoSleepStages] = useState<SleepStages | null>(null);
+  const reloadToken = useTrackerReload('sleep');
 
   // Load data from encrypted storage on mount
   useEffect(() => {
@@ -104,7 +106,7 @@ export function useSleepTracking(): UseSleepTrackingReturn {
     }
 
     load();
-  }, []);
+  }, [reloadToken]);
 
   // Fetch auto-detected sleep data from HealthKit
   useEffect(() => {
@@ -136,7 +138,7 @@ export function useSleepTracking(): UseSleepTrackingReturn {
   // Auto-save entries when they change (encrypted)
   useEffect(() => {
     if (isLoading) return;
-    setEncryptedItem(STORAGE_KEY, entries).catch((error: any) => {
+    setEncryptedItem(STORAGE_KEY, entries).then(() => notifyTrackerChanged('sleep')).catch((error: any) => {
       if (__DEV__) console.error('Failed to save sleep history:', error.message);
     });
   }, [entries, isLoading]);
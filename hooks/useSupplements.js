@@ -2,6 +2,7 @@ import { useState, useEffect, useCallback, useMemo } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { safeJSONParse, isValidArray, isValidObject } from '../lib/validation';
 import { Sentry } from '../lib/sentry';
+import { notifyTrackerChanged, useTrackerReload } from '../lib/trackerSync';
 
 const STORAGE_KEY = '@fueliq_supplements';
 const LOG_KEY = '@fueliq_supplements_log';
@@ -99,6 +100,7 @@ export default function useSupplements() {
   const [supplements, setSupplements] = useState([]);
   const [todayLog, setTodayLog] = useState({});
   const [isLoading, setIsLoading] = useState(true);
+  const reloadToken = useTrackerReload('supplements');
 
   // Load from storage on mount
   useEffect(() => {
@@ -140,12 +142,13 @@ export default function useSupplements() {
         setIsLoading(false);
       }
     })();
-  }, []);
+  }, [reloadToken]);
 
   // Persist supplements
   const persistSupplements = async (updated) => {
     try {
       await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(updated));
+      notifyTrackerChanged('supplements');
     } catch (e) {
       Sentry.captureException(e);
       // Storage write failed
@@ -2,6 +2,7 @@ import { useState, useEffect, useCallback, useRef } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { format, subDays } from 'date-fns';
 import { safeJSONParse, isValidArray } from '../lib/validation';
+import { notifyTrackerChanged, useTrackerReload } from '../lib/trackerSync';
 
 const STORAGE_KEY = '@fueliq_water_history';
 
@@ -16,6 +17,7 @@ export function useWaterHistory() {
   const [isLoading, setIsLoading] = useState(true);
   const historyRef = useRef(history);
   historyRef.current = history;
+  const reloadToken = useTrackerReload('water');
 
   // Load history from AsyncStorage on mount
   useEffect(() => {
@@ -40,12 +42,13 @@ export function useWaterHistory() {
         setIsLoading(false);
       }
     })();
-  }, []);
+  }, [reloadToken]);
 
   // Persist to AsyncStorage whenever history changes
   const persist = useCallback(async (newHistory) => {
     try {
       await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(newHistory));
+      notifyTrackerChanged('water');
     } catch (error) {
       if (__DEV__) console.error('[WaterHistory] Save failed:', error.message);
     }
@@ -0,0 +1,180 @@
+/**
+ * useWeeklyCheckIn - Weekly, deterministic macro target review.
+ *
+ * Once per week (Monday onward) the adaptive TDEE estimate is turned into a
+ * target proposal by lib/weeklyCheckIn. The user accepts it, which commits the
+ * new MacroSet to ProfileContext, or rejects it; either way the decision and
+ * its reasoning are kept in a local history. While a diet phase plan is
+ * active, the phase's rate replaces the profile's weekly goal.
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useProfile } from '../context/ProfileContext';
+import { Sentry } from '../lib/sentry';
+import { lbsToKg } from '../lib/adaptiveTDEE';
+import {
+  checkInWeekOf,
+  proposeWeeklyTargets,
+  recordTargetDecision,
+  type TargetChange,
+  type TargetProposal,
+} from '../lib/weeklyCheckIn';
+import { useAdaptiveTDEE } from './useAdaptiveTDEE';
+import { loadActiveDietPhase } from './useDietPhases';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const STORAGE_KEY = '@fueliq_weekly_checkin';
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+interface CheckInState {
+  /** Week (Monday, YYYY-MM-DD) of the last check-in that ran */
+  lastCheckInWeek: string | null;
+  /** Proposal awaiting a decision */
+  pending: TargetProposal | null;
+  /** Past decisions, newest first */
+  history: TargetChange[];
+}
+
+export interface UseWeeklyCheckInReturn {
+  /** This week's proposal, if it changes the targets and is undecided */
+  proposal: TargetProposal | null;
+  /** Accepted and rejected proposals, newest first */
+  history: TargetChange[];
+  /** Whether stored check-in state has loaded */
+  isLoaded: boolean;
+  /** Commit the proposal to ProfileContext goals */
+  accept: () => Promise<void>;
+  /** Keep the current targets */
+  reject: () => Promise<void>;
+}
+
+const EMPTY_STATE: CheckInState = { lastCheckInWeek: null, pending: null, history: [] };
+
+// ---------------------------------------------------------------------------
+// Storage helpers
+// ---------------------------------------------------------------------------
+
+async function loadState(): Promise<CheckInState> {
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY);
+    if (!raw) return EMPTY_STATE;
+    const stored = JSON.parse(raw);
+    return {
+      lastCheckInWeek: stored?.lastCheckInWeek ?? null,
+      pending: stored?.pending ?? null,
+      history: Array.isArray(stored?.history) ? stored.history : [],
+    };
+  } catch (e) {
+    Sentry.captureException(e);
+    return EMPTY_STATE;
+  }
+}
+
+async function saveState(state: CheckInState): Promise<void> {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  } catch (e) {
+    Sentry.captureException(e);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Hook
+// ---------------------------------------------------------------------------
+
+export function useWeeklyCheckIn(): UseWeeklyCheckInReturn {
+  const { profile, calculatedGoals, currentGoalType, updateProfile } = useProfile();
+  const { estimate, isLoading: isEstimateLoading } = useAdaptiveTDEE();
+
+  const [state, setState] = useState<CheckInState>(EMPTY_STATE);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const isDeciding = useRef(false);
+  const isCheckingIn = useRef(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadState().then((stored) => {
+      if (cancelled) return;
+      setState(stored);
+      setIsLoaded(true);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const persist = useCallback(async (next: CheckInState) => {
+    setState(next);
+    await saveState(next);
+  }, []);
+
+  // Run the check-in once per week, after the TDEE estimate has refreshed
+  useEffect(() => {
+    if (!isLoaded || isEstimateLoading || !estimate || !profile.weight) return;
+
+    const weekOf = checkInWeekOf(new Date());
+    if (state.lastCheckInWeek === weekOf || isCheckingIn.current) return;
+    isCheckingIn.current = true;
+    const weightKg = lbsToKg(profile.weight);
+
+    (async () => {
+      const phase = await loadActiveDietPhase();
+      const proposal = proposeWeeklyTargets({
+        estimate,
+        current: calculatedGoals,
+        weightKg,
+        gender: profile.gender === 'female' ? 'female' : 'male',
+        goalType: (currentGoalType as 'cut' | 'maintain' | 'bulk') || 'maintain',
+        weeklyGoal: profile.weeklyGoal,
+        phase,
+      });
+
+      await persist({
+        ...state,
+        lastCheckInWeek: weekOf,
+        pending: proposal.shouldAdjust ? proposal : null,
+      });
+      isCheckingIn.current = false;
+    })();
+  }, [isLoaded, isEstimateLoading, estimate, profile.weight, profile.gender, profile.weeklyGoal, calculatedGoals, currentGoalType, state, persist]);
+
+  const decide = useCallback(async (status: TargetChange['status']) => {
+    const proposal = state.pending;
+    if (!proposal || isDeciding.current) return;
+    isDeciding.current = true;
+
+    try {
+      if (status === 'accepted') {
+        await updateProfile({}, { commitTargets: proposal.proposed });
+      }
+      await persist({
+        ...state,
+        pending: null,
+        history: recordTargetDecision(state.history, proposal, status),
+      });
+    } catch (e) {
+      Sentry.captureException(e);
+      if (__DEV__) console.warn('[WeeklyCheckIn] Failed to save decision:', e);
+    } finally {
+      isDeciding.current = false;
+    }
+  }, [state, updateProfile, persist]);
+
+  const accept = useCallback(() => decide('accepted'), [decide]);
+  const reject = useCallback(() => decide('rejected'), [decide]);
+
+  return {
+    proposal: state.pending,
+    history: state.history,
+    isLoaded,
+    accept,
+    reject,
+  };
+}
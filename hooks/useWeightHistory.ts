@@ -3,8 +3,9 @@ import { useProfile } from '../context/ProfileContext';
 import { isValidArray } from '../lib/validation';
 import { getEncryptedItem, setEncryptedItem, removeEncryptedItem } from '../lib/encryptedStorage';
 import * as dateUtils from '../lib/date';
-import type { WeightEntry } from '../types';
+import type { DateKey, WeightEntry } from '../types';
 import { Sentry } from '../lib/sentry';
+import { notifyTrackerChanged, useTrackerReload } from '../lib/trackerSync';
 
 const STORAGE_KEY = '@fueliq_weight_history';
 const GOAL_STORAGE_KEY = '@fueliq_weight_goal';
@@ -27,6 +28,7 @@ interface UseWeightHistoryReturn {
   entries: WeightEntry[];
   goal: number | null;
   addEntry: (weight: number | string, note?: string) => void;
+  importEntries: (imported: Array<{ dateKey: DateKey; weight: number }>, note?: string) => number;
   deleteEntry: (date: string) => void;
   setGoal: (targetWeight: number | null | undefined) => void;
   getWeeklyAverage: () => number | null;
@@ -41,6 +43,7 @@ export function useWeightHistory(): UseWeightHistoryReturn {
   const [goal, setGoalState] = useState<number | null>(null);
   const [isLoading, setIsLoading] = useState<boolean>(true);
   const profileContext = useProfile();
+  const reloadToken = useTrackerReload('weight');
 
   // Load data from encrypted storage on mount
   useEffect(() => {
@@ -72,12 +75,12 @@ export function useWeightHistory(): UseWeightHistoryReturn {
     }
 
     load();
-  }, []);
+  }, [reloadToken]);
 
   // Auto-save entries when they change (encrypted)
   useEffect(() => {
     if (isLoading) return;
-    setEncryptedItem(STORAGE_KEY, entries).catch((error: any) => {
+    setEncryptedItem(STORAGE_KEY, entries).then(() => notifyTrackerChanged('weight')).catch((error: any) => {
       if (__DEV__) console.error('Failed to save weight history:', error.message);
     });
   }, [entries, isLoading]);
@@ -131,6 +134,26 @@ export function useWeightHistory(): UseWeightHistoryReturn {
     }
   }, [profileContext]);
 
+  // Merge imported weigh-ins (already in the profile unit). Days that
+  // already have an entry keep it; returns how many days were added.
+  const importEntries = useCallback((imported: Array<{ dateKey: DateKey; weight: number }>, note: string = ''): number => {
+    const existingDays = new Set(entries.map((e: WeightEntry) => dateUtils.formatLocalDateKey(e.date)));
+    const byDay = new Map<DateKey, WeightEntry>();
+    imported.forEach(({ dateKey, weight }) => {
+      if (existingDays.has(dateKey) || !isFinite(weight) || weight <= 0) return;
+      // Store at local noon so the entry maps back to the same local day
+      const [year, month, day] = dateKey.split('-').map(Number);
+      byDay.set(dateKey, { weight, date: new Date(year, month - 1, day, 12).toISOString(), note });
+    });
+
+    if (byDay.size === 0) return 0;
+
+    setEntries((prev: WeightEntry[]) => [...byDay.values(), ...prev]
+      .sort((a: WeightEntry, b: WeightEntry) => b.date.localeCompare(a.date))
+      .slice(0, MAX_ENTRIES));
+    return byDay.size;
+  }, [entries]);
+
   // Delete an entry by date
   const deleteEntry = useCallback((date: string): void => {
     setEntries((prev: WeightEntry[]) => prev.filter((e: WeightEntry) => e.date !== date));
@@ -231,6 +254,7 @@ export function useWeightHistory(): UseWeightHistoryReturn {
     entries,
     goal,
     addEntry,
+    importEntries,
     deleteEntry,
     setGoal,
     getWeeklyAverage,
@@ -3,6 +3,8 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as Crypto from 'expo-crypto';
 import { safeJSONParse, isValidArray } from '../lib/validation';
 import { Sentry } from '../lib/sentry';
+import type { SavedRoute } from '../lib/outdoorSession';
+import type { HeartRateSample } from '../services/healthService';
 
 const STORAGE_KEY = '@fueliq_workout_history';
 const MAX_ENTRIES = 200;
@@ -10,6 +12,7 @@ const MAX_ENTRIES = 200;
 interface WorkoutSet {
   weight: number;
   reps: number;
+  rpe?: number;
 }
 
 interface WorkoutExerciseEntry {
@@ -27,6 +30,10 @@ interface WorkoutEntry {
   calories: number;
   exercises: WorkoutExerciseEntry[];
   notes: string;
+  /** GPS route for outdoor sessions */
+  route?: SavedRoute;
+  /** Heart rate trace from an imported GPX/TCX/FIT file */
+  hrSamples?: HeartRateSample[];
 }
 
 interface WorkoutInput {
@@ -40,9 +47,14 @@ interface WorkoutInput {
     sets?: Array<{
       weight?: number;
       reps?: number;
+      rpe?: number;
     }>;
   }>;
   notes?: string;
+  route?: SavedRoute;
+  hrSamples?: HeartRateSample[];
+  /** Defaults to now; imported workouts keep their own date */
+  date?: string;
 }
 
 interface WorkoutStats {
@@ -63,6 +75,7 @@ interface ExerciseHistoryEntry {
 interface UseWorkoutHistoryReturn {
   workouts: WorkoutEntry[];
   addWorkout: (workout: WorkoutInput) => Promise<WorkoutEntry>;
+  importWorkouts: (workouts: WorkoutInput[]) => Promise<number>;
   deleteWorkout: (id: string) => Promise<void>;
   getWorkoutsByType: (type: string) => WorkoutEntry[];
   getStats: () => WorkoutStats;
@@ -70,6 +83,29 @@ interface UseWorkoutHistoryReturn {
   isLoading: boolean;
 }
 
+function toEntry(workout: WorkoutInput): WorkoutEntry {
+  return {
+    id: Crypto.randomUUID(),
+    date: workout.date || new Date().toISOString(),
+    name: workout.name || 'Workout',
+    emoji: workout.emoji || '\uD83D\uDCAA',
+    type: workout.type || 'strength',
+    duration: workout.duration || 0,
+    calories: workout.calories || 0,
+    exercises: (workout.exercises || []).map((ex) => ({
+      name: ex.name,
+      sets: (ex.sets || []).map((s) => ({
+        weight: s.weight || 0,
+        reps: s.reps || 0,
+        ...(s.rpe ? { rpe: s.rpe } : {}),
+      })),
+    })),
+    notes: workout.notes || '',
+    ...(workout.route ? { route: workout.route } : {}),
+    ...(workout.hrSamples?.length ? { hrSamples: workout.hrSamples } : {}),
+  };
+}
+
 export default function useWorkoutHistory(): UseWorkoutHistoryReturn {
   const [workouts, setWorkouts] = useState<WorkoutEntry[]>([]);
   const [isLoading, setIsLoading] = useState<boolean>(true);
@@ -109,23 +145,7 @@ export default function useWorkoutHistory(): UseWorkoutHistoryReturn {
    */
   const addWorkout = useCallback(
     async (workout: WorkoutInput): Promise<WorkoutEntry> => {
-      const entry: WorkoutEntry = {
-        id: Crypto.randomUUID(),
-        date: new Date().toISOString(),
-        name: workout.name || 'Workout',
-        emoji: workout.emoji || '\uD83D\uDCAA',
-        type: workout.type || 'strength',
-        duration: workout.duration || 0,
-        calories: workout.calories || 0,
-        exercises: (workout.exercises || []).map((ex) => ({
-          name: ex.name,
-          sets: (ex.sets || []).map((s) => ({
-            weight: s.weight || 0,
-            reps: s.reps || 0,
-          })),
-        })),
-        notes: workout.notes || '',
-      };
+      const entry = toEntry(workout);
 
       const updated = [entry, ...workouts].slice(0, MAX_ENTRIES);
       setWorkouts(updated);
@@ -135,6 +155,29 @@ export default function useWorkoutHistory(): UseWorkoutHistoryReturn {
     [workouts]
   );
 
+  /**
+   * Add workouts read from GPX/TCX/FIT files, keeping their dates.
+   * Skips any already in history (same name and date) so importing a file
+   * twice is harmless. Resolves to the number added.
+   */
+  const importWorkouts = useCallback(
+    async (imported: WorkoutInput[]): Promise<number> => {
+      const existing = new Set(workouts.map((w: WorkoutEntry) => `${w.name}|${w.date}`));
+      const entries = imported
+        .map(toEntry)
+        .filter((entry) => !existing.has(`${entry.name}|${entry.date}`));
+      if (entries.length === 0) return 0;
+
+      const updated = [...entries, ...workouts]
+        .sort((a, b) => b.date.localeCompare(a.date))
+        .slice(0, MAX_ENTRIES);
+      setWorkouts(updated);
+      await persist(updated);
+      return entries.length;
+    },
+    [workouts]
+  );
+
   /**
    * Delete a workout by id.
    */
@@ -244,6 +287,7 @@ export default function useWorkoutHistory(): UseWorkoutHistoryReturn {
   return {
     workouts,
     addWorkout,
+    importWorkouts,
     deleteWorkout,
     getWorkoutsByType,
     getStats,
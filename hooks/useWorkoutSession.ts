@@ -10,7 +10,8 @@ import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as Crypto from 'expo-crypto';
 import { supabase } from '../lib/supabase';
-import { calculate1RM, scoreWorkout } from '../lib/workoutEngine';
+import { autoRegulateNextWeight, calculate1RM, prescribeSessionTarget, scoreWorkout } from '../lib/workoutEngine';
+import type { LoggedSet } from '../lib/workoutEngine';
 import { Sentry } from '../lib/sentry';
 
 // ---------------------------------------------------------------------------
@@ -24,6 +25,10 @@ export interface SetData {
   rpe: number;
   completed: boolean;
   timestamp?: number;
+  /** Prescribed load; the next set re-targets when it's left at this value */
+  targetWeight?: number;
+  targetReps?: number;
+  targetRpe?: number;
 }
 
 export interface ExerciseSession {
@@ -114,12 +119,23 @@ interface UseWorkoutSessionParams {
     estimated_calories?: number;
   } | null;
   previousHistory?: Record<string, { weight: number; reps: number }[]>;
+  /**
+   * Enables target weights and RPE auto-regulation. `history` holds logged
+   * sessions per exercise name, most recent first.
+   */
+  progression?: {
+    history: Record<string, LoggedSet[][]>;
+    week?: number;
+    totalWeeks?: number;
+    deload?: boolean;
+  };
   userWeightKg?: number;
 }
 
 export default function useWorkoutSession({
   workout,
   previousHistory = {},
+  progression,
   userWeightKg = 75,
 }: UseWorkoutSessionParams) {
   // -----------------------------------------------------------------------
@@ -141,15 +157,30 @@ export default function useWorkoutSession({
     const exercises: ExerciseSession[] = (
       workout.main_set || workout.exercises || []
     ).map((ex: any, idx: number) => {
-      const targetSets = parseInt(String(ex.sets), 10) || 3;
       const prev = previousHistory[ex.name] || [];
-      const initialSets: SetData[] = Array.from({ length: targetSets }, (_, i) => ({
-        setNumber: i + 1,
-        weight: prev[i]?.weight ? String(prev[i].weight) : '',
-        reps: '',
-        rpe: 7,
-        completed: false,
-      }));
+      const target = progression
+        ? prescribeSessionTarget(ex, progression.history[ex.name] || [], progression)
+        : null;
+      const targetSets = target ? target.sets : parseInt(String(ex.sets), 10) || 3;
+      const initialSets: SetData[] = Array.from({ length: targetSets }, (_, i) => {
+        const set: SetData = {
+          setNumber: i + 1,
+          weight: prev[i]?.weight ? String(prev[i].weight) : '',
+          reps: '',
+          rpe: 7,
+          completed: false,
+        };
+        if (!target) return set;
+        return {
+          ...set,
+          weight: target.weight ? String(target.weight) : set.weight,
+          reps: target.reps ? String(target.reps) : '',
+          rpe: target.rpe,
+          targetWeight: target.weight ?? undefined,
+          targetReps: target.reps ?? undefined,
+          targetRpe: target.rpe,
+        };
+      });
 
       return {
         id: ex.id || `ex-${idx}`,
@@ -187,7 +218,7 @@ export default function useWorkoutSession({
     setSession(newSession);
     setPrs([]);
     setSummary(null);
-  }, [workout, previousHistory]);
+  }, [workout, previousHistory, progression]);
 
   // Auto-init when workout changes
   useEffect(() => {
@@ -291,11 +322,31 @@ export default function useWorkoutSession({
         const exercises = [...prev.exercises];
         const exercise = { ...exercises[exerciseIndex] };
         const sets = [...exercise.sets];
+        const done = sets[setIndex];
         sets[setIndex] = {
-          ...sets[setIndex],
+          ...done,
           completed: true,
           timestamp: Date.now(),
         };
+
+        // RPE auto-regulation: re-target the remaining sets the user hasn't
+        // loaded by hand from how this set actually felt
+        const weight = parseFloat(done.weight) || 0;
+        const reps = parseInt(done.reps, 10) || 0;
+        if (done.targetReps && done.targetRpe && weight > 0 && reps > 0) {
+          const next = autoRegulateNextWeight(
+            { weight, reps, rpe: done.rpe },
+            { reps: done.targetReps, rpe: done.targetRpe }
+          );
+          if (next) {
+            for (let i = setIndex + 1; i < sets.length; i++) {
+              const s = sets[i];
+              const untouched = s.weight === '' || (s.targetWeight !== undefined && s.weight === String(s.targetWeight));
+              if (s.completed || !untouched) continue;
+              sets[i] = { ...s, weight: String(next), targetWeight: next };
+            }
+          }
+        }
         exercise.sets = sets;
         exercises[exerciseIndex] = exercise;
         return { ...prev, exercises };
@@ -316,9 +367,12 @@ export default function useWorkoutSession({
         {
           setNumber: newSetNumber,
           weight: lastSet?.weight || '',
-          reps: '',
-          rpe: lastSet?.rpe || 7,
+          reps: lastSet?.targetReps ? String(lastSet.targetReps) : '',
+          rpe: lastSet?.targetRpe || lastSet?.rpe || 7,
           completed: false,
+          targetWeight: lastSet?.targetWeight,
+          targetReps: lastSet?.targetReps,
+          targetRpe: lastSet?.targetRpe,
         },
       ];
       exercises[exerciseIndex] = exercise;
@@ -374,6 +428,7 @@ export default function useWorkoutSession({
             weight: '',
             reps: '',
             completed: false,
+            targetWeight: undefined,
           })),
         };
         return { ...prev, exercises };
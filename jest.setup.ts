@@ -135,3 +135,9 @@ jest.mock('./context/SubscriptionContext', () => ({
 
 // Set global __DEV__
 (global as Record<string, unknown>).__DEV__ = true;
+
+// Initialise translations so screens render their English copy
+jest.mock('expo-localization', () => ({
+  getLocales: () => [{ languageCode: 'en', languageTag: 'en-US', measurementSystem: 'us' }],
+}));
+require('./lib/i18n');
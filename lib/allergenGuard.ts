@@ -0,0 +1,255 @@
+/**
+ * Allergen enforcement shared by food search, barcode scan and logging.
+ *
+ * A food is checked against the user's allergen list (managed in
+ * app/allergens.js via useAllergens) using, in order of confidence:
+ * 1. Declared allergen tags (e.g. Open Food Facts `en:milk`)
+ * 2. Ingredient text keyword matches
+ * 3. Food name / brand keyword matches
+ * 4. "May contain" trace tags (reported one level softer)
+ *
+ * The warning level follows the severity the user recorded for the
+ * allergen. A `danger` level blocks logging until the user overrides it
+ * for that single log.
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { safeJSONParse, isValidObject } from './validation';
+import { Sentry } from './sentry';
+
+export const ALLERGENS_STORAGE_KEY = '@fueliq_allergens';
+
+export type AllergenSeverity = 'mild' | 'moderate' | 'severe';
+export type AllergenWarningLevel = 'none' | 'caution' | 'warning' | 'danger';
+export type AllergenEvidence = 'declared' | 'ingredients' | 'name' | 'traces';
+
+export interface UserAllergen {
+  id: string;
+  name: string;
+  emoji?: string;
+  severity?: AllergenSeverity | string;
+  notes?: string;
+  createdAt?: string;
+}
+
+export interface AllergenDefinition {
+  name: string;
+  emoji: string;
+  keywords: string[];
+  /** Open Food Facts allergen taxonomy ids (without the `en:` prefix) */
+  tags: string[];
+  /** Phrases that contain a keyword but not the allergen (e.g. "peanut butter" for Dairy) */
+  exclusions?: string[];
+}
+
+const PLANT_MILKS = ['almond milk', 'oat milk', 'soy milk', 'coconut milk', 'rice milk', 'cashew milk'];
+const NON_DAIRY_BUTTERS = ['peanut butter', 'almond butter', 'nut butter', 'cocoa butter', 'apple butter'];
+
+export const COMMON_ALLERGENS: AllergenDefinition[] = [
+  { name: 'Dairy', emoji: '🥛', keywords: ['dairy', 'milk', 'buttermilk', 'cheese', 'butter', 'cream', 'yogurt', 'whey', 'casein'], tags: ['milk'], exclusions: [...PLANT_MILKS, ...NON_DAIRY_BUTTERS, 'coconut cream'] },
+  { name: 'Gluten', emoji: '🌾', keywords: ['gluten', 'wheat', 'barley', 'rye', 'bread', 'pasta', 'flour'], tags: ['gluten', 'wheat', 'barley', 'rye'] },
+  { name: 'Nuts', emoji: '🥜', keywords: ['nuts', 'almond', 'cashew', 'walnut', 'pecan', 'pistachio', 'macadamia'], tags: ['nuts'] },
+  { name: 'Peanuts', emoji: '🥜', keywords: ['peanut', 'peanuts', 'peanut butter'], tags: ['peanuts'] },
+  { name: 'Shellfish', emoji: '🦐', keywords: ['shellfish', 'shrimp', 'crab', 'lobster', 'oyster', 'clam', 'mussel', 'scallop'], tags: ['crustaceans', 'molluscs'] },
+  { name: 'Fish', emoji: '🐟', keywords: ['fish', 'salmon', 'tuna', 'cod', 'tilapia', 'anchovy', 'sardine'], tags: ['fish'] },
+  { name: 'Eggs', emoji: '🥚', keywords: ['egg', 'eggs', 'mayonnaise', 'meringue'], tags: ['eggs'] },
+  { name: 'Soy', emoji: '🫘', keywords: ['soy', 'soybean', 'tofu', 'tempeh', 'edamame', 'miso', 'soy sauce'], tags: ['soybeans'] },
+  { name: 'Sesame', emoji: '🫘', keywords: ['sesame', 'tahini', 'sesame oil', 'sesame seeds'], tags: ['sesame-seeds'] },
+  { name: 'Tree Nuts', emoji: '🌰', keywords: ['tree nut', 'almond', 'cashew', 'walnut', 'pecan', 'hazelnut', 'brazil nut'], tags: ['nuts'] },
+  { name: 'Wheat', emoji: '🌾', keywords: ['wheat', 'flour', 'bread', 'pasta', 'couscous', 'semolina'], tags: ['wheat'] },
+  { name: 'Corn', emoji: '🌽', keywords: ['corn', 'maize', 'cornstarch', 'corn syrup', 'popcorn', 'polenta'], tags: [] },
+  { name: 'Sulfites', emoji: '🍷', keywords: ['sulfite', 'sulfites', 'sulphite', 'wine', 'dried fruit', 'vinegar'], tags: ['sulphur-dioxide-and-sulphites'] },
+  { name: 'Lactose', emoji: '🥛', keywords: ['lactose', 'milk', 'dairy', 'cream', 'ice cream', 'cheese'], tags: ['milk'], exclusions: [...PLANT_MILKS, 'coconut cream'] },
+];
+
+/** Anything that carries enough information to be checked */
+export interface AllergenCheckable {
+  name?: string;
+  brand?: string | null;
+  /** Declared allergens: tag array or OFF-style comma separated string */
+  allergens?: string[] | string | null;
+  traces?: string[] | string | null;
+  ingredients?: string | null;
+}
+
+export interface AllergenMatch {
+  allergen: UserAllergen;
+  evidence: AllergenEvidence;
+  /** The tag or keyword that matched */
+  term: string;
+  level: Exclude<AllergenWarningLevel, 'none'>;
+}
+
+export interface AllergenCheckResult {
+  level: AllergenWarningLevel;
+  matches: AllergenMatch[];
+  /** Logging is blocked unless the user overrides this warning */
+  requiresOverride: boolean;
+}
+
+const LEVEL_RANK: Record<AllergenWarningLevel, number> = {
+  none: 0,
+  caution: 1,
+  warning: 2,
+  danger: 3,
+};
+const LEVELS: AllergenWarningLevel[] = ['none', 'caution', 'warning', 'danger'];
+
+const EVIDENCE_RANK: Record<AllergenEvidence, number> = {
+  declared: 3,
+  ingredients: 2,
+  name: 1,
+  traces: 0,
+};
+
+export const NO_ALLERGEN_MATCH: AllergenCheckResult = { level: 'none', matches: [], requiresOverride: false };
+
+function severityToLevel(severity: UserAllergen['severity']): Exclude<AllergenWarningLevel, 'none'> {
+  if (severity === 'severe') return 'danger';
+  if (severity === 'mild') return 'caution';
+  return 'warning';
+}
+
+function softenLevel(level: Exclude<AllergenWarningLevel, 'none'>): Exclude<AllergenWarningLevel, 'none'> {
+  return LEVELS[Math.max(LEVEL_RANK.caution, LEVEL_RANK[level] - 1)] as Exclude<AllergenWarningLevel, 'none'>;
+}
+
+/**
+ * Normalise declared allergen tags: `"en:milk, en:Soybeans"` → `['milk', 'soybeans']`.
+ */
+export function normalizeAllergenTags(value: string[] | string | null | undefined): string[] {
+  if (!value) return [];
+  const parts = Array.isArray(value) ? value : value.split(',');
+  return parts
+    .map((part) => String(part).trim().toLowerCase().replace(/^[a-z]{2}:/, '').replace(/\s+/g, '-'))
+    .filter(Boolean);
+}
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whole-word keyword search that tolerates plurals and ignores
+ * "free" claims such as "dairy-free" or "gluten free".
+ */
+export function containsAllergenKeyword(text: string, keyword: string): boolean {
+  if (!text || !keyword) return false;
+  const pattern = new RegExp(`\\b${escapeRegExp(keyword.toLowerCase())}(?:s|es)?\\b(?![-\\s]?free\\b)`, 'i');
+  return pattern.test(text);
+}
+
+function stripExclusions(text: string, exclusions: string[] | undefined): string {
+  if (!text || !exclusions || exclusions.length === 0) return text;
+  return exclusions.reduce(
+    (result, phrase) => result.replace(new RegExp(`\\b${escapeRegExp(phrase)}\\b`, 'gi'), ' '),
+    text
+  );
+}
+
+function getDefinition(allergen: UserAllergen): AllergenDefinition {
+  const name = (allergen.name || '').trim();
+  const common = COMMON_ALLERGENS.find((c) => c.name.toLowerCase() === name.toLowerCase());
+  if (common) return common;
+  return {
+    name,
+    emoji: allergen.emoji || '⚠️',
+    keywords: [name.toLowerCase()],
+    tags: [name.toLowerCase().replace(/\s+/g, '-')],
+  };
+}
+
+function findEvidence(
+  food: AllergenCheckable,
+  definition: AllergenDefinition
+): { evidence: AllergenEvidence; term: string } | null {
+  const declared = normalizeAllergenTags(food.allergens);
+  const declaredTag = definition.tags.find((tag) => declared.includes(tag));
+  if (declaredTag) return { evidence: 'declared', term: declaredTag };
+
+  const ingredients = stripExclusions(food.ingredients || '', definition.exclusions);
+  const ingredientKeyword = definition.keywords.find((keyword) => containsAllergenKeyword(ingredients, keyword));
+  if (ingredientKeyword) return { evidence: 'ingredients', term: ingredientKeyword };
+
+  const nameText = stripExclusions([food.name, food.brand].filter(Boolean).join(' '), definition.exclusions);
+  const nameKeyword = definition.keywords.find((keyword) => containsAllergenKeyword(nameText, keyword));
+  if (nameKeyword) return { evidence: 'name', term: nameKeyword };
+
+  const traces = normalizeAllergenTags(food.traces);
+  const traceTag = definition.tags.find((tag) => traces.includes(tag));
+  if (traceTag) return { evidence: 'traces', term: traceTag };
+
+  return null;
+}
+
+/**
+ * Check one food against the user's allergens.
+ */
+export function checkFoodAllergens(
+  food: AllergenCheckable | null | undefined,
+  userAllergens: UserAllergen[] | null | undefined
+): AllergenCheckResult {
+  if (!food || !Array.isArray(userAllergens) || userAllergens.length === 0) {
+    return NO_ALLERGEN_MATCH;
+  }
+
+  const matches: AllergenMatch[] = [];
+  userAllergens.forEach((allergen) => {
+    if (!allergen || !allergen.name) return;
+    const found = findEvidence(food, getDefinition(allergen));
+    if (!found) return;
+    const baseLevel = severityToLevel(allergen.severity);
+    matches.push({
+      allergen,
+      evidence: found.evidence,
+      term: found.term,
+      level: found.evidence === 'traces' ? softenLevel(baseLevel) : baseLevel,
+    });
+  });
+
+  if (matches.length === 0) return NO_ALLERGEN_MATCH;
+
+  matches.sort((a, b) =>
+    LEVEL_RANK[b.level] - LEVEL_RANK[a.level] || EVIDENCE_RANK[b.evidence] - EVIDENCE_RANK[a.evidence]
+  );
+  const level = matches[0].level;
+  return { level, matches, requiresOverride: level === 'danger' };
+}
+
+/**
+ * Short human readable summary, e.g. "Contains Peanuts (declared); may contain Soy".
+ */
+export function describeAllergenMatches(result: AllergenCheckResult): string {
+  const contains = result.matches.filter((m) => m.evidence !== 'traces');
+  const traces = result.matches.filter((m) => m.evidence === 'traces');
+  const parts: string[] = [];
+  if (contains.length > 0) {
+    const labels = contains.map((m) => (m.evidence === 'declared' ? m.allergen.name : `${m.allergen.name} (${m.term})`));
+    parts.push(`Contains ${labels.join(', ')}`);
+  }
+  if (traces.length > 0) {
+    parts.push(`${parts.length > 0 ? 'may' : 'May'} contain ${traces.map((m) => m.allergen.name).join(', ')}`);
+  }
+  return parts.join('; ');
+}
+
+// ─── Stored allergen list (for non-React callers like MealContext) ───────────
+
+let cachedAllergens: UserAllergen[] | null = null;
+
+export function setCachedUserAllergens(allergens: UserAllergen[]): void {
+  cachedAllergens = Array.isArray(allergens) ? allergens : [];
+}
+
+export async function loadUserAllergens(): Promise<UserAllergen[]> {
+  if (cachedAllergens) return cachedAllergens;
+  try {
+    const raw = await AsyncStorage.getItem(ALLERGENS_STORAGE_KEY);
+    const parsed = raw ? safeJSONParse<unknown>(raw, null) : null;
+    const list = isValidObject(parsed) && Array.isArray(parsed.allergens) ? parsed.allergens as UserAllergen[] : [];
+    cachedAllergens = list;
+    return list;
+  } catch (e) {
+    Sentry.captureException(e);
+    return [];
+  }
+}
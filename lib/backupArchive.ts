@@ -0,0 +1,349 @@
+/**
+ * Full backup archive: one versioned JSON document holding every local
+ * store plus the user's Supabase rows.
+ *
+ * Restoring never overwrites what is already on the device or server.
+ * Local stores are merged record by record (records only present in the
+ * backup are added; for records edited on both sides the newer copy wins
+ * when the store has a timestamp, otherwise the local copy is kept), and
+ * Supabase rows are only inserted when an identical row does not already
+ * exist. Planning is pure so the restore screen can preview the result.
+ */
+import { TRACKER_STORES, fingerprintRecord, fromRecordMap, timestampOf, toRecordMap } from './trackerSync';
+import type { TrackerStoreId } from './trackerSync';
+
+export const BACKUP_FORMAT = 'fueliq-backup';
+export const BACKUP_SCHEMA_VERSION = 1;
+
+export interface BackupStoreDescriptor {
+  id: string;
+  storageKey: string;
+  /** Stored through lib/encryptedStorage rather than plain AsyncStorage */
+  encrypted: boolean;
+  /** Stored as a plain string rather than JSON */
+  text?: boolean;
+  /**
+   * - list: array of records, keyed by `idField`
+   * - map: object whose keys are record ids
+   * - object: a settings-style object merged key by key
+   * - value: restored only when there is no local value
+   */
+  shape: 'list' | 'map' | 'object' | 'value';
+  idField?: string;
+  /** Epoch ms; when both sides changed a record the newer copy wins */
+  getUpdatedAt?: (record: any) => number;
+  /** Set for tracker stores so their hooks reload and the sync picks up the change */
+  trackerId?: TrackerStoreId;
+}
+
+export const BACKUP_STORES: BackupStoreDescriptor[] = [
+  ...TRACKER_STORES.map((store) => ({ ...store, trackerId: store.id })),
+  { id: 'recipes', storageKey: '@fueliq_recipes', encrypted: false, shape: 'list', idField: 'id' },
+  { id: 'workout_templates', storageKey: '@fueliq_workout_templates', encrypted: false, shape: 'list', idField: 'id' },
+  { id: 'workout_history', storageKey: '@fueliq_workout_history', encrypted: false, shape: 'list', idField: 'id' },
+  { id: 'personal_records', storageKey: '@fueliq_personal_records', encrypted: false, shape: 'map' },
+  { id: 'progress_photos', storageKey: '@fueliq_progress_photos', encrypted: false, shape: 'list', idField: 'id' },
+  { id: 'mood_logs', storageKey: '@fueliq_mood_logs', encrypted: false, shape: 'list', idField: 'id' },
+  { id: 'favorite_foods', storageKey: '@fueliq_favorite_foods', encrypted: false, shape: 'list', idField: 'name' },
+  { id: 'breathing_history', storageKey: '@fueliq_breathing_history', encrypted: false, shape: 'list', idField: 'completedAt' },
+  { id: 'supplements_log', storageKey: '@fueliq_supplements_log', encrypted: false, shape: 'object', getUpdatedAt: timestampOf('date') },
+  { id: 'achievements', storageKey: '@fueliq_achievements', encrypted: false, shape: 'map' },
+  { id: 'gamification', storageKey: '@fueliq_gamification', encrypted: false, shape: 'object', getUpdatedAt: timestampOf('lastActiveDate') },
+  { id: 'body_measurements', storageKey: '@fueliq_body_measurements', encrypted: true, shape: 'list', idField: 'date' },
+  { id: 'body_measurements_unit', storageKey: '@fueliq_body_measurements_unit', encrypted: true, shape: 'value' },
+  { id: 'weight_goal', storageKey: '@fueliq_weight_goal', encrypted: true, shape: 'value' },
+  { id: 'meal_plan', storageKey: '@fueliq_meal_plan', encrypted: false, shape: 'object', getUpdatedAt: timestampOf('generatedAt') },
+  { id: 'calorie_cycling', storageKey: '@fueliq_calorie_cycling', encrypted: false, shape: 'object' },
+  { id: 'cycle_data', storageKey: '@fueliq_cycle_data', encrypted: false, shape: 'object' },
+  { id: 'allergens', storageKey: '@fueliq_allergens', encrypted: false, shape: 'object' },
+  { id: 'notification_settings', storageKey: '@fueliq_notification_settings', encrypted: false, shape: 'object' },
+  { id: 'dashboard_layout', storageKey: '@fueliq_dashboard_layout', encrypted: false, shape: 'value' },
+  { id: 'theme_preference', storageKey: '@fueliq_theme_preference', encrypted: false, text: true, shape: 'value' },
+  { id: 'health_source_priority', storageKey: '@fueliq_health_source_priority', encrypted: false, shape: 'object' },
+  { id: 'weekly_checkin', storageKey: '@fueliq_weekly_checkin', encrypted: false, shape: 'object', getUpdatedAt: timestampOf('lastCheckInWeek') },
+  { id: 'diet_phases', storageKey: '@fueliq_diet_phases', encrypted: false, shape: 'object' },
+  { id: 'meal_timing', storageKey: '@fueliq_meal_timing', encrypted: false, shape: 'list', idField: 'time' },
+  { id: 'goal_timeline', storageKey: '@fueliq_goal_timeline', encrypted: false, shape: 'list', idField: 'id' },
+  { id: 'household_size', storageKey: '@fueliq_household_size', encrypted: false, text: true, shape: 'value' },
+  { id: 'adaptive_macros', storageKey: '@fueliq_adaptive_macros', encrypted: false, shape: 'object', getUpdatedAt: timestampOf('generatedAt') },
+  { id: 'workout_ratings', storageKey: '@fueliq_workout_ratings', encrypted: false, shape: 'list', idField: 'id' },
+  { id: 'food_photos', storageKey: '@fueliq_food_photos', encrypted: false, shape: 'list', idField: 'id' },
+  { id: 'glp1', storageKey: '@fueliq_glp1', encrypted: false, shape: 'object' },
+  { id: 'active_program', storageKey: '@fueliq_active_program', encrypted: false, shape: 'object' },
+  { id: 'recovery', storageKey: '@fueliq_recovery', encrypted: false, shape: 'list', idField: 'date' },
+  { id: 'recovery_biometrics', storageKey: '@fueliq_recovery_biometrics', encrypted: true, shape: 'list', idField: 'date' },
+];
+
+/** Supabase tables whose rows are inserted back on restore, in insert order */
+export const RESTORABLE_TABLES = ['food_logs', 'workouts', 'journal_entries'] as const;
+
+export type RestorableTable = (typeof RESTORABLE_TABLES)[number];
+
+/** Server-managed columns that are dropped before a row is re-inserted */
+const SERVER_COLUMNS = ['id', 'user_id', 'created_at', 'updated_at'];
+
+export interface BackupArchive {
+  format: typeof BACKUP_FORMAT;
+  schemaVersion: number;
+  createdAt: string;
+  userId: string | null;
+  /** Keyed by BackupStoreDescriptor.id; stores with no saved value are omitted */
+  stores: Record<string, unknown>;
+  /** Keyed by table name */
+  tables: Record<string, Record<string, unknown>[]>;
+}
+
+export function createBackupArchiveDocument({
+  userId,
+  stores,
+  tables,
+  createdAt = new Date().toISOString(),
+}: {
+  userId: string | null;
+  stores: Record<string, unknown>;
+  tables: Record<string, Record<string, unknown>[]>;
+  createdAt?: string;
+}): BackupArchive {
+  const savedStores: Record<string, unknown> = {};
+  Object.entries(stores).forEach(([id, value]) => {
+    if (value !== null && value !== undefined) savedStores[id] = value;
+  });
+  return {
+    format: BACKUP_FORMAT,
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    createdAt,
+    userId,
+    stores: savedStores,
+    tables,
+  };
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function matchesShape(store: BackupStoreDescriptor, value: unknown): boolean {
+  if (store.text) return typeof value === 'string';
+  if (store.shape === 'list') return Array.isArray(value);
+  if (store.shape === 'map' || store.shape === 'object') return isPlainObject(value);
+  return true;
+}
+
+/** Parse and validate an archive file. Throws with a user-facing message. */
+export function parseBackupArchive(text: string): BackupArchive {
+  let raw: unknown;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new Error('This file is not a FuelIQ backup.');
+  }
+  if (!isPlainObject(raw) || raw.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not a FuelIQ backup.');
+  }
+
+  const { schemaVersion } = raw;
+  if (typeof schemaVersion !== 'number' || !Number.isInteger(schemaVersion) || schemaVersion < 1) {
+    throw new Error('This backup is damaged or incomplete.');
+  }
+  if (schemaVersion > BACKUP_SCHEMA_VERSION) {
+    throw new Error('This backup was made by a newer version of FuelIQ. Update the app and try again.');
+  }
+
+  if (typeof raw.createdAt !== 'string' || !isPlainObject(raw.stores) || !isPlainObject(raw.tables)) {
+    throw new Error('This backup is damaged or incomplete.');
+  }
+  const stores = raw.stores;
+  const tables = raw.tables;
+  const damagedStore = BACKUP_STORES.find((store) => store.id in stores && !matchesShape(store, stores[store.id]));
+  const damagedTable = Object.values(tables).some(
+    (rows) => !Array.isArray(rows) || rows.some((row) => !isPlainObject(row))
+  );
+  if (damagedStore || damagedTable) {
+    throw new Error('This backup is damaged or incomplete.');
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    schemaVersion,
+    createdAt: raw.createdAt,
+    userId: typeof raw.userId === 'string' ? raw.userId : null,
+    stores,
+    tables: tables as Record<string, Record<string, unknown>[]>,
+  };
+}
+
+// ─── Merge planning ──────────────────────────────────────────────────────────
+
+export interface StoreRestorePlan {
+  id: string;
+  /** Merged value to write; only meaningful when `changed` */
+  value: unknown;
+  /** Records only present in the backup */
+  added: number;
+  /** Records where the backup copy replaces or fills in the local one */
+  updated: number;
+  /** Records that differ but where the local copy is kept */
+  kept: number;
+  changed: boolean;
+}
+
+/** Layout of a list or map store in the terms lib/trackerSync's record helpers use */
+function recordLayout(store: BackupStoreDescriptor) {
+  return { shape: store.shape === 'map' ? 'map' as const : 'list' as const, idField: store.idField };
+}
+
+function isNewer(store: BackupStoreDescriptor, backup: unknown, local: unknown): boolean {
+  return !!store.getUpdatedAt && store.getUpdatedAt(backup) > store.getUpdatedAt(local);
+}
+
+export function planStoreRestore(store: BackupStoreDescriptor, local: unknown, backup: unknown): StoreRestorePlan {
+  const plan: StoreRestorePlan = { id: store.id, value: local, added: 0, updated: 0, kept: 0, changed: false };
+  if (backup === null || backup === undefined) return plan;
+
+  if (local === null || local === undefined) {
+    const count = store.shape === 'list' || store.shape === 'map' ? Object.keys(toRecordMap(recordLayout(store), backup)).length : 1;
+    return { ...plan, value: backup, added: count, changed: count > 0 };
+  }
+
+  if (store.shape === 'value') {
+    if (fingerprintRecord(local) !== fingerprintRecord(backup)) plan.kept = 1;
+    return plan;
+  }
+
+  if (store.shape === 'object') {
+    if (!isPlainObject(local) || !isPlainObject(backup) || fingerprintRecord(local) === fingerprintRecord(backup)) {
+      return plan;
+    }
+    if (isNewer(store, backup, local)) {
+      return { ...plan, value: backup, updated: 1, changed: true };
+    }
+    // Fill in settings the device has never saved; keep everything else
+    const missing = Object.keys(backup).filter((key) => local[key] === undefined);
+    if (missing.length > 0) {
+      const merged = { ...local };
+      missing.forEach((key) => {
+        merged[key] = backup[key];
+      });
+      return { ...plan, value: merged, updated: 1, changed: true };
+    }
+    return { ...plan, kept: 1 };
+  }
+
+  const layout = recordLayout(store);
+  const localRecords = toRecordMap(layout, local);
+  const merged = { ...localRecords };
+  Object.entries(toRecordMap(layout, backup)).forEach(([id, record]) => {
+    if (!(id in localRecords)) {
+      merged[id] = record;
+      plan.added += 1;
+    } else if (fingerprintRecord(localRecords[id]) !== fingerprintRecord(record)) {
+      if (isNewer(store, record, localRecords[id])) {
+        merged[id] = record;
+        plan.updated += 1;
+      } else {
+        plan.kept += 1;
+      }
+    }
+  });
+
+  if (plan.added === 0 && plan.updated === 0) return plan;
+  return { ...plan, value: fromRecordMap(layout, merged, local), changed: true };
+}
+
+export interface TableRestorePlan {
+  table: RestorableTable;
+  /** Rows ready to insert for the current user */
+  rows: Record<string, unknown>[];
+  /** Backup rows that already exist on the server */
+  skipped: number;
+}
+
+function rowSignature(row: Record<string, unknown>): string {
+  const content: Record<string, unknown> = {};
+  Object.keys(row).forEach((key) => {
+    if (!SERVER_COLUMNS.includes(key)) content[key] = row[key];
+  });
+  return fingerprintRecord(content);
+}
+
+/**
+ * Rows from the backup that are missing on the server. Identical rows are
+ * matched one-for-one, so logging the same food twice in a day restores
+ * both entries but a second restore adds nothing.
+ */
+export function planTableRestore(
+  table: RestorableTable,
+  existingRows: Record<string, unknown>[],
+  backupRows: Record<string, unknown>[],
+  userId: string
+): TableRestorePlan {
+  const existingCounts = new Map<string, number>();
+  existingRows.forEach((row) => {
+    const signature = rowSignature(row);
+    existingCounts.set(signature, (existingCounts.get(signature) || 0) + 1);
+  });
+
+  const rows: Record<string, unknown>[] = [];
+  let skipped = 0;
+  backupRows.forEach((row) => {
+    const signature = rowSignature(row);
+    const remaining = existingCounts.get(signature) || 0;
+    if (remaining > 0) {
+      existingCounts.set(signature, remaining - 1);
+      skipped += 1;
+      return;
+    }
+    const insertRow: Record<string, unknown> = { user_id: userId };
+    Object.keys(row).forEach((key) => {
+      if (!SERVER_COLUMNS.includes(key)) insertRow[key] = row[key];
+    });
+    rows.push(insertRow);
+  });
+
+  return { table, rows, skipped };
+}
+
+export interface BackupRestorePlan {
+  createdAt: string;
+  stores: StoreRestorePlan[];
+  tables: TableRestorePlan[];
+  totals: {
+    recordsAdded: number;
+    recordsUpdated: number;
+    recordsKept: number;
+    rowsAdded: number;
+    rowsSkipped: number;
+  };
+}
+
+export function planBackupRestore({
+  archive,
+  localStores,
+  remoteTables,
+  userId,
+}: {
+  archive: BackupArchive;
+  localStores: Record<string, unknown>;
+  remoteTables: Partial<Record<RestorableTable, Record<string, unknown>[]>>;
+  userId: string;
+}): BackupRestorePlan {
+  const stores = BACKUP_STORES
+    .filter((store) => store.id in archive.stores)
+    .map((store) => planStoreRestore(store, localStores[store.id], archive.stores[store.id]));
+  const tables = RESTORABLE_TABLES
+    .filter((table) => (archive.tables[table] || []).length > 0)
+    .map((table) => planTableRestore(table, remoteTables[table] || [], archive.tables[table], userId));
+
+  return {
+    createdAt: archive.createdAt,
+    stores,
+    tables,
+    totals: {
+      recordsAdded: stores.reduce((sum, store) => sum + store.added, 0),
+      recordsUpdated: stores.reduce((sum, store) => sum + store.updated, 0),
+      recordsKept: stores.reduce((sum, store) => sum + store.kept, 0),
+      rowsAdded: tables.reduce((sum, table) => sum + table.rows.length, 0),
+      rowsSkipped: tables.reduce((sum, table) => sum + table.skipped, 0),
+    },
+  };
+}
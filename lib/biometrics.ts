@@ -48,7 +48,7 @@ interface TrainingLoadAnalysis {
   sessionCount?: number;
 }
 
-interface GPSPoint {
+export interface GPSPoint {
   lat: number;
   lon: number;
   elevation?: number;
@@ -457,6 +457,7 @@ export {
   analyzeTrainingLoad,
   calculateDistance,
   calculateRouteStats,
+  formatPace,
   generateBiometricAlerts,
   SUPPORTED_DEVICES,
   getSupportedDevices,
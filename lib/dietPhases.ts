@@ -0,0 +1,288 @@
+/**
+ * Diet Phase Planner
+ *
+ * A plan is an ordered list of blocks (cut, maintenance, bulk, diet break,
+ * reverse diet) that run back to back from the plan's start date. Each block
+ * has a target rate of weight change; calorie targets follow from that rate
+ * and the user's maintenance calories, and step automatically whenever a new
+ * block (or a new reverse-diet week) begins.
+ *
+ * Weights and rates use the same unit as the weight log (lbs), matching
+ * goal-timeline and useGoalProjection.
+ */
+
+import { addDays, differenceInCalendarDays, format, parseISO } from 'date-fns';
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+export type DietPhaseType = 'cut' | 'maintenance' | 'bulk' | 'dietBreak' | 'reverse';
+
+export interface DietPhase {
+  id: string;
+  type: DietPhaseType;
+  weeks: number;
+  /** Target weight change per week (negative = loss) */
+  rateLbsPerWeek: number;
+  /** Reverse diets only: calories added at the start of each week */
+  weeklyStepKcal?: number;
+}
+
+export interface DietPlan {
+  /** First day of the first phase (YYYY-MM-DD) */
+  startDate: string;
+  phases: DietPhase[];
+}
+
+export interface ScheduledPhase extends DietPhase {
+  index: number;
+  /** First day of the phase (YYYY-MM-DD) */
+  startDate: string;
+  /** Last day of the phase (YYYY-MM-DD) */
+  endDate: string;
+}
+
+export interface PhaseCalorieTarget {
+  phase: ScheduledPhase;
+  /** Zero-based week within the phase */
+  weekIndex: number;
+  calories: number;
+  /** Changes whenever the target steps: a new phase or a new reverse-diet week */
+  stepKey: string;
+}
+
+export interface ProjectedWeightPoint {
+  date: string;
+  weight: number;
+}
+
+export interface PhaseProgress {
+  phase: ScheduledPhase;
+  projectedStart: number;
+  projectedEnd: number;
+  /** Null until the phase has at least one weigh-in */
+  actualStart: number | null;
+  actualEnd: number | null;
+  /** Observed lbs per week, null with fewer than two weigh-ins a week apart */
+  actualRate: number | null;
+  status: 'upcoming' | 'active' | 'complete';
+}
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Calories per lb of body weight change, matching useGoalProjection */
+const KCAL_PER_LB = 3500;
+
+const MIN_CALORIES = 1200;
+
+export const PHASE_DEFAULTS: Record<DietPhaseType, Omit<DietPhase, 'id' | 'type'>> = {
+  cut: { weeks: 12, rateLbsPerWeek: -1 },
+  maintenance: { weeks: 4, rateLbsPerWeek: 0 },
+  bulk: { weeks: 16, rateLbsPerWeek: 0.5 },
+  dietBreak: { weeks: 2, rateLbsPerWeek: 0 },
+  reverse: { weeks: 4, rateLbsPerWeek: 0, weeklyStepKcal: 100 },
+};
+
+/** Allowed rate range per phase type, in lbs per week */
+export const PHASE_RATE_LIMITS: Record<DietPhaseType, { min: number; max: number }> = {
+  cut: { min: -2, max: -0.25 },
+  maintenance: { min: 0, max: 0 },
+  bulk: { min: 0.25, max: 1 },
+  dietBreak: { min: 0, max: 0 },
+  reverse: { min: 0, max: 0.5 },
+};
+
+export const MAX_PHASE_WEEKS = 52;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function toDateKey(date: Date): string {
+  return format(date, 'yyyy-MM-dd');
+}
+
+function round1(value: number): number {
+  return Math.round(value * 10) / 10;
+}
+
+/** A new phase with the type's default length and rate. */
+export function createPhase(type: DietPhaseType, id: string): DietPhase {
+  return { id, type, ...PHASE_DEFAULTS[type] };
+}
+
+/** Clamp a phase's weeks, rate and step to their allowed ranges. */
+export function sanitizePhase(phase: DietPhase): DietPhase {
+  const limits = PHASE_RATE_LIMITS[phase.type];
+  const sanitized: DietPhase = {
+    ...phase,
+    weeks: Math.min(MAX_PHASE_WEEKS, Math.max(1, Math.round(phase.weeks))),
+    rateLbsPerWeek: Math.min(limits.max, Math.max(limits.min, phase.rateLbsPerWeek)),
+  };
+  if (phase.type === 'reverse') {
+    sanitized.weeklyStepKcal = Math.min(250, Math.max(50, phase.weeklyStepKcal ?? PHASE_DEFAULTS.reverse.weeklyStepKcal!));
+  } else {
+    delete sanitized.weeklyStepKcal;
+  }
+  return sanitized;
+}
+
+/** Lay the phases out back to back from the plan start. */
+export function schedulePhases(plan: DietPlan): ScheduledPhase[] {
+  let start = parseISO(plan.startDate);
+  return plan.phases.map((phase, index) => {
+    const end = addDays(start, phase.weeks * 7 - 1);
+    const scheduled = { ...phase, index, startDate: toDateKey(start), endDate: toDateKey(end) };
+    start = addDays(end, 1);
+    return scheduled;
+  });
+}
+
+/** The phase that contains `date`, or null before the start and after the end. */
+export function getActivePhase(plan: DietPlan, date: Date = new Date()): ScheduledPhase | null {
+  const key = toDateKey(date);
+  return schedulePhases(plan).find((p) => p.startDate <= key && key <= p.endDate) ?? null;
+}
+
+/** Last day of the plan (YYYY-MM-DD), or null for an empty plan. */
+export function getPlanEndDate(plan: DietPlan): string | null {
+  const schedule = schedulePhases(plan);
+  return schedule.length > 0 ? schedule[schedule.length - 1].endDate : null;
+}
+
+// ---------------------------------------------------------------------------
+// Calorie targets
+// ---------------------------------------------------------------------------
+
+function rateCalories(maintenanceCalories: number, rateLbsPerWeek: number): number {
+  return maintenanceCalories + Math.round((rateLbsPerWeek * KCAL_PER_LB) / 7);
+}
+
+/**
+ * Calories a reverse diet starts from: the target of the closest earlier
+ * cut, bulk or maintenance phase (diet breaks are skipped), or maintenance.
+ */
+function reverseBaseline(schedule: ScheduledPhase[], index: number, maintenanceCalories: number): number {
+  for (let i = index - 1; i >= 0; i--) {
+    const previous = schedule[i];
+    if (previous.type === 'cut' || previous.type === 'bulk' || previous.type === 'maintenance') {
+      return rateCalories(maintenanceCalories, previous.rateLbsPerWeek);
+    }
+  }
+  return maintenanceCalories;
+}
+
+/**
+ * Daily calorie target for one week of a phase.
+ *
+ * Cut, bulk and maintenance eat at maintenance plus the energy the rate
+ * needs; a diet break eats at maintenance. A reverse diet starts from the
+ * previous phase's target and adds `weeklyStepKcal` each week until it
+ * reaches maintenance plus its (small) rate.
+ */
+export function phaseCalories(
+  schedule: ScheduledPhase[],
+  index: number,
+  weekIndex: number,
+  maintenanceCalories: number,
+): number {
+  const phase = schedule[index];
+  let calories: number;
+
+  if (phase.type === 'dietBreak') {
+    calories = maintenanceCalories;
+  } else if (phase.type === 'reverse') {
+    const ceiling = rateCalories(maintenanceCalories, phase.rateLbsPerWeek);
+    const step = phase.weeklyStepKcal ?? PHASE_DEFAULTS.reverse.weeklyStepKcal!;
+    calories = Math.min(ceiling, reverseBaseline(schedule, index, maintenanceCalories) + step * (weekIndex + 1));
+  } else {
+    calories = rateCalories(maintenanceCalories, phase.rateLbsPerWeek);
+  }
+
+  return Math.max(MIN_CALORIES, Math.round(calories));
+}
+
+/** Today's calorie target under the plan, or null when no phase is active. */
+export function getPhaseCalorieTarget(
+  plan: DietPlan,
+  maintenanceCalories: number,
+  date: Date = new Date(),
+): PhaseCalorieTarget | null {
+  const schedule = schedulePhases(plan);
+  const key = toDateKey(date);
+  const phase = schedule.find((p) => p.startDate <= key && key <= p.endDate);
+  if (!phase) return null;
+
+  const weekIndex = Math.floor(differenceInCalendarDays(date, parseISO(phase.startDate)) / 7);
+  return {
+    phase,
+    weekIndex,
+    calories: phaseCalories(schedule, phase.index, weekIndex, maintenanceCalories),
+    stepKey: phase.type === 'reverse' ? `${phase.id}:${weekIndex}` : phase.id,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Projection vs actual
+// ---------------------------------------------------------------------------
+
+/** Weekly projected weight across the whole plan, starting from `startWeight`. */
+export function projectPlanWeights(plan: DietPlan, startWeight: number): ProjectedWeightPoint[] {
+  const points: ProjectedWeightPoint[] = [{ date: plan.startDate, weight: round1(startWeight) }];
+  let weight = startWeight;
+  let date = parseISO(plan.startDate);
+
+  for (const phase of plan.phases) {
+    for (let w = 0; w < phase.weeks; w++) {
+      weight += phase.rateLbsPerWeek;
+      date = addDays(date, 7);
+      points.push({ date: toDateKey(date), weight: round1(weight) });
+    }
+  }
+  return points;
+}
+
+/**
+ * Projected and actual weight change for each phase. The projection is
+ * anchored at `startWeight` on the plan start; actuals come from weigh-ins
+ * (date strings in any format date-fns can parse) inside each phase.
+ */
+export function comparePhaseProgress(
+  plan: DietPlan,
+  startWeight: number,
+  entries: Array<{ date: string; weight: number }>,
+  today: Date = new Date(),
+): PhaseProgress[] {
+  const todayKey = toDateKey(today);
+  const weighIns = entries
+    .map((e) => ({ key: toDateKey(new Date(e.date)), weight: e.weight }))
+    .sort((a, b) => a.key.localeCompare(b.key));
+
+  let projected = startWeight;
+  return schedulePhases(plan).map((phase) => {
+    const projectedStart = projected;
+    projected += phase.rateLbsPerWeek * phase.weeks;
+
+    const inPhase = weighIns.filter((w) => phase.startDate <= w.key && w.key <= phase.endDate);
+    const first = inPhase[0];
+    const last = inPhase[inPhase.length - 1];
+    const span = first && last ? differenceInCalendarDays(parseISO(last.key), parseISO(first.key)) : 0;
+
+    let status: PhaseProgress['status'] = 'active';
+    if (todayKey < phase.startDate) status = 'upcoming';
+    else if (todayKey > phase.endDate) status = 'complete';
+
+    return {
+      phase,
+      projectedStart: round1(projectedStart),
+      projectedEnd: round1(projected),
+      actualStart: first ? first.weight : null,
+      actualEnd: last ? last.weight : null,
+      actualRate: span >= 7 ? round1(((last.weight - first.weight) / span) * 7) : null,
+      status,
+    };
+  });
+}
@@ -0,0 +1,390 @@
+/**
+ * Decoder for Garmin FIT activity files. Reads definition and data
+ * messages (including compressed-timestamp records and developer fields),
+ * checks the file CRC, then maps sessions, laps, GPS records, timer pauses
+ * and strength sets onto WorkoutTrack so imports share the GPX/TCX path.
+ *
+ * Only the messages and fields listed below are interpreted; everything
+ * else is skipped by its declared size.
+ */
+import { sportFromText } from './workoutFiles';
+import type { TrackExercise, TrackSample, WorkoutLap, WorkoutSport, WorkoutTrack } from './workoutFiles';
+
+// Seconds between the Unix epoch and the FIT epoch (1989-12-31T00:00:00Z)
+const FIT_EPOCH_OFFSET = 631065600;
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+const LBS_PER_KG = 2.20462;
+
+const MESG = {
+  session: 18,
+  lap: 19,
+  record: 20,
+  event: 21,
+  workout: 26,
+  set: 225,
+} as const;
+
+const FIELD_TIMESTAMP = 253;
+
+// event.event / event.event_type values for the activity timer
+const EVENT_TIMER = 0;
+const TIMER_STOP_TYPES = new Set([1, 4, 8, 9]);
+const SET_TYPE_ACTIVE = 1;
+
+const SPORTS: Record<number, WorkoutSport> = {
+  1: 'running',
+  2: 'cycling',
+  11: 'walking',
+  17: 'walking',
+};
+
+// FIT exercise_category enum
+const EXERCISE_CATEGORIES = [
+  'Bench Press', 'Calf Raise', 'Cardio', 'Carry', 'Chop', 'Core', 'Crunch', 'Curl', 'Deadlift',
+  'Flye', 'Hip Raise', 'Hip Stability', 'Hip Swing', 'Hyperextension', 'Lateral Raise', 'Leg Curl',
+  'Leg Raise', 'Lunge', 'Olympic Lift', 'Plank', 'Plyo', 'Pull Up', 'Push Up', 'Row',
+  'Shoulder Press', 'Shoulder Stability', 'Shrug', 'Sit Up', 'Squat', 'Total Body',
+  'Triceps Extension', 'Warm Up', 'Run',
+];
+
+type FitValue = number | string | number[] | undefined;
+
+export interface FitMessage {
+  mesgNum: number;
+  fields: Record<number, FitValue>;
+}
+
+interface FieldDefinition {
+  num: number;
+  size: number;
+  baseType: number;
+}
+
+interface MessageDefinition {
+  mesgNum: number;
+  littleEndian: boolean;
+  fields: FieldDefinition[];
+  developerBytes: number;
+}
+
+// Base type number -> [size in bytes, invalid value]
+const BASE_TYPES: Record<number, [number, number | null]> = {
+  0: [1, 0xff], // enum
+  1: [1, 0x7f], // sint8
+  2: [1, 0xff], // uint8
+  3: [2, 0x7fff], // sint16
+  4: [2, 0xffff], // uint16
+  5: [4, 0x7fffffff], // sint32
+  6: [4, 0xffffffff], // uint32
+  7: [1, null], // string
+  8: [4, null], // float32
+  9: [8, null], // float64
+  10: [1, 0], // uint8z
+  11: [2, 0], // uint16z
+  12: [4, 0], // uint32z
+  13: [1, 0xff], // byte
+  14: [8, null], // sint64
+  15: [8, null], // uint64
+  16: [8, null], // uint64z
+};
+
+const CRC_TABLE = [
+  0x0000, 0xcc01, 0xd801, 0x1400, 0xf001, 0x3c00, 0x2800, 0xe401,
+  0xa001, 0x6c00, 0x7800, 0xb401, 0x5000, 0x9c01, 0x8801, 0x4400,
+];
+
+function fitCrc(bytes: Uint8Array, start: number, end: number): number {
+  let crc = 0;
+  for (let i = start; i < end; i++) {
+    const byte = bytes[i];
+    let tmp = CRC_TABLE[crc & 0xf];
+    crc = (crc >> 4) & 0x0fff;
+    crc = crc ^ tmp ^ CRC_TABLE[byte & 0xf];
+    tmp = CRC_TABLE[crc & 0xf];
+    crc = (crc >> 4) & 0x0fff;
+    crc = crc ^ tmp ^ CRC_TABLE[(byte >> 4) & 0xf];
+  }
+  return crc;
+}
+
+function readValue(view: DataView, offset: number, baseType: number, littleEndian: boolean): number | undefined {
+  const [, invalid] = BASE_TYPES[baseType];
+  let value: number;
+  switch (baseType) {
+    case 1: value = view.getInt8(offset); break;
+    case 3: value = view.getInt16(offset, littleEndian); break;
+    case 4: case 11: value = view.getUint16(offset, littleEndian); break;
+    case 5: value = view.getInt32(offset, littleEndian); break;
+    case 6: case 12: value = view.getUint32(offset, littleEndian); break;
+    case 8: value = view.getFloat32(offset, littleEndian); break;
+    case 9: value = view.getFloat64(offset, littleEndian); break;
+    case 14: case 15: case 16: return undefined;
+    default: value = view.getUint8(offset);
+  }
+  if (value === invalid || Number.isNaN(value)) return undefined;
+  return value;
+}
+
+function readField(view: DataView, offset: number, field: FieldDefinition, littleEndian: boolean): FitValue {
+  const baseType = field.baseType & 0x1f;
+  const [size] = BASE_TYPES[baseType] || [1];
+  if (baseType === 7) {
+    const codes: number[] = [];
+    for (let i = 0; i < field.size; i++) {
+      const code = view.getUint8(offset + i);
+      if (code === 0) break;
+      codes.push(code);
+    }
+    if (codes.length === 0) return undefined;
+    try {
+      // Strings are UTF-8
+      return decodeURIComponent(codes.map((code) => `%${code.toString(16).padStart(2, '0')}`).join(''));
+    } catch {
+      return String.fromCharCode(...codes);
+    }
+  }
+  if (!BASE_TYPES[baseType] || field.size < size) return undefined;
+  if (field.size === size) return readValue(view, offset, baseType, littleEndian);
+  const values: number[] = [];
+  for (let i = 0; i + size <= field.size; i += size) {
+    const value = readValue(view, offset + i, baseType, littleEndian);
+    if (value !== undefined) values.push(value);
+  }
+  return values.length > 0 ? values : undefined;
+}
+
+/**
+ * Decode every data message in a FIT file. Throws with a user-facing
+ * message when the file is not FIT or fails its CRC.
+ */
+export function decodeFit(bytes: Uint8Array): FitMessage[] {
+  const damaged = 'This FIT file is damaged or incomplete.';
+  if (bytes.length < 14) throw new Error('This file is not a FIT file.');
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const headerSize = bytes[0];
+  if ((headerSize !== 12 && headerSize !== 14)
+    || String.fromCharCode(bytes[8], bytes[9], bytes[10], bytes[11]) !== '.FIT') {
+    throw new Error('This file is not a FIT file.');
+  }
+  const dataSize = view.getUint32(4, true);
+  const end = headerSize + dataSize;
+  if (end + 2 > bytes.length) throw new Error(damaged);
+  if (fitCrc(bytes, 0, end) !== view.getUint16(end, true)) throw new Error(damaged);
+
+  const definitions = new Map<number, MessageDefinition>();
+  const messages: FitMessage[] = [];
+  let lastTimestamp = 0;
+  let offset = headerSize;
+
+  try {
+    while (offset < end) {
+      const header = bytes[offset++];
+
+      if ((header & 0x80) === 0 && (header & 0x40) !== 0) {
+        const local = header & 0x0f;
+        const littleEndian = bytes[offset + 1] === 0;
+        const mesgNum = view.getUint16(offset + 2, littleEndian);
+        const fieldCount = bytes[offset + 4];
+        offset += 5;
+        const fields: FieldDefinition[] = [];
+        for (let i = 0; i < fieldCount; i++) {
+          fields.push({ num: bytes[offset], size: bytes[offset + 1], baseType: bytes[offset + 2] });
+          offset += 3;
+        }
+        let developerBytes = 0;
+        if (header & 0x20) {
+          const developerCount = bytes[offset++];
+          for (let i = 0; i < developerCount; i++) {
+            developerBytes += bytes[offset + 1];
+            offset += 3;
+          }
+        }
+        definitions.set(local, { mesgNum, littleEndian, fields, developerBytes });
+        continue;
+      }
+
+      const compressed = (header & 0x80) !== 0;
+      const local = compressed ? (header >> 5) & 0x03 : header & 0x0f;
+      const definition = definitions.get(local);
+      if (!definition) throw new Error(damaged);
+
+      const fields: Record<number, FitValue> = {};
+      for (const field of definition.fields) {
+        const value = readField(view, offset, field, definition.littleEndian);
+        if (value !== undefined) fields[field.num] = value;
+        offset += field.size;
+      }
+      offset += definition.developerBytes;
+
+      if (compressed) {
+        const timeOffset = header & 0x1f;
+        let timestamp = (lastTimestamp & ~0x1f) + timeOffset;
+        if (timeOffset < (lastTimestamp & 0x1f)) timestamp += 0x20;
+        fields[FIELD_TIMESTAMP] = timestamp;
+        lastTimestamp = timestamp;
+      } else if (typeof fields[FIELD_TIMESTAMP] === 'number') {
+        lastTimestamp = fields[FIELD_TIMESTAMP] as number;
+      }
+
+      messages.push({ mesgNum: definition.mesgNum, fields });
+    }
+  } catch (e) {
+    // DataView reads past the end land here too
+    if (e instanceof Error && e.message === damaged) throw e;
+    throw new Error(damaged);
+  }
+
+  return messages;
+}
+
+function num(fields: Record<number, FitValue>, field: number): number | undefined {
+  const value = fields[field];
+  if (Array.isArray(value)) return value[0];
+  return typeof value === 'number' ? value : undefined;
+}
+
+function fitTimeMs(seconds: number): number {
+  return (seconds + FIT_EPOCH_OFFSET) * 1000;
+}
+
+function scaled(fields: Record<number, FitValue>, field: number, scale: number, offset = 0): number | undefined {
+  const value = num(fields, field);
+  return value === undefined ? undefined : value / scale - offset;
+}
+
+function lapFrom(fields: Record<number, FitValue>, heartRateFields: [number, number]): WorkoutLap | null {
+  const start = num(fields, 2);
+  if (start === undefined) return null;
+  const distance = scaled(fields, 9, 100);
+  return {
+    startTime: fitTimeMs(start),
+    durationSeconds: Math.round(scaled(fields, 8, 1000) ?? scaled(fields, 7, 1000) ?? 0),
+    distanceM: distance !== undefined ? Math.round(distance) : null,
+    calories: num(fields, 11) ?? 0,
+    averageHeartRate: num(fields, heartRateFields[0]) ?? null,
+    maxHeartRate: num(fields, heartRateFields[1]) ?? null,
+  };
+}
+
+/** Group consecutive active sets of the same exercise, like a logged session */
+function exercisesFromSets(sets: FitMessage[]): TrackExercise[] {
+  const exercises: TrackExercise[] = [];
+  let current: { category: number | undefined; exercise: TrackExercise } | null = null;
+
+  for (const set of sets) {
+    if (num(set.fields, 5) !== SET_TYPE_ACTIVE) continue;
+    const category = num(set.fields, 7);
+    if (!current || current.category !== category) {
+      const name = category !== undefined && EXERCISE_CATEGORIES[category] ? EXERCISE_CATEGORIES[category] : 'Exercise';
+      current = { category, exercise: { name, sets: [] } };
+      exercises.push(current.exercise);
+    }
+    const weightKg = scaled(set.fields, 4, 16) ?? 0;
+    current.exercise.sets.push({
+      weight: Math.round(weightKg * LBS_PER_KG * 10) / 10,
+      reps: num(set.fields, 3) ?? 0,
+    });
+  }
+  return exercises;
+}
+
+function samplesFrom(records: FitMessage[], events: FitMessage[]): TrackSample[] {
+  // Timer stops start a new segment at the next record
+  const stops = events
+    .filter((e) => num(e.fields, 0) === EVENT_TIMER && TIMER_STOP_TYPES.has(num(e.fields, 1) ?? -1))
+    .map((e) => num(e.fields, FIELD_TIMESTAMP))
+    .filter((t): t is number => t !== undefined)
+    .sort((a, b) => a - b);
+
+  let segment = 0;
+  let stopIndex = 0;
+  const samples: TrackSample[] = [];
+  for (const record of records) {
+    const time = num(record.fields, FIELD_TIMESTAMP);
+    if (time === undefined) continue;
+    let crossed = false;
+    while (stopIndex < stops.length && stops[stopIndex] < time) {
+      stopIndex += 1;
+      crossed = true;
+    }
+    if (crossed && samples.length > 0) segment += 1;
+
+    const lat = num(record.fields, 0);
+    const lon = num(record.fields, 1);
+    samples.push({
+      timestamp: fitTimeMs(time),
+      lat: lat !== undefined && lon !== undefined ? lat * SEMICIRCLES_TO_DEGREES : undefined,
+      lon: lat !== undefined && lon !== undefined ? lon * SEMICIRCLES_TO_DEGREES : undefined,
+      elevation: scaled(record.fields, 78, 5, 500) ?? scaled(record.fields, 2, 5, 500),
+      heartRate: num(record.fields, 3),
+      segment,
+    });
+  }
+  return samples;
+}
+
+/**
+ * Decode a FIT activity into one track per session (multisport files have
+ * several). Files without a session message get one built from records.
+ */
+export function parseFIT(bytes: Uint8Array): WorkoutTrack[] {
+  const messages = decodeFit(bytes);
+  const byType = (mesgNum: number) => messages.filter((m) => m.mesgNum === mesgNum);
+  const records = byType(MESG.record);
+  const events = byType(MESG.event);
+  const lapMessages = byType(MESG.lap);
+  const sets = byType(MESG.set);
+  const workoutName = byType(MESG.workout).map((m) => m.fields[8]).find((v): v is string => typeof v === 'string');
+
+  let sessions = byType(MESG.session);
+  if (sessions.length === 0) {
+    const times = records.map((r) => num(r.fields, FIELD_TIMESTAMP)).filter((t): t is number => t !== undefined);
+    if (times.length === 0 && sets.length === 0) {
+      throw new Error('This FIT file has no activity in it.');
+    }
+    const first = times.length > 0 ? Math.min(...times) : num(sets[0].fields, 6) ?? 0;
+    const last = times.length > 0 ? Math.max(...times) : first;
+    sessions = [{ mesgNum: MESG.session, fields: { 2: first, 7: (last - first) * 1000 } }];
+  }
+
+  return sessions.map((session, index) => {
+    const summary = lapFrom(session.fields, [16, 17]) as WorkoutLap;
+    const elapsedSeconds = scaled(session.fields, 7, 1000) ?? summary.durationSeconds;
+    const startTime = summary.startTime;
+    const endTime = startTime + elapsedSeconds * 1000;
+    const within = (ms: number) => ms >= startTime && ms <= endTime;
+    const inSession = (m: FitMessage, field: number) => {
+      const time = num(m.fields, field);
+      return time !== undefined && within(fitTimeMs(time));
+    };
+
+    const samples = samplesFrom(records.filter((r) => inSession(r, FIELD_TIMESTAMP)), events);
+    const laps = lapMessages
+      .filter((l) => inSession(l, 2))
+      .map((l) => lapFrom(l.fields, [15, 16]))
+      .filter((l): l is WorkoutLap => l !== null);
+    const exercises = exercisesFromSets(sets.filter((s) => inSession(s, 6) || inSession(s, 254)));
+
+    const sportValue = num(session.fields, 5);
+    const sport = sportValue !== undefined && SPORTS[sportValue] ? SPORTS[sportValue] : sportFromText(workoutName);
+    const heartRates = samples.map((s) => s.heartRate).filter((hr): hr is number => !!hr);
+    const lastSample = samples[samples.length - 1];
+    const durationSeconds = summary.durationSeconds
+      || (lastSample ? Math.round((lastSample.timestamp - startTime) / 1000) : 0);
+
+    return {
+      name: (index === 0 && workoutName) || '',
+      sport,
+      startTime,
+      durationSeconds,
+      calories: summary.calories,
+      distanceM: summary.distanceM,
+      averageHeartRate: summary.averageHeartRate
+        ?? (heartRates.length > 0 ? Math.round(heartRates.reduce((a, b) => a + b, 0) / heartRates.length) : null),
+      maxHeartRate: summary.maxHeartRate ?? (heartRates.length > 0 ? Math.max(...heartRates) : null),
+      laps: laps.length > 0 ? laps : [{ ...summary, durationSeconds }],
+      samples,
+      exercises,
+    };
+  });
+}
@@ -1,22 +1,55 @@
 import i18next from 'i18next';
+import { getLocales } from 'expo-localization';
 
-const getLocale = (): string => {
-  const lng = i18next.language || 'en';
-  const localeMap: Record<string, string> = {
-    en: 'en-US',
-    es: 'es-ES',
-    fr: 'fr-FR',
-    de: 'de-DE',
-    pt: 'pt-BR',
-    ja: 'ja-JP',
-    ko: 'ko-KR',
-    zh: 'zh-CN',
-    ar: 'ar-SA',
-    hi: 'hi-IN',
-  };
+export type UnitSystem = 'metric' | 'imperial';
+
+const localeMap: Record<string, string> = {
+  en: 'en-US',
+  es: 'es-ES',
+  fr: 'fr-FR',
+  de: 'de-DE',
+  pt: 'pt-BR',
+  ja: 'ja-JP',
+  ko: 'ko-KR',
+  zh: 'zh-CN',
+  ar: 'ar-SA',
+  hi: 'hi-IN',
+  it: 'it-IT',
+  nl: 'nl-NL',
+  sv: 'sv-SE',
+  pl: 'pl-PL',
+  tr: 'tr-TR',
+};
+
+/**
+ * BCP 47 tag used for Intl formatting. Keeps the device region when it
+ * matches the active language (en-GB stays en-GB) and otherwise falls back
+ * to the default region for the language.
+ */
+export const getLocale = (): string => {
+  const lng = (i18next.language || 'en').split('-')[0];
+  try {
+    const device = getLocales()[0];
+    if (device?.languageCode === lng && device.languageTag) {
+      return device.languageTag;
+    }
+  } catch {
+    // Localization module unavailable (tests, web) — use the language default
+  }
   return localeMap[lng] || 'en-US';
 };
 
+/** Device measurement system; the US and UK/Liberia conventions count as imperial. */
+export function getDeviceUnitSystem(): UnitSystem {
+  try {
+    const system = getLocales()[0]?.measurementSystem;
+    if (system === 'us' || system === 'uk') return 'imperial';
+  } catch {
+    // fall through
+  }
+  return 'metric';
+}
+
 export function formatNumber(value: number, decimals = 0): string {
   return new Intl.NumberFormat(getLocale(), {
     minimumFractionDigits: decimals,
@@ -24,31 +57,99 @@ export function formatNumber(value: number, decimals = 0): string {
   }).format(value);
 }
 
+/** Number with up to `maxDecimals` fraction digits, trailing zeros dropped. */
+export function formatDecimal(value: number, maxDecimals = 1): string {
+  return new Intl.NumberFormat(getLocale(), {
+    minimumFractionDigits: 0,
+    maximumFractionDigits: maxDecimals,
+  }).format(value);
+}
+
 export function formatCalories(value: number): string {
   return `${formatNumber(Math.round(value))} ${i18next.t('units.kcal')}`;
 }
 
+export function formatGrams(value: number, unit: 'g' | 'mg' = 'g'): string {
+  return `${formatDecimal(value, unit === 'g' ? 1 : 0)}${i18next.t(`units.${unit}`)}`;
+}
+
 export function formatWeight(value: number, unit: 'kg' | 'lbs' = 'kg'): string {
   const formatted = formatNumber(value, 1);
   const unitLabel = i18next.t(`units.${unit}`);
   return `${formatted} ${unitLabel}`;
 }
 
-export function formatDate(date: Date, style: 'short' | 'medium' | 'long' = 'medium'): string {
-  const options: Intl.DateTimeFormatOptions = {
-    short: { month: 'numeric', day: 'numeric' } as Intl.DateTimeFormatOptions,
-    medium: { month: 'short', day: 'numeric', year: 'numeric' } as Intl.DateTimeFormatOptions,
-    long: { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' } as Intl.DateTimeFormatOptions,
-  }[style];
+const KM_PER_MILE = 1.609344;
+const ML_PER_FL_OZ = 29.5735;
 
-  return new Intl.DateTimeFormat(getLocale(), options).format(date);
+export function formatDistance(km: number, system: UnitSystem = getDeviceUnitSystem()): string {
+  if (system === 'imperial') {
+    return `${formatDecimal(km / KM_PER_MILE, 2)} ${i18next.t('units.mi')}`;
+  }
+  if (km < 1) {
+    return `${formatNumber(Math.round(km * 1000))} ${i18next.t('units.m')}`;
+  }
+  return `${formatDecimal(km, 2)} ${i18next.t('units.km')}`;
 }
 
-export function formatTime(date: Date): string {
-  return new Intl.DateTimeFormat(getLocale(), {
+export function formatVolume(ml: number, system: UnitSystem = getDeviceUnitSystem()): string {
+  if (system === 'imperial') {
+    return `${formatDecimal(ml / ML_PER_FL_OZ, 1)} ${i18next.t('units.flOz')}`;
+  }
+  return `${formatNumber(Math.round(ml))} ${i18next.t('units.ml')}`;
+}
+
+const DATE_STYLES: Record<'short' | 'medium' | 'long', Intl.DateTimeFormatOptions> = {
+  short: { month: 'numeric', day: 'numeric' },
+  medium: { month: 'short', day: 'numeric', year: 'numeric' },
+  long: { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' },
+};
+
+function toDate(date: Date | string | number): Date {
+  return date instanceof Date ? date : new Date(date);
+}
+
+/**
+ * Locale-aware date. Pass a preset style or explicit Intl options
+ * (replaces `toLocaleDateString('en-US', ...)`).
+ */
+export function formatDate(
+  date: Date | string | number,
+  style: 'short' | 'medium' | 'long' | Intl.DateTimeFormatOptions = 'medium'
+): string {
+  const options = typeof style === 'string' ? DATE_STYLES[style] : style;
+  return new Intl.DateTimeFormat(getLocale(), options).format(toDate(date));
+}
+
+export function formatTime(date: Date | string | number, options?: Intl.DateTimeFormatOptions): string {
+  return new Intl.DateTimeFormat(getLocale(), options ?? {
     hour: 'numeric',
     minute: '2-digit',
-  }).format(date);
+  }).format(toDate(date));
+}
+
+/** Localised short weekday name ("Mon", "lun.", "月") */
+export function formatWeekday(date: Date | string | number, width: 'narrow' | 'short' | 'long' = 'short'): string {
+  return new Intl.DateTimeFormat(getLocale(), { weekday: width }).format(toDate(date));
+}
+
+/** Localised weekday names for chart axes, starting Monday by default */
+export function getWeekdayLabels(width: 'narrow' | 'short' | 'long' = 'short', weekStartsOn: 0 | 1 = 1): string[] {
+  // 2024-01-07 was a Sunday
+  return Array.from({ length: 7 }, (_, i) => formatWeekday(new Date(2024, 0, 7 + weekStartsOn + i), width));
+}
+
+/** "Just now", "5m ago", "3d ago" using the time.* translation keys */
+export function formatRelativeTime(date: Date | string | number, now: Date = new Date()): string {
+  const diffMinutes = Math.floor((now.getTime() - toDate(date).getTime()) / 60000);
+  if (diffMinutes < 1) return i18next.t('time.justNow');
+  if (diffMinutes < 60) return i18next.t('time.minutesAgo', { count: diffMinutes });
+  const hours = Math.floor(diffMinutes / 60);
+  if (hours < 24) return i18next.t('time.hoursAgo', { count: hours });
+  const days = Math.floor(hours / 24);
+  if (days < 7) return i18next.t('time.daysAgo', { count: days });
+  if (days < 30) return i18next.t('time.weeksAgo', { count: Math.floor(days / 7) });
+  return formatDate(date, 'medium');
 }
 
 export function formatDuration(minutes: number): string {
@@ -59,6 +160,15 @@ export function formatDuration(minutes: number): string {
   return `${hrs}${i18next.t('time.hourShort')} ${mins}${i18next.t('time.minuteShort')}`;
 }
 
+/** Short form for large counts ("1.2K", "1,2 k", "1.2万") */
+export function formatCompactNumber(value: number): string {
+  return new Intl.NumberFormat(getLocale(), { notation: 'compact', maximumFractionDigits: 1 }).format(value);
+}
+
+export function formatCurrency(value: number, currency = 'USD'): string {
+  return new Intl.NumberFormat(getLocale(), { style: 'currency', currency }).format(value);
+}
+
 export function formatPercentage(value: number, decimals = 0): string {
   return new Intl.NumberFormat(getLocale(), {
     style: 'percent',
@@ -0,0 +1,382 @@
+/**
+ * Health source priority and deduplication.
+ *
+ * The native health platform (Apple Health / Health Connect) and every
+ * connected wearable can report the same metric for the same day. This
+ * module picks one value per metric using a user-configurable source order,
+ * collapses workouts that several sources recorded into one, and records
+ * which source each merged value came from.
+ */
+
+import type { HealthSnapshot, WorkoutSession } from '../services/healthService';
+import type {
+  NormalizedHealthData,
+  NormalizedWorkout,
+  WearableProvider,
+  WearableWorkoutSport,
+} from '../services/wearableIntegrations';
+
+/** A wearable provider, or the phone's own health platform. */
+export type HealthSourceId = WearableProvider | 'native';
+
+/** Metric groups the user can set a source order for. */
+export const PRIORITY_METRICS = [
+  'steps',
+  'activeCalories',
+  'sleep',
+  'heartRate',
+  'hrv',
+  'body',
+  'bloodPressure',
+  'spo2',
+  'respiratoryRate',
+  'recovery',
+  'workouts',
+] as const;
+
+export type PriorityMetric = typeof PRIORITY_METRICS[number];
+
+/** Scalar fields a source can report, named as in NormalizedHealthData. */
+export type SourceField = Exclude<keyof NormalizedHealthData, 'provider' | 'timestamp' | 'workouts'>;
+
+export type SourceValues = Record<SourceField, number | null>;
+
+/** Which source supplied each merged value. */
+export type HealthProvenance = Partial<Record<SourceField, HealthSourceId>>;
+
+/** Source order per metric, highest priority first. */
+export type SourcePriority = Record<PriorityMetric, HealthSourceId[]>;
+
+export interface SourcedWorkout extends Omit<NormalizedWorkout, 'provider'> {
+  source: HealthSourceId;
+}
+
+export interface MergedWorkout extends SourcedWorkout {
+  /** Lower-priority sources that recorded the same workout. */
+  alsoRecordedBy: HealthSourceId[];
+}
+
+/** Everything one source reported for the day. */
+export interface HealthSourceRecord {
+  source: HealthSourceId;
+  values: Partial<SourceValues>;
+  workouts: SourcedWorkout[];
+}
+
+export interface MergedHealthValues {
+  values: SourceValues;
+  provenance: HealthProvenance;
+  workouts: MergedWorkout[];
+}
+
+export const METRIC_FIELDS: Record<Exclude<PriorityMetric, 'workouts'>, SourceField[]> = {
+  steps: ['steps'],
+  activeCalories: ['activeCalories'],
+  sleep: ['sleepMinutes', 'deepSleepMinutes', 'remSleepMinutes', 'lightSleepMinutes'],
+  heartRate: ['restingHeartRate', 'averageHeartRate'],
+  hrv: ['hrv'],
+  body: ['weightKg', 'bodyFatPercent', 'muscleMassKg', 'boneMassKg', 'bmi'],
+  bloodPressure: ['systolicBP', 'diastolicBP'],
+  spo2: ['spo2'],
+  respiratoryRate: ['respiratoryRate'],
+  recovery: ['recoveryScore', 'strainScore', 'readinessScore'],
+};
+
+/**
+ * Metrics whose fields must all come from one source. Sleep stages from one
+ * device don't add up to another device's total, and a blood pressure
+ * reading is a pair.
+ */
+const ATOMIC_METRICS: ReadonlySet<PriorityMetric> = new Set(['sleep', 'bloodPressure']);
+
+const ALL_FIELDS = Object.values(METRIC_FIELDS).flat();
+
+/**
+ * Defaults favour the device that measures a metric most directly:
+ * rings and straps for sleep and HRV, scales for body composition, GPS
+ * watches for workouts, and the phone for steps.
+ */
+export const DEFAULT_SOURCE_PRIORITY: SourcePriority = {
+  steps: ['native', 'garmin', 'fitbit', 'polar', 'oura', 'withings'],
+  activeCalories: ['garmin', 'polar', 'fitbit', 'whoop', 'oura', 'native', 'strava'],
+  sleep: ['oura', 'whoop', 'polar', 'garmin', 'fitbit', 'withings', 'native'],
+  heartRate: ['garmin', 'polar', 'whoop', 'oura', 'fitbit', 'native', 'withings', 'strava'],
+  hrv: ['oura', 'whoop', 'polar', 'garmin', 'native', 'fitbit'],
+  body: ['withings', 'garmin', 'fitbit', 'native'],
+  bloodPressure: ['withings', 'native'],
+  spo2: ['oura', 'garmin', 'whoop', 'native', 'fitbit'],
+  respiratoryRate: ['oura', 'whoop', 'polar', 'garmin', 'native'],
+  recovery: ['whoop', 'oura', 'polar', 'garmin'],
+  workouts: ['garmin', 'polar', 'native', 'strava', 'fitbit', 'whoop', 'oura'],
+};
+
+/** Workouts starting this close together are the same session. */
+const WORKOUT_START_TOLERANCE_MS = 5 * 60 * 1000;
+/** ...as are workouts overlapping by this share of the shorter one. */
+const WORKOUT_OVERLAP_RATIO = 0.5;
+
+/**
+ * Fold a source's activity type (e.g. "TrailRun", "ROAD_BIKING",
+ * "HKWorkoutActivityTypeTraditionalStrengthTraining") into one of the
+ * normalized sport categories.
+ */
+export function normalizeWorkoutSport(rawType: string | null | undefined): WearableWorkoutSport {
+  const type = (rawType || '').toLowerCase();
+  if (/run|jog/.test(type)) return 'running';
+  if (/ride|cycl|bik|spinning/.test(type)) return 'cycling';
+  if (/walk|hik/.test(type)) return 'walking';
+  if (/swim/.test(type)) return 'swimming';
+  if (/strength|weight|crossfit/.test(type)) return 'strength';
+  return 'other';
+}
+
+/**
+ * Source order for one metric: the configured order first, then any other
+ * source that has data, in the order given.
+ */
+export function orderSources(
+  priority: SourcePriority,
+  metric: PriorityMetric,
+  available: HealthSourceId[],
+): HealthSourceId[] {
+  const configured = priority[metric] ?? DEFAULT_SOURCE_PRIORITY[metric];
+  const ranked = configured.filter((source) => available.includes(source));
+  return [...ranked, ...available.filter((source) => !ranked.includes(source))];
+}
+
+/** Move `source` to the top of `metric`'s order. */
+export function promoteSource(
+  priority: SourcePriority,
+  metric: PriorityMetric,
+  source: HealthSourceId,
+): SourcePriority {
+  const current = priority[metric] ?? DEFAULT_SOURCE_PRIORITY[metric];
+  return {
+    ...priority,
+    [metric]: [source, ...current.filter((s) => s !== source)],
+  };
+}
+
+/**
+ * Fill in a stored priority object: unknown metrics are dropped and missing
+ * ones take the default, so settings saved by older versions keep working.
+ */
+export function sanitizeSourcePriority(raw: unknown): SourcePriority {
+  const stored = raw && typeof raw === 'object' ? raw as Record<string, unknown> : {};
+  const result = { ...DEFAULT_SOURCE_PRIORITY };
+  for (const metric of PRIORITY_METRICS) {
+    const order = stored[metric];
+    if (Array.isArray(order) && order.every((s) => typeof s === 'string')) {
+      result[metric] = [...new Set(order as HealthSourceId[])];
+    }
+  }
+  return result;
+}
+
+function workoutRange(workout: SourcedWorkout): [number, number] {
+  const start = Date.parse(workout.startTime);
+  return [start, start + Math.max(0, workout.durationMinutes) * 60000];
+}
+
+/**
+ * Whether two workouts are the same session seen by different sources:
+ * they start within a few minutes of each other, or overlap for at least
+ * half of the shorter one.
+ */
+export function workoutsOverlap(a: SourcedWorkout, b: SourcedWorkout): boolean {
+  const [aStart, aEnd] = workoutRange(a);
+  const [bStart, bEnd] = workoutRange(b);
+  if (Math.abs(aStart - bStart) <= WORKOUT_START_TOLERANCE_MS) return true;
+
+  const overlap = Math.min(aEnd, bEnd) - Math.max(aStart, bStart);
+  const shorter = Math.min(aEnd - aStart, bEnd - bStart);
+  return shorter > 0 && overlap / shorter >= WORKOUT_OVERLAP_RATIO;
+}
+
+/**
+ * Collapse workouts recorded by several sources into one, keeping the copy
+ * from the highest-priority source and noting the others. Newest first.
+ */
+export function dedupeWorkouts(workouts: SourcedWorkout[], order: HealthSourceId[]): MergedWorkout[] {
+  const rank = (source: HealthSourceId) => {
+    const index = order.indexOf(source);
+    return index === -1 ? order.length : index;
+  };
+  const ranked = [...workouts].sort((a, b) => rank(a.source) - rank(b.source));
+
+  const kept: MergedWorkout[] = [];
+  for (const workout of ranked) {
+    const match = kept.find((k) => workoutsOverlap(k, workout));
+    if (!match) {
+      kept.push({ ...workout, alsoRecordedBy: [] });
+    } else if (match.source !== workout.source && !match.alsoRecordedBy.includes(workout.source)) {
+      match.alsoRecordedBy.push(workout.source);
+    }
+  }
+
+  return kept.sort((a, b) => b.startTime.localeCompare(a.startTime));
+}
+
+function emptyValues(): SourceValues {
+  return Object.fromEntries(ALL_FIELDS.map((field) => [field, null])) as SourceValues;
+}
+
+/**
+ * Merge what every source reported into one value per field using the
+ * per-metric source order. Each value's source is recorded in `provenance`.
+ */
+export function mergeHealthSources(
+  records: HealthSourceRecord[],
+  priority: SourcePriority = DEFAULT_SOURCE_PRIORITY,
+): MergedHealthValues {
+  const values = emptyValues();
+  const provenance: HealthProvenance = {};
+  const available = records.map((r) => r.source);
+  const bySource = new Map(records.map((r) => [r.source, r]));
+
+  for (const [metric, fields] of Object.entries(METRIC_FIELDS) as Array<[PriorityMetric, SourceField[]]>) {
+    const order = orderSources(priority, metric, available);
+
+    if (ATOMIC_METRICS.has(metric)) {
+      const source = order.find((s) => bySource.get(s)?.values[fields[0]] != null);
+      if (!source) continue;
+      const record = bySource.get(source) as HealthSourceRecord;
+      for (const field of fields) {
+        const value = record.values[field];
+        if (value != null) {
+          values[field] = value;
+          provenance[field] = source;
+        }
+      }
+      continue;
+    }
+
+    for (const field of fields) {
+      const source = order.find((s) => bySource.get(s)?.values[field] != null);
+      if (!source) continue;
+      values[field] = (bySource.get(source) as HealthSourceRecord).values[field] as number;
+      provenance[field] = source;
+    }
+  }
+
+  const workouts = dedupeWorkouts(
+    records.flatMap((r) => r.workouts),
+    orderSources(priority, 'workouts', available),
+  );
+
+  return { values, provenance, workouts };
+}
+
+/** Turn a provider sync into a source record. */
+export function wearableRecord(data: NormalizedHealthData): HealthSourceRecord {
+  const values: Partial<SourceValues> = {};
+  for (const field of ALL_FIELDS) {
+    values[field] = data[field];
+  }
+  return {
+    source: data.provider,
+    values,
+    workouts: (data.workouts ?? []).map(({ provider, ...workout }) => ({ ...workout, source: provider })),
+  };
+}
+
+/**
+ * Turn a native health snapshot into a source record. The snapshot uses 0
+ * for "no data" on counters, which must not outrank a real reading.
+ */
+export function nativeRecord(snapshot: HealthSnapshot): HealthSourceRecord {
+  const positive = (value: number | null | undefined) => (value != null && value > 0 ? value : null);
+  const hasStages = snapshot.deepSleepMinutes > 0 || snapshot.remSleepMinutes > 0;
+
+  return {
+    source: 'native',
+    values: {
+      steps: positive(snapshot.steps),
+      activeCalories: positive(snapshot.activeCalories),
+      restingHeartRate: snapshot.restingHR,
+      hrv: snapshot.hrv,
+      sleepMinutes: positive(snapshot.sleepMinutes),
+      deepSleepMinutes: hasStages ? snapshot.deepSleepMinutes : null,
+      remSleepMinutes: hasStages ? snapshot.remSleepMinutes : null,
+      lightSleepMinutes: hasStages ? snapshot.lightSleepMinutes : null,
+      weightKg: snapshot.bodyWeight,
+      spo2: snapshot.spo2,
+      respiratoryRate: snapshot.respiratoryRate,
+    },
+    workouts: (snapshot.workouts ?? []).map((session, index) => ({
+      source: 'native',
+      id: `${session.startDate}-${index}`,
+      sport: normalizeWorkoutSport(session.type),
+      name: session.type,
+      startTime: new Date(session.startDate).toISOString(),
+      durationMinutes: session.durationMinutes,
+      distanceKm: session.distance != null ? session.distance / 1000 : null,
+      calories: session.activeCalories || null,
+      averageHeartRate: session.averageHeartRate,
+      maxHeartRate: session.maxHeartRate,
+    })),
+  };
+}
+
+function toWorkoutSession(workout: MergedWorkout): WorkoutSession {
+  const start = Date.parse(workout.startTime);
+  return {
+    type: workout.name || workout.sport,
+    startDate: workout.startTime,
+    endDate: new Date(start + workout.durationMinutes * 60000).toISOString(),
+    durationMinutes: workout.durationMinutes,
+    activeCalories: workout.calories ?? 0,
+    totalCalories: workout.calories ?? 0,
+    averageHeartRate: workout.averageHeartRate,
+    maxHeartRate: workout.maxHeartRate,
+    distance: workout.distanceKm != null ? Math.round(workout.distanceKm * 1000) : null,
+    source: workout.source,
+  };
+}
+
+/**
+ * Apply wearable data to a native snapshot using the source priority.
+ * Simulated native data never outranks a wearable, and fields no source
+ * reported keep the snapshot's value. Wearable workouts from before the
+ * snapshot's window are left out.
+ */
+export function applySourcePriority(
+  snapshot: HealthSnapshot,
+  wearables: NormalizedHealthData[],
+  priority: SourcePriority = DEFAULT_SOURCE_PRIORITY,
+): HealthSnapshot {
+  const records = wearables.map(wearableRecord);
+  if (!snapshot.isSimulated) records.push(nativeRecord(snapshot));
+  if (records.length === 0) return snapshot;
+
+  const windowStart = Date.parse(snapshot.syncedAt) - 24 * 60 * 60 * 1000;
+  for (const record of records) {
+    if (record.source !== 'native') {
+      record.workouts = record.workouts.filter((w) => Date.parse(w.startTime) >= windowStart);
+    }
+  }
+
+  const { values, provenance, workouts } = mergeHealthSources(records, priority);
+  const pick = (field: SourceField, fallback: number | null): number | null => (
+    provenance[field] ? values[field] : fallback
+  );
+
+  return {
+    ...snapshot,
+    steps: pick('steps', snapshot.steps) ?? 0,
+    activeCalories: pick('activeCalories', snapshot.activeCalories) ?? 0,
+    restingHR: pick('restingHeartRate', snapshot.restingHR),
+    hrv: pick('hrv', snapshot.hrv),
+    sleepMinutes: pick('sleepMinutes', snapshot.sleepMinutes) ?? 0,
+    deepSleepMinutes: provenance.sleepMinutes ? values.deepSleepMinutes ?? 0 : snapshot.deepSleepMinutes,
+    remSleepMinutes: provenance.sleepMinutes ? values.remSleepMinutes ?? 0 : snapshot.remSleepMinutes,
+    lightSleepMinutes: provenance.sleepMinutes ? values.lightSleepMinutes ?? 0 : snapshot.lightSleepMinutes,
+    bodyWeight: pick('weightKg', snapshot.bodyWeight),
+    spo2: pick('spo2', snapshot.spo2),
+    respiratoryRate: pick('respiratoryRate', snapshot.respiratoryRate),
+    workouts: snapshot.isSimulated && workouts.length === 0
+      ? snapshot.workouts
+      : workouts.map(toWorkoutSession),
+    provenance,
+  };
+}
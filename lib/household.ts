@@ -0,0 +1,272 @@
+/**
+ * Household sharing: pure helpers shared by services/household.ts and
+ * HouseholdContext. Supabase rows are snake_case; everything returned
+ * from here is the camelCase shape the app works with.
+ */
+import { startOfISOWeek } from 'date-fns';
+import { formatLocalDateKey } from './date';
+import { sumIngredientMacros } from './recipeScaling';
+import type { DateKey, FoodItem, MacroSet, MealType } from '../types';
+
+export const HOUSEHOLD_MAX_MEMBERS = 8;
+
+/** Invite codes avoid 0/O and 1/I so they survive being read aloud */
+const INVITE_CODE_RE = /^[A-HJ-NP-Z2-9]{8}$/;
+
+export type HouseholdRole = 'owner' | 'member';
+export type PortionStatus = 'pending' | 'logged' | 'dismissed';
+
+export interface Household {
+  id: string;
+  name: string;
+  inviteCode: string;
+  createdBy: string;
+  createdAt: string;
+}
+
+export interface HouseholdMember {
+  userId: string;
+  displayName: string;
+  role: HouseholdRole;
+  joinedAt: string;
+}
+
+export interface HouseholdRecipe {
+  id: string;
+  sharedBy: string | null;
+  name: string;
+  emoji: string;
+  servings: number;
+  ingredients: (FoodItem | string)[];
+  totalMacros: MacroSet;
+  cookedWeightGrams: number | null;
+  /** Per-serving nutrition, so a shared recipe can be logged like a saved one */
+  calories: number;
+  protein: number;
+  carbs: number;
+  fat: number;
+  isRecipe: true;
+  isShared: true;
+  createdAt: string;
+}
+
+export interface HouseholdShoppingItem {
+  id: string;
+  name: string;
+  quantity: string | null;
+  checked: boolean;
+  addedBy: string | null;
+  updatedAt: string;
+}
+
+export interface HouseholdPortion extends MacroSet {
+  id: string;
+  memberId: string;
+  createdBy: string | null;
+  name: string;
+  emoji: string;
+  serving: string;
+  mealType: MealType;
+  status: PortionStatus;
+  createdAt: string;
+}
+
+/** How much of a cooked meal one member eats, in servings of the recipe */
+export interface PortionShare {
+  memberId: string;
+  servings: number;
+}
+
+export interface PlannedPortion extends MacroSet {
+  memberId: string;
+  servings: number;
+  serving: string;
+}
+
+export function normalizeInviteCode(text: string): string {
+  return (text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+export function isValidInviteCode(text: string): boolean {
+  return INVITE_CODE_RE.test(normalizeInviteCode(text));
+}
+
+/** "ABCD-EFGH" for display; stored and typed without the dash */
+export function formatInviteCode(code: string): string {
+  const normalized = normalizeInviteCode(code);
+  return normalized.length === 8 ? `${normalized.slice(0, 4)}-${normalized.slice(4)}` : normalized;
+}
+
+/** Shared meal plans are keyed by the Monday of their ISO week */
+export function householdWeekStart(date: Date = new Date()): DateKey {
+  return formatLocalDateKey(startOfISOWeek(date));
+}
+
+function roundTenth(value: number): number {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Split a cooked meal between members. Each share is a number of recipe
+ * servings; macros are the matching fraction of the recipe totals.
+ * Calories are rounded so the portions add up to exactly what was cooked
+ * for the servings handed out.
+ */
+export function splitMealPortions(
+  recipe: { servings: number; totalMacros: MacroSet },
+  shares: PortionShare[]
+): PlannedPortion[] {
+  const baseServings = Math.max(1, recipe.servings || 1);
+  const active = shares.filter((share) => share.servings > 0);
+  const perServing = {
+    calories: (recipe.totalMacros.calories || 0) / baseServings,
+    protein: (recipe.totalMacros.protein || 0) / baseServings,
+    carbs: (recipe.totalMacros.carbs || 0) / baseServings,
+    fat: (recipe.totalMacros.fat || 0) / baseServings,
+  };
+
+  const servedCalories = Math.round(active.reduce((sum, share) => sum + share.servings, 0) * perServing.calories);
+  let allocatedCalories = 0;
+
+  return active.map((share, index) => {
+    // The last portion absorbs rounding so the split sums to the batch
+    const calories = index === active.length - 1
+      ? servedCalories - allocatedCalories
+      : Math.round(share.servings * perServing.calories);
+    allocatedCalories += calories;
+
+    return {
+      memberId: share.memberId,
+      servings: share.servings,
+      serving: share.servings === 1
+        ? `1 serving (1/${baseServings} recipe)`
+        : `${roundTenth(share.servings)} servings (${roundTenth(share.servings)}/${baseServings} recipe)`,
+      calories,
+      protein: roundTenth(share.servings * perServing.protein),
+      carbs: roundTenth(share.servings * perServing.carbs),
+      fat: roundTenth(share.servings * perServing.fat),
+    };
+  });
+}
+
+// ─── Row mapping ─────────────────────────────────────────────────────────────
+
+type Row = Record<string, any>;
+
+export function toHousehold(row: Row): Household {
+  return {
+    id: row.id,
+    name: row.name,
+    inviteCode: row.invite_code,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+  };
+}
+
+export function toHouseholdMember(row: Row): HouseholdMember {
+  return {
+    userId: row.user_id,
+    displayName: row.display_name,
+    role: row.role === 'owner' ? 'owner' : 'member',
+    joinedAt: row.joined_at,
+  };
+}
+
+export function toHouseholdRecipe(row: Row): HouseholdRecipe {
+  const servings = Math.max(1, Number(row.servings) || 1);
+  const ingredients = Array.isArray(row.ingredients) ? row.ingredients : [];
+  const totalMacros: MacroSet = row.total_macros && typeof row.total_macros === 'object'
+    ? {
+      calories: Number(row.total_macros.calories) || 0,
+      protein: Number(row.total_macros.protein) || 0,
+      carbs: Number(row.total_macros.carbs) || 0,
+      fat: Number(row.total_macros.fat) || 0,
+    }
+    : sumIngredientMacros(ingredients);
+
+  return {
+    id: row.id,
+    sharedBy: row.shared_by ?? null,
+    name: row.name,
+    emoji: row.emoji || '🍲',
+    servings,
+    ingredients,
+    totalMacros,
+    cookedWeightGrams: Number(row.cooked_weight_grams) > 0 ? Number(row.cooked_weight_grams) : null,
+    calories: Math.round(totalMacros.calories / servings),
+    protein: roundTenth(totalMacros.protein / servings),
+    carbs: roundTenth(totalMacros.carbs / servings),
+    fat: roundTenth(totalMacros.fat / servings),
+    isRecipe: true,
+    isShared: true,
+    createdAt: row.created_at,
+  };
+}
+
+/** Insert payload for sharing one of the user's own recipes */
+export function toHouseholdRecipeRow(
+  householdId: string,
+  userId: string,
+  recipe: {
+    name: string;
+    emoji?: string;
+    servings: number;
+    ingredients: (FoodItem | string)[];
+    totalMacros?: MacroSet;
+    cookedWeightGrams?: number | null;
+  }
+): Row {
+  return {
+    household_id: householdId,
+    shared_by: userId,
+    name: recipe.name.trim(),
+    emoji: recipe.emoji || null,
+    servings: Math.max(1, Math.round(recipe.servings || 1)),
+    // Keep only what the recipe box needs; logged-food metadata stays private
+    ingredients: recipe.ingredients.map((ingredient) => (typeof ingredient === 'string' ? ingredient : {
+      id: ingredient.id,
+      name: ingredient.name,
+      emoji: ingredient.emoji,
+      serving: ingredient.serving,
+      servingSize: ingredient.servingSize,
+      servingUnit: ingredient.servingUnit,
+      calories: ingredient.calories || 0,
+      protein: ingredient.protein || 0,
+      carbs: ingredient.carbs || 0,
+      fat: ingredient.fat || 0,
+    })),
+    total_macros: recipe.totalMacros || sumIngredientMacros(recipe.ingredients),
+    cooked_weight_grams: recipe.cookedWeightGrams && recipe.cookedWeightGrams > 0
+      ? Math.round(recipe.cookedWeightGrams)
+      : null,
+  };
+}
+
+export function toHouseholdShoppingItem(row: Row): HouseholdShoppingItem {
+  return {
+    id: row.id,
+    name: row.name,
+    quantity: row.quantity ?? null,
+    checked: Boolean(row.checked),
+    addedBy: row.added_by ?? null,
+    updatedAt: row.updated_at,
+  };
+}
+
+export function toHouseholdPortion(row: Row): HouseholdPortion {
+  return {
+    id: row.id,
+    memberId: row.member_id,
+    createdBy: row.created_by ?? null,
+    name: row.name,
+    emoji: row.emoji || '🍲',
+    serving: row.serving || '1 serving',
+    calories: Number(row.calories) || 0,
+    protein: Number(row.protein) || 0,
+    carbs: Number(row.carbs) || 0,
+    fat: Number(row.fat) || 0,
+    mealType: row.meal_type,
+    status: row.status,
+    createdAt: row.created_at,
+  };
+}
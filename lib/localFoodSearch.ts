@@ -7,6 +7,7 @@ import {
   getCuratedLocalFoodBoost,
   normalizeFoodSearchText,
 } from './foodSearchCurations';
+import { estimateMicronutrients } from './micronutrients';
 
 function clamp(value: number, min: number, max: number): number {
   return Math.min(max, Math.max(min, value));
@@ -51,6 +52,8 @@ export function searchLocalFoodDatabase(query: string, limit: number = 5): Produ
         return null;
       }
 
+      const micronutrients = estimateMicronutrients(food.name, food.calories);
+
       return {
         barcode: `local-${food.id || food.name}`,
         canonicalId: curation.profileId || String(food.id || food.name).toLowerCase(),
@@ -64,6 +67,8 @@ export function searchLocalFoodDatabase(query: string, limit: number = 5): Produ
         serving: food.serving,
         servingSize: 1,
         servingUnit: 'serving',
+        micronutrients,
+        micronutrientSource: micronutrients ? 'estimated' : undefined,
         source: 'local',
         sourceLabel: 'FuelIQ',
         qualityTag: 'curated',
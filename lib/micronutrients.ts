@@ -0,0 +1,525 @@
+/**
+ * Unified micronutrient schema.
+ *
+ * Every food source (OpenFoodFacts, USDA, FatSecret, Nutritionix, the local
+ * food database, recipes) maps its vitamins and minerals onto
+ * MicronutrientSet, in the units below. Foods without source data can be
+ * filled in from reference profiles, and daily or weekly totals carry a
+ * coverage summary so a low number can be told apart from missing data.
+ */
+
+import type { MicronutrientSet, MicronutrientSource } from '../types';
+
+export type MicronutrientKey = keyof MicronutrientSet;
+
+// ---------------------------------------------------------------------------
+// Schema
+// ---------------------------------------------------------------------------
+
+/** Unit each nutrient is stored in, matching the RDA tables */
+export const MICRONUTRIENT_UNITS: Record<MicronutrientKey, 'g' | 'mg' | 'mcg'> = {
+  fiber: 'g',
+  sugar: 'g',
+  sodium: 'mg',
+  saturated_fat: 'g',
+  trans_fat: 'g',
+  cholesterol: 'mg',
+  calcium: 'mg',
+  iron: 'mg',
+  magnesium: 'mg',
+  potassium: 'mg',
+  zinc: 'mg',
+  copper: 'mg',
+  manganese: 'mg',
+  selenium: 'mcg',
+  phosphorus: 'mg',
+  vitaminA: 'mcg',
+  vitaminC: 'mg',
+  vitaminD: 'mcg',
+  vitaminE: 'mg',
+  vitaminK: 'mcg',
+  vitaminB1: 'mg',
+  vitaminB2: 'mg',
+  vitaminB3: 'mg',
+  vitaminB5: 'mg',
+  vitaminB6: 'mg',
+  vitaminB12: 'mcg',
+  folate: 'mcg',
+  choline: 'mg',
+  omega3: 'g',
+  omega6: 'g',
+};
+
+export const MICRONUTRIENT_KEYS = Object.keys(MICRONUTRIENT_UNITS) as MicronutrientKey[];
+
+const GRAMS_TO_UNIT = { g: 1, mg: 1000, mcg: 1000000 } as const;
+
+/** Below this share of calories with data, a low intake is reported as unknown */
+export const MIN_NUTRIENT_COVERAGE = 0.5;
+
+function round2(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+/** Convert a value given in grams (OpenFoodFacts' unit) to the schema unit. */
+export function gramsToMicronutrientUnit(key: MicronutrientKey, grams: number): number {
+  return round2(grams * GRAMS_TO_UNIT[MICRONUTRIENT_UNITS[key]]);
+}
+
+/**
+ * Keep only known keys with finite, non-negative values. Returns undefined
+ * when nothing is left, so "no data" is never stored as an empty object.
+ */
+export function normalizeMicronutrients(value: unknown): MicronutrientSet | undefined {
+  if (!value || typeof value !== 'object') return undefined;
+  const source = value as Record<string, unknown>;
+  const set: MicronutrientSet = {};
+  for (const key of MICRONUTRIENT_KEYS) {
+    const raw = source[key];
+    const num = typeof raw === 'number' ? raw : parseFloat(raw as string);
+    if (Number.isFinite(num) && num >= 0) set[key] = round2(num);
+  }
+  return Object.keys(set).length > 0 ? set : undefined;
+}
+
+export function scaleMicronutrients(set: MicronutrientSet | undefined, factor: number): MicronutrientSet | undefined {
+  if (!set || !(factor >= 0)) return undefined;
+  const scaled: MicronutrientSet = {};
+  for (const key of Object.keys(set) as MicronutrientKey[]) {
+    scaled[key] = round2((set[key] || 0) * factor);
+  }
+  return scaled;
+}
+
+export function sumMicronutrients(sets: (MicronutrientSet | undefined)[]): MicronutrientSet {
+  const total: MicronutrientSet = {};
+  for (const set of sets) {
+    if (!set) continue;
+    for (const key of Object.keys(set) as MicronutrientKey[]) {
+      total[key] = (total[key] || 0) + (set[key] || 0);
+    }
+  }
+  for (const key of Object.keys(total) as MicronutrientKey[]) {
+    total[key] = round2(total[key] || 0);
+  }
+  return total;
+}
+
+// ---------------------------------------------------------------------------
+// Reference profiles
+// ---------------------------------------------------------------------------
+
+// Per-serving values with a reference calorie amount, from USDA FoodData
+// Central (SR Legacy) for standard servings.
+interface ReferenceProfile {
+  keywords: string[];
+  refCalories: number;
+  nutrients: MicronutrientSet;
+}
+
+const REFERENCE_PROFILES: ReferenceProfile[] = [
+  {
+    keywords: ['chicken', 'breast', 'poultry'],
+    refCalories: 165,
+    nutrients: { vitaminB3: 13.7, vitaminB6: 0.6, vitaminB12: 0.3, zinc: 0.9, phosphorus: 228, selenium: 27.6, iron: 0.4, potassium: 256, magnesium: 29 },
+  },
+  {
+    keywords: ['salmon', 'fish'],
+    refCalories: 208,
+    nutrients: { vitaminD: 11, vitaminB12: 2.8, vitaminB3: 8.6, vitaminB6: 0.8, omega3: 2.2, selenium: 40, phosphorus: 252, potassium: 363, magnesium: 30 },
+  },
+  {
+    keywords: ['egg', 'eggs'],
+    refCalories: 78,
+    nutrients: { vitaminA: 80, vitaminD: 1.1, vitaminB2: 0.23, vitaminB12: 0.56, vitaminB5: 0.7, selenium: 15.4, phosphorus: 99, iron: 0.9, zinc: 0.6, cholesterol: 186, folate: 24 },
+  },
+  {
+    keywords: ['milk', 'dairy'],
+    refCalories: 149,
+    nutrients: { calcium: 276, vitaminD: 3.2, vitaminB2: 0.45, vitaminB12: 1.1, phosphorus: 205, potassium: 322, vitaminA: 112, magnesium: 24, zinc: 1.0 },
+  },
+  {
+    keywords: ['yogurt', 'greek yogurt'],
+    refCalories: 100,
+    nutrients: { calcium: 110, vitaminB2: 0.27, vitaminB12: 0.75, phosphorus: 135, potassium: 141, zinc: 0.7, vitaminB6: 0.05, magnesium: 12 },
+  },
+  {
+    keywords: ['cheese', 'cheddar'],
+    refCalories: 113,
+    nutrients: { calcium: 202, vitaminA: 99, vitaminB12: 0.24, phosphorus: 145, zinc: 0.9, sodium: 174, selenium: 8.3, vitaminK: 0.8 },
+  },
+  {
+    keywords: ['beef', 'steak', 'ground beef'],
+    refCalories: 250,
+    nutrients: { vitaminB12: 2.6, vitaminB3: 5.4, vitaminB6: 0.35, zinc: 5.4, iron: 2.7, phosphorus: 175, selenium: 18, potassium: 270 },
+  },
+  {
+    keywords: ['rice', 'white rice'],
+    refCalories: 206,
+    nutrients: { vitaminB1: 0.26, vitaminB3: 2.3, iron: 1.9, magnesium: 19, phosphorus: 68, zinc: 0.8, selenium: 11.9, folate: 97, fiber: 0.6 },
+  },
+  {
+    keywords: ['brown rice'],
+    refCalories: 216,
+    nutrients: { vitaminB1: 0.2, vitaminB3: 3.0, magnesium: 86, phosphorus: 150, zinc: 1.2, selenium: 19.1, fiber: 3.5, iron: 0.8, potassium: 84 },
+  },
+  {
+    keywords: ['oat', 'oatmeal', 'porridge'],
+    refCalories: 154,
+    nutrients: { vitaminB1: 0.19, iron: 2.1, magnesium: 56, phosphorus: 180, zinc: 1.5, fiber: 4.0, selenium: 13, copper: 0.16, vitaminB5: 0.5 },
+  },
+  {
+    keywords: ['banana'],
+    refCalories: 105,
+    nutrients: { vitaminB6: 0.43, vitaminC: 10.3, potassium: 422, magnesium: 32, fiber: 3.1, manganese: 0.32, folate: 24, copper: 0.09 },
+  },
+  {
+    keywords: ['apple'],
+    refCalories: 95,
+    nutrients: { vitaminC: 8.4, fiber: 4.4, potassium: 195, vitaminK: 4.0, vitaminA: 5, copper: 0.05 },
+  },
+  {
+    keywords: ['orange', 'citrus'],
+    refCalories: 62,
+    nutrients: { vitaminC: 70, folate: 40, potassium: 237, fiber: 3.1, vitaminA: 14, vitaminB1: 0.11, calcium: 52, magnesium: 13 },
+  },
+  {
+    keywords: ['broccoli'],
+    refCalories: 55,
+    nutrients: { vitaminC: 135, vitaminK: 155, vitaminA: 60, folate: 101, fiber: 5.1, potassium: 505, calcium: 74, iron: 1.1, magnesium: 33, phosphorus: 105 },
+  },
+  {
+    keywords: ['spinach'],
+    refCalories: 41,
+    nutrients: { vitaminA: 943, vitaminK: 888, vitaminC: 50, folate: 263, iron: 4.9, magnesium: 119, potassium: 839, calcium: 167, fiber: 3.9, vitaminB2: 0.27, vitaminE: 2.9 },
+  },
+  {
+    keywords: ['sweet potato'],
+    refCalories: 103,
+    nutrients: { vitaminA: 1096, vitaminC: 3.2, potassium: 438, fiber: 3.8, vitaminB6: 0.29, magnesium: 27, calcium: 38, iron: 0.7, phosphorus: 54 },
+  },
+  {
+    keywords: ['potato'],
+    refCalories: 161,
+    nutrients: { vitaminC: 16.6, potassium: 926, vitaminB6: 0.41, fiber: 3.8, magnesium: 48, phosphorus: 121, iron: 1.9, vitaminB3: 2.4, folate: 48 },
+  },
+  {
+    keywords: ['tomato'],
+    refCalories: 22,
+    nutrients: { vitaminC: 17, vitaminA: 52, potassium: 292, vitaminK: 9.7, fiber: 1.5, folate: 18, magnesium: 13 },
+  },
+  {
+    keywords: ['carrot'],
+    refCalories: 52,
+    nutrients: { vitaminA: 1069, vitaminK: 16.9, vitaminC: 7.6, potassium: 410, fiber: 3.6, calcium: 42, magnesium: 15, phosphorus: 44 },
+  },
+  {
+    keywords: ['avocado'],
+    refCalories: 240,
+    nutrients: { vitaminK: 31, vitaminC: 15, vitaminE: 3.1, vitaminB6: 0.39, folate: 122, potassium: 728, magnesium: 44, fiber: 10, copper: 0.28 },
+  },
+  {
+    keywords: ['almond', 'almonds'],
+    refCalories: 164,
+    nutrients: { vitaminE: 7.3, magnesium: 77, calcium: 76, fiber: 3.5, iron: 1.1, phosphorus: 137, zinc: 0.9, copper: 0.29, vitaminB2: 0.32 },
+  },
+  {
+    keywords: ['peanut butter', 'peanut'],
+    refCalories: 188,
+    nutrients: { vitaminB3: 4.3, vitaminE: 2.9, magnesium: 57, phosphorus: 115, zinc: 0.9, iron: 0.6, fiber: 1.9, potassium: 208, folate: 29 },
+  },
+  {
+    keywords: ['bread', 'toast', 'whole wheat'],
+    refCalories: 69,
+    nutrients: { vitaminB1: 0.11, vitaminB3: 1.4, iron: 0.7, selenium: 10, fiber: 1.9, folate: 24, magnesium: 23, phosphorus: 57, zinc: 0.5 },
+  },
+  {
+    keywords: ['pasta', 'spaghetti', 'noodle'],
+    refCalories: 220,
+    nutrients: { vitaminB1: 0.29, vitaminB3: 2.4, iron: 1.8, selenium: 26, folate: 102, phosphorus: 76, magnesium: 25, fiber: 2.5, zinc: 0.7 },
+  },
+  {
+    keywords: ['tuna'],
+    refCalories: 179,
+    nutrients: { vitaminB12: 2.5, vitaminB3: 18.8, vitaminB6: 0.45, vitaminD: 1.7, selenium: 80, phosphorus: 264, potassium: 252, omega3: 1.3, iron: 1.0 },
+  },
+  {
+    keywords: ['shrimp', 'prawn'],
+    refCalories: 85,
+    nutrients: { vitaminB12: 1.3, selenium: 40, phosphorus: 116, zinc: 1.3, vitaminB3: 2.6, iron: 0.3, copper: 0.18, omega3: 0.3 },
+  },
+  {
+    keywords: ['tofu', 'soy'],
+    refCalories: 76,
+    nutrients: { calcium: 253, iron: 2.7, magnesium: 37, phosphorus: 121, zinc: 0.8, selenium: 11, copper: 0.19, fiber: 0.3, folate: 19 },
+  },
+  {
+    keywords: ['lentil', 'lentils', 'dal'],
+    refCalories: 230,
+    nutrients: { iron: 6.6, folate: 358, fiber: 15.6, potassium: 731, phosphorus: 356, magnesium: 71, zinc: 2.5, vitaminB1: 0.33, vitaminB6: 0.35, copper: 0.50 },
+  },
+  {
+    keywords: ['bean', 'beans', 'kidney', 'black bean'],
+    refCalories: 225,
+    nutrients: { iron: 3.6, folate: 256, fiber: 15.0, potassium: 611, phosphorus: 244, magnesium: 74, zinc: 1.8, vitaminB1: 0.28, copper: 0.36 },
+  },
+  {
+    keywords: ['quinoa'],
+    refCalories: 222,
+    nutrients: { magnesium: 118, phosphorus: 281, iron: 2.8, zinc: 2.0, fiber: 5.2, folate: 78, vitaminB1: 0.2, vitaminB2: 0.2, vitaminE: 1.2, copper: 0.36 },
+  },
+  {
+    keywords: ['blueberry', 'blueberries', 'berry', 'berries'],
+    refCalories: 84,
+    nutrients: { vitaminC: 14.4, vitaminK: 28.6, fiber: 3.6, potassium: 114, manganese: 0.50 },
+  },
+  {
+    keywords: ['strawberry', 'strawberries'],
+    refCalories: 49,
+    nutrients: { vitaminC: 89.4, folate: 36, potassium: 233, fiber: 3.0, manganese: 0.59, magnesium: 20 },
+  },
+  {
+    keywords: ['kale'],
+    refCalories: 33,
+    nutrients: { vitaminA: 885, vitaminK: 547, vitaminC: 80, calcium: 94, potassium: 296, fiber: 1.3, magnesium: 23, iron: 1.1, copper: 0.20 },
+  },
+  {
+    keywords: ['turkey'],
+    refCalories: 170,
+    nutrients: { vitaminB3: 7.6, vitaminB6: 0.46, vitaminB12: 0.35, selenium: 31, zinc: 2.4, phosphorus: 196, iron: 1.4, potassium: 249 },
+  },
+  {
+    keywords: ['pork', 'ham', 'bacon'],
+    refCalories: 206,
+    nutrients: { vitaminB1: 0.88, vitaminB3: 4.0, vitaminB6: 0.39, vitaminB12: 0.7, selenium: 33, zinc: 2.4, phosphorus: 197, iron: 0.9, potassium: 356 },
+  },
+  {
+    keywords: ['mushroom'],
+    refCalories: 22,
+    nutrients: { vitaminD: 0.2, vitaminB2: 0.4, vitaminB3: 3.6, selenium: 9.3, copper: 0.32, potassium: 318, phosphorus: 86, zinc: 0.5 },
+  },
+  {
+    keywords: ['pepper', 'bell pepper', 'capsicum'],
+    refCalories: 31,
+    nutrients: { vitaminC: 128, vitaminA: 157, vitaminB6: 0.22, vitaminE: 1.6, vitaminK: 7.4, potassium: 211, fiber: 2.1, folate: 46 },
+  },
+  {
+    keywords: ['corn'],
+    refCalories: 96,
+    nutrients: { vitaminB1: 0.16, vitaminB3: 1.8, vitaminB5: 0.72, vitaminC: 6.8, fiber: 2.4, magnesium: 37, phosphorus: 89, potassium: 270, folate: 42 },
+  },
+  {
+    keywords: ['cereal', 'granola'],
+    refCalories: 190,
+    nutrients: { vitaminB1: 0.5, vitaminB2: 0.6, vitaminB3: 6.7, vitaminB6: 0.67, vitaminB12: 2.0, iron: 6.0, zinc: 5.0, folate: 133, fiber: 3.0, calcium: 40 },
+  },
+  {
+    keywords: ['protein shake', 'whey', 'protein powder'],
+    refCalories: 120,
+    nutrients: { calcium: 150, iron: 1.5, phosphorus: 130, magnesium: 40, zinc: 2.0, vitaminB6: 0.3, vitaminB12: 0.9 },
+  },
+  {
+    keywords: ['coffee'],
+    refCalories: 2,
+    nutrients: { vitaminB2: 0.18, vitaminB3: 0.45, potassium: 116, magnesium: 7 },
+  },
+  {
+    keywords: ['olive oil', 'oil'],
+    refCalories: 119,
+    nutrients: { vitaminE: 1.9, vitaminK: 8.1 },
+  },
+  {
+    keywords: ['dark chocolate', 'chocolate'],
+    refCalories: 170,
+    nutrients: { iron: 3.4, magnesium: 65, copper: 0.50, fiber: 3.1, zinc: 1.0, phosphorus: 86, potassium: 203 },
+  },
+];
+
+function findReferenceProfile(name: string): ReferenceProfile | null {
+  const lower = (name || '').toLowerCase();
+  let best: ReferenceProfile | null = null;
+  let bestScore = 0;
+
+  for (const profile of REFERENCE_PROFILES) {
+    for (const keyword of profile.keywords) {
+      // Longer keyword matches are more specific
+      if (lower.includes(keyword) && keyword.length > bestScore) {
+        bestScore = keyword.length;
+        best = profile;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Estimate micronutrients for a food with no source data by matching its
+ * name to a reference profile and scaling by calories.
+ */
+export function estimateMicronutrients(name: string, calories: number): MicronutrientSet | undefined {
+  const profile = findReferenceProfile(name);
+  if (!profile) return undefined;
+  const scale = profile.refCalories > 0 ? (calories || 0) / profile.refCalories : 1;
+  return scaleMicronutrients(profile.nutrients, scale);
+}
+
+// ---------------------------------------------------------------------------
+// Foods and recipes
+// ---------------------------------------------------------------------------
+
+export interface MicronutrientFood {
+  name?: string;
+  calories?: number;
+  micronutrients?: MicronutrientSet;
+  micronutrientSource?: MicronutrientSource;
+}
+
+/** Micronutrients for one food: its own data, else a reference estimate. */
+export function resolveMicronutrients(food: MicronutrientFood): {
+  micronutrients?: MicronutrientSet;
+  micronutrientSource?: MicronutrientSource;
+} {
+  const own = normalizeMicronutrients(food.micronutrients);
+  if (own) return { micronutrients: own, micronutrientSource: food.micronutrientSource || 'reported' };
+  const estimate = estimateMicronutrients(food.name || '', food.calories || 0);
+  return estimate ? { micronutrients: estimate, micronutrientSource: 'estimated' } : {};
+}
+
+/**
+ * Micronutrients for one serving of a recipe. The result is only marked
+ * as reported when every ingredient carried its own data.
+ */
+export function combineIngredientMicronutrients(ingredients: MicronutrientFood[], servings: number = 1): {
+  micronutrients?: MicronutrientSet;
+  micronutrientSource?: MicronutrientSource;
+} {
+  const resolved = ingredients.map(resolveMicronutrients);
+  const withData = resolved.filter((r) => r.micronutrients);
+  if (withData.length === 0) return {};
+
+  const allReported = withData.length === ingredients.length && withData.every((r) => r.micronutrientSource === 'reported');
+  return {
+    micronutrients: scaleMicronutrients(sumMicronutrients(withData.map((r) => r.micronutrients)), 1 / Math.max(1, servings)),
+    micronutrientSource: allReported ? 'reported' : 'estimated',
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Intake and coverage
+// ---------------------------------------------------------------------------
+
+export interface MicronutrientCoverage {
+  totalFoods: number;
+  /** Foods whose values came from their data source */
+  reportedFoods: number;
+  /** Foods filled in from reference profiles */
+  estimatedFoods: number;
+  /** Foods with no micronutrient data at all */
+  missingFoods: number;
+  /** Share of logged calories with any micronutrient data (0-1) */
+  calorieShare: number;
+  /** Share of logged calories with source-reported data (0-1) */
+  reportedCalorieShare: number;
+  /** Per nutrient, the share of logged calories from foods that include it */
+  byNutrient: Partial<Record<MicronutrientKey, number>>;
+  level: 'complete' | 'partial' | 'limited' | 'none';
+}
+
+export interface MicronutrientSummary {
+  intake: MicronutrientSet;
+  coverage: MicronutrientCoverage;
+}
+
+function coverageLevel(totalFoods: number, calorieShare: number): MicronutrientCoverage['level'] {
+  if (totalFoods === 0 || calorieShare === 0) return 'none';
+  if (calorieShare >= 0.9) return 'complete';
+  if (calorieShare >= MIN_NUTRIENT_COVERAGE) return 'partial';
+  return 'limited';
+}
+
+/** Total micronutrient intake for a set of logged foods, with data coverage. */
+export function summarizeMicronutrients(foods: MicronutrientFood[]): MicronutrientSummary {
+  const resolved = foods.map((food) => ({
+    ...resolveMicronutrients(food),
+    // Zero-calorie foods still count a little towards coverage
+    weight: Math.max(1, food.calories || 0),
+  }));
+
+  const totalWeight = resolved.reduce((sum, r) => sum + r.weight, 0);
+  let dataWeight = 0;
+  let reportedWeight = 0;
+  const nutrientWeight: Partial<Record<MicronutrientKey, number>> = {};
+
+  for (const r of resolved) {
+    if (!r.micronutrients) continue;
+    dataWeight += r.weight;
+    if (r.micronutrientSource === 'reported') reportedWeight += r.weight;
+    for (const key of Object.keys(r.micronutrients) as MicronutrientKey[]) {
+      nutrientWeight[key] = (nutrientWeight[key] || 0) + r.weight;
+    }
+  }
+
+  const share = (weight: number) => (totalWeight > 0 ? round2(weight / totalWeight) : 0);
+  const byNutrient: Partial<Record<MicronutrientKey, number>> = {};
+  for (const key of Object.keys(nutrientWeight) as MicronutrientKey[]) {
+    byNutrient[key] = share(nutrientWeight[key] || 0);
+  }
+
+  const calorieShare = share(dataWeight);
+  return {
+    intake: sumMicronutrients(resolved.map((r) => r.micronutrients)),
+    coverage: {
+      totalFoods: foods.length,
+      reportedFoods: resolved.filter((r) => r.micronutrientSource === 'reported').length,
+      estimatedFoods: resolved.filter((r) => r.micronutrientSource === 'estimated').length,
+      missingFoods: resolved.filter((r) => !r.micronutrients).length,
+      calorieShare,
+      reportedCalorieShare: share(reportedWeight),
+      byNutrient,
+      level: coverageLevel(foods.length, calorieShare),
+    },
+  };
+}
+
+/**
+ * Average daily intake over several days. Days with nothing logged are
+ * skipped so they don't read as zero intake.
+ */
+export function averageDailyMicronutrients(days: MicronutrientFood[][]): MicronutrientSummary & { daysLogged: number } {
+  const logged = days.filter((foods) => foods.length > 0);
+  const combined = summarizeMicronutrients(logged.flat());
+  return {
+    intake: scaleMicronutrients(combined.intake, 1 / Math.max(1, logged.length)) || {},
+    coverage: combined.coverage,
+    daysLogged: logged.length,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Dashboard ids
+// ---------------------------------------------------------------------------
+
+// data/micronutrients uses short vitamin ids (vitA, vitB12); everything
+// else matches the schema key.
+const DASHBOARD_IDS: Partial<Record<MicronutrientKey, string>> = {
+  vitaminA: 'vitA',
+  vitaminC: 'vitC',
+  vitaminD: 'vitD',
+  vitaminE: 'vitE',
+  vitaminK: 'vitK',
+  vitaminB1: 'vitB1',
+  vitaminB2: 'vitB2',
+  vitaminB3: 'vitB3',
+  vitaminB5: 'vitB5',
+  vitaminB6: 'vitB6',
+  vitaminB12: 'vitB12',
+};
+
+/** Re-key schema values by the ids used in data/micronutrients. */
+export function toDashboardIds<T>(values: Partial<Record<MicronutrientKey, T>>): Record<string, T> {
+  const result: Record<string, T> = {};
+  for (const key of Object.keys(values) as MicronutrientKey[]) {
+    result[DASHBOARD_IDS[key] || key] = values[key] as T;
+  }
+  return result;
+}
@@ -69,12 +69,45 @@ export function getRouteForNotificationData(data: Record<string, unknown> | null
       return '/water-tracker';
     case 'morning-briefing':
       return '/(tabs)';
+    case 'weekly-digest':
+      return '/weekly-report';
     case 'fasting-alert':
       return '/(tabs)';
-    case 'social-notification':
-      return '/social-feed';
+    case 'social-notification': {
+      const postId = toText(data.postId);
+      return postId
+        ? { pathname: '/social-feed', params: { postId, source: 'push' } }
+        : '/social-feed';
+    }
+    case 'friend-challenge': {
+      const challengeId = toText(data.challengeId);
+      return {
+        pathname: '/friends',
+        params: challengeId ? { challengeId, source: 'push' } : { source: 'push' },
+      };
+    }
+    case 'challenge-complete': {
+      const challengeId = toText(data.challengeId);
+      return {
+        pathname: '/community-challenges',
+        params: challengeId ? { challengeId, source: 'push' } : { source: 'push' },
+      };
+    }
+    case 'group-reply': {
+      const groupId = toText(data.groupId);
+      const threadId = toText(data.threadId);
+      return {
+        pathname: '/groups',
+        params: {
+          ...(groupId ? { groupId } : {}),
+          ...(threadId ? { threadId } : {}),
+          source: 'push',
+        },
+      };
+    }
     default:
-      return null;
+      // Local social notifications use "social-<event>" types
+      return type.startsWith('social-') ? '/social-feed' : null;
   }
 }
 
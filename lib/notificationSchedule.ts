@@ -0,0 +1,135 @@
+/**
+ * Notification categories and quiet hours.
+ *
+ * Every notification the app shows belongs to one category the user can turn
+ * off in settings. Quiet hours are a local-time window, which may wrap past
+ * midnight, in which nothing should be delivered. The send-push edge function
+ * applies the same window to server pushes.
+ */
+
+export type NotificationCategory =
+  | 'meals'
+  | 'water'
+  | 'fasting'
+  | 'streak'
+  | 'social'
+  | 'coaching'
+  | 'digest';
+
+export const NOTIFICATION_CATEGORIES: NotificationCategory[] = [
+  'meals',
+  'water',
+  'fasting',
+  'streak',
+  'social',
+  'coaching',
+  'digest',
+];
+
+export interface TimeOfDay {
+  hour: number;
+  minute: number;
+}
+
+export interface QuietHours {
+  enabled: boolean;
+  start: TimeOfDay;
+  end: TimeOfDay;
+}
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const CATEGORY_BY_TYPE: Record<string, NotificationCategory> = {
+  'meal-reminder': 'meals',
+  'water-reminder': 'water',
+  'fasting-alert': 'fasting',
+  'streak-warning': 'streak',
+  'activation-reminder': 'streak',
+  'morning-briefing': 'coaching',
+  'weekly-digest': 'digest',
+  accountability: 'social',
+  'social-notification': 'social',
+  'friend-challenge': 'social',
+  'challenge-complete': 'social',
+  'group-reply': 'social',
+};
+
+/** Category for a notification's data.type, or null if it has none */
+export function getNotificationCategory(type: unknown): NotificationCategory | null {
+  if (typeof type !== 'string') return null;
+  if (CATEGORY_BY_TYPE[type]) return CATEGORY_BY_TYPE[type];
+  return type.startsWith('social-') ? 'social' : null;
+}
+
+export function toMinuteOfDay(time: TimeOfDay): number {
+  return time.hour * 60 + time.minute;
+}
+
+function fromMinuteOfDay(minutes: number): TimeOfDay {
+  const wrapped = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return { hour: Math.floor(wrapped / 60), minute: wrapped % 60 };
+}
+
+/** Move a time of day by some minutes, wrapping around midnight */
+export function addMinutesToTime(time: TimeOfDay, minutes: number): TimeOfDay {
+  return fromMinuteOfDay(toMinuteOfDay(time) + minutes);
+}
+
+/** Whether a local time falls inside quiet hours. The end time is not quiet. */
+export function isQuietTime(time: TimeOfDay, quiet: QuietHours): boolean {
+  if (!quiet.enabled) return false;
+  const minutes = toMinuteOfDay(time);
+  const start = toMinuteOfDay(quiet.start);
+  const end = toMinuteOfDay(quiet.end);
+  if (start === end) return false;
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/** Move a daily reminder time that lands in quiet hours to when they end */
+export function shiftOutOfQuietHours(time: TimeOfDay, quiet: QuietHours): TimeOfDay {
+  return isQuietTime(time, quiet) ? { ...quiet.end } : time;
+}
+
+/**
+ * Move a one-off delivery date that lands in quiet hours to the first
+ * minute after they end, in device local time.
+ */
+export function deferOutOfQuietHours(date: Date, quiet: QuietHours): Date {
+  if (!isQuietTime({ hour: date.getHours(), minute: date.getMinutes() }, quiet)) {
+    return date;
+  }
+
+  const deferred = new Date(date);
+  deferred.setHours(quiet.end.hour, quiet.end.minute, 0, 0);
+  if (deferred.getTime() <= date.getTime()) {
+    deferred.setDate(deferred.getDate() + 1);
+  }
+  return deferred;
+}
+
+/**
+ * Daily water reminder times from `start` to `end` (inclusive) every
+ * `intervalHours`. Times inside quiet hours are dropped rather than shifted,
+ * so they don't pile up when quiet hours end.
+ */
+export function getWaterReminderTimes(
+  start: TimeOfDay,
+  end: TimeOfDay,
+  intervalHours: number,
+  quiet: QuietHours
+): TimeOfDay[] {
+  const step = Math.max(15, Math.round((intervalHours || 2) * 60));
+  const first = toMinuteOfDay(start);
+  const last = toMinuteOfDay(end);
+  const times: TimeOfDay[] = [];
+
+  for (let minutes = first; minutes <= last; minutes += step) {
+    const time = fromMinuteOfDay(minutes);
+    if (!isQuietTime(time, quiet)) {
+      times.push(time);
+    }
+  }
+  return times;
+}
@@ -4,6 +4,8 @@
  * ingredient substitution, and nutrition periodization.
  */
 
+import { MIN_NUTRIENT_COVERAGE, type MicronutrientCoverage, type MicronutrientKey } from './micronutrients';
+
 // ============================================================================
 // MICRONUTRIENT DATABASE
 // ============================================================================
@@ -69,16 +71,27 @@ interface NutrientGapEntry {
 interface MicronutrientGapResult {
   gaps: NutrientGapEntry[];
   adequate: NutrientGapEntry[];
+  /** Below target, but with too little data behind the number to call it a gap */
+  uncertain: NutrientGapEntry[];
   overallScore: number;
+  /** Share of logged calories with micronutrient data (0-100), when coverage is known */
+  dataCompleteness: number | null;
 }
 
 /**
- * Analyze micronutrient gaps
+ * Analyze micronutrient gaps. With coverage (from summarizeMicronutrients),
+ * shortfalls in nutrients that most logged foods have no data for are
+ * reported as uncertain rather than as gaps, and left out of the score.
  */
-function analyzeMicronutrientGaps(intake: Record<string, number>, gender: string = 'male'): MicronutrientGapResult {
+function analyzeMicronutrientGaps(
+  intake: Record<string, number>,
+  gender: string = 'male',
+  coverage?: MicronutrientCoverage,
+): MicronutrientGapResult {
   const rda: Record<string, MicronutrientRDAEntry> = getMicronutrientRDA(gender);
   const gaps: NutrientGapEntry[] = [];
   const adequate: NutrientGapEntry[] = [];
+  const uncertain: NutrientGapEntry[] = [];
 
   for (const [key, nutrient] of Object.entries(rda)) {
     const consumed: number = intake[key] || 0;
@@ -94,12 +107,21 @@ function analyzeMicronutrientGaps(intake: Record<string, number>, gender: string
       status: percentage >= 90 ? 'adequate' : percentage >= 50 ? 'low' : 'deficient',
     };
 
-    if (percentage < 90) gaps.push(entry);
-    else adequate.push(entry);
+    const nutrientCoverage = coverage ? coverage.byNutrient[key as MicronutrientKey] || 0 : 1;
+    if (percentage >= 90) adequate.push(entry);
+    else if (nutrientCoverage < MIN_NUTRIENT_COVERAGE) uncertain.push({ ...entry, status: 'unknown' });
+    else gaps.push(entry);
   }
 
   gaps.sort((a: NutrientGapEntry, b: NutrientGapEntry) => a.percentage - b.percentage);
-  return { gaps, adequate, overallScore: Math.round(adequate.length / (gaps.length + adequate.length) * 100) };
+  const judged = gaps.length + adequate.length;
+  return {
+    gaps,
+    adequate,
+    uncertain,
+    overallScore: judged > 0 ? Math.round(adequate.length / judged * 100) : 0,
+    dataCompleteness: coverage ? Math.round(coverage.calorieShare * 100) : null,
+  };
 }
 
 // ============================================================================
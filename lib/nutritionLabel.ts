@@ -0,0 +1,183 @@
+/**
+ * Nutrition label scans.
+ *
+ * The ai-brain `scan-label` handler transcribes a photographed nutrition
+ * facts panel as printed: each value with the unit on the label and a
+ * confidence. This module converts that into the units the app stores
+ * (see lib/micronutrients) and decides which fields the user should check
+ * before saving.
+ */
+
+import { MICRONUTRIENT_UNITS, normalizeMicronutrients, type MicronutrientKey } from './micronutrients';
+import type { MicronutrientSet } from '../types';
+
+export type LabelConfidence = 'high' | 'medium' | 'low';
+
+export type LabelField = 'serving' | 'calories' | 'protein' | 'carbs' | 'fat' | MicronutrientKey;
+
+/** Raw response from the scan-label handler */
+export interface RawLabelScan {
+  productName?: string | null;
+  servingSize?: string | null;
+  servingGrams?: number | null;
+  servingsPerContainer?: number | null;
+  servingConfidence?: string;
+  calories?: { value: number | null; confidence?: string };
+  protein?: { value: number | null; confidence?: string };
+  carbs?: { value: number | null; confidence?: string };
+  fat?: { value: number | null; confidence?: string };
+  nutrients?: { key: string; amount: number | null; unit?: string; confidence?: string }[];
+}
+
+export interface NutritionLabelScan {
+  name?: string;
+  /** Serving size as printed, e.g. "2/3 cup (55g)" */
+  serving?: string;
+  servingGrams?: number;
+  servingsPerContainer?: number;
+  calories?: number;
+  protein?: number;
+  carbs?: number;
+  fat?: number;
+  micronutrients?: MicronutrientSet;
+  confidence: Partial<Record<LabelField, LabelConfidence>>;
+  /** Fields read with low confidence, in form order */
+  needsReview: LabelField[];
+}
+
+const CONFIDENCE_LEVELS: LabelConfidence[] = ['high', 'medium', 'low'];
+
+/** FDA daily values, used when a label prints only "% DV" */
+const DAILY_VALUES: Partial<Record<MicronutrientKey, number>> = {
+  fiber: 28,
+  sodium: 2300,
+  saturated_fat: 20,
+  cholesterol: 300,
+  calcium: 1300,
+  iron: 18,
+  magnesium: 420,
+  potassium: 4700,
+  zinc: 11,
+  copper: 0.9,
+  manganese: 2.3,
+  selenium: 55,
+  phosphorus: 1250,
+  vitaminA: 900,
+  vitaminC: 90,
+  vitaminD: 20,
+  vitaminE: 15,
+  vitaminK: 120,
+  vitaminB1: 1.2,
+  vitaminB2: 1.3,
+  vitaminB3: 16,
+  vitaminB5: 5,
+  vitaminB6: 1.7,
+  vitaminB12: 2.4,
+  folate: 400,
+  choline: 550,
+};
+
+/** Schema units per International Unit, for the vitamins still labelled in IU */
+const PER_IU: Partial<Record<MicronutrientKey, number>> = {
+  vitaminA: 0.3,
+  vitaminD: 0.025,
+  vitaminE: 0.67,
+};
+
+const UNIT_IN_GRAMS: Record<string, number> = { g: 1, mg: 0.001, mcg: 0.000001 };
+
+/** Calories may differ from 4/4/9 by this much before the reading is doubted */
+const ATWATER_TOLERANCE = 0.2;
+const ATWATER_MIN_KCAL = 20;
+
+function round2(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+function toConfidence(value: unknown): LabelConfidence {
+  return CONFIDENCE_LEVELS.includes(value as LabelConfidence) ? (value as LabelConfidence) : 'medium';
+}
+
+function toAmount(value: unknown): number | undefined {
+  const num = typeof value === 'number' ? value : parseFloat(String(value));
+  return Number.isFinite(num) && num >= 0 ? round2(num) : undefined;
+}
+
+function isMicronutrientKey(key: string): key is MicronutrientKey {
+  return Object.prototype.hasOwnProperty.call(MICRONUTRIENT_UNITS, key);
+}
+
+/**
+ * Convert an amount as printed on a label to the schema unit for `key`.
+ * Returns null when the unit cannot be converted (e.g. % DV with no daily value).
+ */
+export function convertLabelAmount(key: MicronutrientKey, amount: number, unit: string = 'g'): number | null {
+  const normalizedUnit = unit.toLowerCase().replace('µg', 'mcg');
+
+  if (normalizedUnit === '%') {
+    const dailyValue = DAILY_VALUES[key];
+    return dailyValue === undefined ? null : round2((amount / 100) * dailyValue);
+  }
+  if (normalizedUnit === 'iu') {
+    const factor = PER_IU[key];
+    return factor === undefined ? null : round2(amount * factor);
+  }
+
+  const inGrams = UNIT_IN_GRAMS[normalizedUnit];
+  if (inGrams === undefined) return null;
+  return round2((amount * inGrams) / UNIT_IN_GRAMS[MICRONUTRIENT_UNITS[key]]);
+}
+
+/**
+ * Turn a raw scan into form-ready values with per-field confidence.
+ * Calories that disagree with the macros are marked low so the user checks
+ * them, and macros read with high confidence are lowered to medium.
+ */
+export function parseNutritionLabelScan(raw: RawLabelScan): NutritionLabelScan {
+  const confidence: NutritionLabelScan['confidence'] = {};
+  const scan: NutritionLabelScan = { confidence, needsReview: [] };
+
+  if (raw.productName?.trim()) scan.name = raw.productName.trim();
+  if (raw.servingSize?.trim()) {
+    scan.serving = raw.servingSize.trim();
+    confidence.serving = toConfidence(raw.servingConfidence);
+  }
+  const servingGrams = toAmount(raw.servingGrams);
+  if (servingGrams) scan.servingGrams = servingGrams;
+  const servingsPerContainer = toAmount(raw.servingsPerContainer);
+  if (servingsPerContainer) scan.servingsPerContainer = servingsPerContainer;
+
+  for (const field of ['calories', 'protein', 'carbs', 'fat'] as const) {
+    const entry = raw[field];
+    const value = toAmount(entry?.value);
+    if (value === undefined) continue;
+    scan[field] = field === 'calories' ? Math.round(value) : value;
+    confidence[field] = toConfidence(entry?.confidence);
+  }
+
+  if (scan.calories !== undefined && scan.protein !== undefined && scan.carbs !== undefined && scan.fat !== undefined) {
+    const fromMacros = scan.protein * 4 + scan.carbs * 4 + scan.fat * 9;
+    const tolerance = Math.max(ATWATER_MIN_KCAL, scan.calories * ATWATER_TOLERANCE);
+    if (Math.abs(fromMacros - scan.calories) > tolerance) {
+      confidence.calories = 'low';
+      for (const macro of ['protein', 'carbs', 'fat'] as const) {
+        if (confidence[macro] === 'high') confidence[macro] = 'medium';
+      }
+    }
+  }
+
+  const micronutrients: Record<string, number> = {};
+  for (const nutrient of raw.nutrients || []) {
+    if (!nutrient || !isMicronutrientKey(nutrient.key)) continue;
+    const amount = toAmount(nutrient.amount);
+    if (amount === undefined) continue;
+    const converted = convertLabelAmount(nutrient.key, amount, nutrient.unit);
+    if (converted === null) continue;
+    micronutrients[nutrient.key] = converted;
+    confidence[nutrient.key] = toConfidence(nutrient.confidence);
+  }
+  scan.micronutrients = normalizeMicronutrients(micronutrients);
+
+  scan.needsReview = (Object.keys(confidence) as LabelField[]).filter((field) => confidence[field] === 'low');
+  return scan;
+}
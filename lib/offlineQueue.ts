@@ -0,0 +1,223 @@
+/**
+ * Pure helpers for the OfflineContext operation queue.
+ *
+ * The queue is an ordered list of Supabase writes. To keep it small and
+ * correct across long offline stretches it:
+ * - coalesces operations on the same row as they are queued (an insert
+ *   followed by a delete of the same tempId cancels out, updates fold into
+ *   the pending insert or the previous update, repeated upserts collapse)
+ * - rewrites tempIds to server ids once the parent insert has landed
+ * - holds back operations whose parent insert has not landed yet
+ * - moves stale or repeatedly failing operations to a review list instead
+ *   of discarding them
+ */
+
+export type OfflineOperationType = 'INSERT' | 'UPDATE' | 'DELETE' | 'UPSERT';
+
+export interface QueuedOperation {
+  /** Stable id for the queue entry (used by the review list) */
+  id: string;
+  table: string;
+  type: OfflineOperationType;
+  payload: Record<string, unknown>;
+  where?: Record<string, unknown>;
+  /** Comma-separated conflict target for UPSERT operations */
+  onConflict?: string;
+  /** Client-side id of the row an INSERT creates; later operations may reference it */
+  tempId?: string;
+  queuedAt: string;
+  retryCount?: number;
+  lastError?: string;
+}
+
+export type NewQueuedOperation = Omit<QueuedOperation, 'id' | 'queuedAt' | 'retryCount' | 'lastError'>;
+
+export type ReviewReason = 'stale' | 'max_retries';
+
+export interface ReviewItem {
+  operation: QueuedOperation;
+  reason: ReviewReason;
+  movedAt: string;
+}
+
+/** tempId → server id for inserts that have landed */
+export type TempIdMap = Record<string, string | number>;
+
+export const MAX_RETRIES = 5;
+export const MAX_AGE_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+let operationCounter = 0;
+
+export function createOperationId(): string {
+  operationCounter = (operationCounter + 1) % 1e6;
+  return `op-${Date.now().toString(36)}-${operationCounter.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function createQueuedOperation(op: NewQueuedOperation, now: Date = new Date()): QueuedOperation {
+  return { ...op, id: createOperationId(), queuedAt: now.toISOString(), retryCount: 0 };
+}
+
+/**
+ * Older persisted queues have no entry ids and queued deletes with the
+ * row filter in `payload`; bring them up to the current shape.
+ */
+export function normalizeQueuedOperation(op: QueuedOperation): QueuedOperation {
+  let next = op.id ? op : { ...op, id: createOperationId() };
+  if (next.type === 'DELETE' && !next.where && next.payload && Object.keys(next.payload).length > 0) {
+    next = { ...next, where: next.payload, payload: {} };
+  }
+  return next;
+}
+
+function sameValue(a: unknown, b: unknown): boolean {
+  return a !== undefined && b !== undefined && String(a) === String(b);
+}
+
+function sameWhere(a?: Record<string, unknown>, b?: Record<string, unknown>): boolean {
+  if (!a || !b) return false;
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every((key) => key in b && sameValue(a[key], b[key]));
+}
+
+/** Whether a row filter targets the row created by `insert` (matched on its tempId) */
+function targetsInsert(where: Record<string, unknown> | undefined, insert: QueuedOperation): boolean {
+  return !!where && !!insert.tempId && sameValue(where.id, insert.tempId);
+}
+
+function upsertKey(op: QueuedOperation): string | null {
+  if (!op.onConflict) return null;
+  const columns = op.onConflict.split(',').map((column) => column.trim());
+  if (columns.some((column) => op.payload[column] === undefined)) return null;
+  return columns.map((column) => String(op.payload[column])).join('\u0000');
+}
+
+/**
+ * Add `op` to the queue, folding it into earlier operations on the same row
+ * where the end state is unchanged:
+ * - DELETE of a pending INSERT's tempId drops the insert, any updates to
+ *   it, and the delete itself
+ * - DELETE of an existing row drops earlier UPDATEs to the same row
+ * - UPDATE of a pending INSERT's tempId merges into the insert payload
+ * - UPDATE after an UPDATE with the same filter merges payloads
+ * - UPSERT with the same conflict key replaces the earlier upsert
+ */
+export function coalesceOperation(queue: QueuedOperation[], op: QueuedOperation): QueuedOperation[] {
+  const sameTable = (other: QueuedOperation) => other.table === op.table;
+
+  if (op.type === 'DELETE') {
+    const insert = queue.find((other) => sameTable(other) && other.type === 'INSERT' && targetsInsert(op.where, other));
+    if (insert) {
+      return queue.filter((other) => other !== insert && !(sameTable(other) && targetsInsert(other.where, insert)));
+    }
+    return [
+      ...queue.filter((other) => !(sameTable(other) && other.type === 'UPDATE' && sameWhere(other.where, op.where))),
+      op,
+    ];
+  }
+
+  if (op.type === 'UPDATE') {
+    const insertIndex = queue.findIndex((other) => sameTable(other) && other.type === 'INSERT' && targetsInsert(op.where, other));
+    if (insertIndex !== -1) {
+      const insert = queue[insertIndex];
+      const next = [...queue];
+      next[insertIndex] = { ...insert, payload: { ...insert.payload, ...op.payload } };
+      return next;
+    }
+    const last = queue[queue.length - 1];
+    if (last && sameTable(last) && last.type === 'UPDATE' && sameWhere(last.where, op.where)) {
+      return [...queue.slice(0, -1), { ...last, payload: { ...last.payload, ...op.payload } }];
+    }
+    return [...queue, op];
+  }
+
+  if (op.type === 'UPSERT') {
+    const key = upsertKey(op);
+    if (key !== null) {
+      return [
+        ...queue.filter((other) => !(sameTable(other) && other.type === 'UPSERT' && other.onConflict === op.onConflict && upsertKey(other) === key)),
+        op,
+      ];
+    }
+  }
+
+  return [...queue, op];
+}
+
+function rewriteValues(values: Record<string, unknown> | undefined, idMap: TempIdMap): Record<string, unknown> | undefined {
+  if (!values) return values;
+  let changed = false;
+  const next: Record<string, unknown> = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (typeof value === 'string' && Object.prototype.hasOwnProperty.call(idMap, value)) {
+      next[key] = idMap[value];
+      changed = true;
+    } else {
+      next[key] = value;
+    }
+  }
+  return changed ? next : values;
+}
+
+/** Replace tempIds in the filter and payload with the server ids they resolved to */
+export function rewriteTempIds(op: QueuedOperation, idMap: TempIdMap): QueuedOperation {
+  const where = rewriteValues(op.where, idMap);
+  const payload = rewriteValues(op.payload, idMap) ?? op.payload;
+  if (where === op.where && payload === op.payload) return op;
+  return { ...op, where, payload };
+}
+
+/** tempIds of inserts that have not reached the server yet */
+export function pendingTempIds(operations: QueuedOperation[]): Set<string> {
+  const ids = new Set<string>();
+  for (const op of operations) {
+    if (op.type === 'INSERT' && op.tempId) ids.add(op.tempId);
+  }
+  return ids;
+}
+
+/** Whether `op` still references a row whose INSERT is waiting in the queue */
+export function isBlockedByPendingInsert(op: QueuedOperation, pending: Set<string>): boolean {
+  const references = [...Object.values(op.where ?? {}), ...(op.type === 'INSERT' ? [] : Object.values(op.payload))];
+  return references.some((value) => typeof value === 'string' && pending.has(value));
+}
+
+export function getReviewReason(op: QueuedOperation, now: number = Date.now()): ReviewReason | null {
+  if (now - new Date(op.queuedAt).getTime() > MAX_AGE_MS) return 'stale';
+  if ((op.retryCount ?? 0) >= MAX_RETRIES) return 'max_retries';
+  return null;
+}
+
+/** Split the queue into operations to flush and ones that need the user's review */
+export function partitionForReview(
+  queue: QueuedOperation[],
+  now: number = Date.now()
+): { active: QueuedOperation[]; review: ReviewItem[] } {
+  const active: QueuedOperation[] = [];
+  const review: ReviewItem[] = [];
+  const movedAt = new Date(now).toISOString();
+  for (const op of queue) {
+    const reason = getReviewReason(op, now);
+    if (reason) {
+      review.push({ operation: op, reason, movedAt });
+    } else {
+      active.push(op);
+    }
+  }
+  return { active, review };
+}
+
+/**
+ * Put a reviewed operation back on the queue with a fresh age and retry
+ * budget, ahead of anything that depends on it.
+ */
+export function requeueReviewItem(queue: QueuedOperation[], item: ReviewItem, now: Date = new Date()): QueuedOperation[] {
+  const op: QueuedOperation = { ...item.operation, queuedAt: now.toISOString(), retryCount: 0, lastError: undefined };
+  if (op.type === 'INSERT' && op.tempId) {
+    const dependentIndex = queue.findIndex((other) => isBlockedByPendingInsert(other, new Set([op.tempId as string])));
+    if (dependentIndex !== -1) {
+      return [...queue.slice(0, dependentIndex), op, ...queue.slice(dependentIndex)];
+    }
+  }
+  return [...queue, op];
+}
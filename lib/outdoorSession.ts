@@ -0,0 +1,308 @@
+/**
+ * Outdoor cardio session maths: GPS point filtering, auto-pause, splits,
+ * elevation, calorie estimates and route simplification for storage.
+ *
+ * Points carry a `segment` number that goes up every time the session
+ * pauses (by hand or automatically). Distance and time are only counted
+ * between points of the same segment, so standing at a crossing never adds
+ * to the moving time and a GPS jump across a pause never adds distance.
+ */
+import { calculateDistance, formatPace } from './biometrics';
+import type { GPSPoint } from './biometrics';
+import type { UnitSystem } from './formatters';
+
+export type OutdoorActivity = 'run' | 'walk' | 'ride';
+
+export interface RoutePoint extends GPSPoint {
+  timestamp: number;
+  segment: number;
+  /** Horizontal accuracy in metres as reported by the device */
+  accuracy?: number;
+}
+
+export interface RouteSplit {
+  index: number;
+  distanceM: number;
+  durationSeconds: number;
+  paceSecondsPerUnit: number;
+  elevationGainM: number;
+  elevationLossM: number;
+  /** The final split, shorter than a full km or mile */
+  partial: boolean;
+}
+
+export interface RouteSummary {
+  distanceM: number;
+  movingSeconds: number;
+  elevationGainM: number;
+  elevationLossM: number;
+  /** Seconds per km */
+  avgPaceSeconds: number;
+  splits: RouteSplit[];
+}
+
+export interface SavedRoute extends RouteSummary {
+  activity: OutdoorActivity;
+  splitUnit: UnitSystem;
+  points: RoutePoint[];
+}
+
+export type Movement = 'moving' | 'stopped' | 'unknown';
+
+const METRES_PER_UNIT: Record<UnitSystem, number> = { metric: 1000, imperial: 1609.344 };
+
+// Fixes worse than this are too noisy to draw or measure with
+const MAX_ACCURACY_M = 30;
+// Faster than any human-powered activity; anything above is a GPS jump
+const MAX_SPEED_MS = 25;
+// GPS altitude wobbles by a few metres even standing still
+const ELEVATION_THRESHOLD_M = 3;
+const AUTO_PAUSE_WINDOW_SECONDS = 10;
+
+/** Below this speed (m/s) over the auto-pause window the user has stopped */
+export const AUTO_PAUSE_SPEED: Record<OutdoorActivity, number> = {
+  run: 0.8,
+  walk: 0.4,
+  ride: 1.5,
+};
+
+/** Diary exercises that can be recorded as an outdoor session */
+export const OUTDOOR_ACTIVITY_BY_EXERCISE: Record<string, OutdoorActivity> = {
+  running_6mph: 'run',
+  running_8mph: 'run',
+  jogging: 'run',
+  walking_brisk: 'walk',
+  walking_moderate: 'walk',
+  cycling_moderate: 'ride',
+  cycling_vigorous: 'ride',
+};
+
+function distanceBetween(a: GPSPoint, b: GPSPoint): number {
+  return calculateDistance(a.lat, a.lon, b.lat, b.lon);
+}
+
+/**
+ * Whether a new fix is good enough to add after `previous`: drops low
+ * accuracy fixes, duplicate timestamps and physically impossible jumps.
+ */
+export function acceptRoutePoint(previous: RoutePoint | null, next: RoutePoint): boolean {
+  if (next.accuracy !== undefined && next.accuracy > MAX_ACCURACY_M) return false;
+  if (!previous || previous.segment !== next.segment) return true;
+  const seconds = (next.timestamp - previous.timestamp) / 1000;
+  if (seconds <= 0) return false;
+  return distanceBetween(previous, next) / seconds <= MAX_SPEED_MS;
+}
+
+/**
+ * Classify recent movement from the fixes of the last few seconds.
+ * Uses straight-line displacement rather than path length so GPS jitter
+ * while standing still doesn't read as movement.
+ */
+export function detectMovement(
+  recent: RoutePoint[],
+  activity: OutdoorActivity,
+  now: number,
+  windowSeconds: number = AUTO_PAUSE_WINDOW_SECONDS
+): Movement {
+  const windowStart = now - windowSeconds * 1000;
+  const inWindow = recent.filter((point) => point.timestamp >= windowStart);
+  if (inWindow.length < 2) return 'unknown';
+  const first = inWindow[0];
+  const last = inWindow[inWindow.length - 1];
+  const span = (last.timestamp - first.timestamp) / 1000;
+  if (span < windowSeconds * 0.6) return 'unknown';
+  return distanceBetween(first, last) / span < AUTO_PAUSE_SPEED[activity] ? 'stopped' : 'moving';
+}
+
+/**
+ * Distance, moving time, elevation and per-km (or per-mile) splits.
+ * The last split is included when it is shorter than a full unit.
+ */
+export function summarizeRoute(points: RoutePoint[], system: UnitSystem = 'metric'): RouteSummary {
+  const unitM = METRES_PER_UNIT[system];
+  const splits: RouteSplit[] = [];
+  let distanceM = 0;
+  let movingSeconds = 0;
+  let elevationGainM = 0;
+  let elevationLossM = 0;
+
+  let split = { distanceM: 0, durationSeconds: 0, elevationGainM: 0, elevationLossM: 0 };
+  // Last altitude that moved past the noise threshold, per segment
+  let elevationAnchor: number | null = null;
+
+  const closeSplit = (partial: boolean) => {
+    splits.push({
+      index: splits.length + 1,
+      distanceM: Math.round(split.distanceM),
+      durationSeconds: Math.round(split.durationSeconds),
+      paceSecondsPerUnit: split.distanceM > 0 ? Math.round(split.durationSeconds / (split.distanceM / unitM)) : 0,
+      elevationGainM: Math.round(split.elevationGainM),
+      elevationLossM: Math.round(split.elevationLossM),
+      partial,
+    });
+    split = { distanceM: 0, durationSeconds: 0, elevationGainM: 0, elevationLossM: 0 };
+  };
+
+  for (let i = 0; i < points.length; i++) {
+    const curr = points[i];
+    const prev = i > 0 ? points[i - 1] : null;
+    if (!prev || prev.segment !== curr.segment) {
+      elevationAnchor = curr.elevation ?? null;
+      continue;
+    }
+
+    let pairDistance = distanceBetween(prev, curr);
+    let pairSeconds = Math.max(0, (curr.timestamp - prev.timestamp) / 1000);
+    distanceM += pairDistance;
+    movingSeconds += pairSeconds;
+
+    if (curr.elevation !== undefined) {
+      if (elevationAnchor === null) {
+        elevationAnchor = curr.elevation;
+      } else if (Math.abs(curr.elevation - elevationAnchor) >= ELEVATION_THRESHOLD_M) {
+        const change = curr.elevation - elevationAnchor;
+        if (change > 0) {
+          elevationGainM += change;
+          split.elevationGainM += change;
+        } else {
+          elevationLossM -= change;
+          split.elevationLossM -= change;
+        }
+        elevationAnchor = curr.elevation;
+      }
+    }
+
+    // Cut the pair at each unit boundary, sharing its time pro rata
+    while (split.distanceM + pairDistance >= unitM) {
+      const needed = unitM - split.distanceM;
+      const share = pairDistance > 0 ? needed / pairDistance : 0;
+      split.distanceM = unitM;
+      split.durationSeconds += pairSeconds * share;
+      closeSplit(false);
+      pairDistance -= needed;
+      pairSeconds -= pairSeconds * share;
+    }
+    split.distanceM += pairDistance;
+    split.durationSeconds += pairSeconds;
+  }
+
+  if (split.distanceM >= 1) closeSplit(true);
+
+  return {
+    distanceM: Math.round(distanceM),
+    movingSeconds: Math.round(movingSeconds),
+    elevationGainM: Math.round(elevationGainM),
+    elevationLossM: Math.round(elevationLossM),
+    avgPaceSeconds: distanceM > 0 ? Math.round(movingSeconds / (distanceM / 1000)) : 0,
+    splits,
+  };
+}
+
+/**
+ * Pace over the last `windowSeconds` of the current segment, in seconds per km.
+ */
+export function currentPaceSeconds(points: RoutePoint[], windowSeconds: number = 30): number {
+  if (points.length < 2) return 0;
+  const last = points[points.length - 1];
+  let distanceM = 0;
+  let first = last;
+  for (let i = points.length - 1; i > 0; i--) {
+    const prev = points[i - 1];
+    if (prev.segment !== last.segment || last.timestamp - prev.timestamp > windowSeconds * 1000) break;
+    distanceM += distanceBetween(prev, points[i]);
+    first = prev;
+  }
+  const seconds = (last.timestamp - first.timestamp) / 1000;
+  return distanceM > 0 && seconds > 0 ? Math.round(seconds / (distanceM / 1000)) : 0;
+}
+
+/** "5:12" style pace for seconds per km, shown per mile for imperial users */
+export function formatRoutePace(secondsPerKm: number, system: UnitSystem = 'metric'): string {
+  const perUnit = system === 'imperial' ? secondsPerKm * (METRES_PER_UNIT.imperial / 1000) : secondsPerKm;
+  // Round to whole seconds first so 299.7s reads 5:00, not 4:60
+  return formatPace(Math.round(perUnit) / 60);
+}
+
+/**
+ * Calories for a GPS session from speed and climb: the ACSM running and
+ * walking equations, and speed bands for cycling.
+ */
+export function estimateOutdoorCalories(
+  activity: OutdoorActivity,
+  summary: Pick<RouteSummary, 'distanceM' | 'movingSeconds' | 'elevationGainM'>,
+  weightKg: number
+): number {
+  if (summary.movingSeconds <= 0 || weightKg <= 0) return 0;
+  const minutes = summary.movingSeconds / 60;
+  const metresPerMin = summary.distanceM / minutes;
+  const grade = summary.distanceM > 0 ? summary.elevationGainM / summary.distanceM : 0;
+
+  let met: number;
+  if (activity === 'ride') {
+    const kmh = metresPerMin * 0.06;
+    met = kmh < 16 ? 4 : kmh < 19 ? 6.8 : kmh < 22 ? 8 : kmh < 25 ? 10 : 12;
+  } else {
+    const vo2 = activity === 'run'
+      ? 0.2 * metresPerMin + 0.9 * metresPerMin * grade + 3.5
+      : 0.1 * metresPerMin + 1.8 * metresPerMin * grade + 3.5;
+    met = vo2 / 3.5;
+  }
+  // Same MET formula as data/exercises calculateCaloriesBurned
+  return Math.round(((met * 3.5 * weightKg) / 200) * minutes);
+}
+
+function perpendicularDistance(point: GPSPoint, start: GPSPoint, end: GPSPoint): number {
+  // Local flat projection in metres is plenty at route scale
+  const metresPerDegLat = 111320;
+  const metresPerDegLon = metresPerDegLat * Math.cos((start.lat * Math.PI) / 180);
+  const px = (point.lon - start.lon) * metresPerDegLon;
+  const py = (point.lat - start.lat) * metresPerDegLat;
+  const ex = (end.lon - start.lon) * metresPerDegLon;
+  const ey = (end.lat - start.lat) * metresPerDegLat;
+  const lengthSq = ex * ex + ey * ey;
+  if (lengthSq === 0) return Math.hypot(px, py);
+  const t = Math.max(0, Math.min(1, (px * ex + py * ey) / lengthSq));
+  return Math.hypot(px - t * ex, py - t * ey);
+}
+
+function simplifySegment(points: RoutePoint[], toleranceM: number): RoutePoint[] {
+  if (points.length <= 2) return points;
+  const keep = new Array<boolean>(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+  const stack: Array<[number, number]> = [[0, points.length - 1]];
+
+  while (stack.length > 0) {
+    const [start, end] = stack.pop()!;
+    let farthest = -1;
+    let farthestDistance = toleranceM;
+    for (let i = start + 1; i < end; i++) {
+      const d = perpendicularDistance(points[i], points[start], points[end]);
+      if (d > farthestDistance) {
+        farthest = i;
+        farthestDistance = d;
+      }
+    }
+    if (farthest !== -1) {
+      keep[farthest] = true;
+      stack.push([start, farthest], [farthest, end]);
+    }
+  }
+  return points.filter((_, i) => keep[i]);
+}
+
+/**
+ * Thin a route for storage with Douglas-Peucker, segment by segment, so a
+ * long session doesn't fill the workout history with near-duplicate fixes.
+ */
+export function simplifyRoute(points: RoutePoint[], toleranceM: number = 4): RoutePoint[] {
+  const result: RoutePoint[] = [];
+  let start = 0;
+  for (let i = 1; i <= points.length; i++) {
+    if (i === points.length || points[i].segment !== points[start].segment) {
+      result.push(...simplifySegment(points.slice(start, i), toleranceM));
+      start = i;
+    }
+  }
+  return result;
+}
@@ -0,0 +1,151 @@
+/**
+ * Multi-food plate scans.
+ *
+ * The ai-brain `scan-food` handler lists each food it sees on the plate with
+ * an estimated gram weight. Each item is matched to a database food from
+ * searchAllSources so logged values come from real nutrition data; the AI's
+ * own estimate is only used when no plausible match is found. Portions are
+ * kept in grams so they can be adjusted per item before logging.
+ */
+
+import { scaleMicronutrients } from './micronutrients';
+import type { ProductResult } from '../services/openFoodFacts';
+import type { DetectedFoodItem, FoodItem, MacroSet } from '../types';
+
+export interface PlateItem {
+  id: string;
+  detected: DetectedFoodItem;
+  /** Database food the item was matched to, or null to use the AI estimate */
+  match: ProductResult | null;
+  grams: number;
+  included: boolean;
+}
+
+/** Only the top search results are considered; further down is rarely the same food */
+const MAX_MATCH_CANDIDATES = 5;
+
+/** A match may be this many times denser or lighter than the AI estimate */
+const MAX_DENSITY_RATIO = 2;
+
+export const MIN_PORTION_GRAMS = 1;
+export const MAX_PORTION_GRAMS = 2000;
+
+function round1(value: number): number {
+  return Math.round(value * 10) / 10;
+}
+
+function gramsPerServing(product: ProductResult): number | null {
+  const grams = product.normalizedServing?.gramsPerServing;
+  return grams && grams >= MIN_PORTION_GRAMS && grams <= MAX_PORTION_GRAMS ? grams : null;
+}
+
+export function clampPortionGrams(grams: number): number {
+  if (!Number.isFinite(grams)) return MIN_PORTION_GRAMS;
+  return Math.round(Math.min(MAX_PORTION_GRAMS, Math.max(MIN_PORTION_GRAMS, grams)));
+}
+
+/**
+ * Pick the first search result (search results are already ranked) whose
+ * calorie density is close to the AI's estimate for the detected item.
+ */
+export function pickPlateMatch(detected: DetectedFoodItem, products: ProductResult[]): ProductResult | null {
+  const estimatedPer100g = detected.grams > 0 ? (detected.calories / detected.grams) * 100 : 0;
+
+  for (const product of products.slice(0, MAX_MATCH_CANDIDATES)) {
+    const perServing = gramsPerServing(product);
+    if (!perServing || !(product.calories > 0)) continue;
+    if (estimatedPer100g <= 0) return product;
+
+    const per100g = (product.calories / perServing) * 100;
+    const ratio = per100g / estimatedPer100g;
+    if (ratio <= MAX_DENSITY_RATIO && ratio >= 1 / MAX_DENSITY_RATIO) return product;
+  }
+  return null;
+}
+
+export function createPlateItem(detected: DetectedFoodItem, products: ProductResult[], index: number): PlateItem {
+  return {
+    id: `plate-${index}`,
+    detected,
+    match: pickPlateMatch(detected, products),
+    grams: clampPortionGrams(detected.grams),
+    included: true,
+  };
+}
+
+/** Nutrition for the item's current portion */
+export function plateItemNutrition(item: PlateItem): MacroSet {
+  const source = item.match || item.detected;
+  const baseGrams = item.match ? gramsPerServing(item.match) || 100 : item.detected.grams || 100;
+  const factor = item.grams / baseGrams;
+
+  return {
+    calories: Math.round(source.calories * factor),
+    protein: round1(source.protein * factor),
+    carbs: round1(source.carbs * factor),
+    fat: round1(source.fat * factor),
+  };
+}
+
+/**
+ * The matched food as one 100 g serving, the shape PortionPicker scales from.
+ * Falls back to the AI estimate per 100 g.
+ */
+export function plateItemPer100g(item: PlateItem): Pick<FoodItem, 'name' | 'serving' | 'servingSize' | 'servingUnit'> & MacroSet & { brand?: string } {
+  const per100 = plateItemNutrition({ ...item, grams: 100 });
+  return {
+    name: item.match?.name || item.detected.name,
+    brand: item.match?.brand || undefined,
+    serving: '100 g',
+    servingSize: 100,
+    servingUnit: 'g',
+    ...per100,
+  };
+}
+
+/** Food entry for addFood */
+export function plateItemToFood(item: PlateItem): Omit<FoodItem, 'id'> {
+  const nutrition = plateItemNutrition(item);
+  const food: Omit<FoodItem, 'id'> = {
+    name: item.match?.name || item.detected.name,
+    ...nutrition,
+    serving: `${item.grams} g`,
+    servingSize: item.grams,
+    servingUnit: 'g',
+    source: item.match?.source || 'ai_scan',
+    skipHaptic: true,
+  };
+
+  if (item.match) {
+    const perServing = gramsPerServing(item.match);
+    if (item.match.brand) food.brand = item.match.brand;
+    if (item.match.sourceLabel) food.sourceLabel = item.match.sourceLabel;
+    if (item.match.barcode) food.barcode = item.match.barcode;
+    if (item.match.allergens) food.allergens = item.match.allergens;
+    if (item.match.traces) food.traces = item.match.traces;
+    const micronutrients = perServing ? scaleMicronutrients(item.match.micronutrients, item.grams / perServing) : undefined;
+    if (micronutrients) {
+      food.micronutrients = micronutrients;
+      food.micronutrientSource = item.match.micronutrientSource || 'reported';
+    }
+  }
+
+  return food;
+}
+
+/** Totals across the items that will be logged */
+export function summarizePlate(items: PlateItem[]): MacroSet & { count: number } {
+  return items.filter((item) => item.included).reduce(
+    (acc, item) => {
+      const nutrition = plateItemNutrition(item);
+      return {
+        count: acc.count + 1,
+        calories: acc.calories + nutrition.calories,
+        protein: round1(acc.protein + nutrition.protein),
+        carbs: round1(acc.carbs + nutrition.carbs),
+        fat: round1(acc.fat + nutrition.fat),
+      };
+    },
+    { count: 0, calories: 0, protein: 0, carbs: 0, fat: 0 },
+  );
+}
@@ -96,6 +96,7 @@ const rateLimiter = new RateLimiter();
 export const AI_RATE_LIMITS = {
   chat: { maxCalls: 15, windowMs: 60000, cooldownMs: 1500 },
   scanFood: { maxCalls: 5, windowMs: 60000, cooldownMs: 3000 },
+  scanLabel: { maxCalls: 5, windowMs: 60000, cooldownMs: 3000 },
   generateWorkout: { maxCalls: 3, windowMs: 60000, cooldownMs: 5000 },
   chef: { maxCalls: 3, windowMs: 60000, cooldownMs: 5000 },
   genesis: { maxCalls: 3, windowMs: 60000, cooldownMs: 5000 },
@@ -1,7 +1,7 @@
 import { useCallback, useEffect, useState } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Sentry } from './sentry';
-import type { DateKey, MealType, MacroSet, FoodItem, FoodLogEntry } from '../types';
+import type { DateKey, MealType, MacroSet, FoodItem, FoodLogEntry, MicronutrientSet, MicronutrientSource } from '../types';
 
 export interface RecentMealFoodItem extends MacroSet {
   name: string;
@@ -9,6 +9,8 @@ export interface RecentMealFoodItem extends MacroSet {
   serving?: string;
   servingSize?: number;
   servingUnit?: string;
+  micronutrients?: MicronutrientSet;
+  micronutrientSource?: MicronutrientSource;
 }
 
 export interface RecentMealSnapshot {
@@ -171,6 +173,8 @@ function normalizeMealItems(items: (FoodItem | FoodLogEntry)[]): RecentMealFoodI
     serving: item.serving || '1 serving',
     servingSize: item.servingSize,
     servingUnit: item.servingUnit,
+    micronutrients: item.micronutrients,
+    micronutrientSource: item.micronutrientSource,
   }));
 }
 
@@ -0,0 +1,340 @@
+/**
+ * Recipe scaling and portion maths.
+ *
+ * Works on both recipe shapes in the app: saved recipes (RecipeContext),
+ * whose ingredients are logged foods with a `serving` label and macros,
+ * and curated recipes, whose ingredients are free-text lines such as
+ * "1 1/2 cups rolled oats". Everything here returns new objects, so a
+ * scaled or converted view never has to be saved as a separate recipe.
+ */
+import type { FoodItem, MacroSet, MicronutrientSet, MicronutrientSource } from '../types';
+import type { UnitSystem } from './formatters';
+import { combineIngredientMicronutrients, scaleMicronutrients } from './micronutrients';
+
+export type MeasureKind = 'mass' | 'volume';
+
+interface MeasureUnit {
+  label: string;
+  plural?: string;
+  kind: MeasureKind;
+  system: UnitSystem;
+  /** Grams for mass units, millilitres for volume units */
+  base: number;
+}
+
+const UNITS: Record<string, MeasureUnit> = {
+  g: { label: 'g', kind: 'mass', system: 'metric', base: 1 },
+  kg: { label: 'kg', kind: 'mass', system: 'metric', base: 1000 },
+  oz: { label: 'oz', kind: 'mass', system: 'imperial', base: 28.3495 },
+  lb: { label: 'lb', kind: 'mass', system: 'imperial', base: 453.592 },
+  ml: { label: 'ml', kind: 'volume', system: 'metric', base: 1 },
+  l: { label: 'l', kind: 'volume', system: 'metric', base: 1000 },
+  tsp: { label: 'tsp', kind: 'volume', system: 'imperial', base: 4.92892 },
+  tbsp: { label: 'tbsp', kind: 'volume', system: 'imperial', base: 14.7868 },
+  floz: { label: 'fl oz', kind: 'volume', system: 'imperial', base: 29.5735 },
+  cup: { label: 'cup', plural: 'cups', kind: 'volume', system: 'imperial', base: 236.588 },
+};
+
+const UNIT_ALIASES: Record<string, string> = {
+  g: 'g', gr: 'g', gram: 'g', grams: 'g', gramme: 'g', grammes: 'g',
+  kg: 'kg', kgs: 'kg', kilo: 'kg', kilos: 'kg', kilogram: 'kg', kilograms: 'kg',
+  oz: 'oz', ounce: 'oz', ounces: 'oz',
+  lb: 'lb', lbs: 'lb', pound: 'lb', pounds: 'lb',
+  ml: 'ml', milliliter: 'ml', milliliters: 'ml', millilitre: 'ml', millilitres: 'ml',
+  l: 'l', liter: 'l', liters: 'l', litre: 'l', litres: 'l',
+  tsp: 'tsp', tsps: 'tsp', teaspoon: 'tsp', teaspoons: 'tsp',
+  tbsp: 'tbsp', tbsps: 'tbsp', tbs: 'tbsp', tablespoon: 'tbsp', tablespoons: 'tbsp',
+  cup: 'cup', cups: 'cup',
+};
+
+const UNICODE_FRACTIONS: Record<string, number> = {
+  '¼': 0.25, '½': 0.5, '¾': 0.75, '⅓': 1 / 3, '⅔': 2 / 3, '⅛': 0.125, '⅜': 0.375, '⅝': 0.625, '⅞': 0.875,
+};
+
+/** Fractions cooks actually measure with, for imperial and count amounts */
+const DISPLAY_FRACTIONS: [number, string][] = [
+  [1 / 8, '1/8'], [1 / 4, '1/4'], [1 / 3, '1/3'], [3 / 8, '3/8'], [1 / 2, '1/2'],
+  [5 / 8, '5/8'], [2 / 3, '2/3'], [3 / 4, '3/4'], [7 / 8, '7/8'],
+];
+
+// "1 1/2", "1/2", "1.5", "1,5", "½", "1½" optionally followed by a range "-2"
+const NUMBER_PATTERN = '(?:\\d+\\s+\\d+/\\d+|\\d+/\\d+|\\d+\\s*[¼½¾⅓⅔⅛⅜⅝⅞]|[¼½¾⅓⅔⅛⅜⅝⅞]|\\d+(?:[.,]\\d+)?)';
+const QUANTITY_RE = new RegExp(`^\\s*(${NUMBER_PATTERN})(?:\\s*(?:-|–|to)\\s*(${NUMBER_PATTERN}))?\\s*(.*)$`, 'i');
+const UNIT_RE = /^(fl\.?\s*oz\.?|fluid\s+ounces?|[a-z]+\.?)(?=$|[\s,(])\s*(.*)$/i;
+
+export interface ParsedQuantity {
+  amount: number;
+  /** Upper bound for ranges such as "2-3 cloves" */
+  amountMax?: number;
+  /** Key into the unit table, or null for counts ("2 large eggs") */
+  unit: string | null;
+  /** Everything after the quantity and unit */
+  rest: string;
+}
+
+function parseNumber(text: string): number | null {
+  const trimmed = text.trim();
+  const unicode = trimmed.match(/^(\d+)?\s*([¼½¾⅓⅔⅛⅜⅝⅞])$/);
+  if (unicode) {
+    return (unicode[1] ? Number(unicode[1]) : 0) + UNICODE_FRACTIONS[unicode[2]];
+  }
+  const mixed = trimmed.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) {
+    return Number(mixed[3]) ? Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]) : null;
+  }
+  const fraction = trimmed.match(/^(\d+)\/(\d+)$/);
+  if (fraction) {
+    return Number(fraction[2]) ? Number(fraction[1]) / Number(fraction[2]) : null;
+  }
+  const value = Number(trimmed.replace(',', '.'));
+  return Number.isFinite(value) ? value : null;
+}
+
+/** Split "1 1/2 cups rolled oats" into amount, unit and the rest. Null when there is no leading amount. */
+export function parseQuantity(text: string): ParsedQuantity | null {
+  const match = (text || '').match(QUANTITY_RE);
+  if (!match) return null;
+
+  const amount = parseNumber(match[1]);
+  if (amount === null || amount <= 0) return null;
+  const amountMax = match[2] ? parseNumber(match[2]) : null;
+
+  let unit: string | null = null;
+  let rest = match[3].trim();
+  const unitMatch = rest.match(UNIT_RE);
+  if (unitMatch) {
+    const token = unitMatch[1].toLowerCase().replace(/\.$/, '');
+    const key = /^(fl\.?\s*oz|fluid\s+ounces?)/.test(token) ? 'floz' : UNIT_ALIASES[token];
+    if (key) {
+      unit = key;
+      rest = unitMatch[2].trim();
+    }
+  }
+
+  return {
+    amount,
+    ...(amountMax && amountMax > amount ? { amountMax } : {}),
+    unit,
+    rest,
+  };
+}
+
+/** Amount in grams (mass) or millilitres (volume), or null for counts and unknown units */
+export function toBaseMeasure(amount: number, unit: string | null): { amount: number; kind: MeasureKind } | null {
+  const source = unit ? UNITS[unit] : null;
+  return source ? { amount: amount * source.base, kind: source.kind } : null;
+}
+
+/**
+ * Express grams or millilitres in the unit a cook would reach for in the
+ * given system (tsp/tbsp/cup by volume, oz/lb or g/kg by mass).
+ */
+export function fromBaseMeasure(base: number, kind: MeasureKind, system: UnitSystem): { amount: number; unit: string } {
+  let target: string;
+  if (kind === 'mass') {
+    target = system === 'metric' ? (base >= 1000 ? 'kg' : 'g') : (base >= UNITS.lb.base ? 'lb' : 'oz');
+  } else if (system === 'metric') {
+    target = base >= 1000 ? 'l' : 'ml';
+  } else {
+    target = base >= UNITS.cup.base / 4 ? 'cup' : base >= UNITS.tbsp.base ? 'tbsp' : 'tsp';
+  }
+  return { amount: base / UNITS[target].base, unit: target };
+}
+
+/**
+ * Re-express an amount in the target measurement system.
+ * Counts and units already in the target system are returned unchanged.
+ */
+export function convertMeasure(amount: number, unit: string | null, system: UnitSystem): { amount: number; unit: string | null } {
+  const source = unit ? UNITS[unit] : null;
+  if (!source || source.system === system) return { amount, unit };
+  return fromBaseMeasure(amount * source.base, source.kind, system);
+}
+
+function formatDecimalAmount(amount: number): string {
+  const decimals = amount >= 10 ? 0 : amount >= 1 ? 1 : 2;
+  return String(Number(amount.toFixed(decimals)));
+}
+
+function formatFraction(amount: number): string {
+  const whole = Math.floor(amount);
+  const remainder = amount - whole;
+  if (remainder > 15 / 16) return String(whole + 1);
+  if (remainder < 1 / 16) return whole > 0 ? String(whole) : formatDecimalAmount(amount);
+
+  const [, label] = DISPLAY_FRACTIONS.reduce((best, candidate) =>
+    Math.abs(candidate[0] - remainder) < Math.abs(best[0] - remainder) ? candidate : best
+  );
+  return whole > 0 ? `${whole} ${label}` : label;
+}
+
+function formatAmount(amount: number, unit: string | null): string {
+  return unit && UNITS[unit].system === 'metric' ? formatDecimalAmount(amount) : formatFraction(amount);
+}
+
+function unitLabel(amount: number, unit: string): string {
+  const definition = UNITS[unit];
+  return definition.plural && amount > 1 ? definition.plural : definition.label;
+}
+
+/** "1 1/2 cups", "250 g", "3" — metric amounts as decimals, everything else as kitchen fractions */
+export function formatQuantity(amount: number, unit: string | null): string {
+  const value = formatAmount(amount, unit);
+  return unit ? `${value} ${unitLabel(amount, unit)}` : value;
+}
+
+/**
+ * Scale the leading amount of an ingredient line and optionally convert its
+ * unit. Lines without an amount ("salt to taste") are returned unchanged.
+ */
+export function scaleIngredientLine(line: string, factor: number, system?: UnitSystem | null): string {
+  const parsed = parseQuantity(line);
+  if (!parsed) return line;
+
+  const convert = (amount: number) =>
+    system ? convertMeasure(amount * factor, parsed.unit, system) : { amount: amount * factor, unit: parsed.unit };
+  const low = convert(parsed.amount);
+  let quantity = formatQuantity(low.amount, low.unit);
+  if (parsed.amountMax) {
+    const high = convert(parsed.amountMax);
+    // "2-3 cloves" rather than "2 cloves-3 cloves" when both ends share a unit
+    const lowText = low.unit === high.unit ? formatAmount(low.amount, low.unit) : quantity;
+    quantity = `${lowText}-${formatQuantity(high.amount, high.unit)}`;
+  }
+  return parsed.rest ? `${quantity} ${parsed.rest}` : quantity;
+}
+
+// ─── Recipes ─────────────────────────────────────────────────────────────────
+
+export interface ScalableRecipe {
+  servings: number;
+  ingredients: (FoodItem | string)[];
+  /** Whole-recipe macros; derived from the ingredients when missing */
+  totalMacros?: MacroSet;
+  /** Weight of the whole cooked dish, for logging portions by weight */
+  cookedWeightGrams?: number | null;
+  /** Per-serving micronutrients; derived from the ingredients when missing */
+  micronutrients?: MicronutrientSet;
+  micronutrientSource?: MicronutrientSource;
+}
+
+export interface ScaledRecipe<I> {
+  servings: number;
+  factor: number;
+  ingredients: I[];
+  totalMacros: MacroSet;
+  perServing: MacroSet;
+  cookedWeightGrams: number | null;
+  /** Cooked grams in one serving, when the cooked weight is known */
+  gramsPerServing: number | null;
+}
+
+function roundMacros(macros: MacroSet): MacroSet {
+  return {
+    calories: Math.round(macros.calories),
+    protein: Math.round(macros.protein * 10) / 10,
+    carbs: Math.round(macros.carbs * 10) / 10,
+    fat: Math.round(macros.fat * 10) / 10,
+  };
+}
+
+function multiplyMacros(macros: MacroSet, factor: number): MacroSet {
+  return {
+    calories: (macros.calories || 0) * factor,
+    protein: (macros.protein || 0) * factor,
+    carbs: (macros.carbs || 0) * factor,
+    fat: (macros.fat || 0) * factor,
+  };
+}
+
+/** Sum of the ingredients' macros; text ingredients contribute nothing */
+export function sumIngredientMacros(ingredients: (FoodItem | string)[]): MacroSet {
+  return ingredients.reduce<MacroSet>(
+    (acc, ingredient) => (typeof ingredient === 'string' ? acc : {
+      calories: acc.calories + (ingredient.calories || 0),
+      protein: acc.protein + (ingredient.protein || 0),
+      carbs: acc.carbs + (ingredient.carbs || 0),
+      fat: acc.fat + (ingredient.fat || 0),
+    }),
+    { calories: 0, protein: 0, carbs: 0, fat: 0 }
+  );
+}
+
+export function scaleIngredient<I extends FoodItem | string>(ingredient: I, factor: number, system?: UnitSystem | null): I {
+  if (typeof ingredient === 'string') {
+    return scaleIngredientLine(ingredient, factor, system) as I;
+  }
+  const food = ingredient as FoodItem;
+  return {
+    ...food,
+    ...roundMacros(multiplyMacros(food, factor)),
+    serving: scaleIngredientLine(food.serving || '1 serving', factor, system),
+    ...(typeof food.servingSize === 'number' ? { servingSize: food.servingSize * factor } : {}),
+    ...(food.micronutrients ? { micronutrients: scaleMicronutrients(food.micronutrients, factor) } : {}),
+  } as I;
+}
+
+/**
+ * A recipe resized to `targetServings`. Per-serving nutrition stays the
+ * same; ingredient amounts, batch totals and cooked weight scale with it.
+ */
+export function scaleRecipe<I extends FoodItem | string>(
+  recipe: Omit<ScalableRecipe, 'ingredients'> & { ingredients: I[] },
+  targetServings: number,
+  system?: UnitSystem | null
+): ScaledRecipe<I> {
+  const baseServings = Math.max(1, recipe.servings || 1);
+  const servings = targetServings > 0 ? targetServings : baseServings;
+  const factor = servings / baseServings;
+  const baseTotals = recipe.totalMacros || sumIngredientMacros(recipe.ingredients);
+  const cookedWeightGrams = recipe.cookedWeightGrams && recipe.cookedWeightGrams > 0
+    ? Math.round(recipe.cookedWeightGrams * factor)
+    : null;
+
+  return {
+    servings,
+    factor,
+    ingredients: recipe.ingredients.map((ingredient) => scaleIngredient(ingredient, factor, system)),
+    totalMacros: roundMacros(multiplyMacros(baseTotals, factor)),
+    perServing: roundMacros(multiplyMacros(baseTotals, 1 / baseServings)),
+    cookedWeightGrams,
+    gramsPerServing: cookedWeightGrams ? Math.round(cookedWeightGrams / servings) : null,
+  };
+}
+
+/** Macros for `grams` of a dish whose whole cooked weight and macros are known */
+export function macrosForPortion(totalMacros: MacroSet, cookedWeightGrams: number, grams: number): MacroSet {
+  if (!(cookedWeightGrams > 0) || !(grams > 0)) {
+    return { calories: 0, protein: 0, carbs: 0, fat: 0 };
+  }
+  return roundMacros(multiplyMacros(totalMacros, grams / cookedWeightGrams));
+}
+
+/**
+ * A saved recipe shaped as a loggable food: one serving of the dish. When
+ * the cooked weight is known a serving is that many grams, so a portion
+ * weighed in grams gets the matching share of the recipe's macros.
+ */
+export function recipeServingFood<R extends ScalableRecipe>(
+  recipe: R
+): R & { serving: string; servingSize: number; servingUnit: string; gramsPerServing: number | null } {
+  const servings = Math.max(1, recipe.servings || 1);
+  const gramsPerServing = recipe.cookedWeightGrams && recipe.cookedWeightGrams > 0
+    ? Math.round(recipe.cookedWeightGrams / servings)
+    : null;
+  // Recipes saved before micronutrients were tracked only have them per ingredient
+  const micros = recipe.micronutrients
+    ? { micronutrients: recipe.micronutrients, micronutrientSource: recipe.micronutrientSource }
+    : combineIngredientMicronutrients(
+      recipe.ingredients.filter((i): i is FoodItem => typeof i !== 'string'),
+      servings,
+    );
+  return {
+    ...recipe,
+    ...micros,
+    serving: `1 serving (1/${servings} recipe)`,
+    servingSize: gramsPerServing || 1,
+    servingUnit: 'serving',
+    gramsPerServing,
+  };
+}
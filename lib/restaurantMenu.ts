@@ -0,0 +1,420 @@
+/**
+ * Restaurant menu mode.
+ *
+ * Groups the restaurant dataset by chain and category for browsing, composes
+ * build-your-own items from their components, and validates the versioned
+ * menu bundle that services/restaurantMenu downloads so the dataset can be
+ * updated without an app release.
+ */
+
+import { RESTAURANT_FOODS, type RestaurantFoodItem } from '../data/restaurantFoods';
+import {
+  RESTAURANT_BUILDERS,
+  type RestaurantBuilder,
+  type RestaurantBuilderOption,
+  type RestaurantBuilderStep,
+} from '../data/restaurantBuilders';
+import type { FoodItem, MacroSet, MicronutrientSet } from '../types';
+
+export type { RestaurantBuilder, RestaurantBuilderOption, RestaurantBuilderStep };
+
+/** Version of the dataset compiled into the app; downloaded bundles must be newer */
+export const BUNDLED_RESTAURANT_MENU_VERSION = 1;
+
+export interface RestaurantMenuBundle {
+  version: number;
+  items: RestaurantFoodItem[];
+  builders: RestaurantBuilder[];
+}
+
+export interface RestaurantChainSummary {
+  chain: string;
+  itemCount: number;
+  builderCount: number;
+}
+
+export interface RestaurantMenuSection {
+  category: string;
+  builders: RestaurantBuilder[];
+  items: RestaurantFoodItem[];
+}
+
+/** Option id → portions picked (1, or 2 when doubled), per step id */
+export type BuilderSelection = Record<string, Record<string, number>>;
+
+export interface BuilderTotals extends MacroSet {
+  fiber: number;
+  sodium: number;
+  sugar: number;
+  grams: number;
+}
+
+/** Mains first, then sides, desserts and drinks; unknown categories sort after these */
+const CATEGORY_ORDER = [
+  'combo', 'burger', 'chicken', 'wings', 'sandwich', 'sub', 'wrap', 'burrito', 'bowl', 'taco',
+  'quesadilla', 'pizza', 'pasta', 'entree', 'seafood', 'protein', 'salad', 'soup', 'breakfast',
+  'appetizer', 'side', 'sauce', 'dessert', 'smoothie', 'drink', 'beverage',
+];
+
+const RESTAURANT_SOURCE_LABEL = 'Restaurant';
+
+function round1(value: number): number {
+  return Math.round(value * 10) / 10;
+}
+
+function categoryRank(category: string): number {
+  const index = CATEGORY_ORDER.indexOf(category);
+  return index === -1 ? CATEGORY_ORDER.length : index;
+}
+
+export function getBundledRestaurantMenu(): RestaurantMenuBundle {
+  return {
+    version: BUNDLED_RESTAURANT_MENU_VERSION,
+    items: RESTAURANT_FOODS,
+    builders: RESTAURANT_BUILDERS,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Bundle validation
+// ---------------------------------------------------------------------------
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function text(value: unknown): string | null {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function amount(value: unknown): number | null {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? value : null;
+}
+
+function optionalAmount(value: unknown): number | undefined {
+  return amount(value) ?? undefined;
+}
+
+function parseItem(raw: unknown): RestaurantFoodItem | null {
+  if (!isRecord(raw)) return null;
+  const id = text(raw.id);
+  const name = text(raw.name);
+  const chain = text(raw.chain);
+  const calories = amount(raw.calories);
+  const protein = amount(raw.protein);
+  const carbs = amount(raw.carbs);
+  const fat = amount(raw.fat);
+  if (!id || !name || !chain || calories === null || protein === null || carbs === null || fat === null) {
+    return null;
+  }
+
+  const servingSize = amount(raw.servingSize);
+  const item: RestaurantFoodItem = {
+    id,
+    name,
+    chain,
+    category: text(raw.category)?.toLowerCase() || 'entree',
+    calories,
+    protein,
+    carbs,
+    fat,
+    serving: text(raw.serving) || '1 serving',
+    servingSize: servingSize && servingSize > 0 ? servingSize : 1,
+    servingUnit: text(raw.servingUnit) || 'serving',
+  };
+  const fiber = optionalAmount(raw.fiber);
+  const sodium = optionalAmount(raw.sodium);
+  const sugar = optionalAmount(raw.sugar);
+  if (fiber !== undefined) item.fiber = fiber;
+  if (sodium !== undefined) item.sodium = sodium;
+  if (sugar !== undefined) item.sugar = sugar;
+  if (raw.popular === true) item.popular = true;
+  return item;
+}
+
+function parseOption(raw: unknown): RestaurantBuilderOption | null {
+  if (!isRecord(raw)) return null;
+  const id = text(raw.id);
+  const name = text(raw.name);
+  const calories = amount(raw.calories);
+  const protein = amount(raw.protein);
+  const carbs = amount(raw.carbs);
+  const fat = amount(raw.fat);
+  const grams = amount(raw.grams);
+  if (!id || !name || calories === null || protein === null || carbs === null || fat === null || !grams) {
+    return null;
+  }
+
+  const option: RestaurantBuilderOption = { id, name, calories, protein, carbs, fat, grams };
+  const fiber = optionalAmount(raw.fiber);
+  const sodium = optionalAmount(raw.sodium);
+  const sugar = optionalAmount(raw.sugar);
+  if (fiber !== undefined) option.fiber = fiber;
+  if (sodium !== undefined) option.sodium = sodium;
+  if (sugar !== undefined) option.sugar = sugar;
+  if (raw.default === true) option.default = true;
+  return option;
+}
+
+function parseStep(raw: unknown): RestaurantBuilderStep | null {
+  if (!isRecord(raw)) return null;
+  const id = text(raw.id);
+  const name = text(raw.name);
+  const options = Array.isArray(raw.options)
+    ? raw.options.map(parseOption).filter((option): option is RestaurantBuilderOption => option !== null)
+    : [];
+  if (!id || !name || options.length === 0) return null;
+
+  const min = Math.min(options.length, Math.floor(amount(raw.min) ?? 0));
+  const max = Math.min(options.length, Math.max(1, min, Math.floor(amount(raw.max) ?? 1)));
+  const step: RestaurantBuilderStep = { id, name, min, max, options };
+  if (raw.allowDouble === true) step.allowDouble = true;
+  return step;
+}
+
+function parseBuilder(raw: unknown): RestaurantBuilder | null {
+  if (!isRecord(raw)) return null;
+  const id = text(raw.id);
+  const chain = text(raw.chain);
+  const name = text(raw.name);
+  const steps = Array.isArray(raw.steps)
+    ? raw.steps.map(parseStep).filter((step): step is RestaurantBuilderStep => step !== null)
+    : [];
+  if (!id || !chain || !name || steps.length === 0) return null;
+
+  return {
+    id,
+    chain,
+    name,
+    category: text(raw.category)?.toLowerCase() || 'entree',
+    serving: text(raw.serving) || '1 serving',
+    steps,
+  };
+}
+
+/**
+ * Validate a downloaded menu bundle. Malformed items and builders are
+ * dropped; the whole bundle is rejected (null) when it has no usable
+ * version or items.
+ */
+export function parseRestaurantMenuBundle(raw: unknown): RestaurantMenuBundle | null {
+  if (!isRecord(raw)) return null;
+  const version = raw.version;
+  if (typeof version !== 'number' || !Number.isInteger(version) || version < 1) return null;
+
+  const seen = new Set<string>();
+  const items = (Array.isArray(raw.items) ? raw.items : [])
+    .map(parseItem)
+    .filter((item): item is RestaurantFoodItem => {
+      if (!item || seen.has(item.id)) return false;
+      seen.add(item.id);
+      return true;
+    });
+  if (items.length === 0) return null;
+
+  const builders = (Array.isArray(raw.builders) ? raw.builders : [])
+    .map(parseBuilder)
+    .filter((builder): builder is RestaurantBuilder => builder !== null);
+
+  return { version, items, builders };
+}
+
+// ---------------------------------------------------------------------------
+// Browsing
+// ---------------------------------------------------------------------------
+
+/** Chains in the menu, alphabetically, optionally filtered by name */
+export function listRestaurantChains(menu: RestaurantMenuBundle, query: string = ''): RestaurantChainSummary[] {
+  const summaries = new Map<string, RestaurantChainSummary>();
+  const summaryFor = (chain: string): RestaurantChainSummary => {
+    let summary = summaries.get(chain);
+    if (!summary) {
+      summary = { chain, itemCount: 0, builderCount: 0 };
+      summaries.set(chain, summary);
+    }
+    return summary;
+  };
+
+  menu.items.forEach((item) => { summaryFor(item.chain).itemCount++; });
+  menu.builders.forEach((builder) => { summaryFor(builder.chain).builderCount++; });
+
+  const needle = query.trim().toLowerCase();
+  return [...summaries.values()]
+    .filter((summary) => !needle || summary.chain.toLowerCase().includes(needle))
+    .sort((a, b) => a.chain.localeCompare(b.chain));
+}
+
+/**
+ * A chain's menu grouped by category. Builders lead their category and
+ * popular items come before the rest; otherwise the dataset order is kept.
+ */
+export function getChainMenu(menu: RestaurantMenuBundle, chain: string): RestaurantMenuSection[] {
+  const sections = new Map<string, RestaurantMenuSection>();
+  const sectionFor = (category: string): RestaurantMenuSection => {
+    let section = sections.get(category);
+    if (!section) {
+      section = { category, builders: [], items: [] };
+      sections.set(category, section);
+    }
+    return section;
+  };
+
+  menu.builders.filter((builder) => builder.chain === chain).forEach((builder) => {
+    sectionFor(builder.category).builders.push(builder);
+  });
+  menu.items.filter((item) => item.chain === chain).forEach((item) => {
+    sectionFor(item.category).items.push(item);
+  });
+
+  return [...sections.values()]
+    .map((section) => ({
+      ...section,
+      items: [...section.items].sort((a, b) => (b.popular ? 1 : 0) - (a.popular ? 1 : 0)),
+    }))
+    .sort((a, b) => categoryRank(a.category) - categoryRank(b.category) || a.category.localeCompare(b.category));
+}
+
+function restaurantMicronutrients(source: { fiber?: number; sodium?: number; sugar?: number }): MicronutrientSet | undefined {
+  const micronutrients: MicronutrientSet = {};
+  if (source.fiber !== undefined) micronutrients.fiber = source.fiber;
+  if (source.sodium !== undefined) micronutrients.sodium = source.sodium;
+  if (source.sugar !== undefined) micronutrients.sugar = source.sugar;
+  return Object.keys(micronutrients).length > 0 ? micronutrients : undefined;
+}
+
+/** Food entry for addFood, shaped like restaurant results in food search */
+export function restaurantItemToFood(item: RestaurantFoodItem): Omit<FoodItem, 'id'> {
+  const food: Omit<FoodItem, 'id'> = {
+    name: `${item.name} (${item.chain})`,
+    brand: item.chain,
+    barcode: item.id,
+    calories: item.calories,
+    protein: item.protein,
+    carbs: item.carbs,
+    fat: item.fat,
+    serving: item.serving,
+    servingSize: item.servingSize,
+    servingUnit: item.servingUnit,
+    source: 'restaurant',
+    sourceLabel: RESTAURANT_SOURCE_LABEL,
+    qualityTag: 'restaurant',
+  };
+  const micronutrients = restaurantMicronutrients(item);
+  if (micronutrients) {
+    food.micronutrients = micronutrients;
+    food.micronutrientSource = 'reported';
+  }
+  return food;
+}
+
+// ---------------------------------------------------------------------------
+// Build-your-own
+// ---------------------------------------------------------------------------
+
+export function defaultBuilderSelection(builder: RestaurantBuilder): BuilderSelection {
+  const selection: BuilderSelection = {};
+  for (const step of builder.steps) {
+    const picks: Record<string, number> = {};
+    step.options
+      .filter((option) => option.default)
+      .slice(0, step.max)
+      .forEach((option) => { picks[option.id] = 1; });
+    selection[step.id] = picks;
+  }
+  return selection;
+}
+
+/**
+ * Tap an option: add it, double it when the step allows, then remove it.
+ * Single-choice steps swap the previous pick; full multi-choice steps
+ * ignore new picks until one is removed.
+ */
+export function toggleBuilderOption(
+  builder: RestaurantBuilder,
+  selection: BuilderSelection,
+  stepId: string,
+  optionId: string,
+): BuilderSelection {
+  const step = builder.steps.find((candidate) => candidate.id === stepId);
+  if (!step || !step.options.some((option) => option.id === optionId)) return selection;
+
+  const picks = selection[stepId] || {};
+  const count = picks[optionId] || 0;
+  let next: Record<string, number>;
+
+  if (count === 0) {
+    if (step.max === 1) {
+      next = { [optionId]: 1 };
+    } else if (Object.keys(picks).length >= step.max) {
+      return selection;
+    } else {
+      next = { ...picks, [optionId]: 1 };
+    }
+  } else if (count === 1 && step.allowDouble) {
+    next = { ...picks, [optionId]: 2 };
+  } else {
+    next = { ...picks };
+    delete next[optionId];
+  }
+
+  return { ...selection, [stepId]: next };
+}
+
+function selectedOptions(builder: RestaurantBuilder, selection: BuilderSelection): { option: RestaurantBuilderOption; count: number }[] {
+  return builder.steps.flatMap((step) => {
+    const picks = selection[step.id] || {};
+    return step.options
+      .filter((option) => picks[option.id] > 0)
+      .map((option) => ({ option, count: step.allowDouble ? Math.min(2, picks[option.id]) : 1 }));
+  });
+}
+
+export function builderTotals(builder: RestaurantBuilder, selection: BuilderSelection): BuilderTotals {
+  return selectedOptions(builder, selection).reduce(
+    (acc, { option, count }) => ({
+      calories: acc.calories + option.calories * count,
+      protein: round1(acc.protein + option.protein * count),
+      carbs: round1(acc.carbs + option.carbs * count),
+      fat: round1(acc.fat + option.fat * count),
+      fiber: round1(acc.fiber + (option.fiber || 0) * count),
+      sodium: acc.sodium + (option.sodium || 0) * count,
+      sugar: round1(acc.sugar + (option.sugar || 0) * count),
+      grams: acc.grams + option.grams * count,
+    }),
+    { calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0, sodium: 0, sugar: 0, grams: 0 },
+  );
+}
+
+/** Steps that still need a pick before the item can be logged */
+export function missingBuilderSteps(builder: RestaurantBuilder, selection: BuilderSelection): RestaurantBuilderStep[] {
+  return builder.steps.filter((step) => Object.keys(selection[step.id] || {}).length < step.min);
+}
+
+/** Picked components in order, e.g. "Flour Tortilla, Chicken ×2, Cheese" */
+export function describeBuilderSelection(builder: RestaurantBuilder, selection: BuilderSelection): string {
+  return selectedOptions(builder, selection)
+    .map(({ option, count }) => (count > 1 ? `${option.name} ×${count}` : option.name))
+    .join(', ');
+}
+
+/** Food entry for addFood; the components are kept as the ingredient list */
+export function builderToFood(builder: RestaurantBuilder, selection: BuilderSelection): Omit<FoodItem, 'id'> {
+  const totals = builderTotals(builder, selection);
+  return {
+    name: `${builder.name} (${builder.chain})`,
+    brand: builder.chain,
+    calories: totals.calories,
+    protein: totals.protein,
+    carbs: totals.carbs,
+    fat: totals.fat,
+    serving: builder.serving,
+    servingSize: totals.grams,
+    servingUnit: 'g',
+    ingredients: describeBuilderSelection(builder, selection),
+    source: 'restaurant',
+    sourceLabel: RESTAURANT_SOURCE_LABEL,
+    qualityTag: 'restaurant',
+    micronutrients: { fiber: totals.fiber, sodium: totals.sodium, sugar: totals.sugar },
+    micronutrientSource: 'reported',
+  };
+}
@@ -328,6 +328,7 @@ async function exportUserData(supabase: SupabaseClient, userId: string): Promise
     'friend_activity',
     'journal_entries',
     'active_sessions',
+    'tracker_records',
   ];
   const exportData: ExportData = { exportDate: new Date().toISOString(), userId };
 
@@ -383,6 +384,7 @@ async function deleteAllUserData(supabase: SupabaseClient, userId: string): Prom
     'behavioral_checkins',
     'active_sessions',
     'journal_entries',
+    'tracker_records',
     'food_logs',
     'workouts',
     'weight_history',
@@ -0,0 +1,460 @@
+/**
+ * Smart shopping list.
+ *
+ * Turns the upcoming days of the meal plan, the recipes the user is cooking
+ * this week and foods planned ahead in the diary into one list: amounts of
+ * the same ingredient are summed (grams with ounces, cups with millilitres),
+ * whatever is already in the pantry is subtracted, and items are grouped by
+ * store aisle.
+ *
+ * Check-off state, the pantry and the week's recipes are tracker stores
+ * (see lib/trackerSync.ts), so they follow the user across devices.
+ */
+import { addDays, startOfDay } from 'date-fns';
+import { formatQuantity, fromBaseMeasure, parseQuantity, toBaseMeasure } from './recipeScaling';
+import type { MeasureKind } from './recipeScaling';
+import type { UnitSystem } from './formatters';
+import type { FoodItem } from '../types';
+
+export type ShoppingAisle =
+  | 'produce'
+  | 'meat'
+  | 'dairy'
+  | 'bakery'
+  | 'grains'
+  | 'canned'
+  | 'condiments'
+  | 'frozen'
+  | 'snacks'
+  | 'beverages'
+  | 'other';
+
+/** Aisles in the order most stores are walked */
+export const SHOPPING_AISLES: ShoppingAisle[] = [
+  'produce', 'bakery', 'meat', 'dairy', 'grains', 'canned', 'condiments', 'snacks', 'frozen', 'beverages', 'other',
+];
+
+/**
+ * Keywords per aisle. A keyword at the end of the ingredient name beats one
+ * earlier in it, and longer keywords beat shorter ones, so "peanut butter"
+ * lands in condiments and "chicken broth" in canned goods.
+ */
+const AISLE_KEYWORDS: Record<Exclude<ShoppingAisle, 'other'>, string[]> = {
+  produce: [
+    'apple', 'avocado', 'eggplant', 'banana', 'basil', 'bell pepper', 'berry', 'blueberry', 'broccoli', 'cabbage', 'carrot',
+    'cauliflower', 'celery', 'cilantro', 'cucumber', 'garlic', 'ginger', 'grape', 'kale', 'lemon', 'lettuce', 'lime',
+    'mango', 'mint', 'mushroom', 'onion', 'orange', 'parsley', 'pear', 'pepper', 'pineapple', 'potato', 'raspberry',
+    'scallion', 'spinach', 'squash', 'strawberry', 'sweet potato', 'tomato', 'zucchini', 'arugula', 'asparagus',
+    'green bean', 'salad', 'herb', 'fruit', 'vegetable', 'green',
+  ],
+  meat: [
+    'bacon', 'beef', 'chicken', 'cod', 'fish', 'ground turkey', 'ham', 'lamb', 'pork', 'prawn', 'salmon', 'sausage',
+    'shrimp', 'steak', 'tilapia', 'tofu', 'tempeh', 'turkey', 'tuna steak', 'mince',
+  ],
+  dairy: [
+    'butter', 'cheese', 'cottage cheese', 'cream', 'egg', 'feta', 'greek yogurt', 'milk', 'mozzarella', 'parmesan',
+    'sour cream', 'yogurt', 'yoghurt', 'egg white', 'almond milk', 'oat milk', 'soy milk',
+  ],
+  bakery: ['bagel', 'bread', 'bun', 'pita', 'roll', 'tortilla', 'wrap', 'english muffin', 'sourdough'],
+  grains: [
+    'barley', 'couscous', 'flour', 'granola', 'noodle', 'oat', 'pasta', 'quinoa', 'rice', 'spaghetti', 'cereal',
+    'rolled oat', 'lentil', 'protein powder',
+  ],
+  canned: [
+    'bean', 'black bean', 'broth', 'canned', 'chickpea', 'coconut milk', 'kidney bean', 'stock', 'tomato paste',
+    'tomato sauce', 'tuna', 'diced tomato', 'crushed tomato',
+  ],
+  condiments: [
+    'honey', 'hot sauce', 'ketchup', 'maple syrup', 'mayo', 'mayonnaise', 'mustard', 'oil', 'olive oil',
+    'peanut butter', 'almond butter', 'pepper flake', 'salsa', 'salt', 'sauce', 'soy sauce', 'spice', 'sugar',
+    'vinegar', 'cinnamon', 'cumin', 'paprika', 'oregano', 'black pepper', 'seasoning', 'vanilla', 'dressing', 'hummus',
+  ],
+  snacks: ['almond', 'chip', 'chocolate', 'cracker', 'nut', 'popcorn', 'pretzel', 'seed', 'walnut', 'cashew', 'protein bar', 'chia seed', 'dark chocolate'],
+  frozen: ['frozen', 'ice cream', 'frozen berry', 'frozen vegetable'],
+  beverages: ['coffee', 'juice', 'sparkling water', 'tea', 'kombucha', 'soda'],
+};
+
+/** Non-metric "units" that are really counts ("2 cloves garlic") */
+const COUNT_UNITS: Record<string, string> = {
+  clove: 'clove', cloves: 'clove',
+  can: 'can', cans: 'can', tin: 'can', tins: 'can',
+  slice: 'slice', slices: 'slice',
+  piece: 'piece', pieces: 'piece',
+  pinch: 'pinch', pinches: 'pinch',
+  handful: 'handful', handfuls: 'handful',
+  bunch: 'bunch', bunches: 'bunch',
+  scoop: 'scoop', scoops: 'scoop',
+  stalk: 'stalk', stalks: 'stalk',
+  sprig: 'sprig', sprigs: 'sprig',
+  fillet: 'fillet', fillets: 'fillet',
+  head: 'head', heads: 'head',
+  packet: 'packet', packets: 'packet', pack: 'packet', packs: 'packet',
+  serving: 'serving', servings: 'serving',
+};
+
+/** Preparation and size words that don't change what you buy */
+const DESCRIPTOR_WORDS = new Set([
+  'fresh', 'chopped', 'diced', 'sliced', 'minced', 'grated', 'shredded', 'cubed', 'peeled', 'trimmed', 'crushed',
+  'finely', 'roughly', 'thinly', 'large', 'small', 'medium', 'raw', 'cooked', 'boneless', 'skinless', 'organic',
+  'ripe', 'lean', 'extra', 'optional', 'of', 'a', 'an',
+]);
+
+const FILLER_PATTERNS = [/\bto taste\b/g, /\bas needed\b/g, /\bfor serving\b/g, /\bfor garnish\b/g];
+
+export interface ShoppingSource {
+  /** Meal or recipe name, shown as "for …" on the item */
+  name: string;
+  ingredients: (FoodItem | string)[];
+  /** Multiplier on every ingredient amount (people eating, servings cooked) */
+  factor: number;
+}
+
+export interface ShoppingAmounts {
+  /** Grams */
+  mass: number;
+  /** Millilitres */
+  volume: number;
+  /** Keyed by count unit; '' for plain counts ("3 eggs") */
+  counts: Record<string, number>;
+  /** At least one source listed the item without an amount */
+  unquantified: boolean;
+}
+
+export interface ShoppingListItem {
+  /** Normalised ingredient name; stable across regenerations */
+  key: string;
+  name: string;
+  aisle: ShoppingAisle;
+  amounts: ShoppingAmounts;
+  /** Display label such as "450 g + 2 cans", or null when no amount is known */
+  quantity: string | null;
+  /** Names of the meals and recipes that need this item */
+  sources: string[];
+}
+
+export interface PantryItem {
+  id: string;
+  name: string;
+  /** Amount on hand ("500 g"); without one the item is assumed fully stocked */
+  quantity?: string | null;
+  updatedAt: number;
+}
+
+/** Check-off state of one item, keyed by ShoppingListItem.key in the synced map */
+export interface ShoppingCheck {
+  checked: boolean;
+  /** The quantity that was checked off; a larger amount later un-checks the item */
+  quantity: string | null;
+  updatedAt: number;
+}
+
+/** A saved recipe the user plans to cook this week */
+export interface ShoppingRecipePick {
+  /** Recipe id */
+  id: string;
+  servings: number;
+  updatedAt: number;
+}
+
+export interface ShoppingAisleGroup {
+  aisle: ShoppingAisle;
+  items: ShoppingListItem[];
+}
+
+/** Meal plan shape produced by the ai-brain `meal-plan` action */
+interface PlanMeal {
+  name?: string;
+  ingredients?: unknown[];
+}
+
+interface PlanDay {
+  dayNumber?: number;
+  meals?: PlanMeal[];
+}
+
+export interface PlanLike {
+  days?: unknown[];
+  generatedAt?: number;
+}
+
+const CHECK_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+function emptyAmounts(): ShoppingAmounts {
+  return { mass: 0, volume: 0, counts: {}, unquantified: false };
+}
+
+function singularize(word: string): string {
+  if (word.length <= 3 || word.endsWith('ss') || word.endsWith('us')) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('oes') || word.endsWith('ches') || word.endsWith('shes')) return word.slice(0, -2);
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+}
+
+/** Drop preparation notes and descriptors: "Chicken breasts, diced (skinless)" → "chicken breasts" */
+export function cleanIngredientName(text: string): string {
+  let name = (text || '').toLowerCase();
+  name = name.replace(/\([^)]*\)/g, ' ').split(',')[0];
+  FILLER_PATTERNS.forEach((pattern) => {
+    name = name.replace(pattern, ' ');
+  });
+  return name
+    .replace(/[^a-z0-9\s'-]/g, ' ')
+    .split(/\s+/)
+    .filter((word) => word && !DESCRIPTOR_WORDS.has(word))
+    .join(' ')
+    .trim();
+}
+
+/** Grouping key: cleaned name with its last word singular, so "tomatoes" and "tomato" merge */
+export function ingredientKey(text: string): string {
+  const words = cleanIngredientName(text).split(' ').filter(Boolean);
+  if (words.length === 0) return '';
+  words[words.length - 1] = singularize(words[words.length - 1]);
+  return words.join(' ');
+}
+
+export function aisleForIngredient(name: string): ShoppingAisle {
+  const key = ` ${ingredientKey(name)} `;
+  let best: { aisle: ShoppingAisle; score: number } = { aisle: 'other', score: 0 };
+  (Object.keys(AISLE_KEYWORDS) as Exclude<ShoppingAisle, 'other'>[]).forEach((aisle) => {
+    AISLE_KEYWORDS[aisle].forEach((keyword) => {
+      if (!key.includes(` ${keyword} `)) return;
+      // The last word names the thing ("chicken broth" is broth), then longer is more specific
+      const score = keyword.length + (key.endsWith(` ${keyword} `) ? 100 : 0);
+      if (score > best.score) best = { aisle, score };
+    });
+  });
+  return best.aisle;
+}
+
+interface ParsedIngredient {
+  key: string;
+  name: string;
+  amounts: ShoppingAmounts;
+}
+
+function addAmount(amounts: ShoppingAmounts, amount: number, unit: string | null, countUnit: string): void {
+  const measure = toBaseMeasure(amount, unit);
+  if (measure) {
+    amounts[measure.kind] += measure.amount;
+  } else {
+    amounts.counts[countUnit] = (amounts.counts[countUnit] || 0) + amount;
+  }
+}
+
+/** Split a leading count unit off the rest: "cloves garlic" → ["clove", "garlic"] */
+function splitCountUnit(rest: string): [string, string] {
+  const [first, ...others] = rest.trim().split(/\s+/);
+  const unit = COUNT_UNITS[(first || '').toLowerCase().replace(/\.$/, '')];
+  if (!unit) return ['', rest];
+  return [unit, others.join(' ').replace(/^of\s+/i, '')];
+}
+
+/**
+ * Parse one ingredient: a free-text line ("2 cups rice") or a logged food,
+ * whose amount comes from its serving label and whose name is the food name.
+ */
+export function parseShoppingIngredient(ingredient: FoodItem | string, factor = 1): ParsedIngredient | null {
+  const amounts = emptyAmounts();
+  let name: string;
+
+  if (typeof ingredient === 'string') {
+    const parsed = parseQuantity(ingredient);
+    if (parsed) {
+      const [countUnit, rest] = parsed.unit ? ['', parsed.rest] : splitCountUnit(parsed.rest);
+      name = rest;
+      addAmount(amounts, parsed.amount * factor, parsed.unit, countUnit);
+    } else {
+      name = ingredient;
+      amounts.unquantified = true;
+    }
+  } else {
+    name = ingredient.name || '';
+    const parsed = parseQuantity(ingredient.serving || '');
+    if (parsed) {
+      // "1 medium" or "2 slices": the serving rest is a count unit, not part of the name
+      const [countUnit] = parsed.unit ? [''] : splitCountUnit(parsed.rest);
+      addAmount(amounts, parsed.amount * factor, parsed.unit, countUnit);
+    } else {
+      amounts.counts[''] = factor;
+    }
+  }
+
+  const key = ingredientKey(name);
+  if (!key) return null;
+  const cleaned = cleanIngredientName(name);
+  return { key, name: cleaned.charAt(0).toUpperCase() + cleaned.slice(1), amounts };
+}
+
+function mergeAmounts(target: ShoppingAmounts, source: ShoppingAmounts): void {
+  target.mass += source.mass;
+  target.volume += source.volume;
+  target.unquantified = target.unquantified || source.unquantified;
+  Object.entries(source.counts).forEach(([unit, amount]) => {
+    target.counts[unit] = (target.counts[unit] || 0) + amount;
+  });
+}
+
+function pluralizeCountUnit(unit: string, amount: number): string {
+  if (amount <= 1) return unit;
+  return /(ch|sh)$/.test(unit) ? `${unit}es` : `${unit}s`;
+}
+
+/** "450 g + 2 cans"; counts are rounded up since you can't buy half an egg */
+export function formatShoppingAmounts(amounts: ShoppingAmounts, system: UnitSystem): string | null {
+  const parts: string[] = [];
+  (['mass', 'volume'] as MeasureKind[]).forEach((kind) => {
+    if (amounts[kind] > 0.5) {
+      const measure = fromBaseMeasure(amounts[kind], kind, system);
+      parts.push(formatQuantity(measure.amount, measure.unit));
+    }
+  });
+  Object.entries(amounts.counts)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([unit, amount]) => {
+      if (amount <= 0.01) return;
+      const rounded = Math.ceil(amount - 0.01);
+      parts.push(unit ? `${rounded} ${pluralizeCountUnit(unit, rounded)}` : String(rounded));
+    });
+  return parts.length > 0 ? parts.join(' + ') : null;
+}
+
+/**
+ * Take what's in the pantry off the list. A pantry entry without an amount
+ * covers the item completely; with one, only the same kind of measure is
+ * reduced (grams can't be taken off a count of cans).
+ */
+function subtractPantry(amounts: ShoppingAmounts, pantry: ParsedIngredient | null): ShoppingAmounts | null {
+  if (!pantry) return amounts;
+  const stock = pantry.amounts;
+  const hasAmount = stock.mass > 0 || stock.volume > 0 || Object.keys(stock.counts).length > 0;
+  if (!hasAmount) return null;
+
+  const remaining: ShoppingAmounts = {
+    mass: Math.max(0, amounts.mass - stock.mass),
+    volume: Math.max(0, amounts.volume - stock.volume),
+    counts: {},
+    unquantified: amounts.unquantified,
+  };
+  Object.entries(amounts.counts).forEach(([unit, amount]) => {
+    const left = amount - (stock.counts[unit] || 0);
+    if (left > 0.01) remaining.counts[unit] = left;
+  });
+
+  const stillNeeded = remaining.mass > 0.5 || remaining.volume > 0.5 || Object.keys(remaining.counts).length > 0;
+  return stillNeeded ? remaining : null;
+}
+
+/** Build the aggregated list, sorted by aisle order and then name */
+export function buildShoppingList(
+  sources: ShoppingSource[],
+  { pantry = [], system = 'metric' }: { pantry?: PantryItem[]; system?: UnitSystem } = {}
+): ShoppingListItem[] {
+  const items = new Map<string, ShoppingListItem>();
+
+  sources.forEach((source) => {
+    const factor = source.factor > 0 ? source.factor : 1;
+    source.ingredients.forEach((ingredient) => {
+      const parsed = parseShoppingIngredient(ingredient, factor);
+      if (!parsed) return;
+      let item = items.get(parsed.key);
+      if (!item) {
+        item = {
+          key: parsed.key,
+          name: parsed.name,
+          aisle: aisleForIngredient(parsed.key),
+          amounts: emptyAmounts(),
+          quantity: null,
+          sources: [],
+        };
+        items.set(parsed.key, item);
+      }
+      mergeAmounts(item.amounts, parsed.amounts);
+      if (source.name && !item.sources.includes(source.name)) item.sources.push(source.name);
+    });
+  });
+
+  const pantryByKey = new Map<string, ParsedIngredient | null>();
+  pantry.forEach((entry) => {
+    const text = entry.quantity ? `${entry.quantity} ${entry.name}` : entry.name;
+    const parsed = parseShoppingIngredient(text);
+    if (parsed) pantryByKey.set(parsed.key, parsed);
+  });
+
+  const result: ShoppingListItem[] = [];
+  items.forEach((item) => {
+    const amounts = pantryByKey.has(item.key) ? subtractPantry(item.amounts, pantryByKey.get(item.key) ?? null) : item.amounts;
+    if (!amounts) return;
+    result.push({ ...item, amounts, quantity: formatShoppingAmounts(amounts, system) });
+  });
+
+  return result.sort((a, b) =>
+    SHOPPING_AISLES.indexOf(a.aisle) - SHOPPING_AISLES.indexOf(b.aisle) || a.name.localeCompare(b.name)
+  );
+}
+
+export function groupByAisle(items: ShoppingListItem[]): ShoppingAisleGroup[] {
+  return SHOPPING_AISLES
+    .map((aisle) => ({ aisle, items: items.filter((item) => item.aisle === aisle) }))
+    .filter((group) => group.items.length > 0);
+}
+
+/**
+ * One source per meal on the plan's remaining days. Plans start on the day
+ * they were generated; ingredient amounts are per person, so `people`
+ * scales them for the household.
+ */
+export function mealPlanSources(plan: PlanLike | null | undefined, { from = new Date(), people = 1 } = {}): ShoppingSource[] {
+  if (!plan || !Array.isArray(plan.days)) return [];
+  const planStart = startOfDay(plan.generatedAt ? new Date(plan.generatedAt) : from);
+  const today = startOfDay(from);
+
+  return (plan.days as PlanDay[]).flatMap((day, index) => {
+    const dayDate = addDays(planStart, (Number(day?.dayNumber) || index + 1) - 1);
+    if (dayDate < today || !Array.isArray(day?.meals)) return [];
+    return day.meals
+      .filter((meal) => Array.isArray(meal?.ingredients) && meal.ingredients.length > 0)
+      .map((meal) => ({
+        name: meal.name || '',
+        ingredients: (meal.ingredients as unknown[]).filter((line): line is string => typeof line === 'string'),
+        factor: Math.max(1, people),
+      }));
+  });
+}
+
+/** One source per picked recipe, scaled from its saved servings to the servings being cooked */
+export function recipeSources(
+  recipes: { id: string; name: string; servings: number; ingredients: (FoodItem | string)[] }[],
+  picks: ShoppingRecipePick[]
+): ShoppingSource[] {
+  return picks.flatMap((pick) => {
+    const recipe = recipes.find((candidate) => candidate.id === pick.id);
+    if (!recipe || pick.servings <= 0) return [];
+    return [{
+      name: recipe.name,
+      ingredients: recipe.ingredients,
+      factor: pick.servings / Math.max(1, recipe.servings || 1),
+    }];
+  });
+}
+
+/** An item stays checked only while the list still asks for the amount that was checked off */
+export function isItemChecked(item: Pick<ShoppingListItem, 'key' | 'quantity'>, checks: Record<string, ShoppingCheck>): boolean {
+  const check = checks[item.key];
+  return Boolean(check?.checked && check.quantity === item.quantity);
+}
+
+/** Toggle an item and drop check records nobody has touched for a month */
+export function toggleShoppingCheck(
+  checks: Record<string, ShoppingCheck>,
+  item: Pick<ShoppingListItem, 'key' | 'quantity'>,
+  now = Date.now()
+): Record<string, ShoppingCheck> {
+  const next: Record<string, ShoppingCheck> = {};
+  Object.entries(checks).forEach(([key, check]) => {
+    if (now - (check?.updatedAt || 0) < CHECK_RETENTION_MS) next[key] = check;
+  });
+  next[item.key] = { checked: !isItemChecked(item, checks), quantity: item.quantity, updatedAt: now };
+  return next;
+}
@@ -0,0 +1,541 @@
+/**
+ * Cloud sync for the local-only trackers (weight, sleep, habits,
+ * supplements, fasting, water) and the shopping list's pantry, recipe
+ * picks and check-off state.
+ *
+ * Every tracker store is split into records (one per list entry or map key)
+ * and mirrored to the `tracker_records` table. Each device remembers the
+ * fingerprint of every record as of its last sync, which lets us run a
+ * three-way merge per record: whichever side changed since the last sync
+ * wins, and when both sides changed the newer edit wins. Local edit times
+ * are kept per record until the server echoes the edit back, and compared
+ * with the row's `updated_at`.
+ *
+ * Pushes go through the OfflineContext queue so edits made offline are
+ * uploaded once connectivity returns.
+ */
+import { useEffect, useState } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getEncryptedItem, setEncryptedItem } from './encryptedStorage';
+import { safeJSONParse } from './validation';
+import { supabase } from './supabase';
+import { Sentry } from './sentry';
+
+export const TRACKER_TABLE = 'tracker_records';
+
+const META_KEY = '@fueliq_tracker_sync_meta';
+const PULL_PAGE_SIZE = 1000;
+
+export type TrackerStoreId =
+  | 'weight'
+  | 'sleep'
+  | 'habits'
+  | 'habit_log'
+  | 'supplements'
+  | 'fasting_state'
+  | 'fasting_history'
+  | 'water'
+  | 'pantry'
+  | 'shopping_recipes'
+  | 'shopping_checks';
+
+type TrackerRecord = unknown;
+
+export interface TrackerStoreDescriptor {
+  id: TrackerStoreId;
+  storageKey: string;
+  /** Stored through lib/encryptedStorage rather than plain AsyncStorage */
+  encrypted: boolean;
+  /**
+   * - list: array of records, keyed by `idField`
+   * - map: object whose keys are record ids
+   * - object: the whole value is a single record
+   */
+  shape: 'list' | 'map' | 'object';
+  idField?: string;
+  /** Epoch ms of the record's own date; lets a backup restore keep the newer copy */
+  getUpdatedAt?: (record: any) => number;
+}
+
+/** `getUpdatedAt` reading an epoch-ms or ISO date field */
+export function timestampOf(field: string) {
+  return (record: any): number => {
+    const value = record?.[field];
+    const time = typeof value === 'number' ? value : new Date(value).getTime();
+    return Number.isFinite(time) ? time : 0;
+  };
+}
+
+export const TRACKER_STORES: TrackerStoreDescriptor[] = [
+  { id: 'weight', storageKey: '@fueliq_weight_history', encrypted: true, shape: 'list', idField: 'date', getUpdatedAt: timestampOf('date') },
+  { id: 'sleep', storageKey: '@fueliq_sleep_history', encrypted: true, shape: 'list', idField: 'date', getUpdatedAt: timestampOf('date') },
+  { id: 'habits', storageKey: '@fueliq_habits', encrypted: false, shape: 'list', idField: 'id', getUpdatedAt: timestampOf('createdAt') },
+  { id: 'habit_log', storageKey: '@fueliq_habits_log', encrypted: false, shape: 'map' },
+  { id: 'supplements', storageKey: '@fueliq_supplements', encrypted: false, shape: 'list', idField: 'id' },
+  { id: 'fasting_state', storageKey: '@fueliq_fasting', encrypted: true, shape: 'object', getUpdatedAt: (state: any) => Math.max(state?.fastStartTime || 0, state?.lastMealTime || 0) },
+  { id: 'fasting_history', storageKey: '@fueliq_fasting_history', encrypted: true, shape: 'list', idField: 'date', getUpdatedAt: timestampOf('date') },
+  { id: 'water', storageKey: '@fueliq_water_history', encrypted: false, shape: 'list', idField: 'date' },
+  { id: 'pantry', storageKey: '@fueliq_pantry', encrypted: false, shape: 'list', idField: 'id', getUpdatedAt: timestampOf('updatedAt') },
+  { id: 'shopping_recipes', storageKey: '@fueliq_shopping_recipes', encrypted: false, shape: 'list', idField: 'id', getUpdatedAt: timestampOf('updatedAt') },
+  { id: 'shopping_checks', storageKey: '@fueliq_shopping_checks', encrypted: false, shape: 'map', getUpdatedAt: timestampOf('updatedAt') },
+];
+
+export function getTrackerStore(id: TrackerStoreId): TrackerStoreDescriptor | undefined {
+  return TRACKER_STORES.find((store) => store.id === id);
+}
+
+// ─── Record fingerprints & three-way merge ───────────────────────────────────
+
+/**
+ * Stable JSON serialisation (object keys sorted) so that two structurally
+ * equal records always produce the same fingerprint.
+ */
+export function fingerprintRecord(value: unknown): string {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value ?? null);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(fingerprintRecord).join(',')}]`;
+  }
+  const keys = Object.keys(value as Record<string, unknown>)
+    .filter((key) => (value as Record<string, unknown>)[key] !== undefined)
+    .sort();
+  return `{${keys.map((key) => `${JSON.stringify(key)}:${fingerprintRecord((value as Record<string, unknown>)[key])}`).join(',')}}`;
+}
+
+const OBJECT_RECORD_ID = 'value';
+
+type RecordLayout = Pick<TrackerStoreDescriptor, 'shape' | 'idField'>;
+
+/** Split a stored value into `{ recordId: record }`. */
+export function toRecordMap(store: RecordLayout, value: unknown): Record<string, TrackerRecord> {
+  const records: Record<string, TrackerRecord> = {};
+  if (value === null || value === undefined) return records;
+
+  if (store.shape === 'list') {
+    if (!Array.isArray(value)) return records;
+    const idField = store.idField || 'id';
+    value.forEach((record) => {
+      const id = record && typeof record === 'object' ? (record as Record<string, unknown>)[idField] : undefined;
+      if (typeof id === 'string' && id.length > 0) {
+        records[id] = record;
+      }
+    });
+  } else if (store.shape === 'map') {
+    if (typeof value !== 'object' || Array.isArray(value)) return records;
+    Object.entries(value as Record<string, unknown>).forEach(([id, record]) => {
+      records[id] = record;
+    });
+  } else if (typeof value === 'object') {
+    records[OBJECT_RECORD_ID] = value;
+  }
+  return records;
+}
+
+/** Inverse of toRecordMap. `previous` is used to keep list ordering stable. */
+export function fromRecordMap(
+  store: RecordLayout,
+  records: Record<string, TrackerRecord>,
+  previous?: unknown
+): unknown {
+  if (store.shape === 'map') {
+    return { ...records };
+  }
+  if (store.shape === 'object') {
+    return records[OBJECT_RECORD_ID] ?? null;
+  }
+
+  const idField = store.idField || 'id';
+  const list = Object.values(records);
+  const previousOrder = new Map<string, number>();
+  if (Array.isArray(previous)) {
+    previous.forEach((record, index) => {
+      const id = record && typeof record === 'object' ? (record as Record<string, unknown>)[idField] : undefined;
+      if (typeof id === 'string') previousOrder.set(id, index);
+    });
+  }
+
+  // Date-keyed stores are kept newest-first like the hooks expect;
+  // id-keyed stores keep their local order with new records appended.
+  if (idField === 'date') {
+    return list.sort((a: any, b: any) => String(b.date).localeCompare(String(a.date)));
+  }
+  return list.sort((a: any, b: any) => {
+    const ai = previousOrder.get(a[idField]) ?? Number.MAX_SAFE_INTEGER;
+    const bi = previousOrder.get(b[idField]) ?? Number.MAX_SAFE_INTEGER;
+    return ai - bi;
+  });
+}
+
+export interface RemoteTrackerRecord {
+  store: TrackerStoreId;
+  record_id: string;
+  payload: TrackerRecord | null;
+  deleted: boolean;
+  /** Client edit time, used for conflict resolution */
+  updated_at: string;
+  /** Server write time (set by trigger), used as the incremental pull cursor */
+  synced_at: string;
+}
+
+export interface TrackerRecordPush {
+  recordId: string;
+  /** null means the record was deleted locally */
+  payload: TrackerRecord | null;
+  updatedAt: string;
+}
+
+export interface ReconcileResult {
+  records: Record<string, TrackerRecord>;
+  /** Fingerprints to remember as the new merge base */
+  base: Record<string, string>;
+  /** Local edit times (epoch ms) of records the server hasn't echoed back yet */
+  edits: Record<string, number>;
+  pushes: TrackerRecordPush[];
+  /** True when remote data changed the local store */
+  localChanged: boolean;
+}
+
+/**
+ * Three-way merge of one tracker store.
+ *
+ * `remote` only needs to contain rows changed since the last pull; any
+ * record missing from it is assumed unchanged on the server.
+ *
+ * `edits` holds the edit times of local changes not yet confirmed by a pull,
+ * and `editedAt` is when the store was last written locally. A record that
+ * differs from its base is stamped with `editedAt`; when the server also
+ * changed it, the stamp is compared with the row's `updated_at`.
+ */
+export function reconcileTrackerStore({
+  local,
+  base,
+  edits = {},
+  remote,
+  editedAt = Date.now(),
+}: {
+  local: Record<string, TrackerRecord>;
+  base: Record<string, string>;
+  edits?: Record<string, number>;
+  remote: RemoteTrackerRecord[];
+  editedAt?: number;
+}): ReconcileResult {
+  const remoteById = new Map<string, RemoteTrackerRecord>();
+  remote.forEach((row) => remoteById.set(row.record_id, row));
+
+  const ids = new Set<string>([
+    ...Object.keys(local),
+    ...Object.keys(base),
+    ...Object.keys(edits),
+    ...remoteById.keys(),
+  ]);
+  const records: Record<string, TrackerRecord> = { ...local };
+  const nextBase: Record<string, string> = {};
+  const nextEdits: Record<string, number> = {};
+  const pushes: TrackerRecordPush[] = [];
+  let localChanged = false;
+
+  const pushLocal = (id: string, localHash: string | null, editTime: number) => {
+    pushes.push({
+      recordId: id,
+      payload: localHash === null ? null : local[id],
+      updatedAt: new Date(editTime).toISOString(),
+    });
+    nextEdits[id] = editTime;
+  };
+
+  const applyRemote = (id: string, row: RemoteTrackerRecord | undefined) => {
+    if (!row || row.deleted || row.payload === null) {
+      if (id in records) {
+        delete records[id];
+        localChanged = true;
+      }
+    } else {
+      records[id] = row.payload;
+      localChanged = true;
+    }
+  };
+
+  ids.forEach((id) => {
+    const localHash = id in local ? fingerprintRecord(local[id]) : null;
+    const baseHash = base[id] ?? null;
+    const row = remoteById.get(id);
+    const remoteHash = row
+      ? (row.deleted || row.payload === null ? null : fingerprintRecord(row.payload))
+      : baseHash;
+
+    // A record that matches its base may still hold an edit the server
+    // hasn't seen yet, if the base was advanced by a push-only sync.
+    const localTime = localHash !== baseHash ? editedAt : edits[id];
+
+    let resolved: string | null;
+
+    if (localHash === remoteHash) {
+      resolved = localHash;
+      if (!row && localTime !== undefined) {
+        nextEdits[id] = localTime;
+      }
+    } else if (localTime === undefined) {
+      applyRemote(id, row);
+      resolved = remoteHash;
+    } else if (remoteHash === baseHash) {
+      pushLocal(id, localHash, localTime);
+      resolved = localHash;
+    } else {
+      // Both sides changed the record since the last sync.
+      const remoteTime = row ? new Date(row.updated_at).getTime() || 0 : 0;
+      if (localTime > remoteTime) {
+        pushLocal(id, localHash, localTime);
+        resolved = localHash;
+      } else {
+        applyRemote(id, row);
+        resolved = remoteHash;
+      }
+    }
+
+    if (resolved !== null) {
+      nextBase[id] = resolved;
+    }
+  });
+
+  return { records, base: nextBase, edits: nextEdits, pushes, localChanged };
+}
+
+// ─── Local storage ───────────────────────────────────────────────────────────
+
+export async function readTrackerStore(store: TrackerStoreDescriptor): Promise<unknown> {
+  if (store.encrypted) {
+    return getEncryptedItem(store.storageKey, null);
+  }
+  const raw = await AsyncStorage.getItem(store.storageKey);
+  return raw ? safeJSONParse(raw, null) : null;
+}
+
+async function writeTrackerStore(store: TrackerStoreDescriptor, value: unknown): Promise<void> {
+  if (store.encrypted) {
+    await setEncryptedItem(store.storageKey, value);
+  } else {
+    await AsyncStorage.setItem(store.storageKey, JSON.stringify(value));
+  }
+}
+
+interface TrackerSyncMeta {
+  userId: string | null;
+  lastPulledAt: string | null;
+  stores: Partial<Record<TrackerStoreId, Record<string, string>>>;
+  /** Per store, local edit times of records not yet echoed by the server */
+  edits?: Partial<Record<TrackerStoreId, Record<string, number>>>;
+}
+
+async function loadMeta(userId: string): Promise<TrackerSyncMeta> {
+  try {
+    const raw = await AsyncStorage.getItem(META_KEY);
+    const parsed = raw ? safeJSONParse<TrackerSyncMeta | null>(raw, null) : null;
+    // Merge bases belong to one account; a different user starts fresh.
+    if (parsed && parsed.userId === userId && parsed.stores) {
+      return parsed;
+    }
+  } catch (e) {
+    Sentry.captureException(e);
+  }
+  return { userId, lastPulledAt: null, stores: {}, edits: {} };
+}
+
+async function saveMeta(meta: TrackerSyncMeta): Promise<void> {
+  try {
+    await AsyncStorage.setItem(META_KEY, JSON.stringify(meta));
+  } catch (e) {
+    Sentry.captureException(e);
+  }
+}
+
+export async function clearTrackerSyncMeta(): Promise<void> {
+  try {
+    await AsyncStorage.removeItem(META_KEY);
+  } catch (e) {
+    Sentry.captureException(e);
+  }
+}
+
+// ─── Change notifications ────────────────────────────────────────────────────
+
+type TrackerListener = (storeId: TrackerStoreId) => void;
+
+const changeListeners = new Set<TrackerListener>();
+const pullListeners = new Set<TrackerListener>();
+
+/** When each store was last written locally, until a sync picks it up */
+const localEditTimes = new Map<TrackerStoreId, number>();
+
+/** Called by tracker hooks after they persist a change. */
+export function notifyTrackerChanged(storeId: TrackerStoreId): void {
+  localEditTimes.set(storeId, Date.now());
+  changeListeners.forEach((listener) => listener(storeId));
+}
+
+/**
+ * Called when a store was rewritten outside its hook (e.g. a backup
+ * restore): mounted hooks reload it and the change is queued for upload.
+ */
+export function notifyTrackerRestored(storeId: TrackerStoreId): void {
+  pullListeners.forEach((listener) => listener(storeId));
+  notifyTrackerChanged(storeId);
+}
+
+export function subscribeTrackerChanges(listener: TrackerListener): () => void {
+  changeListeners.add(listener);
+  return () => {
+    changeListeners.delete(listener);
+  };
+}
+
+export function subscribeTrackerPulls(listener: TrackerListener): () => void {
+  pullListeners.add(listener);
+  return () => {
+    pullListeners.delete(listener);
+  };
+}
+
+/**
+ * Returns a counter that increments whenever a sync rewrites one of the
+ * given stores. Hooks add it to their load effect's deps to re-read storage.
+ */
+export function useTrackerReload(...storeIds: TrackerStoreId[]): number {
+  const [token, setToken] = useState(0);
+  const key = storeIds.join(',');
+
+  useEffect(() => {
+    const ids = new Set(key.split(','));
+    return subscribeTrackerPulls((storeId) => {
+      if (ids.has(storeId)) setToken((t) => t + 1);
+    });
+  }, [key]);
+
+  return token;
+}
+
+// ─── Sync orchestration ──────────────────────────────────────────────────────
+
+export interface TrackerQueueOperation {
+  table: string;
+  type: 'UPSERT';
+  payload: Record<string, unknown>;
+  onConflict: string;
+}
+
+export interface TrackerSyncResult {
+  pulled: number;
+  pushed: number;
+  updatedStores: TrackerStoreId[];
+}
+
+async function fetchRemoteChanges(userId: string, since: string | null): Promise<RemoteTrackerRecord[]> {
+  const rows: RemoteTrackerRecord[] = [];
+  let from = 0;
+
+  while (true) {
+    let query = supabase
+      .from(TRACKER_TABLE)
+      .select('store, record_id, payload, deleted, updated_at, synced_at')
+      .eq('user_id', userId)
+      .order('synced_at', { ascending: true })
+      .range(from, from + PULL_PAGE_SIZE - 1);
+    if (since) {
+      query = query.gt('synced_at', since);
+    }
+    const { data, error } = await query;
+    if (error) throw error;
+    rows.push(...((data || []) as RemoteTrackerRecord[]));
+    if (!data || data.length < PULL_PAGE_SIZE) break;
+    from += PULL_PAGE_SIZE;
+  }
+
+  return rows;
+}
+
+/**
+ * Reconcile every tracker store with the server.
+ *
+ * With `pull: false` no network request is made: local changes are diffed
+ * against the last merge base and queued for upload.
+ */
+export async function syncTrackerStores({
+  userId,
+  queueOperation,
+  pull,
+  storeIds,
+}: {
+  userId: string;
+  queueOperation: (op: TrackerQueueOperation) => Promise<void>;
+  pull: boolean;
+  storeIds?: TrackerStoreId[];
+}): Promise<TrackerSyncResult> {
+  const meta = await loadMeta(userId);
+  const remote = pull ? await fetchRemoteChanges(userId, meta.lastPulledAt) : [];
+
+  const stores = storeIds
+    ? TRACKER_STORES.filter((store) => storeIds.includes(store.id))
+    : TRACKER_STORES;
+  const result: TrackerSyncResult = { pulled: remote.length, pushed: 0, updatedStores: [] };
+
+  const edits = meta.edits || {};
+  meta.edits = edits;
+
+  for (const store of stores) {
+    try {
+      // Edits made before a restart fall back to the time they're first seen
+      const editedAt = localEditTimes.get(store.id);
+      const stored = await readTrackerStore(store);
+      const reconciled = reconcileTrackerStore({
+        local: toRecordMap(store, stored),
+        base: meta.stores[store.id] || {},
+        edits: edits[store.id] || {},
+        remote: remote.filter((row) => row.store === store.id),
+        editedAt,
+      });
+
+      if (reconciled.localChanged) {
+        await writeTrackerStore(store, fromRecordMap(store, reconciled.records, stored));
+        result.updatedStores.push(store.id);
+      }
+
+      for (const push of reconciled.pushes) {
+        await queueOperation({
+          table: TRACKER_TABLE,
+          type: 'UPSERT',
+          payload: {
+            user_id: userId,
+            store: store.id,
+            record_id: push.recordId,
+            payload: push.payload,
+            deleted: push.payload === null,
+            updated_at: push.updatedAt,
+          },
+          onConflict: 'user_id,store,record_id',
+        });
+        result.pushed++;
+      }
+
+      meta.stores[store.id] = reconciled.base;
+      edits[store.id] = reconciled.edits;
+      // Keep the stamp if the store was written again while we were syncing
+      if (editedAt !== undefined && localEditTimes.get(store.id) === editedAt) {
+        localEditTimes.delete(store.id);
+      }
+    } catch (e) {
+      Sentry.captureException(e);
+      if (__DEV__) console.warn(`[TrackerSync] Failed to sync ${store.id}:`, e);
+    }
+  }
+
+  if (remote.length > 0) {
+    meta.lastPulledAt = remote[remote.length - 1].synced_at;
+  }
+  await saveMeta(meta);
+
+  result.updatedStores.forEach((storeId) => {
+    pullListeners.forEach((listener) => listener(storeId));
+  });
+
+  return result;
+}
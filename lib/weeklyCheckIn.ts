@@ -0,0 +1,361 @@
+/**
+ * Weekly Check-In
+ *
+ * Deterministic weekly target review built on the adaptive TDEE engine.
+ * Each week the current estimate and the user's goal rate are turned into a
+ * proposed MacroSet, together with the reasons behind every adjustment so the
+ * change history can explain itself later. Reasons are stored as codes with
+ * numeric params and only turned into text, in the user's language and weight
+ * unit, when displayed.
+ *
+ * Safety bounds applied to every proposal:
+ * 1. Calories never go below a sex-specific floor (1200 / 1500 kcal)
+ * 2. Deficits are capped at 25% of TDEE and surpluses at 15%
+ * 3. Targets move by at most 200 kcal per check-in
+ * 4. Protein and fat keep per-kg minimums; carbs absorb the change
+ */
+
+import i18next from 'i18next';
+import { lbsToKg } from './adaptiveTDEE';
+import type { TDEEEstimate } from './adaptiveTDEE';
+import type { DietPhase } from './dietPhases';
+import { formatDecimal, formatNumber } from './formatters';
+import type { MacroSet } from '../types/common';
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+export interface CheckInInput {
+  estimate: TDEEEstimate;
+  /** Targets currently in effect */
+  current: MacroSet;
+  weightKg: number;
+  gender: 'male' | 'female';
+  goalType: 'cut' | 'maintain' | 'bulk';
+  /** ProfileContext weekly goal key, e.g. 'lose1' */
+  weeklyGoal: string;
+  /** Active diet phase, whose rate replaces the weekly goal */
+  phase?: Pick<DietPhase, 'type' | 'rateLbsPerWeek'> | null;
+}
+
+export type CheckInReasonCode =
+  | 'reverseDiet'
+  | 'lowConfidence'
+  | 'tdeeEstimate'
+  | 'trendLosing'
+  | 'trendGaining'
+  | 'phaseRate'
+  | 'deficitNeeded'
+  | 'surplusNeeded'
+  | 'maintenance'
+  | 'deficitCapped'
+  | 'surplusCapped'
+  | 'calorieFloor'
+  | 'stepLimited'
+  | 'metabolicAdaptation'
+  | 'plateau'
+  | 'noChange';
+
+export interface CheckInReason {
+  code: CheckInReasonCode;
+  /** Calories in kcal, rates in kg per week (always positive), percentages 0-100 */
+  params?: Record<string, number>;
+}
+
+export interface TargetProposal {
+  /** Monday of the check-in week (YYYY-MM-DD) */
+  weekOf: string;
+  createdAt: string;
+  previous: MacroSet;
+  proposed: MacroSet;
+  /** False when the estimate is too uncertain or the change too small to act on */
+  shouldAdjust: boolean;
+  tdee: number;
+  confidence: number;
+  goalRateKgPerWeek: number;
+  /** Older history entries hold English sentences instead of codes */
+  reasons: (CheckInReason | string)[];
+}
+
+export interface TargetChange extends TargetProposal {
+  status: 'accepted' | 'rejected';
+  decidedAt: string;
+}
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Calories per kg of body mass change, matching lib/adaptiveTDEE */
+const KCAL_PER_KG = 7700;
+
+/** Weekly goal keys from ProfileContext, in lbs per week */
+const WEEKLY_GOAL_RATES_LBS: Record<string, number> = {
+  lose2: -2,
+  lose1: -1,
+  lose05: -0.5,
+  maintain: 0,
+  gain05: 0.5,
+  gain1: 1,
+};
+
+/** Minimum confidence before the estimate may move targets */
+export const MIN_CHECK_IN_CONFIDENCE = 0.3;
+
+/** Smallest calorie change worth proposing */
+const MIN_CALORIE_CHANGE = 50;
+
+/** Largest calorie change in a single check-in */
+export const MAX_WEEKLY_CALORIE_STEP = 200;
+
+const CALORIE_FLOOR: Record<CheckInInput['gender'], number> = {
+  female: 1200,
+  male: 1500,
+};
+
+const MAX_DEFICIT_FRACTION = 0.25;
+const MAX_SURPLUS_FRACTION = 0.15;
+
+/** Protein minimum in g per kg of body weight */
+const PROTEIN_G_PER_KG: Record<CheckInInput['goalType'], number> = {
+  cut: 2.0,
+  maintain: 1.6,
+  bulk: 1.6,
+};
+
+const FAT_MIN_G_PER_KG = 0.6;
+const FAT_MIN_CALORIE_FRACTION = 0.2;
+const CARBS_MIN_G = 50;
+
+/** Decisions kept in the target history */
+export const MAX_TARGET_HISTORY = 52;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** Goal rate in kg per week for a ProfileContext weekly goal key (negative = loss). */
+export function goalRateKgPerWeek(weeklyGoal: string): number {
+  return lbsToKg(WEEKLY_GOAL_RATES_LBS[weeklyGoal] ?? 0);
+}
+
+/** Monday of the week containing `date`, as YYYY-MM-DD in local time. */
+export function checkInWeekOf(date: Date): string {
+  const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+  const month = String(monday.getMonth() + 1).padStart(2, '0');
+  const day = String(monday.getDate()).padStart(2, '0');
+  return `${monday.getFullYear()}-${month}-${day}`;
+}
+
+function rateParam(kgPerWeek: number): number {
+  return Math.abs(Math.round(kgPerWeek * 1000) / 1000);
+}
+
+/**
+ * Split a calorie target into macros. Protein and fat keep the larger of the
+ * current amount and their minimums; carbs fill the rest, and fat gives way
+ * (down to its minimum) when carbs would otherwise fall below CARBS_MIN_G.
+ */
+export function distributeMacros(
+  calories: number,
+  current: MacroSet,
+  weightKg: number,
+  goalType: CheckInInput['goalType'],
+): MacroSet {
+  const protein = Math.max(current.protein, Math.round(weightKg * PROTEIN_G_PER_KG[goalType]));
+  const fatFloor = Math.max(
+    Math.round(weightKg * FAT_MIN_G_PER_KG),
+    Math.round((calories * FAT_MIN_CALORIE_FRACTION) / 9),
+  );
+  let fat = Math.max(current.fat, fatFloor);
+  let carbs = Math.round((calories - protein * 4 - fat * 9) / 4);
+
+  if (carbs < CARBS_MIN_G) {
+    fat = Math.max(fatFloor, Math.round((calories - protein * 4 - CARBS_MIN_G * 4) / 9));
+    carbs = Math.max(0, Math.round((calories - protein * 4 - fat * 9) / 4));
+  }
+
+  return { calories, protein, carbs, fat };
+}
+
+// ---------------------------------------------------------------------------
+// Main entry point
+// ---------------------------------------------------------------------------
+
+/**
+ * Build this week's target proposal from the adaptive TDEE estimate.
+ *
+ * The ideal target is TDEE plus the daily energy balance the goal rate needs.
+ * It is then bounded (deficit/surplus cap, calorie floor, weekly step) and
+ * split into macros. `reasons` lists each step that shaped the result.
+ */
+export function proposeWeeklyTargets(input: CheckInInput, now: Date = new Date()): TargetProposal {
+  const { estimate, current, weightKg, gender, weeklyGoal, phase } = input;
+  const rate = phase ? lbsToKg(phase.rateLbsPerWeek) : goalRateKgPerWeek(weeklyGoal);
+  let goalType = input.goalType;
+  if (phase) goalType = phase.type === 'cut' || phase.type === 'bulk' ? phase.type : 'maintain';
+  const reasons: CheckInReason[] = [];
+
+  const base = {
+    weekOf: checkInWeekOf(now),
+    createdAt: now.toISOString(),
+    previous: current,
+    tdee: estimate.tdee,
+    confidence: estimate.confidence,
+    goalRateKgPerWeek: Math.round(rate * 100) / 100,
+  };
+
+  if (phase?.type === 'reverse') {
+    return {
+      ...base,
+      proposed: current,
+      shouldAdjust: false,
+      reasons: [{ code: 'reverseDiet' }],
+    };
+  }
+
+  if (estimate.estimateSource === 'formula' || estimate.confidence < MIN_CHECK_IN_CONFIDENCE) {
+    return {
+      ...base,
+      proposed: current,
+      shouldAdjust: false,
+      reasons: [{ code: 'lowConfidence' }],
+    };
+  }
+
+  reasons.push({
+    code: 'tdeeEstimate',
+    params: {
+      tdee: estimate.tdee,
+      confidence: Math.round(estimate.confidence * 100),
+      days: estimate.dataPoints,
+    },
+  });
+
+  if (estimate.weeklyWeightChange !== 0) {
+    reasons.push({
+      code: estimate.weeklyWeightChange < 0 ? 'trendLosing' : 'trendGaining',
+      params: { kgPerWeek: rateParam(estimate.weeklyWeightChange) },
+    });
+  }
+
+  if (phase) {
+    reasons.push({ code: 'phaseRate' });
+  }
+
+  const dailyBalance = Math.round((rate * KCAL_PER_KG) / 7);
+  let target = estimate.tdee + dailyBalance;
+  if (dailyBalance < 0) {
+    reasons.push({ code: 'deficitNeeded', params: { kgPerWeek: rateParam(rate), kcal: -dailyBalance } });
+  } else if (dailyBalance > 0) {
+    reasons.push({ code: 'surplusNeeded', params: { kgPerWeek: rateParam(rate), kcal: dailyBalance } });
+  } else {
+    reasons.push({ code: 'maintenance' });
+  }
+
+  const minTarget = Math.round(estimate.tdee * (1 - MAX_DEFICIT_FRACTION));
+  const maxTarget = Math.round(estimate.tdee * (1 + MAX_SURPLUS_FRACTION));
+  if (target < minTarget) {
+    target = minTarget;
+    reasons.push({ code: 'deficitCapped', params: { percent: MAX_DEFICIT_FRACTION * 100 } });
+  } else if (target > maxTarget) {
+    target = maxTarget;
+    reasons.push({ code: 'surplusCapped', params: { percent: MAX_SURPLUS_FRACTION * 100 } });
+  }
+
+  if (target < CALORIE_FLOOR[gender]) {
+    target = CALORIE_FLOOR[gender];
+    reasons.push({ code: 'calorieFloor', params: { kcal: CALORIE_FLOOR[gender] } });
+  }
+
+  const change = target - current.calories;
+  if (Math.abs(change) > MAX_WEEKLY_CALORIE_STEP) {
+    target = current.calories + Math.sign(change) * MAX_WEEKLY_CALORIE_STEP;
+    reasons.push({ code: 'stepLimited', params: { kcal: MAX_WEEKLY_CALORIE_STEP } });
+  }
+
+  if (estimate.metabolicAdaptation) {
+    reasons.push({ code: 'metabolicAdaptation' });
+  }
+  if (estimate.plateauDetected) {
+    reasons.push({ code: 'plateau' });
+  }
+
+  target = Math.round(target);
+  if (Math.abs(target - current.calories) < MIN_CALORIE_CHANGE) {
+    return {
+      ...base,
+      proposed: current,
+      shouldAdjust: false,
+      reasons: [...reasons, { code: 'noChange' }],
+    };
+  }
+
+  return {
+    ...base,
+    proposed: distributeMacros(target, current, weightKg, goalType),
+    shouldAdjust: true,
+    reasons,
+  };
+}
+
+/** Add an accepted or rejected proposal to the history, newest first. */
+export function recordTargetDecision(
+  history: TargetChange[],
+  proposal: TargetProposal,
+  status: TargetChange['status'],
+  now: Date = new Date(),
+): TargetChange[] {
+  const entry: TargetChange = { ...proposal, status, decidedAt: now.toISOString() };
+  return [entry, ...history.filter((h) => h.weekOf !== proposal.weekOf)].slice(0, MAX_TARGET_HISTORY);
+}
+
+// ---------------------------------------------------------------------------
+// Display
+// ---------------------------------------------------------------------------
+
+const REASON_KEYS: Record<CheckInReasonCode, string> = {
+  reverseDiet: 'weeklyCheckIn.reasons.reverseDiet',
+  lowConfidence: 'weeklyCheckIn.reasons.lowConfidence',
+  tdeeEstimate: 'weeklyCheckIn.reasons.tdeeEstimate',
+  trendLosing: 'weeklyCheckIn.reasons.trendLosing',
+  trendGaining: 'weeklyCheckIn.reasons.trendGaining',
+  phaseRate: 'weeklyCheckIn.reasons.phaseRate',
+  deficitNeeded: 'weeklyCheckIn.reasons.deficitNeeded',
+  surplusNeeded: 'weeklyCheckIn.reasons.surplusNeeded',
+  maintenance: 'weeklyCheckIn.reasons.maintenance',
+  deficitCapped: 'weeklyCheckIn.reasons.deficitCapped',
+  surplusCapped: 'weeklyCheckIn.reasons.surplusCapped',
+  calorieFloor: 'weeklyCheckIn.reasons.calorieFloor',
+  stepLimited: 'weeklyCheckIn.reasons.stepLimited',
+  metabolicAdaptation: 'weeklyCheckIn.reasons.metabolicAdaptation',
+  plateau: 'weeklyCheckIn.reasons.plateau',
+  noChange: 'weeklyCheckIn.reasons.noChange',
+};
+
+/** A weekly rate in the user's weight unit, e.g. "1 lbs/week" */
+function formatWeeklyRate(kgPerWeek: number, weightUnit: 'kg' | 'lbs'): string {
+  const value = weightUnit === 'lbs' ? kgPerWeek / lbsToKg(1) : kgPerWeek;
+  return i18next.t('weeklyCheckIn.ratePerWeek', {
+    value: formatDecimal(value, 2),
+    unit: i18next.t(`units.${weightUnit}`),
+  });
+}
+
+/** Reason text for display; rates are shown in `weightUnit`. */
+export function describeCheckInReason(reason: CheckInReason | string, weightUnit: 'kg' | 'lbs' = 'kg'): string {
+  if (typeof reason === 'string') return reason;
+  const key = REASON_KEYS[reason.code];
+  if (!key) return '';
+
+  const params = reason.params || {};
+  return i18next.t(key, {
+    tdee: params.tdee !== undefined ? formatNumber(params.tdee) : undefined,
+    kcal: params.kcal !== undefined ? formatNumber(params.kcal) : undefined,
+    confidence: params.confidence,
+    percent: params.percent,
+    count: params.days,
+    rate: params.kgPerWeek !== undefined ? formatWeeklyRate(params.kgPerWeek, weightUnit) : undefined,
+  });
+}
@@ -4,6 +4,8 @@
  * periodization, muscle group heatmaps, and workout scoring.
  */
 
+import { shouldDeload } from './aiCoaching';
+
 // ============================================================================
 // 1RM CALCULATIONS
 // ============================================================================
@@ -146,6 +148,185 @@ function detectOverloadOpportunity(exerciseHistory: ExerciseHistoryEntry[]): Ove
   return { exercise: latest.name, suggestions, lastPerformance: latest };
 }
 
+// ============================================================================
+// SESSION TARGETS & RPE AUTO-REGULATION
+// ============================================================================
+
+export interface LoggedSet {
+  weight: number;
+  reps: number;
+  rpe?: number;
+}
+
+export interface SessionTarget {
+  sets: number;
+  reps: number | null;
+  weight: number | null;
+  rpe: number;
+}
+
+interface RepTarget {
+  min: number;
+  max: number;
+}
+
+interface SessionTargetOptions {
+  week?: number;
+  totalWeeks?: number;
+  deload?: boolean;
+}
+
+type PerformanceTrend = 'improving' | 'stable' | 'stagnant' | 'declining';
+
+interface ProgramDeloadInput {
+  weeksSinceDeload: number;
+  /** Logged sessions per exercise, most recent first */
+  history: Record<string, LoggedSet[][]>;
+  plannedDeload?: boolean;
+}
+
+type ProgramDeloadResult = ReturnType<typeof shouldDeload> & { performanceTrend: PerformanceTrend };
+
+// Sets logged before RPE was tracked are assumed to have left ~2 reps in the tank
+const DEFAULT_LOGGED_RPE: number = 8;
+// Rep-max estimates get unreliable past this many reps to failure
+const MAX_ESTIMATE_REPS: number = 15;
+// Auto-regulation never moves the next set more than this from the last one
+const MAX_SET_ADJUSTMENT: number = 0.1;
+
+const roundToPlate = (weight: number): number => Math.round(weight / 2.5) * 2.5;
+
+/**
+ * Parse a program rep prescription ("8", "8-10", "10 each").
+ * Timed or open-ended prescriptions ("45s hold", "max") return null.
+ */
+function parseRepTarget(reps: string | number | undefined): RepTarget | null {
+  if (typeof reps === 'number') return reps > 0 ? { min: reps, max: reps } : null;
+  const match: RegExpMatchArray | null = String(reps ?? '').trim().match(/^(\d+)(?:\s*-\s*(\d+))?(?:\s+each)?$/i);
+  if (!match) return null;
+  const min: number = parseInt(match[1], 10);
+  const max: number = match[2] ? parseInt(match[2], 10) : min;
+  return min > 0 && max >= min ? { min, max } : null;
+}
+
+/**
+ * Estimate 1RM from a logged set, counting the reps left in reserve (10 - RPE).
+ * Uses the Brzycki estimate so it round-trips with calculateWorkingWeight.
+ */
+function estimateOneRepMax(set: LoggedSet): number | null {
+  if (!set.weight || !set.reps) return null;
+  const repsToFailure: number = set.reps + Math.max(0, 10 - (set.rpe ?? DEFAULT_LOGGED_RPE));
+  if (repsToFailure > MAX_ESTIMATE_REPS) return null;
+  const result: OneRMResult | null = calculate1RM(set.weight, repsToFailure);
+  if (!result) return null;
+  return result.formulas.brzycki ?? result.estimated1RM;
+}
+
+function bestOneRepMax(sets: LoggedSet[]): number | null {
+  const estimates: number[] = sets.map(estimateOneRepMax).filter((value): value is number => value !== null);
+  return estimates.length > 0 ? Math.max(...estimates) : null;
+}
+
+/**
+ * Target RPE for a program week: ramps from 7 in week 1 to 9 in the final
+ * week, 6 on deload weeks and 8 outside a program.
+ */
+function getTargetRPE(week?: number, totalWeeks?: number, deload: boolean = false): number {
+  if (deload) return 6;
+  if (!week || !totalWeeks || totalWeeks <= 1) return 8;
+  const progress: number = Math.min(1, Math.max(0, (week - 1) / (totalWeeks - 1)));
+  return Math.round(7 + 2 * progress);
+}
+
+/**
+ * Prescribe today's sets, reps, weight and RPE for an exercise from its
+ * logged history (most recent session first). Deloads cut volume by ~40%.
+ */
+function prescribeSessionTarget(
+  exercise: { sets?: string | number; reps?: string | number },
+  history: LoggedSet[][],
+  options: SessionTargetOptions = {}
+): SessionTarget {
+  const { week, totalWeeks, deload = false } = options;
+  const plannedSets: number = parseInt(String(exercise.sets), 10) || 3;
+  const sets: number = deload ? Math.max(1, Math.round(plannedSets * 0.6)) : plannedSets;
+  const rpe: number = getTargetRPE(week, totalWeeks, deload);
+  const reps: number | null = parseRepTarget(exercise.reps)?.max ?? null;
+
+  const repsToFailure: number = (reps ?? 0) + (10 - rpe);
+  const oneRM: number | null = history.length > 0 ? bestOneRepMax(history[0]) : null;
+  const weight: number | null = reps && oneRM && repsToFailure <= MAX_ESTIMATE_REPS
+    ? calculateWorkingWeight(oneRM, repsToFailure)
+    : null;
+
+  return { sets, reps, weight: weight || null, rpe };
+}
+
+/**
+ * Weight for the next set after a completed one: re-estimates 1RM from the
+ * logged reps and RPE, then solves for the target reps and RPE.
+ */
+function autoRegulateNextWeight(completed: LoggedSet, target: { reps: number; rpe: number }): number | null {
+  const oneRM: number | null = estimateOneRepMax(completed);
+  const repsToFailure: number = target.reps + (10 - target.rpe);
+  if (!oneRM || !target.reps || repsToFailure > MAX_ESTIMATE_REPS) return null;
+  const next: number | null = calculateWorkingWeight(oneRM, repsToFailure);
+  if (!next) return null;
+  const floor: number = completed.weight * (1 - MAX_SET_ADJUSTMENT);
+  const ceiling: number = completed.weight * (1 + MAX_SET_ADJUSTMENT);
+  return roundToPlate(Math.min(ceiling, Math.max(floor, next)));
+}
+
+/**
+ * Compare each exercise's latest estimated 1RM with its previous sessions.
+ */
+function getPerformanceTrend(history: Record<string, LoggedSet[][]>): PerformanceTrend {
+  const changes: number[] = [];
+  let longestHistory: number = 0;
+
+  for (const sessions of Object.values(history)) {
+    const estimates: number[] = sessions
+      .slice(0, 4)
+      .map(bestOneRepMax)
+      .filter((value): value is number => value !== null);
+    if (estimates.length < 2) continue;
+    const [latest, ...earlier] = estimates;
+    const baseline: number = earlier.reduce((s: number, v: number) => s + v, 0) / earlier.length;
+    changes.push(latest / baseline - 1);
+    longestHistory = Math.max(longestHistory, estimates.length);
+  }
+
+  if (changes.length === 0) return 'stable';
+  const average: number = changes.reduce((s: number, v: number) => s + v, 0) / changes.length;
+  if (average >= 0.02) return 'improving';
+  if (average <= -0.03) return 'declining';
+  return longestHistory >= 3 ? 'stagnant' : 'stable';
+}
+
+function isDeloadWeek(theme: string | undefined): boolean {
+  return /deload/i.test(theme || '');
+}
+
+/**
+ * Weeks of training since the program's last deload week before `week`.
+ */
+function weeksSinceDeload(weeks: Array<{ theme?: string }>, week: number): number {
+  for (let w = week - 1; w >= 1; w--) {
+    if (isDeloadWeek(weeks[w - 1]?.theme)) return week - 1 - w;
+  }
+  return week - 1;
+}
+
+/**
+ * Decide whether a program session should be run as a deload, using the
+ * coaching deload score plus any deload week written into the program.
+ */
+function evaluateProgramDeload({ weeksSinceDeload: weeks, history, plannedDeload = false }: ProgramDeloadInput): ProgramDeloadResult {
+  const performanceTrend: PerformanceTrend = getPerformanceTrend(history);
+  const result = shouldDeload({ weeksSinceDeload: weeks, performanceTrend });
+  return { ...result, shouldDeload: result.shouldDeload || plannedDeload, performanceTrend };
+}
+
 // ============================================================================
 // VOLUME ANALYSIS
 // ============================================================================
@@ -528,6 +709,15 @@ export {
   calculateWorkingWeight,
   generateTrainingLoads,
   detectOverloadOpportunity,
+  parseRepTarget,
+  estimateOneRepMax,
+  getTargetRPE,
+  prescribeSessionTarget,
+  autoRegulateNextWeight,
+  getPerformanceTrend,
+  isDeloadWeek,
+  weeksSinceDeload,
+  evaluateProgramDeload,
   calculateWeeklyVolume,
   generateMuscleHeatmap,
   PERIODIZATION_TEMPLATES,
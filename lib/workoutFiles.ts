@@ -0,0 +1,657 @@
+/**
+ * GPX and TCX workout files: builds them from workout history entries and
+ * Health app sessions, and reads them back into the workout history shape.
+ * FIT files are decoded by lib/fitParser into the same WorkoutTrack.
+ *
+ * XML is read with a small tag scanner rather than a DOM parser. GPX and
+ * TCX files are machine-written and never nest an element inside another
+ * of the same name, which is all the scanner relies on.
+ */
+import { calculateDistance } from './biometrics';
+import { simplifyRoute, summarizeRoute } from './outdoorSession';
+import type { OutdoorActivity, RoutePoint, SavedRoute } from './outdoorSession';
+import type { UnitSystem } from './formatters';
+import type { HeartRateSample, WorkoutSession } from '../services/healthService';
+
+export type WorkoutSport = 'running' | 'cycling' | 'walking' | 'other';
+export type WorkoutFileFormat = 'gpx' | 'tcx' | 'fit';
+
+export interface TrackSample {
+  /** Epoch ms */
+  timestamp: number;
+  lat?: number;
+  lon?: number;
+  elevation?: number;
+  heartRate?: number;
+  /** Goes up after every pause, like RoutePoint.segment */
+  segment: number;
+}
+
+export interface WorkoutLap {
+  startTime: number;
+  durationSeconds: number;
+  distanceM: number | null;
+  calories: number;
+  averageHeartRate: number | null;
+  maxHeartRate: number | null;
+}
+
+export interface TrackExercise {
+  name: string;
+  /** Weight in lbs, like the rest of workout history */
+  sets: Array<{ weight: number; reps: number }>;
+}
+
+/** A workout as it travels through a file, independent of the format */
+export interface WorkoutTrack {
+  name: string;
+  sport: WorkoutSport;
+  /** Epoch ms */
+  startTime: number;
+  durationSeconds: number;
+  calories: number;
+  distanceM: number | null;
+  averageHeartRate: number | null;
+  maxHeartRate: number | null;
+  laps: WorkoutLap[];
+  samples: TrackSample[];
+  exercises: TrackExercise[];
+}
+
+/** The parts of a useWorkoutHistory entry a file can carry */
+export interface HistoryWorkoutLike {
+  date: string;
+  name: string;
+  type?: string;
+  duration: number;
+  calories: number;
+  exercises?: TrackExercise[];
+  route?: SavedRoute;
+  hrSamples?: HeartRateSample[];
+}
+
+/** A parsed file entry ready for useWorkoutHistory.importWorkouts */
+export interface ImportedWorkout extends HistoryWorkoutLike {
+  emoji: string;
+  type: string;
+  exercises: TrackExercise[];
+  notes: string;
+}
+
+// Imported files can have a fix every second; keep history entries small
+const MAX_HR_SAMPLES = 600;
+
+const SPORT_NAMES: Record<WorkoutSport, string> = {
+  running: 'Run',
+  cycling: 'Ride',
+  walking: 'Walk',
+  other: 'Workout',
+};
+
+const SPORT_EMOJI: Record<WorkoutSport, string> = {
+  running: '🏃',
+  cycling: '🚴',
+  walking: '🚶',
+  other: '💪',
+};
+
+const SPORT_BY_ACTIVITY: Record<OutdoorActivity, WorkoutSport> = {
+  run: 'running',
+  walk: 'walking',
+  ride: 'cycling',
+};
+
+const ACTIVITY_BY_SPORT: Record<WorkoutSport, OutdoorActivity> = {
+  running: 'run',
+  walking: 'walk',
+  cycling: 'ride',
+  other: 'walk',
+};
+
+const TCX_SPORTS: Record<WorkoutSport, string> = {
+  running: 'Running',
+  cycling: 'Biking',
+  walking: 'Other',
+  other: 'Other',
+};
+
+/** Best guess at the sport from a free-text type ("Running", "road_biking", "Hike") */
+export function sportFromText(text: string | null | undefined): WorkoutSport {
+  const value = (text || '').toLowerCase();
+  if (/run|jog/.test(value)) return 'running';
+  if (/bik|cycl|ride/.test(value)) return 'cycling';
+  if (/walk|hik/.test(value)) return 'walking';
+  return 'other';
+}
+
+export function hasPositions(track: WorkoutTrack): boolean {
+  return track.samples.some((s) => s.lat !== undefined && s.lon !== undefined);
+}
+
+function heartRateStats(samples: TrackSample[]): { average: number | null; max: number | null } {
+  const values = samples.map((s) => s.heartRate).filter((hr): hr is number => !!hr && hr > 0);
+  if (values.length === 0) return { average: null, max: null };
+  return {
+    average: Math.round(values.reduce((sum, hr) => sum + hr, 0) / values.length),
+    max: Math.max(...values),
+  };
+}
+
+function positionedPoints(samples: TrackSample[]): RoutePoint[] {
+  return samples
+    .filter((s) => s.lat !== undefined && s.lon !== undefined)
+    .map((s) => ({
+      lat: s.lat as number,
+      lon: s.lon as number,
+      elevation: s.elevation,
+      timestamp: s.timestamp,
+      segment: s.segment,
+    }));
+}
+
+// ============================================================================
+// FROM APP RECORDS
+// ============================================================================
+
+/** A workout history entry as a track. Entries are stamped when they finish. */
+export function trackFromHistory(workout: HistoryWorkoutLike): WorkoutTrack {
+  const hrByTime = new Map<number, number>();
+  for (const sample of workout.hrSamples || []) {
+    const time = Date.parse(sample.timestamp);
+    if (!Number.isNaN(time)) hrByTime.set(time, sample.value);
+  }
+
+  const samples: TrackSample[] = (workout.route?.points || []).map((point) => ({
+    timestamp: point.timestamp,
+    lat: point.lat,
+    lon: point.lon,
+    elevation: point.elevation,
+    heartRate: hrByTime.get(point.timestamp),
+    segment: point.segment,
+  }));
+  const routeTimes = new Set(samples.map((s) => s.timestamp));
+  for (const [timestamp, heartRate] of hrByTime) {
+    if (!routeTimes.has(timestamp)) samples.push({ timestamp, heartRate, segment: -1 });
+  }
+  samples.sort((a, b) => a.timestamp - b.timestamp);
+  // Heart rate between fixes belongs to the segment it was recorded in
+  let segment = samples.find((s) => s.segment >= 0)?.segment ?? 0;
+  for (const sample of samples) {
+    if (sample.segment < 0) sample.segment = segment;
+    else segment = sample.segment;
+  }
+
+  const durationSeconds = workout.route?.movingSeconds || Math.round((workout.duration || 0) * 60);
+  const startTime = samples.length > 0
+    ? samples[0].timestamp
+    : Date.parse(workout.date) - durationSeconds * 1000;
+  const hr = heartRateStats(samples);
+  const distanceM = workout.route ? workout.route.distanceM : null;
+  const sport = workout.route ? SPORT_BY_ACTIVITY[workout.route.activity] : sportFromText(workout.type);
+
+  return {
+    name: workout.name,
+    sport,
+    startTime,
+    durationSeconds,
+    calories: workout.calories || 0,
+    distanceM,
+    averageHeartRate: hr.average,
+    maxHeartRate: hr.max,
+    laps: [{
+      startTime,
+      durationSeconds,
+      distanceM,
+      calories: workout.calories || 0,
+      averageHeartRate: hr.average,
+      maxHeartRate: hr.max,
+    }],
+    samples,
+    exercises: workout.exercises || [],
+  };
+}
+
+/**
+ * A Health app session as a track. Sessions only carry totals, so pass the
+ * heart rate samples recorded during it to include a heart rate trace.
+ */
+export function trackFromHealthSession(session: WorkoutSession, hrSamples: HeartRateSample[] = []): WorkoutTrack {
+  const startTime = Date.parse(session.startDate);
+  const endTime = Date.parse(session.endDate);
+  const durationSeconds = endTime > startTime
+    ? Math.round((endTime - startTime) / 1000)
+    : session.durationMinutes * 60;
+  const samples: TrackSample[] = hrSamples
+    .map((sample) => ({ timestamp: Date.parse(sample.timestamp), heartRate: sample.value, segment: 0 }))
+    .filter((s) => s.timestamp >= startTime && s.timestamp <= startTime + durationSeconds * 1000)
+    .sort((a, b) => a.timestamp - b.timestamp);
+  const hr = heartRateStats(samples);
+  const calories = session.activeCalories || session.totalCalories || 0;
+  const averageHeartRate = session.averageHeartRate ?? hr.average;
+  const maxHeartRate = session.maxHeartRate ?? hr.max;
+  const sport = sportFromText(session.type);
+
+  return {
+    name: session.type || SPORT_NAMES[sport],
+    sport,
+    startTime,
+    durationSeconds,
+    calories,
+    distanceM: session.distance,
+    averageHeartRate,
+    maxHeartRate,
+    laps: [{ startTime, durationSeconds, distanceM: session.distance, calories, averageHeartRate, maxHeartRate }],
+    samples,
+    exercises: [],
+  };
+}
+
+// ============================================================================
+// TO WORKOUT HISTORY
+// ============================================================================
+
+function thinSamples<T>(items: T[], max: number): T[] {
+  if (items.length <= max) return items;
+  const step = Math.ceil(items.length / max);
+  return items.filter((_, i) => i % step === 0);
+}
+
+/**
+ * Map a parsed track onto a workout history entry: GPS samples become a
+ * simplified route, heart rate becomes a thinned sample list, and the entry
+ * is dated when the workout finished.
+ */
+export function toImportedWorkout(track: WorkoutTrack, system: UnitSystem = 'metric'): ImportedWorkout {
+  const points = positionedPoints(track.samples);
+  let route: SavedRoute | undefined;
+  if (points.length > 1) {
+    route = {
+      ...summarizeRoute(points, system),
+      activity: ACTIVITY_BY_SPORT[track.sport],
+      splitUnit: system,
+      points: simplifyRoute(points),
+    };
+  }
+
+  const heartRates = track.samples.filter((s) => s.heartRate && s.heartRate > 0);
+  const hrSamples: HeartRateSample[] = thinSamples(heartRates, MAX_HR_SAMPLES).map((s) => ({
+    value: s.heartRate as number,
+    timestamp: new Date(s.timestamp).toISOString(),
+  }));
+
+  const isStrength = track.exercises.length > 0;
+  return {
+    date: new Date(track.startTime + track.durationSeconds * 1000).toISOString(),
+    name: track.name || SPORT_NAMES[track.sport],
+    emoji: isStrength ? '🏋️' : SPORT_EMOJI[track.sport],
+    type: isStrength ? 'strength' : 'cardio',
+    duration: Math.max(1, Math.round(track.durationSeconds / 60)),
+    calories: Math.round(track.calories),
+    exercises: track.exercises,
+    notes: '',
+    ...(route ? { route } : {}),
+    ...(hrSamples.length > 0 ? { hrSamples } : {}),
+  };
+}
+
+// ============================================================================
+// XML HELPERS
+// ============================================================================
+
+interface XmlElement {
+  attrs: Record<string, string>;
+  inner: string;
+}
+
+function escapeXml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function decodeXml(value: string): string {
+  return value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex: string) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec: string) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/** Every `<tag>` element, with or without a namespace prefix */
+function xmlElements(xml: string, tag: string): XmlElement[] {
+  const pattern = new RegExp(
+    `<(?:[\\w.-]+:)?${tag}(\\s[^>]*?)?(?:\\/>|>([\\s\\S]*?)<\\/(?:[\\w.-]+:)?${tag}\\s*>)`,
+    'g'
+  );
+  const elements: XmlElement[] = [];
+  let match: RegExpExecArray | null;
+  while ((match = pattern.exec(xml)) !== null) {
+    const attrs: Record<string, string> = {};
+    const attrPattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let attr: RegExpExecArray | null;
+    while ((attr = attrPattern.exec(match[1] || '')) !== null) {
+      attrs[attr[1].replace(/^[\w.-]+:/, '')] = decodeXml(attr[2] ?? attr[3]);
+    }
+    elements.push({ attrs, inner: match[2] || '' });
+  }
+  return elements;
+}
+
+function xmlText(xml: string, tag: string): string | null {
+  const [element] = xmlElements(xml, tag);
+  if (!element) return null;
+  const text = decodeXml(element.inner).trim();
+  return text || null;
+}
+
+function xmlNumber(xml: string, tag: string): number | undefined {
+  const text = xmlText(xml, tag);
+  if (text === null) return undefined;
+  const value = parseFloat(text);
+  return Number.isFinite(value) ? value : undefined;
+}
+
+/** Drop nested `<tag>` blocks so a parent's own fields can be read */
+function withoutElements(xml: string, tag: string): string {
+  return xml.replace(
+    new RegExp(`<(?:[\\w.-]+:)?${tag}\\b[\\s\\S]*?<\\/(?:[\\w.-]+:)?${tag}\\s*>`, 'g'),
+    ''
+  );
+}
+
+function isoTime(ms: number): string {
+  return new Date(ms).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+function round(value: number, decimals: number): string {
+  return String(Math.round(value * 10 ** decimals) / 10 ** decimals);
+}
+
+// ============================================================================
+// GPX
+// ============================================================================
+
+/** GPX 1.1 with Garmin's TrackPointExtension for heart rate. Tracks need GPS samples. */
+export function buildGPX(tracks: WorkoutTrack[]): string {
+  const body = tracks
+    .filter(hasPositions)
+    .map((track) => {
+      const segments = new Map<number, TrackSample[]>();
+      for (const sample of track.samples) {
+        if (sample.lat === undefined || sample.lon === undefined) continue;
+        const list = segments.get(sample.segment) || [];
+        list.push(sample);
+        segments.set(sample.segment, list);
+      }
+      const segmentXml = [...segments.values()].map((samples) => {
+        const points = samples.map((s) => {
+          const children = [
+            s.elevation !== undefined ? `<ele>${round(s.elevation, 1)}</ele>` : '',
+            `<time>${isoTime(s.timestamp)}</time>`,
+            s.heartRate
+              ? `<extensions><gpxtpx:TrackPointExtension><gpxtpx:hr>${Math.round(s.heartRate)}</gpxtpx:hr></gpxtpx:TrackPointExtension></extensions>`
+              : '',
+          ].join('');
+          return `      <trkpt lat="${round(s.lat as number, 7)}" lon="${round(s.lon as number, 7)}">${children}</trkpt>`;
+        });
+        return `    <trkseg>\n${points.join('\n')}\n    </trkseg>`;
+      });
+      return [
+        '  <trk>',
+        `    <name>${escapeXml(track.name)}</name>`,
+        `    <type>${track.sport}</type>`,
+        ...segmentXml,
+        '  </trk>',
+      ].join('\n');
+    });
+
+  const firstStart = tracks.length > 0 ? Math.min(...tracks.map((t) => t.startTime)) : Date.now();
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="FuelIQ" xmlns="http://www.topografix.com/GPX/1/1"'
+      + ' xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1"'
+      + ' xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"'
+      + ' xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">',
+    `  <metadata><time>${isoTime(firstStart)}</time></metadata>`,
+    ...body,
+    '</gpx>',
+    '',
+  ].join('\n');
+}
+
+/** Read every timed `<trk>` in a GPX file. Routes and waypoints are ignored. */
+export function parseGPX(xml: string): WorkoutTrack[] {
+  if (!/<(?:[\w.-]+:)?gpx[\s>]/.test(xml)) {
+    throw new Error('This file is not a GPX file.');
+  }
+
+  const tracks: WorkoutTrack[] = [];
+  for (const trk of xmlElements(xml, 'trk')) {
+    const header = withoutElements(trk.inner, 'trkseg');
+    const samples: TrackSample[] = [];
+    xmlElements(trk.inner, 'trkseg').forEach((segment, segmentIndex) => {
+      for (const point of xmlElements(segment.inner, 'trkpt')) {
+        const timestamp = Date.parse(xmlText(point.inner, 'time') || '');
+        const lat = parseFloat(point.attrs.lat);
+        const lon = parseFloat(point.attrs.lon);
+        if (Number.isNaN(timestamp) || !Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+        samples.push({
+          timestamp,
+          lat,
+          lon,
+          elevation: xmlNumber(point.inner, 'ele'),
+          heartRate: xmlNumber(point.inner, 'hr'),
+          segment: segmentIndex,
+        });
+      }
+    });
+    if (samples.length < 2) continue;
+
+    samples.sort((a, b) => a.timestamp - b.timestamp);
+    const sport = sportFromText(xmlText(header, 'type'));
+    const summary = summarizeRoute(positionedPoints(samples));
+    const hr = heartRateStats(samples);
+    const startTime = samples[0].timestamp;
+    tracks.push({
+      name: xmlText(header, 'name') || SPORT_NAMES[sport],
+      sport,
+      startTime,
+      durationSeconds: summary.movingSeconds,
+      calories: 0,
+      distanceM: summary.distanceM,
+      averageHeartRate: hr.average,
+      maxHeartRate: hr.max,
+      laps: [{
+        startTime,
+        durationSeconds: summary.movingSeconds,
+        distanceM: summary.distanceM,
+        calories: 0,
+        averageHeartRate: hr.average,
+        maxHeartRate: hr.max,
+      }],
+      samples,
+      exercises: [],
+    });
+  }
+
+  if (tracks.length === 0) {
+    throw new Error('This GPX file has no recorded track with times.');
+  }
+  return tracks;
+}
+
+// ============================================================================
+// TCX
+// ============================================================================
+
+function tcxTrackpoints(samples: TrackSample[]): string {
+  let distanceM = 0;
+  let previous: TrackSample | null = null;
+  return samples.map((s) => {
+    const positioned = s.lat !== undefined && s.lon !== undefined;
+    if (positioned && previous && previous.segment === s.segment) {
+      distanceM += calculateDistance(previous.lat as number, previous.lon as number, s.lat as number, s.lon as number);
+    }
+    if (positioned) previous = s;
+    return [
+      '            <Trackpoint>',
+      `              <Time>${isoTime(s.timestamp)}</Time>`,
+      positioned
+        ? `              <Position><LatitudeDegrees>${round(s.lat as number, 7)}</LatitudeDegrees><LongitudeDegrees>${round(s.lon as number, 7)}</LongitudeDegrees></Position>`
+        : '',
+      s.elevation !== undefined ? `              <AltitudeMeters>${round(s.elevation, 1)}</AltitudeMeters>` : '',
+      positioned ? `              <DistanceMeters>${round(distanceM, 1)}</DistanceMeters>` : '',
+      s.heartRate ? `              <HeartRateBpm><Value>${Math.round(s.heartRate)}</Value></HeartRateBpm>` : '',
+      '            </Trackpoint>',
+    ].filter(Boolean).join('\n');
+  }).join('\n');
+}
+
+/** Garmin Training Center v2. Works for sessions without GPS too. */
+export function buildTCX(tracks: WorkoutTrack[]): string {
+  const activities = tracks.map((track) => {
+    const laps = track.laps.map((lap, i) => {
+      const lapEnd = i + 1 < track.laps.length ? track.laps[i + 1].startTime : Infinity;
+      const lapSamples = track.samples.filter((s) => s.timestamp >= lap.startTime && s.timestamp < lapEnd);
+      const bySegment = new Map<number, TrackSample[]>();
+      for (const sample of lapSamples) {
+        const list = bySegment.get(sample.segment) || [];
+        list.push(sample);
+        bySegment.set(sample.segment, list);
+      }
+      const trackXml = [...bySegment.values()]
+        .map((samples) => `          <Track>\n${tcxTrackpoints(samples)}\n          </Track>`);
+
+      return [
+        `        <Lap StartTime="${isoTime(lap.startTime)}">`,
+        `          <TotalTimeSeconds>${round(lap.durationSeconds, 1)}</TotalTimeSeconds>`,
+        `          <DistanceMeters>${round(lap.distanceM ?? 0, 1)}</DistanceMeters>`,
+        `          <Calories>${Math.round(lap.calories)}</Calories>`,
+        lap.averageHeartRate ? `          <AverageHeartRateBpm><Value>${Math.round(lap.averageHeartRate)}</Value></AverageHeartRateBpm>` : '',
+        lap.maxHeartRate ? `          <MaximumHeartRateBpm><Value>${Math.round(lap.maxHeartRate)}</Value></MaximumHeartRateBpm>` : '',
+        '          <Intensity>Active</Intensity>',
+        '          <TriggerMethod>Manual</TriggerMethod>',
+        ...trackXml,
+        '        </Lap>',
+      ].filter(Boolean).join('\n');
+    });
+
+    return [
+      `    <Activity Sport="${TCX_SPORTS[track.sport]}">`,
+      `      <Id>${isoTime(track.startTime)}</Id>`,
+      ...laps,
+      `      <Notes>${escapeXml(track.name)}</Notes>`,
+      '    </Activity>',
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2"'
+      + ' xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"'
+      + ' xsi:schemaLocation="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2 http://www.garmin.com/xmlschemas/TrainingCenterDatabasev2.xsd">',
+    '  <Activities>',
+    ...activities,
+    '  </Activities>',
+    '</TrainingCenterDatabase>',
+    '',
+  ].join('\n');
+}
+
+/** Read every `<Activity>` in a TCX file, keeping laps, GPS, altitude and heart rate */
+export function parseTCX(xml: string): WorkoutTrack[] {
+  if (!/<(?:[\w.-]+:)?TrainingCenterDatabase[\s>]/.test(xml)) {
+    throw new Error('This file is not a TCX file.');
+  }
+
+  const tracks: WorkoutTrack[] = [];
+  for (const activity of xmlElements(xml, 'Activity')) {
+    const sport = sportFromText(activity.attrs.Sport);
+    const laps: WorkoutLap[] = [];
+    const samples: TrackSample[] = [];
+    let segment = 0;
+
+    for (const lap of xmlElements(activity.inner, 'Lap')) {
+      const summary = withoutElements(lap.inner, 'Track');
+      const lapStart = Date.parse(lap.attrs.StartTime || '');
+      // Devices start a new Track inside a lap when the timer is paused
+      xmlElements(lap.inner, 'Track').forEach((track, trackIndex) => {
+        if (trackIndex > 0) segment += 1;
+        for (const point of xmlElements(track.inner, 'Trackpoint')) {
+          const timestamp = Date.parse(xmlText(point.inner, 'Time') || '');
+          if (Number.isNaN(timestamp)) continue;
+          const heartRate = xmlText(point.inner, 'HeartRateBpm');
+          samples.push({
+            timestamp,
+            lat: xmlNumber(point.inner, 'LatitudeDegrees'),
+            lon: xmlNumber(point.inner, 'LongitudeDegrees'),
+            elevation: xmlNumber(point.inner, 'AltitudeMeters'),
+            heartRate: heartRate ? xmlNumber(heartRate, 'Value') : undefined,
+            segment,
+          });
+        }
+      });
+      if (Number.isNaN(lapStart)) continue;
+      const averageHeartRate = xmlText(summary, 'AverageHeartRateBpm');
+      const maxHeartRate = xmlText(summary, 'MaximumHeartRateBpm');
+      laps.push({
+        startTime: lapStart,
+        durationSeconds: xmlNumber(summary, 'TotalTimeSeconds') ?? 0,
+        distanceM: xmlNumber(summary, 'DistanceMeters') ?? null,
+        calories: xmlNumber(summary, 'Calories') ?? 0,
+        averageHeartRate: averageHeartRate ? xmlNumber(averageHeartRate, 'Value') ?? null : null,
+        maxHeartRate: maxHeartRate ? xmlNumber(maxHeartRate, 'Value') ?? null : null,
+      });
+    }
+    if (laps.length === 0) continue;
+
+    samples.sort((a, b) => a.timestamp - b.timestamp);
+    const hr = heartRateStats(samples);
+    const lapHeartRates = laps.map((l) => l.maxHeartRate).filter((v): v is number => v !== null);
+    const distances = laps.map((l) => l.distanceM).filter((v): v is number => v !== null);
+    const durationSeconds = laps.reduce((sum, l) => sum + l.durationSeconds, 0);
+    const heartRateLaps = laps.filter((l) => l.averageHeartRate !== null && l.durationSeconds > 0);
+    const heartRateSeconds = heartRateLaps.reduce((sum, l) => sum + l.durationSeconds, 0);
+    const header = withoutElements(activity.inner, 'Lap');
+
+    tracks.push({
+      name: xmlText(header, 'Notes') || SPORT_NAMES[sport],
+      sport,
+      startTime: laps[0].startTime,
+      durationSeconds: Math.round(durationSeconds),
+      calories: laps.reduce((sum, l) => sum + l.calories, 0),
+      distanceM: distances.length > 0 ? Math.round(distances.reduce((sum, d) => sum + d, 0)) : null,
+      // Time-weighted across laps; falls back to the samples
+      averageHeartRate: heartRateSeconds > 0
+        ? Math.round(heartRateLaps.reduce((sum, l) => sum + (l.averageHeartRate as number) * l.durationSeconds, 0) / heartRateSeconds)
+        : hr.average,
+      maxHeartRate: lapHeartRates.length > 0 ? Math.max(...lapHeartRates) : hr.max,
+      laps,
+      samples,
+      exercises: [],
+    });
+  }
+
+  if (tracks.length === 0) {
+    throw new Error('This TCX file has no activities.');
+  }
+  return tracks;
+}
+
+/** Work out a file's format from its name, falling back to its first bytes */
+export function detectWorkoutFileFormat(fileName: string, head: Uint8Array): WorkoutFileFormat | null {
+  const extension = fileName.toLowerCase().split('.').pop();
+  if (extension === 'gpx' || extension === 'tcx' || extension === 'fit') return extension;
+  if (head.length >= 12 && String.fromCharCode(head[8], head[9], head[10], head[11]) === '.FIT') return 'fit';
+  const text = String.fromCharCode(...Array.from(head.slice(0, 512)));
+  if (/<(?:[\w.-]+:)?gpx[\s>]/.test(text)) return 'gpx';
+  if (/<(?:[\w.-]+:)?TrainingCenterDatabase[\s>]/.test(text)) return 'tcx';
+  return null;
+}
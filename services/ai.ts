@@ -14,6 +14,7 @@
 import { supabase } from '../lib/supabase';
 import { checkAIRateLimit } from '../lib/rateLimiter';
 import { sanitizeText, sanitizeNumber } from '../lib/validation';
+import { parseNutritionLabelScan, type NutritionLabelScan, type RawLabelScan } from '../lib/nutritionLabel';
 
 // ============================================================================
 // PREMIUM GATING
@@ -31,16 +32,92 @@ export function setAIPremiumStatus(status: boolean): void {
 }
 import type { SupersetGroup } from '../lib/workoutEngine';
 import type {
+  DetectedFoodItem,
   FoodScanResult,
   WorkoutPlan,
   ChatResponse,
+  ChatAction,
   WeeklyDigest,
   MealPlan,
   MorningBriefing,
   MacroRecommendation,
   FoodSwapResult,
+  AIQuotaExceeded,
 } from '../types';
 
+// ============================================================================
+// QUOTA ERRORS
+// ============================================================================
+
+/**
+ * Thrown when ai-brain refuses a request because the user's daily AI quota
+ * for their tier is used up. Screens hand it to useAIQuotaUpsell()
+ * (components/PremiumGate) instead of showing a generic error.
+ */
+export class AIQuotaError extends Error {
+  readonly quota: AIQuotaExceeded;
+
+  constructor(message: string, quota: AIQuotaExceeded) {
+    super(message);
+    this.name = 'AIQuotaError';
+    this.quota = quota;
+  }
+}
+
+export function isAIQuotaError(error: unknown): error is AIQuotaError {
+  return error instanceof AIQuotaError;
+}
+
+/**
+ * Turn a structured 429 body from ai-brain into an error: AIQuotaError for
+ * quota rejections, a plain "Too many requests" Error for rate limits, or
+ * null when the body isn't one of ours.
+ */
+export function parseAIBrainLimitError(body: unknown): Error | null {
+  if (!body || typeof body !== 'object') return null;
+  const raw = body as Record<string, unknown>;
+  const count = (value: unknown): number =>
+    typeof value === 'number' && Number.isFinite(value) && value >= 0 ? Math.floor(value) : 0;
+
+  if (raw.code === 'rate_limited') {
+    return new Error(`Too many requests. Please wait ${Math.max(1, count(raw.retry_after_seconds))} seconds.`);
+  }
+  if (raw.code !== 'ai_quota_exceeded') return null;
+
+  const resetsAt = typeof raw.resets_at === 'string' && !isNaN(Date.parse(raw.resets_at))
+    ? raw.resets_at
+    : new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+  const message = typeof raw.error === 'string' && raw.error.length < 200
+    ? raw.error
+    : 'Daily AI limit reached';
+
+  return new AIQuotaError(message, {
+    requestType: typeof raw.request_type === 'string' ? raw.request_type : '',
+    tier: typeof raw.tier === 'string' ? raw.tier : 'free',
+    scope: raw.scope === 'type' ? 'type' : 'daily',
+    limit: count(raw.limit),
+    used: count(raw.used),
+    resetsAt,
+    upgradeNeeded: raw.upgrade_needed === true,
+  });
+}
+
+/**
+ * Read the limit error out of a failed functions.invoke() call. Non-2xx
+ * responses arrive as FunctionsHttpError with the Response on `context`.
+ */
+async function readAIBrainLimitError(error: unknown): Promise<Error | null> {
+  const response = (error as { context?: unknown } | null)?.context as
+    | { status?: number; json?: () => Promise<unknown> }
+    | undefined;
+  if (response?.status !== 429 || typeof response.json !== 'function') return null;
+  try {
+    return parseAIBrainLimitError(await response.json());
+  } catch {
+    return null;
+  }
+}
+
 // ============================================================================
 // REQUEST DEDUPLICATION
 // Prevents duplicate in-flight requests when users tap buttons multiple times.
@@ -138,7 +215,7 @@ async function retryWithBackoff<T>(fn: () => Promise<T>, maxRetries: number = 2,
 
 /**
  * Invoke the AI brain edge function
- * @param type - Request type (scan-food, generate-workout, chef, genesis, chat, parse-voice-food, weekly-digest, adaptive-macros, meal-plan, morning-briefing, recipe-import, meal-recommend)
+ * @param type - Request type (scan-food, scan-label, generate-workout, chef, genesis, chat, parse-voice-food, weekly-digest, adaptive-macros, meal-plan, morning-briefing, recipe-import, meal-recommend)
  * @param payload - Request payload
  * @returns AI response
  */
@@ -159,6 +236,7 @@ async function invokeAIBrain(type: string, payload: Record<string, unknown>): Pr
     : type === 'food-swap' ? 'foodSwap'
     : type === 'recipe-import' ? 'recipeImport'
     : type === 'meal-recommend' ? 'mealRecommend'
+    : type === 'scan-label' ? 'scanLabel'
     : type;
   const rateCheck = checkAIRateLimit(rateLimitKey);
   if (!rateCheck.allowed) {
@@ -169,6 +247,7 @@ async function invokeAIBrain(type: string, payload: Record<string, unknown>): Pr
   const AI_SERVER_LIMITS: Record<string, { max: number; window: number }> = {
     chat: { max: 15, window: 60 },
     'scan-food': { max: 5, window: 60 },
+    'scan-label': { max: 5, window: 60 },
     'generate-workout': { max: 3, window: 60 },
     chef: { max: 3, window: 60 },
     genesis: { max: 3, window: 60 },
@@ -217,6 +296,9 @@ async function invokeAIBrain(type: string, payload: Record<string, unknown>): Pr
     ]);
 
     if (error) {
+      const limitError = await readAIBrainLimitError(error);
+      if (limitError) throw limitError;
+
       // Never log edge function errors — may contain internal details
       throw new Error((error as Error).message || 'AI service temporarily unavailable');
     }
@@ -255,6 +337,8 @@ async function invokeAIBrain(type: string, payload: Record<string, unknown>): Pr
       console.error(`[AI] Invoke error (${type}):`, (error as Error).message);
     }
 
+    if (isAIQuotaError(error)) throw error;
+
     // Re-throw with user-friendly message
     const message = (error as Error).message || 'Failed to process request';
     throw new Error(
@@ -308,9 +392,28 @@ export async function analyzeFoodImage(base64Image: string): Promise<FoodScanRes
     fat: (result.fat as number) || 0,
     serving: (result.serving as string) || '1 serving',
     confidence: (result.confidence as string) || 'medium',
+    items: Array.isArray(result.items) ? (result.items as DetectedFoodItem[]) : [],
   };
 }
 
+/**
+ * Read a photographed nutrition facts panel
+ * @param base64Image - Base64 encoded image data (without data URI prefix)
+ * @returns Per-serving values in schema units, with per-field confidence
+ */
+export async function scanNutritionLabel(base64Image: string): Promise<NutritionLabelScan> {
+  if (!base64Image || typeof base64Image !== 'string') {
+    throw new Error('Invalid image data. Please try again with a different image.');
+  }
+
+  const imageKey = `label-${base64Image.substring(0, 50)}-${base64Image.slice(-50)}`;
+  const result = await deduplicatedAIRequest<Record<string, unknown>>(imageKey, () =>
+    invokeAIBrain('scan-label', { base64Image })
+  );
+
+  return parseNutritionLabelScan(result as RawLabelScan);
+}
+
 interface WorkoutParams {
   goal?: string;
   level?: number;
@@ -507,12 +610,15 @@ interface ConversationMessage {
   content: string;
 }
 
+/** Action types this app version can run; anything newer from the server is ignored */
+const CHAT_ACTION_TYPES: ChatAction['type'][] = ['log_food', 'start_fast', 'add_water', 'create_recipe'];
+
 /**
  * Chat with AI nutritionist
  * @param message - User's message
  * @param conversationHistory - Previous messages
  * @param userContext - Aggregated user data for context
- * @returns Chat response with reply, suggestions, and food items
+ * @returns Chat response with reply, suggestions, food items and proposed actions
  */
 export async function chatWithNutritionist(
   message: string,
@@ -546,6 +652,9 @@ export async function chatWithNutritionist(
     reply: (result.reply as string) || "I'm here to help! What would you like to know?",
     suggestions: Array.isArray(result.suggestions) ? result.suggestions as string[] : [],
     foodItems: Array.isArray(result.foodItems) ? result.foodItems : [],
+    actions: Array.isArray(result.actions)
+      ? (result.actions as ChatAction[]).filter((action) => CHAT_ACTION_TYPES.includes(action?.type))
+      : [],
   };
 }
 
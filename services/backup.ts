@@ -0,0 +1,183 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Sharing from 'expo-sharing';
+import { format } from 'date-fns';
+import { supabase } from '../lib/supabase';
+import { Sentry } from '../lib/sentry';
+import { getEncryptedItem, setEncryptedItem } from '../lib/encryptedStorage';
+import { safeJSONParse } from '../lib/validation';
+import { notifyTrackerRestored } from '../lib/trackerSync';
+import {
+  BACKUP_STORES,
+  RESTORABLE_TABLES,
+  createBackupArchiveDocument,
+  parseBackupArchive,
+  planBackupRestore,
+} from '../lib/backupArchive';
+import type { BackupArchive, BackupRestorePlan, BackupStoreDescriptor, RestorableTable } from '../lib/backupArchive';
+
+declare const __DEV__: boolean;
+
+/**
+ * Backup & restore I/O: reads and writes the local stores, pages the
+ * user's Supabase rows and shares the archive file. Merge rules live in
+ * lib/backupArchive.ts.
+ */
+
+const PAGE_SIZE = 1000;
+const INSERT_BATCH_SIZE = 200;
+
+/** Tables included in a backup and the column used to page through them */
+const BACKUP_TABLES: { table: string; orderBy: string }[] = [
+  { table: 'profiles', orderBy: 'user_id' },
+  { table: 'food_logs', orderBy: 'id' },
+  { table: 'workouts', orderBy: 'id' },
+  { table: 'journal_entries', orderBy: 'id' },
+  { table: 'tracker_records', orderBy: 'synced_at' },
+  { table: 'social_posts', orderBy: 'id' },
+  { table: 'social_comments', orderBy: 'id' },
+  { table: 'challenge_participants', orderBy: 'id' },
+];
+
+async function readStore(store: BackupStoreDescriptor): Promise<unknown> {
+  if (store.encrypted) {
+    return getEncryptedItem(store.storageKey, null);
+  }
+  const raw = await AsyncStorage.getItem(store.storageKey);
+  if (raw === null || store.text) return raw;
+  return safeJSONParse(raw, null);
+}
+
+async function writeStore(store: BackupStoreDescriptor, value: unknown): Promise<void> {
+  if (store.encrypted) {
+    await setEncryptedItem(store.storageKey, value);
+  } else {
+    await AsyncStorage.setItem(store.storageKey, store.text ? String(value) : JSON.stringify(value));
+  }
+}
+
+async function readLocalStores(): Promise<Record<string, unknown>> {
+  const values: Record<string, unknown> = {};
+  for (const store of BACKUP_STORES) {
+    try {
+      values[store.id] = await readStore(store);
+    } catch (e) {
+      Sentry.captureException(e);
+      values[store.id] = null;
+    }
+  }
+  return values;
+}
+
+async function fetchAllRows(table: string, orderBy: string, userId: string): Promise<Record<string, unknown>[]> {
+  const rows: Record<string, unknown>[] = [];
+  let from = 0;
+
+  while (true) {
+    const { data, error } = await supabase
+      .from(table)
+      .select('*')
+      .eq('user_id', userId)
+      .order(orderBy, { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...((data || []) as Record<string, unknown>[]));
+    if (!data || data.length < PAGE_SIZE) break;
+    from += PAGE_SIZE;
+  }
+
+  return rows;
+}
+
+export async function createBackupArchive(userId: string | null): Promise<BackupArchive> {
+  const stores = await readLocalStores();
+  const tables: Record<string, Record<string, unknown>[]> = {};
+
+  if (userId) {
+    for (const { table, orderBy } of BACKUP_TABLES) {
+      // A missing table or policy should not block the rest of the backup
+      try {
+        tables[table] = await fetchAllRows(table, orderBy, userId);
+      } catch (e) {
+        Sentry.captureException(e);
+        if (__DEV__) console.warn(`[backup] Failed to export ${table}:`, e);
+        tables[table] = [];
+      }
+    }
+  }
+
+  return createBackupArchiveDocument({ userId, stores, tables });
+}
+
+/**
+ * Write a backup archive to the cache directory and open the share sheet.
+ * Throws when sharing is unavailable so the caller can explain why.
+ */
+export async function exportBackupArchive(userId: string | null): Promise<BackupArchive> {
+  const archive = await createBackupArchive(userId);
+  const fileName = `FuelIQ_Backup_${format(new Date(), 'yyyy-MM-dd')}.json`;
+  const filePath = `${FileSystem.cacheDirectory}${fileName}`;
+
+  await FileSystem.writeAsStringAsync(filePath, JSON.stringify(archive), {
+    encoding: FileSystem.EncodingType.UTF8,
+  });
+
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device.');
+  }
+
+  await Sharing.shareAsync(filePath, {
+    mimeType: 'application/json',
+    dialogTitle: 'Save FuelIQ Backup',
+    UTI: 'public.json',
+  });
+
+  return archive;
+}
+
+/** Validate an archive and work out what restoring it would change. Throws with a user-facing message. */
+export async function previewBackupRestore(text: string, userId: string): Promise<BackupRestorePlan> {
+  const archive = parseBackupArchive(text);
+  const localStores = await readLocalStores();
+
+  const remoteTables: Partial<Record<RestorableTable, Record<string, unknown>[]>> = {};
+  for (const table of RESTORABLE_TABLES) {
+    if ((archive.tables[table] || []).length > 0) {
+      remoteTables[table] = await fetchAllRows(table, 'id', userId);
+    }
+  }
+
+  return planBackupRestore({ archive, localStores, remoteTables, userId });
+}
+
+export interface BackupRestoreResult {
+  storesRestored: number;
+  rowsInserted: number;
+}
+
+/**
+ * Apply a previewed restore. Local stores are written first so a network
+ * failure part-way through the row inserts still leaves them restored.
+ */
+export async function applyBackupRestore(plan: BackupRestorePlan): Promise<BackupRestoreResult> {
+  let storesRestored = 0;
+  for (const storePlan of plan.stores) {
+    const store = BACKUP_STORES.find((candidate) => candidate.id === storePlan.id);
+    if (!store || !storePlan.changed) continue;
+    await writeStore(store, storePlan.value);
+    if (store.trackerId) notifyTrackerRestored(store.trackerId);
+    storesRestored += 1;
+  }
+
+  let rowsInserted = 0;
+  for (const tablePlan of plan.tables) {
+    for (let index = 0; index < tablePlan.rows.length; index += INSERT_BATCH_SIZE) {
+      const batch = tablePlan.rows.slice(index, index + INSERT_BATCH_SIZE);
+      const { error } = await supabase.from(tablePlan.table).insert(batch);
+      if (error) throw error;
+      rowsInserted += batch.length;
+    }
+  }
+
+  return { storesRestored, rowsInserted };
+}
@@ -20,6 +20,9 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import { createPinnedFetch } from '../lib/certPinning';
 import { getCachedBarcode as getFastCachedBarcode, setCachedBarcode as setFastCachedBarcode } from '../lib/barcodeCache';
 import { Sentry } from '../lib/sentry';
+import { checkFoodAllergens, type AllergenCheckResult, type UserAllergen } from '../lib/allergenGuard';
+import { gramsToMicronutrientUnit, type MicronutrientKey } from '../lib/micronutrients';
+import type { MicronutrientSet } from '../types';
 
 const OFP_API_BASE: string = 'https://world.openfoodfacts.org/api/v2/product';
 const USDA_API_BASE: string = 'https://api.nal.usda.gov/fdc/v1';
@@ -32,31 +35,32 @@ const MAX_CACHED_BARCODES = 200;
 // Use pinned fetch for all external API calls
 const pinnedFetch = createPinnedFetch(fetch);
 
+// OFF per-100g nutriment field for each schema key
+const BARCODE_MICRONUTRIENT_FIELDS: [MicronutrientKey, string][] = [
+  ['fiber', 'fiber_100g'],
+  ['sugar', 'sugars_100g'],
+  ['sodium', 'sodium_100g'],
+  ['saturated_fat', 'saturated-fat_100g'],
+  ['trans_fat', 'trans-fat_100g'],
+  ['cholesterol', 'cholesterol_100g'],
+  ['calcium', 'calcium_100g'],
+  ['iron', 'iron_100g'],
+  ['magnesium', 'magnesium_100g'],
+  ['potassium', 'potassium_100g'],
+  ['zinc', 'zinc_100g'],
+  ['vitaminA', 'vitamin-a_100g'],
+  ['vitaminC', 'vitamin-c_100g'],
+  ['vitaminD', 'vitamin-d_100g'],
+  ['vitaminE', 'vitamin-e_100g'],
+  ['vitaminK', 'vitamin-k_100g'],
+  ['vitaminB12', 'vitamin-b12_100g'],
+  ['folate', 'vitamin-b9_100g'],
+];
+
 // ---------------------------------------------------------------------------
 // Types
 // ---------------------------------------------------------------------------
 
-interface BarcodeMicronutrients {
-  fiber?: number;
-  sugar?: number;
-  sodium?: number;
-  saturated_fat?: number;
-  trans_fat?: number;
-  cholesterol?: number;
-  calcium?: number;
-  iron?: number;
-  magnesium?: number;
-  potassium?: number;
-  zinc?: number;
-  vitaminA?: number;
-  vitaminC?: number;
-  vitaminD?: number;
-  vitaminE?: number;
-  vitaminK?: number;
-  vitaminB12?: number;
-  folate?: number;
-}
-
 interface BarcodeFoodData {
   name: string;
   brand: string;
@@ -70,7 +74,10 @@ interface BarcodeFoodData {
   serving: string;
   image: string | null;
   barcode: string;
-  micronutrients?: BarcodeMicronutrients;
+  micronutrients?: MicronutrientSet;
+  allergens?: string[];
+  traces?: string[];
+  ingredients?: string;
 }
 
 export type ScanConfidence = 'high' | 'medium' | 'low' | 'not_found';
@@ -84,6 +91,13 @@ export interface BarcodeLookupResult {
   confidence?: ScanConfidence;
   /** Whether this barcode was previously scanned */
   wasCached?: boolean;
+  /** Allergen check against the allergens passed to lookupBarcode */
+  allergenCheck?: AllergenCheckResult;
+}
+
+export interface LookupBarcodeOptions {
+  /** The user's allergens; when given, results carry an allergenCheck */
+  allergens?: UserAllergen[];
 }
 
 interface CachedBarcode {
@@ -116,6 +130,9 @@ interface BarcodeProduct {
   image_front_url?: string;
   image_url?: string;
   nutriments?: BarcodeNutriments;
+  allergens_tags?: string[];
+  traces_tags?: string[];
+  ingredients_text?: string;
   [key: string]: unknown;
 }
 
@@ -300,68 +317,14 @@ async function lookupOFP(barcode: string): Promise<BarcodeFoodData | null> {
     const name = product.product_name || product.product_name_en || '';
     if (!name) return null;
 
-    // Extract micronutrients
-    const micro: BarcodeMicronutrients = {};
-    const getOpt = (key: string): number | undefined => {
-      const val = (nutriments as Record<string, unknown>)[key];
-      if (val === undefined || val === null) return undefined;
-      const num = roundNum(val);
-      return num > 0 ? num : undefined;
-    };
-
-    const fiberVal = roundNum(nutriments.fiber_100g ?? 0);
-    if (fiberVal > 0) micro.fiber = fiberVal;
-
-    const sugarVal = roundNum(nutriments.sugars_100g ?? 0);
-    if (sugarVal > 0) micro.sugar = sugarVal;
-
-    const sodiumVal = roundNum(nutriments.sodium_100g ?? 0);
-    if (sodiumVal > 0) micro.sodium = sodiumVal;
-
-    const satFat = getOpt('saturated-fat_100g');
-    if (satFat !== undefined) micro.saturated_fat = satFat;
-
-    const transFat = getOpt('trans-fat_100g');
-    if (transFat !== undefined) micro.trans_fat = transFat;
-
-    const cholesterol = getOpt('cholesterol_100g');
-    if (cholesterol !== undefined) micro.cholesterol = cholesterol;
-
-    const calcium = getOpt('calcium_100g');
-    if (calcium !== undefined) micro.calcium = calcium;
-
-    const iron = getOpt('iron_100g');
-    if (iron !== undefined) micro.iron = iron;
-
-    const magnesium = getOpt('magnesium_100g');
-    if (magnesium !== undefined) micro.magnesium = magnesium;
-
-    const potassium = getOpt('potassium_100g');
-    if (potassium !== undefined) micro.potassium = potassium;
-
-    const zinc = getOpt('zinc_100g');
-    if (zinc !== undefined) micro.zinc = zinc;
-
-    const vitaminA = getOpt('vitamin-a_100g');
-    if (vitaminA !== undefined) micro.vitaminA = vitaminA;
-
-    const vitaminC = getOpt('vitamin-c_100g');
-    if (vitaminC !== undefined) micro.vitaminC = vitaminC;
-
-    const vitaminD = getOpt('vitamin-d_100g');
-    if (vitaminD !== undefined) micro.vitaminD = vitaminD;
-
-    const vitaminE = getOpt('vitamin-e_100g');
-    if (vitaminE !== undefined) micro.vitaminE = vitaminE;
-
-    const vitaminK = getOpt('vitamin-k_100g');
-    if (vitaminK !== undefined) micro.vitaminK = vitaminK;
-
-    const vitaminB12 = getOpt('vitamin-b12_100g');
-    if (vitaminB12 !== undefined) micro.vitaminB12 = vitaminB12;
-
-    const folate = getOpt('vitamin-b9_100g');
-    if (folate !== undefined) micro.folate = folate;
+    // Extract micronutrients (OFF reports grams; convert to schema units)
+    const micro: MicronutrientSet = {};
+    for (const [key, field] of BARCODE_MICRONUTRIENT_FIELDS) {
+      const val = (nutriments as Record<string, unknown>)[field];
+      if (val === undefined || val === null) continue;
+      const grams = Number(val);
+      if (Number.isFinite(grams) && grams > 0) micro[key] = gramsToMicronutrientUnit(key, grams);
+    }
 
     return {
       name,
@@ -377,6 +340,9 @@ async function lookupOFP(barcode: string): Promise<BarcodeFoodData | null> {
       image: product.image_front_url || product.image_url || null,
       barcode,
       micronutrients: Object.keys(micro).length > 0 ? micro : undefined,
+      allergens: Array.isArray(product.allergens_tags) && product.allergens_tags.length > 0 ? product.allergens_tags : undefined,
+      traces: Array.isArray(product.traces_tags) && product.traces_tags.length > 0 ? product.traces_tags : undefined,
+      ingredients: product.ingredients_text || undefined,
     };
   } catch (e) {
     Sentry.captureException(e);
@@ -476,9 +442,27 @@ async function lookupUSDA(barcode: string): Promise<BarcodeFoodData | null> {
  * Results are cached locally for instant re-scan.
  *
  * @param barcode - EAN-13, EAN-8, UPC-A, or UPC-E barcode string
- * @returns Result with food data, source, and confidence
+ * @param options - Optional user allergens to check the result against
+ * @returns Result with food data, source, confidence and allergen check
  */
-export async function lookupBarcode(barcode: string): Promise<BarcodeLookupResult> {
+export async function lookupBarcode(barcode: string, options: LookupBarcodeOptions = {}): Promise<BarcodeLookupResult> {
+  const result = await lookupBarcodeSources(barcode);
+  if (!result.found || !result.food || !options.allergens || options.allergens.length === 0) {
+    return result;
+  }
+
+  // The fast cache only keeps macros; recover allergen data from the full cache
+  let food = result.food;
+  if (result.wasCached && !food.allergens && !food.ingredients) {
+    const full = await lookupCachedBarcode(food.barcode);
+    if (full?.food) {
+      food = { ...food, allergens: full.food.allergens, traces: full.food.traces, ingredients: full.food.ingredients };
+    }
+  }
+  return { ...result, food, allergenCheck: checkFoodAllergens(food, options.allergens) };
+}
+
+async function lookupBarcodeSources(barcode: string): Promise<BarcodeLookupResult> {
   if (!barcode || typeof barcode !== 'string') {
     return { found: false, confidence: 'not_found' };
   }
@@ -0,0 +1,134 @@
+import type { DateKey } from '../types';
+import { normalizeHeader, parseImportTable } from './importParsing';
+import type {
+  DiaryImporter,
+  DiaryImportSource,
+  ImportedExerciseEntry,
+  ImportedFoodDiaryEntry,
+  ImportedWeightEntry,
+} from './importParsing';
+import { myFitnessPalImporter } from './importMyFitnessPal';
+import { cronometerImporter } from './importCronometer';
+import { loseItImporter } from './importLoseIt';
+import { macroFactorImporter } from './importMacroFactor';
+
+/**
+ * Importer registry for diary exports from other tracking apps.
+ *
+ * Each importer scores candidate header rows; the best-scoring importer in
+ * the first few rows of the file parses it. Add a new source by
+ * implementing DiaryImporter and passing it to registerDiaryImporter.
+ */
+
+export interface DiaryImportSummary {
+  entryCount: number;
+  weightCount: number;
+  exerciseCount: number;
+  dayCount: number;
+  mealCount: number;
+  uniqueFoodCount: number;
+  skippedCount: number;
+  startDate: DateKey;
+  endDate: DateKey;
+}
+
+export interface ParsedDiaryImport {
+  source: DiaryImportSource;
+  sourceLabel: string;
+  entries: ImportedFoodDiaryEntry[];
+  weights: ImportedWeightEntry[];
+  exercises: ImportedExerciseEntry[];
+  summary: DiaryImportSummary;
+}
+
+const HEADER_SEARCH_ROWS = 5;
+
+const importers: DiaryImporter[] = [
+  myFitnessPalImporter,
+  cronometerImporter,
+  loseItImporter,
+  macroFactorImporter,
+];
+
+/** Add an importer, replacing any existing one with the same id */
+export function registerDiaryImporter(importer: DiaryImporter): void {
+  const index = importers.findIndex((existing) => existing.id === importer.id);
+  if (index >= 0) {
+    importers[index] = importer;
+  } else {
+    importers.push(importer);
+  }
+}
+
+export function getDiaryImporters(): DiaryImporter[] {
+  return [...importers];
+}
+
+/** Best-matching importer and the index of its header row, or null if no importer recognises the file */
+export function detectDiaryImporter(rows: string[][]): { importer: DiaryImporter; headerIndex: number } | null {
+  let best: { importer: DiaryImporter; headerIndex: number } | null = null;
+  let bestScore = 0;
+
+  const searchLimit = Math.min(rows.length, HEADER_SEARCH_ROWS);
+  for (let index = 0; index < searchLimit; index += 1) {
+    const headers = rows[index].map(normalizeHeader);
+    importers.forEach((importer) => {
+      const score = importer.detect(headers);
+      if (score > bestScore) {
+        bestScore = score;
+        best = { importer, headerIndex: index };
+      }
+    });
+  }
+
+  return best;
+}
+
+export function parseDiaryImport(text: string): ParsedDiaryImport {
+  if (!(text || '').trim()) {
+    throw new Error('Paste or choose a diary export first.');
+  }
+
+  const rows = parseImportTable(text);
+  if (rows.length < 2) {
+    throw new Error('This file does not contain any diary rows.');
+  }
+
+  const detected = detectDiaryImporter(rows);
+  if (!detected) {
+    throw new Error(
+      `Could not recognise this export. Supported apps: ${importers.map((importer) => importer.label).join(', ')}.`
+    );
+  }
+
+  const { importer, headerIndex } = detected;
+  const { entries, weights, exercises, skippedCount } = importer.parse(rows, headerIndex);
+  if (entries.length === 0 && weights.length === 0 && exercises.length === 0) {
+    throw new Error(`No importable rows were found in this ${importer.label} export.`);
+  }
+
+  const dateKeys = [
+    ...new Set([...entries, ...weights, ...exercises].map((entry) => entry.dateKey)),
+  ].sort();
+  const mealKeys = new Set(entries.map((entry) => `${entry.dateKey}:${entry.mealType}`));
+  const uniqueFoodNames = new Set(entries.map((entry) => entry.name.toLowerCase()));
+
+  return {
+    source: importer.id,
+    sourceLabel: importer.label,
+    entries,
+    weights,
+    exercises,
+    summary: {
+      entryCount: entries.length,
+      weightCount: weights.length,
+      exerciseCount: exercises.length,
+      dayCount: dateKeys.length,
+      mealCount: mealKeys.size,
+      uniqueFoodCount: uniqueFoodNames.size,
+      skippedCount,
+      startDate: dateKeys[0],
+      endDate: dateKeys[dateKeys.length - 1],
+    },
+  };
+}
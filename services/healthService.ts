@@ -22,6 +22,7 @@
 import { Platform } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Sentry } from '../lib/sentry';
+import type { HealthProvenance } from '../lib/healthSources';
 
 declare const __DEV__: boolean;
 
@@ -1239,6 +1240,8 @@ export interface HealthSnapshot {
   source: DataSource;
   isSimulated: boolean;
   syncedAt: string;
+  /** Which source supplied each value, once wearable data has been merged in */
+  provenance?: HealthProvenance;
 }
 
 export interface ActivityRings {
@@ -0,0 +1,266 @@
+import { supabase } from '../lib/supabase';
+import {
+  toHousehold,
+  toHouseholdMember,
+  toHouseholdPortion,
+  toHouseholdRecipe,
+  toHouseholdRecipeRow,
+  toHouseholdShoppingItem,
+} from '../lib/household';
+import type {
+  Household,
+  HouseholdMember,
+  HouseholdPortion,
+  HouseholdRecipe,
+  HouseholdShoppingItem,
+  PlannedPortion,
+  PortionStatus,
+} from '../lib/household';
+import type { FoodItem, MealType } from '../types';
+
+/**
+ * Household I/O. Creating and joining go through SECURITY DEFINER RPCs
+ * (see supabase/migrations/20260217010000_households.sql); everything
+ * else is plain table access guarded by membership RLS.
+ */
+
+/** Server exceptions the household screen can explain to the user */
+const RPC_ERROR_MESSAGES: Record<string, string> = {
+  'Already in a household': 'You are already in a household. Leave it before joining another.',
+  'Invite code not found': 'That invite code does not match any household.',
+  'Household is full': 'That household already has the maximum number of members.',
+};
+
+function toUserFacingError(error: { message?: string }, fallback: string): Error {
+  const known = Object.keys(RPC_ERROR_MESSAGES).find((key) => error.message?.includes(key));
+  return new Error(known ? RPC_ERROR_MESSAGES[known] : fallback);
+}
+
+export interface HouseholdSnapshot {
+  household: Household;
+  members: HouseholdMember[];
+}
+
+/** The user's household with its members, or null when they are not in one */
+export async function fetchHousehold(userId: string): Promise<HouseholdSnapshot | null> {
+  const { data: membership, error } = await supabase
+    .from('household_members')
+    .select('household_id')
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!membership) return null;
+
+  const [{ data: household, error: householdError }, { data: members, error: membersError }] = await Promise.all([
+    supabase.from('households').select('*').eq('id', membership.household_id).single(),
+    supabase
+      .from('household_members')
+      .select('*')
+      .eq('household_id', membership.household_id)
+      .order('joined_at', { ascending: true }),
+  ]);
+  if (householdError) throw householdError;
+  if (membersError) throw membersError;
+
+  return {
+    household: toHousehold(household),
+    members: (members || []).map(toHouseholdMember),
+  };
+}
+
+export async function createHousehold(name: string, displayName: string): Promise<Household> {
+  const { data, error } = await supabase.rpc('create_household', {
+    p_name: name.trim(),
+    p_display_name: displayName.trim(),
+  });
+  if (error) throw toUserFacingError(error, 'Could not create the household. Please try again.');
+  return toHousehold(data);
+}
+
+export async function joinHousehold(inviteCode: string, displayName: string): Promise<Household> {
+  const { data, error } = await supabase.rpc('join_household', {
+    p_invite_code: inviteCode,
+    p_display_name: displayName.trim(),
+  });
+  if (error) throw toUserFacingError(error, 'Could not join the household. Please try again.');
+  return toHousehold(data);
+}
+
+export async function leaveHousehold(householdId: string, userId: string): Promise<void> {
+  const { error } = await supabase
+    .from('household_members')
+    .delete()
+    .eq('household_id', householdId)
+    .eq('user_id', userId);
+  if (error) throw error;
+}
+
+// ─── Recipe box ──────────────────────────────────────────────────────────────
+
+export async function fetchSharedRecipes(householdId: string): Promise<HouseholdRecipe[]> {
+  const { data, error } = await supabase
+    .from('household_recipes')
+    .select('*')
+    .eq('household_id', householdId)
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+  return (data || []).map(toHouseholdRecipe);
+}
+
+export async function shareRecipe(
+  householdId: string,
+  userId: string,
+  recipe: Parameters<typeof toHouseholdRecipeRow>[2]
+): Promise<HouseholdRecipe> {
+  const { data, error } = await supabase
+    .from('household_recipes')
+    .insert(toHouseholdRecipeRow(householdId, userId, recipe))
+    .select()
+    .single();
+  if (error) throw error;
+  return toHouseholdRecipe(data);
+}
+
+export async function removeSharedRecipe(recipeId: string): Promise<void> {
+  const { error } = await supabase.from('household_recipes').delete().eq('id', recipeId);
+  if (error) throw error;
+}
+
+// ─── Meal plan ───────────────────────────────────────────────────────────────
+
+export async function fetchSharedMealPlan(householdId: string, weekStart: string): Promise<unknown | null> {
+  const { data, error } = await supabase
+    .from('household_meal_plans')
+    .select('plan')
+    .eq('household_id', householdId)
+    .eq('week_start', weekStart)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.plan ?? null;
+}
+
+export async function saveSharedMealPlan(
+  householdId: string,
+  userId: string,
+  weekStart: string,
+  plan: unknown
+): Promise<void> {
+  const { error } = await supabase.from('household_meal_plans').upsert(
+    {
+      household_id: householdId,
+      week_start: weekStart,
+      plan,
+      updated_by: userId,
+      updated_at: new Date().toISOString(),
+    },
+    { onConflict: 'household_id,week_start' }
+  );
+  if (error) throw error;
+}
+
+// ─── Shopping list ───────────────────────────────────────────────────────────
+
+export async function fetchShoppingItems(householdId: string): Promise<HouseholdShoppingItem[]> {
+  const { data, error } = await supabase
+    .from('household_shopping_items')
+    .select('*')
+    .eq('household_id', householdId)
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return (data || []).map(toHouseholdShoppingItem);
+}
+
+export async function addShoppingItem(
+  householdId: string,
+  userId: string,
+  name: string,
+  quantity: string | null = null
+): Promise<HouseholdShoppingItem> {
+  const { data, error } = await supabase
+    .from('household_shopping_items')
+    .insert({ household_id: householdId, added_by: userId, name: name.trim(), quantity: quantity?.trim() || null })
+    .select()
+    .single();
+  if (error) throw error;
+  return toHouseholdShoppingItem(data);
+}
+
+export async function setShoppingItemChecked(itemId: string, checked: boolean): Promise<void> {
+  const { error } = await supabase
+    .from('household_shopping_items')
+    .update({ checked, updated_at: new Date().toISOString() })
+    .eq('id', itemId);
+  if (error) throw error;
+}
+
+export async function removeShoppingItems(itemIds: string[]): Promise<void> {
+  if (itemIds.length === 0) return;
+  const { error } = await supabase.from('household_shopping_items').delete().in('id', itemIds);
+  if (error) throw error;
+}
+
+// ─── Portions ────────────────────────────────────────────────────────────────
+
+export async function createPortions(
+  householdId: string,
+  userId: string,
+  meal: Pick<FoodItem, 'name' | 'emoji'>,
+  mealType: MealType,
+  portions: PlannedPortion[]
+): Promise<HouseholdPortion[]> {
+  if (portions.length === 0) return [];
+  const { data, error } = await supabase
+    .from('household_portions')
+    .insert(portions.map((portion) => ({
+      household_id: householdId,
+      member_id: portion.memberId,
+      created_by: userId,
+      name: meal.name,
+      emoji: meal.emoji || null,
+      serving: portion.serving,
+      calories: portion.calories,
+      protein: portion.protein,
+      carbs: portion.carbs,
+      fat: portion.fat,
+      meal_type: mealType,
+    })))
+    .select();
+  if (error) throw error;
+  return (data || []).map(toHouseholdPortion);
+}
+
+export async function fetchPendingPortions(userId: string): Promise<HouseholdPortion[]> {
+  const { data, error } = await supabase
+    .from('household_portions')
+    .select('*')
+    .eq('member_id', userId)
+    .eq('status', 'pending')
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return (data || []).map(toHouseholdPortion);
+}
+
+export async function resolvePortion(portionId: string, status: Exclude<PortionStatus, 'pending'>): Promise<void> {
+  const { error } = await supabase
+    .from('household_portions')
+    .update({ status, resolved_at: new Date().toISOString() })
+    .eq('id', portionId);
+  if (error) throw error;
+}
+
+/** A portion as a food the member can log into their own diary */
+export function portionToFood(portion: HouseholdPortion): FoodItem {
+  return {
+    id: `household-portion-${portion.id}`,
+    name: portion.name,
+    emoji: portion.emoji,
+    serving: portion.serving,
+    servingSize: 1,
+    servingUnit: 'serving',
+    calories: portion.calories,
+    protein: portion.protein,
+    carbs: portion.carbs,
+    fat: portion.fat,
+    source: 'household',
+  };
+}
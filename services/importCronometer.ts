@@ -0,0 +1,151 @@
+import type { MealType } from '../types';
+import {
+  emptyDiaryRows,
+  findColumnIndex,
+  getCell,
+  hasColumn,
+  isSkippableFoodName,
+  mealTypeFromTime,
+  normalizeFoodName,
+  normalizeHeader,
+  normalizeServing,
+  parseDateKey,
+  parseNumber,
+  parseWeightUnit,
+  resolveCalories,
+  sortFoodEntries,
+  trimQuantity,
+} from './importParsing';
+import type { DiaryImporter, ImportedDiaryRows } from './importParsing';
+
+/**
+ * Cronometer "Export Data" files. Each export is a separate CSV:
+ * - servings.csv:   Day, Time, Group, Food Name, Amount, Energy (kcal), ... Protein (g)
+ * - exercises.csv:  Day, Time, Group, Exercise, Minutes, Calories Burned
+ * - biometrics.csv: Day, Time, Group, Metric, Unit, Amount
+ */
+
+const SOURCE = 'cronometer_import';
+const SOURCE_LABEL = 'Cronometer Import';
+
+const COLUMNS = {
+  day: ['day'],
+  time: ['time'],
+  group: ['group'],
+  name: ['foodname'],
+  amount: ['amount'],
+  calories: ['energy'],
+  protein: ['protein'],
+  carbs: ['carbs', 'netcarbs'],
+  fat: ['fat'],
+  exercise: ['exercise'],
+  minutes: ['minutes'],
+  burned: ['caloriesburned'],
+  metric: ['metric'],
+  unit: ['unit'],
+} as const;
+
+type FileKind = 'servings' | 'exercises' | 'biometrics';
+
+function detectFileKind(headers: string[]): FileKind | null {
+  if (!hasColumn(headers, COLUMNS.day)) return null;
+  if (hasColumn(headers, COLUMNS.name) && hasColumn(headers, COLUMNS.calories)) return 'servings';
+  if (hasColumn(headers, COLUMNS.exercise) && hasColumn(headers, COLUMNS.minutes)) return 'exercises';
+  if (hasColumn(headers, COLUMNS.metric) && hasColumn(headers, COLUMNS.unit) && hasColumn(headers, COLUMNS.amount)) return 'biometrics';
+  return null;
+}
+
+/** Cronometer groups are Breakfast/Lunch/Dinner/Snacks or "Uncategorized"; fall back to the time */
+function resolveMealType(group: string, time: string): MealType {
+  const normalized = group.trim().toLowerCase();
+  if (normalized.includes('breakfast')) return 'breakfast';
+  if (normalized.includes('lunch')) return 'lunch';
+  if (normalized.includes('dinner')) return 'dinner';
+  if (normalized.includes('snack')) return 'snacks';
+  return mealTypeFromTime(time) || 'snacks';
+}
+
+/** "1.00 cup" → "1 cup", "150.00 g" → "150 g" */
+function formatAmount(amount: string): string {
+  const match = amount.trim().match(/^(\d+(?:\.\d+)?)\s*(.*)$/);
+  if (!match) {
+    return normalizeServing(amount);
+  }
+  return normalizeServing(`${trimQuantity(Number(match[1]))} ${match[2]}`);
+}
+
+function parseRows(rows: string[][], headerIndex: number): ImportedDiaryRows {
+  const headers = rows[headerIndex].map(normalizeHeader);
+  const column = (aliases: readonly string[]) => findColumnIndex(headers, aliases);
+  const kind = detectFileKind(headers);
+  const result = emptyDiaryRows();
+
+  rows.slice(headerIndex + 1).forEach((row) => {
+    const dateKey = parseDateKey(getCell(row, column(COLUMNS.day)));
+    if (!dateKey) {
+      result.skippedCount += 1;
+      return;
+    }
+
+    if (kind === 'servings') {
+      const name = normalizeFoodName(getCell(row, column(COLUMNS.name)));
+      if (isSkippableFoodName(name)) {
+        result.skippedCount += 1;
+        return;
+      }
+
+      const protein = parseNumber(getCell(row, column(COLUMNS.protein))) || 0;
+      const carbs = parseNumber(getCell(row, column(COLUMNS.carbs))) || 0;
+      const fat = parseNumber(getCell(row, column(COLUMNS.fat))) || 0;
+      result.entries.push({
+        dateKey,
+        mealType: resolveMealType(getCell(row, column(COLUMNS.group)), getCell(row, column(COLUMNS.time))),
+        name,
+        calories: resolveCalories(getCell(row, column(COLUMNS.calories)), protein, carbs, fat),
+        protein,
+        carbs,
+        fat,
+        serving: formatAmount(getCell(row, column(COLUMNS.amount))),
+        source: SOURCE,
+        sourceLabel: SOURCE_LABEL,
+      });
+      return;
+    }
+
+    if (kind === 'exercises') {
+      const name = normalizeFoodName(getCell(row, column(COLUMNS.exercise)));
+      const durationMinutes = parseNumber(getCell(row, column(COLUMNS.minutes))) || 0;
+      const caloriesBurned = Math.abs(parseNumber(getCell(row, column(COLUMNS.burned))) || 0);
+      if (!name || (durationMinutes <= 0 && caloriesBurned <= 0)) {
+        result.skippedCount += 1;
+        return;
+      }
+      result.exercises.push({ dateKey, name, durationMinutes: Math.round(durationMinutes), caloriesBurned: Math.round(caloriesBurned) });
+      return;
+    }
+
+    // Biometrics: only weight rows are imported
+    const metric = getCell(row, column(COLUMNS.metric)).trim().toLowerCase();
+    const unit = parseWeightUnit(getCell(row, column(COLUMNS.unit)));
+    const weight = parseNumber(getCell(row, column(COLUMNS.amount)));
+    if (metric !== 'weight' || !unit || !weight || weight <= 0) {
+      result.skippedCount += 1;
+      return;
+    }
+    result.weights.push({ dateKey, weight, unit });
+  });
+
+  sortFoodEntries(result.entries);
+  return result;
+}
+
+export const cronometerImporter: DiaryImporter = {
+  id: 'cronometer',
+  label: 'Cronometer',
+  detect: (headers) => {
+    if (!detectFileKind(headers) || headers.includes('meal')) return 0;
+    // "Day" + "Group" is specific to Cronometer exports
+    return 10 + (hasColumn(headers, COLUMNS.group) ? 2 : 0);
+  },
+  parse: parseRows,
+};
@@ -0,0 +1,150 @@
+import {
+  emptyDiaryRows,
+  findColumnIndex,
+  getCell,
+  hasColumn,
+  isSkippableFoodName,
+  normalizeFoodName,
+  normalizeHeader,
+  normalizeMealType,
+  normalizeServing,
+  parseDateKey,
+  parseNumber,
+  parseWeightUnit,
+  resolveCalories,
+  sortFoodEntries,
+  trimQuantity,
+} from './importParsing';
+import type { DiaryImporter, ImportedDiaryRows } from './importParsing';
+
+/**
+ * Lose It! spreadsheet exports:
+ * - food log: Date, Name, Type, Quantity, Units, Calories, Deleted, Fat (g),
+ *   Protein (g), Carbohydrates (g), ... where Type is the meal or "Exercise"
+ *   (exercise rows carry the duration in Quantity/Units and negative calories)
+ * - weights:  Date, Weight — in the account's unit, pounds unless the header says otherwise
+ */
+
+const SOURCE = 'loseit_import';
+const SOURCE_LABEL = 'Lose It! Import';
+
+const COLUMNS = {
+  date: ['date'],
+  name: ['name'],
+  type: ['type', 'meal'],
+  quantity: ['quantity'],
+  units: ['units'],
+  calories: ['calories'],
+  deleted: ['deleted'],
+  protein: ['protein'],
+  carbs: ['carbohydrates', 'carbs'],
+  fat: ['fat'],
+  weight: ['weight'],
+} as const;
+
+function isFoodLog(headers: string[]): boolean {
+  return (
+    hasColumn(headers, COLUMNS.date) &&
+    hasColumn(headers, COLUMNS.name) &&
+    hasColumn(headers, COLUMNS.type) &&
+    hasColumn(headers, COLUMNS.quantity) &&
+    hasColumn(headers, COLUMNS.units)
+  );
+}
+
+function isWeightLog(headers: string[]): boolean {
+  return hasColumn(headers, COLUMNS.date) && hasColumn(headers, COLUMNS.weight) && !hasColumn(headers, COLUMNS.name);
+}
+
+function isTruthyCell(value: string): boolean {
+  return /^(true|yes|y|1|x)$/i.test(value.trim());
+}
+
+function toMinutes(quantity: number, units: string): number {
+  const normalized = units.trim().toLowerCase();
+  if (normalized.startsWith('hour') || normalized === 'hr' || normalized === 'hrs') return Math.round(quantity * 60);
+  return Math.round(quantity);
+}
+
+function parseRows(rows: string[][], headerIndex: number): ImportedDiaryRows {
+  const rawHeaders = rows[headerIndex];
+  const headers = rawHeaders.map(normalizeHeader);
+  const column = (aliases: readonly string[]) => findColumnIndex(headers, aliases);
+  const result = emptyDiaryRows();
+
+  if (!isFoodLog(headers)) {
+    const weightColumn = column(COLUMNS.weight);
+    const unit = parseWeightUnit(getCell(rawHeaders, weightColumn)) || 'lbs';
+    rows.slice(headerIndex + 1).forEach((row) => {
+      const dateKey = parseDateKey(getCell(row, column(COLUMNS.date)));
+      const weight = parseNumber(getCell(row, weightColumn));
+      if (!dateKey || !weight || weight <= 0) {
+        result.skippedCount += 1;
+        return;
+      }
+      result.weights.push({ dateKey, weight, unit });
+    });
+    return result;
+  }
+
+  rows.slice(headerIndex + 1).forEach((row) => {
+    const dateKey = parseDateKey(getCell(row, column(COLUMNS.date)));
+    const name = normalizeFoodName(getCell(row, column(COLUMNS.name)));
+    const type = getCell(row, column(COLUMNS.type)).trim();
+    if (!dateKey || isSkippableFoodName(name) || isTruthyCell(getCell(row, column(COLUMNS.deleted)))) {
+      result.skippedCount += 1;
+      return;
+    }
+
+    const quantity = parseNumber(getCell(row, column(COLUMNS.quantity)));
+    const units = getCell(row, column(COLUMNS.units)).trim();
+
+    if (type.toLowerCase() === 'exercise') {
+      const caloriesBurned = Math.abs(parseNumber(getCell(row, column(COLUMNS.calories))) || 0);
+      const durationMinutes = quantity ? toMinutes(quantity, units) : 0;
+      if (durationMinutes <= 0 && caloriesBurned <= 0) {
+        result.skippedCount += 1;
+        return;
+      }
+      result.exercises.push({ dateKey, name, durationMinutes, caloriesBurned: Math.round(caloriesBurned) });
+      return;
+    }
+
+    const mealType = normalizeMealType(type);
+    if (!mealType) {
+      result.skippedCount += 1;
+      return;
+    }
+
+    const protein = parseNumber(getCell(row, column(COLUMNS.protein))) || 0;
+    const carbs = parseNumber(getCell(row, column(COLUMNS.carbs))) || 0;
+    const fat = parseNumber(getCell(row, column(COLUMNS.fat))) || 0;
+    result.entries.push({
+      dateKey,
+      mealType,
+      name,
+      calories: resolveCalories(getCell(row, column(COLUMNS.calories)), protein, carbs, fat),
+      protein,
+      carbs,
+      fat,
+      serving: normalizeServing(quantity !== null ? `${trimQuantity(quantity)} ${units}` : units),
+      source: SOURCE,
+      sourceLabel: SOURCE_LABEL,
+    });
+  });
+
+  sortFoodEntries(result.entries);
+  return result;
+}
+
+export const loseItImporter: DiaryImporter = {
+  id: 'loseit',
+  label: 'Lose It!',
+  detect: (headers) => {
+    if (isFoodLog(headers)) return 10 + (hasColumn(headers, COLUMNS.deleted) ? 2 : 0);
+    // A bare "Date, Weight" sheet is Lose It!'s weight export
+    if (isWeightLog(headers)) return headers.length === 2 ? 6 : 4;
+    return 0;
+  },
+  parse: parseRows,
+};
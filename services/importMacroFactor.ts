@@ -0,0 +1,136 @@
+import {
+  emptyDiaryRows,
+  findColumnIndex,
+  getCell,
+  hasColumn,
+  isSkippableFoodName,
+  mealTypeFromTime,
+  normalizeFoodName,
+  normalizeHeader,
+  normalizeServing,
+  parseDateKey,
+  parseNumber,
+  parseWeightUnit,
+  resolveCalories,
+  sortFoodEntries,
+  trimQuantity,
+} from './importParsing';
+import type { DiaryImporter, ImportedDiaryRows } from './importParsing';
+
+/**
+ * MacroFactor data exports (each sheet saved as CSV):
+ * - food log: Date, Time, Food Name, Serving Size, Serving Qty, Calories (kcal),
+ *   Protein (g), Fat (g), Carbs (g) — no meal column, so meals come from the time
+ * - scale weight: Date, Scale Weight (kg|lbs), Trend Weight (kg|lbs)
+ */
+
+const SOURCE = 'macrofactor_import';
+const SOURCE_LABEL = 'MacroFactor Import';
+
+const COLUMNS = {
+  date: ['date'],
+  time: ['time'],
+  name: ['foodname'],
+  servingSize: ['servingsize'],
+  servingQty: ['servingqty', 'servingquantity', 'servings'],
+  servingWeight: ['servingweight'],
+  calories: ['calories', 'energy'],
+  protein: ['protein'],
+  carbs: ['carbs', 'carbohydrates'],
+  fat: ['fat'],
+  scaleWeight: ['scaleweight', 'weight'],
+  trendWeight: ['trendweight'],
+  meal: ['meal', 'mealname', 'mealtype', 'group'],
+} as const;
+
+function isFoodLog(headers: string[]): boolean {
+  return (
+    hasColumn(headers, COLUMNS.date) &&
+    hasColumn(headers, COLUMNS.time) &&
+    hasColumn(headers, COLUMNS.name) &&
+    hasColumn(headers, COLUMNS.calories) &&
+    !hasColumn(headers, COLUMNS.meal)
+  );
+}
+
+function isWeightLog(headers: string[]): boolean {
+  return hasColumn(headers, COLUMNS.date) && (headers.includes('scaleweight') || headers.includes('trendweight'));
+}
+
+/** "100 g" × 2 → "2 × 100 g"; falls back to the gram weight */
+function formatServing(size: string, qty: number | null, weightGrams: number | null): string {
+  const trimmedSize = size.trim();
+  if (trimmedSize) {
+    return normalizeServing(qty && qty !== 1 ? `${trimQuantity(qty)} × ${trimmedSize}` : trimmedSize);
+  }
+  if (weightGrams) {
+    return `${trimQuantity(weightGrams)} g`;
+  }
+  return normalizeServing('');
+}
+
+function parseRows(rows: string[][], headerIndex: number): ImportedDiaryRows {
+  const rawHeaders = rows[headerIndex];
+  const headers = rawHeaders.map(normalizeHeader);
+  const column = (aliases: readonly string[]) => findColumnIndex(headers, aliases);
+  const result = emptyDiaryRows();
+
+  if (!isFoodLog(headers)) {
+    // Prefer the raw scale reading; trend weight is MacroFactor's smoothed estimate
+    const weightColumn = column(COLUMNS.scaleWeight) ?? column(COLUMNS.trendWeight);
+    const unit = parseWeightUnit(getCell(rawHeaders, weightColumn)) || 'kg';
+    rows.slice(headerIndex + 1).forEach((row) => {
+      const dateKey = parseDateKey(getCell(row, column(COLUMNS.date)));
+      const weight = parseNumber(getCell(row, weightColumn));
+      if (!dateKey || !weight || weight <= 0) {
+        result.skippedCount += 1;
+        return;
+      }
+      result.weights.push({ dateKey, weight, unit });
+    });
+    return result;
+  }
+
+  rows.slice(headerIndex + 1).forEach((row) => {
+    const dateKey = parseDateKey(getCell(row, column(COLUMNS.date)));
+    const name = normalizeFoodName(getCell(row, column(COLUMNS.name)));
+    if (!dateKey || isSkippableFoodName(name)) {
+      result.skippedCount += 1;
+      return;
+    }
+
+    const protein = parseNumber(getCell(row, column(COLUMNS.protein))) || 0;
+    const carbs = parseNumber(getCell(row, column(COLUMNS.carbs))) || 0;
+    const fat = parseNumber(getCell(row, column(COLUMNS.fat))) || 0;
+    result.entries.push({
+      dateKey,
+      mealType: mealTypeFromTime(getCell(row, column(COLUMNS.time))) || 'snacks',
+      name,
+      calories: resolveCalories(getCell(row, column(COLUMNS.calories)), protein, carbs, fat),
+      protein,
+      carbs,
+      fat,
+      serving: formatServing(
+        getCell(row, column(COLUMNS.servingSize)),
+        parseNumber(getCell(row, column(COLUMNS.servingQty))),
+        parseNumber(getCell(row, column(COLUMNS.servingWeight))),
+      ),
+      source: SOURCE,
+      sourceLabel: SOURCE_LABEL,
+    });
+  });
+
+  sortFoodEntries(result.entries);
+  return result;
+}
+
+export const macroFactorImporter: DiaryImporter = {
+  id: 'macrofactor',
+  label: 'MacroFactor',
+  detect: (headers) => {
+    if (isFoodLog(headers)) return 10 + (hasColumn(headers, COLUMNS.servingQty) ? 2 : 0);
+    if (isWeightLog(headers)) return 10;
+    return 0;
+  },
+  parse: parseRows,
+};
@@ -1,18 +1,19 @@
-import { format } from 'date-fns';
 import type { DateKey, MealType } from '../types';
-
-export interface ImportedFoodDiaryEntry {
-  dateKey: DateKey;
-  mealType: MealType;
-  name: string;
-  calories: number;
-  protein: number;
-  carbs: number;
-  fat: number;
-  serving: string;
-  source: 'myfitnesspal_import';
-  sourceLabel: 'MyFitnessPal Import';
-}
+import {
+  findColumnIndex,
+  getCell,
+  isSkippableFoodName,
+  normalizeFoodName,
+  normalizeHeader,
+  normalizeMealType,
+  normalizeServing,
+  parseDateKey,
+  parseImportTable,
+  parseNumber,
+  resolveCalories,
+  sortFoodEntries,
+} from './importParsing';
+import type { DiaryImporter, ImportedDiaryRows, ImportedFoodDiaryEntry } from './importParsing';
 
 export interface MyFitnessPalImportSummary {
   entryCount: number;
@@ -54,202 +55,7 @@ const HEADER_ALIASES = {
   serving: ['serving', 'servings', 'servingsize', 'servingdescription', 'amount', 'portion'],
 } as const;
 
-const MEAL_TYPE_ORDER: Record<MealType, number> = {
-  breakfast: 0,
-  lunch: 1,
-  dinner: 2,
-  snacks: 3,
-};
-
-function normalizeHeader(header: string): string {
-  return (header || '')
-    .replace(/^\uFEFF/, '')
-    .toLowerCase()
-    .replace(/\([^)]*\)/g, '')
-    .replace(/[^a-z0-9]+/g, '');
-}
-
-function normalizeFoodName(name: string): string {
-  return (name || '').trim().replace(/\s+/g, ' ');
-}
-
-function normalizeServing(serving: string): string {
-  return (serving || '').trim().replace(/\s+/g, ' ') || '1 serving';
-}
-
-function parseNumber(value: string): number | null {
-  if (!value || !value.trim()) {
-    return null;
-  }
-
-  const match = value.replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
-  if (!match) {
-    return null;
-  }
-
-  const parsed = Number(match[0]);
-  return Number.isFinite(parsed) ? parsed : null;
-}
-
-function makeDateKey(year: number, month: number, day: number): DateKey | null {
-  const date = new Date(Date.UTC(year, month - 1, day));
-  if (
-    Number.isNaN(date.getTime()) ||
-    date.getUTCFullYear() !== year ||
-    date.getUTCMonth() !== month - 1 ||
-    date.getUTCDate() !== day
-  ) {
-    return null;
-  }
-
-  return format(date, 'yyyy-MM-dd');
-}
-
-function parseYear(value: number): number {
-  if (value >= 100) {
-    return value;
-  }
-
-  return value >= 70 ? 1900 + value : 2000 + value;
-}
-
-function parseDateKey(value: string): DateKey | null {
-  const trimmed = (value || '').trim();
-  if (!trimmed) {
-    return null;
-  }
-
-  const isoMatch = trimmed.match(/^(\d{4})-(\d{2})-(\d{2})/);
-  if (isoMatch) {
-    return makeDateKey(
-      Number(isoMatch[1]),
-      Number(isoMatch[2]),
-      Number(isoMatch[3]),
-    );
-  }
-
-  const slashMatch = trimmed.match(/^(\d{1,4})[/. -](\d{1,2})[/. -](\d{1,4})$/);
-  if (slashMatch) {
-    const left = Number(slashMatch[1]);
-    const middle = Number(slashMatch[2]);
-    const right = Number(slashMatch[3]);
-
-    if (slashMatch[1].length === 4) {
-      return makeDateKey(left, middle, right);
-    }
-
-    const year = parseYear(right);
-    if (left > 12) {
-      return makeDateKey(year, middle, left);
-    }
-    if (middle > 12) {
-      return makeDateKey(year, left, middle);
-    }
-    return makeDateKey(year, left, middle);
-  }
-
-  const parsed = new Date(trimmed);
-  if (Number.isNaN(parsed.getTime())) {
-    return null;
-  }
-
-  return format(parsed, 'yyyy-MM-dd');
-}
-
-function normalizeMealType(value: string): MealType | null {
-  const normalized = (value || '').trim().toLowerCase();
-  if (!normalized) {
-    return null;
-  }
-
-  if (normalized.includes('breakfast')) {
-    return 'breakfast';
-  }
-  if (normalized.includes('lunch') || normalized.includes('brunch')) {
-    return 'lunch';
-  }
-  if (normalized.includes('dinner') || normalized.includes('supper')) {
-    return 'dinner';
-  }
-  if (normalized.includes('snack')) {
-    return 'snacks';
-  }
-
-  return 'snacks';
-}
-
-function isSkippableFoodName(name: string): boolean {
-  const normalized = normalizeFoodName(name).toLowerCase();
-  if (!normalized) {
-    return true;
-  }
-
-  return (
-    normalized === 'total' ||
-    normalized === 'totals' ||
-    normalized.endsWith(' total') ||
-    normalized.endsWith(' totals')
-  );
-}
-
-function parseCsvTable(csvText: string): string[][] {
-  const rows: string[][] = [];
-  let currentRow: string[] = [];
-  let currentField = '';
-  let inQuotes = false;
-
-  for (let index = 0; index < csvText.length; index += 1) {
-    const char = csvText[index];
-    const nextChar = csvText[index + 1];
-
-    if (char === '"') {
-      if (inQuotes && nextChar === '"') {
-        currentField += '"';
-        index += 1;
-      } else {
-        inQuotes = !inQuotes;
-      }
-      continue;
-    }
-
-    if (char === ',' && !inQuotes) {
-      currentRow.push(currentField);
-      currentField = '';
-      continue;
-    }
-
-    if ((char === '\n' || char === '\r') && !inQuotes) {
-      if (char === '\r' && nextChar === '\n') {
-        index += 1;
-      }
-      currentRow.push(currentField);
-      rows.push(currentRow);
-      currentRow = [];
-      currentField = '';
-      continue;
-    }
-
-    currentField += char;
-  }
-
-  if (currentField.length > 0 || currentRow.length > 0) {
-    currentRow.push(currentField);
-    rows.push(currentRow);
-  }
-
-  return rows;
-}
-
-function findColumnIndex(
-  normalizedHeaders: string[],
-  aliases: readonly string[],
-): number | null {
-  const match = normalizedHeaders.findIndex((header) => aliases.some((alias) => alias === header));
-  return match >= 0 ? match : null;
-}
-
-function getHeaderMap(row: string[]): ParsedHeaderMap {
-  const normalizedHeaders = row.map(normalizeHeader);
+function getHeaderMap(normalizedHeaders: string[]): ParsedHeaderMap {
   return {
     date: findColumnIndex(normalizedHeaders, HEADER_ALIASES.date),
     meal: findColumnIndex(normalizedHeaders, HEADER_ALIASES.meal),
@@ -262,26 +68,22 @@ function getHeaderMap(row: string[]): ParsedHeaderMap {
   };
 }
 
-function headerScore(headerMap: ParsedHeaderMap): number {
-  return Object.values(headerMap).filter((index) => index !== null).length;
+function hasRequiredColumns(headerMap: ParsedHeaderMap): boolean {
+  return headerMap.date !== null && headerMap.meal !== null && headerMap.name !== null;
 }
 
-function getCell(row: string[], index: number | null): string {
-  if (index === null || index < 0) {
-    return '';
-  }
-  return row[index] || '';
+function headerScore(headerMap: ParsedHeaderMap): number {
+  return Object.values(headerMap).filter((index) => index !== null).length;
 }
 
-function selectHeaderRow(rows: string[][]): { index: number; headerMap: ParsedHeaderMap } {
+function selectHeaderRow(rows: string[][]): number {
   let bestIndex = -1;
   let bestMap: ParsedHeaderMap | null = null;
   let bestScore = -1;
 
   const searchLimit = Math.min(rows.length, 5);
   for (let index = 0; index < searchLimit; index += 1) {
-    const row = rows[index];
-    const candidate = getHeaderMap(row);
+    const candidate = getHeaderMap(rows[index].map(normalizeHeader));
     const score = headerScore(candidate);
     if (score > bestScore) {
       bestScore = score;
@@ -290,28 +92,15 @@ function selectHeaderRow(rows: string[][]): { index: number; headerMap: ParsedHe
     }
   }
 
-  if (!bestMap || bestIndex < 0 || bestMap.date === null || bestMap.meal === null || bestMap.name === null) {
+  if (!bestMap || bestIndex < 0 || !hasRequiredColumns(bestMap)) {
     throw new Error('Could not find the required Date, Meal, and Food Name columns.');
   }
 
-  return { index: bestIndex, headerMap: bestMap };
+  return bestIndex;
 }
 
-export function parseMyFitnessPalCsv(csvText: string): ParsedMyFitnessPalImport {
-  const normalizedText = (csvText || '').trim();
-  if (!normalizedText) {
-    throw new Error('Paste your MyFitnessPal CSV export first.');
-  }
-
-  const rows = parseCsvTable(normalizedText).filter((row) =>
-    row.some((cell) => cell && cell.trim().length > 0)
-  );
-
-  if (rows.length < 2) {
-    throw new Error('This CSV does not contain any food diary rows.');
-  }
-
-  const { index: headerIndex, headerMap } = selectHeaderRow(rows);
+function parseRows(rows: string[][], headerIndex: number): ImportedDiaryRows {
+  const headerMap = getHeaderMap(rows[headerIndex].map(normalizeHeader));
   const entries: ImportedFoodDiaryEntry[] = [];
   let skippedCount = 0;
   let lastDateKey: DateKey | null = null;
@@ -344,15 +133,12 @@ export function parseMyFitnessPalCsv(csvText: string): ParsedMyFitnessPalImport
     const protein = parseNumber(getCell(row, headerMap.protein)) || 0;
     const carbs = parseNumber(getCell(row, headerMap.carbs)) || 0;
     const fat = parseNumber(getCell(row, headerMap.fat)) || 0;
-    const calories =
-      parseNumber(getCell(row, headerMap.calories)) ||
-      Math.round(protein * 4 + carbs * 4 + fat * 9);
 
     entries.push({
       dateKey,
       mealType,
       name,
-      calories,
+      calories: resolveCalories(getCell(row, headerMap.calories), protein, carbs, fat),
       protein,
       carbs,
       fat,
@@ -362,20 +148,37 @@ export function parseMyFitnessPalCsv(csvText: string): ParsedMyFitnessPalImport
     });
   });
 
+  return { entries: sortFoodEntries(entries), weights: [], exercises: [], skippedCount };
+}
+
+export const myFitnessPalImporter: DiaryImporter = {
+  id: 'myfitnesspal',
+  label: 'MyFitnessPal',
+  detect: (headers) => {
+    const headerMap = getHeaderMap(headers);
+    return hasRequiredColumns(headerMap) ? headerScore(headerMap) : 0;
+  },
+  parse: parseRows,
+};
+
+export function parseMyFitnessPalCsv(csvText: string): ParsedMyFitnessPalImport {
+  const normalizedText = (csvText || '').trim();
+  if (!normalizedText) {
+    throw new Error('Paste your MyFitnessPal CSV export first.');
+  }
+
+  const rows = parseImportTable(normalizedText);
+
+  if (rows.length < 2) {
+    throw new Error('This CSV does not contain any food diary rows.');
+  }
+
+  const { entries, skippedCount } = parseRows(rows, selectHeaderRow(rows));
+
   if (entries.length === 0) {
     throw new Error('No importable food rows were found in this CSV.');
   }
 
-  entries.sort((left, right) => {
-    if (left.dateKey !== right.dateKey) {
-      return left.dateKey.localeCompare(right.dateKey);
-    }
-    if (left.mealType !== right.mealType) {
-      return MEAL_TYPE_ORDER[left.mealType] - MEAL_TYPE_ORDER[right.mealType];
-    }
-    return left.name.localeCompare(right.name);
-  });
-
   const dateKeys = [...new Set(entries.map((entry) => entry.dateKey))];
   const mealKeys = new Set(entries.map((entry) => `${entry.dateKey}:${entry.mealType}`));
   const uniqueFoodNames = new Set(entries.map((entry) => entry.name.toLowerCase()));
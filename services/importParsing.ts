@@ -0,0 +1,387 @@
+import { format } from 'date-fns';
+import type { DateKey, MealType } from '../types';
+
+/**
+ * Shared types and parsing helpers for the diary importers
+ * (MyFitnessPal, Cronometer, Lose It!, MacroFactor).
+ */
+
+export type DiaryImportSource = 'myfitnesspal' | 'cronometer' | 'loseit' | 'macrofactor';
+
+export type ImportWeightUnit = 'kg' | 'lbs';
+
+export interface ImportedFoodDiaryEntry {
+  dateKey: DateKey;
+  mealType: MealType;
+  name: string;
+  calories: number;
+  protein: number;
+  carbs: number;
+  fat: number;
+  serving: string;
+  source: `${DiaryImportSource}_import`;
+  sourceLabel: string;
+}
+
+export interface ImportedWeightEntry {
+  dateKey: DateKey;
+  weight: number;
+  unit: ImportWeightUnit;
+}
+
+export interface ImportedExerciseEntry {
+  dateKey: DateKey;
+  name: string;
+  durationMinutes: number;
+  caloriesBurned: number;
+}
+
+/** Rows an importer pulled out of one export file */
+export interface ImportedDiaryRows {
+  entries: ImportedFoodDiaryEntry[];
+  weights: ImportedWeightEntry[];
+  exercises: ImportedExerciseEntry[];
+  skippedCount: number;
+}
+
+export interface DiaryImporter {
+  id: DiaryImportSource;
+  label: string;
+  /**
+   * How well a row of normalized headers matches this app's export.
+   * 0 means the row is not one of this app's header rows.
+   */
+  detect: (headers: string[]) => number;
+  /** Map the rows below `headerIndex` into diary entries */
+  parse: (rows: string[][], headerIndex: number) => ImportedDiaryRows;
+}
+
+export const MEAL_TYPE_ORDER: Record<MealType, number> = {
+  breakfast: 0,
+  lunch: 1,
+  dinner: 2,
+  snacks: 3,
+};
+
+const KG_PER_LB = 0.453592;
+
+export function normalizeHeader(header: string): string {
+  return (header || '')
+    .replace(/^\uFEFF/, '')
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, '')
+    .replace(/[^a-z0-9]+/g, '');
+}
+
+export function normalizeFoodName(name: string): string {
+  return (name || '').trim().replace(/\s+/g, ' ');
+}
+
+export function normalizeServing(serving: string): string {
+  return (serving || '').trim().replace(/\s+/g, ' ') || '1 serving';
+}
+
+export function parseNumber(value: string): number | null {
+  if (!value || !value.trim()) {
+    return null;
+  }
+
+  const match = value.replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
+  if (!match) {
+    return null;
+  }
+
+  const parsed = Number(match[0]);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/** "1.50" → "1.5", "2.00" → "2" */
+export function trimQuantity(value: number): string {
+  return String(Math.round(value * 100) / 100);
+}
+
+function makeDateKey(year: number, month: number, day: number): DateKey | null {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (
+    Number.isNaN(date.getTime()) ||
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+
+  return format(date, 'yyyy-MM-dd');
+}
+
+function parseYear(value: number): number {
+  if (value >= 100) {
+    return value;
+  }
+
+  return value >= 70 ? 1900 + value : 2000 + value;
+}
+
+export function parseDateKey(value: string): DateKey | null {
+  const trimmed = (value || '').trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  const isoMatch = trimmed.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (isoMatch) {
+    return makeDateKey(
+      Number(isoMatch[1]),
+      Number(isoMatch[2]),
+      Number(isoMatch[3]),
+    );
+  }
+
+  const slashMatch = trimmed.match(/^(\d{1,4})[/. -](\d{1,2})[/. -](\d{1,4})$/);
+  if (slashMatch) {
+    const left = Number(slashMatch[1]);
+    const middle = Number(slashMatch[2]);
+    const right = Number(slashMatch[3]);
+
+    if (slashMatch[1].length === 4) {
+      return makeDateKey(left, middle, right);
+    }
+
+    const year = parseYear(right);
+    if (left > 12) {
+      return makeDateKey(year, middle, left);
+    }
+    if (middle > 12) {
+      return makeDateKey(year, left, middle);
+    }
+    return makeDateKey(year, left, middle);
+  }
+
+  const parsed = new Date(trimmed);
+  if (Number.isNaN(parsed.getTime())) {
+    return null;
+  }
+
+  return format(parsed, 'yyyy-MM-dd');
+}
+
+export function normalizeMealType(value: string): MealType | null {
+  const normalized = (value || '').trim().toLowerCase();
+  if (!normalized) {
+    return null;
+  }
+
+  if (normalized.includes('breakfast')) {
+    return 'breakfast';
+  }
+  if (normalized.includes('lunch') || normalized.includes('brunch')) {
+    return 'lunch';
+  }
+  if (normalized.includes('dinner') || normalized.includes('supper')) {
+    return 'dinner';
+  }
+  if (normalized.includes('snack')) {
+    return 'snacks';
+  }
+
+  return 'snacks';
+}
+
+/**
+ * Meal slot for apps that log a time instead of a meal ("07:45", "6:30 PM").
+ * Returns null when the time can't be read.
+ */
+export function mealTypeFromTime(value: string): MealType | null {
+  const match = (value || '').trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap]\.?m\.?)?$/i);
+  if (!match) {
+    return null;
+  }
+
+  let hours = Number(match[1]);
+  const meridiem = match[3]?.toLowerCase().replace(/\./g, '');
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+  if (hours > 23) {
+    return null;
+  }
+
+  const minutes = hours * 60 + Number(match[2]);
+  if (minutes >= 4 * 60 && minutes < 11 * 60) return 'breakfast';
+  if (minutes >= 11 * 60 && minutes < 15 * 60) return 'lunch';
+  if (minutes >= 17 * 60 && minutes < 22 * 60) return 'dinner';
+  return 'snacks';
+}
+
+export function isSkippableFoodName(name: string): boolean {
+  const normalized = normalizeFoodName(name).toLowerCase();
+  if (!normalized) {
+    return true;
+  }
+
+  return (
+    normalized === 'total' ||
+    normalized === 'totals' ||
+    normalized.endsWith(' total') ||
+    normalized.endsWith(' totals')
+  );
+}
+
+/** Weight unit named in a header or unit cell ("Weight (kg)", "lbs") */
+export function parseWeightUnit(value: string): ImportWeightUnit | null {
+  const normalized = (value || '').toLowerCase();
+  if (/\bkgs?\b|kilogram/.test(normalized)) return 'kg';
+  if (/\blbs?\b|pound/.test(normalized)) return 'lbs';
+  return null;
+}
+
+export function convertWeight(weight: number, from: ImportWeightUnit, to: ImportWeightUnit): number {
+  if (from === to) {
+    return weight;
+  }
+  const converted = from === 'kg' ? weight / KG_PER_LB : weight * KG_PER_LB;
+  return Math.round(converted * 10) / 10;
+}
+
+export function parseCsvTable(csvText: string): string[][] {
+  const rows: string[][] = [];
+  let currentRow: string[] = [];
+  let currentField = '';
+  let inQuotes = false;
+
+  for (let index = 0; index < csvText.length; index += 1) {
+    const char = csvText[index];
+    const nextChar = csvText[index + 1];
+
+    if (char === '"') {
+      if (inQuotes && nextChar === '"') {
+        currentField += '"';
+        index += 1;
+      } else {
+        inQuotes = !inQuotes;
+      }
+      continue;
+    }
+
+    if (char === ',' && !inQuotes) {
+      currentRow.push(currentField);
+      currentField = '';
+      continue;
+    }
+
+    if ((char === '\n' || char === '\r') && !inQuotes) {
+      if (char === '\r' && nextChar === '\n') {
+        index += 1;
+      }
+      currentRow.push(currentField);
+      rows.push(currentRow);
+      currentRow = [];
+      currentField = '';
+      continue;
+    }
+
+    currentField += char;
+  }
+
+  if (currentField.length > 0 || currentRow.length > 0) {
+    currentRow.push(currentField);
+    rows.push(currentRow);
+  }
+
+  return rows;
+}
+
+function findRecordArray(value: unknown): Record<string, unknown>[] | null {
+  if (Array.isArray(value)) {
+    return value.filter((item): item is Record<string, unknown> => !!item && typeof item === 'object' && !Array.isArray(item));
+  }
+  if (value && typeof value === 'object') {
+    for (const nested of Object.values(value as Record<string, unknown>)) {
+      const records = findRecordArray(nested);
+      if (records && records.length > 0) {
+        return records;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Flatten a JSON export (an array of row objects, or an object wrapping one)
+ * into a header row followed by value rows so it goes through the same
+ * column mapping as CSV.
+ */
+export function parseJsonTable(jsonText: string): string[][] {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(jsonText);
+  } catch {
+    throw new Error('This file is not valid JSON.');
+  }
+
+  const records = findRecordArray(parsed);
+  if (!records || records.length === 0) {
+    return [];
+  }
+
+  const headers: string[] = [];
+  records.forEach((record) => {
+    Object.keys(record).forEach((key) => {
+      if (!headers.includes(key)) headers.push(key);
+    });
+  });
+
+  const toCell = (value: unknown): string => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  };
+
+  return [headers, ...records.map((record) => headers.map((header) => toCell(record[header])))];
+}
+
+/** Parse CSV or JSON export text into non-empty rows */
+export function parseImportTable(text: string): string[][] {
+  const trimmed = (text || '').trim();
+  const rows = /^[[{]/.test(trimmed) ? parseJsonTable(trimmed) : parseCsvTable(trimmed);
+  return rows.filter((row) => row.some((cell) => cell && cell.trim().length > 0));
+}
+
+export function findColumnIndex(
+  normalizedHeaders: string[],
+  aliases: readonly string[],
+): number | null {
+  const match = normalizedHeaders.findIndex((header) => aliases.some((alias) => alias === header));
+  return match >= 0 ? match : null;
+}
+
+export function hasColumn(normalizedHeaders: string[], aliases: readonly string[]): boolean {
+  return findColumnIndex(normalizedHeaders, aliases) !== null;
+}
+
+export function getCell(row: string[], index: number | null): string {
+  if (index === null || index < 0) {
+    return '';
+  }
+  return row[index] || '';
+}
+
+/** Calories from the row, or estimated from macros when the column is empty */
+export function resolveCalories(value: string, protein: number, carbs: number, fat: number): number {
+  return parseNumber(value) || Math.round(protein * 4 + carbs * 4 + fat * 9);
+}
+
+export function sortFoodEntries(entries: ImportedFoodDiaryEntry[]): ImportedFoodDiaryEntry[] {
+  return entries.sort((left, right) => {
+    if (left.dateKey !== right.dateKey) {
+      return left.dateKey.localeCompare(right.dateKey);
+    }
+    if (left.mealType !== right.mealType) {
+      return MEAL_TYPE_ORDER[left.mealType] - MEAL_TYPE_ORDER[right.mealType];
+    }
+    return left.name.localeCompare(right.name);
+  });
+}
+
+export function emptyDiaryRows(): ImportedDiaryRows {
+  return { entries: [], weights: [], exercises: [], skippedCount: 0 };
+}
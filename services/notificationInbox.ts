@@ -0,0 +1,190 @@
+/**
+ * Notification inbox.
+ *
+ * A device-local history of the notifications the user has received, with
+ * read state, so they can be found again after leaving the system tray.
+ * Server pushes are also recorded in push_deliveries; those rows are merged
+ * in so pushes that arrived while the app was closed still show up. A push
+ * carries its delivery id, which keeps the two copies from doubling up.
+ */
+
+import * as Notifications from 'expo-notifications';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { supabase } from '../lib/supabase';
+import { Sentry } from '../lib/sentry';
+import { getNotificationCategory, type NotificationCategory } from '../lib/notificationSchedule';
+
+const INBOX_KEY = '@fueliq_notification_inbox';
+export const MAX_INBOX_ITEMS = 100;
+
+export interface NotificationInboxItem {
+  id: string;
+  title: string;
+  body: string;
+  data: Record<string, unknown>;
+  category: NotificationCategory | null;
+  /** ISO timestamp of delivery */
+  receivedAt: string;
+  read: boolean;
+}
+
+interface PushDeliveryRow {
+  id: number | string;
+  title: string;
+  body: string;
+  data: Record<string, unknown> | null;
+  created_at: string;
+}
+
+function pushItemId(deliveryId: unknown): string | null {
+  return typeof deliveryId === 'string' || typeof deliveryId === 'number' ? `push-${deliveryId}` : null;
+}
+
+/** Inbox entry for a delivered notification; null if it has nothing to show */
+export function toInboxItem(notification: Notifications.Notification, read = false): NotificationInboxItem | null {
+  const { identifier, content } = notification.request;
+  if (!content.title && !content.body) return null;
+
+  const data = content.data && typeof content.data === 'object'
+    ? (content.data as Record<string, unknown>)
+    : {};
+
+  return {
+    id: pushItemId(data.deliveryId) ?? `${identifier}@${notification.date}`,
+    title: content.title || '',
+    body: content.body || '',
+    data,
+    category: getNotificationCategory(data.type),
+    receivedAt: new Date(notification.date).toISOString(),
+    read,
+  };
+}
+
+function fromPushDelivery(row: PushDeliveryRow): NotificationInboxItem {
+  const data = row.data ?? {};
+  return {
+    id: `push-${row.id}`,
+    title: row.title,
+    body: row.body,
+    data,
+    category: getNotificationCategory(data.type),
+    receivedAt: new Date(row.created_at).toISOString(),
+    read: false,
+  };
+}
+
+/**
+ * Add items to an inbox, newest first. An item seen again keeps its read
+ * state, and becomes read if the new copy is.
+ */
+export function mergeInboxItems(
+  existing: NotificationInboxItem[],
+  incoming: NotificationInboxItem[]
+): NotificationInboxItem[] {
+  const byId = new Map(existing.map((item) => [item.id, item]));
+  for (const item of incoming) {
+    const current = byId.get(item.id);
+    byId.set(item.id, current ? { ...current, read: current.read || item.read } : item);
+  }
+  return [...byId.values()]
+    .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt))
+    .slice(0, MAX_INBOX_ITEMS);
+}
+
+export async function getNotificationInbox(): Promise<NotificationInboxItem[]> {
+  try {
+    const raw = await AsyncStorage.getItem(INBOX_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    Sentry.captureException(e);
+    return [];
+  }
+}
+
+// Listeners, tray reads and server syncs can land together; apply them in order
+let pendingUpdate: Promise<NotificationInboxItem[]> = Promise.resolve([]);
+
+function updateInbox(
+  update: (items: NotificationInboxItem[]) => NotificationInboxItem[]
+): Promise<NotificationInboxItem[]> {
+  pendingUpdate = pendingUpdate
+    .catch(() => [])
+    .then(async () => {
+      const next = update(await getNotificationInbox());
+      await AsyncStorage.setItem(INBOX_KEY, JSON.stringify(next));
+      return next;
+    });
+  return pendingUpdate.catch((e) => {
+    Sentry.captureException(e);
+    if (__DEV__) console.warn('[Inbox] Failed to update notification inbox:', e);
+    return [];
+  });
+}
+
+/** Record delivered notifications; pass read when the user opened them */
+export function recordNotifications(
+  notifications: Notifications.Notification[],
+  options: { read?: boolean } = {}
+): Promise<NotificationInboxItem[]> {
+  const items = notifications
+    .map((notification) => toInboxItem(notification, options.read === true))
+    .filter((item): item is NotificationInboxItem => item !== null);
+  return updateInbox((existing) => mergeInboxItems(existing, items));
+}
+
+/** Record whatever is still showing in the system tray */
+export async function recordPresentedNotifications(): Promise<void> {
+  try {
+    const presented = await Notifications.getPresentedNotificationsAsync();
+    if (presented.length > 0) await recordNotifications(presented);
+  } catch (e) {
+    Sentry.captureException(e);
+    if (__DEV__) console.warn('[Inbox] Failed to read presented notifications:', e);
+  }
+}
+
+/** Record notifications that arrive while the app is in the foreground */
+export function watchIncomingNotifications(): () => void {
+  const subscription = Notifications.addNotificationReceivedListener((notification) => {
+    recordNotifications([notification]);
+  });
+  return () => subscription.remove();
+}
+
+/** Merge in pushes the server sent to this user */
+export async function syncPushDeliveries(userId: string): Promise<void> {
+  try {
+    const { data, error } = await supabase
+      .from('push_deliveries')
+      .select('id, title, body, data, created_at')
+      .eq('user_id', userId)
+      .eq('status', 'sent')
+      .order('created_at', { ascending: false })
+      .limit(MAX_INBOX_ITEMS);
+    if (error) throw error;
+    const items = ((data || []) as PushDeliveryRow[]).map(fromPushDelivery);
+    if (items.length > 0) await updateInbox((existing) => mergeInboxItems(existing, items));
+  } catch (e) {
+    Sentry.captureException(e);
+    if (__DEV__) console.warn('[Inbox] Failed to sync push deliveries:', e);
+  }
+}
+
+export function markInboxItemRead(id: string): Promise<NotificationInboxItem[]> {
+  return updateInbox((items) => items.map((item) => (item.id === id ? { ...item, read: true } : item)));
+}
+
+export function markAllInboxItemsRead(): Promise<NotificationInboxItem[]> {
+  return updateInbox((items) => items.map((item) => (item.read ? item : { ...item, read: true })));
+}
+
+/** Forget the inbox, e.g. when the user signs out */
+export async function clearNotificationInbox(): Promise<void> {
+  try {
+    await pendingUpdate.catch(() => []);
+    await AsyncStorage.removeItem(INBOX_KEY);
+  } catch (e) {
+    Sentry.captureException(e);
+  }
+}
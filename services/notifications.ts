@@ -3,6 +3,13 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Platform } from 'react-native';
 import { Sentry } from '../lib/sentry';
 import { formatLocalDateKey } from '../lib/date';
+import {
+  deferOutOfQuietHours,
+  getWaterReminderTimes,
+  isQuietTime,
+  shiftOutOfQuietHours,
+  type QuietHours,
+} from '../lib/notificationSchedule';
 import type { ActivationStage } from '../lib/activationTracker';
 
 const SETTINGS_KEY: string = '@fueliq_notification_settings';
@@ -101,7 +108,7 @@ function getPersonalizedStreakMessage(streak: number, name: string, type: 'risk'
 // Types
 // ============================================================================
 
-interface NotificationTime {
+export interface NotificationTime {
   hour: number;
   minute: number;
 }
@@ -115,6 +122,23 @@ export interface NotificationSettings {
   lunchTime: NotificationTime;
   dinnerTime: NotificationTime;
   waterInterval: number;
+  /** First and last water reminder of the day */
+  waterStartTime: NotificationTime;
+  waterEndTime: NotificationTime;
+  streakTime: NotificationTime;
+  /** Morning briefing from the AI coach */
+  coachingReminders: boolean;
+  coachingTime: NotificationTime;
+  /** Weekly report reminder; weekday is 1 (Sunday) to 7 (Saturday) */
+  weeklyDigest: boolean;
+  digestWeekday: number;
+  digestTime: NotificationTime;
+  /** Comments, challenges and group replies, pushed by the server or shown locally */
+  socialPush: boolean;
+  /** Window with no notifications; may wrap past midnight */
+  quietHoursEnabled: boolean;
+  quietHoursStart: NotificationTime;
+  quietHoursEnd: NotificationTime;
 }
 
 type ActivationReminderStage = Exclude<ActivationStage, 'complete'>;
@@ -131,6 +155,18 @@ const DEFAULT_SETTINGS: NotificationSettings = {
   dinnerTime: { hour: 18, minute: 30 },
   // Water reminder interval in hours
   waterInterval: 2,
+  waterStartTime: { hour: 8, minute: 0 },
+  waterEndTime: { hour: 22, minute: 0 },
+  streakTime: { hour: 21, minute: 0 },
+  coachingReminders: true,
+  coachingTime: { hour: 7, minute: 30 },
+  weeklyDigest: true,
+  digestWeekday: 1,
+  digestTime: { hour: 18, minute: 0 },
+  socialPush: true,
+  quietHoursEnabled: true,
+  quietHoursStart: { hour: 22, minute: 0 },
+  quietHoursEnd: { hour: 7, minute: 0 },
 };
 
 // Motivating meal reminder messages
@@ -166,6 +202,19 @@ const WATER_MESSAGES: string[] = [
   "Time for water! Keep that hydration streak going \u{1F3C6}",
 ];
 
+function getQuietHours(settings: NotificationSettings): QuietHours {
+  return {
+    enabled: settings.quietHoursEnabled,
+    start: settings.quietHoursStart,
+    end: settings.quietHoursEnd,
+  };
+}
+
+function isQuietNow(settings: NotificationSettings): boolean {
+  const now = new Date();
+  return isQuietTime({ hour: now.getHours(), minute: now.getMinutes() }, getQuietHours(settings));
+}
+
 /**
  * Pick a random message from an array
  */
@@ -300,6 +349,14 @@ export function configureNotifications(): void {
       },
     ]);
 
+    Notifications.setNotificationCategoryAsync('weekly-digest', [
+      {
+        identifier: 'VIEW_REPORT',
+        buttonTitle: 'View Report',
+        options: { opensAppToForeground: true },
+      },
+    ]);
+
     Notifications.setNotificationCategoryAsync('social-notification', [
       {
         identifier: 'VIEW',
@@ -419,7 +476,10 @@ export async function scheduleMealReminders(settings: NotificationSettings): Pro
     },
   ];
 
+  const quiet = getQuietHours(settings);
+
   for (const meal of meals) {
+    const time = shiftOutOfQuietHours(meal.time, quiet);
     try {
       await Notifications.scheduleNotificationAsync({
         identifier: meal.identifier,
@@ -431,8 +491,8 @@ export async function scheduleMealReminders(settings: NotificationSettings): Pro
         },
         trigger: {
           type: 'daily',
-          hour: meal.time.hour,
-          minute: meal.time.minute,
+          hour: time.hour,
+          minute: time.minute,
         } as any,
       });
     } catch (error: unknown) {
@@ -442,7 +502,8 @@ export async function scheduleMealReminders(settings: NotificationSettings): Pro
 }
 
 /**
- * Schedule water reminders every N hours between 8am and 10pm.
+ * Schedule water reminders every N hours within the configured window,
+ * skipping any that fall in quiet hours.
  */
 export async function scheduleWaterReminders(settings: NotificationSettings): Promise<void> {
   if (!settings.waterReminders) return;
@@ -455,15 +516,15 @@ export async function scheduleWaterReminders(settings: NotificationSettings): Pr
     }
   }
 
-  const startHour: number = 8;
-  const endHour: number = 22; // 10pm
-  const interval: number = settings.waterInterval || 2;
+  const times = getWaterReminderTimes(
+    settings.waterStartTime,
+    settings.waterEndTime,
+    settings.waterInterval,
+    getQuietHours(settings)
+  );
   let index: number = 0;
 
-  for (let hour = startHour; hour <= endHour; hour += interval) {
-    const wholeHour: number = Math.floor(hour);
-    const minute: number = Math.round((hour - wholeHour) * 60);
-
+  for (const { hour, minute } of times) {
     try {
       await Notifications.scheduleNotificationAsync({
         identifier: `water-${index}`,
@@ -475,7 +536,7 @@ export async function scheduleWaterReminders(settings: NotificationSettings): Pr
         },
         trigger: {
           type: 'daily',
-          hour: wholeHour,
+          hour,
           minute,
         } as any,
       });
@@ -488,20 +549,29 @@ export async function scheduleWaterReminders(settings: NotificationSettings): Pr
 
 /**
  * Schedule a one-time notification for when a fast is complete.
+ * A fast that ends during quiet hours is announced when they end.
  * @param endTime - The Date or timestamp when the fast ends
+ * @param settings - Saved settings are loaded when omitted
  */
-export async function scheduleFastingAlert(endTime: Date | number): Promise<void> {
+export async function scheduleFastingAlert(
+  endTime: Date | number,
+  settings?: NotificationSettings
+): Promise<void> {
   try {
     // Cancel any existing fasting alert
     await cancelByIdentifier('fasting-complete');
 
-    const triggerDate: Date = endTime instanceof Date ? endTime : new Date(endTime);
+    const endDate: Date = endTime instanceof Date ? endTime : new Date(endTime);
 
     // Don't schedule if the end time is in the past
-    if (triggerDate.getTime() <= Date.now()) {
+    if (endDate.getTime() <= Date.now()) {
       return;
     }
 
+    const prefs = settings ?? await getNotificationSettings();
+    if (!prefs.fastingAlerts) return;
+    const triggerDate = deferOutOfQuietHours(endDate, getQuietHours(prefs));
+
     await Notifications.scheduleNotificationAsync({
       identifier: 'fasting-complete',
       content: {
@@ -521,27 +591,36 @@ export async function scheduleFastingAlert(endTime: Date | number): Promise<void
 }
 
 /**
- * Schedule a streak warning notification at 9pm if the user
- * hasn't logged food today. Uses personalized copy based on streak data (#12).
+ * Schedule a streak warning notification at the configured time (9pm by
+ * default) if the user hasn't logged food today. Uses personalized copy
+ * based on streak data (#12). Not scheduled when that time is in quiet
+ * hours, since a warning after them would arrive once the day is over.
  * identifier: 'streak-warning'
  */
-export async function scheduleStreakWarning(streakDays?: number, userName?: string): Promise<void> {
+export async function scheduleStreakWarning(
+  streakDays?: number,
+  userName?: string,
+  settings?: NotificationSettings
+): Promise<void> {
   try {
     // Cancel any existing streak warning
     await cancelByIdentifier('streak-warning');
 
-    // Schedule for today at 9pm
+    const prefs = settings ?? await getNotificationSettings();
+    if (!prefs.streakWarnings || isQuietTime(prefs.streakTime, getQuietHours(prefs))) return;
+
+    // Schedule for today at the warning time
     const now = new Date();
     const triggerDate = new Date(
       now.getFullYear(),
       now.getMonth(),
       now.getDate(),
-      21, // 9pm
-      0,
+      prefs.streakTime.hour,
+      prefs.streakTime.minute,
       0
     );
 
-    // If it's already past 9pm today, schedule for tomorrow
+    // If that time has already passed today, schedule for tomorrow
     if (triggerDate.getTime() <= Date.now()) {
       triggerDate.setDate(triggerDate.getDate() + 1);
     }
@@ -592,7 +671,8 @@ export async function scheduleStreakWarning(streakDays?: number, userName?: stri
 
 export async function scheduleActivationReminder(
   stage: ActivationReminderStage,
-  userName?: string
+  userName?: string,
+  settings?: NotificationSettings
 ): Promise<void> {
   try {
     await cancelByIdentifier('activation-reminder');
@@ -602,6 +682,9 @@ export async function scheduleActivationReminder(
       return;
     }
 
+    const prefs = settings ?? await getNotificationSettings();
+    const triggerDate = deferOutOfQuietHours(plan.triggerDate, getQuietHours(prefs));
+
     await Notifications.scheduleNotificationAsync({
       identifier: 'activation-reminder',
       content: {
@@ -612,7 +695,7 @@ export async function scheduleActivationReminder(
       },
       trigger: {
         type: 'date',
-        date: plan.triggerDate,
+        date: triggerDate,
       } as any,
     });
   } catch (error: unknown) {
@@ -662,13 +745,20 @@ const STREAK_MORNING_MESSAGES: Record<string, string[]> = {
 };
 
 /**
- * Schedule a daily morning briefing notification at 7:30am.
- * This drives users back into the app first thing in the morning.
- * Now includes streak-aware personalized copy (#12).
+ * Schedule a daily morning briefing notification at the coaching time
+ * (7:30am by default). This drives users back into the app first thing in
+ * the morning. Now includes streak-aware personalized copy (#12).
  */
-export async function scheduleMorningBriefing(streakDays?: number, userName?: string): Promise<void> {
+export async function scheduleMorningBriefing(
+  streakDays?: number,
+  userName?: string,
+  settings: NotificationSettings = DEFAULT_SETTINGS
+): Promise<void> {
   try {
     await cancelByIdentifier('morning-briefing');
+    if (!settings.coachingReminders) return;
+
+    const time = shiftOutOfQuietHours(settings.coachingTime, getQuietHours(settings));
 
     let body = randomMessage(MORNING_BRIEFING_MESSAGES);
     let title = 'Good Morning \u{2600}\u{FE0F}';
@@ -702,8 +792,8 @@ export async function scheduleMorningBriefing(streakDays?: number, userName?: st
       },
       trigger: {
         type: 'daily',
-        hour: 7,
-        minute: 30,
+        hour: time.hour,
+        minute: time.minute,
       } as any,
     });
   } catch (error: unknown) {
@@ -711,6 +801,37 @@ export async function scheduleMorningBriefing(streakDays?: number, userName?: st
   }
 }
 
+/**
+ * Schedule the weekly reminder to read the coaching digest.
+ * identifier: 'weekly-digest'
+ */
+export async function scheduleWeeklyDigest(settings: NotificationSettings): Promise<void> {
+  try {
+    await cancelByIdentifier('weekly-digest');
+    if (!settings.weeklyDigest) return;
+
+    const time = shiftOutOfQuietHours(settings.digestTime, getQuietHours(settings));
+
+    await Notifications.scheduleNotificationAsync({
+      identifier: 'weekly-digest',
+      content: {
+        title: 'Your Week in Review \u{1F4CA}',
+        body: 'Your weekly report is ready. See what worked and what to tweak next week.',
+        categoryIdentifier: 'weekly-digest',
+        data: { type: 'weekly-digest' },
+      },
+      trigger: {
+        type: 'weekly',
+        weekday: settings.digestWeekday,
+        hour: time.hour,
+        minute: time.minute,
+      } as any,
+    });
+  } catch (error: unknown) {
+    if (__DEV__) console.error('Failed to schedule weekly digest:', error);
+  }
+}
+
 /**
  * Cancel all scheduled notifications.
  */
@@ -735,9 +856,9 @@ export async function cancelByIdentifier(identifier: string): Promise<void> {
 }
 
 /**
- * Master reschedule function: cancels everything and reschedules
- * meal + water reminders based on the provided settings.
- * Fasting alerts and streak warnings are one-time and handled separately.
+ * Master reschedule function: cancels everything and reschedules the
+ * recurring reminders for each enabled category.
+ * Fasting alerts are one-time and handled separately.
  */
 export async function rescheduleAll(
   settings: NotificationSettings,
@@ -749,9 +870,10 @@ export async function rescheduleAll(
     await scheduleMealReminders(settings);
     await scheduleWaterReminders(settings);
     if (settings.streakWarnings) {
-      await scheduleStreakWarning(streakDays, userName);
+      await scheduleStreakWarning(streakDays, userName, settings);
     }
-    await scheduleMorningBriefing(streakDays, userName);
+    await scheduleMorningBriefing(streakDays, userName, settings);
+    await scheduleWeeklyDigest(settings);
   } catch (error: unknown) {
     if (__DEV__) console.error('Failed to reschedule all notifications:', error);
   }
@@ -824,6 +946,8 @@ const SOCIAL_MESSAGES: Record<SocialNotificationType, (data: SocialNotificationD
 /**
  * Schedule a social notification.
  * Fires immediately unless an eventDate is provided (for challenge start/end).
+ * Immediate notifications are dropped during quiet hours; dated ones wait
+ * until quiet hours end.
  *
  * @param type - The social notification type
  * @param data - Data used to build the notification message
@@ -854,7 +978,11 @@ export async function scheduleSocialNotification(
       return;
     }
 
+    const settings = await getNotificationSettings();
+    if (!settings.socialPush) return;
+
     if (isImmediate) {
+      if (isQuietNow(settings)) return;
       const canSend = await checkFrequencyCap();
       if (!canSend) return;
     }
@@ -872,7 +1000,7 @@ export async function scheduleSocialNotification(
         },
       },
       trigger: triggerDate
-        ? { type: 'date', date: triggerDate } as any
+        ? { type: 'date', date: deferOutOfQuietHours(triggerDate, getQuietHours(settings)) } as any
         : null,
     });
     if (isImmediate) {
@@ -893,6 +1021,9 @@ export async function scheduleSocialNotification(
  */
 export async function scheduleAccountabilityCheck(friendName: string, friendStreak: number): Promise<void> {
   try {
+    const settings = await getNotificationSettings();
+    if (!settings.socialPush || isQuietNow(settings)) return;
+
     const canSend = await checkFrequencyCap();
     if (!canSend) return;
 
@@ -1,4 +1,6 @@
 import { createPinnedFetch } from '../lib/certPinning';
+import { gramsToMicronutrientUnit, type MicronutrientKey } from '../lib/micronutrients';
+import type { MicronutrientSet, MicronutrientSource } from '../types';
 
 const API_BASE: string = 'https://world.openfoodfacts.org/api/v0/product';
 const SEARCH_API: string = 'https://world.openfoodfacts.org/cgi/search.pl';
@@ -46,6 +48,9 @@ interface RawProduct {
   categories?: string;
   ingredients_text?: string;
   allergens?: string;
+  allergens_tags?: string[];
+  traces?: string;
+  traces_tags?: string[];
   nutriscore_grade?: string;
   status?: number;
   product?: RawProduct;
@@ -63,38 +68,8 @@ interface NutritionData {
   fat: number | null;
 }
 
-export interface MicronutrientData {
-  fiber?: number;
-  sugar?: number;
-  sodium?: number;
-  saturated_fat?: number;
-  trans_fat?: number;
-  cholesterol?: number;
-  calcium?: number;
-  iron?: number;
-  magnesium?: number;
-  potassium?: number;
-  zinc?: number;
-  copper?: number;
-  manganese?: number;
-  selenium?: number;
-  phosphorus?: number;
-  vitaminA?: number;
-  vitaminC?: number;
-  vitaminD?: number;
-  vitaminE?: number;
-  vitaminK?: number;
-  vitaminB1?: number;
-  vitaminB2?: number;
-  vitaminB3?: number;
-  vitaminB5?: number;
-  vitaminB6?: number;
-  vitaminB12?: number;
-  folate?: number;
-  choline?: number;
-  omega3?: number;
-  omega6?: number;
-}
+/** Alias of the shared schema, kept for the search services that import it */
+export type MicronutrientData = MicronutrientSet;
 
 export interface ProductResult {
   barcode: string;
@@ -133,6 +108,13 @@ export interface ProductResult {
   };
   reportable?: boolean;
   micronutrients?: MicronutrientData;
+  /** Defaults to 'reported' when micronutrients are present */
+  micronutrientSource?: MicronutrientSource;
+  /** Declared allergen tags, e.g. ['en:milk', 'en:soybeans'] */
+  allergens?: string[];
+  /** "May contain" allergen tags */
+  traces?: string[];
+  ingredients?: string;
   raw?: {
     categories: string | undefined;
     ingredients: string | undefined;
@@ -164,6 +146,10 @@ export interface FoodFromProduct {
   category: string;
   barcode: string;
   micronutrients?: MicronutrientData;
+  micronutrientSource?: MicronutrientSource;
+  allergens?: string[];
+  traces?: string[];
+  ingredients?: string;
   source?: string;
   sourceLabel?: string;
   qualityTag?: ProductResult['qualityTag'];
@@ -249,113 +235,55 @@ function extractNutrition(product: RawProduct): NutritionData {
   };
 }
 
+// OFF nutriment field prefix for each schema key
+const OFF_MICRONUTRIENT_FIELDS: [MicronutrientKey, string][] = [
+  ['fiber', 'fiber'],
+  ['sugar', 'sugars'],
+  ['sodium', 'sodium'],
+  ['saturated_fat', 'saturated-fat'],
+  ['trans_fat', 'trans-fat'],
+  ['cholesterol', 'cholesterol'],
+  ['calcium', 'calcium'],
+  ['iron', 'iron'],
+  ['magnesium', 'magnesium'],
+  ['potassium', 'potassium'],
+  ['zinc', 'zinc'],
+  ['copper', 'copper'],
+  ['manganese', 'manganese'],
+  ['selenium', 'selenium'],
+  ['phosphorus', 'phosphorus'],
+  ['vitaminA', 'vitamin-a'],
+  ['vitaminC', 'vitamin-c'],
+  ['vitaminD', 'vitamin-d'],
+  ['vitaminE', 'vitamin-e'],
+  ['vitaminK', 'vitamin-k'],
+  ['vitaminB1', 'vitamin-b1'],
+  ['vitaminB2', 'vitamin-b2'],
+  ['vitaminB3', 'vitamin-pp'],
+  ['vitaminB5', 'pantothenic-acid'],
+  ['vitaminB6', 'vitamin-b6'],
+  ['vitaminB12', 'vitamin-b12'],
+  ['folate', 'vitamin-b9'],
+  ['omega3', 'omega-3-fat'],
+  ['omega6', 'omega-6-fat'],
+];
+
 /**
  * Extract micronutrient data from OFP nutriments object.
- * Returns only fields with valid numeric values.
+ * OFF reports every nutrient in grams; values are converted to the
+ * schema's mg/mcg units. Returns only fields with valid numeric values.
  */
 function extractMicronutrients(nutriments: Nutriments, useServing: boolean): MicronutrientData {
-  const getVal = (key100g: string, keyServing?: string): number | undefined => {
-    let val: unknown;
-    if (useServing && keyServing && (nutriments as Record<string, unknown>)[keyServing] !== undefined) {
-      val = (nutriments as Record<string, unknown>)[keyServing];
-    } else {
-      val = (nutriments as Record<string, unknown>)[key100g];
-    }
-    const num = typeof val === 'number' ? val : parseFloat(val as string);
-    return !isNaN(num) && num >= 0 ? Math.round(num * 100) / 100 : undefined;
-  };
-
+  const raw = nutriments as Record<string, unknown>;
   const micro: MicronutrientData = {};
 
-  const fiber = getVal('fiber_100g', 'fiber_serving');
-  if (fiber !== undefined) micro.fiber = fiber;
-
-  const sugar = getVal('sugars_100g', 'sugars_serving');
-  if (sugar !== undefined) micro.sugar = sugar;
-
-  const sodium = getVal('sodium_100g', 'sodium_serving');
-  if (sodium !== undefined) micro.sodium = sodium;
-
-  const saturated_fat = getVal('saturated-fat_100g', 'saturated-fat_serving');
-  if (saturated_fat !== undefined) micro.saturated_fat = saturated_fat;
-
-  const trans_fat = getVal('trans-fat_100g', 'trans-fat_serving');
-  if (trans_fat !== undefined) micro.trans_fat = trans_fat;
-
-  const cholesterol = getVal('cholesterol_100g', 'cholesterol_serving');
-  if (cholesterol !== undefined) micro.cholesterol = cholesterol;
-
-  const calcium = getVal('calcium_100g', 'calcium_serving');
-  if (calcium !== undefined) micro.calcium = calcium;
-
-  const iron = getVal('iron_100g', 'iron_serving');
-  if (iron !== undefined) micro.iron = iron;
-
-  const magnesium = getVal('magnesium_100g', 'magnesium_serving');
-  if (magnesium !== undefined) micro.magnesium = magnesium;
-
-  const potassium = getVal('potassium_100g', 'potassium_serving');
-  if (potassium !== undefined) micro.potassium = potassium;
-
-  const zinc = getVal('zinc_100g', 'zinc_serving');
-  if (zinc !== undefined) micro.zinc = zinc;
-
-  const copper = getVal('copper_100g', 'copper_serving');
-  if (copper !== undefined) micro.copper = copper;
-
-  const manganese = getVal('manganese_100g', 'manganese_serving');
-  if (manganese !== undefined) micro.manganese = manganese;
-
-  const selenium = getVal('selenium_100g', 'selenium_serving');
-  if (selenium !== undefined) micro.selenium = selenium;
-
-  const phosphorus = getVal('phosphorus_100g', 'phosphorus_serving');
-  if (phosphorus !== undefined) micro.phosphorus = phosphorus;
-
-  const vitaminA = getVal('vitamin-a_100g', 'vitamin-a_serving');
-  if (vitaminA !== undefined) micro.vitaminA = vitaminA;
-
-  const vitaminC = getVal('vitamin-c_100g', 'vitamin-c_serving');
-  if (vitaminC !== undefined) micro.vitaminC = vitaminC;
-
-  const vitaminD = getVal('vitamin-d_100g', 'vitamin-d_serving');
-  if (vitaminD !== undefined) micro.vitaminD = vitaminD;
-
-  const vitaminE = getVal('vitamin-e_100g', 'vitamin-e_serving');
-  if (vitaminE !== undefined) micro.vitaminE = vitaminE;
-
-  const vitaminK = getVal('vitamin-k_100g', 'vitamin-k_serving');
-  if (vitaminK !== undefined) micro.vitaminK = vitaminK;
-
-  const vitaminB1 = getVal('vitamin-b1_100g', 'vitamin-b1_serving');
-  if (vitaminB1 !== undefined) micro.vitaminB1 = vitaminB1;
-
-  const vitaminB2 = getVal('vitamin-b2_100g', 'vitamin-b2_serving');
-  if (vitaminB2 !== undefined) micro.vitaminB2 = vitaminB2;
-
-  const vitaminB3 = getVal('vitamin-pp_100g', 'vitamin-pp_serving');
-  if (vitaminB3 !== undefined) micro.vitaminB3 = vitaminB3;
-
-  const vitaminB5 = getVal('pantothenic-acid_100g', 'pantothenic-acid_serving');
-  if (vitaminB5 !== undefined) micro.vitaminB5 = vitaminB5;
-
-  const vitaminB6 = getVal('vitamin-b6_100g', 'vitamin-b6_serving');
-  if (vitaminB6 !== undefined) micro.vitaminB6 = vitaminB6;
-
-  const vitaminB12 = getVal('vitamin-b12_100g', 'vitamin-b12_serving');
-  if (vitaminB12 !== undefined) micro.vitaminB12 = vitaminB12;
-
-  const folate = getVal('vitamin-b9_100g', 'vitamin-b9_serving');
-  if (folate !== undefined) micro.folate = folate;
-
-  const omega3 = getVal('omega-3-fat_100g', 'omega-3-fat_serving');
-  if (omega3 !== undefined) micro.omega3 = omega3;
-
-  const omega6 = getVal('omega-6-fat_100g', 'omega-6-fat_serving');
-  if (omega6 !== undefined) micro.omega6 = omega6;
+  for (const [key, field] of OFF_MICRONUTRIENT_FIELDS) {
+    const val = useServing && raw[`${field}_serving`] !== undefined ? raw[`${field}_serving`] : raw[`${field}_100g`];
+    const num = typeof val === 'number' ? val : parseFloat(val as string);
+    if (!isNaN(num) && num >= 0) micro[key] = gramsToMicronutrientUnit(key, num);
+  }
 
-  // Only return if there's at least one value
-  return Object.keys(micro).length > 0 ? micro : {};
+  return micro;
 }
 
 /**
@@ -377,6 +305,22 @@ function formatProductName(product: RawProduct): string {
   return name;
 }
 
+/**
+ * Pull allergen declarations and ingredient text off a raw product.
+ * Falls back to the comma separated `allergens` string when tags are absent.
+ */
+function extractAllergenInfo(product: RawProduct): Pick<ProductResult, 'allergens' | 'traces' | 'ingredients'> {
+  const splitTags = (value: string | undefined): string[] =>
+    (value || '').split(',').map((tag) => tag.trim()).filter(Boolean);
+  const allergens = Array.isArray(product.allergens_tags) ? product.allergens_tags : splitTags(product.allergens);
+  const traces = Array.isArray(product.traces_tags) ? product.traces_tags : splitTags(product.traces);
+  return {
+    allergens: allergens.length > 0 ? allergens : undefined,
+    traces: traces.length > 0 ? traces : undefined,
+    ingredients: product.ingredients_text || undefined,
+  };
+}
+
 /**
  * Search products by text query
  * @param query - Search terms
@@ -468,6 +412,7 @@ export async function searchProducts(query: string, page: number = 1, pageSize:
           isPerServing: nutrition.isPerServing,
           // Micronutrients
           micronutrients: Object.keys(micronutrients).length > 0 ? micronutrients : undefined,
+          ...extractAllergenInfo(product),
           // Additional metadata
           countries: product.countries,
           categories: product.categories,
@@ -556,6 +501,7 @@ export async function searchProductsGlobal(query: string, pageSize: number = 25,
           servingUnit: nutrition.servingUnit,
           // Micronutrients
           micronutrients: Object.keys(micronutrients).length > 0 ? micronutrients : undefined,
+          ...extractAllergenInfo(product),
           // Additional metadata
           countries: product.countries,
         };
@@ -635,6 +581,7 @@ export async function searchProductsWithUKPreference(query: string, pageSize: nu
             servingUnit: nutrition.servingUnit,
             isUK: true as const,
             micronutrients: Object.keys(micronutrients).length > 0 ? micronutrients : undefined,
+            ...extractAllergenInfo(product),
           };
         });
     }
@@ -661,6 +608,7 @@ export async function searchProductsWithUKPreference(query: string, pageSize: nu
             servingSize: nutrition.servingSize,
             servingUnit: nutrition.servingUnit,
             micronutrients: Object.keys(micronutrients).length > 0 ? micronutrients : undefined,
+            ...extractAllergenInfo(product),
           };
         });
     }
@@ -740,6 +688,7 @@ export async function fetchProductByBarcode(barcode: string): Promise<ProductRes
       isPerServing: nutrition.isPerServing,
       // Micronutrients
       micronutrients: Object.keys(micronutrients).length > 0 ? micronutrients : undefined,
+      ...extractAllergenInfo(product),
       // Additional data for future use
       raw: {
         categories: product.categories,
@@ -779,6 +728,10 @@ export function productToFood(product: ProductResult): FoodFromProduct {
     category: 'searched',
     barcode: product.barcode,
     micronutrients: product.micronutrients,
+    micronutrientSource: product.micronutrients ? product.micronutrientSource || 'reported' : undefined,
+    allergens: product.allergens,
+    traces: product.traces,
+    ingredients: product.ingredients,
     source: product.source,
     sourceLabel: product.sourceLabel,
     qualityTag: product.qualityTag,
@@ -0,0 +1,109 @@
+/**
+ * Server push registration.
+ *
+ * Local reminders are scheduled on the device (services/notifications.ts).
+ * Social pushes — comments, friend challenges, challenge completions and
+ * group replies — are sent by the send-push edge function, which needs this
+ * device's Expo push token and the user's quiet hours and timezone.
+ */
+
+import * as Notifications from 'expo-notifications';
+import * as Device from 'expo-device';
+import Constants from 'expo-constants';
+import { getCalendars } from 'expo-localization';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Platform } from 'react-native';
+import { supabase } from '../lib/supabase';
+import { Sentry } from '../lib/sentry';
+import type { NotificationSettings, NotificationTime } from './notifications';
+
+const PUSH_TOKEN_KEY = '@fueliq_push_token';
+
+function formatTime({ hour, minute }: NotificationTime): string {
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+function deviceTimeZone(): string {
+  try {
+    return getCalendars()[0]?.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+}
+
+/**
+ * notification_preferences row for the server's quiet hours and social
+ * toggle. Times are local to `timeZone`.
+ */
+export function toPushPreferencesRow(
+  userId: string,
+  settings: NotificationSettings,
+  timeZone: string
+): Record<string, unknown> {
+  return {
+    user_id: userId,
+    timezone: timeZone,
+    social_push: settings.socialPush,
+    quiet_hours_enabled: settings.quietHoursEnabled,
+    quiet_hours_start: formatTime(settings.quietHoursStart),
+    quiet_hours_end: formatTime(settings.quietHoursEnd),
+    updated_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Register this device's Expo push token for the signed-in user.
+ * Requires notification permission; returns null on simulators, web, or
+ * when the token can't be obtained.
+ */
+export async function registerPushToken(): Promise<string | null> {
+  if (Platform.OS === 'web' || !Device.isDevice) return null;
+
+  try {
+    const projectId = Constants.expoConfig?.extra?.eas?.projectId ?? Constants.easConfig?.projectId;
+    const { data: token } = await Notifications.getExpoPushTokenAsync(projectId ? { projectId } : undefined);
+    if (!token) return null;
+
+    const { error } = await supabase.rpc('register_push_token', {
+      p_token: token,
+      p_platform: Platform.OS,
+    });
+    if (error) throw error;
+
+    await AsyncStorage.setItem(PUSH_TOKEN_KEY, token);
+    return token;
+  } catch (e) {
+    Sentry.captureException(e);
+    if (__DEV__) console.warn('[Push] Failed to register push token:', e);
+    return null;
+  }
+}
+
+/**
+ * Stop server pushes to this device. Call before signing out, while the
+ * session can still delete the user's own token row.
+ */
+export async function unregisterPushToken(): Promise<void> {
+  try {
+    const token = await AsyncStorage.getItem(PUSH_TOKEN_KEY);
+    if (!token) return;
+    await supabase.from('push_tokens').delete().eq('token', token);
+    await AsyncStorage.removeItem(PUSH_TOKEN_KEY);
+  } catch (e) {
+    Sentry.captureException(e);
+    if (__DEV__) console.warn('[Push] Failed to unregister push token:', e);
+  }
+}
+
+/** Save the settings the server applies to pushes */
+export async function syncPushPreferences(userId: string, settings: NotificationSettings): Promise<void> {
+  try {
+    const { error } = await supabase
+      .from('notification_preferences')
+      .upsert(toPushPreferencesRow(userId, settings, deviceTimeZone()), { onConflict: 'user_id' });
+    if (error) throw error;
+  } catch (e) {
+    Sentry.captureException(e);
+    if (__DEV__) console.warn('[Push] Failed to sync notification preferences:', e);
+  }
+}
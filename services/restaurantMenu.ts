@@ -0,0 +1,105 @@
+import { supabase } from '../lib/supabase';
+import { persistGet, persistSet } from '../lib/cache';
+import { Sentry } from '../lib/sentry';
+import { setActiveRestaurantFoods } from '../data/restaurantFoods';
+import {
+  getBundledRestaurantMenu,
+  parseRestaurantMenuBundle,
+  type RestaurantMenuBundle,
+} from '../lib/restaurantMenu';
+
+/**
+ * Restaurant menu bundle I/O.
+ *
+ * Newer datasets are published as rows in restaurant_menu_bundles (see
+ * supabase/migrations/20260220010000_restaurant_menu_bundles.sql). The newest
+ * downloaded bundle is kept in the persistent cache and replaces the dataset
+ * compiled into the app, including for restaurant results in food search.
+ */
+
+const BUNDLE_CACHE_KEY = 'restaurant_menu_bundle';
+const CHECKED_CACHE_KEY = 'restaurant_menu_checked';
+/** Kept well past the check interval so the menu survives long offline stretches */
+const BUNDLE_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+const CHECK_INTERVAL_MS = 12 * 60 * 60 * 1000;
+
+let activeMenu: RestaurantMenuBundle | null = null;
+let inflightLoad: Promise<RestaurantMenuBundle> | null = null;
+
+function activate(menu: RestaurantMenuBundle): RestaurantMenuBundle {
+  activeMenu = menu;
+  setActiveRestaurantFoods(menu.items);
+  return menu;
+}
+
+async function restoreCachedMenu(): Promise<RestaurantMenuBundle> {
+  const bundled = getBundledRestaurantMenu();
+  const cached = parseRestaurantMenuBundle(await persistGet(BUNDLE_CACHE_KEY));
+  return cached && cached.version > bundled.version ? cached : bundled;
+}
+
+/** Download a bundle newer than `current`, or null when there is none */
+async function fetchNewerMenu(current: RestaurantMenuBundle): Promise<RestaurantMenuBundle | null> {
+  const { data: latest, error } = await supabase
+    .from('restaurant_menu_bundles')
+    .select('version')
+    .gt('version', current.version)
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  if (!latest) return null;
+
+  const { data: row, error: bundleError } = await supabase
+    .from('restaurant_menu_bundles')
+    .select('version, bundle')
+    .eq('version', latest.version)
+    .single();
+  if (bundleError) throw bundleError;
+
+  const menu = parseRestaurantMenuBundle({ ...row.bundle, version: row.version });
+  if (!menu) throw new Error(`Restaurant menu bundle v${row.version} is invalid`);
+  return menu;
+}
+
+async function loadMenu(force: boolean): Promise<RestaurantMenuBundle> {
+  const current = activeMenu || activate(await restoreCachedMenu());
+
+  if (!force && (await persistGet(CHECKED_CACHE_KEY))) return current;
+
+  try {
+    const newer = await fetchNewerMenu(current);
+    await persistSet(CHECKED_CACHE_KEY, true, CHECK_INTERVAL_MS);
+    if (newer) {
+      await persistSet(BUNDLE_CACHE_KEY, newer, BUNDLE_TTL_MS);
+      return activate(newer);
+    }
+    if (current.version > getBundledRestaurantMenu().version) {
+      // Still current: extend the cached copy so it does not expire
+      await persistSet(BUNDLE_CACHE_KEY, current, BUNDLE_TTL_MS);
+    }
+  } catch (error) {
+    Sentry.captureException(error);
+    if (__DEV__) console.warn('[RestaurantMenu] Bundle check failed:', error);
+  }
+  return current;
+}
+
+/**
+ * The restaurant menu to browse: the newest cached bundle, or the bundled
+ * dataset. Checks for a newer bundle at most every 12 hours unless `force`.
+ * Never throws; network failures keep the current menu.
+ */
+export function loadRestaurantMenu(force: boolean = false): Promise<RestaurantMenuBundle> {
+  if (!inflightLoad) {
+    inflightLoad = loadMenu(force).finally(() => {
+      inflightLoad = null;
+    });
+  }
+  return inflightLoad;
+}
+
+/** The menu loaded so far, without waiting on storage or the network */
+export function getRestaurantMenu(): RestaurantMenuBundle {
+  return activeMenu || getBundledRestaurantMenu();
+}
@@ -6,6 +6,9 @@
  * - Garmin (OAuth 1.0a) — steps, heart rate, sleep, body composition, activities
  * - WHOOP (OAuth 2.0) — recovery, strain, sleep, heart rate, HRV
  * - Withings (OAuth 2.0) — weight, body composition, blood pressure
+ * - Strava (OAuth 2.0) — activities and workouts
+ * - Oura (OAuth 2.0) — sleep, readiness, heart rate, HRV, activity, workouts
+ * - Polar (OAuth 2.0, AccessLink) — sleep, Nightly Recharge, heart rate, activity, exercises
  *
  * Each provider implements:
  * - OAuth URL generation with appropriate scopes
@@ -21,6 +24,20 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as WebBrowser from 'expo-web-browser';
 import * as Linking from 'expo-linking';
 import { Sentry } from '../lib/sentry';
+import {
+  DEFAULT_SOURCE_PRIORITY,
+  mergeHealthSources,
+  normalizeWorkoutSport,
+  sanitizeSourcePriority,
+  wearableRecord,
+} from '../lib/healthSources';
+import type {
+  HealthProvenance,
+  HealthSourceId,
+  MergedWorkout,
+  SourcePriority,
+} from '../lib/healthSources';
+import { getHealthPlatformName } from './healthService';
 
 declare const __DEV__: boolean;
 
@@ -29,6 +46,8 @@ declare const __DEV__: boolean;
 // ---------------------------------------------------------------------------
 
 const STORAGE_KEY = '@fueliq_wearable_connections';
+const LATEST_DATA_KEY = '@fueliq_wearable_latest_data';
+const SOURCE_PRIORITY_KEY = '@fueliq_health_source_priority';
 const LOG_PREFIX = '[WearableIntegrations]';
 
 /**
@@ -48,6 +67,12 @@ const WHOOP_CLIENT_ID: string = process.env.EXPO_PUBLIC_WHOOP_CLIENT_ID || '';
 const WHOOP_CLIENT_SECRET: string = process.env.EXPO_PUBLIC_WHOOP_CLIENT_SECRET || '';
 const WITHINGS_CLIENT_ID: string = process.env.EXPO_PUBLIC_WITHINGS_CLIENT_ID || '';
 const WITHINGS_CLIENT_SECRET: string = process.env.EXPO_PUBLIC_WITHINGS_CLIENT_SECRET || '';
+const STRAVA_CLIENT_ID: string = process.env.EXPO_PUBLIC_STRAVA_CLIENT_ID || '';
+const STRAVA_CLIENT_SECRET: string = process.env.EXPO_PUBLIC_STRAVA_CLIENT_SECRET || '';
+const OURA_CLIENT_ID: string = process.env.EXPO_PUBLIC_OURA_CLIENT_ID || '';
+const OURA_CLIENT_SECRET: string = process.env.EXPO_PUBLIC_OURA_CLIENT_SECRET || '';
+const POLAR_CLIENT_ID: string = process.env.EXPO_PUBLIC_POLAR_CLIENT_ID || '';
+const POLAR_CLIENT_SECRET: string = process.env.EXPO_PUBLIC_POLAR_CLIENT_SECRET || '';
 
 // ---------------------------------------------------------------------------
 // Provider API endpoints
@@ -98,12 +123,55 @@ const WITHINGS_ENDPOINTS = {
   heart: 'https://wbsapi.withings.net/v2/heart',
 } as const;
 
+/** Strava API v3 endpoints (OAuth 2.0) */
+const STRAVA_ENDPOINTS = {
+  authorize: 'https://www.strava.com/oauth/mobile/authorize',
+  token: 'https://www.strava.com/oauth/token',
+  deauthorize: 'https://www.strava.com/oauth/deauthorize',
+  activities: 'https://www.strava.com/api/v3/athlete/activities',
+} as const;
+
+/** Oura API v2 endpoints (OAuth 2.0) */
+const OURA_ENDPOINTS = {
+  authorize: 'https://cloud.ouraring.com/oauth/authorize',
+  token: 'https://api.ouraring.com/oauth/token',
+  revoke: 'https://api.ouraring.com/oauth/revoke',
+  sleep: 'https://api.ouraring.com/v2/usercollection/sleep',
+  readiness: 'https://api.ouraring.com/v2/usercollection/daily_readiness',
+  activity: 'https://api.ouraring.com/v2/usercollection/daily_activity',
+  spo2: 'https://api.ouraring.com/v2/usercollection/daily_spo2',
+  heartRate: 'https://api.ouraring.com/v2/usercollection/heartrate',
+  workouts: 'https://api.ouraring.com/v2/usercollection/workout',
+} as const;
+
+/** Polar AccessLink v3 endpoints (OAuth 2.0) */
+const POLAR_ENDPOINTS = {
+  authorize: 'https://flow.polar.com/oauth2/authorization',
+  token: 'https://polarremote.com/v2/oauth2/token',
+  users: 'https://www.polaraccesslink.com/v3/users',
+  sleep: 'https://www.polaraccesslink.com/v3/users/sleep',
+  nightlyRecharge: 'https://www.polaraccesslink.com/v3/users/nightly-recharge',
+  activities: 'https://www.polaraccesslink.com/v3/users/activities',
+  heartRate: 'https://www.polaraccesslink.com/v3/users/continuous-heart-rate',
+  exercises: 'https://www.polaraccesslink.com/v3/exercises',
+} as const;
+
 // ---------------------------------------------------------------------------
 // Types
 // ---------------------------------------------------------------------------
 
 /** Supported wearable device providers. */
-export type WearableProvider = 'fitbit' | 'garmin' | 'whoop' | 'withings';
+export type WearableProvider =
+  | 'fitbit'
+  | 'garmin'
+  | 'whoop'
+  | 'withings'
+  | 'strava'
+  | 'oura'
+  | 'polar';
+
+/** Every supported provider, in display order. */
+const ALL_PROVIDERS: WearableProvider[] = ['fitbit', 'garmin', 'whoop', 'withings', 'strava', 'oura', 'polar'];
 
 /** Persisted connection state for a single wearable provider. */
 export interface WearableConnection {
@@ -121,6 +189,41 @@ export interface WearableConnection {
   expiresAt: number | null;
   /** OAuth 1.0a token secret (Garmin only). */
   tokenSecret?: string | null;
+  /** Provider-side user id needed by some APIs (Polar AccessLink only). */
+  userId?: string | null;
+}
+
+/** Sport categories that provider-specific activity types are folded into. */
+export type WearableWorkoutSport =
+  | 'running'
+  | 'cycling'
+  | 'walking'
+  | 'swimming'
+  | 'strength'
+  | 'other';
+
+/** A single workout or activity recorded by a provider. */
+export interface NormalizedWorkout {
+  /** Which provider recorded the workout. */
+  provider: WearableProvider;
+  /** The provider's own id for the workout. */
+  id: string;
+  /** Normalized sport category. */
+  sport: WearableWorkoutSport;
+  /** Title given by the user or provider, or null. */
+  name: string | null;
+  /** ISO-8601 start time. */
+  startTime: string;
+  /** Elapsed duration in minutes. */
+  durationMinutes: number;
+  /** Distance in kilometres, or null. */
+  distanceKm: number | null;
+  /** Calories burned, or null. */
+  calories: number | null;
+  /** Average heart rate in BPM, or null. */
+  averageHeartRate: number | null;
+  /** Maximum heart rate in BPM, or null. */
+  maxHeartRate: number | null;
 }
 
 /** Normalized health data record returned from any provider sync. */
@@ -165,10 +268,22 @@ export interface NormalizedHealthData {
   recoveryScore: number | null;
   /** Strain score (0-21), or null (WHOOP-specific). */
   strainScore: number | null;
+  /** Readiness score (0-100), or null (Oura readiness, Polar Nightly Recharge). */
+  readinessScore: number | null;
   /** Blood oxygen saturation percentage, or null. */
   spo2: number | null;
   /** Respiratory rate in breaths per minute, or null. */
   respiratoryRate: number | null;
+  /** Workouts recorded in the sync window, newest first. */
+  workouts: NormalizedWorkout[];
+}
+
+/** Health data merged across providers, with where each value came from. */
+export interface MergedHealthData extends Omit<NormalizedHealthData, 'workouts'> {
+  /** Workouts with cross-provider duplicates collapsed, newest first. */
+  workouts: MergedWorkout[];
+  /** Which provider supplied each field. */
+  provenance: HealthProvenance;
 }
 
 /** Result of an OAuth authorization flow. */
@@ -177,6 +292,7 @@ interface OAuthTokenResponse {
   refreshToken: string | null;
   expiresIn: number | null;
   tokenSecret?: string | null;
+  userId?: string | null;
 }
 
 /** Result of a provider data sync operation. */
@@ -213,6 +329,7 @@ function defaultConnection(provider: WearableProvider): WearableConnection {
     refreshToken: null,
     expiresAt: null,
     tokenSecret: null,
+    userId: null,
   };
 }
 
@@ -220,12 +337,9 @@ function defaultConnection(provider: WearableProvider): WearableConnection {
  * Build a full set of default connections for all providers.
  */
 function defaultConnections(): Record<WearableProvider, WearableConnection> {
-  return {
-    fitbit: defaultConnection('fitbit'),
-    garmin: defaultConnection('garmin'),
-    whoop: defaultConnection('whoop'),
-    withings: defaultConnection('withings'),
-  };
+  return Object.fromEntries(
+    ALL_PROVIDERS.map((provider) => [provider, defaultConnection(provider)]),
+  ) as Record<WearableProvider, WearableConnection>;
 }
 
 // ---------------------------------------------------------------------------
@@ -294,6 +408,40 @@ async function updateConnection(
   await saveConnections();
 }
 
+/**
+ * Load the last synced data for each provider.
+ */
+async function loadLatestData(): Promise<Partial<Record<WearableProvider, NormalizedHealthData>>> {
+  try {
+    const raw = await AsyncStorage.getItem(LATEST_DATA_KEY);
+    return raw ? JSON.parse(raw) : {};
+  } catch (error) {
+    if (__DEV__) {
+      console.warn(`${LOG_PREFIX} Failed to load latest data:`, error);
+    }
+    return {};
+  }
+}
+
+/**
+ * Store (or with null, forget) a provider's last synced data.
+ */
+async function saveLatestData(provider: WearableProvider, data: NormalizedHealthData | null): Promise<void> {
+  try {
+    const latest = await loadLatestData();
+    if (data) {
+      latest[provider] = data;
+    } else {
+      delete latest[provider];
+    }
+    await AsyncStorage.setItem(LATEST_DATA_KEY, JSON.stringify(latest));
+  } catch (error) {
+    if (__DEV__) {
+      console.warn(`${LOG_PREFIX} Failed to save latest data:`, error);
+    }
+  }
+}
+
 // ---------------------------------------------------------------------------
 // PKCE helpers (for Fitbit OAuth 2.0 PKCE)
 // ---------------------------------------------------------------------------
@@ -575,6 +723,13 @@ async function refreshProviderToken(
       return refreshWhoopToken(refreshToken);
     case 'withings':
       return refreshWithingsToken(refreshToken);
+    case 'strava':
+      return refreshStravaToken(refreshToken);
+    case 'oura':
+      return refreshOuraToken(refreshToken);
+    case 'polar':
+      // Polar AccessLink tokens are long-lived and have no refresh grant
+      throw new Error('Polar tokens do not support refresh');
     default:
       throw new Error(`Unknown provider: ${provider}`);
   }
@@ -619,11 +774,37 @@ function emptyHealthData(provider: WearableProvider): NormalizedHealthData {
     activeCalories: null,
     recoveryScore: null,
     strainScore: null,
+    readinessScore: null,
     spo2: null,
     respiratoryRate: null,
+    workouts: [],
   };
 }
 
+/**
+ * Parse an ISO-8601 duration such as "PT1H2M3.5S" into seconds.
+ * Returns 0 for anything unparseable.
+ */
+function parseIsoDuration(duration: string | null | undefined): number {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:([\d.]+)S)?)?$/.exec(duration || '');
+  if (!match) return 0;
+  const [, days, hours, minutes, seconds] = match;
+  return (
+    Number(days || 0) * 86400 +
+    Number(hours || 0) * 3600 +
+    Number(minutes || 0) * 60 +
+    Number(seconds || 0)
+  );
+}
+
+/**
+ * Average of a list of numbers rounded to whole units, or null when empty.
+ */
+function roundedAverage(values: number[]): number | null {
+  if (values.length === 0) return null;
+  return Math.round(values.reduce((sum, v) => sum + v, 0) / values.length);
+}
+
 // ===========================================================================
 //
 //  FITBIT  —  OAuth 2.0 Authorization Code Grant with PKCE
@@ -1590,6 +1771,625 @@ async function syncWithingsData(): Promise<NormalizedHealthData> {
   return result;
 }
 
+// ===========================================================================
+//
+//  STRAVA  —  OAuth 2.0 Authorization Code Grant
+//
+// ===========================================================================
+
+/** Strava token responses carry the athlete and an absolute expiry. */
+interface StravaTokenResponse {
+  access_token: string;
+  refresh_token: string;
+  expires_in: number;
+  expires_at: number;
+  athlete?: { id: number };
+}
+
+/** Activity summary as returned by GET /athlete/activities. */
+interface StravaActivity {
+  id: number;
+  name: string;
+  type: string;
+  sport_type?: string;
+  start_date: string;
+  elapsed_time: number;
+  moving_time: number;
+  distance: number;
+  kilojoules?: number;
+  calories?: number;
+  has_heartrate: boolean;
+  average_heartrate?: number;
+  max_heartrate?: number;
+}
+
+/**
+ * Generate the Strava OAuth 2.0 authorization URL.
+ *
+ * Scopes requested:
+ * - read (public profile)
+ * - activity:read_all (all activities, including private ones)
+ *
+ * @returns The full authorization URL to open in a browser
+ */
+export function getStravaAuthUrl(): string {
+  const state = generateOAuthState();
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: STRAVA_CLIENT_ID,
+    redirect_uri: REDIRECT_URI,
+    approval_prompt: 'auto',
+    scope: 'read,activity:read_all',
+    state,
+  });
+
+  return `${STRAVA_ENDPOINTS.authorize}?${params.toString()}`;
+}
+
+/**
+ * Exchange a Strava authorization code for access and refresh tokens.
+ *
+ * @param code - The authorization code received from the OAuth callback
+ * @returns Token credentials
+ */
+export async function exchangeStravaToken(code: string): Promise<OAuthTokenResponse> {
+  const data = await formPost<StravaTokenResponse>(STRAVA_ENDPOINTS.token, {
+    grant_type: 'authorization_code',
+    client_id: STRAVA_CLIENT_ID,
+    client_secret: STRAVA_CLIENT_SECRET,
+    code,
+  });
+
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token,
+    expiresIn: data.expires_in,
+    userId: data.athlete ? String(data.athlete.id) : null,
+  };
+}
+
+/**
+ * Refresh an expired Strava access token.
+ * Strava may rotate the refresh token, so the new one is always returned.
+ *
+ * @param refreshToken - The current refresh token
+ * @returns New token credentials
+ */
+async function refreshStravaToken(refreshToken: string): Promise<OAuthTokenResponse> {
+  const data = await formPost<StravaTokenResponse>(STRAVA_ENDPOINTS.token, {
+    grant_type: 'refresh_token',
+    client_id: STRAVA_CLIENT_ID,
+    client_secret: STRAVA_CLIENT_SECRET,
+    refresh_token: refreshToken,
+  });
+
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token,
+    expiresIn: data.expires_in,
+  };
+}
+
+/**
+ * Map a Strava activity summary to a normalized workout.
+ * Summaries carry kilojoules (rides with power) rather than calories;
+ * for cycling the two are roughly equal because human efficiency (~24%)
+ * cancels the kJ-to-kcal factor.
+ */
+function normalizeStravaActivity(activity: StravaActivity): NormalizedWorkout {
+  const calories = activity.calories ?? activity.kilojoules;
+  return {
+    provider: 'strava',
+    id: String(activity.id),
+    sport: normalizeWorkoutSport(activity.sport_type || activity.type),
+    name: activity.name || null,
+    startTime: new Date(activity.start_date).toISOString(),
+    durationMinutes: Math.round(activity.elapsed_time / 60),
+    distanceKm: activity.distance ? Math.round(activity.distance / 10) / 100 : null,
+    calories: calories != null ? Math.round(calories) : null,
+    averageHeartRate: activity.has_heartrate && activity.average_heartrate
+      ? Math.round(activity.average_heartrate)
+      : null,
+    maxHeartRate: activity.has_heartrate && activity.max_heartrate
+      ? Math.round(activity.max_heartrate)
+      : null,
+  };
+}
+
+/**
+ * Sync activities from Strava.
+ * Fetches the last 7 days of activities and reports them as workouts,
+ * with today's active calories and average workout heart rate.
+ *
+ * @returns Normalized health data from Strava
+ */
+async function syncStravaData(): Promise<NormalizedHealthData> {
+  const token = await ensureValidToken('strava');
+  const result = emptyHealthData('strava');
+
+  const after = Math.floor(Date.now() / 1000) - 7 * 24 * 60 * 60;
+  const activities = await authenticatedGet<StravaActivity[]>(
+    `${STRAVA_ENDPOINTS.activities}?after=${after}&per_page=50`,
+    token,
+  );
+
+  result.workouts = (Array.isArray(activities) ? activities : [])
+    .map(normalizeStravaActivity)
+    .sort((a, b) => b.startTime.localeCompare(a.startTime));
+
+  const today = formatDate(new Date());
+  const todays = result.workouts.filter((w) => formatDate(new Date(w.startTime)) === today);
+  if (todays.length > 0) {
+    const calories = todays.filter((w) => w.calories != null);
+    result.activeCalories = calories.length > 0
+      ? calories.reduce((sum, w) => sum + (w.calories as number), 0)
+      : null;
+    result.averageHeartRate = roundedAverage(
+      todays.map((w) => w.averageHeartRate).filter((hr): hr is number => hr != null),
+    );
+  }
+
+  result.timestamp = new Date().toISOString();
+  return result;
+}
+
+// ===========================================================================
+//
+//  OURA  —  OAuth 2.0 Authorization Code Grant
+//
+// ===========================================================================
+
+/** Oura v2 collection responses wrap records in `data`. */
+interface OuraCollection<T> {
+  data: T[];
+  next_token?: string | null;
+}
+
+/** Detailed sleep period from /usercollection/sleep (durations in seconds). */
+interface OuraSleepPeriod {
+  day: string;
+  type: string;
+  total_sleep_duration: number | null;
+  deep_sleep_duration: number | null;
+  rem_sleep_duration: number | null;
+  light_sleep_duration: number | null;
+  average_heart_rate: number | null;
+  lowest_heart_rate: number | null;
+  average_hrv: number | null;
+  average_breath: number | null;
+}
+
+/** Workout from /usercollection/workout. */
+interface OuraWorkout {
+  id: string;
+  activity: string;
+  label: string | null;
+  calories: number | null;
+  distance: number | null;
+  start_datetime: string;
+  end_datetime: string;
+}
+
+/**
+ * Generate the Oura OAuth 2.0 authorization URL.
+ *
+ * Scopes requested:
+ * - daily (sleep, readiness and activity summaries)
+ * - heartrate (time-series heart rate)
+ * - workout (auto-detected and user-entered workouts)
+ * - spo2 (nightly blood oxygen)
+ *
+ * @returns The full authorization URL to open in a browser
+ */
+export function getOuraAuthUrl(): string {
+  const state = generateOAuthState();
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: OURA_CLIENT_ID,
+    redirect_uri: REDIRECT_URI,
+    scope: 'daily heartrate workout spo2',
+    state,
+  });
+
+  return `${OURA_ENDPOINTS.authorize}?${params.toString()}`;
+}
+
+/**
+ * Exchange an Oura authorization code for access and refresh tokens.
+ *
+ * @param code - The authorization code received from the OAuth callback
+ * @returns Token credentials
+ */
+export async function exchangeOuraToken(code: string): Promise<OAuthTokenResponse> {
+  const data = await formPost<{
+    access_token: string;
+    refresh_token: string;
+    expires_in: number;
+  }>(OURA_ENDPOINTS.token, {
+    grant_type: 'authorization_code',
+    client_id: OURA_CLIENT_ID,
+    client_secret: OURA_CLIENT_SECRET,
+    code,
+    redirect_uri: REDIRECT_URI,
+  });
+
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token,
+    expiresIn: data.expires_in,
+  };
+}
+
+/**
+ * Refresh an expired Oura access token.
+ *
+ * @param refreshToken - The current refresh token
+ * @returns New token credentials
+ */
+async function refreshOuraToken(refreshToken: string): Promise<OAuthTokenResponse> {
+  const data = await formPost<{
+    access_token: string;
+    refresh_token: string;
+    expires_in: number;
+  }>(OURA_ENDPOINTS.token, {
+    grant_type: 'refresh_token',
+    client_id: OURA_CLIENT_ID,
+    client_secret: OURA_CLIENT_SECRET,
+    refresh_token: refreshToken,
+  });
+
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token,
+    expiresIn: data.expires_in,
+  };
+}
+
+/**
+ * Map an Oura workout to a normalized workout. Oura does not record
+ * heart rate per workout, so those fields stay null.
+ */
+function normalizeOuraWorkout(workout: OuraWorkout): NormalizedWorkout {
+  const start = new Date(workout.start_datetime);
+  const end = new Date(workout.end_datetime);
+  return {
+    provider: 'oura',
+    id: workout.id,
+    sport: normalizeWorkoutSport(workout.activity),
+    name: workout.label || null,
+    startTime: start.toISOString(),
+    durationMinutes: Math.round((end.getTime() - start.getTime()) / 60000),
+    distanceKm: workout.distance ? Math.round(workout.distance / 10) / 100 : null,
+    calories: workout.calories != null ? Math.round(workout.calories) : null,
+    averageHeartRate: null,
+    maxHeartRate: null,
+  };
+}
+
+/**
+ * Sync health data from Oura.
+ * Fetches last night's sleep (stages, HRV, lowest HR, breathing),
+ * today's readiness, activity and SpO2, today's heart rate samples
+ * and the last 7 days of workouts.
+ *
+ * @returns Normalized health data from Oura
+ */
+async function syncOuraData(): Promise<NormalizedHealthData> {
+  const token = await ensureValidToken('oura');
+  const result = emptyHealthData('oura');
+
+  const now = new Date();
+  const today = formatDate(now);
+  const weekAgo = formatDate(new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000));
+  // Oura's end_date is exclusive
+  const tomorrow = formatDate(new Date(now.getTime() + 24 * 60 * 60 * 1000));
+  const todayRange = `start_date=${today}&end_date=${tomorrow}`;
+  const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+  const [sleepRes, readinessRes, activityRes, spo2Res, heartRes, workoutRes] = await Promise.allSettled([
+    authenticatedGet<OuraCollection<OuraSleepPeriod>>(`${OURA_ENDPOINTS.sleep}?${todayRange}`, token),
+    authenticatedGet<OuraCollection<{ day: string; score: number | null }>>(
+      `${OURA_ENDPOINTS.readiness}?${todayRange}`,
+      token,
+    ),
+    authenticatedGet<OuraCollection<{ day: string; steps: number; active_calories: number }>>(
+      `${OURA_ENDPOINTS.activity}?${todayRange}`,
+      token,
+    ),
+    authenticatedGet<OuraCollection<{ day: string; spo2_percentage: { average: number } | null }>>(
+      `${OURA_ENDPOINTS.spo2}?${todayRange}`,
+      token,
+    ),
+    authenticatedGet<OuraCollection<{ bpm: number; source: string; timestamp: string }>>(
+      `${OURA_ENDPOINTS.heartRate}?start_datetime=${encodeURIComponent(startOfDay.toISOString())}&end_datetime=${encodeURIComponent(now.toISOString())}`,
+      token,
+    ),
+    authenticatedGet<OuraCollection<OuraWorkout>>(
+      `${OURA_ENDPOINTS.workouts}?start_date=${weekAgo}&end_date=${tomorrow}`,
+      token,
+    ),
+  ]);
+
+  // Parse sleep: use the main overnight period, not naps
+  if (sleepRes.status === 'fulfilled' && sleepRes.value.data?.length > 0) {
+    const periods = sleepRes.value.data;
+    const night = periods.find((p) => p.type === 'long_sleep') ?? periods[periods.length - 1];
+
+    if (night.total_sleep_duration != null) {
+      result.sleepMinutes = Math.round(night.total_sleep_duration / 60);
+    }
+    if (night.deep_sleep_duration != null) {
+      result.deepSleepMinutes = Math.round(night.deep_sleep_duration / 60);
+    }
+    if (night.rem_sleep_duration != null) {
+      result.remSleepMinutes = Math.round(night.rem_sleep_duration / 60);
+    }
+    if (night.light_sleep_duration != null) {
+      result.lightSleepMinutes = Math.round(night.light_sleep_duration / 60);
+    }
+    result.restingHeartRate = night.lowest_heart_rate ?? null;
+    result.hrv = night.average_hrv ?? null;
+    if (night.average_breath) {
+      result.respiratoryRate = Math.round(night.average_breath * 10) / 10;
+    }
+  }
+
+  // Parse readiness
+  if (readinessRes.status === 'fulfilled' && readinessRes.value.data?.length > 0) {
+    const readiness = readinessRes.value.data[readinessRes.value.data.length - 1];
+    result.readinessScore = readiness.score ?? null;
+  }
+
+  // Parse daily activity
+  if (activityRes.status === 'fulfilled' && activityRes.value.data?.length > 0) {
+    const activity = activityRes.value.data[activityRes.value.data.length - 1];
+    result.steps = activity.steps ?? null;
+    result.activeCalories = activity.active_calories ?? null;
+  }
+
+  // Parse SpO2
+  if (spo2Res.status === 'fulfilled' && spo2Res.value.data?.length > 0) {
+    const spo2 = spo2Res.value.data[spo2Res.value.data.length - 1];
+    if (spo2.spo2_percentage?.average) {
+      result.spo2 = Math.round(spo2.spo2_percentage.average * 10) / 10;
+    }
+  }
+
+  // Parse heart rate: daytime average, leaving out the sleep samples
+  if (heartRes.status === 'fulfilled' && heartRes.value.data?.length > 0) {
+    result.averageHeartRate = roundedAverage(
+      heartRes.value.data.filter((s) => s.source !== 'sleep').map((s) => s.bpm),
+    );
+  }
+
+  // Parse workouts
+  if (workoutRes.status === 'fulfilled' && workoutRes.value.data) {
+    result.workouts = workoutRes.value.data
+      .map(normalizeOuraWorkout)
+      .sort((a, b) => b.startTime.localeCompare(a.startTime));
+  }
+
+  result.timestamp = new Date().toISOString();
+  return result;
+}
+
+// ===========================================================================
+//
+//  POLAR  —  OAuth 2.0 (AccessLink)
+//
+// ===========================================================================
+
+/** Exercise summary from GET /v3/exercises. */
+interface PolarExercise {
+  id: string;
+  start_time: string;
+  start_time_utc_offset: number;
+  duration: string;
+  calories?: number;
+  distance?: number;
+  heart_rate?: { average?: number; maximum?: number };
+  sport: string;
+  detailed_sport_info?: string;
+}
+
+/**
+ * Build an HTTP Basic Authorization header value, which Polar requires
+ * on its token endpoint instead of client credentials in the body.
+ */
+function basicAuthHeader(username: string, password: string): string {
+  const raw = `${username}:${password}`;
+  const encoded = typeof btoa === 'function'
+    ? btoa(raw)
+    : Buffer.from(raw, 'utf8').toString('base64');
+  return `Basic ${encoded}`;
+}
+
+/**
+ * Generate the Polar AccessLink OAuth 2.0 authorization URL.
+ *
+ * Scopes requested:
+ * - accesslink.read_all (exercises, daily activity, sleep, Nightly Recharge, heart rate)
+ *
+ * @returns The full authorization URL to open in a browser
+ */
+export function getPolarAuthUrl(): string {
+  const state = generateOAuthState();
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: POLAR_CLIENT_ID,
+    redirect_uri: REDIRECT_URI,
+    scope: 'accesslink.read_all',
+    state,
+  });
+
+  return `${POLAR_ENDPOINTS.authorize}?${params.toString()}`;
+}
+
+/**
+ * Exchange a Polar authorization code for an access token, then register
+ * the user with AccessLink (required once before any data can be read).
+ * Polar tokens are long-lived and come without a refresh token.
+ *
+ * @param code - The authorization code received from the OAuth callback
+ * @returns Token credentials including the Polar user id
+ */
+export async function exchangePolarToken(code: string): Promise<OAuthTokenResponse> {
+  const data = await formPost<{
+    access_token: string;
+    token_type: string;
+    expires_in?: number;
+    x_user_id: number;
+  }>(POLAR_ENDPOINTS.token, {
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: REDIRECT_URI,
+  }, {
+    Authorization: basicAuthHeader(POLAR_CLIENT_ID, POLAR_CLIENT_SECRET),
+  });
+
+  const userId = String(data.x_user_id);
+
+  try {
+    await authenticatedPost(POLAR_ENDPOINTS.users, data.access_token, { 'member-id': userId });
+  } catch (error) {
+    // 409 means this user is already registered with our client
+    const message = error instanceof Error ? error.message : String(error);
+    if (!message.includes('HTTP 409')) throw error;
+  }
+
+  return {
+    accessToken: data.access_token,
+    refreshToken: null,
+    expiresIn: data.expires_in ?? null,
+    userId,
+  };
+}
+
+/**
+ * Map a Polar exercise to a normalized workout. Polar reports local start
+ * times plus a UTC offset in minutes, and ISO-8601 durations.
+ */
+function normalizePolarExercise(exercise: PolarExercise): NormalizedWorkout {
+  const localStart = Date.parse(`${exercise.start_time}Z`);
+  const startMs = localStart - (exercise.start_time_utc_offset || 0) * 60000;
+  return {
+    provider: 'polar',
+    id: exercise.id,
+    sport: normalizeWorkoutSport(exercise.detailed_sport_info || exercise.sport),
+    name: null,
+    startTime: new Date(startMs).toISOString(),
+    durationMinutes: Math.round(parseIsoDuration(exercise.duration) / 60),
+    distanceKm: exercise.distance ? Math.round(exercise.distance / 10) / 100 : null,
+    calories: exercise.calories ?? null,
+    averageHeartRate: exercise.heart_rate?.average ?? null,
+    maxHeartRate: exercise.heart_rate?.maximum ?? null,
+  };
+}
+
+/**
+ * Convert a Nightly Recharge status (1 = very poor … 6 = very good)
+ * to a 0-100 readiness score.
+ */
+function polarRechargeToReadiness(status: number): number {
+  const clamped = Math.min(6, Math.max(1, status));
+  return Math.round(((clamped - 1) / 5) * 100);
+}
+
+/**
+ * Sync health data from Polar AccessLink.
+ * Fetches last night's sleep and Nightly Recharge (readiness, HRV,
+ * breathing rate), today's daily activity and continuous heart rate,
+ * and recent exercises.
+ *
+ * @returns Normalized health data from Polar
+ */
+async function syncPolarData(): Promise<NormalizedHealthData> {
+  const token = await ensureValidToken('polar');
+  const result = emptyHealthData('polar');
+  const today = formatDate(new Date());
+
+  const [sleepRes, rechargeRes, activityRes, heartRes, exerciseRes] = await Promise.allSettled([
+    authenticatedGet<{
+      nights: Array<{
+        date: string;
+        light_sleep: number;
+        deep_sleep: number;
+        rem_sleep: number;
+        unrecognized_sleep_stage: number;
+      }>;
+    }>(POLAR_ENDPOINTS.sleep, token),
+    authenticatedGet<{
+      recharges: Array<{
+        date: string;
+        heart_rate_avg: number;
+        heart_rate_variability_avg: number;
+        breathing_rate_avg: number;
+        nightly_recharge_status: number;
+      }>;
+    }>(POLAR_ENDPOINTS.nightlyRecharge, token),
+    authenticatedGet<Array<{
+      start_time: string;
+      active_calories: number;
+      steps: number;
+    }>>(`${POLAR_ENDPOINTS.activities}?from=${today}&to=${today}`, token),
+    authenticatedGet<{
+      heart_rate_samples: Array<{ heart_rate: number; sample_time: string }>;
+    }>(`${POLAR_ENDPOINTS.heartRate}/${today}`, token),
+    authenticatedGet<PolarExercise[]>(POLAR_ENDPOINTS.exercises, token),
+  ]);
+
+  // Parse sleep (durations in seconds, most recent night last)
+  if (sleepRes.status === 'fulfilled' && sleepRes.value.nights?.length > 0) {
+    const nights = sleepRes.value.nights;
+    const night = nights[nights.length - 1];
+    result.deepSleepMinutes = Math.round(night.deep_sleep / 60);
+    result.remSleepMinutes = Math.round(night.rem_sleep / 60);
+    result.lightSleepMinutes = Math.round(night.light_sleep / 60);
+    result.sleepMinutes = Math.round(
+      (night.light_sleep + night.deep_sleep + night.rem_sleep + (night.unrecognized_sleep_stage || 0)) / 60,
+    );
+  }
+
+  // Parse Nightly Recharge
+  if (rechargeRes.status === 'fulfilled' && rechargeRes.value.recharges?.length > 0) {
+    const recharges = rechargeRes.value.recharges;
+    const recharge = recharges[recharges.length - 1];
+    result.readinessScore = polarRechargeToReadiness(recharge.nightly_recharge_status);
+    result.restingHeartRate = recharge.heart_rate_avg ?? null;
+    result.hrv = recharge.heart_rate_variability_avg ?? null;
+    if (recharge.breathing_rate_avg) {
+      result.respiratoryRate = Math.round(recharge.breathing_rate_avg * 10) / 10;
+    }
+  }
+
+  // Parse daily activity
+  if (activityRes.status === 'fulfilled' && Array.isArray(activityRes.value) && activityRes.value.length > 0) {
+    const activity = activityRes.value[activityRes.value.length - 1];
+    result.steps = activity.steps ?? null;
+    result.activeCalories = activity.active_calories ?? null;
+  }
+
+  // Parse continuous heart rate
+  if (heartRes.status === 'fulfilled' && heartRes.value.heart_rate_samples?.length > 0) {
+    result.averageHeartRate = roundedAverage(
+      heartRes.value.heart_rate_samples.map((s) => s.heart_rate),
+    );
+  }
+
+  // Parse exercises
+  if (exerciseRes.status === 'fulfilled' && Array.isArray(exerciseRes.value)) {
+    result.workouts = exerciseRes.value
+      .map(normalizePolarExercise)
+      .sort((a, b) => b.startTime.localeCompare(a.startTime));
+  }
+
+  result.timestamp = new Date().toISOString();
+  return result;
+}
+
 // ===========================================================================
 //
 //  Public API — Provider Connection Management
@@ -1658,6 +2458,15 @@ export async function connectProvider(provider: WearableProvider): Promise<Weara
     case 'withings':
       authUrl = getWithingsAuthUrl();
       break;
+    case 'strava':
+      authUrl = getStravaAuthUrl();
+      break;
+    case 'oura':
+      authUrl = getOuraAuthUrl();
+      break;
+    case 'polar':
+      authUrl = getPolarAuthUrl();
+      break;
     default:
       throw new Error(`Unknown provider: ${provider}`);
   }
@@ -1719,6 +2528,24 @@ export async function connectProvider(provider: WearableProvider): Promise<Weara
       tokenResponse = await exchangeWithingsToken(code);
       break;
     }
+    case 'strava': {
+      const code = callbackParams.get('code');
+      if (!code) throw new Error('Strava callback missing authorization code');
+      tokenResponse = await exchangeStravaToken(code);
+      break;
+    }
+    case 'oura': {
+      const code = callbackParams.get('code');
+      if (!code) throw new Error('Oura callback missing authorization code');
+      tokenResponse = await exchangeOuraToken(code);
+      break;
+    }
+    case 'polar': {
+      const code = callbackParams.get('code');
+      if (!code) throw new Error('Polar callback missing authorization code');
+      tokenResponse = await exchangePolarToken(code);
+      break;
+    }
     default:
       throw new Error(`Unknown provider: ${provider}`);
   }
@@ -1734,6 +2561,7 @@ export async function connectProvider(provider: WearableProvider): Promise<Weara
       ? Date.now() + tokenResponse.expiresIn * 1000
       : null,
     tokenSecret: tokenResponse.tokenSecret ?? null,
+    userId: tokenResponse.userId ?? null,
   };
 
   await updateConnection(provider, connection);
@@ -1775,6 +2603,29 @@ export async function disconnectProvider(provider: WearableProvider): Promise<vo
             client_secret: WHOOP_CLIENT_SECRET,
           });
           break;
+        case 'strava':
+          await formPost(STRAVA_ENDPOINTS.deauthorize, {
+            access_token: conn.accessToken,
+          });
+          break;
+        case 'oura':
+          await authenticatedGet(
+            `${OURA_ENDPOINTS.revoke}?access_token=${encodeURIComponent(conn.accessToken)}`,
+            conn.accessToken,
+          );
+          break;
+        case 'polar':
+          // Deregistering the user also invalidates the token
+          if (conn.userId) {
+            const response = await fetch(`${POLAR_ENDPOINTS.users}/${conn.userId}`, {
+              method: 'DELETE',
+              headers: { Authorization: `Bearer ${conn.accessToken}` },
+            });
+            if (!response.ok) {
+              throw new Error(`HTTP ${response.status} from ${POLAR_ENDPOINTS.users}`);
+            }
+          }
+          break;
         // Garmin and Withings do not have standard revocation endpoints
         default:
           break;
@@ -1789,6 +2640,7 @@ export async function disconnectProvider(provider: WearableProvider): Promise<vo
 
   // Clear the connection
   await updateConnection(provider, defaultConnection(provider));
+  await saveLatestData(provider, null);
 
   if (__DEV__) {
     console.log(`${LOG_PREFIX} Disconnected ${provider}`);
@@ -1799,9 +2651,8 @@ export async function disconnectProvider(provider: WearableProvider): Promise<vo
  * Disconnect all connected wearable providers.
  */
 export async function disconnectAll(): Promise<void> {
-  const providers: WearableProvider[] = ['fitbit', 'garmin', 'whoop', 'withings'];
   await Promise.allSettled(
-    providers.map((provider) => disconnectProvider(provider)),
+    ALL_PROVIDERS.map((provider) => disconnectProvider(provider)),
   );
 }
 
@@ -1847,14 +2698,24 @@ export async function syncProvider(provider: WearableProvider): Promise<SyncResu
       case 'withings':
         data = await syncWithingsData();
         break;
+      case 'strava':
+        data = await syncStravaData();
+        break;
+      case 'oura':
+        data = await syncOuraData();
+        break;
+      case 'polar':
+        data = await syncPolarData();
+        break;
       default:
         throw new Error(`Unknown provider: ${provider}`);
     }
 
-    // Update the last synced timestamp
+    // Update the last synced timestamp and keep the data for merging
     await updateConnection(provider, {
       lastSynced: new Date().toISOString(),
     });
+    await saveLatestData(provider, data);
 
     if (__DEV__) {
       console.log(`${LOG_PREFIX} Successfully synced ${provider} data`);
@@ -1936,48 +2797,96 @@ export async function syncAllConnected(): Promise<SyncAllResult> {
 
 /**
  * Merge normalized health data from multiple providers into a single record.
- * When multiple providers supply the same field, priority is determined by
- * the order of the results array (later entries override earlier ones only
- * if the later value is non-null).
+ * Each field comes from the first provider in that metric's source priority
+ * that reported it, and overlapping workouts from different providers are
+ * collapsed into one. `provenance` records which provider each value came from.
  *
- * @param results - Array of successful sync results
+ * @param results - Array of sync results (failed ones are skipped)
+ * @param priority - Per-metric source order; defaults to DEFAULT_SOURCE_PRIORITY
  * @returns A single merged health data record
  */
-export function mergeHealthData(results: SyncResult[]): NormalizedHealthData {
-  const merged = emptyHealthData('fitbit'); // Provider will be overwritten
-  merged.provider = 'fitbit'; // Default; will be updated below
-
-  for (const result of results) {
-    if (!result.success || !result.data) continue;
-
-    const data = result.data;
-    merged.provider = data.provider; // Last provider wins as the "primary"
-
-    // Merge each field: non-null values override null
-    if (data.steps != null) merged.steps = data.steps;
-    if (data.restingHeartRate != null) merged.restingHeartRate = data.restingHeartRate;
-    if (data.averageHeartRate != null) merged.averageHeartRate = data.averageHeartRate;
-    if (data.hrv != null) merged.hrv = data.hrv;
-    if (data.sleepMinutes != null) merged.sleepMinutes = data.sleepMinutes;
-    if (data.deepSleepMinutes != null) merged.deepSleepMinutes = data.deepSleepMinutes;
-    if (data.remSleepMinutes != null) merged.remSleepMinutes = data.remSleepMinutes;
-    if (data.lightSleepMinutes != null) merged.lightSleepMinutes = data.lightSleepMinutes;
-    if (data.weightKg != null) merged.weightKg = data.weightKg;
-    if (data.bodyFatPercent != null) merged.bodyFatPercent = data.bodyFatPercent;
-    if (data.muscleMassKg != null) merged.muscleMassKg = data.muscleMassKg;
-    if (data.boneMassKg != null) merged.boneMassKg = data.boneMassKg;
-    if (data.bmi != null) merged.bmi = data.bmi;
-    if (data.systolicBP != null) merged.systolicBP = data.systolicBP;
-    if (data.diastolicBP != null) merged.diastolicBP = data.diastolicBP;
-    if (data.activeCalories != null) merged.activeCalories = data.activeCalories;
-    if (data.recoveryScore != null) merged.recoveryScore = data.recoveryScore;
-    if (data.strainScore != null) merged.strainScore = data.strainScore;
-    if (data.spo2 != null) merged.spo2 = data.spo2;
-    if (data.respiratoryRate != null) merged.respiratoryRate = data.respiratoryRate;
-  }
-
-  merged.timestamp = new Date().toISOString();
-  return merged;
+export function mergeHealthData(
+  results: SyncResult[],
+  priority: SourcePriority = DEFAULT_SOURCE_PRIORITY,
+): MergedHealthData {
+  const successful = results.filter(
+    (r): r is SyncResult & { data: NormalizedHealthData } => r.success && r.data != null,
+  );
+  const { values, provenance, workouts } = mergeHealthSources(
+    successful.map((r) => wearableRecord(r.data)),
+    priority,
+  );
+
+  // The provider that supplied the most values is reported as the primary one
+  const counts = new Map<HealthSourceId, number>();
+  for (const source of Object.values(provenance)) {
+    counts.set(source as HealthSourceId, (counts.get(source as HealthSourceId) ?? 0) + 1);
+  }
+  const primary = [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+
+  return {
+    ...emptyHealthData(
+      primary && primary !== 'native' ? primary : successful[0]?.data.provider ?? 'fitbit',
+    ),
+    ...values,
+    workouts,
+    provenance,
+  };
+}
+
+// ===========================================================================
+//
+//  Public API — Source Priority
+//
+// ===========================================================================
+
+/**
+ * Load the user's per-metric source priority, filled in with defaults.
+ *
+ * @returns The source order for every metric
+ */
+export async function getSourcePriority(): Promise<SourcePriority> {
+  try {
+    const raw = await AsyncStorage.getItem(SOURCE_PRIORITY_KEY);
+    return sanitizeSourcePriority(raw ? JSON.parse(raw) : null);
+  } catch (error) {
+    if (__DEV__) {
+      console.warn(`${LOG_PREFIX} Failed to load source priority:`, error);
+    }
+    return sanitizeSourcePriority(null);
+  }
+}
+
+/**
+ * Persist the user's per-metric source priority.
+ *
+ * @param priority - The source order for every metric
+ */
+export async function setSourcePriority(priority: SourcePriority): Promise<void> {
+  try {
+    await AsyncStorage.setItem(SOURCE_PRIORITY_KEY, JSON.stringify(priority));
+  } catch (error) {
+    Sentry.captureException(error);
+    if (__DEV__) {
+      console.warn(`${LOG_PREFIX} Failed to save source priority:`, error);
+    }
+  }
+}
+
+/**
+ * Get the most recent data synced today from each connected provider,
+ * for merging with the native health snapshot.
+ *
+ * @returns One record per connected provider that synced today
+ */
+export async function getLatestProviderData(): Promise<NormalizedHealthData[]> {
+  const [connected, latest] = await Promise.all([getConnectedProviders(), loadLatestData()]);
+  const today = formatDate(new Date());
+  return connected
+    .map((provider) => latest[provider])
+    .filter((data): data is NormalizedHealthData => (
+      data != null && formatDate(new Date(data.timestamp)) === today
+    ));
 }
 
 // ===========================================================================
@@ -2002,11 +2911,28 @@ export function getProviderDisplayName(provider: WearableProvider): string {
       return 'WHOOP';
     case 'withings':
       return 'Withings';
+    case 'strava':
+      return 'Strava';
+    case 'oura':
+      return 'Oura';
+    case 'polar':
+      return 'Polar';
     default:
       return provider;
   }
 }
 
+/**
+ * Get a human-readable name for any health source, including the
+ * phone's own health platform.
+ *
+ * @param source - A wearable provider or 'native'
+ * @returns Display name string
+ */
+export function getHealthSourceName(source: HealthSourceId): string {
+  return source === 'native' ? getHealthPlatformName() : getProviderDisplayName(source);
+}
+
 /**
  * Get the data types that a specific provider can supply.
  * Useful for UI to show what data will become available after connecting.
@@ -2051,6 +2977,30 @@ export function getProviderCapabilities(provider: WearableProvider): string[] {
         'Blood Pressure',
         'Heart Rate',
       ];
+    case 'strava':
+      return [
+        'Activities & Workouts',
+        'Distance & Duration',
+        'Workout Heart Rate',
+        'Active Calories',
+      ];
+    case 'oura':
+      return [
+        'Readiness Score',
+        'Sleep Stages',
+        'HRV & Resting Heart Rate',
+        'Steps & Active Calories',
+        'Workouts',
+        'SpO2 & Respiratory Rate',
+      ];
+    case 'polar':
+      return [
+        'Nightly Recharge',
+        'Sleep Stages',
+        'Heart Rate & HRV',
+        'Steps & Active Calories',
+        'Exercises',
+      ];
     default:
       return [];
   }
@@ -0,0 +1,95 @@
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Sharing from 'expo-sharing';
+import { format } from 'date-fns';
+import { parseFIT } from '../lib/fitParser';
+import {
+  buildGPX,
+  buildTCX,
+  detectWorkoutFileFormat,
+  hasPositions,
+  parseGPX,
+  parseTCX,
+  trackFromHealthSession,
+  trackFromHistory,
+} from '../lib/workoutFiles';
+import type { HistoryWorkoutLike, WorkoutTrack } from '../lib/workoutFiles';
+import { getHeartRateData, getWorkouts } from './healthService';
+
+/**
+ * Workout file I/O: writes GPX/TCX exports to the cache directory and
+ * opens the share sheet, and turns picked GPX, TCX or FIT files into
+ * tracks. The format logic itself lives in lib/workoutFiles and lib/fitParser.
+ */
+
+export type ExportFormat = 'gpx' | 'tcx';
+
+const MIME_TYPES: Record<ExportFormat, { mimeType: string; UTI: string }> = {
+  gpx: { mimeType: 'application/gpx+xml', UTI: 'com.topografix.gpx' },
+  tcx: { mimeType: 'application/vnd.garmin.tcx+xml', UTI: 'public.xml' },
+};
+
+function safeFileName(name: string): string {
+  return name.replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '') || 'Workout';
+}
+
+async function shareWorkoutFile(tracks: WorkoutTrack[], fileFormat: ExportFormat, baseName: string): Promise<void> {
+  const content = fileFormat === 'gpx' ? buildGPX(tracks) : buildTCX(tracks);
+  const filePath = `${FileSystem.cacheDirectory}FuelIQ_${safeFileName(baseName)}.${fileFormat}`;
+
+  await FileSystem.writeAsStringAsync(filePath, content, {
+    encoding: FileSystem.EncodingType.UTF8,
+  });
+
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device.');
+  }
+
+  await Sharing.shareAsync(filePath, {
+    ...MIME_TYPES[fileFormat],
+    dialogTitle: 'Export Workout',
+  });
+}
+
+/** Whether a history entry has the GPS route a GPX file needs */
+export function canExportGPX(workout: HistoryWorkoutLike): boolean {
+  return hasPositions(trackFromHistory(workout));
+}
+
+/** Share one workout history entry as GPX or TCX. Throws with a user-facing message. */
+export async function exportHistoryWorkout(workout: HistoryWorkoutLike, fileFormat: ExportFormat): Promise<void> {
+  const track = trackFromHistory(workout);
+  if (fileFormat === 'gpx' && !hasPositions(track)) {
+    throw new Error('This workout has no GPS route to export as GPX. Try TCX instead.');
+  }
+  await shareWorkoutFile([track], fileFormat, `${workout.name}_${format(new Date(workout.date), 'yyyy-MM-dd')}`);
+}
+
+/**
+ * Share the Health app workouts of the last `days` days as one TCX file,
+ * with the heart rate recorded during each. Resolves to the number exported.
+ */
+export async function exportHealthWorkouts(days: number = 30): Promise<number> {
+  const [sessions, heartRate] = await Promise.all([getWorkouts(days), getHeartRateData(days * 24)]);
+  if (sessions.length === 0) {
+    throw new Error(`No Health app workouts found for the last ${days} days.`);
+  }
+  const tracks = sessions.map((session) => trackFromHealthSession(session, heartRate));
+  await shareWorkoutFile(tracks, 'tcx', `Health_Workouts_${format(new Date(), 'yyyy-MM-dd')}`);
+  return tracks.length;
+}
+
+interface PickedFile {
+  name: string;
+  bytes(): Promise<Uint8Array>;
+  text(): Promise<string>;
+}
+
+/** Parse a picked GPX, TCX or FIT file. Throws with a user-facing message. */
+export async function readWorkoutFile(file: PickedFile): Promise<WorkoutTrack[]> {
+  const bytes = await file.bytes();
+  const fileFormat = detectWorkoutFileFormat(file.name, bytes);
+  if (fileFormat === 'fit') return parseFIT(bytes);
+  if (fileFormat === 'gpx') return parseGPX(await file.text());
+  if (fileFormat === 'tcx') return parseTCX(await file.text());
+  throw new Error('Choose a GPX, TCX or FIT file.');
+}
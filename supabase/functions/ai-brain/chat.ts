@@ -0,0 +1,337 @@
+/**
+ * AI Brain - nutritionist chat handler and chat action schemas.
+ *
+ * Tested against a stubbed provider in __tests__/supabase/aiBrainChat.test.ts.
+ */
+
+import type { LLM, LLMTurn } from "./llm.ts";
+import {
+  AI_TIMEOUT_MS,
+  safeParseJSON,
+  sanitizeNumber,
+  sanitizeString,
+  withTimeout,
+} from "./utils.ts";
+
+// ============================================================================
+// CHAT ACTIONS
+// ============================================================================
+
+export const MAX_CHAT_ACTIONS = 3;
+const MAX_ACTION_FOODS = 10;
+const MAX_RECIPE_INGREDIENTS = 30;
+export const MIN_FAST_HOURS = 12;
+export const MAX_FAST_HOURS = 72;
+export const MIN_WATER_ML = 50;
+export const MAX_WATER_ML = 3000;
+const MEAL_TYPES = ["breakfast", "lunch", "dinner", "snacks"] as const;
+
+type ChatMealType = typeof MEAL_TYPES[number];
+
+export interface ChatFoodItem {
+  name: string;
+  emoji: string;
+  calories: number;
+  protein: number;
+  carbs: number;
+  fat: number;
+  serving: string;
+}
+
+export type ChatAction =
+  | { type: "log_food"; mealType: ChatMealType | null; foods: ChatFoodItem[] }
+  | { type: "start_fast"; hours: number }
+  | { type: "add_water"; amountMl: number }
+  | { type: "create_recipe"; name: string; emoji: string; servings: number; ingredients: ChatFoodItem[] };
+
+export function sanitizeChatFoodItem(item: Record<string, unknown>): ChatFoodItem {
+  return {
+    name: sanitizeString(item?.name, 200) || "Unknown Food",
+    emoji: sanitizeString(item?.emoji, 10) || "🍽️",
+    calories: sanitizeNumber(item?.calories, 0, 0, 10000),
+    protein: sanitizeNumber(item?.protein, 0, 0, 1000),
+    carbs: sanitizeNumber(item?.carbs, 0, 0, 1000),
+    fat: sanitizeNumber(item?.fat, 0, 0, 1000),
+    serving: sanitizeString(item?.serving, 100) || "1 serving",
+  };
+}
+
+/** Named food items only; an action never invents "Unknown Food" entries */
+function sanitizeActionFoods(value: unknown, max: number): ChatFoodItem[] {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter((item) => item && typeof item === "object" && sanitizeString(item.name, 200))
+    .slice(0, max)
+    .map(sanitizeChatFoodItem);
+}
+
+/** A whole number within [min, max], or null. Out-of-range values are rejected, not clamped. */
+function integerInRange(value: unknown, min: number, max: number): number | null {
+  const num = typeof value === "number" ? value : parseFloat(String(value));
+  if (!Number.isFinite(num)) return null;
+  const rounded = Math.round(num);
+  return rounded >= min && rounded <= max ? rounded : null;
+}
+
+function parseMealType(value: unknown): ChatMealType | null {
+  const meal = sanitizeString(value, 20).toLowerCase();
+  if (meal === "snack") return "snacks";
+  return (MEAL_TYPES as readonly string[]).includes(meal) ? meal as ChatMealType : null;
+}
+
+/** Fasting hours from "hours" or an "16:8"-style protocol */
+function parseFastHours(raw: Record<string, unknown>): number | null {
+  const hours = integerInRange(raw.hours, MIN_FAST_HOURS, MAX_FAST_HOURS);
+  if (hours !== null) return hours;
+  const match = /^(\d{1,2}):(\d{1,2})$/.exec(sanitizeString(raw.protocol, 10));
+  if (!match || Number(match[1]) + Number(match[2]) !== 24) return null;
+  return integerInRange(match[1], MIN_FAST_HOURS, MAX_FAST_HOURS);
+}
+
+function validateChatAction(raw: unknown): ChatAction | null {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return null;
+  const action = raw as Record<string, unknown>;
+
+  switch (action.type) {
+    case "log_food": {
+      const foods = sanitizeActionFoods(action.foods, MAX_ACTION_FOODS);
+      if (foods.length === 0) return null;
+      return { type: "log_food", mealType: parseMealType(action.mealType), foods };
+    }
+    case "start_fast": {
+      const hours = parseFastHours(action);
+      return hours === null ? null : { type: "start_fast", hours };
+    }
+    case "add_water": {
+      const amountMl = integerInRange(action.amountMl, MIN_WATER_ML, MAX_WATER_ML);
+      return amountMl === null ? null : { type: "add_water", amountMl };
+    }
+    case "create_recipe": {
+      const name = sanitizeString(action.name, 100);
+      const ingredients = sanitizeActionFoods(action.ingredients, MAX_RECIPE_INGREDIENTS);
+      if (!name || ingredients.length === 0) return null;
+      return {
+        type: "create_recipe",
+        name,
+        emoji: sanitizeString(action.emoji, 10) || "🍳",
+        servings: integerInRange(action.servings, 1, 50) ?? 1,
+        ingredients,
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate model-proposed actions against the schemas above. Unknown types
+ * and malformed or out-of-range actions are dropped rather than repaired.
+ */
+export function validateChatActions(value: unknown): ChatAction[] {
+  if (!Array.isArray(value)) return [];
+  const actions: ChatAction[] = [];
+  for (const raw of value) {
+    const action = validateChatAction(raw);
+    if (action) actions.push(action);
+    if (actions.length === MAX_CHAT_ACTIONS) break;
+  }
+  return actions;
+}
+
+// ============================================================================
+// HANDLER
+// ============================================================================
+
+/**
+ * Chat - AI Nutritionist with full user context
+ *
+ * Replies may carry up to MAX_CHAT_ACTIONS validated actions. Nothing is
+ * executed here: the app shows each action as a card and only runs it after
+ * the user confirms.
+ */
+export async function handleChat(
+  llm: LLM,
+  payload: {
+    message: string;
+    conversationHistory?: Array<{ role: string; content: string }>;
+    userContext?: Record<string, unknown>;
+  }
+): Promise<Record<string, unknown>> {
+  const { message, conversationHistory = [], userContext = {} } = payload;
+
+  if (!message || typeof message !== "string" || message.trim().length === 0) {
+    throw new Error("Please enter a message.");
+  }
+
+  const sanitizedMessage = sanitizeString(message, 2000);
+
+  // Build user context summary for the system prompt
+  const contextParts: string[] = [];
+  if (userContext.name) contextParts.push(`User's name: ${sanitizeString(userContext.name, 100)}`);
+  if (userContext.gender) contextParts.push(`Gender: ${sanitizeString(userContext.gender, 20)}`);
+  if (userContext.age) contextParts.push(`Age: ${sanitizeNumber(userContext.age, 0, 0, 150)}`);
+  if (userContext.weight) {
+    const weightUnit = sanitizeString(userContext.weightUnit, 5) || "lbs";
+    contextParts.push(`Weight: ${sanitizeNumber(userContext.weight, 0, 0, 1000)} ${weightUnit}`);
+  }
+  if (userContext.height) {
+    const heightVal = sanitizeNumber(userContext.height, 0, 0, 300);
+    // Height stored in inches internally; convert to readable format
+    const feet = Math.floor(heightVal / 12);
+    const inches = heightVal % 12;
+    contextParts.push(`Height: ${feet}'${inches}" (${Math.round(heightVal * 2.54)} cm)`);
+  }
+  if (userContext.tdee) contextParts.push(`TDEE: ${sanitizeNumber(userContext.tdee, 0, 0, 10000)} kcal`);
+  if (userContext.goal) contextParts.push(`Goal: ${sanitizeString(userContext.goal, 50)}`);
+
+  if (userContext.todayCalories !== undefined) {
+    contextParts.push(`Today's intake: ${sanitizeNumber(userContext.todayCalories, 0, 0, 20000)} kcal consumed`);
+  }
+  if (userContext.calorieGoal) {
+    contextParts.push(`Daily calorie goal: ${sanitizeNumber(userContext.calorieGoal, 0, 0, 10000)} kcal`);
+  }
+  if (userContext.remainingCalories !== undefined) {
+    contextParts.push(`Remaining today: ${sanitizeNumber(userContext.remainingCalories, 0, -5000, 10000)} kcal`);
+  }
+  if (userContext.todayProtein !== undefined) {
+    contextParts.push(`Protein today: ${sanitizeNumber(userContext.todayProtein, 0, 0, 1000)}g / ${sanitizeNumber(userContext.proteinGoal, 0, 0, 1000)}g goal`);
+  }
+  if (userContext.todayCarbs !== undefined) {
+    contextParts.push(`Carbs today: ${sanitizeNumber(userContext.todayCarbs, 0, 0, 1000)}g / ${sanitizeNumber(userContext.carbsGoal, 0, 0, 1000)}g goal`);
+  }
+  if (userContext.todayFat !== undefined) {
+    contextParts.push(`Fat today: ${sanitizeNumber(userContext.todayFat, 0, 0, 1000)}g / ${sanitizeNumber(userContext.fatGoal, 0, 0, 1000)}g goal`);
+  }
+  if (userContext.waterProgress) {
+    contextParts.push(`Water: ${sanitizeString(userContext.waterProgress, 100)}`);
+  }
+  if (userContext.isFasting !== undefined) {
+    contextParts.push(`Fasting: ${userContext.isFasting ? "Currently fasting" : "In eating window"}`);
+    if (userContext.fastingProgress) contextParts.push(`Fasting progress: ${sanitizeString(userContext.fastingProgress, 100)}`);
+  }
+  if (userContext.streak) {
+    contextParts.push(`Current streak: ${sanitizeNumber(userContext.streak, 0, 0, 10000)} days`);
+  }
+  if (userContext.totalXP) {
+    contextParts.push(`Total XP: ${sanitizeNumber(userContext.totalXP, 0, 0, 1000000)}`);
+  }
+
+  const contextString = contextParts.length > 0
+    ? `\n\nCURRENT USER DATA:\n${contextParts.join("\n")}`
+    : "";
+
+  const systemPrompt = `You are FuelIQ AI, a certified nutritionist and wellness coach built into the FuelIQ fitness app. You are friendly, knowledgeable, motivating, and concise.${contextString}
+
+GUIDELINES:
+- Give personalized advice based on the user's current data when available
+- Keep responses concise (2-4 sentences for simple questions, more for detailed advice)
+- If the user describes food they ate or want to eat, include a "foodItems" array in your JSON response with parsed nutritional estimates
+- Always be encouraging and supportive
+- Use metric or imperial based on what the user seems to prefer
+- If you don't have enough context, ask clarifying questions
+- Never give medical diagnoses or replace professional medical advice
+- When the user asks you to DO something the app supports (log food, start a fast, add water, save a recipe), include it in "actions". The user confirms every action before it runs, so describe it in your reply as something they can confirm, not as already done
+
+RESPONSE FORMAT - Return ONLY valid JSON (no markdown, no code blocks):
+{
+  "reply": "Your conversational response here",
+  "suggestions": ["Suggestion 1", "Suggestion 2", "Suggestion 3"],
+  "foodItems": [
+    {
+      "name": "Food Name",
+      "emoji": "🍳",
+      "calories": 150,
+      "protein": 12,
+      "carbs": 1,
+      "fat": 10,
+      "serving": "2 large eggs"
+    }
+  ],
+  "actions": []
+}
+
+AVAILABLE ACTIONS (at most ${MAX_CHAT_ACTIONS} per reply, each an object in "actions"):
+- {"type": "log_food", "mealType": "breakfast" | "lunch" | "dinner" | "snacks", "foods": [<food items as above>]}
+- {"type": "start_fast", "hours": 16} or {"type": "start_fast", "protocol": "16:8"} (${MIN_FAST_HOURS}-${MAX_FAST_HOURS} hours)
+- {"type": "add_water", "amountMl": 500} (${MIN_WATER_ML}-${MAX_WATER_ML} ml)
+- {"type": "create_recipe", "name": "Recipe Name", "emoji": "🥗", "servings": 4, "ingredients": [<food items as above, amounts for the whole recipe>]}
+
+The "foodItems" array should ONLY be included if the user is describing food they ate, want to eat, or is asking about specific foods. Otherwise omit it or set it to an empty array.
+Only include "actions" when the user clearly asks for one; omit "mealType" if they did not name a meal.
+The "suggestions" array should contain 2-3 short follow-up questions or topics the user might want to explore next.`;
+
+  // Build multi-turn conversation
+  // Providers require strictly alternating user/model turns
+  const contents: LLMTurn[] = [];
+
+  // Add conversation history (last 20 messages), merging consecutive same-role messages
+  const recentHistory = conversationHistory.slice(-20);
+  for (const msg of recentHistory) {
+    const role = msg.role === "user" ? "user" : "model";
+    const text = sanitizeString(msg.content, 2000);
+    if (!text) continue;
+    const last = contents[contents.length - 1];
+    if (last && last.role === role) {
+      // Merge consecutive same-role messages to maintain alternation
+      last.text += "\n" + text;
+    } else {
+      contents.push({ role, text });
+    }
+  }
+
+  // Add current user message (merge if last was also user)
+  const lastEntry = contents[contents.length - 1];
+  if (lastEntry && lastEntry.role === "user") {
+    lastEntry.text += "\n" + sanitizedMessage;
+  } else {
+    contents.push({ role: "user", text: sanitizedMessage });
+  }
+
+  // Ensure first message is from user
+  if (contents.length > 0 && contents[0].role !== "user") {
+    contents.shift();
+  }
+
+  const text = await withTimeout(
+    llm.text("chat", {
+      input: contents,
+      systemInstruction: systemPrompt,
+      generationConfig: {
+        temperature: 0.7,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: 2048,
+      },
+    }),
+    AI_TIMEOUT_MS,
+    "Chat"
+  );
+
+  const parsed = safeParseJSON(text);
+
+  // If we can't parse as JSON, still return the raw text as the reply
+  if (!parsed) {
+    return {
+      reply: sanitizeString(text, 2000) || "I'm sorry, I had trouble processing that. Could you try again?",
+      suggestions: ["Tell me about my macros", "What should I eat next?", "How's my progress?"],
+      foodItems: [],
+      actions: [],
+    };
+  }
+
+  // Sanitize food items if present
+  const foodItems = Array.isArray(parsed.foodItems)
+    ? parsed.foodItems.slice(0, 10).map(sanitizeChatFoodItem)
+    : [];
+
+  const suggestions = Array.isArray(parsed.suggestions)
+    ? parsed.suggestions.slice(0, 5).map((s: unknown) => sanitizeString(s, 200)).filter(Boolean)
+    : ["Tell me about my macros", "What should I eat next?", "How's my progress?"];
+
+  return {
+    reply: sanitizeString(parsed.reply, 3000) || "I'm here to help! What would you like to know?",
+    suggestions,
+    foodItems,
+    actions: validateChatActions(parsed.actions),
+  };
+}
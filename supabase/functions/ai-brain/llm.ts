@@ -0,0 +1,211 @@
+/**
+ * AI Brain - LLM provider interface and per-task model routing.
+ *
+ * Handlers never talk to a model SDK directly: they ask the LLM router for
+ * text, vision or audio output for their request type, and the router picks
+ * the provider and model from the route table. Providers live in
+ * providers/ (Gemini for production, a fixture-backed mock for local runs
+ * and tests).
+ *
+ * Routes are configured with two environment variables:
+ * - AI_PROVIDER: provider for routes that don't name one (default "gemini")
+ * - AI_MODEL_ROUTES: JSON object of request type (or "default") to
+ *   "model" or "provider:model", e.g. {"meal-plan": "gemini:gemini-2.5-pro"}
+ */
+
+/** Every request type the AI Brain serves */
+export const AI_TASKS = [
+  "scan-food",
+  "scan-label",
+  "generate-workout",
+  "chef",
+  "genesis",
+  "chat",
+  "parse-voice-food",
+  "weekly-digest",
+  "adaptive-macros",
+  "meal-plan",
+  "morning-briefing",
+  "food-swap",
+  "recipe-import",
+  "meal-recommend",
+] as const;
+
+export type AITask = typeof AI_TASKS[number];
+
+export function isAITask(value: unknown): value is AITask {
+  return typeof value === "string" && (AI_TASKS as readonly string[]).includes(value);
+}
+
+// ============================================================================
+// PROVIDER INTERFACE
+// ============================================================================
+
+export interface LLMGenerationConfig {
+  temperature?: number;
+  topK?: number;
+  topP?: number;
+  maxOutputTokens?: number;
+}
+
+/** One turn of a conversation; "model" turns are earlier assistant replies */
+export interface LLMTurn {
+  role: "user" | "model";
+  text: string;
+}
+
+/** Base64-encoded image or audio */
+export interface LLMMedia {
+  data: string;
+  mimeType: string;
+}
+
+export interface LLMTextRequest {
+  task: AITask;
+  model: string;
+  /** A single prompt, or a conversation that starts and ends with a user turn */
+  input: string | LLMTurn[];
+  systemInstruction?: string;
+  generationConfig?: LLMGenerationConfig;
+}
+
+export interface LLMMediaRequest {
+  task: AITask;
+  model: string;
+  prompt: string;
+  media: LLMMedia;
+  generationConfig?: LLMGenerationConfig;
+}
+
+/** Tokens a model call consumed, as reported by the provider */
+export interface LLMTokenUsage {
+  inputTokens: number;
+  outputTokens: number;
+}
+
+/** A model's raw text output, with token usage when the provider reports it */
+export interface LLMOutput {
+  text: string;
+  usage?: LLMTokenUsage;
+}
+
+/** A model backend */
+export interface LLMProvider {
+  readonly name: string;
+  generateText(request: LLMTextRequest): Promise<LLMOutput>;
+  generateFromImage(request: LLMMediaRequest): Promise<LLMOutput>;
+  generateFromAudio(request: LLMMediaRequest): Promise<LLMOutput>;
+}
+
+// ============================================================================
+// ROUTING
+// ============================================================================
+
+export type ModelRoutes = Partial<Record<AITask | "default", string>>;
+
+export const DEFAULT_MODEL = "gemini-2.5-flash";
+export const DEFAULT_PROVIDER = "gemini";
+
+export interface ResolvedRoute {
+  provider: string;
+  model: string;
+}
+
+/**
+ * Parse AI_MODEL_ROUTES. Unknown request types, non-string values and
+ * malformed JSON are ignored so a bad secret can't take the function down.
+ */
+export function parseModelRoutes(json: string | null | undefined): ModelRoutes {
+  if (!json) return {};
+  let raw: unknown;
+  try {
+    raw = JSON.parse(json);
+  } catch {
+    console.warn("[AI Brain] AI_MODEL_ROUTES is not valid JSON; using default routes");
+    return {};
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return {};
+
+  const routes: ModelRoutes = {};
+  for (const [key, value] of Object.entries(raw as Record<string, unknown>)) {
+    if ((key === "default" || isAITask(key)) && typeof value === "string" && value.trim()) {
+      routes[key as AITask | "default"] = value.trim();
+    }
+  }
+  return routes;
+}
+
+/** Provider and model for a request type: its own route, else "default" */
+export function resolveRoute(
+  routes: ModelRoutes,
+  task: AITask,
+  defaultProvider: string = DEFAULT_PROVIDER
+): ResolvedRoute {
+  const route = routes[task] || routes.default || DEFAULT_MODEL;
+  const separator = route.indexOf(":");
+  if (separator === -1) return { provider: defaultProvider, model: route };
+  return {
+    provider: route.slice(0, separator) || defaultProvider,
+    model: route.slice(separator + 1) || DEFAULT_MODEL,
+  };
+}
+
+/** Model calls made through one router and the tokens they used */
+export interface LLMUsage extends LLMTokenUsage {
+  calls: number;
+}
+
+/** What handlers call: the router fills in the task's provider and model */
+export interface LLM {
+  text(task: AITask, request: Omit<LLMTextRequest, "task" | "model">): Promise<string>;
+  image(task: AITask, request: Omit<LLMMediaRequest, "task" | "model">): Promise<string>;
+  audio(task: AITask, request: Omit<LLMMediaRequest, "task" | "model">): Promise<string>;
+  /** Whether the provider routed for `task` is available */
+  supports(task: AITask): boolean;
+  /** Totals for every call made so far; ai-brain builds one router per request */
+  usage(): LLMUsage;
+}
+
+export function createLLM(
+  providers: Record<string, LLMProvider | undefined>,
+  routes: ModelRoutes = {},
+  defaultProvider: string = DEFAULT_PROVIDER
+): LLM {
+  const route = (task: AITask): { provider: LLMProvider; model: string } => {
+    const resolved = resolveRoute(routes, task, defaultProvider);
+    const provider = providers[resolved.provider];
+    if (!provider) {
+      throw new Error(`AI provider "${resolved.provider}" is not configured for ${task}`);
+    }
+    return { provider, model: resolved.model };
+  };
+
+  const totals: LLMUsage = { calls: 0, inputTokens: 0, outputTokens: 0 };
+  const record = (output: LLMOutput): string => {
+    totals.calls++;
+    totals.inputTokens += output.usage?.inputTokens ?? 0;
+    totals.outputTokens += output.usage?.outputTokens ?? 0;
+    return output.text;
+  };
+
+  return {
+    async text(task, request) {
+      const { provider, model } = route(task);
+      return record(await provider.generateText({ ...request, task, model }));
+    },
+    async image(task, request) {
+      const { provider, model } = route(task);
+      return record(await provider.generateFromImage({ ...request, task, model }));
+    },
+    async audio(task, request) {
+      const { provider, model } = route(task);
+      return record(await provider.generateFromAudio({ ...request, task, model }));
+    },
+    supports(task) {
+      return Boolean(providers[resolveRoute(routes, task, defaultProvider).provider]);
+    },
+    usage() {
+      return { ...totals };
+    },
+  };
+}
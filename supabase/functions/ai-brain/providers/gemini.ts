@@ -0,0 +1,48 @@
+/**
+ * Google Gemini provider for the AI Brain.
+ */
+
+import { GoogleGenerativeAI, type Part } from "https://esm.sh/@google/generative-ai@0.21.0";
+import type { LLMGenerationConfig, LLMMediaRequest, LLMOutput, LLMProvider, LLMTextRequest } from "../llm.ts";
+
+export function createGeminiProvider(apiKey: string): LLMProvider {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  async function generate(
+    model: string,
+    request: string | Array<string | Part> | { contents: Array<{ role: string; parts: Part[] }> },
+    generationConfig?: LLMGenerationConfig,
+    systemInstruction?: string
+  ): Promise<LLMOutput> {
+    const result = await genAI
+      .getGenerativeModel({ model, generationConfig, systemInstruction })
+      .generateContent(request);
+    const usage = result.response.usageMetadata;
+    return {
+      text: result.response.text(),
+      usage: usage
+        ? { inputTokens: usage.promptTokenCount ?? 0, outputTokens: usage.candidatesTokenCount ?? 0 }
+        : undefined,
+    };
+  }
+
+  function generateFromMedia({ model, prompt, media, generationConfig }: LLMMediaRequest): Promise<LLMOutput> {
+    return generate(
+      model,
+      [prompt, { inlineData: { data: media.data, mimeType: media.mimeType } }],
+      generationConfig
+    );
+  }
+
+  return {
+    name: "gemini",
+    generateText({ model, input, generationConfig, systemInstruction }: LLMTextRequest) {
+      const request = typeof input === "string"
+        ? input
+        : { contents: input.map((turn) => ({ role: turn.role, parts: [{ text: turn.text }] })) };
+      return generate(model, request, generationConfig, systemInstruction);
+    },
+    generateFromImage: generateFromMedia,
+    generateFromAudio: generateFromMedia,
+  };
+}
@@ -0,0 +1,55 @@
+/**
+ * Deterministic mock provider for local runs and tests.
+ *
+ * Answers every request with the fixture for its request type (see
+ * mockFixtures.ts) and never touches the network. Select it with
+ * AI_PROVIDER=mock or a "mock:" route in AI_MODEL_ROUTES. Token usage is
+ * estimated at four characters per token so the usage ledger has numbers.
+ */
+
+import type { AITask, LLMMediaRequest, LLMOutput, LLMProvider, LLMTextRequest } from "../llm.ts";
+import { MOCK_FIXTURES } from "./mockFixtures.ts";
+
+/** A fixture is model output: objects are sent as JSON, strings verbatim */
+export type MockFixture = Record<string, unknown> | string;
+
+export interface MockCall {
+  kind: "text" | "image" | "audio";
+  request: LLMTextRequest | LLMMediaRequest;
+}
+
+export interface MockProvider extends LLMProvider {
+  /** Every request received, in order */
+  readonly calls: MockCall[];
+}
+
+function estimateTokens(text: string): number {
+  return Math.ceil(text.length / 4);
+}
+
+export function createMockProvider(overrides: Partial<Record<AITask, MockFixture>> = {}): MockProvider {
+  const fixtures: Partial<Record<AITask, MockFixture>> = { ...MOCK_FIXTURES, ...overrides };
+  const calls: MockCall[] = [];
+
+  function respond(kind: MockCall["kind"], request: LLMTextRequest | LLMMediaRequest): Promise<LLMOutput> {
+    calls.push({ kind, request });
+    const fixture = fixtures[request.task];
+    if (fixture === undefined) {
+      return Promise.reject(new Error(`No mock fixture for ${request.task}`));
+    }
+    const text = typeof fixture === "string" ? fixture : JSON.stringify(fixture);
+    const prompt = "input" in request ? JSON.stringify(request.input) : request.prompt;
+    return Promise.resolve({
+      text,
+      usage: { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text) },
+    });
+  }
+
+  return {
+    name: "mock",
+    calls,
+    generateText: (request) => respond("text", request),
+    generateFromImage: (request) => respond("image", request),
+    generateFromAudio: (request) => respond("audio", request),
+  };
+}
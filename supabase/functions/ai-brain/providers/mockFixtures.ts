@@ -0,0 +1,204 @@
+/**
+ * Model output the mock provider returns for each request type. Each fixture
+ * follows the JSON format its handler's prompt asks for, so handlers run
+ * their normal parsing and sanitizing on it.
+ */
+
+import type { AITask } from "../llm.ts";
+
+export const MOCK_FIXTURES: Record<AITask, Record<string, unknown>> = {
+  "scan-food": {
+    name: "Grilled Chicken with Rice",
+    emoji: "🍗",
+    calories: 520,
+    protein: 45,
+    carbs: 52,
+    fat: 12,
+    serving: "1 plate",
+    confidence: "high",
+    items: [
+      { name: "grilled chicken breast", grams: 150, calories: 248, protein: 40, carbs: 0, fat: 8, confidence: "high" },
+      { name: "white rice", grams: 200, calories: 260, protein: 5, carbs: 52, fat: 1, confidence: "medium" },
+    ],
+  },
+
+  "scan-label": {
+    productName: "Greek Yogurt",
+    servingSize: "1 container (170g)",
+    servingGrams: 170,
+    servingsPerContainer: 1,
+    serving: { confidence: "high" },
+    calories: { value: 100, confidence: "high" },
+    protein: { value: 17, confidence: "high" },
+    carbs: { value: 6, confidence: "high" },
+    fat: { value: 0.5, confidence: "medium" },
+    nutrients: [
+      { key: "sugar", amount: 4, unit: "g", confidence: "high" },
+      { key: "sodium", amount: 60, unit: "mg", confidence: "high" },
+      { key: "calcium", amount: 190, unit: "mg", confidence: "medium" },
+    ],
+  },
+
+  "generate-workout": {
+    title: "Full Body Strength",
+    subtitle: "Compound lifts with short rests",
+    warmup: [
+      { name: "Jumping Jacks", duration: "60 seconds", notes: "Easy pace" },
+      { name: "Arm Circles", duration: "30 seconds", notes: "" },
+    ],
+    main_set: [
+      { name: "Goblet Squat", sets: 3, reps: "10-12", rest: "60s", tempo: "2-0-2", tips: "Chest up", muscle_group: "Legs" },
+      { name: "Push-Up", sets: 3, reps: "12", rest: "45s", tempo: "Controlled", tips: "Brace your core", muscle_group: "Chest" },
+      { name: "Dumbbell Row", sets: 3, reps: "10 each side", rest: "60s", tempo: "Controlled", tips: "", muscle_group: "Back" },
+      { name: "Plank", sets: 3, reps: "40 seconds", rest: "30s", tempo: "Hold", tips: "", muscle_group: "Core" },
+    ],
+    cooldown: [
+      { name: "Hamstring Stretch", duration: "45 seconds", notes: "" },
+    ],
+    difficulty_rating: 6,
+    estimated_calories: 280,
+    coach_notes: "Keep rests honest and focus on form.",
+    pro_tips: ["Exhale on the effort", "Add weight when the last set feels easy"],
+  },
+
+  chef: {
+    detected_ingredients: ["eggs", "spinach", "feta", "tomatoes"],
+    recipes: [
+      {
+        id: "spinach-feta-omelette",
+        name: "Spinach Feta Omelette",
+        emoji: "🍳",
+        description: "A quick high-protein breakfast.",
+        difficulty: "Easy",
+        time: "10 mins",
+        servings: 1,
+        calories: 320,
+        protein: 22,
+        carbs: 6,
+        fat: 23,
+        ingredients_used: ["eggs", "spinach", "feta"],
+        missing_ingredients: [],
+        instructions: ["Whisk the eggs", "Wilt the spinach", "Add eggs and feta, then fold"],
+        chef_tip: "Take it off the heat while the top is still glossy.",
+      },
+    ],
+  },
+
+  genesis: {
+    age: 32,
+    weight: 80,
+    height: 178,
+    gender: "male",
+    activity_level: "moderate",
+    goal: "lose",
+    bmr: 1780,
+    tdee: 2760,
+    calories: 2260,
+    protein: 160,
+    carbs: 230,
+    fat: 75,
+    goal_summary: "A moderate deficit of about 500 kcal a day for steady fat loss.",
+  },
+
+  chat: {
+    reply: "You have about 900 kcal left today. A salmon bowl would fit well.",
+    suggestions: ["Log a salmon bowl", "High-protein snack ideas"],
+    foodItems: [
+      { name: "Salmon Rice Bowl", emoji: "🍣", calories: 620, protein: 38, carbs: 64, fat: 22, serving: "1 bowl" },
+    ],
+    actions: [],
+  },
+
+  "parse-voice-food": {
+    transcript: "I had two eggs and a slice of toast",
+    foods: [
+      { name: "Eggs", emoji: "🥚", calories: 140, protein: 12, carbs: 1, fat: 10, serving: "2 large" },
+      { name: "Whole Wheat Toast", emoji: "🍞", calories: 80, protein: 4, carbs: 14, fat: 1, serving: "1 slice" },
+    ],
+  },
+
+  "weekly-digest": {
+    headline: "Protein on point, weekends to tighten",
+    insights: [
+      { emoji: "💪", title: "Protein streak", body: "You hit your protein goal 6 of 7 days.", type: "success" },
+      { emoji: "📅", title: "Weekend drift", body: "Saturday ran 700 kcal over.", type: "warning" },
+      { emoji: "🥗", title: "Plan Saturday", body: "Pre-log a weekend lunch.", type: "tip" },
+    ],
+    weeklyScore: 78,
+    motivationalQuote: "Consistency beats intensity.",
+  },
+
+  "adaptive-macros": {
+    shouldAdjust: true,
+    reason: "Weight has been flat for two weeks at 95% adherence.",
+    newCalories: 2150,
+    newProtein: 165,
+    newCarbs: 210,
+    newFat: 70,
+    calorieChange: -100,
+    headline: "Small trim to restart progress",
+    explanation: "A 100 kcal cut from carbs should restart steady loss without hurting training.",
+  },
+
+  "meal-plan": {
+    days: [
+      {
+        dayNumber: 1,
+        totalCalories: 2050,
+        totalProtein: 155,
+        meals: [
+          { type: "breakfast", name: "Overnight Oats", emoji: "🥣", calories: 450, protein: 30, carbs: 55, fat: 12, ingredients: ["oats", "greek yogurt", "berries"], prepTime: "5 mins" },
+          { type: "lunch", name: "Chicken Quinoa Bowl", emoji: "🥗", calories: 650, protein: 50, carbs: 60, fat: 20, ingredients: ["chicken breast", "quinoa", "kale"], prepTime: "20 mins" },
+          { type: "dinner", name: "Salmon with Potatoes", emoji: "🐟", calories: 700, protein: 50, carbs: 55, fat: 28, ingredients: ["salmon", "baby potatoes", "green beans"], prepTime: "30 mins" },
+          { type: "snack", name: "Apple and Peanut Butter", emoji: "🍎", calories: 250, protein: 7, carbs: 28, fat: 14, ingredients: ["apple", "peanut butter"], prepTime: "2 mins" },
+        ],
+      },
+    ],
+    shoppingList: ["oats", "greek yogurt", "berries", "chicken breast", "quinoa", "kale", "salmon"],
+    coachNote: "Prep the oats and quinoa the night before.",
+  },
+
+  "morning-briefing": {
+    greeting: "Good morning, Alex!",
+    headline: "Day 12 of your streak",
+    insights: [
+      { emoji: "🔥", title: "Streak", body: "12 days of logging in a row." },
+      { emoji: "🥩", title: "Protein", body: "Yesterday landed 20g short of your goal." },
+    ],
+    todayFocus: {
+      food: "Add a protein source to breakfast.",
+      workout: "A 30-minute walk after lunch.",
+    },
+    motivationalQuote: "Small steps every day.",
+    score: 72,
+  },
+
+  "food-swap": {
+    originalFood: { name: "Potato Chips", calories: 160, protein: 2, carbs: 15, fat: 10 },
+    swaps: [
+      { name: "Air-Popped Popcorn", emoji: "🍿", calories: 90, protein: 3, carbs: 18, fat: 1, serving: "3 cups", reason: "Same crunch, far less fat", improvement: "-70 kcal" },
+      { name: "Roasted Chickpeas", emoji: "🫘", calories: 120, protein: 6, carbs: 18, fat: 3, serving: "1/4 cup", reason: "More protein and fiber", improvement: "+4g protein" },
+    ],
+    tip: "Portion snacks into a bowl instead of eating from the bag.",
+  },
+
+  "recipe-import": {
+    name: "Classic Chili",
+    emoji: "🌶️",
+    servings: 6,
+    ingredients: [
+      { name: "lean ground beef", quantity: "1", unit: "lb", calories: 800, protein: 92, carbs: 0, fat: 48 },
+      { name: "kidney beans", quantity: "2", unit: "cans", calories: 600, protein: 40, carbs: 108, fat: 2 },
+      { name: "crushed tomatoes", quantity: "1", unit: "can", calories: 120, protein: 6, carbs: 26, fat: 0 },
+    ],
+    totals: { calories: 1520, protein: 138, carbs: 134, fat: 50 },
+  },
+
+  "meal-recommend": {
+    recommendations: [
+      { id: "greek-chicken-wrap", name: "Greek Chicken Wrap", emoji: "🌯", calories: 480, protein: 38, carbs: 42, fat: 16, prepTime: 10, reason: "Fits your remaining protein" },
+      { id: "tuna-salad", name: "Tuna Salad", emoji: "🥗", calories: 350, protein: 32, carbs: 12, fat: 18, prepTime: 5, reason: "Light and quick" },
+    ],
+    coachMessage: "Either keeps you under budget with protein to spare.",
+  },
+};
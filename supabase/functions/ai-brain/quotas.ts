@@ -0,0 +1,125 @@
+/**
+ * AI Brain - usage quotas and the usage ledger.
+ *
+ * Limits per subscription tier and request type live in the ai_quotas table
+ * and are checked by the check_ai_quota database function (see migration
+ * 20260221010000_ai_usage_quotas.sql). This module turns its answer into the
+ * 429 body the app shows as an upgrade prompt, and builds the
+ * ai_usage_ledger row written for every request.
+ */
+
+import type { AITask, LLMUsage } from "./llm.ts";
+
+export type QuotaScope = "type" | "daily";
+
+/** check_ai_quota's answer */
+export interface QuotaCheck {
+  allowed: boolean;
+  tier: string;
+  /** Which limit applies: the request type's own cap or the tier's daily total */
+  scope: QuotaScope | null;
+  limit: number | null;
+  used: number;
+  remaining: number | null;
+  resetsAt: string;
+  upgradeNeeded: boolean;
+}
+
+/**
+ * Validate the check_ai_quota result. Returns null for anything unexpected
+ * so a database problem lets requests through instead of blocking every user.
+ */
+export function parseQuotaCheck(data: unknown): QuotaCheck | null {
+  if (!data || typeof data !== "object") return null;
+  const raw = data as Record<string, unknown>;
+  if (typeof raw.allowed !== "boolean") return null;
+
+  const count = (value: unknown): number | null =>
+    typeof value === "number" && Number.isFinite(value) && value >= 0 ? Math.floor(value) : null;
+  const resetsAt = typeof raw.resets_at === "string" && !isNaN(Date.parse(raw.resets_at))
+    ? new Date(raw.resets_at).toISOString()
+    : null;
+  if (!resetsAt) return null;
+
+  return {
+    allowed: raw.allowed,
+    tier: typeof raw.tier === "string" && raw.tier ? raw.tier : "free",
+    scope: raw.scope === "type" || raw.scope === "daily" ? raw.scope : null,
+    limit: count(raw.limit),
+    used: count(raw.used) ?? 0,
+    remaining: count(raw.remaining),
+    resetsAt,
+    upgradeNeeded: raw.upgrade_needed === true,
+  };
+}
+
+/** Whole seconds until `resetsAt`, at least 1 (for the Retry-After header) */
+export function secondsUntil(resetsAt: string, now: number = Date.now()): number {
+  return Math.max(1, Math.ceil((Date.parse(resetsAt) - now) / 1000));
+}
+
+/**
+ * 429 body for a request over quota. `code` tells the app to offer an
+ * upgrade (when upgrade_needed) rather than show a generic error.
+ */
+export function quotaExceededBody(requestType: AITask, check: QuotaCheck): Record<string, unknown> {
+  return {
+    error: check.scope === "type"
+      ? "Daily limit reached for this AI feature"
+      : "Daily AI limit reached",
+    code: "ai_quota_exceeded",
+    request_type: requestType,
+    tier: check.tier,
+    scope: check.scope ?? "daily",
+    limit: check.limit ?? 0,
+    used: check.used,
+    resets_at: check.resetsAt,
+    upgrade_needed: check.upgradeNeeded,
+  };
+}
+
+/** 429 body for short-window rate limits, which waiting fixes */
+export function rateLimitedBody(retryAfterSeconds: number): Record<string, unknown> {
+  return {
+    error: "Too many requests. Please wait a moment and try again.",
+    code: "rate_limited",
+    retry_after_seconds: Math.max(1, Math.ceil(retryAfterSeconds)),
+  };
+}
+
+// ============================================================================
+// USAGE LEDGER
+// ============================================================================
+
+export type CacheStatus = "miss" | "hit" | "dedup";
+export type UsageStatus = "ok" | "error" | "quota_exceeded";
+
+export interface UsageEntry {
+  userId: string;
+  requestType: AITask;
+  tier: string;
+  provider: string | null;
+  model: string | null;
+  cacheStatus: CacheStatus;
+  status: UsageStatus;
+  /** Model calls made for this request; omitted when none were made */
+  usage?: LLMUsage;
+  latencyMs: number;
+}
+
+/** An ai_usage_ledger row. Only cache misses record a provider and tokens. */
+export function usageLedgerRow(entry: UsageEntry): Record<string, unknown> {
+  const calledModel = entry.cacheStatus === "miss" && entry.status !== "quota_exceeded";
+  return {
+    user_id: entry.userId,
+    request_type: entry.requestType,
+    tier: entry.tier,
+    provider: calledModel ? entry.provider : null,
+    model: calledModel ? entry.model : null,
+    cache_status: entry.cacheStatus,
+    status: entry.status,
+    input_tokens: calledModel ? entry.usage?.inputTokens ?? 0 : 0,
+    output_tokens: calledModel ? entry.usage?.outputTokens ?? 0 : 0,
+    latency_ms: Math.max(0, Math.round(entry.latencyMs)),
+  };
+}
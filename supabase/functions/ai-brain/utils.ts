@@ -0,0 +1,103 @@
+/**
+ * Shared helpers for the AI Brain handlers.
+ *
+ * Kept free of remote imports so handler modules that depend only on these
+ * (chat.ts) can also be loaded by the app's Jest suite.
+ */
+
+// Safety limits
+export const MAX_RESPONSE_LENGTH = 50000;
+export const AI_TIMEOUT_MS = 30000; // 30 second timeout for model calls
+
+/**
+ * Wrap a promise with a timeout
+ */
+export function withTimeout<T>(promise: Promise<T>, ms: number, label = "AI"): Promise<T> {
+  let timer: ReturnType<typeof setTimeout> | undefined;
+  return Promise.race([
+    promise,
+    new Promise<never>((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`${label} request timed out. Please try again.`)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Safely parse JSON with multiple fallback strategies
+ */
+export function safeParseJSON(text: string): Record<string, unknown> | null {
+  if (!text || typeof text !== "string") {
+    return null;
+  }
+
+  const truncatedText = text.length > MAX_RESPONSE_LENGTH
+    ? text.slice(0, MAX_RESPONSE_LENGTH)
+    : text;
+
+  // Strategy 1: Direct parse
+  try {
+    return JSON.parse(truncatedText);
+  } catch {
+    // Continue to fallbacks
+  }
+
+  // Strategy 2: Clean markdown code blocks
+  let cleanedText = truncatedText.trim();
+  cleanedText = cleanedText.replace(/^```json\s*/i, "");
+  cleanedText = cleanedText.replace(/^```\s*/, "");
+  cleanedText = cleanedText.replace(/^`/, "");
+  cleanedText = cleanedText.replace(/```\s*$/g, "").replace(/`\s*$/g, "").trim();
+
+  try {
+    return JSON.parse(cleanedText);
+  } catch {
+    // Continue to fallbacks
+  }
+
+  // Strategy 3: Extract JSON object from text
+  const jsonObjectMatch = cleanedText.match(/\{[\s\S]*\}/);
+  if (jsonObjectMatch) {
+    try {
+      return JSON.parse(jsonObjectMatch[0]);
+    } catch {
+      // Continue
+    }
+  }
+
+  // Strategy 4: Extract JSON array from text
+  const jsonArrayMatch = cleanedText.match(/\[[\s\S]*\]/);
+  if (jsonArrayMatch) {
+    try {
+      return JSON.parse(jsonArrayMatch[0]);
+    } catch {
+      // All strategies failed
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Sanitize a string value
+ */
+export function sanitizeString(value: unknown, maxLength = 500): string {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  const str = String(value);
+  const sanitized = str
+    .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, "")
+    .replace(/javascript:/gi, "")
+    .replace(/on\w+=/gi, "")
+    .trim();
+  return sanitized.slice(0, maxLength);
+}
+
+/**
+ * Sanitize a number value
+ */
+export function sanitizeNumber(value: unknown, defaultValue = 0, min = 0, max = 100000): number {
+  const num = parseInt(String(value), 10);
+  if (isNaN(num)) return defaultValue;
+  return Math.max(min, Math.min(max, num));
+}
@@ -0,0 +1,101 @@
+/**
+ * Send Push - decide whether a notification may go out now.
+ *
+ * Mirrors the app's rules for immediate local notifications: nothing during
+ * the user's quiet hours and at most MAX_PUSHES_PER_DAY per local day
+ * (MAX_NOTIFICATIONS_PER_DAY in services/notifications.ts).
+ */
+
+export const MAX_PUSHES_PER_DAY = 8;
+
+export interface PushPreferences {
+  timezone: string;
+  socialPush: boolean;
+  quietHoursEnabled: boolean;
+  /** Minutes after local midnight */
+  quietHoursStart: number;
+  quietHoursEnd: number;
+}
+
+/** Used when the user has never saved preferences (matches the table defaults) */
+export const DEFAULT_PUSH_PREFERENCES: PushPreferences = {
+  timezone: "UTC",
+  socialPush: true,
+  quietHoursEnabled: true,
+  quietHoursStart: 22 * 60,
+  quietHoursEnd: 7 * 60,
+};
+
+export type DeliveryDecision = "send" | "disabled" | "quiet_hours" | "capped";
+
+function isValidTimeZone(timeZone: string): boolean {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** "HH:MM" or "HH:MM:SS" (Postgres time) to minutes after midnight */
+function parseTime(value: unknown): number | null {
+  if (typeof value !== "string") return null;
+  const match = /^(\d{1,2}):(\d{2})/.exec(value);
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+}
+
+/** A notification_preferences row (or null) to preferences, with defaults for anything unusable */
+export function parsePushPreferences(row: Record<string, unknown> | null | undefined): PushPreferences {
+  if (!row) return { ...DEFAULT_PUSH_PREFERENCES };
+  const timezone = typeof row.timezone === "string" && isValidTimeZone(row.timezone)
+    ? row.timezone
+    : DEFAULT_PUSH_PREFERENCES.timezone;
+  return {
+    timezone,
+    socialPush: row.social_push !== false,
+    quietHoursEnabled: row.quiet_hours_enabled !== false,
+    quietHoursStart: parseTime(row.quiet_hours_start) ?? DEFAULT_PUSH_PREFERENCES.quietHoursStart,
+    quietHoursEnd: parseTime(row.quiet_hours_end) ?? DEFAULT_PUSH_PREFERENCES.quietHoursEnd,
+  };
+}
+
+/** Wall-clock time in `timeZone` as minutes and seconds after local midnight */
+export function localTimeOfDay(now: Date, timeZone: string): { minutes: number; seconds: number } {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(now);
+  const part = (type: string): number => Number(parts.find((p) => p.type === type)?.value ?? 0);
+  return { minutes: part("hour") * 60 + part("minute"), seconds: part("second") };
+}
+
+/** Whether `minutes` falls in [start, end), where the window may wrap past midnight */
+export function isWithinQuietHours(minutes: number, start: number, end: number): boolean {
+  if (start === end) return false;
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/** The instant the recipient's current local day began (for counting today's pushes) */
+export function startOfLocalDay(now: Date, timeZone: string): Date {
+  const { minutes, seconds } = localTimeOfDay(now, timeZone);
+  const elapsedMs = (minutes * 60 + seconds) * 1000 + now.getUTCMilliseconds();
+  return new Date(now.getTime() - elapsedMs);
+}
+
+export function decideDelivery(prefs: PushPreferences, sentToday: number, now: Date): DeliveryDecision {
+  if (!prefs.socialPush) return "disabled";
+  if (prefs.quietHoursEnabled) {
+    const { minutes } = localTimeOfDay(now, prefs.timezone);
+    if (isWithinQuietHours(minutes, prefs.quietHoursStart, prefs.quietHoursEnd)) return "quiet_hours";
+  }
+  if (sentToday >= MAX_PUSHES_PER_DAY) return "capped";
+  return "send";
+}
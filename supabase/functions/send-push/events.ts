@@ -0,0 +1,226 @@
+/**
+ * Send Push - turn database webhook payloads into notifications.
+ *
+ * Each supported table change maps to zero or more PushEvents, one per
+ * recipient. The person who caused the change is never notified about it.
+ * `data` is what the app receives with the notification and must be
+ * understood by getRouteForNotificationData (lib/notificationRoutes.ts).
+ */
+
+/** Payload posted by fn_post_push_webhook (same shape as Supabase database webhooks) */
+export interface WebhookPayload {
+  type: "INSERT" | "UPDATE" | "DELETE";
+  table: string;
+  schema?: string;
+  record: Record<string, unknown> | null;
+  old_record: Record<string, unknown> | null;
+}
+
+export type PushEventType =
+  | "post_comment"
+  | "friend_challenge_received"
+  | "friend_challenge_accepted"
+  | "friend_challenge_declined"
+  | "friend_challenge_completed"
+  | "challenge_completed"
+  | "group_reply";
+
+export interface PushEvent {
+  recipientId: string;
+  type: PushEventType;
+  title: string;
+  body: string;
+  data: Record<string, string>;
+}
+
+/** Lookups the event builders need beyond the changed row */
+export interface PushEventStore {
+  displayName(userId: string): Promise<string | null>;
+  postOwner(postId: string): Promise<string | null>;
+  thread(threadId: string): Promise<{ authorId: string; groupId: string; title: string } | null>;
+  challenge(challengeId: string): Promise<{ title: string; participantIds: string[] } | null>;
+}
+
+/** Most people one challenge completion notifies */
+export const MAX_CHALLENGE_RECIPIENTS = 50;
+
+const MAX_SNIPPET_LENGTH = 80;
+
+function text(value: unknown): string | null {
+  return typeof value === "string" && value.trim() ? value.trim() : null;
+}
+
+function snippet(value: unknown): string {
+  const raw = (text(value) || "").replace(/\s+/g, " ");
+  return raw.length > MAX_SNIPPET_LENGTH ? `${raw.slice(0, MAX_SNIPPET_LENGTH - 1)}…` : raw;
+}
+
+async function nameOf(store: PushEventStore, userId: string | null, fallback = "Someone"): Promise<string> {
+  if (!userId) return fallback;
+  return (await store.displayName(userId)) || fallback;
+}
+
+const CHALLENGE_LABELS: Record<string, string> = {
+  calories: "calorie",
+  protein: "protein",
+  streak: "streak",
+  logging: "logging",
+};
+
+async function commentEvents(record: Record<string, unknown>, store: PushEventStore): Promise<PushEvent[]> {
+  const postId = text(record.post_id);
+  const commenterId = text(record.user_id);
+  if (!postId || !commenterId) return [];
+
+  const ownerId = await store.postOwner(postId);
+  if (!ownerId || ownerId === commenterId) return [];
+
+  const name = await nameOf(store, commenterId);
+  const comment = snippet(record.content ?? record.body);
+  return [{
+    recipientId: ownerId,
+    type: "post_comment",
+    title: "New Comment \u{1F4AC}",
+    body: comment ? `${name}: ${comment}` : `${name} commented on your post.`,
+    data: { type: "social-notification", event: "post_comment", postId },
+  }];
+}
+
+async function friendChallengeEvents(
+  payload: WebhookPayload,
+  record: Record<string, unknown>,
+  store: PushEventStore
+): Promise<PushEvent[]> {
+  const challengeId = text(record.id);
+  const challengerId = text(record.challenger_user_id);
+  const challengedId = text(record.challenged_user_id);
+  const status = text(record.status);
+  const previous = payload.type === "UPDATE" ? text(payload.old_record?.status) : null;
+  if (!challengeId || !challengerId || !challengedId || status === previous) return [];
+
+  const label = CHALLENGE_LABELS[text(record.challenge_type) || ""] || "";
+  const kind = label ? `${label} challenge` : "challenge";
+  const challengerName = text(record.challenger_name) || await nameOf(store, challengerId);
+  const challengedName = text(record.challenged_name) || await nameOf(store, challengedId);
+  const data = { type: "friend-challenge", challengeId };
+
+  if (payload.type === "INSERT" && status === "pending") {
+    return [{
+      recipientId: challengedId,
+      type: "friend_challenge_received",
+      title: "New Challenge \u{2694}\u{FE0F}",
+      body: `${challengerName} challenged you to a ${kind}. Do you accept?`,
+      data,
+    }];
+  }
+  if (payload.type !== "UPDATE") return [];
+
+  if (status === "active" && previous === "pending") {
+    return [{
+      recipientId: challengerId,
+      type: "friend_challenge_accepted",
+      title: "Challenge Accepted \u{1F525}",
+      body: `${challengedName} accepted your ${kind}. Game on!`,
+      data,
+    }];
+  }
+  if (status === "declined") {
+    return [{
+      recipientId: challengerId,
+      type: "friend_challenge_declined",
+      title: "Challenge Declined",
+      body: `${challengedName} passed on your ${kind} this time.`,
+      data,
+    }];
+  }
+  if (status === "completed") {
+    const winnerId = text(record.winner_id);
+    const resultFor = (userId: string, opponent: string): string =>
+      !winnerId
+        ? `Your ${kind} with ${opponent} ended in a tie.`
+        : winnerId === userId
+          ? `You beat ${opponent} in your ${kind}! \u{1F3C6}`
+          : `${opponent} won your ${kind}. Rematch?`;
+    return [
+      {
+        recipientId: challengerId,
+        type: "friend_challenge_completed",
+        title: "Challenge Complete",
+        body: resultFor(challengerId, challengedName),
+        data,
+      },
+      {
+        recipientId: challengedId,
+        type: "friend_challenge_completed",
+        title: "Challenge Complete",
+        body: resultFor(challengedId, challengerName),
+        data,
+      },
+    ];
+  }
+  return [];
+}
+
+async function challengeCompletionEvents(
+  payload: WebhookPayload,
+  record: Record<string, unknown>,
+  store: PushEventStore
+): Promise<PushEvent[]> {
+  if (payload.type !== "UPDATE" || record.completed !== true || payload.old_record?.completed === true) return [];
+  const challengeId = text(record.challenge_id);
+  const finisherId = text(record.user_id);
+  if (!challengeId || !finisherId) return [];
+
+  const challenge = await store.challenge(challengeId);
+  if (!challenge) return [];
+
+  const name = await nameOf(store, finisherId);
+  return challenge.participantIds
+    .filter((id) => id !== finisherId)
+    .slice(0, MAX_CHALLENGE_RECIPIENTS)
+    .map((recipientId) => ({
+      recipientId,
+      type: "challenge_completed" as const,
+      title: "Challenge Completed \u{1F3C1}",
+      body: `${name} just completed "${challenge.title}". Keep pushing!`,
+      data: { type: "challenge-complete", challengeId },
+    }));
+}
+
+async function groupReplyEvents(record: Record<string, unknown>, store: PushEventStore): Promise<PushEvent[]> {
+  const threadId = text(record.thread_id);
+  const replierId = text(record.author_id);
+  if (!threadId || !replierId) return [];
+
+  const thread = await store.thread(threadId);
+  if (!thread || thread.authorId === replierId) return [];
+
+  const name = await nameOf(store, replierId);
+  const reply = snippet(record.body);
+  return [{
+    recipientId: thread.authorId,
+    type: "group_reply",
+    title: `Re: ${snippet(thread.title) || "your thread"}`,
+    body: reply ? `${name}: ${reply}` : `${name} replied to your thread.`,
+    data: { type: "group-reply", groupId: thread.groupId, threadId },
+  }];
+}
+
+/** Notifications for one table change; unsupported changes produce none */
+export async function buildPushEvents(payload: WebhookPayload, store: PushEventStore): Promise<PushEvent[]> {
+  const record = payload.record;
+  if (!record || payload.type === "DELETE") return [];
+
+  switch (payload.table) {
+    case "social_comments":
+      return payload.type === "INSERT" ? commentEvents(record, store) : [];
+    case "friend_challenges":
+      return friendChallengeEvents(payload, record, store);
+    case "challenge_participants":
+      return challengeCompletionEvents(payload, record, store);
+    case "group_replies":
+      return payload.type === "INSERT" ? groupReplyEvents(record, store) : [];
+    default:
+      return [];
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * Send Push - Expo push service client.
+ * https://docs.expo.dev/push-notifications/sending-notifications/
+ */
+
+import type { PushEvent } from "./events.ts";
+
+export const EXPO_PUSH_URL = "https://exp.host/--/api/v2/push/send";
+
+/** Expo accepts at most 100 messages per request */
+export const EXPO_BATCH_SIZE = 100;
+
+export interface ExpoMessage {
+  to: string;
+  title: string;
+  body: string;
+  data: Record<string, string>;
+  sound: "default";
+  categoryId: string;
+}
+
+export interface ExpoTicket {
+  status: "ok" | "error";
+  id?: string;
+  message?: string;
+  details?: { error?: string };
+}
+
+/** One message per device; the category gives the app's View/Dismiss actions */
+export function buildExpoMessages(tokens: string[], event: PushEvent): ExpoMessage[] {
+  return tokens.map((to) => ({
+    to,
+    title: event.title,
+    body: event.body,
+    data: event.data,
+    sound: "default",
+    categoryId: "social-notification",
+  }));
+}
+
+/**
+ * Send messages in batches. Returns one ticket per message, in order; a
+ * batch that fails outright yields error tickets for its messages.
+ */
+export async function sendExpoMessages(
+  messages: ExpoMessage[],
+  accessToken?: string,
+  fetchImpl: typeof fetch = fetch
+): Promise<ExpoTicket[]> {
+  const tickets: ExpoTicket[] = [];
+  for (let i = 0; i < messages.length; i += EXPO_BATCH_SIZE) {
+    const batch = messages.slice(i, i + EXPO_BATCH_SIZE);
+    try {
+      const res = await fetchImpl(EXPO_PUSH_URL, {
+        method: "POST",
+        headers: {
+          Accept: "application/json",
+          "Content-Type": "application/json",
+          ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
+        },
+        body: JSON.stringify(batch),
+      });
+      const json = res.ok ? await res.json() : null;
+      const data: unknown[] = Array.isArray(json?.data) ? json.data : [];
+      batch.forEach((_, index) => {
+        const ticket = data[index] as ExpoTicket | undefined;
+        tickets.push(ticket && (ticket.status === "ok" || ticket.status === "error")
+          ? ticket
+          : { status: "error", message: res.ok ? "Missing ticket" : `HTTP ${res.status}` });
+      });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : "Request failed";
+      batch.forEach(() => tickets.push({ status: "error", message }));
+    }
+  }
+  return tickets;
+}
+
+/** Tokens Expo says are no longer registered to a device */
+export function unregisteredTokens(messages: ExpoMessage[], tickets: ExpoTicket[]): string[] {
+  return messages
+    .filter((_, index) => tickets[index]?.details?.error === "DeviceNotRegistered")
+    .map((message) => message.to);
+}
@@ -0,0 +1,182 @@
+/**
+ * FuelIQ Send Push - Supabase Edge Function
+ *
+ * Receives database webhook payloads from the push triggers (see migration
+ * 20260222010000_push_notifications.sql) and sends Expo push notifications
+ * for:
+ * - social_comments: a comment on your post
+ * - friend_challenges: a new challenge, accepted, declined or finished
+ * - challenge_participants: someone in your challenge completed it
+ * - group_replies: a reply to your group thread
+ *
+ * Requests must carry `Authorization: Bearer <PUSH_WEBHOOK_SECRET>`.
+ * EXPO_ACCESS_TOKEN is optional (needed only with enhanced push security).
+ */
+
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { decideDelivery, parsePushPreferences, startOfLocalDay } from "./delivery.ts";
+import {
+  buildPushEvents,
+  MAX_CHALLENGE_RECIPIENTS,
+  type PushEvent,
+  type PushEventStore,
+  type WebhookPayload,
+} from "./events.ts";
+import { buildExpoMessages, sendExpoMessages, unregisteredTokens } from "./expo.ts";
+
+const jsonHeaders = { "Content-Type": "application/json" };
+
+/** Constant-time string comparison for the webhook secret */
+function secretsMatch(a: string, b: string): boolean {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+type ServiceClient = ReturnType<typeof createClient>;
+
+function createEventStore(supabase: ServiceClient): PushEventStore {
+  return {
+    async displayName(userId) {
+      const { data } = await supabase
+        .from("user_public_profiles")
+        .select("display_name")
+        .eq("id", userId)
+        .maybeSingle();
+      return data?.display_name || null;
+    },
+    async postOwner(postId) {
+      const { data } = await supabase.from("social_posts").select("user_id").eq("id", postId).maybeSingle();
+      return data?.user_id || null;
+    },
+    async thread(threadId) {
+      const { data } = await supabase
+        .from("group_threads")
+        .select("author_id, group_id, title")
+        .eq("id", threadId)
+        .maybeSingle();
+      return data ? { authorId: data.author_id, groupId: data.group_id, title: data.title } : null;
+    },
+    async challenge(challengeId) {
+      const { data: challenge } = await supabase
+        .from("challenges")
+        .select("title")
+        .eq("id", challengeId)
+        .maybeSingle();
+      if (!challenge) return null;
+      const { data: participants } = await supabase
+        .from("challenge_participants")
+        .select("user_id")
+        .eq("challenge_id", challengeId)
+        .neq("status", "dropped")
+        .limit(MAX_CHALLENGE_RECIPIENTS + 1);
+      return {
+        title: challenge.title,
+        participantIds: (participants || []).map((row: { user_id: string }) => row.user_id),
+      };
+    },
+  };
+}
+
+/** Apply preferences and the cap, send to every device, and record the outcome */
+async function deliver(supabase: ServiceClient, event: PushEvent, expoAccessToken?: string): Promise<string> {
+  const now = new Date();
+  const { data: prefsRow } = await supabase
+    .from("notification_preferences")
+    .select("*")
+    .eq("user_id", event.recipientId)
+    .maybeSingle();
+  const prefs = parsePushPreferences(prefsRow);
+
+  const { count: sentToday } = await supabase
+    .from("push_deliveries")
+    .select("id", { count: "exact", head: true })
+    .eq("user_id", event.recipientId)
+    .eq("status", "sent")
+    .gte("created_at", startOfLocalDay(now, prefs.timezone).toISOString());
+
+  let status: string = decideDelivery(prefs, sentToday ?? 0, now);
+  let tokens: string[] = [];
+
+  if (status === "send") {
+    const { data: tokenRows } = await supabase
+      .from("push_tokens")
+      .select("token")
+      .eq("user_id", event.recipientId)
+      .is("disabled_at", null);
+    tokens = (tokenRows || []).map((row: { token: string }) => row.token);
+    if (tokens.length === 0) status = "no_devices";
+  }
+
+  // Record before sending so the push can carry its delivery id; the app's
+  // inbox uses it to match the push to this row.
+  const { data: delivery, error } = await supabase
+    .from("push_deliveries")
+    .insert({
+      user_id: event.recipientId,
+      event_type: event.type,
+      title: event.title,
+      body: event.body,
+      data: event.data,
+      status: status === "send" ? "sent" : status,
+    })
+    .select("id")
+    .single();
+  if (error) console.warn(`[send-push] Failed to record delivery: ${error.message}`);
+
+  if (status !== "send") return status;
+
+  const data = delivery ? { ...event.data, deliveryId: String(delivery.id) } : event.data;
+  const messages = buildExpoMessages(tokens, { ...event, data });
+  const tickets = await sendExpoMessages(messages, expoAccessToken);
+  status = tickets.some((ticket) => ticket.status === "ok") ? "sent" : "failed";
+
+  const stale = unregisteredTokens(messages, tickets);
+  if (stale.length > 0) {
+    await supabase.from("push_tokens").update({ disabled_at: now.toISOString() }).in("token", stale);
+  }
+  if (status === "failed" && delivery) {
+    await supabase.from("push_deliveries").update({ status }).eq("id", delivery.id);
+  }
+
+  return status;
+}
+
+Deno.serve(async (req: Request) => {
+  if (req.method !== "POST") {
+    return new Response(JSON.stringify({ error: "Method not allowed" }), { status: 405, headers: jsonHeaders });
+  }
+
+  const webhookSecret = Deno.env.get("PUSH_WEBHOOK_SECRET") || "";
+  const authHeader = req.headers.get("Authorization") || "";
+  if (!webhookSecret || !secretsMatch(authHeader, `Bearer ${webhookSecret}`)) {
+    return new Response(JSON.stringify({ error: "Unauthorized" }), { status: 401, headers: jsonHeaders });
+  }
+
+  const supabaseUrl = Deno.env.get("SUPABASE_URL") || "";
+  const serviceRoleKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") || "";
+  if (!supabaseUrl || !serviceRoleKey) {
+    console.error("[send-push] Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY");
+    return new Response(JSON.stringify({ error: "Service configuration error" }), { status: 500, headers: jsonHeaders });
+  }
+
+  try {
+    const payload = (await req.json()) as WebhookPayload;
+    const supabase = createClient(supabaseUrl, serviceRoleKey);
+    const events = await buildPushEvents(payload, createEventStore(supabase));
+
+    const expoAccessToken = Deno.env.get("EXPO_ACCESS_TOKEN") || undefined;
+    const results: Array<{ type: string; status: string }> = [];
+    for (const event of events) {
+      results.push({ type: event.type, status: await deliver(supabase, event, expoAccessToken) });
+    }
+
+    return new Response(JSON.stringify({ processed: events.length, results }), { headers: jsonHeaders });
+  } catch (error) {
+    console.error("[send-push] Error:", error);
+    return new Response(JSON.stringify({ error: "Failed to process push event" }), { status: 500, headers: jsonHeaders });
+  }
+});
@@ -0,0 +1,51 @@
+-- ==========================================================================
+-- Tracker sync: cloud copy of the local-only trackers
+-- (weight, sleep, habits, supplements, fasting, water).
+--
+-- One row per tracker record. The client runs a three-way merge per record
+-- (see lib/trackerSync.ts); deletions are kept as tombstones so other
+-- devices can apply them.
+-- ==========================================================================
+
+CREATE TABLE IF NOT EXISTS tracker_records (
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  store text NOT NULL CHECK (store IN (
+    'weight', 'sleep', 'habits', 'habit_log', 'supplements',
+    'fasting_state', 'fasting_history', 'water'
+  )),
+  record_id text NOT NULL CHECK (char_length(record_id) BETWEEN 1 AND 128),
+  payload jsonb,
+  deleted boolean NOT NULL DEFAULT false,
+  -- Client edit time, used for conflict resolution
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  -- Server write time, used as the incremental pull cursor
+  synced_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (user_id, store, record_id),
+  CHECK (deleted OR payload IS NOT NULL),
+  CHECK (payload IS NULL OR pg_column_size(payload) <= 16384)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tracker_records_user_synced
+  ON tracker_records(user_id, synced_at);
+
+-- synced_at is always server time so clock skew between devices can't
+-- hide a write from the next incremental pull.
+CREATE OR REPLACE FUNCTION set_tracker_synced_at() RETURNS TRIGGER AS $$
+BEGIN
+  NEW.synced_at := clock_timestamp();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_tracker_synced_at ON tracker_records;
+CREATE TRIGGER trg_tracker_synced_at BEFORE INSERT OR UPDATE ON tracker_records
+  FOR EACH ROW EXECUTE FUNCTION set_tracker_synced_at();
+
+-- RLS
+ALTER TABLE tracker_records ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own tracker records"
+  ON tracker_records
+  FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
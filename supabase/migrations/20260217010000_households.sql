@@ -0,0 +1,215 @@
+-- ==========================================================================
+-- Households: people who cook together share a recipe box, a weekly meal
+-- plan and a shopping list, and can split a cooked meal into portions.
+--
+-- A user belongs to at most one household. Portions are written for each
+-- member by the cook and logged into the member's own diary from their
+-- device, so food_logs stays owner-only.
+-- ==========================================================================
+
+CREATE TABLE IF NOT EXISTS households (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL CHECK (char_length(name) BETWEEN 1 AND 60),
+  invite_code text NOT NULL UNIQUE CHECK (invite_code ~ '^[A-Z2-9]{8}$'),
+  created_by uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS household_members (
+  household_id uuid NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL UNIQUE REFERENCES auth.users(id) ON DELETE CASCADE,
+  display_name text NOT NULL CHECK (char_length(display_name) BETWEEN 1 AND 40),
+  role text NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'member')),
+  joined_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (household_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS household_recipes (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  household_id uuid NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+  shared_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  name text NOT NULL CHECK (char_length(name) BETWEEN 1 AND 200),
+  emoji text,
+  servings int NOT NULL DEFAULT 1 CHECK (servings BETWEEN 1 AND 99),
+  ingredients jsonb NOT NULL DEFAULT '[]'::jsonb,
+  total_macros jsonb NOT NULL,
+  cooked_weight_grams int CHECK (cooked_weight_grams IS NULL OR cooked_weight_grams > 0),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CHECK (pg_column_size(ingredients) <= 65536)
+);
+
+CREATE TABLE IF NOT EXISTS household_meal_plans (
+  household_id uuid NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+  -- Monday of the planned ISO week
+  week_start date NOT NULL,
+  plan jsonb NOT NULL,
+  updated_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (household_id, week_start),
+  CHECK (pg_column_size(plan) <= 262144)
+);
+
+CREATE TABLE IF NOT EXISTS household_shopping_items (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  household_id uuid NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+  name text NOT NULL CHECK (char_length(name) BETWEEN 1 AND 120),
+  quantity text CHECK (quantity IS NULL OR char_length(quantity) <= 40),
+  checked boolean NOT NULL DEFAULT false,
+  added_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS household_portions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  household_id uuid NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+  member_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  created_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  name text NOT NULL CHECK (char_length(name) BETWEEN 1 AND 200),
+  emoji text,
+  serving text,
+  calories numeric NOT NULL DEFAULT 0 CHECK (calories >= 0),
+  protein numeric NOT NULL DEFAULT 0 CHECK (protein >= 0),
+  carbs numeric NOT NULL DEFAULT 0 CHECK (carbs >= 0),
+  fat numeric NOT NULL DEFAULT 0 CHECK (fat >= 0),
+  meal_type text NOT NULL CHECK (meal_type IN ('breakfast', 'lunch', 'dinner', 'snacks')),
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'logged', 'dismissed')),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  resolved_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_household_recipes_household ON household_recipes(household_id);
+CREATE INDEX IF NOT EXISTS idx_household_shopping_household ON household_shopping_items(household_id);
+CREATE INDEX IF NOT EXISTS idx_household_portions_member_pending
+  ON household_portions(member_id) WHERE status = 'pending';
+
+-- Membership check used by the policies below. SECURITY DEFINER so the
+-- household_members policy can call it without recursing into itself.
+CREATE OR REPLACE FUNCTION is_household_member(p_household_id uuid) RETURNS boolean AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM household_members
+    WHERE household_id = p_household_id AND user_id = auth.uid()
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- ── RPCs ─────────────────────────────────────────────────────────────────
+
+CREATE OR REPLACE FUNCTION create_household(p_name text, p_display_name text)
+RETURNS households AS $$
+DECLARE
+  v_household households;
+  v_code text;
+  v_alphabet constant text := 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+  IF EXISTS (SELECT 1 FROM household_members WHERE user_id = auth.uid()) THEN
+    RAISE EXCEPTION 'Already in a household';
+  END IF;
+
+  LOOP
+    v_code := '';
+    FOR i IN 1..8 LOOP
+      v_code := v_code || substr(v_alphabet, 1 + floor(random() * length(v_alphabet))::int, 1);
+    END LOOP;
+    EXIT WHEN NOT EXISTS (SELECT 1 FROM households WHERE invite_code = v_code);
+  END LOOP;
+
+  INSERT INTO households (name, invite_code, created_by)
+  VALUES (trim(p_name), v_code, auth.uid())
+  RETURNING * INTO v_household;
+
+  INSERT INTO household_members (household_id, user_id, display_name, role)
+  VALUES (v_household.id, auth.uid(), trim(p_display_name), 'owner');
+
+  RETURN v_household;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION join_household(p_invite_code text, p_display_name text)
+RETURNS households AS $$
+DECLARE
+  v_household households;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+  IF EXISTS (SELECT 1 FROM household_members WHERE user_id = auth.uid()) THEN
+    RAISE EXCEPTION 'Already in a household';
+  END IF;
+
+  SELECT * INTO v_household FROM households WHERE invite_code = upper(trim(p_invite_code));
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Invite code not found';
+  END IF;
+  IF (SELECT count(*) FROM household_members WHERE household_id = v_household.id) >= 8 THEN
+    RAISE EXCEPTION 'Household is full';
+  END IF;
+
+  INSERT INTO household_members (household_id, user_id, display_name, role)
+  VALUES (v_household.id, auth.uid(), trim(p_display_name), 'member');
+
+  RETURN v_household;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION create_household(text, text) FROM anon;
+REVOKE ALL ON FUNCTION join_household(text, text) FROM anon;
+GRANT EXECUTE ON FUNCTION create_household(text, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION join_household(text, text) TO authenticated;
+
+-- ── RLS ──────────────────────────────────────────────────────────────────
+
+ALTER TABLE households ENABLE ROW LEVEL SECURITY;
+ALTER TABLE household_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE household_recipes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE household_meal_plans ENABLE ROW LEVEL SECURITY;
+ALTER TABLE household_shopping_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE household_portions ENABLE ROW LEVEL SECURITY;
+
+-- Households are created and joined through the RPCs above
+CREATE POLICY "Members can read their household" ON households
+  FOR SELECT USING (is_household_member(id));
+CREATE POLICY "Owner can rename household" ON households
+  FOR UPDATE USING (auth.uid() = created_by) WITH CHECK (auth.uid() = created_by);
+
+-- Memberships change only through create_household / join_household, so
+-- role and household_id can't be rewritten to skip the invite code or cap
+CREATE POLICY "Members can read members" ON household_members
+  FOR SELECT USING (is_household_member(household_id));
+CREATE POLICY "Members can leave" ON household_members
+  FOR DELETE USING (auth.uid() = user_id);
+
+CREATE POLICY "Members manage shared recipes" ON household_recipes
+  FOR ALL USING (is_household_member(household_id)) WITH CHECK (is_household_member(household_id));
+
+CREATE POLICY "Members manage meal plans" ON household_meal_plans
+  FOR ALL USING (is_household_member(household_id)) WITH CHECK (is_household_member(household_id));
+
+CREATE POLICY "Members manage shopping items" ON household_shopping_items
+  FOR ALL USING (is_household_member(household_id)) WITH CHECK (is_household_member(household_id));
+
+-- The cook creates portions for any member; each member resolves their own
+CREATE POLICY "Members read household portions" ON household_portions
+  FOR SELECT USING (is_household_member(household_id));
+CREATE POLICY "Members create portions" ON household_portions
+  FOR INSERT WITH CHECK (
+    auth.uid() = created_by
+    AND is_household_member(household_id)
+    AND EXISTS (
+      SELECT 1 FROM household_members
+      WHERE household_members.household_id = household_portions.household_id
+        AND household_members.user_id = household_portions.member_id
+    )
+  );
+CREATE POLICY "Members resolve own portions" ON household_portions
+  FOR UPDATE USING (auth.uid() = member_id) WITH CHECK (auth.uid() = member_id);
+
+REVOKE ALL ON households, household_members, household_recipes, household_meal_plans,
+  household_shopping_items, household_portions FROM anon;
+GRANT SELECT, UPDATE ON households TO authenticated;
+GRANT SELECT, DELETE ON household_members TO authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON household_recipes, household_meal_plans, household_shopping_items TO authenticated;
+GRANT SELECT, INSERT, UPDATE ON household_portions TO authenticated;
@@ -0,0 +1,12 @@
+-- ==========================================================================
+-- Smart shopping list: sync the pantry, the week's recipe picks and item
+-- check-off state through tracker_records (see lib/shoppingList.ts).
+-- ==========================================================================
+
+ALTER TABLE tracker_records DROP CONSTRAINT IF EXISTS tracker_records_store_check;
+
+ALTER TABLE tracker_records ADD CONSTRAINT tracker_records_store_check CHECK (store IN (
+  'weight', 'sleep', 'habits', 'habit_log', 'supplements',
+  'fasting_state', 'fasting_history', 'water',
+  'pantry', 'shopping_recipes', 'shopping_checks'
+));
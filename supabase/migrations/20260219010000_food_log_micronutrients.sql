@@ -0,0 +1,26 @@
+-- ==========================================================================
+-- Food log micronutrients.
+--
+-- Vitamins and minerals for each logged food, keyed like MicronutrientSet
+-- (types/common.ts). micronutrient_source records whether the values came
+-- from the food's data source or were estimated from a reference profile,
+-- so reports can state how complete the data behind a total is.
+-- ==========================================================================
+
+ALTER TABLE food_logs
+  ADD COLUMN IF NOT EXISTS micronutrients jsonb,
+  ADD COLUMN IF NOT EXISTS micronutrient_source text;
+
+ALTER TABLE food_logs
+  DROP CONSTRAINT IF EXISTS food_logs_micronutrient_source_check;
+
+ALTER TABLE food_logs
+  ADD CONSTRAINT food_logs_micronutrient_source_check
+  CHECK (micronutrient_source IS NULL OR micronutrient_source IN ('reported', 'estimated'));
+
+ALTER TABLE food_logs
+  DROP CONSTRAINT IF EXISTS food_logs_micronutrients_size_check;
+
+ALTER TABLE food_logs
+  ADD CONSTRAINT food_logs_micronutrients_size_check
+  CHECK (micronutrients IS NULL OR pg_column_size(micronutrients) <= 4096);
@@ -0,0 +1,25 @@
+-- ==========================================================================
+-- Restaurant menu bundles.
+--
+-- Versioned restaurant datasets the app downloads in place of the one it was
+-- built with (services/restaurantMenu.ts). bundle holds { items, builders }
+-- in the shape of data/restaurantFoods.ts and data/restaurantBuilders.ts;
+-- the app only switches to a version newer than its own and validates every
+-- entry before use. Rows are published with the service role.
+-- ==========================================================================
+
+CREATE TABLE IF NOT EXISTS restaurant_menu_bundles (
+    version         integer     PRIMARY KEY CHECK (version > 0),
+    bundle          jsonb       NOT NULL,
+    published_at    timestamptz NOT NULL DEFAULT now(),
+    CONSTRAINT restaurant_menu_bundles_shape_check
+        CHECK (jsonb_typeof(bundle -> 'items') = 'array')
+);
+
+ALTER TABLE restaurant_menu_bundles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can read restaurant menu bundles" ON restaurant_menu_bundles;
+
+CREATE POLICY "Anyone can read restaurant menu bundles"
+    ON restaurant_menu_bundles FOR SELECT
+    USING (true);
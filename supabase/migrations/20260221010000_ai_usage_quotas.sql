@@ -0,0 +1,209 @@
+-- ==========================================================================
+-- AI usage ledger and per-tier quotas.
+--
+-- ai-brain writes one ai_usage_ledger row per request it answers: model
+-- tokens, whether the answer came from the response cache, latency and
+-- outcome. Before calling a model it asks check_ai_quota() whether the
+-- user's tier still has quota for the request type today.
+--
+-- ai_quotas holds the limits. A row with request_type '*' is the tier's
+-- daily total across request types; any other row caps that request type on
+-- its own. Types with counts_toward_total = false are checked only against
+-- their own row (genesis, so onboarding works for free users).
+--
+-- Only successful model calls count toward quota. Cache hits, duplicate
+-- in-flight requests and errors are recorded but free.
+--
+-- Replaces check_ai_premium_limit in ai-brain; that function counted
+-- ai_coaching_history, which the function never wrote to.
+-- ==========================================================================
+
+CREATE TABLE IF NOT EXISTS ai_quotas (
+    tier                text        NOT NULL,
+    request_type        text        NOT NULL,
+    daily_limit         integer     NOT NULL CHECK (daily_limit >= 0),
+    counts_toward_total boolean     NOT NULL DEFAULT true,
+    PRIMARY KEY (tier, request_type)
+);
+
+ALTER TABLE ai_quotas ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON ai_quotas FROM anon;
+GRANT SELECT, INSERT, UPDATE, DELETE ON ai_quotas TO service_role;
+
+-- Free stays at zero AI calls beyond onboarding (see 20260215_zero_free_ai).
+-- Premium keeps its 100/day total, with tighter caps on the expensive types.
+-- Tiers without rows (premium_monthly, premium_annual, ...) use 'premium'.
+INSERT INTO ai_quotas (tier, request_type, daily_limit, counts_toward_total) VALUES
+    ('free',    '*',                0,   true),
+    ('free',    'genesis',          3,   false),
+    ('premium', '*',                100, true),
+    ('premium', 'genesis',          5,   false),
+    ('premium', 'meal-plan',        10,  true),
+    ('premium', 'generate-workout', 20,  true),
+    ('premium', 'recipe-import',    20,  true),
+    ('premium', 'chef',             20,  true)
+ON CONFLICT (tier, request_type) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS ai_usage_ledger (
+    id              bigserial   PRIMARY KEY,
+    user_id         uuid        NOT NULL REFERENCES auth.users ON DELETE CASCADE,
+    request_type    text        NOT NULL,
+    tier            text        NOT NULL DEFAULT 'free',
+    provider        text,
+    model           text,
+    cache_status    text        NOT NULL DEFAULT 'miss'
+        CHECK (cache_status IN ('miss', 'hit', 'dedup')),
+    status          text        NOT NULL DEFAULT 'ok'
+        CHECK (status IN ('ok', 'error', 'quota_exceeded')),
+    input_tokens    integer     NOT NULL DEFAULT 0 CHECK (input_tokens >= 0),
+    output_tokens   integer     NOT NULL DEFAULT 0 CHECK (output_tokens >= 0),
+    latency_ms      integer     NOT NULL DEFAULT 0 CHECK (latency_ms >= 0),
+    created_at      timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_ledger_user_day
+    ON ai_usage_ledger (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_ledger_type_day
+    ON ai_usage_ledger (request_type, created_at DESC);
+
+ALTER TABLE ai_usage_ledger ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON ai_usage_ledger FROM anon;
+GRANT SELECT, INSERT ON ai_usage_ledger TO service_role;
+GRANT SELECT ON ai_usage_ledger TO authenticated;
+
+DROP POLICY IF EXISTS "Users can read own AI usage" ON ai_usage_ledger;
+
+CREATE POLICY "Users can read own AI usage"
+    ON ai_usage_ledger FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- Quota check (called from ai-brain via .rpc() before each model call).
+-- Returns { allowed, tier, scope, limit, used, remaining, resets_at,
+-- upgrade_needed }. scope is 'type' or 'daily' for the limit that applies
+-- most tightly, or null when the tier has no limit for the request.
+CREATE OR REPLACE FUNCTION check_ai_quota(p_user_id uuid, p_request_type text)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_is_premium    boolean;
+    v_tier          text;
+    v_quota_tier    text;
+    v_type_quota    ai_quotas%ROWTYPE;
+    v_total_limit   integer;
+    v_type_used     integer;
+    v_total_used    integer;
+    v_day_start     timestamptz := date_trunc('day', now());
+    v_resets_at     timestamptz := date_trunc('day', now()) + interval '1 day';
+    v_counts_total  boolean;
+BEGIN
+    SELECT COALESCE(is_premium, false),
+           CASE WHEN COALESCE(is_premium, false)
+                THEN COALESCE(NULLIF(subscription_tier, 'free'), 'premium')
+                ELSE 'free' END
+    INTO v_is_premium, v_tier
+    FROM profiles WHERE user_id = p_user_id;
+
+    v_is_premium := COALESCE(v_is_premium, false);
+    v_tier := COALESCE(v_tier, 'free');
+
+    v_quota_tier := CASE
+        WHEN EXISTS (SELECT 1 FROM ai_quotas WHERE tier = v_tier) THEN v_tier
+        WHEN v_is_premium THEN 'premium'
+        ELSE 'free'
+    END;
+
+    SELECT * INTO v_type_quota
+    FROM ai_quotas WHERE tier = v_quota_tier AND request_type = p_request_type;
+
+    SELECT daily_limit INTO v_total_limit
+    FROM ai_quotas WHERE tier = v_quota_tier AND request_type = '*';
+
+    v_counts_total := COALESCE(v_type_quota.counts_toward_total, true);
+
+    SELECT
+        count(*) FILTER (WHERE l.request_type = p_request_type),
+        count(*) FILTER (WHERE l.request_type NOT IN (
+            SELECT q.request_type FROM ai_quotas q
+            WHERE q.tier = v_quota_tier AND NOT q.counts_toward_total
+        ))
+    INTO v_type_used, v_total_used
+    FROM ai_usage_ledger l
+    WHERE l.user_id = p_user_id
+      AND l.created_at >= v_day_start
+      AND l.status = 'ok'
+      AND l.cache_status = 'miss';
+
+    IF v_type_quota.daily_limit IS NOT NULL AND v_type_used >= v_type_quota.daily_limit THEN
+        RETURN jsonb_build_object(
+            'allowed', false,
+            'tier', v_tier,
+            'scope', 'type',
+            'limit', v_type_quota.daily_limit,
+            'used', v_type_used,
+            'remaining', 0,
+            'resets_at', v_resets_at,
+            'upgrade_needed', NOT v_is_premium
+        );
+    END IF;
+
+    IF v_counts_total AND v_total_limit IS NOT NULL AND v_total_used >= v_total_limit THEN
+        RETURN jsonb_build_object(
+            'allowed', false,
+            'tier', v_tier,
+            'scope', 'daily',
+            'limit', v_total_limit,
+            'used', v_total_used,
+            'remaining', 0,
+            'resets_at', v_resets_at,
+            'upgrade_needed', NOT v_is_premium
+        );
+    END IF;
+
+    -- Report whichever limit leaves the least headroom
+    IF v_type_quota.daily_limit IS NOT NULL AND (
+        NOT v_counts_total OR v_total_limit IS NULL
+        OR v_type_quota.daily_limit - v_type_used <= v_total_limit - v_total_used
+    ) THEN
+        RETURN jsonb_build_object(
+            'allowed', true,
+            'tier', v_tier,
+            'scope', 'type',
+            'limit', v_type_quota.daily_limit,
+            'used', v_type_used,
+            'remaining', v_type_quota.daily_limit - v_type_used,
+            'resets_at', v_resets_at,
+            'upgrade_needed', false
+        );
+    END IF;
+
+    IF v_counts_total AND v_total_limit IS NOT NULL THEN
+        RETURN jsonb_build_object(
+            'allowed', true,
+            'tier', v_tier,
+            'scope', 'daily',
+            'limit', v_total_limit,
+            'used', v_total_used,
+            'remaining', v_total_limit - v_total_used,
+            'resets_at', v_resets_at,
+            'upgrade_needed', false
+        );
+    END IF;
+
+    RETURN jsonb_build_object(
+        'allowed', true,
+        'tier', v_tier,
+        'scope', null,
+        'limit', null,
+        'used', v_type_used,
+        'remaining', null,
+        'resets_at', v_resets_at,
+        'upgrade_needed', false
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION check_ai_quota(uuid, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION check_ai_quota(uuid, text) TO service_role;
@@ -0,0 +1,187 @@
+-- ==========================================================================
+-- Server-sent push notifications.
+--
+-- The app registers its Expo push token with register_push_token() and
+-- keeps its quiet hours in notification_preferences. Triggers on the social
+-- tables post a database-webhook payload ({ type, table, record,
+-- old_record }) to the send-push edge function, which works out who to
+-- notify, applies quiet hours and the daily cap, sends through Expo and
+-- records each attempt in push_deliveries.
+--
+-- The triggers need two database settings; without them they do nothing:
+--   ALTER DATABASE postgres SET app.settings.push_function_url =
+--     'https://<project>.supabase.co/functions/v1/send-push';
+--   ALTER DATABASE postgres SET app.settings.push_webhook_secret = '<PUSH_WEBHOOK_SECRET>';
+-- ==========================================================================
+
+CREATE EXTENSION IF NOT EXISTS pg_net;
+
+-- --------------------------------------------------------------------------
+-- push_tokens: one row per device. A token belongs to whoever registered it
+-- last, so signing into another account on the same phone moves it.
+-- --------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS push_tokens (
+    token           text        PRIMARY KEY CHECK (token ~ '^Expo(nent)?PushToken\[.+\]$'),
+    user_id         uuid        NOT NULL REFERENCES auth.users ON DELETE CASCADE,
+    platform        text        NOT NULL CHECK (platform IN ('ios', 'android')),
+    created_at      timestamptz NOT NULL DEFAULT now(),
+    last_seen_at    timestamptz NOT NULL DEFAULT now(),
+    -- Set when Expo reports the device unregistered; cleared on re-register
+    disabled_at     timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_tokens_user
+    ON push_tokens (user_id) WHERE disabled_at IS NULL;
+
+ALTER TABLE push_tokens ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON push_tokens FROM anon;
+GRANT SELECT, INSERT, UPDATE, DELETE ON push_tokens TO service_role;
+GRANT SELECT, DELETE ON push_tokens TO authenticated;
+
+DROP POLICY IF EXISTS "Users can read own push tokens" ON push_tokens;
+DROP POLICY IF EXISTS "Users can delete own push tokens" ON push_tokens;
+
+CREATE POLICY "Users can read own push tokens"
+    ON push_tokens FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own push tokens"
+    ON push_tokens FOR DELETE
+    USING (auth.uid() = user_id);
+
+CREATE OR REPLACE FUNCTION register_push_token(p_token text, p_platform text)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    INSERT INTO push_tokens (token, user_id, platform)
+    VALUES (p_token, auth.uid(), p_platform)
+    ON CONFLICT (token) DO UPDATE
+        SET user_id = EXCLUDED.user_id,
+            platform = EXCLUDED.platform,
+            last_seen_at = now(),
+            disabled_at = NULL;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION register_push_token(text, text) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION register_push_token(text, text) TO authenticated;
+
+-- --------------------------------------------------------------------------
+-- notification_preferences: what the server needs to know before pushing.
+-- Times are local to `timezone`; quiet hours may wrap past midnight.
+-- --------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    user_id             uuid        PRIMARY KEY REFERENCES auth.users ON DELETE CASCADE,
+    timezone            text        NOT NULL DEFAULT 'UTC',
+    social_push         boolean     NOT NULL DEFAULT true,
+    quiet_hours_enabled boolean     NOT NULL DEFAULT true,
+    quiet_hours_start   time        NOT NULL DEFAULT '22:00',
+    quiet_hours_end     time        NOT NULL DEFAULT '07:00',
+    updated_at          timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE notification_preferences ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON notification_preferences FROM anon;
+GRANT SELECT, INSERT, UPDATE ON notification_preferences TO authenticated;
+GRANT SELECT ON notification_preferences TO service_role;
+
+DROP POLICY IF EXISTS "Users manage own notification preferences" ON notification_preferences;
+
+CREATE POLICY "Users manage own notification preferences"
+    ON notification_preferences FOR ALL
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+-- --------------------------------------------------------------------------
+-- push_deliveries: every push the server decided on, sent or held back.
+-- 'sent' rows in the recipient's current local day count toward the cap.
+-- --------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS push_deliveries (
+    id              bigserial   PRIMARY KEY,
+    user_id         uuid        NOT NULL REFERENCES auth.users ON DELETE CASCADE,
+    event_type      text        NOT NULL,
+    title           text        NOT NULL,
+    body            text        NOT NULL,
+    data            jsonb       NOT NULL DEFAULT '{}',
+    status          text        NOT NULL
+        CHECK (status IN ('sent', 'quiet_hours', 'capped', 'disabled', 'no_devices', 'failed')),
+    created_at      timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_deliveries_user_time
+    ON push_deliveries (user_id, created_at DESC);
+
+ALTER TABLE push_deliveries ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON push_deliveries FROM anon;
+GRANT SELECT, INSERT ON push_deliveries TO service_role;
+GRANT SELECT ON push_deliveries TO authenticated;
+
+DROP POLICY IF EXISTS "Users can read own push deliveries" ON push_deliveries;
+
+CREATE POLICY "Users can read own push deliveries"
+    ON push_deliveries FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- --------------------------------------------------------------------------
+-- Webhook triggers
+-- --------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION fn_post_push_webhook()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_url       text := current_setting('app.settings.push_function_url', true);
+    v_secret    text := current_setting('app.settings.push_webhook_secret', true);
+BEGIN
+    IF coalesce(v_url, '') = '' OR coalesce(v_secret, '') = '' THEN
+        RETURN NULL;
+    END IF;
+
+    PERFORM net.http_post(
+        url := v_url,
+        headers := jsonb_build_object(
+            'Content-Type', 'application/json',
+            'Authorization', 'Bearer ' || v_secret
+        ),
+        body := jsonb_build_object(
+            'type', TG_OP,
+            'table', TG_TABLE_NAME,
+            'schema', TG_TABLE_SCHEMA,
+            'record', CASE WHEN TG_OP = 'DELETE' THEN NULL ELSE to_jsonb(NEW) END,
+            'old_record', CASE WHEN TG_OP = 'INSERT' THEN NULL ELSE to_jsonb(OLD) END
+        )
+    );
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_social_comments_push ON social_comments;
+CREATE TRIGGER trg_social_comments_push
+    AFTER INSERT ON social_comments
+    FOR EACH ROW EXECUTE FUNCTION fn_post_push_webhook();
+
+DROP TRIGGER IF EXISTS trg_friend_challenges_push ON friend_challenges;
+CREATE TRIGGER trg_friend_challenges_push
+    AFTER INSERT OR UPDATE OF status ON friend_challenges
+    FOR EACH ROW EXECUTE FUNCTION fn_post_push_webhook();
+
+DROP TRIGGER IF EXISTS trg_challenge_participants_push ON challenge_participants;
+CREATE TRIGGER trg_challenge_participants_push
+    AFTER UPDATE OF completed ON challenge_participants
+    FOR EACH ROW
+    WHEN (NEW.completed AND NOT OLD.completed)
+    EXECUTE FUNCTION fn_post_push_webhook();
+
+DROP TRIGGER IF EXISTS trg_group_replies_push ON group_replies;
+CREATE TRIGGER trg_group_replies_push
+    AFTER INSERT ON group_replies
+    FOR EACH ROW EXECUTE FUNCTION fn_post_push_webhook();
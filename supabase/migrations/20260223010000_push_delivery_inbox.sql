@@ -0,0 +1,13 @@
+-- ==========================================================================
+-- Push deliveries as the notification inbox's server history.
+--
+-- send-push now records a delivery before sending, so the push can carry
+-- the row id for the app's inbox, and marks the row 'failed' afterwards if
+-- no device accepted it. The app lists 'sent' rows newest first.
+-- ==========================================================================
+
+GRANT UPDATE (status) ON push_deliveries TO service_role;
+
+CREATE INDEX IF NOT EXISTS idx_push_deliveries_user_sent
+    ON push_deliveries (user_id, created_at DESC)
+    WHERE status = 'sent';
@@ -34,7 +34,10 @@ export type FoodCategory =
 /** Exercise category */
 export type ExerciseCategory = 'Cardio' | 'Strength' | 'Flexibility';
 
-/** Micronutrient data set */
+/**
+ * Micronutrient data set. Fiber, sugar, fats and omega fatty acids are in
+ * grams; vitamins A, D, K, B12, folate and selenium in mcg; the rest in mg.
+ */
 export interface MicronutrientSet {
   fiber?: number;
   sugar?: number;
@@ -68,6 +71,9 @@ export interface MicronutrientSet {
   omega6?: number;
 }
 
+/** Where a food's micronutrients came from: its data source, or a reference estimate */
+export type MicronutrientSource = 'reported' | 'estimated';
+
 /** Meal tag */
 export type MealTag =
   | 'high-protein' | 'quick' | 'vegetarian' | 'keto' | 'meal-prep'
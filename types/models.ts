@@ -1,4 +1,4 @@
-import type { DateKey, MacroSet, MealType, FoodCategory, ExerciseCategory, MealTag, MicronutrientSet } from './common';
+import type { DateKey, MacroSet, MealType, FoodCategory, ExerciseCategory, MealTag, MicronutrientSet, MicronutrientSource } from './common';
 
 /** Food item from the database or scanned */
 export interface FoodItem extends MacroSet {
@@ -10,6 +10,7 @@ export interface FoodItem extends MacroSet {
   servingSize?: number;
   servingUnit?: string;
   micronutrients?: MicronutrientSet;
+  micronutrientSource?: MicronutrientSource;
   clientRequestId?: string;
   brand?: string;
   barcode?: string;
@@ -25,6 +26,13 @@ export interface FoodItem extends MacroSet {
   confidenceReason?: string;
   qualityIssues?: string[];
   reportable?: boolean;
+  /** Declared allergen tags (e.g. 'en:milk') */
+  allergens?: string[];
+  /** "May contain" allergen tags */
+  traces?: string[];
+  ingredients?: string;
+  /** User chose to log this despite a blocking allergen warning */
+  allergenOverride?: boolean;
 }
 
 /** Food item as logged in a meal */
@@ -1,4 +1,4 @@
-import type { MacroSet } from './common';
+import type { MacroSet, MealType } from './common';
 import type { SupersetGroup } from '../lib/workoutEngine';
 
 /** Result of scanning a food image */
@@ -7,6 +7,16 @@ export interface FoodScanResult extends MacroSet {
   emoji: string;
   serving: string;
   confidence: string;
+  /** Each food on the plate; the top-level values are their total */
+  items: DetectedFoodItem[];
+}
+
+/** One food detected in a photo, with nutrition for the estimated portion */
+export interface DetectedFoodItem extends MacroSet {
+  name: string;
+  /** Estimated portion weight in grams */
+  grams: number;
+  confidence: 'high' | 'medium' | 'low';
 }
 
 /** AI-generated workout plan */
@@ -36,11 +46,29 @@ export interface WorkoutExercise {
   notes?: string;
 }
 
+/** Food item suggested by the AI nutritionist, with macros for the stated serving */
+export interface ChatFoodItem extends MacroSet {
+  name: string;
+  emoji: string;
+  serving: string;
+}
+
+/**
+ * Action proposed by the AI nutritionist. Validated by the ai-brain chat
+ * handler; the app runs it only after the user confirms its card.
+ */
+export type ChatAction =
+  | { type: 'log_food'; mealType: MealType | null; foods: ChatFoodItem[] }
+  | { type: 'start_fast'; hours: number }
+  | { type: 'add_water'; amountMl: number }
+  | { type: 'create_recipe'; name: string; emoji: string; servings: number; ingredients: ChatFoodItem[] };
+
 /** Chat response from AI nutritionist */
 export interface ChatResponse {
   reply: string;
   suggestions: string[];
   foodItems: unknown[];
+  actions: ChatAction[];
 }
 
 /** Weekly coaching digest */
@@ -74,6 +102,20 @@ export interface RateLimitOptions {
   cooldownMs?: number;
 }
 
+/** Daily AI quota the server refused a request under (ai-brain 429) */
+export interface AIQuotaExceeded {
+  requestType: string;
+  tier: string;
+  /** 'type': this feature's own cap; 'daily': the tier's total across features */
+  scope: 'type' | 'daily';
+  limit: number;
+  used: number;
+  /** ISO time the quota resets */
+  resetsAt: string;
+  /** Whether upgrading would lift the limit */
+  upgradeNeeded: boolean;
+}
+
 /** AI morning briefing */
 export interface MorningBriefing {
   greeting: string;